@@ -0,0 +1,57 @@
+/**
+ * ビットマップフォント（PNG出力用の組み込みフォント、全角文字）
+ *
+ * JIS X 0208の全角文字（非漢字・第1水準漢字・第2水準漢字）の16×16ドットのビットマップです。
+ * ASCII文字はストロークフォント（strokeFont.js）で描画し、それ以外の文字をこのフォントで描画します。
+ * このファイルはbuild-bitmap-font.jsで生成しています（直接編集しないでください）。
+ *
+ * グリフのデータはDotGothic16から抽出しています。
+ * Copyright 2020 The DotGothic16 Project Authors (https://github.com/fontworks-fonts/DotGothic16/)
+ * SIL Open Font License, Version 1.1（OFL-DotGothic16.txtを参照）
+ *
+ * 座標系:
+ *   - 1文字は16×16ドット（全角1文字の幅・高さ1emに対応）
+ *   - 1行は2バイト（左端のドットが最上位ビット）、上の行から順に16行
+ *   - ベースラインは上端から14.56ドット
+ */
+
+const zlib = require('zlib');
+
+// 収録している文字（コードポイント順）
+const CHARS = '¢£§¨¬°±´¶×÷ЁАБВГДЕЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯабвгдежзийклмнопрстуфхцчшщъыьэюяё‐―‖‘’“”†‡‥…‰′″※℃№℡Å←↑→↓⇒⇔∀∂∃∇∈∋∑−√∝∞∟∠∧∨∩∪∫∬∮∴∵∽≠≡≦≧≪≫⊂⊃⊆⊇⊥⊿⌒①②③④⑤⑥⑦⑧⑨⑩⑪⑫⑬⑭⑮⑯⑰⑱⑲⑳─━│┃┌┏┐┓└┗┘┛├┝┠┣┤┥┨┫┬┯┰┳┴┷┸┻┼┿╂╋■□▲△▼▽◆◇○◎●◯★☆♀♂♪♭♯　、。〃々〆〇〈〉《》「」『』【】〒〓〔〕〜〝〟ぁあぃいぅうぇえぉおかがきぎくぐけげこごさざしじすずせぜそぞただちぢっつづてでとどなにぬねのはばぱひびぴふぶぷへべぺほぼぽまみむめもゃやゅゆょよらりるれろゎわゐゑをん゛゜ゝゞァアィイゥウェエォオカガキギクグケゲコゴサザシジスズセゼソゾタダチヂッツヅテデトドナニヌネノハバパヒビピフブプヘベペホボポマミムメモャヤュユョヨラリルレロヮワヰヱヲンヴヵヶ・ーヽヾ㈱㈲㈹㊤㊥㊦㊧㊨㌃㌍㌔㌘㌢㌣㌦㌧㌫㌶㌻㍉㍊㍍㍑㍗㍻㍼㍽㍾㎎㎏㎜㎝㎞㎡㏄㏍一丁七万丈三上下不与丐丑且丕世丗丘丙丞両並个中丱串丶丸丹主丼丿乂乃久之乍乎乏乕乖乗乘乙九乞也乢乱乳乾亀亂亅了予争亊事二于云互五井亘亙些亜亞亟亠亡亢交亥亦亨享京亭亮亰亳亶人什仁仂仄仆仇今介仍从仏仔仕他仗付仙仝仞仟代令以仭仮仰仲件价任企伉伊伍伎伏伐休会伜伝伯估伴伶伸伺似伽佃但佇位低住佐佑体何佗余佚佛作佝佞佩佯佰佳併佶佻佼使侃來侈例侍侏侑侖侘供依侠価侫侭侮侯侵侶便係促俄俊俎俐俑俔俗俘俚俛保俟信俣俤俥修俯俳俵俶俸俺俾倅倆倉個倍倏們倒倔倖候倚借倡倣値倥倦倨倩倪倫倬倭倶倹偃假偈偉偏偐偕偖做停健偬偲側偵偶偸偽傀傅傍傑傘備傚催傭傲傳傴債傷傾僂僅僉僊働像僑僕僖僚僞僣僥僧僭僮僵價僻儀儁儂億儉儒儔儕儖儘儚償儡優儲儷儺儻儼儿兀允元兄充兆兇先光克兌免兎児兒兔党兜兢入全兩兪八公六兮共兵其具典兼冀冂内円冉冊册再冏冐冑冒冓冕冖冗写冠冢冤冥冦冨冩冪冫冬冰冱冲决冴况冶冷冽凄凅准凉凋凌凍凖凛凜凝几凡処凧凩凪凭凰凱凵凶凸凹出函凾刀刃刄分切刈刊刋刎刑刔列初判別刧利刪刮到刳制刷券刹刺刻剃剄則削剋剌前剏剔剖剛剞剣剤剥剩剪副剰剱割剳剴創剽剿劃劇劈劉劍劑劒劔力功加劣助努劫劬劭励労劵効劼劾勁勃勅勇勉勍勒動勗勘務勝勞募勠勢勣勤勦勧勲勳勵勸勹勺勾勿匁匂包匆匈匍匏匐匕化北匙匚匝匠匡匣匪匯匱匳匸匹区医匿區十千卅卆升午卉半卍卑卒卓協南単博卜卞占卦卩卮卯印危即却卵卷卸卻卿厂厄厖厘厚原厠厥厦厨厩厭厮厰厳厶去参參又叉及友双反収叔取受叙叛叟叡叢口古句叨叩只叫召叭叮可台叱史右叶号司叺吁吃各合吉吊吋同名后吏吐向君吝吟吠否吩含听吭吮吶吸吹吻吼吽吾呀呂呆呈呉告呎呑呟周呪呰呱味呵呶呷呻呼命咀咄咆咋和咎咏咐咒咢咤咥咨咫咬咯咲咳咸咼咽咾哀品哂哄哇哈哉哘員哢哥哦哨哩哭哮哲哺哽唄唆唇唏唐唔唖售唯唱唳唸唹唾啀啄啅商啌問啓啖啗啜啝啣啻啼啾喀喃善喇喉喊喋喘喙喚喜喝喞喟喧喨喩喪喫喬單喰営嗄嗅嗇嗔嗚嗜嗟嗣嗤嗷嗹嗽嗾嘆嘉嘔嘖嘗嘘嘛嘩嘯嘱嘲嘴嘶嘸噂噌噎噐噛噤器噪噫噬噴噸噺嚀嚆嚇嚊嚏嚔嚠嚢嚥嚮嚴嚶嚼囀囁囂囃囈囎囑囓囗囘囚四回因団囮困囲図囹固国囿圀圃圄圈圉國圍圏園圓圖團圜土圦圧在圭地圷圸圻址坂均坊坎坏坐坑坡坤坦坩坪坿垂垈垉型垓垠垢垣垤垪垰垳埀埃埆埋城埒埓埔埖埜域埠埣埴執培基埼堀堂堅堆堊堋堕堙堝堡堤堪堯堰報場堵堺堽塀塁塊塋塑塒塔塗塘塙塚塞塢塩填塰塲塵塹塾境墅墓増墜墟墨墫墮墳墸墹墺墻墾壁壅壇壊壌壑壓壕壗壘壙壜壞壟壤壥士壬壮壯声壱売壷壹壺壻壼壽夂変夊夏夐夕外夘夙多夛夜夢夥大天太夫夬夭央失夲夷夸夾奄奇奈奉奎奏奐契奔奕套奘奚奠奢奥奧奨奩奪奬奮女奴奸好妁如妃妄妊妍妓妖妙妛妝妣妥妨妬妲妹妻妾姆姉始姐姑姓委姙姚姜姥姦姨姪姫姶姻姿威娃娉娑娘娚娜娟娠娥娩娯娵娶娼婀婁婆婉婚婢婦婪婬婿媒媚媛媼媽媾嫁嫂嫉嫋嫌嫐嫖嫗嫡嫣嫦嫩嫺嫻嬉嬋嬌嬖嬢嬪嬬嬰嬲嬶嬾孀孃孅子孑孔孕字存孚孛孜孝孟季孤孥学孩孫孰孱孳孵學孺宀它宅宇守安宋完宍宏宕宗官宙定宛宜宝実客宣室宥宦宮宰害宴宵家宸容宿寂寃寄寅密寇寉富寐寒寓寔寛寝寞察寡寢寤寥實寧寨審寫寮寰寳寵寶寸寺対寿封専射尅将將專尉尊尋對導小少尓尖尚尠尢尤尨尭就尸尹尺尻尼尽尾尿局屁居屆屈届屋屍屎屏屐屑屓展属屠屡層履屬屮屯山屶屹岌岐岑岔岡岨岩岫岬岱岳岶岷岸岻岼岾峅峇峙峠峡峨峩峪峭峯峰島峺峻峽崇崋崎崑崔崕崖崗崘崙崚崛崟崢崩嵋嵌嵎嵐嵒嵜嵩嵬嵯嵳嵶嶂嶄嶇嶋嶌嶐嶝嶢嶬嶮嶷嶺嶼嶽巉巌巍巒巓巖巛川州巡巣工左巧巨巫差己已巳巴巵巷巻巽巾市布帆帋希帑帖帙帚帛帝帥師席帯帰帳帶帷常帽幀幃幄幅幇幌幎幔幕幗幟幡幢幣幤干平年幵并幸幹幺幻幼幽幾广庁広庄庇床序底庖店庚府庠度座庫庭庵庶康庸廁廂廃廈廉廊廏廐廓廖廚廛廝廟廠廡廢廣廨廩廬廰廱廳廴延廷廸建廻廼廾廿弁弃弄弉弊弋弌弍式弐弑弓弔引弖弗弘弛弟弥弦弧弩弭弯弱張強弸弼弾彁彈彊彌彎彑当彖彗彙彜彝彡形彦彩彪彫彬彭彰影彳彷役彼彿往征徂徃径待徇很徊律後徐徑徒従得徘徙從徠御徨復循徭微徳徴徹徼徽心必忌忍忖志忘忙応忝忠忤快忰忱念忸忻忽忿怎怏怐怒怕怖怙怛怜思怠怡急怦性怨怩怪怫怯怱怺恁恂恃恆恊恋恍恐恒恕恙恚恟恠恢恣恤恥恨恩恪恫恬恭息恰恵恷悁悃悄悉悋悌悍悒悔悖悗悚悛悟悠患悦悧悩悪悲悳悴悵悶悸悼悽情惆惇惑惓惘惚惜惟惠惡惣惧惨惰惱想惴惶惷惹惺惻愀愁愃愆愈愉愍愎意愕愚愛感愡愧愨愬愴愼愽愾愿慂慄慇慈慊態慌慍慎慓慕慘慙慚慝慟慢慣慥慧慨慫慮慯慰慱慳慴慵慶慷慾憂憇憊憎憐憑憔憖憙憚憤憧憩憫憬憮憲憶憺憾懃懆懇懈應懊懋懌懍懐懣懦懲懴懶懷懸懺懼懽懾懿戀戈戉戊戌戍戎成我戒戔或戚戛戝戞戟戡戦截戮戯戰戲戳戴戸戻房所扁扇扈扉手才扎打払托扛扞扠扣扨扮扱扶批扼找承技抂抃抄抉把抑抒抓抔投抖抗折抛抜択披抬抱抵抹抻押抽拂担拆拇拈拉拊拌拍拏拐拑拒拓拔拗拘拙招拜拝拠拡括拭拮拯拱拳拵拶拷拾拿持挂指挈按挌挑挙挟挧挨挫振挺挽挾挿捉捌捍捏捐捕捗捜捧捨捩捫据捲捶捷捺捻掀掃授掉掌掎掏排掖掘掛掟掠採探掣接控推掩措掫掬掲掴掵掻掾揀揃揄揆揉描提插揖揚換握揣揩揮援揶揺搆損搏搓搖搗搜搦搨搬搭搴搶携搾摂摎摘摧摩摯摶摸摺撃撈撒撓撕撚撞撤撥撩撫播撮撰撲撹撻撼擁擂擅擇操擒擔擘據擠擡擢擣擦擧擬擯擱擲擴擶擺擽擾攀攅攘攜攝攣攤攪攫攬支攴攵收攷攸改攻放政故效敍敏救敕敖敗敘教敝敞敢散敦敬数敲整敵敷數斂斃文斈斉斌斎斐斑斗料斛斜斟斡斤斥斧斫斬断斯新斷方於施旁旃旄旅旆旋旌族旒旗旙旛无旡既日旦旧旨早旬旭旱旺旻昂昃昆昇昊昌明昏易昔昜星映春昧昨昭是昴昵昶昼昿晁時晃晄晉晋晏晒晝晞晟晢晤晦晧晨晩普景晰晴晶智暁暃暄暇暈暉暎暑暖暗暘暝暢暦暫暮暴暸暹暼暾曁曄曇曉曖曙曚曜曝曠曦曩曰曲曳更曵曷書曹曼曽曾替最會月有朋服朏朔朕朖朗望朝朞期朦朧木未末本札朮朱朴朶朷朸机朽朿杁杆杉李杏材村杓杖杙杜杞束杠条杢杣杤来杪杭杯杰東杲杳杵杷杼松板枅枇枉枋枌析枕林枚果枝枠枡枢枦枩枯枳枴架枷枸枹柁柄柆柊柎柏某柑染柔柘柚柝柞柢柤柧柩柬柮柯柱柳柴柵査柾柿栂栃栄栓栖栗栞校栢栩株栫栲栴核根格栽桀桁桂桃框案桍桎桐桑桓桔桙桜桝桟档桧桴桶桷桾桿梁梃梅梍梏梓梔梗梛條梟梠梢梦梧梨梭梯械梱梳梵梶梹梺梼棄棆棉棊棋棍棒棔棕棗棘棚棟棠棡棣棧森棯棲棹棺椀椁椄椅椈椋椌植椎椏椒椙椚椛検椡椢椣椥椦椨椪椰椴椶椹椽椿楊楓楔楕楙楚楜楝楞楠楡楢楪楫業楮楯楳楴極楷楸楹楼楽楾榁概榊榎榑榔榕榛榜榠榧榮榱榲榴榻榾榿槁槃槇槊構槌槍槎槐槓様槙槝槞槧槨槫槭槲槹槻槽槿樂樅樊樋樌樒樓樔樗標樛樞樟模樢樣権横樫樮樵樶樸樹樺樽橄橇橈橋橘橙機橡橢橦橲橸橿檀檄檍檎檐檗檜檠檢檣檪檬檮檳檸檻櫁櫂櫃櫑櫓櫚櫛櫞櫟櫨櫪櫺櫻欄欅權欒欖欝欟欠次欣欧欲欷欸欹欺欽款歃歇歉歌歎歐歓歔歙歛歟歡止正此武歩歪歯歳歴歸歹死歿殀殃殄殆殉殊残殍殕殖殘殞殤殪殫殯殱殲殳殴段殷殺殻殼殿毀毅毆毋母毎毒毓比毘毛毟毫毬毯毳氈氏民氓气気氛氣氤水氷永氾汀汁求汎汐汕汗汚汝汞江池汢汨汪汰汲汳決汽汾沁沂沃沈沌沍沐沒沓沖沙沚沛没沢沫沮沱河沸油沺治沼沽沾沿況泄泅泉泊泌泓法泗泙泛泝泡波泣泥注泪泯泰泱泳洋洌洒洗洙洛洞洟津洩洪洫洲洳洵洶洸活洽派流浄浅浙浚浜浣浤浦浩浪浬浮浴海浸浹涅消涌涎涓涕涙涛涜涯液涵涸涼淀淅淆淇淋淌淑淒淕淘淙淞淡淤淦淨淪淫淬淮深淳淵混淹淺添清渇済渉渊渋渓渕渙渚減渝渟渠渡渣渤渥渦温渫測渭渮港游渺渾湃湊湍湎湖湘湛湟湧湫湮湯湲湶湾湿満溂溌溏源準溘溜溝溟溢溥溪溯溲溶溷溺溽滂滄滅滉滋滌滑滓滔滕滝滞滬滯滲滴滷滸滾滿漁漂漆漉漏漑漓演漕漠漢漣漫漬漱漲漸漾漿潁潅潔潘潛潜潟潤潦潭潮潯潰潴潸潺潼澀澁澂澄澆澎澑澗澡澣澤澪澱澳澹激濁濂濃濆濔濕濘濛濟濠濡濤濫濬濮濯濱濳濶濺濾瀁瀉瀋瀏瀑瀕瀘瀚瀛瀝瀞瀟瀦瀧瀬瀰瀲瀾灌灑灘灣火灯灰灸灼災炉炊炎炒炙炬炭炮炯炳炸点為烈烋烏烙烝烟烱烹烽焉焔焙焚焜無焦然焼煉煌煎煕煖煙煢煤煥煦照煩煬煮煽熄熈熊熏熔熕熙熟熨熬熱熹熾燃燈燉燎燐燒燔燕燗營燠燥燦燧燬燭燮燵燹燻燼燿爆爍爐爛爨爪爬爭爰爲爵父爺爻爼爽爾爿牀牆片版牋牌牒牘牙牛牝牟牡牢牧物牲牴特牽牾犀犁犂犇犒犖犠犢犧犬犯犲状犹狂狃狄狆狎狐狒狗狙狛狠狡狢狩独狭狷狸狹狼狽猊猖猗猛猜猝猟猥猩猪猫献猯猴猶猷猾猿獄獅獎獏獗獣獨獪獰獲獵獸獺獻玄率玉王玖玩玲玳玻珀珂珈珊珍珎珞珠珥珪班珮珱珸現球琅理琉琢琥琲琳琴琵琶琺琿瑁瑕瑙瑚瑛瑜瑞瑟瑠瑣瑤瑩瑪瑯瑰瑳瑶瑾璃璋璞璢璧環璽瓊瓏瓔瓜瓠瓢瓣瓦瓧瓩瓮瓰瓱瓲瓶瓷瓸甃甄甅甌甍甎甑甓甕甘甚甜甞生産甥甦用甫甬田由甲申男甸町画甼畄畆畉畊畋界畍畏畑畔留畚畛畜畝畠畢畤略畦畧畩番畫畭異畳畴當畷畸畿疂疆疇疉疊疋疎疏疑疔疚疝疣疥疫疱疲疳疵疸疹疼疽疾痂痃病症痊痍痒痔痕痘痙痛痞痢痣痩痰痲痳痴痺痼痾痿瘁瘉瘋瘍瘟瘠瘡瘢瘤瘧瘰瘴瘻療癆癇癈癌癒癖癘癜癡癢癧癨癩癪癬癰癲癶癸発登發白百皀皃的皆皇皈皋皎皐皓皖皙皚皮皰皴皷皸皹皺皿盂盃盆盈益盍盒盖盗盛盜盞盟盡監盤盥盧盪目盲直相盻盾省眄眇眈眉看県眛眞真眠眤眥眦眩眷眸眺眼着睇睚睛睡督睥睦睨睫睹睾睿瞋瞎瞑瞞瞠瞥瞬瞭瞰瞳瞶瞹瞻瞼瞽瞿矇矍矗矚矛矜矢矣知矧矩短矮矯石矼砂砌砒研砕砠砥砦砧砲破砺砿硅硝硫硬硯硲硴硼碁碆碇碌碍碎碑碓碕碗碚碣碧碩碪碯碵確碼碾磁磅磆磊磋磐磑磔磚磧磨磬磯磴磽礁礇礎礑礒礙礦礪礫礬示礼社祀祁祇祈祉祐祓祕祖祗祚祝神祟祠祢祥票祭祷祺祿禀禁禄禅禊禍禎福禝禦禧禪禮禰禳禹禺禽禾禿秀私秉秋科秒秕秘租秡秣秤秦秧秩秬称移稀稈程稍税稔稗稘稙稚稜稟稠種稱稲稷稻稼稽稾稿穀穂穃穆穉積穎穏穐穗穡穢穣穩穫穰穴究穹空穽穿突窃窄窈窒窓窕窖窗窘窟窩窪窮窯窰窶窺窿竃竄竅竇竈竊立竍竏竒竓竕站竚竜竝竟章竡竢竣童竦竪竭端竰競竸竹竺竿笂笄笆笈笊笋笏笑笘笙笛笞笠笥符笨第笳笵笶笹筅筆筈等筋筌筍筏筐筑筒答策筝筥筧筬筮筰筱筴筵筺箆箇箋箍箏箒箔箕算箘箙箚箜箝箟管箪箭箱箴箸節篁範篆篇築篋篌篏篝篠篤篥篦篩篭篳篶篷簀簇簍簑簒簓簔簗簟簡簣簧簪簫簷簸簽簾簿籀籃籌籍籏籐籔籖籘籟籠籤籥籬米籵籾粁粂粃粉粋粍粐粒粕粗粘粛粟粡粢粤粥粧粨粫粭粮粱粲粳粹粽精糀糂糅糊糎糒糖糘糜糞糟糠糢糧糯糲糴糶糸糺系糾紀紂約紅紆紊紋納紐純紕紗紘紙級紛紜素紡索紫紬紮累細紲紳紵紹紺紿終絃組絅絆絋経絎絏結絖絛絞絡絢絣給絨絮統絲絳絵絶絹絽綉綏經継続綛綜綟綢綣綫綬維綮綯綰綱網綴綵綸綺綻綽綾綿緇緊緋総緑緒緕緘線緜緝緞締緡緤編緩緬緯緲練緻縁縄縅縉縊縋縒縛縞縟縡縢縣縦縫縮縱縲縵縷縹縺縻總績繁繃繆繊繋繍織繕繖繙繚繝繞繦繧繩繪繭繰繹繻繼繽繿纂纃纈纉續纎纏纐纒纓纔纖纛纜缶缸缺罅罌罍罎罐网罔罕罘罟罠罧罨罩罪罫置罰署罵罷罸罹羂羃羅羆羇羈羊羌美羔羚羝羞羣群羨義羮羯羲羶羸羹羽翁翅翆翊翌習翔翕翠翡翦翩翫翰翳翹翻翼耀老考耄者耆耋而耐耒耕耗耘耙耜耡耨耳耶耻耽耿聆聊聒聖聘聚聞聟聡聢聨聯聰聲聳聴聶職聹聽聾聿肄肅肆肇肉肋肌肓肖肘肚肛肝股肢肥肩肪肬肭肯肱育肴肺胃胄胆背胎胖胙胚胛胝胞胡胤胥胯胱胴胸胼能脂脅脆脇脈脉脊脚脛脣脩脯脱脳脹脾腆腋腎腐腑腓腔腕腟腥腦腫腮腰腱腴腸腹腺腿膀膂膃膈膊膏膓膕膚膜膝膠膣膤膨膩膰膳膵膸膺膽膾膿臀臂臆臈臉臍臑臓臘臙臚臟臠臣臥臧臨自臭至致臺臻臼臾舁舂舅與興舉舊舌舍舎舐舒舖舗舘舛舜舞舟舩航舫般舮舳舵舶舷舸船艀艇艘艙艚艝艟艢艤艦艨艪艫艮良艱色艶艷艸艾芋芍芒芙芝芟芥芦芫芬芭芯花芳芸芹芻芽苅苑苒苓苔苗苙苛苜苞苟苡苣若苦苧苫英苳苴苹苺苻茂范茄茅茆茉茎茖茗茘茜茣茨茫茯茱茲茴茵茶茸茹荀荅草荊荏荐荒荘荳荵荷荻荼莅莇莉莊莎莓莖莚莞莟莠莢莨莪莫莱莵莽菁菅菊菌菎菓菖菘菜菟菠菩菫華菰菱菲菴菷菻菽萃萄萇萋萌萍萎萓萠萢萩萪萬萱萵萸萼落葆葉葎著葛葡葢董葦葩葫葬葭葮葯葱葵葷葹葺蒂蒄蒋蒐蒔蒙蒜蒟蒡蒭蒲蒸蒹蒻蒼蒿蓁蓄蓆蓉蓊蓋蓍蓐蓑蓖蓙蓚蓬蓮蓴蓼蓿蔀蔆蔑蔓蔔蔕蔗蔘蔚蔟蔡蔦蔬蔭蔵蔽蕀蕁蕃蕈蕉蕊蕋蕎蕕蕗蕘蕚蕣蕨蕩蕪蕭蕷蕾薀薄薇薈薊薐薑薔薗薙薛薜薤薦薨薩薪薫薬薮薯薹薺藁藉藍藏藐藕藜藝藤藥藩藪藷藹藺藻藾蘂蘆蘇蘊蘋蘓蘖蘗蘚蘢蘭蘯蘰蘿虍虎虐虔處虚虜虞號虧虫虱虹虻蚊蚋蚌蚓蚕蚣蚤蚩蚪蚫蚯蚰蚶蛄蛆蛇蛉蛋蛍蛎蛔蛙蛛蛞蛟蛤蛩蛬蛭蛮蛯蛸蛹蛻蛾蜀蜂蜃蜆蜈蜉蜊蜍蜑蜒蜘蜚蜜蜥蜩蜴蜷蜻蜿蝉蝋蝌蝎蝓蝕蝗蝙蝟蝠蝣蝦蝨蝪蝮蝴蝶蝸蝿螂融螟螢螫螯螳螺螻螽蟀蟄蟆蟇蟋蟐蟒蟠蟯蟲蟶蟷蟹蟻蟾蠅蠍蠎蠏蠑蠕蠖蠡蠢蠣蠧蠱蠶蠹蠻血衂衄衆行衍衒術街衙衛衝衞衡衢衣表衫衰衲衵衷衽衾衿袁袂袈袋袍袒袖袗袙袞袢袤被袮袰袱袴袵袷袿裁裂裃裄装裏裔裕裘裙補裝裟裡裨裲裳裴裸裹裼製裾褂褄複褊褌褐褒褓褝褞褥褪褫褶褸褻襁襃襄襌襍襖襞襟襠襤襦襪襭襯襲襴襷襾西要覃覆覇覈覊見規覓視覗覘覚覡覦覧覩親覬覯覲観覺覽覿觀角觚觜觝解触觧觴觸言訂訃計訊訌討訐訓訖託記訛訝訟訣訥訪設許訳訴訶診註証詁詆詈詐詑詒詔評詛詞詠詢詣試詩詫詬詭詮詰話該詳詼誂誄誅誇誉誌認誑誓誕誘誚語誠誡誣誤誥誦誨説読誰課誹誼調諂諄談請諌諍諏諒論諚諛諜諞諠諡諢諤諦諧諫諭諮諱諳諷諸諺諾謀謁謂謄謇謌謎謐謔謖謗謙謚講謝謠謡謦謨謫謬謳謹謾譁證譌譎譏譖識譚譛譜譟警譫譬譯議譱譲譴護譽讀讃變讌讎讐讒讓讖讙讚谷谺谿豁豆豈豊豌豎豐豕豚象豢豪豫豬豸豹豺豼貂貅貉貊貌貍貎貔貘貝貞負財貢貧貨販貪貫責貭貮貯貰貲貳貴貶買貸費貼貽貿賀賁賂賃賄資賈賊賍賎賑賓賚賛賜賞賠賢賣賤賦質賭賺賻購賽贄贅贇贈贊贋贍贏贐贓贔贖赤赦赧赫赭走赱赳赴起趁超越趙趣趨足趺趾跂跋跌跏跖跚跛距跟跡跣跨跪跫路跳践跼跿踈踉踊踏踐踝踞踟踪踰踴踵蹂蹄蹇蹈蹉蹊蹌蹐蹕蹙蹟蹠蹣蹤蹲蹴蹶蹼躁躄躅躇躊躋躍躑躓躔躙躡躪身躬躯躰躱躾軅軆軈車軋軌軍軒軛軟転軣軫軸軻軼軽軾較輅載輊輌輒輓輔輕輙輛輜輝輟輦輩輪輯輳輸輹輻輾輿轂轄轅轆轉轌轍轎轗轜轟轡轢轣轤辛辜辞辟辣辧辨辭辮辯辰辱農辷辺辻込辿迂迄迅迎近返迚迢迥迦迩迪迫迭迯述迴迷迸迹迺追退送逃逅逆逋逍逎透逐逑逓途逕逖逗這通逝逞速造逡逢連逧逮週進逵逶逸逹逼逾遁遂遅遇遉遊運遍過遏遐遑遒道達違遖遘遙遜遞遠遡遣遥遨適遭遮遯遲遵遶遷選遺遼遽避邀邁邂邃還邇邉邊邏邑那邦邨邪邯邱邵邸郁郊郎郛郡郢郤部郭郵郷都鄂鄒鄙鄭鄰鄲酉酊酋酌配酎酒酔酖酘酢酣酥酩酪酬酲酳酵酷酸醂醇醉醋醍醐醒醗醜醢醤醪醫醯醴醵醸醺釀釁釆采釈釉釋里重野量釐金釖釘釛釜針釟釡釣釦釧釵釶釼釿鈍鈎鈑鈔鈕鈞鈩鈬鈴鈷鈿鉄鉅鉈鉉鉋鉐鉗鉚鉛鉞鉢鉤鉦鉱鉾銀銃銅銑銓銕銖銘銚銛銜銭銷銹鋏鋒鋤鋩鋪鋭鋲鋳鋸鋺鋼錆錏錐錘錙錚錠錢錣錦錨錫錬錮錯録錵錺錻鍄鍋鍍鍔鍖鍛鍜鍠鍬鍮鍵鍼鍾鎌鎔鎖鎗鎚鎧鎬鎭鎮鎰鎹鏃鏈鏐鏑鏖鏗鏘鏝鏡鏤鏥鏨鐃鐇鐐鐓鐔鐘鐙鐚鐡鐫鐵鐶鐸鐺鑁鑄鑑鑒鑓鑚鑛鑞鑠鑢鑪鑰鑵鑷鑼鑽鑾鑿钁長門閂閃閇閉閊開閏閑間閔閖閘閙閠関閣閤閥閧閨閭閲閹閻閼閾闃闇闊闌闍闔闕闖闘關闡闢闥阜阡阨阪阮阯防阻阿陀陂附陋陌降陏限陛陜陝陞陟院陣除陥陦陪陬陰陲陳陵陶陷陸険陽隅隆隈隊隋隍階随隔隕隗隘隙際障隠隣隧隨險隰隱隲隴隶隷隸隹隻隼雀雁雄雅集雇雉雋雌雍雎雑雕雖雙雛雜離難雨雪雫雰雲零雷雹電需霄霆震霈霊霍霎霏霑霓霖霙霜霞霤霧霪霰露霸霹霽霾靂靄靆靈靉青靖静靜非靠靡面靤靦靨革靫靭靱靴靹靺靼鞁鞄鞅鞆鞋鞍鞏鞐鞘鞜鞠鞣鞦鞨鞫鞭鞳鞴韃韆韈韋韓韜韭韮韲音韵韶韻響頁頂頃項順須頌頏預頑頒頓頗領頚頡頤頬頭頴頷頸頻頼頽顆顋題額顎顏顔顕願顛類顧顫顯顰顱顳顴風颪颯颱颶飃飄飆飛飜食飢飩飫飭飮飯飲飴飼飽飾餃餅餉養餌餐餒餓餔餘餝餞餠餡餤館餬餮餽餾饂饅饉饋饌饐饑饒饕饗首馗馘香馥馨馬馭馮馳馴馼駁駄駅駆駈駐駑駒駕駘駛駝駟駢駭駮駱駲駸駻駿騁騅騎騏騒験騙騨騫騰騷騾驀驂驃驅驍驕驗驚驛驟驢驤驥驩驪驫骨骭骰骸骼髀髄髏髑髓體高髞髟髢髣髦髪髫髭髮髯髱髴髷髻鬆鬘鬚鬟鬢鬣鬥鬧鬨鬩鬪鬮鬯鬱鬲鬻鬼魁魂魃魄魅魍魎魏魑魔魘魚魯魴鮃鮎鮑鮒鮓鮖鮗鮟鮠鮨鮪鮫鮭鮮鮴鮹鯀鯆鯉鯊鯏鯑鯒鯔鯖鯛鯡鯢鯣鯤鯨鯰鯱鯲鯵鰄鰆鰈鰉鰊鰌鰍鰐鰒鰓鰔鰕鰛鰡鰤鰥鰭鰮鰯鰰鰲鰹鰺鰻鰾鱆鱇鱈鱒鱗鱚鱠鱧鱶鱸鳥鳧鳩鳫鳬鳰鳳鳴鳶鴃鴆鴇鴈鴉鴎鴒鴕鴛鴟鴣鴦鴨鴪鴫鴬鴻鴾鴿鵁鵄鵆鵈鵐鵑鵙鵜鵝鵞鵠鵡鵤鵬鵯鵲鵺鶇鶉鶏鶚鶤鶩鶫鶯鶲鶴鶸鶺鶻鷁鷂鷄鷆鷏鷓鷙鷦鷭鷯鷲鷸鷹鷺鷽鸚鸛鸞鹵鹸鹹鹽鹿麁麈麋麌麑麒麓麕麗麝麟麥麦麩麪麭麸麹麺麻麼麾麿黄黌黍黎黏黐黒黔默黙黛黜黝點黠黥黨黯黴黶黷黹黻黼黽鼇鼈鼎鼓鼕鼠鼡鼬鼻鼾齊齋齎齏齒齔齟齠齡齢齣齦齧齪齬齲齶齷龍龕龜龝龠！＃＄％＆（）＊＋，－．／０１２３４５６７８９：；＜＝＞？＠ＡＢＣＤＥＦＧＨＩＪＫＬＭＮＯＰＱＲＳＴＵＶＷＸＹＺ［＼］＾＿｀ａｂｃｄｅｆｇｈｉｊｋｌｍｎｏｐｑｒｓｔｕｖｗｘｙｚ｛｜｝～￠￡￢￣￥';
+
+// ビットマップ（1文字32バイトをCHARSの順に連結し、deflateで圧縮してBase64にしたもの）
+const DATA = 'eNqMvW1sG1eWKHjJqinS7rJIsT3TxSWbLFFq2Z2128WuvCL9RPHSbM2EcvKm08bsYrBoTMqtLLN4UMfC64cepq0V+WRDbTSIxNAvYm0kQfB+PAzeD2HT8Bp4RlwODXowYOxBflGgR2K3G57FQpiUo4bMRJW663NvFT8k2TM8IFnSrXvr3nPPPefcc849RAheHMqit9AD9AC1UAu10Tb6JVpEBmKvKEqgMyiHckhGFpKRjMbQGXQG2bR0ES2jZVSh3/8F/Rd0BmURR6/yKEPvKKIi+re/COIo9F8Z2kLRae35L4kCcb6hJbf/ElJeUK+Mdh24iCJ7YPAFI5pwWp9AefRfDng+6j3X/UvQBT3ejXeDCCBuxk12FUTxLqvnqXgq3pw3x8sA/qA/GO8G/fAHKx+o0QkGg34HgvEOK8emIikiBWn42qnfdevvBfYKdP37XvCEsp3z7q3f70u//+cvAySryWq4FjDDtXANruF/rNzX8dNeIz8K+jooiGjrfrimr6A/KAWPBwvBQvDKqH/UH/If9R/1S1ADIcTnuMqLyhFSJEVS4KUnDYySFcVQdEUBPDjjs8R9L0mURLdc5xfEBbEULUXnX55/ufhm8c25u3N3+/3vYdwf9MPM9MFp32SzNQxBf6CPf//BsG/+2AwiF9z2JVbu/p/eKUlu+9gCCjoIHPzQu6GSoHMGZ3gqsL4E5AwfeVDAHPWP8YMw6g+YHuTW79f2VDhD0GlHe/il+D8AsMUesWfUkv+47++Rn8IA/eyHssXKz/AHQ9lGXsaBeAd8XZ7nvQ7wvq47vy6U7+pv6i878Gb5rjO/6MXry51feITPgs/h+T3TzfMzXgaLXvcqz5/puvQnObMriXDNaE/p0Z/7CnQkBSkB00HfQqDllnhMHxJRoBNVpN5LVNz106/POt7/3lNuimgYhl8+U1BcgO5ha7iHvo5Inx/vSuig5zMOADzgyBrjAnvap/1CQa7DSGJvfX/Qr/hf9189FDwUPBwU4V7nBTzgReUO/wWs6ZIRr0iGpEuKJO15fpf3u8B43HB50A+jO3r86PFQIVQYvTJ6ZV//GF5N92rv+MQXz4+5lwEMl8cH5jeqxDuuBNnTPpNAB7Qf7x68/gf7D6QLsuZZWcXDlg9i98a7arO/9tQma20Iv9IwD9iL36A8DPEu8h+EP5hH3z8OCKAB+hkEbA2Xz0nDUIa1OPDKIgEJyNcVRAbu+u/PL+Xgfx88ziD+93vwQ8FdPfvXT49+zYPpN2mqkiZqYlaET1VKmnvXF2vXZ/J75n9kYWThX19fjIb+Fe2JDP8Nc/0iYOMOor20tlev8e+drIFXCE0gDWnPLZ9H82gCFZ5b7lLrM4lzoAQ7qNT9a19fJUl6EX6Arvb+L603jc8qn1UeoCxw2Y3YL7RfaL+Y/EV9g0kHBcko94LRay8cHUJjl4EvwtpRm8mq2oS1A9xxjOoXClq3NgWNE7kBzswJnE/wOPTfQA30GD1GOws7rafVTQoPqvc3G3/rasyMJ0S6EYlCy/kmDHvOekd9LRN4GBCgzPdpH3Tksl22FTrbg7PDGb4O8PTnaxgUTRISoT4SkTRILAfVOrIWMH0d4CS923JILpvIj3jkRTzyl81hpAPO4l1FlAWDkwVFjHcBn24pk8fx7jCHc1vnOoIiUhRxXSEtSq6cCFT6nNNBodS/otfI1bCCfsnvD4pBXhZkb47LDdOez4pbUZRGCsIWthSURlEUt3w9/oU7uEv/KUI5ElEUpXEXd9yn+5GAPAgZSEbBZ+M2PEhAfhTvHkxPS8N/ZumWDLZnlKePoh+ic+goEvsKFuMx6dEZuQIwOjOS3t9qNJ2YObMMkJiJ7is/aPcw0L8g7YEjU0BRAn7R59+ALdA8YS/EdEem0SI0qKG6WqarpQ5imDNExR88WH8+QMeEuVI4toFdQC1kIGOYAkEDjqARaPm68McBvUfvwwX9tNGvjwxf58gaA1+nX78/wkF87dXu9mt7+6RrWp7JLZ/xnvEm+Oh+HqYgHRmg6XMIWwJdZMMvhu3Bz/7Uoo6PkrQPoQ6K7r0rzf4PN3R8KH1wKzOemlcWjVGUQKNINLyyp4Zm+sUJFK7wOU5BV9AMusIpfC5cSQzKPovtwhlIKIp8Q33EHZQGDuKAhNJ4QPoFrH5dqB3Y0z9sDtQVkbPzHez/QVxooJxHIjqKJtAMuuyBrQPv54O8W+7rSJLMs73w/pevE00r4rGG3DDqLsgNuaE0o2mQ4E754xNaUzVU41H9UoM7IZwQsHVQef2RoRrqCe2EltoaLJeL8uM7j+pzjbnmXGsO23JRmR8sP7VzQmhyDx7dV5sH1mftu3fsLz9ly7FnvZsz5oz6nUtjK+OCJh5QX733qHlgfbe8+Yt72wc9P2OffPez91w4+e7JdzND48/ak7FGxIXJ2GRMi+6v3ww0I81fNOsnV06uTFsHll9sBg5qPxM7kW1ebF5stj+79tm1U/aJWGao/Wn75Mpnlz7b/ewBtHJAfdZ/54795dieHKF9VxtqY26yONnQmgeNv7l78Ph7+PmgSQ56/g+Wpu63H7Qf1B/cf9B6kL6fvo8XWfmw9rdX/9tfPnzH8ywH/1bYw9OIh3jQIBxQTp5fnyCCXlSfVACGejB8P/GQg3VLB8jeO4brE0TQi+qz5z+//v7xH1A+fMf+/r0I3/vwt7//L3o+2X/HvvG96Pn78b+fvl44f2TvHQfU/1faJy8a/z7631/+Ivo/oP6+ckJe3P4L8b9v/PvbfyH+940fUZ39eUCt2/bzNn+sfFjLD5jxLrawje29eBq0+8mCLOzFFCFQC1vxLrSyR7un5VBr2JY4+GT2XNoKbcNtoW9t6Gv/fUsEaIYBk0pIXhfYuHRB5hUxmg6YoAGycrV57A/zWgEMO6F57dgf1OZgOX221ccb/AV9gHJH/grwbBfYSBj/dfRJgzOg72z00GKslMmAztcvt8vKCBv9kbVIyy2HHjDMumMCzWSY/j2Wq5+MXB7lHS3e0T4dGjI8ukfxBB2QfbmAUz5o7zvSCSgjzPSoi4aPtc6QVuKM2N6r56k8/4ZXDulIea7NII1mKAxtMyroKvTcK/M5f8WzbxVzlpcHu10wmJA9OWev5DqI6IbDJ/sN/4ejwRA6io7TXfug/gYanAvwlyQ50pNtV/x0SyNTgCs/3YvyaN8/hm9GCB2ljzuOXkevow8pwBX8B0p6F4fRYfQnFODKrUR7Lz8Xeh08GDLM/D2DfkqfuRcWnJ0ffeJe+PcogbKsfonCwhCw/y3C9jJGYWQI2P+yaI8ebh3EvWE1MTjwb7ZZ3D/2IEV472IvsEp79rDecW/ubi59ACkW0JtIYS2+6AVPE9EkCiERCahP/17kRfGuV+bMkeOhmcTlcX7SH5aQzkqw5UVeP/ePI+nQRCKfz+eXf+T9C/60350BZwunUy8VmB/EZDUi9nePuqIruqRLzsaTP385eVlFseF9hgEOIV9HCjqGyiDS2QoOGGwh+cy0fwA5eryy33IYN1HHU/FVREMylEWXPji2X+qiBdgnO6WGvjhgf0HCAr4u8D4zJmliEUDKKJ4OLUFCGt8XOAH5zFhUEyaFhtAQJsWM5DEd6pX5YPmKv+CfCc4E88GcnJMrucqP2fT7+aP8YX6ifPXgcsCvJ40NVEE/xR2YoEA3KML6C3Sd+hPeUPn/9SB0s2yAHSluyhIQUNwctE54Kl4kOitZQJ4KylF6oOino5bE+fTLugTEEkU+uKPDXHDUtahcsOgsuQAvYw4wfFR+SX4pJ//Ygm73AF6VH/XtS0O2FOid5Pqn/GgCfzloqmHGHMXxL4GlwVNBG2WT0rEUsKQY3QWLbPyCKGhcxHOLdJABd8S7SgbaVyR3/PuWFi/75WBQd+1fMpJzY7J89RnWDyqHzuTKNnz6cn7Dn/MbPmptAivVM/5hoQ30gFhgIQkYYUMywkaA2ls4RwK5Rpmy3TPPdIBQOTb+mIQlDIuC2K7rMNyB7bxrvw90kcLmL2Av6vDNiNyLPF0Hu79Ebe49QYzbVoerCI60E+gT2HW5A0aFsCVRK0SyoqI5dJ7yH7/fP+EPla/Akhm1GF8fQwmUR2csV/Z4Ee6yZfUtM+oPssdLzD/g9Xsn+FC5y5bkdzrpoMzWpxI39tkKBleo4jMGS0rM9skAyhcc/ItIQ5GA1ZXokBjAYMz++i7bzzhRz/bGcMMh1KM6YqOOp8ppQkQUXdz4HOx5+7DIVcQeK5YcCw2sLz7E+3nEd8GKxKgTFk+gV59H5Vu814/81O8jy+OdGYU/zs9wFdd2+G1rkAITKIHGkGz1mJ+BzfTDZPX0ypSwITSFpv1P726+q+z2ozqkUri5K8SEqJAW0sLpnXa0HQvvujYwriPWgpfly2NesJ/lvXnvDD/BSxLqHLx+3zLn0/OZt/7A6E++IF8w9E3L0F140GkttEoPmow9yhfli8bbzy0H/DK9WFKickyOyIqsyLpiOPMTQwGCX1A+giJkSsw+t5xZ54KAaU8lWAhOyBNyIpco5B39DQUyHhsFgBNzFaWlzMvzctEothru+g6MeHbBWPm8csbfDyF/hXJeOecqO33xJ45okUi4qhiyIeuGQqdEZMuflQuhQyF/9eD6YBVneHfnYAj/x+Wjp75mXNPloa90Ckrh+CvMPy/KoVNf5k48t7wC8EyX6H2iSrwid+Sr8pW4G0HD7L9VTgxsZTOTI81IU2opiu4xHP6glFuiKPIZHnxV89K8mAYvvRNhwbyZ3+5E/1q6fHx51jvr/QvvDH/WrwRB/rP1hg0/cBK+fNfvdYDn/ZzZ12D9FX/3W3yUnwDjokmlGtv/VoKVYC6YO9Qd4dPeAkQuiLzpsoLey0h2Ut1MK9NMN5VmppmqcaYPTLkIGboxZxYfzjdLd0t3F+4u3NXv/rz6Vr98cB/reIjjlWQneTMuDu1we7obrpzvnL95vor72Ftg61BBqpmV0oyFpN34iLAZkTQpI2bEtJhmcQ30Zk8n7so/05XAPlPyy/wIP+ofdfins77Nr2oRKSZFpbSUVgBaaism9eWnjgzg7IFuVlxgPDCKB3yhVBs2fX6BF3mRP8of5Sf8EwpvuF7dkvktUeT9XskreY97j3sLfMFfUA4Zzvio78JnHhJH+QRwjy///PAsP+tXTMe6TKVK3FSkETEiRqSAGUWZxclG/RJyotXKXQEFKmJT6iod1SgaIgDloC5DZ/uGb3uPLkvLymX5cu5KboFxxwKaeIF39cC90r6X6AgHjuktCx7DN6QDH5L9V/kclZngZ9I9FWG//4D3+D1+2IN5cqzPDP/Uz86Dg5KTOIXTXQG0MOw8d3xAz2RIJVhBLiDnZvBfdDwdnx7VF3TUhwH6hHgTFgNF7+9wlVjPwoKtXmSV330WV4nujX8YsrYM7Evsg60pA5V1pGMLeujpcOCl0iVd0akHyXF3lW2koNdhj+oNgv9eCeaCoP+6z/LwHjfwiPkP/DKlHu9x71Hv4XKXsoSB2BM5eKbTl79ct+z22y73sVeh+l1MCPhsNy6Ss8nQDovpJ5xFn0rbdfVdgdIMPJ8/7KMxfsGgHMzJzjwh0ZlBRpsBm8nuXM+TKLD5z4gxMSChuA2sW9YNx5cG2l16iHr2AmbxGbD9PVzuOgtxAOj/DtIOZdZ/pj1KGSkrYUnra4eSzrhBrOfeAm19gY/yAu94jxTU8VWceNHj0lHhsAfpvMTz7uZdRoZvsPdmb0MPo//QExT8Eq97HetCDBPqeKLPRYanwykjUlrsCP21J2aPPI4Liyy0UBE78D8fs69lpJgUkBYjzazYpY5PSQ8bUs+L1fN/ihINS2RPgvXr9L+EMnpUpwOHD+SMfgSV+r5VxNmCIAqSoIlzVdRCC3APwwCX4YB+LNaxE9I9ybOGOjCHAYYBEZnYobayzb4ZTYls+xP1mLjqed/znmeF2H3vqYCiA1G1AlLFcPVIVXR4P4wg0C8V5gRVSK6Eq5Jb3unNXwbFxEADTYrjoiop+8c/YGEY7p/Dn0Sk4V0WzDbcP5GOr++vjqJvV4J6UBqOgFUU0IkURUEZlKooHSWtoKEIzN5adJ++Bz/oAI+ryzcZX7KZzi6KPoZ701PziVFn9Tn8o+vyTw/yyWHpPO/x9uzjfa+ogx02/336ZQGJfJCyFrjgZa/szbm1Y+IFsej63VnsIbVnutv/iHhRfPu55S4u0konVckM4CbOxlfSgT6RvnDeuIBKA6wds/1HlEZbRnX9OeWD3KNvWjM4V3vJoBhxQ1x6q3Bg/KA/76LYc8sdHfpIJVyRDEWXFVkymPbK9YSn5oscqT63PIo0n3bk+nPKHZrAlDr8V/1XgpeDl+Xl3DKqgAz23KJrp8JkUHiNRUePrdxZgRWIkOddzzXPNc+7zytHfRksIlGSRhQO9FZjUHrGENeB5UK/04AyXwWZLgI9jozwOpYYGh7BB62yq2BSrPuDguyBVq96/F6epzu9/vy4e8Sy3d8veqwh+xCAhatUS6B6Aovid7esgl1eEYBJif1Sblh+m86idLaJA/K7Lz0GFu+g/4LqiPSOgPM9GH3Yl05xa490GrDO7KFCGRnxA2NLgj0aZfPDV3qw7F/2X/ZfDl4JXpU/zBn77C/UsgJCdqwyOSQ998ePw/+Gx+fGJbuSypWQe3SjvSvIwaVf7kPZHrYw05H3dD9Xf3LxO4S9Hm64gd0FWLME3tPHXE/76Os/Ob8DQZfTDUpguiuxPFUAqmmKgiiK6e6gfu+zGPJQz/ok7fPWssih5+vJB/FpN8pRZFY/g9nZ9hqGg1f9BUH2wHrPDfgekCKmi6cfrz8ipD1nzRHS3f5qd323fSFbTBfBv6OI48K4QEiDa3APdu9HNnd3Ivd2aYzDL1n5yZWTj9c/Xr+2fps86tZb9daD1oPWhfRSWoNy5n8aWxlbuXPpzu6dSwBjK9hWhuIzoHxzd/0awObu6ffHVpLVofgRAdu0bv3Oozsfj+0pB35zyq5zDe7ebrPeqsuNU0PtQzm261ydu7d7P7IRmYwds934DNBbDyNxiU38UQaV76FJJzxIQpJVvhu5G7mrWm/fZaeBilbRkc5MPpeRH5WZu2UJ5R2AK5gxlLKzaJI0OUlQotICsHmINsXoEZuY3A8S/yk0wR/nZSmme1AWrFEVvrd7UQz8i92IJmQEJRpfAAGRRlmk9s5XxNAFVEQLaBEVgaWaCOCPnluem5zibAz6pUAfd9GbbPvjMRjNYSNVmbTHUR0ZaFya7n5jnVhKt+UWrrEOKNl0sdloiFwadRSUKZ0okV1pSXnYaTHuHKp8H00s5am0T1TCuVzlh8wA6Kh/AfpmV+jNHjgITDdHmkoz2jTFmIQWYhIupUt498RSc7HZYvuLBEQDLoko9Iy5Q9yzdPzPXho9G3wteIVF515o/nzr511RkToLSDd1c8Fc/ONbt87fnFNYtGH+o/w5/q94v19R6GxJ6M/QaD98O0M0SQsTXMPX8O707rQdtsNb5IvwZgRH4OCXRMynt5/efkq+uU2wWSbkGwa3H9w+chvoI0xA7SAtCWAj0wKYbE226q067NCaZOubW9+8+02bkG9uf1P55gPyP77Z/WZ3fXd9M9UeXKI7ZdJoAyy2jfZSu96uu6GSNHwP1cuNxsOG2egsmsbDpUa9Xh8OpdzZIaQ99BpmAZmdSVJvGxTq7cl2plfutL/TIA/bZrvTNtsP2412ve1oFyE6nbGfLvzsyvAJlj3tZyaL9bpBX/X6ZDHjKMDNZrPZarVapmmanQ58wl8PHjx48K/Hf7v/PTieIDAonwNCN17ZYdf0xbn+OuLe47MEypfd81Odbm/wBrGRoRiSAX5lrsJVhE40bQbY7vtg/sv6yg2CNfiXO5Ze7zuem553D/QwEubD4SoQo3n6+u9+3S8HxTlgM+U53oVdFJJcfdJjMt2Kal5WuBKuJCuDO1mm4eAu1WgoENKPFRUUTJhkZmc29n5LEhsBtnt9u3n63d9dcnvGSj21sAOEuFfhLu2tLe05FUHI8PkIJ6bUilfcoOW4Jeku7MUftsdWxhvjxUktEwP9Xs70dr+AvSpu+rpHqP4J+Av0Zmiw/skbDE7tuC2IkiAJCqdjGyJ3tXltPlaKleDaGV8vfoO1u3f+2HfZGjz3df5yvxwc9ol8H7JL8Mnn+JyU03Ou5Yjhw22n30Jff3DsrRXnIKu8R3NFuAN9zuojuk8/0hHnpDllrpN15zciwbxILZhTtolXJFkyTOTY3PoWpr4PnI3fPdiHbVEJrImmqBAiOkcWO4ojYAbBQD0Li9A7X8cCpllsNER7cPqIko52fGz+2JaPl/kl3rE+g5FK5nMld3y+jshsWobcO7/D6ve0vd4OFLxfEyiNXkE5GznupjiJIBWNo7o1vE5BAHk6uOKphqtHar41GHV/dh37r41d3LDTAQuKoVay6AeI8vcM7iiGYmCbfhK4OtEAaD40mAa9iA2GT1/H18Ff+Lq+R4FH+BNnfruYttxfQdj2GUdMxgVAbLq1j6xN/z9HbsU/Ju8PlSNqhxqIuw966QECL+NV7m4Hd7ywqWZqdsKfCCbkRC6KnI153IZ4k00LpZmtOMopnMLFbaBP4CvhW+GtePWrapjBzfAlYCcBGyG2Vtt7YY5ALG4WIW4t61AQMR1KWhv7GAB/LMfA90X09c6UPqULOu5w+oge6MR0a06cE+fSWdY+MSSCK8dQ1p4UJsVsWtJJPXwpfEmyof/xjmnACmJvWOXO+xKEQ3JrWDm51jTxWkQZUbB5wpwysTm1/YPtqe1j7x9AvwPAPJzYcvGLKsPgc3d3TuQTIZ4VT9VTG5RPHPKZUfAQ0t0BIfBJr51yNrfh2pG1Ix1PBXc9NUI8Nfh2y4Ei491wDU60DZf7XrAv6EvSwRU9zL3i+/z7sD/mgzxYYXr7a2yzNRTo0kMOCjYVaqVwn4B7ViuQNAIFELAO/3CCQrDNvglhKxns0x29L1+Z9dy1obPxuPKn//xITTIVJQWRG04PwFNxonHq4QnzhHGifqpuLbnY6PcP+I6gY3uyCOD+7XJ49+/sEpUJQnZpXzlQWcVjTVdPbp28OV3z3PI93qurHGiVH/q/hIYhYPfLGQ4CZu8YtSqpitqJueV0pFJa7Mb6ZxhjC2a8Xw7cNqMLBlcVpOiCaXCdWNoc6Ze70k0DHMw152AOVMOlP4Z/wBu2gCP26ePgckZJg+X9GYTzUVQKrwQc+xLsxGH/D3QG8ZxvfN1fP6w20zmgHNuyMFkUdHEuTeXX8PPdJ/Tb79eH2oQY3J1dXPGAl4Guf7e2Np/agrpMv2H37o+QZad8RF1SFEkWwQnFqBboNa1jktZbujQALv+M2GnEoOVqMoSdSXQMG/IhW0pIieOJQt4PsOxfPsQfTjPtT0EgOxgkO2OdcWVSaUhNseVj+RdYD6ILmdKJt2Hm+oAQ5c6g93WTtbFasvaklqypkhrRIlokM+KeXWLy8ounzmrvewOG4lMfv8Xo3pG1uqwjqpOFQV+rUfjgySWVA9A4jcvEEJKMHnSinVhHNVUTejIu1gWBG8CfkQZotprhlfBK+Hb8kcRJdHsRsCXKWMBrOkVaA0fww50X4T9C9UtWGnlbXVIf46Ja3C6qi6rO+pgE+cAalzBJS2lpSlqvhdckU9IlM3w9DvPr7AfiJC2erkL/pHl2xl0SpRLTfyQlok450FYjDEiEi3B9/DFtZDCCkNEXmJS+ZQcTwcRoIplIJs4lgvlgPrgcXB7l/yxN6ScT78Do0nSE++jLEFtiU2pKRprgTtpwylVJlWKSODh/2GI9YPYnruvoN6IiqiLol0pTaVK0PlRvaVqm2Kl7Lrn7C6koFaeKU8XTj1uPpaK0E74efjcSiJVg/iNUd1KRaqsr6sp2U21qJU3RSpkm/jVC/ty3PgklQolE4oeJHybOJc4l4K/Q779zAvxxrv4YIS4G2ySi9mcYyuFEWngtYk8pWSWtbJLBJAx0fiEnR3VKyHKna6dr684eA06IgoPdxR8LjSHE7IXJpGwFDdB/+jTV38POTgkAZojhOQVrECW7bP0ka8lrMMXaCKN/qak0MQH8mc2nltJUjGQFYrA0ah+K2xJbuZWU9aT6pJqsqiIArGuXfuOEzfCUvV4NV6WWtCAthFvxAC2fF4tSUaLUnV5omVILxhsRI0KMQ+jI2pHakVq4Er4Ns59utOalkqRIv5Da4fcigtt/BUZgKt0n3Sdb6rxa1IqZOcDBAfRhcwhC0MMWBrFK12+8q7SS12DM2RHAHyYuDll8A2iHDAh5UgFaUgV1CdcVjvE3f+6QPeod9Sa9P/H+hF5RsEe97vp0Rqen9bYdERywWf8jxUgxuZXcghkzdXPg6fD8Z/O/ILVg/jEB/rppSw0KFvS8tz4JpS7irE/Spx8/OmTDfuLbXwe9ijf55U9Co6HRL4NeCqD/igGIiWiq8+q8mtkWt0VVUh+qt1QtW0zWETpEYTT2nc9HzyXPJc/95FzIgaN/86erlH8R4AcOfyA9/kA5BONvMNpnGLNVYVvYpleAy1SPPiQ9TmJclksjvI//OfQJNURV3BYd+lxTFEZfUixiRhSVAdlWthVVUlvZiBJIfaEIlH/okhKx07qLf5e3gIRy5UeKMIreRtu2pmt6hlHUIP0aaeN05XSlbcdXvrtCebgdXunz5zhJm+nu6e76VmQ+Uozb0TnGv5gsBCagAmXOb8+rW71sMSVWH0YP8iRZebKSvJ40k5XkJQDFZvQ7sgDclWV0AG3T3eVDBJmkR/SIruoq7TdwAMVUTMCRKmo+un7W4nb4RvJGyk6tfbOGSfLj5MfJTwBfmoLQkQp41sLktDFlTBlZuwWSzHZlGvOO+O1D3lHvt3//7xI/SYwC/J5SDx9MU/5IT3emnP3fk6oqpmrP1mIpeR9zjH/ERE1MWVpTa6asp1YKgGCSeZC5h9CR6pGq1IrbjDuAfANe0ef/VJMwkhWgHoBt55vRk4v/iN2XjxF7cH4jUngtvAZri0lwQpJMQ4CYJ4nRV9xZcaoNxmP3Saz9cAcg2Zl+fMxKmU8622bKmn6s6uqcNpfJOvNnS+h0bUrMCsCfJXNQvvbbT9lacaf41Fb0lJ40lI56Mxtg+IuIjGOqloK25+lKvKBd0C5k3urrr6DzhWvTt4495oy+lcwZvx1uxOfT6bR+2twsS48iN6SoJEk0wlTi4tsRWI676kXtYuriN+1MO3kteUl19BeoH7AdDiWlpU0iScxSAi1A+ZHOkU7YjuhZJp/NcDfcBRqPzdH5Af5JqESw1ZXtlad2ciUJb4Bbg/LHlc9AB+xTsxz82JqgxZSFlGEapqHYKUOpU1hCiEm7ZI3N35Pakxqs+2QNeLDG9flH2kybp9dOX2u/H7/+Xdij3wg/jlzq41+lPNbUn7rrw6lP6aultJRWimhtrb3T1hxIEbd9VwNI2iZwBcgC0VIWlIfqijt/dAYtVVGlHSnVzPwt+NmTHSXt8BeiopSdvAHwlKhFtajNp4hG1z9dP6DVE4XqGNu6BhJgQWklqymfW560FEodmFgcJoqYhBXWxe8hdMQ+QrkRYF3RTUMlTPdTObhyxkdpTyumbEZ/mqEayY6aBvqD2JdAR9KlVrI2ZabnW/fju5IiWeEbcRXkx+D4gIq3dXVJ1VU91dE6GYyQZIZvxWFkwFnWnnz8ZAe/n7yerCVvJ79IMfnaCleT11M7yZra1u4/6aoSlpJriplsYUr/YQtsKtPVlHWs2oaZs6ar09Vj1WPVewQhf/5by/7V4GpwNfVlcvXc6rnPj/7fR+Hv5eBy8HpPf+6C7uzqVxHiSKAscntvsfUFEkS1FBN4oKpmYwiBxz4iqoKmA1Woou1z7qV3O/KlqRa1uQynWqZkLqR68jlpMP0nRnELGGb4pboX1SPY+ghbyZqqpGxc3Ab93FZaSptpG6z/AaoPTFEeuEkkE9ZXrBh111crXA3fSj2mEsreYfrJIH3YEpWlIFW37b38a4C/WMCle/qNqV7P+tj6ksyUrRRVW9U1WB+Pko+Sj9S3s0z/cdePrRZV2+m/7uLAGR9JVVMtbUFrpT7YWUgZWlRbSN1ToqrJsjrFiYYAO1ojRZ42tB1tQ2tojUwj85Dify28hm8n15Jr+JPk2pM19TZeY9Ipo/T4K3BnS6HaUbKj3sC3krXkFvY56+t28hHob3j3yftPN1LN1Na0PW0nP06pCDHbZLJyzAIK3ZZ2msxGyXabLv9K1tR5rYiJOr9tUf5rqXPKnILp842IHYHdgQ07hLYN+mmcMA9BDz/Uzq9uaL/Yq7+x9QcY0+ZSJPXF0y9SBECb0+a0t8E+4Ml5ZZ8piRe+9vshl1+gG0TfsSb4VyyeR3T3dNhL9xRf0x3G16HfhH4T+jrk/bYdcvTLiB2unq6mW+kWJi0UsYf1S0mXiNZIbWlpbSv1652MpqXIs+t5paFeou1vHD737Q3Q6NSNH3rPeUN9iFL58SgSUYEj7uLdJ9eeXMO7gOvkI8wpMYf+BU1I2ZqSuvH0xlP4/hhgmkxfcvvHpPOUeLq2SZy9a0++A3/LiJhMV6Yr39hEwQomGSVTUprqr1n/IzZbm8D5tqkWpW6pjv7E5AOTDpiYaNtSB1Z7T/9ka8I20VOiccDZ2adbH3fVuKqpO9s72xvqBpVNG5kd/KhP/0k7tZKyn648he+VlK2hFKH7H1qucVob9hCpAKw/Z//F9FM9Mh+ZT9ERgHa0LaTs6WvJWnInuaJYbP062rGjwQKngGdM29MgXyj1A+1TCWFtM+pkK7pE+bcR+SQiTAlT9pQwJQB9Si2pHb4WvhaH/VtH6oTXAHspAlLpqa3taDsp+qnZdH7KgOGB+kx3cucnFjclyjOSplqyLzypYKJKqTWlk7yJAwP8y2mhLQA/At0rvBIH+dk5shaJxnyYSo+n9g7llWw+QT+N2zEUt1LVFH3v6E+J1kw1tVKq6eAX7mgAvwCca9B/TdNSD7Wopmlz8HwqAe3wyumV0/bpSpvE1cjFyAPYfUiOfSYClnGKPVXcthQlZauwe4CgQcdS5fBMW0XbRN1N7aZICj7fdflX8mF6If0QKLjdjfgimUgn4otlIII+okRSEZD8qrqdXTIN2pI9oJ8aYoPuoFuYKEWzrtp4qDyiMMBUL1CLZCdjZVqZh3gnU8zU2f4uQiR02obxpVGbRLiw3d8fKQpWVFvVjhFNw/a2sm3D+tGUlDJtZsqI5UG1I0vaBt5Rd7SNJytKVCumbky/N/2e0nXoD55s0+fbJlL01I3Ux6n3pqu0nIvXY6ANMZ3I0Y9SdfWSVs+87dKPpDPqmbLbgsN/7HA17uu177YO83tRu6iVUw80TgP5a0oLUgu0MVgv0H5qJ7WV2kntwNMAP+G1cCdlKc1kLWlvCzuwD+ZSEKnwhTLC+DNI4GwR29litrhpS5ZkhT8J346oMZj/eaBlJr2YBFOXFDFFqD0o7eqfySrMT2YuM/fUTlaSdH1pYqaEENUeiGalrGkrSZ6K5jxYGpJddV57y7UvwP7sd78O1757PbXDPl1fA0JSU2pGqO0kRVSkku22StS2RnXNzP0+/1HwsxX5S7xENliWMW1D0zJA33qgGClG7NO102tTBCubdkSJ2JRmSKTPf/SURXXK+ad26nHKTj2etqcfT1us/XgX9DG8k7yRtImtimpTfahtaA5/i5NY0dUPlSIhigQrPFlTJGXB2d+jyOLU/NT81OIU0B8D5D5/iD/Z2y7928mHoJ/A/vIIiazEHfrdJKAvxC+E23FV+hcWP6IoGX3axo2sbTUse7ox3UjZyrzSSFL9PWJF5kEywzNAg4WdJiZqlem/oDvGwa9ugY6yXdx2tBOmpSDEYhlc6y+2IMkNtkQlltbmHzWc9W+mHK6oGOCjTxEsgvYM9lOpG6fzk7wN0TFk95tdkH94N/lxcht/QvWPbkTCLv5aT23FSt1SLHxDmaP6YSbSkQygN9XG7yUtE+QGlyKp91IE7GvhtfiNyC2K8TVsm8ZTi3pRO8k1VQL9kPFisH9Qrm+x/Y9q9fRTJp/M1PuqlRrBhOq3OmgzGfp8MRPoRpqxYpyoYNmxtwUV6JmuIOzsr+J2spYCHcjS3iJ75KfkaF+Y4uVJlRDYhSTXevoz7N6pbgNvR/sc4G8wO+Fq6laKqNdTZHrwDqaf6nE7TFcfaKegP1M8Ug2a6s8oTty1C0/etgf/QnT24jadO4e/O/23kjW6v5DirVhLIxpwlIxWftrCLUwwfLZUCcY/QL9W6sYT2MfUkjauJj9I/S3MT0SPkJSObbCxbOvb0M9N0IY0jtpHW3E7tpGytQ3oQYrsIKYbTN+Yvj71hTO+mmI60tvpH/DY6fcyliufIfMkxYD1dCu1lbJUSb2u7WQeI9DudRe/TH+huiTbo44MrD+EiUpAwmKiCCmSepy6wcopfexgK2Wn7BQhAYYdyHGZERGKb8Wr8WqKaAupTuqDp5WnHZgHWA2OfQ30L0uZx0ShK5AQbSfDuXc49ENgf87mgJBMfZqkmkpJWcAGQpH5cDdOMtyzFSum7B3hqU11RSFlqyLsP2B1w5uub4QJIbgHGdW1/7j0jgm5nSXJimphZ/1LSvyGZCsZfFMhqRvm3FNbKQL/Ay6oFRGNwonb0DuKt9ZTOlOpGmhh+AuEUjfwDqXORWxhQqztDCZqBlvqLY1kTITU+WQXk+lr07uAl6f20x5tqhsayCc7shOhM6+hVFdrPSUUz3ZqC9uZv+37f/tANas5ZU6m8QHgh3P9rT3f01y/nNpPFE4RJDGNt5AgGAI9nSbVlXpnadj33W+JRg848S+4O5DTuQv1BUOsi/U0rd/znkqCKC7ix0gYrg93Tza1Zqwb68B1rLPTFZr9+kjPzKeayWqyqc5nM+BhpD2Y6/svYYcWt8BHN9bzxEICgnSxk2HPT9LokyNrvVK9H7/T99v347MEA1IURBvmIkLeDh+U/LrgxlfHuzRLZp7PS3k9w46vBUCDNbD1xIm7GuwfGvGwCBTLjcriDMEU2uIDZ3yozw3ZN81m2avvQ5k9nvth/NKnK5KO7eTKk5XkCrY5nSsJF4S56JwC40OjwUMyy/Lzxte9MeT5vD+/kEHouxU1duwx+O3ZJ3jKBUPot6+wiCRsjzfGG9iG6K1Y6Zn2elG+f4fGx8T3+XddfyeNH+rZ59KiGx/hZiIejkCDqJLpnZM3IE+Qeh8ilsduQfYKWn8hbplg3buRvDG9lWpNb6W2kjfUG9TD3HFoUhk8owL5eNz4KvgXOzVR5zid5nEE/0yVnQoajmd3c+xD9lNIcOPruHmNsLXlE6knXJH68YGD8VtOHA7EEsD4R2gPSnHD8Vjb/bg7J0mRj9VndSE6gUUo0Dv0KI0vcH3vbtyg61kXFqJR8D8ANTjWTtfq2aQ9WJCipuBmZSYE7hKahAjNZ/TZGTGzDx/fgyM8gmHbQifW2Fl04nss1h9Cogtm7HmnDxwo9f37LLJu7u7cm8WX518usYzqGVZ/MHP8UGvpwfg8FmEEUYyD/gvXouuOrH+tUf0aoewB5ZPNY9V71X+6OUBd1gFPKLH4TsjpX3xz/s35TIm/8EfI8n/hj27/y5bOs/dgDI2zGrvQfxg5e/ejKJzyEsMee7sxGu6vBMAnzDPExwDPgH66cVZOD53xyyJ7i3DGWAc+gy2uPlLv7kn1ylb5vkglm7JkIdAZkBED8YsQEQIZJwNdGqlGM9yyCFgW/woxH0YgK3oIEsm8ltEymqgFJqcmubrt1ofzA1zH9zizFeiOmFnT14o3zXvgP4JSbHPSiJlG7hxwulASL6QHni8LfSpnfIHSf6DX/yJepBFJoFeAJfDi5AP3+U7ESy8CBuiNvdkJGUzGuSyRxPgixBzEAYtE4XbbkQvq21A6OQfv/vMJOVLD1lcfhLtOBjJ2hivXyxfUO+Hnxof6uqIS01XIEmNG49twwhoFkIeetYJey5C+Z8732GOFu7CzG5+fLDbnkM5OCPjssUqyEoYT9syz3ZUlWTGUAHGP18mKSiLU5A62Z1WFDBCGewCRtq9akpOagPqCTNm8U+PEERrAFrDryriiKpwSALuuObY2tlZXGopI8/NA7tVJURNjNCd63AqvgaV0XK2rghqNOe03lWZ4xfOJ7xHwMdWGEyt1gbM5CEDVZTNZC1c5wUcjclI2ZDc1GohmfIEAvcB2PTIeUXe5i5GL8YupdqY9dm3sUp0TODHG4sMfENk4ZiEaA5CyxiqY1MV7Nw0z8D6NALcT3lDicML7tTdxOHH469BvEr9JfJ33crbXC/HRntq4opK44lMCNqdEwFqhjCt1hSOcc0DjGIEDO9BfsBsoerI7Pt8oinMM/+O22zpnH/YepvbPxNczXt7rhyNMuqGPWwpEKxKpFb6Wup+0xqs/aBkLnlYgwPq/SWQD22IjYGcamcYpe8yst+430/dg/Jw0rqTsET1uCXrKmtTv0Wg+THrxx3qAyChlx2/4dgQBIgFStoxOkXpJePu79QPKoylT1k8Ro8v9S8yxTz0QTjQzXV9VLOM2jkwt4W69dK8rdtMP2Lm5fT+9QU2BsmrEhqPiAsqRNdEcLqdk1sUttaW2xlvjrZ126lr82pF3Y0itdHpxaS7/nr4FcPL2ydsnv7jz3p2VveVqVW2mto59cfL26Q/2l09Xp6lv5mT15Hsn3yPEAPsW7G97kTtg+6P9pZtNxZFPyWpqC+LP3Bi0sfeOkbH3Nll9dNI6uXVyC2+hebKF5vHW2BbeUi/EH1gPPL8e/v2PYQCuT8tf1l8uvfn2m3N3z989T+XbYnSw3Nfpa9dLi/vrLy0y+cLgrT8MlzP91MWPpzIY587qs9jDY9Wx6vStY1tj1WPW9PXxKpMJbnw+Z8D95etlq/zbsnX+4VsDz6cRoMsMPF4AePG8VNKHSqVln9ez7M17ExAlHuT10kCEK+1fuBoQfSJXFbpiRoorSr3DMq/3sy/irhudClrS70znfLUdTHw7EU0sJFic1mhiND+SR1U40UQ7k8gnEomjCTHBwwqHcu8YRFnD+vPiZT7BoPx798pJpRBFiFvOeHvlH7FvfwIiUlh9GkkQiq9+b/X7q2dXQ6uh1YnVmVX/cnBZXvbR9sufjoYYlD93r+D5Y94zUYRovHwIhw45UP7cHzoaCnkT3jG3f5/6Q/5QYBW8iNLq/x7iwLXh5b2SV4+64190+nU48XL+XD4E8WmXR/lQGiHeO7E8sXp09U9DfxriQ3iVD/Gh8uf98cH45VUAvMqeE6TeSXlZXn4l6uQvsTGMOeFPlD/yJ0KJ0cRY4gefLuTRdYQ8y1kvc7aUvxRC3wodXg2dS4TyFO1ep/2XVl0of+5cLb+0fHx5XGT1oU+0V/QbQ2+W5WW8LPfGfygUXB1dzZ4D9w7+HMbPfbrohSOgMI7y54dDoyF59Y1ziOIvvhqkFOej5RPeiRBenek9Aa9OrE4sTyx/z8sDfXvjnwbPBc/FPw+FQqH45y+do5B/6dO8N0/j8yC229eh+yqIflbS0hc2pwpKVEmCfFtWlo+EuJC4Gjz3sxD0zgc4yCfyeTp+gRM4sguCAbcn25PtY+1AJH4tdenxI4ETYqz/PO31oVAyFAqJq/7V0dDPvH/ilZb1nyIEcfKBCG4LbdzWIpMRvDtyMXYxNpeqP+aEEUZfKDSxOrE6Sz8RG6WX9/o+LQ3ML17tf8qreHnUKy/nwP/M//zyz3+LX8Yvl397/rfnf1tmb8oh3oLzNYKokR34SRF8Y+zG2A18I6JFBDWqcuPcHdvFfw+vq3hVDP1Z6E+9E8szlL6ebdN0waAxvOL4/Pg8dt7j4rj4gxJCk3Ca0hY1coN6dHbIjvZLbUm7P/ng2Hv3brr9d3sfDMU//9652XOH86H8RP5Q1Xk+XWGHQ4dD5c/RPvopL+dW31z9q9XC6tJqYfU/Ulhazi3nln/k0A/0ORQag9qrGTqKzLLs0I/gPeQNrurn2Mpxxwj/HfXqD93xB1cPhSAH1cKXwdX4anA1TtcP4Bf6j1bjq2gVrZa/DJ07vOoF+lj+Wd6bj4oIcZ9mvd7D5a+9hw//3a/+4fD/9T/9x7nDwm8O50OJn1H6iS442NuCPen0VirNYkQFMSqaXTa+Z2MOjYXGQjiEQuXVmdXy6szyzHJ5GfgHV89yQoTsgr2NfeJdoECt/rgO9BdFMVvVfncDa9KO9Ev8yyltKouz0luZotZ41BvfDB1/nK4hiuEefiESuvylf1Wga/TCOQSrj0Y3xJeDUZf/AM5Qb3bw6qj3W876Fbx/4vWvxj+Xf/jGqoO71WDo1KfH86c+LfyU0ffhEKZcA9rADoV/zzuzDPGzsJKB8vGq++ZD5U9HvJQCfwrrD9eFNtmF9QNrEHCA21od19E2eRf651vmQ/jzY+cyq8dW5RD+/ERIW/2fQ79cPpv/X4E/KFgZt3FTLmGIzrMh0BTkFSfGKP5Fr/rp2LnvnfveuX9/rvj5oVD8858BhzoXWv7W75dEaP+wFzAjn3tjFYWm6DimVke94eWX8tA/YJPl/+9PXvrVP7z0dy/93dTfvX42/g/Bs/FP5bycz71G02egSDl5TY6QKTSFdylcU9UpFT9q3qfldkRL3pB3iIZ28A6+gT/B/6K+NVXEjebDofwQjnym0tkLeTqoBKbn8Muy32YcHqLbA/nSMv0lgnQvP1aZPAo7kKQw9uhU2ZgD/nikdqQaXkle8y14DGIgA9ueFU6g9Fly8AdAsDqujqtYHZ8DwHWz7nmftm8TAeI3tVIsHZl/cg92qZS+JcBvLz/PEkgnf6i8CmefQonJ/Dt5z3WEgvSFg2NLZ0LToe8BJKYTYwkPsG9Yf8FyEH6xa3RpNDQW+gtYIaEzCYByPgf0JeGWLMkSJiciJyKnrp28dvLaZx+vAzzafBuhhH/UPxpE1MJ1xguZUjwsvZpfCuodJh+S1XHBlQ9HaqerXxA4RxOlv8DEAtFJC0kqzGK7HYlERtSAGv44+ci4z/yzZE1SJCKpmIZp9zEk30eInq0Llq/6lw6Hfhg6GjoSOpQIJd5MCPlwXn+Nju8qCn4/+P3guaXvh74P43PmMZBfuM7q46t8kF8qr+ZW/2bVG+ITvo8WE3yeX4465eV/hPIB/p3408REYibPv0b1e4tLezpxS7rL3vR3QC5z/AhfWmTZDbPKpN3UMD2ZiR/HirFG6rrGsf0z6z0KoiWXR/HQ+kczYOG8jlAoGAqWg6FgbAm0IBgBZnpG3r98KOqePyNrIsEfn/yYvUUVPxLnAo+sDTczhbM3p3QAz8GJsY+yef06QjRmspus4VqS4GvJa2T3VGRqO7ktq/iRDPErhm0I9nQ10rIXsi38RVqfslrz4PUMV1W6v8bzJ7dOdk/ZGfNE6xSZrp5665R1Yr4532zu3gT72skb2AKbpXofdGnIcsBi+EfEND1/ADpDf/cvIEK+e5MQThlRTncQIrWpGql9tzZFyDUxEo88bYvqlDqyffqRb8kC/5eOddEiW9rWKYtcEB+Qe9wQ//cHy0F/MBv0L5WBO4ac0SdwIpQ//xpCo8HyP44GURB/MuFwR7zKJ/BHfML3aek1hCauTlydDU5chfIe//xohM3Ra2x94WCBth8K4dU3QzgxkaDvT+XXEPIpGXo28KQN849viEX8WCwGGt2HWnFyDiFfMEMpAOjr363+oNeD8kcvfXT2v4N1/2SNvkm2jdvwbkTI9tNtsm0+2v4XhA4F8T8eCk5dfemTqdVDoVAIf34uFP8olIh/FMrHm05mDpudOdUHkonSgtLect7LeZ/xwT3lARphDpn3nkm7ZX/+0KfZxJ76VCs7n/CClp1X8mgZsq2Jpd75i4bUUBqdxpEV3wq3wjWEX4qxdOB33eHn/x9e/6cBYB4Jf8J3l7VP7fs0gpI0EYV4Uyqx495wwox3e7g6GhpLnE348tLv9VUPL/ASD/afXv+XX/7o3EffThz96OhHwUT89zRLbJrp7wF7NDEawl+f8ca/HA0576Ojb8IBJxonbZPG9MqxHbKDdsiOspN9OFkX6kI9s+TWD3rjX8reH//en+i18McgbZ+KD0iLYhxDaTfLDAV2KtHx90DEfzPdTXdaLDK7TmGJlVO4Zz8UTPevWH0HegBnAfVxHRfHi+PzuIR00hHnTj06kc2gDLpHDCc3UQ4dBGU755ZDNudu4UoP1p79Z7Ac5dKvGJDl8BVrJlfIFXKv5/aUozecVuDzDavfPnyytt0nsHtylV59O5/L55YW87m/KcHVXy795xw8xalv5dDrV2flM9ac/L9YZ+RZa1b+iXzeGmi/8oo5cxWe+ew7yN55+TXJLT9TOZPLyz/uLgg/Ls0WflzKy3/++l9X+/0HrrT37GL//CL0IF9hMFOZuVy4/HpJ34M/HenSvFJU5jq6oXfOr81Jb4s6/T8bH8Vct8AwA71RXhN7/bfycl5+w8rLZ9AbVh690v3f/Hn/j7r98hx6pTMjz8ivdJ5hefEnMwBvLLrle3Mm7su/kOY6+AXlkhh2Tz1XCelfJ6uKCPaN3tn7ogA+vczvhlpByLPGKdlexgWWf4GdWVEUWXGTow36Bw/KL8BOPRxZY9LAPX8P9R3/YS1M/Yfs/Nng8xEqX/b0oGydr/TAcvIboEHfA/jvRNgxsLwYvfOX8MRM6fH9ve17Kh6b5b7sn87s38HiT1WIXqqSjIJUKUXUNoC2rW1je9C/CedzwYPHzm8DQH4GsOqIreEe9usgpMwrRRbvQty4CDEFEeJOfFP/1yNGIMNpB9K7Dv6C7J6ZhxwdVc/KcH5KD/JYvaycXTcNFVy5/jW8Rv1iXTEjavhj5i2znBQ9fftlHwKd3i/YQv4AyDFMT6ClaFzCpDi5O8k1qP4joHRWTgy+fpD4Twn+BJwpVWTwvy5a+l2A8l39bu/K0p35Y7kTJANDZBt46CVNmpQmt932EcLZMSrv2Sd71uSJ0/J5mmWCR3yWyXtm4fJT+5j83499WILfikAcyizJ+bF88tzJc+Nnx84ey5/O/yzv/SkPqbJofgs4rdOzfkhp8Yt/hjNvR5oi/YXTIApm4x9NJGYc+9hE4thHE4mJE8c+XKTPF1EMq+rJj+9vR9Tkx/I2+Zid30mu4TWIXxSN0x+M7566eAre8BnBu1/EIlKkq0rjUu987QC4qcMM5xfisd3HPMV+aZKbpNqnUw6RDStaU0vjR9pIqoS5U8Kp6NR2m3tiu/Xd0z3wecySjVO2bBjGJmFPx1ZGZG+4lhfAGg9Zcu5VnPoG5G1x75GNydZk80SjVa8z/7UdRN9ZPrp6dPU79A162LHVce/McuE665+MTq+dXBvP4p3JpezDbAt3G5nGfLPYqrvl2B6rnLJOiKesU9Y4GreOif9Uu2OSuFsuixgstuR09fQWviWL69UH4oOm1TufjG9P38LUdo5JRjpZO3n9JHlAHv5zr3wDtzNt3FLKuJV5eMo6YZ3aaT7+7BErn65Mv4u70x3cmSZghwBr98mtVtNsOv4v6VTrVGmqPK7hnfQStvHW5tam3Vpa34bzSxAZgYmsYHMc4x3I3XLSOnn9QfWr9+9sD/J3mtFDohl+BLFM6uz463BWE7BVQyyJIIoWXoHzj+w0JLY4yBOkR5UnD32+DGT3hLwg4N3ROUUo4WZMUm8Q4nsUTW8/iCFPJx6leUdZ/Ak9QszyyHiM/om1gewMInAxsSW4p/c7A/lPuiL73UZLFEfgd0+VcEcxkuYx6WHAzX9CiJMDwYqJETg90hnr3EtnAq4HlRO4xnhDa8TmY/NiOqZESkpprHnn1336BsqDtQ+uk2RHNsYG2j8GeTUak43J5uT8ZCmb3lGEkjAvNHyXaHyiLQlxqn+RpjSfLWWVKaVdas9LND4RftUMItkw/HTcPIY4pjRO75a4ea7JwfNL5UoiOBoclctWjs/xb/wRft8UfstVVBZGqP2IRsTJDdxozovzeF5Mn0qfvPnZVrNxmj5fIlkja7QNiZBtaTu+3d0Ov5+sJt8fV+vUfuCrTFuDsgFbIsxEJ7DQjbP4bFEgO2RnY0fVohl863ctXBu7hW+NPcZ1hLRWzISoG5CwzLerImyr8zi9m+H+2dVwnu9/2as59LJAiyy/kau/g73/x5/Ss//5wKf+3v5h0MNP4e7SXf3u+ctgIRJo+ZJVvDsMSwP83fX695/KfB69+I4gCr4TnB2Ad2JnzFf6CWQhfwe16YheiLeJW0FmMuDhiq6gheH6Z/2/8uf5GR68MK5+2FT6YNGjJUByzH/rZqvC7ORqDdcUJ0IF/PfUUx2k6eYXy7Cz6vXAeX5lEfTK5ZnLM1dm1maMVyozlcUKWF/RMvy+j6sfsRN3MIvfrfgg64oRLYF/fmDds0xAVkbcomf+A5YoMvvVojxD4c9t+FykOfr7+SX7cVeuJhynGEci+4UKll8c/5FmmPyD9CZA/A9S7weOfEbXaDmw3lnv7Cp1pQFeKFHysV/Hcp//yp7nU/+vgYyvKuukjTbQut0SWtHWQte4c6nOcZzHyW/ks0QppqiQdXjBisctlr0Avml+sopAzwArvfwP/Txfg/qXm4WkH8nF8nP1I8tYpvBerIzkcRIclPwF/6t2wT/rn/UXrpSuQJ5MuvFb6K8e9smiV3rxK878cZZPDEin1yD3UMBa4gUKPkuA+V/CTiiBoyHZ8As9APfshjCsP4LO6FKAz4jS/CjgX7f0JoUHNnxa9DcwwF/u6r8COrB3bnxQl2VOg08MefKtqAg0xOjHye0ijSxwhm8hGjf34Be2QqUPZ4Oz/rP8f/iygAroVasEqlHQ+YXoFmpajabRNB7YTaPZaXa+WbuzVpc4URBEzo0Pguxr37355L1BDuPOT+lm4Urh8iw/6z3rnbUKM4WZ0kzucu6yhxck9/x/NP30C1hZLHd1P04IsgO/05lFFGx3hf+KpqiARej0P/eqDT2fNR0OEjwTyoe8Ier/MpDRNdZr69W22F7a3F5fA9hV62qDxWcgT6ckF+RX7bOJs4mz586eO/ubiwL8xonj30O+7jt+2q48m5nlZ6+cvfKr1/PyjMIXDq0w/vAOmrXO8mdnXisUcoUPCx+Wrp4JnoEsv16G//+zcsG68PDth/MPf/7bn//2wptLb+p3z1c5kfJXydftllqt9RqF7ib9/uranWt3rvlGGH3sQsYqe0Pf0Fv6JmnpXYdCkN7Pb8Q8xzTXzND6QoizSg7eXrXPvl64Wrj6TvAMxR/7/ZbB9eMdiFbrxf/05pNRMT3ffJNlqxjmPr2+WIPRib6uIGlSqkvXiBsd1YvPc+NP3d3l3vUP/d8V2wystt5W2squVJcaLv11cYVlM3TjJrHVjQ/Ul5Fckl+1C7lC5VX/bLDwYSFXuFK6fCbzyqcsBCluB73B5e98SX06Xwe93/4SDvONf5lj/mm0a7eFHtiQG7LbgtnhIiMjA/mdtk/UT9RPLXWHckVBAOXF7tnCIPxqJv9XM3/F/+dDv6HySUd6V2/bLb3FZtdc737VrdP4Gja/PtIVW2J7qz3PYHeL/vgFgJN/bmeJrDx9/PTx01vf3PrmFpG2pXu37t068lik+rXHficxC2DPOt8FueTy8B5+gPqdNZB41R4oFzmzJEO9wn8t/LeC/GO7ILv1PUb/fM0XTiyLSn+mGDcVN36pP3+WO4u7EH4rciKN0JKR/M7ELAOrILMe/CqRT/yIxSfB+rJm+bP8q3/4D+yuP8xK79BfIkJWb/3Zs5WzlbOV16xCpVTJWbne7ztw8POFWRbdICb+jNl9EzP0P0De9PzYWvKmOj9VvF+PoCe9FcTWj8dAC13U7rT0VnHz8brFZqc+P1JENP4J8qXB+DbJprgJ85PZzbDRcZCRlq4JiPwFy8HAXpvG37D40Kw12ZxsZi2aqQ0R0ouRVbgOow9ibwgbsdbCJpXRXfueYdQRwJKzviuFCnDw2fSrdwszhdyrVon+QJrPsV98ZXNFYR7pGfN3132+PfSJsJ18zADDCb6Mqo0Xx+pyx0jTBNz0+S20XmuLGwLwppbZNQ3dMLnrIzQ++avKOsxsbcNs6evdzUBvfi0O5Lv0Va1lbvbpW4f6d2q9+Lqh9Vm4WvhZYaZ05UfB3HF0l/NS/t2ikW2GouPHShE/phFS/+PUNbl8p9HXFyJdyLgDcnIgAnXRoX/vbH8F/HD23Dtnz/zmjNdje7yOfGhs2q1mq7VJWkqrs1lpZ3Y7YJ6F/KT784f5KtGGNS+mA9UunI80mYeO/Rrc0lK+91payuVZ/F3p9cLrhddftal0OXf23Ve9v/LmvT/qxd99VVuvbdqOBKhtki66U7sD+rXg4gdWBsgo+HzHYmuTY/ZNuSQXXi9cmeWpdAUpaL1Ds996LA+PEJ/jX8cFfoZnvzE3g2fGjo8dHwvhH8pnPZfp+D7ZRW20YbTIMxlZbVdJ9bPqHZop3HOzj18WGdqPzoU4Zxp/AeOTC/0eXilcedV+pmNdOeP3+p34KAnOaMVraAF07Tg9URevSRICnJmeW+TG+o31tU2yvrb+8frO5vvr17+q3bl95wsfjY/0bO0WN+bajAs7n7tgvhe4DHv+brFdbNvtIgVKabs2SEimQbH1xVaYZw3yEzoZsaQOiz9s7Lqzr69bbWlDaZMu3SPA/kAakbrEkIwY6VKf2ZMq3bEKigCfCKECmikD9eZetc7OnJ2Bz1/N/MjKz3hnvH/t4mfWAu7m8rh35JyRMzzKyAjTr9/hZ/lZa7b/yb9j5Qq5yw59tr6qrl/f3Fmvtdsb99e7u9ID6c4aMp34Sbp/xl0FYftk68QC2EwG+RcSuVrXbC22G450WWvbmze+unHnxp1b1P4HHm2iGHCCk8WPKuiYNSlOiveshuj0P1fIzVqFy4XLoGdBHymFUfqC+NvSVdAqXrXPrgK8aheulq7mruauAv+BX5sN2MEKtl6vxK1gBXJ2sh0U2z8B/e8qbbKpbCptm0p3G1KLcE78KcWOg5sCetU+6z3rvWiDfsbiV4FjtlCPOqA+qSv1kjAvNgKw/++gzlc32+KGb73bQpt2S2xJXf3ejXuXjrwnWvT517+6vgnHZufac20DUktvGLbR6Dbv0/oxn9mlnAtkr/Npgwb2wNVviK1sKBvKpk0/ia00lHvsRAJx+PPrhauzq3/5V4W/nv1vf3m8MFF4852P/iLB5CfKoaUS0A4Pb/iEdVS2Xfnr6u9wqgDOl2Syp3ZOaCc0miE44/BnssFttFut9WubgRZitO/uH4AjMa60tATR7a/8fiYB8MrvHf1GLstoKTuT+K+J49mgfDzXeKOnD0J8Pcr9amZ2ZrZQ+HA2+JcjhdzZmdmZdwq5D3NXPX7Kn2D/Z6+vtIWNTMtof9Dm2twugVz2HOHY/sBuNTZ22tfbDzeePkSbdrfR2Klf91zndkbmYH58H3zl5NVfv9a+1m5v7hLy2dp6Lfke/f1ptBtv725e23Tu2Ly2uUuu3bt2zw7UEN0/wGkLsN3euUTzN99ydyCOfJORfNGGfR+l0MTZBKzDdybOTJxJU/2m6wP+e219d9Net9utdnfzFrl179adx57Hnrpb/+zy2a8LV169WtALtR8Ls913/Gf8Z7oev4t/Ktvszfc3djbtjeKmbRcbxUZRWAT/tgARI1Qnhhy5g9kk6f72kucSIevvrb+3STZv//98vX9sG1d+L3okaik5HYmyNr0dljJJmV4pm0sthzvpDHU55JG1btd2+rpZN369LXq7zGrBXLzHjdXmIZcbKxJhG0pQEPHCuH8Q14ZTFMVDsbh/CE8LNkAFmy4X1EVBRxf7xwV16YpMHSgXD9yYDgNyHB6d8/w9Z4akvNnn8VA/jmbmzPnxPd/z/fH51O7W2N5u99HO1s7V8atD7/P9MWlJbanDaIImKO1stpUOayultLM8+i6PbzdMrcb42GvvazVSI6yyUy1HpUvjJYSGzg6dXafnzp47ey4NeyjQ4NIri39/+pTzJH//xeEzb3O5dRZ9j57NwCx++8bSjaUbwzeGJRFfk4b5Z56d/B49+x9f/tnZ1Ln/vPbS4i+/O8X10wIyn+T43G1X29Xb1WQlwVhhpVApZmF9d4D1j+fAQZ4bNiWevyO+V2Q0OMPJ2cw5+kfDP/n26X86/Rz6klMAAf6G9/Ivz194+Zewdr78y/NTL//y7amlf/Od/w6BqUI+vc01V1s2cflE+AoY6etPNVpBXAMlVakrFUkB2fkBo8zsyY8KqrH96n4VNPwi1++HmmjFrOxlq84aq6Badb9aa7PGTnun7ayOVvv7e0z0ht4QvezOyJ/JEd8tk+M/j975ydS5qZdvnJs697ff+0OxSqYTiz89LeYP378A6qyvGTFqHZGvEmoEU6EG5PfYeWMiTlucg/4rXjtSG63R/upYXe5qxeliwzUq4nvGfipyPF55jueuWXs8e383Ss2C3TLwuZd5QorZUgWtuGoiX+OyJZ3Eefbs2TNP5dPfnJ7k7cOxoQH3ykZB7ceRc352aaj5k+Gz9Py188Q+30bfoYvvDY04+fo2lOlaT66iKqqyKkgw5w4dpePEWp8JX53Le2ZtowL9COs/hQwKkN+oCfNPrPs1fnWJZ2d4LPkcXzs5fHI4/jYaXh+++PbF8+vnL759cRgOiH9FCWeSJrl+WgANAOYvo4VUIekCSji+PjFzL7d3t9bey+/RGq1K3XLxQWnf2XY9hEw0B328SZQ2bbWbtNlm7RZHeSgqO01pHSHIDWXNVrylsQNGWYVVOrkO2SW7mifpWBblLYWxdqLdbMc7ZifXYZ3c4fb97fsHLrAf50bZkxysXPvJfV7PKjUTO6zQHMq5XDb+MqZi1fcR8OFKCFNPSaWflaz5gc6n+d4zfR6d/+z8z97+2dJnS8hB+fKZGKVmokq4dgDzgFadXVp0FunQg1GOPwQyq9ateHymfxo3/c5BLZD3DzELNbpf2jdr5f3VfbTfZO375L4pN33Mlo8EHeYOc4wd5hjlB6t9AFqg1b4M9N/++sooX12FfaMwSswy9H6NVAo1kK8lRkulHepqu9owep1ORve9tSaswLU8rMKM7eBd5nK4BL7sBwzWje7+eo3tX66xvQ/2brLuva17W0OfgUY4mmek9o+1Vu32nrm3WaPVZJcWk0VgfDN4/MZHzGw3281Os806bfjH2k1tJ186kJLI2n2+/Or/9uq5V1+m516F4zJdREv/efjGyA14P4fE6INWje63a7drQhJJjN3LFsoQXyLK91+vvSFWDiGluqQoFfn+CdZxbh8AyeSAPhJlMO5Bgg3IB9rDIrZ+54f+V4Y2n9wB7ZqP7fbTtelgp72z5kxCy4n9K2PVWzX6L4/2suI5ZqLYy++x78Vt1IUJ7rM4cn+xvyd8hLbh/lz+N4vE+zrvv8Qo5TtA1pe/VQIa2H2uf4HVsstq2/tteHIlUU11U0Va6jrfhMwdkD8Okl48d/Z79NyYLYMuk6WR7xChfziQY71VYfFWm7UZtU6tFS8+KLaH2rx8lJGmAj3YusvaLY21O9pOfvfAlXQkRX4QWWZ3O++3WRN1KLCUNNEOBQ2K62flUWaWK0qN7WX3iOgFxnau7zCnw+kS9W/JjLbgk3W2+dhmtbvjjfEGZyBMoELXem/Rw3CaaJfdy43Kdv/WWO1Rje01xBPM5eJ6MTFal/BXlJdh/hfX7HKHw9UijP/bbV3qsMPr7NHj651HO0VHy5YPApudsY/epOsiU9JZIG+4OL6hPf/2TLBhVGmV1BjrFNBO3lmVIH++3vSFutE1lYa6zOOhbRn2PXpb0/S2Mv10LKypScCp4F7c5qyC2cIBbi9s49zh9r1P+fxsMz7u4Kze2m/X2JNcMVdoosrodbDvOkiXSzb+N+Uao+UdUpoeLTu5/13YtltrltxoM8ZKrfXddtHrcDom4P5Pcnsgn1ktV5FrbL/NaKldao+yiTYqibEKswM8lJCdKzC2GYPfBkoIAbAnIx3WIYww1jRaBvTiLtklHgwMRWClAlTTDn18m9EOY50OaUIcZM4xPdpGyLV9mD98yNghPaSMHtLDzCHdPSitjR+MU/dBTz7B3AMNkdbofoGxne79rnTJxUR8Cru9t1/L731WI3v1GmP5Hbpze5SK+fmbvHv9/CTLN/BJCjJwf3TpE7B+WFlSq3a5nRO1/IvlXyR/lHopPT14fd+7l/pR2lgZ6ftD+vd//ZNnM7AGn99nFhFPWDWeqR9EfZDEL1K/SPIIkOVrR8tfv/b6z3/88x9/8s4v3rn241s/vpX64tfvv06Wf/H6Jz/++U9uwU9Hy8HruP4F/yTJX6R+kf7FYPnyyI9//vrPk1YW2vInIgOtX/7aNZGXJqxHkCXy2hf9/LE+58lr1wazm4+2v13+2rXXPnnt53bWs/38dZIcufTF2kv/6YvkS69/kXwp+cmR8h8lf/TONn/DkeUvll9KvvTOkfLXPoG7X/rixz+3zx8/0z6XyGvXXv9imb/B6/wZdvk6/f2T56b+5P9dWvrBl2dOfu+X/9cf/f4vz0x9518Xh0EnFPFtp4e/9/npYSiHvxI/nbbK1+ni3y7eePr9lb8AdMcLf/HDxfPf/T/S/6Vffnr4B58vTa3Ts1Pf+3zxyg8+f+XKD74E/2fv/uTHP3/9k0tfLEPf/OjSF+nV1z9JvrT8iVU/IlrNttxd+mL5569/8s52v/5ir/q9z+H+9nnm5L//Xfv54jfieT/48sL5P/7nV557WoN+/a/8gJ796+99CefiX/+gvTj1A3pmaumveuX8KrjiB1/Cnf7g/J99+zv/5Y+conww2u0oz7GwCsoI8ivlBBW4IU256W0u5D7O9f1jg/j5AtfQz48aj++0uZicFlJqlJpH8I+tJ5v2E3/Nv6IoSngzfCd8J9xmHME0vB3eil19fHXoKqICH93CTViR03IKkNR9ielE0/YfcfZ1iJl6R2QWnjx+8sTJ4ydfo5BLgZDi5XjHmXDmkFkY+zlACH3IeTTE8xVRh00G9eD5z3hzYfPjTWGBUBkP+0eM47ODdyCePlCcaansetfiZ6fHh6eGV4cn/2ny25PDk7/7/A/dVxLDIr5X3F1lSoFCC4JxhWNTfrwxtOEwevwv1L3Bkp7U0x5YkZveyuPcUNbB8f0RYG8qgG1H6ooZbgBSqJIweu8/hI5NiuO3XwicOr3EuaYHES16WIEKOjTtFojdbHkcHp6fxmunqqrKIHPaijJ5GHEYzuRo0aIX4vjyrI97yrxK08o/h/gVjla9wayvgFztRU3kEP5fK7dVZ4fiOwJ5vgvZj7OQ7w7bf5UpCvQ7aSuAnccUjlNft+4PIQ8c+5KxLOxQw9vh7Vg2DNcL+67F/oMp4LhDfsd4rq9JIsTR/QtyLdo0AfUg6n7/6PgbgrFBwxuqk7V1Mf7a4Vv98YecPKNOY22PpmqqMzB9dAT3+jdBCmpWqShvKkmljHN1Ax2MXj2K78Lgc1lNqgaOtGQH39+iuFq3xpcYZxRv6BufboxuAO4gsnDMAfmMOfvIVwaqo1Frf8iRsSvh7OG2eqAkIVLTAOYXy37G4zQriqwyYqEQw2cs9zjn4OPfQsJeAwkAOIAw27wrTZvQENrnDtRLKxDAGMuqWZ1navfa/xn+pBNbh7ePtA+vW3hbPzjk+LIax/pqrqDKUBb2Z5OZSXPyveOTX6d8/lI+f+lfiiwobp+3sf1YUnzlyLe0ab+hohgKII4qVAGdTiMa0Sq4emDZj1A8XA8fhPOqylTuuGKKZJSVVN3yP6KIUle3wreVB2RFLYjY1phdHunHvyoJZtUDPjF9mHQkHatifKqAv4egfcM3w7fVW9C6grXXjl9lbDodJ5jM5+9vcZtDfwRa9VcUoqhtta0S9YEhf1wdxejSENQ/YY8f1kORNBI6q1vz357d4ewhx4cV6LtiBPByMToVhbISn998jmPaQsI+zSUrjADCGrMpI8WIvCqn2K68677uflfID53zyhExemCEOiE5VuA/cO4P2keogfjphVvCvsP7n+OeAx4n420LKPU4FW08tNufR5wAXhdV9LyeB5xXvKVvfbo1zsav2vm9gEECe3iBDzLYfjgzS2ed+AAizmblWQN/enR+w2gPb4aZusk2dcqlO41tPt4c2hxiVvw2HV6Mr4JFKb46vLhORRSOLT8nkcCunbqwzr/CT94Lf3Vh5MLID7/2X2F/bxRCLFhYoKGNOTq3EYMomVu2vdSS3xWlolK2r8Lx7PhFYYF+Qw4b4QZHju1q1Xi13RX5xxCTKBCmOfa+qTbir9sjiPWvJ9D/YcKlRQKvtRKOupPvr4Ts5ffnf4WZmlYv448eWv0v7gQ2aPCIuTaJ2GsUpKJcbK6B/q8hgZ3KsjrREjqLl3H5ID1aHmVOwd9KMUQvUlYIUO2AtWUiP2AVmcht+SGX7xa2GuO140j7+/H2x3lHEj3g4wPmdIqkdaZoykPAwY3RxxtDG0N0aMOSn4BIm2IpwNxTJf0DPr8s+cXlA8ybNqPW2yfUtYcJR0K8Xw8rEK6XVcB5TGHWTjnLUnk827dKcr7ECeCsjW3bmhJv34RSEHPenv8KMcjjO0N3HeqE96vzy3wi0oT3zkxGXdOS7EBamz+Yp/hAKkVKHw+MD1heAS1Oz7GcDjjXDGdx49NtiLMF+dPrvwYRmNz9Gcjnn7IiV4ayOpMTo1RJqOnZN+7Vn12fQDrqlIKU1AA9ENPOxri9vtjyg9jjR3Ng1rk+CvaBCTF+Ac1YpYp5SPVVxdS3ldVY+1MNqUM8vxLQc2aXAcXIR0QG/sKtR8yOdkPArdCXYEKbooazY9lHh/iqoCK9N4KhP3G71bbs2wJtk48hZiEvGgizj3OOiQkHQgEUpU4UINGyI+Viank2tUNRRPSg0DfDmTBTN3R6CAj2fASGGb7UrI5uoc+s+nPuMkyDqVA3uIzvgHa7Sws8r1uaYKaUwPV5hnlctVRmZanc7z8pweqBBCYohVPOhi9F2Pj1qHOgf7n0BMlJesiUmDYrQ1b8DaYhJ14NyZhJHnxbkl25heZg/z2bnwi69sTKkw9snCSlpKRAf2OMq3AIdJkY/bg3f2LZYCVEI2aUBkmIBNvRLX99JtNvH5RQVpWEytRldZUdqHEVqWmVYtqhzjS3zw1Y7cU1WmruYChnvx/IFJVqLZWytnpbvKEhdZhDGspyrvmEJR2VEJvfWOAxhP7pwfYBiQiS7zDbb5+W00GFfjCU49ihJvwdAWzct8JMz8bIY0t/BKxMjpdZZTUhO4X8POiK8auI+Rvn9QNJQVWnkegwZNmfxfoE3A2Mqm/CTMBU3X9I7fVtghjlLvlW2Sh/RuKtz/a9BO8gNNB+v5Z/PrQ5KJ1FP0rpCNMrPqpW4tRZmWaPe9eL2QcykQlU22yYxLKPCbL1u4SNN6u24Q0EE1Hsg86toQb3n8H4eqCPhnOMAsIqtJbRbN0ehfJRvn4gaY0d1A4CRm376c4n1xJrJO3FhdDQ89+cCk3610KT35wMvXDu1MtLKOMjglcOKUI6ACYZlwJdnRrkU4Lari2Iv1MEcn5KZyQlUE7VtubAtN128hksmBXhhCdF2+IcbD8un8o6o2WNALKpnse0kx+nYn9ljwmdmRbGPdTGQA8ZKvMIErv9QP4nBLKrUX/4Dy7r/eUCo7MFg7BsgOBCgOBioBgafH5CZzAqflP7jUJ2ikDcBA0F0OeZTuNKhwr/+G/OfuvxGq/6eoyWT1u0972P9Plfy0pQMRQXk5RpxVCCSlmRlHEK5nOnMmsdcWWUOUHL5cesMkdL6Gh8LuplmimSyMB5thz0qIpDNn0Z2P66rPggO+pRlJeWBUKnbOFHgkYEZesUvPCYgPsdE0DBXLfiswDNCt5GYL3ZiIWC31Fc37/DX7wNvnlv2r6e60cq33c32brG5VdPhm33nt9jNlxa8qbtO4jnC+8l1N3XhXdhDEmYzZbjKcC/sHmpIYNkWoZ24zkkEEs83Rzt4ZMmPGn1jYPlEwUefyzrK0MFV9p0CftGwNRkrzz9ldcLfKZBfEYncplx2bHiqpsYng/sJxA/j9vCw8UR6IghjzaJz8Z/gFin4ZGvjcnvoVcEy64DSTy8RSB2+Tbdm+FmuBlVdiPOuFOVevzAkGTgWzu+dBxyxJbOL/3BEmCTjv355KJ/cXFxMO6Lr8Hg20zNl/27M9d3XA+cIv7QYY5M/jv/0OLQ30wsrlDHyDTUIjGUidv8q7KNCghYd9AK0AYuHp5vj3yII3WThWw0VYucAI6iFfcDn8WvyPM/iJbivURLzt12XHHURzN8AihYia7hZLQdncYRt8lw5E2jGp+ISpWIuz44v3ic9q/hix7lL4eRbHFM2vzFR+amdT14V3NKuTD6bP6SfYdnr+d8sDnha+iVi/irngXiaB3tcmEfw6Yqi4Ox0QzPuE5EInVXz/4zEEH8lc+3Yr4EK1O/tnz8i+gMznsL98A0sOEsSavi/vzpDK71EWW0jjAFplfOLSLyQ47wP9kMUEefDzHTzgTEx/e0ARa27CP98unIM9FxPD6O350O8mPCswS/lM3Pi3mEhY3ftHDrUceWSf36Q8S28BQ/a7+xrwccHtjFfPwulPOoXu9AfiaP7NVWY1nhCbTxJSUkUZyXNKxJSVfSeGDJg165xbwLNdhcyIFe288RVnrxZyA/PCk1OZs8UbCuX5mWxfU8OkLBxBz1NWVA44P9lSwZ+IDvXhRVwRArpjAA3aOBzNHr0SquhLNKKeD0JsYro7LQLPoZcJB5gs2Dj7CpVYy0iEvhf1GfiAj5xZi0Aq3tM4FX1iH5qCkJSWTxW/JVI9bQy9BGegP2P/3rRblSxtsQHQLY9oo06EuVvKGmIY03xs1pCbNfZaWyFBksF/0DCPnyNGOqojYhUy7WgFxNiKVz8Ow7qYlvPWILGWbCTEBgL1GcPH7RqWhrOombo4245GNaeTZy9P0dv371gM5qzz/xFCfvNSMxWhgqOFa8clMS+DmQgcdKwvY5m9Ii05GJiCellj6+KvAPQeuiCS0xm5hj5UQjEUnICSMxC1FqUE4VJ+MB0QF5VtbZtCzJXhl+Av73SUhFWVtbmroydeXkyZNTLz0nDQPm0PHhmZFFC/9hbG1saX3pOD9OLn17SVoaWXpu7fhSYql3f4uTbpZqhemCVPAW1aJa9PfwtS3EAOIQb5nwFYaarmnTya/3hpu21hBiBl9PDEVT5nj+Lbe/lknZKBvlEAuWK2WzHCkbZcAbLEq2fZMxcf0cDZYa5UhqOqJFZhvFdxFSnIph339WCbGGElmR00ZFK89tFB329ZQAdtjc1vymockNWTJkTfHX73H5JbKKbB5qmCtyAheG6i7D5OM7yI8QM/iO/TAbqgTTwUgwVS7tbgj8mDDsnXP6TZ3O34oJKXZTvznTDbwv8puQM7wBiDGWp0KZhhHQdE1HnH37LS1ohdnCLC2XGqVIaRrwNjaKhtU+0PsFraBn5mioZJTk0nRJK83SQgnKQVthnLNH35jfiHH7t4E0FOD+Eav9qN0+Rhr4Q2J5PT+3VVAG4q96zOO8DSK+uuND6rL9JRKgSxZA0xD9a7WP03r+wWE+dju2ATus+wdP8lEvdoZYQCpEbPsfRaL35vOxvDvvzsfy+vYsZBFy/V1J0bJW0vb11iwy0DQ9+n7gs6DAkEO1UhDensolA8pLxZ79m3IbgwZaLL/a6F9veVaAHXJOCSkxao8/0T4ojTPC1ubIjCf+0juM1umIf2JxKONcSUvcfvyRYvL+zem5eWb1b07PzVEYP8C2pzRpO97GJGQGm3tml8Tbsc35rYBa4vYZkXtqrxlihHkTDku/s3htgV8jpbOgbKx4CvJHhgnvV1jty++4dQVIf09SL0+ndePjT237CUlgaiRDNJSoMnM50jLofC4glUZF/ygJmtbK2gO9HdQMBdh1+u/P+w/aZ1Onc2L8UPdmbFPfnGP8/eBfmqa0kn51lgZRA0Xs9rfHHwtfZZwRa47Nb/3qHxe67kexXf3qHLt3Vdg/TtDRJEpNNx/fGh2F95fhbequiDkh8uMwA4sHrnP89/b8dmx7zjP3j+VLeyW7fw8p7EpCLKhUlCc0wvco/fEdpgzYP/NzNIgwA7ya2Ia+MesswPxJnGjMHODXUWq8Iq/oBUev/UfThtifJ8D2BNiv89n57H3y5GBhO5abz82Vd6z2C+cZBdvwHIVdkofJy8ayVpzh89OP5ljgcvdydA3T6Gp1rdZtXY5ejq/F06X0/QrXj8nktbVrU2QKTdGTV3505Xk6duV5OnXl5JXFrNV+4B2kscx8Zp7tNRe6CzTWCCVDa8WHPD1hP1AlVcCWKlcqVbMb3lc/ipSDtTID+ecv+M2ZHFNCNJQM8fj9SFpJK9VIdf7mLrzfqpJSUqyhEz2jZ+ap4ZSdHmYgLeUvFa9C/UNstkALmMZL8Xatvd9uP4iX8YP4fqFdeCiyv7FTLWHI+051d4QEcEEuqmg/8ChSa36ieRa76r7qZrGrdv/PZebY3AbbwBSvYR6/0aF4I+6MA8UB9z/C7tyOsRGrJjxjWhmtkzj0j486k1rCR0azsVywWb0tauBNOEw6YcsX5sBX8dV5Ok/3aJdGHxjV+ZszN4sTlv9183AzRmO5+Zvzj3Y3ntCFjRid35ih94T9scDHDx9B8/kYlVNyGTNA6ShI1vxxEhp0ztMgCrGq2mUL+Vh+Pj+zXVBsfgLwroTa97eOyncuH7n/5+n8UDU0651v8vHz7Pqnsjv6pt6cYyEUAy8mjF86t3Fvu+/fIcQoB8tBUla6LJI2yHw+oHL5CePnJrupMz0zx+Yf/ootPHQzvKwuz66XluH91Xb4gBKN6FQrhJhRkKm7FGuokdnU/R1+PQk3+Pi4pZMgwsRDPAQifeZs+cBs+anT+c3YppvJjlhX7wYuF9cQUtIqU9KH1EhjFlTm6V7+CV3IYza/MSPqb/ePY54GzVC3/IZJonnjrWArsFng/F58fvHW1/PzlMunkpHSIn6+vgPW+Aw73JzfDNGQuVfpciafhe2F7d3kbhHGb6DmL5JiqBaSQ0qVPdnVWXgXd4PFcrF4G9ZnpQn+H0YMEmJBUiFdsmDGSKg92wL9yC/PmXMmo5gfEKPaoQuN6Fr0cunN+y2E5pi/EqBsP7QfokFUpSb3hy9sh7SSCvX3owALILYaSoVSodVd1GVRprIoC6FdxsPf/X7/DF1979Qr36DfOPn79NzJb77tPv/b57/xtsD3Ff5n3v+bOpvPxKgHcT6Z7iwrUd4+eYUwhh3QpvMb8zSieBhWdTUQh/6fyc3k5swnuYUPeP1pjbbK0QYmmN7P39vi0QOXVcYu48uYhRyh9eql7nr0El4PXQrUYH4cKVdDapV1L0cZfB9Q+fzh3rswJWiewtPLZWBIghE6z+dPmMLBKLdS5edpLA/rCzC0Weu7Ea6D58gox2hoN0gqKMqiDsxCuwFWnPgq+6VDOTK/uX2RjcZyITqfC5G9HGORJr4dujXT4PJZxA84DpnRDm0H6V6J0UjJoEEkxo9CFSXM2JbO9C2NBlGMyYqbwfid6957X2Rc9k9vWi33Vgj+/KEMvssPi7PHk2JMr+rdudacCviPfsWfmCGH2Xkynw3x2Ffw0UQQSOtiDvwvMx/MPZq5/uQ2ZrhbY7Xu45rajTL8/s5N6B8/mqF+hUHbsyDau8ta4btqK8pCW/fvQrli2QcPf8P7B/YD1TmTmREZs2ql1m3td2j0QZREa7u48KllP1EQxy151kLoQv1yiCMfuu4w2bPlCZxwWLw9rvpEwkg0OH8NZ4gR/AmQk5mQqezE7bqGVocK9lNcFruJ4IX43ufcJDhggxxFvf01kpCHROTIyiA/thsEUMRXPz52fMR/ZfEKIDiixNHre9ZDiwUC3nTw+Ry/sSAxyD3zZaPlbkVOc5tWWi633uXPl7HpUBwJYUdrrqDe9b5++9TttnMNMIJwC0DalxHa49cSbvk1p6sJbynqyM1DE5iMNiCa1d1wN3yNJw33gWcNDt+u4Gd2g1+poq1Mp/XdOvBfrNhvAM9SZXfOvQk5GAB852uiQr8X+fvB9gwstwm54MnKFfqmnJTLnpxsyAc6z79iTdDY3WW54l2ZTpofeSz+Yw9shXnUFKujBCaAu4waeNWxOpFyPSK749eBn7OXq4dUU1EwZ4aa2QiU8XpR2gH7pkB9aupvTEe0JM/OaaJEv/7SaJQEmiEWeoTrmOJSqBwqY/aozH3KEYS8BfXObClOAxuzJe5lbx19/yFKFBcTvBNhzr/FvUUcY+zhhI3AMzQwzo6yj9jsMBBjKCM5Itd9GRnJI3C4rPxnjlzzI+hvQAJbh0+OU4969mnBEPLsDOrbj/xOvwZbFcaQIilOxdHDR7HLA05r9weZaImn+//mBNcPhHXN75i5KqxswH0OiLFgZ7Px4eznC2+JzSBl8U9Z732ao8+CRfoof5DA9vUPzwA2LR1GwwDS897YtePTr/8rssrtdlunEDTmIvLIfxwZG3GRsZFn5i+PRhxCx/zHJ2fGTo9MINQrFdxOPpPbgwfzE3mbFRz3rtooLn0sF8U50P4jmOOPHDePo+PIjebQTA/fD9on6Ag6XNR9sHDgSo6uDvJviftDfIadFWZ/Cvu/XUMRU8FRTvxDk0Njwvpvt+/MhtijcS2UHrW/YRp0htrTipYQdh/GBvARrPaD1hnk1kHIvj/U3u/wEc5xtorLR7z71vsBHhlYRgG95hER2DWSJKX778f4LsG2pfPvOX+dXW6/veMZfJcB5BQi8vwGIzEH399+ezvDro8fI/wqgwi1T8dwfTRNXP32PTd1bPJr/qMMQ5Mr/fHnH3aZQ37n30U+dLxivDL035xn0ks2/p7wrEyi32nC2Plt9Px7p1455f+u/OfO/vNnk9NK+Jaw6h3J/7Ouf/nLscXJzNfJt0cujHydAFEAfNrtK0aP5OToswY25nPBB2Ut8lDYr8vO3basCGYjmyFNqlr8cfz+EN07nBlJyPI6RWO+9ybfe3qOoeZg/Yd6zD8znG1J4F+J5885ZrYMw0jOV11ytzmUGRj/GcEvFLf4hQzJqBgrxuX53aBjp2ffDiaDSbngo5ECI3LBRwSrt9ybf7+Zf8iu35mTp/yniOEf8X+Nrq6c+vtTf/f7J8/4vzp+IpqrP0JolPMI2fc/PuYzj3OMk3V6+uTpb3/vn0X+67OjA+zr7oybLGTmMztMlENsgzMxyCPmM2EGg3/Knv/nyNjYWfOFMWAD93z5wtjZn44lfuu28K+VVWHBtvOmLAts2nTZ47/i8JFYuZOeNlhHZPKAhf9T8E8XYP4JD6HwfsmSuNtDnzct7l9w3GdBKUiCEoasJ0akYDmYLq/s1uzysiNEg4l5AjZAFxO68P2N+9QuZ8y3qj/wraplb1rgx7mm0YqvYJfXuu4cA1bmpp25iU3Bb2a1320vATb5npeKz1JLv3mmf9w8A9/VfPLBwPxdw/sQpTbaPHELsnjFPro3/wcYqJ7ln4LSmauYqQmv5iPE5zIl2WUCGlH4/dHMoPwB/ZgjZEHvlUjK9aFh5ccUihB9GSeutrFiW/Z9ZHTF8Ar9DjKYMdEKjCAJk0CBnyxQ/NaaNb6urH15zI/p2N+tkb4EcSbSXoRsWEdYWWW+tjp7UI+99dX2x/C/O7r+Ciwf6HOn5CwHy0ZKTk1zHEi/VEj3/c/C6uDk8S4yWMcs/AIuhyUsSezp/6yUkgyc5ehiZcLjo/rX92z+vK62/0CSZAlLAQmzgMR5Lbax8Qh0H+mhNJEW92dZuDtuzGzPbOOsV/JK3ijEPD2E+PO4p15xRpML2+5tGUWkKItIlXIlxd8qbdmnaehgftswXXVJYiwozWeD5aBUlsrpvn+6F0WTxdRuJY7fJuHsTBZn/et+CTf8Kbw9a+BsvNwul6QHEZF/zdn7Bvw7iLeR4O8C7EMf71eYd1JJ3F28P8gPr1TLYskrsWyYeXgL4m3eflnC4y8DcnjTxSDHyyN5SFR6xAbar9n3nwrvoGBRnLl6r6efW2WA2LsRvjqT25XFbsaRmeD+YYGPzTGqM/7MYmbsp2Pvjb03ec1/zd4/jG+O5+DqmYzL9uZxRDXLP4pmxoDB0tYins3/5z7VnLqG19TLuKpW2M34W3hDzfplvOmvD7I78q+LDou9c2xpkvN3Av6kQ3YggWDnKFh42EWb/9SLPJzOiL3lLsse75t6SZO06NxDG9/VHv+AHiz8gpaGaOlHkiIZLI80pGAGPAs4IqVxer5brkrVhfcFfr/QhuUR/h2HEFN4I1r8TAP4aBwhTYbQWZkjrR7FJwS9hOdnJPyKXy4IfMI+Wg4KZzDPAJjJBTwBT8nzYMLC37B2GApwvUxokbk66EM9/Nq+PpNQFE1Rc0p5djSQKRQs/K7e/RUTZ8IEF2YyMxQX710t0GfKIYOkpDZmm7OVYLmyA/irPV0V9FZAshr+nc9PTZ2amuvhV/XrpyW0hPaGbs4mZhOzyzsPH8SPlBc4s3VBKYQo8Bnu0rJTtG/vCYvPL/3Ol88vnVr6xuenhr9LzwwfKV+cOjN15utkcvHUEhyivHd37icQHO4hFlwOLu+y8jPti4kqa2lc9hdCBPBp7fgqu/5gldGbWudbJLo5s7WjEu/R+msVFXic6zPNQGW2/GCnUDh6veDw5qOIBZSS8kDpl4L3BbMofNJ4aTY1GymldnYGrw+b+hvGsuBGnnXOUWH/7d9d7zEnA/rfHL2X23X1y7mfWnyy2dJsqpTe4f4p8RcYGJLrwIFrlOHdMYtUa6wyMVBe0gln4S7pDDsDNMAz4HulCS2lpjELm6E34OqZ7Jx8z6y5ePYRcDvL0PLiVDieKtR/h/bvrxU0FitF6WzpWzSemKU7ByVj51P7emhdTGN5TCF2NF6d6/qrNcb57zIo47/SP57qylcEu6PE4RW59LvD6oMsbeEsRD9Y8Q/8OD387NHbC2cAl41js9E+29rQ8PCINLKStvxPhTbrZDqoTdvOttSOtBPtIrsq5s+Af5Tj2LrIhOSR3ZtKXf3wM5ftnwFEDTg6tF1ql9spGilECg3AhxX1FhERwBkL+hmP5uFSGtjrRCwN6wjkdOC8cEjA/mTzy/H8xB8lfwT5b69dAwRAyOGz8RtF9Hon2yGdbKf3lWXvZXfs/Bqr1SwG6R5GqI0POsmPi/TiSX5YX985eZqeHkaCPQ4y925coBfsr5Nr3K0O+Kpfld8zuL+1+Xd9lPMacMvGYDkHv/JfoBeuWAf/jvNPQU9Z/t3DjUN6uMkPBkgAhzcPr99jOxv8/fi9ekjNlhwCjxrMX8UbNsO5Q3Ew62uDXSeuYqfgtO3PbdImnXwn37Z6ktoYr5Z/sr3eToijQzsbnQ22cW/jHo/vtXJ/brG2wCgQKAWHOaBvEPiUA/0vYnSO4Kfx7Dnyqv9V/5/QV8deHeOf762e5RijK3Z+0P4aoDfW2D7kjyf2V+hqIVno5Z+A/5QkWOqwQdKMkQRpkuZhrij8n2llX62SKqkwRiqkSrqH++wjUia1AvefQftB64024kkRKTZa98bbEeebo1XQb5W0UlZKnattpZ1ulzsbHUebtku0VCgVKBL+SaK0D7eYekgPRT+JE1poW8TPc+Zc01BG674Pof/FLruPnx+mhxvsAVkhD9g/HFKiEEKUIhPtzzElm/5J64QYR4TJyMiZM+u/WPz3PD+ETvovkoun+HnqInnVf9G/WlgsnFas+OO0UiYPWJtUDm+yj0jhkBxmuxVAmIH8cav9GEkcNuBglC7b7ffRaH98CTtGqAujzI6fEvsDe3YBjgnsTtw5EdtqvR+Pb4b7MYkxIrEGSz09GkXwrnH9LwAaJervi5QC3leaShHz/A8hHTEd848t+ujkIiavLMJaOQk/Wf4zVWFwUP7JxPeAYTLKjtSPwfoAcnhwfeyXQ3ZtX8ZwCcPxoZQmjHDmBBQOgngOPUdJKLaLA/JRRGTy3SfpcWETOz6ZJAi0MfTALrQ/67X/JDpOjwOaCr04efHCxQsX1+DrOxdOX1haG14auL+NE2nFpomsJIQmpyf/1+TfXZy6OHyRvHrqT+irp149dZGsnuL4VwVb/nPUsDjktsGnjzMCzCz90Z9bzxdyD11cu7gkznc44NXI0mD7gNbD6Gx7bjuuzKZn0/HyzLu2f/yQHuYP8zB2GbMcJZ8WHeDfcSAhy3kPmxhyX81oGj8KXAqA08hihwX0P7peWi4t03XxxvDOfqd4voWcatmvBmL80gjZq5NA+RJR3n4nYHyF2hB/K8odR/JsnE1nQ2LCvjP53uQrX6ev+i/aMijzKr04+c7k0uQZLlPF9YNRHBDtJCIdefw8Uh8py2T58NFhloH0+dQ6lwvLxX3h31TK7XSHtRGXnfykvflt3R+xXSmN6/N1zHiWR4pZ+UF8fCO2ymfNKkPM+ldERZ5fBLm5YdqTO5lDBidx3Ove6zrWRPtj4hycX9Y6MZ+/v40Q4DytE5RJmy+PnW3+ye2/NM8vvkz+cPEvzcXF71KE1Iayrl4+3CflQ8octowjAGicdjDr/RTGSBlOQliNIMZIunC5UB19H/LfIHrtkPDxT0AKcTlMWblQK3b4/FhRbOnQm12HuXsPim85kwjNwO6UIPQtEpECaSzPMKxWWozKTdx8+EG//93MUDTqL1GKSox6Sh7qS7nBv10I76ttVmL7gGti3R9qUL63seMQ8wuuD+0bHp8ZwawyLeMHDcNFXO3oQ349UWUmWneLUUIAg+cwf48WmOOu/XzOYcI5DGaBw6Adovezu7eedOz7uxKH1J1nNJZnVDYY0WiQLWw98iIU/ahphLqRCbUc9HSZCq2I7TkP4x++qii+Fs75qCeJ16LipMiIJj8uinLLiwnP37SeDwwKt5+0EJJ+AYc764a8c2VZCefcObksfsvz753ATfXsAVniijPh5PyzS+J48cI3z3/z/Lnz4qfJJUC85wCaVWXfnR/adqSclW7Kve3Oy1W5Oo10BuYFVeI4RcpR9C1HASxVj9+1+YGPsvIM4gP08/udFpMOzLx7vfw2hByMcB0WstthrVKccWfTiXr5nTb/07oJOsXi2Lp5lP9JPN29KY6YqTfmygP4BBDtdgSVGeogcxSCGv+LdbNHgmiKpFcbYUTonKJcuDSP/oVdnrAdnr+hfMnuArvuw8KfwatPcaaPno55lEiIBFHQUeb2Y/DvQfwe4MbxWF1i6iBv+/kXPf7aBMe+kjGp664m2GhGuTR1OB1OWDMDpfgqtIV9L9s+YvHm9HHjxRGB3/bju0Wmp72HCWfDZj++2rK8FaSCjxqlRkmC44HAP1ZQT3+tHJqH5uGHoP0KIABtgvuHC5MZwMWcXJw86ZtaySL4HnY8twC/OBKZqMPKuXALnjKeWcgwYnE8fQjPh/istZGpMyfPvqRIL0yVXuu/S2QI2fonXQf9k+ugtLZR2/gXHmXp3rDjCw83D7n2AesfSZO0CagBG6pD4L9yxG5rbRIzm7fAh8J+60BH2ZUEEspr117b7tt3wQAiMBqBPbDfgvB8v0KU++z+1v2tw617W4db98Vxh4j4CzTDiFLmf/FV5SJ+XOyrOe16E9htgqVgqUxg/wCzV0RnQe7EvY0aFZY4d9Piz0IeIktuEpGiJALa+bKP57gGUoG0iE8O03DmkByKM8PYYf0wf7gdzoUb6rsITf106qfrdOqnJ298J2uhoXx5fIwfylAvf/qQsU22ae2B+CfkVIczX52fbfFL8faD2BCIP+IYar118smGyPLh8dFrk4urixfJxZGLI/yTXBz505HjZPK9rzut/Ym5evapZoBEKegKf+o/TqGEr89UdTInowxWrxQrcz2U20N0JvSrSbRKXr326rVXyauI7y/pnwqsgWGwT8clSFqXyzglSz7p8Ye9ecLrb92fMv4MohzmCWHMTCuXlar6vsBn0ByMHWZBr4RPvtIinqs7iqx8Jr5mg+5wma+yjJSUlLKq73x1fuf4JiZPPnCbYn6AfvjOi7ze/3rxf7/4Py9OXfwf/0E7fl7UP5wL39Ypu8wuH8LKLrMuA6wpyAnFCsSnevWmmjxsPJ0X5mGDJRljSUa7AsnAKfIvIbffWv2T4jQTItMQoXP+F/1j8fUz5878h7//PyfPvfDyH0A21szYzNgMHx/AfznPWGOmgbdxDm8HPu2xhdwasvh7fhP7m1VOhY4LcRa/zs8m9u4Cdaa/h7fY0woCn1XkSMncKn70EPG/zgSw3sJXscMUSDVKwp846r/4Kv8sv29aTsfLszuANRBXIH6J9e5vMyM5FUORExPAPgSZ6ZJE1q+hEWH/HqNjw98fBhTH54el4WPATX0lfi1xjfM/crKzSf8U/eHJUyefPwn87d9Y+skSAoZfy/87vvnjn19uXG78pweARXSZrJN3iI3vdGzs+69845RbPj75jVOX3wav+uR78iunTp764eKNIamHj/yb+bkGym0rp58fhUSxYMs/sB2LQ5VVKSDNOmdp7eqR63sIQf4j+EC83LbdJrSk3tDSYL0F+y3El/au59ZVpRk2w2YgNZs0ljkKsOU/A2Y1RVHr/P4lf1lYVzi/l329odfhCTrVErPK3FbcU3DVDoT/UUOAYWBIuBFPzabmGrPS7OWefTvD16sMP/jX3yGnRuD4LjnT81/zN7MQppVyiMwUAomPIrb/E54P2XWapLO4FAeWp9QsLKLpnnyXue2WiQxVfwIzv+DAsNqnZ13l2TEBeWbTXy9+uO8abF+tolX0B7F25MDPW9neP3PLgLWr5roHt8AyVuD2p971E5CDpsmYQcQiXptDO4UH63Y5RDOoilbBzLDuECwWioX1fv/BG4j3UE0FzW/P5/e2Hm/18bft1sEkUgh+FDBnmw8etCz/72Bp7/7lcrlsCv4Tm4FtkH/NP/z7w5x/zaq/ilUVt1Ssb81thVioFVWLuKha90e4vGDitzTDkMEyzj0takl94LX8z/9//GwwPhQ1gVm4jkm4gdlMI0QCzTnzXxqPP+31H8J3Ynmc5wxt+aA6vzV/Z7dpNvvlmoG3Y3fxpzHgptPm86HpMtkZuB5QF2I5bMbMEPPL89shfP8RlHPvMOyZtVAbMvT9Gm7NbAVoTSkqu4oVv4Iwnbsdawfex3RuxTBDd/313VuFZi1j+afRrITLsxJm4ENc2MbZhT6/XAH6FNqd217gZIF8vBYiln+igFns3dg2bsY28V3+jnnc9msh7f7B3sHA+1NVw9SguB2kIRrQ8EExWVy16i9H06F0qPZV/HL29TrDRCWYqSRAQsyPZtularlq959uGm19W5djTG8Ed0NspjHz4b3t3X77ibHH987AADhbniP3cjWXeH4QhWhUw3lMcA6bmOLKAtvLPc51ZKv9CpiGDNH//kioDh6Ge/Udk+za41Ph7RLr4tLT2qdCJJTCdL9tac3ML+NclEVlzCAyl3/3qPuweFCM2/MPN3EeNzCLNTDzpzDDDdyosN167/re1RhhFlLw/u7D3YMu91/F+c4KDPLw3SwKIgPJKG7lDyFvrAlZa+7N8J3Y5vjm/Ob8ZpT+ermsqAyYnoNKUFkYLE8YCSnhoR6OWuRKQpbCkeuBn4fIgKyQChAz4QEkXaokIokQumf5r1xOD/Xsq/t430VDzpDzyPXgdW7KTQ9H7XC1Q/nQ7ajTQ/vlg7ycwkNq86tC/rLc+yeiuux/IsZI7E+cELlFcL7P8drPv7TyNeEvTLztNAZZYCPKr3P69GshrncoQvd2KFjkXyL7DtO8fH4TKxLGB/MHMLrmt0OfiphL0CIiCe4/jjgkB3JQZu21+MK6jJaRhqZFfg0qw++41sI3l2wTqciDXMCPaJdbOk0Cw1+A0emmVW7xhwh9B3PdBWCsfDebvevjR+6P+fWumyYvd8qzXsMzLeusxFlGaNkox8sRVr0uu2QLn1OQtYIHk7MGC5f9AP8a59LIiqg32B1xrlti6W8j+Brih+/aJKByWz/B4Rqx2RkhRkHmGoafGxKGeJySzT/tLKwTZ9kJNttCEr7n1hGZrMAAShDxzgkCC1qBgF0O0Gvueh4q3AAHG7fxO+N3DtvF/L38YX58e3xr/CocEc5vP+zHhNePQAQC+N+GrgxfkW6tcH4dVCDg76fjm4ebRaVASHs8P77lUiXLFybuD/G9pFDM3suRppSQylJp/I7rYQSeP9ElnhQc3RTw6nRTnqRnzbvmXfPtGkfiiyEySeTSy3zHabcvY+PZ8ew4Oczey94jh/D9XRen0ItIg/gE2hv3i+J6xWpTcf0aBay0+Jp/cTGzRk/+cGrK6Xzuualv//Cfprn/7ifkGDpmHkM/MU+j0+gyPbZ47NSxF45NHvtvb0H/L66+MvLeyHtf+wJ48U6Td0597dTXyIh/5NSI8ZN/gusv7z934bkL/+5CYP/khaUL4ic4pB/+3n8V9Xdf9TiijwKpQKqY7jLPMj8eepZbYP9MPmm4G7Lsod1kkRaT3aSHylaMuZIQ10vSOIltzxC/XGREGifj2+M8/jISAe3e2/a2fdRERY5qPXh907r+aYtTT7JLC2iHdan4yUNl1OEj7DI99sKxU8+dXKffeWvpZ5ffeu7kb7313M9+663nTv5VEOx/9QimihSqEgzWP0zETOAjNW7Hr4w2RwSphN9Xn/RPciOQHV8KDMrjnB3aYiok4iL+k+CfJ7IVtePYnKAL5mjaaDgOJpYXClb+EqBvUYG+JSnYsldwrjHIXzdBYsF77t0USCowIgRfHUIuU1JExDde9e5gEl999GBQfg2UJ7wm3ozTR2SwXOQmjEoGZ65zZOIjfDEC/AthvpNYTlO0uubU7O8cmnNWmpVnV3Z6+wOOIw/6+0q4gKeVJs74J/wm6CejKD2C3jv702/4vzGMRkbG1jcl9G+Gf3vk1HtnJkcSHJ9mQ5rGzWAhVDQm5j+cq/tHo9PVlaqjZfP/loLloIkLwQIu+cvYjBaiBVz0lwoPik0E+5KNcDacY83w1YUSbjCzs9m5Kn4X3hTxZywnr+AScmIpEMEPkUN1apLvQ8LZ4yQH3lAlb4TVkQNvzGTxhzN1fFVysrIUkRII9X6Xgd+hCK7PZKA8JN3PRVYEvwbH65iU/GhxKDORQYMHstfmBt+5RqhpWXgBJ9NjwPu7TXdOz/3q5vhNz0QcdcE6NoCfIXH0TRUygxQPjZa6JS5tIh7Dm/QVEXJvhjd1OpPfy/uovhnbZEzwN8OqpnH+ZjkhKyptcDtaJNGl8hF8Vgl5KKyEDQWsrwt3nmzallhR7uG4IQFpV6DQSS2BIyKpkoh/lvh14c1fUY/iUeLKk95uvHd/4s4qlUZTWnFXsAuMrR468Hz+s5JowM9yhGsB7pxc4UpAU/DTySx8NeQY77pvLtx80nXfdN90d2WAfwN+EjROgC1+noxn3dkF8uSh+8C9zS1kDWi/MfR1OjV8cvj851M3pm58+8aFG1OfTw3DAb8X9kWV+FM1JqeUlEqaAkOIiZ0w1M9TcOfCm43GeBbif03izvqgfiuy6buOkLQiV+RyeCPkqFFZiShdZmd3yIpct9oXhfNzeVfKk1rIP8nL6Oj7QwtA/0gJH4skugnPmifhqfvq3roXI+SRIGLLr9SYLCIB1sROWk/E6sY64m/vJuHsXHacyChKTdnXb8EmQnJFriiVuVqlIlf0mlJpVsI1vSJQcDVZtL+7Hqa/qrvrA89PeOpeBtsnHtmXVfcfvQkjMaI8uSNGh6fp8Xkt+6ySCLFKwpNSUzolLb6Ht3BqESC++QJdfLN2M3wTd8M3Ozf1rn4TcvWBp5Y/v+ChqjNEq06PU6VNJNCuhD0AIXcmTFU0R/ayAuewWYCvekVZCVcw4Hd4PU2PoiqPGIy/KO2WPNz75C15qbfExz/1HYS3g+Ze3ZdZoIyvHZ4kXyWcYF/1mbo5Z9aYrCkapq19tawSraHvG5qyLNrHx5REiFbbnna0DfPnae9u+a77srJ55HqvEtfp49sco7aBbyv8emjpOTNQqTJfW9H0dntfBybzfW1fq+pbcL1H1iuzlRrztvW2usaoKqll9YG2r7XxQyjX+f0rPh9V4xpt3VYbuBHO6jRGw1vCQzNUQAlBqAhxb0FH2VOWJXmUM7pNIIc8lIOsGIhhB7vy/au7ngl5Qo426z18H1htuHLtBPwMRyZYCnrLnp2WFbFUmig5NhwlZ3LaqRhDGa2sJWc9JY+jaevv0zJmcRnY32C89ZT4Zp8/2MbZgd8YZaMU9JQ9o82j+BWAYAG/0Ura5d79uayaTjzdOWX2MnsWWg4cMpWP2p8SigKrwdzG3NX56/PX72ULXD8aMrHt4yhMr7R8DgQjNaAVNa+d/0HsGCWw5cWyvHZW+wmL4wmKN6NKVamAVDtiXxRWr6hpVIxKs9KECLdCuB7eVGVNMkZFuW5GKrGbgLncnrDsXAlbvoj3wxQncRK4hypNuSm33FvuLY9X1M+OO+CaNF+ZHWg+G9TK6k7dsv9znT5erpRrbC9n+QdyQr7IXnfTnTmRwRkMLAm8BJgGPbJX9sq2fgItclB2lk9k9TQSLeAV/fPV8WHzG0GtDHBCXNVx0efRnHkGjZrw0xB64b0Xrp2dOjs1WrfjW6IEp3CqlWqlIL4RPDZ2+4xlxjJjNHhlfvjFz8/fOHvj7I2xG2Ofjw2PDY+NjEUEPg/bcB+oqagxIXuM5qd2DwV5/YRWFqTBKy9eOX/l7JWzdOyKddCxK732ZfEC3tzbrLLallscd0T/iX6cVjCLg6tDcQ+gWIN/SeBbxzbwBqZ7G3BAiSxwyYX8a7pzsSx2YlZBwCJi+XB5jojY//SiBgUiTSZ4wOcor78TORVJlgnb6MdlIRTNRkoVj8se/2WjjDfwnepDeALILX5w+QXbKVdTTjQLg5Hg41ljP+jZafLxQeVEzASLBIyvWi+7Ew54f5DmJzYxxUpU2Vf2nlm/hf09fBBNPlp1Lk8vK3F7/or277UPxRlg3977zG2662IP4I1b/PalaeC1j1Qa1Xfhzm4qMMVly7+k0si+sY9pq9IGhGEgwdsXK5Q9fjA1OOY5Yxae9Ia6houw/+PvT915nHccTLQX8qPTR8dvuKCsKCiCcN1INpMdAvZl8I/Fk8pyuMDHl+GpRxKmtafwUIRiG0ZVvJ01/9mJq9iBu8Dy5h7UPwwxftx0WokrmFWkiuRhsiSX5V5+AB8nhelCnMZLlXZl391wb3MNTxbtC/JBJZFyLIuNJmrJupVbqbW0Fo8q/DV8KYRwti8/eZ2TsQPcwGYlUWWwzssVqKPH453g0g/mfMVt+rotj2PCeWT2WPVDBsIUw+imz45viaNHug/CB2rSm3StLWT8aGhgfZBkp/Isa/LgE+wSkQUhyi35pYF8gGzD4/R3h18afulvL/zswvmpn039bOq5r385NTw5Mhmx568P5m9uL1fN+Wz/Z87N3ML/yTwIK1jB+WoeAg09EWgrT9lb8l0Vz49Z/LFejoBi10+0n8DWjxQwxfstfqjWoXP9FiWYMivPojjEnCfwwdzB3EO83LnkTDlTzojY37uzJ7KY4Cww7Lif0T/B/wze1N/5X8ffmzr7/Avgx/3mWF8+8vFFYxuxMk7vKxVSe7cngbj8GUPH6LHh8eF/+/a/HT43fO7tY+ePnT/29jHuRTo2DfLd0wT5xccfAL0rR68Hn9eg72v8w4Xrv4Js6Hw4L/K/nc/woiLRv56ykB/ASFAxyrEN7AB2pwo6ev+j+S22hDNKhifomWva+q2PRZoL5kKjmvQuywm+wntnPYEWx78iY9ekay+SF9FZetaS22NCimft+Dz3yd87+Xtffv/k9//q+F8d/9nx//v4yePDlv9WAaTpE1tYFfKZ186u4TZCiGB0fOzY5Dp1LI4rfzkBPstvjrxwQ7S+mL8ediIbr8RXKpXadfmZ9wM5pDQB3QfTVqINO4OH4Yfhh+obcb5+i+ed4OtDBe3Zkq2nH4jxEctiEkeC45Vrnsjj8DjcFAm/GouCdyB/mH+c1xmgTAMWkSYpID8svBLMsKPq2KOQi9K7vzV+3CSWwwqmNY4/c3T+C3yiSMJIYNpKtpIci31APxfydOEWbsdyrWr7o7AJ7BjhTaUp9GvBCDCdgKyCSqnKnm0feL4GuNXlTlpTtLS++8z8R3beosiJfLb93YDMJccorLA1LoHktJyGCCb3TZ8Lockffv3K5A35xks39M+/f+P7Ny78cur/mboxecOKMEFyyZN0N040cC6Oqp5q1fOm501P1XPd4/Awj8OKOU8I7lExD7iE2oD1ca6FEITyrK0BAjx8HVkcW1TQyLVTS6eeOzPmaPbxuUJmULZPiMANloPenXavfVEsG8u29ttvDmp3XL+D9sqcIDiDCeivPuauu/NcQnD5cJTf9PSVxaUzw3849eqLr774nX9alIT+BngeRjpOqv9QQXtElnsjrM7n57qc4O1HrfYbGIH9/sfESHVYEzB6wd+XVU1lRd+3x9cJGleiDMave3AGbVvyVfWpmGG1yqrAAbLr2YW29TpgfImnTYv1g4J0kCfkiNCSOX4nZyxGBVwOpHAaqaNdsutAC9mIVtFcXD8MN0C7wMRoNiuQO6lSfDOcC7fDGwoR8dVTw7/719p57cIf0wsnp74EJL2pt/keftqaPzTajrdj+VayXQrfUhJ6Xt+KXY1dh+sFPhz43mI5YEZrWWj04lPsj92bJ9hT/X6zRmuwt6WWBYSvL89mFw5tiPETrAr96ln+AIFKK0b4d2H/D3YrNv+ofMlVPXHTUKU3HEf0E2v9IDiLCV8/su4saAZy2b3hc9jzE/YHRqHDHudwKryjR5QD/ZayggvW+s+mYf1SqsySzvZ5C6GxG2M3jp2Sbrx440X/2cVz9Nj5Y98+NnXsxWN/AOuKpV+Xpmm8hGmoVC5J9Oj+TkmAPIKIRwN1WLNgYz/wQ/R/AtBoYpTPX1oBedHT8ET7cXTOBFh2MHnUkRRXk+uQ2qdtO/5FRKDZeSEIjfMVaKdr65cnKN7g4wu0VepRfL37Kw69CHjfGDgTqp2qxg+9qF7VisYbCIUrWFblqAdfxrS11vlQr2ADDo7lX0TIpRjKeF5qM+JVcDpUvv8uQuOFYLKnH8D8oXEnvH+LtGz7FxERf1BTmapoKCOtR6QnWY/kleQIX988s55AEyEfz7roPEIIa9FUqBKthFJz2lCG6+ctwO9XVpRK9H3MDNQ6aK2pVBXnmppUIWpbCSiBdZwMHmAjKOPth58iFN2A3YHYH4S5fQSTWDZMHmcfE2XAPqIL/6gdt436UUbzG8GqPf48zHPZdxmzCAL2RB9kj/MdhrCvIY5dK04HsNElA+245ti2648M/N+PTY78DUSOvfqz508FCiPIZb6kOAoTiRXYwJZRiUcAlJUUNue3Qt3CR4Prv+C8ia7F9wHzv70f3lCmtaSej12PXVdMPr4LHr477q1vhkxk6r7rUWGDLCN5laXkS3gHrbJUMcUi6NFg+6vIuzbIviA/UNB4Ntjb4SsrkJ+xQLED08cbjwX6NDAGFFUG48P9vtt0X51muBSl1VKV25Y8MMbt+Qme00QUagjrK326wq4Biwzn3YnY7xeHyFDUIZ1tlaOo6o/0u7EPwu+KrAidaJI4A+nZ1P0SQsICAvWPkvEcaqrUk3RQV9JD1WQg6VgVOxSQP4AGrzSjFHPOhJaFDw97nPjrsP54TaUS35/dx+/Pgk+jHE+XVms7qKAlNU/A5PFRyq9jyMxng/tC/wM2I9WMQGRIpUWboBXvqzT8ADRkrYqQN6G+wUy0jOMBhN8IpAPL34rzEVq1xifnr1jIggbzOPM4o0AsSUpNqZfUS9rrFj9IKprCBN9qkSZkIbbFIeaXvT5Z+28qdic+3v6wvgO7ikqj+3gfbIctwQGihLdVTVOV+lfH101HHl8fr7gbusblazm8jQ+wHG93WLOufhh/pH+oNPX3lTTI16/mf1jovZ+K1AlsRgFZoMkYa0M/qBpuc/mSBOsZrD5hE2JsdIItyTHUk2+KqcP6ZMbu4m6n2+nqXb0bvql3w1vhFr5jsUeRqMTHD223dZ6pCYwSiomv2/kfmOEUsCa0LLR8FSK2HmCwP8lqOkzjFSzHWFPu5B7T8EH44KnMyGiW/Z6jW665NilHZRAWhKi0kLfWZ8AV28b86Gx3mCbrt/RtfVtn8UvKDtgnw7kA2X9LQWpCXesk9LrBevOvBezYEAERbuGsYmJqlMTpr4e0kGuP9fTfDUxjG4+F9bcQZvqlcFVXlc9gr8uz4xlO+Q28zaTDLIlw7cvaP8LewpO07Ge0kqwBzgJzZ+Wy2H/rBf2OvoHbcYIfdHKd7U67b12G9wd+n8mS+8+0H75U+uM/e8UPuwp+WvsLoT/FE5jEUx3WTulUP4AzRmMHMSLiRwIKhogYyAxjeFdbC5A5+V82i03q+4rriZ7UiZaONfDrsQJCHiW8GbrrWQ5X2e3whzASUfHoDn0QX56xf7nb+ZQjzCuOOsUIjSaNpMTYgZQEJlPBZTpov3DzHTPmLAadfIzG8rH80B2tpK2J/hH8IVGu37VYs4e/b8fnKgk1FTajzDBjjc7rLanFNIKJCnqaFJeAH2g2oRNvYpR4Ez6qOLV2kNj6NawPQr/yMbyJ6d7mntCtgGds31P1VsF+wG5LHizjdZbzGtj41YFURGh+g8ufloif4WuY7LIYBSye6JKQX0Je8LxeW/4e8d+I3l6A2Jxsi7acam+GiPhcEf8KmckGYvwOgmPMjn8dlQ0FNCSJYs6dhZ+xDwEf1Nf3f/eCdkHfv3DyAp16bur81IWpb0/989TwlHRk/iY6rGn9DK2qJWPF3vinmMZohz3maH6c0WJfrWo9fnaIOrfzFtUUfG/Y8iOh03Au0uT6g62fENCBY9cNwu9vQnwLvow/aq22LP4dFQGarwH4hpqiqiyq4Db2tkjnkc4MwBzcV4varrYO+OSsCbGJ83mOkn4gJV0l80FffxD8TlHg5KHALa1TEcepErH+fDV/Sr9/OePHzdhN3MIfMcIIj51igEYdKUezYn6pKbWiMVzBFGIgNeZHoVLoctWz17T5XaJxTFVgLuf8LlYkaQ72r4qsV9TK4V3djBJ8p/OPzFTkQf2A570DejA1Eh3ahDjAnB2nKcaPyNbCedxuOzu0Oa03+e9M9bP48sD+ih5Zfz/Qb4Ub+ruAD4nZUO6e6U/4qDcJLCJzdPYNB1rYjmi7BwiJcRZfxkxbblneL50JLRbyK8I58P7sMFnTafh2pxwmOK8sOzK2fTd8G1aLhVwsh1mrwqi6jynkIqm7Kou/xdcnjHejnqiGGWsxhlvqXb2lM+zFqrps889w/YE2Ex3BoVLH/xCG+o8i5JuImliJNqIpHPG/jtnEGq42Kv31C8apbmITIi9bFdblz3+gErWGefy54NyJwqpIW0qHYkUlqjgZhG9Ca8MKGW/r9HGupahMF5GwcDLRP+HcghnLxVjn/+Pr/WPbyK400UtRQ8mdsimrM/OKKYWkxH5SI2tHt6ZmqqhhkVfxeAayk93p9iSzi8Ei4EbzmHkDoluTBiZMSy0JdqAOGkQ7aOwfBGw4i2CxWATvD2K8UAwMYZeHC3oxqLYH+YsCHYoZPdDAA6dNNQGq3Czd+/rcW0VR7rxntii1SlWsuj/OPfec831fqSsTpvcNqh8ZNNPHNfAPGI6wTAptMrnqkgrKZarzOLOZPiDPB+u/Hd81mt8ai48B6QQa29zaHkOB8YCM/guyApdCc/J0FupnuqL+iud5bGxjYPfFxjtmo3dztD7r9PH4O/FG4qYl+LNKAdBL2Fa3cQ3+ghTia3C8erP2hfNNWy9op85HP0U/8ZVjJrcnfxxeKbwxGZ/63tRHiVcuf+F8YmsFraDhxDtfb8zy8ycssw5UNJLFKOTSw/ZMwS1IWHpHaqRu8vrnn6KfwNWn4bWy9cb0G9Pxubm5a5c+gPqVs9uSNUGJHOgFquFNaoWyQcrkQDdQDb/jRP3PF9VrJJvI8V0+Dt911tETrt9WQHnE653ncwvt+Rznt6mQW8Y/1N7+dc1f33x0JLyHsqEtZgdTgQPC68Mz9Xl73so057sLViY3n58vzOPMO2Zjgbff6OooVsjqapXB/QardJPHHwusI2WlTbKWaJFcwiSmJLN/kNalJ6B/ppmazi1cRusSrOmsmZnJPNXq8RRh8e8jtFe+WAnqZPdimTy42L24SyoQ2GcDOF8K8fqEOuGtq1h6nnT6eXJPx8TR18kTPIEQq6R2Wfmru6kHzJGUWPSoKUkp6dz+0s8mdDcH/le4Iumkf6FLHlzoLvTj5uIMqZNbT1JPGM0hxNxmv9llXUSIc7FMdi9WyG1JZg2JSG9LEyfnk276wWI3rpP+0m1SunhrMfXkuQvtU05V2G6qzO7rzgVMdjs6uX1BJrcupMjz+KPR+0dZXuVYUUxyT1HYPyhvH9YEqwGPYlMumBuC7z6KwKv/ZKc4ZDz2g9lWNdn0+EFGGAd4LXDCTUjzki05kJ89xxwYOxlrns3b83bGjtuAOQX1AdAfQIS08CkOlfTdi3cX2cW7H9+1z/nXP+F4id1//eevfTS7M//Bf/j7P/7w5O44w4mjy4aDEeCrFqkdFAwVJ3+hlskDtUzuz5YXHqTLVfwYHESHnFKIeZl/0kei8BlgozrqBqwJy7RaFrIAnz8pQI/LW/w9vFwQ/8/hhGumpz/BZFkUv8bkGdkZps/xMP/N9Zkt2Ypajg07n8hO5H7soMvrC4Ghytdvjm6RFoczrsqefpPsZQCZyKNkzeyJPjPfXyERq6E8nhLFzkh2G+Ph+SHWjuzKbtROFpw1wd6q7PTF5zO5KlcZEE5UY1Wz6vCf4Le4OtTXyNGckou0Y22z7bTlfuR25EMl3Of5MdmVbbnGdqCKMEbNnJOTc6JCypgR+W3Il7FSpBy5H9t5AYnTgoKjhagN+2e/fRivqYlmU8wBFes6cFLB+uVni1gpcitCY7fTpRfw/zyHB/gteDoFKYi5iq3YMZvYA1txlGq0Gq3qmzy+XZdt2aJNuatYci6Td4C/9h25odzEIQ9fiAOtwPaLdqwTuRcDv8OZLc7uPLwRHuo3RRgVOVWarDmQHUzKSbkD+IjR9ofj5rAHFNE//vPx7GR0zdmQv+//rpsdXr/CdqHmSMEZ3elAjgCiw8a2f37EpXk5L+ej+QEDhWloH0XSJ7z42m5kl3FdiBhNb7+A6gpgkb+BQf90+fyd89Pnp9+bhvffnY5M/y389KtXZ6amslMifilLcp2u8fGjJfWTEaTC/mzi1PV307sDXdEBPhrVPP5dPvQ5omoj9ndOP3KX104Nxx/Ux0VKDDIa56Io5r4Y1sdB/3q1TgXKv0cLyZjjKiWv/GSob6wwyq8UE71fguyIovTP+fURkW22HQGUZSlSeuHVRygy5J+Huk1U4xXwqWYPohNMr5qbnWF9iMIoz+PF2i8g+1dRZKjPO6ye6GMznjGJldNlfn1JkaIhPTjkz4b/sEZJLVXrQXQkqZl67lnVu/+8bNOa3FR6MoqiF8P8i7rj5w/h+kpf1qO6qb+A2TXsPznqtR/PmHrP34mF5bByBON32D7CJlCnKzsRJ9JRclGeH/LHL4OaCRa7m7774m6EneofBvUU7C5858fZKfsxxObBX8XuptkLvwKDqTf8/D9uuk0N1BHrhHWH+f8D+VT70chObCe982KYn8bot/Sf86KixE76j+9PbC3PTE0yGJF6tpbXTV0yqC63hvw28pZnP7OEDkJ+fQXgI/25SJEc4p9fBAsMNU7i8319csa0otFJd5YqhxUfY/2be15+0oXxD1HxKDZFheCwfUT9yqZXtfLK9Rn618P6FXz9C/Xj7ih7TRid2F8KFhdF0RJzwPZX5WrkhhYV8TdxfyrX7V7iHKtCcfg3RT8/xdvPb1/qVVhxfC+Pp1nYci3OeUuPdlT/RX+zw9svL+e4fYKRWMsAw/Y9BSuFqA38ApOTwPc3+ZP3Mmeufunq5AczH/yfV89c+9LfT05PzuFv+fU/k9ffG3vlU8hVzHz018P6H4if8tHn2w8axUQbaL4KvRb08pOr8iqFJ95RTBO9YGL0i/GFUJgCLkaihL/zeD8TrW/hE/srUKQx6oxkz6B/NPAQTc0dgK446DKwHlOfq880S892yMn4YAjqD2OY5Af5aC5ai+7Hety+nYs4wr7DVaH/X5q/shyVFYVRD/XirU/PYzflMA75+TWxPkRoFJkvz3+wvzK//kCmUTddebGr6NEDf36I/JdQt1RL6dJS6QgUNEsQv2mH4HikfLYl8jOSQ4pcJ2xkfPH6Ncb7n6pFUkyVjph/zd90RX5p8r+eeW0Tvsdfic9s/vU/nnlt8suT8mRWE+tPLkLlPC1wZfnHKcexZM+XxBte+xVkm+1APvyLzyd4y2Ks63n5yCXbMa+exF9foQd5+0pRaTBSfyPy5+IvfP/GHFYoi/aJbEfuRLqRG+wG1BNGaIzbF/H5h7x9Y9TRo3oyF3vqIKGRcqp9eH5ID9Ga8HyXiodFrQ5ZBfXx8+CIfbaVgoyjbur9088n9Iv0PgXld8fsLjk9V++rZfWupn0C/K0SZ/Aog4beWYfc/M02cV7+fM7wBHG6jlk4gshXF6IfmtSe4PHNx1OXpmrvXZ2+NnVp5tJa7Tz/CV6rt/38olphbTG/+yIyyrWmn00I+wjM+awToQqN9sxhBbnvP0L9jYIY96JiLNUdNJRm1I7a0T6pIo47hUqugazLoBzyogSZWGMT4s8dMb4ctcRgv58juVSuR/kOuo4b6q1nQ30mUFjiyt1QXzx8vk8gfpfRWt5xfoWer9KdxdlWdqg/LjEeFTOzqWxvU8tqWaOlt2D+4qBxoK/r63TdGGgKUVKD3rq2rq/C618fo2E+lYm8wxfsw3B94u/Cf4t4IwziF6K+ZfLHm+4kmqTnrhdG6lvWgF8oj3MQ83n5/uH9wJsf4PkyqLlmUQz+U7Qj/DttW8QvT9TJIYbjZQfW1KfP/fpTii3mqmWDpUuDPI9uucP24T2t7jJg98cmTvkxYM++c/uPNMoV6HiNYA+QwgU9b9ae3xDxc4iAvnsN3qfHvjL2g7Fp7/W9GZ8/ARgUBM5ugDUMSmmg8v6vO37+X8sxF3i+YP70hvn/lsv1c7qCIU0ot6fyvbzhxe9baKhfnmVcg9jMp9xuVvN6uLPltR+T87Sm3JDdKCLMwcCRAz4o5IdE/hXWR64rLCWT3ZYf/2xvcH2duiZrhGnac+0JsVO2qBCD+ry2p2+PJdV1vcxOZvWI36mW1wrQvrw+KxTZpa4sQdUEYdx/KMhr8lPtfb9+I0KH/g0fYTHmjy+fXYOxbpi4qABaoz6/W9jbHyhU7rKSIsXYjJTqDAAf0lE8+yfq66bH3hs7/+n0pS9fUj5buzR9VdTXZZPC/8J1Y98FP6xp1pP1wyE+oC2fzD9g/CCbJEf6vadaB/xTLXdQ9fixghrwU8tagzRSrCd7FYysXfX9DwPU5YuEpm8u3TwS1dYuKbakE/0YFhTjb+n+YZnXB3c1LpDpV4pSJNoHrHdE7HU0KGCfmnm1NTU+ffm9lfMrwPCquGutqX8+/8b0ypf/NLvs83PoDbeu3tLOmVnCujw7qufMVegfPUR253XWD+mkP19buD1q4Yfty2Sb2nIhxqJZhTl2pKiAiokN/SdaRw/SBq6rt0gYQw7Sa7PWkD9FZayslQ2aLh+WQe+Nv9hvPP5BiIAed7ScwUg+5XL/39VW8WqLiPyJXGe8qivGTPSC4z04f46rcn4ywkCbkFG9pvdJX+/3n+q28TTTxP3Wwefzk/ManB9779L0tfPXZv7lnc+mvjf1q/NXpy9NXc7KvL7QPTN+xn1v/Iw7uS3R9bEzf3TmH8+8Aj4YnvHrb6bHNj+bnpue+73PvjL3g9+f/tr0Z4Cf+Z6ovytARELU8MdYbH2wrsCLKTKWvfjtDjCM4IL2JJNNeRkanMNbzw5G1kcXPOpoPs2cTeWpnJFp7BZeG5nfPC9D+inazfr5beg/nmeva8xF2oG2Tgbcfg+0gbaqrR58gpDa9eZ3iGu7NzKNo77RMfpGX288a/D7q+Ou3mYVWFEIS2Y5AmgN17XiJ5y/BedxUmPuOm5qJbPQRaBXjgvYNX7J8cswm22FUfiOYoz7p2zUP+W95TLeY1E0APQJR/hEWy7h9Op8BXP5U6apkevnDFAjzBkU/DPv/CJzYaWNFb3+vxlxY0WhXypWKLAfURRjjhVhkefKerQRuYvf4u0LmEHMqNJX+sodkuOVzmtyXSlmJrz8R0gPCQWpjE1uH/V1Xm+dzAp9epHJZjyzblop1hvW/4D+S6QU+VnE5fvzgXIfkAwn/hP4N6DZrq9y/wTWN8pXeC8/59nHvpKLVFhFoaCpkLQcGqlFOkoymlcfifmrNbQmA6v7lDRTDf75TaOO66264GeXQ0r+mGNModLfEeienNi/4bqoEHDhO6+BhPswGKxJB6anv1ZUi8curFQklBrmCHH92U2/vkOjTKzJ9PMVeljf0Ury/gfP1t8/wP0zgbGI+vEbGmnHKq4DyjdfpSkeyRm5P8hfuZrEeN6OoB7Pz2FQ46Ttmd+2vmve+i7ubwq9egdqIdfvTE9Nx5X7f/vB7+2e/+D3/h5+t8rn73n3/Ph5971xeP8yUppr//Tqtak/nfqnV69lH0N+UDMNV3cZM5j+CbEy9Khv9NNPzadm//mBwH9BPp11YMzEiinm+AgEfv+cf0IjLIRjHFcadpwnMQeydiL+Ka9x+0BZkNtv6u0vmVJVmA7xjTrkg5UyowJzmBQIyJ9BNBAAOsL+K+u0oXwoW7HtF0yxosADRIEDTvjnkVLEYaWIE/lZzDHlQVF2ZLjuhwbUh1D1sUFx7Rjec2b36Db+oWbhgmbhzLOWv/5g2y1ACIawlNaD3NkTWJMOosPxT49LalljBPf83BTW2AHy8pOcG8VwCU2tG45gNyXMsoDfHPiRzrqso3fYc4mRR2d5JejJ+sL1xXJ8fOU0qDJmXb96SGoVxPoBI5jxMQnjsytmT1e7/cmEX7/w3l9Of2+q9upfzsT/dqR+4T9Bfd8G6yy+TR4RKuVYRXoGn+3vIMJ8f2hQzVVLx081V88RZlbdquZCTEOTPikgpNW1uuFodbZv9E2d0P6mARryVN/U15/1/Py6wY6LcNfpDnkAOcyT/Ytu6aBN3aVdo6sz0u9Dth6QcLt6u5Pj8bWoBrz9TK8bt9OVpd0eVCYjwMd1Gif5eca9UJLz1w/4esbE/pbfH+P319ebR0N83bO7CBltnDcGav/FbTJhuOnnh88NS9802mpFrTwb6rfiLrujucY5wlJSz8vOm6u/sfz8vEYZz8un6eFIfr7d8Pi18qrDGHbUDskZrOd57xo9AHyht16D/Y4xBeJLUP+dVz6JbeJ3EMwlsMuUYaUX2ZfrhDp8pZfrIn4tF5T1COXrS4H7/9QR+w/P/9BrWk7LG4wGDabxyh2vAqCn3n0O9SeyvqnJKqM5zcQMy4QellS+g9es9paf/9cw62tRzSXPoZ2H/u+WmB8G03Rm6h3wvnV21MkwtaN2tK1Psn7+Wl9lTF/lHjA9/fwiv6xR1hRWNV085DhO7PFTYpEh7g+8PiXssOQjQEf2b647zNN3h/UFLcE/3VVva99nrtbU/i4FVWA8fw4+WTvq1z8YjK1rj7UNglKsN6x/6FCuf0gTNinM8rnNMLddVORzJgR/8ia3/1D9YZONHtUcbaBTw9X7Yvzz/XKfuZDbJywVFu0PCicdyXv+rEaP+TMDMW/X1kSWPfucIYhePYMvBhVtJYWR0gvGsS0lL/7G/5I/P1MHZlZzjxgOGcxoG7ttv76fGjvHVOsbT9NFwqCGTvhHMH4nttOUc53n1DZU4Po4HNhDwPPxapAdLc821JpGyHMC/vkDzdVcfaMD9Xmg7BzU6PGuYaoUdm2Hoj6IYvvg/dH936vN6Utf+cE7H01/79U704C2/vR7Ep//W2Sg3QKFz4xLqLsOKGBCtZJe7xT88QVafsDXnEEGO+JapGlq2s/fh/oTsLRG5bgDdtBEpNYH3w2+as+ann/fMNgA60eGizWy37dAY8Fw9d6zfYS0nG4bzGCsr7vwHbyaUf+R1/FaGsRYXfD/yAPK1G3NhXq15zcRUgqROmMpByJ/jTpjZ7vkNjs6aT+wn2rJYC9uG0efnyWl3J6oL3fV0vPwqH4k/B1xefytq90ht9UOxFc0HTwNlYLCq1pO0yR4AA1eZT0A/0rUP6jOcUllRglUJvvD+odWzeevgOoGxqsb0Evri7FLgFmJDTbgCYjbMwnTTOJqFZ2ZUP/SFRUaLKf1DZYJEnYokNYMN579zK/f0PoMdi2MlI8orIPCA4H2NerGz4yuvs8s44HBMCH+8zPce3bni/hfwIsFQX8vGx3quwW2A/+fx0P8NUEh6z4jg6opHA1YE54+HCA69Ky+pYMCcs2wSSdTaONQMpQP1SZucPwW7Ma2gFE3U1toL3TmQYKZH0/f8PM3OtNto8hRLHW9wLXuC5jbV48fhgnt+apdrVsFIOc1C8gW+grwOub1cJqklYwS7mbWumuoHigC1sxnLBRZAmLrdahfmMfzhZr96/e5vmeL89swqbbYvti5WLmQvCAvVsx8qxa4cSr/B6hSm3QSyUQyYZJ8vDZ7w2dXgvoALae24+2GqZjn5LAZqahtC/wrPAMmnsQxwTaVQiQn5RfzF+99fM/OLz0S849045g9SLfT7XSfuUu3l0oNk1WquWgV/Jdw9mxLshiTahfbJC+ZsWS69K8VKS/VlrzPZ6BAugXVAxf7pDJjZmRiXqzYOajk44o4ZYlIOdaW2lKfVWQzBhk1M5H7elXomyayXI+qlmiTXCKfMBMyMfV8ovaQXz+KNTzbeshITmpLbVaRZCJfrHxckXLJqvAPCVZwdAtqIOU+cWsz4RLIuEk5k38+wenyha5NvPtzBU9lunKxveAdv1i++MDWSXu2TYbHZ3dn24tVvj6UBWeUltNqoF5DTE3WksQ8yAWriPMaMmAe3GJt1CZt0JdKyEROmIn81x957VNGmGwlcqQdaBMzCP1zzzWlfPrR6Plxm9lVO+WkCimcwolC0I5BfAg3cApHMWNmLvN3jT522Ywut03TjOZ61eH1CeAECEUh1n5YYZWjEqs8bD/ix1nZ46+qRGVi2s8EI1bEjXAsJs99lOexucXae23W3+NnH1Xg/GoVobNl6F1Svsj4NfqSy25jmVTUymz7iWi/8sUy6158QNqsb/eZK8+wumZmzHDuRVX0n4LVVnyL5aB9SIXcJiXNTJmkba967f+AtRfbpJK+vfhD2B3FPllyFlfPrTqZE/0pWLsEC2/Q8jHxrQm/PlL8PlrohmPOiQJtGJ0+fq7gxPxKIQjQxiE+EcWKOgBY3SK7UL9QT9VTLrHJkwRb8Ou3vPMnWqCeAecC50P63tK9BeDnsSgNWRkXvkuW4unb809bc2Li/OMHEAHDeS3PtlRbtdUOyafybcLpmbKcNTSLsjg7A0ylW8EW9UioQV9Dlpp2M2+aSUm2WT5pmuGMudQBpDFkOBDCUkbS8xdMIqWkVJ6YqXDKJB3g/K9KTQn0zaKSllcrs0UmcfW0m5JJOheLHxcFv5Qmfb72u5pJJC1PTM1kTzIzxNWKcYnYoP8C+E9Wl23ys4V6pjAvE4h8xVghUhf8bKC/C0Isnn4TyLKA9MFyfBn+jR6Ho19enl4+vxy34mvxb4njgI7R3wqCRd9yEXJBHTbmcZ0APys6Rx2PW5RluOpvn1tqwu0t5NfkAmvJWZJNbUGrpvIkL9vMFnEZhMal/2PtO8v/bvny8tbmn67825XvrHxn5a9WLq8sr2z9ZPknCGnntAJrQbyYZLUtwiO3zEa2bifsqs3zq+eYM2/NW6YFPhrzuBYanMMaod455vSyrMVaVpaxXp514IvZlg1fJ/zb3jrmhoSgHURnpZbD83+mbLI2zuEqRgRrM1pIQwmUwNWZZsiPj7FttaxlMCUcGTHvzvfmq7XqU08fk7iTU+NxQOB8Y4y448DDMDk5OTWZ7fr7F4YSaIFe3E3vXtxdZFw7cefjnRe3Pf2TbZUyFDcTLTO76F7IXth80rJXbT7//PVLLWoyXiM9vak/hTqt+Vqt9rQ6vL+yhlWGcQaDzvcCvO4LfSrRd4zNbifQLDX1C/rF8sX7F8sXu0/WBrHh/W0ncKI8W06zRbyIL1IopHRxg/n4+8g2swC5SsrA6jzP9S/E+ilGBisn8CyL583HF+kFBKvDxw+ekIHhPR9c356lcdt0L9gXgH+UXUB2/sUjEZ+H6LzGcCHjGrsGM3YX6MLuwu4j+usdnh/cVhiNan3sEqYXDNdgC/wvxPFR9nywOkGLa8hVparQtxD8x3AVkV8LWOIvRo7T+fp8PVOHd9AQiCcvFC6sf73Bbk2cO63v5rOUj+rLntJnGx4RzPyCYS/hzo37r5d/Rggn1RYBehgJkOmj6r2evu6IWpDgRx+tgRP8HxMU8vWxf/zrS5OXwv8oatvC/3NyHAjEOLOwi20Kc9fT7da53m6CWkP9uhPmC1+b94QfOuBuxC/z10b8T1z/p+X4H1P0hfP9dWIiG7BiBfAPQUUZvia52nQQzWxC5vPVSxv/kYsQfPHzRSVta7a8ID8d1Tfj9Yd8PD0iT0f0cU6dHyxnvsg/eer6fP8Fe4eW8F9PHxU62SfvcP4GvXwdXt53evn6xvXl698YC4yNzXB8uzeysEVWHQ1FR9H8oj7tpEdDKOxG/sc7fxX6qxn7b4sTBc8/o8LDebmvT8aXzwzA1ReouvtMn8mptQnz5evDSAeFiEVnqOCwjJYLy990rq5cXXl35erKn9GV5ZX/8qP4N6YuTY6HPP15ChwEoPkoMKJCYdgbf1mUdbINWs/Ws052n9W7e86eM8jXcvYqrI8B9CN0BV2hV7bf3b66/S13ZXtlu+Auby97/GugYL4BipGXLl/a+PGfJC+jP6F/MvYeaLTRwNjL9y/6BxCQkW2yfcB8fUDxBWx2yc3ZS7OXFi/94D+OL8t8/AxoI9QINegANayG1XjccKhVq9agfFWMj02UQ7lMLkQn2iwXa8dAq86aX6vNzEycml8Yqp+T5v6Rr8jD2w9kFXGDNVADD4AaJd/IN3O0Vtv/uCcFXx5fIWvezjghK+O0n8xU8abgp/uRuxJfiX+TFiZXJr9JVyYLP1leWZ5EXN8Lzo9zreI4R+cLroTx5XGvPpW3fq6R2+vsdXj7838vbj28VVVCXv2tlA3nFRtmhz+GRscfoO71fLRwbm0Ug3ravvi6woQmQlwdOBtohZMOv36QFt5YeWPljW/Sq9fevXb12tUPvzl2dezdsT+ml8Z4/NkBhHmgJGb/SS24135SsOR06xuNWj3LYPSUG5TtPtx9uBuoIPzS55cDJUKhQh8q6BcbFq8PlLvMklnUhrwfZNx8e+Dpy8H9La8sX3FXflz48TfpCrriXhn/0fg3xr/hBjz95x/Rq+jfulcu/+i1K6/9Gb16+epr777+x/SSaP94IP6j+BX3anwlvk6hn06ff6Lnyz8ZCW5KvTafX7j31Ns/D9yG3MT7tJmjuX0KNFR7d1/crWq1qOC/Bz11xVbq4e5pFDC0/8n/jSqPB7a/eu/wQ8EPEjw3KDSy+61GlrH9zn5+P9/ID+yqXbWDNoyPCepkG8AazBzUcBsSfA1cGP7BAuhLTU3BF7wLtoMRvoNLED+K3X9tbnxu6+evzJ3PZLdH7fUk2D+wHu7K8pWVKytb9Mrklck/oys/Lfz0G9OXpiVv/IH+NXyFsplN8RXd6nPeEWE/GG2GgLtk4N0d3J+Fnnj6NROU1pq1Zm2fUtRE+xRCx+xpbaamh1ZP2gc0LUA35ERDR6xPE4yuNlfBPg2A3YN/OdlHzPL890ApUGJ0r7Tn1LMDF2bvPqtnna5Vf8jjAye6UEGJOEEs9Omc4RhGM+v/99XLV16/8vo33cL2n9GV7c/Hx4/fXbmM0UoQ/I94If75nP7Jyk9W3lj3Rt8V92T8wPr5o3Hx2wL6JpxPr1x999ryR9+YQ9/iz89ocJ8B98ALzmAD88RClhe/gPzRe1yT4z332wj0ud6jvILoo/NzU98S9fNe/sMkNNXQ5AV3XoKvR25NEvjZiy2BnxWqWqftw8v4XKEN7q8Ao7PT57EBNZTjB8B/anwo7BOsCvt3Gi47t8+gh+tZsT4ELIQSVAsFaTWUoIFSkB0NsUUp9nVUZV/cf75sv3j/OXV5nzX7rF/f3G/Wm3sdVnx45+HuxCrsDwglcqJO2ELZXE80CBtdLeH8FyVgZdunA973jfw+dbJPhuNj+GlU4PyEBeWsJTLnf8oOKMytvSKDPursP6gjxh6WH94NaiHA38Qm+oPcXgWUXxhrPG7Sve09OrBrBasw8QRGd6hP+/u0nm9QpwBjb482dkBJRuhHovoEc+r7rBmE+btP684+rbvMtfqP7oJ+9AR1avu0XtunL0oNvM/2cYMOcJVWcZDrnwXpINSAFZA69Qat1/fZXoUxa+2hO2Ggrli/GGva+6xpUxf0I/d3GX20+zGV7DDEv34CVu+Ky9enb3/zo5WffpNe+dW7/+OP/9fyXwb+2+nVgWugU85jZLlvhe9lwl/wjzsv+8eC+SiUBXVBePnf4afs+Cj/3/B9O3APtSYO3BQ6J7xooWjjawcFttXtGAq2zgn9h1ag/P9/vu8/wPs4itG16+cv/d7vT43FPp2aObV+DStPRu2zYG0C/hrx9fL4BP0+8QVH5m2h9BfCwVaYxx/AG97iaiGgaQRb7NPnCz8U8J0XdxfaX7y+7x8yJiUz+YNHo97Gaf9SrLhcKSBH8jxC9gy4oEKtmCM+4bddH6EJd5z/E9/hHaw/tFe8gNAYGkNblCuIu/L46+N/NlwbBD+gr6solBX99/Nz4KX9u9tifVgATsgdUlnYXqCcwauyUHlUelQ5Bn0BnMGw21vYJbsLdB4TsXu9u3D3Efv1DYRm0WwGKl+2fj6eee3nr/38tfvk5+NzXIHtevY2QoFixp4vwJkZPI8XmNBmnM/X7Frt1zcE//5F92LxYjHtv7cvVi6WPi593Bm8z+sDN8kluFuyKd7jl+YuzV9aupS9jooCH8PsuBu34+5skdwWOyQy9K/H0Xhm6+fjc2RuNkPmZudIZpyvpqBxPv4t6H9CR9Fxkhxz3VjY4RARh9eHZbZ+PlSmnDufOT+39S9obvrS7KVlwN/WCQP2B8gMJBGhSYfQpEvcen//rgNckDgF6OIyuU9qyQzpZqj4atJmj+2Pxu+C1oQ10TrbipTV0mzx4fti/Qy8hK4K+n9z+zfvjxwf5gf48TIo0T8cOe6dVxZHoNLs4Q1xfcA8wosBB59FrEXL5vrukuefB7bB6xPruY8VUm+pt2ZvPfxQXD/i7Wlm4XPoy58veez0EMWPrsUK6U8urNpZ/7eCPwUYNiQqheQQaEqdqO/B+eCGT9LJua25ybmZua/Mfe3S65dWLk1en/zxmfFXhvpAHCFw+vh1cXyIjylFAANcIqUlYPnk+BbOz+QxEDJLtkxgCdpZ2qmHRP018BcK/QrRxrzqsxlsTZTPlpaKov0xguoknKXAkpc1u2632z2E7LGkhzx++yF+CTg0MzjJWeiG/Gcw0NYiFg3Jkiln1ohVB+ZESU7KLWV7yG/PWxU0bYGr3I/fTqAvHh+NcoD9GFGPSJqFTCFTT9b3Sor45Zrg/+Yc4EyWeOQun8zXvd8BPwRH421OXt+8fmZsZuwrn31t7PWxlbET/tGT6ydlaN9Mvd6VfQTc+0N8mP35HmEr3cpkM1n+/AA/4foKw/wNZ3nlx7P1Ef5t3n4hOURDyVAylAYWzSH+SqYn/GMnq9SEJeaHGH8evg5S+9jEo+0v+Bs5P6YzI+trn4+6NTMmxnC4uzQyv0bb90Svy9df5BW0d9ndpbvpu+Tu/t09D70Dd3gyvigfX8BymaxxDskdJaT448vTyz1bDrQYe2l88X9qhe2quymNYFfvtrtCnIPj14b13wgjQIEflw5LhyX1lq8/OIofMzcyG6n+0m5Dk0/pc3EOquETclW6vJabvfvw7kn7jjIYjv7ly/El/1rAvv/F9mtNvLw+ivgpREgjZZOzNL40P0bwd6C+Q+gSjIBh/4/i6wjLaBn95PwI5/8VkW62s7RDVslqM18XCNH7SlsOefgsju9Zouk2ae+394b4tKhXvwsYJgi5pphpu3bX7nqYJoivn+Anl26lKbm9LziEOX5S+XB0/ieBpZA2h3fn8eP6+KmR8ZGs1Yf89yf4zyXgWKWZXH2I/1RmRvFdSwzmH3y+j89TTvB9lAFHWS6TzXTrp/iTh/gzyu3DRspN9vd2fYThsH8YtTlLo52qJwt1fDK/T/t2Xm+3wsPxMYrvhOfP1JJ23cN3Kl58WnNwnTbUW0u3yDk3280ejfA/A9YBGICOS2ppqUSYN75LsKfS5WH/1Vh7qZPmmcm93Ug7UoUaOp//FOYgo0tDlmKB3wI8xsn4FDMe2JyXbh9MBIWizs4oPi8p7Aet+yq0VK6N4u/E9T/fIRRkD4OsnML/JpmJMoiw+hB/pgh+rk3G6zGhJuiTTX8N9efPefGKrv/q/LWla3947TvX4N/0telrX/7u7350gg/bGpM/nQEWO2CIHuGHjoho3Q4LpfopPoP2hvhHmD+wVJxlZ2+QG1+9kcmS3GLeLkhZaZW/Mh6+gSvY67lMLpOj/X7z6A5UxOoh3RzF/yVDvH2L9SH+T/bwnxGB76mba5mn5P3kWn1GRnJLTvL83Ag+kHTSncPKYWWIwLt3gv+Tr89c/9r1r32Bv9rXKwpDjp0z5/H26361JNrPVwyG+gCzlqmlKMyuk/6b3Va3H3VnQaNhN6E/nvGtld/+nP8dT7TAAk4Uv1o6Qv4K8eJnAX98Af7ckq30NqGkljl1/VF8J6wPhC2NrBC/Zf46e0N8JsxfH2vIQNXDytCmVee1neI1il9dKqUZ+Dd7Q/yq7NfXFVlxyV2C+Vvcd/eEumzRW1/PRVyBX1rqpDugTLbXjlBlU9mMPYkGh/OrzO5HduE4ub10e283cuDPr5P1AbTfjI7vgY7Of2G/l3bTNIOhONnHJ8L84ONLwhLrcJazPMv3Ol1/j1rg9gvLMuDTxPzbp6ftJ85q+5qirbN1bT21TtbZem9wNMCbHDdb4vySjxedC60LtcWaszGc7a2le7+5OdQv7Wt91tf6qT5hDFhq+pp4zYyuXzAiRmOD4PN4/Y+Ff5EGL7+8VN4b0QcZ4jNwEqcp2d3f3eNI70hlZH1rR3bZnaUdwsgOae/tKlElpDBFkpMj44MttdItQkl7rx1pKzmlptRitwH/xhWzMUT4ZndO+yoB4R9wNNhxUQtlgsQF+9pzfa/B8w8KcoEWlkDfbUAGe88jVYEPhfHJKOhPwc4Z9s5cJ4BObIdbqeRBOOjpm51oi3KFUjphne0ulbz25fV3GB2X1GIqRErHpW632xX1uZkJv/1odokz3Hr2eYQ/dxSfl7z0B5e+XXvz6jUPn/cq8NtmI61IK0JZVgEOX5bpLjl7jpJXOJPyaXzmUpEUWQlYQj2EZncUf5liZjbzmDj1If4S+B29+lbEkEGXdoGD+Igd+gjf275/poHGt5UqmnVzrZvr2kYJJzHnNzrBJwiWY3KwBB7GkP+aXx/q20t6N5k9do7CQwUZzr86vjz+BlkZvzwOvKnL45e3Lp97/Xdff+2jy9PjX0P/E/jBJDlGtfqgfq4+wWZktXSymkH7q9vqfeBYpBZm8Pxa8ag4al9H8Z9if7JER/3jUfxlyjG7x07P7Xv4S15/7vtPlHMsUW5/mLBZkaE+NM9aJGOtoJMJCw8h5tlXjs5kuA710UlkIsa6FrBMapAi3PD4+S25zopLFdLO5DLZBh3V5xH81+fH3nv3/NjS2B+++52rb159811e3z12fgaiL+dwsJXZgHGq2zMF4/Hoev8F/4CzvJ/SLxjii2H+ZlBGcACf8DtnYX8Tuc/aSZj/ZUIbQ3wan99ZZVXRInfZTjJkZjPZFKvbkSLXx3kK/o/XE5S5mptymXvkdpn4Heil8vavY1ezXAu7qZaZdTd7ra6JZZzCzzk+DsNaIvepm4T+C2aCe0wOwkthcpDjC4Bhrsh2Ur7/YXn+7wE/ngHrr+hMT6K0m5EzuHGi4NES+KfJycl/3oxH6Ffn/s3cv6FX5s7QM3P8dYHvDyFt9tNNKn904aOvUdCogJUZ+NdfmfHwf3mcZwznk3nimtYh7e0YQ/68UfwocKTB/qwxwg+OUcxp1bVmsBFtqKVna6O9J+w3Pmc4wj9MbRG+/zkqaZvattbSycj8pSqsQLuMAcv3KH84oAu5/0Y9/82S95Uu52jZ9PXTVcowxilmYhcdUm/+C3y5GB81WkvmzTxh4N9HRvnNT+z3dpqzkDb6ClUszqCy6du/CGW7S1Tsb4DDV27Jrcg94Pfm+J51bZ1tGjS1QTbZoLfeW9c39YJeSNeFf4Vpukjq5pr5lP3SBS7sNdNJVwwD8JGgnUm6UMOIsciPBYqj499nK4fnN7MZK8UawUYQ2NfF+jw5xRHs396cmqQz179y/Wv09eseDz3nnxf+10wh4y7ufnw3iCZcqEKFGtQwl9/j+6cszh5TXEvWCHu5/YLj5mvjr239V+m133vtfx+/LAfQFg1u/042Iv+nUAAN8de3WV8tpRqZx8dOT2Yj/OuCf96gbk6jqWwGOAQPDkf456G4Eyw0YxgDyxrr99zeU62uD3SGc0P7Mffe3PnPlub+8Aff+cGbv3hzhD9f1F/jrGvj2tJ9cuBKh51DqO73+Fk52xWbSWY2Fvc/LiEEfmgYerCHtVb0FL4XpUzSZZlet4c1YnR1TY8J/oMR+wkeoMduLfYPI+3b//iuiLYHWoF7gaKvvy3GDxUqLsAKyPaKSl4xZe4/iOo8iHpHSpAZ4nlMehLN4J5AF+yvxjIINM6598N9Io2OzA/PPoJ98Py3DB/fL8VPIXIB4yvmCPsu+G3VItT3LxXT7nHxsMgZFopaSPDbcLQUZaFUiAAPMG5oClWSiqb0QEBrFJ9NWLrE8ox1PXw251+B+VUG/P9SKX2LPN/fGeVoH8XPav76gg8rwH+rcXyz571S9cOJVvq+9/OOdifcWqrw9WGovEpYqpFqkH3TzGQym6nG3i3IP4j6/ulrm9debf7RNf3av2+K/dmXr335e7/7f52sH4xGdsH/I7tLsEP0FNB4/NRDMO8P/CzzqH3z8KUfbV6bnvujz/S5v/jFtV9c+wXgSwV/pmAvkvOMgf1ZchvZvba8EXGUfPT7EQsB6yxWqWG5T3FvaUDeOq4ctbo2dvCqOjDO+eszxMzAI/bG2gZxL/Q/vivh0/jvJdeU3GS31fX5LzdO48sJM/PM7VpHo/z5Q/y25+Fx7+Jl/n09yJhxk4+P7UOqfsG+KkF2I3UjTQkltEGVp6B+AHxHJ/41H580Axm6c3JSGfLre/6F7dq4QJiZZaxrcwYKr35dsEPg7jFHt5oS1Cf28lpH8/Yfo/jgpWt/8C/f+eyN773h4YOn5FH89cnz+fhruXUa/7x0i4RN1AOErmg1NMTXYZdqtRQlNUZ7tR5gaZDgfxzFRxOaLh+XD+mhh49W+f4TsFByndZTTRKCV6MpMNGAkvLWvwfqwTHXl0vfYc0j+6iT5upohoYQ7FJlSmvJmgmtx/Y8z9/3/338yua16Wuppj72F2PXxq75DAYzAt/L8d8oWTfr5Ba507jNd6QQAftwiD+aYC7ExxllQmODjykN8udjr/7L+VfOX33v6vTfpH7xBx98+4M//3/e+GDqg6l/eXVs6iV89R/N6Z/pc9d+/5qHrwZ9QvBOAY0j/CfiMrfncq6CkiZlQsP4SXPzo+mPkh8Zn377ozc+evPa+Wvnr01Hp6dP+BWOXdyFPE662Pv+EXgstsq1vjz7gZhg+Wek1uv3mlpNAzzFUw9fbWOZMVxPNUiDNQ+bh089VCI6jc9NPSVN1ugBQpfjc3Ed7JtWAQYdxjSSeotYLNPTe31jRpvRdOAfVe8Af7VKjx+rNFkwG+x51z20tQLsL7T3R+yrqxaX3HSRsV6hB1gub/yc4McBG5PZIKw+xI9D/P+UfaXpEpOO6PEt1QFMjVo6jZ82gb/BWmJ7z5V1uRG5K7/Fn8/VNwxev0h4+x+5fVtnJiP7JvDnbBsM8kWsod560WOfHJe7MN55/wt+YT4/rWNq4CVmouMTlnmxv5KMDs5r9jFTbxvuEmWsV4H65jR4yEP/I1og7sVdWB8JDUB8z01vL2yDPjfEzs5P/2+f/mhajS5N//tfXfuuiJ69+qvpuakLp/HzwPLKaDfbHeGH589PI5TRCAWO9oyV5BFAPz7rn+9mDUruZPqM9nNHHJ+u58A+juLrk4g16Ai+3mggPk41Vz9yu8ACy/rsjoev5u8Ice+ccX4ZN70NO7QUG10/fHw24+i5dPGYqxyoN1XXKEJ8XfPqmkSdk8+OdRLfAqYB8NDdgsGSurl6DAxWo/zWUa0LGDPGNMhkUlbrUbBPeg0Qgi+Nv2LadcEDEwwSvP3E/FGLro3rKUY0ph3Sw10VXhWMPf/QwtZxF5NUD/B/vX7vCBP8HGbOKH5+aUDuZ7L7dG+In+frO+eHV28dDwy6REmdOUeVo4pR4SzuPH4PuwO1dAwabW1SIy7XOOEv4uH31Q4uAOptySFvudYRIBBLuIu5Vk9gOxEyOtHCRCta0PPPnr28Pv8W/+hIMJrFuP0Xq5cSZDSZNfOg4lA/re/G+eONCqtwFnlG5aPbRyP88VgybCy5xGBLDwhj7IgdMYMZtsGjpn78UcxPsf4krTqN1JS8nFSen8bnp3Lc/r6sv0CMHuzvDTfTpz3W62sGNbpGN9P1+en4+ruetNO7mULTbrDR/e9p/4zIzHUfHblqS3Myjzn+XDypDfEVooEKVT0rb4r8Rcz0+UcAH839w+Kxy+P/aGgfBCN3gRU0lioQygo91nM0YJ3h9k3CF3eJGy1EC4Dus4IPb5zOP/krLRPoRYm53e7hrnFbLQn+Zh6fgfinu3Q7LTSo+hxx3Pfid9kIg7WMDSI98kvYPy/d3WMn8dtR/oAl9w/Qnzff+Kc/9/gDph57+gM76v3jXY2lgoQd7xz6CNEdtcL3l3w2AH9Eamj/wD8G1o6T+xf2HfzXfvCIGTc5a8s50KchG1qevG08YsDxby54IzTWPRTx6ceyI1flLdaOQH6LkvYS3dsGxh+5ptz4bfof6kgG9DQ/BLB4M84hL/ghNBMhXdYw3tDzLI/zyQ2SZZtcRSunbRrbJhvlN+D+EVdB8vkNlOooPwTPj7GMVR/yQ4j4LvCXazkxfkmO0a6LXfW++mAYf/Lij0mU9lQwxIolF5Qn4voRj3+Cq4SVk4P6puwqu/JwfvL9987J/cmefgmPT4/wT6RcghjrAYMN55/QZ3x+edxlgiU8xzwVMeCnweREH4OwE3UMvgPjFQ58fd6PDeQog929m4mmBvV1eaBwH04pifuL7DIeeyQ0ozcY8CR5DG5Jgc/CssaYrDVTlDQZ7dlHHUDymvvpPkJaSGtrm/pj1jag9z9hz47aYn0yc+ma0I8R9isC/jPPv0L8RUSwEFLvw+g06PGuurt0n/SPd3u091RnOjG5feK9V1AYW08Bh/5LGlkj/qEr8/g3oUmuoQm9BvpEalEznw8ym+QTPZ/ZJOz4wen1CfBGwKdw3NAaKURkUuht9YDD29EczcMfw8429TR9n9DGIFYS4z+0NiMDfkDn8Sc9yajWN6nb9/a3jzVga0G+PojBWF6jsANlIaGCAPog3P4I/2+VEZxfoune0fPDShdxDXHBz5lVXbWjseOO6vrzAxD2qi3WD2g9LQ/zm/sXMH7BvjlqxxDrI+J62pTmDJpExHURY4c8Ivz5/sPx9Vu490hhd95FR6f0W0b5O5I5s9u7TX/Y8/g7jNaQf26DQXZlgyDCGkxh/HdMQS+NXxfsY48zPAiVNoSAFVdhcl7sr8T+xudX4PUdsP65XnwbsNVsaXuPyiGeQ4L9IbCXZlUX+G2SLROnW0JlFPwr0BfFlko1DPxluL5UTjNWPqIeB5TA9wv+0/pp+wPsCWJ9UFrKvlJVBmwz9QmxSbMx8ONvYn2F9hu2YBPar5sDJkDIiYD+k9DfUBgrR2gaVF4hfzOivyFUtQX/DWGf2zehgZHXPjE4P8UJ/0SyAN7Zy+0Ddt7oqzuM4VCqTTbZJ91QL6fV1L6xA/xRnJ+Dcf7JDqhwHHd6PoOJiF/BPonqPRi/qTtifI6u39jTnqL7oPKRoZnmkd239adGM9PHwL+W1Fr4qdZ1HxtOsppm7N5h88hR94mjDvDz0/wkS8XjDhvhJ8lA/MVUW+Chu7ZKU09M10U91gtqXD9BOyfmDzBAMYb7qYq5xliv0bupDQCfD8eVjrylrEea1NOQ8uLrtrD7CAFThkE1etzRKGFmjrEe7u1qrq7oW2CfOD+FbHD+lxQ162D/j1zcN3axpnJ+GqNsMKPFqCGDBjajn9u3TT2nbwr/m1saWy5468MuoXu7kRH7c8IfIVRIjrkKnub6+ZeT+PQS3/+Q9QZwdwkGL8Xb3+XE7IbVuefze1Dhv47ye4B9OS4eAsOsK3gDuf8vG3Ud+F1AG2mT0R5w8A71zU/PT8bnJ9dH2TVu6u5pfo/U34H9B/si+D30l/g9Uhv++iX4PXTB74ETlNjxAoGWpwwHyiKDnhbrv9ipAX8YS/0S2F27aLg/owgBFwAr61uk87CTvnexQr4/zMDz9e3z+1uDucYkvv+hkF/VgLHhqfZ3es7n54P9TYqSdwhrogZVmiImCPrNoD+rD7Sm62jNVCMz+ML+gvsngt8F6i9d54h2XQNGyF3OXzjCD7I0MLPMPWJdjx8E/Cc/Pngsxi89rh3Rbg1UuMT+WrC3GA/Yhxq/fq/JVWooT/u1Pl9/HAWk5hhbS7XIPrH2W1yBuqk0Y77/AleosoG6S56b7KjlafDk8JZRHeU3SdqgUbJf2hvym0D+DLhnOL8E09AwPgT2pyb8X1AHgy+W19wkgh0C/CP8ZWqn5g/3/2njRAML9pciuuPFL8f0T//io2ufchXJD6Y/4/o8MrCL6P3jbY2l1skA8uuaog20qOZw/m/gq7xvtD3/+j5jvQyjJEMGRNHWTvOLwD25EIEb2V/jDbAu2hbraxlQeYX1uce51gxqMG9/8InhUttgwI/CnvdxHxv30+V0me/fwP5gg1HNYBktDRpnrMc07zXKz6H1U5Tcpn3I//L9Xd24ORrferX5R3MG/YtfXPuMx1d/MP2L6f+GkNriSoMU6gNgf81YHx/yT8Scvx3bBsM2P06T9XT5c/vFOUDECubzj2BpseES2KFAhHk0/zLKD0KYQ9gIP4hxx+dX4ewqTVHhnpEWWCY/by5KA+CfsoD1D57P6IPGjtFn949c4zawjeiG0K+XUJhKIVAJgCpdjq/NSjgptzx81Oy2SpUQaECDWju0zGzpYTEYOhdECBCbGOMtvEoGelOv67JuzpugFlurPoL67fhWfDn+5uaVS1evXf7Pl396derK62++/ubl5ctb178xBvpdkbJa/jp7vKrkVBqvM9itV0DHCxDdUB+t4xkc21IP5HXWNOumDNwTx+10m1SBHwM4L+fx/BZbja/Hm5l6XZZNZs7k9Nx8terzZ+AZomuJVUaDBSIvyosmMRP5YC5a4/HvLON9CK1ETA1rSeagvG4nalXOb2JaupWgD3egwpDXcRSahUzetGO1Fz5/R1naIgdonTRRnZUkc9G82P64bVeBX2MCi2JGdiCtm5vPSx+XGKCr26xtVYGfg9tXTEhiNbFOmlgmpX+tkIpWATaNCdBPLGuYYp2wA32dUKPE6hAHMPSj9tGBzvk/WCuYJVuLq6QRarJ6UCbmoklA5bAavgH2l5V1jLbI6uL6YpPUJZlUJJO1Z3J6FfhHRf98d/PapWvXvvufl3/6w6nvvP6d13847B/Ob4LrW/IqG+hNUurIxLxgktyFHKnGefuGyxImDy4eLK6n6UI9LkOUj/Sf6E8OnFWff4Qwa5Wsa01SRzIo4bFd0n5+kDrht2DxVbaOmqQOFXqkwmOpVbuK0Iycri/WL+yne4sswYi9aC/ajCpR9c7sXasH44eVFdi3HZCB0tTrpNQ3SUXPkbZeJTdO6ue9Oimfm3074tXnniDQ+W/dl4/7+Bc9q68an+gF4BuBn/VV48DNCP0eYqMaMF6JvzPKOtY1XTGeuB7/hX9dmNtn70U+PNyeSKLWxLbrfTqygtsx5/DDYa3v8O95/sfxf75YWegQd8G+2FmqzBaJC/wSyJJcqM8nDHFmYtLWTFJZrKdSvbefPPpt+LJEIZ6d35zP1rL7DKEZhGkmNL+ZCcVpBi0wclemmX6yT/quK/CdoBAUREEHis7PcS4SBAwiKMrhSVABJOotCDD9bZC1WjaUlUA9ZbXF24dagF8nRaO4UDDRvnuWVzfgwqz9CArUQ8xUu5ijP+YxYU+xBBGBOrZndx5BARGvnFdd0jE6C510Z59zb4LPkZBqcD6mGHI15H1d1teI9VSSkpEDOYRn4rjaEvw4oP8QqylNrZdCX0c1KtWkmlzDNA76PMuby1ObU9fTY699+tpHr3307U9XPpr8aOrTqbH4+HKSXx8sHiXlhTK/v4LEo3eaPq8B/z0q0DzeUFuZ7PzGQsvMPs2c7cpgspT41kNo/yjr4j7uk7vGtk4zki2f5dlCYE+x1sT9Q/4pY+uF+YLBnqKPefRS3ZmlDwFfhl2e/zHpYm2RktqANmoKz/8kGEzfQJmVMNVacP5CfzHqdmWqtMDjjq8/fAL9Q13IQGRcHS1QY+fX9OzOWe6z4kLiiegflWk7hBo7C9RE+0yyIlw/ckGzPoHPh8y4Sk20yBaDhD1FoLGsurge7wL+L8CZ/VSaQQZd2DXor3fPUonvcDCOY//+tWCaXegvVky6V9unMvef4p1HwP905xjUOkvp0iJbrBPaaO5TxTaY9iTBnugIBZusYTiGY8r8+GDQ3Of6aIn9RWI94/inLpQChTRJS0ah3liSJ3CgFWwJ/iuEtgrLK2+uXLl69erlncvo6saVy29efvP15amt15drgEg3HdgBZhrqLfXDDFJdbBt1t4DXMOeXPoeSG/E8ySfeJk8SjwiK03iOAMdSsvrWY1ifkLYRzZ/LK2+rzzuPJERoFLR2zYsl25Seefq6HTlP3kaP2PZDCnEW3dTNhdKCaT0b6u/mM2+jJ+zRw21GUS6T103j3gK//udPtJHIJ/Lk7cwT8oigDM3kQMszk2y81ePx6+cbVdDtfbv6pPqIQb4ux3KyqZSiG4eP/OvP5823zbdZDTzsTJ7mSfJfS5KZfCZa57srAAv/7s4y+uHGdy5/5/IPh60j8HcRryKUc1TLmpyQCY1DCVRXHJclpSh3ACOCZUNWYQ0YHpc5whP0rvZFHSpcg3MtxXGgdaIP7qOnvb+Q/eN8/aFWlhRS9iJdRMxNuU/cJy5jIfbVX/r8KNjCNQJZ6xb/uQrsEk4VefwgAnco3jlf9BPsDPknnIltAvZtI2yl4Ptm2BqgIP8X4PiRs6XIh+qtibWAxThbRAAUrSi7EbiBhvgSH8UH1nL/xsNBbDvAGD+OzKju8IhDbNdxZRzDjgt+hHwgB8MUoXP4xS5Xhio4tvLLyG7UdXhkQBwF9DHZ5l+U3UAsajrdWMbpxh443cjd8M8QksLMQTIppe4QZ7ZESlqM7/flQIMpHD/p8Vv4HBfY4hm1uxmlG+b6e6P8J9A2lP/FKtG6/PygyDWFGK1CszJ435c1JdgI8/M5azWvGwI9M+LwX8gIiufDaOL0cbhTXP9qaUKeUM7eSj6J57zjEDtxLES6oOba6pIuRNTVm8++cL5ej5WYE5Zjt/RG++1QaPT8OGJdhEn3Qpd0vw6VGE9An22oNlY8BgQN1IIO8XM+v5W6HSmeLQZKpAt1DgKd9hvveBjBKEQoth3YCdjEnnDOdv2/4MsPitCzO4Gd2R11J7IT2Am4Zzn+SL0xe8MCvhMkozBDOA70FBiIYgQzfRxb3viWsYTFcYWdPg7rL0fXFQFhpu5Eimfrwe4J+icsPt89WwwUZ4tqJ9IJVM5WIkUlrIUT4VoY9PWwJVuShVi8CvcX7EgmLD44G7cecnyY+PygltA0TdGCWpjX7mhaglWDwSDQXxhUzqKslY1DPTBnBZA5txRHYCOMFCpZyFpg6nZkO0DDXPkch+IhK4Q2hp9vLTK1GCkGSmFZKctdXIjbD3cmQj6/zxCltcNb2Gtf8XwyClOUjWcx8BGMfL5Qn4PfStngW8HNRNtoK7lgLryhrCpBLZgIPqT+cThf489xcoUFZnF6j/P0zFhgbHbs/NiZsQCFukSoDZ31+E3482X9zw/S3/75iLeOnEVdqQtWTrMT+VpOEu3nwnPPltRyhAZ2lJoCCkrJ+aTdAf7DONKYgoIogTSq7AR3QEUNGBTnCzbHd4v2m3DjNgY+LjvMZCvSUssJuSYB/wk/D024NXQBGS4vN+NAh3jY4vMzDgo1pUAxIWmhaDAIWCGOqAB9wHMc/xvPYgyVSnGELaUWrEHlof4E23HbgvqGaKR7VuwBWaQUKJ3luRdYA2pyCM4KYVNpifGBsxNcHQ3XYYZV+f7QsuIWtsLUrl2omTVkqS21NXuQWK2u1jLcfc3G38KFcMvKzuf0XCgXysVoNKuv4tX4qsXxJQqD8RO3VArzKywpriyB9yTa3x8XCwx35W7AgcomYB++sCrGJ4zKsy5/filaAD4j2OfibnzNejoh+Cd3SHGiLirenr0/yigB/Pti3gaZPz+Amx6PzE/R/4m8llNyodUQVIvbWIrL8bWHVnhkfCSyWlbJBjfDWSWrZLVsgnvf4v5jTIwvhQaHSJ/Ehrj/OFIdaPfZWxrHo8JqrPL7f1gPh/n4gb15KBHSQgoNYgUrsi7roA8Z4uOPt88E88ev3I04akfLz3v8PxgpblgKSglJcxUpKAWlsKvw+vKE9ISJ+w+zUHA+qAcj24Gds7ehXhWs20O+vsWRwWQJSYmOllfyQa6dAbmJuGRJwF81W1bLMfpwd3bXoBPls+Uwi0Bu5H4CV3EI++2LcIKdtC/8S2hVJuyPxuD3XvuzoPbScXguG9mzO+r92IGoF4T1KhGq0iAf/6/SyUvoUvz61PUz42PJSXSGjs7vkfHDv0NU8dT54viW/3dfOC7jumwHirM7WgjygRALhpj+rM8PwRk0TnoI8corqHhJKI/PIRTPi3ZL5Anz2i+vbQCDXZUGkRj/4eCIfV5X3laeaI8SQfH8sBM7hbC0yCcT90T1JvDrxuNT8cnlAPXs29jveBbOf/7AdtzGeVkKlB7dWdg17p49OHugWupOYmdhx3Z5/5b4+CsZpagcwrHdCOSj27PsYY9fX4wvKr6DdZKhHncnsfmkioT9Y9FGqDHf0BvwfeJW7GYsCBn9+WBN9C+VswFnFsZPDmVPuAu98R82HFnYVyqHkCTLCtaymrWwbYv46cv2yYlUlNiJfQL8VoRC6xt9WUc60pW+MqMN1wex7vL2xQoN1pQatx/JedPORaojz4ewBPNDkSMQoSrHseC/gfUhDL1LNaRYQUt5rDi6pVfnqzbHx8ctnJWx3z4oG6P+84nzR9Yf/v0MPb3+DMcPTWANKzjIQCdNU7TGYtjn1yQ0OOT/ipTSFahC+Wr38M6J/Qm6CW+chT0LDfY5FERIteQ1sMPVVjyHcxNuxIk4kFP9es7i/C+zRbUo18X9KxQJ3arR/gmSnqIElcRAW1fWJ9ZjDRl2UjcSwVpQinr2oY7q8boYB9FG7KYR1IPzwUcsxOcvt4s0kdWz0SzKhhlU62pY0+a1p3B+Vm1FWuI42DFuv5wT+8X71w1KiZLehXEEKj7CelXdoCTm/ytjY2Nzn02PvTI29tkrH7wCkeuxubFLnP/Nt78LFOcUGszGWHQV9zCdLVWlcxPiuOKi/CLDeTkfdEHjEXM9Zu/54Xways3nDBoVq1eO777fqTbOnQP9cr7+lhao+B4pxXj1YUKq+fbZkq3A9gLV+9F+qB/tRwVHZV+sD7Nj5+fOzAXmZude/fsv/eJ3/uZ3/ga4JuDfpbHxMb7+IyUWHiTWtfXoemg9th5pqA1tK7FeW4d+jW9PbU/SwNj82PlPz0wHps98egb0Rz+Njy1zfsFZdB6doWNjr41N/fyVX4xdfeUXr/xi+pVXP5uD40m+Pmf1XDD3sDPr4GwYMn/l2XJCq2o1jfdvVOvKJ/4Pz9a8ZD+7cj1QTIT0oEJ/i32O4m5sO4Tmo0Y32g31o0+jdeA4vFCza3J12D/WbEktKhsTNVlW6qCpMN+oNWYe8/53FDmEExTnYgzl5JwCuRM+PmH8BsqzJdWNgYVwDUBE0lhLzuMkfmd2/5Hwn84phWB2saVlFRbsxPIxzmEK7KXnbD5/65Hiw9sLfbUUbEQfR/juarYc7z6sA/4Cnp/7b5TPTtAwfLl/szG+fmoU7BVU43L/6FZVgfExPF7FFjxnAHTKwALVLjSrPVgf+HNx++ePL9C2mc/VcqENf/48ovNZ6B2h93tq/PPxe7K+K66S00ywj1UbxvcC1XPR3AQfwXouJmY4V2BaFP5xBrzqQGW2Ap4CkqHyw5//3D6U1ZIiBUPzWdyNlIJSdCJ26vP5/GRBtEDV3chuYDfGwL/R8wusxv0D4NfEUsRFUsLFCFoixmSJezjOk5uj/gvYrwka6okcBLTw4wmxP4mGQqEFqoeioQkei4SMHtwftEc8fn7uzGvov8fjI/aVcvs6FpgRnz81OfnPKJ6g03OvzAXpK3NfosBYMzd36QJC8XOGEykF5URB34w54F/GHOP+5+vzdo1Jwn67Z8YD47PuFPoSHRv7En1lDGqPffsC81/uTtB4TqNKNgTr24F6oB4k3nrs+XcGk1GQjvhvXB9uPm/Xwrx+BPYfD13hXSMbtGTUjmbOSxckKznqP8L4mqChUGwXMirq3YT22LO/UVzD89igECczGHDAL9AL2BYrGPc8wyyIE1jfjOZC/djTWF5P6v8vW+8b20Z25YleqvSKTqckyk6CVwRlFmk6ZNArNotTWBa1/HMVjyex1QMkMXqweA8PO8wow37YR6S9GCBhW4oktA1lsCDajf5EQIZ7PgwWg8F+IFYDxkAEu7wEqPlQNoF8Kj16KfZqoAYe6IhuLUp0eHXv63MvKcmd6QIpuUtVdevec88959xzfr8s7OCM2ldAVqifMrTfyCxoBJn5m9T+qf4W+vXKlSuX/vDWlYkrb/3hrf8Me4NXJv6UTkyctu/UTgWOoWTPKEZH+GJvzA+wr1bBOjYKsW6T4ztLKDJtlAMFXzdSMJnW85Y0sJBsY4QvHJlN9tWy93nIMhn4nwHOkZOk4Y2nG55tsX5pjPvH4IfxWBbsrI/Xv7F+TrBkNUAkqlGN5oa5Ybj6tOqp8vVnEPi5vAT6LSjJkjbUNs1NcwjWC+CHcfl+4tkPbyY3taHnodbRbLOXo3H6dMtrnI1PhOgljaGSQXQrwcKVxsC67e2M5if3bzHYL5uSL3gqwTA+oN+hf+J3k0OtgRoaUxupNjzfklH2fP+ZbKRfONNjtNgU+G3ICAZSUirhmkvasq+tOZpupIxipDi2n42i/8DTC/VhHsvvA8s4ZL+M1z/oP/9DH+X2Z1cqS6VAEXZAouW50rOm0O/cv5SF/hcWDmTQhAfQ/lDe6AWKksHHt+hlalHlu9tj/YG6oW6yBpojxrIIJBhWQOAqibpNyq/vBhSpGDV0pAalPp/fTMxviZ7JF7Qz0JH/5uv2CYxvQG+wmG7qPjG/OPtQRG9w/DU+PyS5HXKSm9o0tz/7wr54sXS6vsM4EEMJEIQCRAUcZ77+SxZCVyYu3Xrr1sStSOfSBJ//nbd4/viVW9dvTXL7DeTexy1QmKGS7uP1S4YROWoF+fpiacxTDfeMosZ8pQAJcP66yJK1hDBCUiGiJ6lmoReho+RQ+7lnW+uqvD4nPNyB9WPW7KsivtL116TZ4E7ANdxUO9q2LInb5xC/kQjIl4okElD4+kAiI3zJGfQN8r9Nekh48iK5sO6hMuevu/hW6MuFCXRqH3kqIUe/7X/h9QrevCS/Xh6tL/6uh4a7yS7IeaAULKYOde7/QnzpysSlK9+MTvyXK/946co36cRfvfXf3vrH77z9nejVKzeuXJgQ9re/5nkMfqK/5mVBOaAkH+ko/KgxDfEDGH9Vlorhno64/yrG/1Q+ow2j4d/0Dj2boxkIdT9to5Faii7Zon8Hgeq0Luwr78NgUeX8rCGnUeH2naU3NYLskIOZWvBYAarxzIdT+0TXs2rKy6J6StdcOaURjZiO2Z7L2B9MAT5EX78t7BuYf9623NZcjefvR9s77T+WH40FJcjPGcsPRG8kOKdIxIcCyOA4ht7aGN8K+kdjsh21TRa0ZSIjjQbtVDmrz5VbrdP798MD4+fBJYkKXjGDRuSG7BvNC63nqYSfmIfBD7yHass/NAGfa+vplvfnb6yfSKOyrT3Q3GwB07mCM9LbXG9WwgTii14WlILDVDvVjg6bEuDXhhC3KwjEV/j70Tft14hjOBqTnIhjDAIIxk/j/DGR0vP3hf9gNsAviHH/0NsOtoPtVNtsRO42G8rPR/NzycuiS2KdPP9+UlbMb409rYarOsRZlUCPz5/eOP7APVcKGr7FwlVDgRp4XTUGkZH/F1ENgJqC8QU7vhm0gyxlZ+0527Z9j8C/x9XL1Wc0TnF7qj1V9dFcJVeJVxNVWwd8xxhLLUG/w/obKEoUeOkgo+fUP0BJplV4/9v+iueJ39YqSQa7l2L+QGTLpKrVIOEaZpIKHvRX9heP8D3n/ESBoq8oFSMUrCNk+VigHWgb7Ui70ZZ4/2Oud2H94/7VMNhODWH+i/U5jC4Gv3HJ+2X4EvyUfvfWfxD6KfK7a1fQHF+/nvi3PFuxo+STwJF0pB1pzNxKboW3nj7xbJ1bP0my4ieeisYCZWPZeB5BQn/qBdXi2m3kpSpiBaKn9he6SC78OdLD9OKVb1DPlW/QC6Fv0ZlroWvf/0gG+8jBakCVliPLmAby3qrmYAIZDJFig/ODwPv5a56aF3YX61r9vIXH41MifgXyRyDSLiGNznaS9VjKKnpecPucBIqyEaHCvob4jGEb5eht+wWPvxZ0SyOyEiMpJah4wb/7fXJglKOlF++P7RMfe1qLbefq0m0fVWWNZx/x+DbH7x5bnlE5JWsU9WH9guqRUB/aB5KJmaf6tBqjYMEFl7RD89A8jLGR/XA3eVdjnvvh+ybTnnifaMzfMg7NrdjdZ3c9HyMU6+nl4JHUCVeSGwEmO8gZeRCb4c0d36l+AP2W0pic0miQ8wPHN57RqY2x/ScXYO9Xo94Njc7qWZJ144Dy1eXyr+/QdwoakQsmiRZ26BminWf9vH1iMtX2fOwdcg+uY3QiHd7/3cATXwDGzzjSTIR8jDN3nsbn4O39VS+FnxBHCRY1Cjx5Ubkpy9mx/vHShgIaEqKPghn71P92kpWA7GUQxw4osqyxsX4ZxU9KYHdINFI8nX+8fiVcsWzwX0f2RyraADscHUA1DORJhPpPHwA+b9Qy9mD9CG+aTBt6hxrThslNaH/T4PpHzOtihEKEF/RXgPPpncZfx/ZXO1kJ/AI5gJvzZvwR7Auhv4LL3mFwTTtOGeftZ5OpDdSIsZQe1L3M39La+nGyFRtaDe/D0/0BGoGfrvxCO1R5dm/IFvrtbH0GPSkvARqGTiH+2BD9exv8V4lGJQz2t9CfyGSxuztsCvKPsqGUDpIDHsIw2PaCBWynWI7Ff9NegvQWkG8vbcpR2aSIV0MlWKhvHT3d8gVP40OM64ll37L/ub9iqEaHj88SQjxqlZd6sZ75SNv2faFVNWY+MrdjtNnm+wdi/ViB+Oes5GNft09G/bsUXTKov8Klv/CGfpV1oq3LxaiRNfzr3nxQDsrAyBqVdyjsD6JCrpcovlNMkKyTYPEKfj9O5srxQatkv//aEvaRv4r6MQaRPAm4BXn2+Nj+griZxiA+C/qFz1/G4/PFxgri+JQJpsPKCSuoHeTrs1Y3ae5u/K5N+bpPNCaRCEsd/2vXhyzd9m97DyJqyv3KfuoGHgUPzUd6P/axVfZZIn77TYr+NvTjb1Hhnb4FuZf/+cofhH/J43trViHGUm3vmnczeGwup1qxw6gxki/VdFTNR0JZk6iK11axxjkkovaOzdcf4XkMJCXBhBXirwV+gx8kq+FeyzteX/n+1UAV+mtoDk0WO2wuyauj+IsuFxKjOEKwGCwCnk+0Y7fVNu+dvkZlN+qa3D+FemTgh3zD/6Nj+wUNtMNAKTnQC2Gyw/WviHxoNW8tRoX+12qam9vObcWP9h7y9Vfi84vrOS/TtjRmHue24uzZsf8JtM/Ia0QmUWKSIJGZ9iIIfK04dtj8QN45Z591jF8EOsI+SS2n2lw/n4vPwP7AefkIoacvvFw/QXzTy6JtWH+9bBTfoqfz39Ghztrh6yMV/i/3X/qNB9y/qprMXz2Lw5zGF/tPq6BfbDWqGkxRmyzS1pkPmO3UCIuoDXVnXTm1KyWlQUCTyq5GVaj5qIQcET8R8QMP4fobSRQ0ALdvqWg/zE/cl/KNVOIgQX0OdsxqjCRIItUuNpaEfCe7furtRldThVmIzw78w+Tvk72w29oH/7whY2Lovn6rn2DY9bnYNVLYjYCEF/n7jfwPeL6nq2b9fT1lkPB2ywT7ac6aowk3u+IbEM4gZac963jb273cf/WZl/tnMZZVI3qE5puIKk1G8818M0Gf9QR/WnjdoMEC93+qEB3XdI0jlI/9uwjCLBDwbUYCxlEwj6zAI/UA8J4iL57vIJC/oNkPlDyDGNMH/p5U5PEpyucnH79wxWT+inc7xowHGpv6o/Hl84N6qjEeP5Df12D3jJyLv3WNhwH5zD4CNpyUhFmU2QzyKyKdS7e+2Zm4deXWtzo8Pn3lrTs8+vSHN+LT/dhDg2jTQj+enz8xBvIlt0f6i2fFQ/Z5jIn9yfB68jPwimLD1Jo2lJc15ueV/mD/e34vom8aG0XfqJTSqKqaTFcj6tMq8CuM9yUjFNoxvj/Ij+V47yM0p5t1g0jZWBqzZN2zb1DzIE7DB08PnlJv8Ux/RKhJtSHnax1dL+x3WF002kRRklK9TNaDt02WaibYHGBcPhf6OaBAfIZr2aKwICBrX9h/IYSp1GnRGJVd2fWRJLAQsth2jHTWxvurgYK0AvuvGoV6YW1gUnMQG4zi61VzoA28A0tLUD3vo56HZi9ZCfcSD62UtYRQzNFp0JW2w1WDBL0+IikwAlCVI+w7kVcA6x/IiaenPVF5fUx4q2FMi/jQhs/1VGIDXfIeyCVtoCJjyWiGe63qaPU404/9sf5MFaNFsX59TT7uvLX41p1Li5cWr9y5NjGhnPlf3I5y+fzn/K4R0uH+VbiSfKhRsO9ToMdKWs//JFnBvXDlacVTGdlfruyCdQp2no/xHYqRBS/ur1o+Ntf4yn7remoBVWNZxaQh2yJ8/iBMskQhLTb3QcLyUZj/mMzNZl503M7SqX+Qj1DDDVDJ9dGADBoQ9BvEzyPIGAR1H2u2Y/dTsHqyIDDVojgFCxbGx1A1R3Z2WNQ1XWkVU0OJ2JEX0U6T6x8ef7w1cetPaWj9IpWvffMPby1+6w8zt0J3fthECuxfJFjW8dVaLF7DZGobs9x2gsQfZbb36v9jC/C5I9ToBKjUER6WBBKKDJZyoy+eHY7H19OLsWTlbH5x/cn5HRJMxAcTDKLnYD3B+Jk0RkV8frR/xz2kZFX7hUT8Q7BvU51o2+bxAcxml3xPYh+nmIh+wVmTjuNjp+sLj+95qTrQqE5MEhrxC4zyctwWiVGTehn2ge0UIU2lqSggHzrXuwTkMyhJVB3C9ZiE3Ba/XsxreQn8WNifAfsKGGFhf0Wsf0J/WygB9RIFL8VMl2MsdrBTb06Df2JWtIqXRW+bXe0z77rWVZGI3o3scwJ+lyJxOX+IugGi+TDoR9JQJIJQpGwMg9TL3rHzZbBCg+C/QIy63LQhPyNG9aZGURP2zwK6lwV1jaZ0k0b1HSaj0fhKXvq0FysnYSd2pJ1hfHZ4/NLc1thUL8aMFwEmszc1EEItNneEmXLUYnOZ3L6yhFl2KT6Mbz7bfDYEfhSrnOjlnkwNWvX4gxzzfZbr5Z7EB4n6zuyzTT/M/4FuaVTuxNyUrRFvTyNazyTZQqK+dz/I3lz//FWJwPzyD5IPkyT8YOeLU/+tEXsipARWCIOlpAhrMvk0vqngxKFR1pinpzHtjfUpIuGjWeZjCYZbgQ+87PJ97TB53zyMNRpHYD8I/QrWqVinfCxQ0mj2yCDvvP+0i1ADRTC2fWoL4yMD+4DB/Sh2FH7y9OFOcNYYj5/MYgep1SDi3kHdhGxg2l4Fu6mhRGaxK6Va+/F1zKY2c08wiwTwkwZrBKRVId8K8lILxYiseImvAxg9CZpg7eO9rZF/9Hsv4fEt4qXaYVBP6ebjeO1ZDeIHjenEwCj6hg0bUz3oY7iDOwk617Ed25kaINRQMTMcH7FszHTbR3wuptlmgs4192jbRchS8WZqTQl2OpEXJvMFM8ysJ2jGbfyikZ9OCftHY95a7DFuqnlvP0i1foqa/SiNHu3s8f5Zw46kNvIJF4N2o0YqVk/QVrBtSNw/wixFZLJTxwxwQDDl/Hd0h+7ULz/+yr+uGtWgI68lOnoK9IOXar2AbdgmjVPAI1lAsYff/tT78PqnsYffvual3/l/v/Mfv/OHq//zu//nD65d//Ox/7xDYX3wVGF3yATGbT0C+ZgM+EVAg8MKwncoHC8NdjRqVk0a32wdItRsRVuYyns7NBLEzAf6U0vQSLBFdz6bhf4rvTMwH0pk52GMYeJjJtGVCImiHWrJKDjOn4TsRsjf81clS4L8fl1VdaU7ys/0s4yaV7McVGgWso9UQw1XQ6rVH/G/8SzdLPgdTspJdsPdiA75ay84/6jUl/XZgj7iJH5131/xPQL+4ul02jfCp17LNPKN3F1HciR1mJVSkiGFpJBsZRFSbMX2Vw3dX1V45Xyy4q/6+lDBJPjhBE5jHmGa29jltaW5DXPdXAc+xcYY/8bKsHwjV9+t79ZmdUDOM+yQHd5o8PwauONUH9ozf//sX7I+O9v3jvEx8Tau5+pto62rqWwvpaTUkB4qPLU4/xPxKper2b7XkpC2/hqur/H6c3E9CnCuNLyeI7uV3QqguIzax/dfIe8T+MdFJce4F5PdcC2idnxj/Ga8gWXsCuzYnGs+MO+GR/mnkO/0jYl/M/FvJuJ3bi7eXPzG4ncWv3XnWxNh2AGdHeGrcOSDjHFkHP2NsZxpZe4npITUkBrBcf9ghi1stS2H8noomrJCVsiyxPshieO+nuURn8eHv7AwuTCxrvU9MxMhCbhJLmg0NHHz1jcWLy1eAv6jybV7F65euKpdvXj17as/uDo5qU4W0ghdunrlyrUrgh8CfLJ0f34w32uPUFtTNmjA0Dj/ibPR4gHnIgdGcopk4GN5tj3GN8Ib2MZlR3eI9uscNTfMjfC4vgJxxgQbcgABlfYLH6/IEU9YGuGX3sVbeCu3tct2t/y/zQ1zh2YrdjfMnt4d4QPe+re3/u2t/+Pjn0z85M7FRf/id+98d+K7wJCnCPy4s+xwTFDa04XMXV0Z3Z/jX+MN/CJ723nR/g2gCKVISo8wnmHI62vOaoBU/obj97NmR/nvNLdxUhmqfXS0ZixlljJriaXEUmMN/DdR6Q6Mq9myU24zFb35/ufxGW1jqgby7a+dnz8QMYW67NzGLnWQv5rbNKn5ILwZHjY+hvpByO8fQo2rwxivdXVE/0W4/wj4EZgmgR9g/RX/hjz0c+d1NasBd4GeYKl0p6yU0s39u6PzxRE+NM3reZIlbQbY4cAimnJCbRH/HL2fjhkfn6F/KwfnSbge4fU5An8HcAn4/KfQg1luP4R0wV8FDEEI4Y35eqIOn/BGbPasfZxftIgP5g/mKe5Gl6JL+DFCqVKqCDkwHP+IGMW8gekAkIEARXgjYSfK79y2XjR+PcKvdqAufdg56hx1DJouzBUS3L7bYV/Dp6GWvOfCLj0+kgMy5wcU+Bh5O0+ysOQRQOE9/366pQ+SVaxjOgRk6odGMV3AbO72nNOoQH4E53cki5OLk7/6l5tXb169+S9lntdz5bqYX+L9osVoEz+Iohjn+uHjM3o/gR+Ut8b9ByggXH5oyN759RvyQR3UZqqVY7lDcznaDm9ZP+f6QcV9SZcKUEemkcEpG5+Qf44fBRxg8hCQNaCe+ZcZlvhlgjWN5u+/Nn4cuyWLsi5uJxpR21oR7c/VsZt1sxT3c1vxrUTHOjc+wYLxczZASzgfQbgQ+TkuR5beyZ8bX6itWGdMYJOLahSQhyjsoBfH9d9YwssD+1W9XwaWh/hGfAP4v2D+CHwZkL8sEu3LbUD8PUxDTuP+H8lPMVrE2+flRymwbqSACSrhktzTSoRN3c/ICMWrURvy+3AlXMEspEDND67sVegA1qDLjzgbt0/oR9xV1hhgx/T8PZw20pESVP6J9+PnCwoB/PR4j60oa74WAd50niFwhm/J2U0LZ/yTCInzyWryoUnxMl5+7RyzvmoMM6sZmiglWIPXXxmqETTa2GGMOscPTraT9Uwxv5RG0U6T+zcC3wF38naOtiUuPxs5mrJDdqgM8w88aZ5tzah77PZXzU66M99LVOIPn9Z3lsb18dk+fjgkx9MMcvtIuhDvJYrNJVhfIRaSHGCWHbzuHb9/pBgsD9ErFq80lOcKx0+iOoyOPWR9u0+MvTTiTOXtp5uwf64Hzb5Ryg0wGwxe9QC5KFNM0EQxUWxw/0Aw5gF7OfB4+Qa+I+2Idc7WB3Mv1Tb38u18m+25kjtMtfPDfPud4Tvtnd+Cf/RsK+EGy8ZzwJ5inNtO4oyLgnNxjF+Eg9gd8sp2qEJPFxJsrv/0wY7At4LKecB9oa7ruibl87sfJq33LZ7fnqTGBnbxC/bi1W+OkVGaHyTY3CDe2+Hn9VKqZDRzLK8Ph/18v4eDxlrGzqQT600G9JMGMmhqNbWKGf2l+8vjbvLJ/CYexj+O/35n0xrN/8AyIPfk1ndZe0ljlw9zECFdi3wRCgJ+XNaHWabTzx6RzPNE2zagAk++LVmCP01XU6uGmmP54jDbZ33VpPPVeRavxqsNq7km6ktn00M3n6UE5w+H6due9fnK1KNx/Z6O9LzRBVxO0T96YdQ/qNFptkf4gCRbYmxQOiKAjJJx81KCJtyGC/o1wNSlAMuDX2fvVttMq+aYWTVZuBpmT9eRQN+lWMZ04BzRvmOy+W3M0rfnyY4J9qvAJwDcf0oAWw1is+l+fJAoPRf9y/EJ8Bp2h3mOnEEzboK+g8ADEPuTBjOWARdkyI4MQB7IsAxLLCdYY6uRH2kH/okdMGYvMYY/wGTqEXvi6+ZXef2XbowPdVR/p3B+ehnsU+86Xk2cHvFufD++P8fmrLmCnbYhAXgFO8mK3gw1BbKzp+IBHhaODszLI2e1/sULM/dC1/5yIJjivIO3LlycCXX/dGZ2mvPPf3LxQuie9r9mZjgL3wWNzkx8Z/HqP37vvyzA/sEqtv2Vqap4h4iCWUTB9lwpqmBlvywqqEfeggxrrVyQoHrYmi6k04AvIHcFf733NtHA1uHcdytGEf/iaEWC/RU1y9movWAv8zt87XoUpdkmcHdEqdWUm9Fmls42g02jGWry+lSu3WMHuW2eGX36c3w9WNWQbZH8NaOZDnYzneQG/MSd+Y8Bfw1xojw4vAOgGtMGgjpFMMSDfp3jR4Jl+0p/anAyiPcSpUTxnSW7YBfE+QSN9+I9TH1/42ME1roOpgk5QVvyKX+OpRFROAeWogAHB8cH7Ks4i6/DgWn4IHyQA/a77YTayraKrQZC8Vq8OkcT3bwdKofdSDDbh3/Nley0vfysBfbFXCHO2QkxDdfDBzk6V55zEmyOQ+wgBC1LcOyxMAmvh1lW/0p7lOfIs3rLsLn9lGFpfR6wp1hkObKHYfXjsTm79EzUlxNUGOe0Y+bpcv+wkC50eX7LuPIejxngTrnPz/jl5qy5JrbnBnbXtjSLvMEvJwv5GeCqp3LGJHfGb67oc/zA+pz+jNq6T8/qgsTSx/MzxW52SIrfnVrXCLDIv8m/rlppOFjeBu8rYAeddHlwjr/owvr34KB48ebijcXFT5VP568sAn/hvW8IfjN9vgYHpru1tu7oGh28yd8UnB/MAzMR8Mqxvep89fUb/CuqzntXB9xsR+koGksrA4HexvnVOBoImr4tWYw1l/aOwJI+//6gn9MFQL4C3po2y6PXb/APnOPH5rWdmKasGJ2zMLOE/zbCV5+++h3AV69eWPcRfR2tr1HB/+21spZCp+qsni8mXjzjI3k2jsL/PPs//mq6jFcdjrgGVe7i/TIsjfIErNcOwmwIyPEtjnoJ+IR6ws2vgPULFbrzG18fX38V03QhQ7LAUku0+nwNahz8VKv4P9N+OZZPTNOozdrL2l6GvR7j+5X8UP9sC/kFXNTO6l477TDmH2oU7BL/8Sl/YWX8Rl+PbzRH+iXd7EFItZknB5ZsyQ25oTTSqwg11agKJZXzrJdW0tPlfPnA8VZlQdF3GyGlpBSVol2YgzhYQbk9ezvrZJ05+1llagMIUprlaClbVAsZ1isoBXG9zOtkpjYz0wjZKE7THEzI4Z7QWLqhxh7cQxslSNZW7bQ9sFVbY7nqy+oUPzRxvjBXyBbUYr44LAVKlwfZQg/0VHWqEuD46pAZnNX9bH7r5dbUlm8Lsy+2eD29ruhpnT+f5bb8W/Nbr5l/6/JWbuslE8+HKlWEnOk2yfCM+aNSoJQpDUuQgRFcTa2arZ6EkO3MOZiqnXRnSANO0MGsBwTSHagjBHyg6+tX179NL3zkn/iPX174VPn025/+7NPJLycnJicuTAJ+2TMSr+Qq/so8eV3xVy5XcuRlZYof4v2uzVyZ+XboAlU/+r8/mvxI+ejb9GcfTYqDpj/i7Sfnrie5/ZcHU9vQP36O72mD7mAqStuvNwLSrJ21e2WlrOhKWeX437Y1Z2WJvzLvDG+rt2cdfP8lEc/3k1eV8fUBKRMYqAE2q+aqPUcpK5y2Ue+P+z9AM8VhMVDUipj2ClwmVgMNXTo7ny4MS/7ebBmDHPARCigpaB+da6Y5XsJr5r97+W6OvbwLfFxTd/13kx8L+cjV/fV5CnXkl+s5CvIBGAyqDvhG0L6sHmBpXmeuMbzc0xV4Q9u/YY6en4P3q7wmo/497R/+/nD/Df/GPH294d+4THMbLzcAQUIpqU3jLvRP4jGWA3KGDrnLimnPUZyp6tRmIJDyifZnKcyfAVXRZZa7e9p+jo8I7Zunejlt725oTJVz7sv6VH3KndpQZT2L0C5NgyACqrGu6rPdLIrTZ3SK+ulIvvUEy+p+mtaHTEWXaa7+sj4FGBeAobF9fnwHtp9qy1n98A35te2EjUv+QYbA/NAIK/lKPuL7wPdB8APAH4P5hUsBwiWbzCLMXtam6lMPuPz8GuK/cTq/AV4/x63Tc7U4bek+Ck/IMN6/xRxVS+nykH3V/kKOHjYVgUBC9SY8f87GjM9fFGCagY1D5jPgCDBDQmjy25OX1j4FOt81+pNPFj/5y+r1f/jLv78Ox3//02tw/0QRFwPFDB0gjc1amB22ffwItAFfr40yJKOkFJPRQr6Qp3u1oK6xoB4sp2yodn1WmYPM1366P6QBV3Pxw0PZR32yj+dZQn5YKsjaQTUI6HmAL7Ad3sbbYIng/XCD2ycgH3T+YMgCksZyGy85wshZ/8cplz++Ll3eyNFeWWn7niu26oL8qMre87QPeKf3mKpge6BonSA/zKMDA6Hd9Qw27ZSdZx2msTzGrMOCcECWkvKv5g90PTVA0Jrm/gf0b4bp9vwI9zVH5/QWSEBZsTNcvhMsowYGGTY8CjCthckh8REfne5om+YWQrsP45tSAFfjVcziVVxFKiMoCz2ADwD/qMUSy3g5wObXX7PAUnAJs8MPfExZVtYCh3qQy185a8P7D1ngNxrDrIemRhgsgI/nACvHkvnE+PiII8RmOns8xwAsCMAPs+0ES79I1jJ0r+anl2s5OoeA+xvmcKaFULuUd4wS7Di6RZNimim1SQAOFvjgmCHEOp02awNCRJzxt6i+2f7d9fnPzMPk/eTDY2YOv/JThvN77WGAaR9rm8kthJSgb1MJYCfj5Nfmq9gBfjdgqZl32dHx/jn+YCShvK4UZEuqSqqsKIRtIPmUHw0l7PxAWg+UU73Duufc+j5GXzrHY3y6Ho/QmQYeND7O/77GY+LIQsDdxTG8DRVYePSyXs7ar0b4ZAidwP4DPxjH+oTqq9zmPpgfYP/fRrcJYGjKUBVCAG21qTezze4LuDPHX9g+qRspQzex2WcjLwwH9n2SD/bfBD87L0nWDQpBK1gLcXo/Kxe9HF9rJTSzMOKgmhCsMRcnLk/8dMIzqu/0MqLoitHjGH08d9lQskoXYNnKov9O1pOfmcPkMDk8GSaHwPaDlzPLB2vetogPj9joXOaaTPyG3X1XciWobyqI9zO9gEfIKrqq3zYaupyd7d8W9jm/P6+J0HVCdDdZT25ho6ujET6LZ/0EMvKqqT4pJAewv2yAb6dIPL8F6ahP+oBmZwgWnbK+opOs+3ldMgR+lBewuysChf6ECO6qHDuucOA5aF+BcIxRzlIr2DYK2UIfqp3G48ug3gcOxgQbZK5ypMhrnP4ceQkF/UYgq40Rkx+Ac6i0FPBPCtISM5L15IaukBHXh1HJOt0yKkk7Iv4Az05SvUmaBhN43LmNVxseXr8tETbiWhMYz/C73s9tfb4l8fwOVEYlUhStZsVkLznQb+uDXO+L95GobymgAhMIOoCCC98H/m2t+qrqsSF/ABBWGM8og6xAQGEUjCPZQlf0AJcvvaDbejP5mO3rCiCiJnv4g/0P5PfF9aSsO0nHXNVXToiZ1VcA/TRrdPn4oQJaIYCguGSssa4BtX/IcLBz0PZu+sC/dxBg5+5xFNwOgdmxZzq56iuYxSrkz3s4dxZg0BqEAeoizQ2Tw1z1c14fBbjZeQLaSqNH6+DNs0PuE6qIy5f4C1XPU8C+ef3H+DsIPAW8qqqaOmBnfLG6pEuQryOrknpS1VdhT/Gkqgts4xIuHnSmjqC+3MvoUmqJ9z4d9SLNFo4Z4rVICEkMmH0MCUb25BSXNLfx+Wh8ef/DrOWYWgziQSkjhV8czUop2N9Fn658evHqzKczn86EVmAeL178k4uXLr/90x+I+etBnuCHl/73Ly9eAh6J5d9d+g+XeH594Hd/xfProf8Y4JkOIE4FMxyy/7L9tPM5zx/x9M/0D0Em1D64Zg+7X7hym8/vglQU8sH1l2Uwo43bmfY+0HBNj/s3z5GFTqiMJD1+MNd8dncnEFSPYP/VYk+A/9JYNo7Yb1IQjTIMho19wFIQAAOEuIDmCz0z7qHcxiuKeP4FKiB6cmBuA7aSuX5CDZ69iIv7RYnnH5zbv3gOYwlRTs4iUfNUhQb3sJOawLs8oYKXRpfw8POhtCwJ/vjPGOi0VYMaK2zV4OiheHhEfWWk8udbfGSLY5R3negk9/jzJ6P5Z6OyQCjTBVKapTNAE9tXZaE/8lKXyBzRWWVUcHEYxbP2QzyMAaMeGbMgiLmM6Wj+wfwFhN6O8QujM+R3SC3n946ZzPP3UUGiJxXB5mJQNkJOzRa+EBKIUFlaPqGcI/q0nQbL6t0ysqH+wMcGfciXSbkm5b/x6t588QBqcuV/DX8X6SPErA3RvxLHHhV4wmSETJx158kX74v85DHnVuYFJvARKy6m8N68//tDHdPUgfnYIEPQdCS5niO42u0DvpSkSzpjZs18jJt6nvHciDzF/QMqH3n3IP9AdhlN8Yo9kw4fpFzMktVMtdtHPD8QEVx7M3rJq6tTEXcvYAUgPqISRrIkSiKEEUQYSdZxPVb3PvEyLCGAvCJZwkYHInn4G9f/GD9uU7CPQyTWAzz4veExNQ8Yi/Vw7+WTOImTPeJkxfzgCKeC/1efqvm76pK65N9neS4fKquKgA3gJGZUrEbVaOCdQF7aF/YFYh/rA8DANHSDZXSsv8ORCt8xxF/AvkBmdv99OY170NfwJOB38x9pBth/aIUB/4+NN8wNk+VL+dKcPWfHK/HfZqUv4AmzrM/d+zzuG3omj/tRI2pEg+9IoxborKbnk32cMgQDLc3zv3gnSCWof4S852wBdpFSK6lSqsRIiqTsaCvairKdAxjf1xSQW9P9z3k+MW/hwFdV2/4hC4r+AQxlTEEHAoJwFA6al1xJgvwSPVdXXEaCOi737KmNr1/PUA5Ys+BYYSVWUon6gtlqS2XaIeA7wxNhjwLzlQMyf+LVOE2omBHJS8V5q0ALbsFdpUXrF2yV2azF9izGWtY0RI9h9wUTYA+CtloyjKfW11JJl20L/mzWzRRwIbOKi4FfMCqXWCvaSu3J7PJzyC9MMdZ91mXdZ5QdoCL+RWQFtyKtSAuz8HM+v2jExuUwY/oRxXy15WO4pR7hPRF/U2EHoBqhrOpl4AFCDwQ21SF7KPjfzjjgxsy/498E/x+miuobiA9jRiFVzGZFrgJC0800Z4P2M8Z/5inv/2a+GeL4lBdnvhFaowsTf/mHmQuQQTBzYY3Cb+JzFl/VKOysh9f3yNiWZqf2E2ayKulQ9WIUDJoqzBUifP8Z9icuoO/R7336vU/z9AZn5syHLoQu0G9eWbmGPuL2I2K2UsK9OMO9uB1/giuKMqek12aRiT5nIr6YvAeH+Dn+V/LeT+8VsggBE6Hgfz7PAy+sQL084s+ekULIwiQ8GZ6Eb/FbeDLE8anWyE/vjY83fy9MorFfMLri7Fr4LTSJTs+c/3nmQwj7Vtx1fG/4eRYfFohLAgNRI+KvpUlpUp6cnby9gtAkmkQ+emFiZiLx5c1L37jk+/Ib/Bu2CAS+AUXHzFXhoKqrjn+DoD/gIwpPSBvsbu5u7g3hG35aEqyjlnRmD4lvMV/GreP4dZPhyZl7M3974W/RDLR15t7MvdPvSSF/isocsCNxDfYOcD1+ED+IH+JhSBL4o4CYfUxd/tsxc3W3TEuW/XSD2wcOdVzHdY6py387ZvAv6jytPq1KqsAPdS2XufZxhVWO7WPHLcOdrLLF17c32w+R1fzKwfuwQwB7BPz5Zbfs2scbxxK13dHBKk8rTyvcv+B3OHt/xvzrnBugFhzlT/mZf2uUn8OZd3JbuS1zK7Yl8nNQ6FdX/+Lqe3//3j+89w8rob8g74XeC/17uhJaCC2EUAjyE7I0dOXKlfCV2LUP/y+0fiZ/Qn4kJOmyiomkyEgwZb7+TONIlmJ+8/6D9v/aVentY8tV3PTxPpOtWevUf/rK/10P3pZtaYOxs/eBuPwov63ACLKRjSsZWIHSmWymlCniZvjum/hO8P4gnWN5LUyev9tUbaqGKXBFiiyGkfzqlI8tjCxVXOWYuYpr05I1qo9FCysL7628d++9f/4LfUV/78ZfbLxH3ru3cm/h3gJB94T/Mb4DYJuPJcXi2TPnny8jH8nOevvT6YFP5Hioyli+jplbdstcflrHz12bNq2OdQT1nSiLu1NVL9S+dn21eeAgPZ1tKs+fwgOwJD1VzJnJoO/FB2QB/HfiEPtkg0mMEp3ojBGdkJN6A7JjukK/GJwDA76VAiYgeXDl7O1+8Hz7hfW6N3QCZ2ylXH7oe6H3uNz8ir53/S/oe/fe+/tfffv7k9+fBPvUc6qhf/TljUu+vtA44gPyA2sWaTL35MHJC3ZMT//19EXDnQb/okAKjJL+SZUpjBGF9WAVZb3GaHymKvMDs375gVnHjFtsFm4mSricMPBy6DnYcpAdCJ/ZWe/tfBD2ujATvQ/tZ2yqPkVz9TAN8ZUrR0/qOZqrn1AFZZjA9yX6CXDHgIGln1DGiMxYw210wL8Y9zemYHtkXMaa0s7wuZHpwrryr50fM5WO+o8z7sFxHl8bchzDPL8R8J29TOG4QcDflKGQ6Yd7w6LM8RdAfvh5W236H2f288o88KD08AdH3P8NoRjJKhE1cjuvhilO2a5CWF/pB/vGZ5+D/K+jdY3OoBn0Y2TSmZAe+nFoJgT/LYS+b52dv4h+gpL9SzN/EnovNLMQ+rvwzLULfy6L9VNjDoI9NqjNyBc7nLsvRqGCVZzfo2mUdlQbMt3SlgPoNFvhrYjRDI6vTxfS/XTfXw0o+LNdzi0f4Qhl4/VZR0d98Dvzs31kkogSrob6TwctUPAFjfnXd9czFMuam0kNUwHXkI1ZwC8LU+GfwMreLwjf4ZiYlagTdeZuP3P2fOPnq+h1Zb4C2DEizg/aNEyeVk7bh2AP01/DNXasbZs1s2YexY5wUNwfzqdRBmpH5QxtyxkZ6t9CiGf4j66HNww8CL6fdto1vWjYoXSou7M+vt6/Pr8+TwJVXBv0Aw/yX8DWUqQbyp61L83j1AElQ9pKhtd/CvxBcX4erqeBQrCQLuxBNKQfrkamn0vj+6sogzJIY5nl4XJgOcWPubVM+1z/A/5FQbUy1d2+XtKb4YeJI1hfx/3fR4LRCLivom7sYSzYlJvZ8/Lz74m+MLPwJwu3Vi4tXFm4snBt4Uf0rP24C++f9w6JyjNSYDc8wU7vbzHYeyW6zUgWpKQZJjvpF77T/qnOV9N9DXaB+PW8QrkQKpy+H9/hhW8eLWGGmqx+JSO3z9p/PEip5iCluqo5iDajpWh650XHe659NI1UlCFDRdSnQf1Sgp31H5wPlPLOsKRyxinAfwqhs/HFZL6q9jGlvH5bVChFV964v64W5gl7H6rzU3JKhhkybl8fvWriFEg4c48hf97NpNpyY1bIt4rU0fikC0OqAqdKPXc/fj8EBOG89zAlTcjrx7RvYRpVIo9C3cajDpdvjapW3s44892AHgymLWobPD86NvvCe25+cQx8Q2Wj6oPMXttpqF8/b6rHwLJIM6uZwJHaUM/6h6K8pg3x5skmrw9vG8vRtbnA6fywMjRTHO3yUd0xqpiF1JB6Nn8wzReDRdF/5kPoofP9A94Ak/FqfhWvntAcxcU5eU62T+dHehb30xybBjPHwoAfUQ0Ndu6fyRf0C6xxx9vZg5CFGWRnw/6+uLvR7/ehTTpiddxLOIleoves3qqfPf8rH3wF21mbEUwSJN1KM4cdPzwnX4THWBXw5iL0nU6k/rz49MX4/iZxbbNnZlPKMdFRguebPKtz/c9l2QTOKqr3jQeQwRfhFUoNpVE+1V/dVzWDpLyYs5tElAiNbezQZxvj5xsIWB3wE3x4YmGaqCfq8Qe72+0vxvJhPnEDqbZ5hFeBnSq6FGPRpR3WlMbn9UHfwiw3xE3Ca1cSKMHaqE1H7UNi9wTkum8Zj0IHCRpaapDn74+uL5j0VVXvY2YoR7x2Cea2xevjxHmDHJUwg30YuE/ISrBIxeL1t6P5Abs8ToDhacYCgp+JvPN+uDt+P+AfNYmxnTpgLNtIsJAdruwoL8rj/sWPT+r4ca6OH5+4uXrcjdfjwLBBTvt/QFxz21Rz7LiXbSVYuBd+9HS79cV4fvkhB2UAuc/0CKr7xivY6Ppu8tExy0Ld1uoxTa3GDkIvEsVWYHd4Kv8qdvIs6GJC1zTHdEyGnYQTUUX/JauYvaqK/uPvD/l5yy1m+96QL87vw7qYJty5VOJFByoUR+dz62w1awPKP2OZAKaRcmxgD5yWaB8wD/ctcwB64MiB6H5EjdBGtrV32j/05AV+hGmOMIarc4XMaqbQ5lbeqH9ovwCVXRBDM+k7BUyjhR3GAe65dBl51jGymPP7GqlYHip82sHG34yeX8XsSDVWcdVgx0WTJg4SxchqI9sYyV8KmQcn25hiBzuMQs8kWEjdG+wNTtvnsm3cwyzXYwx40HEP9xzW6o7zk1LW8eOUY/DnYxeyFxN05+GLozFDCVJxzXNg2EFHua3q+mzXe3oG4aqnZhwE7OmyksYEcMGB4XScv396ZRkYfQRHCaZyQS7OFvtZfnXfKAaziopJ1wtWI9iOMoTfC2DfYV3azvSmy2oaky9+493GapjgqtyXC/IA3xf+9wSgs0+K483fxv7q+eqQUfqKIvwfCclojYA7OP7+yiReWbMKk4VJsMn5tRQSUsbfnI9lSVlKc34R4F8P0ZWP/mzizyauX1u5dv3K9SvXJ65PrEwscP6OmYWZH2jlmYWZa9q1/5SdAA95kucxTgr/+Ov4uafR0VEEBeo7wpBDj26Sm9c/vH7z+s3v3fze4syd7127PvHRWfvEB8bSexuwm0SsAPJTQwVGHbRbbStU3q3uVp2+0x8UrFH9P7z/mX83YkOgZ/lVM6GLoXDoQ7IYuhF6l5bRDWjH5M3JDye/TzyTIj89wpjUkp5RGxHUYnbZLtsOaT/d9E7z+GqfWSrL2tjerfgr558G/R8Kha9+/+qHV2+SGwjuz+9Oyuj7FxY+kcb2DXDANyFHMSDwb2t6N9QPPwB8CMjfUyhuJjbi7pyL3Yibcd95MdfoNNp8f0dXU2pUZSzbxu2o06f5g5TrkssPtAdm/fN9Ub/BqL+O654a5MDinqcXexR/hEtDsT+nsuou223jtupgmjnAbobgF/4q2/bX/fuQfzDF8FaCJvQ54LmiGXg+fUfPsLbeB3xpBVd2GT7Eh8neF6XQGj7aHWKKe5gmO4ej+YX53uHXj9P9Z+I5lzPoE39f4rHWsX+zzn3XEePz+G4j/iBLKcCMZccip2q+C3/B93nH1/ch2RN8XqyYyskj8FihTg44/6B/FL6rzijcKZ3uTp8/O9IfoxbKqqJA7cb59knrsqXcTs++WYV0dn7M+z2+C5/z584DO8JlKhWlklJI9z/nmDnn3xD2eThnhI3LhhFZbnGflO/XFMfX++l+0SihgtKff/DF166XCzLFjzz7viesIFGc9uyzJ+MWiDeEiCiPitJ8M7zhefC156+P85rPqjeiRcZOr9dxbU7HT8JdbM2huTW8Pm6fuPvX+ZEj2dgX4yfAX/jXkw+BNyTSzHRiB/F6ZONr/QNPZckhFpyNJGXHSNSOkQQV9o+ozt9XAFEpQPOdz+te8ub7vakZv64fxchCZrCPjEfw7DM+71n3DebUxOgD3+Dth/j7KQxyaVljlgUbuIEbcWaL7FoG/GmoVv7k5oWbFxYnl//w5+s31j/k2uXGZHlyYXKhzPO7YceWCW6QrAyfBAXrtEVtsB/WJz9RKvpHUhV1vWiNXJj0nfvA+y3TG6EboZuhD7NQfwSaBp7A7w/x3VAZzn4PzixeWQyVr9745xsXbsyUQwvWD5GIj9iFFm0VWbFVtAukb/fto2dbJ1uNIDxeozMfzXwkPLRvUUBeFeirVyYi9BrkVwRxXyBkQ1z/rP7oND6FvCPLVnzAEkeW7Mw+7zcQ378fFJxCm8K3U2DM6e8OdgfDUnOEPx3q48nQpDa4cOFHgxujzwLPTVH029Njfps3xw3WRFifdb5/K3r8JvkwdBN6id6cuTlz89KHb33///sh778hbctteUjbqG0Nrfbz9qBj0UZzhC+uFOZ+nhjMLSU4G9n5dxu93yflT258svjJ4id3Pln8cvHBHf774qd3/tu13/1QGff/u/TGQnn93Qs3Z8p/d2Phxt/euPdh9of/fYHjwwMbB0RuGVNUjQy0N+UPWa+ru5X2Kms6elsf6m3a0V/ojFkjfgTUH/SdfsftuEPSHjj914M26bi7tddbDY5Pi9CHA5C/m4MPxfc1vsLOfDjz/X/+Ad9fPuMHAqaXoKLxcYoqOwTwizzV11Wnv0cHxTZtFyhkCe/v7r/eb4zwdREasrYOx5Dyb/EvCmk+nEECVudCmwzgSjQk7VK71CZDPkEAfwplh10Y+T02LLVLe1R8O4VBocXjV4I7kR0o2YT6mp1fW8X8ResfonfJ4vXF68uj7xuf3Jz5EQWTZGFGyFebjmTL2d1kHzj834NRfSCyho9H4w/fcps6juO8rj7dbARkWIwWygs/ojcW3h2Ub/yI3rixPLixsLiyuHBn4c+sG6v8/PV3Bzdu3PjxGr1x9ca1D8mPJmEGgv3wfR7fFvV/Z3YH1IOOLaCxfgtJeBhdurxtWNrgvAQg5FE+7N+cuEHv3Fski/fukEX4iZbpwt9+f1KeEO+3Rzure+6gsEv4WxbapK0MR/g4MBc60h7brbzm9c+vicNHYuAI/AYY3z22W90dwAzco7S4R/coo3u/H+Fr6Cd1m7RYS2Ls2cazjRMK263PKBlFqLEef8IO4i7exg/ix//K+Kwyu11ql/cYlfZ8bUrJHvkfZJe9Bn4UZdR+5vT3Hg7J3vQeGypt4hTaJVq0ef0ZUtlgt7o3oHsdd49S2uns2R2bvtjpPHfRPvT/Mrl54cYnP6JlLgcgBe+SGwvLZGHhh1TMv5vk5tWbpBz6Eb05ybUBjA9Z+PGffgz6a/lfFq/f/N679M61d//xZuXO/wJLdPFvV24v/PiHH/P6zv5i6Ef0zq13K4vlO+hduojukGvoOpm8N0n4+Bdu/N3NmcULv3JvoHe37/z94t+/u31z5sPqtZ9NXgf7gukqZXqUAoOclh4cvjm/MTBjnn4US6NpixFerwJ4igg5ILe895iDGHUGe9QhjFgjfBJMDFt8oE5gfl0bwF4lHii6t0vxuP5wvHJhJnZSGQWeZsbxDai8RzsFRjsFPu60Y+0xNnw2tD/wjewnpE/zqiDGpA1vZaoKVR5Px/VNhXxB7mehIqGCaV5Ko3niCAI+HfhlBf+pqAwZVzFw/tN0muf/S0jWlTTuib9KjrMdeaZTn/OvhFBoFV+7ce3GtQvX1q5duKZcu3Tt0rXwavjawlfqd2Zi5suZS/lL37t048sLH61+dOHLb1/69qVLl65cCl1a+J8ivStkYWvOsgHdqqnQoBW0DMuwQszi+DoRFkJ5BPmruxv+DUZVlG1m7Wgpyusn9enkIKRDdYNTVgn7TaCQY9mm2YumQyXgHwxlw90QcOrar6jRIkRHGZaREqzVajCRPwQVUOCFyKDLyKySVeYUW1EUH1HE/htVR5xUkANxxHM5sK7rSWEf8/0h/zawghgG1lMpl+Mf5HW9kOQBfg/6Vf4icA7cwp9+99JfX/rrW9+9dfV32SuhK6E/h/l9wuPhkJMZpy8fvKxCbWB8M7cZHkY+HuXn8QyKrJ1gPbtnQ/5E1g5XwmJ/0CKWAQx+7fBmbvNwusdrsSCnfhQ/RXnhvTR1mm+mmm6TM1s380296YE3CJ4MxPPD1RyLV19WX1bjvcT9rC9yDPWZUJ2UeD43mGskGoNVNLIi0srgdH8L8+SR0/7heRRGE0POfnPEf8nxGMMuTvVSvVTcjT+I383dDd8NUdF/mPrrfkBtp7hp9o575iPzES4ZJXnnNH9iPcnC3Vz3JX0Je7cHiSJuRprhbcGvyBmqUUTHekI/LB2WEsVEM78XO4pKo/tzNnP4q7ye0o8pcHLnIVcKbj+zCrlt783MZOnVj3720c/o1Y+u0qsfZT8KfRSqnPJPFnQ71Mw9PtzvKVAxFu/hDyIfRN8X0gN1Kf56kuK6WYe7m7V8F2JKXt9Z/iTE8zE5VA6VBJnrx7dyWxEjyvMn87Czc1fV9XLeNjeOJRgfGB2dIug/m9iQPRVCWWfOebn58mHiQbyaq4Y3w5seLh/LnSu34Ih0/t2tt2/9P523b8Hx725d/avv/lfIzxC1zeMdKUXXBsSnDQYj/RaCaEhxh5iKd5DtHz48G2E2Gl/BX2lIYV57E38cr8GB+xEc5fqFrapNlSSrUGWc0o9/m6KpbJ7AbBD7jzznlcB+SxYd0h5kqau56pwTEvyJep5XivEcIWouuxz9CMZHF/ZTAVkj+aCQGWVS1waEszz3ERCCunHV8TPDyTspmnJc/p2HPGeGxvmnFPgSDEBYVw57h6VEKdHDSkgJlU/zlyXjrnE3THP0JT2kiRdz7dxmeDMyfdo+YA0r58smc4F5ewMDHswof3IVsg3IzL3svavkZ+t/TWNXvvsnucXwH8IcPxypWIf4gEJ9zSwVvYvJQDmzvz0sD9qY6s08n5uumJ9ULyWBv69yUjF5fl6uEicvK4csUU4s4+cRFOH4fmf5mdnQ1YW/pn+9+N0/+e6l3NvhH4RFfnUBr8EOux/2SDdMerwxaj/VeX7CaHyXIk64lmOHtUMar8VpvJarhVmY53+ccM6TJA3XcvRl7WUtzuak+DA+xMsRyF+kWNTaQU4u47OXmQM8NH5ulKRjkV9IHP4GldgyXn75PF5JqIlO3o2x0JLoXz/0bznJ8Ja55dJUIbUK8p/cAHw8Dz3ZSD5O1pP1CMPSIXvJqy+h5iK8wec/wozvvCs9xcf3sFUdrxn7R/t4TV8S+ZEwQ3kP63ndZK6VYiZUcqiI/bH/G/uCsWmknd4P6Z76CTA+UViJsuglhRbMoVwl5ETA/93wbADyUYAGO8knWE6ljjk+Rd41tnRd7C8L2U3WMeVnFZPlbb2kK4jz6/L8MwKzZw7F6cvx29FQybMzis+KvRmCaWYZ/LMIitF3ZCrvgJeF2IpSwh94djBNFHHW+kLM36xyyNcvT++kZ1KDhnsRilm6yNhQz9QzJB+IroWbCEk9smYsJzu6HaZY4m8H72dn7VA5IuIHlNdy2gbL2ylyvJdCJsuX9WW97f1Y5E+zWoD5eYYrpmbtuGayFOzLD41l7r9aBjXyBo24mB66hzQhz3F8zzDPx4P1z2TJBwaNDXPVHjpkc0a8Fn+cq0X6USz6nxCRwRyG6hV0yBJGgmEjwiI8PweyWiF7FbM0GdZf1xibr85TXAl/Fvsl2C9DGtmIlCIr880MHh6y+5jMP8mQDImucP0t5n/JYEYJryTQITvk8ec8jZZiOzx/mp+L8Lg0b7+eYPhJjMXuwvt76vw8S1Lo30M2N6ofztUjBvD/BgbAT58ZcIZ6B1MlrRHXqxFyal9AVGOUacljbFNVfyW5Eb4r7DdlhGAhqoqDBVyAOklliR/5cf4M5WcDdLaAC4OC+H8ar7+F9R81UROy6/LNPM1beatjdRoqHIIfdg0toSIqsp4CK+cSHK3VFs9QGsUPap4ag91xXgGFq3vVvU3/oXZfBXyGYLKfXD9Zn1qfgrrUaq56XBV5roCDNcaHyuvAfTdVu/wY13BttwYcV6J9Oq+cZlAbaqnW/DqmR80UrH5j+6GQLaEi5CCrVt7KN/MHuIe35x+10+1SgM8PUkJZpBDH6DCXHdEjekS6pHnSPGqmVhAa1V1UpsgUVEFWcuS4IrLvTLH+B08G4xz/E3ZS5UeP3Se+o2Od7w/lLWR5GLMC8Hzef/DdsRxgUxrhv7ANL6+4u0zz5XTZKattte0HPo3R+zPm3Zra8rPLW3hrfmuXjUrcdYGvBdk3gp2XZwNyOfDXkg9anB80S9EEmlj9w4WJtyfe/vLtT9/+9O0v355YnLgxcWGW41+sJ9dPKPAqpgrzvdzBUdFYSi3xKgrAB7FF5jUsl1AlmOV81uP/RCQGIqDCB+aVC/z5YzZI0CXzlUMnVZ7V07OHxyLeO1XzP0hyfj21wBHFKcifjwE6Ea7s9gLZgBJUVNBvdt6WGLKZrRJA8QEkJszyyLF3NwI8fyG/ipqIUBWQffI6/m2edrId4q8HOD672IWAeKHZG+1PjFp4+QHUH57Db3IBT258FvrvC8AXQUmqy5TKsiIDK3futy7Vszq3T/QuQsmtZF13iTJFp+p+Ol/P1V/xDPVx/3CPaNOzydrJzZMj9vuTGs+xuk2cVxWD45OAhIF8+Xv+XoZhiQ2NttE2hoZkBPn8XFML+YKX12RepniDV+JBrSSvr4f8PRXlqQzV1RydKcOz+PxbgLvF4zdEKkm8coKRk03WIoOTKquSft8x7wN+icnim3vD5KY5PH6IB+f655H5MdffDOmIAjM2n/8l6P087TQdqja5f+nKrpcSyN4vMv4hBcZIoV/Qef4+ph4KLOd+Cihy8AE0oo7tlANMxJcQ8dSZYbDRf4b4Mgwjz+1DJrkSPama9KTKyEn1q97rs4fswStef4xW1qyz7Fiei/ovP/2nNVKYLUwWVr6e/8jP/9NP/+mnZG10nnurty9/xvrmStLGKwJfJpriGDOQP5D2dPFpRrBkeUf8xsB/zPMDs7g7Pufrz3/2+TrMB6hZTxdhfw2tYEvsC/DzVcZkXV5RFAV4ZgcITZ/qW2qlraydt53m7ob/of9I4+kTqKxZI4yh0zg9v9Not2RaB7wEGG9WT7tZktcd0B+2avv5/JhWVHtQUrOqwiqqnS3lfensfM8Raa3K6fXb/jqrZwys51MOnAWLsqutI6TpQ+D80QM6MzI0k8Y8Fggcx4EjLYjQrNUv6Vld0R3Wybj4KHXkHpFuv5lsGlx/+njdOFRvMdCeFSxQ+iA/ketvuaCU0kXQAtRSrWwz35vv7T5q64Fy0PYDf7yeFlgQOtVVPUfz5QxxCNjzAQP0XxC9Bm1IVJfV/VtZ4cnr5/XjGb8jY8pt7Hx+Hw94Dz6E/vPyxk9xhIbLdVzHbE63eX230gR8/2n9NV9t/JTpGY7z97X+RRkqcvIY4e9XmSe7/N8Cv2LaGnAEPX+N1TJ6luTd3fruFrRd1f3d0fhTfzNQoul0IdfHa85+u67OqqraD6wjNKscVfW+vmI0ScFk6X6udkSPhUW5DfrFR+cFXgOPbORonuNFOKfv7+N156AvKErz846+S8/wNab1NFFd/1bAYBxbCkMlttAwG/5thHwbA1tVxRo1z8+fW598PAv0tu4kK1DjM0+ySj/d7/Z1o2M0Ui0Y/6A+KPi5PmI8txizdNlxAqNsf4QuV14J/4TXNs6TXOVV5Zj1EVR0Ab7CrN4X2hSqzGimCev7UfOIGlCJBe13Bo6/5mcBsDBoroZr83RXWAjMP5offirW0HQp28JfONRpBnpqWuXr/x+tD2UsImFd3/Zrvn79JwqMkb+6c/HK/J1/e+Und36y+JPFi3cuTlyauATzJ/i6L+STgfanGFAwqcqfCfotqA1JoBhMqQVGA0VMcTFT3GMBXusfyCI0rQ37qhRYgvmXVnIM7+/u7zL/vn/fz/ycjxdyYwzCq1vJ/CZukcGr6jHIBNff09OvwbvdDAQoSnfxZ1hqs7YUgIMFTvsP/O8Tqg8yw+zqK3Kc7f8i6Zp8/ZouD6m6pFJW8Q/m72apiJQJBBDAP+H7BmLXk86lEm5oVegjb/fyo1f3Rf+CJKmE2mmSRZi1pfZ5fBKkrIBliP9/ut43to0suxcsiQ6lGZQl2zuNFEM1SUk22dMhu4pTCUmBxboepyfreIN9mX7T2X2LtxkmCtiLBbetZN7OMi01RVgNzmBBjAMjH4hnw70I9tN8EuAFx0AEN3s1KO+HsvnwPixKoYbkxIH8sNC0qFFAVYele7bPvVUk5e7pAim1r+rfveeee++5v/P73RZa8KNW5YyKBTgMaSRz+P7FXTx/6MY/WP01CLWUdie4G2qFTORv4dcP+oLr1FxpaCXdbMPeBD/LnJLJ86cF5LZzyCeZtfa+lQm+lBbCfdzfOkG9YQqKSrMKoSfCSf+EqrjGUDSF9W/K/Afah5CjhHKWPo//JCJEQJYyjD9/hmqGSMFYMHQqa2YBn39BHx4Gi8GSJADN+HM0gzsM+XAj/MnrdyVbEF6vHPdVJW2rFtiqhfP4gXmKaC9I7SplbJ8TltWWbJzRZGOFammAvnLC+o+yIQgL+X5epZixClT9AQFHOKHIgqiyTDk8//hJclsFRXJCKmQlMjwp4xQ2tZmC9M/w/FNI7qdnkiyLMuvk6qfQ7588TD9IsvFzLsTsUw04NE+oJhKwxDZqyDTCdxeGgrBgnoCyj+t32E7Tle0c7QvHtG9ilrja4tfH7Dnv+mfs+upD4l6f+1/ka4v4GfIkz7gjJEWM+BE/yjPRr0/fuCG+/VeZKYH0py9NX7qwdGFJWsoveOU3bojaGq5zZsO4M4vIGDzs8fWjBRx1M7qHN/Dyd/hvxqq5mtFH2B22XpDY/MQt3zVbmRKL1TL0qK8XyvfzXn43gcjq8upcIaOPoteICZCQ/4qXL69GVzUd54qk0C8oBYxghpl+IuJfCV26sfSHCxlE+szQ3xFWnWnB50wL0688nyhIShpCqqiGVtOrZ7tTD3n/M3YNY2FTwTFMQZzRGLEwrp+3b6xo05ELlzCL7psX3vjo5r2bV2Z6k+UZbbqy9OPf2Z6uzP0ff/0fL9yR7vD5D8DuqrGae8K5ofhMY2L/fPL6ArGXZmP/5c03Fv+ft94gdmQW18f4fFoZVx5+xEdhlgCLULnxqQqe/ccbioccuv6Nt2POGzfeuPFv6M1p9/1WNZ3vzQftoIStyRBug0jIa19cXSxokWbaaTZxlaE0YzTS7HL8Aiyv6rrIkfyYfdsjoG6Ft463ZvTx8//xxu9Fpq9/UW9C2ObcB0tv37jq3d/Us8KMo1u+PkGFe0QkVBGRxMufr648QYw+Zk/gLBLfeQH3X3T3/KcOIh0QgeLwmU7A0U6iJ7sfe9fPPck5ci1uk+6KI+dl+lZ+xYnkY+z5gRrGGQ2z7AzMBXDnq3cJTIHX/kC9PTdke0zWyTB5P3eE66sJ61bIdhLIgXgAB5IWrid3Xr7k++dRA3F9+Jtq6g5xvHhuJjSuf5wh4Xul68SO1YgTu0tgmXr3N8sZZYZoikz1AdAwIobgGVz8kcdfwfiV2YiOvRt7mNDk/c9dvyoCqqYCciXhfCus2JxSAvMPQ4E+L8e/eLWcI2v4NQEEKcz03yUrbEks/ivpgZ6Uh7yQj5ZjvWhey2ubF3vhvL0qrAo6u74jmWBMVWNbMV+MagWtIBbChm1MVWcWRvlDm0I+yo4czVUvVsPVz938djc5cVfYjQpRQK4qTRIx1x4hJWu8fkccuOOVBiS3prYE6uU3MkZUzEsspIpaUSuKUkg6dv3T5PleKyNCb2G1r/+m8jG+jfHLKjQ/xZhnY9VXn1/JI1rf6fhOzKbZfAayklGCoGX6RcHwMX1cpaSYzr5vELcS93GnZqUerC/0+2s8//ir3m+S59XjnRAYxqRVkGmmH7Zzhydu/smmcNPZvPDtm5tv3Lx0843NP8RcQ4Q3Tl/n/COXBIx9lx3ho7c/ett5u3KN/u7S1771+q2/+tcpFv/GbHPMW/fROPKONmXItoPtcPvEzd9n/JACUN+gNWjR1kAeZGlQIfRA8Ssz4OLjIFXUSuwN6DLi4EukpLfjbeSXnSzHslfL2WiVR/wxaj7Fak9rfnF0lNz4U5NA3Hpae1rj8RcvGse295pe6ZexcAzfyHBBie2ndcYB3vcpWWVemXkknmTUHl//o6KStYzXdjw2Vc7qjeMXL9eslzWey8T8loDwU87/wEtjtSb6Z+xFzrw4LwW2pV7y8dH8+fMFJ8zXOvUA7ujVFquT5V4eGc8kwx1PXB6PyxHJEWgcN3wFf2EBo+/iXImXE9CsqPm06nEFe5g6xn8/On+qMuXi6CbxW/x8rD+eo7tYCZ8b38+dX/FqwK0Hv/f++HY4dkrIqiNMjm/e+Qem68dwWYxAWcZbwPCv18Plq3/7B7OYOyhc2Pxn4QL5eeTtyNvk5xh/99pHruGimUBGWqlb6KHwv/5k+7tzh97MNucTcPvvuPUcXNsv4mq1OlN9vXq8w/GvOB/RSlGzY2KWSOAAj+RB8mCRtgqT5yfp69WparL6enVqZ6by+lZyq0dfaR+2S8936D3+znH9cpYBAPazrzDdgXH7vWTskYTyPX6OILb18f3DrnXgOHbOP3nPR8nI8sd45HH5xJxGIVRQFhQ/y//E+ie8/iN6ZMnRry5d1a8iSPnGR/+jNHF/xnAKpxNITMrtY2ydkp8c2IXwAWoohw8kEeePo/YXRUs0Jcg27aJUkhTpB1I7+JNx+9/4MXEigmxHKrF+pMLwgTQinO8/Uw6pBQ4DO4GdcO1k3jeP/BPe+dfZrFX+l8iF2D9fvXr1auyfIxcio+dH6+OYc8/Pj+1zVD90ZOH7M31P39Yrn+kvMCVOHiMKM4ba+Yn3967J8dZj/uTJ8q8af1i5+fKhUOT5XeRA1VRNDb6Vjdz+1Bi/f4z5HxbB30k3YgeT/ZPbD4vQw0oTMHmbJ3A3XfveRPuTmiHcWaulrVMrtZYqKYw/cLJ3A98h2IkdTPDre7UfyvWRky735OJ2YjtHQ0IWcPv4lfZzIpWYHfnbL36O2s99f5qsqge6jj12kl9nspx7lvQglUoPxvaL7xe1/EVE3/oOZihFHO7jqd7MC4eMz8doBNQDyJ05/BzrqRKA5Lj9KgIltWSVfKn9cHRY2W7hChxnERKyfPJ6DvT5+IG8ak9FAVuf+vwv/Fnq88/7s/4XjJ+FqWtA1EIcoKggiwd+WP5upj/3m9sfV0iZ/OT7Rw5ktsewfBBr5Bim17OfkKWaWJ+qoToE2bgH6mB5f9l5/nKy/835g8g5kRJSBKNXVVJFfkJJCX+SKr4wcB4fXZ1cwbnjJ/N/zD5MyUQuiZBpO4x811FMfv2U9aLGOND5p0k6St9rP+/sibxawcvSkCb6V6Au9ifnN6/4rx3RVTlYbOQaMfZZrMa0yecTGf5ogeoGoQkjbiAeacI+LQEVdvLkQCmSx7lteRhp7VYn7TvsTNUJ+Kph4Ht7fH9vYnwoLxdIAXUBSSFSiG6Q/HHvq9pvnIHB8O+j+idUNIgh48chTXGXMPwrqiXntl9KM31RCfdw1j5fye7P97P9OWt41z2///Jj4ihenoZAIIHz/0fPnkzcH/OY258PZ+a8WPjnH0/6Jxw5iJPYlh9nP0s2Y2taiOOrx/4zaCPWJCWcUs3NqSKT85NDNa9uwlDtqBZBD1QgBWV31L6HuK73eDIIZfFIUSmN748+J1cjlrYGHQc9kp08TL/n9d+UtWxiHmR4jMzzJc6/H/iQ46XA69XXnLc/v3v+/dI/TBrpH7LV6XNiK7vpXafs2eewhrWHKxxkkUZ+nliD7OD+rmc9uLY/N8dGdk82fmPvHVsmrkIxW5yPcu71Sy9M4qqcMPYVRxLC1NVvcZ8v6QTrSj/8scAyZMN0IZ9m/tHz3hxlje/m2ZGoZMLn6g+gl+zpNL2dwpVcJlr8xVPWfyF9yFfHiHMerY+lmT4yknP/5I1q/Or+pvO+mJl/kJnh73dgTngehsA4exBMp0pha9w+L0xSTTwg/USV1BI22SLV7oPd/rnrU459JHTy+li/B1ZWfGorlr+Tu/9ybRy95PWH5ePW5chvT8F5on1HGE7u/9kYoI3bj9fAZIbB3Fom5L2f530ZGs1tST5+eaMfUOT5DX9yeiSc46tAZqGWQmyfBEBs2SQO4sDwI5stc/x8833cRQ2mkAcd+yhHeI/LWfZum1jcO4MTstSdX074Z6aoFIa+hzgVFb30ouXZLwFVIZDsEQdROouHsrPcbzmfv/Tq3yikQVqdoajh50d9SQlzDD+1J+0n+DHcDq4HYQGZPNUgBFUV+PubFjlETMdik1TiZVKZzO8Y9w/mk7fCNoAg4mpMLyoLo/71E6kIIBX1YgBA0KhuZKhlSNTzz1GrbQYAzCSidB1UJIgK0fd/MfYfNQ155ylqHOcOZYj3njmt9+weLzdMkiIK9FGlIDEgA0kDS10IN45fTPjXPLHFIkBIIY2QRuqhbPgIdUK+4vr78v8W3285z+xhcTR/MEUKDbFIqGygnw4ZhB4WLz4dj28SYx4HKvgJXW4Sury7vPvWxPwk1SQlzI589f5eub8XdoafEIfvgCMbVMpMTdiHmAInh3mVILr5lYsQc+OjyTpqbl3sfXkHFPt/R+koGtulA0B8AO5AWYrl7j/NCreEWzS+9MbS7FL576W/iH/rzTffuHXzxs07sx99Dee/QifU7fPzqZKFV8/3I0NYXmomcX4f/rxycXumN9l/cSbUrZN6rh64D3TlQa5O6nv1vfuB+4Ehzt8lQSp2irqhGYEt8GWoVtALVsFCxqhqkOk/OU2wNSuD+/P31blMHtkP+2z3mq2vQ91+J6/lM3mpDD0s1TezmNGwKq1KOt9/7wi6kPN2yGi3ulfZqwSFIMq/sfiBjMgEQfSznQNTLsaLZkmULjJ+/dlLs5duRd6k8TuIbpbuxOmbd27euXln9s4snb3D9k/QJgzd3XkgTJvPZFzq8zC6PtERx7C9oOhUNmRezuYf5/O7Eo3YAc/Gih384gnq75zHb2A7uzvZ7v7yJeFd+u7070+vfMD4Vz9YufX7t777wXenv4tcrAsuvyn1FeaLPLttfAU+/mNckWsDoVfh2AKReUmBxe+mKvBx+EXwRba7WI/Zn24PIfgi/CK8Fd4KbB0/5PPXLpBKrh6oQ32lngPWvvWgFGT0axj/6ih6flz/hOvUuftDrDyv57VmAGC4MswNyXBvuDcM4PETfv1OSS+ifVCaETShQy0D7UNi+Aa07y7NVVfYDhO7fm+lsbezhyoEM0x/0W5ay51gO9X+ZT29dr4GeX6LViA7yXp7Y/7pypfqVxK60FFydKURoNDAHURdWdm2elYv8Dg8794fNCGDs1+aXccd6Mn+4dbPVm4rAGyHF3Rlj+nYcfyLwvhpcjSjqOAIyLOdo8fVY7aaQX5pxXRMgIypCIrlWMn7Kw/Jg1P7uH58P3kf+dERmwKQq604fIeWACmdrJ88P3H3XyWhQztFLbMCUpaWV2xN4Fh6ywn+DJ/vUuV7D793L/3rzL1LDzfuXf7PK3/2++98F4//fHnpUlxgrMIgIPONirnjjKEPeRoHqGKJ89eiVOyCXtSKQYDKCnIQwN5wD4LrwfXg+/h+iKchSpaqKQA1laUEd8hcnPqo3Jf1JR2npzYyGzn7NNPfOHb3Pxk+UmEfh0CWpCy1T2C5F7X3W5g/EHh8sQfw+uPxuM3HcgB3fC8FoVNCbgRmXwwbYzFsDLcfBfmJQEcGviLGGYlDCqfOoHR2SN7LNb3618wVlz10hWrKCfSVvrv+RSvuMnUwSQBwd5ipNdpfTlL2fmoWVBWZmrOg5U/gpH2CGKI5QVABigCkmKVu/VKinMDpJ6eQ3kJ8Txakl0HQXsrQMUk9DFBfgVydQLfO988DoL8kIL3sAi0Klg6vWwAZSwPd6oDk7o/5hJSywJir/RhhqPIIF7fv2euz19+5vnT9G9dnryPvy4fXZ6+/ef2bN/4I8z0Yvob0MPLpzy/k/ZavNuUQg6PH3P4hSuLAjJqo0YARWGgFHF3Mim3RYvgVSZDowB/1a37Jn/JHKTQZzm+3s2sxfCI7X4yKOZBEdn5RKo7OL7nPV7565xt3vjZ9ZWlp6cMrX7/y5vQ3p/9o+ibXJxEk4ZTivoWkpJSoAogwUbKYMMH1Sc6VxwAYWjGroJZJYMRfxnV3wnCCSiQ4V696/gFRYoeKDBlDMeJGvEiLUklXdKVTsji+S5GUvsI1JHKPEkM4CrTIj8hWd2tvK/CQjT9OvxgvakWpqBVloFbG0i3d6lju86UU7aQfV1DjINdINIAiS5GOyyhVCvHx87ieYONnjiYeQD2AGM373ft7fPxUJGWgRB1tEGgkH0UVSEkHrP4kay3Q5POXQT4GWl4qpayoBX3MRSeFzubeCddvCfRPt2Pbue3Adhpi9dH1j9p3mX6LEHSOa+z+27knchXMFZPYRGmXOmaY4dskc2BGjVw1sJX2xSgUUItDNzrGHhu/sf4HNCpogiSkBFb/ml7IFtpdfn8eM/Nikj4l1PPVUBHy4mO0UO/9YqA1pWaqGaUc55o12tW9KuIz+P6uu8vri6p4PrYft1CW3/JctuO78V25/HnFJ4Q2fAbOU0frQ9Z+cSXH0C8JhoJBtr0uovS2uL4c9EKrZDWutwRffg77ACWj659Hr4WlmbUptJ+ti49XfvLLLT7/OH6E+SB4/RjAo/PXl1LSYDCIDrRBEDW5B0ilyPGnvP9674/npyH2iJ0P3H698eUUYlu5LdRlf0saSpKkS1mpjSHuPr//QI2q2qq0mjJiD0AIgb6b3W3vWiDtCgJmDg2MqJEDyUgZUQMowxEbbaPtjq+SMshHi5ohPU8PowIIIcrq38UXYpRw4MRqxJKs1FrUgrvSmi5lhXbPyrD+L0nSQMJ9QymfNqJFyEiKXtQLnc7eieRz/QOqWhkSZfc3GI7R6BiWEQSu7/rd6WvTr01/7YPXbl27tX7ra7d+94Pfnf5vpv9o+msL7PmcgYMRH4mpXgJTyxzXj9d/s4KqyIqsMJxlAQzaPT1J+Ti+d2BEi1pJyqSKsafoHwjVlY7nP5oSHFdkQWtKkKvJyHBeIzVUKtyrBR7z+jmmiUauEaBe/9VT+kInax0Fq177uP6HYv1J5+tPUZTTRqKhOZLD/FNJKuklvd1p791HfA7WbxJYZKSUAyieWdoPCWiq5iQbaXV0fUFjeidRxOHi+WP/5LZPzgqu8fYJOO7zO4Ga51+X7rw2PfvrK/eW7n3461mGQL41fYv512RNMQ+tuJSlqPIZtwBClm7hHK8thVz89wA1fozg1le/n6T1U0zDBP2bAzvMv/xDe73dQv/yxfy5DAeBA7UQKsyXVyovhDnegyvYQ7n9nEI0rxWY/fnY+FDMFtstqxVw/cPpQdTQilImVYgaGJ3QB9lB+9HeI9Y/mlKzTxMGMaUSacUloBI+P3TrFtdvWpOsvpWo5apB0IS4wHDoJql2n7RfMPtE/+lEzVw9gMrXjbNGgKKacXeruyUx/eFZ552Plj76hjMrXKFLdz68M0vfvPMmvYVrhJog4Cyjb8S5fStv5QHVdrfY+MD7/1zA7nMNl5LmyD8DKhX02zg+7m0FQ9w/Hx8kGkQN+rR8HHHyJqnpVmfN2uf44iDtC2h/wSIpJhrQwPjC2H4D9UD7eJiguXoAcjsyw/mSNql3K3ts/oD1dwKooRNgzFHgz3bY+NTeY/h2ZP2OF8zCyoHyw/jgF1VYUPJkQE6gNWix+B3aPyTY/NatP4U0SKPbaLP5Lc7v+67GTo4mEAUIZJvY3WLbCE76R/S/wPzvETki0N1qM3yalA8cHmM+oCP1cXUOtSAl90m9O+hWJUcQcDd0QGM9zZRKuYEcon2Jkp5e7GSs9QDGR0LBft/P+pdIQPZh/emmXhrVnyVZx9sJINvh7SR7vhWKOQzdbV4/Qh56wiYxlw+XbZLZPTRm5prcPjm+brYyW/kTem36tRuzH3zj768uffCvs0tv/vTNf7115+aFWcmrX9lHINjSzLhDmyP/xuefggpHPrmdXVdVGWTVhVcD+E58OD/E+jvxyS1yO7hOWHkWWS5a7fW2D+1DEWI0YnQG6gN1Xz/FDGXFoAN4cPbgZKCvuvZTSxwQNahqQlwBkEq6ow+6j0bjR6lfipsj+2ca74R26R4NuPuTJzTezyG3I8T9MGDzh0G3avklbeL9fKjdFVfgCc5fyHa33yZBHj/eHORjTEMnXY1VwVWTxaiEN34dU67hpBXjLXiJ9UMOOxmL4T+RO+aYJqo5hn5NUKqsgDt+PmHxi3uz97579drVb9ybvfcN4Sr94N7svTfpm/du3bvJ1ucM3/DRt29uKjelzcK0IP4n3+ymMzV9UfmrOeRHxvbvW3JXsySLdOIWtQJdYulWl61huT7xcVUukFXJ1Bz5gAqSQjrE6LbaLZyf4vjR98cpzm8Rmwz/IFFd052R/eelwjGNF7VSEDQljihTROmP2z+v5GOwV8tYytrKfnfmrJZ0zmpnDognIur/KJISigTbkJVUKUvbIaDqIRzCEYQHJHXwVfUTPNUdvH+X3z+U7OtKNE/MqBVd0wvScxi2lbbTHnS5fxQkh83fHZw/RE1wJMziaHWcPRPHb6Wp7rzQ2loWVJJ9v90EHTkOYQEWIKWueu2fqGmmZDH7VAOU9/+9Hbw+ro+OMd8QAvXcUL4Lrppyl6E4BQGzKk4gcZg7RGX4BFAcv0tu/Snn/UeSJioASThjHeQEUJFBCgUHJ4XETm4nSLWmDBTVxg1S7GQ63H6EMPSb8WauEqSkI3eABjuoUNnttGnQ3X87duJFwpTDE8w+kYMeV/1s/iCl67F6F/nd26TdrQNN16AG9dP6QMH1qec/czTQyFH0vwE6+fyKlLaWpTbJDlIDMtgbnD1MY/vWzuhpSFE9+0lQzR8EbSMO8EQqk46ud4bt+9Ia18d9UcyiBp2TybeZggPL41jtryr6Ofuws+12G6hK4RBaAKefoL4XZvYd08Q/EKatzvr3ufqXbGbfoAmSnavJfgCv//PxIygFtvsbcjF3KG1oebkHNHBADgjtVto8vmMqJf7+koLamrQpsSyyrtTl+V9FpRADK5+laiFL2wVEyiEP8FmtbyqZUf0JmoP9C8ePwBYBctSFvS2M/wQhKJxQWSAQHJB92YSX6IeI2S12xNDofFklaoBqZrzExn/mX7h/E/K5Q8wnlx0cPRKHpBvfkGm88MxuFWlBEMLi5bXvX/pu5Ptvf/eN71+6fnXzg9lLb37vm9/7I2SLvyQIyYNkY1lri/pmsr5Sb5dgUy0BHvaJjfhaRUnpy4W2k9EUyJS79TPq5ZmdMAGGkX/clSBXlwFeBF4QIC+6DEUuCMiTFS12aa6ttrNCV4KSujm6/l3Wfxre/FLLJ0xaklKYR9Vx2ix+g6jGY9QQZPsKaN9s/Dc7JasUxOfLJ51fHRJYOUw6Wp4w+0G14TOzX0q3BKbevkzbnSwqtwtt6qDKhnK2A6kBi7+kJBUW65akb6rrK2Ctw7q6CRIASKeWtvml+MxpspLOLB4gP6exvz/23wc5yubHB/h8ukI63d12S9rA8gDtK3GH+X+cf9AVbp+U+/9InvSam8gJDY+zGrz0CaHeTJ04M73Xd47Z/C/w6PhRAjQhALlhYojql6jy1R2214NUEII08PyExo3c8yDVCvE+7GTeI/v6Wve5lQliftjD5P3YcA8VTCFrtSkqADGFBjj9RCkIDB0v3yZPZUoKogaHF380zyMEbv6BO36lCEipHGXzF3b/NrQhpLL518NTihpqAYtAXIJhsEwoKXahTaSXghCoSZbXfwgkGsC4VMf9U7VUK2a3rWw3Pcikvni+sooM2hTKJ+vqCfN/9nEj7rjzxwZmIxPK/C/v3zh+Q9winYBDfoLzp4CjK2THG58udy6/8+edP3rnm+9c7lyb/s4H67cuf/DurX/7wb+99d3/eFn02kcG1HjD+Qt00Y/opc66xfA3yD35S6b+nq7rZb0MNElzNFc/e3j8cXrT9W95GchqEMhqwqECyzODjrn3JHjA568nA3lAaKCPzJlAgwMyILR9Yp2w+BDOT0z0T0EgP5PR8Hj9sCwIRI1hxhbuLi5WE40Vxn5LGokn+DeJhzx/b7G252QE5M5rDzCbGDPUzpzT93D/ANW/T9a5xiLzX2YAsxSp5z8kyua3bH6aom/x+S2zrz0Wnw4cBOD4IAE5CFRykDgACBwgD+h4fo3ztwTVBsEdjcrVkf+lfH2m2qq1bLUhu6b2st12E3qKABQ60DkFju+a3H8FCK/Rrrs+6q885OvbGFjrhKLydhugmqRn1TMK/hN/ys/yRz9ZrHXtlY+T97NgBZ2wOoR12IT3T4Yq6tOYQWD1+zw45OPf+efDXMlDpo+sAlknXYBkNcfu0Gf8BeP+k4as1aXQYf0HoHUC6RQ/f3nQxvgxzSptzPOAL+4PQAcsfnzp4aUf53/8u/SNK1feuaIn3vlf/+zSve/de/fPvvvH77zzjSt8fvyl8yko3vkqVQfLtD3Istjp3gPUiHMsnj+J/lNqBpwTSWbzz9wjmVIHd+dJo0stCH4ioO5RO2Z37YzEnn/Inn8fHOieEuWlx2+GrP0AyLCf1Yid1QmuEeivHglC2kp/HOt3uqSZ/oSARVBDDRzkuu+fpB9y/p0w5brMHLXCIvsj/KPCMlgJ03gWFeiLisu/sb3I8DURxvNCHKtoFaUiFAOg5/U1va9bpLY8w9pfR26BlaMVO3AAO4G7hKIn/mIMlpb7HqLW+6S0o/cQpQkj/LzHbw/QbvOPJHAFZp6vvEyX/csU/Ljnlga6ihpMZw5j0zd3cf+2qCLjK12he1QqghUAYulUZ58IcH2Twu8Vfu+9/6v8L+//ZeE/3Hb+l/3Sz//moz//aPVCnukXbdK8v5gqFFaNTfrn1duDor/oL/7wPSPv5+WIDBrnf7yKzxWEcW6zy8U64qo8Xz4+cxK/N5kZzf81WWFsgKska89Nnj/KRN4gjjxINJ49EpVxqY/t1F3c9vQzwsPAlgC8nN2b8vu+ig/H+0bNKFP/8Tcp9Td1x98MwaApMvwdu4IRNQhj3CPbogK2qJNHiFawFe/5PEZV2YmL3ofjdwhdWlpawrM3/2/hCrnnfSJ3yJ3IxPtPIUIU974Ej7tgzI+ksvr5avyNd76ST92OlWBV0ImwnCe3l0vLq2/p5+oXqRoRG1AUNIJsOSLXv/HeT7IC22HK8wMD1MsPHD//7MafvH11I0O/cecq/eDOm7gPW/PeHlsGmW8Q14F6YIR+fjfwmLGVes9X1KxDWLHSAJYEGOFos/iqV54ywRYMUl42ib1s4M59tGCsTpQrQFMZxC8Qf5aSjoSR6NBEuQCQsnTKWFxRcdYHEEB8kvQqA+l5+321lO/3+vPiqsTm96LkV86XM4/U9OVRh4Sd/6UrCEKqmCosq8uqIESVVEkzKWbDAsXVELULUkEpKBsRxu9thhL2Sh0YQxQAfpP68WF6PjK/fNr0j5/Pu7YkhPuqgvzSBudPZsgXnlUUtjMS2Pj3HKnE7BvVe7UgAO4IbxJGJXXCGU8kRfry9QOVBFULvqLUTzIu1XEpgM/Wiwxfr8w/oRn/eu75+fMBUubEXzf1siC8LVxzAhc+dC5fuHzhQ+dS5XX6g6XL37rM+HuuL5y/PrH9uBfXIAMR83M+mXkpCMj3kWFRkQAy4VAX3ejguBRx80MQW8n7ta9JnMQOcRJA4NnR2cvz11c1+XSM45rJI/4U/SPqLa3+XP3L4O/5LswvBH9P/cvVn+O/hTSWf62sPHgx41dEm9SYGmphPpT94QvD58dypqVboJ8FaPCHtBD9LEbJD7WCVMjtx4RPXf7esJ7+LKyrB36B9P2qqGJmted/FEE9Uladl1NH8np8Nb4af7lyFFxfWO2vCqu+Dt7P5182sj+cmSP6i4PQAr4vt2mPP3izvHgj8C2f//Xf+fO/8Iuv8k/fFH63o9zYuHHlncu3NoxLNy4Zr9/663cu3YjciNz4gwdYfzM9jqoecYfSYOr0s7B+cjC3wJ8f74/vfLTP7q7oE/5z+nq5PH1d38CfF67PXt8s/9bXA3+96r/4O3/1F8ifubCGeeVfeJ3D3GEaP49fvX75M2FJX1oqLP1UX4oskcLvF37/p99fenfp3aU/Nbm+TbYCFfwEQEFl4R3yyeLR4hF5vsj3Z0rUDP5IF2Kgr0ZfkiNpXXoJR8F1aTWA9bdh3e7edp7CxvNim2mHju8/H2L8RFRMQUMtIzN7tnxKhRQ0Uk7KF/XtsvwuvXz13mtXNv9xLvXalav3NhtXG+Qfr967eo/cixTxaun38VqojsCVgMQ8oYiG5fjhAEirqMCcAxydc0AsDYj1FsStJuPPcvffalP1qW1khvVVQqFBf6bi9/mZ/t5UZaqKyFcsnar49PkeFWYc5EcQpKm+IPhEYqOCoq8yVwLD7/dhDokdrkxRYOPf+HyAqeaMQNyRxRtfvuL8c/yVr5aj1pyXYcktkGsz+11PPHlEsH0vbH6EWmWXypsf3cLj/7z1d+znRzc/+gPOL0xJZdJ7ehkg7v52UcI9X5x3FfF3AK2IKocWMgzUeH4b5fwQZcx0o3ltk/T0vLVqufgjSQhRW5AEncW6QdE0HTFO3QDffxUCNNxA7XrCONCgkquQCtna29pj+wu4P4bZcKich3sZwHbvsrh7zvfvxMBh+HCFRc0DR4EjOMph/Pxobxi8j/dHP4WIC1UAUKlqwVFWJEDNQTElpjK8/phyZH/0Teb7rqS0myelriKaV0UerYK6qq6S1WHZl8eD8VuxzEBdiW3HnpDt2HZsm2yfbs9sz4Df1T+K53H1LBfkgpaP9+N97eTs0cVH8yHGX8nOjz0ij2KN6EB3okq09FZJNw/MmeoM4/eDEpsfVWMQFXQhRqMFvTAo+DdYFiPG57tyENfX8jr7HspDsu6URUu05utIQAC2+3yA31FkAjUGht/wUz8TSICKWiYF9oYFUh4yxtgJ+1KoksD4C2p+4A4JoCJ7rvqrqugXNXY2JX7VJEU1Q4rDpxd7wVranup5+8Pl8o0b/IMah28v/df/5H3+/dJ1hq8hNF4QC3AQKqsVjpJFTxjgpNhMny5Rk4vkvbgZd8hBXIgruc6vdudb86ZY4s8ns/h7gkXROX9fbvuoP09w+jpVh7qckju5/URN3sQIYBxXe+ahebE2L35FuSW35TbpHloX6/Nc/y2fYPEbVgsHyI0WV0jnaHeuJW7w+Ih4m4zZybwsBnCYBWGm2hGV8icbak9n8+Hz5fz58cllKndIR6bxvJwiu5+15vj7vXIG0FRR30gV9c2DQ86PDA9lFl9JWDJokjyUy4RCcR7mifiS87PJqzLknicgjhFeKjOWN5bC1uP2FwNdiVFCY1QXTqmeDylkEG6FW4OSIIgUmikHassOcRGd557Hxe9xBN+Yo308PkXyWj7pRIsEIsVIkThWPkBpPghaPsrmXz53BuWTED08iR9uMfww8rsuOlpxGbRipLjo0HySavkY6PkDxv8MeaGMu1Mks/hZ1x5leFFv/sXnmaiot/rzwn/48AH/uYHsOnz9FdEiVyNXI9eotnR16eqSduMqHnfevvOdC/8DI7jR2fokauoT39FW7O7Tu13/iB9AuM54iTzdTvxcmr20xvmvEHM3ueoascBj+0qaxBjdQZOQGRX3mPH/MYHEdvkjo56HodHR/yG79T7nP0OfoHglXnl0VM5x/ec8ADvfUPaZh8vZHiOrPPeWQJxELVGP9821Z/uA/EUK7molmIXGFYzTx814MZ4xM+bh8Ef8+jGeL4DflFRieGzFtp5u7eOqhzLVSj4fEn7b+caF33auXog5Vy+8feHtjPd+MYg29Wa0ib6J66M+rT6tdjXGH1qMFqKsxaP5aEkvRa1oO9qO3X96v8vWp1qPt19u6RoyU75z7da16rVp1Av5dwuufipTpTuPfvfyH4W85jHKNuNW3NKsxHaigRHzVhdOxvgoSeLI5PHYzNsvk0Fu4rm17IJ/xH3psbNLJV5/Mnod9E0sjp1gx7MdU3HXryM9wS/ZD8OfeoqQm195f12IUq4nO/qJvwlRgbe/v+l/Tm3/bmh3UP7S+TbvX9Fi1Iwaeid2Eh1dL2oYdJ/x0+XsBGLDi1oefZPG6goPM2/nOX9ctBmFaI/0Yr1YmbVSGVdHRn4/z+0jruDfa724nTjMHcj8bKEFtsvft3QPD/5Tv7dEly7hcePSHyN/esi1z3qungD2zfh7zfnWqe3y10VZbjkZxFLRlJ6KDWIPxvb3xaJ7E7kE4QX/STaXV/Egu5HdSAfx21ErV49JUYvYEYnYmRL7DDPr1vrec65uiPZDKsvQPMe/77YvrxErUWNjC+4xNZHBs+U3/fYGt2/sHVEHx/YY6KUoHu1o27PfHL02fW362gc5/n3r2q1rH4ztV6holav02nR0Wvv7az+9div302s/vfb1a//6nem3L/z3OH+raSZ6DMTuo/3iCBa3EvVn9ZY0lHD/I/V+tCTnh6vCKtGXBZJffp+UlvNYB2+x/P3cw0Q/sZXY0mic7TMmGAPps+oz+jnyv1bCtm92oTR7abP8tSuXl977b+ft2Vn8zM7OMn06jXkMGUglUUnQHOcv3mittlapzusnQeOFuJF7GBewlhJHeDwbttaHGLOa0zKJXqKSuMvsbJj7jPEPHyQOWqvDVUGYamprWK9yTyvEC7KDfyWX5OLzovne5+78PfcEPb5/DfULnLCnxCxKIus/uY8T9+Uh+jf8yb7X5XLLbj22Jdc+BeyRpCgXsX/GBbRzM8/tk+WTsdyyhPXWmh0+ZwFu/rgEaSNdTJXSrTR1+acp43jEDljUCrzH4AxBLvBvmXERDJHfpKqbUSlGY1XC+BEInbAPnCAapCAXE4eJuibI9+U2+YH8A7kt3235WjD0cftJVBJOopJzEpVEhUCil2gkdp7Vnx0y/53X0B4b7gyukaPxUtxCjmJTYu/f1/qygwcZf0NceFZvidQ/9o84p5LLcoEM5H35UM60tFZhuDvBn8DwBa94sL7LfyJFJRl0K1qKPSZ0xSDllWr7oKNbC55/lAW5QAqyIQMx5IHckY2W8dygWH8MdSV30TPLHeafu7Jr31Qane+T17VSvC3fjQuagDNBpIUcwkT5FtlK0ATNoTrgfrz97P6z+8O5iXJfjsbz8aLWSQxwnBudz3bFsUcguiCu5LYTyJA6KtfuXb137erVe9q9q5Gr16/RHOMnvvbmd/7wO/TfMX2SXJ9xpip8Bs38P+V3GF2/MS5BjEqikzBarVbLxogv688y27uXOzJl3saU62bf3ACmn0TqK3TlYRayIUIZMyzu5EntescabH4xOuZlbneF8c94Pt5n7TvDxx9ZlB1ZJA4yWOQqOA99a/Cs0SrY+6z/oJoe22FN1BKO1kw4iZpsmWvPLGAJwNi/OacvfmuKfBp34k6i0VIxP+mLdWk5cfBWWS7kDuJl2c4NE9jDB8+2nvWAjMZHM15C9ISsslYox4248aw61Dh+DSD5QD+JdqL0Fy/OjWBsAMk5zGM4uQcJJy5wK5adlgNguez36Nfc9hMIyOtyS4aW2lJZ+2uIWhmvcHKNxJO4KEOiZpp2RmCzu9lLmBm3SW9e+Te//rJ9I2pDruIOC79+vJkA+fazdku1P3P9+9K1N9n85J+u/WnuH69dufb/Xkt95xa3jynb0xdSbK6AGTdkGhVjjiEajF8UefHjJqtfhnPh1mSWTJPNv3j9leIO+VlciTMMXdyJK3Gn9TOsfx/NPceMnMRzXGfF+7kd+b3Efnzt2XMzM+yN7H9dXs+1EojTMT3rHNsn3lFWc6yeWO/yy2D6n1Ecf6equarsJOryC80nH8hFYsd98qpsPHNadUbQkNJUfF65rylMAQK996F8u3XUuk1TnH830Yg7MmgltBrcA+b+yh1/TK0k8zszO/FaczQ+ufWDCEJUDsAVDj4vPj/Or/yY35aP07csNj6XyQGu5hL02UHLpO7+fcpKb+cQlUdz2zlARFnUH6NcH3aqkrNlVkPkubyBOAyZ6Us+p88Nyvj9tRKuKJll/UwG7/kSFLVK0H8hKoGt7RhDDHHVKVuD5/vAcikXj8hR9imh2QLstI9gcnyxOT/1sklKi0CUEwrKuRlsn5dj78FVXWLUS79YQzZadynye2ONmdxyWP9E63yUGD5rPRsivlTIa2vxfqIuI7pNkJEFeiDTRD2x3/oh4kNc+1qXKQEZZCAuP3nL3/Lj+OBZB/Ze1/7zMuAautVm/cvMmAQyZiaVhaySpezYIdA96oKjCoKvqFvZIiJudGQfpFnE+jhZpw3t24w/rI6okUQ9YRNRBpkSRwb5NC60Bq11ivzbiMoBeVMeEB1bhjBtxbeEFm1Rfj6BlXpG0VNsT5DiDjnZIU736BcwDApC9nkvg7xT8SCAavLdBdwpXKzGDK3M49PfFvDYtK8jWHh203b/n15nG5SbSLYSeTuyGfl25NuRzT95G48fv/3jzQvfRv+fiqiYEUX6pBEehAbUIfssvwAGtxn/8/Xy9Zvlm5WbTvntG2/f2CgLNz+7+VM8yp9d/9/H+oVfVhDz9MN8r6xqeHTd1+P7I3yG48c8PEmySe38Pgxb/29LyKiyGTs4OxAPRAfqoiRq8zt2Qdj19Ft4VAZjYV3c65iMPyqgJKmmRJ238kOQ9gOngHz3pbBz/DOMb/iEOaHksNX2hfyF8ui3TfabIMxUcg7nqyajn0yfReH8O35BO7du5ruQjPXI5S/22FMx5ispacmBSbVHn6CVI9MEP/TSR1+sRD8KO8h4NzXtny5p7P5PkgfJKnmYPFAKhCJzDWMwcu8vsrhq7EAvxw5iB6hgGC1wXT1eHhRUuoxcJWyHGXPMkzWXDdfd3wIQ+1wbp4vaOM4MeyN9gz/flD1m73W5yl5t3+Yc0/fzMkVe4b9z+YGP2a4KZ5Xx7ADx3XNztsMZyXDfD3/qFsYvoi0dkB9fEjSa8keLesbCmFtQCmH+RFSKSroUwfwJTUulWdxgDzkwGwGm5RijuN5HfQKvPKPsUYzgAp06X844aWM+gGBLMqkjNXV3fanTiOHxj4VR29hCjYvnlh84vW9EakpsfLZZdu828nlkQmEH/0oGUcpIPZafiz4jWAQIFoOIYsRrWbp1EXi51z9Q1xJTQjhHC0blFP5+glLUi9EiapJgdomu6Br+v2EYnV8MOL4J8QW4MtadmEkRPW3qradu/GdUnk/l9XysTDH7p6AXDMMwfvEA7UfaQK2X7G3SUp8SgakwFIm2nFl+/znGr4Uk6EJUSLHIBzEooqOb0Was8rTSFXh+BEZI0kAeYZQYGPo39ij26CmcYX4O40+JbaW3yFa0SQy6r/f1ZnQ3umswfofZS5cu6ZGl8rduvHlj6Qa58T+X32S/Ld24Uf73N7D+FUmXYpBS9HzMIEWK2V1atBDtPD1xfPj8AdD9UX+K6h29E+vQjk51v+7HAPK+9kr9bRGBPb8bP3AMF387iA7Sj0glSolIJQLcvgzJWRMEaUZ1MKaWMkktBqRIi+SQmBhPePoJf3/UnYk10uybUIroVKZ/bhSB4euUjF6M0vQW2hWhlGkARCH24imcYf57MQl6MQbpIwKxIwJUQPQxxjh4fEMSkhQjY2mVALJfUEQP+mMQ9T+ljp/fXzejpTRgnI00ANG9NKrEqKFw/U4Fd4OdlINxMLw+YZFU1Lc+Q/yZhXjDBGIPIe7AQLOQbcihLdPsDk/Z/R1yGDtMA3kc6zP95D7eKUafsvFLslRA5Cbx4fhMqIOzREd24oPWI5zfSU3FJvUYTTfY/SmsI3qJ3/8XeP8NzPCPQXpAnsQqhAJDt8aEGH3a6fL9UZsJHLnfqByP+q9EsRcEpo/le/Uv/MmaYilrZMGeEYSUAEzPh2nEIjdAnwzEfbBEU3de/EhgulPI/aA0YeTfJ/nftDzkYQNMsIBODWAgYOs19d24y48DFliAygcOpuHih3yyuE22U2r4xAnx/PRvvjN5kDL+G/6Xv4T4OA8hx5gfWZ7jJL8Yy28DVIJ4lfuO8xt55+NmRNhRxLj4VJyqMVgTyw/3yv0KO9vdOMIjzBA5XjmWhl0FVkQv+JWFhf6Mx+8vKhghRs+OHQqVtYjwloD6X97Tz/eQs13SFCFsi5hl15xfs8OT1+ecU4PbDD0x4t/jV3d1PieUllHXDOE1yHW4SS9EPJWOTTp9ffr6hRuzNy7dwPj4uP5m+oyhTiTwQvJJfkmUVvqT5ZyB6lV+v3H9oC8Wmikj5U8Fo8Fo0NefrB+mpNuUjMy+3WfcW65+x3i8d9EhyLhg8xHil/1xOdcFYHwB6BOlpMP+dHz9jXCTtSFwRk3MO0D9sFlh3rn00Rt/N/t38/8ydeHr0jy9dOd/ujd7b/7X09ML596fONxWpnq+/Fw+k+8x/t3x+/n8Pv9yIVUIFcRCqKD6l/3NifNDCtqPamZN2TRsVEPIGL2N8fOPNQLwm7EDsfiu1z5TlenrqDg6j5p79vTs9Oz02rQwPt//G/gDJ+t/8g6sH4rn7Q/ZBbFiUZFYcPENHqMj7jUyfi9XzY3UFWb/k/Xv3fWr7s97DzFx3zhsSuuST/LNT9gH579T/MC03MKGhHJ19mT7K6IqJpmuULKeXtBS/RfID+qdz6xu/Az4O8OPeufPKz5uG666m8evNfn+k+g47/m9+v+tCOeBvj79hZ1V+DHzyvV9lHnLc+efq1+3bRm/pOt/xu0zb4uKnsd5O8xPNYWMD+k1J+xvPKvzvpm+8kT/Y5jYB+fxVeOzg3WJKaSlpaSlIIsx4y8cMXYKX80POfIv9SnkfKooBuqtKGuRk+X7z+cm7//V/I7j95OEr+KH9O6POo/om4FyjceVyi9Z/U74H0ErK0x3mhROCv4Nzv/2Fe1HZ3o8e5q/v2sfNiLJfD2dTOLEvPoRhXl7QUmxnRyuf+rNn73zfYLPmZOya75mSACK5KqoC3ve/qdqM6LGUJrBVDClFo72z7UPIGIA0YSpgqZ7/Hze2fM2MvcSWxE4Hwp/kkn/MFX5nPoK/qKUl/qo97YsPp8ZXz8iKHkpv0uXBR+uSQRVWBY+PV//lmQiW1+/mewlt1UpJWoT5zP2TIezZ870xvwGo/4piVJgWy2ENFGSlFQhZgD4fOftj/NiM2bsEX/jRPtSrgG0aMQKmu6Vj9uPrWMeHP8IWwf1d47P3X9i3xkxGgDbHKHhnY/WBWW0jmhhUFgohAtquVeYeH4FcciKHw4Ytybn1yy9cv+v4Lf0vM+kXxv3sInn8xMDWx0G+B1MqX7Vv3xu/BBDOA/K4CqVjUBBFr4e2xeu0i86kpTBHEXF09/g5TNo3dRTCWccuI+Sj3758avzG4yCicqCgkqGF6konK9/rsXFbfuLvpB/xX84U7V5cUbM2YJwsRpvx4NPz81vRCEMGTF72C5+sdI69Pa/vHLO4KANDp05JVRKlfzmTJX4JucnHOfGeyhjaPrJZP/GsTVMMwKqsbD1qsL1V7z6/2LkkZZhWSUq+6wur8ov7M64/Wb8WkpMiSkYhFIkRVKJqsnwKeP3SzHFLgJ+ibLfomBM3B97j6/4opBaFYoBU5IUJdJrVcbzQ4XxcXYZUlyVknX0n6+Mf1Q0A/XsY9Ec47Qn7v8b+D/5+Wx0QBVm8PwE8psy/Cu7OtejZdxrtqB81fhKOKayj0pBfsVfFv0Zf0877z++ip903D7jna1AFfUKww/4/JTX/8yhXuCWNNML6YOM/wczbQ3Pd2cH4xiUiyIb4XPHs4tA/SLnF+rNbL/+IPkjHh/h7+8TJuI/ef+6eNvF/7rP70MdxLyYsefHPTqj8Osj6txDlXqIfm/88moXUfQw7Ae5h/1y/WH7LvvbhXmDDGaq80bwhyrTB/fu/5v4RT37+E38nqPzz3F3jvnBvNJJdkzuG13/OV5/OGBKZq5BGtnVDOLvaOBgwr7KxAzURItdvXmxt/L4lxPXD/dRDZk4x6x+/U1/X2xndnvlifMVRQmCT1WVIPUZwWIokyr9qnXOPkc865Pj47h+XG5LZ5LPZDy+cU5YboEeOuec/wwRZ2bn4s7FnXDjrHGxcfGTeZI98sZnfj1C/aug++w5KatM9ea5fbn1729OZA80B1Rsis1M03s+PvubW1upcw2DcX6C5x9/E3/taH6kfHX+w+T8PkQlVIovylqi/uyxWVx5+mr9iUqopD6fHD/G3iXu7w5UP6E+v5pSU2Sg+IWNifkbcmba/IPZOJIdZu+PT4eMc1MVj/+c2IhEWcjM9Gl40v/xuBv7prqBY7FPm7T/MBXyv7TT7wv5MPDVEeKz3NVhiVRw/vtb1/9GnxbwX+auT/XKofP9G212MhL9yvjC2Snf59/LxrLR3fHez6+oQtDxi0eHSlEoBg/VjOpb9k3OX+YVTbnYgMECZu9l5JJZ5PpXXvvMiZlDpiJ2qGn6vK7tHXL+pS/3PmQ4XWzIyDG94JV7Tz+JEOIM+Z79foX6B9Nfc0cfN4rtrbDG/tW7v8oyXMIuv9w845ebmhg/Fisrtk+KbWd6U4/D82FHFZed3Yn1w7wzLwbFoJPJE7DswGGwEFqV8uP3DyoAQSXYx3UWzhU8/SP3/HzQUYoxsIqqo+RPKcaEFDc+4NrnRP7LGMH0Zf+E2Y+LWye7qVVyooS8/of8YdEicQyRHKaK3idtT44vhOKcdhjmWSlMNWFcvxtc1WqilSb8B7MuhhJk7dIkVEFMe1NoTq4fA9TlraUcf0aY/vaE/2TcSRL1kFKkuvhgcv0o5sOH2fU5plSC/7LA9hcm55+YCUaECCX+SJFkIsXFp+PyGUGzFUvvJH+iC0knbTqu/tDo/s1+M05XqunqW4VhKpTK+rOiVRqvP8KY11CYMXJUEHI1zYiHzODM5PxCIv3A8/lSaOH0FGtnvD7g3he9Fv77q/zQ4/tLFCpqX6fpQWqQcqIn0d398qT/81S0zuNvX/X+n259uuWO1Pbk+hJnL5F5QjHTIKgF59Ws6vslq3+C5XPztuiXC7lDUQyDJsZNsyiKYsm7vk/gb8BXCH7H74jwyviU5/gzzCHG/UDNikiR0vj9ee9FX5j7bMY+68/sO099r6wfPLQ3YgTQf2d64/GD1U91qhqlqY7WEWnY33fXB6++P0YRMAKVkXp97/0xryhZ/VVjfhBcwN8+b4QHM35t5L+jmlIIQzMfo6nCDA0V0jRViBaMhXPjz1rOvGgHttPhHotlRU3D8MYH3wPS9zUJ9VkAPovYM/3w/slTHn/y3s6HM4YmoVn95Wfh0MmA58eM5lfNuTXi9GY8/0aYgvLk/HCsozbycAuj+dWkQiH8ssLyz13/guWMuezQVz2vwsLnV+z5mMozU3q2lSbiEeKG6TSbk/UbLYiZ7E/8bJUwsf7m3l3J7h+8x/iJKcuEeR7UTw5C2oT/ZjbvV8QMKkwx9lhz7D+Ig2OjfyHcH/jDE2OUd32Ww8Q496M2eRJRAEzFUJq98fv9Jn7o8ew1fZisIY/oeX7tifgeTVZy2+Rx9nCRrbQ/Pbc+QJ6ttIkYskEm3UstpPvKvGqPru+k61L/JaiOx48t5TXh5Sg+HMmnQcr7qK8wpMFCkDLW3PxTGD+/1yY+EaN8AKLk5/Fr1/6IE95Q9+e17OGcDXeFXviBsEawfdjfYvvFfTJIzSwd+oOUqQMy/pCxfwVIraYK4AgFggjLMmHxVW91FXaEfIxmTmY+DjiqSOqR/qf78zNe+SgLc3uqjt5dK0YzkWHr7mj+6lkt9XJV/ZLPnd8ApNzxyTLDpiASJ6rxD+ZX8usHSwSC6yqun2BxiwBT/Hw84R/7nMcBM/u4vkhESDT2Hk30HyVsp4oYW3rdBsLqp09G8zdBJLXFGoGISIoRDcfBbm1gPs+cb9+v4icf+/+0EdxA7848VXPOzrR87vXnJ1cXLK5JqODn/Onj+TsBsSSZK6iQeLhySI4+P/K9Nxpfe7nthJ2dJ3ZcYigpWKwtl2PG6HxNKDD2/z5JEWQKsWQiHzWfTszflcS2CQTRnTtkh9QTO4mD5V2v3GU238yuZ9fJ5oKml7OdvfsT/cubXTsizoNwHo0R6d7IP9iErQzH+cN8Deddn/dRbPtX84e96BVmdRPnuMLyl6kgpEyevzqef6TM1CCa8vVwtNCH1ou9g/knk/3zon2xcrFCQJTiDGkoW2cwnv8wzviMN9a4/lHz7m9aK7U09PthGh6QzlF1ns77g0z/0K0/tusdO9QzUlF6SmjGyBo67RuT61fODc9nzfi+XN+EX5/bPuJSOEOxxLzRlD2any+Q//K12Qt/u0lvfv375W/e9N/8LSrN5mcnx+eVnox1OCAO8o9Fi6axNxE/V52g6HNeiJjlFqR6Z7nxVuHTfX4+rm3O7bJP1K9nn6McjiLZcDM4NlpFr/3x/n5Fo5KB/E8hzj7L+BO8+mXzcq4Q/hXjR0RQnWBx11l+4EOeJopMkcag5fk/TSikIVjwUbWA35IUBlVarDdLE/Zhp+0YWMiKnzrdT5kpmm5oq/z+830cf/vzhCYaXia8txofrY/8xH+QIogTZh/BT6qdfe/5F/InjpJPU6edbWnOWe3UUta4/qk3P+FvxNcU3huC+/wz24QGtl9/nD48r/U6jj9i3cgDrB/Eoix3YoPcQz7j4U+XUhRL7++hyiwNbOdoDvPQ4NPJ+R/6WDNaIhBRiLJMlxWiRJRRfCdDJBXUFEkpC4gezdKsRCRLmoxv0b5K9X6a6n2zP08xBv0SJtdPUXcNwLBwtOlvDYaO5x8xx5+9PW36wZGaZH9wsuDGR9jV8wB7tb794ien0N3u0lPlGTWVNozXh+IcsYP5UJ7xvx+GTGLGTYy0je0H4Lz2m1pYXvX617KQPghtzPT0jZcvcXU0wX/tzv8S20QB0AvyQeAQdlRJ1+YZvtmrf85xQBzfGkBmjsDk+gjnR1wFEKA7PI+PGtUP+ArECTcAvCibIkbE8fg8oWFLJ/VrXf9aDBU//0r9AHf8rMcV8sli78v6BKP9gRRHoYUfQkffJ2b37unH6VPv/BllIX9G09UwhWqY0lKoNGj726/fndgfwCxNxP5Q5NHPfUJcfir3/nnUBwilSOFof27t84/nt329+cdZPJ/NH4giOrBDAEB8StjKGvcqSXXCPxQTtky1vgxyETGEyE8Fhvf+gZpqk3LwkJTRP03yl7tvF0oPgsUYKHbwaJ4GCypVC8t01z+yP+UVfYR9Tx/Bsz9CBawvTT/wAanFkNHVWax55Tnck3GmajlHaOaoD7HCz3N08Sfj+aPHMBItyFQ3YoOoEaPRUXxh0U7WA/ZTGh2kqYBr7/6iI7/XzE+sX3+DvoI3emmmlor1xQE56p5b37u7A46HIk47KSttpywZudhG/UeZ00tRCeoJwJGbUKGMXG7d+rh/J53c4a+clX3CGIo4A1oQxuUBQP2ODOPHzdKs0aELxeOn4/K5ZsYO1IMUGAM4oZYQoMF1Xj8pJUfjxRyNYD9SdOXL9k3ocpGUIpRjXM+X879QTL0Up8ijTpSsQlCFDVU7vf7xqvpEkwDPVhxd3+DjS6KBsTt5EDNyA1z/8/JlR3V2RRl8QprmGk8/4z1oXH+S0zfjTsZMQ2wIEGQMY+1SoHXeP0jFlKVB2mIcq1S3LJ7/7aI+FF9yK1lJVpKUVJJbi1uLW03qlTPshE2qyariKMKysqwsq4a6H2L6vI5QCdNLd37bvnTnUvmS8F/RJWHZWRL+gN4QRudDcit5QmqKg3onUWlZWeztPqZc/5cjzIHcVeyUkHZyh7kjcnv5qdy0N1+5fyVZU+zkdgLjKDufbjP92pFlJW3iaCZx4qbs4Drz02pXnyxXHJXl38dRxUwksPu4w/MDdERv5xpTO9BPNpIPc5WEfdGeX59vZ1tMf6Ailklf7hOQt2WFPNEL5ED3d6sdf3ef51dOCcRenOUHsaeEqdmpC1NOmQsU41pZ9DlE9InEQe034vjmfbd9R0CEFM8/Ry56UNrsQH7joBJUwsrnLD/UFaIH2hywgzaVZqqZaurNk03fWB8WOgY7GP95SAkp4dLQnPoR0wftXYpcinxIkTHh3W+9+86Hty5XX5t+ffoH01ML3vkBoKhDQjsKVXBnC68wVHzI3zk9++vZK7NXyldu/frWnVt3yr+evfL1K1+/Mnflb65M/ZPH6cN2tfPYI9wxrj5VAyogP+8GZuVLBjW6j7qPOgrVpGKoEDJCneGJz+dqetZT/WB+qhkuHd/luyNTlakariEEgUdcECXpqVO9cn1RMqWipIHYNtvFtgbzkh48DIph8fPaVI3xa1WSNFkF/+ngtHHagEZykHuQ2yJbp1wfijGwBipQ6Va6tMv41cPsGMK4frGG8fm7jH88zI4hTG1xfm48vBagVDJC7BhSnzF5focpvXypHOeaBjU6lJ3NVA+wNGyccP02BRm6wIeH03QMZ1/pK01tV9sd7Aou/xpTdqt2oSN0BOQnDuGxccLz/3mGYBW1rTBH8FNvFwRZ0n2CoIqqFKgHticjZ6hBMIWxEs6/DTw7tdvr9roUuaDDeBhDw7eD9nWZXp6+PP3hB+/ewuPDW5c/eG2a2Rf1TY/si1Kmw4H2FaBoXSFlVL99qS9R2O5u41/QkuSEnHAj3BiquH+uzCVt1KBwmA4HHkmaq+JxSmdc/u4gSAI1u9Wur2NSUyqFsAeUhqbP5f+TSrTYMbpbHdoRqCDRyfqfsgnupdjhfzgJ+uYmLKzKGDKESc1z3BUm9PiuV3/A+ZGplEeOkc5+d9BJvfp+3m5jsKS+f7D6enNqov7B7+knBygtdIpd6Eh0LdiUnofskDE0cH9FURQn2QD1DDndqvidZBrFueppdYbXv3NpduM/fS/yLuvhH9LLS6/R15ZeX1pdmooLTL05UA36gHareABl9dMOtYf3faifVVI6KhLOWgCO5bSd4VlHfa6ZWncAPp4/7aBaKHFmhTBdnP7+ry9fCf966srU/0cuMH3hptJk/WvfWXP24WdnVFFyFDHVA4Z/mMhPrMf7rdLnYw9BiZ/zz3JGO+J+Byg+X7h9fN/H+JWlDeSghcOu0610HeT6CENoLWTx9lX05GHyEFKQYrxnkqOoTANbUwaKH/VbfqDuIp2u04bhWfusDUN1SNpaG/uP/zmrX9RvNs+q3L7OQFE0RxuQxkDF87VQoK+wXfEM6MILONd+qP88ozqKiYyxoAE4juMojurkPs5Vjnp+IgiX2fFh50/v/em979377369ce/SvcvvvPbO6+/8dWj6iiD48mTTlydl/OnPX5y0P9zs4PmJvsVHWiHRnpeGfT4WYp+eAuy/yUryR8mds23on22fAQygkW6kG7kDcnB6MHXg9s+lD5eYddB3lz784PKty7de++D16b+enhYZ/yJTTuHW5TQdSH6i3tbWtfbpI+F9xk96mDxQC+A4fbSRsxrQ9P1cPTc4rfodzh+oKGdMRcURzuhZI/n/8/V2sW1cW7rgpspNOj0l00mfvih2yaRkJWT3Gemw2DXgT7Oqdk5wGhgE89AIOjODMxd32Fc9zDxwYvUEc5o40qGEuMHcB8K+0BMxNpyXeRj0EwEBPAZasOnmBfVSsQaN+0APNZQyAmjggieiI6BEH27uNVl7FyU5yR1XSMUu1c9ee6219157re9ron7S6nk1sDfzX6YCd+HulOMB3Dw0evYD+uAl4t80I03N1TTgR80jfiQy+KNGDGLGROiP4ZquWUqNgUEJSvLbZPQOvcPvBIuEGINMNfVoem9ahcH0ETyHl5l79hPfPqrSPhBZ6uNrH1/7mP319m/4H91++8//+MNbv/9M8mOPUAP8/idwCndMxOfjlJ/fUU5lfUDcsPkzgR+AlQOOsWg56UVKTxal/yqgDvv2xXF2GjViXIyfIPA3QSBGBiEIHBCtZWJOMkAn55P9e8gvY5oCVNz05VcV/o3P7Bv9L+4NcRxdeJ+I8Qcux5+UjwwGBhSAQwdcE6ioAfDc0GOJD292AA98OuJT4e7tIV14mVbWZH51UAtqMFH1bHiYxrkion2qRjgt+OOIOUNMFKiCU8RT6Tue3TwtkkOhf4hdIzCx8cNaKYZsCM76q24ojPxFNx/d3Pmjbzd3kMfo43/5zb9B7f9O///lf7t9bUXiS+twYd8CX1or4whwLv0/ApB0WIdx5jFvCtO7KbBP7VMbzu8G7kn80NRwyqbDKWMoAbG2opyueYK/PrWd+lIgalaAwyZUYGLq5oROKH9ZFvgtGtSJRivLleUKrZAK8KP6+SN49OLRi8m+IvsvraDeTyUuNMZRwCJW97wWEvH11SZl0XK0jNVZuPvi2y/6B8XHBKTgOR59ePTQ+fulmf/w7fe784ZKYaAOYI9mzdLp/oWHeQjnaD+ppsEQbx5A2qhhWAayXHlCv7DeJSIqX454v3Ak8IfF/I1NfqsYEl84NQS4Kh/cXaWuV1YOBD+cn1kYWr91NMI8bl8D/P4X9ssK0wH02Pq0D2D4Hlb6d7VAC/MMhukhMBXowfwXV+YXiJ/pGq4JzBUehsv3p3h92XNDX7wZP4+JzIBZjFXMAInhZI7N0nQ4HQtU2DF8ahQsYg/o0/P7wfGPy4cCNal57oisz3qqnoHpGFmkWHd6H7qGqFhwuud1BfEHouYo1WQMgJUZmzYBhP9q0uY5D1TF/bngAHPxw4ZwhBFuq2xteL3QPYkvM/PYlKumqO8T0gs/fX0m7GeUgulEHADHrJIaWUICnhHiP3h/zhAPysQWnIv8RcF7WoTD/IjyfIPCs8ZMf+T81+hif6aYaB8DD3200bU4ddmRci70f4ys5LABz2FT+B9ickocPugEue8fPPCAsxFwEBxXpke5dead4fzSHJtlcwxbsAFn06egwjAzzHyT4ZR7nwXOfiDfUxgbBXtIwa5Na4oqng+pU7gjIOE94IhyRT1KadpLBwfCv0OKM5dx2AXhB1PcKlvMbp6bMmtXzH+RdMFE6QAYBRNoj/Ze9nB+gNcbh9PGlEMDOP7EEc1yrTIX+h0eqYXYMdZoh2p0HDqmEBtd1e+L+jyByEbZ6fmb+m+CWRIcYEI2Qj6GCYgle35X9r+sP8R1UEeR2Jzfu/+sv2B25/kmxgLl+p0ipwVfyNLKN32K61KGi72jJvCof73MCBIRzOAP7/8j9aG+/YFYP/nYa2K/8c3D5xcnGjfSVHBGiAN/cvp8fBC4H3gs+RM1eR4PwWwpj3EpALP6z9kd57fztdNuYBRq3Kr7+WM4PyYGGZAwaFpWk4lv/p8RIfPbmjifJPOgqVl1LHDbIjVd1VUtK9dvS18mjl9sR7YzW2bnVRVnI2mPNo0g8pdGtlOnqcbS9tFx5MtUNTM4H4j5T9XGWo+H4vyXqW28PvUl9VLVV9XMQNSBeFRcj6wKqW283twyi9QbBTODdDFdzAzS/v0jX2aOzUJy1I3FBuniOdZiepkq3gvvrx1n/PvHIDMQzx+k5DMGVFwfA7NAR4vkCKLFzGAUxCupZzdtD683iXmE1XRHx7PrU+LeZgezsDHrnEJylBwdjShQzyx6Heo5nYyXxs/CDD9KYP+1gh21ZJWHIhd63g0Hs8qb/F1iJUKCbrTsGUEt5GJ+tYZp9evQCgZVVdOi63aLy+IZTRP8ZLM80cvd5dD2QoeV1Gy4hvVVMr6wufgH/K3bb93+4z/PffTxh29XcUUo+S1vkpv85uebn1/7/Prn73z+X/F//fk7n9+UB7/5+ez+sq5B+tE3728QI5oaMb+elsLYsAz5JyXK92f1p6fnItKiBTAXoBX91MvK9mEWkTGa1udrejA2sQhihYqb4e18ftZZLNzHCN2O+s/Pzq4vAFMFuqBVosDWjZHRTdVNNR0S9lOBoi7y/r+pyNjvDZeV1UL4cTZMCK4ZI5y2sq1uUXOEt9mO1dlodl7GJyAYDsY8ZGDKNade6mHqLh4Gl+vLSJVWQ9V58XNajVUjItNal/xXoimOEYJ5wVw2hdhuRB6Cv+i71q8b3WktHFINrRBzLc1bT7XRdox1syXr064vOnxO9NCffF7if4jcqRf8qVfxpcYxHKW/1z9icY4ZkaoR4cg9izOE2Z8r+jPGmjDgQdceK1V+qK6H61ZYvj9mRoWa8w1kBpkOY8PI48hj3MeL7fvy2Z7ycCFawJElN4CiuZZew14xWzJjHPM2dZHzbGRlHteV/u8bYnU7X48Arecf0ofTvVRTHCepE9m/JrDufA3zudOEAmtleKpqYuB7U6xvnxvjaX2+rtczdRte122/wijFU9uz+ILjhqphBZHzGaKJVyMX/KlSDlOuijgF8vTiDEXOqkT9T0vtUhezQYGTAuIMaqXM4zPTnuQO0H9j3r6aDiP+ZDoUtB9KDfuefhdYRZU878QGD3t80yjK/DmjZUBqG4ja0kAyo01rdk1mMqceY/w4bqSNENwwHGPAQ6L6L1zi5aAROsT7/1jWW6izsMnWw4+tsDyvbEefs3L4YTSEc5UVh17JPxTRqQ69GzRw959WQRG7qxf8sCKjAiLu/Dj02MYRo0Xxfn1vPVRfCMv1h1FipTCg/VGWbU25Wc2gB+epquQvyQArqAXcV6HFPAdEihT5e+ambF9c5Hhx5Hdrfb99RuHWcGlAPyGl+a62nmn9QH9wflSEoti1KdLihFuoMRylK/hVC1rL119ReT7l0bLW1UEOcBLfE00kLDi7KeTlJAdXfaYp8K0k421LOZr42Ag82Fr4lPn5O5dZw5yrLb0lkFZ9+8P3S3HU5Smfb0aaiHMwAauMFplqmual/V3N7c49fnlvocvWww+t0OX6+A+uvXXtLfaT7Sz/+KfvfHjzo5s7b9+++d8Qkg7SZjwNXjBNcc/oIWY3/kA+QQiGedjQDWQ+BCPDM9WMWMMiP52oKRvimJ7h9v3cfRjatRRLuRRLXoiUIyuEGcZ1rFKesVYGUjVzbKxn+rP15ZTN1+ZZpGZj/7NUzbzYv56tr8Mi44eSPIBYX2cmmUnmnpS/aYI5z7FS2m6+5nZTzimlf7ps/x+w69s/4fm5j//i7X9++w9vfntz7ibiP7VICyCqZhjyUphj51Op7aoh+0dElwdQDBdjlZhGtTyAYzrmhrlh9kyNkNRuqml4TJ3HHuLCv1883TAu1q/DeRZ5GGEWyXPwTHHI+kDx/tg+ZMLw6GH+lKsZyNTSriVquUycIRdZJVyMDLSKVaaT6TepYcpL3U0dZ6hY34zNKGhh0EEfUy/fR7zMzF7maeY081K0v3+zs/XLa//2euetX/5kMcc/npMRXfy+XD/ODyMMd9jyyBBUyEDKNQQ/jUIko4/GwHIYPNXu8H2lxrvqupQP8jOlmtNmWEA3OFt0Mp2kEMf8UUrwj4jRheT4UhX33xJglZchFLz1kI3C2azvXzA3WUZh5Tw9tL1wyPz7Y65F2gOuEh3t/+L9jBn/eFcbIaNdiIvxpTGFqIgwRFgsI/ifCkbLBKDhMx2QQWMC1BTXr6cOMyGBXwXLRWotAtXOKqD9wP+K9e3UDfMoaK7Ns7hCMVJ7ZjptSv6pSFNjFEJKGDDOaZEj4QnER5H8ImYXILyuH5tHtDU5ttCi+mY/I/p/tv5B/4EMgHlgBRPMnunzExslZHhgpXmYn0QgGrXhHGX7jamasfTfS36RVA3GkS8jDzJg6dnYd/axYW6Zn5qCXyS1nXqS8SaeznUP9xbBo08yhxlmP009TX2D4xPgziXmy4gdyx+0H/VzAyC8gW268G8b31ndLvq31LFZMYvAw57uZcCuTcARK+oMSunYr4guXHKo45EYYH0eHpcV33Pvyzj07V+8a/3pNePa4jXKFq99n39dkfqoOetK60YZ+SFmmVmJwdW8mav8DgDBFq5gKItsp/hpLcZStVcsUzfG6F8u7yA4BHi6SPnqgHK1CB318Or9MdKz9JQO1CIww6LasnXw8up5cXXX4bSbB4rpSIJ/4IdVs6L6bQ3rqzC/ahYflzMKEN9WOb2x3Ft60Eb8IkbrprpUPXqjsiE2Ca6pa2NnNn+EaojPVyP8VpVWX3OtrPW0XkTwl3KOUBmzb7GHxXm5sxHcCPbs+7P4sNh/xSh/dZ93yp1yp8t7zx60w4Toqq5J7JOrtRXYAvl8zKnRfM5Yh9MOIK9eOdYd9wJi/8EiaiVaNItLHIqkAoOjAVTAgqfw9OhUFMAZtLFC6fFSiz5dIfRKC5U2r0h8fdrRebQDnTCPdKBjclpG70t7qUdyfQudOLc6lsgNgE6WW2Wn3Nvo9jA/RCUSb4sO8OmkSPnSHt0zS7FTdoD7p1hNGy3SQbQCAxXRuQaUr+4BW3q6dJrYR/+LiP+0KM5x7H3KVYvuqXfCp+PnYv1SocVu8btVwiBdoYNhkVZWLGqt3KGni/uE/OH7qYe3f/EX/3rpH27/Auu3/8ff+/htv5+7vYnjD2aUY8YAIlcBhQsJT0JtJvibcMePCtlN+ekABssVai1blEbvmC8R/wfQLw4opwO9ki7SgVehe2mLPk3fofsy/ocrA8rK/0H7DzGmye9rxjXjWgHnvzcQvy43hIt1P94rwROV/YMjRfA3HybPkL15QkKjhQL42oIasYjXR51xGnlpu3nUe/zuUrZ8sBxunz8X/NUxnk6vpGGwerhap+NVWO3S+hIs1Z/VD3D+ZDhGGnkrZVxNoH9RYzm9nG7TA5y/F51i2loB0PJafoviN3psbVlra88FvqhVWIGcxK0RzFZOwYHE0/id/R7WFxjEhtVJbgLgtCjQNeS2oxDfiG/tvxT5DeQyK272uVo/jwi3ASAaBumdi88lPhEpUMSBRpbSdVomJfoJ/styYbkg848RfxWVBESGrPzbDCl5UeIfM+ISl7vEtRgZUvx5sHp/9b59fznoP5/L6x3j6vWSX0a+kZ/dWg/UnS7pvvF+xOH//8+3Pic7ZKeyQ3asiw/yG9jvLM1JfF7S+k5A2wreKeioJOsU4u1ZfQshTjQwQpR58Ztb9Fgg+q7F15y1Rcd/fpAEEQ3DCSK6ikDMbcfbTnuxIvE/ySiwO20G9ujj0MhuBBp2Y1Uwdi89kvh/gTqipOM6gpStMiJyrtaTs/aVnBIpkQ7vBHbpLjEci5ScYrwT79OzRUXih5JCgPESKVklUqJACtYIEedswd+E+M1kkSz+hgdu27cDf25/FPjQriIirj23tDDrvwCAbF/FKZKixBdyOosC4NoZky7pQo/06D2MlRHE6C7HDWcT63OwtaRFODQCDeeiD67K3+GkAx3SIR2Hk5EzIgIhK1Gj1aW7Er9TzPG3A2DXA3V7HNizv8T2U21Z4seCkK8XaNpN8fGs4EpwJWgJ+0T8PFImLnxBNGs90LJUkrVPVoIrC5axdHylfb5uUf49/SI2l5s0xLAbgSd+/yBDljw/0++ZbnHi4y9JfC3ET571nw2Ipheo28Pk/ZUwPcfx/yKjfvxDKxSIKi2rRVoBXEC1aItw/JvFV1orLau12JLtU0DB/xSrRTrWIRlZLeSbt6R+Yf+XiMs7gUf0DMejgEQKrdp8qSqkZxIT1sgaadNHhDhA2k5b6CcstmftDzShSTyH/ef6T/Qgd7APxU+pH8vgn58jc5Xfkzlnjnzr7JAd59vbc7fnnDnBj3FsSRaIETEtU+EWI8zeW20m0465iP3zvvU+qZDPt+bIt8I2vxX2+e27c9Y1wd/UcvpkRNrQJhWH+O/Ar8hfs6JEV4BpiPSujK0uIlauQPK+FRbzL+w14V8C4KhEpUBUx42X4qqjLvr40gpXghAl62jbFuLdHyNTjSXt+6p+IhYyD3QQiSkp8hElPjOym+Cs3t4OcHsQGNiD5GZyja7FcX08cqR+VhVF6l6Av6F/hmUEQOqfw9EbXshXtu+GM5b6GQDfP755HvXfUIAVSIvWSNf6jBQtN1lfsazB8l2J30nKigBOwp5GbbIEG5wl+hfxVRXM+WwEmtRTPMqUrFVeKa24VkfYp/BfQY97CqNjMrLHCnO81cbqLjXjUf/5TmDEjQC3pP2XLYFPS02hP4bwfxwainx2mWxabMW7OI/yB94N1EJgSWtvIZJm0rdvU8PcHsxAPg5d2s6sivuy/dg+C9+hQAzaT7Z/duC4iz6/AymSIgzIrywvUKULpEC95FnywDnA80ohXwhAoAa1UM1yCdiu4jouIp1asIzxsSiMkI9s3EVMO2T/+p794lu5AdwtsigQhvqN/Eyr2/Q4jvi7N+yx7z/KFlN+a3NStO6g/dp3l6X8GPECu2Ci3QaqNg9IJNGqXUV8P0JsENdzUnSKAfiBfgj9D8AU/c6jALd5YGgPV0+TR5QuI75o1NKJJu3D5gFOeYDZw1WWjNHM4okvHxzfh3idwilXuCUQ5H39rFhFUgwMgAeEfltBEhRIryWrI/QLvWbju/71fT/2wVX/I8b/6+T/qiwGuH07cNvGcQgRe2/bt5dWpP4FQCHAAwP07yKPO520kkCFfSJ+N9EConaQ4ocT5CjoxXv0wXJ45h+FfXCLKEAVpSeQ2nv2g8QNiW8daHzn/xuhhs3Rtwe49O82LG2L0bcZaE7FN9rHD/S3a3VJVzniXdKlfXG3I9pFvHyqxbUr/iMYYHYNM5gDNbsmkGJrCR/fN3A7cFuMvzwwZ/868KEtEOiduduq778rYnyv2g9JwT4K3LUB8eJtEPYn24fyqYraVY6I7pLRRIxvBVoMDAJDPgrUaVj+zR6ujFa6di0h+CWwVwKco+2JsSEwQzqW+uXLD3ElURZ2M8B9pGDZfsceBgaKCUqAW0UFUBtsRDouWIUlyR8ISkvgCnWE//CUQ+omD5N9yxP65b8/JzP9JgYicSOjsvD/BWsd5xfTmiLtn+M9krhD6C3zq+Of9C/2Ezk+J0eUxvHxx5QrRaUIXCnSooJjrT//oWoc47+o1RAYwjDAUNOkD7rSPvQ4ROqXjToOAbAlEi8I/z7rX5S96FvsZ4HUTcT4V7bcQFUB1iKi/60s2iAioc/mFxQUUzEB2z2TscD0tWbzYx7gAQ6yb4X/s4T9X85vFAjUuEu6eCeKfkIwXNh7wn/X7S8DWH35IDChT0jhiv+Q9lewCiEgBSEflK2Qz+o4WXI+EfP3dZS/ck/4tYFS+c7+K5QnK8kKLS4zoT9G4ClZ45VA3X6slHDN9cb90eKZyO0n8tnYztXGRftk/+P8v0wvfueqf6BM2VRccBX3u/9j4uMiRj49ikt8/WKAkxIv47iF7VM6lqhvtfzxz8b54ZBbZGBDoGb/U2BgP0x+lgzSBeQnxfHPf74YaXB+ZfPk5fWz80yMlOyH+mEzzIbeuhZg1jbhdC7wF/Y/v/eH735ryfmN7F/AFLEfta8CLa4Ok1wyR6wyyn+mYIXgV+yr2msm44Mdk/KgQRnmwsfGuE95yVYn578BD3Deu6CAFQx4dnPVE/NfixBFsyeBieJM6wGwFkJPbB6Y2L3V+uo2bcW3hPws4pIu9JUza6gw8Y5X9bNgbZKCwqGobNJjpUgtrBVPtpKAvB9+/5QUBiWlRFngAT0gY7uerK+MrG7i/mX/srIC1FRMG/VL4MvbVcRnCtStkcLJCHBcFOOjghwTLOk5Z2J90/Xtx7ckqnzv/VBrygEu+x91Hz9JuJBvx64qA6UIIPS7QiuKR4srGOcoxploHw8MYI+MrWNl2+ZKIQRWQTJFiPVn1B6RYKCJWN6+/zd8+xL6qW7CKfJPYWxk0To6x1n8G+O/rz/SP0v9R8T7lbLlLn8h+Y8CnPy7zb8S4x9+fA4Sf/1FKAROlQ1kSKQbhNEvyDo9XPks+dwqL8/8K1E2hfw3EaVHAYEUTigsE4k/TlzhXf0RDOUkuboSor4APRZW1/i+VfgZRDS3yssHEv87BIE6iHlDCHAOIDloLLG+V4bWlrIR6DMX861nPlzMj8rC/0VtFmgqJkjfiOdrNvI9gAOJJ/74XyKI++XRPbJOQenR+8lJskcnyRvon3PDEFf4dKjwPGCVrGLkm3nm6M4W4idL5qvQHoDyEGAexkThk2CP94ITUX8UqOcehbiyARuBLgWi5SdKJY8o55Cniy+F9ZQVgA3lwvcEqm/431n/AXFtrpj0e/4pULO6Ckf7CRxaXZyjCv8vkOCxfkmOCgHGicLF+Cfqj1ZGq4wK/6obMMpv0eH5kD4OgUQ9we+ZfSP+vWKE8A2f+/2L9kd+JnA0sC54mVN3hk5/9IPrr4wfhq+/LvXx/OX8Bd8owBjqPVM8q6uA1V3hSdc6Wj4X+Xv8gvX14ificOPHnz8cKl+wrsKtboCL60er/eShNUT9VjS7TipKZcqJZkFoYPPAsQ2rJ6vg+x/Uz8NpI8BxDwNnX4Lh4EL/wiQv8L1xRisrkd+cX89mJ8IONuiRAoEZ0r7AByEu5cRVgD9XJpf9K867iS9m+UWGmuwxivlFiC4R5o6h+PhGgXpO6P90rKgUFJ5nIaDnWZL38hvxDUJwJzhrURhvTpjl5FnWolwi6FPA8SVdovC7LhX+XeAngER6veifls0UTcH5Bbd3cf2LFfiCiQSWn8r4qOIpfFoP8VxdYfg22VH+EX2YG+L8TelPeqFxaDzWQjDphiaTfohPDnusdwS09VL0L5AuSMvu2o0A0EaSrzZWuS0Zvl37MADAFLC/CXCaCVzKh2H/IfKSpqXuXWLCX0bxNRF/sbjlxt2eq7mWm4D2gmMhn1WiJufniuWk88WDNa2btixLK6bbUNGKULSK8Uq7iMsTSPeK0bVsV7McSytCW6s4YpfEqSwWZXz9EiVZIiBjzSjiTcn8MZlV4zOdfQ9dT/Bv+bsfaffqb8XGPoOsWHspinLBT6Pw5GG2F3hgPzi54fPr/MMlv84Wn3HszL2/JerHsGZ59vmR+5MtHlhUFtUd4z8G/vu5P1X/5/X/I/Bu8LZ2u/C+4vODIyPQCvJTbK4wurfyqxUvuYsMOq+PRX1WS2vNkMMUEr6XH4eP86Mbh+P9kODXm6/HmFlUCpgDEGPmPnVDZWuksOgnr1py/nDJbNsKYuWizUJjuxvCmBgJbE/HYc3HA+LWmHKDZZjBMk3D/FrMv6EY4UZpXIqWKYyLGtAaZS8Qv4Gl0L+VlRbdVg+D60orVLBGSiNaJl2l7mhE4JvOvX/tfa3yP33wzucLn//t7Rvv/K/vBOf+ZO7fzs3NXbuG+W+YipXVTrUMWNowG8165RtdWh+IFK0s5s8JrPij+mo99+A1v/XQrk/rdv13D+YfRCYm1n+Seciap2Z6zVobdmIPPXIDnPagHWwjgg0hajfbfV1P1unWWT22R/dO+S1uT37Xm+/N13N1od+FbOW0kx7aj4fZaOl8/wZ3OoNOsKPybIeQGyQHYyNZcLjVGXaiHYd/04l20p2Bfx73FoAnq3b1NY9U7erv+ELZKg97ai/yAPcvg2Se55qnTdx7/F0z1jznmInykiN+Xl7gn93qT6vJakZwesaq5/wGVv92g735B3mBD6gWXvMkp02b/+55jJ/Xww8of1kPPZif5O8RcsPNuhNIuuJ6Hqtm+A0jBmkjWFbd/BcyfwhToK5+489ri5pWkPyJWNF35bdm/3f95voNQq6RayTcuv7+ze2t8ZvnEQ1Zxt8x2k4RUSMr2NW6Tteu47+1Rn7923bgB+x/sXFo3RL4VZphLCB2wQ0tO5Z2Lj831sdRzJ+MPM4NXlc19v3rVQPxlzD+gbxb9rZgCRX4GKt7VMtbyeJBe5Y/J5F3ELnxco9U1bKCnyPMVFfmoCI+2CUKozwvxzuB6QVXucdm55E/B2s+jRYi+sw+K2qSLcv6yy51CeY+tWhruUXFvsiyQU2ip8MnfvwxAbibEEcGZyFL3LuwtLjWHhGia7qG2V86Ys8JLsfZ829kszeu7k+Nf1S+pItzT9KhmOfRIgV6vHRMG0u79IEZ/roq82dmNYmyCn72ubGejcr2XbBfBh01rsY12rCPV1uJ9U5M8rMU/7b4t1vsh/2L+3vz9fmadpQfjde0vHbjKkuKvD8i8uLM3CxQuLGWvXPJv+O/f0EwGm6Jb2R4kFyDVbua4PvVS/5EpxPvJ86QyQHRxZyO1YnztrRf3J0u0sOvt69yV1Em8eGuky3nrdtv3y46b3Kn4RiC8pU5Yd9HYZNMKNnZ+1XiHWeYeBzPOqXE/uXzBX5UNDySmLM6/zH9wusTEC8IFsUOFdhoGFG3kMGBYf7CLa4Uw6Xs6OuHoRAdX9qHZoyil/vvM1yeS+QM2T5iWNZKWvCf4aoFueGRy/GfshsrB51L/dum9UQ9UUcmA/mTagkQ4f+R042zBO5ZscQxtjVx7FiWFs/HT9tfXLE/Lr4BOQRXOS3lS8kK2h/idFO+OJfk1/699lApbPnsheEL+coMcERFjT3G+tjv+QcNGbcBotbZJ2/KX9NE+3x+OJ/9rLUCq0+Tor4rsdv5FPl/L7PPfvT6Gf+Za5V9FiexNo8IBqkfjv+X+nFtsRy9yI9ns52cS/TCcFm0r0HrcZ44xj2xhEej8ZH4W8nKxjf2D2T8dXWyolkaslgK5B+WdOlBHpL33SAhoXvWeBFryt392o/pLyk4xQSPl5xyAuJpZy3BEwJfcqb/Ito/ltGFJLf6SVjpJ7l9mO8n+53eJf+a3bzgYHuyolLI1VZcwX82uxLZjSWXHTKoQDKYDLYtWb8XF/GJGPOxci44IKV/pwUV62dKMFS3KKj7sx4Oj7LRi/qhWX3QHbho3w1hX9f/4/V3tvi7fxVZ/+MP1/4TuYZVNLMeEONPxyrN+K9mvYfakKuuCv+gGtZI1CBAtJzp/e7+pfx8/0Ik/xjltJHhmUYG0mqCIf9b+3H/xiX/GN1IPk9uUiK4EjEPj/+s0+Gy/w0SY9ImBZsfcjgCha+ewkufn5StIKZGKckEV5b3M4XyvJf09sX6eKwfwVEdxkf8BX/95IgfDY+GAPlYMtM2r/pUzAKf4Vzgt7N5si/XX5IXTnCkHYnIB7erGR4vPdu/zP/22RsK6RIi362suWuayC+WuKq0oW4JDvABZXTvqH6+l7bixcO2qI+oqEU6UCtqAY6jW/QMkSnOh+lKvHL42cX1XOJERMsCuWLi9dLdRP3/GYn8YZMi4LMFkE6n1zL8vOPxtGDJRf6XN99PsAVvR1hu295ObD+DN88jQrei6YZWsFoZsgQY/lDxT4mW1JKKGnZnZTM5XFEt9ZDsy/Oz9hlqFpiaXjGTDYx9HBoHBO+vEpVRcROVQUttrXSSnZVNi1j+9bL+nFY1XRshaEp25ASzC9kRm53H+o+iU9SKWgf2NJLjtJqr5vjF9ZaWRoYgxAyHZqSZe0gf5ib5p+NP5PM1Q2OaR3c1gc2kdbKILdPJHl7eXx9FOB1EeIQDj3A6zA1zPP8ZosuJ8y2Rn1sU5z+NtHKcVnI8x8fFg8O25Je5yOdAGYp8zu3c9up2YrsFV/ituSOWV4hSky1nS477qhpSLs8nGrQReRJp0EZOHLQh6/cv+KMxRxIz5DtZN1vKZp3seCjqqwtWCXcDkmAhq0jHGeSGub3c43zWKX0t9NcZxfHgtBFpiOeXs+Wsi89XFJ/fcXv1y+TEnkQmkQmdIMYZHs7WeU/ab1zODaQkUHqdbId2RrgvLccHLld2Ea4DMtDlBAvdq0HgoT/+CQZt2ojwSEfI93HuMS2dFYNtn19bcGrLHDVazfHcdm6bbr8CmV9HWaKWqCUYFWsiepIb5PZydVp/NQxd8HdL3651I4e0n+/le9kurb+qK+sX7ecoX8ygd8qi/WWnN+ph/ecVfmMeVTSSB6eV47lqPmgFkb/kkv/XRsvhdJAb5Ab5Tbo2WQsKfBCoRYaRp7H7Z6EgmWUHRjiiJZyAz9+MLejSdW1d69L7OZar5Wq09oohvgTu766MVryfeZTpY21kj/PM8XINe/fMDEYv5wfxlsP0Y63gVPLHWSurOfnRqTLjJ0dmXU7x/YDezUH+IH9A4UxRohf6I3BpdNAM2sg9Efo1OlsPxi7aL/h79SJmwGZHuTEd0qK3hvzzYv4keoAyzMGm7EL+rpA/RjPVlfGKYQNWjVDI7eaA7tq7r3YDT/zx/2yFrzB7T09nTxyC0hVWzJ/h/Lhh11d48hjnBxFPjzqjLM8fZ0tOdrQROLjgXxd8a4hzIvSXZRltnon6XtRPRMNNgMBhAFrP1XOQO6FrZ1tYnxwgNnmPvNeP7zg713f+i29Xdv50B1mUVv36+dn6IHGXCkBYtM9cM9ekiB9xLORvxMtxN1HF8/opvZPH+BOn/EzUd2N85t1fvJt9l1s71/n1nZ/xP735Z/xPb//s9vo/Kwuz+X1CcG9hpS1t5po5njUoH4l9OYFbXYpnE+DktUpk7JCskYds2WFngl9Qvl/cjbtOWWTImjku3+/VHjF+OD8QHNGZ8CjCbm2fg8hf4HEv8SDxwCFaIXKUu4sakrubu0vhlchPEDMb3z9FwGllIVf/rn81T/qfKGWJZuJBYs1xtbImULZykDWc8kjgJ5B1B6XDE0qCU1GzQtF+Id+mcNb29YuvrOMMJ1LTgdaE/jNae1ULyP0VMefB/YDIMAY2YjtCtkD5qCD0r4vIR5lxukwbcZNOZA2ZsERpXwJzKc4wn0MTyE6oXbkq5aNSYP9y/p0Y0mEEIkM6zDHhX/gZKG/wb1pYAeOzdOLhFYMV5O+kpZ+Vkny1R3s6iWm0nN/Kl/NlOp6Mlfsift1Z5ckN4f+eR4ReZ9U80NrIJVn//nxFT3Yp6N18197L7WHs0n766jRUlPqb1JLjJNAzHfQDKmKbee70Mw9e7or9l0mcowY45QhmyvPvyZ/4jKjIyuLpHuWIoJ0d2Yx+clz4EX7VCw9lb78E//kbyQ3h30Bfo5A7zUF2w9mavCTRC/mMVwo2FxUWv8r5fYgxs8v5EWJuauhfeB6yQaw1POsrN97kV9VBB+Hf0f6DZ8EgxkfAWUtAfC0Bjhup62i/qH9A69L/K638Fp3ketgjGZbhzgad5B5QbtfPukHML/l7epioJyDB6a987Zv1v5SPQSEp97O5buiIrgX5DQqUe0YI9yT67330Xv+9j+z+Wz9966M/+33yoz/79Z999F9+tPrrv/sgoPr8yu4Kw3wU3UV2MDG+AeVnmNfi88/69/d0Tr08z3t5Tr0Triz8CH8pxB5my4FuGNnJR4I/sUKDZpAGzQotmFibrJwqumIqbSXqSH5Cup2o0kFij+4l6ok92IsNMp2X2yGwty/5E5FX3dmMswRzvNNmDDJmx1gwxPXIP9h1+oKBPZowKP9mPTrO7O1nLIMQzTXKyAwYNxwxRiSAi/jWoBx0bcS/wXpykqzQSpJREPvCDHfgkuw5ODj/LKcEHyB+HPKdpRHKT6sxnnY75Vsz/kBIVvBacT2jACMaTZ4cDKhztb70El3+Df4ARLg7xlVOUnzwWy3AibqmrqmOxL+BAuYfO6XZoR3AgXYQuR/54pKV5/IJb95fkxnQhiMOCo6YZyFnLB5Epr5ihJjnPerlPfxGtCEc6/So//xjrUI7eUZZvpE3aFYrwxAxqyJ3L+5PKMnjB/IGxSj8QDuKnGnKD9uPb2bfC5XF+tavbwScIX/haM46bTmqk42cQFBbkPw5godAMFvle7SX7+WB9rQe9LSeBlpb4n+AqqnoV6RvoUxT8V8kv42mCebUroPswXUH2SstzQKcb7cjPj4RdLSSU3ayTonuo3wiHHzUJHF9FHRNsF46Gh0jcojmctDva2HN5w9FPFfHpVWqCG7RslbmYtavf+HLr6J1nCF97D9BZNnP6vvUglqmQ7WIKIcgsHlXH9OGasJEPZiv+u9XwApK55B6TtoxBILj5fsRxCbDeQPyilLAIwJwN4LHE5n/D+PImF45ImOY6BNtQ/tU4hNNWaoOBmJfQBE4K7CRcTbdNc10VK4/ZAUT5aLC3WeJRVyayJ7/fkRD/I4hHTqe4zlEyi8i3g/rz6BgCmQNgTFSgU/NEgwzFaNifCbrY5gokgWJYuD/mNX/Xd+5vrP17lvvOjs/3XHIT/lPcZ7Dt3au78j6W11gWVBuYa8JZAqJrpQ0fma0DFl/xzqmN304PYRzTsD/W+rQ9NJrl/GhBev8JeXft6A36wvnW5cYpbPzAj1LrPAoOMQR7KFypYWHrF+b1lKI/EKAS5QU8S+Qqc3q+0AiVIwEQgRyB+K/rBtd3J8w1o111jXvTRF9ZyAlaOIHubKYWL9x2NaZ4zryU3CY5sL4u/ca6/d9+yCz+hLM76e7EYCL+mdZM0O5qFyQ6AUQGUNFL+mb+ktCwgJPKTOgHKvv5f+nBFbDjF8Za79pidyBU/c5bIvqn4FqQV211Jcz+8DKJ8dwmPBAZFanE/HxQxCTSmL7CISPstGD54ZreObd2fVCf/15C+1GAA71nj7Rn+N5HRATCZqICdFPHwFXdeCIeSfwEVA/ETOHijegKAFkeQEtGOFov0bX6MI4VZ8CcBYV+jk0S8DNirlhnhGiLWgjZMR2Sg6np84mSjByFyByGgGsjzHSovzMAA+iwOAUUYoMA/pmO32Q3pL1aajNl/gcWJ8GF/Vpl9WnAJiJmveEJxYoreifc/eALT2g32SGyQn+JsCr+1f5j1JNs4QWg7hRaDtoR0aZsVQzY8r6SROgYiIuFMCm+B3N1KCf7qa7WJ9rbIq6zS3wwEH0I8TwMDknGZ7hdBY/EdEZifF2yWIt9X8Wv5SzrhnLwux30AHcMHJcIPCVtXIEZqu1i/xvuTMg5v+L5SXAapYMeIZncFH/KfufGDgHk/zV0fKYaaJ+F6831IyLFXfJXr6vd0QtpHsGaTfurri9Go7/6K1XvFUvdwigu7rLwXBxHF6qLauEKHWsSX0xoMWMtWABRtLqzwCxVb+qQ13W5wJVWskHuUd4/4xrP301zAwTw0TtWY0QnDPxLcQTzx9yarqWegama7rL7rLblvOrGbOl4LRMt9LF+GbciGv7bj80O+8jwHVX1iEma1FuaIqP749IKPKD0XpD/j7Eu/H1oy8JWSQG0cgiMQUb3ViMxxpZIBnBToZ/EtzoaKI+gnReVyNVPRi1rvxGYbGA3GmLhQzXCqQwLkjEvQWSJrj+WCTmsSYqdMiIjMYjRHbX1WjIIgkRfyLGIjJPmcumaeqmgkWTonJzdj0hy9wwNPFbMSDG2GfGm50PbC9tm1wncZJimkbWX3eQmyDCrlw/NrRIHWsgQuPXuAZ+ELkfqc7ef/HYfKKnFf+YIHefF7ME5oO8fmFplNqOoLZCoC6ur+Oe2KWElrlJdKIwpaa4k250Pbq+cKh/8aZ8dL5clNjkk+JMPrPrpXyXqqmqvhkkE59b4Y37B/XgMjf7el/pT/o++8KC5H9QyDIxnZi37Jme7ilYaepFeax5VT6pbZ0rhWAhMH6NvEFFrRBpff/9MEcV3w5jHMhMeOV8y+R6ENltMbNJvt3V88sFs6AzwRBbAMRqHIkeDkr5KdqyZmr6uF2OlzOH80fjLmI7mJqjSX5jUl4sGYUYkEJgGBji86PFN+Uj2s+X+6L98g3efH4xNYyMCWaRjl6P9U+RF+ny+kBt0TW6Ol/sGl2tGxJ58tiDs/OoW2HAsyhdTNyS3F+Xz0+CMdJGCZ72ol7Qg0exYDQYu+yf1tK2wM5XFaZc9N5VC1pmpqozRfzGpKUX9U3d0A9joZl8luqphkZCMssdLuQXypCvgZBUI9KINUN7yuNAY/I49uRWQzd1Mxq7sB9n+Rj1bxmEFnIu0U/5ZfuXakYX5Ys9PMG+xTjldoyY8v1Ki0XkDllG7PwZf0hR37yU79LQLEbXZC8oQb+F1tX+Qfksc6F/j3x2kEv5WMvHRiHGA+PQHVIAZHZ4InzIwhX7Lmit0ICUyBgaWjnCY6ZmaMdUtJ8UFstGKcYXC2YxMiSF12O9FC1e0d/o8khw1mEWtjEBHbFjn0SNK/o7Mh9GgwojhRAfF/Ty965H+yN6abmU7uolQpBdRfCrECrOx7tmN1Jf7mUmER6oK3XYi+xFBrH2m9drspdVhaGH0EaoH1faR2IgPazCx0Tab4xfnGdGV1tXhAVK9hYRZ9yU/Ru4t/Q41YiNAk8DTcyyFfPmQaw4e77CllXUr0WC/ldhY4FTctU+EiC4Lf37a+PIMPbJFftC++XRgrCfmf5e6T+jpXXnHy6z1IPYAcE8zS5GafX7F/q1vcTMWrS7uJ46jH2i8HEhIvhpFgp++wqX3DTCvwhuGq2wUMgUsH8DjaW6qUaLi6NUXVdDAMhypursqn8ymVYKASkpjBf1zcg4Vorsz84vgxg3RI6zokxAP9APdIgq0RvSvgL1pYbJ9UKoEGZKYcL0gl74nv9A/SskwehGHoTujPGskKHv/x2hv7A4SrHYJ4hVgf2rP7rS/rGp6UZoJt+RdhbZjUU1Iv3z7P4JMNVIPQRjyfxa0ApO4VI/ImyplmKoHxO//2f6oYwW141upJbEXb5eyINhzIt5iN/qv5/Uf1AMhSudCWLv8jfsv75UN0YxTlqBQWhzPI4x7TzW0IyFY19/+HLQ5LqrlBWuGCCwQRFd1yIJsb+j4MjFdTE6oH+K3oluxc6jSjTqP7+1yI2WjlooGEQmqs60rn7vQj+NtpHEfKBCiAc7npuGtGu59PHs/iGIr/1n9GNmX2AQ9DzIrj0BfaJPYhCbIBYPyneJpWoRhmPH1f7XFX32fr7/xfeLbCv8HHM9HplefsEff0iCpzvRToKnSdQJeTwdO4wuRH91VT/E+BP07bcg3/Di/HipZvLo2eLI5D/m/xTtWSPJjVaIBdUQ89QMQ5raDMuSpGi/0G+uFTDHM3Rxd9F+3/8tM8ONSST22mumGTqPNGKwYFy1bzE+ej/mvwP1ZZ6qxwCfIucfMcDZw5Xxi2VKkceLx5ntCFMKwBEZ6or93UiMja7mLQ1TjyP9UPM1MnjySC9W9+d3TuY4utkpJHiGh0bnw8yePaYbdMN8jjuQF/ZbQCxGXzu+QQvWPpH+PVhY3jJ7scnSl5lJbBICmIjIkXPhPwVnGnJThkFRJ0wnM/apmf4nPLOol4gq9VMryBnMVf3PjCNfJniqGfOU6GSoV6KV2NlV/5KBSJ2MQjxYRCyCGI89ivHogpR/oJGEVCPGQ80QDzWB6wy9E37k8xcFvk6wG+yGwOumu+lxmticblz0L0lA5mFsLwGZJzEeegT/FJvcenCrro/88R81C/XLMLluKHwyivKY7F9DPL+eAGOkc8VTHonZD9fUGPJ/sqv+JQZLtQxEaiEYkxju9e7GovJ8iC+OMjzqhThpheF1XWfRmD7WgxFffiG+2MnwqBH0lD7pTrjWjcFV+0X9M0s6u5C/3/pcPXlD2E8L50exRwoLhcOifyNyhD6Wz19sGZy09iE+CQ2Dmx7JYI4nWMz8rXUs9EPbrycg0ww1Qw+DW4CZP5CpZ+pZTcpvqW5qoW6nm4CgF/ICHA5N1eyne5kzqV+BehJSdZ0tl5AhCMe/GI9WYjwadBawfcvE5Eq/00/w8HGInUOGZYbWllXKub79FxKQ7sXuLXa/Gz+PQ0/G49hjjcV+qx3P5IecHRoJw4X+nkU46u/MvyTBLEU/Qf2P8RDnqD8c38E//4b/CAGfxO5LDzHzn1fOF0LAezqPccxBoCo+P8ntZph3rMQ4DMoYeAYzHMb5srnl+P6LjhZvLt6kI0K2xj+/jsfW+H2CkC6i/gPjDSeRQWRAhxEWGdCTyEnkJHWS4kvHB4Ur+RUltUSZWlTXwidsTatoBaOA+yPz2+EttqYWVwerw9Xh6oCeYO2xWpk/DhdUiX8P5ppAAysBCxfDa/qavmZWlgvtwo0Cyn95a3ltuQiD5dJyaVlyw322XLnAZyAhsNaMolE0SnRoFs01c838LMOZXDMKfJj5k/lBZBAZpoanRbJGT5ZOlvjSMT3G60PE2lpZWymuFOlwpbRSROQDevKSKziblu2jcIaE33QvtZdqwm5ql+6mnqQaqUZGxP9VB1nDSdq0UnuLXs/UzRtm2Ik0Ug2M/wVJcIuepAapAR0iUjc9MfANK/T49TG+X2ibbuXXVgdfDVolOlSKN9aEBCuYI56V8nk6vwvefHN+j+5pacOku6ndV09SDdrA+AR9urS7hHxSlrLn4NBgwplqqk64YQn83yjRt1InK0W3GC2ZpaUBfCIkVDELVPK3ivYh5nTUiqbhjJh0d+nJUmOpQRuLxuw8SdMm4q6QNN1VsH0cQ0C4vxFoUdxeSYOX2cvsgZfZzezSs6ATGnGJDy7wh5Ibk0m+YlbohOrQC/f0vj7OlI81ER97Snf1dDQNTLW0NN195cuXNlIN2X66S0UL8flwZvhvGGjEDIwP0KcvxPnU3ktrMU13X2Ac+gnK/1TuXz9d2qVNNQ2MpOnZ4hk9y3M6WhzREbbPJEtP4SyKCKp75h5tLu3SXdXEeYxpfI3xD5J5GjODJvXCVsxLm6ldekafQCM2yjSWGqhd/bO+Bx6xKFvx6NnKGT1THRjJvJ1LfKQZOpJlSWSkGT4S3sHSLA3841Rr48aC+G6NZP1CbGy6J/vIAZx2rU0ZebvANxFZTdE2bdO7dJc+oA+QG4bip4r1c5g1Hw1GgwK/H+OsxynMoD1ZOqEnov5fBdVSLRWplcAF97TULoHaVtsqqMh/1hLrVzJC7qG0F2rGotFghqeD8WCCi/zLAi/kWLbE7/ADfgBVbnQMgI7RMbiIfyMygWXYALviMKB8Um5vQK/dg3siPYXAplWySnAHDmAfyClvF6HUttpZ+LQl9rehsFBYAHosjorIQK5cwWcRtRhWEUDsHhShclJsFwE/lRbuH6pb6z+5+ZObWzc/5h9nP/7r/+6v/2bn5ztbN39+c+smuem/H7XW4FfQBxU0WD+B9hqstddgq7Umn29VrA4M4TFkoXS63+bQaXfaHeAtzM/5vLKj7Wg7lZ1f/t//Q/OXzU93Ptip7Hyw88HO1tzP56T8JbYREIjCGLQTkD0Mcnw3wLKGVhnSAmOaQ+eE473bHei0DoV8izazSrwMwA1eOXX3NfC3b1qYf6Pxbrab5VDnGgAnnHQ47+AfLt+vwMtZN9sHj5c4QPObzY4LbqfcyXKZX1ef+gj104ewh/HXAz6dfDX5qj6tP6vj+3FEw8bIbBU4J6e8o3JtH8TzR5fnuctd4LDxjbEPqAMX/V+CklWyQbADAEZ4TzpSgr78CGdZN8vwes44ojQbnHdGnRGM2ogvsL35Bj79//Jv/vKj33z0lx/95b/85vb7K6KAn2n/oLHKP/zyH37Jfnnz03//Ad+6+QH74Gbl5s8R9XlgbVplOOXPeQcAyt+U94GXO91ODx48E/WdUMBdG2gCB/F9wtoMeBtg99kj2f82WC3YBs47vPMN7xDg+3yf4+9gfvQps4fz4wWVwtBVLYlWtuJKrGicn02fm9zoTJ8DZ0U2mu4dfDI9dNe/es6y7WPMvsreofvpCh0ms/QUvYHiR1z9+kuDGzZYZf4cpc/ZN7D/W04un0/KwG1uY9yco/S+IftcoIC5vCziOwW+aRVsie79BLZPYX8MsF/ZZ+C1z0T7IXuY/4J3gePnm+4+8NF+f/+QD0V+dBQEHjo3RGyen/KOAbxj7APwZxN5PT7fv56J6zf2n3dc7rXvEhI7TldkrR1Au41YXI4jWSoVA/e3iRU4ppjXV8NMZ8FM1po/jjRSD7/+QsTvN5E5/u3rb928togM8sq28v4fLL518+3rfxMMYPUDGXOt0+s4yPHDETc+72bdrvsCI80KITdExLePGYy7sJvbtQFHiBcX+09h/ppH+BF3DFvseVgu7tO84F1/f1qyLc72zuXe2yVas8g/Pp7tQVzdYZfVhjK+ng/mSzSb1/JAEWRRo7L+TBuN3sx4fwPJ1b9eLdAtdQCMLvzunHLkz8KP0UKuZlk/JivbMDscJSbfDWOQiPqG9QFq5Z133t5ZfIe+84vb9Pa12+/dfu+Df/VB6IPyQyL253GmbmqLGtVcTdWopmqITeRo4fp4HfGH1Zvv3Hz75mKFvvOLd+g719557/Yf3/5Xt0MflD8PLMjxaSGb/lRpBbZDowVttvci89Zx/2QBt6gMZI38CgSbgpE0HEM1wo2x2P+3uuluvNvuOl2tK/bK3b5La3Y1Vn0l+X2MBS1VU1rB9YUFOL+8e+gY73/9/Z+8/05l6fP3P3c+v377+u2td66/8+HcT+dW5sLX1sX+mwXpdrzdbjs4qLahrbX7badtQaw9aqN8fvL5T3Zu79ze2cQ93Z3KzvWdD3d+urOyE37n75Afidg8HUxUnw3oHnL1QFnL9g2nbJVinVd3Jf+IZSSeJJ5MPb0pdoj2jnbpXftu7O6I+/Ll6eJikQ5eDLSBU9R+5VSs57GD1zUF8wNuWGOrFW/FWwzEXpGL7XdcuxarYf6PlrYskeHWnIrYHe5AHTVowzKjJtZPyPbf/vzns/Z/eP3DD//3n/6ny/bbkNlObLcx/3MQGcDgCPl3Nd2KFTF/zH//Pby/buoGT2vDvupolhEtYP2daH86nm6nnbSWjgCU+iWnZCHLT+kVvPH8ueu/vz639SfX/9835W+DJapamOTh4v2O07Iwgrz9SuifxS2B9yK4tfz+d1zs/zNFvF857S66z6oO+LkexX7RKVqb0cKoIN8/bcSNNjg+EduRqK6JVGP8VVU+395N7CZ2p8Lmcef5aBfzJ2Pg99/IEhmsU5G/C6CV+2XHtVz/+cTi6Va81W45AhcZOn2O74+YOaOWfL4t8hundzE/mB9qo37LaVvtqOAn1TSc3WEGICtEOlqJlzWjbzlFqx87GymIP29v25hhGgTP71/v6OFV/aFgYX5wi7cwKw86fVGdo3Wigv9X61gdzEZ/Bo4vX038RrYTk+cLt44yDzKTpQmdvJhQkYFMJ7QS7Y66Sl20r5QuxUvtjtOJ3BXy9Z/gX29YVjqdgDbmT+P77R09pGP7UKfRO/I82nfaWAan3N3UmIPZ4E0KMXMs5v8X+jHnfHthXd+uzF2/oh9prLXTHE3ran3Mlel3rW62G4MRuZRfYhv7J9LA+PnRgA7op7GJ6J+CVbbcOEsMmGAq4zzSOGogf0fUGAn/YrNMLVFr+/nNcBJBC6jb9djwTOTHWIUMxFstlz7UPS3IxfOdnv0g9uBM8FvdgszdzN0loHdfIPP3KeIPYu+8vht4dKE/PNGYNvxcHNSfstWL9l7dIyQyQi4VzG8FBfNruaHxvuEY+H6vfP+YgbSxxJ30C04bOuRN5zOrEnNfi/zxN+8fEfxrfUabdjNmivYVrIJViXfiw+mepmkGPz4C1D6tHQX0b9poYZQeGZ7j5Vlv7IwiY8ocz27EdmOmh/k1N+wx2k8L8zvx/Y0+l/ol+x/5GczWcqFPYoCcDeeCPcHspDxaFfwMZauU3kwctwrOZuRYK4ATGfXTzoKlx7aQ31MzLJb2ErttU+afA49UjzhaaKz6ak8+3xIZ+KysMf23wr7vYAtid8+iF+MHsg43XzR1oBua4aB83VjtDPH9W1ZL2M8hW9cOxfVGX+R5+P2v2kN7mIDE6fQ0cho5hdPI6dEpPbUnsQeI36q5C24G0MM4Rhfz11taC+071lpojRC/01pIY/8g9+gLkSONa00b2WybyJ8VqVqupWFV37Qq2yf6v2f1Yg/OwrJ9WAuS4FOx9wt1HfrEca3OzL/ZYBlxHjcYZiwVkafQ8ax+pBqrjhZ8/303cfeZn3+N/IdHQE/sk9jW2RruP2aNJCSV9l16N8VTfMpNDofZXsqv/75J/oy/N/eXOz//6De33/7927d/849v/+Mf/+PHv8/N3Zr7G1U8n1tGgnf8/F7cIToS9Ud+/6D/LsVLyyU4xZwuuHt0etX/I+eC1Y1DAj238N997ohaAekfjRu5MdaCt8HyDM8E5lkeQFZkLWJ88PqOuvNH7/7Ru4s7zs5/TRx+feenOz/lCzvXd27w9c+xPNce2oPE7rIy5VpaB57upym30hra97H0vxQSCigvhHVFnuDoaDdiozOkbyKRRq7u8MTxosvLEU+L8pHGqahfi268OsD4RJ6vdJLes4fTQ/McMYCNDni5h6lD6nlr4v4FoV9c9C/nRgT88eOJ0C/cjRD54wyZGHdh9+K8HF/ILURbR+7Y6gvutDSgT+kdayPaey342y7tnzZfiNw2yp2yxWb8in7/3f65YA58W/DDffxh7tdvz93ifzPny7+UgHiJlTDjDfkrpQX74wOxuRWM83iQBbE+Af5J433LYcJ/HF95f8KwvuMBPNIfHtVpHf0f+i+ttFDKQLq0qDnaC8BdJ8Q3cIpWJ9pB/TCiWX114motDXmNjC50TUZdOMgDvT8KSv+dgThpE3/85JrW7zt9vP9oXcyPeLqT7ixyx+t6mNuECK/2aQxeS/4wqd8YlUCmn00gJse1pJN1si9PffnyDF/iDnkhdl21liP47UZB5Ge8sG/muF3muDrQsT3JPY9t+/ytrfxe0jqw2gDU/NRsgWOmqQcL+QWaPlmT+oFoiLheNSWacBrS+UPTP/8D/SA69A3MB3QMjM8aY1pfra8+eDYBnuJmF8YYJ5vu5Qb24Os28tthvZLrflXF3BrzFO5QDmzCTU7vnJwiPjut5/jqozZANMNT9SnP1AHymll3uoMtKf8V7QBjCjomv8A35jd0COBQ584A/W/UHlmiPmIq6iOkfeNqJ2pgBZTmLpQzkC5Tnq30wKloFcodZvEYn2yQ8kz+B0p7g7mpJjLxUZhWXwuWy68Fv6e9m2nGWZvbVcmzF6keIY56OeqK8TWL+hnnibsSZxpnef0WBbsdE/ULhpY3VplbapdsZG7j00FqMB3keGqbtrB9mnFLMCZi//ZAI4KDklskVmPdZZjZvz+/5Bry7909Qg2C2F2hv88Xxul2emtpQPmLAc6BKafbNkRL444i5n+YjS3sk78QON4iR0+cF/yxuD5xE7VnnCpaN1KD2lGIilqsGEf5GVa+uDpw2+2KXTc0E6Z1W/Ru6kS+f6qRa6w2DqBdoCPTMcfQNQG6zmGaOd7LE8R/xHx8V2tv5SYpMDZgkgK7PoVcnY49SojO7ecZHu8sPceRURvRPe0TemitR55Hs2fHhNxc1Bbf4+/+u/f/Cv0Dfj7+9ccf5j689eu/E/zBgpeqRVncpZCcrJwAbxfC49f3Y2O5PjOP80fJ9sGkXaHfmK7Zh4llMCMnWOyE/o7yI8y+bzNgRt/wAGgHvHzf7DidAfI/8JyoNH7GLR9pHtkeclXDtconB/74grXDwMiFfuAI0fPnV8YCc1gGFpnDuoJpBllqbIgOxpby8or+tRmyEgCcZE5smJ7kTmz4GvnXb8B49ZgerwIdYgXlvBtaj7FXX8za549vEHcB11cMjjRyBFeeH6Ujuxlny2L+EWkCHDUpt5uRplw/GIVsIQlut923mXkvA5g9axnTvVyTmoNj5FfL1ZPjFW0fuJfxWCXTZ/3pkNbsR6+aoTVC8mCVk5DYADm6ViNcWIcRg5GYH39PPiKz+ap9msPsVnLjq37LnXJTSfn8sszNonzBXx90491EX/ifPu8egVOwvQjEDs7KhKQe5R4kJ1/V98HSTG5WgFsqlPJHKaD0eID8CwvdTCPDlxuUv2jgrl4EcIUgZrj38Pr8ZLV+AC2Njs2KyVmUDqe1PKS+tOFlEfN3MfqT4HFy2cL+Ou3Tw6iYX1+cN6ZczF/dmX+U87Obi5F33/0/E/yDuTx/+9rbbJP8Ef9v/7/O3i+2jSvNEz0SNRQ3Q1tqb7BbghSRkrxUOiiGpWaDopbFOhQjtyk507aVTndm0NuuWBlmMcuN1cncXiZRSMIy1EEgxIaxD8LaSBqNeWj0k3DdUIxpwS4PjfI8lK2Lxj5QSzWpRA15H5iIsRoU2yyf7/o7VZQlObkX97JwKIqH5/93Tp36zvf9fv0RdqTfw862EtJ14zk2vDTM+u5RVigIRbolzCgGrQthK39JinD/GIS4ljjTKQXTGQFk0sD9j0Qi9UhhpbACMB1cD5ZBg3Vk8QiWaImff2o2fnvOwm9HPQPKDzUPIV41rk9Zf8PI5oUoSISvT+wRjGwMgTW/JSMCorEC2j3asJhacXweoQetcd/mN6YwnBoAmirOdBOKLCGM1hSGWC2PxzelFAKpALvDWBLvY8ieCiaYEaDnsH5DS5FUAFbgFvKyAtqqB0FOmybK3zqer8yE0as9k69ZKa3UikRLkTvbuH5y7d8gDNYe3eDPj1zbRQllnhJfv6bD02Lh7nweOK8FA4a63kgtyD1s8P5AQUb/M/aICSmhANC9UGZ0Ico8C19z/lFsv2FqhgxBA7H9hlgUe4hRtp5Efr4I9366tQRyEB4tI43qo5voJbFzs2UR+29kzQ8rZh6iXw2x4PAjFp17xEbmhphsbvzyaf68Rzfbqx74OkdNZJVC/Rk9B1senTJ/hV73V+gda/w89vh1sd39QaEAXQXKhAIFWQ+nesPb3L8QbbU8phX4/SMn3BPqwrSnp9pOSCYTj8fjzfdY676rx4rfH3vywd54xBeZuo0B39W21y+8fmHqdvKN1PfVNlV+Ov2Zh6Oto2dHj4y2jh5InzXV2+rtrPn67anbb91O35668HT60dbxI3idfJA4Ens6fdu5PydvZ83k7eTt1O3U7b3pMfXJh7HzsfPHH+D7489Ppce646c3//Rff/fu1dd5+ftbd+5PqTcw4PvT7cM2nXk41h+Pj56Px3/6H2Pu/eVjuT/8H/Evxn792v+InX9pX//y+j3AlmHAnEYPxp8/8zB2/nHLL/Pri9j5g+mtlh1/EPt17HKzfXt7J/nG1O1zf7bamHxj5vvqgfYn2978U+aNqduZmXN/Tn3/3J/Vp/rnzT/NyG/+Cfv5m+Lf/NObvztnfnDhg9+l/pQyz/1OPVC/sfiZB2PxsXj2Yax17OxrR/b3z2jryS9GW888aP6NtR7sv+NfjPUf/2K0FUc/ceTkg/3ts1qH9Zq6nVybmVHb9pcfx7GJ/23/OcZ7+ZnRhwfLf+mLsf7X/uWHbyeOYLDy31f//jOTiY9O9o8fGW89ffbHB+ofOx/7NR+hyfHJk2djLxz/u9c+Pji+iSNWGO0/8zB+/qe/OND+B/H44xzsdo71H/9qf/rEfzz2L6fiJx7G4scejj9z+qn649w6+eBvvndi8uSDl+J/873R/fF2uaNHTj78xyPHH4wdOV47WD7mEe8/83Di8sTlMw8P9v/p+MR7Z3471v/q985Mjk0kPjr1lPwmzp/8InH+5IPYkYnLP/riYP+deSaWOfPM6YkzL0w8c+Kjn31vf/5jR8Z9f/cPx/7dmcz4xMn3RuPx+MsvP4nP8m9xDic+wnCGxc7H5g+U3z/+8ORk4uFP+l99+Gr/8f6D4/PKg8T5nzwc73/pwWvnTzx8+fwreH5lI9fRukSa5857/fsImek5tp7wJrynvAnvcTbmHfOmvTH7ss4/V0iRFM1tY9soGit41Rt4gJo3EN+ffMCOkXEyTk6b42PH8Hr+3efjnfHnx8bGzhMyQ46ZCZIgp0iCHGdjl8YupS/FLo12jh6JHxlD/1fvjHfMi+Wf9o57j8nHvMe873pHvaPe4yxGmvEnWCJ3KpfIjZljF8YuvHYhdmG0bbQtHibkkXl3fnV+df5r8+v51fm78xy3dv7W/K35Fdv+CsBwF9zFynaqmFrBq1JHOkC80D/Wm/aeYBOtk61nW0/lEhcSC4n16RyuM7HzsZnd+P7J/rPeV8yJCxMXJhJvJ+IStu/YeULIhfSF8bbxttOZqbZXjv7N0b95dvzZn7eNWlfYLl8qSGW2s4QM7Cts6x7M3bmqkzucfoeQ91nCm4idNl9vO9023jZujrfZ6c1RtC/IpXMJc/zC5Ifq9CsfJzpPmOOdP+88zmKdeOH+x9RWoKCt5r5mxbmVuRV2d+4v7NYcvzg++wf1Y65x13j9tGvcdax+LH5s7N3nRztHO0f/9QdOQt7zTngnjr5y/Wz/ZP+Jqz8kidh07LgZi8ViJ63+j6VjidhP2KnY2cRk4sSPXv4iEZv+VexXo51x18vOvfFTr51OjCcm/ufLv57+FeYfd41h/Kn3L413nu78CXu983TnxKlE7IQ5jdnH7PFVTXVFLWaK6ra6AwV1JbmS+qpSFzRJW7+T2zs+r5soQydY4tT0qdil2OXRIz9wW+WfZInYK+bZsVfMibGJMcz/OONFYAFq+lLiw/G2yda/N1HCT7CEd/o3o0fj/TFvTOP9xwx9db7orgrF7MrUytRKtjGVxyubR/uB2PtmIna6fiqmxn7CEh+eZOOunyfiz8ddY66Y1Cx/3HXapV46dekkS5AT5ttt8bZ420tm3LYPKWk1bYdt6pu1nRqrldZKxs7aPfyS49un1cSlcdfpP59tPV3H8U2Q/8ZiH47Kx/+F909vo1pQC+oO20htp8pQTBVTO0xTNdWWb++M9zhLeMfN00fHzWNHjx09Zr42HfvN6NEf9PP5G0vHTtRPxU7F3mSnLo0f+eHH4/Wfu35wKabGLh1H/zHyLsH+fbX19QeT8UT8xMNE/O2Jlx7GETgxbMnXXbY6V3TW5IK28umKY8XRgLwj78hD3mGPH+M1hK8XVq+sdNxTDbVh15CX/6txYcL5al2NnYqd4CP0jomlj7rinF/nA/MYl/rT5ilygo3lxtjfT/zdZOzyaH/sZT4/TBzTyTEc30TsJHt58h8nx/7h2EdjrWM91vwYN8ddP76kqqcWTvjGzXHv295RE1evlzhy57vm+FHsndePnjYT5CQb9/786KiA8n8c/etd6Q8Tl06wU6fUP7wiJv5z4r+f+P70j2KXjx+JdcY4/8dM7BhL5MbNt73jbIwcM4+1vWtas3NU4O3LnahPuF6pn3VNuk7UsYTp2Ev2DCLk3c7xfzdeON35+pHTfzgpJmLj5s+ttM357X3PO54Z956aUW//ZGZ8bHxmfOznY6OvjZI4G2uuD2TcPN32ehvW/wSbmHzn4/jDeH+8P879w96tj7vGXafrKnm8PrWdMCfa3jFR+qzxJWpdK7NSspa8z2rJUrLMVpe/Xs4reaoHjV5C3p0ed020vfpQJaf5p5Ps7X+K82t3/f3NsaMT/QnttDnehq0/Zr7mHX0+fvTlfpw/LeTdtRNjL//mlUuvu37sHK9jDadjo6fiibEfjOL8VRvm6kKhusPWybZZdBfNonvb5NKramj/I7//rxOJiVOnyFT9lGu8nnCdqE/Hjh099sL4MzE8QIq9lxg/9Xh8/q/XEz/+wYTrBHv5N+/95qXMqCvuetlFCEnMJCYujL/3I+/ZP5ySE//6w56Jf3jnw7j0EhljCbROUYtQUNdYrfA5VEkhU04WM9vJfDL/1h3NyPLxUxO/Gu+cdP197RQ5sTzxTxP/9M7yaOfoQvyNsTFb/tpOmJNtU+bpzh++MfGb8cn/diNGxv772OXEZfQPe/9/T4y93H+6rsZ+YiZcJ1nC9U49hi14JvEA8383MT42MXlq/U1z0nuiPuE9Yb7tfYmNTY6/cFpE+/htCWBncefGll5VytUSK1dr7E5VZ/r2nTLHxySeeosry1pcLS5abyHf+fCvT/2Vt0t4HeEhLP9wU0h1A/IwRU2iQk0wab2cEt4c0pr+/yOmkirDN8WjnSKehYa1sFbmvkEe/o7fCZw/tytHGT6vDVmBo/yhl6ZDY1k8H3TlPKaUO1PvzHkwmFjjLGvhNbfwYbs+Dl4j6x2LaJsraB7TDjx/tB/1El/BV/Av+oEuUo4NfHfx7uJduIvny8gLXRAACsGCxJA5I8yUQhH11EBwAUzRVCgVKoRguACFw6y30FsIMbRI0KFHs+rvQW2kabeBWQyLHdW/fGrjJ3GWeMlJWVAKqcMcZU5UA8zg65e34C30LVIoLpYXuxDXYDHKoovDi4OLfXArR0gbtp9JuTMmtr0zhxiZVOnr7/vCy/H3e5O9yd6UYijoG51SskpKyVo8b9tA1Cb+oECkQnTxS4gsdjPEgnu0eGhxBD7PWfwe2DOBRbroZ37klkD2gsWRxc8t/XdKSpkFGfyFQOGOdf5uWdEUCiBg/4ToEtruUvBXaAW1bJaXdl/lFqD9L/J3+Qo+oGi7wYrYs0wo9BY8BewlxI8WC5R9WVCYyIM1/ofDjvX2sNnB/ZdDtLLK8+yCYGr3c2UI7qvW+IF9vlTk9Qvvq58VLwOOKPB4YFCAQr6Qh3u8/FAK+OjSQoDRgrtAmbsAqPWCDc26vzbR2frmorXBTxDPwv57tYn/is92GBAXMWsStNZx4187nmTZaOt/em+09bk0sWR3usVtyS9iHgPLOzHQOsegFhBl0C2FJY5P/FR6tATKsrZOVzh7GyULx/fWLAZqIhZso8xzRX/A9L7UxErd14ahz7Yv3V++myA+DRiC4WkIjg62N97B6zLgtoPD4Whh39y6pi2rV9hbP4tL3cIPsm1U63vjW3JEiVYRNdgt+VnY9o/j2BzQN2vPIssTGUK6LzV4fa1jf3rLz3ODBZMOZHSfQfty62mk2T9N7iTECexNc/3QbnpcpyirapRJVuD8rXvzR5QnQK4ecEu9qqPODu9vn1NlWaeqZJxqr1rLWvbZe8eHqFKmR0VvRYez2xlkG8798e1EzjxeJzAwx9Rhzr+5t3wLg7AnrcxQM1C7ew3th/eW75aAHVq0fPUdWm+6uts/VuvdxM1A72GKTllAN5hb3z++iulzK6aXKKaXe7sjPv2T/B/XjvmSULIwXaywNz3RFDZ8rycNpuczyipJtx65emB8lO6KI7mpBKtE9YCkbrD98SEVsqEkIPNND+0ZCL24sS9+Xcn4dFoRZuidMIvoCiLg7ZOQb+J33Sdfu1zAIGwjfIFwYHzBeY8uR5csnGBJ2C+/TvKIBZYoe7TkYTWJB9jf/5QN9ihpygIyZX7zbg4OxMvc+JboUXD8PrrlB8T3UYSuBWDFXoCuT1jGgRx6N4BFrwSug+bMHqifiRd+d2jxuevDFW4/2IG4ZmAWATYERldaGopKGBihtE+m95v4ztYs2GtNyM3P+fkdclkje0IARI4uOsLPuD6fa5lD+4XHd/8ZIaUYuHqTEEUM1pDPZnBT8Hz4MNSFGr3SdQVJjmgoApEQZQOhAWlAenGd2+ep1rywZoZT9WRrKt8VcP+CrpzHHNqD0WChmRzWGLg1fn/RKAQlHkwKI/cp61sPmH3rAWioutpcnx3Ewgge3HzyjgxpmB40Ac/s56C2e61BHi8t0+S3ldD+Wocn72l4H4q3Psa7d/QTuiBlA1f9VwNL/mvA+SlCoeFaKITy75ScnJ2+vYoo2ojQ59mn/wgRLpVOpSaUaCmSiqRoWghDWEgJBuIjPUueJdnMs/09/a5+5dcvnH3he8oLrng27jrvuvBvwshniPp2OSSjh8mSUlN+ofxCyMA9jq90nRCxKlZZ1b8Yvda9RJfpdYp2WIscP+Va1ye8/DQIIUEBoYlPBMJ94LaOQokQtM0CaZhbx1EpwiJhmhZMMLuWuoOC1OTH3WXIReyUpDsDOTc6BhA7PRtGyxfEmN3k9+brcJ17+d0hJKSGVGAhfXiOMneJlgKMGu48oANBBtPLqqwyNWpGK10WOy0oqlAFxHGY724nRCQBYJIoRdnQEiztLO0w+GroHswN4XXVLn8xxEKSIh0CKgU4VissuqVDvH5ovQgsOhfdRNsEijgphlCHsCALyS7dwo8cqtCb2x3uYdx3dlQtS90mfo6dv8L7ByIkAlQSwrCMqKfYP4h9B0uD1zi+4BzMFfkJF8ePmUP8ISyfIf6PKZh0iW4gvot1ymnhyzyfez43w77bOhI/MvnB5I++ePXhzNnOP3wwcSTeOdYp8PFnkJLDURAiSobWFYI4kozbQmH54TpdeLQwcmWkMcwe4c6mDstDy7CMHkVDeTu9jjaUAuLraBxf5/eA6DCzQi8hIS2kAYTytIGWFRGHzW29wl0QDhOCWIKAclFTasOMzx4WlGA9OB0sBC8SIhuygVbRsoQYUBbK0F78HDElpgDElJwKAuR2YAdRYhqADOPvB98iJCwoGRBGQElGZAlMAdijhSFAn4NhDfFpIjCybIICEZAkE8wQAD9h2xi6OaQh/7yYCgBL+SHaGGo8ArP3EaYtwldDV4MU+ZMdXEPpFPjqxzGM+fjmgO3iI2GxKbQRQCRPRLbBfXg32PhjhxU0KSrClZacog6W6eyhWQr+WZg9BIdmLf4Np6Yw/m4++Wyxd1jPP7i3aMbgb6xfWPEctdig9WjFX/njjkOjzKHhPg7/wgF8m70cA01+Euv5y5cN5dFEhTioY8BDtwccAw7q8Pba+Gndvm5fUEYW1HsK8cFe/lObXxsZtpGJhHOLcn5RpnB+mW7Yfj/AIplAA4rdbLuOe6cnOPo2/wdp/VZ+BUKQm1JQu2yJ77KZ0IX00D2Ov0teQl1a7pj5t22vm6OWBqBtxCSXWlz8AZQjV5ha0Ay6g27+blL3htthtix0cHz0AYhIETXCIvpu0IusmCrq6F+A53eS9nnOYXa4u91BE1Nanz7n6d1ovyYg/qYPU+kCtzYaYFTeTpI8x8cCSWIqOs5w3jW0BtNX2B1ZS7bkbX55SVTDHN+4W+/lVkwCnoXqQ7PIrKdIREXWGb4Kcezq6FyA+dKa0cLxI4chJISkATbA/V5CvHwf86V0vWzhv4FHqEsCbxe2jrKwLujdrDvVcceKp7z9YV1hIb3GavqavsZqco3bb/eQHghJA+otUPIESB6gO9+d74ZeGx+P11/wSTLr0UOsoaM0YP09cp23D/MXBJAEbp1DdcKoPqAPsIEUtfhRSYYlOhPehPnWhbPm2QtvmYkLiQsJM5HIXhhttdNLoAqsqCs2BrSsy8wn+5K37P4jAnK/+rgUIr8ufpKZkkL8by8JQFgYQN5iHQMwt67oARZIGXpkFtv3HISkoOpljNfNydw6xfrJNDnQzJ/3T433HrHbJ8ie5NcW/jcLCKIkMtDdLKD72YoewVxSYf3zWSseFtySm1EsVaesV+f7Z9lIuvPoHxoFt+RWgfXiGbMOfPxCbLAyqN+axf2Df4Eu+sG/QTfcWfcUQO8UnfLD3WU3T2/9wo96Cc4/L2Tc6Oua2Vne2eyx8Ul9kj0j7dpTFk6N3DG5f/Lj+Z2Fha8XAUJTtWzP1DCsT9GpgSy232u3HwREz+P80zowr071PHPIjqTHaj/QhW7pcKY7CWwg+WJmZHMwKWcGlu+9+RcrPksXglJ3pjcJDGP6eHzf8p2kadd/QKBcfrFvPKysU11hnoplH8XrL4gSZSObVvBxNvvhq3poDe3jCEfvU32c78sKWMtQaoD3n5sEQBHwyQb7t6IT5tZxpHrlYDK/Kz90sY/RzUAG0WOVJN1UMnS5lCxvcPw3Ho97E/wNyVDczWSCMt2s2vXvW7DSBzOwGczQTcBfLZeXMP0hkNEaBX2H9C32XGX7juWBw1djFfHn3Bm6EFhUMoOb3gy2jG7STWBgwmbdqh8LClQKIsNgBux4yugybHblCeEWH3b9ujP49FJL0s1Qhi6HkjTfxDcfMin3G4ouR5ep2Xex72bfzTJovVb7HcRRdfTSOtoSBgX03qZbA+cGgIW4f60ZnAGjwwgYAQvb1gwa1NyA9rLT4kdd7Fsa3KRbgw2aozkKdGNwYxDuaI+2Nc5/Qm/0LQ3eoDzQG/gLZCK5s/7o99phPvoytflCKaEZziCQ8RdXrjc2NMrrZ0aXoQKcgZSaLbi3rFAoQ/dW0In7k2FzaBkqIxV/ZdAsm4MmmIOVYaDZla0iX//pOpnpmO6eaajdwe4IbHXPdE8HZ4LBgUi+A/27wFTcMoQZgLyjVAEUpoBi0pv0Zt9nTf+nQ4sjV2FHkDxVDF3zQkGY9lwNt3P7PTNkoE8YQ4w3HryGuBK4SC/i8zn61wxWZenWEiCGOgbGfZ+Rv5XfX+Xe4SpixTHOae2T8MlZSXkNhfMD92ghLagp0JeDdR9nMlGS3qSie3XK+Rvdaq+K3DDePNSCS3QxKNG0lKYpyaD8/mH559BcJAfs/ibdRBzlgXAgHJCV1P07VvpulWbFfelRq2Wld0u9UlCmFW8SSsFt6ggyqks6D0zSuX8TO9L6fOt3H2aQs/xB/2XlsvfBUc5f/nqPZT8fYpG5kTmobYaU0GCNXu3LDc4GZiOz68zKn5dfgIUg0GKwSItSMVQKClQYWrDsLwdBJppB5wYdio2jp0jetML5IbvmZN3njoJm9z3iEHsNxeibp/PIL+jufKbzO16Fec9n/rn/t8pvMXj/WTnvPa+c92K8hPwwzSfcQ4ueukk7qm6pg7nr9KbtP6JH9AJnjea7G10sD9YGnYiAjPIjMzo3VCmGO8xGsqNe99g7rKRnWfag/Z9c9dVo6dYVOsv5eUAx+rANYeUrvP8JabkULSrFQgEx75Sir0FLA/dEQywrsIP2XbIcwqcrrwQcQ32Q0aU+lKEl9JgnRJiWCz6DzmkOauP/KpLXpEsDQUVCfuAeI2QEQTE0k2Ec4tAzr67oaC+O6bsWowshRrn9usW/orCBdSXlDSvv96F9ZVJJhpKK0Qdcvs3B8v7+FbQeLcToXN8cOH0zVBv8lHJfFtSn8PapNDm8Ga14q48WAh3IHBrd7KvIVa/Nr4zjOwwRRxHoCuZv1U/kfb2J8pV79pMjl6MPvJdnPjl6OfqH//Cz6GTf5OPwh2i/V+T+odelFC0PTDO3p6G8db/e00N33FKHeahOD1v204MsunRridr9p5heU2F9N+m1AY7/G4XBK9HGrQbdHvwMEZDptT4M1+z6o9aqJtc0ptzzIUIyo6zPCpxftcuMzg+bdP6WKSPvSSnAZDLAovPeglxHfleL9U82NBNxIHn5EqJA9jFFatoXD+OYMlMKQJRzs/TxYPE7dkG0MdzAeww0fKCkBkFJeVMUvClrfRD4mhHl9okBBzKLI69m1PQW5Cryl3ZVohVEFe2rAAuAnAwAlQaWqOmz+UHDUpS9KFHQOA62bAbKyMssF7zF6JWBw4Qosk9C4ExgUo0uD970bLXXUX/ZYVrzoysXhMD7DRboBtZVGJ5+rgzIbcPcqY7rcoc1v/BJhOtY9mmPbHzPhaEFqRpkTB02h+ftcHEQfI4BhuobURLlcAhAwhlQW6nB2sqaKRj1lZvmOe7fPUM164wCz0xGrgJY/FHWOyGHtTDrygkmGLJloa/6TMUYrOM6i/LtnkFWFHoHWXu8MtxHhnTUgVrPKNb+3z45MTtz/Pyk9cjkkYn+iVgrsfhnkY/TSXVRpyl8WqVhRzgSjqQgaRFEORA7x0KAQwRz9DVyDDbuNA413Ictfmjc3YiM1vw1Efm/TVql+WI+nz/M9UtK/PlJZdIK+N46+cLkC5MTl+OX3WjfIVBBFESgiDCSFJOiTGWHEBEiMiQZlo81S4lhGhZTVBcJ/sohU4HKkLyT5+kXRJ4HBVF4nHq5ZZlu0lqZ3Sq2W/uHjGjnTTNiWkzTSgvqWTYf6WDvf0QN6y2W6JpoiGu05ECcbQ2AWfy7vWJV1KgmahyJ3aCGw4gYEQMM239ZEu3SeUuydAEx65HHEMB+vnQGU6Fwr7yNCMbNUz6nf+ku2o/EMrFEJnE+cz7xXmYiMZGYyE60vPfd1u+2vtr243CTv2yXwYztnoK1Hr08dpXzh6piSjSoLt6jDZEgDr8Dn5R09Mff079FsUiLItay4JiOSJEwpMDiF5L84J+lsyKhmqiLa7Tq0CL5SB7yLGP3D7f8tYIIdMuxweOBj49Ok2IKGaXEFMqPH2jKkYqksH+Y0SzfD1QSk9QQ02KEhhypSAHHl/c/L18k1PDPUQfv37QjHZEiaeD8lbx9mceyWfFfRxnw3znQvjw/VCuyYgEAingIVnQWlaJSLM/+cdbm33T6gTpFRglvKXM4I6lIGGTO34Txusi4/DPUAFPJgRj9EkhM4vwjyFZTGqkpqTCMLCkzToMaSroU1lPP3bHwB1bZ6hLwUCBFJOFEH4y5knNNts5PxYIItCByllh8dxQihUjBli+cP0wM05SoUxCxliVHiTKqg5P1cHx/A/lyqSGalPMAUMOBergU6DC7W39DQclewec4WnOwiFQMFWnHBs8/LRr+X1ImWiXhDGU0TJvp28Fcza0ymFudA7aaWwVoOBoA0IAGMrO2LNEl0RDdTQ5UfHdynPoa7x9cuYwgamhQe4hcpPUVTx1PuSWnn/Nv05S/bvGf++cfr96LfhNPoA3nSo2Z1vPB6lJhDeqFaSgXpFUGS+1MkZRQif5xoxmP364yJq1WCgX2i3aOVV2q/fEaP/MBRIDBXQuuedT8yy89dTyTtueXylKFtdUaM1YZQGG6sAafOStKRNks9fyxaj0/FNKrDBiGAllljLTj/nmpHFxb310fGMW1jYkat4GHCOyuDxJjBWkVmIGhYK6Wefq08n6p+Efk9+lhVR6fKjDYKswUCEA79+EqA4+XWLpgFAyYKwIjq7wW7UwxlK/Kvy8HCelWYR35ox9Votejy+17VpBQbZPZ/WPVXcJQBGa0cyTtkrQmIb4hwGpjtQFfrX4FjWKlEGbb7TfojFIrX8N4MsPUVVgFqK3egFyzfESpL0MZLPwK/JYVeDALBQDn+/SeYpRqqJ8haYDCTKEBWwXGagVWqAE4U6gFLX3F41MAhZTVvyxVKKwCFJxMKSisVFgDrh0jRSgCvF/AkiqrAFvteMLNyufK/Pyo2V5fTevhPMtcllpmaaOcsfhPBaG73i2ghXLW3MN0IXRZ/KRsADX7EizeAljEz1YYkBSOX6HM+JC14Rys5O8w4mNK0pdSZF/Y95acb/KforxDMm9A2hdRQr4ULaD+Jppv8kMqulKB6/kwpAbvWHtsrlHUOX42PtvXlBqwfA1qPqakfbhXFnyCjOdrC76CgtwFEmTzQQDftoJh28cGq9TD+UtM0YyCbDJTlx5xDj8ROU82xRl63+YfQo91AC0PsDEIdGsQlPd92cH7yH+nIDOXKjOlAGAQMxPYjCKPKvNvBgwlS4iSHrRx23E5h10tsM/wpZv44k/0rtibXieiaQdqXifiJwkE9ybEtHaWyEOeR6aANJj5z+5J/P49L4UlleYk+xNo3Y6uuaH54YKM+B5Obw99x4unaI7gx1BvyXXd8Gz+Za7rU/v83e0N001vD1Qfxx8GzmLqJh2m4Jbc61ifOamHbkuHodH1Ma0Tk+ZaMADMtswSnl4SaA3P+mA2eJjWnYQzgNcVYYP3727+25g7ahuc7p6Z6i7/uJ2/k16V3oG5rqu06tboPbku52m+nnkqveB0AxwWuqWh9Y3rvR0H4/fybFjnj/vjv8H+YF/8XjZV55T5VPlOy5PNRH9bRNh5unzrHP8Jv/r+eIEwI6xHr9FUISnc62oQQg970/DL4AzkmvPK4sF0So51Rg+mPwRhaZP16FXm1HvY9p3Hu6dP6LS3F6rBDmQICCat/a3znpnuuCq3Y7x3Gj4JTsPFFs4gcGjRY9ZtBlXkH7HiQ9PQ0VUPqlbrhhZofegKbWxfJORn76GpRfP9af8TjLFCrLVp4c59QM6OPhW/17/gB/HXuH35zx4+juMh3vryF4n+H36R6D/5RfyjsY9ee5vH70l/5kiMnTlyevLM9yaOnLj807P744//SyKefTB5+WcP47/N/K/4w5999FIN8Uv/6++Sb7yz9q7x5j9+cBX9VyQizVBNapPaPCYh3e7uCtykjN4sVijAFdiOzNGrwaqSl+55rtv6v11edIulVFToJlrp4PMxhY6N6KeD9einHXnK+JNP1RrBvrm+GxY/0F4EH2q2L7YvH6p0wZCl30DullREjjTfO2STuul84KLouIP3HxXZjy10c0DNIhNNn0lv7Nx0cP44jlknRSQ8N4wkI7+gMx1rdJkuiVNWekmVtEHGuOVkKcmSZVaQV5f/cgPtJ934fCtIAmQsOpkiFGXIdGRokS4EilZ6gQxxj1fOfsJDB+oXb/ovPolXmuwofJ3r4L/137TiD0t1lTOTLFFW5MwpIdNnyqzrZvTa/d4mf5DylcJ4kOz0c/5P7fbb5/PDdWpGPkP0oYCJfEwDmfwUnx8QXaCfSFm6EF2mS9GNIEH0q4A5ULwH9Szi57VXueUN51xvnqCj39tAEu2j3aRjHWObyEeb+1hy0X4BGRkGgaoNNaLSTCQZSdIkSfJTIPQ/x/MdSTQVk9XoUpNhiHC2oRL3r+yVQpJIAcfIOgHXqU6sMyQd+YkRfyXgpE6ocX6ZJVqjV1tm6Wx5toTjh+hyuHcG0Cmyy5SUEmqwkc+ktIbjiyfcIijrsE7XlYyiKqqSwbtmSS2h/RpB/2JRAjWiRjQKkY3IFJ0iU5GpSLaI/uWazBkQYYEWlGmlQC8q04rw+L62roRLvP2yhAzBdJPtnm8rdRJWZCVZ1nl6MzrvX6AAqN21tM+bLSbdoFNlBeOVUqgq5mm+kYkgFpUe4ecseNaE7cf6UxBVRWOM6hR5Wfk5gqKX9JJp9f8wiITt4RdS0kRS0iWj/Mvm+IiMSg1rDkgRRiUiRaQiIL2lZChGKI3PRw0ew0cBeLxURP/FglxAq0wKsEARmYjLcEsR50B5gbfflGv+azQIzEYwRLYpjmZY5vgD6N8uqtRg2H9J5R5tKBIxlRq9huMvyUpoGERJkWCXP4gutfD3siU/zL8E9vcYj9KD74C8HySsHkL8+q1I+P56jwq7ckpIMMnxASLRDfFc+Bw7R0HZUrY4A9IWOadMKVMl5DdyRwvidHgGdD56VX4SUCMoSWaJ4zv0mEddz09nOi1uIf7OyOUXLk9cnpgnpPNyz+X/cPS7RzOIi0EU9sLlZvwLbOI89g/qFf2McWabJkcS9g/MwTLPnz17+ehlhf3D5ReYcv6Ff37ht8pvyT+/cP6F8ydQvtLIGx0BlkbLJhxbBWidpJWCUuD9r0ZLftQOsyaCJB//NH8CvWj339wIAytOUzi+BXlfKdJrvP374wldoFcoa7lKr9BG+eMn8kVJg8/MCIsItERKiGRZmkb/VHlaLIzMA7bORHYuZV2RHKVIXlkpzXD5UERphAFax1TpEv2E5mi9BTGki8UVS77EtYgJ2C/X6DpF7s11h0rTNGXLf0pe89eUEOBTjUFvKuuK3LKhHFbSZcQvcSuHQx1+gHlqUsT+Qfk0W3Ccy/j8InH+xbAKplKlTCnQecroxRaTzlOzPE/IUCVaCcBIBSrUxLMVvkKlCdqKBLl8SrLqZ7v9y7EHFKmFr+n4fCBxfr+wJb18bijSvvSGbPhZ5H2WttmJ7u3OD1ZG//UZasiGuKIAMAVZlkxq0DVSUmql7dKGNT7IMEsZI3bpmsLTl5y8fzWZ+XMRk+3hd1KMljrWorzSnD8jS83ZhfYrtNSi0xW6UkL7s165WxRGcHZfoQ0ce+w/B1APpcU37fSbI5v85CxHP6GMfkI/aanQefpJ+RrhzDXD834T5rFHLX4r3IdTRtFUkUgqheEr/gY06Db9zOKXotDCucjw+awvF70ZMIqGxewF1PrjAGBgoAER8tkMMj8Dq2dx3fi9Iu9ZP1Q56Wdo46K8pdRpXskqhK+PTNH5/QHrV/FXwKRXv7F+eD46JU4B53/DNYI2lPstW7QBU/gDyR2tiO4wBVCA7l54kqYYJWMvvzjl/OJbVeSAHJrDvSauP0NVujW84Qe4ye9cKKF1a/2qcfwAS75HaooB7PH6M62s0c+UCokom0pPufpYPkzZkE3RUExm1x3bQPgqj/NnCOSUH0a2YIvzi1kSIpCSUqJX+Pji+mOIabBWH3t9Jvw+bMu35IeRRTDpMgW6TE1ao2bLdWrSneK0Nf4o4TQIu/xYipMwxUlZCfmx0ooxyALv4/jQkrUTUtwtQOfBgDD6x8s12cQnRpZWTPqZoitAbziYklGAyz/nzxzh0s3nVwHb0cJ250dYSfl0PzCUnB3s+wPjm8bZMWLJB7HX2LkW1GCk+fw07PyxxQZldAXnBwGlpJjlOzj/ZNUPIwA1frZqP4s6+CgXwd6fcrsl28fSYlhyoiZK60H7pl12SxCIh4Vq6z14/uUOChz/T8INHJN0hnYJLKSFIKQNIx4daMD5gTFH5HcV7EAQjWeQeZ0rtSL373QeKIE4O9iT/IlE1Kh5aP6QeWjeY3pyHhbMoYY8Dw5w1prn19QMumlFTvFgih0B8HrKsIPxWkuuYfvtFM0i6kJIkdWdiGB6yET7UdS7w6wTaFWSeOA90NQfuznThQ+fjFL2yco0alCpYen3BElQ0aYFd3NF1qPJIGtRCDhe3L7buMUI8Uo+1W+OzCPHcpTzskKuCwRH182um92K1T8hfrYRNaMYclHw5/wgOu42VjJcvyuFrL7VgR3WeqEX+9jhgzs3n8P+FUDS2LZeZCXdYIZWgpK2Ddt4pHLz1g1CeqQeNcQGdI1bdyD/R7eG/BK90HUT+RHd3O5wcJbODs4qmldX1rxVqjny1NZP4xNz0OgFd76RwZF6Mk7DSxtrhLQLsiTiCUCGbooZUfVlfSqF+7OOLJ4Jcf5Iidv8cPseRfOBD0OeNvoafaj/zHnqaLXvVKPLu3ZfwHetRR9fwJhaNsvzYJbny2Y5h/gIyFyHXLjdJrEeYNBmCDXMTObyF4KgYwD6ePvRtgtMcNuBWBjApjNf0kvONUI4Tii3L7fnwO7oW/LvFSRJyLRv5jMDyWDGoTqy3es0Kzm8tnzj/TPEXtQbjKDtFkfzMADyhxqHGocYx5ex+5/y/qcwoA3AgGMAKODzYVN+QiyoD7BBrQYhrQd6HYiYmM9Y48ttxtgg2jZpnK0UBIen8XUD/SOCZHjdlx1cL6m92eHNkHOnFnIO16TQcA3XOav//KZ/3mIRjub8KF1Mdn7JOjIdM5xAU7KQkRTbfhO0AuYPdWv+emdiY/WxD2fq5MOZOno3zmA4f2zy2OTf/tTSv6FscxZ3k+YQKZEy2YmIHfkZtF8NqbIJRrdJjbBZ0AAiWoRFnJStsu4ZQnqFYWmHDW+GMrAZygyvUxhWa9mQg0IEPr9BiKOiJNEWxvmWp16LeLaeyEf02pc3uP2rihp6g1Hdzdy7/UsbA+DA52uhQ4oyblO82ZvpVZWsokayyF7duNnyGd//qSEm6sBt+6iGmmfKxyd/c4XPL8t2xg7rFHiYLcMfuXy7BUGiZsTAEDGpJoGoAXM73ewQX19CUqhpdcdAI0C1AaCOAcDx9/L0bsnN2x5KBph/HSCiBrI+x2DWD2F7/uD4UG6ZF9EiQDUZFEeksdrozljpgZEkzQwkaYaoNOtQD2c7NlDcUT/aviBLLcyv46mOm1HNDaC5kV8IgvD5zb3tIzw9sm/S7OP2Zx3Qy7j8Ld5ldzcpsixkAirNYnA7EK7djfpjtVs9nKUVT2U4/NWWfbew14f7y5Z8P6k/1RAfjdcfCoDrj3+Jmr3p4D2AvKPc4POfNO80qH+3bBdX9RAL4BzTAIYxOJDzcfhGs3+29R2G50sVC00HRIcI9GaftT4udnHULV/SyMB6BHiY7YIuGG72b6YnaXl2bGDb7fYPwIu1pnzj3g/m8ybkBpGtmSko3xmK88etCMHMQBLHQMkMqJ/b8kGhCoTn75EibEsPca0d1UTe/wFHwJ7/HYIiRdhdbhcqs24NwI2Bjw+uX4OCjNh8ye0MYFC3s6BqWZiVsz7I8/xxfdi1bdN8oOBRv0OGQcgvWfJBmTcZQc1Fhq5HshGVZr2OMm5Dlzi+s3rIhEqoAltuoHeejF90CedXSAqpeHpXYYCneJrI+9fhoKAA7k8cC4rkZ5Qzz9AMyq9/nYJ/w79HvoHbvj0ODNRglqruLLZ/hcu3uxeuDAAVKH20tX8fEF1CfC9+/+PjE93cyvSoAOX1HYDZHQDeflxRQ8iGvhg1o4u0LgvoZxJgXmepVFsjRNF8jBpCWlmJMEWvMW6h1ZRP7H91pBRMRkvBJOWrBtZgbzxd2Dv/g2oZBOQLdSjZDvgLI6RbgGq3bZfXnQmpFGoqBVy/QoB64IP4Qfvmxw3LP7aFtZCsGT96euzlC1PPThovHz39bOxC1oy1Wfy6nrRgwC/LbEtqsHINajsMpGIaDMRHF3qF7l4BcTnLV6ABV8qIkm7eh7IHaP5Nfj4IYpUqA9IAQysCkVnaae6XyPGnLA1bUKIMWTgok9XAV2JanFrZMDk/eUdVUTe0Joob6odFNWCK71jx6NVk2Z1RJqYCDXGKsoDp1VZMzbYvf4L/JuYhs3r90DpA+/pz17++aPGn4v6dmoG6uIFIE7SKTzQt8/gbWXkqPVTdlDNQOPPuPOr33Elkf1EALTOtUYgkI0BzRbmc5Pal3KetN03hy0XKrH0cNcV7gbqRh+yB8rMa+i9W+N2s4l+2fKEwBGqBGv9ls6VGoGHk+fntk/qZ4tQKA3cQqDtYAdnj3kkT0rUk1BTTy5+68fmA6SbADWBmBmBlrnn+g8jC1BzUn6tvd7RXD0sRtUXrmA4Le/nDrV/i2UqvFMR4zh+ONN+wQDNUgIVeoAsF2SMHkyx/mERy62DzH6M2sgpMrtEaq4VYyLnm7JEtfij0lAZNYXQOmFKKlBgLrYX0Nb1nxop3W5jsGcRl5/szOSiHkmtP8lcFDb1NlGQXg5qUxHPEHfbHzR6bf8oqX1ARuRhgaIvC8FZ56xB4yJDN30W4J2RQCAoUhoXhZbqM/gDBbnQgOuifFYGgNJQbkAJqn5FXyptP4nnsjoR3YBbQvEA1La9l7XjMeZlCRED2skGzLxdgonOFGU7Lfwx9DmzW3j0Y+j1h7t9of4NzV5+y7HKtbzz1Op4f4mkYty7y1L++iNvukesd6y05T/XrT9tzhLSrsupmsNQboskvSw4NsQ876g7NU/36EzSPbZdklNDFXkoXK5JHerQYQP9J/UvdzcI66s/DEjJYRy18VtaQKESv0a0GdM0OfdLkB3ga9z9kWPpt5BdppCFdNuCXwgxFfTCru9FqBCTg+AUUbQ64dzZddIfpdXe6A7VFuqKvon35on+ZLvmtWMmKNe+05EIp9IEj5NC8AHS9/g7dyx3AbSV9hq5b9hs7S5zZYmmIMQnZi76+hvqRMtePkA9nPvzph/+H69XMBxOdH8189J1nnpv8+aTj//xR/4/6T71s2Q9HF+li4CYvf9HNOvT6Hv05SEWuKS1yTnhgvH1o4c197Tg/ibDDeUkYPqXqElOEKtfvlbl+z+IJMIIr24RrUp7UP5TaTNr1Z8gOUksjtiTPBf0sdcbtY7oWPPXh+mC94PEwSRlmO2y4MjRPK1IvLVHME0Y+oQveLL06skQhYOLaGOBr40qqmLTO/2sS49wZQw0oD4HCT/cUVpA19C/SgkZ3oaMK0HF95GOA4Yp1RSvR+aHrhPTKZdR7SQBU+rJGl/w3LC7zaMlfC2wQ0ttLr1Dw4BqR/bJBG36OrkjB3/A3Bt/i/jX1Y65jrg/qf8WRdj6w/nt4rPWvWh2mtT9wA1SGKjQ8sAX14QVa5+vjRQqDjJDoesViTb/u36IYaz8L4DMl7r871sVUoNIMXjdnkoeQgQzVumH7Ry0KXCePVv5UJ0YoFQp76ib3X8FYXEEGGDVCabp1v94rOdYPh2GFVDtynD9rD4PF0MJIgdYxDF2Jbt1vJ8TpRv5e3KPvPYMbuth3se/iLcxfGF7oW6CA+PQk68ceauAeMpBX3in0WvoR67RUcFt6LwxObhUT5vxUFIYW6MLQArdAArFAC0TgPLELaJ9s2x6+Rc3h5cGl8q5nE2JaeYWD/llNbcbQ/HDFvzyyfDDeig2lhiuh1GDlxZmD8c2eCKGlrAEmxnfVu3JdeKqvvjgTWaOmmHoxFTFHrlrn1248f1mXVdigX9G6zXK0Tteb/EwCCeOTm4H2kcjPBNa7kTcs/iAnCWWHr4S6Ybs3SDfoPcvCn/M7gRf9L4SwTJPhJOTlDBD+/I0wksG8Apyf50k8seOLPL5ox7u8z3sDyvPxbOuz77068V8mshOvTrz63n9pHW3NtsUEXn7GenrsxR1AnTYoo1/RCuLtejeIxdgQoiHPV49yz1UP5QDvFJzfxjrfcxPRDBii1T5cSarAALl/qvAp4mO4iQx0QRaAcY4uaJ5x8fyThLg7xHpAEAUAucg9YdBIrsy5ZvLaPSwfkShHbFxL3n4VMpx/yKnN2PH8fCOaAwboycBgAdgddJBs3p+ZT5NNcBNT0XzNAL68nCHEkXOue+rVDkuq3BplIQ0QQQEG8i8yrr9Zr2p8Ztbbc9T0rIHpMfn2kM/PkdzX1aA0zEI1YFKVMpntsCpDup3hbSnb9G/oCdtYl5Z/uBkyMIS4fRnJfcNFmuhshLR24uUx27zNi9ZdMbws/8QOZNtBDqhcV66j2rLQwnluuhbQU5YTMLfFXfHOuDcei+fk5ZZ4a9z+Qrby79AEVZIkSVAPaR4SJK8bakoNS7LnTzy6jbgIMm159134jYu0Ef7RxT/uvVw8kZc0X9garJFDQyviroUnrWvG2hge5pPPe39x8IXUgF4Se+p7y6L4//1lUwvy7iVO4kYtDloK4Gr15F8r//Z1Vyd6TO6/XJ3tFj0tcWgk9i3XvvS8U6QWzWl3aLOue+Ixz05yIH8ikWlSbVl0SIg6ws/7TSLxy2pztZNY179fFzqtcvam362/HX+w/p767ghjnXPoLdrKx/BAep5m72fyVP+4hPb//VT9yV5p/v/wf66l+a+bSERz8D8ScRMH7nolC71l78vmuzQPfr8vzZ68uPRXO13WtMLReSwBu7hFzRq1r/eEJXewkuS4qKnbqcpwXSI9Pe3VJ3VFYx5rbmLj0cOW52jVqioJkkUnKOz/bM+/qmB9Zw+qFS8IHdWn0u+9dtN76s3x79wjC0/k69viOwnZ3wPES/rM5iLT6WqWv1fqLd/h5nVw9h687AJc+6+D8tPp6uzsVDtz/5Y8SwTyLPm3pDPXqXZ2NvMXvuVqtk9tm3ZPu9M96Z7U91PfT76BOKlTtxHrtpm/4HrW9azriOs7ru+4Oj/sTHQmOp/vFJr5P5GAvdeT9u/rfxzB5jiRb01/wTvW+XxH1ZpCT42/0Pz/4Px0kW+a//vXxKf79xtkY5/8NP8XBCsKn9VwHW6mvzWLVz4/oA/oviTqNWRZlvH3zfRWSkzVZCtDvrJm/Z/kbuV8sH72+oKrS85aXaxbij1+8oE7y95LJiRGVCIRgbiJkzhIS45oe75oxeRt33rJxLr/tnnJ/6+XpX8huW+40XzDq2NdkIjUUbUGWJjuKDRjbHld75GE3VeP5Fnfn759HXvVlm7BLe1ZP/lX7XV3+El6d7i9/o3puQZ4X/p1a01rt/8+uQ7Uv27VvGNd4GvSEwn6pvo/kY/mWvmt85/rKOz3fZcjt2+B6HSprtxfEzf5a+LKuVRX59P7g2/Jn78y6XcMnPVPrgN7g2+t//7+s/t3b/8/lR5HD/tkX/o948NH58AP/mrdeUA+D5ZvLaq4BuCnJ+V/8/iRA/Xb37an5aO5Ahyc/80X9ljQwKs33Ztust/uTb9/DTjYf/vzx51U78G92b49lj3/3WTvLcm77z/3t99bmhIg7bu5tO3770ADSE/rQGvsNkc1PVD19qpbEtJCAZ/0kOLxMJ8FT6/PVOM5t7naOl3N++++/YfbvnZXEMsH6//ptXd93ctOia37vwEKSQXw';
+
+// 展開したビットマップと、文字 -> CHARS内の位置の対応（最初に使用するときに作成）
+let bitmaps = null;
+let charIndexes = null;
+
+/**
+ * 文字のビットマップを取得
+ * @param {string} char - 文字
+ * @returns {Array<number>|null} 行ごとのビットの配列（16行、左端のドットが0x8000）（収録していない場合はnull）
+ */
+function getBitmap(char) {
+    if (!bitmaps) {
+        bitmaps = zlib.inflateSync(Buffer.from(DATA, 'base64'));
+        charIndexes = new Map(Array.from(CHARS).map((c, index) => [c, index]));
+    }
+    const index = charIndexes.get(char);
+    if (index === undefined) {
+        return null;
+    }
+
+    const rows = [];
+    for (let row = 0; row < 16; row++) {
+        rows.push(bitmaps.readUInt16BE(index * 32 + row * 2));
+    }
+    return rows;
+}
+
+module.exports = {
+    // ビットマップの寸法（ドット）
+    GLYPH_SIZE: 16,
+    BASELINE: 14.56,
+    getBitmap
+};
@@ -0,0 +1,416 @@
+#!/usr/bin/env node
+
+/**
+ * ビットマップフォント生成スクリプト
+ * DotGothic16（@fontsource/dotgothic16のWOFFファイル）から、JIS X 0208の全角文字の16×16ドットのビットマップを抽出して
+ * bitmapFont.js（PNG出力用の組み込みフォント）を生成します
+ *
+ * DotGothic16は16ドットのグリッドで設計されたドットフォントのため、各ドットの中心がグリフの輪郭の内側かどうかで
+ * 元のドットをそのまま取り出せます
+ *
+ * 使い方: npm install（devDependenciesの@fontsource/dotgothic16）の後、node build-bitmap-font.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// ビットマップの寸法（ドット）
+const GLYPH_SIZE = 16;
+
+// ドットのグリッドの上端のY座標（フォントの単位）
+// DotGothic16のドットはemボックス（上端: 880、下端: -120）より30上の、y=-90からy=910までの16行に並んでいる
+const GRID_TOP = 910;
+
+// JIS X 0208にない、または環境によってJIS X 0208の文字と対応づけが異なる文字（全角チルダ・全角ハイフンマイナスなど）
+const EXTRA_CHARS = '〜～−－‖∥¢£¬￠￡￢';
+
+const outputPath = path.join(__dirname, 'bitmapFont.js');
+const licensePath = path.join(__dirname, 'OFL-DotGothic16.txt');
+
+/**
+ * WOFFファイルのテーブルを展開する
+ * @param {Buffer} buffer - WOFFファイルの内容
+ * @returns {Object} テーブル名をキーとしたテーブルの内容
+ */
+function readWoffTables(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'wOFF') {
+        throw new Error('Not a WOFF file');
+    }
+    const tables = {};
+    const tableCount = buffer.readUInt16BE(12);
+    for (let i = 0; i < tableCount; i++) {
+        const entry = 44 + i * 20;
+        const tag = buffer.toString('ascii', entry, entry + 4);
+        const offset = buffer.readUInt32BE(entry + 4);
+        const compressedLength = buffer.readUInt32BE(entry + 8);
+        const originalLength = buffer.readUInt32BE(entry + 12);
+        const data = buffer.subarray(offset, offset + compressedLength);
+        tables[tag] = compressedLength < originalLength ? zlib.inflateSync(data) : data;
+    }
+    return tables;
+}
+
+/**
+ * cmapテーブル（format 4・12）から文字コードとグリフ番号の対応を取得する
+ * @param {Buffer} cmap - cmapテーブル
+ * @returns {Map<number, number>} コードポイント -> グリフ番号
+ */
+function readCmap(cmap) {
+    const map = new Map();
+    const subtableCount = cmap.readUInt16BE(2);
+    for (let i = 0; i < subtableCount; i++) {
+        const offset = cmap.readUInt32BE(4 + i * 8 + 4);
+        const format = cmap.readUInt16BE(offset);
+        if (format === 4) {
+            const segCount = cmap.readUInt16BE(offset + 6) / 2;
+            const endCodes = offset + 14;
+            const startCodes = endCodes + segCount * 2 + 2;
+            const idDeltas = startCodes + segCount * 2;
+            const idRangeOffsets = idDeltas + segCount * 2;
+            for (let seg = 0; seg < segCount; seg++) {
+                const end = cmap.readUInt16BE(endCodes + seg * 2);
+                const start = cmap.readUInt16BE(startCodes + seg * 2);
+                const delta = cmap.readInt16BE(idDeltas + seg * 2);
+                const rangeOffset = cmap.readUInt16BE(idRangeOffsets + seg * 2);
+                for (let code = start; code <= end && code !== 0xFFFF; code++) {
+                    let glyphId;
+                    if (rangeOffset === 0) {
+                        glyphId = (code + delta) & 0xFFFF;
+                    } else {
+                        const glyphOffset = idRangeOffsets + seg * 2 + rangeOffset + (code - start) * 2;
+                        glyphId = cmap.readUInt16BE(glyphOffset);
+                        if (glyphId !== 0) glyphId = (glyphId + delta) & 0xFFFF;
+                    }
+                    if (glyphId !== 0) map.set(code, glyphId);
+                }
+            }
+        } else if (format === 12) {
+            const groupCount = cmap.readUInt32BE(offset + 12);
+            for (let g = 0; g < groupCount; g++) {
+                const group = offset + 16 + g * 12;
+                const start = cmap.readUInt32BE(group);
+                const end = cmap.readUInt32BE(group + 4);
+                const startGlyph = cmap.readUInt32BE(group + 8);
+                for (let code = start; code <= end; code++) {
+                    map.set(code, startGlyph + code - start);
+                }
+            }
+        }
+    }
+    return map;
+}
+
+/**
+ * glyfテーブルからグリフの輪郭を読み込む（2次ベジェ曲線は直線に分割する）
+ * @param {Object} tables - フォントのテーブル
+ * @param {number} glyphId - グリフ番号
+ * @returns {Array<Array<Array<number>>>} 輪郭（閉じたポリゴン）の配列
+ */
+function readGlyphContours(tables, glyphId) {
+    const longOffsets = tables.head.readInt16BE(50) === 1;
+    const locaAt = index => (longOffsets ? tables.loca.readUInt32BE(index * 4) : tables.loca.readUInt16BE(index * 2) * 2);
+    const start = locaAt(glyphId);
+    const end = locaAt(glyphId + 1);
+    if (start === end) {
+        return []; // 空白のグリフ
+    }
+
+    const glyf = tables.glyf;
+    const contourCount = glyf.readInt16BE(start);
+    if (contourCount < 0) {
+        // 複合グリフ（構成するグリフの輪郭を平行移動して結合する）
+        const contours = [];
+        let offset = start + 10;
+        let flags;
+        do {
+            flags = glyf.readUInt16BE(offset);
+            const componentId = glyf.readUInt16BE(offset + 2);
+            offset += 4;
+            let dx = 0;
+            let dy = 0;
+            if (flags & 0x0001) {
+                dx = glyf.readInt16BE(offset);
+                dy = glyf.readInt16BE(offset + 2);
+                offset += 4;
+            } else {
+                dx = glyf.readInt8(offset);
+                dy = glyf.readInt8(offset + 1);
+                offset += 2;
+            }
+            if (flags & 0x0008) offset += 2;
+            else if (flags & 0x0040) offset += 4;
+            else if (flags & 0x0080) offset += 8;
+            for (const contour of readGlyphContours(tables, componentId)) {
+                contours.push(contour.map(([x, y]) => [x + dx, y + dy]));
+            }
+        } while (flags & 0x0020);
+        return contours;
+    }
+
+    let offset = start + 10;
+    const endPoints = [];
+    for (let i = 0; i < contourCount; i++) {
+        endPoints.push(glyf.readUInt16BE(offset));
+        offset += 2;
+    }
+    const pointCount = endPoints.length > 0 ? endPoints[endPoints.length - 1] + 1 : 0;
+    offset += 2 + glyf.readUInt16BE(offset); // 命令
+
+    const flags = [];
+    while (flags.length < pointCount) {
+        const flag = glyf[offset++];
+        flags.push(flag);
+        if (flag & 0x08) {
+            const repeat = glyf[offset++];
+            for (let r = 0; r < repeat; r++) flags.push(flag);
+        }
+    }
+    const readCoordinates = (shortBit, sameBit) => {
+        const values = [];
+        let value = 0;
+        for (const flag of flags) {
+            if (flag & shortBit) {
+                const delta = glyf[offset++];
+                value += flag & sameBit ? delta : -delta;
+            } else if (!(flag & sameBit)) {
+                value += glyf.readInt16BE(offset);
+                offset += 2;
+            }
+            values.push(value);
+        }
+        return values;
+    };
+    const xs = readCoordinates(0x02, 0x10);
+    const ys = readCoordinates(0x04, 0x20);
+
+    const contours = [];
+    let first = 0;
+    for (const last of endPoints) {
+        const points = [];
+        for (let i = first; i <= last; i++) {
+            points.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 0x01) !== 0 });
+        }
+        contours.push(flattenContour(points));
+        first = last + 1;
+    }
+    return contours;
+}
+
+/**
+ * TrueTypeの輪郭（オンカーブ・オフカーブの点）をポリゴンに変換する
+ * @param {Array<Object>} points - 点の配列 [{x, y, onCurve}, ...]
+ * @returns {Array<Array<number>>} ポリゴンの頂点の配列
+ */
+function flattenContour(points) {
+    if (points.length === 0) {
+        return [];
+    }
+    // オンカーブの点から始める（ない場合は最初の2点の中点）
+    let startIndex = points.findIndex(point => point.onCurve);
+    const start = startIndex === -1 ?
+        { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2, onCurve: true } : points[startIndex];
+    if (startIndex === -1) startIndex = 0;
+
+    const polygon = [[start.x, start.y]];
+    let previous = start;
+    let control = null;
+    const quadraticTo = (to) => {
+        for (let t = 1; t <= 8; t++) {
+            const s = t / 8;
+            polygon.push([
+                (1 - s) * (1 - s) * previous.x + 2 * (1 - s) * s * control.x + s * s * to.x,
+                (1 - s) * (1 - s) * previous.y + 2 * (1 - s) * s * control.y + s * s * to.y
+            ]);
+        }
+    };
+    for (let i = 1; i <= points.length; i++) {
+        const point = points[(startIndex + i) % points.length];
+        const target = i === points.length ? start : point;
+        if (target.onCurve) {
+            if (control) {
+                quadraticTo(target);
+                control = null;
+            } else {
+                polygon.push([target.x, target.y]);
+            }
+            previous = target;
+        } else if (control) {
+            // 連続するオフカーブの点の中点は暗黙のオンカーブの点
+            const middle = { x: (control.x + target.x) / 2, y: (control.y + target.y) / 2 };
+            quadraticTo(middle);
+            previous = middle;
+            control = target;
+        } else {
+            control = target;
+        }
+    }
+    return polygon;
+}
+
+/**
+ * 点がポリゴンの内側かどうか（非ゼロ回転数規則）
+ * @param {Array<Array<Array<number>>>} contours - ポリゴンの配列
+ * @param {number} x - X座標
+ * @param {number} y - Y座標
+ * @returns {boolean} 内側の場合はtrue
+ */
+function isInside(contours, x, y) {
+    let winding = 0;
+    for (const contour of contours) {
+        for (let i = 0; i < contour.length; i++) {
+            const [x0, y0] = contour[i];
+            const [x1, y1] = contour[(i + 1) % contour.length];
+            if (y0 <= y && y1 > y) {
+                if ((x1 - x0) * (y - y0) - (x - x0) * (y1 - y0) > 0) winding++;
+            } else if (y0 > y && y1 <= y) {
+                if ((x1 - x0) * (y - y0) - (x - x0) * (y1 - y0) < 0) winding--;
+            }
+        }
+    }
+    return winding !== 0;
+}
+
+/**
+ * グリフを16×16ドットのビットマップに変換する
+ * ドットのグリッド（上端: GRID_TOP、幅・高さ: 1em）を16×16に分割し、各ドットの中心で判定する
+ * @param {Array<Array<Array<number>>>} contours - グリフの輪郭
+ * @param {number} unitsPerEm - 1emあたりのフォントの単位
+ * @returns {Buffer} 1行2バイト（左端のドットが最上位ビット）×16行のビットマップ
+ */
+function rasterizeGlyph(contours, unitsPerEm) {
+    const dot = unitsPerEm / GLYPH_SIZE;
+    const bitmap = Buffer.alloc(GLYPH_SIZE * 2);
+    for (let row = 0; row < GLYPH_SIZE; row++) {
+        let bits = 0;
+        for (let col = 0; col < GLYPH_SIZE; col++) {
+            if (isInside(contours, (col + 0.5) * dot, GRID_TOP - (row + 0.5) * dot)) {
+                bits |= 0x8000 >> col;
+            }
+        }
+        bitmap.writeUInt16BE(bits, row * 2);
+    }
+    return bitmap;
+}
+
+/**
+ * JIS X 0208の全角文字（非漢字・第1水準漢字・第2水準漢字）の一覧を取得する
+ * @returns {Array<string>} 文字の配列
+ */
+function getJISX0208Chars() {
+    const decoder = new TextDecoder('euc-jp');
+    const chars = [];
+    for (let row = 0xA1; row <= 0xF4; row++) {
+        for (let cell = 0xA1; cell <= 0xFE; cell++) {
+            const char = decoder.decode(Buffer.from([row, cell]));
+            if (char !== '�' && Array.from(char).length === 1) {
+                chars.push(char);
+            }
+        }
+    }
+    return chars;
+}
+
+function main() {
+    const fontDir = path.join(path.dirname(require.resolve('@fontsource/dotgothic16/package.json')), 'files');
+
+    // 全サブセットのWOFFファイルからグリフを集める
+    const glyphs = new Map();
+    let unitsPerEm = null;
+    for (const file of fs.readdirSync(fontDir).filter(name => name.endsWith('.woff')).sort()) {
+        const tables = readWoffTables(fs.readFileSync(path.join(fontDir, file)));
+        unitsPerEm = unitsPerEm || tables.head.readUInt16BE(18);
+        for (const [code, glyphId] of readCmap(tables.cmap)) {
+            if (!glyphs.has(code)) {
+                glyphs.set(code, { tables, glyphId });
+            }
+        }
+    }
+
+    // 収録する文字（コードポイント順、フォントにない文字は除く）
+    const targetChars = new Set([...getJISX0208Chars(), ...Array.from(EXTRA_CHARS)]);
+    const chars = [...targetChars]
+        .filter(char => char.codePointAt(0) > 0x7F && glyphs.has(char.codePointAt(0)))
+        .sort((a, b) => a.codePointAt(0) - b.codePointAt(0));
+
+    const bitmaps = chars.map(char => {
+        const { tables, glyphId } = glyphs.get(char.codePointAt(0));
+        return rasterizeGlyph(readGlyphContours(tables, glyphId), unitsPerEm);
+    });
+    const data = zlib.deflateSync(Buffer.concat(bitmaps), { level: 9 }).toString('base64');
+
+    // ベースライン（emボックスの上端からのドット数）
+    const baseline = Math.round(GRID_TOP / (unitsPerEm / GLYPH_SIZE) * 100) / 100;
+    const license = fs.readFileSync(path.join(fontDir, '..', 'LICENSE'), 'utf-8');
+    const copyright = license.split('\n')[0].trim();
+
+    const output = `/**
+ * ビットマップフォント（PNG出力用の組み込みフォント、全角文字）
+ *
+ * JIS X 0208の全角文字（非漢字・第1水準漢字・第2水準漢字）の16×16ドットのビットマップです。
+ * ASCII文字はストロークフォント（strokeFont.js）で描画し、それ以外の文字をこのフォントで描画します。
+ * このファイルはbuild-bitmap-font.jsで生成しています（直接編集しないでください）。
+ *
+ * グリフのデータはDotGothic16から抽出しています。
+ * ${copyright}
+ * SIL Open Font License, Version 1.1（OFL-DotGothic16.txtを参照）
+ *
+ * 座標系:
+ *   - 1文字は16×16ドット（全角1文字の幅・高さ1emに対応）
+ *   - 1行は2バイト（左端のドットが最上位ビット）、上の行から順に16行
+ *   - ベースラインは上端から${baseline}ドット
+ */
+
+const zlib = require('zlib');
+
+// 収録している文字（コードポイント順）
+const CHARS = '${chars.join('').replace(/\\/g, '\\\\').replace(/'/g, "\\'")}';
+
+// ビットマップ（1文字${GLYPH_SIZE * 2}バイトをCHARSの順に連結し、deflateで圧縮してBase64にしたもの）
+const DATA = '${data}';
+
+// 展開したビットマップと、文字 -> CHARS内の位置の対応（最初に使用するときに作成）
+let bitmaps = null;
+let charIndexes = null;
+
+/**
+ * 文字のビットマップを取得
+ * @param {string} char - 文字
+ * @returns {Array<number>|null} 行ごとのビットの配列（16行、左端のドットが0x8000）（収録していない場合はnull）
+ */
+function getBitmap(char) {
+    if (!bitmaps) {
+        bitmaps = zlib.inflateSync(Buffer.from(DATA, 'base64'));
+        charIndexes = new Map(Array.from(CHARS).map((c, index) => [c, index]));
+    }
+    const index = charIndexes.get(char);
+    if (index === undefined) {
+        return null;
+    }
+
+    const rows = [];
+    for (let row = 0; row < ${GLYPH_SIZE}; row++) {
+        rows.push(bitmaps.readUInt16BE(index * ${GLYPH_SIZE * 2} + row * 2));
+    }
+    return rows;
+}
+
+module.exports = {
+    // ビットマップの寸法（ドット）
+    GLYPH_SIZE: ${GLYPH_SIZE},
+    BASELINE: ${baseline},
+    getBitmap
+};
+`;
+
+    fs.writeFileSync(outputPath, output, 'utf-8');
+    fs.writeFileSync(licensePath, license, 'utf-8');
+    console.log(`✓ ${path.basename(outputPath)}を生成しました（${chars.length}文字、${(Buffer.byteLength(output) / 1024).toFixed(1)} KB）`);
+}
+
+// WOFFファイルの読み込みはbuild-font-metrics.jsでも使用する
+if (require.main === module) {
+    main();
+}
+
+module.exports = { readWoffTables, readCmap };
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * 文字幅テーブル生成スクリプト
+ * Noto Sans JP（@fontsource/noto-sans-jpのWOFFファイル、標準の太さ）のhmtxテーブルから送り幅を読み込み、
+ * src/textMeasurer.jsのGlyphTableTextMeasurer.FONT_TABLESの'noto-sans-jp'のテーブルを更新します
+ *
+ * - ascii: ASCII文字（0x20〜0x7E）の送り幅
+ * - halfWidth: 半角カナ（ｱ）の送り幅
+ * - fullWidth: 全角文字（あ）の送り幅
+ * 送り幅は1000単位に換算します
+ *
+ * 使い方: npm install（devDependenciesの@fontsource/noto-sans-jp）の後、node build-font-metrics.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readWoffTables, readCmap } = require('./build-bitmap-font');
+
+const targetPath = path.join(__dirname, 'src', 'textMeasurer.js');
+
+// 半角・全角の幅の基準にする文字
+const HALF_WIDTH_CHAR = 'ｱ';
+const FULL_WIDTH_CHAR = 'あ';
+
+/**
+ * hmtxテーブルからグリフの送り幅を取得する
+ * @param {Object} tables - フォントのテーブル
+ * @param {number} glyphId - グリフ番号
+ * @returns {number} 送り幅（フォントの単位）
+ */
+function readAdvanceWidth(tables, glyphId) {
+    // numberOfHMetrics以降のグリフは最後の送り幅を使用する
+    const metricCount = tables.hhea.readUInt16BE(34);
+    return tables.hmtx.readUInt16BE(Math.min(glyphId, metricCount - 1) * 4);
+}
+
+/**
+ * 送り幅の配列を1行16個で整形する
+ * @param {Array<number>} widths - 送り幅の配列
+ * @param {string} indent - 行頭のインデント
+ * @returns {string} 整形した文字列
+ */
+function formatWidths(widths, indent) {
+    const lines = [];
+    for (let i = 0; i < widths.length; i += 16) {
+        lines.push(indent + widths.slice(i, i + 16).join(', '));
+    }
+    return lines.join(',\n');
+}
+
+function main() {
+    const fontDir = path.join(path.dirname(require.resolve('@fontsource/noto-sans-jp/package.json')), 'files');
+
+    // 全サブセットのWOFFファイル（標準の太さ）から送り幅を集める
+    const widths = new Map();
+    for (const file of fs.readdirSync(fontDir).filter(name => name.endsWith('-400-normal.woff')).sort()) {
+        const tables = readWoffTables(fs.readFileSync(path.join(fontDir, file)));
+        const unitsPerEm = tables.head.readUInt16BE(18);
+        for (const [code, glyphId] of readCmap(tables.cmap)) {
+            if (!widths.has(code)) {
+                widths.set(code, Math.round(readAdvanceWidth(tables, glyphId) * 1000 / unitsPerEm));
+            }
+        }
+    }
+
+    const widthOf = char => {
+        const width = widths.get(char.codePointAt(0));
+        if (width === undefined) {
+            throw new Error(`Glyph not found: U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+        }
+        return width;
+    };
+    const ascii = [];
+    for (let code = 0x20; code <= 0x7E; code++) {
+        ascii.push(widthOf(String.fromCharCode(code)));
+    }
+
+    const source = fs.readFileSync(targetPath, 'utf-8');
+    const pattern = /( +)\/\/ Noto Sans JP[^\n]*\n( +)'noto-sans-jp': \{[\s\S]*?\n\2\}/;
+    if (!pattern.test(source)) {
+        throw new Error(`Noto Sans JP table not found in ${targetPath}`);
+    }
+    const output = source.replace(pattern, (match, commentIndent, indent) => [
+        `${commentIndent}// Noto Sans JP（欧文はプロポーショナル、和文は全角幅。build-font-metrics.jsで生成）`,
+        `${indent}'noto-sans-jp': {`,
+        `${indent}    ascii: [`,
+        formatWidths(ascii, `${indent}        `),
+        `${indent}    ],`,
+        `${indent}    halfWidth: ${widthOf(HALF_WIDTH_CHAR)},`,
+        `${indent}    fullWidth: ${widthOf(FULL_WIDTH_CHAR)}`,
+        `${indent}}`
+    ].join('\n'));
+
+    fs.writeFileSync(targetPath, output, 'utf-8');
+    console.log(`✓ ${path.relative(__dirname, targetPath)}のNoto Sans JPの文字幅テーブルを更新しました`);
+}
+
+main();
@@ -2,16 +2,23 @@
 
 /**
  * 統合ファイル生成スクリプト
- * src/dateChart.js, src/histogramChart.js と src/main.js を統合して chartcanvas.js を生成します
+ * src/dataParser.js, src/theme.js, src/textMeasurer.js, src/axisScale.js, src/derivedSeries.js, src/dateChart.js, src/histogramChart.js, src/pieChart.js, src/scatterChart.js, src/boxPlotChart.js と src/main.js を統合して chartcanvas.js を生成します
  */
 
 const fs = require('fs');
 const path = require('path');
 
 // ファイルパス
+const dataParserPath = path.join(__dirname, 'src', 'dataParser.js');
+const themePath = path.join(__dirname, 'src', 'theme.js');
+const textMeasurerPath = path.join(__dirname, 'src', 'textMeasurer.js');
+const axisScalePath = path.join(__dirname, 'src', 'axisScale.js');
+const derivedSeriesPath = path.join(__dirname, 'src', 'derivedSeries.js');
 const dateChartPath = path.join(__dirname, 'src', 'datechart.js');
 const histogramChartPath = path.join(__dirname, 'src', 'histogramChart.js');
 const pieChartPath = path.join(__dirname, 'src', 'pieChart.js');
+const scatterChartPath = path.join(__dirname, 'src', 'scatterChart.js');
+const boxPlotChartPath = path.join(__dirname, 'src', 'boxPlotChart.js');
 const mainPath = path.join(__dirname, 'src', 'main.js');
 const outputPath = path.join(__dirname, 'chartcanvas.js');
 
@@ -72,9 +79,16 @@ function build() {
     }
     
     // ファイルを読み込む
+    const dataParserContent = readFile(dataParserPath);
+    const themeContent = readFile(themePath);
+    const textMeasurerContent = readFile(textMeasurerPath);
+    const axisScaleContent = readFile(axisScalePath);
+    const derivedSeriesContent = readFile(derivedSeriesPath);
     const dateChartContent = readFile(actualDateChartPath);
     const histogramChartContent = readFile(histogramChartPath);
     const pieChartContent = readFile(pieChartPath);
+    const scatterChartContent = readFile(scatterChartPath);
+    const boxPlotChartContent = readFile(boxPlotChartPath);
     const mainContent = readFile(mainPath);
     
     // デバッグ: 読み込んだファイルの内容を確認
@@ -84,6 +98,36 @@ function build() {
         console.log('✓ dateChart.jsに "if (autoMode)" が見つかりました');
     }
     
+    // dataParser.jsからグローバルスコープへの公開部分を削除
+    const dataParserWithoutExport = dataParserContent.replace(
+        /\/\/ グローバルスコープに公開[\s\S]*$/,
+        ''
+    ).trim();
+    
+    // theme.jsからグローバルスコープへの公開部分を削除
+    const themeWithoutExport = themeContent.replace(
+        /\/\/ グローバルスコープに公開[\s\S]*$/,
+        ''
+    ).trim();
+    
+    // textMeasurer.jsからグローバルスコープへの公開部分を削除
+    const textMeasurerWithoutExport = textMeasurerContent.replace(
+        /\/\/ グローバルスコープに公開[\s\S]*$/,
+        ''
+    ).trim();
+    
+    // axisScale.jsからグローバルスコープへの公開部分を削除
+    const axisScaleWithoutExport = axisScaleContent.replace(
+        /\/\/ グローバルスコープに公開[\s\S]*$/,
+        ''
+    ).trim();
+    
+    // derivedSeries.jsからグローバルスコープへの公開部分を削除
+    const derivedSeriesWithoutExport = derivedSeriesContent.replace(
+        /\/\/ グローバルスコープに公開[\s\S]*$/,
+        ''
+    ).trim();
+    
     // dateChart.jsからグローバルスコープへの公開部分を削除
     // (最後にまとめて追加するため)
     const dateChartWithoutExport = dateChartContent.replace(
@@ -103,6 +147,18 @@ function build() {
         ''
     ).trim();
     
+    // scatterChart.jsからグローバルスコープへの公開部分を削除
+    const scatterChartWithoutExport = scatterChartContent.replace(
+        /\/\/ グローバルスコープに公開[\s\S]*$/,
+        ''
+    ).trim();
+    
+    // boxPlotChart.jsからグローバルスコープへの公開部分を削除
+    const boxPlotChartWithoutExport = boxPlotChartContent.replace(
+        /\/\/ グローバルスコープに公開[\s\S]*$/,
+        ''
+    ).trim();
+    
     // main.jsからグローバルスコープへの公開部分を取得
     const mainExportMatch = mainContent.match(/\/\/ グローバルスコープに公開[\s\S]*$/);
     const mainExport = mainExportMatch ? mainExportMatch[0] : '';
@@ -114,14 +170,29 @@ function build() {
     ).trim();
     
     // 統合ファイルの内容を構築
-    // 順序: DateChart関連クラス → HistogramChart関連クラス → PieChart関連クラス → ChartCanvasクラス → グローバルスコープへの公開
+    // 順序: DataParser → ChartTheme → TextMeasurer関連クラス → AxisScale → DerivedSeries → DateChart関連クラス → HistogramChart関連クラス → PieChart関連クラス → ScatterChart関連クラス → BoxPlotChart関連クラス → ChartCanvasクラス → グローバルスコープへの公開
     const integratedContent = headerComment +
+        dataParserWithoutExport + '\n\n' +
+        themeWithoutExport + '\n\n' +
+        textMeasurerWithoutExport + '\n\n' +
+        axisScaleWithoutExport + '\n\n' +
+        derivedSeriesWithoutExport + '\n\n' +
         dateChartWithoutExport + '\n\n' +
         histogramChartWithoutExport + '\n\n' +
         pieChartWithoutExport + '\n\n' +
+        scatterChartWithoutExport + '\n\n' +
+        boxPlotChartWithoutExport + '\n\n' +
         mainWithoutExport + '\n\n' +
         '// グローバルスコープに公開\n' +
         'window.ChartCanvas = ChartCanvas;\n' +
+        'window.DataParser = DataParser;\n' +
+        'window.ChartTheme = ChartTheme;\n' +
+        'window.TextMeasurer = TextMeasurer;\n' +
+        'window.FixedWidthTextMeasurer = FixedWidthTextMeasurer;\n' +
+        'window.GlyphTableTextMeasurer = GlyphTableTextMeasurer;\n' +
+        'window.CanvasTextMeasurer = CanvasTextMeasurer;\n' +
+        'window.AxisScale = AxisScale;\n' +
+        'window.DerivedSeries = DerivedSeries;\n' +
         'window.DateChart = DateChart;\n' +
         'window.LineSeries = LineSeries;\n' +
         'window.BarSeries = BarSeries;\n' +
@@ -131,7 +202,13 @@ function build() {
         'window.HistogramSeries = HistogramSeries;\n' +
         'window.HistogramTSVLoader = HistogramTSVLoader;\n' +
         'window.PieChart = PieChart;\n' +
-        'window.PieTsvLoader = PieTsvLoader;\n';
+        'window.PieTsvLoader = PieTsvLoader;\n' +
+        'window.ScatterChart = ScatterChart;\n' +
+        'window.ScatterSeries = ScatterSeries;\n' +
+        'window.ScatterTSVLoader = ScatterTSVLoader;\n' +
+        'window.BoxPlotChart = BoxPlotChart;\n' +
+        'window.BoxPlotSeries = BoxPlotSeries;\n' +
+        'window.BoxPlotTSVLoader = BoxPlotTSVLoader;\n';
     
     // ファイルを書き込む
     writeFile(outputPath, integratedContent);
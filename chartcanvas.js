@@ -7,3846 +7,10546 @@
  * @version 1.0.0
  */
 
-function normalizeDate(dateStr, dateFormat = 'auto') {
-    if (!dateStr || typeof dateStr !== 'string') {
-        return dateStr;
-    }
-    
-    // 既にYYYYMMDD形式の場合
-    if (dateStr.match(/^\d{8}$/)) {
-        return dateStr;
-    }
-    
-    // 日付形式を自動検出または指定された形式を使用
-    let detectedFormat = dateFormat;
-    if (dateFormat === 'auto') {
-        if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            detectedFormat = 'YYYY-MM-DD';
-        } else if (dateStr.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            detectedFormat = 'YYYY/MM/DD';
-        } else if (dateStr.match(/^\d{8}$/)) {
-            detectedFormat = 'YYYYMMDD';
-        } else {
-            // 形式が不明な場合はそのまま返す
-            return dateStr;
-        }
-    }
-    
-    // 形式に応じて変換
-    if (detectedFormat === 'YYYY-MM-DD') {
-        return dateStr.replace(/-/g, '');
-    } else if (detectedFormat === 'YYYY/MM/DD') {
-        return dateStr.replace(/\//g, '');
-    } else if (detectedFormat === 'YYYYMMDD') {
-        return dateStr;
-    }
-    
-    // フォールバック: ハイフンとスラッシュを削除
-    return dateStr.replace(/[-/]/g, '');
-}
-
 /**
- * DateChart - 日付チャートクラス
- * 時系列データ（X軸が日付）のチャートを管理するクラス
+ * DataParser - 入力データの解析クラス
+ * 区切り文字形式（TSV/CSV、RFC 4180準拠）、JSON（オブジェクトの配列）、NDJSONを
+ * 共通の表形式 {headers, rows} に変換する。
+ * TSVLoader、HistogramTSVLoader、PieTsvLoader、CLIで共通して使用する。
  */
-class DateChart {
-    /**
-     * コンストラクタ
-     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
-     */
-    constructor(chartCanvas) {
-        this.chartCanvas = chartCanvas;
-        
-        // X軸の設定
-        this.xAxisTitle = '';
-        
-        // Y軸（主軸）の設定
-        this.yAxisTitle = '';
-        this.yAxisScale = '';
-        this.yAxisFormat = '#,##0';
-        
-        // 2軸の設定
-        this.secondAxis = false;
-        this.secondAxisTitle = '';
-        this.secondAxisScale = '';
-        this.secondAxisFormat = '#,##0';
-        
-        // データ系列を保持
-        this.lines = [];
-        this.bars = [];
-    }
+class DataParser {
+    // 対応しているデータ形式
+    static FORMATS = ['auto', 'tsv', 'csv', 'json', 'ndjson'];
+
+    // 自動検出の対象とする区切り文字（同数の場合は先頭を優先）
+    static DELIMITERS = ['\t', ',', ';'];
 
     /**
-     * 線グラフを追加
-     * @param {Object} options - 線グラフのオプション
-     * @param {string} options.title - 系列のタイトル
-     * @param {string} options.color - 線の色
-     * @param {number} options.lineWidth - 線の太さ
-     * @param {string} options.lineType - 線の種類（'solid', 'dashed', 'dotted'など）
-     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
-     * @returns {LineSeries} LineSeriesインスタンス
+     * テキストを解析して表形式のデータに変換
+     * @param {string} text - 入力テキスト
+     * @param {string} format - データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと、各行の列の値（文字列）の配列
      */
-    addLine(options = {}) {
-        const line = new LineSeries(this, options);
-        this.lines.push(line);
-        return line;
+    static parse(text, format = 'auto') {
+        if (!DataParser.FORMATS.includes(format)) {
+            throw new Error(`Invalid format: ${format}. Must be one of: ${DataParser.FORMATS.join(', ')}`);
+        }
+
+        // BOMを取り除く
+        let source = String(text ?? '');
+        if (source.charCodeAt(0) === 0xFEFF) {
+            source = source.slice(1);
+        }
+
+        const actualFormat = format === 'auto' ? DataParser.detectFormat(source) : format;
+        switch (actualFormat) {
+            case 'json':
+                return DataParser.parseJSON(source);
+            case 'ndjson':
+                return DataParser.parseNDJSON(source);
+            case 'csv':
+                return DataParser.parseDelimited(source, ',');
+            case 'tsv':
+                return DataParser.parseDelimited(source, '\t');
+            default:
+                return DataParser.parseDelimited(source, DataParser.detectDelimiter(source));
+        }
     }
 
     /**
-     * 棒グラフを追加
-     * @param {Object} options - 棒グラフのオプション
-     * @param {string} options.title - 系列のタイトル
-     * @param {string} options.color - 棒の色
-     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
-     * @returns {BarSeries} BarSeriesインスタンス
+     * テキストの内容からデータ形式を検出
+     * '['で始まる場合はJSON、'{'で始まる場合はNDJSON、それ以外は区切り文字形式とする
+     * @param {string} text - 入力テキスト
+     * @returns {string} データ形式（'json', 'ndjson', 'delimited'）
      */
-    addBar(options = {}) {
-        const bar = new BarSeries(this, options);
-        this.bars.push(bar);
-        return bar;
+    static detectFormat(text) {
+        const firstChar = String(text).trimStart().charAt(0);
+        if (firstChar === '[') {
+            return 'json';
+        }
+        if (firstChar === '{') {
+            return 'ndjson';
+        }
+        return 'delimited';
     }
 
     /**
-     * TSVローダーを取得
-     * @param {string} url - TSVファイルのURL
-     * @returns {TSVLoader} TSVLoaderインスタンス
+     * ヘッダー行の内容から区切り文字を検出
+     * 引用符の外にある区切り文字の候補を数え、最も多いものを選ぶ（見つからない場合はタブ）
+     * @param {string} text - 入力テキスト
+     * @returns {string} 区切り文字
      */
-    tsvLoader(url) {
-        return new TSVLoader(this, url);
+    static detectDelimiter(text) {
+        const counts = new Map(DataParser.DELIMITERS.map(delimiter => [delimiter, 0]));
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+
+        let bestDelimiter = DataParser.DELIMITERS[0];
+        for (const delimiter of DataParser.DELIMITERS) {
+            if (counts.get(delimiter) > counts.get(bestDelimiter)) {
+                bestDelimiter = delimiter;
+            }
+        }
+        return bestDelimiter;
     }
 
     /**
-     * Y軸のスケールを計算
-     * @param {boolean} isSecondAxis - 副軸かどうか
-     * @returns {Object} スケール情報 {max, tickCount, labels}
+     * 区切り文字形式のテキストを解析（RFC 4180準拠）
+     * - 引用符（"）で囲まれたフィールドには区切り文字や改行を含められる
+     * - 引用符内の "" は " として扱う
+     * - 改行はCRLF、LF、CRのいずれにも対応
+     * - 空行（すべての列が空白の行）は無視する
+     * @param {string} text - 入力テキスト
+     * @param {string} delimiter - 区切り文字
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと各行の列の値
      */
-    calculateYAxisScale(isSecondAxis = false) {
-        // 対象の系列を取得
-        const targetSeries = [];
-        
-        // 線グラフと棒グラフの両方から対象系列を収集
-        for (const line of this.lines) {
-            if (line.secondAxis === isSecondAxis && line.data.length > 0) {
-                targetSeries.push(line);
+    static parseDelimited(text, delimiter = '\t') {
+        const records = [];
+        let record = [];
+        let i = 0;
+        const length = text.length;
+
+        while (i < length) {
+            let field = '';
+            if (text[i] === '"') {
+                // 引用符で囲まれたフィールド
+                i++;
+                while (i < length) {
+                    const quoteIndex = text.indexOf('"', i);
+                    if (quoteIndex === -1) {
+                        // 閉じる引用符がない場合は末尾までをフィールドとする
+                        field += text.slice(i);
+                        i = length;
+                        break;
+                    }
+                    field += text.slice(i, quoteIndex);
+                    i = quoteIndex + 1;
+                    if (text[i] === '"') {
+                        // エスケープされた引用符
+                        field += '"';
+                        i++;
+                    } else {
+                        break;
+                    }
+                }
+                // 閉じる引用符の後、区切り文字か改行までの文字はフィールドに含める
+                while (i < length && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') {
+                    field += text[i];
+                    i++;
+                }
+            } else {
+                // 引用符で囲まれていないフィールド
+                const start = i;
+                while (i < length && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') {
+                    i++;
+                }
+                field = text.slice(start, i);
             }
-        }
-        for (const bar of this.bars) {
-            if (bar.secondAxis === isSecondAxis && bar.data.length > 0) {
-                targetSeries.push(bar);
+            record.push(field);
+
+            if (i >= length) {
+                break;
+            }
+            if (text[i] === delimiter) {
+                i++;
+                if (i >= length) {
+                    // 末尾の区切り文字の後の空フィールド
+                    record.push('');
+                }
+                continue;
             }
-        }
 
-        if (targetSeries.length === 0) {
-            return { max: 0, tickCount: 0, labels: [] };
+            // 改行（CRLF、LF、CR）でレコードを確定
+            if (text[i] === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            i++;
+            records.push(record);
+            record = [];
+        }
+        if (record.length > 0) {
+            records.push(record);
         }
 
-        // データから最小値と最大値を取得
-        let minValue = Infinity;
-        let maxValue = -Infinity;
+        const nonEmptyRecords = records.filter(fields => fields.some(field => field.trim() !== ''));
+        if (nonEmptyRecords.length === 0) {
+            return { headers: [], rows: [] };
+        }
+        return {
+            headers: nonEmptyRecords[0],
+            rows: nonEmptyRecords.slice(1)
+        };
+    }
 
-        for (const series of targetSeries) {
-            for (const item of series.data) {
-                const value = item.value;
-                if (value < minValue) minValue = value;
-                if (value > maxValue) maxValue = value;
-            }
+    /**
+     * JSON（オブジェクトの配列）を解析
+     * @param {string} text - 入力テキスト
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと各行の列の値
+     */
+    static parseJSON(text) {
+        if (!text.trim()) {
+            return { headers: [], rows: [] };
         }
 
-        // データがない場合
-        if (minValue === Infinity || maxValue === -Infinity) {
-            return { max: 0, tickCount: 0, labels: [] };
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON data: ${error.message}`);
         }
+        if (!Array.isArray(data)) {
+            throw new Error('JSON data must be an array of objects');
+        }
+        data.forEach((item, index) => {
+            if (!DataParser.isPlainObject(item)) {
+                throw new Error(`JSON data must be an array of objects (invalid item at index ${index})`);
+            }
+        });
 
-        // フォーマットを取得（パーセンテージ判定用）
-        const format = isSecondAxis ? this.secondAxisFormat : this.yAxisFormat;
-        const isPercentage = format.includes('%');
+        return DataParser.objectsToTable(data);
+    }
 
-        // 最小値が0以上の場合: ゼロベース
-        const rangeMin = minValue >= 0 ? 0 : minValue;
-        const range = maxValue - rangeMin;
+    /**
+     * NDJSON（1行に1つのJSONオブジェクト）を解析
+     * @param {string} text - 入力テキスト
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと各行の列の値
+     */
+    static parseNDJSON(text) {
+        const objects = [];
+        const lines = text.split(/\r\n|\n|\r/);
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid NDJSON at line ${index + 1}: ${error.message}`);
+            }
+            if (!DataParser.isPlainObject(item)) {
+                throw new Error(`NDJSON line ${index + 1} must be an object`);
+            }
+            objects.push(item);
+        });
 
-        // ラベル間隔を計算
-        let tickInterval;
-        let maxTickValue;
+        return DataParser.objectsToTable(objects);
+    }
 
-        if (isPercentage) {
-            // パーセンテージの場合: 10%刻み
-            tickInterval = 10;
-            maxTickValue = Math.ceil(maxValue / 10) * 10;
-            if (maxTickValue < 100) maxTickValue = 100;
-        } else {
-            // 通常の数値の場合
-            if (range <= 30) {
-                // 範囲が30以下の場合: 1刻み
-                tickInterval = 1;
-                maxTickValue = Math.ceil(maxValue);
-            } else {
-                // 範囲が30超の場合: 10の倍数で間隔を調整
-                // 適切な間隔を見つける（ラベル数が30個以下になるように）
-                const idealTickCount = 10; // 理想的な目盛りの数
-                const idealInterval = range / idealTickCount;
-                
-                // 10のべき乗で丸める
-                const magnitude = Math.pow(10, Math.floor(Math.log10(idealInterval)));
-                tickInterval = magnitude;
-                
-                // 間隔が小さすぎる場合は次のレベルに上げる
-                if (idealInterval / magnitude > 5) {
-                    tickInterval = magnitude * 5;
-                } else if (idealInterval / magnitude > 2) {
-                    tickInterval = magnitude * 2;
+    /**
+     * オブジェクトの配列を表形式に変換
+     * ヘッダーは各オブジェクトのキーを出現順に集めたもの
+     * @param {Array<Object>} objects - オブジェクトの配列
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと各行の列の値
+     */
+    static objectsToTable(objects) {
+        const headers = [];
+        const headerSet = new Set();
+        for (const item of objects) {
+            for (const key of Object.keys(item)) {
+                if (!headerSet.has(key)) {
+                    headerSet.add(key);
+                    headers.push(key);
                 }
-                
-                // 最大値を間隔の倍数に丸める
-                maxTickValue = Math.ceil(maxValue / tickInterval) * tickInterval;
             }
         }
 
-        // ラベルを生成
-        const labels = [];
-        let currentValue = rangeMin;
-        
-        while (currentValue <= maxTickValue) {
-            labels.push(currentValue);
-            currentValue += tickInterval;
-        }
+        const rows = objects.map(item => headers.map(header => DataParser.valueToString(item[header])));
+        return { headers, rows };
+    }
 
-        // 最大値が含まれていない場合は追加
-        if (labels[labels.length - 1] < maxValue) {
-            labels.push(maxTickValue);
+    /**
+     * JSONの値を列の値（文字列）に変換
+     * @param {*} value - JSONの値
+     * @returns {string} 文字列（null・undefinedの場合は空文字列）
+     */
+    static valueToString(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
         }
+        return String(value);
+    }
 
-        const result = {
-            max: maxTickValue,
-            tickCount: labels.length,
-            labels: labels
-        };
+    /**
+     * プレーンなオブジェクト（配列やnullでないオブジェクト）かどうか
+     * @param {*} value - 値
+     * @returns {boolean} プレーンなオブジェクトの場合はtrue
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
 
-        return result;
+    /**
+     * 表形式のデータを、ヘッダーをキーとするオブジェクトの配列に変換
+     * @param {{headers: string[], rows: string[][]}} table - 表形式のデータ
+     * @returns {Array<Object>} 各行のオブジェクトの配列
+     */
+    static toObjects(table) {
+        return table.rows.map(columns => {
+            const row = {};
+            table.headers.forEach((header, index) => {
+                row[header] = columns[index] || '';
+            });
+            return row;
+        });
     }
 }
 
 /**
- * LineSeries - 線グラフ系列クラス
+ * ChartTheme - テーマ（色・フォント・大きさ・背景）の定義クラス
+ * 組み込みのテーマ（light, dark, print）と、テーマの解決（部分的な指定を組み込みのテーマに重ねる）を提供する。
+ * ChartCanvas.setTheme()とCLIの設定JSONのthemeで使用する。
  */
-class LineSeries {
-    constructor(dateChart, options = {}) {
-        this.dateChart = dateChart;
-        this.title = options.title || '';
-        this.color = options.color || 'black';
-        this.lineWidth = options.lineWidth || 2;
-        this.lineType = options.lineType || 'solid';
-        this.secondAxis = options.secondAxis || false;
-        this.showMarkers = options.showMarkers || false; // マーカーを表示するかどうか
-        this.data = [];
+class ChartTheme {
+    // 組み込みのテーマ
+    static THEMES = {
+        // 明るい背景（デフォルト）
+        light: {
+            name: 'light',
+            palette: null, // 系列・円グラフの色（nullの場合は各グラフの既定の色）
+            fontFamily: "'MS Gothic', 'MS PGothic', 'Courier New', Courier, 'Lucida Console', monospace",
+            fontSize: {
+                normal: 14, // タイトル・ラベルなど
+                small: 10   // 軸の目盛りなど
+            },
+            colors: {
+                text: '#000',
+                background: 'none',     // グラフ全体の背景（'none'の場合は描画しない）
+                plotBackground: 'none', // 描画エリアの背景（'none'の場合は描画しない）
+                axis: '#000',
+                tick: '#000',
+                grid: '#e0e0e0',
+                border: '#fff',         // 円グラフのセグメント・マーカーの境界線
+                leaderLine: '#333',     // 円グラフのラベルの引き出し線
+                crosshair: '#666',
+                tooltipBackground: 'rgba(255, 255, 255, 0.95)',
+                tooltipBorder: '#999'
+            },
+            legend: {
+                fontSize: 14,
+                textColor: '#000'
+            }
+        },
+        // 暗い背景
+        dark: {
+            name: 'dark',
+            palette: ['#4E9FFF', '#FF6B6B', '#51CF66', '#FFA94D', '#CC5DE8', '#FFD43B', '#22B8CF', '#F783AC'],
+            fontFamily: "'MS Gothic', 'MS PGothic', 'Courier New', Courier, 'Lucida Console', monospace",
+            fontSize: {
+                normal: 14,
+                small: 10
+            },
+            colors: {
+                text: '#E0E0E0',
+                background: '#1E1E1E',
+                plotBackground: '#252526',
+                axis: '#B0B0B0',
+                tick: '#B0B0B0',
+                grid: '#3C3C3C',
+                border: '#1E1E1E',
+                leaderLine: '#B0B0B0',
+                crosshair: '#999',
+                tooltipBackground: 'rgba(30, 30, 30, 0.95)',
+                tooltipBorder: '#666'
+            },
+            legend: {
+                fontSize: 14,
+                textColor: '#E0E0E0'
+            }
+        },
+        // 印刷用（白背景、モノクロでも区別しやすい濃淡の色）
+        print: {
+            name: 'print',
+            palette: ['#000000', '#666666', '#999999', '#333333', '#BBBBBB', '#4D4D4D', '#808080', '#1A1A1A'],
+            fontFamily: "'MS Gothic', 'MS PGothic', 'Courier New', Courier, 'Lucida Console', monospace",
+            fontSize: {
+                normal: 14,
+                small: 10
+            },
+            colors: {
+                text: '#000',
+                background: '#fff',
+                plotBackground: 'none',
+                axis: '#000',
+                tick: '#000',
+                grid: '#BDBDBD',
+                border: '#fff',
+                leaderLine: '#000',
+                crosshair: '#666',
+                tooltipBackground: 'rgba(255, 255, 255, 0.95)',
+                tooltipBorder: '#000'
+            },
+            legend: {
+                fontSize: 14,
+                textColor: '#000'
+            }
+        }
+    };
+
+    /**
+     * テーマを解決
+     * テーマ名の場合は組み込みのテーマ、オブジェクトの場合はbase（デフォルト: 'light'）のテーマに指定した項目を重ねたテーマを返す
+     * @param {string|Object|null} theme - テーマ名（'light', 'dark', 'print'）またはテーマのオブジェクト
+     * @returns {Object} 解決したテーマ（すべての項目を持つ）
+     */
+    static resolve(theme = 'light') {
+        if (theme === null || theme === undefined) {
+            return ChartTheme.resolve('light');
+        }
+        if (typeof theme === 'string') {
+            const builtIn = ChartTheme.THEMES[theme];
+            if (!builtIn) {
+                throw new Error(`Invalid theme: ${theme}. Must be one of: ${Object.keys(ChartTheme.THEMES).join(', ')}`);
+            }
+            return ChartTheme.merge(builtIn, {});
+        }
+        if (typeof theme !== 'object' || Array.isArray(theme)) {
+            throw new Error('Invalid theme: must be a theme name or an object');
+        }
+
+        const { base, ...overrides } = theme;
+        return ChartTheme.merge(ChartTheme.resolve(base || 'light'), overrides);
     }
 
     /**
-     * データを追加
-     * @param {string} date - 日付（'YYYYMMDD'形式）
-     * @param {number} value - 値
-     * @param {string} tooltip - ツールチップテキスト（オプション）
+     * テーマに項目を重ねる（fontSize・colors・legendなどのオブジェクトは項目ごとに重ねる）
+     * @param {Object} baseTheme - 元のテーマ
+     * @param {Object} overrides - 重ねる項目
+     * @returns {Object} 新しいテーマ
      */
-    addData(date, value, tooltip = '') {
-        this.data.push({ date, value, tooltip });
+    static merge(baseTheme, overrides) {
+        const result = {};
+        for (const key of Object.keys(baseTheme)) {
+            const value = baseTheme[key];
+            if (Array.isArray(value)) {
+                result[key] = [...value];
+            } else if (value && typeof value === 'object') {
+                result[key] = { ...value };
+            } else {
+                result[key] = value;
+            }
+        }
+        for (const key of Object.keys(overrides)) {
+            const value = overrides[key];
+            if (value && typeof value === 'object' && !Array.isArray(value) && result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+                result[key] = { ...result[key], ...value };
+            } else if (Array.isArray(value)) {
+                result[key] = [...value];
+            } else {
+                result[key] = value;
+            }
+        }
+        return result;
     }
 }
 
 /**
- * BarSeries - 棒グラフ系列クラス
+ * テキストの幅の測定クラス
+ * ChartCanvas.getTextWidth()で使用する測定方法を差し替えられるようにする。
+ * 測定クラスは measureText(text, fontSize, fontFamily) でテキストのピクセル幅を返す。
+ *
+ * - FixedWidthTextMeasurer: 半角・全角の固定幅（等幅フォント向け、従来の計算方法）
+ * - GlyphTableTextMeasurer: 組み込みの文字幅テーブル（DOMなしモードでプロポーショナルフォントを使用する場合）
+ * - CanvasTextMeasurer: CanvasRenderingContext2D.measureText（ブラウザ）
  */
-class BarSeries {
-    constructor(dateChart, options = {}) {
-        this.dateChart = dateChart;
-        this.title = options.title || '';
-        this.color = options.color || 'blue';
-        this.secondAxis = options.secondAxis || false;
-        this.data = [];
-    }
 
+/**
+ * 半角・全角の固定幅でテキストの幅を測定するクラス
+ */
+class FixedWidthTextMeasurer {
     /**
-     * データを追加
-     * @param {string} date - 日付（'YYYYMMDD'形式）
-     * @param {number} value - 値
-     * @param {string} tooltip - ツールチップテキスト（オプション）
+     * コンストラクタ
+     * @param {number} halfWidthRatio - 半角文字の幅（フォントサイズに対する比率、デフォルト: 0.6）
+     * @param {number} fullWidthRatio - 全角文字の幅（フォントサイズに対する比率、デフォルト: 1.0）
      */
-    addData(date, value, tooltip = '') {
-        this.data.push({ date, value, tooltip });
+    constructor(halfWidthRatio = 0.6, fullWidthRatio = 1.0) {
+        this.halfWidthRatio = halfWidthRatio;
+        this.fullWidthRatio = fullWidthRatio;
     }
 
     /**
-     * 比率データを追加（分子/分母で計算）
-     * @param {string} date - 日付（'YYYYMMDD'形式）
-     * @param {number} numerator - 分子
-     * @param {number} denominator - 分母
-     * @param {string} tooltip - ツールチップテキスト（オプション）
+     * テキストの幅を測定
+     * @param {string} text - 測定するテキスト
+     * @param {number} fontSize - フォントサイズ
+     * @returns {number} テキストのピクセル幅
      */
-    addRatioData(date, numerator, denominator, tooltip = '') {
-        const value = denominator !== 0 ? numerator / denominator : 0;
-        this.data.push({ date, value, tooltip });
+    measureText(text, fontSize) {
+        let width = 0;
+        for (let i = 0; i < text.length; i++) {
+            width += TextMeasurer.isHalfWidth(text[i]) ? fontSize * this.halfWidthRatio : fontSize * this.fullWidthRatio;
+        }
+        return width;
     }
 }
 
 /**
- * TSVLoader - TSVローダークラス
+ * 組み込みの文字幅テーブルでテキストの幅を測定するクラス
+ * テーブルはASCII文字（0x20〜0x7E）の送り幅（1000単位）で、それ以外の文字は半角・全角の幅を使用する
  */
-class TSVLoader {
-    constructor(dateChart, url) {
-        this.dateChart = dateChart;
-        this.url = url;
-        this.dateTitle = '';
-        this.valueTitle = ''; // 値列名（autoMode用）
-        this.groupTitle = '';
-        this.commentTitle = ''; // コメント列名
-        this.seriesType = 'line'; // 系列タイプ（'line' または 'bar'）
-        this.seriesOptions = {}; // 系列オプション（lineWidth, lineType, showMarkersなど）
-        // 系列と列名のマッピング: Map<series, columnName> または Map<groupName, Map<series, columnName>>
-        this.seriesMap = new Map();
-        this.groupSeriesMap = new Map(); // グループ列がある場合用
+class GlyphTableTextMeasurer {
+    // フォントごとの文字幅テーブル
+    static FONT_TABLES = {
+        // Helvetica（Arialも同じ送り幅）
+        'helvetica': {
+            ascii: [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ],
+            halfWidth: 556,
+            fullWidth: 1000
+        },
+        // Noto Sans JP（欧文はプロポーショナル、和文は全角幅。build-font-metrics.jsで生成）
+        'noto-sans-jp': {
+            ascii: [
+                224, 323, 474, 555, 555, 921, 680, 278, 338, 338, 467, 555, 278, 347, 278, 392,
+                555, 555, 555, 555, 555, 555, 555, 555, 555, 555, 278, 278, 555, 555, 555, 474,
+                946, 608, 657, 638, 688, 589, 552, 689, 728, 293, 535, 646, 543, 812, 723, 742,
+                633, 742, 635, 596, 599, 721, 575, 878, 573, 531, 603, 338, 392, 338, 555, 559,
+                606, 563, 618, 510, 620, 554, 325, 564, 607, 275, 275, 552, 284, 926, 610, 606,
+                620, 620, 388, 468, 377, 607, 521, 802, 498, 521, 475, 338, 270, 338, 555
+            ],
+            halfWidth: 500,
+            fullWidth: 1000
+        }
+    };
+
+    /**
+     * コンストラクタ
+     * @param {string} tableName - 文字幅テーブルの名前（FONT_TABLESのキー）
+     */
+    constructor(tableName) {
+        const table = GlyphTableTextMeasurer.FONT_TABLES[tableName];
+        if (!table) {
+            throw new Error(`Unknown font table: ${tableName}. Must be one of: ${Object.keys(GlyphTableTextMeasurer.FONT_TABLES).join(', ')}`);
+        }
+        this.tableName = tableName;
+        this.table = table;
     }
 
     /**
-     * 系列と列名を紐づける
-     * @param {LineSeries|BarSeries} series - 系列インスタンス
-     * @param {string} columnName - TSVファイルの列名
-     * @param {string} groupName - グループ名（オプション、グループ列がある場合）
+     * テキストの幅を測定
+     * @param {string} text - 測定するテキスト
+     * @param {number} fontSize - フォントサイズ
+     * @returns {number} テキストのピクセル幅
      */
-    addSeries(series, columnName, groupName = null) {
-        if (groupName !== null && groupName !== undefined) {
-            // グループ列がある場合
-            if (!this.groupSeriesMap.has(groupName)) {
-                this.groupSeriesMap.set(groupName, new Map());
+    measureText(text, fontSize) {
+        let units = 0;
+        for (let i = 0; i < text.length; i++) {
+            const charCode = text.charCodeAt(i);
+            if (charCode >= 0x20 && charCode <= 0x7E) {
+                units += this.table.ascii[charCode - 0x20];
+            } else {
+                units += TextMeasurer.isHalfWidth(text[i]) ? this.table.halfWidth : this.table.fullWidth;
             }
-            this.groupSeriesMap.get(groupName).set(series, columnName);
-        } else {
-            // グループ列がない場合
-            this.seriesMap.set(series, columnName);
         }
+        return units * fontSize / 1000;
     }
+}
 
+/**
+ * CanvasRenderingContext2D.measureTextでテキストの幅を測定するクラス（ブラウザのみ）
+ */
+class CanvasTextMeasurer {
     /**
-     * TSVファイルを読み込む
-     * @returns {Promise<void>}
+     * コンストラクタ
+     * @param {CanvasRenderingContext2D|null} context - 測定に使用するコンテキスト（nullの場合は作成する）
      */
-    async load() {
-        if (!this.dateTitle) {
-            throw new Error('dateTitle must be set');
+    constructor(context = null) {
+        this.context = context || CanvasTextMeasurer.createContext();
+        if (!this.context) {
+            throw new Error('CanvasRenderingContext2D is not available');
         }
+    }
 
-        // valueTitleとgroupTitleが設定されている場合、自動的に系列を作成するモード
-        const autoMode = this.valueTitle && this.groupTitle;
-        
-        console.log('TSVLoader.load(): autoMode =', autoMode);
-        console.log('TSVLoader.load(): this.valueTitle =', this.valueTitle);
-        console.log('TSVLoader.load(): this.groupTitle =', this.groupTitle);
-
-        if (!autoMode && this.seriesMap.size === 0 && this.groupSeriesMap.size === 0) {
-            throw new Error('At least one series must be added using addSeries() or set valueTitle and groupTitle for auto mode');
+    /**
+     * 測定用のコンテキストを作成
+     * @returns {CanvasRenderingContext2D|null} コンテキスト（作成できない場合はnull）
+     */
+    static createContext() {
+        if (typeof document === 'undefined' || !document || !document.createElement) {
+            return null;
         }
+        const canvas = document.createElement('canvas');
+        return canvas.getContext ? canvas.getContext('2d') : null;
+    }
 
-        // TSVファイルを読み込む
-        const response = await fetch(this.url);
-        if (!response.ok) {
-            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
-        }
-        const text = await response.text();
-        const lines = text.split('\n').filter(line => line.trim() !== '');
+    /**
+     * テキストの幅を測定
+     * @param {string} text - 測定するテキスト
+     * @param {number} fontSize - フォントサイズ
+     * @param {string} fontFamily - フォント
+     * @returns {number} テキストのピクセル幅
+     */
+    measureText(text, fontSize, fontFamily) {
+        this.context.font = `${fontSize}px ${fontFamily}`;
+        return this.context.measureText(text).width;
+    }
+}
 
-        if (lines.length === 0) {
-            throw new Error('TSV file is empty');
-        }
+/**
+ * テキストの測定方法の解決
+ */
+class TextMeasurer {
+    // 測定方法の名前
+    static TYPES = ['auto', 'fixed', 'table', 'canvas'];
+
+    // フォント名（小文字）と測定方法の対応（'fixed'または文字幅テーブルの名前）
+    static FONT_FAMILIES = {
+        'ms gothic': 'fixed',
+        'ｍｓ ゴシック': 'fixed',
+        'osaka-mono': 'fixed',
+        'courier new': 'fixed',
+        'courier': 'fixed',
+        'lucida console': 'fixed',
+        'monospace': 'fixed',
+        'helvetica': 'helvetica',
+        'helvetica neue': 'helvetica',
+        'arial': 'helvetica',
+        'liberation sans': 'helvetica',
+        'sans-serif': 'helvetica',
+        'noto sans jp': 'noto-sans-jp',
+        'noto sans cjk jp': 'noto-sans-jp',
+        'source han sans jp': 'noto-sans-jp',
+        'source han sans': 'noto-sans-jp'
+    };
 
-        // ヘッダー行を解析
-        const headerLine = lines[0];
-        const headers = headerLine.split('\t');
-        
-        // 列のインデックスを取得
-        const dateIndex = headers.indexOf(this.dateTitle);
-        if (dateIndex === -1) {
-            throw new Error(`Date column "${this.dateTitle}" not found in TSV file`);
-        }
+    /**
+     * 半角文字かどうか（ASCII文字、半角カナ）
+     * @param {string} char - 文字
+     * @returns {boolean} 半角文字の場合はtrue
+     */
+    static isHalfWidth(char) {
+        const charCode = char.charCodeAt(0);
+        return charCode <= 0x007F || (charCode >= 0xFF61 && charCode <= 0xFF9F);
+    }
 
-        const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
-        if (this.groupTitle && groupIndex === -1) {
-            throw new Error(`Group column "${this.groupTitle}" not found in TSV file`);
+    /**
+     * フォント指定から文字幅テーブルを探す
+     * 先頭から順に既知のフォントを探し、最初に見つかったフォントの測定方法を返す
+     * @param {string} fontFamily - フォント（CSSのfont-family）
+     * @returns {string} 'fixed'または文字幅テーブルの名前（既知のフォントがない場合は'fixed'）
+     */
+    static findFontTable(fontFamily) {
+        const families = String(fontFamily || '').split(',').map(family => family.trim().replace(/^['"]|['"]$/g, '').toLowerCase());
+        for (const family of families) {
+            if (TextMeasurer.FONT_FAMILIES[family]) {
+                return TextMeasurer.FONT_FAMILIES[family];
+            }
         }
+        return 'fixed';
+    }
 
-        const commentIndex = this.commentTitle ? headers.indexOf(this.commentTitle) : -1;
-        const valueIndex = autoMode ? headers.indexOf(this.valueTitle) : -1;
-        
-        if (autoMode && valueIndex === -1) {
-            throw new Error(`Value column "${this.valueTitle}" not found in TSV file`);
+    /**
+     * 測定方法を解決して測定クラスのインスタンスを返す
+     * - 'auto': ブラウザ（DOMモード）ではCanvas、DOMなしモードではフォントに応じた文字幅テーブル（等幅フォント・不明なフォントは固定幅）
+     * - 'fixed': 半角・全角の固定幅
+     * - 'table': フォントに応じた文字幅テーブル（既知のプロポーショナルフォントがない場合はHelvetica）
+     * - 'canvas': CanvasRenderingContext2D.measureText（使用できない場合はエラー）
+     * - オブジェクト: measureText(text, fontSize, fontFamily)を持つ独自の測定クラス
+     * @param {string|Object} measurer - 測定方法の名前、または測定クラスのインスタンス
+     * @param {string} fontFamily - フォント（CSSのfont-family）
+     * @param {boolean} isHeadlessMode - DOMなしモードかどうか
+     * @returns {Object} measureText(text, fontSize, fontFamily)を持つ測定クラスのインスタンス
+     */
+    static resolve(measurer, fontFamily, isHeadlessMode) {
+        if (measurer && typeof measurer === 'object') {
+            if (typeof measurer.measureText !== 'function') {
+                throw new Error('Invalid text measurer: object must have a measureText(text, fontSize, fontFamily) method');
+            }
+            return measurer;
+        }
+        if (!TextMeasurer.TYPES.includes(measurer)) {
+            throw new Error(`Invalid text measurer: ${measurer}. Must be one of: ${TextMeasurer.TYPES.join(', ')}`);
         }
 
-        // 系列と列名のマッピングから列のインデックスを取得
-        const seriesColumnMap = new Map(); // Map<series, {columnIndex, groupName}>
-        
-        if (autoMode) {
-            // autoModeの場合、グループごとに自動的に系列を作成
-            // まず、すべてのグループ名を収集
-            const groupNames = new Set();
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-                const columns = line.split('\t');
-                if (groupIndex >= 0 && columns[groupIndex]) {
-                    groupNames.add(columns[groupIndex].trim());
-                }
-            }
-            
-            console.log('autoMode: グループ名の収集完了', Array.from(groupNames));
-            console.log('autoMode: valueIndex', valueIndex);
-            
-            // 各グループに対して系列を作成
-            const colorPalette = ['red', 'blue', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
-            let colorIndex = 0;
-            
-            for (const groupName of groupNames) {
-                let series;
-                if (this.seriesType === 'bar') {
-                    series = this.dateChart.addBar({
-                        title: groupName,
-                        color: colorPalette[colorIndex % colorPalette.length],
-                        ...this.seriesOptions
-                    });
-                } else {
-                    series = this.dateChart.addLine({
-                        title: groupName,
-                        color: colorPalette[colorIndex % colorPalette.length],
-                        ...this.seriesOptions
-                    });
-                }
-                colorIndex++;
-                
-                console.log('autoMode: 系列を作成', groupName, series);
-                
-                // 系列を直接キーとして使用し、グループ名は値の一部として保持
-                seriesColumnMap.set(series, { columnIndex: valueIndex, groupName });
-            }
-            
-            console.log('autoMode: seriesColumnMap.size', seriesColumnMap.size);
-        } else if (groupIndex >= 0) {
-            // グループ列がある場合（手動モード）
-            for (const [groupName, groupSeriesMap] of this.groupSeriesMap.entries()) {
-                for (const [series, columnName] of groupSeriesMap.entries()) {
-                    const columnIndex = headers.indexOf(columnName);
-                    if (columnIndex === -1) {
-                        throw new Error(`Column "${columnName}" not found in TSV file`);
-                    }
-                    // 系列を直接キーとして使用
-                    seriesColumnMap.set(series, { columnIndex, groupName });
-                }
-            }
-        } else {
-            // グループ列がない場合（手動モード）
-            for (const [series, columnName] of this.seriesMap.entries()) {
-                const columnIndex = headers.indexOf(columnName);
-                if (columnIndex === -1) {
-                    throw new Error(`Column "${columnName}" not found in TSV file`);
-                }
-                seriesColumnMap.set(series, { columnIndex });
+        if (measurer === 'canvas') {
+            return new CanvasTextMeasurer();
+        }
+        if (measurer === 'auto' && !isHeadlessMode) {
+            const context = CanvasTextMeasurer.createContext();
+            if (context) {
+                return new CanvasTextMeasurer(context);
             }
         }
 
-        // データを読み込んで系列に追加
-        const dataBySeries = new Map(); // Map<series, Array<{date, value}>>
-
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            const columns = line.split('\t');
-            const dateStr = columns[dateIndex]?.trim();
-            if (!dateStr) continue;
+        const fontTable = TextMeasurer.findFontTable(fontFamily);
+        if (measurer === 'table') {
+            return new GlyphTableTextMeasurer(fontTable === 'fixed' ? 'helvetica' : fontTable);
+        }
+        if (measurer === 'auto' && fontTable !== 'fixed') {
+            return new GlyphTableTextMeasurer(fontTable);
+        }
+        return new FixedWidthTextMeasurer();
+    }
+}
 
-            // 日付形式をYYYYMMDDに変換（YYYY-MM-DD形式をサポート）
-            let dateFormatted = dateStr;
-            if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                dateFormatted = dateStr.replace(/-/g, '');
-            }
+/**
+ * AxisScale - 軸の範囲と目盛りの計算クラス
+ * DateChartのY軸（主軸・副軸）とHistogramChartのX軸・Y軸で共通の軸の指定
+ * {min, max, tickInterval, tickCount, includeZero} の検証と、線形の軸のスケールの計算、
+ * 値から軸上の位置（比率）への変換（線形・対数・symlog）を提供する。
+ */
+class AxisScale {
+    // 軸の指定の項目
+    static OPTION_KEYS = ['min', 'max', 'tickInterval', 'tickCount', 'includeZero'];
 
-            const groupName = groupIndex >= 0 ? (columns[groupIndex] || '').trim() : null;
+    // symlog軸の定数（-C〜Cの範囲はほぼ線形、それより外側は対数になる）
+    static SYMLOG_CONSTANT = 1;
 
-            // 各系列に対してデータを追加
-            for (const [series, { columnIndex, groupName: expectedGroupName }] of seriesColumnMap.entries()) {
-                // グループ列がある場合、グループ名が一致する場合のみ処理
-                if (groupIndex >= 0 && expectedGroupName !== groupName) {
-                    continue;
-                }
+    // 目盛りの数の上限（tickIntervalが範囲に対して小さすぎる場合のエラー）
+    static MAX_TICK_COUNT = 1000;
 
-                if (columns.length <= columnIndex) {
-                    continue; // 列数が足りない場合はスキップ
-                }
+    /**
+     * 軸の指定を検証して正規化
+     * @param {Object|null} options - 軸の指定
+     * @param {number} options.min - 軸の最小値（省略時はデータから自動計算）
+     * @param {number} options.max - 軸の最大値（省略時はデータから自動計算）
+     * @param {number} options.tickInterval - 目盛りの間隔（0より大きい値）
+     * @param {number} options.tickCount - 目盛りの数の目安（2以上の整数、tickIntervalが優先）
+     * @param {boolean} options.includeZero - 自動計算の範囲に0を含めるかどうか（省略時は軸ごとの既定値）
+     * @param {string} name - エラーメッセージに使用する名前
+     * @returns {Object} 正規化した指定 {min, max, tickInterval, tickCount, includeZero}（省略した項目はnull）
+     */
+    static normalizeOptions(options, name = 'axisOptions') {
+        const normalized = { min: null, max: null, tickInterval: null, tickCount: null, includeZero: null };
+        if (options === null || options === undefined) {
+            return normalized;
+        }
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error(`Invalid ${name}: must be an object`);
+        }
 
-                const valueStr = columns[columnIndex].trim();
-                const value = parseFloat(valueStr);
-                if (isNaN(value)) {
-                    continue; // 数値でない場合はスキップ
-                }
+        for (const key of Object.keys(options)) {
+            if (!AxisScale.OPTION_KEYS.includes(key)) {
+                throw new Error(`Unknown ${name} option: ${key}. Valid options: ${AxisScale.OPTION_KEYS.join(', ')}`);
+            }
+        }
 
-                if (!dataBySeries.has(series)) {
-                    dataBySeries.set(series, []);
-                }
-                
-                // コメントを取得（コメント列が指定されている場合）
-                const comment = (commentIndex >= 0 && columns[commentIndex]) ? columns[commentIndex].trim() : '';
-                
-                dataBySeries.get(series).push({ date: dateFormatted, value, comment });
+        for (const key of ['min', 'max', 'tickInterval', 'tickCount']) {
+            const value = options[key];
+            if (value === null || value === undefined) continue;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Invalid ${name}.${key}: ${value}. Must be a finite number`);
             }
+            normalized[key] = value;
+        }
+        if (normalized.min !== null && normalized.max !== null && normalized.min >= normalized.max) {
+            throw new Error(`Invalid ${name}: min (${normalized.min}) must be less than max (${normalized.max})`);
+        }
+        if (normalized.tickInterval !== null && normalized.tickInterval <= 0) {
+            throw new Error(`Invalid ${name}.tickInterval: ${normalized.tickInterval}. Must be greater than 0`);
+        }
+        if (normalized.tickCount !== null && (!Number.isInteger(normalized.tickCount) || normalized.tickCount < 2)) {
+            throw new Error(`Invalid ${name}.tickCount: ${normalized.tickCount}. Must be an integer of 2 or more`);
         }
 
-        // 各系列に対してデータを追加（日付でソート）
-        for (const [series, data] of dataBySeries.entries()) {
-            data.sort((a, b) => a.date.localeCompare(b.date));
-            
-            // 日付を補完する（開始日から終了日までのすべての日付に対してデータを作成）
-            if (data.length > 0) {
-                const filledData = this.fillMissingDates(data);
-                for (const item of filledData) {
-                    series.addData(item.date, item.value, item.comment || '');
-                }
-            } else {
-                // データがない場合はそのまま追加
-                for (const item of data) {
-                    series.addData(item.date, item.value, item.comment || '');
-                }
+        if (options.includeZero !== null && options.includeZero !== undefined) {
+            if (typeof options.includeZero !== 'boolean') {
+                throw new Error(`Invalid ${name}.includeZero: ${options.includeZero}. Must be a boolean`);
             }
+            normalized.includeZero = options.includeZero;
         }
+
+        return normalized;
     }
 
     /**
-     * 日付の欠損を補完する（開始日から終了日までのすべての日付に対してデータを作成）
-     * @param {Array<{date, value, comment}>} data - ソート済みのデータ配列
-     * @returns {Array<{date, value, comment}>} 補完されたデータ配列
+     * 軸の範囲・目盛りの指定があるかどうか
+     * @param {Object} options - 正規化した軸の指定（normalizeOptionsの戻り値）
+     * @returns {boolean} いずれかの項目が指定されている場合はtrue
      */
-    fillMissingDates(data) {
-        if (data.length === 0) {
-            return [];
-        }
-
-        const filledData = [];
-        const startDate = data[0].date;
-        const endDate = data[data.length - 1].date;
+    static hasOptions(options) {
+        return !!options && AxisScale.OPTION_KEYS.some(key => options[key] !== null && options[key] !== undefined);
+    }
 
-        // 開始日と終了日をDateオブジェクトに変換
-        const start = this.parseDateToDate(startDate);
-        const end = this.parseDateToDate(endDate);
+    /**
+     * 目盛りの間隔を1・2・5×10のべき乗に丸める
+     * @param {number} idealInterval - 理想的な間隔
+     * @param {boolean} roundUp - 理想的な間隔以上に切り上げるかどうか（デフォルト: false、10のべき乗で切り下げてから調整）
+     * @returns {number} 丸めた間隔
+     */
+    static calculateNiceInterval(idealInterval, roundUp = false) {
+        // 10のべき乗で丸める
+        const magnitude = Math.pow(10, Math.floor(Math.log10(idealInterval)));
+        if (roundUp) {
+            const multiplier = [1, 2, 5, 10].find(value => magnitude * value >= idealInterval);
+            return magnitude * multiplier;
+        }
+        let tickInterval = magnitude;
+
+        // 間隔が小さすぎる場合は次のレベルに上げる
+        if (idealInterval / magnitude > 5) {
+            tickInterval = magnitude * 5;
+        } else if (idealInterval / magnitude > 2) {
+            tickInterval = magnitude * 2;
+        }
+        return tickInterval;
+    }
 
-        // データを日付文字列（YYYYMMDD）をキーとするMapに変換
-        const dataMap = new Map();
-        for (const item of data) {
-            dataMap.set(item.date, item);
+    /**
+     * 自動の目盛りの間隔を計算（範囲が30以下の場合は1刻み、30超の場合は目盛りが10個程度になる間隔）
+     * @param {number} range - 軸の範囲
+     * @returns {number} 目盛りの間隔
+     */
+    static calculateAutoInterval(range) {
+        if (range <= 30) {
+            return 1;
         }
+        const idealTickCount = 10; // 理想的な目盛りの数
+        return AxisScale.calculateNiceInterval(range / idealTickCount);
+    }
 
-        // 開始日から終了日までのすべての日付を生成
-        const currentDate = new Date(start);
-        let lastValue = null;
-        let lastComment = '';
-
-        while (currentDate <= end) {
-            const dateStr = this.formatDateToString(currentDate);
-            const existingData = dataMap.get(dateStr);
-
-            if (existingData) {
-                // データが存在する場合はその値を使用
-                filledData.push({
-                    date: dateStr,
-                    value: existingData.value,
-                    comment: existingData.comment || ''
-                });
-                lastValue = existingData.value;
-                lastComment = existingData.comment || '';
-            } else {
-                // データが存在しない場合は前の値を使用（前の値の保持）
-                if (lastValue !== null) {
-                    filledData.push({
-                        date: dateStr,
-                        value: lastValue,
-                        comment: ''
-                    });
-                }
-            }
+    /**
+     * 小数のデータ向けの自動の目盛りの間隔を計算
+     * 範囲が30以下の場合も1刻みにせず、目盛りが10個程度以下になる1・2・5×10のべき乗の間隔にする（例: 0.3〜0.5 → 0.02刻み）
+     * 範囲が30超の場合はcalculateAutoIntervalと同じ
+     * @param {number} range - 軸の範囲
+     * @returns {number} 目盛りの間隔
+     */
+    static calculateFractionalInterval(range) {
+        if (range <= 0 || range > 30) {
+            return AxisScale.calculateAutoInterval(range);
+        }
+        const idealTickCount = 10; // 理想的な目盛りの数
+        return AxisScale.calculateNiceInterval(range / idealTickCount, true);
+    }
 
-            // 次の日へ
-            currentDate.setDate(currentDate.getDate() + 1);
+    /**
+     * 目盛りの数を上限以下に減らす（描画エリアの高さに対して目盛りが多すぎる場合）
+     * 上限を超える場合は、目盛りが上限以下になるまで間隔を次の1・2・5×10のべき乗に広げて再計算する
+     * @param {Object} scale - 線形の軸のスケール情報（calculateLinearScaleの戻り値）
+     * @param {number|null} maxTickCount - 目盛りの数の上限（nullの場合は制限しない）
+     * @param {Function} recalculate - 間隔を指定してスケールを再計算する関数 (tickInterval) => scale
+     * @returns {Object} スケール情報
+     */
+    static limitTickCount(scale, maxTickCount, recalculate) {
+        if (!maxTickCount || scale.labels.length <= maxTickCount || !(scale.tickInterval > 0)) {
+            return scale;
         }
 
-        return filledData;
+        let tickInterval = AxisScale.calculateNiceInterval((scale.max - scale.min) / Math.max(1, maxTickCount - 1), true);
+        let limited = recalculate(tickInterval);
+        while (limited.labels.length > Math.max(2, maxTickCount)) {
+            tickInterval = AxisScale.calculateNiceInterval(tickInterval * 1.01, true);
+            limited = recalculate(tickInterval);
+        }
+        return limited;
     }
 
     /**
-     * 日付文字列（YYYYMMDD形式）をDateオブジェクトに変換
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {Date} Dateオブジェクト
+     * 開始値から終了値まで間隔ごとの目盛りの値を生成
+     * @param {number} start - 開始値
+     * @param {number} end - 終了値
+     * @param {number} interval - 間隔
+     * @returns {Array<number>} 目盛りの値の配列
      */
-    parseDateToDate(dateStr) {
-        const year = parseInt(dateStr.substring(0, 4), 10);
-        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // 月は0始まり
-        const day = parseInt(dateStr.substring(6, 8), 10);
-        return new Date(year, month, day);
+    static generateLabels(start, end, interval) {
+        if ((end - start) / interval > AxisScale.MAX_TICK_COUNT) {
+            throw new Error(`Too many ticks: tickInterval ${interval} for the range ${start} to ${end} (max ${AxisScale.MAX_TICK_COUNT} ticks)`);
+        }
+
+        // 浮動小数点の誤差（0.1 * 3 = 0.30000000000000004など）を15桁で丸め、終了値をわずかに超えた目盛りも含める
+        const tolerance = interval * 1e-9;
+        const labels = [];
+        for (let i = 0; start + i * interval <= end + tolerance; i++) {
+            labels.push(parseFloat((start + i * interval).toPrecision(15)));
+        }
+        return labels;
     }
 
     /**
-     * Dateオブジェクトを日付文字列（YYYYMMDD形式）に変換
-     * @param {Date} date - Dateオブジェクト
-     * @returns {string} 日付文字列（'YYYYMMDD'形式）
+     * 線形の軸のスケールを計算
+     * - 範囲: min・maxの指定、またはデータの最小値・最大値（includeZeroの場合は0を含める）を目盛りの間隔の倍数に広げた範囲
+     * - 間隔: tickInterval、tickCount（min・maxの両方を指定した場合はちょうどtickCount個、それ以外は目盛りがtickCount個以下になる1・2・5×10のべき乗）、
+     *   どちらもない場合はgetDefaultInterval(range, upper)
+     * @param {number} minValue - データの最小値
+     * @param {number} maxValue - データの最大値
+     * @param {Object} options - 正規化した軸の指定（normalizeOptionsの戻り値）
+     * @param {boolean} defaultIncludeZero - includeZeroを省略した場合の値
+     * @param {Function} getDefaultInterval - 自動の目盛りの間隔を返す関数 (range, upper) => interval（デフォルト: calculateAutoInterval）
+     * @returns {Object} スケール情報 {min, max, tickInterval, tickCount, labels}
      */
-    formatDateToString(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}${month}${day}`;
+    static calculateLinearScale(minValue, maxValue, options, defaultIncludeZero = true, getDefaultInterval = null) {
+        const includeZero = options.includeZero !== null ? options.includeZero : defaultIncludeZero;
+        let lower = options.min !== null ? options.min : (includeZero ? Math.min(0, minValue) : minValue);
+        let upper = options.max !== null ? options.max : (includeZero ? Math.max(0, maxValue) : maxValue);
+
+        // 指定した最小値がデータより大きい（または最大値がデータより小さい）場合は指定した側に合わせる
+        if (upper < lower) {
+            if (options.min !== null) {
+                upper = lower;
+            } else {
+                lower = upper;
+            }
+        }
+        const range = upper - lower;
+
+        let tickInterval;
+        if (options.tickInterval !== null) {
+            tickInterval = options.tickInterval;
+        } else if (options.tickCount !== null && range > 0) {
+            tickInterval = options.min !== null && options.max !== null ?
+                range / (options.tickCount - 1) :
+                AxisScale.calculateNiceInterval(range / (options.tickCount - 1), true);
+        } else {
+            tickInterval = getDefaultInterval ? getDefaultInterval(range, upper) : AxisScale.calculateAutoInterval(range);
+        }
+
+        // 指定がない端は間隔の倍数に広げる（値が1つだけの場合も1間隔分の範囲を確保する）
+        let minTickValue = options.min !== null ? options.min : Math.floor(lower / tickInterval) * tickInterval;
+        let maxTickValue = options.max !== null ? options.max : Math.ceil(upper / tickInterval) * tickInterval;
+        if (maxTickValue <= minTickValue) {
+            if (options.max !== null) {
+                minTickValue = maxTickValue - tickInterval;
+            } else {
+                maxTickValue = minTickValue + tickInterval;
+            }
+        }
+
+        const labels = AxisScale.generateLabels(minTickValue, maxTickValue, tickInterval);
+
+        // 最大値が目盛りの間隔の倍数でない場合は最大値を追加
+        if (labels[labels.length - 1] < maxTickValue - tickInterval * 1e-9) {
+            labels.push(maxTickValue);
+        }
+
+        return {
+            min: minTickValue,
+            max: maxTickValue,
+            tickInterval,
+            tickCount: labels.length,
+            labels
+        };
     }
-}
 
-/**
- * HistogramChart - ヒストグラムチャートクラス
- * データの分布を表示するヒストグラムを管理するクラス
- */
-class HistogramChart {
     /**
-     * コンストラクタ
-     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     * 対数・symlogのスケールを指定した範囲に絞る（範囲外の目盛りを除き、両端を目盛りに追加する）
+     * @param {Object} scale - スケール情報 {type, min, max, tickCount, labels, minorTicks}
+     * @param {Object} options - 正規化した軸の指定（min・maxのみ使用）
+     * @returns {Object} スケール情報
      */
-    constructor(chartCanvas) {
-        this.chartCanvas = chartCanvas;
-        
-        // X軸の設定
-        this.xAxisTitle = '';
-        this.xAxisFormat = '#,##0';
-        
-        // Y軸の設定
-        this.yAxisTitle = '頻度';
-        this.yAxisFormat = '#,##0';
-        
-        // タイトルとサブタイトル
-        this.title = '';
-        this.subtitle = '';
-        
-        // ヒストグラムの設定
-        this.binCount = null; // nullの場合は自動計算
-        this.binWidth = null; // nullの場合は自動計算
-        this.binAlignment = 'left'; // 'left', 'center', 'right'
-        this.curveMode = false; // trueの場合、ベジェ曲線で描画
-        
-        // グリッド線の設定
-        this.xGrid = false; // X軸のグリッド線を表示するか（デフォルト: false）
-        this.yGrid = false; // Y軸のグリッド線を表示するか（デフォルト: false）
-        
-        // 補助線の設定
-        this.showMeanLine = false; // 平均線を表示するか（デフォルト: false）
-        this.showMedianLine = false; // 中央値線を表示するか（デフォルト: false）
-        this.meanLineColor = 'red'; // 平均線の色（デフォルト: red）
-        this.medianLineColor = 'blue'; // 中央値線の色（デフォルト: blue）
-        this.meanLineStyle = 'dashed'; // 平均線のスタイル（'solid', 'dashed', 'dotted'）
-        this.medianLineStyle = 'dashed'; // 中央値線のスタイル（'solid', 'dashed', 'dotted'）
-        this.meanLineWidth = 2; // 平均線の幅（デフォルト: 2）
-        this.medianLineWidth = 2; // 中央値線の幅（デフォルト: 2）
-        
-        // データ系列を保持（グループ別ヒストグラム対応）
-        this.series = [];
+    static applyRange(scale, options) {
+        const min = options.min !== null ? options.min : scale.min;
+        const max = options.max !== null ? options.max : scale.max;
+        const labels = scale.labels.filter(label => label >= min && label <= max);
+        if (labels[0] !== min) labels.unshift(min);
+        if (labels[labels.length - 1] !== max) labels.push(max);
+
+        return {
+            ...scale,
+            min,
+            max,
+            tickCount: labels.length,
+            labels,
+            minorTicks: scale.minorTicks.filter(tick => tick > min && tick < max)
+        };
     }
 
     /**
-     * ヒストグラム系列を追加
-     * @param {Object} options - 系列のオプション
-     * @param {string} options.title - 系列のタイトル
-     * @param {string} options.color - 棒の色
-     * @param {number} options.opacity - 透明度（0.0-1.0、デフォルト: 0.7）
-     * @returns {HistogramSeries} HistogramSeriesインスタンス
+     * 値を軸の下端から上端までの比率（0.0〜1.0）に変換
+     * 軸の範囲外の値は端（0.0または1.0）に寄せる
+     * @param {number} value - 値
+     * @param {Object} scale - スケール情報 {type, min, max, ...}（typeを省略した場合は線形）
+     * @returns {number} 比率（対数軸で0以下の値の場合は0）
      */
-    addSeries(options = {}) {
-        const series = new HistogramSeries(this, options);
-        this.series.push(series);
-        return series;
+    static getValueRatio(value, scale) {
+        let ratio;
+        if (scale.type === 'log') {
+            if (value <= 0) {
+                return 0;
+            }
+            const logMin = Math.log10(scale.min);
+            const logMax = Math.log10(scale.max);
+            ratio = logMax > logMin ? (Math.log10(value) - logMin) / (logMax - logMin) : 0;
+        } else if (scale.type === 'symlog') {
+            const symlogMin = AxisScale.symlog(scale.min);
+            const symlogMax = AxisScale.symlog(scale.max);
+            ratio = symlogMax > symlogMin ? (AxisScale.symlog(value) - symlogMin) / (symlogMax - symlogMin) : 0;
+        } else {
+            const min = scale.min || 0;
+            ratio = scale.max > min ? (value - min) / (scale.max - min) : 0;
+        }
+        return Math.min(1, Math.max(0, ratio));
     }
 
     /**
-     * TSVローダーを作成（提案1: 生データ形式）
-     * @param {string} url - TSVファイルのURL
-     * @returns {HistogramTSVLoader} HistogramTSVLoaderインスタンス
+     * 対称対数の変換 sign(x) * log10(1 + |x| / C)
+     * @param {number} value - 値
+     * @returns {number} 変換後の値
      */
-    tsvLoader(url) {
-        return new HistogramTSVLoader(this, url);
+    static symlog(value) {
+        return Math.sign(value) * Math.log10(1 + Math.abs(value) / AxisScale.SYMLOG_CONSTANT);
     }
+}
+
+/**
+ * DerivedSeries - 派生系列（移動平均・トレンド線）の計算クラス
+ * 元の系列の描画用のデータ（集計・欠損データの補完をした後のデータ）から派生系列のデータを計算する。
+ * 移動平均の期間は、データの件数ではなく日付の範囲（日数、集計している場合は区間の数）で数える。
+ * DateChart.addMovingAverage()・DateChart.addTrendLine()で作成した線グラフの系列で使用する。
+ */
+class DerivedSeries {
+    // 派生系列の種類
+    static KINDS = ['movingAverage', 'trendLine'];
+
+    // 移動平均の種類（単純・指数・加重）
+    static MOVING_AVERAGE_TYPES = ['sma', 'ema', 'wma'];
+
+    // トレンド線の計算方法
+    static TREND_LINE_METHODS = ['linear', 'polynomial'];
+
+    // 多項式のトレンド線の次数の上限
+    static MAX_POLYNOMIAL_DEGREE = 6;
 
     /**
-     * データの範囲を取得
-     * @returns {Object} {min, max} データの最小値と最大値
+     * 移動平均の指定を検証して正規化
+     * @param {Object} options - 移動平均の指定
+     * @param {number} options.window - 期間（日数、集計している場合は区間の数。2以上の整数）
+     * @param {string} options.type - 移動平均の種類（'sma', 'ema', 'wma'、デフォルト: 'sma'）
+     * @returns {Object} 正規化した指定 {kind: 'movingAverage', window, type}
      */
-    getDataRange() {
-        let min = Infinity;
-        let max = -Infinity;
-
-        for (const series of this.series) {
-            for (const value of series.data) {
-                if (value < min) min = value;
-                if (value > max) max = value;
-            }
+    static normalizeMovingAverage(options = {}) {
+        const window = options.window;
+        if (!Number.isInteger(window) || window < 2) {
+            throw new Error(`Invalid moving average window: ${window}. Must be an integer of 2 or more`);
         }
-
-        if (min === Infinity) {
-            return { min: 0, max: 100 };
+        const type = options.type || 'sma';
+        if (!DerivedSeries.MOVING_AVERAGE_TYPES.includes(type)) {
+            throw new Error(`Invalid moving average type: ${type}. Valid types: ${DerivedSeries.MOVING_AVERAGE_TYPES.join(', ')}`);
         }
-
-        return { min, max };
+        return { kind: 'movingAverage', window, type };
     }
 
     /**
-     * すべての系列のデータを結合して取得
-     * @returns {Array<number>} すべてのデータ値の配列
+     * トレンド線の指定を検証して正規化
+     * @param {Object} options - トレンド線の指定
+     * @param {string} options.method - 計算方法（'linear', 'polynomial'、デフォルト: 'linear'）
+     * @param {number} options.degree - 多項式の次数（2〜MAX_POLYNOMIAL_DEGREEの整数、デフォルト: 2、'polynomial'のみ）
+     * @returns {Object} 正規化した指定 {kind: 'trendLine', method, degree}
      */
-    getAllData() {
-        const allData = [];
-        for (const series of this.series) {
-            allData.push(...series.data);
+    static normalizeTrendLine(options = {}) {
+        const method = options.method || 'linear';
+        if (!DerivedSeries.TREND_LINE_METHODS.includes(method)) {
+            throw new Error(`Invalid trend line method: ${method}. Valid methods: ${DerivedSeries.TREND_LINE_METHODS.join(', ')}`);
         }
-        return allData;
+        if (method === 'linear') {
+            return { kind: 'trendLine', method, degree: 1 };
+        }
+        const degree = options.degree !== undefined && options.degree !== null ? options.degree : 2;
+        if (!Number.isInteger(degree) || degree < 2 || degree > DerivedSeries.MAX_POLYNOMIAL_DEGREE) {
+            throw new Error(`Invalid trend line degree: ${degree}. Must be an integer from 2 to ${DerivedSeries.MAX_POLYNOMIAL_DEGREE}`);
+        }
+        return { kind: 'trendLine', method, degree };
     }
 
     /**
-     * 平均値を計算
-     * @returns {number|null} 平均値（データがない場合はnull）
+     * 派生系列の既定のタイトルの接尾辞を取得
+     * @param {Object} derivation - 正規化した指定
+     * @returns {string} 接尾辞（例: '移動平均（7）'、'トレンド（線形）'）
      */
-    calculateMean() {
-        const allData = this.getAllData();
-        if (allData.length === 0) {
-            return null;
+    static getLabel(derivation) {
+        if (derivation.kind === 'movingAverage') {
+            const names = { sma: '移動平均', ema: '指数移動平均', wma: '加重移動平均' };
+            return `${names[derivation.type]}（${derivation.window}）`;
         }
-        const sum = allData.reduce((acc, val) => acc + val, 0);
-        return sum / allData.length;
+        return derivation.method === 'linear' ? 'トレンド（線形）' : `トレンド（${derivation.degree}次多項式）`;
     }
 
     /**
-     * 中央値を計算
-     * @returns {number|null} 中央値（データがない場合はnull）
+     * 派生系列のデータを計算
+     * @param {Array<{date, value, tooltip}>} data - 元の系列の描画用のデータ
+     * @param {Object} derivation - 正規化した指定
+     * @param {string|null} interval - 元のデータの集計の区間（'week', 'month', 'quarter', 'year'、集計しない場合はnull）
+     * @returns {Array<{date, value, tooltip}>} 派生系列のデータ（日付順）
      */
-    calculateMedian() {
-        const allData = this.getAllData();
-        if (allData.length === 0) {
-            return null;
-        }
-        
-        // データをソート
-        const sorted = [...allData].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        
-        if (sorted.length % 2 === 0) {
-            // 偶数の場合、中央の2つの値の平均
-            return (sorted[mid - 1] + sorted[mid]) / 2;
-        } else {
-            // 奇数の場合、中央の値
-            return sorted[mid];
-        }
+    static calculate(data, derivation, interval = null) {
+        // 値がnull（欠損）のデータは計算に含めない
+        const points = data
+            .filter(item => item.value !== null && item.value !== undefined)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (derivation.kind === 'movingAverage') {
+            const positions = points.map(point => DerivedSeries.toPeriodNumber(point.date, interval));
+            return DerivedSeries.calculateMovingAverage(points, positions, derivation.window, derivation.type);
+        }
+        return DerivedSeries.calculateTrendLine(points, derivation.degree);
     }
 
     /**
-     * X軸のスケールを計算（DateChartのY軸スケール計算と同様のロジック）
-     * @param {number} min - データの最小値
-     * @param {number} max - データの最大値
-     * @returns {Object} {minTickValue, maxTickValue, tickInterval, labels} スケール情報
+     * 移動平均を計算（期間は日付の範囲で数え、期間に満たない先頭のデータには値を作成しない）
+     * 各日付の期間は、その日付までの直近window日（集計している場合はwindow区間）で、欠損している日付は計算に含めない
+     * - 'sma': 期間内のデータの単純平均
+     * - 'ema': 1日（1区間）あたりの平滑化係数 2 / (window + 1) の指数移動平均（最初の値は最初の期間の単純平均。
+     *   日付が離れている場合は、離れている日数の分だけ前の値の重みを減らす）
+     * - 'wma': 新しいデータほど重い重み（期間の最初の日付が1、最後の日付がwindow）の加重平均
+     * @param {Array<{date, value}>} points - 日付順のデータ（欠損を除く）
+     * @param {Array<number>} positions - データの日付の位置（日数または区間の番号、toPeriodNumberを参照）
+     * @param {number} window - 期間（日数または区間の数）
+     * @param {string} type - 移動平均の種類
+     * @returns {Array<{date, value, tooltip}>} 移動平均のデータ
      */
-    calculateXAxisScale(min, max) {
-        const range = max - min;
+    static calculateMovingAverage(points, positions, window, type) {
+        const result = [];
+        const firstIndex = positions.findIndex(position => position - positions[0] >= window - 1);
+        if (firstIndex === -1) {
+            return result;
+        }
 
-        // ラベル間隔を計算
-        let tickInterval;
-        let minTickValue;
-        let maxTickValue;
+        // 各日付の期間内の最初のデータの位置
+        let windowStart = 0;
+        const windowAverage = (i, weighted) => {
+            while (positions[i] - positions[windowStart] >= window) {
+                windowStart++;
+            }
+            let total = 0;
+            let weightTotal = 0;
+            for (let j = windowStart; j <= i; j++) {
+                const weight = weighted ? window - (positions[i] - positions[j]) : 1;
+                total += points[j].value * weight;
+                weightTotal += weight;
+            }
+            return total / weightTotal;
+        };
 
-        if (range <= 30) {
-            // 範囲が30以下の場合: 1刻み
-            tickInterval = 1;
-            minTickValue = Math.floor(min);
-            maxTickValue = Math.ceil(max);
-        } else {
-            // 範囲が30超の場合: 10の倍数で間隔を調整
-            // 適切な間隔を見つける（ラベル数が30個以下になるように）
-            const idealTickCount = 10; // 理想的な目盛りの数
-            const idealInterval = range / idealTickCount;
-            
-            // 10のべき乗で丸める
-            const magnitude = Math.pow(10, Math.floor(Math.log10(idealInterval)));
-            tickInterval = magnitude;
-            
-            // 間隔が小さすぎる場合は次のレベルに上げる
-            if (idealInterval / magnitude > 5) {
-                tickInterval = magnitude * 5;
-            } else if (idealInterval / magnitude > 2) {
-                tickInterval = magnitude * 2;
+        if (type === 'ema') {
+            const alpha = 2 / (window + 1);
+            let ema = windowAverage(firstIndex, false);
+            result.push({ date: points[firstIndex].date, value: ema, tooltip: '' });
+            for (let i = firstIndex + 1; i < points.length; i++) {
+                const decay = Math.pow(1 - alpha, positions[i] - positions[i - 1]);
+                ema = decay * ema + (1 - decay) * points[i].value;
+                result.push({ date: points[i].date, value: ema, tooltip: '' });
             }
-            
-            // 最小値を間隔の倍数に切り下げ、最大値を間隔の倍数に切り上げ
-            minTickValue = Math.floor(min / tickInterval) * tickInterval;
-            maxTickValue = Math.ceil(max / tickInterval) * tickInterval;
+            return result;
         }
 
-        // ラベルを生成
-        const labels = [];
-        let currentValue = minTickValue;
-        
-        while (currentValue <= maxTickValue) {
-            labels.push(currentValue);
-            currentValue += tickInterval;
+        for (let i = firstIndex; i < points.length; i++) {
+            result.push({ date: points[i].date, value: windowAverage(i, type === 'wma'), tooltip: '' });
         }
-
-        return {
-            minTickValue,
-            maxTickValue,
-            tickInterval,
-            labels
-        };
+        return result;
     }
 
     /**
-     * ビンの設定を計算
-     * @param {number} min - データの最小値
-     * @param {number} max - データの最大値
-     * @returns {Object} {binCount, binWidth, bins, xAxisScale} ビンの設定
+     * 最小二乗法でトレンド線（多項式）を計算し、元のデータの各日付の値を返す
+     * X座標は日付の経過日数（日時の場合は日の端数を含む）を中央が0・両端が±1になるように変換して計算する
+     * @param {Array<{date, value}>} points - 日付順のデータ（欠損を除く）
+     * @param {number} degree - 多項式の次数（1は線形）
+     * @returns {Array<{date, value, tooltip}>} トレンド線のデータ（データの件数が次数+1未満の場合は空）
      */
-    calculateBins(min, max) {
-        // ビン幅またはビン数が指定されている場合はそれを使用
-        if (this.binWidth !== null) {
-            const binCount = Math.ceil((max - min) / this.binWidth);
-            const bins = [];
-            for (let i = 0; i <= binCount; i++) {
-                bins.push(min + i * this.binWidth);
-            }
-            // X軸スケールも計算
-            const xAxisScale = this.calculateXAxisScale(min, max);
-            return { binCount, binWidth: this.binWidth, bins, xAxisScale };
-        }
-
-        if (this.binCount !== null) {
-            const binWidth = (max - min) / this.binCount;
-            const bins = [];
-            for (let i = 0; i <= this.binCount; i++) {
-                bins.push(min + i * binWidth);
-            }
-            // X軸スケールも計算
-            const xAxisScale = this.calculateXAxisScale(min, max);
-            return { binCount: this.binCount, binWidth, bins, xAxisScale };
+    static calculateTrendLine(points, degree) {
+        if (points.length < degree + 1) {
+            return [];
         }
 
-        // 自動計算: X軸スケールを計算してから、ビンを設定
-        const xAxisScale = this.calculateXAxisScale(min, max);
-        
-        // Sturgesの公式でビン数を計算
-        let totalDataCount = 0;
-        for (const series of this.series) {
-            totalDataCount += series.data.length;
-        }
+        const days = points.map(point => DerivedSeries.toDayNumber(point.date));
+        const center = (days[0] + days[days.length - 1]) / 2;
+        const halfRange = (days[days.length - 1] - days[0]) / 2 || 1;
+        const xs = days.map(day => (day - center) / halfRange);
 
-        if (totalDataCount === 0) {
-            // データがない場合、X軸スケールに基づいてビンを設定
-            const range = xAxisScale.maxTickValue - xAxisScale.minTickValue;
-            const defaultBinCount = Math.min(20, Math.max(10, Math.floor(range / xAxisScale.tickInterval)));
-            const binWidth = range / defaultBinCount;
-            const bins = [];
-            for (let i = 0; i <= defaultBinCount; i++) {
-                bins.push(xAxisScale.minTickValue + i * binWidth);
+        // 正規方程式 (XᵀX)a = Xᵀy を作成して解く
+        const size = degree + 1;
+        const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+        for (let i = 0; i < points.length; i++) {
+            const powers = [1];
+            for (let k = 1; k < size * 2; k++) {
+                powers.push(powers[k - 1] * xs[i]);
+            }
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    matrix[row][col] += powers[row + col];
+                }
+                matrix[row][size] += powers[row] * points[i].value;
             }
-            return { binCount: defaultBinCount, binWidth, bins, xAxisScale };
         }
-
-        // Sturgesの公式でビン数を計算
-        const binCount = Math.ceil(Math.log2(totalDataCount) + 1);
-        
-        // X軸スケールの範囲内でビンを設定
-        const range = xAxisScale.maxTickValue - xAxisScale.minTickValue;
-        const binWidth = range / binCount;
-        const bins = [];
-        for (let i = 0; i <= binCount; i++) {
-            bins.push(xAxisScale.minTickValue + i * binWidth);
+        const coefficients = DerivedSeries.solveLinearSystem(matrix);
+        if (!coefficients) {
+            return [];
         }
 
-        return { binCount, binWidth, bins, xAxisScale };
+        return points.map((point, i) => {
+            let value = 0;
+            for (let k = degree; k >= 0; k--) {
+                value = value * xs[i] + coefficients[k];
+            }
+            return { date: point.date, value, tooltip: '' };
+        });
     }
 
     /**
-     * データをビンに分類
-     * @param {Array<number>} data - データ配列
-     * @param {Array<number>} bins - ビンの境界値配列
-     * @returns {Array<number>} 各ビンの頻度
+     * 連立一次方程式を部分ピボット選択付きのガウスの消去法で解く
+     * @param {Array<Array<number>>} matrix - 拡大係数行列（n行n+1列、変更される）
+     * @returns {Array<number>|null} 解（解が一意に定まらない場合はnull）
      */
-    binData(data, bins) {
-        const frequencies = new Array(bins.length - 1).fill(0);
-
-        for (const value of data) {
-            // ビンに分類
-            for (let i = 0; i < bins.length - 1; i++) {
-                if (value >= bins[i] && (i === bins.length - 2 ? value <= bins[i + 1] : value < bins[i + 1])) {
-                    frequencies[i]++;
-                    break;
+    static solveLinearSystem(matrix) {
+        const size = matrix.length;
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            if (Math.abs(matrix[pivot][col]) < 1e-12) {
+                return null;
+            }
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+            for (let row = col + 1; row < size; row++) {
+                const factor = matrix[row][col] / matrix[col][col];
+                for (let k = col; k <= size; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
                 }
             }
         }
 
-        return frequencies;
+        const solution = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let total = matrix[row][size];
+            for (let k = row + 1; k < size; k++) {
+                total -= matrix[row][k] * solution[k];
+            }
+            solution[row] = total / matrix[row][row];
+        }
+        return solution;
     }
 
     /**
-     * ベジェ曲線のポイントを計算
-     * @param {Array<number>} frequencies - 各ビンの頻度
-     * @param {Array<number>} bins - ビンの境界値配列
-     * @returns {Array<Object>} 曲線のポイント配列 [{x, y}, ...]
+     * 日付文字列を移動平均の期間を数える位置（隣り合う日・区間の差が1になる番号）に変換
+     * @param {string} dateStr - 'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式の日付（集計している場合は区間の開始日）
+     * @param {string|null} interval - 集計の区間（集計しない場合はnull）
+     * @returns {number} 集計しない場合は経過日数、集計している場合は区間の番号
      */
-    calculateCurvePoints(frequencies, bins) {
-        const points = [];
-        
-        // 各ビンの中心点と頻度からポイントを生成
-        for (let i = 0; i < frequencies.length; i++) {
-            const binMin = bins[i];
-            const binMax = bins[i + 1];
-            const binCenter = (binMin + binMax) / 2;
-            const frequency = frequencies[i];
-            
-            points.push({
-                x: binCenter,
-                y: frequency
-            });
+    static toPeriodNumber(dateStr, interval) {
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1;
+        switch (interval) {
+            case 'week':
+                return Math.round(DerivedSeries.toDayNumber(dateStr) / 7);
+            case 'month':
+                return year * 12 + month;
+            case 'quarter':
+                return year * 4 + Math.floor(month / 3);
+            case 'year':
+                return year;
+            default:
+                return DerivedSeries.toDayNumber(dateStr);
         }
-        
-        return points;
     }
 
     /**
-     * ベジェ曲線のパスを生成（Cubic Bezier）
-     * @param {Array<Object>} points - 曲線のポイント配列 [{x, y}, ...]
-     * @param {number} dataRangeMin - データ範囲の最小値
-     * @param {number} dataRangeMax - データ範囲の最大値
-     * @param {number} plotWidth - 描画エリアの幅
-     * @param {number} plotHeight - 描画エリアの高さ
-     * @param {number} originX - 原点のX座標
-     * @param {number} originY - 原点のY座標
-     * @param {number} maxFrequency - 最大頻度
-     * @returns {string} SVGパス文字列
+     * 日付文字列を基準日（2000-01-01）からの経過日数に変換
+     * @param {string} dateStr - 'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式の日付
+     * @returns {number} 経過日数（日時の場合は時刻を日の端数として含める）
      */
-    generateBezierPath(points, dataRangeMin, dataRangeMax, plotWidth, plotHeight, originX, originY, maxFrequency) {
-        if (points.length === 0) return '';
-        
-        const dataRange = dataRangeMax - dataRangeMin;
-        let path = '';
-        
-        // 最初のポイントに移動
-        const firstPoint = points[0];
-        const firstXRatio = dataRange > 0 ? (firstPoint.x - dataRangeMin) / dataRange : 0;
-        const firstX = originX + firstXRatio * plotWidth;
-        const firstYRatio = maxFrequency > 0 ? firstPoint.y / maxFrequency : 0;
-        const firstY = originY - firstYRatio * plotHeight;
-        path += `M ${firstX} ${firstY}`;
-        
-        if (points.length === 1) {
-            return path;
-        }
-        
-        // 各ポイント間をベジェ曲線で結ぶ
-        for (let i = 0; i < points.length - 1; i++) {
-            const p0 = points[Math.max(0, i - 1)];
-            const p1 = points[i];
-            const p2 = points[i + 1];
-            const p3 = points[Math.min(points.length - 1, i + 2)];
-            
-            // 現在のポイントの座標
-            const x1Ratio = dataRange > 0 ? (p1.x - dataRangeMin) / dataRange : 0;
-            const x1 = originX + x1Ratio * plotWidth;
-            const y1Ratio = maxFrequency > 0 ? p1.y / maxFrequency : 0;
-            const y1 = originY - y1Ratio * plotHeight;
-            
-            // 次のポイントの座標
-            const x2Ratio = dataRange > 0 ? (p2.x - dataRangeMin) / dataRange : 0;
-            const x2 = originX + x2Ratio * plotWidth;
-            const y2Ratio = maxFrequency > 0 ? p2.y / maxFrequency : 0;
-            const y2 = originY - y2Ratio * plotHeight;
-            
-            // 制御点を計算（Catmull-Romスプライン風のベジェ曲線）
-            const t = 0.3; // 滑らかさのパラメータ
-            const dx1 = (p2.x - p0.x) * t;
-            const dy1 = (p2.y - p0.y) * t;
-            const dx2 = (p3.x - p1.x) * t;
-            const dy2 = (p3.y - p1.y) * t;
-            
-            // 制御点1（p1から出る方向）
-            const cp1xRatio = dataRange > 0 ? (p1.x + dx1 - dataRangeMin) / dataRange : 0;
-            const cp1x = originX + cp1xRatio * plotWidth;
-            const cp1yRatio = maxFrequency > 0 ? (p1.y + dy1) / maxFrequency : 0;
-            const cp1y = originY - cp1yRatio * plotHeight;
-            
-            // 制御点2（p2に入る方向）
-            const cp2xRatio = dataRange > 0 ? (p2.x - dx2 - dataRangeMin) / dataRange : 0;
-            const cp2x = originX + cp2xRatio * plotWidth;
-            const cp2yRatio = maxFrequency > 0 ? (p2.y - dy2) / maxFrequency : 0;
-            const cp2y = originY - cp2yRatio * plotHeight;
-            
-            // ベジェ曲線を追加
-            path += ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${x2} ${y2}`;
+    static toDayNumber(dateStr) {
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1;
+        const day = parseInt(dateStr.substring(6, 8), 10);
+        let days = Math.round((Date.UTC(year, month, day) - Date.UTC(2000, 0, 1)) / (24 * 60 * 60 * 1000));
+        if (dateStr.length === 14) {
+            const seconds = parseInt(dateStr.substring(8, 10), 10) * 3600 +
+                parseInt(dateStr.substring(10, 12), 10) * 60 +
+                parseInt(dateStr.substring(12, 14), 10);
+            days += seconds / 86400;
+        }
+        return days;
+    }
+}
+
+function normalizeDate(dateStr, dateFormat = 'auto', timeZone = 'UTC') {
+    // 数値はエポック秒（13桁以上の場合はエポックミリ秒）として変換
+    if (typeof dateStr === 'number' && isFinite(dateStr)) {
+        const epochFormat = dateFormat === 'epoch' || dateFormat === 'epochMs' ? dateFormat :
+            (Math.abs(dateStr) >= 1e12 ? 'epochMs' : 'epoch');
+        return normalizeDate(String(dateStr), epochFormat, timeZone);
+    }
+
+    if (!dateStr || typeof dateStr !== 'string') {
+        return dateStr;
+    }
+    
+    // 既にYYYYMMDD形式またはYYYYMMDDHHmmss形式の場合
+    if (dateStr.match(/^(\d{8}|\d{14})$/)) {
+        return dateStr;
+    }
+    
+    // 日付形式を自動検出または指定された形式を使用
+    let detectedFormat = dateFormat;
+    if (dateFormat === 'auto') {
+        if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
+            detectedFormat = 'YYYY-MM-DD';
+        } else if (dateStr.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+            detectedFormat = 'YYYY/MM/DD';
+        } else if (dateStr.match(/^\d{8}$/)) {
+            detectedFormat = 'YYYYMMDD';
+        } else if (dateStr.match(/^\d{4}[-/]\d{2}[-/]\d{2}[T ]\d{2}:\d{2}/)) {
+            detectedFormat = 'ISO8601';
+        } else if (dateStr.match(/^\d{12}$/)) {
+            detectedFormat = 'YYYYMMDDHHmm';
+        } else if (dateStr.match(/^\d{10}$/)) {
+            // 10桁は、年（1970〜2100年）・月・日・時として正しい場合はYYYYMMDDHH、それ以外はエポック秒
+            // （2032年6月以降のエポック秒はYYYYMMDDHHと区別できない場合があるため、dateFormatに'epoch'を指定する）
+            detectedFormat = isDateHourDigits(dateStr) ? 'YYYYMMDDHH' : 'epoch';
+        } else if (dateStr.match(/^\d{13}$/)) {
+            detectedFormat = 'epochMs';
+        } else {
+            // 形式が不明な場合はそのまま返す
+            return dateStr;
         }
-        
-        return path;
     }
+    
+    // 形式に応じて変換
+    if (detectedFormat === 'YYYY-MM-DD') {
+        return dateStr.replace(/-/g, '');
+    } else if (detectedFormat === 'YYYY/MM/DD') {
+        return dateStr.replace(/\//g, '');
+    } else if (detectedFormat === 'YYYYMMDD') {
+        return dateStr;
+    } else if (detectedFormat === 'YYYYMMDDHH') {
+        return `${dateStr}0000`;
+    } else if (detectedFormat === 'YYYYMMDDHHmm') {
+        return `${dateStr}00`;
+    } else if (detectedFormat === 'ISO8601') {
+        return normalizeISODateTime(dateStr, timeZone);
+    } else if (detectedFormat === 'epoch' || detectedFormat === 'epochMs') {
+        // エポック秒・エポックミリ秒は指定したタイムゾーンの時刻に変換（実行環境のタイムゾーンに依存しない）
+        const time = Number(dateStr) * (detectedFormat === 'epoch' ? 1000 : 1);
+        return isNaN(time) ? dateStr : formatDateTimeKey(new Date(time), timeZone);
+    }
+    
+    // フォールバック: ハイフンとスラッシュを削除
+    return dateStr.replace(/[-/]/g, '');
 }
 
 /**
- * HistogramSeries - ヒストグラム系列クラス
+ * 10桁の数字がYYYYMMDDHH形式の日時として正しいかどうか（年は1970〜2100年）
+ * @param {string} digits - 10桁の数字
+ * @returns {boolean} 正しい日時の場合はtrue
  */
-class HistogramSeries {
-    constructor(histogramChart, options = {}) {
-        this.histogramChart = histogramChart;
-        this.title = options.title || '';
-        this.color = options.color || 'blue';
-        this.opacity = options.opacity !== undefined ? options.opacity : 0.7;
-        this.data = []; // 生データの配列
-        this.rawData = []; // 全カラムのデータ（オブジェクトの配列、通常モードの場合）
-        
-        // lazyLoad用のプロパティ
-        this.lazyLoad = false; // lazyLoadモードかどうか
-        this.tsvLoader = null; // HistogramTSVLoaderへの参照
-        this.tsvUrl = ''; // TSVファイルのURL
-        this.valueIndex = -1; // 値列のインデックス
-        this.groupIndex = -1; // グループ列のインデックス（-1の場合はグループなし）
-        this.groupName = ''; // グループ名（グループ別ヒストグラムの場合）
-        this.totalDataCount = 0; // 全データ件数（lazyLoadモードの場合）
-        this.headers = []; // TSVファイルのヘッダー行（全カラム情報）
+function isDateHourDigits(digits) {
+    const year = parseInt(digits.substring(0, 4), 10);
+    const month = parseInt(digits.substring(4, 6), 10);
+    const day = parseInt(digits.substring(6, 8), 10);
+    const hour = parseInt(digits.substring(8, 10), 10);
+    if (year < 1970 || year > 2100 || month < 1 || month > 12 || day < 1 || hour > 23) {
+        return false;
     }
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
 
-    /**
-     * データを追加
-     * @param {number} value - 値
-     */
-    addData(value) {
-        if (typeof value !== 'number' || isNaN(value)) {
-            return; // 数値でない場合はスキップ
-        }
-        this.data.push(value);
+/**
+ * ISO 8601形式の日時文字列をYYYYMMDDHHmmss形式に変換
+ * 日付のみの場合はYYYYMMDD形式を返す。タイムゾーン（Zまたは±HH:mm）が指定されている場合は、指定したタイムゾーンの時刻に変換する
+ * @param {string} dateStr - 日時文字列（例: '2025-01-01T09:30', '2025-01-01 09:30:15', '2025-01-01T00:30:00Z'）
+ * @param {string} timeZone - 変換先のタイムゾーン（formatDateTimeKeyを参照、デフォルト: 'UTC'）
+ * @returns {string} 'YYYYMMDDHHmmss'形式の文字列（解析できない場合は元の文字列）
+ */
+function normalizeISODateTime(dateStr, timeZone = 'UTC') {
+    const match = dateStr.match(/^(\d{4})[-/](\d{2})[-/](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (!match) {
+        return dateStr;
+    }
+    const [, year, month, day, hour, minute, second = '00', offset] = match;
+    if (hour === undefined) {
+        return `${year}${month}${day}`;
     }
+    if (offset) {
+        const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset === 'Z' ? 'Z' : offset.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2')}`);
+        return isNaN(date.getTime()) ? dateStr : formatDateTimeKey(date, timeZone);
+    }
+    return `${year}${month}${day}${hour}${minute}${second}`;
+}
 
-    /**
-     * 複数のデータを一度に追加
-     * @param {Array<number>} values - 値の配列
-     */
-    addDataArray(values) {
-        for (const value of values) {
-            this.addData(value);
-        }
+/**
+ * DateオブジェクトをYYYYMMDDHHmmss形式の文字列に変換（指定したタイムゾーンの時刻）
+ * @param {Date} date - Dateオブジェクト
+ * @param {string} timeZone - タイムゾーン（デフォルト: 'UTC'）
+ *   - 'UTC': 協定世界時
+ *   - '+09:00'・'-0500'など: UTCからのオフセット
+ *   - 'Asia/Tokyo'など: IANAのタイムゾーン名（夏時間を含む）
+ *   - 'local': 実行環境のタイムゾーン
+ * @returns {string} 'YYYYMMDDHHmmss'形式の文字列
+ * @throws {Error} タイムゾーンが不正な場合
+ */
+function formatDateTimeKey(date, timeZone = 'UTC') {
+    const pad = value => String(value).padStart(2, '0');
+    let parts;
+    if (timeZone === 'local') {
+        parts = [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()];
+    } else if (timeZone === 'UTC' || /^[+-]\d{2}:?\d{2}$/.test(timeZone)) {
+        // オフセットの分だけずらしたUTCの時刻
+        const match = timeZone.match(/^([+-])(\d{2}):?(\d{2})$/);
+        const offsetMinutes = match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+        const shifted = new Date(date.getTime() + offsetMinutes * 60000);
+        parts = [shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate(),
+            shifted.getUTCHours(), shifted.getUTCMinutes(), shifted.getUTCSeconds()];
+    } else {
+        let formatted;
+        try {
+            formatted = new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            }).formatToParts(date);
+        } catch (error) {
+            throw new Error(`Invalid time zone: ${timeZone}. Must be 'UTC', 'local', an offset (e.g. '+09:00') or an IANA time zone name (e.g. 'Asia/Tokyo')`);
+        }
+        const part = type => Number(formatted.find(item => item.type === type).value);
+        parts = [part('year'), part('month'), part('day'), part('hour'), part('minute'), part('second')];
     }
+    const [year, ...rest] = parts;
+    return String(year) + rest.map(pad).join('');
 }
 
 /**
- * HistogramTSVLoader - ヒストグラム用TSVローダークラス（提案1: 生データ形式）
+ * DateChart - 日付チャートクラス
+ * 時系列データ（X軸が日付）のチャートを管理するクラス
  */
-class HistogramTSVLoader {
-    constructor(histogramChart, url) {
-        this.histogramChart = histogramChart;
-        this.url = url;
-        this.valueTitle = ''; // 値列の列名
-        this.groupTitle = ''; // グループ列の列名（提案3対応用、後で実装）
-        this.dataThreshold = 10000; // データ件数の閾値（この値を超えるとlazyLoadモード）
-        this.headers = []; // TSVファイルのヘッダー行（全カラム情報）
+class DateChart {
+    // 棒グラフの表示モードの一覧
+    static BAR_MODES = ['overlay', 'grouped', 'stacked', 'percentStacked'];
+
+    // 集計の区間の一覧
+    static AGGREGATE_INTERVALS = ['week', 'month', 'quarter', 'year'];
+
+    // 集計関数の一覧
+    static AGGREGATE_FUNCTIONS = ['sum', 'avg', 'min', 'max', 'last', 'count'];
+
+    // 欠損データの扱いの一覧
+    static MISSING_DATA_MODES = ['gap', 'zero', 'previous', 'linear', 'none'];
+
+    // Y軸の種類の一覧
+    static Y_AXIS_TYPES = ['linear', 'log', 'symlog'];
+
+    // 注釈の種類の一覧
+    static ANNOTATION_TYPES = ['horizontalLine', 'band', 'verticalMarker', 'dateRangeShade'];
+
+    // 注釈の線のスタイルの一覧
+    static ANNOTATION_LINE_STYLES = ['solid', 'dashed', 'dotted'];
+
+    // 注釈の軸の一覧
+    static ANNOTATION_AXES = ['primary', 'secondary'];
+
+    // 前期比較の日付の合わせ方の一覧（'weekday': 曜日を合わせる、'date': 日付を合わせる）
+    static COMPARISON_ALIGNS = ['weekday', 'date'];
+
+    /**
+     * コンストラクタ
+     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     */
+    constructor(chartCanvas) {
+        this.chartCanvas = chartCanvas;
         
-        // 自動モード用の設定
-        this.autoMode = false;
-        this.seriesColors = ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+        // タイトル（複数のDateChartを並べる場合にパネルの上に表示）
+        this.title = '';
+        
+        // X軸の設定
+        this.xAxisTitle = '';
+        
+        // Y軸（主軸）の設定
+        this.yAxisTitle = '';
+        this.yAxisScale = '';
+        this.yAxisFormat = '#,##0';
+        this.yAxisType = 'linear'; // 'linear', 'log', 'symlog'
+        this.yAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定 {min, max, tickInterval, tickCount, includeZero}
+        
+        // エポック秒・タイムゾーン付きの日時を変換するタイムゾーン（setTimeZoneを参照）
+        this.timeZone = 'UTC';
+        
+        // 2軸の設定
+        this.secondAxis = false;
+        this.secondAxisTitle = '';
+        this.secondAxisScale = '';
+        this.secondAxisFormat = '#,##0';
+        this.secondAxisType = 'linear'; // 'linear', 'log', 'symlog'
+        this.secondAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定（yAxisOptionsと同じ）
+        
+        // 棒グラフの表示モード（'overlay', 'grouped', 'stacked', 'percentStacked'）
+        this.barMode = 'overlay';
+        
+        // 集計の設定（{interval, func}、nullの場合は集計しない）
+        this.aggregate = null;
+        
+        // 集計・補完後のデータのキャッシュ: Map<series, {key, source, data}>
+        this.aggregatedDataCache = new Map();
+        
+        // 派生系列（移動平均・トレンド線・前期比較）のデータのキャッシュ: Map<series, {key, source, prior, data}>
+        this.derivedDataCache = new Map();
+        
+        // 前期比較の元の系列の今期のデータのキャッシュ: Map<series, {key, source, data}>
+        this.currentPeriodDataCache = new Map();
+        
+        // データ系列を保持
+        this.lines = [];
+        this.bars = [];
+        this.areas = [];
+        
+        // 注釈（基準線・目標帯・イベントのマーカー・期間の網掛け）を保持
+        this.annotations = [];
     }
 
     /**
-     * TSVファイルを読み込んでデータを追加
-     * @returns {Promise<void>}
+     * 棒グラフの表示モードを設定
+     * @param {string} mode - 表示モード
+     *   - 'overlay'（デフォルト）: すべての系列を同じ位置に重ねて描画
+     *   - 'grouped': 系列ごとに棒を横に並べて描画
+     *   - 'stacked': 系列を積み上げて描画
+     *   - 'percentStacked': 日付ごとの合計を100%として積み上げて描画
+     * @returns {DateChart} メソッドチェーン用にthisを返す
      */
-    async load() {
-        if (!this.valueTitle) {
-            throw new Error('valueTitle must be set before calling load()');
+    setBarMode(mode) {
+        if (!DateChart.BAR_MODES.includes(mode)) {
+            throw new Error(`Invalid barMode: ${mode}. Valid modes: ${DateChart.BAR_MODES.join(', ')}`);
         }
+        this.barMode = mode;
+        return this;
+    }
 
-        // TSVファイルを読み込む
-        const response = await fetch(this.url);
-        if (!response.ok) {
-            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+    /**
+     * エポック秒・エポックミリ秒・タイムゾーン付きの日時（例: '2025-01-01T00:30:00Z'）を変換するタイムゾーンを設定
+     * X軸・ツールチップはこのタイムゾーンの時刻で表示する（タイムゾーンのない日時はそのまま）。
+     * 同じデータが実行環境のタイムゾーンによって異なるチャートにならないように、デフォルトは'UTC'
+     * 系列のaddData・TSVLoaderで追加するデータに適用するため、データを追加する前に設定する
+     * @param {string} timeZone - 'UTC', 'local'（実行環境のタイムゾーン）, オフセット（例: '+09:00'）, IANAのタイムゾーン名（例: 'Asia/Tokyo'）
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setTimeZone(timeZone) {
+        // 不正なタイムゾーンの場合はformatDateTimeKeyがエラーをスローする
+        formatDateTimeKey(new Date(0), String(timeZone));
+        this.timeZone = String(timeZone);
+        return this;
+    }
+
+    /**
+     * Y軸の種類を設定
+     * @param {string} type - Y軸の種類
+     *   - 'linear'（デフォルト）: 線形
+     *   - 'log': 対数（10のべき乗の目盛りと、その間の2〜9倍の補助目盛り）。0以下の値は描画しない
+     *   - 'symlog': 対称対数（0付近は線形、0や負の値も描画できる）
+     * @param {boolean} isSecondAxis - 副軸に設定するかどうか（デフォルト: false）
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisType(type, isSecondAxis = false) {
+        if (!DateChart.Y_AXIS_TYPES.includes(type)) {
+            throw new Error(`Invalid yAxisType: ${type}. Valid types: ${DateChart.Y_AXIS_TYPES.join(', ')}`);
+        }
+        if (isSecondAxis) {
+            this.secondAxisType = type;
+        } else {
+            this.yAxisType = type;
         }
+        return this;
+    }
 
-        const text = await response.text();
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    /**
+     * Y軸の種類を取得
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {string} Y軸の種類（'linear', 'log', 'symlog'）
+     */
+    getAxisType(isSecondAxis = false) {
+        const type = isSecondAxis ? this.secondAxisType : this.yAxisType;
+        return DateChart.Y_AXIS_TYPES.includes(type) ? type : 'linear';
+    }
 
-        if (lines.length === 0) {
-            throw new Error('TSV file is empty');
+    /**
+     * Y軸の範囲と目盛りを設定（指定しなかった項目は自動計算）
+     * 複数のグラフで同じ指定をすると、同じ範囲・目盛りで比較できる
+     * @param {Object|null} options - 軸の指定（nullの場合は自動計算に戻す）
+     * @param {number} options.min - 軸の最小値
+     * @param {number} options.max - 軸の最大値
+     * @param {number} options.tickInterval - 目盛りの間隔
+     * @param {number} options.tickCount - 目盛りの数の目安（min・maxの両方を指定した場合はちょうどこの数、tickIntervalが優先）
+     * @param {boolean} options.includeZero - 自動計算の範囲に0を含めるかどうか（デフォルト: true）
+     * @param {boolean} isSecondAxis - 副軸に設定するかどうか（デフォルト: false）
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisOptions(options, isSecondAxis = false) {
+        const normalized = AxisScale.normalizeOptions(options, isSecondAxis ? 'secondAxisOptions' : 'yAxisOptions');
+        if (isSecondAxis) {
+            this.secondAxisOptions = normalized;
+        } else {
+            this.yAxisOptions = normalized;
         }
+        return this;
+    }
 
-        // ヘッダー行を解析
-        const headers = lines[0].split('\t');
-        this.headers = headers; // ヘッダー情報を保存
-        const valueIndex = headers.indexOf(this.valueTitle);
-        
-        if (valueIndex === -1) {
-            throw new Error(`Column "${this.valueTitle}" not found in TSV file`);
-        }
-
-        // グループ列のインデックスを取得（提案3対応用、後で実装）
-        const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
+    /**
+     * Y軸の範囲と目盛りの指定を取得
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Object} 正規化した軸の指定 {min, max, tickInterval, tickCount, includeZero}
+     */
+    getAxisOptions(isSecondAxis = false) {
+        return (isSecondAxis ? this.secondAxisOptions : this.yAxisOptions) || AxisScale.normalizeOptions(null);
+    }
 
-        // データ件数をカウント（数値として有効な行のみ）
-        let dataCount = 0;
-        for (let i = 1; i < lines.length; i++) {
-            const columns = lines[i].split('\t');
-            if (columns.length <= valueIndex) {
+    /**
+     * 対数軸で描画できない0以下の値を取得
+     * 派生系列（トレンド線など）は元のデータではないため対象としない（0以下の部分は描画しない）。前期比較の系列は元のデータのため対象とする
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Array<Object>} 0以下の値の配列 [{series, date, value}, ...]（対数軸でない場合は空の配列）
+     */
+    getNonPositiveValues(isSecondAxis = false) {
+        const result = [];
+        if (this.getAxisType(isSecondAxis) !== 'log') {
+            return result;
+        }
+        for (const series of [...this.lines, ...this.bars, ...this.areas]) {
+            if (series.secondAxis !== isSecondAxis || (series.source && series.derivation.kind !== 'comparison')) {
                 continue;
             }
-            const valueStr = columns[valueIndex].trim();
-            const value = parseFloat(valueStr);
-            if (!isNaN(value)) {
-                if (groupIndex === -1) {
-                    dataCount++;
-                } else {
-                    const groupName = columns[groupIndex]?.trim() || '';
-                    if (groupName) {
-                        dataCount++;
-                    }
+            for (const item of series.getData()) {
+                if (item.value !== null && item.value <= 0) {
+                    result.push({ series, date: item.date, value: item.value });
                 }
             }
         }
+        return result;
+    }
 
-        // データ件数が閾値を超える場合はlazyLoadモード
-        const useLazyLoad = dataCount > this.dataThreshold;
-
-        // 提案1: 生データ形式（グループ列がない場合）
-        if (groupIndex === -1) {
-            // 単一の系列を作成
-            const series = this.histogramChart.addSeries({
-                title: this.histogramChart.title || 'データ',
-                color: this.seriesColors[0],
-                opacity: 0.7
-            });
+    /**
+     * データの集計（リサンプリング）を設定
+     * 系列ごとに、区間内のデータを集計関数で1つの値にまとめてから描画する
+     * X軸には区間の開始日の位置に区間のラベル（例: 'W03'、'1月'、'Q1'）を表示する
+     * @param {string|null} interval - 集計の区間（nullの場合は集計しない）
+     *   - 'week': ISO 8601の週（月曜日始まり）
+     *   - 'month': 月
+     *   - 'quarter': 四半期（1〜3月、4〜6月、7〜9月、10〜12月）
+     *   - 'year': 年
+     * @param {string} func - 集計関数
+     *   - 'sum'（デフォルト）: 合計
+     *   - 'avg': 平均
+     *   - 'min': 最小値
+     *   - 'max': 最大値
+     *   - 'last': 区間内の最後の日付の値
+     *   - 'count': データの件数
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setAggregate(interval, func = 'sum') {
+        if (interval === null || interval === undefined) {
+            this.aggregate = null;
+            return this;
+        }
+        if (!DateChart.AGGREGATE_INTERVALS.includes(interval)) {
+            throw new Error(`Invalid aggregate interval: ${interval}. Valid intervals: ${DateChart.AGGREGATE_INTERVALS.join(', ')}`);
+        }
+        if (!DateChart.AGGREGATE_FUNCTIONS.includes(func)) {
+            throw new Error(`Invalid aggregate function: ${func}. Valid functions: ${DateChart.AGGREGATE_FUNCTIONS.join(', ')}`);
+        }
+        this.aggregate = { interval, func };
+        return this;
+    }
 
-            if (useLazyLoad) {
-                // lazyLoadモード: メタデータだけを保存
-                series.lazyLoad = true;
-                series.tsvLoader = this;
-                series.tsvUrl = this.url;
-                series.valueIndex = valueIndex;
-                series.groupIndex = -1;
-                series.totalDataCount = dataCount;
-                series.headers = headers; // ヘッダー情報を保存
-                // データは保持しない（ヒストグラムの描画には統計情報だけが必要）
-                // 統計情報を計算するために、サンプルデータを読み込む（最初の1000件）
-                const sampleSize = Math.min(1000, lines.length - 1);
-                for (let i = 1; i <= sampleSize; i++) {
-                    const columns = lines[i].split('\t');
-                    if (columns.length <= valueIndex) {
-                        continue;
-                    }
-                    const valueStr = columns[valueIndex].trim();
-                    const value = parseFloat(valueStr);
-                    if (!isNaN(value)) {
-                        series.addData(value);
-                    }
-                }
-            } else {
-                // 通常モード: 全データを読み込む
-                series.headers = headers; // ヘッダー情報を保存
-                for (let i = 1; i < lines.length; i++) {
-                    const columns = lines[i].split('\t');
-                    if (columns.length <= valueIndex) {
-                        continue;
-                    }
+    /**
+     * 日付が属する集計の区間を取得
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式、または日時）
+     * @returns {Object} {date, year, shortLabel, label}
+     *   - date: 区間の開始日（'YYYYMMDD'形式、週の場合は月曜日）
+     *   - year: 区間の年（週の場合はISO 8601の週番号の年）
+     *   - shortLabel: X軸の1段目に表示する短いラベル（例: 'W03'、'1月'、'Q1'、'2025年'）
+     *   - label: ツールチップなどに表示するラベル（例: '2025-W03'、'2025年1月'、'2025年Q1'、'2025年'）
+     */
+    getAggregateBucket(dateStr) {
+        const normalizedDate = normalizeDate(dateStr);
+        const year = parseInt(normalizedDate.substring(0, 4), 10);
+        const month = parseInt(normalizedDate.substring(4, 6), 10);
+        const day = parseInt(normalizedDate.substring(6, 8), 10);
+        const pad = value => String(value).padStart(2, '0');
+        const interval = this.aggregate ? this.aggregate.interval : 'month';
+
+        if (interval === 'week') {
+            // ISO 8601の週: 月曜日始まりで、木曜日を含む年をその週の年とする
+            const millisecondsPerDay = 24 * 60 * 60 * 1000;
+            const date = new Date(Date.UTC(year, month - 1, day));
+            const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * millisecondsPerDay);
+            const thursday = new Date(monday.getTime() + 3 * millisecondsPerDay);
+            const weekYear = thursday.getUTCFullYear();
+            const week = Math.floor((thursday.getTime() - Date.UTC(weekYear, 0, 1)) / millisecondsPerDay / 7) + 1;
+            return {
+                date: `${monday.getUTCFullYear()}${pad(monday.getUTCMonth() + 1)}${pad(monday.getUTCDate())}`,
+                year: String(weekYear),
+                shortLabel: `W${pad(week)}`,
+                label: `${weekYear}-W${pad(week)}`
+            };
+        }
+        if (interval === 'quarter') {
+            const quarter = Math.floor((month - 1) / 3) + 1;
+            return {
+                date: `${year}${pad((quarter - 1) * 3 + 1)}01`,
+                year: String(year),
+                shortLabel: `Q${quarter}`,
+                label: `${year}年Q${quarter}`
+            };
+        }
+        if (interval === 'year') {
+            return { date: `${year}0101`, year: String(year), shortLabel: `${year}年`, label: `${year}年` };
+        }
+        return {
+            date: `${year}${pad(month)}01`,
+            year: String(year),
+            shortLabel: `${month}月`,
+            label: `${year}年${month}月`
+        };
+    }
 
-                    const valueStr = columns[valueIndex].trim();
-                    const value = parseFloat(valueStr);
-                    if (!isNaN(value)) {
-                        series.addData(value);
-                        // 全カラムのデータを保存
-                        const rowData = {};
-                        headers.forEach((header, index) => {
-                            rowData[header] = columns[index]?.trim() || '';
-                        });
-                        series.rawData.push(rowData);
-                    }
-                }
+    /**
+     * データを集計の設定に従って区間ごとに集計
+     * 区間内のコメントは' / 'で連結する
+     * @param {Array<{date, value, tooltip}>} data - 系列のデータ
+     * @returns {Array<{date, value, tooltip}>} 区間の開始日をdateとした集計後のデータ（集計しない場合は元のデータ）
+     */
+    aggregateData(data) {
+        if (!this.aggregate) {
+            return data;
+        }
+
+        // 区間ごとにデータをまとめる（日付順に処理するので区間も日付順になる）
+        const buckets = new Map();
+        const sortedData = [...data].sort((a, b) => a.date.localeCompare(b.date));
+        for (const item of sortedData) {
+            const bucketDate = this.getAggregateBucket(item.date).date;
+            if (!buckets.has(bucketDate)) {
+                buckets.set(bucketDate, []);
             }
-
-            return;
+            buckets.get(bucketDate).push(item);
         }
 
-        // 提案3: グループ別ヒストグラム
-        // グループごとのデータを収集
-        const dataByGroup = new Map(); // Map<groupName, Array<number>>
-        
-        for (let i = 1; i < lines.length; i++) {
-            const columns = lines[i].split('\t');
-            if (columns.length <= valueIndex) {
+        const aggregated = [];
+        for (const [date, items] of buckets.entries()) {
+            // 値がnull（欠損）のデータは集計に含めない
+            const values = items.map(item => item.value).filter(value => value !== null && value !== undefined);
+            if (values.length === 0) {
                 continue;
             }
-
-            const valueStr = columns[valueIndex].trim();
-            const value = parseFloat(valueStr);
-            if (isNaN(value)) {
-                continue; // 数値でない場合はスキップ
+            const value = this.aggregateValues(values);
+            const tooltip = items
+                .map(item => (item.tooltip || '').trim())
+                .filter(comment => comment)
+                .join(' / ');
+            const aggregatedItem = { date, value, tooltip };
+
+            // 範囲（下限・上限）がある場合は下限・上限もそれぞれ同じ集計関数で集計する
+            const lowers = items.map(item => item.lower).filter(lower => lower !== null && lower !== undefined);
+            const uppers = items.map(item => item.upper).filter(upper => upper !== null && upper !== undefined);
+            if (lowers.length > 0 && uppers.length > 0) {
+                aggregatedItem.lower = this.aggregateValues(lowers);
+                aggregatedItem.upper = this.aggregateValues(uppers);
             }
+            aggregated.push(aggregatedItem);
+        }
+        return aggregated;
+    }
 
-            const groupName = columns[groupIndex]?.trim() || '';
-            if (!groupName) {
-                continue; // グループ名がない場合はスキップ
-            }
+    /**
+     * 区間内の値を集計関数で集計
+     * @param {Array<number>} values - 区間内の値（欠損を除く、日付順）
+     * @returns {number} 集計した値
+     */
+    aggregateValues(values) {
+        switch (this.aggregate.func) {
+            case 'avg':
+                return values.reduce((total, current) => total + current, 0) / values.length;
+            case 'min':
+                return Math.min(...values);
+            case 'max':
+                return Math.max(...values);
+            case 'last':
+                return values[values.length - 1];
+            case 'count':
+                return values.length;
+            default:
+                return values.reduce((total, current) => total + current, 0);
+        }
+    }
 
-            if (!dataByGroup.has(groupName)) {
-                dataByGroup.set(groupName, []);
-            }
-            dataByGroup.get(groupName).push(value);
+    /**
+     * 欠損データの扱いを検証（nullは未指定として許可する）
+     * @param {string|null} mode - 欠損データの扱い
+     */
+    static validateMissingData(mode) {
+        if (mode !== null && mode !== undefined && !DateChart.MISSING_DATA_MODES.includes(mode)) {
+            throw new Error(`Invalid missingData: ${mode}. Valid modes: ${DateChart.MISSING_DATA_MODES.join(', ')}`);
         }
+    }
 
-        // グループごとに系列を作成してデータを追加
-        const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
-        let colorIndex = 0;
+    /**
+     * 日付の欠損を補完する（最初の日付から最後の日付までのすべての日付に対してデータを作成）
+     * 値がnullのデータも欠損として同じ方法で補完する
+     * 補完したデータには filled: true を付ける。日時のデータは間隔が一定とは限らないため補完しない
+     * @param {Array<{date, value, tooltip}>} data - 系列のデータ
+     * @param {string} mode - 欠損データの扱い
+     *   - 'gap': 値をnullとして補完（線を途切れさせ、棒は描画しない）
+     *   - 'zero': 0で補完
+     *   - 'previous': 前の値で補完
+     *   - 'linear': 前後の値から線形補間
+     *   - 'none': 補完しない
+     * @returns {Array<{date, value, tooltip, filled}>} 補完されたデータ（日付順）
+     */
+    fillMissingData(data, mode) {
+        DateChart.validateMissingData(mode);
+        if (mode === 'none' || data.length === 0 || data.some(item => normalizeDate(item.date).length > 8)) {
+            return data;
+        }
 
-        for (const groupName of sortedGroupNames) {
-            const values = dataByGroup.get(groupName);
-            
-            // 系列を作成
-            const series = this.histogramChart.addSeries({
-                title: groupName,
-                color: this.seriesColors[colorIndex % this.seriesColors.length],
-                opacity: 0.7
-            });
+        const sortedData = [...data].sort((a, b) => a.date.localeCompare(b.date));
+        const filledData = [];
 
-            if (useLazyLoad) {
-                // lazyLoadモード: メタデータだけを保存
-                series.lazyLoad = true;
-                series.tsvLoader = this;
-                series.tsvUrl = this.url;
-                series.valueIndex = valueIndex;
-                series.groupIndex = groupIndex;
-                series.groupName = groupName;
-                series.totalDataCount = values.length;
-                series.headers = headers; // ヘッダー情報を保存
-                // サンプルデータを読み込む（最初の1000件）
-                const sampleSize = Math.min(1000, values.length);
-                for (let i = 0; i < sampleSize; i++) {
-                    series.addData(values[i]);
-                }
-            } else {
-                // 通常モード: 全データを読み込む
-                series.headers = headers; // ヘッダー情報を保存
-                // グループ別ヒストグラムの場合、全カラムのデータを再読み込み
-                for (let i = 1; i < lines.length; i++) {
-                    const columns = lines[i].split('\t');
-                    if (columns.length <= valueIndex) {
-                        continue;
-                    }
+        // 欠けている日付をnullのデータとして追加（日付が連続するため、インデックスの差が日数の差になる）
+        for (let i = 0; i < sortedData.length; i++) {
+            const item = sortedData[i];
+            filledData.push(item);
 
-                    const valueStr = columns[valueIndex].trim();
-                    const value = parseFloat(valueStr);
-                    if (isNaN(value)) {
-                        continue;
-                    }
+            const next = sortedData[i + 1];
+            if (!next) {
+                break;
+            }
 
-                    const rowGroupName = columns[groupIndex]?.trim() || '';
-                    if (rowGroupName !== groupName) {
-                        continue;
-                    }
+            // 隣り合うデータの間の日付を補完
+            const end = this.parseDateToDate(next.date);
+            const currentDate = this.parseDateToDate(item.date);
+            currentDate.setDate(currentDate.getDate() + 1);
 
-                    series.addData(value);
-                    // 全カラムのデータを保存
-                    const rowData = {};
-                    headers.forEach((header, index) => {
-                        rowData[header] = columns[index]?.trim() || '';
-                    });
-                    series.rawData.push(rowData);
-                }
+            while (currentDate < end) {
+                filledData.push({ date: this.formatDateToString(currentDate), value: null, tooltip: '', filled: true });
+
+                // 次の日へ
+                currentDate.setDate(currentDate.getDate() + 1);
             }
+        }
 
-            colorIndex++;
+        if (mode === 'gap') {
+            return filledData;
+        }
+
+        // 値がnullのデータ（追加した日付と、addData()でnullを指定したデータ）をモードに従って補完
+        let previousIndex = -1;
+        for (let i = 0; i < filledData.length; i++) {
+            if (filledData[i].value !== null) {
+                previousIndex = i;
+                continue;
+            }
+
+            let value = null;
+            if (mode === 'zero') {
+                value = 0;
+            } else if (mode === 'previous') {
+                value = previousIndex >= 0 ? filledData[previousIndex].value : null;
+            } else {
+                let nextIndex = i + 1;
+                while (nextIndex < filledData.length && filledData[nextIndex].value === null) {
+                    nextIndex++;
+                }
+                if (previousIndex >= 0 && nextIndex < filledData.length) {
+                    const previousValue = filledData[previousIndex].value;
+                    const nextValue = filledData[nextIndex].value;
+                    value = previousValue + (nextValue - previousValue) * (i - previousIndex) / (nextIndex - previousIndex);
+                }
+            }
+            filledData[i] = { ...filledData[i], value, filled: true };
         }
+
+        return filledData;
     }
 
     /**
-     * 指定された範囲のデータを読み込む（lazyLoadモード用）
-     * @param {number} minValue - 最小値
-     * @param {number} maxValue - 最大値
-     * @param {HistogramSeries} series - 系列
-     * @returns {Promise<Array<Object>>} 該当するデータのオブジェクト配列（全カラムを含む）
+     * 系列の描画に使用するデータを取得
+     * 集計が設定されている場合は集計後のデータ、それ以外は系列のmissingDataに従って欠損を補完したデータ
+     * （集計する場合は、補完した値が合計や件数に含まれないように補完しない）
+     * 積み上げ位置などをデータ項目をキーにして計算するため、集計・補完後のデータはキャッシュして同じ配列を返す
+     * 系列のデータに前期のデータも含む前期比較の元の系列（addComparisonを参照）の場合は、今期のデータのみを返す
+     * @param {LineSeries|BarSeries} series - 系列
+     * @returns {Array<{date, value, tooltip}>} データの配列
      */
-    async loadDataInRange(minValue, maxValue, series) {
-        // TSVファイルを読み込む
-        const response = await fetch(this.url);
-        if (!response.ok) {
-            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
-        }
+    getSeriesData(series) {
+        const data = this.getAllSeriesData(series);
+        if (!series.currentPeriod) {
+            return data;
+        }
+        const key = `${series.currentPeriod.shift}:${series.currentPeriod.align}:${data.length}`;
+        const cached = this.currentPeriodDataCache.get(series);
+        if (cached && cached.key === key && cached.source === data) {
+            return cached.data;
+        }
+        const boundary = this.getCurrentPeriodBoundary(data, series.currentPeriod);
+        const currentData = data.filter(item => item.date > boundary);
+        this.currentPeriodDataCache.set(series, { key, source: data, data: currentData });
+        return currentData;
+    }
 
-        const text = await response.text();
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    /**
+     * 系列の描画に使用するすべての期間のデータを取得（集計・欠損データの補完をした後のデータ）
+     * @param {LineSeries|BarSeries} series - 系列
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getAllSeriesData(series) {
+        const missingData = series.missingData || 'none';
+        if (!this.aggregate && missingData === 'none') {
+            return series.data;
+        }
+        const key = this.aggregate ?
+            `${this.aggregate.interval}:${this.aggregate.func}:${series.data.length}` :
+            `${missingData}:${series.data.length}`;
+        const cached = this.aggregatedDataCache.get(series);
+        if (cached && cached.key === key && cached.source === series.data) {
+            return cached.data;
+        }
+        const data = this.aggregate ?
+            this.aggregateData(series.data) : this.fillMissingData(series.data, missingData);
+        this.aggregatedDataCache.set(series, { key, source: series.data, data });
+        return data;
+    }
+
+    /**
+     * 派生系列（移動平均・トレンド線・前期比較）の描画に使用するデータを取得
+     * 元の系列の描画用のデータ（集計・欠損データの補完をした後のデータ）から計算し、元のデータが変わるまでキャッシュする
+     * @param {LineSeries|BarSeries} series - 派生系列
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getDerivedSeriesData(series) {
+        const sourceData = series.source.getData();
+        const priorData = series.derivation.kind === 'comparison' ?
+            (series.priorSeries ? series.priorSeries.getData() : this.getAllSeriesData(series.source)) : null;
+        const key = `${JSON.stringify(series.derivation)}:${sourceData.length}:${priorData ? priorData.length : ''}`;
+        const cached = this.derivedDataCache.get(series);
+        if (cached && cached.key === key && cached.source === sourceData && cached.prior === priorData) {
+            return cached.data;
+        }
+        const data = priorData ?
+            this.calculateComparisonData(sourceData, priorData, series.derivation) :
+            DerivedSeries.calculate(sourceData, series.derivation, this.aggregate ? this.aggregate.interval : null);
+        this.derivedDataCache.set(series, { key, source: sourceData, prior: priorData, data });
+        return data;
+    }
 
-        if (lines.length === 0) {
+    /**
+     * 前期比較のデータを計算
+     * 前期のデータの日付を期間の分だけ後ろにずらし、今期の範囲（今期の最初の日付から最後の日付まで）に入るデータを返す
+     * @param {Array<{date, value}>} currentData - 今期のデータ
+     * @param {Array<{date, value}>} priorData - 前期のデータ（今期のデータを含んでもよい）
+     * @param {Object} derivation - 前期比較の指定 {kind: 'comparison', shift, align}
+     * @returns {Array<{date, value, tooltip, priorDate, currentValue, change}>} 今期の日付に合わせた前期のデータ
+     *   （priorDateは前期の日付、currentValueは同じ日付の今期の値、changeは前期からの増減率。今期の値がない場合・前期の値が0の場合はnull）
+     */
+    calculateComparisonData(currentData, priorData, derivation) {
+        const currentDates = currentData.map(item => item.date).sort();
+        if (currentDates.length === 0) {
             return [];
         }
+        const firstDate = currentDates[0];
+        const lastDate = currentDates[currentDates.length - 1];
+        const currentValues = new Map(currentData.map(item => [item.date, item.value]));
 
         const result = [];
-        const valueIndex = series.valueIndex;
-        const groupIndex = series.groupIndex;
-        const headers = series.headers || this.headers;
-
-        // データ行を解析
-        for (let i = 1; i < lines.length; i++) {
-            const columns = lines[i].split('\t');
-            if (columns.length <= valueIndex) {
+        for (const item of priorData) {
+            const date = DateChart.shiftDate(item.date, derivation.shift, derivation.align);
+            if (date < firstDate || date > lastDate) {
                 continue;
             }
+            const currentValue = currentValues.has(date) ? currentValues.get(date) : null;
+            const change = currentValue !== null && item.value !== null && item.value !== 0 ?
+                (currentValue - item.value) / Math.abs(item.value) : null;
+            result.push({ date, value: item.value, tooltip: '', priorDate: item.date, currentValue, change });
+        }
+        return result.sort((a, b) => a.date.localeCompare(b.date));
+    }
 
-            // グループ別ヒストグラムの場合、グループ名をチェック
-            if (groupIndex !== -1) {
-                const groupName = columns[groupIndex]?.trim() || '';
-                if (groupName !== series.groupName) {
-                    continue;
-                }
+    /**
+     * 前期比較の元の系列の今期と前期の境界の日付を取得（最後の日付から期間の分だけ前の日付）
+     * @param {Array<{date}>} data - 元の系列のすべての期間のデータ
+     * @param {Object} currentPeriod - 前期比較の指定 {shift, align}
+     * @returns {string} 境界の日付（この日付より後が今期）
+     */
+    getCurrentPeriodBoundary(data, currentPeriod) {
+        let lastDate = '';
+        for (const item of data) {
+            if (item.date > lastDate) {
+                lastDate = item.date;
             }
+        }
+        return lastDate ? DateChart.shiftDate(lastDate, currentPeriod.shift, currentPeriod.align, -1) : '';
+    }
 
-            const valueStr = columns[valueIndex].trim();
-            const value = parseFloat(valueStr);
-            if (isNaN(value)) {
-                continue;
-            }
+    /**
+     * 前期比較の期間を解析
+     * @param {string} shift - 期間（数値と単位 'y'（年）・'m'（月）・'w'（週）・'d'（日）、例: '1y'）
+     * @returns {Object} {count, unit}
+     */
+    static parseShift(shift) {
+        const match = typeof shift === 'string' ? shift.match(/^([1-9]\d*)([ymwd])$/) : null;
+        if (!match) {
+            throw new Error(`Invalid comparison shift: ${shift}. Must be a number followed by y, m, w or d (e.g. '1y')`);
+        }
+        return { count: parseInt(match[1], 10), unit: match[2] };
+    }
 
-            // 範囲内のデータのみを追加
-            if (value >= minValue && value <= maxValue) {
-                // 全カラムを含むオブジェクトを作成
-                const rowData = {};
-                headers.forEach((header, index) => {
-                    rowData[header] = columns[index]?.trim() || '';
-                });
-                result.push(rowData);
-            }
+    /**
+     * 日付を前期比較の期間の分だけずらす
+     * - 'weekday': 曜日が同じになるように、期間に最も近い7日の倍数の日数でずらす（'1y'は364日、'1m'は28日）
+     * - 'date': 年・月は同じ日付（月末を超える場合は月末）、週・日は日数でずらす
+     * @param {string} dateStr - 'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式の日付（時刻はそのまま）
+     * @param {string} shift - 期間（例: '1y'）
+     * @param {string} align - 日付の合わせ方（'weekday', 'date'）
+     * @param {number} direction - ずらす方向（1: 後ろ、-1: 前）
+     * @returns {string} ずらした日付（元の日付と同じ形式）
+     */
+    static shiftDate(dateStr, shift, align, direction = 1) {
+        const { count, unit } = DateChart.parseShift(shift);
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1;
+        const day = parseInt(dateStr.substring(6, 8), 10);
+
+        // 夏時間の影響を受けないようにUTCで計算する
+        let date;
+        if ((unit === 'y' || unit === 'm') && align === 'date') {
+            const targetMonth = month + (unit === 'y' ? count * 12 : count) * direction;
+            const lastDay = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+            date = new Date(Date.UTC(year, targetMonth, Math.min(day, lastDay)));
+        } else {
+            const daysPerUnit = { y: 365.2425, m: 30.436875, w: 7, d: 1 };
+            const days = unit === 'd' || align === 'date' ?
+                Math.round(count * daysPerUnit[unit]) : Math.round(count * daysPerUnit[unit] / 7) * 7;
+            date = new Date(Date.UTC(year, month, day + days * direction));
         }
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${dateStr.substring(8)}`;
+    }
 
-        return result;
+    /**
+     * 前期比較の期間の名前を取得（例: '1y'は'前年'、'2w'は'2週前'）
+     * @param {string} shift - 期間
+     * @returns {string} 期間の名前
+     */
+    static getComparisonLabel(shift) {
+        const { count, unit } = DateChart.parseShift(shift);
+        if (count === 1) {
+            return { y: '前年', m: '前月', w: '前週', d: '前日' }[unit];
+        }
+        return `${count}${{ y: '年', m: 'か月', w: '週', d: '日' }[unit]}前`;
     }
-}
 
-/**
- * PieChart - 円グラフチャートクラス
- * 円グラフを管理するクラス
- */
-class PieChart {
     /**
-     * コンストラクタ
-     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     * 日付文字列（YYYYMMDD形式）をDateオブジェクトに変換
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
+     * @returns {Date} Dateオブジェクト
      */
-    constructor(chartCanvas) {
-        this.chartCanvas = chartCanvas;
-        
-        // タイトルとサブタイトル
-        this.title = '';
-        this.subtitle = '';
-        
-        // データとラベル
-        this.data = []; // 各セグメントの値
-        this.labels = []; // 各セグメントのカテゴリ名
-        
-        // ラベルの設定
-        this.labelFormat = 'category-percentage'; // デフォルト: カテゴリ名とパーセンテージ
-        this.labelPosition = 'auto'; // デフォルト: 自動選択
-        this.labelThreshold = 5; // 小さいセグメントと判定する閾値（パーセンテージ）
-        
-        // 「その他」カテゴリの設定
-        this.othersCategoryEnabled = false;
-        this.othersCategoryThreshold = 5; // パーセンテージ
-        this.othersCategoryLabel = 'その他';
-        
-        // 凡例の設定
-        this.legendVisible = true; // デフォルト: 表示
-        
-        // 色の設定（モノクロームを除く）
-        this.colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#FF6384', '#FF6B9D', '#C44569', '#F8B500', '#00D2FF', '#5E60CE'];
-        
-        // 円グラフの描画設定
-        this.startAngle = 0; // 開始角度（度、デフォルト: 0度 = 真北から開始）
-        this.innerRadius = 0; // 内側の半径（ドーナツグラフ用、0の場合は通常の円グラフ）
-        this.padding = 10; // セグメント間のパディング（度）
-        
-        // ラベルの角度オフセット（180度付近の衝突回避用）
-        this.labelAngleOffsets = []; // 各セグメントのラベル角度オフセット（度）
-        
-        // 円弧の放射線方向オフセット（強調表示用）
-        this.sliceOffsets = []; // 各セグメントの放射線方向オフセット（ピクセル）
+    parseDateToDate(dateStr) {
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // 月は0始まり
+        const day = parseInt(dateStr.substring(6, 8), 10);
+        return new Date(year, month, day);
     }
 
     /**
-     * データとラベルを設定
-     * @param {Array<number>} data - データの配列（各セグメントの値）
-     * @param {Array<string>} labels - ラベルの配列（各セグメントのカテゴリ名）
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * Dateオブジェクトを日付文字列（YYYYMMDD形式）に変換
+     * @param {Date} date - Dateオブジェクト
+     * @returns {string} 日付文字列（'YYYYMMDD'形式）
      */
-    setData(data, labels) {
-        if (!Array.isArray(data) || !Array.isArray(labels)) {
-            throw new Error('data and labels must be arrays');
-        }
-        if (data.length !== labels.length) {
-            throw new Error('data and labels must have the same length');
-        }
-        
-        // 値が0以上の数値のみをフィルタリング
-        const validData = [];
-        const validLabels = [];
-        for (let i = 0; i < data.length; i++) {
-            const value = parseFloat(data[i]);
-            if (!isNaN(value) && value >= 0) {
-                validData.push(value);
-                validLabels.push(labels[i]);
-            }
+    formatDateToString(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}${month}${day}`;
+    }
+
+    /**
+     * 棒グラフを積み上げるかどうか
+     * @returns {boolean} 'stacked'または'percentStacked'の場合はtrue
+     */
+    isStackedBarMode() {
+        return this.barMode === 'stacked' || this.barMode === 'percentStacked';
+    }
+
+    /**
+     * 指定した軸が100%積み上げ棒グラフの軸かどうか
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {boolean} 100%積み上げの棒グラフが存在する軸の場合はtrue
+     */
+    isPercentStackedAxis(isSecondAxis = false) {
+        if (this.barMode !== 'percentStacked') {
+            return false;
         }
-        
-        // 割合の多い順にソート（降順）
-        // 「その他」カテゴリは最後に配置
-        const combined = validData.map((value, index) => ({
-            value: value,
-            label: validLabels[index],
-            index: index,
-            isOthers: validLabels[index] === this.othersCategoryLabel || validLabels[index] === 'Others' || validLabels[index] === 'その他'
-        }));
-        
-        // 値の大きい順にソート（「その他」は最後に）
-        combined.sort((a, b) => {
-            // 「その他」カテゴリは常に最後
-            if (a.isOthers && !b.isOthers) return 1;
-            if (!a.isOthers && b.isOthers) return -1;
-            // 両方とも「その他」でない場合、値の大きい順
-            if (!a.isOthers && !b.isOthers) return b.value - a.value;
-            // 両方とも「その他」の場合、値の大きい順
-            return b.value - a.value;
-        });
-        
-        // ソート後のデータとラベルを設定
-        this.data = combined.map(item => item.value);
-        this.labels = combined.map(item => item.label);
-        
-        // ラベルの角度オフセットをリセット
-        this.labelAngleOffsets = new Array(this.data.length).fill(0);
-        // スライスのオフセットもリセット
-        this.sliceOffsets = new Array(this.data.length).fill(0);
-        
-        return this;
+        return this.bars.some(bar => bar.secondAxis === isSecondAxis && bar.getData().length > 0);
     }
 
     /**
-     * ラベルの表示形式を設定
-     * @param {string} format - ラベルの表示形式
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 軸ラベルのフォーマットを取得（100%積み上げの軸は'0%'）
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {string} フォーマット文字列
      */
-    setLabelFormat(format) {
-        const validFormats = ['category', 'percentage', 'value', 'category-percentage', 'category-value', 'category-value-percentage'];
-        if (!validFormats.includes(format)) {
-            throw new Error(`Invalid label format: ${format}. Valid formats: ${validFormats.join(', ')}`);
+    getAxisFormat(isSecondAxis = false) {
+        if (this.isPercentStackedAxis(isSecondAxis)) {
+            return '0%';
         }
-        this.labelFormat = format;
-        return this;
+        return (isSecondAxis ? this.secondAxisFormat : this.yAxisFormat) || '#,##0';
     }
 
     /**
-     * ラベルの配置方法を設定
-     * @param {string} position - ラベルの配置方法
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 日付ごとの棒グラフの積み上げ合計を計算
+     * 正の値と負の値はそれぞれ別に積み上げる
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Map<string, Object>} 日付をキーとした合計 {positive, negative, total}
      */
-    setLabelPosition(position) {
-        const validPositions = ['auto', 'arc-center', 'leader-line'];
-        if (!validPositions.includes(position)) {
-            throw new Error(`Invalid label position: ${position}. Valid positions: ${validPositions.join(', ')}`);
+    calculateBarStackTotals(isSecondAxis = false) {
+        const totals = new Map();
+        for (const bar of this.bars) {
+            if (bar.secondAxis !== isSecondAxis) {
+                continue;
+            }
+            for (const item of bar.getData()) {
+                if (item.value === null) {
+                    continue; // 欠損データは積み上げない
+                }
+                if (!totals.has(item.date)) {
+                    totals.set(item.date, { positive: 0, negative: 0, total: 0 });
+                }
+                const entry = totals.get(item.date);
+                if (item.value >= 0) {
+                    entry.positive += item.value;
+                } else {
+                    entry.negative += item.value;
+                }
+                entry.total += item.value;
+            }
         }
-        this.labelPosition = position;
-        return this;
+        return totals;
     }
 
     /**
-     * 小さいセグメントと判定する閾値を設定
-     * @param {number} threshold - 閾値（パーセンテージ、0〜100）
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 棒グラフの各データの積み上げ位置を計算
+     * 系列の追加順に下から積み上げる（負の値は0から下に積み上げる）
+     * 'percentStacked'の場合は、日付ごとの絶対値の合計に対する比率（0.0〜1.0）で計算する
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Map<Object, Object>} データ項目をキーとした積み上げ位置 {start, end, total, ratio}
      */
-    setLabelThreshold(threshold) {
-        if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
-            throw new Error('threshold must be a number between 0 and 100');
+    calculateBarStackPositions(isSecondAxis = false) {
+        const totals = this.calculateBarStackTotals(isSecondAxis);
+        const isPercent = this.barMode === 'percentStacked';
+        const offsets = new Map();
+        const positions = new Map();
+
+        for (const bar of this.bars) {
+            if (bar.secondAxis !== isSecondAxis) {
+                continue;
+            }
+            for (const item of bar.getData()) {
+                if (item.value === null) {
+                    continue; // 欠損データは積み上げない
+                }
+                const entry = totals.get(item.date);
+                const absoluteTotal = entry.positive - entry.negative;
+                const ratio = absoluteTotal !== 0 ? item.value / absoluteTotal : 0;
+                const value = isPercent ? ratio : item.value;
+
+                if (!offsets.has(item.date)) {
+                    offsets.set(item.date, { positive: 0, negative: 0 });
+                }
+                const offset = offsets.get(item.date);
+                const key = value >= 0 ? 'positive' : 'negative';
+                const start = offset[key];
+                offset[key] += value;
+
+                positions.set(item, { start, end: offset[key], total: entry.total, ratio });
+            }
         }
-        this.labelThreshold = threshold;
-        return this;
+        return positions;
     }
 
     /**
-     * 「その他」カテゴリにまとめる機能を設定
-     * @param {boolean} enabled - 「その他」カテゴリにまとめる機能を有効にするか
-     * @param {number} threshold - 閾値（パーセンテージ、0〜100、オプション）
-     * @param {string} label - 「その他」カテゴリのラベル（オプション）
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 面グラフの各データの積み上げ位置を計算
+     * 同じ軸で積み上げグループ（stack）が同じ系列を、系列の追加順に下から積み上げる（負の値は0から下に積み上げる）
+     * 積み上げグループがない系列は0から値までの位置を返す
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Map<Object, Object>} データ項目をキーとした積み上げ位置 {start, end, total, stacked}（totalは積み上げグループの日付ごとの合計）
      */
-    setOthersCategory(enabled, threshold, label) {
-        this.othersCategoryEnabled = enabled;
-        if (threshold !== undefined) {
-            if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
-                throw new Error('threshold must be a number between 0 and 100');
+    calculateAreaStackPositions(isSecondAxis = false) {
+        const offsets = new Map(); // Map<stack, Map<date, {positive, negative, total}>>
+        const positions = new Map();
+        const stackedItems = [];
+
+        for (const area of this.areas) {
+            if (area.secondAxis !== isSecondAxis) {
+                continue;
+            }
+            for (const item of area.getData()) {
+                if (item.value === null) {
+                    continue; // 欠損データは積み上げない
+                }
+                if (area.stack === null) {
+                    positions.set(item, { start: 0, end: item.value, total: item.value, stacked: false });
+                    continue;
+                }
+                if (!offsets.has(area.stack)) {
+                    offsets.set(area.stack, new Map());
+                }
+                const stackOffsets = offsets.get(area.stack);
+                if (!stackOffsets.has(item.date)) {
+                    stackOffsets.set(item.date, { positive: 0, negative: 0, total: 0 });
+                }
+                const offset = stackOffsets.get(item.date);
+                const key = item.value >= 0 ? 'positive' : 'negative';
+                const start = offset[key];
+                offset[key] += item.value;
+                offset.total += item.value;
+                positions.set(item, { start, end: offset[key], total: 0, stacked: true });
+                stackedItems.push({ item, offset });
             }
-            this.othersCategoryThreshold = threshold;
         }
-        if (label !== undefined) {
-            this.othersCategoryLabel = label;
+
+        // 積み上げグループの合計は、すべての系列を積み上げた後に設定する
+        for (const { item, offset } of stackedItems) {
+            positions.get(item).total = offset.total;
         }
-        return this;
+        return positions;
     }
 
     /**
-     * 凡例の表示/非表示を設定
-     * @param {boolean} visible - 凡例を表示するかどうか
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 線グラフを追加
+     * @param {Object} options - 線グラフのオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 線の色
+     * @param {number} options.lineWidth - 線の太さ
+     * @param {string} options.lineType - 線の種類（'solid', 'dashed', 'dotted'など）
+     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
+     * @returns {LineSeries} LineSeriesインスタンス
      */
-    setLegendVisible(visible) {
-        this.legendVisible = visible;
-        return this;
+    addLine(options = {}) {
+        const line = new LineSeries(this, options);
+        this.lines.push(line);
+        return line;
     }
 
     /**
-     * タイトルを設定
-     * @param {string} title - グラフのタイトル
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 棒グラフを追加
+     * @param {Object} options - 棒グラフのオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 棒の色
+     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
+     * @returns {BarSeries} BarSeriesインスタンス
      */
-    setTitle(title) {
-        this.title = title || '';
-        return this;
+    addBar(options = {}) {
+        const bar = new BarSeries(this, options);
+        this.bars.push(bar);
+        return bar;
     }
 
     /**
-     * サブタイトルを設定
-     * @param {string} subtitle - グラフのサブタイトル
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 面グラフを追加
+     * 面は0（積み上げの場合は下の系列の上端）から値までを塗りつぶし、上端に線を描画する
+     * @param {Object} options - 面グラフのオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 面と線の色
+     * @param {number} options.fillOpacity - 塗りつぶしの不透明度（0〜1、デフォルト: 0.3）
+     * @param {number} options.lineWidth - 上端の線の太さ（デフォルト: 2、0の場合は線を描画しない）
+     * @param {string} options.stack - 積み上げグループの名前（同じ軸・同じグループの系列を追加順に積み上げる、省略時は積み上げない）
+     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
+     * @returns {AreaSeries} AreaSeriesインスタンス
      */
-    setSubtitle(subtitle) {
-        this.subtitle = subtitle || '';
-        return this;
+    addArea(options = {}) {
+        const area = new AreaSeries(this, options);
+        this.areas.push(area);
+        return area;
     }
 
     /**
-     * 特定の円弧を放射線方向にずらして強調表示する
-     * @param {number|Array<number>} indices - 強調するセグメントのインデックス（単一のインデックスまたは配列）
-     * @param {number} offset - ずらす距離（ピクセル、デフォルト: 10）
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 系列の移動平均の線グラフを追加
+     * 移動平均は元の系列の描画用のデータ（集計・欠損データの補完をした後のデータ）から計算するため、データは後から追加してもよい
+     * @param {LineSeries|BarSeries} series - 元の系列
+     * @param {Object} options - 移動平均のオプション
+     * @param {number} options.window - 期間（日数、集計している場合は区間の数。2以上の整数）
+     * @param {string} options.type - 移動平均の種類（'sma', 'ema', 'wma'、デフォルト: 'sma'）
+     * @param {string} options.title - 系列のタイトル（デフォルト: 元の系列のタイトル + ' 移動平均（7）'など）
+     * @param {string} options.color - 線の色（デフォルト: 元の系列の色）
+     * @param {number} options.lineWidth - 線の太さ（デフォルト: 2）
+     * @param {string} options.lineType - 線の種類（デフォルト: 'dashed'）
+     * @param {boolean} options.showMarkers - マーカーを表示するかどうか（デフォルト: false）
+     * @returns {LineSeries} 移動平均のLineSeriesインスタンス
      */
-    setSliceOffset(indices, offset = 10) {
-        // スライスオフセット配列を初期化（必要に応じて）
-        if (this.sliceOffsets.length !== this.data.length) {
-            this.sliceOffsets = new Array(this.data.length).fill(0);
-        }
-        
-        // インデックスを配列に変換
-        const indexArray = Array.isArray(indices) ? indices : [indices];
-        
-        // 各インデックスに対してオフセットを設定
-        indexArray.forEach(index => {
-            if (typeof index === 'number' && index >= 0 && index < this.data.length) {
-                this.sliceOffsets[index] = offset;
-            }
+    addMovingAverage(series, options = {}) {
+        return this.addDerivedLine(series, DerivedSeries.normalizeMovingAverage(options), options);
+    }
+
+    /**
+     * 系列のトレンド線（最小二乗法）の線グラフを追加
+     * @param {LineSeries|BarSeries} series - 元の系列
+     * @param {Object} options - トレンド線のオプション
+     * @param {string} options.method - 計算方法（'linear', 'polynomial'、デフォルト: 'linear'）
+     * @param {number} options.degree - 多項式の次数（2〜6の整数、デフォルト: 2、'polynomial'のみ）
+     * @param {string} options.title - 系列のタイトル（デフォルト: 元の系列のタイトル + ' トレンド（線形）'など）
+     * @param {string} options.color - 線の色（デフォルト: 元の系列の色）
+     * @param {number} options.lineWidth - 線の太さ（デフォルト: 2）
+     * @param {string} options.lineType - 線の種類（デフォルト: 'dashed'）
+     * @returns {LineSeries} トレンド線のLineSeriesインスタンス
+     */
+    addTrendLine(series, options = {}) {
+        return this.addDerivedLine(series, DerivedSeries.normalizeTrendLine(options), options);
+    }
+
+    /**
+     * 派生系列の線グラフを追加（内部用）
+     * 派生系列は元の系列と同じ軸を使用し、凡例・ツールチップ・Y軸の範囲では通常の線グラフとして扱う
+     * @param {LineSeries|BarSeries} series - 元の系列
+     * @param {Object} derivation - 正規化した派生系列の指定（DerivedSeries.normalizeMovingAverageなどの戻り値）
+     * @param {Object} options - 線グラフのオプション
+     * @returns {LineSeries} 派生系列のLineSeriesインスタンス
+     */
+    addDerivedLine(series, derivation, options) {
+        if (!(series instanceof LineSeries || series instanceof BarSeries || series instanceof AreaSeries) || series.dateChart !== this) {
+            throw new Error('Invalid source series: must be a LineSeries, BarSeries or AreaSeries of this DateChart');
+        }
+        const line = this.addLine({
+            title: options.title || `${series.title} ${DerivedSeries.getLabel(derivation)}`.trim(),
+            color: options.color || series.color,
+            lineWidth: options.lineWidth || 2,
+            lineType: options.lineType || 'dashed',
+            secondAxis: series.secondAxis,
+            showMarkers: options.showMarkers || false
         });
-        
-        return this;
+        line.source = series;
+        line.derivation = derivation;
+        return line;
     }
 
     /**
-     * すべての円弧のオフセットをリセット
-     * @returns {PieChart} メソッドチェーン用にthisを返す
+     * 前期比較の系列（前年同期など）を追加
+     * 前期のデータの日付を期間の分だけ後ろにずらして今期のX軸に重ね、元の系列と同じ種類（線・棒）の薄い色の系列として描画する
+     * ツールチップには前期の値・前期の日付・前期からの増減率を表示する
+     * - priorSeriesを省略した場合: 元の系列のデータのうち最後の日付から期間の分より前を前期、それより後を今期とし、
+     *   元の系列は今期のデータのみを描画する（X軸は今期の日付のみになる）
+     * - priorSeriesを指定した場合: priorSeriesのデータを前期として使用し、priorSeriesは描画しない
+     * 日付は元の系列の描画用のデータ（集計・欠損データの補完をした後のデータ）でずらすため、
+     * 週・月単位で集計する場合の'weekday'は近い日付の集計単位に合わせる目安になる
+     * @param {Object} options - 前期比較のオプション
+     * @param {LineSeries|BarSeries} options.series - 元の系列（今期）
+     * @param {LineSeries|BarSeries} options.priorSeries - 前期の系列（省略時は元の系列のデータを使用）
+     * @param {string} options.shift - 期間（数値と単位 'y'（年）・'m'（月）・'w'（週）・'d'（日）、デフォルト: '1y'）
+     * @param {string} options.align - 日付の合わせ方（'weekday': 曜日を合わせる、'date': 日付を合わせる、デフォルト: 'weekday'）
+     * @param {string} options.title - 系列のタイトル（デフォルト: 元の系列のタイトル + '（前年）'など）
+     * @param {string} options.color - 色（デフォルト: 元の系列の色）
+     * @param {number} options.opacity - 不透明度（0〜1、デフォルト: 0.4）
+     * @returns {LineSeries|BarSeries} 前期比較の系列（元の系列と同じ種類）
      */
-    resetSliceOffsets() {
-        this.sliceOffsets = new Array(this.data.length).fill(0);
-        return this;
+    addComparison(options = {}) {
+        const series = options.series;
+        if (!(series instanceof LineSeries || series instanceof BarSeries) || series.dateChart !== this || series.source) {
+            throw new Error('Invalid comparison series: must be a LineSeries or BarSeries of this DateChart');
+        }
+        const priorSeries = options.priorSeries || null;
+        if (priorSeries && (!(priorSeries instanceof LineSeries || priorSeries instanceof BarSeries) ||
+            priorSeries.dateChart !== this || priorSeries === series)) {
+            throw new Error('Invalid comparison priorSeries: must be another LineSeries or BarSeries of this DateChart');
+        }
+        const shift = options.shift || '1y';
+        DateChart.parseShift(shift);
+        const align = options.align || 'weekday';
+        if (!DateChart.COMPARISON_ALIGNS.includes(align)) {
+            throw new Error(`Invalid comparison align: ${align}. Valid aligns: ${DateChart.COMPARISON_ALIGNS.join(', ')}`);
+        }
+        const opacity = options.opacity !== undefined && options.opacity !== null ? options.opacity : 0.4;
+        if (typeof opacity !== 'number' || !(opacity >= 0 && opacity <= 1)) {
+            throw new Error(`Invalid comparison opacity: ${opacity}. Must be a number from 0 to 1`);
+        }
+
+        const seriesOptions = {
+            title: options.title || `${series.title}（${DateChart.getComparisonLabel(shift)}）`,
+            color: options.color || series.color,
+            secondAxis: series.secondAxis,
+            opacity
+        };
+        const comparison = series instanceof LineSeries ?
+            this.addLine({ ...seriesOptions, lineWidth: series.lineWidth, lineType: series.lineType, showMarkers: series.showMarkers }) :
+            this.addBar(seriesOptions);
+        comparison.source = series;
+        comparison.derivation = { kind: 'comparison', shift, align };
+        comparison.priorSeries = priorSeries;
+
+        if (priorSeries) {
+            // 前期の系列は比較の系列として描画するため、系列の一覧から外す
+            this.lines = this.lines.filter(line => line !== priorSeries);
+            this.bars = this.bars.filter(bar => bar !== priorSeries);
+        } else {
+            series.currentPeriod = { shift, align };
+        }
+        return comparison;
     }
 
     /**
-     * TSVローダーを作成
-     * @param {string} url - TSVファイルのURL
-     * @returns {PieTsvLoader} PieTsvLoaderインスタンス
+     * 基準線（水平線）を追加
+     * 線は棒グラフの上、線グラフの下に描画し、ラベルは線の右端の上に表示する
+     * @param {Object} options - 基準線のオプション
+     * @param {number} options.value - 基準線の値（Y軸の範囲に含める）
+     * @param {string} options.label - ラベル（省略時は表示しない）
+     * @param {string} options.color - 線の色（デフォルト: 'red'）
+     * @param {string} options.style - 線のスタイル（'solid', 'dashed', 'dotted'、デフォルト: 'dashed'）
+     * @param {number} options.lineWidth - 線の太さ（デフォルト: 1）
+     * @param {string} options.axis - 基準とするY軸（'primary', 'secondary'、デフォルト: 'primary'）
+     * @returns {Object} 追加した注釈
      */
-    tsvLoader(url) {
-        return new PieTsvLoader(this, url);
+    addHorizontalLine(options = {}) {
+        return this.pushAnnotation({
+            type: 'horizontalLine',
+            value: DateChart.validateAnnotationNumber(options.value, 'value'),
+            label: options.label || '',
+            color: options.color || 'red',
+            style: DateChart.validateAnnotationStyle(options.style || 'dashed'),
+            lineWidth: options.lineWidth || 1,
+            axis: DateChart.validateAnnotationAxis(options.axis || 'primary')
+        });
     }
 
     /**
-     * データの合計値を計算
-     * @returns {number} データの合計値
+     * 目標帯（値の範囲の網掛け）を追加
+     * 網掛けはグリッド線の下に描画し、ラベルは帯の左上に表示する
+     * @param {Object} options - 目標帯のオプション
+     * @param {number} options.from - 範囲の下限（toと逆でもよい、Y軸の範囲に含める）
+     * @param {number} options.to - 範囲の上限
+     * @param {string} options.label - ラベル（省略時は表示しない）
+     * @param {string} options.color - 塗りつぶしの色（デフォルト: 'green'）
+     * @param {number} options.opacity - 塗りつぶしの透明度（0.0-1.0、デフォルト: 0.15）
+     * @param {string} options.axis - 基準とするY軸（'primary', 'secondary'、デフォルト: 'primary'）
+     * @returns {Object} 追加した注釈
      */
-    getTotal() {
-        return this.data.reduce((sum, value) => sum + value, 0);
+    addBand(options = {}) {
+        const from = DateChart.validateAnnotationNumber(options.from, 'from');
+        const to = DateChart.validateAnnotationNumber(options.to, 'to');
+        return this.pushAnnotation({
+            type: 'band',
+            from: Math.min(from, to),
+            to: Math.max(from, to),
+            label: options.label || '',
+            color: options.color || 'green',
+            opacity: options.opacity !== undefined ? options.opacity : 0.15,
+            axis: DateChart.validateAnnotationAxis(options.axis || 'primary')
+        });
     }
 
     /**
-     * 各セグメントのパーセンテージを計算
-     * @returns {Array<number>} 各セグメントのパーセンテージの配列
+     * イベントのマーカー（垂直線）を追加（キャンペーン・祝日など）
+     * 線は棒グラフの上、線グラフの下に描画し、ラベルは線の上端の右に表示する
+     * @param {Object} options - マーカーのオプション
+     * @param {string} options.date - 日付（'YYYYMMDD'形式、'YYYY-MM-DD'形式、日時など、系列のaddDataと同じ形式）
+     * @param {string} options.label - ラベル（省略時は表示しない）
+     * @param {string} options.color - 線の色（デフォルト: 'gray'）
+     * @param {string} options.style - 線のスタイル（'solid', 'dashed', 'dotted'、デフォルト: 'dashed'）
+     * @param {number} options.lineWidth - 線の太さ（デフォルト: 1）
+     * @returns {Object} 追加した注釈
      */
-    getPercentages() {
-        const total = this.getTotal();
-        if (total === 0) {
-            return this.data.map(() => 0);
-        }
-        return this.data.map(value => (value / total) * 100);
+    addVerticalMarker(options = {}) {
+        return this.pushAnnotation({
+            type: 'verticalMarker',
+            date: DateChart.validateAnnotationDate(options.date, 'date'),
+            label: options.label || '',
+            color: options.color || 'gray',
+            style: DateChart.validateAnnotationStyle(options.style || 'dashed'),
+            lineWidth: options.lineWidth || 1
+        });
     }
 
     /**
-     * セグメントの角度を計算
-     * @returns {Array<Object>} 各セグメントの角度情報の配列 [{startAngle, endAngle, percentage}, ...]
+     * 期間の網掛けを追加（キャンペーン期間・連休など）
+     * 日付のみの場合は開始日から終了日までの各日の幅全体を網掛けする。網掛けはグリッド線の下に描画する
+     * @param {Object} options - 網掛けのオプション
+     * @param {string} options.start - 開始日（addVerticalMarkerのdateと同じ形式）
+     * @param {string} options.end - 終了日（startと逆でもよい）
+     * @param {string} options.label - ラベル（省略時は表示しない）
+     * @param {string} options.color - 塗りつぶしの色（デフォルト: 'gray'）
+     * @param {number} options.opacity - 塗りつぶしの透明度（0.0-1.0、デフォルト: 0.15）
+     * @returns {Object} 追加した注釈
      */
-    getSegmentAngles() {
-        const total = this.getTotal();
-        if (total === 0) {
-            return [];
-        }
-        
-        const percentages = this.getPercentages();
-        const angles = [];
-        let currentAngle = this.startAngle;
-        
-        for (let i = 0; i < this.data.length; i++) {
-            const percentage = percentages[i];
-            const angle = (percentage / 100) * 360;
-            const startAngle = currentAngle;
-            const endAngle = currentAngle + angle;
-            
-            angles.push({
-                startAngle,
-                endAngle,
-                percentage,
-                index: i
-            });
-            
-            currentAngle = endAngle;
-        }
-        
-        return angles;
+    addDateRangeShade(options = {}) {
+        const start = DateChart.validateAnnotationDate(options.start, 'start');
+        const end = DateChart.validateAnnotationDate(options.end, 'end');
+        return this.pushAnnotation({
+            type: 'dateRangeShade',
+            start: start <= end ? start : end,
+            end: start <= end ? end : start,
+            label: options.label || '',
+            color: options.color || 'gray',
+            opacity: options.opacity !== undefined ? options.opacity : 0.15
+        });
     }
 
     /**
-     * ラベルのテキストを生成
-     * @param {number} index - セグメントのインデックス
-     * @returns {string} ラベルのテキスト
+     * 種類を指定して注釈を追加（CLIの設定JSONのannotationsで使用）
+     * @param {Object} annotation - 注釈 {type, ...}（typeはANNOTATION_TYPES、その他の項目は各メソッドのオプション）
+     * @returns {Object} 追加した注釈
      */
-    getLabelText(index) {
-        if (index < 0 || index >= this.labels.length) {
-            return '';
-        }
-        
-        const label = this.labels[index];
-        const value = this.data[index];
-        const percentage = this.getPercentages()[index];
-        
-        switch (this.labelFormat) {
-            case 'category':
-                return label;
-            case 'percentage':
-                return `${percentage.toFixed(1)}%`;
-            case 'value':
-                return value.toLocaleString();
-            case 'category-percentage':
-                return `${label} (${percentage.toFixed(1)}%)`;
-            case 'category-value':
-                return `${label}: ${value.toLocaleString()}`;
-            case 'category-value-percentage':
-                return `${label}: ${value.toLocaleString()} (${percentage.toFixed(1)}%)`;
+    addAnnotation(annotation) {
+        if (!annotation || typeof annotation !== 'object') {
+            throw new Error('Invalid annotation: must be an object');
+        }
+        switch (annotation.type) {
+            case 'horizontalLine':
+                return this.addHorizontalLine(annotation);
+            case 'band':
+                return this.addBand(annotation);
+            case 'verticalMarker':
+                return this.addVerticalMarker(annotation);
+            case 'dateRangeShade':
+                return this.addDateRangeShade(annotation);
             default:
-                return `${label} (${percentage.toFixed(1)}%)`;
+                throw new Error(`Invalid annotation type: ${annotation.type}. Valid types: ${DateChart.ANNOTATION_TYPES.join(', ')}`);
         }
     }
 
     /**
-     * セグメントが小さいかどうかを判定
-     * @param {number} index - セグメントのインデックス
-     * @returns {boolean} 小さいセグメントかどうか
+     * 注釈を追加（内部用）
+     * @param {Object} annotation - 検証済みの注釈
+     * @returns {Object} 追加した注釈
      */
-    isSmallSegment(index) {
-        const percentage = this.getPercentages()[index];
-        return percentage <= this.labelThreshold;
+    pushAnnotation(annotation) {
+        this.annotations.push(annotation);
+        return annotation;
     }
 
     /**
-     * ラベルの配置方法を決定（自動選択の場合）
-     * @param {number} index - セグメントのインデックス
-     * @returns {string} ラベルの配置方法（'arc-center' または 'leader-line'）
+     * Y軸の範囲に含める注釈の値を取得（基準線の値、目標帯の下限・上限）
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Array<number>} 値の配列
      */
-    determineLabelPosition(index) {
-        if (this.labelPosition !== 'auto') {
-            return this.labelPosition;
+    getAnnotationValues(isSecondAxis = false) {
+        const axis = isSecondAxis ? 'secondary' : 'primary';
+        const values = [];
+        for (const annotation of this.annotations) {
+            if (annotation.axis !== axis) continue;
+            if (annotation.type === 'horizontalLine') {
+                values.push(annotation.value);
+            } else if (annotation.type === 'band') {
+                values.push(annotation.from, annotation.to);
+            }
         }
-        
-        // 自動選択: セグメントが小さい場合は引出線を使用
-        if (this.isSmallSegment(index)) {
-            return 'leader-line';
+        return values;
+    }
+
+    /**
+     * 注釈の数値を検証
+     * @param {*} value - 値
+     * @param {string} name - 項目名（エラーメッセージ用）
+     * @returns {number} 値
+     */
+    static validateAnnotationNumber(value, name) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Invalid annotation ${name}: ${value}. Must be a finite number`);
         }
-        
-        return 'arc-center';
+        return value;
     }
 
     /**
-     * ラベルの位置とサイズを計算
-     * @param {number} centerX - 円グラフの中心X座標
-     * @param {number} centerY - 円グラフの中心Y座標
-     * @param {number} radius - 円グラフの半径
-     * @param {number} fontSize - フォントサイズ
-     * @param {Function} getTextWidth - テキスト幅を取得する関数
-     * @param {number} index - セグメントのインデックス
-     * @returns {Object} ラベルの位置とサイズ情報 {x, y, width, height, angle}
+     * 注釈の日付を検証して正規化
+     * @param {*} date - 日付
+     * @param {string} name - 項目名（エラーメッセージ用）
+     * @returns {string} 'YYYYMMDD'形式（日時の場合は'YYYYMMDDHHmmss'形式）の日付
      */
-    calculateLabelBounds(centerX, centerY, radius, fontSize, getTextWidth, index) {
-        const segmentAngles = this.getSegmentAngles();
-        if (index < 0 || index >= segmentAngles.length) {
-            return null;
+    static validateAnnotationDate(date, name) {
+        const normalized = date !== null && date !== undefined && date !== '' ? normalizeDate(String(date)) : '';
+        if (!/^(\d{8}|\d{14})$/.test(normalized)) {
+            throw new Error(`Invalid annotation ${name}: ${date}. Must be a date (e.g. 'YYYY-MM-DD')`);
         }
+        return normalized;
+    }
 
-        const segment = segmentAngles[index];
-        const labelText = this.getLabelText(index);
-        const labelPosition = this.determineLabelPosition(index);
-        
-        // ラベルの幅と高さを計算
-        const labelWidth = getTextWidth(labelText, fontSize);
-        const labelHeight = fontSize * 1.2; // フォントサイズの1.2倍を高さとする
-        
-        // ラベルの位置を計算
-        const midAngleDeg = (segment.startAngle + segment.endAngle) / 2;
-        const midAngleRad = ((midAngleDeg - 90) * Math.PI) / 180; // SVG座標系用に調整
-        
-        let labelX, labelY, labelRadius;
-        
-        if (labelPosition === 'arc-center') {
-            labelRadius = radius + 20; // 円の外側に配置
-        } else {
-            labelRadius = radius + 30; // 引出線の場合、少し外側に
+    /**
+     * 注釈の線のスタイルを検証
+     * @param {string} style - 線のスタイル
+     * @returns {string} 線のスタイル
+     */
+    static validateAnnotationStyle(style) {
+        if (!DateChart.ANNOTATION_LINE_STYLES.includes(style)) {
+            throw new Error(`Invalid annotation style: ${style}. Valid styles: ${DateChart.ANNOTATION_LINE_STYLES.join(', ')}`);
         }
-        
-        labelX = centerX + labelRadius * Math.cos(midAngleRad);
-        labelY = centerY + labelRadius * Math.sin(midAngleRad);
-        
-        return {
-            x: labelX,
-            y: labelY,
-            width: labelWidth,
-            height: labelHeight,
-            angle: midAngleDeg,
-            index: index,
-            text: labelText
-        };
+        return style;
     }
 
     /**
-     * 2つのラベルのバウンディングボックスが重なっているかチェック
-     * @param {Object} label1 - ラベル1の情報 {x, y, width, height}
-     * @param {Object} label2 - ラベル2の情報 {x, y, width, height}
-     * @param {number} padding - ラベル間の最小間隔（ピクセル、デフォルト: 5）
-     * @returns {boolean} 重なっている場合true
+     * 注釈の軸を検証
+     * @param {string} axis - 軸
+     * @returns {string} 軸
      */
-    checkLabelCollision(label1, label2, padding = 5) {
-        if (!label1 || !label2) {
-            return false;
+    static validateAnnotationAxis(axis) {
+        if (!DateChart.ANNOTATION_AXES.includes(axis)) {
+            throw new Error(`Invalid annotation axis: ${axis}. Valid axes: ${DateChart.ANNOTATION_AXES.join(', ')}`);
         }
-        
-        // ラベル1のバウンディングボックス（中央揃えを考慮）
-        const label1Left = label1.x - label1.width / 2;
-        const label1Right = label1.x + label1.width / 2;
-        const label1Top = label1.y - label1.height / 2;
-        const label1Bottom = label1.y + label1.height / 2;
-        
-        // ラベル2のバウンディングボックス（中央揃えを考慮）
-        const label2Left = label2.x - label2.width / 2;
-        const label2Right = label2.x + label2.width / 2;
-        const label2Top = label2.y - label2.height / 2;
-        const label2Bottom = label2.y + label2.height / 2;
-        
-        // パディングを考慮した衝突判定
-        // 2つの矩形が重なっているかチェック
-        const horizontalOverlap = !(label1Right + padding < label2Left || label2Right + padding < label1Left);
-        const verticalOverlap = !(label1Bottom + padding < label2Top || label2Bottom + padding < label1Top);
-        
-        return horizontalOverlap && verticalOverlap;
+        return axis;
     }
 
     /**
-     * すべてのラベルの衝突をチェック
-     * @param {number} centerX - 円グラフの中心X座標
-     * @param {number} centerY - 円グラフの中心Y座標
-     * @param {number} radius - 円グラフの半径
-     * @param {number} fontSize - フォントサイズ
-     * @param {Function} getTextWidth - テキスト幅を取得する関数
-     * @returns {Array} 衝突しているラベルのペアの配列 [{label1, label2}, ...]
+     * TSVローダーを取得
+     * @param {string} url - TSVファイルのURL
+     * @returns {TSVLoader} TSVLoaderインスタンス
      */
-    checkAllLabelCollisions(centerX, centerY, radius, fontSize, getTextWidth) {
-        const collisions = [];
-        const labelBounds = [];
+    tsvLoader(url) {
+        return new TSVLoader(this, url);
+    }
+
+    /**
+     * Y軸のスケールを計算
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @param {Array<DateChart>} sharedCharts - スケールを共有するDateChartの配列（省略時はこのDateChartのみ）
+     * @param {number|null} maxTickCount - 自動の目盛りの数の上限（描画エリアの高さから計算、nullの場合は制限しない）
+     * @returns {Object} スケール情報 {min, max, tickInterval, tickCount, labels}（対数軸の場合は {type, min, max, tickCount, labels, minorTicks}）
+     */
+    calculateYAxisScale(isSecondAxis = false, sharedCharts = null, maxTickCount = null) {
+        // 対象の系列を取得
+        const targetSeries = [];
         
-        // すべてのラベルの位置とサイズを計算
-        for (let i = 0; i < this.data.length; i++) {
-            const bounds = this.calculateLabelBounds(centerX, centerY, radius, fontSize, getTextWidth, i);
-            if (bounds) {
-                labelBounds.push(bounds);
+        // 線グラフと棒グラフの両方から対象系列を収集
+        for (const chart of (sharedCharts || [this])) {
+            for (const line of chart.lines) {
+                if (line.secondAxis === isSecondAxis && line.getData().length > 0) {
+                    targetSeries.push(line);
+                }
+            }
+            for (const bar of chart.bars) {
+                if (bar.secondAxis === isSecondAxis && bar.getData().length > 0) {
+                    targetSeries.push(bar);
+                }
+            }
+            for (const area of chart.areas) {
+                if (area.secondAxis === isSecondAxis && area.getData().length > 0) {
+                    targetSeries.push(area);
+                }
             }
         }
-        
-        // すべてのラベルペアについて衝突をチェック
-        for (let i = 0; i < labelBounds.length; i++) {
-            for (let j = i + 1; j < labelBounds.length; j++) {
-                if (this.checkLabelCollision(labelBounds[i], labelBounds[j])) {
-                    collisions.push({
-                        label1: labelBounds[i],
-                        label2: labelBounds[j]
-                    });
+
+        if (targetSeries.length === 0) {
+            return { min: 0, max: 0, tickCount: 0, labels: [] };
+        }
+
+        // 100%積み上げの軸: 0%〜100%（負の値がある場合は-100%から）の10%刻み
+        if (this.isPercentStackedAxis(isSecondAxis)) {
+            return this.calculatePercentStackedScale(isSecondAxis, sharedCharts);
+        }
+
+        // データから最小値と最大値を取得（対数軸の場合は0以下の値を除く）
+        const axisType = this.getAxisType(isSecondAxis);
+        const isLogAxis = axisType === 'log';
+        let minValue = Infinity;
+        let maxValue = -Infinity;
+
+        for (const series of targetSeries) {
+            // 積み上げの棒グラフ・面グラフは個々の値ではなく積み上げ合計で判定する
+            if ((series instanceof BarSeries && series.dateChart.isStackedBarMode()) ||
+                (series instanceof AreaSeries && series.stack !== null)) {
+                continue;
+            }
+            for (const item of series.getData()) {
+                // 線グラフの範囲（下限・上限）も含める
+                const values = item.lower !== undefined || item.upper !== undefined ?
+                    [item.value, item.lower, item.upper] : [item.value];
+                for (const value of values) {
+                    if (value === null || value === undefined) continue; // 欠損データは除く
+                    if (isLogAxis && value <= 0) continue;
+                    if (value < minValue) minValue = value;
+                    if (value > maxValue) maxValue = value;
                 }
             }
         }
-        
-        return collisions;
-    }
 
-    /**
-     * 350度（北北西）付近のラベル衝突を解決するため、小さいカテゴリを「その他」にまとめる
+        for (const chart of (sharedCharts || [this])) {
+            if (!chart.isStackedBarMode()) {
+                continue;
+            }
+            for (const entry of chart.calculateBarStackTotals(isSecondAxis).values()) {
+                if (isLogAxis) {
+                    // 対数軸では正の値の積み上げのみを描画する
+                    if (entry.positive <= 0) continue;
+                    if (entry.positive < minValue) minValue = entry.positive;
+                    if (entry.positive > maxValue) maxValue = entry.positive;
+                    continue;
+                }
+                if (entry.negative < minValue) minValue = entry.negative;
+                if (entry.positive > maxValue) maxValue = entry.positive;
+            }
+        }
+
+        for (const chart of (sharedCharts || [this])) {
+            for (const position of chart.calculateAreaStackPositions(isSecondAxis).values()) {
+                if (!position.stacked) {
+                    continue; // 積み上げない系列は個々の値で判定済み
+                }
+                for (const value of [position.start, position.end]) {
+                    if (isLogAxis && value <= 0) continue;
+                    if (value < minValue) minValue = value;
+                    if (value > maxValue) maxValue = value;
+                }
+            }
+        }
+
+        // 基準線・目標帯の値も範囲に含める
+        for (const chart of (sharedCharts || [this])) {
+            for (const value of chart.getAnnotationValues(isSecondAxis)) {
+                if (isLogAxis && value <= 0) continue;
+                if (value < minValue) minValue = value;
+                if (value > maxValue) maxValue = value;
+            }
+        }
+
+        // データがない場合
+        if (minValue === Infinity || maxValue === -Infinity) {
+            return { min: 0, max: 0, tickCount: 0, labels: [] };
+        }
+
+        // 対数・symlogの軸では範囲（min・max）の指定のみを使用する
+        const options = this.getAxisOptions(isSecondAxis);
+        if (isLogAxis) {
+            if (options.min !== null && options.min <= 0) {
+                throw new Error(`Invalid ${isSecondAxis ? 'secondAxisOptions' : 'yAxisOptions'}.min for log axis: ${options.min}. Must be greater than 0`);
+            }
+            const scale = this.calculateLogScale(options.min !== null ? options.min : minValue, options.max !== null ? options.max : maxValue);
+            return AxisScale.hasOptions(options) ? AxisScale.applyRange(scale, options) : scale;
+        }
+        if (axisType === 'symlog') {
+            const scale = this.calculateSymlogScale(options.min !== null ? options.min : minValue, options.max !== null ? options.max : maxValue);
+            return AxisScale.hasOptions(options) ? AxisScale.applyRange(scale, options) : scale;
+        }
+
+        // フォーマットを取得（パーセンテージ判定用）
+        const format = isSecondAxis ? this.secondAxisFormat : this.yAxisFormat;
+        const isPercentage = format.includes('%');
+
+        // パーセンテージの場合: 間隔・目盛りの数・最大値の指定がなければ10%刻みで100%まで
+        if (isPercentage && options.tickInterval === null && options.tickCount === null && options.max === null) {
+            const maxTickValue = Math.max(100, Math.ceil(Math.max(0, maxValue) / 10) * 10);
+            return AxisScale.calculateLinearScale(minValue, maxValue, { ...options, tickInterval: 10, max: Math.max(maxTickValue, (options.min || 0) + 10) });
+        }
+
+        // 通常の数値の場合: 最小値が0以上ならゼロベース、範囲が30以下なら1刻み、30超なら目盛りが10個程度の間隔
+        const scale = AxisScale.calculateLinearScale(minValue, maxValue, options);
+        if (options.tickInterval !== null || options.tickCount !== null) {
+            return scale;
+        }
+        // 目盛りの間隔を指定していない場合は、描画エリアの高さに収まる数まで目盛りを減らす
+        return AxisScale.limitTickCount(scale, maxTickCount,
+            tickInterval => AxisScale.calculateLinearScale(minValue, maxValue, { ...options, tickInterval }));
+    }
+
+    /**
+     * 対数軸のスケールを計算
+     * 最小値・最大値を含む10のべき乗の範囲を軸の範囲とし、10のべき乗ごとに目盛り、その間の2〜9倍に補助目盛りを置く
+     * @param {number} minValue - データの最小値（正の値）
+     * @param {number} maxValue - データの最大値（正の値）
+     * @returns {Object} スケール情報 {type, min, max, tickCount, labels, minorTicks}
+     */
+    calculateLogScale(minValue, maxValue) {
+        const minExponent = Math.floor(Math.log10(minValue));
+        let maxExponent = Math.ceil(Math.log10(maxValue));
+        if (maxExponent <= minExponent) {
+            maxExponent = minExponent + 1;
+        }
+
+        // 浮動小数点の誤差を避けるため、指数表記の文字列から値を生成する
+        const labels = [];
+        const minorTicks = [];
+        for (let exponent = minExponent; exponent <= maxExponent; exponent++) {
+            labels.push(Number(`1e${exponent}`));
+            if (exponent < maxExponent) {
+                for (let multiplier = 2; multiplier <= 9; multiplier++) {
+                    minorTicks.push(Number(`${multiplier}e${exponent}`));
+                }
+            }
+        }
+
+        return {
+            type: 'log',
+            min: labels[0],
+            max: labels[labels.length - 1],
+            tickCount: labels.length,
+            labels: labels,
+            minorTicks: minorTicks
+        };
+    }
+
+    /**
+     * 対称対数（symlog）軸のスケールを計算
+     * 0と±10のべき乗（1, 10, 100, ...）に目盛り、その間の2〜9倍に補助目盛りを置く
+     * @param {number} minValue - データの最小値
+     * @param {number} maxValue - データの最大値
+     * @returns {Object} スケール情報 {type, min, max, tickCount, labels, minorTicks}
+     */
+    calculateSymlogScale(minValue, maxValue) {
+        // 絶対値の最大値を含む10のべき乗の指数（1未満の場合は1まで）
+        const getMaxExponent = value => Math.max(0, Math.ceil(Math.log10(value)));
+        const positiveExponent = maxValue > 0 ? getMaxExponent(maxValue) : 0;
+        const negativeExponent = minValue < 0 ? getMaxExponent(-minValue) : -1;
+
+        const labels = [0];
+        const minorTicks = [];
+        for (let exponent = 0; exponent <= Math.max(positiveExponent, negativeExponent); exponent++) {
+            const value = Number(`1e${exponent}`);
+            if (exponent <= positiveExponent) {
+                labels.push(value);
+            }
+            if (exponent <= negativeExponent) {
+                labels.unshift(-value);
+            }
+            for (let multiplier = 2; multiplier <= 9; multiplier++) {
+                const minorValue = Number(`${multiplier}e${exponent}`);
+                if (exponent < positiveExponent) {
+                    minorTicks.push(minorValue);
+                }
+                if (exponent < negativeExponent) {
+                    minorTicks.push(-minorValue);
+                }
+            }
+        }
+
+        return {
+            type: 'symlog',
+            min: labels[0],
+            max: labels[labels.length - 1],
+            tickCount: labels.length,
+            labels: labels,
+            minorTicks: minorTicks
+        };
+    }
+
+    /**
+     * 100%積み上げの軸のスケールを計算
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @param {Array<DateChart>} sharedCharts - スケールを共有するDateChartの配列（省略時はこのDateChartのみ）
+     * @returns {Object} スケール情報 {min, max, tickCount, labels}（値は比率 -1.0または0.0〜1.0）
+     */
+    calculatePercentStackedScale(isSecondAxis = false, sharedCharts = null) {
+        let hasNegative = false;
+        for (const chart of (sharedCharts || [this])) {
+            for (const entry of chart.calculateBarStackTotals(isSecondAxis).values()) {
+                if (entry.negative < 0) hasNegative = true;
+            }
+        }
+
+        // 浮動小数点の誤差を避けるため、10%単位の整数から比率を生成する
+        const labels = [];
+        for (let i = hasNegative ? -10 : 0; i <= 10; i++) {
+            labels.push(i / 10);
+        }
+
+        return {
+            min: labels[0],
+            max: 1,
+            tickCount: labels.length,
+            labels: labels
+        };
+    }
+}
+
+/**
+ * LineSeries - 線グラフ系列クラス
+ */
+class LineSeries {
+    constructor(dateChart, options = {}) {
+        this.dateChart = dateChart;
+        this.title = options.title || '';
+        this.color = options.color || 'black';
+        this.lineWidth = options.lineWidth || 2;
+        this.lineType = options.lineType || 'solid';
+        this.secondAxis = options.secondAxis || false;
+        this.showMarkers = options.showMarkers || false; // マーカーを表示するかどうか
+        this.missingData = options.missingData || null; // 欠損データの扱い（DateChart.MISSING_DATA_MODES、nullの場合は補完しない。TSVLoaderはローダーの設定を使用）
+        this.showFilledMarkers = options.showFilledMarkers || false; // 補完したデータ点を白抜きのマーカーで表示するかどうか
+        this.forecastStart = options.forecastStart ? LineSeries.validateForecastStart(options.forecastStart) : null; // 予測の開始日（この日付以降の線は破線で描画する）
+        this.bandColor = options.bandColor || null; // 範囲（下限〜上限）の帯の色（nullの場合は線の色）
+        this.bandOpacity = options.bandOpacity !== undefined ? options.bandOpacity : 0.2; // 範囲の帯の不透明度
+        this.opacity = options.opacity !== undefined ? options.opacity : 1; // 不透明度（前期比較の系列は薄く表示する）
+        this.source = null; // 派生系列の元の系列（移動平均・トレンド線・前期比較の場合、DateChart.addDerivedLine・addComparisonで設定）
+        this.derivation = null; // 派生系列の指定（{kind, ...}、DerivedSeries・DateChart.addComparisonを参照）
+        this.priorSeries = null; // 前期比較の前期の系列（nullの場合は元の系列のデータを使用）
+        this.currentPeriod = null; // 前期比較の元の系列の場合の期間の指定 {shift, align}（今期のデータのみ描画する）
+        this.data = [];
+        DateChart.validateMissingData(this.missingData);
+    }
+
+    /**
+     * データを追加
+     * @param {string|number} date - 日付（'YYYYMMDD'形式）または日時（ISO 8601形式、エポック秒・エポックミリ秒の文字列または数値）
+     * @param {number|null} value - 値（nullの場合は欠損として扱い、線を途切れさせる）
+     * @param {string} tooltip - ツールチップテキスト（オプション）
+     */
+    addData(date, value, tooltip = '') {
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip });
+    }
+
+    /**
+     * 範囲（予測区間・信頼区間など）付きのデータを追加
+     * 範囲は線の下に塗りつぶした帯として描画する（下限・上限のどちらかがnullの日付で帯を途切れさせる）
+     * @param {string|number} date - 日付（'YYYYMMDD'形式）または日時（ISO 8601形式、エポック秒・エポックミリ秒の文字列または数値）
+     * @param {number|null} value - 値（nullの場合は線を途切れさせ、帯のみ描画する）
+     * @param {number|null} lower - 範囲の下限
+     * @param {number|null} upper - 範囲の上限
+     * @param {string} tooltip - ツールチップテキスト（オプション）
+     */
+    addRangeData(date, value, lower, upper, tooltip = '') {
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip, lower, upper });
+    }
+
+    /**
+     * 予測の開始日を検証して正規化
+     * @param {string} date - 日付（'YYYY-MM-DD'形式など）
+     * @returns {string} 'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式の日付
+     */
+    static validateForecastStart(date) {
+        const normalized = normalizeDate(String(date));
+        if (!/^(\d{8}|\d{14})$/.test(normalized)) {
+            throw new Error(`Invalid forecastStart: ${date}. Must be a date (e.g. 'YYYY-MM-DD')`);
+        }
+        return normalized;
+    }
+
+    /**
+     * 日付が予測の期間（予測の開始日以降）かどうか
+     * @param {string} date - 日付（'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式）
+     * @returns {boolean} 予測の開始日が設定されていて、日付がその日付以降の場合はtrue
+     */
+    isForecast(date) {
+        return !!this.forecastStart && date.localeCompare(this.forecastStart) >= 0;
+    }
+
+    /**
+     * 描画に使用するデータを取得（集計・欠損データの補完をした後のデータ、DateChart.getSeriesDataを参照）
+     * 派生系列の場合は元の系列から計算したデータ（DateChart.getDerivedSeriesDataを参照）
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getData() {
+        if (this.source && this.dateChart) {
+            return this.dateChart.getDerivedSeriesData(this);
+        }
+        return this.dateChart ? this.dateChart.getSeriesData(this) : this.data;
+    }
+
+    /**
+     * この系列の移動平均の線グラフを追加（DateChart.addMovingAverageを参照）
+     * @param {Object} options - 移動平均のオプション {window, type, title, color, lineWidth, lineType, showMarkers}
+     * @returns {LineSeries} 移動平均のLineSeriesインスタンス
+     */
+    addMovingAverage(options = {}) {
+        return this.dateChart.addMovingAverage(this, options);
+    }
+
+    /**
+     * この系列のトレンド線の線グラフを追加（DateChart.addTrendLineを参照）
+     * @param {Object} options - トレンド線のオプション {method, degree, title, color, lineWidth, lineType}
+     * @returns {LineSeries} トレンド線のLineSeriesインスタンス
+     */
+    addTrendLine(options = {}) {
+        return this.dateChart.addTrendLine(this, options);
+    }
+
+    /**
+     * この系列の前期比較の系列を追加（DateChart.addComparisonを参照）
+     * @param {Object} options - 前期比較のオプション {priorSeries, shift, align, title, color, opacity}
+     * @returns {LineSeries} 前期比較のLineSeriesインスタンス
+     */
+    addComparison(options = {}) {
+        return this.dateChart.addComparison({ ...options, series: this });
+    }
+}
+
+/**
+ * BarSeries - 棒グラフ系列クラス
+ */
+class BarSeries {
+    constructor(dateChart, options = {}) {
+        this.dateChart = dateChart;
+        this.title = options.title || '';
+        this.color = options.color || 'blue';
+        this.secondAxis = options.secondAxis || false;
+        this.missingData = options.missingData || null; // 欠損データの扱い（DateChart.MISSING_DATA_MODES、nullの場合は補完しない。TSVLoaderはローダーの設定を使用）
+        this.showFilledMarkers = options.showFilledMarkers || false; // 補完したデータを薄い色と破線の枠で表示するかどうか
+        this.opacity = options.opacity !== undefined ? options.opacity : 1; // 不透明度（前期比較の系列は薄く表示する）
+        this.source = null; // 前期比較の元の系列（DateChart.addComparisonで設定）
+        this.derivation = null; // 前期比較の指定 {kind: 'comparison', shift, align}
+        this.priorSeries = null; // 前期比較の前期の系列（nullの場合は元の系列のデータを使用）
+        this.currentPeriod = null; // 前期比較の元の系列の場合の期間の指定 {shift, align}（今期のデータのみ描画する）
+        this.data = [];
+        DateChart.validateMissingData(this.missingData);
+    }
+
+    /**
+     * データを追加
+     * @param {string|number} date - 日付（'YYYYMMDD'形式）または日時（ISO 8601形式、エポック秒・エポックミリ秒の文字列または数値）
+     * @param {number|null} value - 値（nullの場合は欠損として扱い、線を途切れさせる）
+     * @param {string} tooltip - ツールチップテキスト（オプション）
+     */
+    addData(date, value, tooltip = '') {
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip });
+    }
+
+    /**
+     * 描画に使用するデータを取得（集計・欠損データの補完をした後のデータ、DateChart.getSeriesDataを参照）
+     * 前期比較の系列の場合は前期のデータの日付をずらしたデータ（DateChart.getDerivedSeriesDataを参照）
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getData() {
+        if (this.source && this.dateChart) {
+            return this.dateChart.getDerivedSeriesData(this);
+        }
+        return this.dateChart ? this.dateChart.getSeriesData(this) : this.data;
+    }
+
+    /**
+     * 比率データを追加（分子/分母で計算）
+     * @param {string} date - 日付（'YYYYMMDD'形式）または日時
+     * @param {number} numerator - 分子
+     * @param {number} denominator - 分母
+     * @param {string} tooltip - ツールチップテキスト（オプション）
+     */
+    addRatioData(date, numerator, denominator, tooltip = '') {
+        const value = denominator !== 0 ? numerator / denominator : 0;
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip });
+    }
+
+    /**
+     * この系列の移動平均の線グラフを追加（DateChart.addMovingAverageを参照）
+     * @param {Object} options - 移動平均のオプション {window, type, title, color, lineWidth, lineType, showMarkers}
+     * @returns {LineSeries} 移動平均のLineSeriesインスタンス
+     */
+    addMovingAverage(options = {}) {
+        return this.dateChart.addMovingAverage(this, options);
+    }
+
+    /**
+     * この系列のトレンド線の線グラフを追加（DateChart.addTrendLineを参照）
+     * @param {Object} options - トレンド線のオプション {method, degree, title, color, lineWidth, lineType}
+     * @returns {LineSeries} トレンド線のLineSeriesインスタンス
+     */
+    addTrendLine(options = {}) {
+        return this.dateChart.addTrendLine(this, options);
+    }
+
+    /**
+     * この系列の前期比較の系列を追加（DateChart.addComparisonを参照）
+     * @param {Object} options - 前期比較のオプション {priorSeries, shift, align, title, color, opacity}
+     * @returns {BarSeries} 前期比較のBarSeriesインスタンス
+     */
+    addComparison(options = {}) {
+        return this.dateChart.addComparison({ ...options, series: this });
+    }
+}
+
+/**
+ * AreaSeries - 面グラフ系列クラス
+ */
+class AreaSeries {
+    constructor(dateChart, options = {}) {
+        this.dateChart = dateChart;
+        this.title = options.title || '';
+        this.color = options.color || 'green';
+        this.fillOpacity = options.fillOpacity !== undefined ? options.fillOpacity : 0.3; // 塗りつぶしの不透明度
+        this.lineWidth = options.lineWidth !== undefined ? options.lineWidth : 2; // 上端の線の太さ（0の場合は線を描画しない）
+        this.stack = options.stack !== undefined && options.stack !== null && options.stack !== '' ? String(options.stack) : null; // 積み上げグループ（nullの場合は積み上げない）
+        this.secondAxis = options.secondAxis || false;
+        this.missingData = options.missingData || null; // 欠損データの扱い（DateChart.MISSING_DATA_MODES、nullの場合は補完しない。TSVLoaderはローダーの設定を使用）
+        this.data = [];
+        DateChart.validateMissingData(this.missingData);
+        if (typeof this.fillOpacity !== 'number' || !(this.fillOpacity >= 0 && this.fillOpacity <= 1)) {
+            throw new Error(`Invalid fillOpacity: ${this.fillOpacity}. Must be a number from 0 to 1`);
+        }
+    }
+
+    /**
+     * データを追加
+     * @param {string|number} date - 日付（'YYYYMMDD'形式）または日時（ISO 8601形式、エポック秒・エポックミリ秒の文字列または数値）
+     * @param {number|null} value - 値（nullの場合は欠損として扱い、面を途切れさせる）
+     * @param {string} tooltip - ツールチップテキスト（オプション）
+     */
+    addData(date, value, tooltip = '') {
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip });
+    }
+
+    /**
+     * 描画に使用するデータを取得（集計・欠損データの補完をした後のデータ、DateChart.getSeriesDataを参照）
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getData() {
+        return this.dateChart ? this.dateChart.getSeriesData(this) : this.data;
+    }
+
+    /**
+     * この系列の移動平均の線グラフを追加（DateChart.addMovingAverageを参照）
+     * @param {Object} options - 移動平均のオプション {window, type, title, color, lineWidth, lineType, showMarkers}
+     * @returns {LineSeries} 移動平均のLineSeriesインスタンス
+     */
+    addMovingAverage(options = {}) {
+        return this.dateChart.addMovingAverage(this, options);
+    }
+
+    /**
+     * この系列のトレンド線の線グラフを追加（DateChart.addTrendLineを参照）
+     * @param {Object} options - トレンド線のオプション {method, degree, title, color, lineWidth, lineType}
+     * @returns {LineSeries} トレンド線のLineSeriesインスタンス
+     */
+    addTrendLine(options = {}) {
+        return this.dateChart.addTrendLine(this, options);
+    }
+}
+
+/**
+ * TSVLoader - TSVローダークラス
+ */
+class TSVLoader {
+    constructor(dateChart, url) {
+        this.dateChart = dateChart;
+        this.url = url;
+        this.dateTitle = '';
+        this.valueTitle = ''; // 値列名（autoMode用）
+        this.groupTitle = '';
+        this.commentTitle = ''; // コメント列名
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+        this.seriesType = 'line'; // 系列タイプ（'line', 'bar', 'area'）
+        this.seriesOptions = {}; // 系列オプション（lineWidth, lineType, showMarkersなど）
+        this.aggregate = null; // 集計の設定（{interval, func}、DateChart.setAggregateを参照）
+        this.missingData = 'none'; // 欠損データの扱い（'gap', 'zero', 'previous', 'linear', 'none'）。系列で指定されていない場合に使用
+        // 系列と列名のマッピング: Map<series, columnName> または Map<groupName, Map<series, columnName>>
+        this.seriesMap = new Map();
+        this.groupSeriesMap = new Map(); // グループ列がある場合用
+        // 線グラフの系列と範囲（下限・上限）の列名のマッピング: Map<series, {lowerColumn, upperColumn}>
+        this.bandColumnMap = new Map();
+    }
+
+    /**
+     * 線グラフの系列に範囲（下限・上限）の列を紐づける（LineSeries.addRangeDataを参照）
+     * 系列はaddSeries()で値の列とも紐づける必要がある
+     * @param {LineSeries} series - 線グラフの系列
+     * @param {string} lowerColumn - 下限の列名
+     * @param {string} upperColumn - 上限の列名
+     */
+    addBandColumns(series, lowerColumn, upperColumn) {
+        if (!(series instanceof LineSeries)) {
+            throw new Error('Band columns can only be added to a LineSeries');
+        }
+        this.bandColumnMap.set(series, { lowerColumn, upperColumn });
+    }
+
+    /**
+     * 系列と列名を紐づける
+     * @param {LineSeries|BarSeries} series - 系列インスタンス
+     * @param {string} columnName - TSVファイルの列名
+     * @param {string} groupName - グループ名（オプション、グループ列がある場合）
+     */
+    addSeries(series, columnName, groupName = null) {
+        if (groupName !== null && groupName !== undefined) {
+            // グループ列がある場合
+            if (!this.groupSeriesMap.has(groupName)) {
+                this.groupSeriesMap.set(groupName, new Map());
+            }
+            this.groupSeriesMap.get(groupName).set(series, columnName);
+        } else {
+            // グループ列がない場合
+            this.seriesMap.set(series, columnName);
+        }
+    }
+
+    /**
+     * TSVファイルを読み込む
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.dateTitle) {
+            throw new Error('dateTitle must be set');
+        }
+
+        // valueTitleとgroupTitleが設定されている場合、自動的に系列を作成するモード
+        const autoMode = this.valueTitle && this.groupTitle;
+        
+        console.log('TSVLoader.load(): autoMode =', autoMode);
+        console.log('TSVLoader.load(): this.valueTitle =', this.valueTitle);
+        console.log('TSVLoader.load(): this.groupTitle =', this.groupTitle);
+
+        if (!autoMode && this.seriesMap.size === 0 && this.groupSeriesMap.size === 0) {
+            throw new Error('At least one series must be added using addSeries() or set valueTitle and groupTitle for auto mode');
+        }
+
+        DateChart.validateMissingData(this.missingData);
+
+        // 集計の設定をDateChartに反映
+        if (this.aggregate) {
+            this.dateChart.setAggregate(this.aggregate.interval, this.aggregate.func);
+        }
+
+        // TSVファイルを読み込む
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+        }
+        const text = await response.text();
+
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
+            throw new Error('TSV file is empty');
+        }
+        
+        // 列のインデックスを取得
+        const dateIndex = headers.indexOf(this.dateTitle);
+        if (dateIndex === -1) {
+            throw new Error(`Date column "${this.dateTitle}" not found in TSV file`);
+        }
+
+        const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
+        if (this.groupTitle && groupIndex === -1) {
+            throw new Error(`Group column "${this.groupTitle}" not found in TSV file`);
+        }
+
+        const commentIndex = this.commentTitle ? headers.indexOf(this.commentTitle) : -1;
+        const valueIndex = autoMode ? headers.indexOf(this.valueTitle) : -1;
+        
+        if (autoMode && valueIndex === -1) {
+            throw new Error(`Value column "${this.valueTitle}" not found in TSV file`);
+        }
+
+        // 系列と列名のマッピングから列のインデックスを取得
+        const seriesColumnMap = new Map(); // Map<series, {columnIndex, groupName}>
+        
+        if (autoMode) {
+            // autoModeの場合、グループごとに自動的に系列を作成
+            // まず、すべてのグループ名を収集
+            const groupNames = new Set();
+            for (const columns of rows) {
+                if (groupIndex >= 0 && columns[groupIndex]) {
+                    groupNames.add(columns[groupIndex].trim());
+                }
+            }
+            
+            console.log('autoMode: グループ名の収集完了', Array.from(groupNames));
+            console.log('autoMode: valueIndex', valueIndex);
+            
+            // 各グループに対して系列を作成（テーマにパレットがある場合はパレットの色を使用）
+            const colorPalette = this.dateChart.chartCanvas?.theme?.palette || ['red', 'blue', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+            let colorIndex = 0;
+            
+            for (const groupName of groupNames) {
+                let series;
+                if (this.seriesType === 'bar') {
+                    series = this.dateChart.addBar({
+                        title: groupName,
+                        color: colorPalette[colorIndex % colorPalette.length],
+                        ...this.seriesOptions
+                    });
+                } else if (this.seriesType === 'area') {
+                    series = this.dateChart.addArea({
+                        title: groupName,
+                        color: colorPalette[colorIndex % colorPalette.length],
+                        ...this.seriesOptions
+                    });
+                } else {
+                    series = this.dateChart.addLine({
+                        title: groupName,
+                        color: colorPalette[colorIndex % colorPalette.length],
+                        ...this.seriesOptions
+                    });
+                }
+                colorIndex++;
+                
+                console.log('autoMode: 系列を作成', groupName, series);
+                
+                // 系列を直接キーとして使用し、グループ名は値の一部として保持
+                seriesColumnMap.set(series, { columnIndex: valueIndex, groupName });
+            }
+            
+            console.log('autoMode: seriesColumnMap.size', seriesColumnMap.size);
+        } else if (groupIndex >= 0) {
+            // グループ列がある場合（手動モード）
+            for (const [groupName, groupSeriesMap] of this.groupSeriesMap.entries()) {
+                for (const [series, columnName] of groupSeriesMap.entries()) {
+                    const columnIndex = headers.indexOf(columnName);
+                    if (columnIndex === -1) {
+                        throw new Error(`Column "${columnName}" not found in TSV file`);
+                    }
+                    // 系列を直接キーとして使用
+                    seriesColumnMap.set(series, { columnIndex, groupName });
+                }
+            }
+        } else {
+            // グループ列がない場合（手動モード）
+            for (const [series, columnName] of this.seriesMap.entries()) {
+                const columnIndex = headers.indexOf(columnName);
+                if (columnIndex === -1) {
+                    throw new Error(`Column "${columnName}" not found in TSV file`);
+                }
+                seriesColumnMap.set(series, { columnIndex });
+            }
+        }
+
+        // 範囲（下限・上限）の列のインデックスを取得
+        const bandIndexMap = new Map(); // Map<series, {lowerIndex, upperIndex}>
+        for (const [series, { lowerColumn, upperColumn }] of this.bandColumnMap.entries()) {
+            const lowerIndex = headers.indexOf(lowerColumn);
+            const upperIndex = headers.indexOf(upperColumn);
+            if (lowerIndex === -1 || upperIndex === -1) {
+                throw new Error(`Column "${lowerIndex === -1 ? lowerColumn : upperColumn}" not found in TSV file`);
+            }
+            bandIndexMap.set(series, { lowerIndex, upperIndex });
+        }
+        const parseColumn = (columns, index) => {
+            const value = parseFloat((columns[index] || '').trim());
+            return isNaN(value) ? null : value;
+        };
+
+        // データを読み込んで系列に追加
+        const dataBySeries = new Map(); // Map<series, Array<{date, value}>>
+
+        for (const columns of rows) {
+            const dateStr = columns[dateIndex]?.trim();
+            if (!dateStr) continue;
+
+            // 日付形式をYYYYMMDD（日時の場合はYYYYMMDDHHmmss）に変換
+            const dateFormatted = normalizeDate(dateStr, 'auto', this.dateChart.timeZone);
+
+            const groupName = groupIndex >= 0 ? (columns[groupIndex] || '').trim() : null;
+
+            // 各系列に対してデータを追加
+            for (const [series, { columnIndex, groupName: expectedGroupName }] of seriesColumnMap.entries()) {
+                // グループ列がある場合、グループ名が一致する場合のみ処理
+                if (groupIndex >= 0 && expectedGroupName !== groupName) {
+                    continue;
+                }
+
+                if (columns.length <= columnIndex) {
+                    continue; // 列数が足りない場合はスキップ
+                }
+
+                const valueStr = columns[columnIndex].trim();
+                const parsedValue = parseFloat(valueStr);
+                const value = isNaN(parsedValue) ? null : parsedValue;
+                const band = bandIndexMap.get(series);
+                const lower = band ? parseColumn(columns, band.lowerIndex) : null;
+                const upper = band ? parseColumn(columns, band.upperIndex) : null;
+                if (value === null && (lower === null || upper === null)) {
+                    continue; // 数値でない場合はスキップ（範囲の列がある場合は範囲のみのデータも追加する）
+                }
+
+                if (!dataBySeries.has(series)) {
+                    dataBySeries.set(series, []);
+                }
+                
+                // コメントを取得（コメント列が指定されている場合）
+                const comment = (commentIndex >= 0 && columns[commentIndex]) ? columns[commentIndex].trim() : '';
+                
+                dataBySeries.get(series).push({ date: dateFormatted, value, comment, band: band ? { lower, upper } : null });
+            }
+        }
+
+        // 各系列に対してデータを追加（日付でソート）
+        for (const [series, data] of dataBySeries.entries()) {
+            data.sort((a, b) => a.date.localeCompare(b.date));
+            
+            // 欠損データの扱いが系列で指定されていない場合はローダーの設定を使用（描画時に補完する）
+            if (!series.missingData) {
+                series.missingData = this.missingData;
+            }
+            
+            for (const item of data) {
+                if (item.band) {
+                    series.addRangeData(item.date, item.value, item.band.lower, item.band.upper, item.comment || '');
+                } else {
+                    series.addData(item.date, item.value, item.comment || '');
+                }
+            }
+        }
+    }
+}
+
+/**
+ * HistogramChart - ヒストグラムチャートクラス
+ * データの分布を表示するヒストグラムを管理するクラス
+ */
+class HistogramChart {
+    /**
+     * コンストラクタ
+     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     */
+    constructor(chartCanvas) {
+        this.chartCanvas = chartCanvas;
+        
+        // X軸の設定
+        this.xAxisTitle = '';
+        this.xAxisFormat = '#,##0';
+        this.xAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定 {min, max, tickInterval, tickCount, includeZero}
+        
+        // Y軸の設定
+        this.yAxisTitle = '頻度';
+        this.yAxisFormat = '#,##0';
+        this.yAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定（xAxisOptionsと同じ）
+        
+        // タイトルとサブタイトル
+        this.title = '';
+        this.subtitle = '';
+        
+        // ヒストグラムの設定
+        this.binCount = null; // nullの場合は自動計算
+        this.binWidth = null; // nullの場合は自動計算
+        this.binAlignment = 'left'; // 'left', 'center', 'right'
+        this.curveMode = false; // trueの場合、ベジェ曲線で描画
+        
+        // グリッド線の設定
+        this.xGrid = false; // X軸のグリッド線を表示するか（デフォルト: false）
+        this.yGrid = false; // Y軸のグリッド線を表示するか（デフォルト: false）
+        
+        // 補助線の設定
+        this.showMeanLine = false; // 平均線を表示するか（デフォルト: false）
+        this.showMedianLine = false; // 中央値線を表示するか（デフォルト: false）
+        this.meanLineColor = 'red'; // 平均線の色（デフォルト: red）
+        this.medianLineColor = 'blue'; // 中央値線の色（デフォルト: blue）
+        this.meanLineStyle = 'dashed'; // 平均線のスタイル（'solid', 'dashed', 'dotted'）
+        this.medianLineStyle = 'dashed'; // 中央値線のスタイル（'solid', 'dashed', 'dotted'）
+        this.meanLineWidth = 2; // 平均線の幅（デフォルト: 2）
+        this.medianLineWidth = 2; // 中央値線の幅（デフォルト: 2）
+        
+        // クリックイベントのコールバック関数（DOMモードのみ）
+        // function(dataArray, metadata) の形式で、ビンに含まれる元のデータ値の配列とビンの情報を受け取る
+        this.onBinClick = null;
+        
+        // データ系列を保持（グループ別ヒストグラム対応）
+        this.series = [];
+    }
+
+    /**
+     * ヒストグラム系列を追加
+     * @param {Object} options - 系列のオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 棒の色
+     * @param {number} options.opacity - 透明度（0.0-1.0、デフォルト: 0.7）
+     * @returns {HistogramSeries} HistogramSeriesインスタンス
+     */
+    addSeries(options = {}) {
+        const series = new HistogramSeries(this, options);
+        this.series.push(series);
+        return series;
+    }
+
+    /**
+     * TSVローダーを作成（提案1: 生データ形式）
+     * @param {string} url - TSVファイルのURL
+     * @returns {HistogramTSVLoader} HistogramTSVLoaderインスタンス
+     */
+    tsvLoader(url) {
+        return new HistogramTSVLoader(this, url);
+    }
+
+    /**
+     * データの範囲を取得
+     * @returns {Object} {min, max} データの最小値と最大値
+     */
+    getDataRange() {
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (const series of this.series) {
+            for (const value of series.data) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+
+        if (min === Infinity) {
+            return { min: 0, max: 100 };
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * すべての系列のデータを結合して取得
+     * @returns {Array<number>} すべてのデータ値の配列
+     */
+    getAllData() {
+        const allData = [];
+        for (const series of this.series) {
+            allData.push(...series.data);
+        }
+        return allData;
+    }
+
+    /**
+     * 平均値を計算
+     * @returns {number|null} 平均値（データがない場合はnull）
+     */
+    calculateMean() {
+        const allData = this.getAllData();
+        if (allData.length === 0) {
+            return null;
+        }
+        const sum = allData.reduce((acc, val) => acc + val, 0);
+        return sum / allData.length;
+    }
+
+    /**
+     * 中央値を計算
+     * @returns {number|null} 中央値（データがない場合はnull）
+     */
+    calculateMedian() {
+        const allData = this.getAllData();
+        if (allData.length === 0) {
+            return null;
+        }
+        
+        // データをソート
+        const sorted = [...allData].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        
+        if (sorted.length % 2 === 0) {
+            // 偶数の場合、中央の2つの値の平均
+            return (sorted[mid - 1] + sorted[mid]) / 2;
+        } else {
+            // 奇数の場合、中央の値
+            return sorted[mid];
+        }
+    }
+
+    /**
+     * X軸の範囲と目盛りを設定（指定しなかった項目は自動計算、DateChart.setYAxisOptionsと同じ形式）
+     * min・maxを指定した場合はその範囲でビンを設定し、範囲外のデータは集計しない
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはfalse（データの最小値から最大値まで）
+     * @returns {HistogramChart} メソッドチェーン用にthisを返す
+     */
+    setXAxisOptions(options) {
+        this.xAxisOptions = AxisScale.normalizeOptions(options, 'xAxisOptions');
+        return this;
+    }
+
+    /**
+     * Y軸（頻度）の範囲と目盛りを設定（指定しなかった項目は自動計算、DateChart.setYAxisOptionsと同じ形式）
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはtrue（0から最大頻度まで）
+     * @returns {HistogramChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisOptions(options) {
+        this.yAxisOptions = AxisScale.normalizeOptions(options, 'yAxisOptions');
+        return this;
+    }
+
+    /**
+     * X軸のスケールを計算（DateChartのY軸スケール計算と同様のロジック、xAxisOptionsの指定を使用）
+     * @param {number} min - データの最小値
+     * @param {number} max - データの最大値
+     * @returns {Object} {minTickValue, maxTickValue, tickInterval, labels} スケール情報
+     */
+    calculateXAxisScale(min, max) {
+        // 範囲が30以下の場合は1刻み、30超の場合は10の倍数で間隔を調整し、最小値・最大値を間隔の倍数に広げる
+        const scale = AxisScale.calculateLinearScale(min, max, this.xAxisOptions || AxisScale.normalizeOptions(null), false);
+
+        return {
+            minTickValue: scale.min,
+            maxTickValue: scale.max,
+            tickInterval: scale.tickInterval,
+            labels: scale.labels
+        };
+    }
+
+    /**
+     * ビンの設定を計算
+     * @param {number} min - データの最小値
+     * @param {number} max - データの最大値
+     * @returns {Object} {binCount, binWidth, bins, xAxisScale} ビンの設定
+     */
+    calculateBins(min, max) {
+        // X軸の範囲が指定されている場合はその範囲でビンを設定
+        const xAxisOptions = this.xAxisOptions || AxisScale.normalizeOptions(null);
+        if (xAxisOptions.min !== null) min = xAxisOptions.min;
+        if (xAxisOptions.max !== null) max = xAxisOptions.max;
+
+        // ビン幅またはビン数が指定されている場合はそれを使用
+        if (this.binWidth !== null) {
+            const binCount = Math.ceil((max - min) / this.binWidth);
+            const bins = [];
+            for (let i = 0; i <= binCount; i++) {
+                bins.push(min + i * this.binWidth);
+            }
+            // X軸スケールも計算
+            const xAxisScale = this.calculateXAxisScale(min, max);
+            return { binCount, binWidth: this.binWidth, bins, xAxisScale };
+        }
+
+        if (this.binCount !== null) {
+            const binWidth = (max - min) / this.binCount;
+            const bins = [];
+            for (let i = 0; i <= this.binCount; i++) {
+                bins.push(min + i * binWidth);
+            }
+            // X軸スケールも計算
+            const xAxisScale = this.calculateXAxisScale(min, max);
+            return { binCount: this.binCount, binWidth, bins, xAxisScale };
+        }
+
+        // 自動計算: X軸スケールを計算してから、ビンを設定
+        const xAxisScale = this.calculateXAxisScale(min, max);
+        
+        // Sturgesの公式でビン数を計算
+        let totalDataCount = 0;
+        for (const series of this.series) {
+            totalDataCount += series.data.length;
+        }
+
+        if (totalDataCount === 0) {
+            // データがない場合、X軸スケールに基づいてビンを設定
+            const range = xAxisScale.maxTickValue - xAxisScale.minTickValue;
+            const defaultBinCount = Math.min(20, Math.max(10, Math.floor(range / xAxisScale.tickInterval)));
+            const binWidth = range / defaultBinCount;
+            const bins = [];
+            for (let i = 0; i <= defaultBinCount; i++) {
+                bins.push(xAxisScale.minTickValue + i * binWidth);
+            }
+            return { binCount: defaultBinCount, binWidth, bins, xAxisScale };
+        }
+
+        // Sturgesの公式でビン数を計算
+        const binCount = Math.ceil(Math.log2(totalDataCount) + 1);
+        
+        // X軸スケールの範囲内でビンを設定
+        const range = xAxisScale.maxTickValue - xAxisScale.minTickValue;
+        const binWidth = range / binCount;
+        const bins = [];
+        for (let i = 0; i <= binCount; i++) {
+            bins.push(xAxisScale.minTickValue + i * binWidth);
+        }
+
+        return { binCount, binWidth, bins, xAxisScale };
+    }
+
+    /**
+     * データをビンに分類
+     * @param {Array<number>} data - データ配列
+     * @param {Array<number>} bins - ビンの境界値配列
+     * @param {HistogramSeries} series - 系列（指定した場合は系列のbinDataMapを更新）
+     * @returns {Array<number>} 各ビンの頻度
+     */
+    binData(data, bins, series = null) {
+        const frequencies = new Array(bins.length - 1).fill(0);
+        if (series) {
+            series.binDataMap = new Map();
+        }
+
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex++) {
+            const value = data[dataIndex];
+            // ビンに分類
+            for (let i = 0; i < bins.length - 1; i++) {
+                if (this.isValueInBin(value, bins, i)) {
+                    frequencies[i]++;
+                    // 元のデータのインデックスを記録
+                    if (series) {
+                        if (!series.binDataMap.has(i)) {
+                            series.binDataMap.set(i, []);
+                        }
+                        series.binDataMap.get(i).push(dataIndex);
+                    }
+                    break;
+                }
+            }
+        }
+
+        return frequencies;
+    }
+
+    /**
+     * 値が指定したビンに含まれるかどうか（最後のビンのみ上端を含む）
+     * @param {number} value - 値
+     * @param {Array<number>} bins - ビンの境界値配列
+     * @param {number} binIndex - ビンのインデックス
+     * @returns {boolean} ビンに含まれる場合はtrue
+     */
+    isValueInBin(value, bins, binIndex) {
+        const isLastBin = binIndex === bins.length - 2;
+        return value >= bins[binIndex] && (isLastBin ? value <= bins[binIndex + 1] : value < bins[binIndex + 1]);
+    }
+
+    /**
+     * ビンがクリックされたときの処理（onBinClickコールバックを呼び出す）
+     * @param {number} seriesIndex - 系列のインデックス
+     * @param {number} binIndex - ビンのインデックス
+     * @param {Array<number>} bins - ビンの境界値配列
+     * @returns {Promise<void>}
+     */
+    async handleBinClick(seriesIndex, binIndex, bins) {
+        if (typeof this.onBinClick !== 'function') {
+            return; // コールバックが指定されていない場合は何もしない
+        }
+
+        const series = this.series[seriesIndex];
+        if (!series) {
+            return;
+        }
+
+        let binData;
+        try {
+            binData = await series.getBinData(binIndex, bins);
+        } catch (error) {
+            console.error('ビンのデータの読み込みエラー:', error);
+            return;
+        }
+
+        this.onBinClick(binData.values, {
+            seriesIndex: seriesIndex,
+            seriesTitle: series.title,
+            groupName: series.groupName,
+            binIndex: binIndex,
+            binRange: { min: bins[binIndex], max: bins[binIndex + 1] },
+            rows: binData.rows,
+            lazyLoad: series.lazyLoad
+        });
+    }
+
+    /**
+     * ビンのデータをテーブルとして表示（onBinClickコールバック用のヘルパー）
+     * 値の配列の場合は「値」列のみ、オブジェクトの配列の場合は全カラムを表示し、最後に統計情報の行を追加する
+     * @param {Array<number>|Array<Object>} dataArray - 値の配列、または全カラムを含むオブジェクトの配列
+     * @param {string|HTMLElement} container - テーブルを表示する要素、またはそのID
+     * @param {string} valueColumn - 統計情報を計算する列名（オブジェクトの配列の場合、省略時は'値'を含む列）
+     */
+    displayDataTable(dataArray, container, valueColumn = '') {
+        const containerElement = typeof container === 'string' ? document.getElementById(container) : container;
+        if (!containerElement) {
+            console.error(`Container element not found: ${container}`);
+            return;
+        }
+
+        if (!dataArray || dataArray.length === 0) {
+            containerElement.innerHTML = '<p>データがありません。</p>';
+            return;
+        }
+
+        // データがオブジェクトの配列か値の配列かを判定
+        const isObjectArray = typeof dataArray[0] === 'object' && dataArray[0] !== null;
+        const headers = isObjectArray ? Object.keys(dataArray[0]) : ['値'];
+        if (!isObjectArray) {
+            valueColumn = '値';
+        } else if (!valueColumn) {
+            valueColumn = headers.find(header => header.includes('値')) || '';
+        }
+
+        // テーブルを生成
+        const table = document.createElement('table');
+        table.className = 'data-table';
+
+        // ヘッダー行
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        for (const header of headers) {
+            const headerCell = document.createElement('th');
+            headerCell.textContent = header;
+            headerRow.appendChild(headerCell);
+        }
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        // データ行
+        const tbody = document.createElement('tbody');
+        const values = [];
+        for (const item of dataArray) {
+            const row = document.createElement('tr');
+            for (const header of headers) {
+                const value = isObjectArray ? item[header] : item;
+                const cell = document.createElement('td');
+                // 数値の場合はフォーマット、文字列の場合はそのまま
+                cell.textContent = typeof value === 'number' ? value.toLocaleString() : (value || '');
+                row.appendChild(cell);
+                if (header === valueColumn) {
+                    const numericValue = typeof value === 'number' ? value : parseFloat(value);
+                    if (!isNaN(numericValue)) {
+                        values.push(numericValue);
+                    }
+                }
+            }
+            tbody.appendChild(row);
+        }
+
+        // 統計情報の行（値列がある場合のみ）
+        if (values.length > 0) {
+            const statsRow = document.createElement('tr');
+            statsRow.className = 'stats-row';
+            const statsCell = document.createElement('td');
+            statsCell.colSpan = headers.length;
+            const count = values.length;
+            const sum = values.reduce((a, b) => a + b, 0);
+            const avg = sum / count;
+            statsCell.textContent = `件数: ${count}, 合計: ${sum.toLocaleString()}, 平均: ${avg.toLocaleString()}`;
+            statsRow.appendChild(statsCell);
+            tbody.appendChild(statsRow);
+        }
+        table.appendChild(tbody);
+
+        // 既存のテーブルを削除して新しいテーブルを追加
+        containerElement.innerHTML = '';
+        containerElement.appendChild(table);
+    }
+
+    /**
+     * ベジェ曲線のポイントを計算
+     * @param {Array<number>} frequencies - 各ビンの頻度
+     * @param {Array<number>} bins - ビンの境界値配列
+     * @returns {Array<Object>} 曲線のポイント配列 [{x, y}, ...]
+     */
+    calculateCurvePoints(frequencies, bins) {
+        const points = [];
+        
+        // 各ビンの中心点と頻度からポイントを生成
+        for (let i = 0; i < frequencies.length; i++) {
+            const binMin = bins[i];
+            const binMax = bins[i + 1];
+            const binCenter = (binMin + binMax) / 2;
+            const frequency = frequencies[i];
+            
+            points.push({
+                x: binCenter,
+                y: frequency
+            });
+        }
+        
+        return points;
+    }
+
+    /**
+     * ベジェ曲線のパスを生成（Cubic Bezier）
+     * @param {Array<Object>} points - 曲線のポイント配列 [{x, y}, ...]
+     * @param {number} dataRangeMin - データ範囲の最小値
+     * @param {number} dataRangeMax - データ範囲の最大値
+     * @param {number} plotWidth - 描画エリアの幅
+     * @param {number} plotHeight - 描画エリアの高さ
+     * @param {number} originX - 原点のX座標
+     * @param {number} originY - 原点のY座標
+     * @param {number} maxFrequency - 最大頻度（Y軸の上端）
+     * @param {number} minFrequency - 最小頻度（Y軸の下端、デフォルト: 0）
+     * @returns {string} SVGパス文字列
+     */
+    generateBezierPath(points, dataRangeMin, dataRangeMax, plotWidth, plotHeight, originX, originY, maxFrequency, minFrequency = 0) {
+        if (points.length === 0) return '';
+        
+        const dataRange = dataRangeMax - dataRangeMin;
+        const frequencyRange = maxFrequency - minFrequency;
+        let path = '';
+        
+        // 最初のポイントに移動
+        const firstPoint = points[0];
+        const firstXRatio = dataRange > 0 ? (firstPoint.x - dataRangeMin) / dataRange : 0;
+        const firstX = originX + firstXRatio * plotWidth;
+        const firstYRatio = frequencyRange > 0 ? (firstPoint.y - minFrequency) / frequencyRange : 0;
+        const firstY = originY - firstYRatio * plotHeight;
+        path += `M ${firstX} ${firstY}`;
+        
+        if (points.length === 1) {
+            return path;
+        }
+        
+        // 各ポイント間をベジェ曲線で結ぶ
+        for (let i = 0; i < points.length - 1; i++) {
+            const p0 = points[Math.max(0, i - 1)];
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = points[Math.min(points.length - 1, i + 2)];
+            
+            // 現在のポイントの座標
+            const x1Ratio = dataRange > 0 ? (p1.x - dataRangeMin) / dataRange : 0;
+            const x1 = originX + x1Ratio * plotWidth;
+            const y1Ratio = frequencyRange > 0 ? (p1.y - minFrequency) / frequencyRange : 0;
+            const y1 = originY - y1Ratio * plotHeight;
+            
+            // 次のポイントの座標
+            const x2Ratio = dataRange > 0 ? (p2.x - dataRangeMin) / dataRange : 0;
+            const x2 = originX + x2Ratio * plotWidth;
+            const y2Ratio = frequencyRange > 0 ? (p2.y - minFrequency) / frequencyRange : 0;
+            const y2 = originY - y2Ratio * plotHeight;
+            
+            // 制御点を計算（Catmull-Romスプライン風のベジェ曲線）
+            const t = 0.3; // 滑らかさのパラメータ
+            const dx1 = (p2.x - p0.x) * t;
+            const dy1 = (p2.y - p0.y) * t;
+            const dx2 = (p3.x - p1.x) * t;
+            const dy2 = (p3.y - p1.y) * t;
+            
+            // 制御点1（p1から出る方向）
+            const cp1xRatio = dataRange > 0 ? (p1.x + dx1 - dataRangeMin) / dataRange : 0;
+            const cp1x = originX + cp1xRatio * plotWidth;
+            const cp1yRatio = frequencyRange > 0 ? (p1.y + dy1 - minFrequency) / frequencyRange : 0;
+            const cp1y = originY - cp1yRatio * plotHeight;
+            
+            // 制御点2（p2に入る方向）
+            const cp2xRatio = dataRange > 0 ? (p2.x - dx2 - dataRangeMin) / dataRange : 0;
+            const cp2x = originX + cp2xRatio * plotWidth;
+            const cp2yRatio = frequencyRange > 0 ? (p2.y - dy2 - minFrequency) / frequencyRange : 0;
+            const cp2y = originY - cp2yRatio * plotHeight;
+            
+            // ベジェ曲線を追加
+            path += ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${x2} ${y2}`;
+        }
+        
+        return path;
+    }
+}
+
+/**
+ * HistogramSeries - ヒストグラム系列クラス
+ */
+class HistogramSeries {
+    constructor(histogramChart, options = {}) {
+        this.histogramChart = histogramChart;
+        this.title = options.title || '';
+        this.color = options.color || 'blue';
+        this.opacity = options.opacity !== undefined ? options.opacity : 0.7;
+        this.data = []; // 生データの配列
+        this.rawData = []; // 全カラムのデータ（オブジェクトの配列、通常モードの場合）
+        
+        // lazyLoad用のプロパティ
+        this.lazyLoad = false; // lazyLoadモードかどうか
+        this.tsvLoader = null; // HistogramTSVLoaderへの参照
+        this.tsvUrl = ''; // TSVファイルのURL
+        this.valueIndex = -1; // 値列のインデックス
+        this.groupIndex = -1; // グループ列のインデックス（-1の場合はグループなし）
+        this.groupName = ''; // グループ名（グループ別ヒストグラムの場合）
+        this.totalDataCount = 0; // 全データ件数（lazyLoadモードの場合）
+        this.headers = []; // TSVファイルのヘッダー行（全カラム情報）
+        
+        // ビンインデックス -> 元のデータ（data・rawData）のインデックス配列のマッピング
+        this.binDataMap = new Map();
+    }
+
+    /**
+     * ビンに含まれる元のデータを取得
+     * lazyLoadモードの場合は、TSVローダーからビンの範囲のデータのみを読み込む
+     * @param {number} binIndex - ビンのインデックス
+     * @param {Array<number>} bins - ビンの境界値配列
+     * @returns {Promise<Object>} {values, rows} 値の配列と全カラムを含むオブジェクトの配列
+     */
+    async getBinData(binIndex, bins) {
+        if (this.lazyLoad && this.tsvLoader) {
+            const valueTitle = this.headers[this.valueIndex];
+            const loadedRows = await this.tsvLoader.loadDataInRange(bins[binIndex], bins[binIndex + 1], this);
+            // loadDataInRangeは上端を含むため、最後のビン以外は上端の値を除外する
+            const rows = loadedRows.filter(row =>
+                this.histogramChart.isValueInBin(parseFloat(row[valueTitle]), bins, binIndex)
+            );
+            const values = rows.map(row => parseFloat(row[valueTitle]));
+            return { values, rows };
+        }
+
+        const indices = this.binDataMap.get(binIndex) || [];
+        const values = indices.map(index => this.data[index]);
+        const rows = indices.map(index => this.rawData[index]).filter(row => row !== undefined);
+        return { values, rows };
+    }
+
+    /**
+     * データを追加
+     * @param {number} value - 値
+     */
+    addData(value) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            return; // 数値でない場合はスキップ
+        }
+        this.data.push(value);
+    }
+
+    /**
+     * 複数のデータを一度に追加
+     * @param {Array<number>} values - 値の配列
+     */
+    addDataArray(values) {
+        for (const value of values) {
+            this.addData(value);
+        }
+    }
+}
+
+/**
+ * HistogramTSVLoader - ヒストグラム用TSVローダークラス（提案1: 生データ形式）
+ */
+class HistogramTSVLoader {
+    constructor(histogramChart, url) {
+        this.histogramChart = histogramChart;
+        this.url = url;
+        this.valueTitle = ''; // 値列の列名
+        this.groupTitle = ''; // グループ列の列名（提案3対応用、後で実装）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+        this.dataThreshold = 10000; // データ件数の閾値（この値を超えるとlazyLoadモード）
+        this.headers = []; // TSVファイルのヘッダー行（全カラム情報）
+        
+        // 自動モード用の設定
+        this.autoMode = false;
+        const palette = histogramChart?.chartCanvas?.theme?.palette;
+        this.seriesColors = palette ? [...palette] : ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+    }
+
+    /**
+     * TSVファイルを読み込んでデータを追加
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.valueTitle) {
+            throw new Error('valueTitle must be set before calling load()');
+        }
+
+        // TSVファイルを読み込む
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+        }
+
+        const text = await response.text();
+
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
+            throw new Error('TSV file is empty');
+        }
+
+        this.headers = headers; // ヘッダー情報を保存
+        const valueIndex = headers.indexOf(this.valueTitle);
+        
+        if (valueIndex === -1) {
+            throw new Error(`Column "${this.valueTitle}" not found in TSV file`);
+        }
+
+        // グループ列のインデックスを取得（提案3対応用、後で実装）
+        const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
+
+        // データ件数をカウント（数値として有効な行のみ）
+        let dataCount = 0;
+        for (const columns of rows) {
+            if (columns.length <= valueIndex) {
+                continue;
+            }
+            const valueStr = columns[valueIndex].trim();
+            const value = parseFloat(valueStr);
+            if (!isNaN(value)) {
+                if (groupIndex === -1) {
+                    dataCount++;
+                } else {
+                    const groupName = columns[groupIndex]?.trim() || '';
+                    if (groupName) {
+                        dataCount++;
+                    }
+                }
+            }
+        }
+
+        // データ件数が閾値を超える場合はlazyLoadモード
+        const useLazyLoad = dataCount > this.dataThreshold;
+
+        // 提案1: 生データ形式（グループ列がない場合）
+        if (groupIndex === -1) {
+            // 単一の系列を作成
+            const series = this.histogramChart.addSeries({
+                title: this.histogramChart.title || 'データ',
+                color: this.seriesColors[0],
+                opacity: 0.7
+            });
+
+            if (useLazyLoad) {
+                // lazyLoadモード: メタデータだけを保存
+                series.lazyLoad = true;
+                series.tsvLoader = this;
+                series.tsvUrl = this.url;
+                series.valueIndex = valueIndex;
+                series.groupIndex = -1;
+                series.totalDataCount = dataCount;
+                series.headers = headers; // ヘッダー情報を保存
+                // データは保持しない（ヒストグラムの描画には統計情報だけが必要）
+                // 統計情報を計算するために、サンプルデータを読み込む（最初の1000件）
+                const sampleSize = Math.min(1000, rows.length);
+                for (let i = 0; i < sampleSize; i++) {
+                    const columns = rows[i];
+                    if (columns.length <= valueIndex) {
+                        continue;
+                    }
+                    const valueStr = columns[valueIndex].trim();
+                    const value = parseFloat(valueStr);
+                    if (!isNaN(value)) {
+                        series.addData(value);
+                    }
+                }
+            } else {
+                // 通常モード: 全データを読み込む
+                series.headers = headers; // ヘッダー情報を保存
+                for (const columns of rows) {
+                    if (columns.length <= valueIndex) {
+                        continue;
+                    }
+
+                    const valueStr = columns[valueIndex].trim();
+                    const value = parseFloat(valueStr);
+                    if (!isNaN(value)) {
+                        series.addData(value);
+                        // 全カラムのデータを保存
+                        const rowData = {};
+                        headers.forEach((header, index) => {
+                            rowData[header] = columns[index]?.trim() || '';
+                        });
+                        series.rawData.push(rowData);
+                    }
+                }
+            }
+
+            return;
+        }
+
+        // 提案3: グループ別ヒストグラム
+        // グループごとのデータを収集
+        const dataByGroup = new Map(); // Map<groupName, Array<number>>
+        
+        for (const columns of rows) {
+            if (columns.length <= valueIndex) {
+                continue;
+            }
+
+            const valueStr = columns[valueIndex].trim();
+            const value = parseFloat(valueStr);
+            if (isNaN(value)) {
+                continue; // 数値でない場合はスキップ
+            }
+
+            const groupName = columns[groupIndex]?.trim() || '';
+            if (!groupName) {
+                continue; // グループ名がない場合はスキップ
+            }
+
+            if (!dataByGroup.has(groupName)) {
+                dataByGroup.set(groupName, []);
+            }
+            dataByGroup.get(groupName).push(value);
+        }
+
+        // グループごとに系列を作成してデータを追加
+        const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
+        let colorIndex = 0;
+
+        for (const groupName of sortedGroupNames) {
+            const values = dataByGroup.get(groupName);
+            
+            // 系列を作成
+            const series = this.histogramChart.addSeries({
+                title: groupName,
+                color: this.seriesColors[colorIndex % this.seriesColors.length],
+                opacity: 0.7
+            });
+
+            if (useLazyLoad) {
+                // lazyLoadモード: メタデータだけを保存
+                series.lazyLoad = true;
+                series.tsvLoader = this;
+                series.tsvUrl = this.url;
+                series.valueIndex = valueIndex;
+                series.groupIndex = groupIndex;
+                series.groupName = groupName;
+                series.totalDataCount = values.length;
+                series.headers = headers; // ヘッダー情報を保存
+                // サンプルデータを読み込む（最初の1000件）
+                const sampleSize = Math.min(1000, values.length);
+                for (let i = 0; i < sampleSize; i++) {
+                    series.addData(values[i]);
+                }
+            } else {
+                // 通常モード: 全データを読み込む
+                series.headers = headers; // ヘッダー情報を保存
+                // グループ別ヒストグラムの場合、全カラムのデータを再読み込み
+                for (const columns of rows) {
+                    if (columns.length <= valueIndex) {
+                        continue;
+                    }
+
+                    const valueStr = columns[valueIndex].trim();
+                    const value = parseFloat(valueStr);
+                    if (isNaN(value)) {
+                        continue;
+                    }
+
+                    const rowGroupName = columns[groupIndex]?.trim() || '';
+                    if (rowGroupName !== groupName) {
+                        continue;
+                    }
+
+                    series.addData(value);
+                    // 全カラムのデータを保存
+                    const rowData = {};
+                    headers.forEach((header, index) => {
+                        rowData[header] = columns[index]?.trim() || '';
+                    });
+                    series.rawData.push(rowData);
+                }
+            }
+
+            colorIndex++;
+        }
+    }
+
+    /**
+     * 指定された範囲のデータを読み込む（lazyLoadモード用）
+     * @param {number} minValue - 最小値
+     * @param {number} maxValue - 最大値
+     * @param {HistogramSeries} series - 系列
+     * @returns {Promise<Array<Object>>} 該当するデータのオブジェクト配列（全カラムを含む）
+     */
+    async loadDataInRange(minValue, maxValue, series) {
+        // TSVファイルを読み込む
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+        }
+
+        const text = await response.text();
+        const { rows } = DataParser.parse(text, this.format);
+
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const result = [];
+        const valueIndex = series.valueIndex;
+        const groupIndex = series.groupIndex;
+        const headers = series.headers || this.headers;
+
+        // データ行を解析
+        for (const columns of rows) {
+            if (columns.length <= valueIndex) {
+                continue;
+            }
+
+            // グループ別ヒストグラムの場合、グループ名をチェック
+            if (groupIndex !== -1) {
+                const groupName = columns[groupIndex]?.trim() || '';
+                if (groupName !== series.groupName) {
+                    continue;
+                }
+            }
+
+            const valueStr = columns[valueIndex].trim();
+            const value = parseFloat(valueStr);
+            if (isNaN(value)) {
+                continue;
+            }
+
+            // 範囲内のデータのみを追加
+            if (value >= minValue && value <= maxValue) {
+                // 全カラムを含むオブジェクトを作成
+                const rowData = {};
+                headers.forEach((header, index) => {
+                    rowData[header] = columns[index]?.trim() || '';
+                });
+                result.push(rowData);
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * PieChart - 円グラフチャートクラス
+ * 円グラフを管理するクラス
+ */
+class PieChart {
+    /**
+     * コンストラクタ
+     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     */
+    constructor(chartCanvas) {
+        this.chartCanvas = chartCanvas;
+        
+        // タイトルとサブタイトル
+        this.title = '';
+        this.subtitle = '';
+        
+        // データとラベル
+        this.data = []; // 各セグメントの値
+        this.labels = []; // 各セグメントのカテゴリ名
+        
+        // ラベルの設定
+        this.labelFormat = 'category-percentage'; // デフォルト: カテゴリ名とパーセンテージ
+        this.labelPosition = 'auto'; // デフォルト: 自動選択
+        this.labelThreshold = 5; // 小さいセグメントと判定する閾値（パーセンテージ）
+        this.valueFormat = '#,##0'; // ラベルの値の数値フォーマット
+        this.percentageFormat = '0.0%'; // ラベルのパーセンテージの数値フォーマット
+        
+        // 「その他」カテゴリの設定
+        this.othersCategoryEnabled = false;
+        this.othersCategoryThreshold = 5; // パーセンテージ
+        this.othersCategoryLabel = 'その他';
+        
+        // 凡例の設定
+        this.legendVisible = true; // デフォルト: 表示
+        
+        // 色の設定（モノクロームを除く、テーマにパレットがある場合はパレットを使用）
+        const palette = chartCanvas?.theme?.palette;
+        this.colors = palette ? [...palette] : ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#FF6384', '#FF6B9D', '#C44569', '#F8B500', '#00D2FF', '#5E60CE'];
+        
+        // 円グラフの描画設定
+        this.startAngle = 0; // 開始角度（度、デフォルト: 0度 = 真北から開始）
+        this.innerRadius = 0; // 内側の半径（ドーナツグラフ用、0の場合は通常の円グラフ）
+        this.padding = 10; // セグメント間のパディング（度）
+        
+        // ラベルの角度オフセット（180度付近の衝突回避用）
+        this.labelAngleOffsets = []; // 各セグメントのラベル角度オフセット（度）
+        
+        // 円弧の放射線方向オフセット（強調表示用）
+        this.sliceOffsets = []; // 各セグメントの放射線方向オフセット（ピクセル）
+        
+        // 階層データ（サンバースト用、setHierarchicalDataで設定）
+        this.hierarchy = null; // 最上位のノードの配列 [{label, value, children: [...]}, ...]
+    }
+
+    /**
+     * データとラベルを設定
+     * @param {Array<number>} data - データの配列（各セグメントの値）
+     * @param {Array<string>} labels - ラベルの配列（各セグメントのカテゴリ名）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setData(data, labels) {
+        if (!Array.isArray(data) || !Array.isArray(labels)) {
+            throw new Error('data and labels must be arrays');
+        }
+        if (data.length !== labels.length) {
+            throw new Error('data and labels must have the same length');
+        }
+        
+        // 値が0以上の数値のみをフィルタリング
+        const validData = [];
+        const validLabels = [];
+        for (let i = 0; i < data.length; i++) {
+            const value = parseFloat(data[i]);
+            if (!isNaN(value) && value >= 0) {
+                validData.push(value);
+                validLabels.push(labels[i]);
+            }
+        }
+        
+        // 割合の多い順にソート（降順）
+        // 「その他」カテゴリは最後に配置
+        const combined = validData.map((value, index) => ({
+            value: value,
+            label: validLabels[index],
+            index: index,
+            isOthers: validLabels[index] === this.othersCategoryLabel || validLabels[index] === 'Others' || validLabels[index] === 'その他'
+        }));
+        
+        // 値の大きい順にソート（「その他」は最後に）
+        combined.sort((a, b) => {
+            // 「その他」カテゴリは常に最後
+            if (a.isOthers && !b.isOthers) return 1;
+            if (!a.isOthers && b.isOthers) return -1;
+            // 両方とも「その他」でない場合、値の大きい順
+            if (!a.isOthers && !b.isOthers) return b.value - a.value;
+            // 両方とも「その他」の場合、値の大きい順
+            return b.value - a.value;
+        });
+        
+        // ソート後のデータとラベルを設定
+        this.data = combined.map(item => item.value);
+        this.labels = combined.map(item => item.label);
+        
+        // ラベルの角度オフセットをリセット
+        this.labelAngleOffsets = new Array(this.data.length).fill(0);
+        // スライスのオフセットもリセット
+        this.sliceOffsets = new Array(this.data.length).fill(0);
+        // 階層データをリセット（setHierarchicalDataで再設定される）
+        this.hierarchy = null;
+        
+        return this;
+    }
+
+    /**
+     * 階層データを設定（サンバースト）
+     * 各行のカテゴリのパス（例: ['食品', '生鮮']）ごとに値を集計し、階層ごとに同心円のリングとして描画する
+     * 最上位の階層の合計値は、通常の円グラフのデータ（data, labels）としても設定される
+     * 「その他」カテゴリにまとめる機能が有効な場合、全体に対する割合が閾値未満の兄弟ノードを「その他」にまとめる
+     * @param {Array<{path: Array<string>, value: number}>} rows - 行の配列（pathは上位から順のカテゴリ名、空のカテゴリ以降は無視）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setHierarchicalData(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('rows must be an array');
+        }
+        
+        // カテゴリのパスごとに値を集計してツリーを構築
+        const root = { value: 0, children: new Map() };
+        for (const row of rows) {
+            if (!row || !Array.isArray(row.path)) {
+                throw new Error('each row must have a path array');
+            }
+            const value = parseFloat(row.value);
+            const firstLabel = String(row.path[0] ?? '').trim();
+            if (isNaN(value) || value < 0 || !firstLabel) {
+                continue;
+            }
+            
+            root.value += value;
+            let node = root;
+            for (const pathLabel of row.path) {
+                const label = String(pathLabel ?? '').trim();
+                if (!label) {
+                    break;
+                }
+                if (!node.children.has(label)) {
+                    node.children.set(label, { label, value: 0, children: new Map() });
+                }
+                node = node.children.get(label);
+                node.value += value;
+            }
+        }
+        
+        const hierarchy = this.buildHierarchyNodes(root.children, root.value);
+        
+        // 最上位の階層を通常の円グラフのデータとして設定
+        this.setData(hierarchy.map(node => node.value), hierarchy.map(node => node.label));
+        this.hierarchy = hierarchy;
+        return this;
+    }
+
+    /**
+     * 集計したツリーの子ノードを、値の大きい順（「その他」は最後）に並べたノードの配列に変換
+     * @param {Map<string, Object>} childrenMap - カテゴリ名をキーとした子ノード
+     * @param {number} total - 全体の合計値（「その他」にまとめる閾値の判定用）
+     * @returns {Array<{label, value, children}>} ノードの配列
+     */
+    buildHierarchyNodes(childrenMap, total) {
+        // 兄弟ノードを1つの円グラフとして並べ替える（setDataのソート、mergeToOthersCategoryを再利用）
+        const siblings = new PieChart(this.chartCanvas);
+        siblings.othersCategoryLabel = this.othersCategoryLabel;
+        const nodes = Array.from(childrenMap.values());
+        siblings.setData(nodes.map(node => node.value), nodes.map(node => node.label));
+        
+        if (this.othersCategoryEnabled && total > 0) {
+            const smallIndices = [];
+            siblings.data.forEach((value, index) => {
+                if ((value / total) * 100 < this.othersCategoryThreshold) {
+                    smallIndices.push(index);
+                }
+            });
+            // 1つだけの場合はまとめない
+            if (smallIndices.length > 1) {
+                siblings.mergeToOthersCategory(smallIndices, this.othersCategoryLabel);
+                siblings.setData(siblings.data, siblings.labels);
+            }
+        }
+        
+        return siblings.labels.map((label, index) => {
+            const value = siblings.data[index];
+            const node = childrenMap.get(label);
+            // まとめた「その他」ノードは子を持たない
+            const children = node && node.value === value ? this.buildHierarchyNodes(node.children, total) : [];
+            return { label, value, children };
+        });
+    }
+
+    /**
+     * 階層の深さを取得
+     * @returns {number} 階層の深さ（階層データがない場合は0）
+     */
+    getHierarchyDepth() {
+        const getDepth = nodes => nodes.length === 0 ? 0 : 1 + Math.max(...nodes.map(node => getDepth(node.children)));
+        return this.hierarchy ? getDepth(this.hierarchy) : 0;
+    }
+
+    /**
+     * サンバースト（2階層以上の階層データ）として描画するかどうか
+     * @returns {boolean} 2階層以上の階層データがある場合はtrue
+     */
+    isSunburst() {
+        return this.getHierarchyDepth() > 1;
+    }
+
+    /**
+     * サンバーストの各リングを取得
+     * 各リングは、内側から順に階層ごとのセグメントを角度順に並べたPieChartで、ラベルの生成や衝突の解決に使用できる
+     * 子のセグメントは親の角度の範囲内に並び、親の色を明るくした色を使用する
+     * 子を持たないノードの外側のリング（および子の合計が親の値に満たない部分）には、非表示のセグメント（hiddenSegments）を配置する
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（最上位の階層の色を揃える場合）
+     * @returns {Array<PieChart>} リングの配列（segmentColors, hiddenSegmentsプロパティを持つ）
+     */
+    getSunburstRings(categoryColors = null) {
+        const depth = this.getHierarchyDepth();
+        const rings = [];
+        let entries = this.hierarchy.map((node, index) => ({
+            node,
+            value: node.value,
+            color: this.getColor(index, categoryColors)
+        }));
+        
+        for (let level = 0; level < depth; level++) {
+            const ring = new PieChart(this.chartCanvas).copySettingsFrom(this);
+            // setDataは値の大きい順に並べ替えるため、角度順を保つように直接設定する
+            ring.data = entries.map(entry => entry.value);
+            ring.labels = entries.map(entry => entry.node ? entry.node.label : '');
+            ring.segmentColors = entries.map(entry => entry.color);
+            ring.hiddenSegments = entries.map(entry => !entry.node);
+            ring.labelAngleOffsets = new Array(ring.data.length).fill(0);
+            ring.sliceOffsets = new Array(ring.data.length).fill(0);
+            rings.push(ring);
+            
+            // 次のリングのセグメントを作成
+            const nextEntries = [];
+            for (const entry of entries) {
+                if (!entry.node || entry.node.children.length === 0) {
+                    nextEntries.push({ node: null, value: entry.value, color: null });
+                    continue;
+                }
+                const children = entry.node.children;
+                children.forEach((child, index) => {
+                    const isOthers = child.label === this.othersCategoryLabel || child.label === 'その他' || child.label === 'Others';
+                    nextEntries.push({
+                        node: child,
+                        value: child.value,
+                        color: isOthers ? '#808080' : PieChart.lightenColor(entry.color, 0.2 + 0.4 * index / children.length)
+                    });
+                });
+                // 下位のカテゴリがない行の値は、親の角度の範囲を保つため非表示のセグメントにする
+                const remainder = entry.value - children.reduce((sum, child) => sum + child.value, 0);
+                if (remainder > entry.value * 1e-9) { // 浮動小数点の誤差は無視する
+                    nextEntries.push({ node: null, value: remainder, color: null });
+                }
+            }
+            entries = nextEntries;
+        }
+        
+        return rings;
+    }
+
+    /**
+     * 色を白に近づけて明るくする（サンバーストの子のセグメント用）
+     * '#RGB'・'#RRGGBB'形式以外の色はそのまま返す
+     * @param {string} color - 色
+     * @param {number} ratio - 白に近づける割合（0〜1）
+     * @returns {string} 明るくした色（'#RRGGBB'形式）
+     */
+    static lightenColor(color, ratio) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+        if (!match) {
+            return color;
+        }
+        let hex = match[1];
+        if (hex.length === 3) {
+            hex = hex.split('').map(char => char + char).join('');
+        }
+        const channels = [0, 2, 4].map(offset => parseInt(hex.substring(offset, offset + 2), 16));
+        return '#' + channels.map(channel => Math.round(channel + (255 - channel) * ratio).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * ラベルの表示形式を設定
+     * @param {string} format - ラベルの表示形式
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setLabelFormat(format) {
+        const validFormats = ['category', 'percentage', 'value', 'category-percentage', 'category-value', 'category-value-percentage'];
+        if (!validFormats.includes(format)) {
+            throw new Error(`Invalid label format: ${format}. Valid formats: ${validFormats.join(', ')}`);
+        }
+        this.labelFormat = format;
+        return this;
+    }
+
+    /**
+     * ラベルの値の数値フォーマットを設定
+     * @param {string} format - 数値フォーマット（例: '#,##0', '¥#,##0', '#,##0,"K"'）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setValueFormat(format) {
+        this.valueFormat = format || '#,##0';
+        return this;
+    }
+
+    /**
+     * ラベルのパーセンテージの数値フォーマットを設定
+     * @param {string} format - 数値フォーマット（例: '0.0%', '0%'）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setPercentageFormat(format) {
+        this.percentageFormat = format || '0.0%';
+        return this;
+    }
+
+    /**
+     * ラベルの配置方法を設定
+     * @param {string} position - ラベルの配置方法
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setLabelPosition(position) {
+        const validPositions = ['auto', 'arc-center', 'leader-line'];
+        if (!validPositions.includes(position)) {
+            throw new Error(`Invalid label position: ${position}. Valid positions: ${validPositions.join(', ')}`);
+        }
+        this.labelPosition = position;
+        return this;
+    }
+
+    /**
+     * 小さいセグメントと判定する閾値を設定
+     * @param {number} threshold - 閾値（パーセンテージ、0〜100）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setLabelThreshold(threshold) {
+        if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
+            throw new Error('threshold must be a number between 0 and 100');
+        }
+        this.labelThreshold = threshold;
+        return this;
+    }
+
+    /**
+     * 「その他」カテゴリにまとめる機能を設定
+     * @param {boolean} enabled - 「その他」カテゴリにまとめる機能を有効にするか
+     * @param {number} threshold - 閾値（パーセンテージ、0〜100、オプション）
+     * @param {string} label - 「その他」カテゴリのラベル（オプション）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setOthersCategory(enabled, threshold, label) {
+        this.othersCategoryEnabled = enabled;
+        if (threshold !== undefined) {
+            if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
+                throw new Error('threshold must be a number between 0 and 100');
+            }
+            this.othersCategoryThreshold = threshold;
+        }
+        if (label !== undefined) {
+            this.othersCategoryLabel = label;
+        }
+        return this;
+    }
+
+    /**
+     * 凡例の表示/非表示を設定
+     * @param {boolean} visible - 凡例を表示するかどうか
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setLegendVisible(visible) {
+        this.legendVisible = visible;
+        return this;
+    }
+
+    /**
+     * タイトルを設定
+     * @param {string} title - グラフのタイトル
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setTitle(title) {
+        this.title = title || '';
+        return this;
+    }
+
+    /**
+     * サブタイトルを設定
+     * @param {string} subtitle - グラフのサブタイトル
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setSubtitle(subtitle) {
+        this.subtitle = subtitle || '';
+        return this;
+    }
+
+    /**
+     * 特定の円弧を放射線方向にずらして強調表示する
+     * @param {number|Array<number>} indices - 強調するセグメントのインデックス（単一のインデックスまたは配列）
+     * @param {number} offset - ずらす距離（ピクセル、デフォルト: 10）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setSliceOffset(indices, offset = 10) {
+        // スライスオフセット配列を初期化（必要に応じて）
+        if (this.sliceOffsets.length !== this.data.length) {
+            this.sliceOffsets = new Array(this.data.length).fill(0);
+        }
+        
+        // インデックスを配列に変換
+        const indexArray = Array.isArray(indices) ? indices : [indices];
+        
+        // 各インデックスに対してオフセットを設定
+        indexArray.forEach(index => {
+            if (typeof index === 'number' && index >= 0 && index < this.data.length) {
+                this.sliceOffsets[index] = offset;
+            }
+        });
+        
+        return this;
+    }
+
+    /**
+     * すべての円弧のオフセットをリセット
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    resetSliceOffsets() {
+        this.sliceOffsets = new Array(this.data.length).fill(0);
+        return this;
+    }
+
+    /**
+     * 別の円グラフからデータ以外の設定（ラベル・「その他」カテゴリ・凡例・色・描画設定）をコピー
+     * グループごとに円グラフを並べる場合に、最初の円グラフの設定を揃えるために使用する
+     * @param {PieChart} source - コピー元の円グラフ
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    copySettingsFrom(source) {
+        this.labelFormat = source.labelFormat;
+        this.labelPosition = source.labelPosition;
+        this.labelThreshold = source.labelThreshold;
+        this.valueFormat = source.valueFormat;
+        this.percentageFormat = source.percentageFormat;
+        this.othersCategoryEnabled = source.othersCategoryEnabled;
+        this.othersCategoryThreshold = source.othersCategoryThreshold;
+        this.othersCategoryLabel = source.othersCategoryLabel;
+        this.legendVisible = source.legendVisible;
+        this.colors = [...source.colors];
+        this.startAngle = source.startAngle;
+        this.innerRadius = source.innerRadius;
+        this.padding = source.padding;
+        return this;
+    }
+
+    /**
+     * セグメントの色を取得
+     * 「その他」カテゴリはグレー、categoryColorsにカテゴリが含まれる場合はその色、それ以外は順番に色を割り当てる
+     * @param {number} index - セグメントのインデックス
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（複数の円グラフで色を揃える場合）
+     * @returns {string} 色
+     */
+    getColor(index, categoryColors = null) {
+        const label = this.labels[index];
+        if (label === 'その他' || label === 'Others') {
+            return '#808080'; // グレー
+        }
+        if (categoryColors && categoryColors.has(label)) {
+            return categoryColors.get(label);
+        }
+        return this.colors[index % this.colors.length];
+    }
+
+    /**
+     * TSVローダーを作成
+     * @param {string} url - TSVファイルのURL
+     * @returns {PieTsvLoader} PieTsvLoaderインスタンス
+     */
+    tsvLoader(url) {
+        return new PieTsvLoader(this, url);
+    }
+
+    /**
+     * データの合計値を計算
+     * @returns {number} データの合計値
+     */
+    getTotal() {
+        return this.data.reduce((sum, value) => sum + value, 0);
+    }
+
+    /**
+     * 各セグメントのパーセンテージを計算
+     * @returns {Array<number>} 各セグメントのパーセンテージの配列
+     */
+    getPercentages() {
+        const total = this.getTotal();
+        if (total === 0) {
+            return this.data.map(() => 0);
+        }
+        return this.data.map(value => (value / total) * 100);
+    }
+
+    /**
+     * セグメントの角度を計算
+     * @returns {Array<Object>} 各セグメントの角度情報の配列 [{startAngle, endAngle, percentage}, ...]
+     */
+    getSegmentAngles() {
+        const total = this.getTotal();
+        if (total === 0) {
+            return [];
+        }
+        
+        const percentages = this.getPercentages();
+        const angles = [];
+        let currentAngle = this.startAngle;
+        
+        for (let i = 0; i < this.data.length; i++) {
+            const percentage = percentages[i];
+            const angle = (percentage / 100) * 360;
+            const startAngle = currentAngle;
+            const endAngle = currentAngle + angle;
+            
+            angles.push({
+                startAngle,
+                endAngle,
+                percentage,
+                index: i
+            });
+            
+            currentAngle = endAngle;
+        }
+        
+        return angles;
+    }
+
+    /**
+     * ラベルのテキストを生成
+     * @param {number} index - セグメントのインデックス
+     * @returns {string} ラベルのテキスト
+     */
+    getLabelText(index) {
+        if (index < 0 || index >= this.labels.length) {
+            return '';
+        }
+        
+        const label = this.labels[index];
+        const value = this.chartCanvas.formatNumber(this.data[index], this.valueFormat);
+        const percentage = this.chartCanvas.formatNumber(this.getPercentages()[index] / 100, this.percentageFormat);
+        
+        switch (this.labelFormat) {
+            case 'category':
+                return label;
+            case 'percentage':
+                return percentage;
+            case 'value':
+                return value;
+            case 'category-percentage':
+                return `${label} (${percentage})`;
+            case 'category-value':
+                return `${label}: ${value}`;
+            case 'category-value-percentage':
+                return `${label}: ${value} (${percentage})`;
+            default:
+                return `${label} (${percentage})`;
+        }
+    }
+
+    /**
+     * セグメントが小さいかどうかを判定
+     * @param {number} index - セグメントのインデックス
+     * @returns {boolean} 小さいセグメントかどうか
+     */
+    isSmallSegment(index) {
+        const percentage = this.getPercentages()[index];
+        return percentage <= this.labelThreshold;
+    }
+
+    /**
+     * ラベルの配置方法を決定（自動選択の場合）
+     * @param {number} index - セグメントのインデックス
+     * @returns {string} ラベルの配置方法（'arc-center' または 'leader-line'）
+     */
+    determineLabelPosition(index) {
+        if (this.labelPosition !== 'auto') {
+            return this.labelPosition;
+        }
+        
+        // 自動選択: セグメントが小さい場合は引出線を使用
+        if (this.isSmallSegment(index)) {
+            return 'leader-line';
+        }
+        
+        return 'arc-center';
+    }
+
+    /**
+     * ラベルの位置とサイズを計算
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 円グラフの半径
+     * @param {number} fontSize - フォントサイズ
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @param {number} index - セグメントのインデックス
+     * @returns {Object} ラベルの位置とサイズ情報 {x, y, width, height, angle}
+     */
+    calculateLabelBounds(centerX, centerY, radius, fontSize, getTextWidth, index) {
+        const segmentAngles = this.getSegmentAngles();
+        if (index < 0 || index >= segmentAngles.length) {
+            return null;
+        }
+
+        const segment = segmentAngles[index];
+        const labelText = this.getLabelText(index);
+        const labelPosition = this.determineLabelPosition(index);
+        
+        // ラベルの幅と高さを計算
+        const labelWidth = getTextWidth(labelText, fontSize);
+        const labelHeight = fontSize * 1.2; // フォントサイズの1.2倍を高さとする
+        
+        // ラベルの位置を計算
+        const midAngleDeg = (segment.startAngle + segment.endAngle) / 2;
+        const midAngleRad = ((midAngleDeg - 90) * Math.PI) / 180; // SVG座標系用に調整
+        
+        let labelX, labelY, labelRadius;
+        
+        if (labelPosition === 'arc-center') {
+            labelRadius = radius + 20; // 円の外側に配置
+        } else {
+            labelRadius = radius + 30; // 引出線の場合、少し外側に
+        }
+        
+        labelX = centerX + labelRadius * Math.cos(midAngleRad);
+        labelY = centerY + labelRadius * Math.sin(midAngleRad);
+        
+        return {
+            x: labelX,
+            y: labelY,
+            width: labelWidth,
+            height: labelHeight,
+            angle: midAngleDeg,
+            index: index,
+            text: labelText
+        };
+    }
+
+    /**
+     * 円の外側のラベルが描画領域に収まる最大の半径を計算
+     * ラベルごとに、中心角の方向にずらしたラベルの矩形が領域の左右・上下の端に届く半径を求め、その最小値を返す
+     * @param {number} width - 描画領域の幅（円グラフの中心は領域の中央）
+     * @param {number} height - 描画領域の高さ
+     * @param {number} fontSize - フォントサイズ
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @returns {number} 半径（ラベルがない場合は領域に内接する円の半径）
+     */
+    calculateMaxRadius(width, height, fontSize, getTextWidth) {
+        let maxRadius = Math.min(width, height) / 2;
+        for (let i = 0; i < this.data.length; i++) {
+            // 非表示のセグメント（サンバーストの外側のリングの空き）はラベルを描画しない
+            if (this.hiddenSegments && this.hiddenSegments[i]) {
+                continue;
+            }
+            // 半径0で計算すると、ラベルの位置は円の外縁からの距離になる
+            const bounds = this.calculateLabelBounds(0, 0, 0, fontSize, getTextWidth, i);
+            const sliceOffset = (this.sliceOffsets && this.sliceOffsets[i]) || 0;
+            const labelDistance = Math.hypot(bounds.x, bounds.y) + sliceOffset;
+            const angleRad = ((bounds.angle - 90) * Math.PI) / 180;
+            const cos = Math.abs(Math.cos(angleRad));
+            const sin = Math.abs(Math.sin(angleRad));
+            if (cos > 1e-6) {
+                maxRadius = Math.min(maxRadius, (width - bounds.width) / 2 / cos - labelDistance);
+            }
+            if (sin > 1e-6) {
+                maxRadius = Math.min(maxRadius, (height - bounds.height) / 2 / sin - labelDistance);
+            }
+        }
+        return maxRadius;
+    }
+
+    /**
+     * 2つのラベルのバウンディングボックスが重なっているかチェック
+     * @param {Object} label1 - ラベル1の情報 {x, y, width, height}
+     * @param {Object} label2 - ラベル2の情報 {x, y, width, height}
+     * @param {number} padding - ラベル間の最小間隔（ピクセル、デフォルト: 5）
+     * @returns {boolean} 重なっている場合true
+     */
+    checkLabelCollision(label1, label2, padding = 5) {
+        if (!label1 || !label2) {
+            return false;
+        }
+        
+        // ラベル1のバウンディングボックス（中央揃えを考慮）
+        const label1Left = label1.x - label1.width / 2;
+        const label1Right = label1.x + label1.width / 2;
+        const label1Top = label1.y - label1.height / 2;
+        const label1Bottom = label1.y + label1.height / 2;
+        
+        // ラベル2のバウンディングボックス（中央揃えを考慮）
+        const label2Left = label2.x - label2.width / 2;
+        const label2Right = label2.x + label2.width / 2;
+        const label2Top = label2.y - label2.height / 2;
+        const label2Bottom = label2.y + label2.height / 2;
+        
+        // パディングを考慮した衝突判定
+        // 2つの矩形が重なっているかチェック
+        const horizontalOverlap = !(label1Right + padding < label2Left || label2Right + padding < label1Left);
+        const verticalOverlap = !(label1Bottom + padding < label2Top || label2Bottom + padding < label1Top);
+        
+        return horizontalOverlap && verticalOverlap;
+    }
+
+    /**
+     * すべてのラベルの衝突をチェック
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 円グラフの半径
+     * @param {number} fontSize - フォントサイズ
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @returns {Array} 衝突しているラベルのペアの配列 [{label1, label2}, ...]
+     */
+    checkAllLabelCollisions(centerX, centerY, radius, fontSize, getTextWidth) {
+        const collisions = [];
+        const labelBounds = [];
+        
+        // すべてのラベルの位置とサイズを計算
+        for (let i = 0; i < this.data.length; i++) {
+            const bounds = this.calculateLabelBounds(centerX, centerY, radius, fontSize, getTextWidth, i);
+            if (bounds) {
+                labelBounds.push(bounds);
+            }
+        }
+        
+        // すべてのラベルペアについて衝突をチェック
+        for (let i = 0; i < labelBounds.length; i++) {
+            for (let j = i + 1; j < labelBounds.length; j++) {
+                if (this.checkLabelCollision(labelBounds[i], labelBounds[j])) {
+                    collisions.push({
+                        label1: labelBounds[i],
+                        label2: labelBounds[j]
+                    });
+                }
+            }
+        }
+        
+        return collisions;
+    }
+
+    /**
+     * 350度（北北西）付近のラベル衝突を解決するため、小さいカテゴリを「その他」にまとめる
+     * strategyが'shift'の場合はまとめずに、衝突しているラベルを円周に沿って互いに離れる方向にずらす（サンバーストの外側のリング用）
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 円グラフの半径
+     * @param {number} fontSize - フォントサイズ
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @param {number} maxIterations - 最大繰り返し回数（デフォルト: 10）
+     * @param {string} othersLabel - 「その他」カテゴリのラベル（デフォルト: "その他"）
+     * @param {number} angleRange - 350度付近の角度範囲（デフォルト: 20度、つまり340度〜360度と0度〜20度）
+     * @param {string} strategy - 解決方法（'merge': 「その他」にまとめる、'shift': ラベルをずらす。デフォルト: 'merge'）
+     * @param {number} stepAngle - 'shift'の場合に1回の調整でずらす角度（度、デフォルト: 2度）
+     * @returns {Object} 処理結果 {success: boolean, iterations: number, originalData: Array, originalLabels: Array}
+     */
+    resolve350DegreeCollisions(centerX, centerY, radius, fontSize, getTextWidth, maxIterations = 10, othersLabel = 'その他', angleRange = 20, strategy = 'merge', stepAngle = 2) {
+        if (strategy === 'shift') {
+            return {
+                ...this.shiftLabelsNear350Degrees(centerX, centerY, radius, fontSize, getTextWidth, maxIterations, angleRange, stepAngle),
+                originalData: [...this.data],
+                originalLabels: [...this.labels]
+            };
+        }
+        
+        // 元のデータを保存
+        const originalData = [...this.data];
+        const originalLabels = [...this.labels];
+        
+        let iterations = 0;
+        let hasCollisions = true;
+        
+        while (hasCollisions && iterations < maxIterations) {
+            iterations++;
+            
+            // すべてのラベルの衝突をチェック
+            const allCollisions = this.checkAllLabelCollisions(centerX, centerY, radius, fontSize, getTextWidth);
+            
+            // 350度付近（340度〜360度、0度〜20度）の衝突を特定
+            const segmentAngles = this.getSegmentAngles();
+            const collisionsIn350Range = allCollisions.filter(collision => {
+                const angle1 = collision.label1.angle;
+                const angle2 = collision.label2.angle;
+                
+                // 角度を0〜360度の範囲に正規化
+                const normalizeAngle = (angle) => {
+                    while (angle < 0) angle += 360;
+                    while (angle >= 360) angle -= 360;
+                    return angle;
+                };
+                
+                const normAngle1 = normalizeAngle(angle1);
+                const normAngle2 = normalizeAngle(angle2);
+                
+                // 350度付近の範囲をチェック（340度〜360度、0度〜20度）
+                const isIn350Range = (angle) => {
+                    return (angle >= 360 - angleRange) || (angle <= angleRange);
+                };
+                
+                return isIn350Range(normAngle1) || isIn350Range(normAngle2);
+            });
+            
+            // 350度付近に衝突がない場合は終了
+            if (collisionsIn350Range.length === 0) {
+                hasCollisions = false;
+                break;
+            }
+            
+            // 衝突しているラベルの中で、最も小さいセグメントを特定
+            const segmentsToMerge = new Set();
+            collisionsIn350Range.forEach(collision => {
+                const index1 = collision.label1.index;
+                const index2 = collision.label2.index;
+                
+                // パーセンテージが小さい方を「その他」にまとめる対象とする
+                const percentage1 = this.getPercentages()[index1];
+                const percentage2 = this.getPercentages()[index2];
+                
+                if (percentage1 < percentage2) {
+                    segmentsToMerge.add(index1);
+                } else {
+                    segmentsToMerge.add(index2);
+                }
+            });
+            
+            // まとめるセグメントがない場合は終了
+            if (segmentsToMerge.size === 0) {
+                hasCollisions = false;
+                break;
+            }
+            
+            // 「その他」カテゴリにまとめる
+            this.mergeToOthersCategory(Array.from(segmentsToMerge), othersLabel);
+            
+            // データを再構築（ソートし直すため）
+            // setDataを呼び出すことで、データが再度ソートされ、角度が再計算される
+            this.setData(this.data, this.labels);
+        }
+        
+        return {
+            success: !hasCollisions,
+            iterations: iterations,
+            originalData: originalData,
+            originalLabels: originalLabels
+        };
+    }
+
+    /**
+     * 350度（北北西）付近で衝突しているラベルを、円周に沿って互いに離れる方向にずらす
+     * 時計回りの後ろ側のラベルを時計回りに、前側のラベルを反時計回りにずらす。データと他のラベルの角度オフセットは変更しない
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 円グラフの半径
+     * @param {number} fontSize - フォントサイズ
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @param {number} maxIterations - 最大繰り返し回数
+     * @param {number} angleRange - 350度付近の角度範囲（340度〜360度と0度〜20度の場合は20度）
+     * @param {number} stepAngle - 1回の調整でずらす角度（度）
+     * @returns {Object} 処理結果 {success: boolean, iterations: number}
+     */
+    shiftLabelsNear350Degrees(centerX, centerY, radius, fontSize, getTextWidth, maxIterations, angleRange, stepAngle) {
+        if (!this.labelAngleOffsets || this.labelAngleOffsets.length !== this.data.length) {
+            this.labelAngleOffsets = new Array(this.data.length).fill(0);
+        }
+        
+        // 角度を0〜360度の範囲に正規化
+        const normalizeAngle = (angle) => ((angle % 360) + 360) % 360;
+        const isIn350Range = (angle) => {
+            const normAngle = normalizeAngle(angle);
+            return normAngle >= 360 - angleRange || normAngle <= angleRange;
+        };
+        
+        let iterations = 0;
+        let hasCollisions = true;
+        const shiftedIndices = new Set(); // ずらしたラベル（範囲の外に押し出した先での衝突も解決する）
+        
+        while (hasCollisions && iterations < maxIterations) {
+            // すべてのラベルの衝突をチェック（オフセットを考慮）し、350度付近またはずらしたラベルの衝突を特定
+            const isTarget = (label) => isIn350Range(label.angle) || shiftedIndices.has(label.index);
+            const collisionsIn350Range = this.checkAllLabelCollisionsWithOffsets(centerX, centerY, radius, fontSize, getTextWidth)
+                .filter(collision => isTarget(collision.label1) || isTarget(collision.label2));
+            
+            // 350度付近に衝突がない場合は終了
+            if (collisionsIn350Range.length === 0) {
+                hasCollisions = false;
+                break;
+            }
+            iterations++;
+            
+            collisionsIn350Range.forEach(collision => {
+                // label2がlabel1より時計回りの後ろ側にある場合は正（-180度〜180度）
+                const diff = normalizeAngle(collision.label2.angle - collision.label1.angle + 180) - 180;
+                const [before, after] = diff >= 0 ? [collision.label1, collision.label2] : [collision.label2, collision.label1];
+                this.labelAngleOffsets[before.index] -= stepAngle;
+                this.labelAngleOffsets[after.index] += stepAngle;
+                shiftedIndices.add(before.index);
+                shiftedIndices.add(after.index);
+            });
+        }
+        
+        return {
+            success: !hasCollisions,
+            iterations: iterations
+        };
+    }
+
+    /**
+     * 指定されたインデックスのセグメントを「その他」カテゴリにまとめる
+     * @param {Array<number>} indices - まとめるセグメントのインデックス配列
+     * @param {string} othersLabel - 「その他」カテゴリのラベル
+     */
+    mergeToOthersCategory(indices, othersLabel) {
+        if (indices.length === 0) {
+            return;
+        }
+        
+        // インデックスを降順にソート（後ろから削除するため）
+        const sortedIndices = [...indices].sort((a, b) => b - a);
+        
+        // 「その他」カテゴリの値を計算
+        let othersValue = 0;
+        const mergedLabels = [];
+        
+        sortedIndices.forEach(index => {
+            othersValue += this.data[index];
+            mergedLabels.push(this.labels[index]);
+        });
+        
+        // セグメントを削除（後ろから削除することでインデックスがずれないようにする）
+        sortedIndices.forEach(index => {
+            this.data.splice(index, 1);
+            this.labels.splice(index, 1);
+        });
+        
+        // 「その他」カテゴリを追加
+        // 既に「その他」カテゴリが存在する場合は値を追加、存在しない場合は新規追加
+        const othersIndex = this.labels.indexOf(othersLabel);
+        if (othersIndex >= 0) {
+            this.data[othersIndex] += othersValue;
+        } else {
+            // 「その他」カテゴリを最後に追加（最小値として扱われるように）
+            this.data.push(othersValue);
+            this.labels.push(othersLabel);
+        }
+    }
+
+    /**
+     * 元のデータに戻す
+     * @param {Array<number>} originalData - 元のデータ配列
+     * @param {Array<string>} originalLabels - 元のラベル配列
+     */
+    restoreOriginalData(originalData, originalLabels) {
+        this.data = [...originalData];
+        this.labels = [...originalLabels];
+        this.labelAngleOffsets = new Array(this.data.length).fill(0);
+    }
+
+    /**
+     * 180度（真南）付近のラベル衝突を解決するため、右側のラベルを右にずらす
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 円グラフの半径
+     * @param {number} fontSize - フォントサイズ
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @param {number} maxIterations - 最大繰り返し回数（デフォルト: 20）
+     * @param {number} angleRange - 180度付近の角度範囲（デフォルト: 30度、つまり165度〜195度）
+     * @param {number} stepAngle - 1回の調整でずらす角度（度、デフォルト: 2度）
+     * @returns {Object} 処理結果 {success: boolean, iterations: number}
+     */
+    resolve180DegreeCollisions(centerX, centerY, radius, fontSize, getTextWidth, maxIterations = 20, angleRange = 30, stepAngle = 2) {
+        // ラベルの角度オフセットをリセット
+        this.labelAngleOffsets = new Array(this.data.length).fill(0);
+        
+        let iterations = 0;
+        let hasCollisions = true;
+        
+        while (hasCollisions && iterations < maxIterations) {
+            iterations++;
+            
+            // すべてのラベルの衝突をチェック（オフセットを考慮）
+            const allCollisions = this.checkAllLabelCollisionsWithOffsets(centerX, centerY, radius, fontSize, getTextWidth);
+            
+            // 180度付近（165度〜195度）の衝突を特定
+            const collisionsIn180Range = allCollisions.filter(collision => {
+                const angle1 = collision.label1.angle + (this.labelAngleOffsets[collision.label1.index] || 0);
+                const angle2 = collision.label2.angle + (this.labelAngleOffsets[collision.label2.index] || 0);
+                
+                // 角度を0〜360度の範囲に正規化
+                const normalizeAngle = (angle) => {
+                    while (angle < 0) angle += 360;
+                    while (angle >= 360) angle -= 360;
+                    return angle;
+                };
+                
+                const normAngle1 = normalizeAngle(angle1);
+                const normAngle2 = normalizeAngle(angle2);
+                
+                // 180度付近の範囲をチェック（165度〜195度）
+                const isIn180Range = (angle) => {
+                    const diff = Math.abs(angle - 180);
+                    return diff <= angleRange / 2 || diff >= 360 - angleRange / 2;
+                };
+                
+                return isIn180Range(normAngle1) || isIn180Range(normAngle2);
+            });
+            
+            // 180度付近に衝突がない場合は終了
+            if (collisionsIn180Range.length === 0) {
+                hasCollisions = false;
+                break;
+            }
+            
+            // 衝突しているラベルの中で、角度が大きい方（右側）を右にずらす
+            collisionsIn180Range.forEach(collision => {
+                const index1 = collision.label1.index;
+                const index2 = collision.label2.index;
+                
+                const angle1 = collision.label1.angle + (this.labelAngleOffsets[index1] || 0);
+                const angle2 = collision.label2.angle + (this.labelAngleOffsets[index2] || 0);
+                
+                // 角度を0〜360度の範囲に正規化
+                const normalizeAngle = (angle) => {
+                    while (angle < 0) angle += 360;
+                    while (angle >= 360) angle -= 360;
+                    return angle;
+                };
+                
+                const normAngle1 = normalizeAngle(angle1);
+                const normAngle2 = normalizeAngle(angle2);
+                
+                // 180度からの距離を計算（180度に近いほど優先）
+                const dist1 = Math.min(Math.abs(normAngle1 - 180), Math.abs(normAngle1 - 180 + 360), Math.abs(normAngle1 - 180 - 360));
+                const dist2 = Math.min(Math.abs(normAngle2 - 180), Math.abs(normAngle2 - 180 + 360), Math.abs(normAngle2 - 180 - 360));
+                
+                // 角度が大きい方（右側、時計回り）を右にずらす
+                // 180度に近い方を優先的にずらす
+                if (normAngle1 > normAngle2 || (dist1 < dist2 && normAngle1 >= 180)) {
+                    // index1を右にずらす（角度を増やす）
+                    this.labelAngleOffsets[index1] = (this.labelAngleOffsets[index1] || 0) + stepAngle;
+                } else {
+                    // index2を右にずらす（角度を増やす）
+                    this.labelAngleOffsets[index2] = (this.labelAngleOffsets[index2] || 0) + stepAngle;
+                }
+            });
+        }
+        
+        return {
+            success: !hasCollisions,
+            iterations: iterations
+        };
+    }
+
+    /**
+     * オフセットを考慮したすべてのラベルの衝突をチェック
      * @param {number} centerX - 円グラフの中心X座標
      * @param {number} centerY - 円グラフの中心Y座標
      * @param {number} radius - 円グラフの半径
      * @param {number} fontSize - フォントサイズ
-     * @param {Function} getTextWidth - テキスト幅を取得する関数
-     * @param {number} maxIterations - 最大繰り返し回数（デフォルト: 10）
-     * @param {string} othersLabel - 「その他」カテゴリのラベル（デフォルト: "その他"）
-     * @param {number} angleRange - 350度付近の角度範囲（デフォルト: 20度、つまり340度〜360度と0度〜20度）
-     * @returns {Object} 処理結果 {success: boolean, iterations: number, originalData: Array, originalLabels: Array}
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @returns {Array} 衝突しているラベルのペアの配列 [{label1, label2}, ...]
+     */
+    checkAllLabelCollisionsWithOffsets(centerX, centerY, radius, fontSize, getTextWidth) {
+        const collisions = [];
+        const labelBounds = [];
+        
+        // すべてのラベルの位置とサイズを計算（オフセットを考慮）
+        for (let i = 0; i < this.data.length; i++) {
+            // 非表示のセグメント（サンバーストの外側のリングの空き）はラベルを描画しないため除く
+            if (this.hiddenSegments && this.hiddenSegments[i]) {
+                continue;
+            }
+            const bounds = this.calculateLabelBounds(centerX, centerY, radius, fontSize, getTextWidth, i);
+            if (bounds) {
+                // 角度オフセットを適用
+                const offset = this.labelAngleOffsets[i] || 0;
+                const adjustedAngle = bounds.angle + offset;
+                
+                // オフセット後の位置を再計算
+                const adjustedAngleRad = ((adjustedAngle - 90) * Math.PI) / 180;
+                const labelPosition = this.determineLabelPosition(i);
+                const labelRadius = labelPosition === 'arc-center' ? radius + 20 : radius + 30;
+                
+                bounds.x = centerX + labelRadius * Math.cos(adjustedAngleRad);
+                bounds.y = centerY + labelRadius * Math.sin(adjustedAngleRad);
+                bounds.angle = adjustedAngle;
+                
+                labelBounds.push(bounds);
+            }
+        }
+        
+        // すべてのラベルペアについて衝突をチェック
+        for (let i = 0; i < labelBounds.length; i++) {
+            for (let j = i + 1; j < labelBounds.length; j++) {
+                if (this.checkLabelCollision(labelBounds[i], labelBounds[j])) {
+                    collisions.push({
+                        label1: labelBounds[i],
+                        label2: labelBounds[j]
+                    });
+                }
+            }
+        }
+        
+        return collisions;
+    }
+}
+
+/**
+ * PieTsvLoader - 円グラフ用TSVローダークラス
+ */
+class PieTsvLoader {
+    constructor(pieChart, url) {
+        this.pieChart = pieChart;
+        this.url = url;
+        this.categoryTitle = ''; // カテゴリ名列の列名
+        this.categoryTitles = []; // 階層のカテゴリ名列の列名（上位から順、サンバーストの場合。指定した場合はcategoryTitleより優先）
+        this.valueTitle = ''; // 値列の列名
+        this.groupTitle = ''; // グループ列の列名（複数の円グラフを並べる場合）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+        this.groupPieCharts = []; // グループごとに追加した円グラフ（2つ目以降のグループ）
+    }
+
+    /**
+     * TSVファイルを読み込んでデータを追加
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const categoryTitles = this.categoryTitles.length > 0 ? this.categoryTitles : [this.categoryTitle];
+        if (!categoryTitles[0] || !this.valueTitle) {
+            throw new Error('categoryTitle and valueTitle must be set before calling load()');
+        }
+
+        // TSVファイルを読み込む
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+        }
+
+        const text = await response.text();
+
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
+            throw new Error('TSV file is empty');
+        }
+
+        const categoryIndices = categoryTitles.map(title => headers.indexOf(title));
+        const valueIndex = headers.indexOf(this.valueTitle);
+        
+        categoryIndices.forEach((categoryIndex, level) => {
+            if (categoryIndex === -1) {
+                throw new Error(`Column "${categoryTitles[level]}" not found in TSV file`);
+            }
+        });
+        if (valueIndex === -1) {
+            throw new Error(`Column "${this.valueTitle}" not found in TSV file`);
+        }
+
+        // グループ列のインデックスを取得（複数の円グラフを並べる場合）
+        const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
+        const categoryIndex = categoryIndices[0];
+
+        // グループごとのデータを収集（グループ列がない場合は1つのグループ）
+        const dataByGroup = new Map(); // Map<groupName, Array<{path, value}>>
+        
+        for (const columns of rows) {
+            if (columns.length <= Math.max(categoryIndex, valueIndex, groupIndex)) {
+                continue;
+            }
+            
+            const path = categoryIndices.map(index => columns[index]?.trim() || '');
+            const valueStr = columns[valueIndex].trim();
+            const value = parseFloat(valueStr);
+            const groupName = groupIndex === -1 ? '' : (columns[groupIndex]?.trim() || '');
+            
+            if (!isNaN(value) && value >= 0 && path[0] && (groupIndex === -1 || groupName)) {
+                if (!dataByGroup.has(groupName)) {
+                    dataByGroup.set(groupName, []);
+                }
+                dataByGroup.get(groupName).push({ path, value });
+            }
+        }
+
+        // 単一の円グラフの場合
+        if (groupIndex === -1) {
+            this.setPieChartData(this.pieChart, dataByGroup.get('') || []);
+            return;
+        }
+
+        // 前回の読み込みで追加した円グラフを取り除く
+        const chartCanvas = this.pieChart.chartCanvas;
+        if (chartCanvas.pieCharts) {
+            chartCanvas.pieCharts = chartCanvas.pieCharts.filter(pieChart => !this.groupPieCharts.includes(pieChart));
+        }
+        this.groupPieCharts = [];
+
+        // グループごとに円グラフを作成
+        // 最初のグループは現在のPieChartに設定し、2つ目以降のグループは同じ設定の円グラフを追加する
+        // 各円グラフのタイトルにはグループ名を使用する
+        const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
+        sortedGroupNames.forEach((groupName, index) => {
+            let pieChart = this.pieChart;
+            if (index > 0) {
+                pieChart = chartCanvas.addPieChart().copySettingsFrom(this.pieChart);
+                this.groupPieCharts.push(pieChart);
+            }
+            pieChart.setTitle(groupName);
+            this.setPieChartData(pieChart, dataByGroup.get(groupName));
+        });
+    }
+
+    /**
+     * 読み込んだ行を円グラフに設定（階層のカテゴリ列を指定した場合はサンバーストの階層データ）
+     * @param {PieChart} pieChart - 設定先の円グラフ
+     * @param {Array<{path: Array<string>, value: number}>} rows - カテゴリのパスと値の配列
+     */
+    setPieChartData(pieChart, rows) {
+        if (this.categoryTitles.length > 0) {
+            pieChart.setHierarchicalData(rows);
+        } else {
+            pieChart.setData(rows.map(row => row.value), rows.map(row => row.path[0]));
+        }
+    }
+}
+
+/**
+ * ScatterChart - 散布図チャートクラス
+ * 数値のX軸・Y軸に点を配置する散布図（点ごとにサイズを指定した場合はバブルチャート）を管理するクラス
+ */
+class ScatterChart {
+    // 回帰直線のスタイル
+    static REGRESSION_LINE_STYLES = ['solid', 'dashed', 'dotted'];
+
+    /**
+     * コンストラクタ
+     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     */
+    constructor(chartCanvas) {
+        this.chartCanvas = chartCanvas;
+
+        // X軸の設定
+        this.xAxisTitle = '';
+        this.xAxisFormat = '#,##0';
+        this.xAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定 {min, max, tickInterval, tickCount, includeZero}
+
+        // Y軸の設定
+        this.yAxisTitle = '';
+        this.yAxisFormat = '#,##0';
+        this.yAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定（xAxisOptionsと同じ）
+
+        // タイトルとサブタイトル
+        this.title = '';
+        this.subtitle = '';
+
+        // 点の設定
+        this.pointRadius = 5; // サイズを指定しない点の半径
+        this.minBubbleRadius = 4; // バブルの最小の半径
+        this.maxBubbleRadius = 24; // バブルの最大の半径（サイズが最大の点）
+        this.sizeFormat = '#,##0'; // ツールチップのサイズの数値フォーマット
+
+        // グリッド線の設定
+        this.xGrid = false; // X軸のグリッド線を表示するか（デフォルト: false）
+        this.yGrid = false; // Y軸のグリッド線を表示するか（デフォルト: false）
+
+        // 回帰直線の設定（系列ごとに系列の色で描画）
+        this.showRegressionLine = false; // 回帰直線を表示するか（デフォルト: false）
+        this.regressionLineStyle = 'dashed'; // 回帰直線のスタイル（'solid', 'dashed', 'dotted'）
+        this.regressionLineWidth = 2; // 回帰直線の幅（デフォルト: 2）
+
+        // データ系列を保持（グループ別の散布図対応）
+        this.series = [];
+    }
+
+    /**
+     * 散布図の系列を追加
+     * @param {Object} options - 系列のオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 点の色
+     * @param {number} options.opacity - 透明度（0.0-1.0、デフォルト: 0.7）
+     * @returns {ScatterSeries} ScatterSeriesインスタンス
+     */
+    addSeries(options = {}) {
+        const series = new ScatterSeries(this, options);
+        this.series.push(series);
+        return series;
+    }
+
+    /**
+     * TSVローダーを作成
+     * @param {string} url - TSVファイルのURL
+     * @returns {ScatterTSVLoader} ScatterTSVLoaderインスタンス
+     */
+    tsvLoader(url) {
+        return new ScatterTSVLoader(this, url);
+    }
+
+    /**
+     * X軸の範囲と目盛りを設定（指定しなかった項目は自動計算、HistogramChart.setXAxisOptionsと同じ形式）
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはfalse（データの最小値から最大値まで）
+     * @returns {ScatterChart} メソッドチェーン用にthisを返す
+     */
+    setXAxisOptions(options) {
+        this.xAxisOptions = AxisScale.normalizeOptions(options, 'xAxisOptions');
+        return this;
+    }
+
+    /**
+     * Y軸の範囲と目盛りを設定（指定しなかった項目は自動計算、setXAxisOptionsと同じ形式）
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはfalse（データの最小値から最大値まで）
+     * @returns {ScatterChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisOptions(options) {
+        this.yAxisOptions = AxisScale.normalizeOptions(options, 'yAxisOptions');
+        return this;
+    }
+
+    /**
+     * すべての系列の点を取得
+     * @returns {Array<Object>} 点の配列 [{x, y, size, label, group}, ...]
+     */
+    getAllPoints() {
+        const points = [];
+        for (const series of this.series) {
+            points.push(...series.data);
+        }
+        return points;
+    }
+
+    /**
+     * データの範囲を取得
+     * @returns {Object} {xMin, xMax, yMin, yMax} X・Yの最小値と最大値（データがない場合は0〜100）
+     */
+    getDataRange() {
+        let xMin = Infinity;
+        let xMax = -Infinity;
+        let yMin = Infinity;
+        let yMax = -Infinity;
+
+        for (const series of this.series) {
+            for (const point of series.data) {
+                if (point.x < xMin) xMin = point.x;
+                if (point.x > xMax) xMax = point.x;
+                if (point.y < yMin) yMin = point.y;
+                if (point.y > yMax) yMax = point.y;
+            }
+        }
+
+        if (xMin === Infinity) {
+            return { xMin: 0, xMax: 100, yMin: 0, yMax: 100 };
+        }
+
+        return { xMin, xMax, yMin, yMax };
+    }
+
+    /**
+     * サイズの最大値を取得（バブルの半径の計算に使用）
+     * @returns {number|null} 正のサイズの最大値（サイズを指定した点がない場合はnull）
+     */
+    getMaxSize() {
+        let maxSize = null;
+        for (const point of this.getAllPoints()) {
+            if (point.size !== null && point.size > 0 && (maxSize === null || point.size > maxSize)) {
+                maxSize = point.size;
+            }
+        }
+        return maxSize;
+    }
+
+    /**
+     * 点の半径を計算
+     * サイズを指定した点は面積がサイズに比例するように maxBubbleRadius * √(size / 最大のサイズ) とし、minBubbleRadius未満の場合は切り上げる
+     * @param {Object} point - 点 {x, y, size, label, group}
+     * @param {number|null} maxSize - サイズの最大値（getMaxSizeの戻り値）
+     * @returns {number} 半径
+     */
+    getPointRadius(point, maxSize) {
+        if (point.size === null || maxSize === null) {
+            return this.pointRadius;
+        }
+        if (point.size <= 0) {
+            return this.minBubbleRadius;
+        }
+        return Math.max(this.minBubbleRadius, this.maxBubbleRadius * Math.sqrt(point.size / maxSize));
+    }
+
+    /**
+     * X軸のスケールを計算（xAxisOptionsの指定を使用）
+     * 範囲が小さいデータや小数のデータも目盛りが10個程度になるように、自動の間隔はAxisScale.calculateFractionalIntervalで計算する
+     * @param {number} min - データの最小値
+     * @param {number} max - データの最大値
+     * @returns {Object} {min, max, tickInterval, tickCount, labels} スケール情報
+     */
+    calculateXAxisScale(min, max) {
+        return AxisScale.calculateLinearScale(min, max, this.xAxisOptions, false, AxisScale.calculateFractionalInterval);
+    }
+
+    /**
+     * Y軸のスケールを計算（X軸と同じロジック、yAxisOptionsの指定を使用）
+     * @param {number} min - データの最小値
+     * @param {number} max - データの最大値
+     * @returns {Object} {min, max, tickInterval, tickCount, labels} スケール情報
+     */
+    calculateYAxisScale(min, max) {
+        return AxisScale.calculateLinearScale(min, max, this.yAxisOptions, false, AxisScale.calculateFractionalInterval);
+    }
+
+    /**
+     * 最小二乗法で回帰直線 y = slope * x + intercept を計算
+     * @param {Array<Object>} points - 点の配列 [{x, y}, ...]
+     * @returns {Object|null} {slope, intercept, rSquared}（点が2つ未満、またはXがすべて同じ値の場合はnull）
+     */
+    static calculateRegression(points) {
+        const count = points.length;
+        if (count < 2) {
+            return null;
+        }
+
+        let sumX = 0;
+        let sumY = 0;
+        for (const point of points) {
+            sumX += point.x;
+            sumY += point.y;
+        }
+        const meanX = sumX / count;
+        const meanY = sumY / count;
+
+        // 偏差の積和から傾きと決定係数を計算（平均を引いてから計算し、桁落ちを防ぐ）
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        for (const point of points) {
+            const dx = point.x - meanX;
+            const dy = point.y - meanY;
+            sxx += dx * dx;
+            sxy += dx * dy;
+            syy += dy * dy;
+        }
+        if (sxx === 0) {
+            return null;
+        }
+
+        const slope = sxy / sxx;
+        return {
+            slope,
+            intercept: meanY - slope * meanX,
+            rSquared: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1
+        };
+    }
+
+    /**
+     * 回帰直線の式を文字列に変換（係数は有効数字3桁、決定係数は小数点以下2桁）
+     * @param {Object} regression - 回帰直線 {slope, intercept, rSquared}
+     * @returns {string} 式（例: 'y = 2.5x + 120（R² = 0.87）'）
+     */
+    static formatRegression(regression) {
+        const slope = parseFloat(regression.slope.toPrecision(3));
+        const intercept = parseFloat(Math.abs(regression.intercept).toPrecision(3));
+        const sign = regression.intercept < 0 ? '-' : '+';
+        return `y = ${slope}x ${sign} ${intercept}（R² = ${regression.rSquared.toFixed(2)}）`;
+    }
+}
+
+/**
+ * ScatterSeries - 散布図の系列クラス
+ */
+class ScatterSeries {
+    constructor(scatterChart, options = {}) {
+        this.scatterChart = scatterChart;
+        this.title = options.title || '';
+        this.color = options.color || 'blue';
+        this.opacity = options.opacity !== undefined ? options.opacity : 0.7;
+        this.data = []; // 点の配列 [{x, y, size, label, group}, ...]
+    }
+
+    /**
+     * 点を追加
+     * @param {number} x - X軸の値
+     * @param {number} y - Y軸の値
+     * @param {Object} options - 点のオプション
+     * @param {number} options.size - バブルのサイズ（省略時はScatterChart.pointRadiusの大きさの点）
+     * @param {string} options.label - 点のラベル（ツールチップに表示）
+     * @param {string} options.group - 点のグループ名
+     */
+    addData(x, y, options = {}) {
+        if (typeof x !== 'number' || isNaN(x) || typeof y !== 'number' || isNaN(y)) {
+            return; // 数値でない場合はスキップ
+        }
+        const size = typeof options.size === 'number' && !isNaN(options.size) ? options.size : null;
+        this.data.push({
+            x,
+            y,
+            size,
+            label: options.label || '',
+            group: options.group || ''
+        });
+    }
+
+    /**
+     * 複数の点を一度に追加
+     * @param {Array<Object>} points - 点の配列 [{x, y, size, label, group}, ...]
+     */
+    addDataArray(points) {
+        for (const point of points) {
+            this.addData(point.x, point.y, point);
+        }
+    }
+
+    /**
+     * 系列の回帰直線を計算
+     * @returns {Object|null} {slope, intercept, rSquared}（計算できない場合はnull）
+     */
+    getRegression() {
+        return ScatterChart.calculateRegression(this.data);
+    }
+}
+
+/**
+ * ScatterTSVLoader - 散布図用TSVローダークラス
+ */
+class ScatterTSVLoader {
+    constructor(scatterChart, url) {
+        this.scatterChart = scatterChart;
+        this.url = url;
+        this.xTitle = ''; // X軸の値の列名
+        this.yTitle = ''; // Y軸の値の列名
+        this.sizeTitle = ''; // バブルのサイズの列名（省略可）
+        this.labelTitle = ''; // 点のラベルの列名（省略可）
+        this.groupTitle = ''; // グループ列の列名（省略可、グループごとに系列を作成）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+
+        const palette = scatterChart?.chartCanvas?.theme?.palette;
+        this.seriesColors = palette ? [...palette] : ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+    }
+
+    /**
+     * TSVファイルを読み込んでデータを追加
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.xTitle || !this.yTitle) {
+            throw new Error('xTitle and yTitle must be set before calling load()');
+        }
+
+        // TSVファイルを読み込む
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+        }
+
+        const text = await response.text();
+
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
+            throw new Error('TSV file is empty');
+        }
+
+        const findColumn = (title) => {
+            if (!title) {
+                return -1;
+            }
+            const index = headers.indexOf(title);
+            if (index === -1) {
+                throw new Error(`Column "${title}" not found in TSV file`);
+            }
+            return index;
+        };
+        const xIndex = findColumn(this.xTitle);
+        const yIndex = findColumn(this.yTitle);
+        const sizeIndex = findColumn(this.sizeTitle);
+        const labelIndex = findColumn(this.labelTitle);
+        const groupIndex = findColumn(this.groupTitle);
+
+        // グループごとに点を収集（グループ列がない場合は1つのグループ）
+        const pointsByGroup = new Map();
+        for (const columns of rows) {
+            const x = parseFloat(columns[xIndex]?.trim());
+            const y = parseFloat(columns[yIndex]?.trim());
+            if (isNaN(x) || isNaN(y)) {
+                continue; // 数値でない場合はスキップ
+            }
+
+            const groupName = groupIndex !== -1 ? (columns[groupIndex]?.trim() || '') : '';
+            if (groupIndex !== -1 && !groupName) {
+                continue; // グループ名がない場合はスキップ
+            }
+
+            if (!pointsByGroup.has(groupName)) {
+                pointsByGroup.set(groupName, []);
+            }
+            pointsByGroup.get(groupName).push({
+                x,
+                y,
+                size: sizeIndex !== -1 ? parseFloat(columns[sizeIndex]?.trim()) : null,
+                label: labelIndex !== -1 ? (columns[labelIndex]?.trim() || '') : '',
+                group: groupName
+            });
+        }
+
+        if (groupIndex === -1) {
+            // 単一の系列を作成
+            const series = this.scatterChart.addSeries({
+                title: this.scatterChart.title || 'データ',
+                color: this.seriesColors[0]
+            });
+            series.addDataArray(pointsByGroup.get('') || []);
+            return;
+        }
+
+        // グループごとに系列を作成してデータを追加
+        const sortedGroupNames = Array.from(pointsByGroup.keys()).sort();
+        sortedGroupNames.forEach((groupName, index) => {
+            const series = this.scatterChart.addSeries({
+                title: groupName,
+                color: this.seriesColors[index % this.seriesColors.length]
+            });
+            series.addDataArray(pointsByGroup.get(groupName));
+        });
+    }
+}
+
+/**
+ * BoxPlotChart - 箱ひげ図チャートクラス
+ * グループ（系列）ごとのデータの分布を四分位数・ひげ・外れ値で並べて比較する箱ひげ図を管理するクラス
+ */
+class BoxPlotChart {
+    // ひげの範囲の種類（'tukey': 箱の端から1.5×IQR以内の最も外側の値、'minmax': 最小値・最大値）
+    static WHISKER_MODES = ['tukey', 'minmax'];
+
+    // Tukeyのひげの範囲（四分位範囲に対する倍率）
+    static TUKEY_FACTOR = 1.5;
+
+    /**
+     * コンストラクタ
+     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     */
+    constructor(chartCanvas) {
+        this.chartCanvas = chartCanvas;
+
+        // X軸（グループ）の設定
+        this.xAxisTitle = '';
+
+        // Y軸（値）の設定
+        this.yAxisTitle = '';
+        this.yAxisFormat = '#,##0';
+        this.yAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定 {min, max, tickInterval, tickCount, includeZero}
+
+        // タイトルとサブタイトル
+        this.title = '';
+        this.subtitle = '';
+
+        // 箱ひげ図の設定
+        this.whiskerMode = 'tukey'; // ひげの範囲（'tukey', 'minmax'）
+        this.showOutliers = true; // 外れ値の点を表示するか（'tukey'の場合のみ、デフォルト: true）
+        this.showMean = false; // 平均値のマーカーを表示するか（デフォルト: false）
+        this.boxWidthRatio = 0.5; // グループの幅に対する箱の幅の比率（0.0-1.0）
+
+        // グリッド線の設定
+        this.yGrid = false; // Y軸のグリッド線を表示するか（デフォルト: false）
+
+        // データ系列を保持（1つの系列が1つの箱）
+        this.series = [];
+    }
+
+    /**
+     * 箱ひげ図の系列（グループ）を追加
+     * @param {Object} options - 系列のオプション
+     * @param {string} options.title - 系列のタイトル（X軸のラベル）
+     * @param {string} options.color - 箱の色
+     * @param {number} options.opacity - 箱の塗りの透明度（0.0-1.0、デフォルト: 0.5）
+     * @returns {BoxPlotSeries} BoxPlotSeriesインスタンス
+     */
+    addSeries(options = {}) {
+        const series = new BoxPlotSeries(this, options);
+        this.series.push(series);
+        return series;
+    }
+
+    /**
+     * TSVローダーを作成（HistogramTSVLoaderと同じ値列・グループ列の形式）
+     * @param {string} url - TSVファイルのURL
+     * @returns {BoxPlotTSVLoader} BoxPlotTSVLoaderインスタンス
+     */
+    tsvLoader(url) {
+        return new BoxPlotTSVLoader(this, url);
+    }
+
+    /**
+     * ひげの範囲を設定
+     * @param {string} mode - 'tukey'（箱の端から1.5×IQR以内、範囲外は外れ値）または'minmax'（最小値・最大値）
+     * @returns {BoxPlotChart} メソッドチェーン用にthisを返す
+     */
+    setWhiskerMode(mode) {
+        if (!BoxPlotChart.WHISKER_MODES.includes(mode)) {
+            throw new Error(`Invalid whisker mode: ${mode}. Valid modes: ${BoxPlotChart.WHISKER_MODES.join(', ')}`);
+        }
+        this.whiskerMode = mode;
+        return this;
+    }
+
+    /**
+     * Y軸の範囲と目盛りを設定（指定しなかった項目は自動計算、HistogramChart.setXAxisOptionsと同じ形式）
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはfalse（ひげ・外れ値の最小値から最大値まで）
+     * @returns {BoxPlotChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisOptions(options) {
+        this.yAxisOptions = AxisScale.normalizeOptions(options, 'yAxisOptions');
+        return this;
+    }
+
+    /**
+     * ソート済みの値の分位数を計算（線形補間、ExcelのQUARTILE.INCと同じ）
+     * @param {Array<number>} sorted - 昇順にソートした値の配列（1件以上）
+     * @param {number} p - 分位（0.0-1.0）
+     * @returns {number} 分位数
+     */
+    static calculateQuantile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * 値の統計量を計算
+     * @param {Array<number>} values - 値の配列
+     * @returns {Object|null} {count, min, q1, median, q3, max, mean, lowerWhisker, upperWhisker, outliers}（値がない場合はnull）
+     *   'minmax'の場合、ひげは最小値・最大値で外れ値は空
+     */
+    calculateStatistics(values) {
+        if (values.length === 0) {
+            return null;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const q1 = BoxPlotChart.calculateQuantile(sorted, 0.25);
+        const median = BoxPlotChart.calculateQuantile(sorted, 0.5);
+        const q3 = BoxPlotChart.calculateQuantile(sorted, 0.75);
+        const mean = sorted.reduce((acc, val) => acc + val, 0) / sorted.length;
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+
+        let lowerWhisker = min;
+        let upperWhisker = max;
+        let outliers = [];
+        if (this.whiskerMode === 'tukey') {
+            // 箱の端から1.5×IQR以内の最も外側の値までをひげとし、範囲外の値を外れ値とする
+            const iqr = q3 - q1;
+            const lowerFence = q1 - iqr * BoxPlotChart.TUKEY_FACTOR;
+            const upperFence = q3 + iqr * BoxPlotChart.TUKEY_FACTOR;
+            const inner = sorted.filter(value => value >= lowerFence && value <= upperFence);
+            lowerWhisker = inner[0];
+            upperWhisker = inner[inner.length - 1];
+            outliers = sorted.filter(value => value < lowerFence || value > upperFence);
+        }
+
+        return { count: sorted.length, min, q1, median, q3, max, mean, lowerWhisker, upperWhisker, outliers };
+    }
+
+    /**
+     * 描画する値の範囲を取得（ひげの端、表示する外れ値、平均値のマーカーを含む）
+     * @returns {Object} {min, max}（データがない場合は0〜100）
+     */
+    getValueRange() {
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (const series of this.series) {
+            const stats = series.getStatistics();
+            if (!stats) continue;
+            const values = [stats.lowerWhisker, stats.upperWhisker];
+            if (this.showOutliers) values.push(...stats.outliers);
+            if (this.showMean) values.push(stats.mean);
+            for (const value of values) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+
+        if (min === Infinity) {
+            return { min: 0, max: 100 };
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * Y軸のスケールを計算（ScatterChart.calculateYAxisScaleと同じロジック、yAxisOptionsの指定を使用）
+     * @param {number} min - 値の最小値
+     * @param {number} max - 値の最大値
+     * @returns {Object} {min, max, tickInterval, tickCount, labels} スケール情報
+     */
+    calculateYAxisScale(min, max) {
+        return AxisScale.calculateLinearScale(min, max, this.yAxisOptions, false, AxisScale.calculateFractionalInterval);
+    }
+}
+
+/**
+ * BoxPlotSeries - 箱ひげ図の系列（グループ）クラス
+ */
+class BoxPlotSeries {
+    constructor(boxPlotChart, options = {}) {
+        this.boxPlotChart = boxPlotChart;
+        this.title = options.title || '';
+        this.color = options.color || 'blue';
+        this.opacity = options.opacity !== undefined ? options.opacity : 0.5;
+        this.data = []; // 生データの配列
+    }
+
+    /**
+     * データを追加
+     * @param {number} value - 値
+     */
+    addData(value) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            return; // 数値でない場合はスキップ
+        }
+        this.data.push(value);
+    }
+
+    /**
+     * 複数のデータを一度に追加
+     * @param {Array<number>} values - 値の配列
+     */
+    addDataArray(values) {
+        for (const value of values) {
+            this.addData(value);
+        }
+    }
+
+    /**
+     * 系列の統計量を取得（BoxPlotChart.calculateStatisticsを参照）
+     * @returns {Object|null} 統計量（データがない場合はnull）
+     */
+    getStatistics() {
+        return this.boxPlotChart.calculateStatistics(this.data);
+    }
+}
+
+/**
+ * BoxPlotTSVLoader - 箱ひげ図用TSVローダークラス（HistogramTSVLoaderと同じ生データ形式）
+ */
+class BoxPlotTSVLoader {
+    constructor(boxPlotChart, url) {
+        this.boxPlotChart = boxPlotChart;
+        this.url = url;
+        this.valueTitle = ''; // 値列の列名
+        this.groupTitle = ''; // グループ列の列名（省略時は1つの箱）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+
+        const palette = boxPlotChart?.chartCanvas?.theme?.palette;
+        this.seriesColors = palette ? [...palette] : ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+    }
+
+    /**
+     * TSVファイルを読み込んでデータを追加
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.valueTitle) {
+            throw new Error('valueTitle must be set before calling load()');
+        }
+
+        // TSVファイルを読み込む
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+        }
+
+        const text = await response.text();
+
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
+            throw new Error('TSV file is empty');
+        }
+
+        const valueIndex = headers.indexOf(this.valueTitle);
+        if (valueIndex === -1) {
+            throw new Error(`Column "${this.valueTitle}" not found in TSV file`);
+        }
+
+        const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
+        if (this.groupTitle && groupIndex === -1) {
+            throw new Error(`Column "${this.groupTitle}" not found in TSV file`);
+        }
+
+        // グループごとに値を収集（グループ列がない場合は1つのグループ）
+        const dataByGroup = new Map();
+        for (const columns of rows) {
+            const value = parseFloat(columns[valueIndex]?.trim());
+            if (isNaN(value)) {
+                continue; // 数値でない場合はスキップ
+            }
+
+            const groupName = groupIndex !== -1 ? (columns[groupIndex]?.trim() || '') : '';
+            if (groupIndex !== -1 && !groupName) {
+                continue; // グループ名がない場合はスキップ
+            }
+
+            if (!dataByGroup.has(groupName)) {
+                dataByGroup.set(groupName, []);
+            }
+            dataByGroup.get(groupName).push(value);
+        }
+
+        if (groupIndex === -1) {
+            // 単一の箱を作成
+            const series = this.boxPlotChart.addSeries({
+                title: this.boxPlotChart.title || 'データ',
+                color: this.seriesColors[0]
+            });
+            series.addDataArray(dataByGroup.get('') || []);
+            return;
+        }
+
+        // グループごとに箱を作成（グループ名の昇順、HistogramTSVLoaderと同じ）
+        const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
+        sortedGroupNames.forEach((groupName, index) => {
+            const series = this.boxPlotChart.addSeries({
+                title: groupName,
+                color: this.seriesColors[index % this.seriesColors.length]
+            });
+            series.addDataArray(dataByGroup.get(groupName));
+        });
+    }
+}
+
+/**
+ * 仮想DOM要素クラス（DOMなし環境用）
+ */
+class VirtualSVGElement {
+    constructor(tagName, namespace = 'http://www.w3.org/2000/svg') {
+        this.tagName = tagName;
+        this.namespace = namespace;
+        this.attributes = {};
+        this.children = [];
+        this.textContent = '';
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return this.attributes[name];
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    cloneNode(deep) {
+        const clone = new VirtualSVGElement(this.tagName, this.namespace);
+        Object.assign(clone.attributes, this.attributes);
+        clone.textContent = this.textContent;
+        if (deep) {
+            for (const child of this.children) {
+                clone.appendChild(child.cloneNode(true));
+            }
+        }
+        return clone;
+    }
+
+    toXMLString() {
+        let xml = `<${this.tagName}`;
+        for (const [name, value] of Object.entries(this.attributes)) {
+            const escapedValue = String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            xml += ` ${name}="${escapedValue}"`;
+        }
+        if (this.children.length === 0 && !this.textContent) {
+            xml += '/>';
+        } else {
+            xml += '>';
+            if (this.textContent) {
+                xml += this.textContent.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            }
+            for (const child of this.children) {
+                xml += child.toXMLString();
+            }
+            xml += `</${this.tagName}>`;
+        }
+        return xml;
+    }
+}
+
+/**
+ * 仮想DOM API（DOMなし環境用）
+ */
+const VirtualDOM = {
+    createElementNS(namespace, tagName) {
+        // ブラウザ環境でdocumentが存在する場合は、実際のDOM要素を使用
+        if (typeof document !== 'undefined' && document && document.createElementNS) {
+            return document.createElementNS(namespace, tagName);
+        }
+        // DOMなし環境の場合は仮想DOM要素を使用
+        return new VirtualSVGElement(tagName, namespace);
+    }
+};
+
+/**
+ * ChartCanvas - メインクラス
+ * グラフを作成・管理するためのクラス
+ */
+class ChartCanvas {
+    // フォントサイズの定数（lightテーマの既定値。描画時はテーマのfontSizeを使用する）
+    static FONT_SIZE_NORMAL = 14;  // 普通の大きさ
+    static FONT_SIZE_SMALL = 10;    // 小さい大きさ
+
+    // 1日のミリ秒数
+    static MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    // 日時のX軸の目盛り間隔の候補（分）。これを超える場合は日単位の目盛りにする
+    static TIME_TICK_INTERVALS = [1, 2, 5, 10, 15, 30, 60, 120, 180, 360, 720];
+
+    // 日時・集計したデータのX軸の目盛りの最小間隔（px）
+    static TIME_TICK_MIN_SPACING = 40;
+
+    // インスタンスの数（SVGのtitle・desc要素のIDを一意にするため）
+    static instanceCount = 0;
+
+    // データの表を視覚的に隠すスタイル（スクリーンリーダーでは読み上げられる）
+    static VISUALLY_HIDDEN_STYLE = 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;';
+
+    /**
+     * コンストラクタ
+     * @param {HTMLElement|null} container - グラフを表示するDOM要素（nullの場合はDOMなしモード）
+     */
+    constructor(container = null) {
+        this.container = container;
+        this.isHeadlessMode = !container;
+        this.width = 1024;
+        this.height = 600;
+        // タイトル
+        this.title = '';
+        // サブタイトル
+        this.subtitle = '';
+        // テーマ（色・フォント・大きさ・背景）
+        this.theme = ChartTheme.resolve('light');
+        // 日本語対応の等幅フォント（デフォルト: テーマのフォント）
+        this.fontFamily = this.theme.fontFamily;
+        // フォントサイズごとのメトリクスをキャッシュ
+        this.fontMetrics = {};
+        // テキストの幅の測定方法（'auto', 'fixed', 'table', 'canvas' または measureText(text, fontSize, fontFamily) を持つオブジェクト）
+        this.textMeasurer = 'auto';
+        // 解決済みの測定クラスのインスタンスをキャッシュ
+        this.textMeasurerCache = null;
+        // 複数グラフのレイアウト（'auto', 'single', 'horizontal', 'vertical' または {rows, columns}）
+        this.layout = 'auto';
+        // レイアウトのオプション
+        this.layoutOptions = {
+            sharedX: false, // 全パネルでX軸（日付範囲）を共有するか
+            sharedY: false, // 全パネルでY軸スケールを共有するか
+            gap: 10         // パネル間の間隔（ピクセル）
+        };
+        // インタラクティブなツールチップとクロスヘアを表示するか（DOMモードのみ）
+        this.interactive = false;
+        // インタラクティブなツールチップのHTML要素（DOMモードのみ）
+        this.tooltipElement = null;
+        // 数値フォーマットのロケール（例: 'de-DE'、空の場合は小数点'.'・桁区切り','）
+        this.locale = '';
+        // 解析済みの数値フォーマットをキャッシュ
+        this.numberFormatCache = {};
+        // ロケールごとの区切り文字をキャッシュ
+        this.numberSeparatorsCache = {};
+        // SVGのtitle・desc要素のIDの接頭辞
+        this.accessibilityId = `chartcanvas-${++ChartCanvas.instanceCount}`;
+        // グラフの説明（SVGのdesc要素、空の場合はデータから概要を生成）
+        this.description = '';
+        // 描画したデータの表を視覚的に隠してSVGの後に配置するか（DOMモードのみ）
+        this.accessibleTable = false;
+        // データの表のHTML要素（DOMモードのみ）
+        this.dataTableElement = null;
+    }
+
+    /**
+     * フォントメトリクスを測定（高さ、半角幅、全角幅）
+     * 半角幅・全角幅は測定方法（textMeasurer）で数字1文字・全角1文字を測定した幅
+     * @param {number} fontSize - フォントサイズ
+     * @returns {Object} {height, halfWidth, fullWidth}
+     */
+    measureFontMetrics(fontSize) {
+        // 測定方法またはフォントが変わった場合はキャッシュをクリアする
+        const measurer = this.getTextMeasurer();
+
+        // キャッシュをチェック
+        if (this.fontMetrics[fontSize]) {
+            return this.fontMetrics[fontSize];
+        }
+
+        // 高さ: fontSize * 1.2
+        const metrics = {
+            height: fontSize * 1.2,
+            halfWidth: measurer.measureText('0', fontSize, this.fontFamily),
+            fullWidth: measurer.measureText('あ', fontSize, this.fontFamily)
+        };
+        
+        // メトリクスをキャッシュ
+        this.fontMetrics[fontSize] = metrics;
+
+        return metrics;
+    }
+
+    /**
+     * テキストとフォントサイズから文字列のピクセル幅を取得
+     * 測定方法はtextMeasurerに従う（TextMeasurer.resolveを参照）
+     * @param {string} text - 測定するテキスト
+     * @param {number} fontSize - フォントサイズ
+     * @returns {number} テキストのピクセル幅
+     */
+    getTextWidth(text, fontSize) {
+        if (!text || text.length === 0) {
+            return 0;
+        }
+        return this.getTextMeasurer().measureText(String(text), fontSize, this.fontFamily);
+    }
+
+    /**
+     * テキストの幅の測定方法を設定
+     * @param {string|Object} measurer - 'auto'（デフォルト）, 'fixed', 'table', 'canvas'、
+     *   または measureText(text, fontSize, fontFamily) を持つオブジェクト
+     * @returns {ChartCanvas} メソッドチェーン用にthisを返す
+     */
+    setTextMeasurer(measurer) {
+        // 不正な測定方法は設定時にエラーにする
+        TextMeasurer.resolve(measurer, this.fontFamily, this.isHeadlessMode);
+        this.textMeasurer = measurer;
+        this.textMeasurerCache = null;
+        return this;
+    }
+
+    /**
+     * 現在の測定方法とフォントに対応する測定クラスのインスタンスを取得
+     * @returns {Object} measureText(text, fontSize, fontFamily)を持つ測定クラスのインスタンス
+     */
+    getTextMeasurer() {
+        const cache = this.textMeasurerCache;
+        if (cache && cache.measurer === this.textMeasurer && cache.fontFamily === this.fontFamily) {
+            return cache.instance;
+        }
+        const instance = TextMeasurer.resolve(this.textMeasurer, this.fontFamily, this.isHeadlessMode);
+        this.textMeasurerCache = { measurer: this.textMeasurer, fontFamily: this.fontFamily, instance };
+        this.fontMetrics = {};
+        return instance;
+    }
+
+    /**
+     * 日付チャートを追加
+     * @returns {DateChart} DateChartインスタンス
+     */
+    addDateChart() {
+        const dateChart = new DateChart(this);
+        if (!this.dateCharts) {
+            this.dateCharts = [];
+        }
+        this.dateCharts.push(dateChart);
+        return dateChart;
+    }
+
+    /**
+     * ヒストグラムチャートを追加
+     * @returns {HistogramChart} HistogramChartインスタンス
+     */
+    addHistogram() {
+        const histogramChart = new HistogramChart(this);
+        if (!this.histogramCharts) {
+            this.histogramCharts = [];
+        }
+        this.histogramCharts.push(histogramChart);
+        return histogramChart;
+    }
+
+    /**
+     * 円グラフチャートを追加
+     * @returns {PieChart} PieChartインスタンス
+     */
+    addPieChart() {
+        const pieChart = new PieChart(this);
+        if (!this.pieCharts) {
+            this.pieCharts = [];
+        }
+        this.pieCharts.push(pieChart);
+        return pieChart;
+    }
+
+    /**
+     * 散布図を追加（系列ごとの点、サイズを指定した場合はバブルチャート）
+     * @returns {ScatterChart} ScatterChartインスタンス
+     */
+    addScatterChart() {
+        const scatterChart = new ScatterChart(this);
+        if (!this.scatterCharts) {
+            this.scatterCharts = [];
+        }
+        this.scatterCharts.push(scatterChart);
+        return scatterChart;
+    }
+
+    /**
+     * 箱ひげ図を追加（系列ごとの四分位数・ひげ・外れ値）
+     * @returns {BoxPlotChart} BoxPlotChartインスタンス
+     */
+    addBoxPlot() {
+        const boxPlotChart = new BoxPlotChart(this);
+        if (!this.boxPlotCharts) {
+            this.boxPlotCharts = [];
+        }
+        this.boxPlotCharts.push(boxPlotChart);
+        return boxPlotChart;
+    }
+
+    /**
+     * テーマを設定
+     * パレットは系列・円グラフの作成時に適用されるため、グラフを追加する前に設定する
+     * @param {string|Object} theme - テーマ名（'light', 'dark', 'print'）またはテーマのオブジェクト
+     *   （baseに元のテーマ名を指定し、palette, fontFamily, fontSize, colors, legendの一部だけを指定できる）
+     * @returns {ChartCanvas} メソッドチェーン用にthisを返す
+     */
+    setTheme(theme) {
+        this.theme = ChartTheme.resolve(theme);
+        this.fontFamily = this.theme.fontFamily;
+        return this;
+    }
+
+    /**
+     * グラフのサイズを設定
+     * @param {number} width - 幅（デフォルト: 1024）
+     * @param {number} height - 高さ（デフォルト: 600）
+     * @returns {ChartCanvas} メソッドチェーン用にthisを返す
+     */
+    size(width, height) {
+        if (width !== undefined) {
+            this.width = width;
+        }
+        if (height !== undefined) {
+            this.height = height;
+        }
+        return this;
+    }
+
+    /**
+     * 複数グラフのレイアウトを設定
+     * @param {string|Object} layout - レイアウトの種類
+     *   - 'auto'（デフォルト）: グラフの数に応じて自動配置
+     *   - 'single': 最初のグラフのみを描画
+     *   - 'horizontal' または 'h': 横並び（4つの場合は2x2）
+     *   - 'vertical' または 'v': 縦並び
+     *   - {rows, columns}: 行数×列数のグリッド（片方のみ指定した場合はもう片方を自動計算）
+     * @param {Object} options - レイアウトのオプション
+     * @param {boolean} options.sharedX - 全パネルでX軸（日付範囲）を共有するか（デフォルト: false）
+     * @param {boolean} options.sharedY - 全パネルでY軸スケールを共有するか（デフォルト: false）
+     * @param {number} options.gap - パネル間の間隔（ピクセル、デフォルト: 10）
+     * @returns {ChartCanvas} メソッドチェーン用にthisを返す
+     */
+    setLayout(layout, options = {}) {
+        const validLayouts = ['auto', 'single', 'horizontal', 'h', 'vertical', 'v'];
+        if (typeof layout === 'string') {
+            if (!validLayouts.includes(layout)) {
+                throw new Error(`Invalid layout: ${layout}. Valid layouts: ${validLayouts.join(', ')}`);
+            }
+        } else if (!layout || typeof layout !== 'object' || (!layout.rows && !layout.columns)) {
+            throw new Error('layout must be a string or an object with rows and/or columns');
+        }
+        this.layout = layout;
+        this.layoutOptions = { ...this.layoutOptions, ...options };
+        return this;
+    }
+
+    /**
+     * レイアウトからグリッドの行数と列数を計算
+     * @param {number} count - 配置するグラフの数
+     * @returns {Object} {rows, columns}
+     */
+    resolveLayoutGrid(count) {
+        const layout = this.layout || 'auto';
+
+        if (count <= 1 || layout === 'single') {
+            return { rows: 1, columns: 1 };
+        }
+
+        if (typeof layout === 'object') {
+            let rows = layout.rows || 0;
+            let columns = layout.columns || 0;
+            if (!columns) {
+                columns = Math.ceil(count / rows);
+            } else if (!rows) {
+                rows = Math.ceil(count / columns);
+            }
+            return { rows, columns };
+        }
+
+        if (layout === 'vertical' || layout === 'v') {
+            return { rows: count, columns: 1 };
+        }
+
+        if ((layout === 'horizontal' || layout === 'h') && count !== 4) {
+            return { rows: 1, columns: count };
+        }
+
+        // auto（4つの場合は2x2、5つ以上は正方形に近いグリッド）
+        if (count <= 3) {
+            return { rows: 1, columns: count };
+        }
+        const columns = Math.ceil(Math.sqrt(count));
+        return { rows: Math.ceil(count / columns), columns };
+    }
+
+    /**
+     * キャンバス全体を1つのパネルとして取得
+     * @returns {Object} パネルの情報 {x, y, width, height, fullCanvas}
+     */
+    getFullCanvasPanel() {
+        return { x: 0, y: 0, width: this.width, height: this.height, fullCanvas: true };
+    }
+
+    /**
+     * タイトル・サブタイトルの下の領域をグリッドに分割してパネルを計算
+     * @param {number} count - パネルの数
+     * @param {number} bottomReserved - 下端に確保する高さ（共通の凡例用、デフォルト: 0）
+     * @returns {Array<Object>} パネルの情報の配列 [{x, y, width, height, fullCanvas, index}, ...]
+     */
+    calculatePanels(count, bottomReserved = 0) {
+        const { rows, columns } = this.resolveLayoutGrid(count);
+        if (rows * columns <= 1) {
+            return [this.getFullCanvasPanel()];
+        }
+
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const topMargin = 10;
+        const gap = this.layoutOptions.gap !== undefined ? this.layoutOptions.gap : 10;
+
+        // タイトルとサブタイトルの高さ分だけ下にずらす
+        let headerHeight = 0;
+        if (this.title || this.subtitle) {
+            headerHeight += topMargin;
+            if (this.title) {
+                headerHeight += metrics.height;
+            }
+            if (this.subtitle) {
+                headerHeight += this.title ? fontSize + 5 : metrics.height;
+            }
+        }
+
+        const panelWidth = (this.width - gap * (columns - 1)) / columns;
+        const panelHeight = (this.height - headerHeight - bottomReserved - gap * (rows - 1)) / rows;
+
+        const panels = [];
+        for (let i = 0; i < Math.min(count, rows * columns); i++) {
+            const row = Math.floor(i / columns);
+            const column = i % columns;
+            panels.push({
+                x: column * (panelWidth + gap),
+                y: headerHeight + row * (panelHeight + gap),
+                width: panelWidth,
+                height: panelHeight,
+                fullCanvas: false,
+                index: i
+            });
+        }
+        return panels;
+    }
+
+    /**
+     * 描画対象のDateChartを取得（'single'レイアウトの場合は最初のDateChartのみ）
+     * @returns {Array<DateChart>} DateChartの配列
+     */
+    getVisibleDateCharts() {
+        if (!this.dateCharts || this.dateCharts.length === 0) {
+            return [];
+        }
+        if (this.layout === 'single') {
+            return [this.dateCharts[0]];
+        }
+        return this.dateCharts;
+    }
+
+    /**
+     * SVGを描画（現在は枠だけ）
+     */
+    render() {
+        // 既存のSVGを削除（DOMモードの場合のみ）
+        if (this.container) {
+            const existingSvg = this.container.querySelector('svg');
+            if (existingSvg) {
+                existingSvg.remove();
+            }
+        }
+
+        // 既存のツールチップを削除（インタラクティブモードの場合のみ）
+        if (this.tooltipElement) {
+            this.tooltipElement.remove();
+            this.tooltipElement = null;
+        }
+
+        // 既存のデータの表を削除（DOMモードの場合のみ）
+        if (this.dataTableElement) {
+            this.dataTableElement.remove();
+            this.dataTableElement = null;
+        }
+
+        // SVG要素を作成
+        const svg = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', this.width);
+        svg.setAttribute('height', this.height);
+        svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+
+        // スクリーンリーダー向けのタイトルと説明（内容は描画後に設定）
+        const titleId = `${this.accessibilityId}-title`;
+        const descId = `${this.accessibilityId}-desc`;
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-labelledby', titleId);
+        svg.setAttribute('aria-describedby', descId);
+        const svgTitle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+        svgTitle.setAttribute('id', titleId);
+        svg.appendChild(svgTitle);
+        const svgDesc = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'desc');
+        svgDesc.setAttribute('id', descId);
+        svg.appendChild(svgDesc);
+
+        // 日本語対応の等幅フォントとテーマの文字色を設定（style要素を追加）
+        const style = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'style');
+        style.textContent = `
+            .chart-text {
+                font-family: ${this.fontFamily};
+                fill: ${this.theme.colors.text};
+            }
+            .chart-legend-text {
+                fill: ${this.theme.legend.textColor};
+            }
+        `;
+        svg.appendChild(style);
+
+        // テーマの背景を描画
+        if (this.theme.colors.background && this.theme.colors.background !== 'none') {
+            const background = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            background.setAttribute('x', 0);
+            background.setAttribute('y', 0);
+            background.setAttribute('width', this.width);
+            background.setAttribute('height', this.height);
+            background.setAttribute('fill', this.theme.colors.background);
+            svg.appendChild(background);
+        }
+
+        // タイトルとサブタイトルを描画
+        const fontSize = this.theme.fontSize.normal;
+        const centerX = this.width / 2;
+        let yPos = fontSize + 10; // 上から少し下に配置
+
+        // タイトルを描画
+        if (this.title) {
+            const titleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            titleText.setAttribute('class', 'chart-text');
+            titleText.setAttribute('x', centerX);
+            titleText.setAttribute('y', yPos);
+            titleText.setAttribute('text-anchor', 'middle');
+            titleText.setAttribute('style', `font-size: ${fontSize}px;`);
+            titleText.textContent = this.title;
+            svg.appendChild(titleText);
+            yPos += fontSize + 5; // タイトルの下にスペース
+        }
+
+        // サブタイトルを描画
+        if (this.subtitle) {
+            const subtitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            subtitleText.setAttribute('class', 'chart-text');
+            subtitleText.setAttribute('x', centerX);
+            subtitleText.setAttribute('y', yPos);
+            subtitleText.setAttribute('text-anchor', 'middle');
+            subtitleText.setAttribute('style', `font-size: ${fontSize}px;`);
+            subtitleText.textContent = this.subtitle;
+            svg.appendChild(subtitleText);
+        }
+
+        // 円グラフがある場合は円グラフを描画
+        if (this.pieCharts && this.pieCharts.length > 0) {
+            this.renderPieCharts(svg);
+        } else if (this.histogramCharts && this.histogramCharts.length > 0) {
+            // ヒストグラムがある場合はヒストグラムを描画
+            const plotArea = this.calculateHistogramPlotArea();
+            this.renderHistogram(svg, plotArea);
+        } else if (this.scatterCharts && this.scatterCharts.length > 0) {
+            // 散布図がある場合は散布図を描画（最初の散布図のみ）
+            const scatterChart = this.scatterCharts[0];
+            this.renderScatterChart(svg, scatterChart, this.calculateScatterPlotArea(scatterChart));
+        } else if (this.boxPlotCharts && this.boxPlotCharts.length > 0) {
+            // 箱ひげ図がある場合は箱ひげ図を描画（最初の箱ひげ図のみ）
+            const boxPlotChart = this.boxPlotCharts[0];
+            this.renderBoxPlot(svg, boxPlotChart, this.calculateBoxPlotPlotArea(boxPlotChart));
+        } else {
+            // 日付チャートがある場合は日付チャートを描画（複数の場合はパネルに分割）
+            this.renderDateCharts(svg);
+        }
+
+        // 描画したデータからタイトルと説明を設定（円グラフは「その他」にまとめた後のデータ）
+        svgTitle.textContent = this.getAccessibleTitle();
+        svgDesc.textContent = this.description || this.getAccessibleSummary();
+
+        // コンテナに追加（DOMモードの場合のみ）
+        if (this.container) {
+            this.container.appendChild(svg);
+
+            // 視覚的に隠したデータの表をSVGの後に追加
+            if (this.accessibleTable) {
+                this.dataTableElement = this.createAccessibleTable();
+                this.container.appendChild(this.dataTableElement);
+            }
+        }
+        
+        // 現在のSVG要素を保存（後で取得できるように）
+        this.currentSvg = svg;
+    }
+
+    /**
+     * すべてのDateChartを描画（レイアウトに応じてパネルに分割）
+     * @param {SVGElement} svg - SVG要素
+     */
+    renderDateCharts(svg) {
+        const dateCharts = this.getVisibleDateCharts();
+        if (dateCharts.length === 0) {
+            return;
+        }
+
+        if (this.layout === 'single' && this.dateCharts.length > 1) {
+            console.warn(`layoutが'single'のため、${this.dateCharts.length - 1}個のDateChartは描画されません`);
+        }
+
+        const panels = this.calculatePanels(dateCharts.length);
+        if (panels.length < dateCharts.length) {
+            console.warn(`レイアウトのパネル数（${panels.length}）が不足しているため、${dateCharts.length - panels.length}個のDateChartは描画されません`);
+        }
+
+        for (let i = 0; i < panels.length; i++) {
+            this.renderDateChartPanel(svg, dateCharts[i], panels[i]);
+        }
+    }
+
+    /**
+     * 1つのDateChartをパネル内に描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}
+     */
+    renderDateChartPanel(svg, dateChart, panel) {
+        // パネルのタイトルを描画（複数パネルの場合のみ）
+        if (!panel.fullCanvas && dateChart.title) {
+            const fontSize = this.theme.fontSize.normal;
+            const panelTitle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            panelTitle.setAttribute('class', 'chart-text');
+            panelTitle.setAttribute('x', panel.x + panel.width / 2);
+            panelTitle.setAttribute('y', panel.y + 10 + fontSize);
+            panelTitle.setAttribute('text-anchor', 'middle');
+            panelTitle.setAttribute('style', `font-size: ${fontSize}px;`);
+            panelTitle.textContent = dateChart.title;
+            svg.appendChild(panelTitle);
+        }
+
+        // 凡例を描画
+        this.renderLegend(svg, dateChart, panel);
+
+        const plotArea = this.calculatePlotArea(dateChart, panel);
+        if (!plotArea) {
+            return;
+        }
+
+        // 対数軸で描画できない0以下の値がある場合は警告
+        for (const isSecondAxis of [false, true]) {
+            const nonPositiveValues = dateChart.getNonPositiveValues(isSecondAxis);
+            if (nonPositiveValues.length > 0) {
+                const seriesTitles = [...new Set(nonPositiveValues.map(entry => entry.series.title))].join('、');
+                console.warn(`対数軸（${isSecondAxis ? '副軸' : '主軸'}）に0以下の値が${nonPositiveValues.length}件あるため描画しません（系列: ${seriesTitles}）。0や負の値を含む場合は'symlog'を使用してください`);
+            }
+        }
+
+        this.renderPlotAreaBackground(svg, plotArea);
+        this.renderPlotAreaOrigin(svg, plotArea);
+
+        // X軸スケールを描画
+        this.renderXAxis(svg, plotArea);
+
+        // Y軸スケールを描画
+        this.renderYAxis(svg, plotArea);
+
+        // 右スケール（副軸）を描画
+        this.renderRightYAxis(svg, plotArea);
+
+        // 目標帯・期間の網掛けを描画（グリッド線の下）
+        this.renderDateChartAnnotations(svg, plotArea, 'background');
+
+        // グリッド線を描画（軸の後、データ系列の前）
+        this.renderDateChartGrid(svg, plotArea);
+
+        // 面グラフを描画（棒グラフ・線グラフの下）
+        this.renderAreas(svg, plotArea);
+
+        // 棒グラフを描画（先に追加した系列が上に来るように、先に描画する）
+        this.renderBars(svg, plotArea);
+
+        // 基準線・イベントのマーカーを描画（棒グラフの上、線グラフの下）
+        this.renderDateChartAnnotations(svg, plotArea, 'foreground');
+
+        // 線グラフの範囲（予測区間など）の帯を描画（線グラフの下）
+        this.renderLineBands(svg, plotArea);
+
+        // 線グラフを描画（先に追加した系列が上に来るように、後に描画する）
+        this.renderLines(svg, plotArea);
+
+        // インタラクティブなツールチップとクロスヘアを設定（DOMモードのみ、最前面に配置）
+        if (this.container && this.interactive) {
+            this.renderInteractiveLayer(svg, plotArea);
+        }
+    }
+
+    /**
+     * Y軸のスケールを取得（共有Y軸が有効な場合は表示中のすべてのDateChartを対象とする）
+     * 目盛りの間隔を指定していない場合は、パネルの描画エリアの高さに収まる数まで目盛りを減らす
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Object} スケール情報 {min, max, tickCount, labels}
+     */
+    getYAxisScale(dateChart, isSecondAxis = false) {
+        const dateCharts = this.getVisibleDateCharts();
+        if (this.layoutOptions.sharedY && dateCharts.length > 1) {
+            // 共有Y軸は全パネルで同じ目盛りにするため、最も低いパネルの上限を使用する
+            const maxTickCount = Math.min(...dateCharts.map(chart => this.getMaxYAxisTickCount(chart)));
+            return dateChart.calculateYAxisScale(isSecondAxis, dateCharts, maxTickCount);
+        }
+        return dateChart.calculateYAxisScale(isSecondAxis, null, this.getMaxYAxisTickCount(dateChart));
+    }
+
+    /**
+     * DateChartのX軸（日付）の範囲を取得
+     * 共有X軸が有効な場合は表示中のすべてのDateChartの日付を対象とする
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @returns {Object|null} {sortedDates, minDateValue, maxDateValue, extendedMinDateValue, extendedDateRange, hasTime}（データがない場合はnull）
+     */
+    getDateRange(dateChart) {
+        const dateCharts = this.getVisibleDateCharts();
+        const targetCharts = this.layoutOptions.sharedX && dateCharts.length > 1 ? dateCharts : [dateChart];
+
+        // すべての系列から日付を収集
+        const dateSet = new Set();
+        for (const chart of targetCharts) {
+            for (const line of chart.lines) {
+                for (const item of line.getData()) {
+                    dateSet.add(item.date);
+                }
+            }
+            for (const bar of chart.bars) {
+                for (const item of bar.getData()) {
+                    dateSet.add(item.date);
+                }
+            }
+            for (const area of chart.areas) {
+                for (const item of area.getData()) {
+                    dateSet.add(item.date);
+                }
+            }
+        }
+
+        if (dateSet.size === 0) {
+            return null;
+        }
+
+        // 日付をソート
+        const sortedDates = Array.from(dateSet).sort();
+        const minDateValue = this.parseDate(sortedDates[0]);
+        const maxDateValue = this.parseDate(sortedDates[sortedDates.length - 1]);
+
+        // 日付の範囲を拡張して、最初と最後の日付に余裕を持たせる
+        // 最初の日付の0.5日前から最後の日付の0.5日後までの範囲でマッピング
+        // 日時のデータや集計したデータの場合は、隣り合う日時の最小間隔の半分だけ拡張する
+        const hasTime = sortedDates.some(date => this.isDateTime(date));
+        let margin = 0.5;
+        if (hasTime || targetCharts.some(chart => chart.aggregate)) {
+            let minInterval = Infinity;
+            for (let i = 1; i < sortedDates.length; i++) {
+                const interval = this.parseDate(sortedDates[i]) - this.parseDate(sortedDates[i - 1]);
+                if (interval > 0 && interval < minInterval) {
+                    minInterval = interval;
+                }
+            }
+            if (isFinite(minInterval)) {
+                margin = minInterval / 2;
+            }
+        }
+        const extendedMinDateValue = minDateValue - margin;
+        const extendedMaxDateValue = maxDateValue + margin;
+
+        return {
+            sortedDates,
+            minDateValue,
+            maxDateValue,
+            extendedMinDateValue,
+            extendedDateRange: extendedMaxDateValue - extendedMinDateValue,
+            hasTime
+        };
+    }
+
+    /**
+     * 系列のグループ要素を作成して追加
+     * 支援技術で系列ごとにまとめて読み上げられるように、role="group"とaria-labelを設定する
+     * @param {SVGElement} parent - 追加先の要素
+     * @param {string} label - 系列の概要（空の場合はaria-labelを設定しない）
+     * @returns {SVGElement} グループ要素
+     */
+    createSeriesGroup(parent, label = '') {
+        const group = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('role', 'group');
+        if (label) {
+            group.setAttribute('aria-label', label);
+        }
+        parent.appendChild(group);
+        return group;
+    }
+
+    /**
+     * 値の最小値と最大値を取得（スプレッド構文を使用しないため、大量のデータでも使用できる）
+     * @param {Array<number>} values - 値の配列
+     * @returns {Object|null} {min, max}（値がない場合はnull）
+     */
+    getValueExtent(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        let min = values[0];
+        let max = values[0];
+        for (const value of values) {
+            if (value < min) {
+                min = value;
+            }
+            if (value > max) {
+                max = value;
+            }
+        }
+        return { min, max };
+    }
+
+    /**
+     * SVGのタイトル（title要素）を取得
+     * @returns {string} キャンバスのタイトル（ない場合は最初のグラフのタイトル、どちらもない場合は'グラフ'）
+     */
+    getAccessibleTitle() {
+        if (this.title) {
+            return this.title;
+        }
+        const charts = [...(this.pieCharts || []), ...(this.histogramCharts || []), ...(this.scatterCharts || []), ...(this.boxPlotCharts || []), ...(this.dateCharts || [])];
+        const titledChart = charts.find(chart => chart.title);
+        return titledChart ? titledChart.title : 'グラフ';
+    }
+
+    /**
+     * 描画するグラフの概要（SVGのdesc要素）を生成
+     * グラフの種類、タイトル、日付の範囲、系列名と最小値・最大値（円グラフの場合はカテゴリの値と割合）をまとめる
+     * @returns {string} 概要のテキスト
+     */
+    getAccessibleSummary() {
+        if (this.pieCharts && this.pieCharts.length > 0) {
+            const pieCharts = this.layout === 'single' ? [this.pieCharts[0]] : this.pieCharts;
+            return pieCharts.map(pieChart => this.describePieChart(pieChart)).join(' ');
+        }
+        if (this.histogramCharts && this.histogramCharts.length > 0) {
+            return this.describeHistogram(this.histogramCharts[0]);
+        }
+        if (this.scatterCharts && this.scatterCharts.length > 0) {
+            return this.describeScatterChart(this.scatterCharts[0]);
+        }
+        if (this.boxPlotCharts && this.boxPlotCharts.length > 0) {
+            return this.describeBoxPlot(this.boxPlotCharts[0]);
+        }
+        return this.getVisibleDateCharts().map(dateChart => this.describeDateChart(dateChart)).join(' ');
+    }
+
+    /**
+     * DateChartの概要を生成
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @returns {string} 概要のテキスト（例: '折れ線・棒グラフ「売上」。期間: 2025/01/01〜2025/01/07（7件）。系列: 売上（線グラフ、最小 12,000、最大 23,500）。'）
+     */
+    describeDateChart(dateChart) {
+        const hasLines = dateChart.lines.some(line => line.getData().length > 0);
+        const hasBars = dateChart.bars.some(bar => bar.getData().length > 0);
+        const hasAreas = dateChart.areas.some(area => area.getData().length > 0);
+        const typeNames = [hasLines ? '折れ線' : null, hasBars ? '棒' : null, hasAreas ? '面' : null].filter(name => name);
+        const typeName = `${typeNames.length > 0 ? typeNames.join('・') : '折れ線'}グラフ`;
+        const sentences = [dateChart.title ? `${typeName}「${dateChart.title}」` : typeName];
+
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            sentences.push('データなし');
+            return sentences.join('。') + '。';
+        }
+        const { sortedDates } = dateRangeInfo;
+        const firstDate = this.formatDateLabel(sortedDates[0], dateChart);
+        const lastDate = this.formatDateLabel(sortedDates[sortedDates.length - 1], dateChart);
+        sentences.push(`期間: ${firstDate}〜${lastDate}（${sortedDates.length}件）`);
+
+        const seriesDescriptions = [];
+        dateChart.lines.forEach((line, index) => {
+            if (line.getData().length > 0) {
+                seriesDescriptions.push(this.describeDateSeries(line, index, 'line', dateChart));
+            }
+        });
+        dateChart.bars.forEach((bar, index) => {
+            if (bar.getData().length > 0) {
+                seriesDescriptions.push(this.describeDateSeries(bar, index, 'bar', dateChart));
+            }
+        });
+        dateChart.areas.forEach((area, index) => {
+            if (area.getData().length > 0) {
+                seriesDescriptions.push(this.describeDateSeries(area, index, 'area', dateChart));
+            }
+        });
+        sentences.push(`系列: ${seriesDescriptions.join('、')}`);
+        return sentences.join('。') + '。';
+    }
+
+    /**
+     * DateChartの系列の概要を生成（系列のグループのaria-labelにも使用）
+     * @param {LineSeries|BarSeries} series - 系列
+     * @param {number} index - 系列のインデックス（タイトルがない場合の系列名に使用）
+     * @param {string} type - 系列の種類（'line', 'bar'）
+     * @param {DateChart} dateChart - DateChartインスタンス（フォーマット用）
+     * @returns {string} 概要のテキスト（例: '売上（線グラフ、最小 12,000、最大 23,500）'）
+     */
+    describeDateSeries(series, index, type, dateChart) {
+        const format = series.secondAxis ?
+            (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+        const details = [{ bar: '棒グラフ', area: '面グラフ' }[type] || '線グラフ'];
+        if (series.secondAxis) {
+            details.push('副軸');
+        }
+        const values = series.getData().map(item => item.value).filter(value => value !== null);
+        const extent = this.getValueExtent(values);
+        if (extent) {
+            details.push(`最小 ${this.formatNumber(extent.min, format)}`, `最大 ${this.formatNumber(extent.max, format)}`);
+        }
+        const name = series.title || `系列${index + 1}`;
+        return `${name}（${details.join('、')}）`;
+    }
+
+    /**
+     * ヒストグラムの概要を生成
+     * @param {HistogramChart} histogramChart - HistogramChartインスタンス
+     * @returns {string} 概要のテキスト（例: 'ヒストグラム「点数の分布」。X軸: 点数。系列: 1組（30件、最小 42、最大 98）。'）
+     */
+    describeHistogram(histogramChart) {
+        const sentences = [histogramChart.title ? `ヒストグラム「${histogramChart.title}」` : 'ヒストグラム'];
+        if (histogramChart.xAxisTitle) {
+            sentences.push(`X軸: ${histogramChart.xAxisTitle}`);
+        }
+        const seriesDescriptions = [];
+        histogramChart.series.forEach((series, index) => {
+            if (series.data.length > 0) {
+                seriesDescriptions.push(this.describeHistogramSeries(series, index, histogramChart));
+            }
+        });
+        sentences.push(seriesDescriptions.length > 0 ? `系列: ${seriesDescriptions.join('、')}` : 'データなし');
+        return sentences.join('。') + '。';
+    }
+
+    /**
+     * ヒストグラムの系列の概要を生成（系列のグループのaria-labelにも使用）
+     * @param {HistogramSeries} series - 系列
+     * @param {number} index - 系列のインデックス（タイトルがない場合の系列名に使用）
+     * @param {HistogramChart} histogramChart - HistogramChartインスタンス（フォーマット用）
+     * @returns {string} 概要のテキスト（例: '1組（30件、最小 42、最大 98）'）
+     */
+    describeHistogramSeries(series, index, histogramChart) {
+        const format = histogramChart.xAxisFormat || '#,##0';
+        const details = [`${this.formatNumber(series.data.length, '#,##0')}件`];
+        const extent = this.getValueExtent(series.data);
+        if (extent) {
+            details.push(`最小 ${this.formatNumber(extent.min, format)}`, `最大 ${this.formatNumber(extent.max, format)}`);
+        }
+        const name = series.title || `系列${index + 1}`;
+        return `${name}（${details.join('、')}）`;
+    }
+
+    /**
+     * 散布図の概要を生成
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @returns {string} 概要のテキスト（例: '散布図「広告費と売上」。X軸: 広告費。Y軸: 売上。系列: 都心（8件、X 120〜480、Y 2,100〜6,300）。'）
+     */
+    describeScatterChart(scatterChart) {
+        const typeName = scatterChart.getMaxSize() !== null ? 'バブルチャート' : '散布図';
+        const sentences = [scatterChart.title ? `${typeName}「${scatterChart.title}」` : typeName];
+        if (scatterChart.xAxisTitle) {
+            sentences.push(`X軸: ${scatterChart.xAxisTitle}`);
+        }
+        if (scatterChart.yAxisTitle) {
+            sentences.push(`Y軸: ${scatterChart.yAxisTitle}`);
+        }
+        const seriesDescriptions = [];
+        scatterChart.series.forEach((series, index) => {
+            if (series.data.length > 0) {
+                seriesDescriptions.push(this.describeScatterSeries(series, index, scatterChart));
+            }
+        });
+        sentences.push(seriesDescriptions.length > 0 ? `系列: ${seriesDescriptions.join('、')}` : 'データなし');
+        return sentences.join('。') + '。';
+    }
+
+    /**
+     * 散布図の系列の概要を生成（系列のグループのaria-labelにも使用）
+     * @param {ScatterSeries} series - 系列
+     * @param {number} index - 系列のインデックス（タイトルがない場合の系列名に使用）
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス（フォーマット・回帰直線の表示に使用）
+     * @returns {string} 概要のテキスト（例: '都心（8件、X 120〜480、Y 2,100〜6,300、回帰直線 y = 12.5x + 640（R² = 0.91））'）
+     */
+    describeScatterSeries(series, index, scatterChart) {
+        const details = [`${this.formatNumber(series.data.length, '#,##0')}件`];
+        const xExtent = this.getValueExtent(series.data.map(point => point.x));
+        const yExtent = this.getValueExtent(series.data.map(point => point.y));
+        if (xExtent) {
+            details.push(`X ${this.formatNumber(xExtent.min, scatterChart.xAxisFormat)}〜${this.formatNumber(xExtent.max, scatterChart.xAxisFormat)}`);
+            details.push(`Y ${this.formatNumber(yExtent.min, scatterChart.yAxisFormat)}〜${this.formatNumber(yExtent.max, scatterChart.yAxisFormat)}`);
+        }
+        const regression = scatterChart.showRegressionLine ? series.getRegression() : null;
+        if (regression) {
+            details.push(`回帰直線 ${ScatterChart.formatRegression(regression)}`);
+        }
+        const name = series.title || `系列${index + 1}`;
+        return `${name}（${details.join('、')}）`;
+    }
+
+    /**
+     * 箱ひげ図の概要を生成
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
+     * @returns {string} 概要のテキスト（例: '箱ひげ図「店舗別売上の分布」。Y軸: 売上。系列: 新宿店（25件、中央値 24,100、四分位 21,300〜26,800、外れ値 1件）。'）
+     */
+    describeBoxPlot(boxPlotChart) {
+        const sentences = [boxPlotChart.title ? `箱ひげ図「${boxPlotChart.title}」` : '箱ひげ図'];
+        if (boxPlotChart.yAxisTitle) {
+            sentences.push(`Y軸: ${boxPlotChart.yAxisTitle}`);
+        }
+        const seriesDescriptions = [];
+        boxPlotChart.series.forEach((series, index) => {
+            const stats = series.getStatistics();
+            if (stats) {
+                seriesDescriptions.push(this.describeBoxPlotSeries(series, index, boxPlotChart, stats));
+            }
+        });
+        sentences.push(seriesDescriptions.length > 0 ? `系列: ${seriesDescriptions.join('、')}` : 'データなし');
+        return sentences.join('。') + '。';
+    }
+
+    /**
+     * 箱ひげ図の系列の概要を生成（系列のグループのaria-labelにも使用）
+     * @param {BoxPlotSeries} series - 系列
+     * @param {number} index - 系列のインデックス（タイトルがない場合の系列名に使用）
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス（フォーマット用）
+     * @param {Object} stats - 系列の統計量（BoxPlotSeries.getStatisticsの戻り値）
+     * @returns {string} 概要のテキスト（例: '新宿店（25件、中央値 24,100、四分位 21,300〜26,800、外れ値 1件）'）
+     */
+    describeBoxPlotSeries(series, index, boxPlotChart, stats) {
+        const format = boxPlotChart.yAxisFormat;
+        const details = [
+            `${this.formatNumber(stats.count, '#,##0')}件`,
+            `中央値 ${this.formatNumber(stats.median, format)}`,
+            `四分位 ${this.formatNumber(stats.q1, format)}〜${this.formatNumber(stats.q3, format)}`
+        ];
+        if (stats.outliers.length > 0) {
+            details.push(`外れ値 ${this.formatNumber(stats.outliers.length, '#,##0')}件`);
+        }
+        const name = series.title || `系列${index + 1}`;
+        return `${name}（${details.join('、')}）`;
+    }
+
+    /**
+     * 円グラフの概要を生成（円グラフのグループのaria-labelにも使用）
+     * サンバーストの場合は最上位の階層のカテゴリを対象とする
+     * @param {PieChart} pieChart - PieChartインスタンス
+     * @returns {string} 概要のテキスト（例: '円グラフ「売上構成」。合計: 1,200。カテゴリ: 食品 420（35.0%）、衣料 300（25.0%）。'）
+     */
+    describePieChart(pieChart) {
+        const typeName = pieChart.isSunburst() ? 'サンバースト' : '円グラフ';
+        const sentences = [pieChart.title ? `${typeName}「${pieChart.title}」` : typeName];
+        if (!pieChart.data || pieChart.data.length === 0) {
+            sentences.push('データなし');
+            return sentences.join('。') + '。';
+        }
+        const percentages = pieChart.getPercentages();
+        const categories = pieChart.labels.map((label, index) =>
+            `${label} ${this.formatNumber(pieChart.data[index], pieChart.valueFormat)}（${this.formatNumber(percentages[index] / 100, pieChart.percentageFormat)}）`
+        );
+        sentences.push(`合計: ${this.formatNumber(pieChart.getTotal(), pieChart.valueFormat)}`);
+        sentences.push(`カテゴリ: ${categories.join('、')}`);
+        return sentences.join('。') + '。';
+    }
+
+    /**
+     * 描画するデータを表形式で取得（視覚的に隠したデータの表に使用）
+     * - DateChart: 1列目が日付、2列目以降が各系列の値（線グラフ、棒グラフの順）
+     * - ヒストグラム: 1列目が階級（ビンの範囲）、2列目以降が各系列の頻度
+     * - 散布図: 系列、ラベル（ある場合）、X、Y、サイズ（ある場合）の点ごとの行
+     * - 箱ひげ図: 系列ごとの件数・最小値・四分位数・最大値・平均値・外れ値の件数
+     * - 円グラフ: カテゴリ、値、割合（サンバーストの場合は最上位の階層）
+     * @returns {Array<Object>} グラフごとの表の配列 [{caption, headers, rows}, ...]（値はフォーマット済みの文字列）
+     */
+    getAccessibleData() {
+        if (this.pieCharts && this.pieCharts.length > 0) {
+            const pieCharts = this.layout === 'single' ? [this.pieCharts[0]] : this.pieCharts;
+            return pieCharts.map(pieChart => {
+                const percentages = pieChart.getPercentages();
+                return {
+                    caption: pieChart.title || this.getAccessibleTitle(),
+                    headers: ['カテゴリ', '値', '割合'],
+                    rows: pieChart.labels.map((label, index) => [
+                        label,
+                        this.formatNumber(pieChart.data[index], pieChart.valueFormat),
+                        this.formatNumber(percentages[index] / 100, pieChart.percentageFormat)
+                    ])
+                };
+            });
+        }
+
+        if (this.histogramCharts && this.histogramCharts.length > 0) {
+            const histogramChart = this.histogramCharts[0];
+            const seriesList = histogramChart.series.filter(series => series.data.length > 0);
+            if (seriesList.length === 0) {
+                return [];
+            }
+            const format = histogramChart.xAxisFormat || '#,##0';
+            const dataRange = histogramChart.getDataRange();
+            const bins = histogramChart.calculateBins(dataRange.min, dataRange.max).bins;
+            const frequenciesList = seriesList.map(series => histogramChart.binData(series.data, bins));
+            const rows = [];
+            for (let i = 0; i < bins.length - 1; i++) {
+                const binLabel = `${this.formatNumber(bins[i], format)}〜${this.formatNumber(bins[i + 1], format)}`;
+                rows.push([binLabel, ...frequenciesList.map(frequencies => this.formatNumber(frequencies[i], '#,##0'))]);
+            }
+            return [{
+                caption: histogramChart.title || this.getAccessibleTitle(),
+                headers: [histogramChart.xAxisTitle || '階級', ...seriesList.map(series => series.title || `系列${histogramChart.series.indexOf(series) + 1}`)],
+                rows
+            }];
+        }
+
+        if (this.scatterCharts && this.scatterCharts.length > 0) {
+            const scatterChart = this.scatterCharts[0];
+            const points = scatterChart.getAllPoints();
+            if (points.length === 0) {
+                return [];
+            }
+            // ラベル・サイズの列は値がある場合のみ追加する
+            const hasLabels = points.some(point => point.label);
+            const hasSizes = points.some(point => point.size !== null);
+            const rows = [];
+            scatterChart.series.forEach((series, index) => {
+                for (const point of series.data) {
+                    rows.push([
+                        series.title || `系列${index + 1}`,
+                        ...(hasLabels ? [point.label] : []),
+                        this.formatNumber(point.x, scatterChart.xAxisFormat),
+                        this.formatNumber(point.y, scatterChart.yAxisFormat),
+                        ...(hasSizes ? [point.size !== null ? this.formatNumber(point.size, scatterChart.sizeFormat) : ''] : [])
+                    ]);
+                }
+            });
+            return [{
+                caption: scatterChart.title || this.getAccessibleTitle(),
+                headers: [
+                    '系列',
+                    ...(hasLabels ? ['ラベル'] : []),
+                    scatterChart.xAxisTitle || 'X',
+                    scatterChart.yAxisTitle || 'Y',
+                    ...(hasSizes ? ['サイズ'] : [])
+                ],
+                rows
+            }];
+        }
+
+        if (this.boxPlotCharts && this.boxPlotCharts.length > 0) {
+            const boxPlotChart = this.boxPlotCharts[0];
+            const format = boxPlotChart.yAxisFormat;
+            const rows = [];
+            boxPlotChart.series.forEach((series, index) => {
+                const stats = series.getStatistics();
+                if (!stats) {
+                    return;
+                }
+                rows.push([
+                    series.title || `系列${index + 1}`,
+                    this.formatNumber(stats.count, '#,##0'),
+                    ...[stats.min, stats.q1, stats.median, stats.q3, stats.max, stats.mean].map(value => this.formatNumber(value, format)),
+                    this.formatNumber(stats.outliers.length, '#,##0')
+                ]);
+            });
+            if (rows.length === 0) {
+                return [];
+            }
+            return [{
+                caption: boxPlotChart.title || this.getAccessibleTitle(),
+                headers: [boxPlotChart.xAxisTitle || 'グループ', '件数', '最小', '第1四分位', '中央値', '第3四分位', '最大', '平均', '外れ値'],
+                rows
+            }];
+        }
+
+        return this.getVisibleDateCharts().map(dateChart => {
+            const seriesList = [
+                ...dateChart.lines.map((line, index) => ({ series: line, name: line.title || `系列${index + 1}` })),
+                ...dateChart.bars.map((bar, index) => ({ series: bar, name: bar.title || `系列${index + 1}` })),
+                ...dateChart.areas.map((area, index) => ({ series: area, name: area.title || `系列${index + 1}` }))
+            ].filter(entry => entry.series.getData().length > 0);
+
+            const dateSet = new Set();
+            const valueMaps = seriesList.map(({ series }) => {
+                const valueMap = new Map();
+                for (const item of series.getData()) {
+                    dateSet.add(item.date);
+                    valueMap.set(item.date, item);
+                }
+                return valueMap;
+            });
+
+            const rows = Array.from(dateSet).sort().map(date => [
+                this.formatDateLabel(date, dateChart),
+                ...seriesList.map(({ series }, index) => {
+                    const item = valueMaps[index].get(date);
+                    if (!item || item.value === null) {
+                        return '';
+                    }
+                    const format = series.secondAxis ?
+                        (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+                    return this.formatNumber(item.value, format) + (item.filled ? ' (補完)' : '');
+                })
+            ]);
+
+            return {
+                caption: dateChart.title || this.getAccessibleTitle(),
+                headers: ['日付', ...seriesList.map(entry => entry.name)],
+                rows
+            };
+        });
+    }
+
+    /**
+     * 視覚的に隠したデータの表を作成（DOMモードのみ）
+     * グラフごとにcaption付きのtable要素を作成し、1つのdiv要素（クラス名'chart-data-table'）にまとめる
+     * @returns {HTMLElement} div要素
+     */
+    createAccessibleTable() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'chart-data-table';
+        wrapper.setAttribute('style', ChartCanvas.VISUALLY_HIDDEN_STYLE);
+
+        for (const tableData of this.getAccessibleData()) {
+            const table = document.createElement('table');
+            const caption = document.createElement('caption');
+            caption.textContent = tableData.caption;
+            table.appendChild(caption);
+
+            const thead = document.createElement('thead');
+            const headerRow = document.createElement('tr');
+            for (const header of tableData.headers) {
+                const th = document.createElement('th');
+                th.setAttribute('scope', 'col');
+                th.textContent = header;
+                headerRow.appendChild(th);
+            }
+            thead.appendChild(headerRow);
+            table.appendChild(thead);
+
+            const tbody = document.createElement('tbody');
+            for (const row of tableData.rows) {
+                const tr = document.createElement('tr');
+                row.forEach((value, index) => {
+                    // 1列目（日付・階級・カテゴリ）は行の見出しにする
+                    const cell = document.createElement(index === 0 ? 'th' : 'td');
+                    if (index === 0) {
+                        cell.setAttribute('scope', 'row');
+                    }
+                    cell.textContent = value;
+                    tr.appendChild(cell);
+                });
+                tbody.appendChild(tr);
+            }
+            table.appendChild(tbody);
+            wrapper.appendChild(table);
+        }
+
+        return wrapper;
+    }
+
+    /**
+     * 現在のSVG要素を取得
+     * @returns {SVGElement|VirtualSVGElement|null} SVG要素
+     */
+    getSVGElement() {
+        if (this.container) {
+            return this.container.querySelector('svg') || this.currentSvg || null;
+        }
+        return this.currentSvg || null;
+    }
+
+    /**
+     * SVGを文字列として取得
+     * @returns {string} SVGの文字列表現
+     */
+    getSVGString() {
+        const svg = this.getSVGElement();
+        if (!svg) {
+            return '';
+        }
+        
+        // SVG要素をクローン
+        const clonedSvg = svg.cloneNode(true);
+        
+        // XML文字列に変換
+        let svgString;
+        if (clonedSvg instanceof VirtualSVGElement) {
+            // 仮想DOM要素の場合は直接XML文字列を生成
+            svgString = clonedSvg.toXMLString();
+        } else if (typeof XMLSerializer !== 'undefined') {
+            // ブラウザ環境の場合はXMLSerializerを使用
+            const serializer = new XMLSerializer();
+            svgString = serializer.serializeToString(clonedSvg);
+        } else {
+            // フォールバック: 手動でXML文字列を構築
+            svgString = clonedSvg.outerHTML || '';
+        }
+        
+        // XML宣言を追加
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + svgString;
+    }
+
+    /**
+     * SVGをファイルとしてダウンロード
+     * @param {string} filename - ファイル名（デフォルト: 'chart.svg'）
+     */
+    downloadSVG(filename = 'chart.svg') {
+        const svgString = this.getSVGString();
+        if (!svgString) {
+            console.error('SVGが生成されていません。先にrender()を呼び出してください。');
+            return;
+        }
+        
+        // Blobを作成
+        const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        
+        // ダウンロードリンクを作成してクリック
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // URLを解放
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * SVGをサーバーにアップロード
+     * @param {string} filename - サーバー側のファイル名（デフォルト: 'chart.svg'）
+     * @returns {Promise<string>} アップロード結果のメッセージ
+     */
+    async uploadSVG(filename = 'chart.svg') {
+        const svgString = this.getSVGString();
+        if (!svgString) {
+            throw new Error('SVGが生成されていません。先にrender()を呼び出してください。');
+        }
+        
+        // FormDataを作成
+        const formData = new FormData();
+        const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
+        formData.append('svg', blob, filename);
+        
+        // サーバーにアップロード
+        const response = await fetch('/upload-svg', {
+            method: 'POST',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`アップロードに失敗しました: ${response.status} ${errorText}`);
+        }
+        
+        const result = await response.json();
+        return result.message || 'アップロード成功';
+    }
+
+    /**
+     * 数値をフォーマット（Excel形式の書式文字列）
+     * 対応している書式:
+     *   - 数値のプレースホルダー: '0'（必ず表示）, '#'（不要な0は表示しない）, '?'（不要な0は空白）
+     *   - 小数点: '.'（例: '0.00'）、桁区切り: 数値の間の','（例: '#,##0'）
+     *   - スケーリング: 数値の後の','ごとに1/1000（例: '#,##0,"K"', '0.0,,"M"'）
+     *   - パーセント: '%'ごとに100倍（例: '0.0%'）
+     *   - 指数表記: 'E+'・'E-'の後に指数のプレースホルダー（例: '0.00E+00', '##0.0E+0'）
+     *   - リテラル: "..."で囲んだ文字列、'\'でエスケープした文字、その他の記号（例: '¥#,##0', '0"件"'）
+     *   - セクション: ';'で区切り、正の値;負の値;ゼロ（例: '#,##0;(#,##0)'）
+     *   - [Red]などの角括弧は無視、'General'は数値をそのまま表示
+     * 小数点と桁区切りの文字は、localeプロパティに応じて置き換える
+     * @param {number} value - 数値
+     * @param {string} format - フォーマット文字列（例: '#,##0', '0.0%', '¥#,##0;-¥#,##0'）
+     * @param {number} minDecimalPlaces - 小数部の最小の桁数（書式の桁数より多い場合は'0'を追加する、デフォルト: 0）
+     * @returns {string} フォーマットされた文字列
+     */
+    formatNumber(value, format, minDecimalPlaces = 0) {
+        if (format === undefined || format === null || format === '' || typeof value !== 'number' || !isFinite(value)) {
+            return String(value);
+        }
+
+        const sections = this.parseNumberFormat(format);
+
+        // 値に応じてセクションを選択（負のセクションがある場合は絶対値を使用）
+        let section = sections[0];
+        let useAbsolute = false;
+        if (value < 0 && sections.length >= 2) {
+            section = sections[1];
+            useAbsolute = true;
+        } else if (value === 0 && sections.length >= 3) {
+            section = sections[2];
+        }
+
+        if (section.general) {
+            const general = String(useAbsolute ? Math.abs(value) : value);
+            return section.prefix + general.replace('.', this.getNumberSeparators().decimal) + section.suffix;
+        }
+
+        if (minDecimalPlaces > section.decimalPlaceholders.length && !section.exponent) {
+            const decimalPlaceholders = section.decimalPlaceholders.concat(
+                new Array(minDecimalPlaces - section.decimalPlaceholders.length).fill('0'));
+            section = { ...section, decimalPlaceholders };
+        }
+
+        const formatted = this.formatNumberSection(Math.abs(value), section);
+
+        // 負のセクションがない場合は'-'を先頭に付ける（丸めて0になる場合は付けない）
+        const isNegative = value < 0 && !useAbsolute && /[1-9]/.test(formatted);
+        return (isNegative ? '-' : '') + formatted;
+    }
+
+    /**
+     * 軸の目盛りラベルをフォーマット
+     * 書式の小数部の桁数が足りないと目盛りが同じ値（0など）になるため、目盛りを区別できる桁数まで小数部を増やす
+     *   - 対数軸: 1未満の目盛りごとに、その目盛りを表示できる桁数（例: '#,##0'で0.01 → '0.01'）
+     *   - 線形の軸: 目盛りの間隔の小数部の桁数（例: '#,##0'で0.05刻み → '0.05', '0.10', ...）
+     * @param {number} value - 目盛りの値
+     * @param {string} format - フォーマット文字列
+     * @param {Object} scale - 軸のスケール情報 {type, tickInterval, ...}
+     * @returns {string} フォーマットされた文字列
+     */
+    formatAxisLabel(value, format, scale) {
+        if (!scale || !format) {
+            return this.formatNumber(value, format);
+        }
+
+        const section = this.parseNumberFormat(format)[0];
+        if (section.general || !section.hasDigits || section.exponent) {
+            return this.formatNumber(value, format);
+        }
+
+        // パーセントやスケーリングを適用した後の値で必要な小数部の桁数を求める
+        const multiplier = Math.pow(100, section.percentCount) / Math.pow(1000, section.scaleCount);
+        let requiredPlaces = 0;
+        if (scale.type === 'log') {
+            if (value > 0) {
+                requiredPlaces = Math.max(0, -Math.floor(Math.log10(value * multiplier) + 1e-9));
+            }
+        } else if (scale.tickInterval > 0) {
+            const interval = scale.tickInterval * multiplier;
+            while (requiredPlaces < 10 &&
+                Math.abs(Math.round(interval * Math.pow(10, requiredPlaces)) - interval * Math.pow(10, requiredPlaces)) > 1e-6) {
+                requiredPlaces++;
+            }
+        }
+        return this.formatNumber(value, format, requiredPlaces);
+    }
+
+    /**
+     * 数値フォーマットの1つのセクションで絶対値をフォーマット
+     * @param {number} absValue - 数値の絶対値
+     * @param {Object} section - parseNumberFormatで解析したセクション
+     * @returns {string} フォーマットされた文字列
      */
-    resolve350DegreeCollisions(centerX, centerY, radius, fontSize, getTextWidth, maxIterations = 10, othersLabel = 'その他', angleRange = 20) {
-        // 元のデータを保存
-        const originalData = [...this.data];
-        const originalLabels = [...this.labels];
-        
-        let iterations = 0;
-        let hasCollisions = true;
-        
-        while (hasCollisions && iterations < maxIterations) {
-            iterations++;
-            
-            // すべてのラベルの衝突をチェック
-            const allCollisions = this.checkAllLabelCollisions(centerX, centerY, radius, fontSize, getTextWidth);
-            
-            // 350度付近（340度〜360度、0度〜20度）の衝突を特定
-            const segmentAngles = this.getSegmentAngles();
-            const collisionsIn350Range = allCollisions.filter(collision => {
-                const angle1 = collision.label1.angle;
-                const angle2 = collision.label2.angle;
-                
-                // 角度を0〜360度の範囲に正規化
-                const normalizeAngle = (angle) => {
-                    while (angle < 0) angle += 360;
-                    while (angle >= 360) angle -= 360;
-                    return angle;
-                };
-                
-                const normAngle1 = normalizeAngle(angle1);
-                const normAngle2 = normalizeAngle(angle2);
-                
-                // 350度付近の範囲をチェック（340度〜360度、0度〜20度）
-                const isIn350Range = (angle) => {
-                    return (angle >= 360 - angleRange) || (angle <= angleRange);
-                };
-                
-                return isIn350Range(normAngle1) || isIn350Range(normAngle2);
-            });
-            
-            // 350度付近に衝突がない場合は終了
-            if (collisionsIn350Range.length === 0) {
-                hasCollisions = false;
+    formatNumberSection(absValue, section) {
+        // プレースホルダーがない場合はリテラルのみ
+        if (!section.hasDigits) {
+            return section.prefix + section.suffix;
+        }
+
+        const separators = this.getNumberSeparators();
+        const scaled = absValue * Math.pow(100, section.percentCount) / Math.pow(1000, section.scaleCount);
+        const decimalPlaces = section.decimalPlaceholders.length;
+
+        // 指数表記の場合は仮数と指数に分ける
+        let mantissa = scaled;
+        let exponentText = '';
+        if (section.exponent) {
+            const { exponent } = section;
+            // 整数部のプレースホルダーが'#'で始まる複数桁の場合は指数をその桁数の倍数にする（例: '##0.0E+0'）
+            const step = section.integerPlaceholders.length > 1 && section.integerPlaceholders[0] === '#' ?
+                section.integerPlaceholders.length : 1;
+            const integerDigits = step > 1 ? 1 : Math.max(1, section.minIntegerDigits);
+            let power = 0;
+            if (scaled !== 0) {
+                const magnitude = Math.floor(Math.log10(scaled));
+                power = step > 1 ? Math.floor(magnitude / step) * step : magnitude - (integerDigits - 1);
+                mantissa = this.roundDecimal(scaled / Math.pow(10, power), decimalPlaces);
+                // 丸めで仮数の桁が増えた場合（例: 9.996 → 10.00）は指数を繰り上げる
+                if (mantissa >= Math.pow(10, step > 1 ? step : integerDigits)) {
+                    power += step;
+                    mantissa = this.roundDecimal(scaled / Math.pow(10, power), decimalPlaces);
+                }
+            }
+            const sign = power < 0 ? '-' : (exponent.sign === '+' ? '+' : '');
+            exponentText = exponent.char + sign + String(Math.abs(power)).padStart(exponent.minDigits, '0');
+        }
+
+        // 小数部の桁数で丸める
+        const fixed = this.roundDecimal(mantissa, decimalPlaces).toFixed(decimalPlaces);
+        let [integerPart, fractionPart = ''] = fixed.split('.');
+
+        // 小数部: 末尾の'#'は0を削除、'?'は0を空白に置き換え
+        let fractionChars = fractionPart.split('');
+        for (let i = fractionChars.length - 1; i >= 0 && fractionChars[i] === '0'; i--) {
+            const placeholder = section.decimalPlaceholders[i];
+            if (placeholder === '0') {
                 break;
             }
-            
-            // 衝突しているラベルの中で、最も小さいセグメントを特定
-            const segmentsToMerge = new Set();
-            collisionsIn350Range.forEach(collision => {
-                const index1 = collision.label1.index;
-                const index2 = collision.label2.index;
-                
-                // パーセンテージが小さい方を「その他」にまとめる対象とする
-                const percentage1 = this.getPercentages()[index1];
-                const percentage2 = this.getPercentages()[index2];
-                
-                if (percentage1 < percentage2) {
-                    segmentsToMerge.add(index1);
+            fractionChars[i] = placeholder === '?' ? ' ' : '';
+        }
+        fractionPart = fractionChars.join('');
+
+        // 整数部: '0'の数まで0埋め、'?'の数まで空白埋め
+        if (integerPart === '0' && section.minIntegerDigits === 0) {
+            integerPart = '';
+        }
+        integerPart = integerPart.padStart(section.minIntegerDigits, '0');
+        if (section.grouping && !section.exponent) {
+            integerPart = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, separators.group);
+        }
+        integerPart = integerPart.padStart(section.minIntegerDigits + section.spaceIntegerDigits, ' ');
+
+        // 整数部も小数部もない場合（'#'のみで値が0の場合など）は何も表示しない
+        const number = fractionPart ? integerPart + separators.decimal + fractionPart : integerPart;
+        return section.prefix + number + exponentText + section.suffix;
+    }
+
+    /**
+     * 数値を指定した小数の桁数で四捨五入（10進数で丸める）
+     * toFixed()は2進数の値で丸めるため、1.005が1.00になる。有効数字15桁の10進数として丸める
+     * @param {number} value - 数値（0以上）
+     * @param {number} decimalPlaces - 小数の桁数
+     * @returns {number} 丸めた数値
+     */
+    roundDecimal(value, decimalPlaces) {
+        if (!isFinite(value) || value >= 1e15) {
+            return value;
+        }
+        const [digits, exponent] = value.toExponential(14).split('e');
+        const shifted = Math.round(Number(`${digits}e${Number(exponent) + decimalPlaces}`));
+        return Number(`${shifted}e-${decimalPlaces}`);
+    }
+
+    /**
+     * 数値フォーマットを解析（結果はキャッシュする）
+     * @param {string} format - フォーマット文字列
+     * @returns {Array<Object>} セクションの配列
+     *   [{prefix, suffix, hasDigits, minIntegerDigits, spaceIntegerDigits, integerPlaceholders, decimalPlaceholders, grouping, scaleCount, percentCount, exponent, general}, ...]
+     */
+    parseNumberFormat(format) {
+        if (this.numberFormatCache[format]) {
+            return this.numberFormatCache[format];
+        }
+
+        // トークンに分割（引用符とエスケープを考慮し、';'でセクションに分割）
+        const sectionTokens = [[]];
+        for (let i = 0; i < format.length; i++) {
+            const ch = format[i];
+            const tokens = sectionTokens[sectionTokens.length - 1];
+            if (ch === '"') {
+                const end = format.indexOf('"', i + 1);
+                const text = end === -1 ? format.slice(i + 1) : format.slice(i + 1, end);
+                tokens.push({ type: 'literal', text });
+                i = end === -1 ? format.length : end;
+            } else if (ch === '\\') {
+                tokens.push({ type: 'literal', text: format[i + 1] || '' });
+                i++;
+            } else if (ch === '_') {
+                // 次の文字の幅の空白
+                tokens.push({ type: 'literal', text: ' ' });
+                i++;
+            } else if (ch === '*') {
+                // 繰り返し文字は無視
+                i++;
+            } else if (ch === '[') {
+                // [Red]などの色・条件は無視
+                const end = format.indexOf(']', i + 1);
+                i = end === -1 ? format.length : end;
+            } else if (ch === ';') {
+                sectionTokens.push([]);
+            } else if (ch === '0' || ch === '#' || ch === '?') {
+                tokens.push({ type: 'digit', char: ch });
+            } else if (ch === '.') {
+                tokens.push({ type: 'point' });
+            } else if (ch === ',') {
+                tokens.push({ type: 'comma' });
+            } else if (ch === '%') {
+                tokens.push({ type: 'percent' });
+            } else if ((ch === 'E' || ch === 'e') && (format[i + 1] === '+' || format[i + 1] === '-')) {
+                tokens.push({ type: 'exponent', char: ch, sign: format[i + 1] });
+                i++;
+            } else if (/^general$/i.test(format.slice(i, i + 7))) {
+                tokens.push({ type: 'general' });
+                i += 6;
+            } else {
+                tokens.push({ type: 'literal', text: ch });
+            }
+        }
+
+        const sections = sectionTokens.slice(0, 3).map(tokens => this.parseNumberFormatSection(tokens));
+        this.numberFormatCache[format] = sections;
+        return sections;
+    }
+
+    /**
+     * 数値フォーマットの1つのセクションのトークンを解析
+     * @param {Array<Object>} tokens - トークンの配列
+     * @returns {Object} セクションの情報
+     */
+    parseNumberFormatSection(tokens) {
+        const section = {
+            prefix: '',
+            suffix: '',
+            hasDigits: false,
+            minIntegerDigits: 0,
+            spaceIntegerDigits: 0,
+            integerPlaceholders: '',
+            decimalPlaceholders: [],
+            grouping: false,
+            scaleCount: 0,
+            percentCount: 0,
+            exponent: null,
+            general: false
+        };
+
+        const firstDigit = tokens.findIndex(token => token.type === 'digit');
+        section.hasDigits = firstDigit !== -1;
+
+        // 指定した位置より後ろ（小数点まで）に数値のプレースホルダーがあるか
+        const hasIntegerDigitAfter = (index) => {
+            for (let j = index + 1; j < tokens.length; j++) {
+                if (tokens[j].type === 'point' || tokens[j].type === 'exponent') return false;
+                if (tokens[j].type === 'digit') return true;
+            }
+            return false;
+        };
+
+        let inFraction = false;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const prev = tokens[i - 1];
+            const next = tokens[i + 1];
+
+            if (token.type === 'general') {
+                section.general = true;
+                continue;
+            }
+
+            if (token.type === 'exponent') {
+                if (section.exponent || !section.hasDigits || i < firstDigit) {
+                    throw new Error(`Invalid number format: ${token.char}${token.sign} must follow digit placeholders`);
+                }
+                // 指数の後に続くプレースホルダーは指数の最小桁数
+                section.exponent = { char: token.char, sign: token.sign, minDigits: 0 };
+                while (tokens[i + 1] && tokens[i + 1].type === 'digit') {
+                    section.exponent.minDigits += tokens[i + 1].char === '0' ? 1 : 0;
+                    i++;
+                }
+                if (tokens[i].type !== 'digit') {
+                    throw new Error(`Invalid number format: ${token.char}${token.sign} must be followed by digit placeholders`);
+                }
+                continue;
+            }
+
+            if (token.type === 'digit') {
+                if (inFraction) {
+                    section.decimalPlaceholders.push(token.char);
                 } else {
-                    segmentsToMerge.add(index2);
+                    section.integerPlaceholders += token.char;
+                    if (token.char === '0') {
+                        section.minIntegerDigits++;
+                    } else if (token.char === '?') {
+                        section.spaceIntegerDigits++;
+                    }
                 }
-            });
-            
-            // まとめるセグメントがない場合は終了
-            if (segmentsToMerge.size === 0) {
-                hasCollisions = false;
-                break;
+                continue;
+            }
+
+            // 数値に隣接する最初の小数点
+            if (token.type === 'point' && !inFraction &&
+                ((prev && prev.type === 'digit') || (next && next.type === 'digit'))) {
+                inFraction = true;
+                continue;
+            }
+
+            // 数値の直後のカンマ
+            if (token.type === 'comma' && prev && ['digit', 'comma', 'point'].includes(prev.type) && i > firstDigit) {
+                if (!inFraction && hasIntegerDigitAfter(i)) {
+                    // 整数部の数値の間のカンマ: 桁区切り
+                    section.grouping = true;
+                } else {
+                    // 数値の後ろのカンマ: 1/1000にスケーリング
+                    section.scaleCount++;
+                }
+                continue;
+            }
+
+            if (token.type === 'percent') {
+                section.percentCount++;
+            }
+
+            // リテラル（数値の前はprefix、それ以外はsuffix）
+            const text = token.type === 'literal' ? token.text :
+                token.type === 'percent' ? '%' :
+                token.type === 'comma' ? ',' : '.';
+            if (!section.hasDigits || i < firstDigit) {
+                section.prefix += text;
+            } else {
+                section.suffix += text;
+            }
+        }
+
+        return section;
+    }
+
+    /**
+     * localeに応じた小数点と桁区切りの文字を取得
+     * @returns {Object} {decimal, group}
+     */
+    getNumberSeparators() {
+        const locale = this.locale || '';
+        if (this.numberSeparatorsCache[locale]) {
+            return this.numberSeparatorsCache[locale];
+        }
+
+        let separators = { decimal: '.', group: ',' };
+        if (locale && typeof Intl !== 'undefined' && Intl.NumberFormat) {
+            try {
+                const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+                const decimalPart = parts.find(part => part.type === 'decimal');
+                const groupPart = parts.find(part => part.type === 'group');
+                separators = {
+                    decimal: decimalPart ? decimalPart.value : '.',
+                    group: groupPart ? groupPart.value : ','
+                };
+            } catch (error) {
+                console.warn(`ロケール「${locale}」が不正なため、既定の区切り文字を使用します`);
+            }
+        }
+
+        this.numberSeparatorsCache[locale] = separators;
+        return separators;
+    }
+
+    /**
+     * 描画エリアの上端と下端のY座標を計算（Y軸のスケールに依存しない部分）
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}
+     * @returns {Object} {originY, topRightY}
+     */
+    calculatePlotVerticalBounds(dateChart, panel) {
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const bottomMargin = 20;
+        const topMargin = 10; // 上のマージン（タイトルの上）
+        const tickLineLength = 5;
+        const titleMargin = 20; // 描画エリアとタイトルのマージン
+
+        // 原点のY座標: 下端から、下マージン + 文字の高さ（1行目）+ 文字の高さ（2行目）+ ラベルと目盛り線の間隔 + 目盛り線の高さ
+        const labelMargin = 5; // ラベルと目盛り線の間隔
+        const originY = panel.y + panel.height - bottomMargin - metrics.height * 2 - labelMargin - tickLineLength;
+
+        // 右上(1,1)のY座標を計算
+        // 上のマージン + タイトル文字の高さ + サブタイトル文字の高さ + 描画エリアとタイトルのマージン
+        let topRightY = panel.y + topMargin;
+        if (!panel.fullCanvas) {
+            // 複数パネルの場合: パネルのタイトル（DateChartのタイトル）の高さのみ
+            if (dateChart.title) {
+                topRightY += metrics.height;
+            }
+        } else {
+            if (this.title) {
+                topRightY += metrics.height;
+                if (this.subtitle) {
+                    topRightY += fontSize + 5; // タイトルとサブタイトルの間隔（fontSize + 5px）
+                }
+            }
+            if (this.subtitle && !this.title) {
+                topRightY += metrics.height;
+            }
+        }
+        topRightY += titleMargin;
+
+        return { originY, topRightY };
+    }
+
+    /**
+     * Y軸の自動の目盛りの数の上限を計算（ラベルが重ならないように、描画エリアの高さをラベルの高さで割った数）
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @returns {number} 目盛りの数の上限
+     */
+    getMaxYAxisTickCount(dateChart) {
+        const dateCharts = this.getVisibleDateCharts();
+        const panels = this.calculatePanels(dateCharts.length);
+        const panel = panels[Math.max(0, dateCharts.indexOf(dateChart))] || this.getFullCanvasPanel();
+        const { originY, topRightY } = this.calculatePlotVerticalBounds(dateChart, panel);
+        const labelHeight = this.measureFontMetrics(this.theme.fontSize.normal).height;
+        return Math.max(2, Math.floor((originY - topRightY) / labelHeight) + 1);
+    }
+
+    /**
+     * 描画エリアの位置を計算
+     * @param {DateChart} dateChart - DateChartインスタンス（省略時は最初のDateChart）
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}（省略時はキャンバス全体）
+     * @returns {Object} 描画エリアの情報 {originX, originY, topRightX, topRightY, width, height, dateChart, panel}
+     */
+    calculatePlotArea(dateChart = null, panel = null) {
+        if (!this.dateCharts || this.dateCharts.length === 0) {
+            return null;
+        }
+        dateChart = dateChart || this.dateCharts[0];
+        panel = panel || this.getFullCanvasPanel();
+
+        const fontSize = this.theme.fontSize.normal;
+        const leftMargin = 20;
+        const tickLineLength = 5;
+        const legendMargin = 20; // 凡例の右マージン
+        const legendScaleGap = 20; // 凡例とスケールの間のマージン
+
+        // Y軸のスケールを取得
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ? 
+            this.getYAxisScale(dateChart, true) : null;
+
+        // Y軸のラベルをフォーマットして最大幅を計算
+        let maxYLabelWidth = 0;
+        const yAxisFormat = dateChart.getAxisFormat(false);
+        
+        for (const label of primaryScale.labels) {
+            const formatted = this.formatAxisLabel(label, yAxisFormat, primaryScale);
+            const width = this.getTextWidth(formatted, fontSize);
+            if (width > maxYLabelWidth) {
+                maxYLabelWidth = width;
+            }
+        }
+
+        // 副軸がある場合も考慮
+        let maxRightScaleLabelWidth = 0;
+        if (secondaryScale) {
+            const secondAxisFormat = dateChart.getAxisFormat(true);
+            for (const label of secondaryScale.labels) {
+                const formatted = this.formatAxisLabel(label, secondAxisFormat, secondaryScale);
+                const width = this.getTextWidth(formatted, fontSize);
+                if (width > maxRightScaleLabelWidth) {
+                    maxRightScaleLabelWidth = width;
+                }
+            }
+        }
+
+        // 凡例の左端を計算
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendItemHeight = 25;
+        const iconWidth = 30;
+        const iconLabelGap = 10;
+        const legendPadding = 10;
+        
+        // 凡例項目を収集して最大ラベル幅を計算
+        const legendItems = [];
+        for (const line of dateChart.lines) {
+            if (line.title) legendItems.push({ title: line.title });
+        }
+        for (const bar of dateChart.bars) {
+            if (bar.title) legendItems.push({ title: bar.title });
+        }
+        for (const area of dateChart.areas) {
+            if (area.title) legendItems.push({ title: area.title });
+        }
+        
+        let maxLegendLabelWidth = 0;
+        for (const item of legendItems) {
+            const width = this.getTextWidth(item.title, legendFontSize);
+            if (width > maxLegendLabelWidth) {
+                maxLegendLabelWidth = width;
             }
-            
-            // 「その他」カテゴリにまとめる
-            this.mergeToOthersCategory(Array.from(segmentsToMerge), othersLabel);
-            
-            // データを再構築（ソートし直すため）
-            // setDataを呼び出すことで、データが再度ソートされ、角度が再計算される
-            this.setData(this.data, this.labels);
         }
         
+        const legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
+        const legendLeftX = panel.x + panel.width - legendAreaWidth - legendMargin;
+
+        // 原点のX座標: 左端から、左マージン + 最大ラベル幅 + 目盛り線の長さ
+        const originX = panel.x + leftMargin + maxYLabelWidth + tickLineLength;
+
+        // 右上(1,1)のX座標を計算
+        let topRightX;
+        if (secondaryScale) {
+            // 右スケールがある場合: 凡例の左端 - 凡例とスケールの間のマージン - 右スケールの最大ラベル幅 - 目盛り線の長さ
+            topRightX = legendLeftX - legendScaleGap - maxRightScaleLabelWidth - tickLineLength;
+        } else {
+            // 右スケールがない場合: 凡例の左端 - 凡例の左のマージン
+            topRightX = legendLeftX - legendMargin;
+        }
+
+        // 原点と右上(1,1)のY座標を計算
+        const { originY, topRightY } = this.calculatePlotVerticalBounds(dateChart, panel);
+
         return {
-            success: !hasCollisions,
-            iterations: iterations,
-            originalData: originalData,
-            originalLabels: originalLabels
+            originX,
+            originY,
+            topRightX,
+            topRightY,
+            width: topRightX - originX,
+            height: originY - topRightY,
+            dateChart,
+            panel
         };
     }
 
     /**
-     * 指定されたインデックスのセグメントを「その他」カテゴリにまとめる
-     * @param {Array<number>} indices - まとめるセグメントのインデックス配列
-     * @param {string} othersLabel - 「その他」カテゴリのラベル
+     * 描画エリアの原点と右上を計算（バツは描画しない）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
      */
-    mergeToOthersCategory(indices, othersLabel) {
-        if (indices.length === 0) {
+    renderPlotAreaOrigin(svg, plotArea) {
+        // バツの描画は削除
+    }
+
+    /**
+     * 描画エリアの背景を描画（テーマのplotBackgroundが'none'の場合は描画しない）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderPlotAreaBackground(svg, plotArea) {
+        const plotBackground = this.theme.colors.plotBackground;
+        if (!plotBackground || plotBackground === 'none') {
             return;
         }
-        
-        // インデックスを降順にソート（後ろから削除するため）
-        const sortedIndices = [...indices].sort((a, b) => b - a);
-        
-        // 「その他」カテゴリの値を計算
-        let othersValue = 0;
-        const mergedLabels = [];
-        
-        sortedIndices.forEach(index => {
-            othersValue += this.data[index];
-            mergedLabels.push(this.labels[index]);
-        });
-        
-        // セグメントを削除（後ろから削除することでインデックスがずれないようにする）
-        sortedIndices.forEach(index => {
-            this.data.splice(index, 1);
-            this.labels.splice(index, 1);
-        });
-        
-        // 「その他」カテゴリを追加
-        // 既に「その他」カテゴリが存在する場合は値を追加、存在しない場合は新規追加
-        const othersIndex = this.labels.indexOf(othersLabel);
-        if (othersIndex >= 0) {
-            this.data[othersIndex] += othersValue;
-        } else {
-            // 「その他」カテゴリを最後に追加（最小値として扱われるように）
-            this.data.push(othersValue);
-            this.labels.push(othersLabel);
-        }
+
+        const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', plotArea.originX);
+        rect.setAttribute('y', plotArea.topRightY);
+        rect.setAttribute('width', Math.max(0, plotArea.topRightX - plotArea.originX));
+        rect.setAttribute('height', Math.max(0, plotArea.originY - plotArea.topRightY));
+        rect.setAttribute('fill', plotBackground);
+        svg.appendChild(rect);
     }
 
     /**
-     * 元のデータに戻す
-     * @param {Array<number>} originalData - 元のデータ配列
-     * @param {Array<string>} originalLabels - 元のラベル配列
+     * 日付文字列（YYYYMMDD形式）をDateオブジェクトに変換
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
+     * @returns {Date} Dateオブジェクト
      */
-    restoreOriginalData(originalData, originalLabels) {
-        this.data = [...originalData];
-        this.labels = [...originalLabels];
-        this.labelAngleOffsets = new Array(this.data.length).fill(0);
+    parseDateToDate(dateStr) {
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // 月は0始まり
+        const day = parseInt(dateStr.substring(6, 8), 10);
+        return new Date(year, month, day);
     }
 
     /**
-     * 180度（真南）付近のラベル衝突を解決するため、右側のラベルを右にずらす
-     * @param {number} centerX - 円グラフの中心X座標
-     * @param {number} centerY - 円グラフの中心Y座標
-     * @param {number} radius - 円グラフの半径
-     * @param {number} fontSize - フォントサイズ
-     * @param {Function} getTextWidth - テキスト幅を取得する関数
-     * @param {number} maxIterations - 最大繰り返し回数（デフォルト: 20）
-     * @param {number} angleRange - 180度付近の角度範囲（デフォルト: 30度、つまり165度〜195度）
-     * @param {number} stepAngle - 1回の調整でずらす角度（度、デフォルト: 2度）
-     * @returns {Object} 処理結果 {success: boolean, iterations: number}
+     * 日付が日曜日かどうかを判定
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
+     * @returns {boolean} 日曜日の場合true
      */
-    resolve180DegreeCollisions(centerX, centerY, radius, fontSize, getTextWidth, maxIterations = 20, angleRange = 30, stepAngle = 2) {
-        // ラベルの角度オフセットをリセット
-        this.labelAngleOffsets = new Array(this.data.length).fill(0);
-        
-        let iterations = 0;
-        let hasCollisions = true;
+    isSunday(dateStr) {
+        const date = this.parseDateToDate(dateStr);
+        return date.getDay() === 0; // 0が日曜日
+    }
+
+    /**
+     * 日付が月初の1日かどうかを判定
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
+     * @returns {boolean} 月初の1日の場合true
+     */
+    isFirstDayOfMonth(dateStr) {
+        const day = dateStr.substring(6, 8);
+        return day === '01';
+    }
+
+    /**
+     * 日付文字列（YYYYMMDD形式）をyyyy/MM/dd形式に変換
+     * 日時の場合はyyyy/MM/dd HH:mm形式（秒が0でない場合はyyyy/MM/dd HH:mm:ss形式）に変換
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）または日時文字列
+     * @returns {string} yyyy/MM/dd形式の日付文字列
+     */
+    formatDateToYYYYMMDD(dateStr) {
+        // 日時の場合は時刻を付ける
+        if (this.isDateTime(dateStr)) {
+            const normalizedDateTime = normalizeDate(dateStr);
+            const date = this.formatDateToYYYYMMDD(normalizedDateTime.substring(0, 8));
+            const seconds = normalizedDateTime.substring(12, 14);
+            return `${date} ${normalizedDateTime.substring(8, 10)}:${normalizedDateTime.substring(10, 12)}` +
+                (seconds !== '00' ? `:${seconds}` : '');
+        }
+
+
+        // YYYY-MM-DD形式またはYYYY/MM/DD形式の場合は正規化
+        let normalized = dateStr;
+        if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
+            normalized = dateStr.replace(/-/g, '');
+        } else if (dateStr.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+            normalized = dateStr.replace(/\//g, '');
+        }
         
-        while (hasCollisions && iterations < maxIterations) {
-            iterations++;
-            
-            // すべてのラベルの衝突をチェック（オフセットを考慮）
-            const allCollisions = this.checkAllLabelCollisionsWithOffsets(centerX, centerY, radius, fontSize, getTextWidth);
-            
-            // 180度付近（165度〜195度）の衝突を特定
-            const collisionsIn180Range = allCollisions.filter(collision => {
-                const angle1 = collision.label1.angle + (this.labelAngleOffsets[collision.label1.index] || 0);
-                const angle2 = collision.label2.angle + (this.labelAngleOffsets[collision.label2.index] || 0);
-                
-                // 角度を0〜360度の範囲に正規化
-                const normalizeAngle = (angle) => {
-                    while (angle < 0) angle += 360;
-                    while (angle >= 360) angle -= 360;
-                    return angle;
-                };
-                
-                const normAngle1 = normalizeAngle(angle1);
-                const normAngle2 = normalizeAngle(angle2);
-                
-                // 180度付近の範囲をチェック（165度〜195度）
-                const isIn180Range = (angle) => {
-                    const diff = Math.abs(angle - 180);
-                    return diff <= angleRange / 2 || diff >= 360 - angleRange / 2;
-                };
-                
-                return isIn180Range(normAngle1) || isIn180Range(normAngle2);
-            });
-            
-            // 180度付近に衝突がない場合は終了
-            if (collisionsIn180Range.length === 0) {
-                hasCollisions = false;
-                break;
-            }
-            
-            // 衝突しているラベルの中で、角度が大きい方（右側）を右にずらす
-            collisionsIn180Range.forEach(collision => {
-                const index1 = collision.label1.index;
-                const index2 = collision.label2.index;
-                
-                const angle1 = collision.label1.angle + (this.labelAngleOffsets[index1] || 0);
-                const angle2 = collision.label2.angle + (this.labelAngleOffsets[index2] || 0);
-                
-                // 角度を0〜360度の範囲に正規化
-                const normalizeAngle = (angle) => {
-                    while (angle < 0) angle += 360;
-                    while (angle >= 360) angle -= 360;
-                    return angle;
-                };
-                
-                const normAngle1 = normalizeAngle(angle1);
-                const normAngle2 = normalizeAngle(angle2);
-                
-                // 180度からの距離を計算（180度に近いほど優先）
-                const dist1 = Math.min(Math.abs(normAngle1 - 180), Math.abs(normAngle1 - 180 + 360), Math.abs(normAngle1 - 180 - 360));
-                const dist2 = Math.min(Math.abs(normAngle2 - 180), Math.abs(normAngle2 - 180 + 360), Math.abs(normAngle2 - 180 - 360));
-                
-                // 角度が大きい方（右側、時計回り）を右にずらす
-                // 180度に近い方を優先的にずらす
-                if (normAngle1 > normAngle2 || (dist1 < dist2 && normAngle1 >= 180)) {
-                    // index1を右にずらす（角度を増やす）
-                    this.labelAngleOffsets[index1] = (this.labelAngleOffsets[index1] || 0) + stepAngle;
-                } else {
-                    // index2を右にずらす（角度を増やす）
-                    this.labelAngleOffsets[index2] = (this.labelAngleOffsets[index2] || 0) + stepAngle;
-                }
-            });
+        // YYYYMMDD形式を期待
+        if (normalized.match(/^\d{8}$/)) {
+            const year = normalized.substring(0, 4);
+            const month = normalized.substring(4, 6);
+            const day = normalized.substring(6, 8);
+            return `${year}/${month}/${day}`;
         }
         
-        return {
-            success: !hasCollisions,
-            iterations: iterations
-        };
+        // フォールバック: そのまま返す
+        return dateStr;
     }
 
     /**
-     * オフセットを考慮したすべてのラベルの衝突をチェック
-     * @param {number} centerX - 円グラフの中心X座標
-     * @param {number} centerY - 円グラフの中心Y座標
-     * @param {number} radius - 円グラフの半径
-     * @param {number} fontSize - フォントサイズ
-     * @param {Function} getTextWidth - テキスト幅を取得する関数
-     * @returns {Array} 衝突しているラベルのペアの配列 [{label1, label2}, ...]
+     * ツールチップに表示する日付のラベルを取得
+     * 集計が設定されている場合は区間のラベル（例: '2025-W03'、'2025年1月'）、それ以外はyyyy/MM/dd形式
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）または日時文字列
+     * @param {DateChart} dateChart - DateChartインスタンス（省略可）
+     * @returns {string} 日付のラベル
      */
-    checkAllLabelCollisionsWithOffsets(centerX, centerY, radius, fontSize, getTextWidth) {
-        const collisions = [];
-        const labelBounds = [];
-        
-        // すべてのラベルの位置とサイズを計算（オフセットを考慮）
-        for (let i = 0; i < this.data.length; i++) {
-            const bounds = this.calculateLabelBounds(centerX, centerY, radius, fontSize, getTextWidth, i);
-            if (bounds) {
-                // 角度オフセットを適用
-                const offset = this.labelAngleOffsets[i] || 0;
-                const adjustedAngle = bounds.angle + offset;
-                
-                // オフセット後の位置を再計算
-                const adjustedAngleRad = ((adjustedAngle - 90) * Math.PI) / 180;
-                const labelPosition = this.determineLabelPosition(i);
-                const labelRadius = labelPosition === 'arc-center' ? radius + 20 : radius + 30;
-                
-                bounds.x = centerX + labelRadius * Math.cos(adjustedAngleRad);
-                bounds.y = centerY + labelRadius * Math.sin(adjustedAngleRad);
-                bounds.angle = adjustedAngle;
-                
-                labelBounds.push(bounds);
-            }
+    formatDateLabel(dateStr, dateChart = null) {
+        if (dateChart && dateChart.aggregate) {
+            return dateChart.getAggregateBucket(dateStr).label;
         }
-        
-        // すべてのラベルペアについて衝突をチェック
-        for (let i = 0; i < labelBounds.length; i++) {
-            for (let j = i + 1; j < labelBounds.length; j++) {
-                if (this.checkLabelCollision(labelBounds[i], labelBounds[j])) {
-                    collisions.push({
-                        label1: labelBounds[i],
-                        label2: labelBounds[j]
-                    });
-                }
+        return this.formatDateToYYYYMMDD(dateStr);
+    }
+
+    /**
+     * 3ヶ月データ用に表示する日付をフィルタリング
+     * @param {string[]} sortedDates - ソート済みの日付配列
+     * @returns {string[]} フィルタリングされた日付配列
+     */
+    filterDatesForThreeMonths(sortedDates) {
+        if (sortedDates.length === 0) {
+            return [];
+        }
+
+        const filteredDates = [];
+        const firstDate = sortedDates[0];
+        const lastDate = sortedDates[sortedDates.length - 1];
+
+        // 最初の日は必ず追加
+        filteredDates.push(firstDate);
+
+        // 中間の日付をフィルタリング
+        for (let i = 1; i < sortedDates.length - 1; i++) {
+            const date = sortedDates[i];
+            // 月初の1日または日曜日の場合は追加
+            if (this.isFirstDayOfMonth(date) || this.isSunday(date)) {
+                filteredDates.push(date);
             }
         }
-        
-        return collisions;
-    }
-}
 
-/**
- * PieTsvLoader - 円グラフ用TSVローダークラス
- */
-class PieTsvLoader {
-    constructor(pieChart, url) {
-        this.pieChart = pieChart;
-        this.url = url;
-        this.categoryTitle = ''; // カテゴリ名列の列名
-        this.valueTitle = ''; // 値列の列名
-        this.groupTitle = ''; // グループ列の列名（複数の円グラフを並べる場合）
+        // 最後の日は必ず追加（最初の日と同じでない場合）
+        if (lastDate !== firstDate) {
+            filteredDates.push(lastDate);
+        }
+
+        return filteredDates;
     }
 
     /**
-     * TSVファイルを読み込んでデータを追加
-     * @returns {Promise<void>}
+     * 1年データ用に表示する日付をフィルタリング
+     * @param {string[]} sortedDates - ソート済みの日付配列
+     * @returns {string[]} フィルタリングされた日付配列
      */
-    async load() {
-        if (!this.categoryTitle || !this.valueTitle) {
-            throw new Error('categoryTitle and valueTitle must be set before calling load()');
+    filterDatesForOneYear(sortedDates) {
+        if (sortedDates.length === 0) {
+            return [];
         }
 
-        // TSVファイルを読み込む
-        const response = await fetch(this.url);
-        if (!response.ok) {
-            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
-        }
+        const filteredDates = [];
+        const firstDate = sortedDates[0];
+        const lastDate = sortedDates[sortedDates.length - 1];
 
-        const text = await response.text();
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+        // 最初の日は必ず追加
+        filteredDates.push(firstDate);
 
-        if (lines.length === 0) {
-            throw new Error('TSV file is empty');
+        // 中間の日付をフィルタリング
+        for (let i = 1; i < sortedDates.length - 1; i++) {
+            const date = sortedDates[i];
+            // 月初の1日のみを追加（月毎）
+            if (this.isFirstDayOfMonth(date)) {
+                filteredDates.push(date);
+            }
         }
 
-        // ヘッダー行を解析
-        const headers = lines[0].split('\t');
-        const categoryIndex = headers.indexOf(this.categoryTitle);
-        const valueIndex = headers.indexOf(this.valueTitle);
-        
-        if (categoryIndex === -1) {
-            throw new Error(`Column "${this.categoryTitle}" not found in TSV file`);
-        }
-        if (valueIndex === -1) {
-            throw new Error(`Column "${this.valueTitle}" not found in TSV file`);
+        // 最後の日は必ず追加（最初の日と同じでない場合）
+        if (lastDate !== firstDate) {
+            filteredDates.push(lastDate);
         }
 
-        // グループ列のインデックスを取得（複数の円グラフを並べる場合）
-        const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
+        return filteredDates;
+    }
 
-        // 単一の円グラフの場合
-        if (groupIndex === -1) {
-            const data = [];
-            const labels = [];
-            
-            for (let i = 1; i < lines.length; i++) {
-                const columns = lines[i].split('\t');
-                if (columns.length <= Math.max(categoryIndex, valueIndex)) {
-                    continue;
-                }
-                
-                const category = columns[categoryIndex]?.trim() || '';
-                const valueStr = columns[valueIndex].trim();
-                const value = parseFloat(valueStr);
-                
-                if (!isNaN(value) && value >= 0 && category) {
-                    data.push(value);
-                    labels.push(category);
+    /**
+     * X軸の目盛りを取得
+     * 日付のみのデータは、期間に応じてデータの日付をフィルタリングする（全日付・3ヶ月・1年モード）
+     * 日時のデータは、期間と描画幅に応じて分単位・時間単位の目盛りを生成する。
+     * 1目盛りの間隔が12時間を超える場合は、日単位（毎日0時）の目盛りを生成して日付のみのデータと同じようにフィルタリングする
+     * 集計が設定されている場合は、各区間の開始日に目盛りを置く（描画幅に収まらない場合は間引く）
+     * @param {Object} dateRangeInfo - getDateRangeの戻り値
+     * @param {number} plotWidth - 描画エリアの幅
+     * @param {DateChart} dateChart - DateChartインスタンス（集計の設定の確認用、省略可）
+     * @returns {Object} {mode: 'minute' | 'hour' | 'day' | 'week' | 'month' | 'quarter' | 'year', ticks: Array<{date: string, value: number}>}
+     */
+    getXAxisTicks(dateRangeInfo, plotWidth, dateChart = null) {
+        const { sortedDates, minDateValue, maxDateValue, extendedMinDateValue, extendedDateRange, hasTime } = dateRangeInfo;
+        const extendedMaxDateValue = extendedMinDateValue + extendedDateRange;
+        const minutesPerDay = 24 * 60;
+        const epsilon = 1e-6;
+
+        if (dateChart && dateChart.aggregate) {
+            const maxTickCount = Math.max(1, Math.floor(plotWidth / ChartCanvas.TIME_TICK_MIN_SPACING));
+            const step = Math.ceil(sortedDates.length / maxTickCount);
+            const ticks = sortedDates
+                .filter((date, index) => index % step === 0)
+                .map(date => ({ date, value: this.parseDate(date) }));
+            return { mode: dateChart.aggregate.interval, ticks };
+        }
+
+        let dates = sortedDates;
+        if (hasTime) {
+            // 目盛りの数が描画幅に収まる最小の間隔を選ぶ
+            const maxTickCount = Math.max(2, Math.floor(plotWidth / ChartCanvas.TIME_TICK_MIN_SPACING));
+            const rangeMinutes = extendedDateRange * minutesPerDay;
+            const interval = ChartCanvas.TIME_TICK_INTERVALS.find(minutes => rangeMinutes / minutes <= maxTickCount);
+
+            if (interval !== undefined) {
+                // 間隔の倍数（0時を基準）の時刻に目盛りを置く
+                const ticks = [];
+                const firstTick = Math.ceil(extendedMinDateValue * minutesPerDay / interval - epsilon) * interval;
+                for (let minutes = firstTick; minutes <= extendedMaxDateValue * minutesPerDay + epsilon; minutes += interval) {
+                    ticks.push({ date: this.formatMinutesToDateTime(minutes), value: minutes / minutesPerDay });
                 }
+                return { mode: interval < 60 ? 'minute' : 'hour', ticks };
             }
-            
-            this.pieChart.setData(data, labels);
-            return;
-        }
 
-        // 複数の円グラフを並べる場合（グループ別）
-        // グループごとのデータを収集
-        const dataByGroup = new Map(); // Map<groupName, {data: [], labels: []}>
-        
-        for (let i = 1; i < lines.length; i++) {
-            const columns = lines[i].split('\t');
-            if (columns.length <= Math.max(categoryIndex, valueIndex, groupIndex)) {
-                continue;
-            }
-            
-            const category = columns[categoryIndex]?.trim() || '';
-            const valueStr = columns[valueIndex].trim();
-            const value = parseFloat(valueStr);
-            const groupName = columns[groupIndex]?.trim() || '';
-            
-            if (!isNaN(value) && value >= 0 && category && groupName) {
-                if (!dataByGroup.has(groupName)) {
-                    dataByGroup.set(groupName, { data: [], labels: [] });
-                }
-                
-                const groupData = dataByGroup.get(groupName);
-                groupData.data.push(value);
-                groupData.labels.push(category);
+            // 日単位: 範囲内の各日の0時を目盛りの候補にする
+            dates = [];
+            for (let day = Math.ceil(extendedMinDateValue - epsilon); day <= extendedMaxDateValue + epsilon; day++) {
+                dates.push(this.formatMinutesToDateTime(day * minutesPerDay).substring(0, 8));
             }
         }
 
-        // グループごとに円グラフを作成
-        // 注意: この実装では、最初のグループのデータのみを現在のPieChartに設定
-        // 複数の円グラフを並べる場合は、ChartCanvas側で複数のPieChartを作成する必要がある
-        const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
-        if (sortedGroupNames.length > 0) {
-            const firstGroup = dataByGroup.get(sortedGroupNames[0]);
-            this.pieChart.setData(firstGroup.data, firstGroup.labels);
+        // データの期間に応じてフィルタリング
+        const dateRange = maxDateValue - minDateValue;
+        if (dateRange >= 60 && dateRange <= 120) {
+            // 3ヶ月データ（60日〜120日）の場合は月初の1日と日曜日を表示
+            dates = this.filterDatesForThreeMonths(dates);
+        } else if (dateRange > 120) {
+            // 1年データ（120日超）の場合は月初の1日のみを表示（月毎）
+            dates = this.filterDatesForOneYear(dates);
         }
-    }
-}
 
-/**
- * 仮想DOM要素クラス（DOMなし環境用）
- */
-class VirtualSVGElement {
-    constructor(tagName, namespace = 'http://www.w3.org/2000/svg') {
-        this.tagName = tagName;
-        this.namespace = namespace;
-        this.attributes = {};
-        this.children = [];
-        this.textContent = '';
+        return { mode: 'day', ticks: dates.map(date => ({ date, value: this.parseDate(date) })) };
     }
 
-    setAttribute(name, value) {
-        this.attributes[name] = String(value);
-    }
+    /**
+     * X軸スケールを描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderXAxis(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
 
-    getAttribute(name) {
-        return this.attributes[name];
-    }
+        const tickLineLength = 5; // 目盛り線の長さ
+        const fontSize = this.theme.fontSize.small;
+        const labelMargin = 5; // ラベルと目盛り線の間隔
 
-    appendChild(child) {
-        this.children.push(child);
-        return child;
-    }
+        // X軸の線を描画: (0,0)から(1,0)へ
+        const xAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        xAxisLine.setAttribute('x1', plotArea.originX);
+        xAxisLine.setAttribute('y1', plotArea.originY);
+        xAxisLine.setAttribute('x2', plotArea.topRightX);
+        xAxisLine.setAttribute('y2', plotArea.originY);
+        xAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        xAxisLine.setAttribute('stroke-width', '1');
+        svg.appendChild(xAxisLine);
 
-    cloneNode(deep) {
-        const clone = new VirtualSVGElement(this.tagName, this.namespace);
-        Object.assign(clone.attributes, this.attributes);
-        clone.textContent = this.textContent;
-        if (deep) {
-            for (const child of this.children) {
-                clone.appendChild(child.cloneNode(true));
-            }
+        // X軸のスケールラベルを計算（すべての系列から日付を収集）
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
         }
-        return clone;
-    }
 
-    toXMLString() {
-        let xml = `<${this.tagName}`;
-        for (const [name, value] of Object.entries(this.attributes)) {
-            const escapedValue = String(value).replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-            xml += ` ${name}="${escapedValue}"`;
-        }
-        if (this.children.length === 0 && !this.textContent) {
-            xml += '/>';
-        } else {
-            xml += '>';
-            if (this.textContent) {
-                xml += this.textContent.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-            }
-            for (const child of this.children) {
-                xml += child.toXMLString();
-            }
-            xml += `</${this.tagName}>`;
-        }
-        return xml;
-    }
-}
+        // 各ラベルの位置を計算して目盛り線を描画
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
 
-/**
- * 仮想DOM API（DOMなし環境用）
- */
-const VirtualDOM = {
-    createElementNS(namespace, tagName) {
-        // ブラウザ環境でdocumentが存在する場合は、実際のDOM要素を使用
-        if (typeof document !== 'undefined' && document && document.createElementNS) {
-            return document.createElementNS(namespace, tagName);
-        }
-        // DOMなし環境の場合は仮想DOM要素を使用
-        return new VirtualSVGElement(tagName, namespace);
-    }
-};
+        // データの期間に応じて目盛りを決定（日単位、日時のデータは分単位・時間単位も、集計する場合は区間ごと）
+        const { mode, ticks } = this.getXAxisTicks(dateRangeInfo, plotArea.width, dateChart);
+        const isAggregateMode = DateChart.AGGREGATE_INTERVALS.includes(mode);
 
-/**
- * ChartCanvas - メインクラス
- * グラフを作成・管理するためのクラス
- */
-class ChartCanvas {
-    // フォントサイズの定数
-    static FONT_SIZE_NORMAL = 14;  // 普通の大きさ
-    static FONT_SIZE_SMALL = 10;    // 小さい大きさ
-    /**
-     * コンストラクタ
-     * @param {HTMLElement|null} container - グラフを表示するDOM要素（nullの場合はDOMなしモード）
-     */
-    constructor(container = null) {
-        this.container = container;
-        this.isHeadlessMode = !container;
-        this.width = 1024;
-        this.height = 600;
-        // タイトル
-        this.title = '';
-        // サブタイトル
-        this.subtitle = '';
-        // 日本語対応の等幅フォント（デフォルト）
-        this.fontFamily = "'MS Gothic', 'MS PGothic', 'Courier New', Courier, 'Lucida Console', monospace";
-        // フォントサイズごとのメトリクスをキャッシュ
-        this.fontMetrics = {};
-    }
+        // 各目盛りごとに目盛り線とラベルを描画
+        let prevYear = '';
+        let prevMonth = '';
+        let prevDay = '';
 
-    /**
-     * フォントメトリクスを測定（高さ、半角幅、全角幅）
-     * スタンドアロン対応のため固定値を使用
-     * @param {number} fontSize - フォントサイズ
-     * @returns {Object} {height, halfWidth, fullWidth}
-     */
-    measureFontMetrics(fontSize) {
-        // キャッシュをチェック
-        if (this.fontMetrics[fontSize]) {
-            return this.fontMetrics[fontSize];
-        }
+        for (let i = 0; i < ticks.length; i++) {
+            const { date, value: dateValue } = ticks[i];
+            
+            // 日付をYYYYMMDD形式（日時の場合はYYYYMMDDHHmmss形式）に正規化
+            const normalizedDate = normalizeDate(date);
+            
+            const year = normalizedDate.substring(0, 4);
+            const month = normalizedDate.substring(4, 6);
+            const day = normalizedDate.substring(6, 8);
+            
+            // 描画エリア内での位置を計算（拡張された範囲で0.0から1.0の範囲）
+            const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+            
+            // 実際のX座標を計算
+            const x = plotArea.originX + ratio * plotArea.width;
 
-        // 固定値を使用（等幅フォントの一般的な特性に基づく）
-        // 半角文字: fontSize * 0.6
-        // 全角文字: fontSize * 1.0
-        // 高さ: fontSize * 1.2
-        const metrics = {
-            height: fontSize * 1.2,
-            halfWidth: fontSize * 0.6,
-            fullWidth: fontSize * 1.0
-        };
-        
-        // メトリクスをキャッシュ
-        this.fontMetrics[fontSize] = metrics;
+            // 目盛り線を描画
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', x);
+            tickLine.setAttribute('y1', plotArea.originY);
+            tickLine.setAttribute('x2', x);
+            tickLine.setAttribute('y2', plotArea.originY + tickLineLength);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', '1');
+            svg.appendChild(tickLine);
+
+            // ラベルを描画
+            let firstLineText = day; // 1段目: 常に日付のみ（分・時間単位の場合は時刻）
+            let secondLineText = ''; // 2段目: 最初、年・月の変わり目のみ（分・時間単位の場合は日の変わり目も）
+
+            if (mode !== 'day' && !isAggregateMode) {
+                firstLineText = `${normalizedDate.substring(8, 10)}:${normalizedDate.substring(10, 12)}`;
+            }
+
+            if (isAggregateMode) {
+                // 集計の区間: 1段目に区間のラベル、2段目に最初と年の変わり目のみ年（年単位の場合は2段目なし）
+                const bucket = dateChart.getAggregateBucket(date);
+                firstLineText = bucket.shortLabel;
+                if (mode !== 'year' && (i === 0 || bucket.year !== prevYear)) {
+                    secondLineText = `${bucket.year}年`;
+                }
+                prevYear = bucket.year;
+            } else if (i === 0) {
+                // 最初の日付: 2段目に年/月/日
+                secondLineText = `${year}/${month}/${day}`;
+            } else {
+                // 年が変わった場合: 2段目に年/月/日
+                if (year !== prevYear) {
+                    secondLineText = `${year}/${month}/${day}`;
+                }
+                // 月が変わった場合: 2段目に月/日
+                else if (month !== prevMonth) {
+                    secondLineText = `${month}/${day}`;
+                }
+                // 分・時間単位で日が変わった場合: 2段目に日付のみ
+                else if (mode !== 'day' && day !== prevDay) {
+                    secondLineText = day;
+                }
+                // 同じ年・月（・日）の場合: 2段目は何も書かない
+            }
 
-        return metrics;
-    }
+            // 1段目（日付のみ）を描画
+            const firstLineElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            firstLineElement.setAttribute('class', 'chart-text');
+            firstLineElement.setAttribute('x', x);
+            firstLineElement.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + fontSize);
+            firstLineElement.setAttribute('text-anchor', 'middle');
+            firstLineElement.setAttribute('style', `font-size: ${fontSize}px;`);
+            firstLineElement.textContent = firstLineText;
+            svg.appendChild(firstLineElement);
 
-    /**
-     * テキストとフォントサイズから文字列のピクセル幅を取得
-     * スタンドアロン対応のため簡易計算を使用
-     * @param {string} text - 測定するテキスト
-     * @param {number} fontSize - フォントサイズ
-     * @returns {number} テキストのピクセル幅
-     */
-    getTextWidth(text, fontSize) {
-        if (!text || text.length === 0) {
-            return 0;
-        }
+            // 2段目（年/月/日または月/日）を描画（変わり目と最初のみ）
+            if (secondLineText) {
+                const secondLineElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+                secondLineElement.setAttribute('class', 'chart-text');
+                secondLineElement.setAttribute('x', x);
+                secondLineElement.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + fontSize * 2);
+                secondLineElement.setAttribute('text-anchor', 'middle');
+                secondLineElement.setAttribute('style', `font-size: ${fontSize}px;`);
+                secondLineElement.textContent = secondLineText;
+                svg.appendChild(secondLineElement);
+            }
 
-        // 固定値を使用した簡易計算
-        // 半角文字: fontSize * 0.6
-        // 全角文字: fontSize * 1.0
-        const metrics = this.measureFontMetrics(fontSize);
-        let width = 0;
-        
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            const charCode = char.charCodeAt(0);
-            // 半角文字の判定（ASCII文字、半角カナなど）
-            if (charCode <= 0x007F || (charCode >= 0xFF61 && charCode <= 0xFF9F)) {
-                width += metrics.halfWidth;
-            } else {
-                // 全角文字
-                width += metrics.fullWidth;
+            if (!isAggregateMode) {
+                prevYear = year;
             }
+            prevMonth = month;
+            prevDay = day;
         }
-        
-        return width;
     }
 
     /**
-     * 日付チャートを追加
-     * @returns {DateChart} DateChartインスタンス
+     * Y軸スケールを描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
      */
-    addDateChart() {
-        const dateChart = new DateChart(this);
-        if (!this.dateCharts) {
-            this.dateCharts = [];
+    renderYAxis(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
         }
-        this.dateCharts.push(dateChart);
-        return dateChart;
-    }
 
-    /**
-     * ヒストグラムチャートを追加
-     * @returns {HistogramChart} HistogramChartインスタンス
-     */
-    addHistogram() {
-        const histogramChart = new HistogramChart(this);
-        if (!this.histogramCharts) {
-            this.histogramCharts = [];
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const tickLineLength = 5; // 目盛り線の長さ
+        const fontSize = this.theme.fontSize.small;
+        const labelMargin = 5; // ラベルと目盛り線の間隔
+
+        // Y軸の線を描画: (0,0)から(0,1)へ
+        const yAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        yAxisLine.setAttribute('x1', plotArea.originX);
+        yAxisLine.setAttribute('y1', plotArea.originY);
+        yAxisLine.setAttribute('x2', plotArea.originX);
+        yAxisLine.setAttribute('y2', plotArea.topRightY);
+        yAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        yAxisLine.setAttribute('stroke-width', '1');
+        svg.appendChild(yAxisLine);
+
+        // Y軸のスケールを取得（主軸）
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const yAxisFormat = dateChart.getAxisFormat(false);
+        const plotHeight = plotArea.height;
+
+        // 各ラベルの位置を計算して目盛り線とラベルを描画
+        for (const labelValue of primaryScale.labels) {
+            // ラベルの値を軸の下端から上端までの範囲で正規化（0.0から1.0、対数軸の場合は対数で）
+            const ratio = AxisScale.getValueRatio(labelValue, primaryScale);
+            
+            // 実際のY座標を計算（下から上に向かって）
+            // 原点が下なので、1.0 - ratioで反転
+            const y = plotArea.originY - ratio * plotHeight;
+
+            // 目盛り線を描画（Y軸の左側に短い線）
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', plotArea.originX);
+            tickLine.setAttribute('y1', y);
+            tickLine.setAttribute('x2', plotArea.originX - tickLineLength);
+            tickLine.setAttribute('y2', y);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', '1');
+            svg.appendChild(tickLine);
+
+            // ラベルを描画（目盛り線の左側）
+            const formattedLabel = this.formatAxisLabel(labelValue, yAxisFormat, primaryScale);
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', 'end');
+            labelText.setAttribute('dominant-baseline', 'middle');
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = formattedLabel;
+            svg.appendChild(labelText);
         }
-        this.histogramCharts.push(histogramChart);
-        return histogramChart;
-    }
 
-    /**
-     * 円グラフチャートを追加
-     * @returns {PieChart} PieChartインスタンス
-     */
-    addPieChart() {
-        const pieChart = new PieChart(this);
-        if (!this.pieCharts) {
-            this.pieCharts = [];
+        // 対数軸の補助目盛りを描画（ラベルなしの短い線）
+        this.renderMinorTicks(svg, primaryScale, plotArea, plotArea.originX, -1);
+
+        // Y軸の単位を表示（(0,1)の上の延長線上、サブタイトルと同じY座標）
+        if (dateChart.yAxisScale) {
+            // サブタイトルのY座標を計算（複数パネルの場合は描画エリアの上）
+            const topMargin = 10;
+            let subtitleY = fontSize + topMargin;
+            if (this.title) {
+                subtitleY += fontSize + 5;
+            }
+            if (plotArea.panel && !plotArea.panel.fullCanvas) {
+                subtitleY = plotArea.topRightY - labelMargin * 2;
+            }
+
+            const unitText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            unitText.setAttribute('class', 'chart-text');
+            unitText.setAttribute('x', plotArea.originX);
+            unitText.setAttribute('y', subtitleY);
+            unitText.setAttribute('text-anchor', 'end');
+            unitText.setAttribute('style', `font-size: ${fontSize}px;`);
+            unitText.textContent = `(${dateChart.yAxisScale})`;
+            svg.appendChild(unitText);
         }
-        this.pieCharts.push(pieChart);
-        return pieChart;
     }
 
     /**
-     * グラフのサイズを設定
-     * @param {number} width - 幅（デフォルト: 1024）
-     * @param {number} height - 高さ（デフォルト: 600）
-     * @returns {ChartCanvas} メソッドチェーン用にthisを返す
+     * 対数軸の補助目盛りを描画（スケールにminorTicksがある場合のみ）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} scale - スケール情報
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {number} axisX - 軸のX座標
+     * @param {number} direction - 目盛り線を伸ばす向き（-1: 左、1: 右）
      */
-    size(width, height) {
-        if (width !== undefined) {
-            this.width = width;
+    renderMinorTicks(svg, scale, plotArea, axisX, direction) {
+        if (!scale.minorTicks) {
+            return;
         }
-        if (height !== undefined) {
-            this.height = height;
+        const minorTickLength = 3; // 補助目盛り線の長さ
+        for (const tickValue of scale.minorTicks) {
+            const y = plotArea.originY - AxisScale.getValueRatio(tickValue, scale) * plotArea.height;
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', axisX);
+            tickLine.setAttribute('y1', y);
+            tickLine.setAttribute('x2', axisX + direction * minorTickLength);
+            tickLine.setAttribute('y2', y);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', '1');
+            svg.appendChild(tickLine);
         }
-        return this;
     }
 
     /**
-     * SVGを描画（現在は枠だけ）
+     * 右スケール（副軸）を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
      */
-    render() {
-        // 既存のSVGを削除（DOMモードの場合のみ）
-        if (this.container) {
-            const existingSvg = this.container.querySelector('svg');
-            if (existingSvg) {
-                existingSvg.remove();
-            }
+    renderRightYAxis(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
         }
 
-        // SVG要素を作成
-        const svg = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('width', this.width);
-        svg.setAttribute('height', this.height);
-        svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
-
-        // 日本語対応の等幅フォントを設定（style要素を追加）
-        const style = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'style');
-        style.textContent = `
-            .chart-text {
-                font-family: ${this.fontFamily};
-            }
-        `;
-        svg.appendChild(style);
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        
+        // 副軸が有効でない場合は何も描画しない
+        if (!dateChart.secondAxis) {
+            return;
+        }
 
-        // タイトルとサブタイトルを描画
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const centerX = this.width / 2;
-        let yPos = fontSize + 10; // 上から少し下に配置
+        const tickLineLength = 5; // 目盛り線の長さ
+        const fontSize = this.theme.fontSize.small;
+        const labelMargin = 5; // ラベルと目盛り線の間隔
 
-        // タイトルを描画
-        if (this.title) {
-            const titleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            titleText.setAttribute('class', 'chart-text');
-            titleText.setAttribute('x', centerX);
-            titleText.setAttribute('y', yPos);
-            titleText.setAttribute('text-anchor', 'middle');
-            titleText.setAttribute('style', `font-size: ${fontSize}px;`);
-            titleText.textContent = this.title;
-            svg.appendChild(titleText);
-            yPos += fontSize + 5; // タイトルの下にスペース
-        }
+        // 右スケールの線を描画: (1,0)から(1,1)へ
+        const rightYAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        rightYAxisLine.setAttribute('x1', plotArea.topRightX);
+        rightYAxisLine.setAttribute('y1', plotArea.originY);
+        rightYAxisLine.setAttribute('x2', plotArea.topRightX);
+        rightYAxisLine.setAttribute('y2', plotArea.topRightY);
+        rightYAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        rightYAxisLine.setAttribute('stroke-width', '1');
+        svg.appendChild(rightYAxisLine);
 
-        // サブタイトルを描画
-        if (this.subtitle) {
-            const subtitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            subtitleText.setAttribute('class', 'chart-text');
-            subtitleText.setAttribute('x', centerX);
-            subtitleText.setAttribute('y', yPos);
-            subtitleText.setAttribute('text-anchor', 'middle');
-            subtitleText.setAttribute('style', `font-size: ${fontSize}px;`);
-            subtitleText.textContent = this.subtitle;
-            svg.appendChild(subtitleText);
-        }
+        // 右スケールのスケールを取得（副軸）
+        const secondaryScale = this.getYAxisScale(dateChart, true);
+        const secondAxisFormat = dateChart.getAxisFormat(true);
+        const plotHeight = plotArea.height;
 
-        // 凡例を描画
-        this.renderLegend(svg);
+        // 各ラベルの位置を計算して目盛り線とラベルを描画
+        for (const labelValue of secondaryScale.labels) {
+            // ラベルの値を軸の下端から上端までの範囲で正規化（0.0から1.0、対数軸の場合は対数で）
+            const ratio = AxisScale.getValueRatio(labelValue, secondaryScale);
+            
+            // 実際のY座標を計算（下から上に向かって）
+            // 原点が下なので、1.0 - ratioで反転
+            const y = plotArea.originY - ratio * plotHeight;
 
-        // 円グラフがある場合は円グラフを描画
-        if (this.pieCharts && this.pieCharts.length > 0) {
-            this.renderPieCharts(svg);
-        } else if (this.histogramCharts && this.histogramCharts.length > 0) {
-            // ヒストグラムがある場合はヒストグラムを描画
-            const plotArea = this.calculateHistogramPlotArea();
-            this.renderHistogram(svg, plotArea);
-        } else {
-            // 日付チャートがある場合は日付チャートを描画
-            const plotArea = this.calculatePlotArea();
-            if (plotArea) {
-                this.renderPlotAreaOrigin(svg, plotArea);
-                
-                // X軸スケールを描画
-                this.renderXAxis(svg, plotArea);
-                
-                // Y軸スケールを描画
-                this.renderYAxis(svg, plotArea);
-                
-                // 右スケール（副軸）を描画
-                this.renderRightYAxis(svg, plotArea);
+            // 目盛り線を描画（右スケールの右側に短い線）
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', plotArea.topRightX);
+            tickLine.setAttribute('y1', y);
+            tickLine.setAttribute('x2', plotArea.topRightX + tickLineLength);
+            tickLine.setAttribute('y2', y);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', '1');
+            svg.appendChild(tickLine);
 
-                // グリッド線を描画（軸の後、データ系列の前）
-                this.renderDateChartGrid(svg, plotArea);
+            // ラベルを描画（目盛り線の右側）
+            const formattedLabel = this.formatAxisLabel(labelValue, secondAxisFormat, secondaryScale);
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', plotArea.topRightX + tickLineLength + labelMargin);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', 'start');
+            labelText.setAttribute('dominant-baseline', 'middle');
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = formattedLabel;
+            svg.appendChild(labelText);
+        }
 
-                // 棒グラフを描画（先に追加した系列が上に来るように、先に描画する）
-                this.renderBars(svg, plotArea);
+        // 対数軸の補助目盛りを描画（ラベルなしの短い線）
+        this.renderMinorTicks(svg, secondaryScale, plotArea, plotArea.topRightX, 1);
 
-                // 線グラフを描画（先に追加した系列が上に来るように、後に描画する）
-                this.renderLines(svg, plotArea);
+        // 右スケールの単位を表示（(1,1)の上の延長線上、サブタイトルと同じY座標）
+        if (dateChart.secondAxisScale) {
+            // サブタイトルのY座標を計算（複数パネルの場合は描画エリアの上）
+            const topMargin = 10;
+            let subtitleY = fontSize + topMargin;
+            if (this.title) {
+                subtitleY += fontSize + 5;
+            }
+            if (plotArea.panel && !plotArea.panel.fullCanvas) {
+                subtitleY = plotArea.topRightY - labelMargin * 2;
             }
-        }
 
-        // コンテナに追加（DOMモードの場合のみ）
-        if (this.container) {
-            this.container.appendChild(svg);
+            const unitText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            unitText.setAttribute('class', 'chart-text');
+            unitText.setAttribute('x', plotArea.topRightX);
+            unitText.setAttribute('y', subtitleY);
+            unitText.setAttribute('text-anchor', 'start');
+            unitText.setAttribute('style', `font-size: ${fontSize}px;`);
+            unitText.textContent = `(${dateChart.secondAxisScale})`;
+            svg.appendChild(unitText);
         }
-        
-        // 現在のSVG要素を保存（後で取得できるように）
-        this.currentSvg = svg;
     }
 
     /**
-     * 現在のSVG要素を取得
-     * @returns {SVGElement|VirtualSVGElement|null} SVG要素
+     * DateChartのグリッド線を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
      */
-    getSVGElement() {
-        if (this.container) {
-            return this.container.querySelector('svg') || this.currentSvg || null;
+    renderDateChartGrid(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
         }
-        return this.currentSvg || null;
-    }
 
-    /**
-     * SVGを文字列として取得
-     * @returns {string} SVGの文字列表現
-     */
-    getSVGString() {
-        const svg = this.getSVGElement();
-        if (!svg) {
-            return '';
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const gridColor = this.theme.colors.grid;
+        const gridStrokeWidth = 1;
+        const gridDashArray = '2,2'; // 破線
+
+        // X軸のグリッド線を描画
+        if (dateChart.xGrid) {
+            // X軸のスケールラベル位置にグリッド線を描画
+            const dateRangeInfo = this.getDateRange(dateChart);
+
+            if (dateRangeInfo) {
+                const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+
+                // データの期間に応じて目盛りを決定
+                const { ticks } = this.getXAxisTicks(dateRangeInfo, plotArea.width, dateChart);
+
+                for (const { value: dateValue } of ticks) {
+                    const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+                    const x = plotArea.originX + ratio * plotArea.width;
+
+                    const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                    gridLine.setAttribute('x1', x);
+                    gridLine.setAttribute('y1', plotArea.topRightY);
+                    gridLine.setAttribute('x2', x);
+                    gridLine.setAttribute('y2', plotArea.originY);
+                    gridLine.setAttribute('stroke', gridColor);
+                    gridLine.setAttribute('stroke-width', gridStrokeWidth);
+                    gridLine.setAttribute('stroke-dasharray', gridDashArray);
+                    svg.appendChild(gridLine);
+                }
+            }
         }
-        
-        // SVG要素をクローン
-        const clonedSvg = svg.cloneNode(true);
-        
-        // XML文字列に変換
-        let svgString;
-        if (clonedSvg instanceof VirtualSVGElement) {
-            // 仮想DOM要素の場合は直接XML文字列を生成
-            svgString = clonedSvg.toXMLString();
-        } else if (typeof XMLSerializer !== 'undefined') {
-            // ブラウザ環境の場合はXMLSerializerを使用
-            const serializer = new XMLSerializer();
-            svgString = serializer.serializeToString(clonedSvg);
-        } else {
-            // フォールバック: 手動でXML文字列を構築
-            svgString = clonedSvg.outerHTML || '';
+
+        // Y軸のグリッド線を描画（主軸）
+        if (dateChart.yGrid) {
+            const primaryScale = this.getYAxisScale(dateChart, false);
+            const plotHeight = plotArea.height;
+
+            for (const labelValue of primaryScale.labels) {
+                const ratio = AxisScale.getValueRatio(labelValue, primaryScale);
+                const y = plotArea.originY - ratio * plotHeight;
+
+                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                gridLine.setAttribute('x1', plotArea.originX);
+                gridLine.setAttribute('y1', y);
+                gridLine.setAttribute('x2', plotArea.topRightX);
+                gridLine.setAttribute('y2', y);
+                gridLine.setAttribute('stroke', gridColor);
+                gridLine.setAttribute('stroke-width', gridStrokeWidth);
+                gridLine.setAttribute('stroke-dasharray', gridDashArray);
+                svg.appendChild(gridLine);
+            }
         }
-        
-        // XML宣言を追加
-        return '<?xml version="1.0" encoding="UTF-8"?>\n' + svgString;
     }
 
     /**
-     * SVGをファイルとしてダウンロード
-     * @param {string} filename - ファイル名（デフォルト: 'chart.svg'）
+     * DateChartの注釈を描画
+     * - 'background': 目標帯・期間の網掛け（グリッド線の下に描画する）
+     * - 'foreground': 基準線・イベントのマーカー（棒グラフの上、線グラフの下に描画する）
+     * 軸の範囲外の注釈は描画せず、一部が範囲外の網掛けは範囲内に切り詰める
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {string} layer - 描画する層（'background'または'foreground'）
      */
-    downloadSVG(filename = 'chart.svg') {
-        const svgString = this.getSVGString();
-        if (!svgString) {
-            console.error('SVGが生成されていません。先にrender()を呼び出してください。');
+    renderDateChartAnnotations(svg, plotArea, layer) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
             return;
         }
-        
-        // Blobを作成
-        const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        
-        // ダウンロードリンクを作成してクリック
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // URLを解放
-        URL.revokeObjectURL(url);
-    }
 
-    /**
-     * SVGをサーバーにアップロード
-     * @param {string} filename - サーバー側のファイル名（デフォルト: 'chart.svg'）
-     * @returns {Promise<string>} アップロード結果のメッセージ
-     */
-    async uploadSVG(filename = 'chart.svg') {
-        const svgString = this.getSVGString();
-        if (!svgString) {
-            throw new Error('SVGが生成されていません。先にrender()を呼び出してください。');
-        }
-        
-        // FormDataを作成
-        const formData = new FormData();
-        const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-        formData.append('svg', blob, filename);
-        
-        // サーバーにアップロード
-        const response = await fetch('/upload-svg', {
-            method: 'POST',
-            body: formData
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`アップロードに失敗しました: ${response.status} ${errorText}`);
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const types = layer === 'background' ? ['band', 'dateRangeShade'] : ['horizontalLine', 'verticalMarker'];
+        const annotations = dateChart.annotations.filter(annotation => types.includes(annotation.type));
+        if (annotations.length === 0) {
+            return;
         }
-        
-        const result = await response.json();
-        return result.message || 'アップロード成功';
-    }
 
-    /**
-     * 数値をフォーマット（カンマ区切りなど）
-     * @param {number} value - 数値
-     * @param {string} format - フォーマット文字列（例: '#,##0', '#,##0%'）
-     * @returns {string} フォーマットされた文字列
-     */
-    formatNumber(value, format) {
-        if (format === undefined || format === '') {
-            return String(value);
-        }
+        const fontSize = this.theme.fontSize.small;
+        const dashArrays = { solid: null, dashed: '5,5', dotted: '2,2' };
 
-        // パーセンテージの場合
-        if (format.includes('%')) {
-            const percentage = value * 100;
-            const numFormat = format.replace('%', '');
-            const formatted = this.formatNumber(percentage, numFormat);
-            return formatted + '%';
-        }
+        // 値からY座標を計算（軸の範囲外の場合はnull）
+        const getY = (value, axis) => {
+            const scale = this.getYAxisScale(dateChart, axis === 'secondary');
+            if (!scale || scale.labels.length === 0 || scale.max <= scale.min) return null;
+            if (value < scale.min || value > scale.max || (scale.type === 'log' && value <= 0)) return null;
+            return plotArea.originY - AxisScale.getValueRatio(value, scale) * plotArea.height;
+        };
 
-        // カンマ区切りの処理
-        let formatted = String(Math.round(value));
-        
-        // カンマ区切りを追加
-        if (format.includes(',')) {
-            formatted = formatted.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-        }
+        // 日付の数値からX座標を計算（データがない場合はnull）
+        const dateRangeInfo = this.getDateRange(dateChart);
+        const getX = dateValue => {
+            if (!dateRangeInfo) return null;
+            const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+            const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+            return plotArea.originX + ratio * plotArea.width;
+        };
+
+        // ラベルを描画
+        const appendLabel = (parent, text, x, y, anchor, baseline, color) => {
+            if (!text) return;
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', x);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', anchor);
+            if (baseline) {
+                labelText.setAttribute('dominant-baseline', baseline);
+            }
+            labelText.setAttribute('style', `font-size: ${fontSize}px; fill: ${color};`);
+            labelText.textContent = text;
+            parent.appendChild(labelText);
+        };
+
+        // 線を描画
+        const appendLine = (parent, x1, y1, x2, y2, annotation) => {
+            const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', annotation.color);
+            line.setAttribute('stroke-width', annotation.lineWidth);
+            if (dashArrays[annotation.style]) {
+                line.setAttribute('stroke-dasharray', dashArrays[annotation.style]);
+            }
+            parent.appendChild(line);
+        };
 
-        return formatted;
+        // 矩形（網掛け）を描画
+        const appendRect = (parent, x, y, width, height, annotation) => {
+            const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('x', x);
+            rect.setAttribute('y', y);
+            rect.setAttribute('width', width);
+            rect.setAttribute('height', height);
+            rect.setAttribute('fill', annotation.color);
+            rect.setAttribute('fill-opacity', annotation.opacity);
+            parent.appendChild(rect);
+        };
+
+        for (const annotation of annotations) {
+            if (annotation.type === 'horizontalLine') {
+                const y = getY(annotation.value, annotation.axis);
+                if (y === null) continue;
+                const group = this.createSeriesGroup(svg, `基準線 ${annotation.label || annotation.value}`);
+                appendLine(group, plotArea.originX, y, plotArea.topRightX, y, annotation);
+                appendLabel(group, annotation.label, plotArea.topRightX - 5, y - 3, 'end', null, annotation.color);
+            } else if (annotation.type === 'band') {
+                const scale = this.getYAxisScale(dateChart, annotation.axis === 'secondary');
+                if (!scale || scale.labels.length === 0 || scale.max <= scale.min) continue;
+                const from = Math.max(annotation.from, scale.min);
+                const to = Math.min(annotation.to, scale.max);
+                if (from > to) continue;
+                const fromY = getY(from, annotation.axis);
+                const toY = getY(to, annotation.axis);
+                if (fromY === null || toY === null) continue;
+                const group = this.createSeriesGroup(svg, `目標帯 ${annotation.label || `${annotation.from}〜${annotation.to}`}`);
+                appendRect(group, plotArea.originX, toY, plotArea.width, fromY - toY, annotation);
+                appendLabel(group, annotation.label, plotArea.originX + 5, toY + 3, 'start', 'hanging', annotation.color);
+            } else if (annotation.type === 'verticalMarker') {
+                const x = getX(this.parseDate(annotation.date));
+                if (x === null || x < plotArea.originX || x > plotArea.topRightX) continue;
+                const group = this.createSeriesGroup(svg, `イベント ${annotation.label || this.formatDateToYYYYMMDD(annotation.date)}`);
+                appendLine(group, x, plotArea.topRightY, x, plotArea.originY, annotation);
+                // 右端に近い場合はラベルを線の左に表示する（期間の網掛けのラベルと重ならないように2行目に表示する）
+                const isNearRightEdge = plotArea.topRightX - x < plotArea.width * 0.2;
+                appendLabel(group, annotation.label, isNearRightEdge ? x - 3 : x + 3, plotArea.topRightY + fontSize + 6,
+                    isNearRightEdge ? 'end' : 'start', 'hanging', annotation.color);
+            } else if (annotation.type === 'dateRangeShade') {
+                // 日付のみの場合は各日の幅全体（前後0.5日）を網掛けする
+                const startValue = this.parseDate(annotation.start) - (annotation.start.length === 8 ? 0.5 : 0);
+                const endValue = this.parseDate(annotation.end) + (annotation.end.length === 8 ? 0.5 : 0);
+                const startX = getX(startValue);
+                const endX = getX(endValue);
+                if (startX === null || endX === null) continue;
+                const x1 = Math.max(startX, plotArea.originX);
+                const x2 = Math.min(endX, plotArea.topRightX);
+                if (x1 >= x2) continue;
+                const group = this.createSeriesGroup(svg, `期間 ${annotation.label || `${this.formatDateToYYYYMMDD(annotation.start)}〜${this.formatDateToYYYYMMDD(annotation.end)}`}`);
+                appendRect(group, x1, plotArea.topRightY, x2 - x1, plotArea.height, annotation);
+                appendLabel(group, annotation.label, (x1 + x2) / 2, plotArea.topRightY + 3, 'middle', 'hanging', annotation.color);
+            }
+        }
     }
 
     /**
-     * 描画エリアの位置を計算
-     * @returns {Object} 描画エリアの情報 {originX, originY, topRightX, topRightY, width, height}
+     * 日付をグループ化（連続する日付をグループ化）
+     * @param {string[]} dates - 日付の配列（'YYYYMMDD'形式）
+     * @returns {Array<Array<string>>} グループ化された日付の配列
      */
-    calculatePlotArea() {
-        if (!this.dateCharts || this.dateCharts.length === 0) {
-            return null;
+    groupDates(dates) {
+        if (dates.length === 0) {
+            return [];
         }
 
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const metrics = this.measureFontMetrics(fontSize);
-        const leftMargin = 20;
-        const bottomMargin = 20;
-        const topMargin = 10; // 上のマージン（タイトルの上）
-        const tickLineLength = 5;
-        const titleMargin = 20; // 描画エリアとタイトルのマージン
-        const legendMargin = 20; // 凡例の右マージン
-        const legendScaleGap = 20; // 凡例とスケールの間のマージン
-
-        const dateChart = this.dateCharts[0];
-
-        // Y軸のスケールを取得
-        const primaryScale = dateChart.calculateYAxisScale(false);
-        const secondaryScale = dateChart.secondAxis ? 
-            dateChart.calculateYAxisScale(true) : null;
-
-        // Y軸のラベルをフォーマットして最大幅を計算
-        let maxYLabelWidth = 0;
-        const yAxisFormat = dateChart.yAxisFormat || '#,##0';
-        
-        for (const label of primaryScale.labels) {
-            const formatted = this.formatNumber(label, yAxisFormat);
-            const width = this.getTextWidth(formatted, fontSize);
-            if (width > maxYLabelWidth) {
-                maxYLabelWidth = width;
-            }
+        // 最初の日付を正規化
+        let firstDate = dates[0];
+        if (firstDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
+            firstDate = firstDate.replace(/-/g, '');
+        } else if (firstDate.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+            firstDate = firstDate.replace(/\//g, '');
         }
+        
+        const groups = [];
+        let currentGroup = [dates[0]];
+        let currentYear = firstDate.substring(0, 4);
+        let currentMonth = firstDate.substring(4, 6);
 
-        // 副軸がある場合も考慮
-        let maxRightScaleLabelWidth = 0;
-        if (secondaryScale) {
-            const secondAxisFormat = dateChart.secondAxisFormat || '#,##0';
-            for (const label of secondaryScale.labels) {
-                const formatted = this.formatNumber(label, secondAxisFormat);
-                const width = this.getTextWidth(formatted, fontSize);
-                if (width > maxRightScaleLabelWidth) {
-                    maxRightScaleLabelWidth = width;
-                }
+        for (let i = 1; i < dates.length; i++) {
+            const date = dates[i];
+            // 日付を正規化
+            let normalizedDate = date;
+            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+                normalizedDate = date.replace(/-/g, '');
+            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+                normalizedDate = date.replace(/\//g, '');
             }
-        }
+            const year = normalizedDate.substring(0, 4);
+            const month = normalizedDate.substring(4, 6);
+            const prevDate = dates[i - 1];
+            const prevDateValue = this.parseDate(prevDate);
+            const currentDateValue = this.parseDate(date);
 
-        // 凡例の左端を計算
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const legendItemHeight = 25;
-        const iconWidth = 30;
-        const iconLabelGap = 10;
-        const legendPadding = 10;
-        
-        // 凡例項目を収集して最大ラベル幅を計算
-        const legendItems = [];
-        for (const dc of this.dateCharts) {
-            for (const line of dc.lines) {
-                if (line.title) legendItems.push({ title: line.title });
-            }
-            for (const bar of dc.bars) {
-                if (bar.title) legendItems.push({ title: bar.title });
-            }
-        }
-        
-        let maxLegendLabelWidth = 0;
-        for (const item of legendItems) {
-            const width = this.getTextWidth(item.title, legendFontSize);
-            if (width > maxLegendLabelWidth) {
-                maxLegendLabelWidth = width;
+            // 連続する日付で、同じ年・月の場合は同じグループ
+            if (currentDateValue === prevDateValue + 1 && year === currentYear && month === currentMonth) {
+                currentGroup.push(date);
+            } else {
+                // 新しいグループを開始
+                groups.push(currentGroup);
+                currentGroup = [date];
+                currentYear = year;
+                currentMonth = month;
             }
         }
-        
-        const legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
-        const legendLeftX = this.width - legendAreaWidth - legendMargin;
+        groups.push(currentGroup);
 
-        // 原点のX座標: 左端から、左マージン + 最大ラベル幅 + 目盛り線の長さ
-        const originX = leftMargin + maxYLabelWidth + tickLineLength;
+        return groups;
+    }
 
-        // 原点のY座標: 下端から、下マージン + 文字の高さ（1行目）+ 文字の高さ（2行目）+ ラベルと目盛り線の間隔 + 目盛り線の高さ
-        const labelMargin = 5; // ラベルと目盛り線の間隔
-        const originY = this.height - bottomMargin - metrics.height * 2 - labelMargin - tickLineLength;
+    /**
+     * 日付グループのラベルを2段でフォーマット
+     * @param {string[]} dateGroup - 日付のグループ（'YYYYMMDD'形式の配列）
+     * @returns {Object} {firstLine: string, secondLine: string} 1行目と2行目のラベル
+     */
+    formatDateGroupLabelTwoLines(dateGroup) {
+        if (dateGroup.length === 0) {
+            return { firstLine: '', secondLine: '' };
+        }
 
-        // 右上(1,1)のX座標を計算
-        let topRightX;
-        if (secondaryScale) {
-            // 右スケールがある場合: 凡例の左端 - 凡例とスケールの間のマージン - 右スケールの最大ラベル幅 - 目盛り線の長さ
-            topRightX = legendLeftX - legendScaleGap - maxRightScaleLabelWidth - tickLineLength;
-        } else {
-            // 右スケールがない場合: 凡例の左端 - 凡例の左のマージン
-            topRightX = legendLeftX - legendMargin;
+        const firstDate = dateGroup[0];
+        // 日付を正規化
+        let normalizedFirstDate = firstDate;
+        if (firstDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
+            normalizedFirstDate = firstDate.replace(/-/g, '');
+        } else if (firstDate.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+            normalizedFirstDate = firstDate.replace(/\//g, '');
         }
+        const firstYear = normalizedFirstDate.substring(0, 4);
+        const firstMonth = normalizedFirstDate.substring(4, 6);
+        const firstDay = normalizedFirstDate.substring(6, 8);
 
-        // 右上(1,1)のY座標を計算
-        // 上のマージン + タイトル文字の高さ + サブタイトル文字の高さ + 描画エリアとタイトルのマージン
-        let topRightY = topMargin;
-        if (this.title) {
-            topRightY += metrics.height;
-            if (this.subtitle) {
-                topRightY += fontSize + 5; // タイトルとサブタイトルの間隔（fontSize + 5px）
+        // 1行目: 最初の日付の年/月/日
+        const firstLine = `${firstYear}/${firstMonth}/${firstDay}`;
+        
+        // 2行目: 2つ目以降の日付（日付のみ2桁）
+        let secondLine = '';
+        let prevYear = firstYear;
+        let prevMonth = firstMonth;
+
+        for (let i = 1; i < dateGroup.length; i++) {
+            const date = dateGroup[i];
+            // 日付を正規化
+            let normalizedDate = date;
+            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+                normalizedDate = date.replace(/-/g, '');
+            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+                normalizedDate = date.replace(/\//g, '');
             }
-        }
-        if (this.subtitle && !this.title) {
-            topRightY += metrics.height;
-        }
-        topRightY += titleMargin;
+            const year = normalizedDate.substring(0, 4);
+            const month = normalizedDate.substring(4, 6);
+            const day = normalizedDate.substring(6, 8);
 
-        return {
-            originX,
-            originY,
-            topRightX,
-            topRightY,
-            width: topRightX - originX,
-            height: originY - topRightY
-        };
-    }
+            // 年が変わった場合
+            if (year !== prevYear) {
+                secondLine += (secondLine ? ' ' : '') + `${year}/${month}/${day}`;
+                prevYear = year;
+                prevMonth = month;
+            }
+            // 月が変わった場合
+            else if (month !== prevMonth) {
+                secondLine += (secondLine ? ' ' : '') + `${month}/${day}`;
+                prevMonth = month;
+            }
+            // 同じ年・月の場合: 日付だけ2桁
+            else {
+                secondLine += (secondLine ? ' ' : '') + day;
+            }
+        }
 
-    /**
-     * 描画エリアの原点と右上を計算（バツは描画しない）
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
-     */
-    renderPlotAreaOrigin(svg, plotArea) {
-        // バツの描画は削除
+        return { firstLine, secondLine };
     }
 
     /**
-     * 日付文字列（YYYYMMDD形式）をDateオブジェクトに変換
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {Date} Dateオブジェクト
+     * 日付文字列（YYYYMMDD形式）を数値に変換
+     * 日時（YYYYMMDDHHmmss形式、ISO 8601形式など）の場合は時刻を日の端数として含める
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）または日時文字列
+     * @returns {number} 日付の数値表現（基準日からの経過日数）
      */
-    parseDateToDate(dateStr) {
-        const year = parseInt(dateStr.substring(0, 4), 10);
-        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // 月は0始まり
-        const day = parseInt(dateStr.substring(6, 8), 10);
-        return new Date(year, month, day);
+    parseDate(dateStr) {
+        // 日付をYYYYMMDD形式（日時の場合はYYYYMMDDHHmmss形式）に正規化
+        const normalizedDate = normalizeDate(dateStr);
+        
+        // YYYYMMDD形式を解析
+        const year = parseInt(normalizedDate.substring(0, 4), 10);
+        const month = parseInt(normalizedDate.substring(4, 6), 10) - 1; // 月は0始まり
+        const day = parseInt(normalizedDate.substring(6, 8), 10);
+        
+        // 基準日（2000-01-01）からの経過日数に変換（夏時間の影響を受けないようにUTCで計算）
+        const diffTime = Date.UTC(year, month, day) - Date.UTC(2000, 0, 1);
+        const diffDays = Math.round(diffTime / ChartCanvas.MILLISECONDS_PER_DAY);
+        
+        // 日時の場合は時刻を日の端数として加える
+        if (normalizedDate.length === 14) {
+            const hours = parseInt(normalizedDate.substring(8, 10), 10);
+            const minutes = parseInt(normalizedDate.substring(10, 12), 10);
+            const seconds = parseInt(normalizedDate.substring(12, 14), 10);
+            return diffDays + (hours * 3600 + minutes * 60 + seconds) / 86400;
+        }
+        
+        return diffDays;
     }
 
     /**
-     * 日付が日曜日かどうかを判定
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {boolean} 日曜日の場合true
+     * 基準日からの経過分数を日時文字列に変換（parseDateの逆変換）
+     * @param {number} minutes - 基準日（2000-01-01）からの経過分数
+     * @returns {string} 'YYYYMMDDHHmmss'形式の日時文字列
      */
-    isSunday(dateStr) {
-        const date = this.parseDateToDate(dateStr);
-        return date.getDay() === 0; // 0が日曜日
+    formatMinutesToDateTime(minutes) {
+        const date = new Date(Date.UTC(2000, 0, 1) + Math.round(minutes) * 60 * 1000);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
     }
 
     /**
-     * 日付が月初の1日かどうかを判定
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {boolean} 月初の1日の場合true
+     * 日付文字列が時刻を含むかどうかを判定
+     * @param {string} dateStr - 日付文字列
+     * @returns {boolean} 時刻を含む場合true
      */
-    isFirstDayOfMonth(dateStr) {
-        const day = dateStr.substring(6, 8);
-        return day === '01';
+    isDateTime(dateStr) {
+        return typeof dateStr === 'string' && normalizeDate(dateStr).length === 14;
     }
 
     /**
-     * 日付文字列（YYYYMMDD形式）をyyyy/MM/dd形式に変換
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {string} yyyy/MM/dd形式の日付文字列
+     * 線グラフを描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
      */
-    formatDateToYYYYMMDD(dateStr) {
-        // YYYY-MM-DD形式またはYYYY/MM/DD形式の場合は正規化
-        let normalized = dateStr;
-        if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            normalized = dateStr.replace(/-/g, '');
-        } else if (dateStr.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            normalized = dateStr.replace(/\//g, '');
-        }
-        
-        // YYYYMMDD形式を期待
-        if (normalized.match(/^\d{8}$/)) {
-            const year = normalized.substring(0, 4);
-            const month = normalized.substring(4, 6);
-            const day = normalized.substring(6, 8);
-            return `${year}/${month}/${day}`;
+    renderLines(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
         }
-        
-        // フォールバック: そのまま返す
-        return dateStr;
-    }
 
-    /**
-     * 3ヶ月データ用に表示する日付をフィルタリング
-     * @param {string[]} sortedDates - ソート済みの日付配列
-     * @returns {string[]} フィルタリングされた日付配列
-     */
-    filterDatesForThreeMonths(sortedDates) {
-        if (sortedDates.length === 0) {
-            return [];
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+
+        // すべての日付を収集してX軸の範囲を計算
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
         }
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
 
-        const filteredDates = [];
-        const firstDate = sortedDates[0];
-        const lastDate = sortedDates[sortedDates.length - 1];
+        // Y軸のスケールを取得（主軸と副軸）
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ? 
+            this.getYAxisScale(dateChart, true) : null;
 
-        // 最初の日は必ず追加
-        filteredDates.push(firstDate);
+        // 線グラフを正順に描画（先に追加した系列が上に来るようにする）
+        // つまり、lines配列を正順に処理する
+        for (let i = 0; i < dateChart.lines.length; i++) {
+            const line = dateChart.lines[i];
+            
+            if (line.getData().length === 0) {
+                continue; // データがない場合はスキップ
+            }
 
-        // 中間の日付をフィルタリング
-        for (let i = 1; i < sortedDates.length - 1; i++) {
-            const date = sortedDates[i];
-            // 月初の1日または日曜日の場合は追加
-            if (this.isFirstDayOfMonth(date) || this.isSunday(date)) {
-                filteredDates.push(date);
+            // データを日付でソート
+            const sortedData = [...line.getData()].sort((a, b) => 
+                a.date.localeCompare(b.date)
+            );
+
+            // データポイントの座標を計算
+            const points = [];
+            const scale = line.secondAxis ? secondaryScale : primaryScale;
+            
+            if (!scale || scale.max <= scale.min) {
+                continue; // スケールが無効な場合はスキップ
+            }
+
+            for (const item of sortedData) {
+                const dateValue = this.parseDate(item.date);
+                
+                // X座標を計算（拡張された範囲で0.0から1.0の範囲）
+                const xRatio = extendedDateRange > 0 ? 
+                    (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+                const x = plotArea.originX + xRatio * plotArea.width;
+
+                // 値がnull（欠損）、または対数軸で0以下の場合は線を途切れさせる
+                if (item.value === null || (scale.type === 'log' && item.value <= 0)) {
+                    points.push({ x, y: null, comment: '', value: null, date: item.date, filled: !!item.filled, item });
+                    continue;
+                }
+
+                // Y座標を計算（値から0.0から1.0の範囲に正規化、対数軸の場合は対数で）
+                const yRatio = AxisScale.getValueRatio(item.value, scale);
+                // 原点が下なので、1.0 - yRatioで反転
+                const y = plotArea.originY - yRatio * plotArea.height;
+
+                points.push({ x, y, comment: item.tooltip || '', value: item.value, date: item.date, filled: !!item.filled, item });
+            }
+
+            if (points.length === 0) {
+                continue; // ポイントがない場合はスキップ
+            }
+
+            // パスデータを生成（値がnullの点で区切り、区間ごとにMで始める）
+            const buildPathData = pathPoints => {
+                let pathData = '';
+                let isSegmentStarted = false;
+                for (const point of pathPoints) {
+                    if (point.value === null) {
+                        isSegmentStarted = false;
+                        continue;
+                    }
+                    pathData += (pathData ? ' ' : '') + `${isSegmentStarted ? 'L' : 'M'} ${point.x} ${point.y}`;
+                    isSegmentStarted = true;
+                }
+                return pathData;
+            };
+
+            // 予測の開始日がある場合は、予測の開始日の直前の点から後を別のパス（破線）にする
+            const forecastIndex = line.forecastStart ? points.findIndex(point => line.isForecast(point.date)) : -1;
+            const pathData = buildPathData(forecastIndex >= 0 ? points.slice(0, forecastIndex) : points);
+            const forecastPathData = forecastIndex >= 0 ? buildPathData(points.slice(Math.max(0, forecastIndex - 1))) : '';
+            if (!pathData && !forecastPathData) {
+                continue; // 描画できる点がない場合はスキップ
             }
-        }
 
-        // 最後の日は必ず追加（最初の日と同じでない場合）
-        if (lastDate !== firstDate) {
-            filteredDates.push(lastDate);
-        }
+            // 系列のグループ（線・マーカー・コメントをまとめ、系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeDateSeries(line, i, 'line', dateChart));
 
-        return filteredDates;
-    }
+            // 不透明度を設定（前期比較の系列など、1未満の場合のみ）
+            if (line.opacity !== undefined && line.opacity < 1) {
+                seriesGroup.setAttribute('opacity', line.opacity);
+            }
 
-    /**
-     * 1年データ用に表示する日付をフィルタリング
-     * @param {string[]} sortedDates - ソート済みの日付配列
-     * @returns {string[]} フィルタリングされた日付配列
-     */
-    filterDatesForOneYear(sortedDates) {
-        if (sortedDates.length === 0) {
-            return [];
-        }
+            // 線を描画（path要素を使用、予測の部分は線の種類によらず破線）
+            for (const [d, lineType] of [[pathData, line.lineType], [forecastPathData, 'dashed']]) {
+                if (!d) {
+                    continue;
+                }
+                const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                path.setAttribute('d', d);
+                path.setAttribute('stroke', line.color || 'black');
+                path.setAttribute('stroke-width', line.lineWidth || 2);
+                path.setAttribute('fill', 'none');
 
-        const filteredDates = [];
-        const firstDate = sortedDates[0];
-        const lastDate = sortedDates[sortedDates.length - 1];
+                // 線の種類を設定
+                if (lineType === 'dashed') {
+                    path.setAttribute('stroke-dasharray', '5,5');
+                } else if (lineType === 'dotted') {
+                    path.setAttribute('stroke-dasharray', '2,2');
+                }
+                // 'solid'の場合は何も設定しない（デフォルト）
 
-        // 最初の日は必ず追加
-        filteredDates.push(firstDate);
+                seriesGroup.appendChild(path);
+            }
 
-        // 中間の日付をフィルタリング
-        for (let i = 1; i < sortedDates.length - 1; i++) {
-            const date = sortedDates[i];
-            // 月初の1日のみを追加（月毎）
-            if (this.isFirstDayOfMonth(date)) {
-                filteredDates.push(date);
+            // マーカーを描画（showMarkersがtrueの場合、補完した点はshowFilledMarkersがtrueの場合も）
+            for (let j = 0; j < points.length; j++) {
+                const point = points[j];
+                if (point.value === null) {
+                    continue;
+                }
+                const isFilledMarker = point.filled && line.showFilledMarkers;
+                if (line.showMarkers || isFilledMarker) {
+                    const format = dateChart.yAxisFormat || '#,##0';
+                    const detail = this.formatRangeDetail(line, point.item, format) + this.formatComparisonDetail(line, point.item, format, dateChart);
+                    this.renderMarker(seriesGroup, point.x, point.y, point.value, point.date, point.comment, line.color || 'black', dateChart, isFilledMarker, detail);
+                }
             }
-        }
 
-        // 最後の日は必ず追加（最初の日と同じでない場合）
-        if (lastDate !== firstDate) {
-            filteredDates.push(lastDate);
+            // コメントを描画
+            for (let j = 0; j < points.length; j++) {
+                const point = points[j];
+                if (point.comment) {
+                    this.renderComment(seriesGroup, plotArea, point.x, point.y, point.comment, line.color || 'black');
+                }
+            }
         }
-
-        return filteredDates;
     }
 
     /**
-     * X軸スケールを描画
+     * 面グラフを描画
+     * 0（積み上げの場合は下の系列の上端）から値までを塗りつぶした多角形と、上端の線を描画する
+     * 値がnull（欠損）の点で面を区切り、区間ごとに描画する
      * @param {SVGElement} svg - SVG要素
      * @param {Object} plotArea - 描画エリアの情報
      */
-    renderXAxis(svg, plotArea) {
+    renderAreas(svg, plotArea) {
         if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
             return;
         }
 
-        const dateChart = this.dateCharts[0];
-        const tickLineLength = 5; // 目盛り線の長さ
-        const fontSize = ChartCanvas.FONT_SIZE_SMALL;
-        const labelMargin = 5; // ラベルと目盛り線の間隔
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        if (dateChart.areas.length === 0) {
+            return;
+        }
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
+        }
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
 
-        // X軸の線を描画: (0,0)から(1,0)へ
-        const xAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        xAxisLine.setAttribute('x1', plotArea.originX);
-        xAxisLine.setAttribute('y1', plotArea.originY);
-        xAxisLine.setAttribute('x2', plotArea.topRightX);
-        xAxisLine.setAttribute('y2', plotArea.originY);
-        xAxisLine.setAttribute('stroke', '#000');
-        xAxisLine.setAttribute('stroke-width', '1');
-        svg.appendChild(xAxisLine);
+        // Y軸のスケールと積み上げ位置を取得（主軸と副軸）
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ?
+            this.getYAxisScale(dateChart, true) : null;
+        const stackPositions = {
+            primary: dateChart.calculateAreaStackPositions(false),
+            secondary: dateChart.calculateAreaStackPositions(true)
+        };
 
-        // X軸のスケールラベルを計算（すべての系列から日付を収集）
-        const dateSet = new Set();
-        for (const line of dateChart.lines) {
-            for (const item of line.data) {
-                dateSet.add(item.date);
-            }
-        }
-        for (const bar of dateChart.bars) {
-            for (const item of bar.data) {
-                dateSet.add(item.date);
+        for (let i = 0; i < dateChart.areas.length; i++) {
+            const area = dateChart.areas[i];
+            const scale = area.secondAxis ? secondaryScale : primaryScale;
+            if (area.getData().length === 0 || !scale || scale.max <= scale.min) {
+                continue; // データがない場合・スケールが無効な場合はスキップ
             }
-        }
+            const positions = area.secondAxis ? stackPositions.secondary : stackPositions.primary;
+            const format = area.secondAxis ? (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
 
-        if (dateSet.size === 0) {
-            return; // データがない場合は何も描画しない
-        }
+            // 値がある点を区間ごとにまとめる
+            const segments = [];
+            let segment = [];
+            const sortedData = [...area.getData()].sort((a, b) => a.date.localeCompare(b.date));
+            for (const item of sortedData) {
+                const position = positions.get(item);
+                if (!position || (scale.type === 'log' && position.end <= 0)) {
+                    if (segment.length > 0) {
+                        segments.push(segment);
+                    }
+                    segment = [];
+                    continue;
+                }
+                const xRatio = extendedDateRange > 0 ?
+                    (this.parseDate(item.date) - extendedMinDateValue) / extendedDateRange : 0;
+                segment.push({
+                    item,
+                    position,
+                    x: plotArea.originX + xRatio * plotArea.width,
+                    topY: plotArea.originY - AxisScale.getValueRatio(position.end, scale) * plotArea.height,
+                    bottomY: plotArea.originY - AxisScale.getValueRatio(position.start, scale) * plotArea.height
+                });
+            }
+            if (segment.length > 0) {
+                segments.push(segment);
+            }
 
-        // 日付をソート
-        const sortedDates = Array.from(dateSet).sort();
+            // 系列のグループ（面・線をまとめ、系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeDateSeries(area, i, 'area', dateChart));
+
+            for (const points of segments) {
+                // 上端を左から右へ、下端を右から左へたどる多角形
+                const outline = [
+                    ...points.map(point => `${point.x},${point.topY}`),
+                    ...[...points].reverse().map(point => `${point.x},${point.bottomY}`)
+                ];
+                const polygon = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+                polygon.setAttribute('points', outline.join(' '));
+                polygon.setAttribute('fill', area.color || 'green');
+                polygon.setAttribute('fill-opacity', area.fillOpacity);
+                polygon.setAttribute('stroke', 'none');
+                seriesGroup.appendChild(polygon);
+
+                // 上端の線
+                if (area.lineWidth > 0) {
+                    const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                    path.setAttribute('d', points.map((point, j) => `${j === 0 ? 'M' : 'L'} ${point.x} ${point.topY}`).join(' '));
+                    path.setAttribute('stroke', area.color || 'green');
+                    path.setAttribute('stroke-width', area.lineWidth);
+                    path.setAttribute('fill', 'none');
+                    seriesGroup.appendChild(path);
+                }
 
-        // 各ラベルの位置を計算して目盛り線を描画
-        const minDate = sortedDates[0];
-        const maxDate = sortedDates[sortedDates.length - 1];
-        const minDateValue = this.parseDate(minDate);
-        const maxDateValue = this.parseDate(maxDate);
-        const dateRange = maxDateValue - minDateValue;
-        
-        // 日付の範囲を拡張して、最初と最後の日付に余裕を持たせる
-        // 最初の日付の0.5日前から最後の日付の0.5日後までの範囲でマッピング
-        const extendedMinDateValue = minDateValue - 0.5;
-        const extendedMaxDateValue = maxDateValue + 0.5;
-        const extendedDateRange = extendedMaxDateValue - extendedMinDateValue;
+                // 各点のツールチップ（透明な円、積み上げの場合は合計も表示）
+                for (const point of points) {
+                    const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                    circle.setAttribute('cx', point.x);
+                    circle.setAttribute('cy', point.topY);
+                    circle.setAttribute('r', 4);
+                    circle.setAttribute('fill', 'transparent');
+                    const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+                    let tooltipText = this.formatDateLabel(point.item.date, dateChart) + '\n' +
+                        this.formatNumber(point.item.value, format) + (point.item.filled ? ' (補完)' : '');
+                    if (point.item.tooltip && point.item.tooltip.trim()) {
+                        tooltipText += ' ' + point.item.tooltip.trim();
+                    }
+                    if (point.position.stacked) {
+                        tooltipText += '\n合計: ' + this.formatNumber(point.position.total, format);
+                    }
+                    title.textContent = tooltipText;
+                    circle.appendChild(title);
+                    seriesGroup.appendChild(circle);
+                }
+            }
 
-        // データの期間に応じてフィルタリング
-        let datesToRender = sortedDates;
-        if (dateRange >= 60 && dateRange <= 120) {
-            // 3ヶ月データ（60日〜120日）の場合は月初の1日と日曜日を表示
-            datesToRender = this.filterDatesForThreeMonths(sortedDates);
-        } else if (dateRange > 120) {
-            // 1年データ（120日超）の場合は月初の1日のみを表示（月毎）
-            datesToRender = this.filterDatesForOneYear(sortedDates);
+            // コメントを描画
+            for (const points of segments) {
+                for (const point of points) {
+                    if (point.item.tooltip) {
+                        this.renderComment(seriesGroup, plotArea, point.x, point.topY, point.item.tooltip, area.color || 'green');
+                    }
+                }
+            }
         }
+    }
 
-        // 各日付ごとに目盛り線とラベルを描画
-        let prevYear = '';
-        let prevMonth = '';
+    /**
+     * 線グラフの範囲（下限〜上限）を塗りつぶした帯として描画（LineSeries.addRangeDataを参照）
+     * 下限・上限のどちらかがない日付で帯を区切り、区間ごとに多角形を描画する
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderLineBands(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
 
-        for (let i = 0; i < datesToRender.length; i++) {
-            const date = datesToRender[i];
-            const dateValue = this.parseDate(date);
-            
-            // 日付をYYYYMMDD形式に正規化
-            let normalizedDate = date;
-            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                normalizedDate = date.replace(/-/g, '');
-            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-                normalizedDate = date.replace(/\//g, '');
-            }
-            
-            const year = normalizedDate.substring(0, 4);
-            const month = normalizedDate.substring(4, 6);
-            const day = normalizedDate.substring(6, 8);
-            
-            // 描画エリア内での位置を計算（拡張された範囲で0.0から1.0の範囲）
-            const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
-            
-            // 実際のX座標を計算
-            const x = plotArea.originX + ratio * plotArea.width;
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
+        }
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
 
-            // 目盛り線を描画
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', x);
-            tickLine.setAttribute('y1', plotArea.originY);
-            tickLine.setAttribute('x2', x);
-            tickLine.setAttribute('y2', plotArea.originY + tickLineLength);
-            tickLine.setAttribute('stroke', '#000');
-            tickLine.setAttribute('stroke-width', '1');
-            svg.appendChild(tickLine);
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ?
+            this.getYAxisScale(dateChart, true) : null;
 
-            // ラベルを描画
-            let firstLineText = day; // 1段目: 常に日付のみ
-            let secondLineText = ''; // 2段目: 最初、年・月の変わり目のみ
+        for (const line of dateChart.lines) {
+            const scale = line.secondAxis ? secondaryScale : primaryScale;
+            if (!scale || scale.max <= scale.min) {
+                continue; // スケールが無効な場合はスキップ
+            }
 
-            if (i === 0) {
-                // 最初の日付: 2段目に年/月/日
-                secondLineText = `${year}/${month}/${day}`;
-            } else {
-                // 年が変わった場合: 2段目に年/月/日
-                if (year !== prevYear) {
-                    secondLineText = `${year}/${month}/${day}`;
-                }
-                // 月が変わった場合: 2段目に月/日
-                else if (month !== prevMonth) {
-                    secondLineText = `${month}/${day}`;
+            // 下限・上限がある点を区間ごとにまとめる
+            const segments = [];
+            let segment = [];
+            const sortedData = [...line.getData()].sort((a, b) => a.date.localeCompare(b.date));
+            for (const item of sortedData) {
+                if (item.lower === null || item.lower === undefined || item.upper === null || item.upper === undefined) {
+                    if (segment.length > 0) {
+                        segments.push(segment);
+                    }
+                    segment = [];
+                    continue;
                 }
-                // 同じ年・月の場合: 2段目は何も書かない
+                const xRatio = extendedDateRange > 0 ?
+                    (this.parseDate(item.date) - extendedMinDateValue) / extendedDateRange : 0;
+                segment.push({
+                    x: plotArea.originX + xRatio * plotArea.width,
+                    lowerY: plotArea.originY - AxisScale.getValueRatio(item.lower, scale) * plotArea.height,
+                    upperY: plotArea.originY - AxisScale.getValueRatio(item.upper, scale) * plotArea.height
+                });
             }
-
-            // 1段目（日付のみ）を描画
-            const firstLineElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            firstLineElement.setAttribute('class', 'chart-text');
-            firstLineElement.setAttribute('x', x);
-            firstLineElement.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + fontSize);
-            firstLineElement.setAttribute('text-anchor', 'middle');
-            firstLineElement.setAttribute('style', `font-size: ${fontSize}px;`);
-            firstLineElement.textContent = firstLineText;
-            svg.appendChild(firstLineElement);
-
-            // 2段目（年/月/日または月/日）を描画（変わり目と最初のみ）
-            if (secondLineText) {
-                const secondLineElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-                secondLineElement.setAttribute('class', 'chart-text');
-                secondLineElement.setAttribute('x', x);
-                secondLineElement.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + fontSize * 2);
-                secondLineElement.setAttribute('text-anchor', 'middle');
-                secondLineElement.setAttribute('style', `font-size: ${fontSize}px;`);
-                secondLineElement.textContent = secondLineText;
-                svg.appendChild(secondLineElement);
+            if (segment.length > 0) {
+                segments.push(segment);
             }
 
-            prevYear = year;
-            prevMonth = month;
+            // 上限を左から右へ、下限を右から左へたどる多角形
+            for (const points of segments) {
+                const outline = [
+                    ...points.map(point => `${point.x},${point.upperY}`),
+                    ...[...points].reverse().map(point => `${point.x},${point.lowerY}`)
+                ];
+                const polygon = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+                polygon.setAttribute('points', outline.join(' '));
+                polygon.setAttribute('fill', line.bandColor || line.color || 'black');
+                polygon.setAttribute('fill-opacity', line.bandOpacity);
+                polygon.setAttribute('stroke', 'none');
+                svg.appendChild(polygon);
+            }
         }
     }
 
     /**
-     * Y軸スケールを描画
+     * 棒グラフを描画
      * @param {SVGElement} svg - SVG要素
      * @param {Object} plotArea - 描画エリアの情報
      */
-    renderYAxis(svg, plotArea) {
+    renderBars(svg, plotArea) {
         if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
             return;
         }
 
-        const dateChart = this.dateCharts[0];
-        const tickLineLength = 5; // 目盛り線の長さ
-        const fontSize = ChartCanvas.FONT_SIZE_SMALL;
-        const labelMargin = 5; // ラベルと目盛り線の間隔
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
 
-        // Y軸の線を描画: (0,0)から(0,1)へ
-        const yAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        yAxisLine.setAttribute('x1', plotArea.originX);
-        yAxisLine.setAttribute('y1', plotArea.originY);
-        yAxisLine.setAttribute('x2', plotArea.originX);
-        yAxisLine.setAttribute('y2', plotArea.topRightY);
-        yAxisLine.setAttribute('stroke', '#000');
-        yAxisLine.setAttribute('stroke-width', '1');
-        svg.appendChild(yAxisLine);
+        // すべての日付を収集してX軸の範囲を計算
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
+        }
+        const { sortedDates, extendedMinDateValue, extendedDateRange } = dateRangeInfo;
 
-        // Y軸のスケールを取得（主軸）
-        const primaryScale = dateChart.calculateYAxisScale(false);
-        const yAxisFormat = dateChart.yAxisFormat || '#,##0';
-        const plotHeight = plotArea.height;
+        // Y軸のスケールを取得（主軸と副軸）
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ? 
+            this.getYAxisScale(dateChart, true) : null;
 
-        // 各ラベルの位置を計算して目盛り線とラベルを描画
-        for (const labelValue of primaryScale.labels) {
-            // ラベルの値を0からmaxまでの範囲で正規化（0.0から1.0）
-            const ratio = primaryScale.max > 0 ? labelValue / primaryScale.max : 0;
+        // 棒グラフの幅を計算（日付の間隔に基づく）
+        const slotWidth = plotArea.width / sortedDates.length * 0.6; // 60%の幅を使用
+
+        // 表示モードに応じた棒の幅と積み上げ位置を計算
+        const barMode = DateChart.BAR_MODES.includes(dateChart.barMode) ? dateChart.barMode : 'overlay';
+        const visibleBars = dateChart.bars.filter(bar => bar.getData().length > 0);
+        const barWidth = barMode === 'grouped' && visibleBars.length > 0 ?
+            slotWidth / visibleBars.length : slotWidth;
+        const stackPositions = dateChart.isStackedBarMode() ? {
+            primary: dateChart.calculateBarStackPositions(false),
+            secondary: dateChart.calculateBarStackPositions(true)
+        } : null;
+
+        // 棒グラフを正順に描画（先に追加した系列が上に来るようにする）
+        // つまり、bars配列を正順に処理する
+        for (let i = 0; i < dateChart.bars.length; i++) {
+            const bar = dateChart.bars[i];
             
-            // 実際のY座標を計算（下から上に向かって）
-            // 原点が下なので、1.0 - ratioで反転
-            const y = plotArea.originY - ratio * plotHeight;
+            if (bar.getData().length === 0) {
+                continue; // データがない場合はスキップ
+            }
 
-            // 目盛り線を描画（Y軸の左側に短い線）
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', plotArea.originX);
-            tickLine.setAttribute('y1', y);
-            tickLine.setAttribute('x2', plotArea.originX - tickLineLength);
-            tickLine.setAttribute('y2', y);
-            tickLine.setAttribute('stroke', '#000');
-            tickLine.setAttribute('stroke-width', '1');
-            svg.appendChild(tickLine);
+            // データを日付でソート
+            const sortedData = [...bar.getData()].sort((a, b) => 
+                a.date.localeCompare(b.date)
+            );
 
-            // ラベルを描画（目盛り線の左側）
-            const formattedLabel = this.formatNumber(labelValue, yAxisFormat);
-            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
-            labelText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin);
-            labelText.setAttribute('y', y);
-            labelText.setAttribute('text-anchor', 'end');
-            labelText.setAttribute('dominant-baseline', 'middle');
-            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
-            labelText.textContent = formattedLabel;
-            svg.appendChild(labelText);
-        }
+            // スケールを取得
+            const scale = bar.secondAxis ? secondaryScale : primaryScale;
+            
+            if (!scale || scale.max <= scale.min) {
+                continue; // スケールが無効な場合はスキップ
+            }
 
-        // Y軸の単位を表示（(0,1)の上の延長線上、サブタイトルと同じY座標）
-        if (dateChart.yAxisScale) {
-            // サブタイトルのY座標を計算
-            const topMargin = 10;
-            let subtitleY = fontSize + topMargin;
-            if (this.title) {
-                subtitleY += fontSize + 5;
+            // 'grouped'の場合は系列ごとに棒の位置を横にずらす
+            const groupOffset = barMode === 'grouped' ?
+                (visibleBars.indexOf(bar) - (visibleBars.length - 1) / 2) * barWidth : 0;
+
+            // 系列のグループ（棒・コメントをまとめ、系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeDateSeries(bar, i, 'bar', dateChart));
+
+            // 不透明度を設定（前期比較の系列など、1未満の場合のみ）
+            if (bar.opacity !== undefined && bar.opacity < 1) {
+                seriesGroup.setAttribute('opacity', bar.opacity);
             }
 
-            const unitText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            unitText.setAttribute('class', 'chart-text');
-            unitText.setAttribute('x', plotArea.originX);
-            unitText.setAttribute('y', subtitleY);
-            unitText.setAttribute('text-anchor', 'end');
-            unitText.setAttribute('style', `font-size: ${fontSize}px;`);
-            unitText.textContent = `(${dateChart.yAxisScale})`;
-            svg.appendChild(unitText);
-        }
-    }
+            // 各データポイントに対して棒を描画
+            for (const item of sortedData) {
+                if (item.value === null) {
+                    continue; // 欠損データは描画しない
+                }
+                if (scale.type === 'log' && item.value <= 0) {
+                    continue; // 対数軸では0以下の値は描画しない
+                }
+                const dateValue = this.parseDate(item.date);
+                
+                // X座標を計算（拡張された範囲で0.0から1.0の範囲）
+                const xRatio = extendedDateRange > 0 ? 
+                    (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+                const x = plotArea.originX + xRatio * plotArea.width + groupOffset;
 
-    /**
-     * 右スケール（副軸）を描画
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
-     */
-    renderRightYAxis(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
-            return;
-        }
+                // 積み上げの場合は積み上げ位置、それ以外は0から値までを描画
+                const stack = stackPositions ?
+                    (bar.secondAxis ? stackPositions.secondary : stackPositions.primary).get(item) : null;
+                const startValue = stack ? stack.start : 0;
+                const endValue = stack ? stack.end : item.value;
 
-        const dateChart = this.dateCharts[0];
-        
-        // 副軸が有効でない場合は何も描画しない
-        if (!dateChart.secondAxis) {
-            return;
-        }
+                // Y座標を計算（値から0.0から1.0の範囲に正規化、対数軸の場合は対数で）
+                // 原点が下なので、originYから引いて反転
+                const startY = plotArea.originY - AxisScale.getValueRatio(startValue, scale) * plotArea.height;
+                const endY = plotArea.originY - AxisScale.getValueRatio(endValue, scale) * plotArea.height;
+                const barTop = Math.min(startY, endY);
+                const barBottom = Math.max(startY, endY);
 
-        const tickLineLength = 5; // 目盛り線の長さ
-        const fontSize = ChartCanvas.FONT_SIZE_SMALL;
-        const labelMargin = 5; // ラベルと目盛り線の間隔
+                // 棒の幅の中心をX座標にする
+                const barLeft = x - barWidth / 2;
 
-        // 右スケールの線を描画: (1,0)から(1,1)へ
-        const rightYAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        rightYAxisLine.setAttribute('x1', plotArea.topRightX);
-        rightYAxisLine.setAttribute('y1', plotArea.originY);
-        rightYAxisLine.setAttribute('x2', plotArea.topRightX);
-        rightYAxisLine.setAttribute('y2', plotArea.topRightY);
-        rightYAxisLine.setAttribute('stroke', '#000');
-        rightYAxisLine.setAttribute('stroke-width', '1');
-        svg.appendChild(rightYAxisLine);
+                // 棒を描画（rect要素を使用）
+                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('x', barLeft);
+                rect.setAttribute('y', barTop);
+                rect.setAttribute('width', barWidth);
+                rect.setAttribute('height', barBottom - barTop);
+                rect.setAttribute('fill', bar.color || 'blue');
+                rect.setAttribute('fill-opacity', '0.7'); // 内部の透明度を70%に設定
+                rect.setAttribute('stroke', 'none');
 
-        // 右スケールのスケールを取得（副軸）
-        const secondaryScale = dateChart.calculateYAxisScale(true);
-        const secondAxisFormat = dateChart.secondAxisFormat || '#,##0';
-        const plotHeight = plotArea.height;
+                // 補完したデータは薄い色と破線の枠で描画（showFilledMarkersがtrueの場合）
+                const isFilledBar = item.filled && bar.showFilledMarkers;
+                if (isFilledBar) {
+                    rect.setAttribute('fill-opacity', '0.3');
+                    rect.setAttribute('stroke', bar.color || 'blue');
+                    rect.setAttribute('stroke-dasharray', '3,2');
+                }
 
-        // 各ラベルの位置を計算して目盛り線とラベルを描画
-        for (const labelValue of secondaryScale.labels) {
-            // ラベルの値を0からmaxまでの範囲で正規化（0.0から1.0）
-            const ratio = secondaryScale.max > 0 ? labelValue / secondaryScale.max : 0;
-            
-            // 実際のY座標を計算（下から上に向かって）
-            // 原点が下なので、1.0 - ratioで反転
-            const y = plotArea.originY - ratio * plotHeight;
+                // ツールチップを追加（2行表示、積み上げの場合は3行目に合計）
+                const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+                const yAxisFormat = bar.secondAxis ? (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+                let formattedValue = this.formatNumber(item.value, yAxisFormat);
+                const formattedDate = this.formatDateLabel(item.date, dateChart);
+                if (isFilledBar) {
+                    formattedValue += ' (補完)';
+                }
+                formattedValue += this.formatComparisonDetail(bar, item, yAxisFormat, dateChart);
 
-            // 目盛り線を描画（右スケールの右側に短い線）
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', plotArea.topRightX);
-            tickLine.setAttribute('y1', y);
-            tickLine.setAttribute('x2', plotArea.topRightX + tickLineLength);
-            tickLine.setAttribute('y2', y);
-            tickLine.setAttribute('stroke', '#000');
-            tickLine.setAttribute('stroke-width', '1');
-            svg.appendChild(tickLine);
+                // 100%積み上げの場合は値の後に比率を表示
+                if (stack && barMode === 'percentStacked') {
+                    formattedValue += ' (' + this.formatNumber(stack.ratio, '0%') + ')';
+                }
+                
+                // 1行目: 日付、2行目: 値（コメントがある場合は値 + コメント）
+                let tooltipText = formattedDate;
+                if (item.tooltip && item.tooltip.trim()) {
+                    tooltipText += '\n' + formattedValue + ' ' + item.tooltip.trim();
+                } else {
+                    tooltipText += '\n' + formattedValue;
+                }
 
-            // ラベルを描画（目盛り線の右側）
-            const formattedLabel = this.formatNumber(labelValue, secondAxisFormat);
-            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
-            labelText.setAttribute('x', plotArea.topRightX + tickLineLength + labelMargin);
-            labelText.setAttribute('y', y);
-            labelText.setAttribute('text-anchor', 'start');
-            labelText.setAttribute('dominant-baseline', 'middle');
-            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
-            labelText.textContent = formattedLabel;
-            svg.appendChild(labelText);
-        }
+                // 3行目: 積み上げの合計
+                if (stack) {
+                    tooltipText += '\n合計: ' + this.formatNumber(stack.total, yAxisFormat);
+                }
+                
+                title.textContent = tooltipText;
+                rect.appendChild(title);
 
-        // 右スケールの単位を表示（(1,1)の上の延長線上、サブタイトルと同じY座標）
-        if (dateChart.secondAxisScale) {
-            // サブタイトルのY座標を計算
-            const topMargin = 10;
-            let subtitleY = fontSize + topMargin;
-            if (this.title) {
-                subtitleY += fontSize + 5;
+                seriesGroup.appendChild(rect);
+
+                // コメントを描画
+                if (item.tooltip) {
+                    this.renderComment(seriesGroup, plotArea, x, barTop, item.tooltip, bar.color || 'blue');
+                }
             }
+        }
+    }
 
-            const unitText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            unitText.setAttribute('class', 'chart-text');
-            unitText.setAttribute('x', plotArea.topRightX);
-            unitText.setAttribute('y', subtitleY);
-            unitText.setAttribute('text-anchor', 'start');
-            unitText.setAttribute('style', `font-size: ${fontSize}px;`);
-            unitText.textContent = `(${dateChart.secondAxisScale})`;
-            svg.appendChild(unitText);
+    /**
+     * マーカーを描画（線グラフのデータポイントに丸を表示）
+     * @param {SVGElement} svg - SVG要素
+     * @param {number} x - X座標
+     * @param {number} y - Y座標（データポイントの位置）
+     * @param {number} value - 値
+     * @param {string} date - 日付（'YYYYMMDD'形式）
+     * @param {string} comment - コメントテキスト（オプション）
+     * @param {string} color - 系列の色
+     * @param {DateChart} dateChart - DateChartインスタンス（フォーマット用）
+     * @param {boolean} filled - 補完したデータ点かどうか（白抜きのマーカーで描画し、ツールチップに「(補完)」を付ける）
+     * @param {string} detail - 値の後に付ける補足（前期比較の系列の前期の日付・増減率など、オプション）
+     */
+    renderMarker(svg, x, y, value, date, comment, color, dateChart, filled = false, detail = '') {
+        const markerRadius = 4; // マーカーの半径
+        
+        // マーカーの円を描画（補完したデータ点は白抜き）
+        const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('cx', x);
+        circle.setAttribute('cy', y);
+        circle.setAttribute('r', markerRadius);
+        circle.setAttribute('fill', filled ? this.theme.colors.border : color);
+        circle.setAttribute('stroke', filled ? color : this.theme.colors.border);
+        circle.setAttribute('stroke-width', filled ? '1.5' : '1');
+        
+        // マウスオーバーでツールチップを表示（2行表示）
+        const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+        const yAxisFormat = dateChart.yAxisFormat || '#,##0';
+        const formattedValue = this.formatNumber(value, yAxisFormat) + (filled ? ' (補完)' : '') + detail;
+        const formattedDate = this.formatDateLabel(date, dateChart);
+        
+        // 1行目: 日付、2行目: 値（コメントがある場合は値 + コメント）
+        let tooltipText = formattedDate;
+        if (comment && comment.trim()) {
+            tooltipText += '\n' + formattedValue + ' ' + comment.trim();
+        } else {
+            tooltipText += '\n' + formattedValue;
         }
+        
+        title.textContent = tooltipText;
+        circle.appendChild(title);
+        
+        svg.appendChild(circle);
     }
 
     /**
-     * DateChartのグリッド線を描画
+     * コメントを描画
      * @param {SVGElement} svg - SVG要素
      * @param {Object} plotArea - 描画エリアの情報
+     * @param {number} x - X座標
+     * @param {number} y - Y座標（データポイントの位置）
+     * @param {string} comment - コメントテキスト
+     * @param {string} color - 系列の色
      */
-    renderDateChartGrid(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+    renderComment(svg, plotArea, x, y, comment, color) {
+        if (!comment || comment.trim() === '') {
             return;
         }
 
-        const dateChart = this.dateCharts[0];
-        const gridColor = '#e0e0e0'; // 薄いグレー
-        const gridStrokeWidth = 1;
-        const gridDashArray = '2,2'; // 破線
+        const fontSize = this.theme.fontSize.small;
+        const metrics = this.measureFontMetrics(fontSize);
+        const commentText = comment.trim();
+        const textWidth = this.getTextWidth(commentText, fontSize);
+        
+        // コメントの位置を決定
+        // デフォルトはデータポイントの上
+        let commentX = x;
+        let commentY = y - 10; // データポイントから10px上
+        
+        // グラフの上端に近い場合は下に表示
+        const topMargin = 10;
+        if (commentY < plotArea.topRightY + topMargin) {
+            commentY = y + metrics.height + 5; // データポイントから下に表示
+        }
+        
+        // グラフの左端に近い場合は右にずらす
+        const leftMargin = 5;
+        if (commentX < plotArea.originX + leftMargin) {
+            commentX = plotArea.originX + leftMargin;
+        }
+        
+        // グラフの右端に近い場合は左にずらす
+        const rightMargin = 5;
+        if (commentX + textWidth > plotArea.topRightX - rightMargin) {
+            commentX = plotArea.topRightX - rightMargin - textWidth;
+        }
+        
+        // コメントテキストを描画
+        const commentElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+        commentElement.setAttribute('class', 'chart-text');
+        commentElement.setAttribute('x', commentX);
+        commentElement.setAttribute('y', commentY);
+        commentElement.setAttribute('text-anchor', 'middle');
+        commentElement.setAttribute('dominant-baseline', 'hanging');
+        commentElement.setAttribute('style', `font-size: ${fontSize}px; fill: ${color};`);
+        commentElement.textContent = commentText;
+        svg.appendChild(commentElement);
+    }
 
-        // X軸のグリッド線を描画
-        if (dateChart.xGrid) {
-            // X軸のスケールラベル位置にグリッド線を描画
-            const dateSet = new Set();
-            for (const line of dateChart.lines) {
-                for (const item of line.data) {
-                    dateSet.add(item.date);
+    /**
+     * 日付ごとに全系列の値を収集（インタラクティブなツールチップ用）
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @returns {Map<string, Array<Object>>} 日付をキーとした値の配列 [{title, color, value, formattedValue, comment}, ...]
+     */
+    collectValuesByDate(dateChart) {
+        const valuesByDate = new Map();
+        const allSeries = [...dateChart.lines, ...dateChart.bars, ...dateChart.areas];
+
+        for (const series of allSeries) {
+            const format = series.secondAxis ?
+                (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+            for (const item of series.getData()) {
+                if (item.value === null) {
+                    continue; // 欠損データは表示しない
                 }
-            }
-            for (const bar of dateChart.bars) {
-                for (const item of bar.data) {
-                    dateSet.add(item.date);
+                if (!valuesByDate.has(item.date)) {
+                    valuesByDate.set(item.date, []);
                 }
+                valuesByDate.get(item.date).push({
+                    title: series.title,
+                    color: series.color,
+                    value: item.value,
+                    formattedValue: this.formatNumber(item.value, format) + this.formatRangeDetail(series, item, format) +
+                        this.formatComparisonDetail(series, item, format, dateChart),
+                    comment: item.tooltip ? item.tooltip.trim() : ''
+                });
             }
+        }
 
-            if (dateSet.size > 0) {
-                const sortedDates = Array.from(dateSet).sort();
-                const minDate = sortedDates[0];
-                const maxDate = sortedDates[sortedDates.length - 1];
-                const minDateValue = this.parseDate(minDate);
-                const maxDateValue = this.parseDate(maxDate);
-                const extendedMinDateValue = minDateValue - 0.5;
-                const extendedMaxDateValue = maxDateValue + 0.5;
-                const extendedDateRange = extendedMaxDateValue - extendedMinDateValue;
-
-                // データの期間に応じてフィルタリング
-                const dateRange = maxDateValue - minDateValue;
-                let datesToRender = sortedDates;
-                if (dateRange >= 60 && dateRange <= 120) {
-                    datesToRender = this.filterDatesForThreeMonths(sortedDates);
-                } else if (dateRange > 120) {
-                    datesToRender = this.filterDatesForOneYear(sortedDates);
-                }
-
-                for (const date of datesToRender) {
-                    const dateValue = this.parseDate(date);
-                    const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
-                    const x = plotArea.originX + ratio * plotArea.width;
+        return valuesByDate;
+    }
 
-                    const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    gridLine.setAttribute('x1', x);
-                    gridLine.setAttribute('y1', plotArea.topRightY);
-                    gridLine.setAttribute('x2', x);
-                    gridLine.setAttribute('y2', plotArea.originY);
-                    gridLine.setAttribute('stroke', gridColor);
-                    gridLine.setAttribute('stroke-width', gridStrokeWidth);
-                    gridLine.setAttribute('stroke-dasharray', gridDashArray);
-                    svg.appendChild(gridLine);
-                }
-            }
+    /**
+     * 線グラフの範囲（下限〜上限）・予測のツールチップで値の後に付ける補足を生成
+     * @param {LineSeries|BarSeries} series - 系列
+     * @param {Object} item - 系列のデータ
+     * @param {string} format - 値の数値フォーマット
+     * @returns {string} 補足（例: ' (予測)（範囲 10,000〜14,000）'、範囲・予測の開始日がない場合は空文字列）
+     */
+    formatRangeDetail(series, item, format) {
+        let detail = series.isForecast && series.isForecast(item.date) ? ' (予測)' : '';
+        if (item.lower !== null && item.lower !== undefined && item.upper !== null && item.upper !== undefined) {
+            detail += `（範囲 ${this.formatNumber(item.lower, format)}〜${this.formatNumber(item.upper, format)}）`;
         }
+        return detail;
+    }
 
-        // Y軸のグリッド線を描画（主軸）
-        if (dateChart.yGrid) {
-            const primaryScale = dateChart.calculateYAxisScale(false);
-            const plotHeight = plotArea.height;
-
-            for (const labelValue of primaryScale.labels) {
-                const ratio = primaryScale.max > 0 ? labelValue / primaryScale.max : 0;
-                const y = plotArea.originY - ratio * plotHeight;
+    /**
+     * 前期比較の系列のツールチップで値の後に付ける補足を生成
+     * @param {LineSeries|BarSeries} series - 系列
+     * @param {Object} item - 系列のデータ（DateChart.calculateComparisonDataの戻り値の要素）
+     * @param {string} format - 値の数値フォーマット
+     * @param {DateChart} dateChart - DateChartインスタンス（日付のフォーマット用）
+     * @returns {string} 補足（例: '（前期 2024/01/08、今期 1,234、+5.2%）'、前期比較の系列でない場合は空文字列）
+     */
+    formatComparisonDetail(series, item, format, dateChart) {
+        if (!series.derivation || series.derivation.kind !== 'comparison') {
+            return '';
+        }
+        const details = [`前期 ${this.formatDateLabel(item.priorDate, dateChart)}`];
+        if (item.currentValue !== null) {
+            details.push(`今期 ${this.formatNumber(item.currentValue, format)}`);
+        }
+        if (item.change !== null) {
+            details.push((item.change > 0 ? '+' : '') + this.formatNumber(item.change, '0.0%'));
+        }
+        return `（${details.join('、')}）`;
+    }
 
-                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                gridLine.setAttribute('x1', plotArea.originX);
-                gridLine.setAttribute('y1', y);
-                gridLine.setAttribute('x2', plotArea.topRightX);
-                gridLine.setAttribute('y2', y);
-                gridLine.setAttribute('stroke', gridColor);
-                gridLine.setAttribute('stroke-width', gridStrokeWidth);
-                gridLine.setAttribute('stroke-dasharray', gridDashArray);
-                svg.appendChild(gridLine);
+    /**
+     * インタラクティブなツールチップとクロスヘアを描画（DOMモードのみ）
+     * 描画エリア全体を覆う透明な矩形でマウスの位置を検出し、最も近い日付にクロスヘアを合わせて
+     * その日付の全系列の値をツールチップに表示する
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderInteractiveLayer(svg, plotArea) {
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何もしない
+        }
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+        const valuesByDate = this.collectValuesByDate(dateChart);
+
+        // このDateChartにデータがある日付のX座標を計算（sharedXの場合も自分のデータの日付のみ）
+        const datePoints = Array.from(valuesByDate.keys()).sort().map(date => {
+            const xRatio = extendedDateRange > 0 ?
+                (this.parseDate(date) - extendedMinDateValue) / extendedDateRange : 0;
+            return { date, x: plotArea.originX + xRatio * plotArea.width };
+        });
+
+        // クロスヘア（縦線）
+        const crosshair = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        crosshair.setAttribute('y1', plotArea.topRightY);
+        crosshair.setAttribute('y2', plotArea.originY);
+        crosshair.setAttribute('stroke', this.theme.colors.crosshair);
+        crosshair.setAttribute('stroke-width', 1);
+        crosshair.setAttribute('stroke-dasharray', '4,2');
+        crosshair.setAttribute('pointer-events', 'none');
+        crosshair.setAttribute('visibility', 'hidden');
+        svg.appendChild(crosshair);
+
+        // マウスの位置を検出する透明な矩形
+        const overlay = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        overlay.setAttribute('x', plotArea.originX);
+        overlay.setAttribute('y', plotArea.topRightY);
+        overlay.setAttribute('width', plotArea.width);
+        overlay.setAttribute('height', plotArea.height);
+        overlay.setAttribute('fill', 'transparent');
+        overlay.setAttribute('pointer-events', 'all');
+        svg.appendChild(overlay);
+
+        overlay.addEventListener('mousemove', (event) => {
+            // マウスの位置をSVGの座標系に変換
+            const svgRect = svg.getBoundingClientRect();
+            const scale = svgRect.width > 0 ? this.width / svgRect.width : 1;
+            const mouseX = (event.clientX - svgRect.left) * scale;
+
+            // 最も近い日付を探す
+            let nearest = datePoints[0];
+            for (const point of datePoints) {
+                if (Math.abs(point.x - mouseX) < Math.abs(nearest.x - mouseX)) {
+                    nearest = point;
+                }
             }
-        }
+
+            crosshair.setAttribute('x1', nearest.x);
+            crosshair.setAttribute('x2', nearest.x);
+            crosshair.setAttribute('visibility', 'visible');
+
+            this.showTooltip(nearest.date, valuesByDate.get(nearest.date), event, dateChart);
+        });
+
+        overlay.addEventListener('mouseleave', () => {
+            crosshair.setAttribute('visibility', 'hidden');
+            this.hideTooltip();
+        });
     }
 
     /**
-     * 日付をグループ化（連続する日付をグループ化）
-     * @param {string[]} dates - 日付の配列（'YYYYMMDD'形式）
-     * @returns {Array<Array<string>>} グループ化された日付の配列
+     * インタラクティブなツールチップのHTML要素を取得（なければ作成してコンテナに追加）
+     * @returns {HTMLElement} ツールチップの要素
      */
-    groupDates(dates) {
-        if (dates.length === 0) {
-            return [];
-        }
-
-        // 最初の日付を正規化
-        let firstDate = dates[0];
-        if (firstDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            firstDate = firstDate.replace(/-/g, '');
-        } else if (firstDate.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            firstDate = firstDate.replace(/\//g, '');
-        }
-        
-        const groups = [];
-        let currentGroup = [dates[0]];
-        let currentYear = firstDate.substring(0, 4);
-        let currentMonth = firstDate.substring(4, 6);
+    getTooltipElement() {
+        if (this.tooltipElement) {
+            return this.tooltipElement;
+        }
+
+        // ツールチップをコンテナ内で絶対配置するため、コンテナを基準位置にする
+        if (!this.container.style.position) {
+            this.container.style.position = 'relative';
+        }
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'chart-tooltip';
+        tooltip.style.position = 'absolute';
+        tooltip.style.display = 'none';
+        tooltip.style.pointerEvents = 'none';
+        tooltip.style.zIndex = '10';
+        tooltip.style.padding = '6px 8px';
+        tooltip.style.background = this.theme.colors.tooltipBackground;
+        tooltip.style.border = `1px solid ${this.theme.colors.tooltipBorder}`;
+        tooltip.style.color = this.theme.colors.text;
+        tooltip.style.borderRadius = '4px';
+        tooltip.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.2)';
+        tooltip.style.fontFamily = this.fontFamily;
+        tooltip.style.fontSize = `${this.theme.fontSize.small + 2}px`;
+        tooltip.style.whiteSpace = 'nowrap';
+        this.container.appendChild(tooltip);
+
+        this.tooltipElement = tooltip;
+        return tooltip;
+    }
 
-        for (let i = 1; i < dates.length; i++) {
-            const date = dates[i];
-            // 日付を正規化
-            let normalizedDate = date;
-            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                normalizedDate = date.replace(/-/g, '');
-            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-                normalizedDate = date.replace(/\//g, '');
-            }
-            const year = normalizedDate.substring(0, 4);
-            const month = normalizedDate.substring(4, 6);
-            const prevDate = dates[i - 1];
-            const prevDateValue = this.parseDate(prevDate);
-            const currentDateValue = this.parseDate(date);
+    /**
+     * インタラクティブなツールチップを表示
+     * 1行目に日付、2行目以降に系列ごとの色・タイトル・値・コメントを表示する
+     * @param {string} date - 日付（'YYYYMMDD'形式）
+     * @param {Array<Object>} values - 系列ごとの値 [{title, color, formattedValue, comment}, ...]
+     * @param {MouseEvent} event - マウスイベント（表示位置の計算用）
+     * @param {DateChart} dateChart - DateChartインスタンス（日付のラベル用、省略可）
+     */
+    showTooltip(date, values, event, dateChart = null) {
+        const tooltip = this.getTooltipElement();
+
+        // 内容を作り直す（コメントにHTMLが含まれても安全なようにtextContentを使用）
+        tooltip.innerHTML = '';
+        const header = document.createElement('div');
+        header.style.fontWeight = 'bold';
+        header.textContent = this.formatDateLabel(date, dateChart);
+        tooltip.appendChild(header);
+
+        for (const item of values) {
+            const row = document.createElement('div');
+
+            const swatch = document.createElement('span');
+            swatch.style.display = 'inline-block';
+            swatch.style.width = '10px';
+            swatch.style.height = '10px';
+            swatch.style.marginRight = '4px';
+            swatch.style.background = item.color;
+            row.appendChild(swatch);
+
+            const text = document.createElement('span');
+            text.textContent = (item.title ? item.title + ': ' : '') + item.formattedValue +
+                (item.comment ? ' ' + item.comment : '');
+            row.appendChild(text);
+
+            tooltip.appendChild(row);
+        }
+
+        // マウスの右下に表示（コンテナの右端からはみ出す場合は左側に表示）
+        const containerRect = this.container.getBoundingClientRect();
+        const offset = 12;
+        let left = event.clientX - containerRect.left + offset;
+        const top = event.clientY - containerRect.top + offset;
+        tooltip.style.display = 'block';
+        if (left + tooltip.offsetWidth > containerRect.width) {
+            left = event.clientX - containerRect.left - offset - tooltip.offsetWidth;
+        }
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${top}px`;
+    }
 
-            // 連続する日付で、同じ年・月の場合は同じグループ
-            if (currentDateValue === prevDateValue + 1 && year === currentYear && month === currentMonth) {
-                currentGroup.push(date);
-            } else {
-                // 新しいグループを開始
-                groups.push(currentGroup);
-                currentGroup = [date];
-                currentYear = year;
-                currentMonth = month;
-            }
+    /**
+     * インタラクティブなツールチップを非表示
+     */
+    hideTooltip() {
+        if (this.tooltipElement) {
+            this.tooltipElement.style.display = 'none';
         }
-        groups.push(currentGroup);
-
-        return groups;
     }
 
     /**
-     * 日付グループのラベルを2段でフォーマット
-     * @param {string[]} dateGroup - 日付のグループ（'YYYYMMDD'形式の配列）
-     * @returns {Object} {firstLine: string, secondLine: string} 1行目と2行目のラベル
+     * 凡例を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {DateChart} dateChart - DateChartインスタンス（省略時はすべてのDateChart）
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}（省略時はキャンバス全体）
      */
-    formatDateGroupLabelTwoLines(dateGroup) {
-        if (dateGroup.length === 0) {
-            return { firstLine: '', secondLine: '' };
+    renderLegend(svg, dateChart = null, panel = null) {
+        if (!this.dateCharts || this.dateCharts.length === 0) {
+            return;
         }
+        panel = panel || this.getFullCanvasPanel();
 
-        const firstDate = dateGroup[0];
-        // 日付を正規化
-        let normalizedFirstDate = firstDate;
-        if (firstDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            normalizedFirstDate = firstDate.replace(/-/g, '');
-        } else if (firstDate.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            normalizedFirstDate = firstDate.replace(/\//g, '');
+        // 凡例の設定
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendMargin = 20; // 右端からのマージン
+        // 上から60px（複数パネルの場合はパネルのタイトルの下）
+        let legendStartY = 60;
+        if (!panel.fullCanvas) {
+            legendStartY = panel.y + 10 + (dateChart && dateChart.title ? legendFontSize * 1.2 : 0) + 30;
         }
-        const firstYear = normalizedFirstDate.substring(0, 4);
-        const firstMonth = normalizedFirstDate.substring(4, 6);
-        const firstDay = normalizedFirstDate.substring(6, 8);
+        const legendItemHeight = 25; // 各凡例項目の高さ
+        const iconWidth = 30; // アイコンの幅
+        const iconHeight = 3; // 線グラフのアイコンの高さ（線の太さ）
+        const iconBarWidth = 20; // 棒グラフのアイコンの幅
+        const iconBarHeight = 12; // 棒グラフのアイコンの高さ
+        const iconLabelGap = 10; // アイコンとラベルの間隔
+        const legendPadding = 10; // 凡例エリアのパディング
 
-        // 1行目: 最初の日付の年/月/日
-        const firstLine = `${firstYear}/${firstMonth}/${firstDay}`;
-        
-        // 2行目: 2つ目以降の日付（日付のみ2桁）
-        let secondLine = '';
-        let prevYear = firstYear;
-        let prevMonth = firstMonth;
+        const metrics = this.measureFontMetrics(legendFontSize);
 
-        for (let i = 1; i < dateGroup.length; i++) {
-            const date = dateGroup[i];
-            // 日付を正規化
-            let normalizedDate = date;
-            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                normalizedDate = date.replace(/-/g, '');
-            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-                normalizedDate = date.replace(/\//g, '');
+        // DateChartから系列を収集
+        const legendItems = [];
+        const targetCharts = dateChart ? [dateChart] : this.dateCharts;
+        for (const targetChart of targetCharts) {
+            // 線グラフの系列
+            for (const line of targetChart.lines) {
+                if (line.title) {
+                    legendItems.push({
+                        type: 'line',
+                        title: line.title,
+                        color: line.color,
+                        lineWidth: line.lineWidth || 2,
+                        lineType: line.lineType || 'solid',
+                        opacity: line.opacity,
+                        // 範囲の帯がある場合は線のアイコンの背後に帯を表示する
+                        band: line.data.some(item => item.lower !== undefined && item.lower !== null) ?
+                            { color: line.bandColor || line.color, opacity: line.bandOpacity } : null
+                    });
+                }
             }
-            const year = normalizedDate.substring(0, 4);
-            const month = normalizedDate.substring(4, 6);
-            const day = normalizedDate.substring(6, 8);
-
-            // 年が変わった場合
-            if (year !== prevYear) {
-                secondLine += (secondLine ? ' ' : '') + `${year}/${month}/${day}`;
-                prevYear = year;
-                prevMonth = month;
+            // 棒グラフの系列
+            for (const bar of targetChart.bars) {
+                if (bar.title) {
+                    legendItems.push({
+                        type: 'bar',
+                        title: bar.title,
+                        color: bar.color,
+                        opacity: bar.opacity
+                    });
+                }
             }
-            // 月が変わった場合
-            else if (month !== prevMonth) {
-                secondLine += (secondLine ? ' ' : '') + `${month}/${day}`;
-                prevMonth = month;
+            // 面グラフの系列
+            for (const area of targetChart.areas) {
+                if (area.title) {
+                    legendItems.push({
+                        type: 'area',
+                        title: area.title,
+                        color: area.color,
+                        fillOpacity: area.fillOpacity,
+                        lineWidth: area.lineWidth
+                    });
+                }
             }
-            // 同じ年・月の場合: 日付だけ2桁
-            else {
-                secondLine += (secondLine ? ' ' : '') + day;
+        }
+
+        if (legendItems.length === 0) {
+            return; // 凡例項目がない場合は何も描画しない
+        }
+
+        // 最大のラベル幅を計算
+        let maxLabelWidth = 0;
+        for (const item of legendItems) {
+            const labelWidth = this.getTextWidth(item.title, legendFontSize);
+            if (labelWidth > maxLabelWidth) {
+                maxLabelWidth = labelWidth;
             }
         }
 
-        return { firstLine, secondLine };
+        // 凡例エリアのサイズを計算
+        const legendAreaWidth = iconWidth + iconLabelGap + maxLabelWidth + legendPadding * 2;
+        const legendAreaHeight = legendItems.length * legendItemHeight + legendPadding * 2;
+        // 右寄せ: 右端からマージン分引いた位置から凡例エリアの幅を引く
+        const legendAreaX = panel.x + panel.width - legendAreaWidth - legendMargin;
+        const legendAreaY = legendStartY - legendPadding;
+        // 凡例項目の開始X位置（パディングを考慮）
+        const legendX = legendAreaX + legendPadding;
+
+        // 凡例項目を描画
+        let currentY = legendStartY;
+        for (const item of legendItems) {
+            const iconX = legendX;
+            const iconY = currentY - iconHeight / 2;
+
+            if (item.type === 'line') {
+                // 範囲の帯のアイコンを描画
+                if (item.band) {
+                    const bandRect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                    bandRect.setAttribute('x', iconX);
+                    bandRect.setAttribute('y', iconY - iconBarHeight / 2);
+                    bandRect.setAttribute('width', iconWidth);
+                    bandRect.setAttribute('height', iconBarHeight);
+                    bandRect.setAttribute('fill', item.band.color);
+                    bandRect.setAttribute('fill-opacity', item.band.opacity);
+                    bandRect.setAttribute('stroke', 'none');
+                    svg.appendChild(bandRect);
+                }
+
+                // 線グラフのアイコンを描画
+                const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                line.setAttribute('x1', iconX);
+                line.setAttribute('y1', iconY);
+                line.setAttribute('x2', iconX + iconWidth);
+                line.setAttribute('y2', iconY);
+                line.setAttribute('stroke', item.color);
+                line.setAttribute('stroke-width', item.lineWidth);
+                
+                // 線の種類を設定
+                if (item.lineType === 'dashed') {
+                    line.setAttribute('stroke-dasharray', '5,5');
+                } else if (item.lineType === 'dotted') {
+                    line.setAttribute('stroke-dasharray', '2,2');
+                }
+                if (item.opacity !== undefined && item.opacity < 1) {
+                    line.setAttribute('opacity', item.opacity);
+                }
+                
+                svg.appendChild(line);
+            } else if (item.type === 'bar') {
+                // 棒グラフのアイコンを描画
+                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('x', iconX);
+                rect.setAttribute('y', iconY - iconBarHeight / 2);
+                rect.setAttribute('width', iconBarWidth);
+                rect.setAttribute('height', iconBarHeight);
+                rect.setAttribute('fill', item.color);
+                rect.setAttribute('stroke', 'none');
+                if (item.opacity !== undefined && item.opacity < 1) {
+                    rect.setAttribute('opacity', item.opacity);
+                }
+                svg.appendChild(rect);
+            } else if (item.type === 'area') {
+                // 面グラフのアイコンを描画（塗りつぶしの矩形と上端の線）
+                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('x', iconX);
+                rect.setAttribute('y', iconY - iconBarHeight / 2);
+                rect.setAttribute('width', iconWidth);
+                rect.setAttribute('height', iconBarHeight);
+                rect.setAttribute('fill', item.color);
+                rect.setAttribute('fill-opacity', item.fillOpacity);
+                rect.setAttribute('stroke', 'none');
+                svg.appendChild(rect);
+                if (item.lineWidth > 0) {
+                    const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                    line.setAttribute('x1', iconX);
+                    line.setAttribute('y1', iconY - iconBarHeight / 2);
+                    line.setAttribute('x2', iconX + iconWidth);
+                    line.setAttribute('y2', iconY - iconBarHeight / 2);
+                    line.setAttribute('stroke', item.color);
+                    line.setAttribute('stroke-width', item.lineWidth);
+                    svg.appendChild(line);
+                }
+            }
+
+            // ラベルを描画
+            const labelX = iconX + iconWidth + iconLabelGap;
+            const labelY = currentY;
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text chart-legend-text');
+            labelText.setAttribute('x', labelX);
+            labelText.setAttribute('y', labelY);
+            labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
+            labelText.textContent = item.title;
+            svg.appendChild(labelText);
+
+            currentY += legendItemHeight;
+        }
     }
 
     /**
-     * 日付文字列（YYYYMMDD形式）を数値に変換
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {number} 日付の数値表現（基準日からの経過日数）
+     * ヒストグラム用の描画エリアを計算
+     * @returns {Object} 描画エリアの情報
      */
-    parseDate(dateStr) {
-        // 日付をYYYYMMDD形式に正規化
-        let normalizedDate = dateStr;
-        if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            normalizedDate = dateStr.replace(/-/g, '');
-        } else if (dateStr.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            normalizedDate = dateStr.replace(/\//g, '');
+    calculateHistogramPlotArea() {
+        if (!this.histogramCharts || this.histogramCharts.length === 0) {
+            return null;
         }
+
+        const histogramChart = this.histogramCharts[0];
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const leftMargin = 20;
+        const bottomMargin = 20;
+        const topMargin = 10;
+        const tickLineLength = 5;
+        const titleMargin = 20;
+        const legendMargin = 20;
+        const legendScaleGap = 20;
+
+        // データの範囲を取得
+        const rawDataRange = histogramChart.getDataRange();
+        const bins = histogramChart.calculateBins(rawDataRange.min, rawDataRange.max);
         
-        // YYYYMMDD形式を解析
-        const year = parseInt(normalizedDate.substring(0, 4), 10);
-        const month = parseInt(normalizedDate.substring(4, 6), 10) - 1; // 月は0始まり
-        const day = parseInt(normalizedDate.substring(6, 8), 10);
-        
-        // Dateオブジェクトを作成して、基準日（2000-01-01）からの経過日数に変換
-        const date = new Date(year, month, day);
-        const baseDate = new Date(2000, 0, 1); // 基準日: 2000-01-01
-        const diffTime = date.getTime() - baseDate.getTime();
-        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-        
-        return diffDays;
-    }
+        // X軸スケールに基づいたデータ範囲を使用
+        const dataRange = {
+            min: bins.xAxisScale.minTickValue,
+            max: bins.xAxisScale.maxTickValue
+        };
 
-    /**
-     * 線グラフを描画
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
-     */
-    renderLines(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
-            return;
+        // Y軸のスケールを計算（頻度の最大値を取得）
+        let maxFrequency = 0;
+        for (const series of histogramChart.series) {
+            const frequencies = histogramChart.binData(series.data, bins.bins);
+            const seriesMax = Math.max(...frequencies, 0);
+            if (seriesMax > maxFrequency) {
+                maxFrequency = seriesMax;
+            }
         }
 
-        const dateChart = this.dateCharts[0];
+        // Y軸のスケールを計算
+        const yAxisScale = this.calculateYAxisScaleForHistogram(maxFrequency, histogramChart.yAxisOptions);
+        const yAxisFormat = histogramChart.yAxisFormat || '#,##0';
 
-        // すべての日付を収集してX軸の範囲を計算
-        const dateSet = new Set();
-        for (const line of dateChart.lines) {
-            for (const item of line.data) {
-                dateSet.add(item.date);
+        // Y軸のラベルの最大幅を計算
+        let maxYLabelWidth = 0;
+        for (const label of yAxisScale.labels) {
+            const formatted = this.formatNumber(label, yAxisFormat);
+            const width = this.getTextWidth(formatted, fontSize);
+            if (width > maxYLabelWidth) {
+                maxYLabelWidth = width;
             }
         }
 
-        if (dateSet.size === 0) {
-            return; // データがない場合は何も描画しない
+        // 凡例の計算（ヒストグラム用）
+        const legendItems = [];
+        for (const hc of this.histogramCharts) {
+            for (const series of hc.series) {
+                if (series.title) {
+                    legendItems.push({
+                        type: 'histogram',
+                        title: series.title,
+                        color: series.color,
+                        opacity: series.opacity
+                    });
+                }
+            }
         }
 
-        // 日付をソート
-        const sortedDates = Array.from(dateSet).sort();
-        const minDate = sortedDates[0];
-        const maxDate = sortedDates[sortedDates.length - 1];
-        const minDateValue = this.parseDate(minDate);
-        const maxDateValue = this.parseDate(maxDate);
-
-        // 日付の範囲を拡張して、最初と最後の日付に余裕を持たせる
-        const extendedMinDateValue = minDateValue - 0.5;
-        const extendedMaxDateValue = maxDateValue + 0.5;
-        const extendedDateRange = extendedMaxDateValue - extendedMinDateValue;
-
-        // Y軸のスケールを取得（主軸と副軸）
-        const primaryScale = dateChart.calculateYAxisScale(false);
-        const secondaryScale = dateChart.secondAxis ? 
-            dateChart.calculateYAxisScale(true) : null;
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendItemHeight = 25;
+        const iconWidth = 20;
+        const iconLabelGap = 10;
+        const legendPadding = 10;
 
-        // 線グラフを正順に描画（先に追加した系列が上に来るようにする）
-        // つまり、lines配列を正順に処理する
-        for (let i = 0; i < dateChart.lines.length; i++) {
-            const line = dateChart.lines[i];
-            
-            if (line.data.length === 0) {
-                continue; // データがない場合はスキップ
+        let maxLegendLabelWidth = 0;
+        for (const item of legendItems) {
+            const width = this.getTextWidth(item.title, legendFontSize);
+            if (width > maxLegendLabelWidth) {
+                maxLegendLabelWidth = width;
             }
+        }
 
-            // データを日付でソート
-            const sortedData = [...line.data].sort((a, b) => 
-                a.date.localeCompare(b.date)
-            );
-
-            // データポイントの座標を計算
-            const points = [];
-            const scale = line.secondAxis ? secondaryScale : primaryScale;
-            
-            if (!scale || scale.max === 0) {
-                continue; // スケールが無効な場合はスキップ
-            }
+        const legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
+        const legendLeftX = this.width - legendAreaWidth - legendMargin;
 
-            for (const item of sortedData) {
-                const dateValue = this.parseDate(item.date);
-                
-                // X座標を計算（拡張された範囲で0.0から1.0の範囲）
-                const xRatio = extendedDateRange > 0 ? 
-                    (dateValue - extendedMinDateValue) / extendedDateRange : 0;
-                const x = plotArea.originX + xRatio * plotArea.width;
+        // 原点のX座標
+        const originX = leftMargin + maxYLabelWidth + tickLineLength;
 
-                // Y座標を計算（値から0.0から1.0の範囲に正規化）
-                const yRatio = scale.max > 0 ? item.value / scale.max : 0;
-                // 原点が下なので、1.0 - yRatioで反転
-                const y = plotArea.originY - yRatio * plotArea.height;
+        // 原点のY座標
+        const labelMargin = 5;
+        const originY = this.height - bottomMargin - metrics.height * 2 - labelMargin - tickLineLength;
 
-                points.push({ x, y, comment: item.tooltip || '', value: item.value, date: item.date });
-            }
+        // 右上のX座標
+        const topRightX = legendLeftX - legendMargin;
 
-            if (points.length === 0) {
-                continue; // ポイントがない場合はスキップ
+        // 右上のY座標
+        let topRightY = topMargin;
+        if (this.title) {
+            topRightY += metrics.height;
+            if (this.subtitle) {
+                topRightY += fontSize + 5;
             }
+        }
+        topRightY += titleMargin;
 
-            // 線を描画（path要素を使用）
-            const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
-            
-            // パスデータを生成
-            let pathData = `M ${points[0].x} ${points[0].y}`;
-            for (let j = 1; j < points.length; j++) {
-                pathData += ` L ${points[j].x} ${points[j].y}`;
-            }
-            path.setAttribute('d', pathData);
-            path.setAttribute('stroke', line.color || 'black');
-            path.setAttribute('stroke-width', line.lineWidth || 2);
-            path.setAttribute('fill', 'none');
+        return {
+            originX,
+            originY,
+            topRightX,
+            topRightY,
+            dataRange,
+            bins: bins.bins,
+            binWidth: bins.binWidth,
+            xAxisScale: bins.xAxisScale,
+            yAxisScale,
+            yAxisFormat
+        };
+    }
 
-            // 線の種類を設定
-            if (line.lineType === 'dashed') {
-                path.setAttribute('stroke-dasharray', '5,5');
-            } else if (line.lineType === 'dotted') {
-                path.setAttribute('stroke-dasharray', '2,2');
-            }
-            // 'solid'の場合は何も設定しない（デフォルト）
+    /**
+     * ヒストグラム用のY軸スケールを計算
+     * @param {number} maxValue - 最大値
+     * @param {Object|null} options - 正規化した軸の指定（HistogramChart.yAxisOptions、省略時は自動計算）
+     * @returns {Object} {min, max, tickCount, labels}
+     */
+    calculateYAxisScaleForHistogram(maxValue, options = null) {
+        // 適切な間隔を計算（最大値の桁の1/5刻み）
+        const getTickInterval = (range, upper) => Math.pow(10, Math.floor(Math.log10(upper))) / 5;
 
-            svg.appendChild(path);
+        if (AxisScale.hasOptions(options)) {
+            return AxisScale.calculateLinearScale(0, maxValue, options, true,
+                (range, upper) => upper > 0 ? getTickInterval(range, upper) : AxisScale.calculateAutoInterval(range));
+        }
 
-            // マーカーを描画（showMarkersがtrueの場合）
-            if (line.showMarkers) {
-                for (let j = 0; j < points.length; j++) {
-                    const point = points[j];
-                    this.renderMarker(svg, point.x, point.y, point.value, point.date, point.comment, line.color || 'black', dateChart);
-                }
-            }
+        if (maxValue === 0) {
+            return { min: 0, max: 10, tickCount: 6, labels: [0, 2, 4, 6, 8, 10] };
+        }
 
-            // コメントを描画
-            for (let j = 0; j < points.length; j++) {
-                const point = points[j];
-                if (point.comment) {
-                    this.renderComment(svg, plotArea, point.x, point.y, point.comment, line.color || 'black');
-                }
-            }
+        const tickInterval = getTickInterval(maxValue, maxValue);
+        const maxTickValue = Math.ceil(maxValue / tickInterval) * tickInterval;
+        const labels = [];
+        let currentValue = 0;
+        while (currentValue <= maxTickValue) {
+            labels.push(currentValue);
+            currentValue += tickInterval;
         }
+
+        return {
+            min: 0,
+            max: maxTickValue,
+            tickCount: labels.length,
+            labels
+        };
     }
 
     /**
-     * 棒グラフを描画
+     * ヒストグラムを描画
      * @param {SVGElement} svg - SVG要素
      * @param {Object} plotArea - 描画エリアの情報
      */
-    renderBars(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+    renderHistogram(svg, plotArea) {
+        if (!plotArea || !this.histogramCharts || this.histogramCharts.length === 0) {
             return;
         }
 
-        const dateChart = this.dateCharts[0];
-
-        // すべての日付を収集してX軸の範囲を計算
-        const dateSet = new Set();
-        for (const bar of dateChart.bars) {
-            for (const item of bar.data) {
-                dateSet.add(item.date);
-            }
-        }
-        for (const line of dateChart.lines) {
-            for (const item of line.data) {
-                dateSet.add(item.date);
-            }
-        }
+        const histogramChart = this.histogramCharts[0];
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const tickLineLength = 5;
+        const labelMargin = 5;
 
-        if (dateSet.size === 0) {
-            return; // データがない場合は何も描画しない
-        }
+        // 描画エリアのサイズを計算
+        const plotWidth = plotArea.topRightX - plotArea.originX;
+        const plotHeight = plotArea.originY - plotArea.topRightY;
 
-        // 日付をソート
-        const sortedDates = Array.from(dateSet).sort();
-        const minDate = sortedDates[0];
-        const maxDate = sortedDates[sortedDates.length - 1];
-        const minDateValue = this.parseDate(minDate);
-        const maxDateValue = this.parseDate(maxDate);
+        // 描画エリアの背景を描画
+        this.renderPlotAreaBackground(svg, plotArea);
 
-        // 日付の範囲を拡張して、最初と最後の日付に余裕を持たせる
-        const extendedMinDateValue = minDateValue - 0.5;
-        const extendedMaxDateValue = maxDateValue + 0.5;
-        const extendedDateRange = extendedMaxDateValue - extendedMinDateValue;
+        // X軸とY軸を描画
+        this.renderHistogramAxes(svg, plotArea, plotWidth, plotHeight);
 
-        // Y軸のスケールを取得（主軸と副軸）
-        const primaryScale = dateChart.calculateYAxisScale(false);
-        const secondaryScale = dateChart.secondAxis ? 
-            dateChart.calculateYAxisScale(true) : null;
+        // グリッド線を描画（軸の後、データ系列の前）
+        this.renderHistogramGrid(svg, plotArea, plotWidth, plotHeight);
 
-        // 棒グラフの幅を計算（日付の間隔に基づく）
-        const barWidth = plotArea.width / sortedDates.length * 0.6; // 60%の幅を使用
+        // ビンのクリックイベントを設定するかどうか（DOMモードでコールバックが指定されている場合のみ）
+        const clickable = !!this.container && typeof histogramChart.onBinClick === 'function';
 
-        // 棒グラフを正順に描画（先に追加した系列が上に来るようにする）
-        // つまり、bars配列を正順に処理する
-        for (let i = 0; i < dateChart.bars.length; i++) {
-            const bar = dateChart.bars[i];
-            
-            if (bar.data.length === 0) {
-                continue; // データがない場合はスキップ
+        // 各系列のヒストグラムを描画
+        for (let seriesIndex = 0; seriesIndex < histogramChart.series.length; seriesIndex++) {
+            const series = histogramChart.series[seriesIndex];
+            if (series.data.length === 0) {
+                continue;
             }
 
-            // データを日付でソート
-            const sortedData = [...bar.data].sort((a, b) => 
-                a.date.localeCompare(b.date)
-            );
+            // 系列のグループ（系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeHistogramSeries(series, seriesIndex, histogramChart));
 
-            // スケールを取得
-            const scale = bar.secondAxis ? secondaryScale : primaryScale;
-            
-            if (!scale || scale.max === 0) {
-                continue; // スケールが無効な場合はスキップ
-            }
+            // binDataMapを更新するために系列を渡す
+            const frequencies = histogramChart.binData(series.data, plotArea.bins, series);
+            const maxFrequency = Math.max(...plotArea.yAxisScale.labels);
+            const minFrequency = plotArea.yAxisScale.min || 0;
+            const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
 
-            // 各データポイントに対して棒を描画
-            for (const item of sortedData) {
-                const dateValue = this.parseDate(item.date);
-                
-                // X座標を計算（拡張された範囲で0.0から1.0の範囲）
-                const xRatio = extendedDateRange > 0 ? 
-                    (dateValue - extendedMinDateValue) / extendedDateRange : 0;
-                const x = plotArea.originX + xRatio * plotArea.width;
+            if (histogramChart.curveMode) {
+                // ベジェ曲線モード
+                const points = histogramChart.calculateCurvePoints(frequencies, plotArea.bins);
+                const pathString = histogramChart.generateBezierPath(
+                    points,
+                    plotArea.dataRange.min,
+                    plotArea.dataRange.max,
+                    plotWidth,
+                    plotHeight,
+                    plotArea.originX,
+                    plotArea.originY,
+                    maxFrequency,
+                    minFrequency
+                );
 
-                // Y座標を計算（値から0.0から1.0の範囲に正規化）
-                const yRatio = scale.max > 0 ? item.value / scale.max : 0;
-                // 原点が下なので、1.0 - yRatioで反転
-                const barTop = plotArea.originY - yRatio * plotArea.height;
-                const barBottom = plotArea.originY;
+                if (pathString) {
+                    const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                    path.setAttribute('d', pathString);
+                    path.setAttribute('fill', 'none');
+                    path.setAttribute('stroke', series.color);
+                    path.setAttribute('stroke-width', 2);
+                    path.setAttribute('opacity', series.opacity);
+                    seriesGroup.appendChild(path);
+                }
+            } else {
+                // 棒グラフモード
+                const binWidth = plotArea.binWidth;
+                for (let i = 0; i < frequencies.length; i++) {
+                    const frequency = frequencies[i];
+                    if (frequency === 0) continue;
+
+                    const binMin = plotArea.bins[i];
+                    const binMax = plotArea.bins[i + 1];
+
+                    // X座標を計算（ビンの左端、X軸スケールに基づく）
+                    const xRatio = dataRange > 0 ? (binMin - plotArea.dataRange.min) / dataRange : 0;
+                    const x = plotArea.originX + xRatio * plotWidth;
 
-                // 棒の幅の中心をX座標にする
-                const barLeft = x - barWidth / 2;
-                const barRight = x + barWidth / 2;
+                    // ビンの幅を計算（X軸スケールに基づく）
+                    const binWidthRatio = dataRange > 0 ? (binMax - binMin) / dataRange : 0;
+                    const barWidth = binWidthRatio * plotWidth;
 
-                // 棒を描画（rect要素を使用）
-                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                rect.setAttribute('x', barLeft);
-                rect.setAttribute('y', barTop);
-                rect.setAttribute('width', barWidth);
-                rect.setAttribute('height', barBottom - barTop);
-                rect.setAttribute('fill', bar.color || 'blue');
-                rect.setAttribute('fill-opacity', '0.7'); // 内部の透明度を70%に設定
-                rect.setAttribute('stroke', 'none');
+                    // Y座標を計算（頻度から、Y軸の範囲外は端に寄せる）
+                    const yRatio = AxisScale.getValueRatio(frequency, plotArea.yAxisScale);
+                    const barHeight = (yRatio - AxisScale.getValueRatio(0, plotArea.yAxisScale)) * plotHeight;
+                    const y = plotArea.originY - yRatio * plotHeight;
+                    if (barHeight <= 0) continue;
 
-                // ツールチップを追加（2行表示）
-                const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
-                const yAxisFormat = bar.secondAxis ? (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
-                const formattedValue = this.formatNumber(item.value, yAxisFormat);
-                const formattedDate = this.formatDateToYYYYMMDD(item.date);
-                
-                // 1行目: 日付、2行目: 値（コメントがある場合は値 + コメント）
-                let tooltipText = formattedDate;
-                if (item.tooltip && item.tooltip.trim()) {
-                    tooltipText += '\n' + formattedValue + ' ' + item.tooltip.trim();
-                } else {
-                    tooltipText += '\n' + formattedValue;
-                }
-                
-                title.textContent = tooltipText;
-                rect.appendChild(title);
+                    // 矩形を描画
+                    const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                    rect.setAttribute('x', x);
+                    rect.setAttribute('y', y);
+                    rect.setAttribute('width', barWidth);
+                    rect.setAttribute('height', barHeight);
+                    rect.setAttribute('fill', series.color);
+                    rect.setAttribute('opacity', series.opacity);
+                    rect.setAttribute('stroke', series.color);
+                    rect.setAttribute('stroke-width', 0.5);
 
-                svg.appendChild(rect);
+                    // クリックイベントを設定（クリックされたビンのデータをonBinClickに渡す）
+                    if (clickable) {
+                        const bins = plotArea.bins;
+                        rect.setAttribute('data-series-index', seriesIndex);
+                        rect.setAttribute('data-bin-index', i);
+                        rect.setAttribute('style', 'cursor: pointer;');
+                        rect.addEventListener('click', () => {
+                            histogramChart.handleBinClick(seriesIndex, i, bins);
+                        });
+                    }
 
-                // コメントを描画
-                if (item.tooltip) {
-                    this.renderComment(svg, plotArea, x, barTop, item.tooltip, bar.color || 'blue');
+                    seriesGroup.appendChild(rect);
                 }
             }
         }
     }
 
     /**
-     * マーカーを描画（線グラフのデータポイントに丸を表示）
+     * ヒストグラムの軸を描画
      * @param {SVGElement} svg - SVG要素
-     * @param {number} x - X座標
-     * @param {number} y - Y座標（データポイントの位置）
-     * @param {number} value - 値
-     * @param {string} date - 日付（'YYYYMMDD'形式）
-     * @param {string} comment - コメントテキスト（オプション）
-     * @param {string} color - 系列の色
-     * @param {DateChart} dateChart - DateChartインスタンス（フォーマット用）
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {number} plotWidth - 描画エリアの幅
+     * @param {number} plotHeight - 描画エリアの高さ
      */
-    renderMarker(svg, x, y, value, date, comment, color, dateChart) {
-        const markerRadius = 4; // マーカーの半径
-        
-        // マーカーの円を描画
-        const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        circle.setAttribute('cx', x);
-        circle.setAttribute('cy', y);
-        circle.setAttribute('r', markerRadius);
-        circle.setAttribute('fill', color);
-        circle.setAttribute('stroke', '#fff');
-        circle.setAttribute('stroke-width', '1');
-        
-        // マウスオーバーでツールチップを表示（2行表示）
-        const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
-        const yAxisFormat = dateChart.yAxisFormat || '#,##0';
-        const formattedValue = this.formatNumber(value, yAxisFormat);
-        const formattedDate = this.formatDateToYYYYMMDD(date);
-        
-        // 1行目: 日付、2行目: 値（コメントがある場合は値 + コメント）
-        let tooltipText = formattedDate;
-        if (comment && comment.trim()) {
-            tooltipText += '\n' + formattedValue + ' ' + comment.trim();
-        } else {
-            tooltipText += '\n' + formattedValue;
+    renderHistogramAxes(svg, plotArea, plotWidth, plotHeight) {
+        const histogramChart = this.histogramCharts[0];
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const tickLineLength = 5;
+        const labelMargin = 5;
+
+        // X軸の線を描画
+        const xAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        xAxisLine.setAttribute('x1', plotArea.originX);
+        xAxisLine.setAttribute('y1', plotArea.originY);
+        xAxisLine.setAttribute('x2', plotArea.topRightX);
+        xAxisLine.setAttribute('y2', plotArea.originY);
+        xAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        xAxisLine.setAttribute('stroke-width', 1);
+        svg.appendChild(xAxisLine);
+
+        // Y軸の線を描画
+        const yAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        yAxisLine.setAttribute('x1', plotArea.originX);
+        yAxisLine.setAttribute('y1', plotArea.originY);
+        yAxisLine.setAttribute('x2', plotArea.originX);
+        yAxisLine.setAttribute('y2', plotArea.topRightY);
+        yAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        yAxisLine.setAttribute('stroke-width', 1);
+        svg.appendChild(yAxisLine);
+
+        // X軸の目盛りとラベルを描画（X軸スケールに基づく）
+        const xAxisFormat = histogramChart.xAxisFormat || '#,##0';
+        const xAxisScale = plotArea.xAxisScale;
+        const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
+
+        for (const labelValue of xAxisScale.labels) {
+            const xRatio = dataRange > 0 ? (labelValue - plotArea.dataRange.min) / dataRange : 0;
+            const x = plotArea.originX + xRatio * plotWidth;
+
+            // 目盛り線を描画
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', x);
+            tickLine.setAttribute('y1', plotArea.originY);
+            tickLine.setAttribute('x2', x);
+            tickLine.setAttribute('y2', plotArea.originY + tickLineLength);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', 1);
+            svg.appendChild(tickLine);
+
+            // ラベルを描画
+            const formatted = this.formatNumber(labelValue, xAxisFormat);
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', x);
+            labelText.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + metrics.height);
+            labelText.setAttribute('text-anchor', 'middle');
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = formatted;
+            svg.appendChild(labelText);
         }
-        
-        title.textContent = tooltipText;
-        circle.appendChild(title);
-        
-        svg.appendChild(circle);
+
+        // Y軸の目盛りとラベルを描画
+        const yAxisFormat = plotArea.yAxisFormat;
+        for (const label of plotArea.yAxisScale.labels) {
+            const yRatio = AxisScale.getValueRatio(label, plotArea.yAxisScale);
+            const y = plotArea.originY - yRatio * plotHeight;
+
+            // 目盛り線を描画
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', plotArea.originX);
+            tickLine.setAttribute('y1', y);
+            tickLine.setAttribute('x2', plotArea.originX - tickLineLength);
+            tickLine.setAttribute('y2', y);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', 1);
+            svg.appendChild(tickLine);
+
+            // ラベルを描画
+            const formatted = this.formatNumber(label, yAxisFormat);
+            const labelWidth = this.getTextWidth(formatted, fontSize);
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', 'end');
+            labelText.setAttribute('dominant-baseline', 'middle');
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = formatted;
+            svg.appendChild(labelText);
+        }
+
+        // X軸のタイトルを描画
+        if (histogramChart.xAxisTitle) {
+            const xAxisTitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            xAxisTitleText.setAttribute('class', 'chart-text');
+            xAxisTitleText.setAttribute('x', plotArea.originX + plotWidth / 2);
+            xAxisTitleText.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + metrics.height * 2 + 10);
+            xAxisTitleText.setAttribute('text-anchor', 'middle');
+            xAxisTitleText.setAttribute('style', `font-size: ${fontSize}px;`);
+            xAxisTitleText.textContent = histogramChart.xAxisTitle;
+            svg.appendChild(xAxisTitleText);
+        }
+
+        // Y軸のタイトルを描画
+        if (histogramChart.yAxisTitle) {
+            const yAxisTitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            yAxisTitleText.setAttribute('class', 'chart-text');
+            yAxisTitleText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin - 30);
+            yAxisTitleText.setAttribute('y', plotArea.topRightY + plotHeight / 2);
+            yAxisTitleText.setAttribute('text-anchor', 'middle');
+            yAxisTitleText.setAttribute('transform', `rotate(-90 ${plotArea.originX - tickLineLength - labelMargin - 30} ${plotArea.topRightY + plotHeight / 2})`);
+            yAxisTitleText.setAttribute('style', `font-size: ${fontSize}px;`);
+            yAxisTitleText.textContent = histogramChart.yAxisTitle;
+            svg.appendChild(yAxisTitleText);
+        }
+
+        // 凡例を描画
+        this.renderHistogramLegend(svg);
     }
 
     /**
-     * コメントを描画
+     * HistogramChartのグリッド線を描画
      * @param {SVGElement} svg - SVG要素
      * @param {Object} plotArea - 描画エリアの情報
-     * @param {number} x - X座標
-     * @param {number} y - Y座標（データポイントの位置）
-     * @param {string} comment - コメントテキスト
-     * @param {string} color - 系列の色
+     * @param {number} plotWidth - 描画エリアの幅
+     * @param {number} plotHeight - 描画エリアの高さ
      */
-    renderComment(svg, plotArea, x, y, comment, color) {
-        if (!comment || comment.trim() === '') {
+    renderHistogramGrid(svg, plotArea, plotWidth, plotHeight) {
+        if (!plotArea || !this.histogramCharts || this.histogramCharts.length === 0) {
             return;
         }
 
-        const fontSize = ChartCanvas.FONT_SIZE_SMALL;
-        const metrics = this.measureFontMetrics(fontSize);
-        const commentText = comment.trim();
-        const textWidth = this.getTextWidth(commentText, fontSize);
-        
-        // コメントの位置を決定
-        // デフォルトはデータポイントの上
-        let commentX = x;
-        let commentY = y - 10; // データポイントから10px上
-        
-        // グラフの上端に近い場合は下に表示
-        const topMargin = 10;
-        if (commentY < plotArea.topRightY + topMargin) {
-            commentY = y + metrics.height + 5; // データポイントから下に表示
-        }
-        
-        // グラフの左端に近い場合は右にずらす
-        const leftMargin = 5;
-        if (commentX < plotArea.originX + leftMargin) {
-            commentX = plotArea.originX + leftMargin;
+        const histogramChart = this.histogramCharts[0];
+        const gridColor = this.theme.colors.grid;
+        const gridStrokeWidth = 1;
+        const gridDashArray = '2,2'; // 破線
+
+        // X軸のグリッド線を描画
+        if (histogramChart.xGrid) {
+            const xAxisScale = plotArea.xAxisScale;
+            const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
+
+            for (const labelValue of xAxisScale.labels) {
+                const xRatio = dataRange > 0 ? (labelValue - plotArea.dataRange.min) / dataRange : 0;
+                const x = plotArea.originX + xRatio * plotWidth;
+
+                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                gridLine.setAttribute('x1', x);
+                gridLine.setAttribute('y1', plotArea.topRightY);
+                gridLine.setAttribute('x2', x);
+                gridLine.setAttribute('y2', plotArea.originY);
+                gridLine.setAttribute('stroke', gridColor);
+                gridLine.setAttribute('stroke-width', gridStrokeWidth);
+                gridLine.setAttribute('stroke-dasharray', gridDashArray);
+                svg.appendChild(gridLine);
+            }
         }
-        
-        // グラフの右端に近い場合は左にずらす
-        const rightMargin = 5;
-        if (commentX + textWidth > plotArea.topRightX - rightMargin) {
-            commentX = plotArea.topRightX - rightMargin - textWidth;
+
+        // Y軸のグリッド線を描画
+        if (histogramChart.yGrid) {
+            for (const label of plotArea.yAxisScale.labels) {
+                const yRatio = AxisScale.getValueRatio(label, plotArea.yAxisScale);
+                const y = plotArea.originY - yRatio * plotHeight;
+
+                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                gridLine.setAttribute('x1', plotArea.originX);
+                gridLine.setAttribute('y1', y);
+                gridLine.setAttribute('x2', plotArea.topRightX);
+                gridLine.setAttribute('y2', y);
+                gridLine.setAttribute('stroke', gridColor);
+                gridLine.setAttribute('stroke-width', gridStrokeWidth);
+                gridLine.setAttribute('stroke-dasharray', gridDashArray);
+                svg.appendChild(gridLine);
+            }
         }
-        
-        // コメントテキストを描画
-        const commentElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-        commentElement.setAttribute('class', 'chart-text');
-        commentElement.setAttribute('x', commentX);
-        commentElement.setAttribute('y', commentY);
-        commentElement.setAttribute('text-anchor', 'middle');
-        commentElement.setAttribute('dominant-baseline', 'hanging');
-        commentElement.setAttribute('style', `font-size: ${fontSize}px; fill: ${color};`);
-        commentElement.textContent = commentText;
-        svg.appendChild(commentElement);
     }
 
     /**
-     * 凡例を描画
+     * ヒストグラムの凡例を描画
      * @param {SVGElement} svg - SVG要素
      */
-    renderLegend(svg) {
-        if (!this.dateCharts || this.dateCharts.length === 0) {
+    renderHistogramLegend(svg) {
+        if (!this.histogramCharts || this.histogramCharts.length === 0) {
             return;
         }
 
-        // 凡例の設定
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const legendMargin = 20; // 右端からのマージン
-        const legendStartY = 60; // 上から60px
-        const legendItemHeight = 25; // 各凡例項目の高さ
-        const iconWidth = 30; // アイコンの幅
-        const iconHeight = 3; // 線グラフのアイコンの高さ（線の太さ）
-        const iconBarWidth = 20; // 棒グラフのアイコンの幅
-        const iconBarHeight = 12; // 棒グラフのアイコンの高さ
-        const iconLabelGap = 10; // アイコンとラベルの間隔
-        const legendPadding = 10; // 凡例エリアのパディング
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendMargin = 20;
+        const legendStartY = 60;
+        const legendItemHeight = 25;
+        const iconWidth = 20;
+        const iconHeight = 12;
+        const iconLabelGap = 10;
+        const legendPadding = 10;
 
         const metrics = this.measureFontMetrics(legendFontSize);
 
-        // すべてのDateChartから系列を収集
+        // 凡例項目を収集
         const legendItems = [];
-        for (const dateChart of this.dateCharts) {
-            // 線グラフの系列
-            for (const line of dateChart.lines) {
-                if (line.title) {
-                    legendItems.push({
-                        type: 'line',
-                        title: line.title,
-                        color: line.color,
-                        lineWidth: line.lineWidth || 2,
-                        lineType: line.lineType || 'solid'
-                    });
-                }
-            }
-            // 棒グラフの系列
-            for (const bar of dateChart.bars) {
-                if (bar.title) {
+        for (const hc of this.histogramCharts) {
+            for (const series of hc.series) {
+                if (series.title) {
                     legendItems.push({
-                        type: 'bar',
-                        title: bar.title,
-                        color: bar.color
+                        type: 'histogram',
+                        title: series.title,
+                        color: series.color,
+                        opacity: series.opacity
                     });
                 }
             }
         }
 
         if (legendItems.length === 0) {
-            return; // 凡例項目がない場合は何も描画しない
+            return;
         }
 
         // 最大のラベル幅を計算
@@ -3860,11 +10560,8 @@ class ChartCanvas {
 
         // 凡例エリアのサイズを計算
         const legendAreaWidth = iconWidth + iconLabelGap + maxLabelWidth + legendPadding * 2;
-        const legendAreaHeight = legendItems.length * legendItemHeight + legendPadding * 2;
-        // 右寄せ: 右端からマージン分引いた位置から凡例エリアの幅を引く
         const legendAreaX = this.width - legendAreaWidth - legendMargin;
         const legendAreaY = legendStartY - legendPadding;
-        // 凡例項目の開始X位置（パディングを考慮）
         const legendX = legendAreaX + legendPadding;
 
         // 凡例項目を描画
@@ -3873,41 +10570,23 @@ class ChartCanvas {
             const iconX = legendX;
             const iconY = currentY - iconHeight / 2;
 
-            if (item.type === 'line') {
-                // 線グラフのアイコンを描画
-                const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                line.setAttribute('x1', iconX);
-                line.setAttribute('y1', iconY);
-                line.setAttribute('x2', iconX + iconWidth);
-                line.setAttribute('y2', iconY);
-                line.setAttribute('stroke', item.color);
-                line.setAttribute('stroke-width', item.lineWidth);
-                
-                // 線の種類を設定
-                if (item.lineType === 'dashed') {
-                    line.setAttribute('stroke-dasharray', '5,5');
-                } else if (item.lineType === 'dotted') {
-                    line.setAttribute('stroke-dasharray', '2,2');
-                }
-                
-                svg.appendChild(line);
-            } else if (item.type === 'bar') {
-                // 棒グラフのアイコンを描画
-                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                rect.setAttribute('x', iconX);
-                rect.setAttribute('y', iconY - iconBarHeight / 2);
-                rect.setAttribute('width', iconBarWidth);
-                rect.setAttribute('height', iconBarHeight);
-                rect.setAttribute('fill', item.color);
-                rect.setAttribute('stroke', 'none');
-                svg.appendChild(rect);
-            }
+            // ヒストグラムのアイコンを描画
+            const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('x', iconX);
+            rect.setAttribute('y', iconY);
+            rect.setAttribute('width', iconWidth);
+            rect.setAttribute('height', iconHeight);
+            rect.setAttribute('fill', item.color);
+            rect.setAttribute('opacity', item.opacity);
+            rect.setAttribute('stroke', item.color);
+            rect.setAttribute('stroke-width', 0.5);
+            svg.appendChild(rect);
 
             // ラベルを描画
             const labelX = iconX + iconWidth + iconLabelGap;
             const labelY = currentY;
             const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('class', 'chart-text chart-legend-text');
             labelText.setAttribute('x', labelX);
             labelText.setAttribute('y', labelY);
             labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
@@ -3919,102 +10598,414 @@ class ChartCanvas {
     }
 
     /**
-     * ヒストグラム用の描画エリアを計算
-     * @returns {Object} 描画エリアの情報
+     * 散布図の凡例の項目を取得（タイトルがあり、点がある系列のみ）
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @returns {Array<Object>} 凡例の項目 [{title, color, opacity}, ...]
      */
-    calculateHistogramPlotArea() {
-        if (!this.histogramCharts || this.histogramCharts.length === 0) {
-            return null;
-        }
+    getScatterLegendItems(scatterChart) {
+        return scatterChart.series
+            .filter(series => series.title && series.data.length > 0)
+            .map(series => ({ title: series.title, color: series.color, opacity: series.opacity }));
+    }
 
-        const histogramChart = this.histogramCharts[0];
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
+    /**
+     * 散布図用の描画エリアを計算
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @returns {Object} 描画エリアの情報
+     */
+    calculateScatterPlotArea(scatterChart) {
+        const fontSize = this.theme.fontSize.normal;
         const metrics = this.measureFontMetrics(fontSize);
         const leftMargin = 20;
         const bottomMargin = 20;
         const topMargin = 10;
         const tickLineLength = 5;
+        const labelMargin = 5;
+        const axisTitleMargin = 10;
         const titleMargin = 20;
         const legendMargin = 20;
-        const legendScaleGap = 20;
-
-        // データの範囲を取得
-        const rawDataRange = histogramChart.getDataRange();
-        const bins = histogramChart.calculateBins(rawDataRange.min, rawDataRange.max);
-        
-        // X軸スケールに基づいたデータ範囲を使用
-        const dataRange = {
-            min: bins.xAxisScale.minTickValue,
-            max: bins.xAxisScale.maxTickValue
-        };
-
-        // Y軸のスケールを計算（頻度の最大値を取得）
-        let maxFrequency = 0;
-        for (const series of histogramChart.series) {
-            const frequencies = histogramChart.binData(series.data, bins.bins);
-            const seriesMax = Math.max(...frequencies, 0);
-            if (seriesMax > maxFrequency) {
-                maxFrequency = seriesMax;
-            }
-        }
+        const iconWidth = 20;
+        const iconLabelGap = 10;
+        const legendPadding = 10;
 
-        // Y軸のスケールを計算
-        const yAxisScale = this.calculateYAxisScaleForHistogram(maxFrequency);
-        const yAxisFormat = histogramChart.yAxisFormat || '#,##0';
+        // X軸・Y軸のスケールを計算（どちらもHistogramChartのX軸と同じロジック）
+        const dataRange = scatterChart.getDataRange();
+        const xAxisScale = scatterChart.calculateXAxisScale(dataRange.xMin, dataRange.xMax);
+        const yAxisScale = scatterChart.calculateYAxisScale(dataRange.yMin, dataRange.yMax);
 
         // Y軸のラベルの最大幅を計算
         let maxYLabelWidth = 0;
         for (const label of yAxisScale.labels) {
-            const formatted = this.formatNumber(label, yAxisFormat);
-            const width = this.getTextWidth(formatted, fontSize);
+            const width = this.getTextWidth(this.formatAxisLabel(label, scatterChart.yAxisFormat, yAxisScale), fontSize);
             if (width > maxYLabelWidth) {
                 maxYLabelWidth = width;
             }
         }
 
-        // 凡例の計算（ヒストグラム用）
-        const legendItems = [];
-        for (const hc of this.histogramCharts) {
-            for (const series of hc.series) {
-                if (series.title) {
-                    legendItems.push({
-                        type: 'histogram',
-                        title: series.title,
-                        color: series.color,
-                        opacity: series.opacity
-                    });
+        // 凡例の幅を計算（凡例の項目がない場合は凡例の領域を確保しない）
+        const legendItems = this.getScatterLegendItems(scatterChart);
+        let legendAreaWidth = 0;
+        if (legendItems.length > 0) {
+            let maxLegendLabelWidth = 0;
+            for (const item of legendItems) {
+                const width = this.getTextWidth(item.title, this.theme.legend.fontSize);
+                if (width > maxLegendLabelWidth) {
+                    maxLegendLabelWidth = width;
+                }
+            }
+            legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
+        }
+
+        // 原点の座標（軸のタイトルがある場合はタイトルの領域を空ける）
+        const yAxisTitleWidth = scatterChart.yAxisTitle ? metrics.height + axisTitleMargin : 0;
+        const xAxisTitleHeight = scatterChart.xAxisTitle ? metrics.height + axisTitleMargin : 0;
+        const originX = leftMargin + yAxisTitleWidth + maxYLabelWidth + labelMargin + tickLineLength;
+        const originY = this.height - bottomMargin - xAxisTitleHeight - metrics.height - labelMargin - tickLineLength;
+
+        // 右上の座標
+        const topRightX = this.width - legendMargin - (legendAreaWidth > 0 ? legendAreaWidth + legendMargin : 0);
+        let topRightY = topMargin;
+        if (this.title) {
+            topRightY += metrics.height;
+            if (this.subtitle) {
+                topRightY += fontSize + 5;
+            }
+        }
+        topRightY += titleMargin;
+
+        return {
+            originX,
+            originY,
+            topRightX,
+            topRightY,
+            xAxisScale,
+            yAxisScale,
+            legendItems,
+            legendAreaWidth
+        };
+    }
+
+    /**
+     * 散布図を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderScatterChart(svg, scatterChart, plotArea) {
+        const plotWidth = plotArea.topRightX - plotArea.originX;
+        const plotHeight = plotArea.originY - plotArea.topRightY;
+        const toX = value => plotArea.originX + AxisScale.getValueRatio(value, plotArea.xAxisScale) * plotWidth;
+        const toY = value => plotArea.originY - AxisScale.getValueRatio(value, plotArea.yAxisScale) * plotHeight;
+        const isInRange = (value, scale) => value >= scale.min && value <= scale.max;
+
+        // 描画エリアの背景・グリッド線・軸を描画
+        this.renderPlotAreaBackground(svg, plotArea);
+        this.renderScatterGrid(svg, scatterChart, plotArea, toX, toY);
+        this.renderScatterAxes(svg, scatterChart, plotArea, toX, toY);
+
+        const maxSize = scatterChart.getMaxSize();
+        const xFormat = scatterChart.xAxisFormat;
+        const yFormat = scatterChart.yAxisFormat;
+        const xName = scatterChart.xAxisTitle || 'X';
+        const yName = scatterChart.yAxisTitle || 'Y';
+
+        scatterChart.series.forEach((series, seriesIndex) => {
+            if (series.data.length === 0) {
+                return;
+            }
+
+            // 系列のグループ（系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeScatterSeries(series, seriesIndex, scatterChart));
+
+            // 大きいバブルが小さいバブルを隠さないように、サイズの大きい順に描画する
+            const points = maxSize !== null ?
+                [...series.data].sort((a, b) => (b.size || 0) - (a.size || 0)) : series.data;
+            for (const point of points) {
+                // 軸の範囲外の点は描画しない
+                if (!isInRange(point.x, plotArea.xAxisScale) || !isInRange(point.y, plotArea.yAxisScale)) {
+                    continue;
+                }
+
+                const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                circle.setAttribute('cx', toX(point.x));
+                circle.setAttribute('cy', toY(point.y));
+                circle.setAttribute('r', scatterChart.getPointRadius(point, maxSize));
+                circle.setAttribute('fill', series.color);
+                circle.setAttribute('fill-opacity', series.opacity);
+                circle.setAttribute('stroke', series.color);
+                circle.setAttribute('stroke-width', 1);
+
+                // マウスオーバーでツールチップを表示（1行目: ラベルと系列名、2行目以降: X・Y・サイズ）
+                const heading = point.label && series.title ? `${point.label}（${series.title}）` : (point.label || series.title);
+                const tooltipLines = heading ? [heading] : [];
+                tooltipLines.push(`${xName}: ${this.formatNumber(point.x, xFormat)}`, `${yName}: ${this.formatNumber(point.y, yFormat)}`);
+                if (point.size !== null) {
+                    tooltipLines.push(`サイズ: ${this.formatNumber(point.size, scatterChart.sizeFormat)}`);
                 }
+                const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = tooltipLines.join('\n');
+                circle.appendChild(title);
+
+                seriesGroup.appendChild(circle);
+            }
+
+            if (scatterChart.showRegressionLine) {
+                this.renderScatterRegressionLine(seriesGroup, scatterChart, series, plotArea, toX, toY);
+            }
+        });
+
+        // 凡例を描画
+        this.renderScatterLegend(svg, plotArea);
+    }
+
+    /**
+     * 散布図の系列の回帰直線を描画（描画エリアの範囲に切り詰める）
+     * @param {SVGElement} svg - 描画先の要素（系列のグループ）
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @param {ScatterSeries} series - 系列
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {Function} toX - X軸の値をX座標に変換する関数
+     * @param {Function} toY - Y軸の値をY座標に変換する関数
+     */
+    renderScatterRegressionLine(svg, scatterChart, series, plotArea, toX, toY) {
+        const regression = series.getRegression();
+        if (!regression) {
+            return;
+        }
+
+        // X軸の範囲のうち、直線がY軸の範囲に収まる区間を求める
+        const { xAxisScale, yAxisScale } = plotArea;
+        let startX = xAxisScale.min;
+        let endX = xAxisScale.max;
+        if (regression.slope !== 0) {
+            const xAtMin = (yAxisScale.min - regression.intercept) / regression.slope;
+            const xAtMax = (yAxisScale.max - regression.intercept) / regression.slope;
+            startX = Math.max(startX, Math.min(xAtMin, xAtMax));
+            endX = Math.min(endX, Math.max(xAtMin, xAtMax));
+        } else if (regression.intercept < yAxisScale.min || regression.intercept > yAxisScale.max) {
+            return;
+        }
+        if (startX >= endX) {
+            return;
+        }
+
+        const dashArrays = { solid: null, dashed: '5,5', dotted: '2,2' };
+        const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', toX(startX));
+        line.setAttribute('y1', toY(regression.slope * startX + regression.intercept));
+        line.setAttribute('x2', toX(endX));
+        line.setAttribute('y2', toY(regression.slope * endX + regression.intercept));
+        line.setAttribute('stroke', series.color);
+        line.setAttribute('stroke-width', scatterChart.regressionLineWidth);
+        if (dashArrays[scatterChart.regressionLineStyle]) {
+            line.setAttribute('stroke-dasharray', dashArrays[scatterChart.regressionLineStyle]);
+        }
+
+        const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = `回帰直線${series.title ? `（${series.title}）` : ''}: ${ScatterChart.formatRegression(regression)}`;
+        line.appendChild(title);
+
+        svg.appendChild(line);
+    }
+
+    /**
+     * 散布図の軸（線・目盛り・ラベル・タイトル）を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {Function} toX - X軸の値をX座標に変換する関数
+     * @param {Function} toY - Y軸の値をY座標に変換する関数
+     */
+    renderScatterAxes(svg, scatterChart, plotArea, toX, toY) {
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const tickLineLength = 5;
+        const labelMargin = 5;
+        const axisTitleMargin = 10;
+
+        const createLine = (x1, y1, x2, y2, color) => {
+            const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', color);
+            line.setAttribute('stroke-width', 1);
+            svg.appendChild(line);
+        };
+        const createText = (x, y, text, anchor, extraAttributes = {}) => {
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', x);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', anchor);
+            for (const [name, value] of Object.entries(extraAttributes)) {
+                labelText.setAttribute(name, value);
+            }
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = text;
+            svg.appendChild(labelText);
+        };
+
+        // X軸とY軸の線を描画
+        createLine(plotArea.originX, plotArea.originY, plotArea.topRightX, plotArea.originY, this.theme.colors.axis);
+        createLine(plotArea.originX, plotArea.originY, plotArea.originX, plotArea.topRightY, this.theme.colors.axis);
+
+        // X軸の目盛りとラベルを描画
+        const xLabelY = plotArea.originY + tickLineLength + labelMargin + metrics.height;
+        for (const label of plotArea.xAxisScale.labels) {
+            const x = toX(label);
+            createLine(x, plotArea.originY, x, plotArea.originY + tickLineLength, this.theme.colors.tick);
+            createText(x, xLabelY, this.formatAxisLabel(label, scatterChart.xAxisFormat, plotArea.xAxisScale), 'middle');
+        }
+
+        // Y軸の目盛りとラベルを描画
+        let maxYLabelWidth = 0;
+        for (const label of plotArea.yAxisScale.labels) {
+            const y = toY(label);
+            const formatted = this.formatAxisLabel(label, scatterChart.yAxisFormat, plotArea.yAxisScale);
+            maxYLabelWidth = Math.max(maxYLabelWidth, this.getTextWidth(formatted, fontSize));
+            createLine(plotArea.originX, y, plotArea.originX - tickLineLength, y, this.theme.colors.tick);
+            createText(plotArea.originX - tickLineLength - labelMargin, y, formatted, 'end', { 'dominant-baseline': 'middle' });
+        }
+
+        // X軸のタイトルを描画（X軸のラベルの下）
+        if (scatterChart.xAxisTitle) {
+            const plotWidth = plotArea.topRightX - plotArea.originX;
+            createText(plotArea.originX + plotWidth / 2, xLabelY + axisTitleMargin + metrics.height, scatterChart.xAxisTitle, 'middle');
+        }
+
+        // Y軸のタイトルを描画（Y軸のラベルの左、縦書き）
+        if (scatterChart.yAxisTitle) {
+            const titleX = plotArea.originX - tickLineLength - labelMargin - maxYLabelWidth - axisTitleMargin - metrics.height / 2;
+            const titleY = plotArea.topRightY + (plotArea.originY - plotArea.topRightY) / 2;
+            createText(titleX, titleY, scatterChart.yAxisTitle, 'middle', {
+                'dominant-baseline': 'middle',
+                transform: `rotate(-90 ${titleX} ${titleY})`
+            });
+        }
+    }
+
+    /**
+     * 散布図のグリッド線を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {Function} toX - X軸の値をX座標に変換する関数
+     * @param {Function} toY - Y軸の値をY座標に変換する関数
+     */
+    renderScatterGrid(svg, scatterChart, plotArea, toX, toY) {
+        const gridLines = [];
+        if (scatterChart.xGrid) {
+            for (const label of plotArea.xAxisScale.labels) {
+                const x = toX(label);
+                gridLines.push([x, plotArea.topRightY, x, plotArea.originY]);
+            }
+        }
+        if (scatterChart.yGrid) {
+            for (const label of plotArea.yAxisScale.labels) {
+                const y = toY(label);
+                gridLines.push([plotArea.originX, y, plotArea.topRightX, y]);
             }
         }
 
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
+        for (const [x1, y1, x2, y2] of gridLines) {
+            const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            gridLine.setAttribute('x1', x1);
+            gridLine.setAttribute('y1', y1);
+            gridLine.setAttribute('x2', x2);
+            gridLine.setAttribute('y2', y2);
+            gridLine.setAttribute('stroke', this.theme.colors.grid);
+            gridLine.setAttribute('stroke-width', 1);
+            gridLine.setAttribute('stroke-dasharray', '2,2');
+            svg.appendChild(gridLine);
+        }
+    }
+
+    /**
+     * 散布図の凡例を描画（描画エリアの右側）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報（legendItemsを使用）
+     */
+    renderScatterLegend(svg, plotArea) {
+        if (plotArea.legendItems.length === 0) {
+            return;
+        }
+
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendMargin = 20;
         const legendItemHeight = 25;
         const iconWidth = 20;
+        const iconRadius = 5;
         const iconLabelGap = 10;
         const legendPadding = 10;
 
-        let maxLegendLabelWidth = 0;
-        for (const item of legendItems) {
-            const width = this.getTextWidth(item.title, legendFontSize);
-            if (width > maxLegendLabelWidth) {
-                maxLegendLabelWidth = width;
-            }
-        }
+        const legendX = this.width - plotArea.legendAreaWidth - legendMargin + legendPadding;
+        let currentY = plotArea.topRightY + legendItemHeight / 2;
+        for (const item of plotArea.legendItems) {
+            // 点のアイコンを描画
+            const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', legendX + iconWidth / 2);
+            circle.setAttribute('cy', currentY);
+            circle.setAttribute('r', iconRadius);
+            circle.setAttribute('fill', item.color);
+            circle.setAttribute('fill-opacity', item.opacity);
+            circle.setAttribute('stroke', item.color);
+            circle.setAttribute('stroke-width', 1);
+            svg.appendChild(circle);
 
-        const legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
-        const legendLeftX = this.width - legendAreaWidth - legendMargin;
+            // ラベルを描画
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text chart-legend-text');
+            labelText.setAttribute('x', legendX + iconWidth + iconLabelGap);
+            labelText.setAttribute('y', currentY);
+            labelText.setAttribute('dominant-baseline', 'middle');
+            labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
+            labelText.textContent = item.title;
+            svg.appendChild(labelText);
 
-        // 原点のX座標
-        const originX = leftMargin + maxYLabelWidth + tickLineLength;
+            currentY += legendItemHeight;
+        }
+    }
 
-        // 原点のY座標
+    /**
+     * 箱ひげ図用の描画エリアを計算
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
+     * @returns {Object} 描画エリアの情報（seriesListは値のある系列と統計量 [{series, stats}, ...]）
+     */
+    calculateBoxPlotPlotArea(boxPlotChart) {
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const leftMargin = 20;
+        const rightMargin = 20;
+        const bottomMargin = 20;
+        const topMargin = 10;
+        const tickLineLength = 5;
         const labelMargin = 5;
-        const originY = this.height - bottomMargin - metrics.height * 2 - labelMargin - tickLineLength;
+        const axisTitleMargin = 10;
+        const titleMargin = 20;
 
-        // 右上のX座標
-        const topRightX = legendLeftX - legendMargin;
+        // Y軸のスケールを計算（ひげ・外れ値・平均値を含む範囲、散布図の軸と同じロジック）
+        const valueRange = boxPlotChart.getValueRange();
+        const yAxisScale = boxPlotChart.calculateYAxisScale(valueRange.min, valueRange.max);
 
-        // 右上のY座標
+        // Y軸のラベルの最大幅を計算
+        let maxYLabelWidth = 0;
+        for (const label of yAxisScale.labels) {
+            const width = this.getTextWidth(this.formatAxisLabel(label, boxPlotChart.yAxisFormat, yAxisScale), fontSize);
+            if (width > maxYLabelWidth) {
+                maxYLabelWidth = width;
+            }
+        }
+
+        // 原点の座標（軸のタイトルがある場合はタイトルの領域を空ける）
+        const yAxisTitleWidth = boxPlotChart.yAxisTitle ? metrics.height + axisTitleMargin : 0;
+        const xAxisTitleHeight = boxPlotChart.xAxisTitle ? metrics.height + axisTitleMargin : 0;
+        const originX = leftMargin + yAxisTitleWidth + maxYLabelWidth + labelMargin + tickLineLength;
+        const originY = this.height - bottomMargin - xAxisTitleHeight - metrics.height - labelMargin - tickLineLength;
+
+        // 右上の座標
+        const topRightX = this.width - rightMargin;
         let topRightY = topMargin;
         if (this.title) {
             topRightY += metrics.height;
@@ -4024,486 +11015,475 @@ class ChartCanvas {
         }
         topRightY += titleMargin;
 
+        const seriesList = boxPlotChart.series
+            .map(series => ({ series, stats: series.getStatistics() }))
+            .filter(entry => entry.stats);
+
         return {
             originX,
             originY,
             topRightX,
             topRightY,
-            dataRange,
-            bins: bins.bins,
-            binWidth: bins.binWidth,
-            xAxisScale: bins.xAxisScale,
             yAxisScale,
-            yAxisFormat
-        };
-    }
-
-    /**
-     * ヒストグラム用のY軸スケールを計算
-     * @param {number} maxValue - 最大値
-     * @returns {Object} {max, tickCount, labels}
-     */
-    calculateYAxisScaleForHistogram(maxValue) {
-        if (maxValue === 0) {
-            return { max: 10, tickCount: 6, labels: [0, 2, 4, 6, 8, 10] };
-        }
-
-        // 適切な間隔を計算
-        const magnitude = Math.pow(10, Math.floor(Math.log10(maxValue)));
-        const normalized = maxValue / magnitude;
-
-        let tickInterval;
-        if (normalized <= 1) {
-            tickInterval = magnitude / 5;
-        } else if (normalized <= 2) {
-            tickInterval = magnitude / 5;
-        } else if (normalized <= 5) {
-            tickInterval = magnitude / 5;
-        } else {
-            tickInterval = magnitude / 5;
-        }
-
-        const maxTickValue = Math.ceil(maxValue / tickInterval) * tickInterval;
-        const labels = [];
-        let currentValue = 0;
-        while (currentValue <= maxTickValue) {
-            labels.push(currentValue);
-            currentValue += tickInterval;
-        }
-
-        return {
-            max: maxTickValue,
-            tickCount: labels.length,
-            labels
+            seriesList
         };
     }
 
     /**
-     * ヒストグラムを描画
+     * 箱ひげ図を描画（系列ごとに、X軸に等間隔に箱を並べる）
      * @param {SVGElement} svg - SVG要素
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
      * @param {Object} plotArea - 描画エリアの情報
      */
-    renderHistogram(svg, plotArea) {
-        if (!plotArea || !this.histogramCharts || this.histogramCharts.length === 0) {
-            return;
-        }
-
-        const histogramChart = this.histogramCharts[0];
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const metrics = this.measureFontMetrics(fontSize);
-        const tickLineLength = 5;
-        const labelMargin = 5;
-
-        // 描画エリアのサイズを計算
+    renderBoxPlot(svg, boxPlotChart, plotArea) {
         const plotWidth = plotArea.topRightX - plotArea.originX;
         const plotHeight = plotArea.originY - plotArea.topRightY;
+        const toY = value => plotArea.originY - AxisScale.getValueRatio(value, plotArea.yAxisScale) * plotHeight;
+        const slotWidth = plotArea.seriesList.length > 0 ? plotWidth / plotArea.seriesList.length : plotWidth;
+        const boxWidth = slotWidth * boxPlotChart.boxWidthRatio;
+        const format = boxPlotChart.yAxisFormat;
+
+        // 描画エリアの背景・グリッド線・軸を描画
+        this.renderPlotAreaBackground(svg, plotArea);
+        this.renderBoxPlotGrid(svg, boxPlotChart, plotArea, toY);
+        this.renderBoxPlotAxes(svg, boxPlotChart, plotArea, toY, slotWidth);
+
+        const createLine = (parent, x1, y1, x2, y2, color, width) => {
+            const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', color);
+            line.setAttribute('stroke-width', width);
+            parent.appendChild(line);
+            return line;
+        };
+        const appendTitle = (element, text) => {
+            const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = text;
+            element.appendChild(title);
+        };
 
-        // X軸とY軸を描画
-        this.renderHistogramAxes(svg, plotArea, plotWidth, plotHeight);
+        plotArea.seriesList.forEach(({ series, stats }, index) => {
+            const centerX = plotArea.originX + slotWidth * (index + 0.5);
+            const boxLeft = centerX - boxWidth / 2;
+            const name = series.title || `系列${boxPlotChart.series.indexOf(series) + 1}`;
 
-        // グリッド線を描画（軸の後、データ系列の前）
-        this.renderHistogramGrid(svg, plotArea, plotWidth, plotHeight);
+            // 系列のグループ（系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeBoxPlotSeries(series, boxPlotChart.series.indexOf(series), boxPlotChart, stats));
 
-        // 各系列のヒストグラムを描画
-        let seriesIndex = 0;
-        for (const series of histogramChart.series) {
-            if (series.data.length === 0) {
-                seriesIndex++;
-                continue;
+            // ひげ（箱の端からひげの端までの線と、端の横線）を描画
+            createLine(seriesGroup, centerX, toY(stats.upperWhisker), centerX, toY(stats.q3), series.color, 1.5);
+            createLine(seriesGroup, centerX, toY(stats.q1), centerX, toY(stats.lowerWhisker), series.color, 1.5);
+            for (const whisker of [stats.upperWhisker, stats.lowerWhisker]) {
+                createLine(seriesGroup, centerX - boxWidth / 4, toY(whisker), centerX + boxWidth / 4, toY(whisker), series.color, 1.5);
             }
 
-            // binDataMapを更新するために系列を渡す
-            const frequencies = histogramChart.binData(series.data, plotArea.bins, series);
-            const maxFrequency = Math.max(...plotArea.yAxisScale.labels);
-            const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
-
-            if (histogramChart.curveMode) {
-                // ベジェ曲線モード
-                const points = histogramChart.calculateCurvePoints(frequencies, plotArea.bins);
-                const pathString = histogramChart.generateBezierPath(
-                    points,
-                    plotArea.dataRange.min,
-                    plotArea.dataRange.max,
-                    plotWidth,
-                    plotHeight,
-                    plotArea.originX,
-                    plotArea.originY,
-                    maxFrequency
-                );
-
-                if (pathString) {
-                    const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
-                    path.setAttribute('d', pathString);
-                    path.setAttribute('fill', 'none');
-                    path.setAttribute('stroke', series.color);
-                    path.setAttribute('stroke-width', 2);
-                    path.setAttribute('opacity', series.opacity);
-                    svg.appendChild(path);
+            // 箱（第1四分位〜第3四分位）を描画し、統計量をツールチップに表示
+            const isTukey = boxPlotChart.whiskerMode === 'tukey';
+            const tooltipLines = [
+                name,
+                `件数: ${this.formatNumber(stats.count, '#,##0')}`,
+                `最大: ${this.formatNumber(stats.max, format)}`,
+                ...(isTukey ? [`上ひげ: ${this.formatNumber(stats.upperWhisker, format)}`] : []),
+                `第3四分位: ${this.formatNumber(stats.q3, format)}`,
+                `中央値: ${this.formatNumber(stats.median, format)}`,
+                `第1四分位: ${this.formatNumber(stats.q1, format)}`,
+                ...(isTukey ? [`下ひげ: ${this.formatNumber(stats.lowerWhisker, format)}`] : []),
+                `最小: ${this.formatNumber(stats.min, format)}`,
+                `平均: ${this.formatNumber(stats.mean, format)}`,
+                ...(isTukey ? [`外れ値: ${this.formatNumber(stats.outliers.length, '#,##0')}件`] : [])
+            ];
+            const box = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            box.setAttribute('x', boxLeft);
+            box.setAttribute('y', toY(stats.q3));
+            box.setAttribute('width', boxWidth);
+            box.setAttribute('height', Math.max(0, toY(stats.q1) - toY(stats.q3)));
+            box.setAttribute('fill', series.color);
+            box.setAttribute('fill-opacity', series.opacity);
+            box.setAttribute('stroke', series.color);
+            box.setAttribute('stroke-width', 1.5);
+            appendTitle(box, tooltipLines.join('\n'));
+            seriesGroup.appendChild(box);
+
+            // 中央値の線を描画
+            createLine(seriesGroup, boxLeft, toY(stats.median), boxLeft + boxWidth, toY(stats.median), series.color, 3);
+
+            // 外れ値の点を描画（軸の範囲外の点は描画しない）
+            if (isTukey && boxPlotChart.showOutliers) {
+                for (const outlier of stats.outliers) {
+                    if (outlier < plotArea.yAxisScale.min || outlier > plotArea.yAxisScale.max) {
+                        continue;
+                    }
+                    const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                    circle.setAttribute('cx', centerX);
+                    circle.setAttribute('cy', toY(outlier));
+                    circle.setAttribute('r', 3);
+                    circle.setAttribute('fill', this.theme.colors.border);
+                    circle.setAttribute('stroke', series.color);
+                    circle.setAttribute('stroke-width', 1.5);
+                    appendTitle(circle, `${name}\n外れ値: ${this.formatNumber(outlier, format)}`);
+                    seriesGroup.appendChild(circle);
                 }
-            } else {
-                // 棒グラフモード
-                const binWidth = plotArea.binWidth;
-                for (let i = 0; i < frequencies.length; i++) {
-                    const frequency = frequencies[i];
-                    if (frequency === 0) continue;
-
-                    const binMin = plotArea.bins[i];
-                    const binMax = plotArea.bins[i + 1];
-
-                    // X座標を計算（ビンの左端、X軸スケールに基づく）
-                    const xRatio = dataRange > 0 ? (binMin - plotArea.dataRange.min) / dataRange : 0;
-                    const x = plotArea.originX + xRatio * plotWidth;
-
-                    // ビンの幅を計算（X軸スケールに基づく）
-                    const binWidthRatio = dataRange > 0 ? (binMax - binMin) / dataRange : 0;
-                    const barWidth = binWidthRatio * plotWidth;
-
-                    // Y座標を計算（頻度から）
-                    const yRatio = frequency / maxFrequency;
-                    const barHeight = yRatio * plotHeight;
-                    const y = plotArea.originY - barHeight;
+            }
 
-                    // 矩形を描画
-                    const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                    rect.setAttribute('x', x);
-                    rect.setAttribute('y', y);
-                    rect.setAttribute('width', barWidth);
-                    rect.setAttribute('height', barHeight);
-                    rect.setAttribute('fill', series.color);
-                    rect.setAttribute('opacity', series.opacity);
-                    rect.setAttribute('stroke', series.color);
-                    rect.setAttribute('stroke-width', 0.5);
-                    svg.appendChild(rect);
-                }
+            // 平均値のマーカー（ひし形）を描画
+            if (boxPlotChart.showMean) {
+                const meanY = toY(stats.mean);
+                const size = 5;
+                const marker = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                marker.setAttribute('d', `M ${centerX} ${meanY - size} L ${centerX + size} ${meanY} L ${centerX} ${meanY + size} L ${centerX - size} ${meanY} Z`);
+                marker.setAttribute('fill', this.theme.colors.border);
+                marker.setAttribute('stroke', series.color);
+                marker.setAttribute('stroke-width', 1.5);
+                appendTitle(marker, `${name}\n平均: ${this.formatNumber(stats.mean, format)}`);
+                seriesGroup.appendChild(marker);
             }
-        }
+        });
     }
 
     /**
-     * ヒストグラムの軸を描画
+     * 箱ひげ図の軸（線・Y軸の目盛りとラベル・X軸のグループ名・タイトル）を描画
      * @param {SVGElement} svg - SVG要素
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
      * @param {Object} plotArea - 描画エリアの情報
-     * @param {number} plotWidth - 描画エリアの幅
-     * @param {number} plotHeight - 描画エリアの高さ
+     * @param {Function} toY - 値をY座標に変換する関数
+     * @param {number} slotWidth - 1つの箱に割り当てる幅
      */
-    renderHistogramAxes(svg, plotArea, plotWidth, plotHeight) {
-        const histogramChart = this.histogramCharts[0];
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
+    renderBoxPlotAxes(svg, boxPlotChart, plotArea, toY, slotWidth) {
+        const fontSize = this.theme.fontSize.normal;
         const metrics = this.measureFontMetrics(fontSize);
         const tickLineLength = 5;
         const labelMargin = 5;
-
-        // X軸の線を描画
-        const xAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        xAxisLine.setAttribute('x1', plotArea.originX);
-        xAxisLine.setAttribute('y1', plotArea.originY);
-        xAxisLine.setAttribute('x2', plotArea.topRightX);
-        xAxisLine.setAttribute('y2', plotArea.originY);
-        xAxisLine.setAttribute('stroke', 'black');
-        xAxisLine.setAttribute('stroke-width', 1);
-        svg.appendChild(xAxisLine);
-
-        // Y軸の線を描画
-        const yAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        yAxisLine.setAttribute('x1', plotArea.originX);
-        yAxisLine.setAttribute('y1', plotArea.originY);
-        yAxisLine.setAttribute('x2', plotArea.originX);
-        yAxisLine.setAttribute('y2', plotArea.topRightY);
-        yAxisLine.setAttribute('stroke', 'black');
-        yAxisLine.setAttribute('stroke-width', 1);
-        svg.appendChild(yAxisLine);
-
-        // X軸の目盛りとラベルを描画（X軸スケールに基づく）
-        const xAxisFormat = histogramChart.xAxisFormat || '#,##0';
-        const xAxisScale = plotArea.xAxisScale;
-        const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
-
-        for (const labelValue of xAxisScale.labels) {
-            const xRatio = dataRange > 0 ? (labelValue - plotArea.dataRange.min) / dataRange : 0;
-            const x = plotArea.originX + xRatio * plotWidth;
-
-            // 目盛り線を描画
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', x);
-            tickLine.setAttribute('y1', plotArea.originY);
-            tickLine.setAttribute('x2', x);
-            tickLine.setAttribute('y2', plotArea.originY + tickLineLength);
-            tickLine.setAttribute('stroke', 'black');
-            tickLine.setAttribute('stroke-width', 1);
-            svg.appendChild(tickLine);
-
-            // ラベルを描画
-            const formatted = this.formatNumber(labelValue, xAxisFormat);
+        const axisTitleMargin = 10;
+
+        const createLine = (x1, y1, x2, y2, color) => {
+            const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', color);
+            line.setAttribute('stroke-width', 1);
+            svg.appendChild(line);
+        };
+        const createText = (x, y, text, anchor, extraAttributes = {}) => {
             const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
             labelText.setAttribute('class', 'chart-text');
             labelText.setAttribute('x', x);
-            labelText.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + metrics.height);
-            labelText.setAttribute('text-anchor', 'middle');
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', anchor);
+            for (const [name, value] of Object.entries(extraAttributes)) {
+                labelText.setAttribute(name, value);
+            }
             labelText.setAttribute('style', `font-size: ${fontSize}px;`);
-            labelText.textContent = formatted;
+            labelText.textContent = text;
             svg.appendChild(labelText);
-        }
-
-        // Y軸の目盛りとラベルを描画
-        const yAxisFormat = plotArea.yAxisFormat;
-        for (const label of plotArea.yAxisScale.labels) {
-            const yRatio = label / plotArea.yAxisScale.max;
-            const y = plotArea.originY - yRatio * plotHeight;
+        };
 
-            // 目盛り線を描画
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', plotArea.originX);
-            tickLine.setAttribute('y1', y);
-            tickLine.setAttribute('x2', plotArea.originX - tickLineLength);
-            tickLine.setAttribute('y2', y);
-            tickLine.setAttribute('stroke', 'black');
-            tickLine.setAttribute('stroke-width', 1);
-            svg.appendChild(tickLine);
+        // X軸とY軸の線を描画
+        createLine(plotArea.originX, plotArea.originY, plotArea.topRightX, plotArea.originY, this.theme.colors.axis);
+        createLine(plotArea.originX, plotArea.originY, plotArea.originX, plotArea.topRightY, this.theme.colors.axis);
 
-            // ラベルを描画
-            const formatted = this.formatNumber(label, yAxisFormat);
-            const labelWidth = this.getTextWidth(formatted, fontSize);
-            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
-            labelText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin);
-            labelText.setAttribute('y', y);
-            labelText.setAttribute('text-anchor', 'end');
-            labelText.setAttribute('dominant-baseline', 'middle');
-            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
-            labelText.textContent = formatted;
-            svg.appendChild(labelText);
-        }
+        // X軸にグループ名を描画（箱の中央）
+        const xLabelY = plotArea.originY + tickLineLength + labelMargin + metrics.height;
+        plotArea.seriesList.forEach(({ series }, index) => {
+            const centerX = plotArea.originX + slotWidth * (index + 0.5);
+            createLine(centerX, plotArea.originY, centerX, plotArea.originY + tickLineLength, this.theme.colors.tick);
+            createText(centerX, xLabelY, series.title || `系列${boxPlotChart.series.indexOf(series) + 1}`, 'middle');
+        });
 
-        // X軸のタイトルを描画
-        if (histogramChart.xAxisTitle) {
-            const xAxisTitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            xAxisTitleText.setAttribute('class', 'chart-text');
-            xAxisTitleText.setAttribute('x', plotArea.originX + plotWidth / 2);
-            xAxisTitleText.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + metrics.height * 2 + 10);
-            xAxisTitleText.setAttribute('text-anchor', 'middle');
-            xAxisTitleText.setAttribute('style', `font-size: ${fontSize}px;`);
-            xAxisTitleText.textContent = histogramChart.xAxisTitle;
-            svg.appendChild(xAxisTitleText);
+        // Y軸の目盛りとラベルを描画
+        let maxYLabelWidth = 0;
+        for (const label of plotArea.yAxisScale.labels) {
+            const y = toY(label);
+            const formatted = this.formatAxisLabel(label, boxPlotChart.yAxisFormat, plotArea.yAxisScale);
+            maxYLabelWidth = Math.max(maxYLabelWidth, this.getTextWidth(formatted, fontSize));
+            createLine(plotArea.originX, y, plotArea.originX - tickLineLength, y, this.theme.colors.tick);
+            createText(plotArea.originX - tickLineLength - labelMargin, y, formatted, 'end', { 'dominant-baseline': 'middle' });
+        }
+
+        // X軸のタイトルを描画（グループ名の下）
+        if (boxPlotChart.xAxisTitle) {
+            const plotWidth = plotArea.topRightX - plotArea.originX;
+            createText(plotArea.originX + plotWidth / 2, xLabelY + axisTitleMargin + metrics.height, boxPlotChart.xAxisTitle, 'middle');
+        }
+
+        // Y軸のタイトルを描画（Y軸のラベルの左、縦書き）
+        if (boxPlotChart.yAxisTitle) {
+            const titleX = plotArea.originX - tickLineLength - labelMargin - maxYLabelWidth - axisTitleMargin - metrics.height / 2;
+            const titleY = plotArea.topRightY + (plotArea.originY - plotArea.topRightY) / 2;
+            createText(titleX, titleY, boxPlotChart.yAxisTitle, 'middle', {
+                'dominant-baseline': 'middle',
+                transform: `rotate(-90 ${titleX} ${titleY})`
+            });
         }
+    }
 
-        // Y軸のタイトルを描画
-        if (histogramChart.yAxisTitle) {
-            const yAxisTitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            yAxisTitleText.setAttribute('class', 'chart-text');
-            yAxisTitleText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin - 30);
-            yAxisTitleText.setAttribute('y', plotArea.topRightY + plotHeight / 2);
-            yAxisTitleText.setAttribute('text-anchor', 'middle');
-            yAxisTitleText.setAttribute('transform', `rotate(-90 ${plotArea.originX - tickLineLength - labelMargin - 30} ${plotArea.topRightY + plotHeight / 2})`);
-            yAxisTitleText.setAttribute('style', `font-size: ${fontSize}px;`);
-            yAxisTitleText.textContent = histogramChart.yAxisTitle;
-            svg.appendChild(yAxisTitleText);
+    /**
+     * 箱ひげ図のグリッド線（Y軸の目盛りの横線）を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {Function} toY - 値をY座標に変換する関数
+     */
+    renderBoxPlotGrid(svg, boxPlotChart, plotArea, toY) {
+        if (!boxPlotChart.yGrid) {
+            return;
         }
 
-        // 凡例を描画
-        this.renderHistogramLegend(svg);
+        for (const label of plotArea.yAxisScale.labels) {
+            const y = toY(label);
+            const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            gridLine.setAttribute('x1', plotArea.originX);
+            gridLine.setAttribute('y1', y);
+            gridLine.setAttribute('x2', plotArea.topRightX);
+            gridLine.setAttribute('y2', y);
+            gridLine.setAttribute('stroke', this.theme.colors.grid);
+            gridLine.setAttribute('stroke-width', 1);
+            gridLine.setAttribute('stroke-dasharray', '2,2');
+            svg.appendChild(gridLine);
+        }
     }
 
     /**
-     * HistogramChartのグリッド線を描画
+     * 円グラフを描画
      * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
-     * @param {number} plotWidth - 描画エリアの幅
-     * @param {number} plotHeight - 描画エリアの高さ
      */
-    renderHistogramGrid(svg, plotArea, plotWidth, plotHeight) {
-        if (!plotArea || !this.histogramCharts || this.histogramCharts.length === 0) {
+    renderPieCharts(svg) {
+        if (!this.pieCharts || this.pieCharts.length === 0) {
             return;
         }
 
-        const histogramChart = this.histogramCharts[0];
-        const gridColor = '#e0e0e0'; // 薄いグレー
-        const gridStrokeWidth = 1;
-        const gridDashArray = '2,2'; // 破線
-
-        // X軸のグリッド線を描画
-        if (histogramChart.xGrid) {
-            const xAxisScale = plotArea.xAxisScale;
-            const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
+        // 単一の円グラフの場合（'single'レイアウトの場合は最初の円グラフのみ）
+        if (this.pieCharts.length === 1 || this.layout === 'single') {
+            if (this.pieCharts.length > 1) {
+                console.warn(`layoutが'single'のため、${this.pieCharts.length - 1}個のPieChartは描画されません`);
+            }
+            const pieChart = this.pieCharts[0];
+            this.renderSinglePieChart(svg, pieChart);
+            return;
+        }
 
-            for (const labelValue of xAxisScale.labels) {
-                const xRatio = dataRange > 0 ? (labelValue - plotArea.dataRange.min) / dataRange : 0;
-                const x = plotArea.originX + xRatio * plotWidth;
+        // 複数の円グラフを並べる場合
+        // カテゴリごとに色を揃え、凡例は下端に共通で1つ描画する
+        const categoryColors = this.getPieCategoryColors(this.pieCharts);
+        const legendHeight = this.pieCharts[0].legendVisible ?
+            this.renderSharedPieChartLegend(svg, categoryColors) : 0;
 
-                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                gridLine.setAttribute('x1', x);
-                gridLine.setAttribute('y1', plotArea.topRightY);
-                gridLine.setAttribute('x2', x);
-                gridLine.setAttribute('y2', plotArea.originY);
-                gridLine.setAttribute('stroke', gridColor);
-                gridLine.setAttribute('stroke-width', gridStrokeWidth);
-                gridLine.setAttribute('stroke-dasharray', gridDashArray);
-                svg.appendChild(gridLine);
-            }
+        const panels = this.calculatePanels(this.pieCharts.length, legendHeight);
+        if (panels.length < this.pieCharts.length) {
+            console.warn(`レイアウトのパネル数（${panels.length}）が不足しているため、${this.pieCharts.length - panels.length}個のPieChartは描画されません`);
         }
 
-        // Y軸のグリッド線を描画
-        if (histogramChart.yGrid) {
-            for (const label of plotArea.yAxisScale.labels) {
-                const yRatio = label / plotArea.yAxisScale.max;
-                const y = plotArea.originY - yRatio * plotHeight;
+        // すべての円グラフを、パネルに収まる半径のうち最も小さい半径に揃える
+        const radii = panels
+            .filter((panel, i) => this.pieCharts[i].data && this.pieCharts[i].data.length > 0)
+            .map(panel => this.calculatePieChartRadius(this.pieCharts[panel.index], panel, categoryColors));
+        const radius = radii.length > 0 ? Math.min(...radii) : null;
 
-                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                gridLine.setAttribute('x1', plotArea.originX);
-                gridLine.setAttribute('y1', y);
-                gridLine.setAttribute('x2', plotArea.topRightX);
-                gridLine.setAttribute('y2', y);
-                gridLine.setAttribute('stroke', gridColor);
-                gridLine.setAttribute('stroke-width', gridStrokeWidth);
-                gridLine.setAttribute('stroke-dasharray', gridDashArray);
-                svg.appendChild(gridLine);
-            }
+        for (let i = 0; i < panels.length; i++) {
+            this.renderSinglePieChart(svg, this.pieCharts[i], panels[i], categoryColors, radius);
         }
     }
 
     /**
-     * ヒストグラムの凡例を描画
-     * @param {SVGElement} svg - SVG要素
+     * 複数の円グラフで共通のカテゴリごとの色を計算
+     * カテゴリが最初に出現した順（円グラフの順、各円グラフ内は値の大きい順）に、最初の円グラフの色を割り当てる
+     * @param {Array<PieChart>} pieCharts - PieChartインスタンスの配列
+     * @returns {Map<string, string>} カテゴリ名をキーとした色
      */
-    renderHistogramLegend(svg) {
-        if (!this.histogramCharts || this.histogramCharts.length === 0) {
-            return;
+    getPieCategoryColors(pieCharts) {
+        const colors = pieCharts[0].colors;
+        const categoryColors = new Map();
+        for (const pieChart of pieCharts) {
+            for (const label of pieChart.labels) {
+                if (label === 'その他' || label === 'Others' || categoryColors.has(label)) {
+                    continue;
+                }
+                categoryColors.set(label, colors[categoryColors.size % colors.length]);
+            }
         }
+        return categoryColors;
+    }
 
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const legendMargin = 20;
-        const legendStartY = 60;
+    /**
+     * 複数の円グラフで共通の凡例をキャンバスの下端に描画（横に並べ、幅を超える場合は折り返す）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Map<string, string>} categoryColors - カテゴリ名をキーとした色
+     * @returns {number} 凡例の領域の高さ（凡例がない場合は0）
+     */
+    renderSharedPieChartLegend(svg, categoryColors) {
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendMargin = 10;
         const legendItemHeight = 25;
-        const iconWidth = 20;
-        const iconHeight = 12;
-        const iconLabelGap = 10;
-        const legendPadding = 10;
-
-        const metrics = this.measureFontMetrics(legendFontSize);
+        const iconSize = 12;
+        const iconLabelGap = 5;
+        const itemGap = 20;
 
-        // 凡例項目を収集
-        const legendItems = [];
-        for (const hc of this.histogramCharts) {
-            for (const series of hc.series) {
-                if (series.title) {
-                    legendItems.push({
-                        type: 'histogram',
-                        title: series.title,
-                        color: series.color,
-                        opacity: series.opacity
-                    });
-                }
-            }
+        const legendItems = Array.from(categoryColors, ([title, color]) => ({ title, color }));
+        if (this.pieCharts.some(pieChart => pieChart.labels.some(label => label === 'その他' || label === 'Others'))) {
+            legendItems.push({ title: 'その他', color: '#808080' });
         }
-
         if (legendItems.length === 0) {
-            return;
+            return 0;
         }
 
-        // 最大のラベル幅を計算
-        let maxLabelWidth = 0;
+        // 項目を行に分ける（キャンバスの幅を超える場合は折り返す）
+        const maxRowWidth = this.width - legendMargin * 2;
+        const rows = [[]];
+        let rowWidth = 0;
         for (const item of legendItems) {
-            const labelWidth = this.getTextWidth(item.title, legendFontSize);
-            if (labelWidth > maxLabelWidth) {
-                maxLabelWidth = labelWidth;
+            item.width = iconSize + iconLabelGap + this.getTextWidth(item.title, legendFontSize);
+            const currentRow = rows[rows.length - 1];
+            const widthWithItem = rowWidth + (currentRow.length > 0 ? itemGap : 0) + item.width;
+            if (currentRow.length > 0 && widthWithItem > maxRowWidth) {
+                rows.push([item]);
+                rowWidth = item.width;
+            } else {
+                currentRow.push(item);
+                rowWidth = widthWithItem;
             }
         }
 
-        // 凡例エリアのサイズを計算
-        const legendAreaWidth = iconWidth + iconLabelGap + maxLabelWidth + legendPadding * 2;
-        const legendAreaX = this.width - legendAreaWidth - legendMargin;
-        const legendAreaY = legendStartY - legendPadding;
-        const legendX = legendAreaX + legendPadding;
-
-        // 凡例項目を描画
-        let currentY = legendStartY;
-        for (const item of legendItems) {
-            const iconX = legendX;
-            const iconY = currentY - iconHeight / 2;
-
-            // ヒストグラムのアイコンを描画
-            const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            rect.setAttribute('x', iconX);
-            rect.setAttribute('y', iconY);
-            rect.setAttribute('width', iconWidth);
-            rect.setAttribute('height', iconHeight);
-            rect.setAttribute('fill', item.color);
-            rect.setAttribute('opacity', item.opacity);
-            rect.setAttribute('stroke', item.color);
-            rect.setAttribute('stroke-width', 0.5);
-            svg.appendChild(rect);
+        const legendHeight = rows.length * legendItemHeight + legendMargin;
+        let currentY = this.height - legendHeight + legendItemHeight / 2;
+        for (const row of rows) {
+            const totalWidth = row.reduce((sum, item) => sum + item.width, 0) + itemGap * (row.length - 1);
+            let currentX = (this.width - totalWidth) / 2; // 中央に配置
+            for (const item of row) {
+                // 円グラフのアイコンを描画（小さな円）
+                const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                circle.setAttribute('cx', currentX + iconSize / 2);
+                circle.setAttribute('cy', currentY);
+                circle.setAttribute('r', iconSize / 2);
+                circle.setAttribute('fill', item.color);
+                circle.setAttribute('stroke', this.theme.colors.border);
+                circle.setAttribute('stroke-width', '1');
+                svg.appendChild(circle);
 
-            // ラベルを描画
-            const labelX = iconX + iconWidth + iconLabelGap;
-            const labelY = currentY;
-            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
-            labelText.setAttribute('x', labelX);
-            labelText.setAttribute('y', labelY);
-            labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
-            labelText.textContent = item.title;
-            svg.appendChild(labelText);
+                // ラベルを描画
+                const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+                labelText.setAttribute('class', 'chart-text chart-legend-text');
+                labelText.setAttribute('x', currentX + iconSize + iconLabelGap);
+                labelText.setAttribute('y', currentY);
+                labelText.setAttribute('dominant-baseline', 'middle');
+                labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
+                labelText.textContent = item.title;
+                svg.appendChild(labelText);
 
+                currentX += item.width + itemGap;
+            }
             currentY += legendItemHeight;
         }
+
+        return legendHeight;
     }
 
     /**
-     * 円グラフを描画
-     * @param {SVGElement} svg - SVG要素
+     * 円グラフの描画領域を計算（タイトルと余白を除いた領域）
+     * @param {PieChart} pieChart - PieChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}
+     * @returns {Object} 描画領域 {centerX, centerY, width, height}
      */
-    renderPieCharts(svg) {
-        if (!this.pieCharts || this.pieCharts.length === 0) {
-            return;
+    calculatePieChartArea(pieChart, panel) {
+        const fontSize = this.theme.fontSize.normal;
+        
+        // タイトルとサブタイトルの高さを計算（パネルの場合はパネルのタイトルのみ）
+        let titleHeight = 0;
+        if (panel.fullCanvas) {
+            if (pieChart.title) {
+                titleHeight += fontSize + 5;
+            }
+            if (pieChart.subtitle) {
+                titleHeight += fontSize + 5;
+            }
+        } else if (pieChart.title) {
+            titleHeight += 10 + fontSize + 5;
         }
+        
+        // パネルの場合は余白を小さくする
+        const margin = panel.fullCanvas ? 40 : 10;
+        const height = panel.height - titleHeight - margin * 2;
+        return {
+            centerX: panel.x + panel.width / 2,
+            centerY: panel.y + titleHeight + margin + height / 2,
+            width: panel.width - margin * 2,
+            height
+        };
+    }
 
-        // 単一の円グラフの場合
-        if (this.pieCharts.length === 1) {
-            const pieChart = this.pieCharts[0];
-            this.renderSinglePieChart(svg, pieChart);
-        } else {
-            // 複数の円グラフを並べる場合（将来の拡張）
-            // 現在は単一の円グラフのみ対応
-            const pieChart = this.pieCharts[0];
-            this.renderSinglePieChart(svg, pieChart);
+    /**
+     * 円グラフの半径を計算
+     * パネルの場合は、パネルの描画領域から各ラベルの大きさと方向に必要な余白を除いた大きさにする
+     * @param {PieChart} pieChart - PieChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（サンバーストのリングの作成に使用）
+     * @returns {number} 半径（最小: キャンバス全体の場合は50px、パネルの場合は20px）
+     */
+    calculatePieChartRadius(pieChart, panel, categoryColors = null) {
+        const area = this.calculatePieChartArea(pieChart, panel);
+        if (panel.fullCanvas) {
+            const labelPadding = 80; // ラベルのための余白
+            return Math.max(50, Math.min(area.width / 2 - labelPadding, area.height / 2 - labelPadding));
         }
+        
+        let labelRing = pieChart;
+        if (pieChart.isSunburst()) {
+            const rings = pieChart.getSunburstRings(categoryColors);
+            labelRing = rings[rings.length - 1]; // サンバーストは最も外側のリングのラベルを円の外側に描画する
+        }
+        const fontSize = this.theme.fontSize.normal;
+        return Math.max(20, labelRing.calculateMaxRadius(area.width, area.height, fontSize, this.getTextWidth.bind(this)));
     }
 
     /**
      * 単一の円グラフを描画
      * @param {SVGElement} svg - SVG要素
      * @param {PieChart} pieChart - PieChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}（デフォルト: キャンバス全体）
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（複数の円グラフで色を揃える場合）
+     * @param {number|null} radius - 円グラフの半径（nullの場合はcalculatePieChartRadiusで計算）
      */
-    renderSinglePieChart(svg, pieChart) {
+    renderSinglePieChart(svg, pieChart, panel = this.getFullCanvasPanel(), categoryColors = null, radius = null) {
         if (!pieChart.data || pieChart.data.length === 0) {
             return;
         }
 
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
+        const fontSize = this.theme.fontSize.normal;
         const metrics = this.measureFontMetrics(fontSize);
         
-        // タイトルとサブタイトルの高さを計算
-        let titleHeight = 0;
-        if (pieChart.title) {
-            titleHeight += fontSize + 5;
-        }
-        if (pieChart.subtitle) {
-            titleHeight += fontSize + 5;
+        // パネルのタイトルを描画（複数パネルの場合のみ）
+        if (!panel.fullCanvas && pieChart.title) {
+            const panelTitle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            panelTitle.setAttribute('class', 'chart-text');
+            panelTitle.setAttribute('x', panel.x + panel.width / 2);
+            panelTitle.setAttribute('y', panel.y + 10 + fontSize);
+            panelTitle.setAttribute('text-anchor', 'middle');
+            panelTitle.setAttribute('style', `font-size: ${fontSize}px;`);
+            panelTitle.textContent = pieChart.title;
+            svg.appendChild(panelTitle);
+        }
+        
+        // 円グラフの中心座標と半径
+        const area = this.calculatePieChartArea(pieChart, panel);
+        const centerX = area.centerX;
+        const centerY = area.centerY;
+        if (radius === null) {
+            radius = this.calculatePieChartRadius(pieChart, panel, categoryColors);
+        }
+        
+        // 円グラフのグループ（セグメント・ラベルをまとめ、カテゴリの概要をaria-labelに設定、内容は描画後に設定）
+        const chartGroup = this.createSeriesGroup(svg, '');
+        
+        // 階層データの場合はサンバーストとして描画
+        if (pieChart.isSunburst()) {
+            this.renderSunburstChart(chartGroup, pieChart, centerX, centerY, radius, fontSize, categoryColors);
+            chartGroup.setAttribute('aria-label', this.describePieChart(pieChart));
+            return;
         }
         
-        // 円グラフの描画領域を計算
-        const margin = 40;
-        const centerX = this.width / 2;
-        const availableHeight = this.height - titleHeight - margin * 2;
-        const availableWidth = this.width - margin * 2;
-        
-        // ラベルの表示方法に応じて円グラフのサイズを調整
-        const labelPadding = 80; // ラベルのための余白
-        const maxRadius = Math.min(availableWidth / 2 - labelPadding, availableHeight / 2 - labelPadding);
-        const radius = Math.max(50, maxRadius); // 最小半径50px
-        
-        // 円グラフの中心座標
-        const centerY = titleHeight + margin + (availableHeight / 2);
-        
         // 350度付近のラベル衝突を解決（小さいカテゴリを「その他」にまとめる）
         const collisionResult = pieChart.resolve350DegreeCollisions(
             centerX,
@@ -4553,17 +11533,7 @@ class ChartCanvas {
             const endAngleRad = ((endAngleDeg - 90) * Math.PI) / 180;
             
             // 色を取得（「その他」カテゴリはグレー、それ以外はモノクロームを除く色）
-            let color;
-            const label = pieChart.labels[i];
-            const isOthers = label === 'その他' || label === 'Others';
-            
-            if (isOthers) {
-                // 「その他」カテゴリはグレー
-                color = '#808080'; // グレー
-            } else {
-                // それ以外はモノクロームを除く色を使用
-                color = pieChart.colors[i % pieChart.colors.length];
-            }
+            const color = pieChart.getColor(i, categoryColors);
             
             // スライスのオフセットを取得（放射線方向にずらす）
             const sliceOffset = (pieChart.sliceOffsets && pieChart.sliceOffsets[i]) || 0;
@@ -4602,15 +11572,173 @@ class ChartCanvas {
             const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
             path.setAttribute('d', pathData);
             path.setAttribute('fill', color);
-            path.setAttribute('stroke', '#fff');
+            path.setAttribute('stroke', this.theme.colors.border);
             path.setAttribute('stroke-width', '2');
-            svg.appendChild(path);
+            chartGroup.appendChild(path);
         }
         
         // 次に、すべてのラベルを描画（円弧の上に表示されるように）
+        this.renderPieChartLabels(chartGroup, pieChart, segmentAngles, centerX, centerY, radius, fontSize);
+        chartGroup.setAttribute('aria-label', this.describePieChart(pieChart));
+        
+        // 凡例は描画しない（ラベルで情報を表示するため。複数の円グラフの場合は共通の凡例をrenderPieChartsで描画）
+    }
+
+    /**
+     * サンバースト（階層ごとの同心円のリング）を描画
+     * 内側のリングのラベルは円弧の中に収まる場合のみ表示し、最も外側のリングのラベルは通常の円グラフと同様に円の外側に表示する
+     * @param {SVGElement} svg - SVG要素
+     * @param {PieChart} pieChart - PieChartインスタンス（階層データを設定済み）
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 最も外側のリングの半径
+     * @param {number} fontSize - フォントサイズ
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（複数の円グラフで色を揃える場合）
+     */
+    renderSunburstChart(svg, pieChart, centerX, centerY, radius, fontSize, categoryColors = null) {
+        const rings = pieChart.getSunburstRings(categoryColors);
+        const innerRadius = Math.max(0, Math.min(pieChart.innerRadius, radius / 2));
+        const ringWidth = (radius - innerRadius) / rings.length;
+        
+        // 最も外側のリングの180度付近のラベル衝突を解決（右側のラベルを右にずらす）
+        const outerRing = rings[rings.length - 1];
+        outerRing.resolve180DegreeCollisions(
+            centerX,
+            centerY,
+            radius,
+            fontSize,
+            this.getTextWidth.bind(this),
+            20,  // 最大繰り返し回数
+            30,  // 180度付近の角度範囲（30度）
+            2    // 1回の調整でずらす角度（2度）
+        );
+        
+        // 350度付近のラベル衝突を解決（内側のリングと対応させるため「その他」にはまとめず、ラベルを互いに離れる方向にずらす）
+        // resolve180DegreeCollisionsはラベルの角度オフセットをリセットするため、その後に実行する
+        outerRing.resolve350DegreeCollisions(
+            centerX,
+            centerY,
+            radius,
+            fontSize,
+            this.getTextWidth.bind(this),
+            45,  // 最大繰り返し回数
+            'その他',  // 「その他」のラベル（'shift'では使用しない）
+            20,  // 350度付近の角度範囲（20度）
+            'shift',
+            2    // 1回の調整でずらす角度（2度）
+        );
+        
+        // まず、すべてのリングの円弧を描画
+        rings.forEach((ring, level) => {
+            const ringInnerRadius = innerRadius + ringWidth * level;
+            const ringOuterRadius = ringInnerRadius + ringWidth;
+            const segmentAngles = ring.getSegmentAngles();
+            
+            for (let i = 0; i < segmentAngles.length; i++) {
+                if (ring.hiddenSegments[i]) {
+                    continue;
+                }
+                const segment = segmentAngles[i];
+                const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                path.setAttribute('d', this.createRingSegmentPath(centerX, centerY, ringInnerRadius, ringOuterRadius, segment.startAngle, segment.endAngle));
+                path.setAttribute('fill', ring.segmentColors[i]);
+                path.setAttribute('stroke', this.theme.colors.border);
+                path.setAttribute('stroke-width', '2');
+                
+                // マウスオーバーでラベルを表示
+                const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = ring.getLabelText(i);
+                path.appendChild(title);
+                svg.appendChild(path);
+            }
+        });
+        
+        // 内側のリングのラベルを描画（円弧の中に収まる場合のみ）
+        rings.slice(0, -1).forEach((ring, level) => {
+            const labelRadius = innerRadius + ringWidth * (level + 0.5);
+            if (labelRadius === 0 || ringWidth < fontSize) {
+                return;
+            }
+            const segmentAngles = ring.getSegmentAngles();
+            
+            for (let i = 0; i < segmentAngles.length; i++) {
+                if (ring.hiddenSegments[i]) {
+                    continue;
+                }
+                const segment = segmentAngles[i];
+                const labelText = ring.labels[i];
+                const arcLength = (segment.endAngle - segment.startAngle) * Math.PI / 180 * labelRadius;
+                if (this.getTextWidth(labelText, fontSize) + 4 > arcLength) {
+                    continue;
+                }
+                
+                const midAngleRad = (((segment.startAngle + segment.endAngle) / 2 - 90) * Math.PI) / 180;
+                const labelElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+                labelElement.setAttribute('class', 'chart-text');
+                labelElement.setAttribute('x', centerX + labelRadius * Math.cos(midAngleRad));
+                labelElement.setAttribute('y', centerY + labelRadius * Math.sin(midAngleRad));
+                labelElement.setAttribute('text-anchor', 'middle');
+                labelElement.setAttribute('dominant-baseline', 'middle');
+                labelElement.setAttribute('style', `font-size: ${fontSize}px;`);
+                labelElement.textContent = labelText;
+                svg.appendChild(labelElement);
+            }
+        });
+        
+        // 最も外側のリングのラベルを円の外側に描画
+        this.renderPieChartLabels(svg, outerRing, outerRing.getSegmentAngles(), centerX, centerY, radius, fontSize);
+    }
+
+    /**
+     * リング（ドーナツ）状のセグメントのSVGパスを生成
+     * @param {number} centerX - 中心X座標
+     * @param {number} centerY - 中心Y座標
+     * @param {number} innerRadius - 内側の半径（0の場合は扇形）
+     * @param {number} outerRadius - 外側の半径
+     * @param {number} startAngle - 開始角度（度、真北を0度として時計回り）
+     * @param {number} endAngle - 終了角度（度）
+     * @returns {string} SVGパスデータ
+     */
+    createRingSegmentPath(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle) {
+        // 1周分のセグメントは始点と終点が重なり円弧が描画されないため、2つの半円に分ける
+        if (endAngle - startAngle >= 359.99) {
+            const midAngle = startAngle + 180;
+            return `${this.createRingSegmentPath(centerX, centerY, innerRadius, outerRadius, startAngle, midAngle)} ` +
+                this.createRingSegmentPath(centerX, centerY, innerRadius, outerRadius, midAngle, endAngle);
+        }
+        
+        const toPoint = (radius, angle) => {
+            const angleRad = ((angle - 90) * Math.PI) / 180;
+            return `${centerX + radius * Math.cos(angleRad)} ${centerY + radius * Math.sin(angleRad)}`;
+        };
+        const largeArcFlag = endAngle - startAngle > 180 ? 1 : 0;
+        
+        if (innerRadius <= 0) {
+            return `M ${centerX} ${centerY} L ${toPoint(outerRadius, startAngle)} A ${outerRadius} ${outerRadius} 0 ${largeArcFlag} 1 ${toPoint(outerRadius, endAngle)} Z`;
+        }
+        return `M ${toPoint(outerRadius, startAngle)} A ${outerRadius} ${outerRadius} 0 ${largeArcFlag} 1 ${toPoint(outerRadius, endAngle)} ` +
+            `L ${toPoint(innerRadius, endAngle)} A ${innerRadius} ${innerRadius} 0 ${largeArcFlag} 0 ${toPoint(innerRadius, startAngle)} Z`;
+    }
+
+    /**
+     * 円グラフのセグメントのラベルを円の外側に描画（外縁の円弧の中心、または引出線）
+     * @param {SVGElement} svg - SVG要素
+     * @param {PieChart} pieChart - PieChartインスタンス（サンバーストの場合は最も外側のリング）
+     * @param {Array<Object>} segmentAngles - 各セグメントの角度情報の配列（PieChart.getSegmentAnglesを参照）
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 円グラフの半径
+     * @param {number} fontSize - フォントサイズ
+     */
+    renderPieChartLabels(svg, pieChart, segmentAngles, centerX, centerY, radius, fontSize) {
         for (let i = 0; i < segmentAngles.length; i++) {
             const segment = segmentAngles[i];
             
+            // 非表示のセグメント（サンバーストの外側のリングの空き）はラベルを描画しない
+            if (pieChart.hiddenSegments && pieChart.hiddenSegments[i]) {
+                continue;
+            }
+            
             // スライスのオフセットを取得（ラベルの位置計算に使用）
             const sliceOffset = (pieChart.sliceOffsets && pieChart.sliceOffsets[i]) || 0;
             
@@ -4658,7 +11786,7 @@ class ChartCanvas {
                 line.setAttribute('y1', lineStartY);
                 line.setAttribute('x2', lineEndX);
                 line.setAttribute('y2', lineEndY);
-                line.setAttribute('stroke', '#333');
+                line.setAttribute('stroke', this.theme.colors.leaderLine);
                 line.setAttribute('stroke-width', '1');
                 svg.appendChild(line);
                 
@@ -4674,8 +11802,6 @@ class ChartCanvas {
                 svg.appendChild(labelText);
             }
         }
-        
-        // 凡例は描画しない（ラベルで情報を表示するため）
     }
 
     /**
@@ -4684,7 +11810,7 @@ class ChartCanvas {
      * @param {PieChart} pieChart - PieChartインスタンス
      */
     renderPieChartLegend(svg, pieChart) {
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
+        const legendFontSize = this.theme.legend.fontSize;
         const legendMargin = 20;
         const legendStartY = this.height - 100; // 下から100px上に配置
         const legendItemHeight = 25;
@@ -4698,7 +11824,7 @@ class ChartCanvas {
         for (let i = 0; i < pieChart.labels.length; i++) {
             legendItems.push({
                 title: pieChart.labels[i],
-                color: pieChart.colors[i % pieChart.colors.length]
+                color: pieChart.getColor(i)
             });
         }
 
@@ -4732,7 +11858,7 @@ class ChartCanvas {
             circle.setAttribute('cy', iconY + iconHeight / 2);
             circle.setAttribute('r', iconHeight / 2);
             circle.setAttribute('fill', item.color);
-            circle.setAttribute('stroke', '#fff');
+            circle.setAttribute('stroke', this.theme.colors.border);
             circle.setAttribute('stroke-width', '1');
             svg.appendChild(circle);
 
@@ -4740,7 +11866,7 @@ class ChartCanvas {
             const labelX = iconX + iconWidth + iconLabelGap;
             const labelY = currentY;
             const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('class', 'chart-text chart-legend-text');
             labelText.setAttribute('x', labelX);
             labelText.setAttribute('y', labelY);
             labelText.setAttribute('dominant-baseline', 'middle');
@@ -4755,6 +11881,14 @@ class ChartCanvas {
 
 // グローバルスコープに公開
 window.ChartCanvas = ChartCanvas;
+window.DataParser = DataParser;
+window.ChartTheme = ChartTheme;
+window.TextMeasurer = TextMeasurer;
+window.FixedWidthTextMeasurer = FixedWidthTextMeasurer;
+window.GlyphTableTextMeasurer = GlyphTableTextMeasurer;
+window.CanvasTextMeasurer = CanvasTextMeasurer;
+window.AxisScale = AxisScale;
+window.DerivedSeries = DerivedSeries;
 window.DateChart = DateChart;
 window.LineSeries = LineSeries;
 window.BarSeries = BarSeries;
@@ -4765,3 +11899,9 @@ window.HistogramSeries = HistogramSeries;
 window.HistogramTSVLoader = HistogramTSVLoader;
 window.PieChart = PieChart;
 window.PieTsvLoader = PieTsvLoader;
+window.ScatterChart = ScatterChart;
+window.ScatterSeries = ScatterSeries;
+window.ScatterTSVLoader = ScatterTSVLoader;
+window.BoxPlotChart = BoxPlotChart;
+window.BoxPlotSeries = BoxPlotSeries;
+window.BoxPlotTSVLoader = BoxPlotTSVLoader;
@@ -11,6 +11,10 @@
  * オプション:
  *   -c, --config <file>    設定ファイル（JSON）のパスを指定
  *   -j, --json <json>      設定を直接JSON文字列で指定
+ *   --input-format <fmt>   入力データの形式を指定（auto, tsv, csv, json, ndjson。デフォルト: auto）
+ *   --annotations <file>   注釈（基準線・目標帯・イベントのマーカー・期間の網掛け）のTSVファイルを指定
+ *   --format <svg|png>     出力形式を指定（デフォルト: svg）
+ *   --scale <number>       PNG出力時の拡大率を指定（デフォルト: 1）
  *   -h, --help             ヘルプを表示
  *   -v, --version          バージョンを表示
  * 
@@ -20,16 +24,17 @@
  *   3. 引数として直接指定: node cli.js '{"title":"..."}'
  * 
  * 入力:
- *   TSVデータは標準入力から読み込まれます
+ *   データ（TSV/CSV/JSON/NDJSON）は標準入力から読み込まれます
  * 
  * 出力:
- *   SVGは標準出力に出力されます
+ *   SVG（--format png の場合はPNG）は標準出力に出力されます
  */
 
 const fs = require('fs');
 const path = require('path');
 const { Readable } = require('stream');
 const vm = require('vm');
+const { svgToPNG } = require('./svgRasterizer');
 
 // バージョン情報
 const VERSION = require('./package.json').version;
@@ -37,6 +42,53 @@ const VERSION = require('./package.json').version;
 // ChartCanvasのパス
 const CHART_CANVAS_PATH = path.join(__dirname, 'chartcanvas.js');
 
+// 入力データの形式（DataParser.FORMATSと同じ）
+const INPUT_FORMATS = ['auto', 'tsv', 'csv', 'json', 'ndjson'];
+
+// 設定の項目の型（validateConfigで検証する。未指定・nullの項目は検証しない）
+const OPTION_TYPES = {
+    chart: {
+        width: 'number', height: 'number', title: 'string', subtitle: 'string', locale: 'string', description: 'string'
+    },
+    dateChart: {
+        xAxisTitle: 'string', yAxisTitle: 'string', yAxisScale: 'string', yAxisFormat: 'string',
+        secondAxis: 'boolean', secondAxisTitle: 'string', secondAxisScale: 'string', secondAxisFormat: 'string',
+        dateFormat: 'string', timeZone: 'string', xGrid: 'boolean', yGrid: 'boolean'
+    },
+    histogram: {
+        xAxisTitle: 'string', yAxisTitle: 'string', xAxisFormat: 'string', yAxisFormat: 'string',
+        binCount: 'number', binWidth: 'number', binAlignment: 'string', curveMode: 'boolean', xGrid: 'boolean', yGrid: 'boolean',
+        showMeanLine: 'boolean', showMedianLine: 'boolean', meanLineColor: 'string', medianLineColor: 'string',
+        meanLineStyle: 'string', medianLineStyle: 'string', meanLineWidth: 'number', medianLineWidth: 'number'
+    },
+    scatter: {
+        xAxisTitle: 'string', yAxisTitle: 'string', xAxisFormat: 'string', yAxisFormat: 'string', sizeFormat: 'string',
+        xGrid: 'boolean', yGrid: 'boolean', pointRadius: 'number', minBubbleRadius: 'number', maxBubbleRadius: 'number',
+        showRegressionLine: 'boolean', regressionLineStyle: 'string', regressionLineWidth: 'number'
+    },
+    boxPlot: {
+        xAxisTitle: 'string', yAxisTitle: 'string', yAxisFormat: 'string', whiskerMode: 'string',
+        showOutliers: 'boolean', showMean: 'boolean', boxWidthRatio: 'number', yGrid: 'boolean'
+    },
+    pieChart: {
+        title: 'string', subtitle: 'string', labelFormat: 'string', labelPosition: 'string', labelThreshold: 'number',
+        valueFormat: 'string', percentageFormat: 'string', legendVisible: 'boolean', innerRadius: 'number'
+    },
+    tsv: {
+        dateTitle: 'string', valueTitle: 'string', groupTitle: 'string', categoryTitle: 'string', commentTitle: 'string',
+        xTitle: 'string', yTitle: 'string', sizeTitle: 'string', labelTitle: 'string', seriesType: 'string'
+    }
+};
+
+// 数値フォーマットの項目（generateChartで書式を検証する）
+const NUMBER_FORMAT_OPTIONS = [
+    ['dateChart', 'yAxisFormat'], ['dateChart', 'secondAxisFormat'],
+    ['histogram', 'xAxisFormat'], ['histogram', 'yAxisFormat'],
+    ['scatter', 'xAxisFormat'], ['scatter', 'yAxisFormat'], ['scatter', 'sizeFormat'],
+    ['boxPlot', 'yAxisFormat'],
+    ['pieChart', 'valueFormat'], ['pieChart', 'percentageFormat']
+];
+
 /**
  * ヘルプを表示
  */
@@ -50,6 +102,12 @@ ChartCanvas CLI Tool v${VERSION}
 オプション:
   -c, --config <file>    設定ファイル（JSON）のパスを指定
   -j, --json <json>      設定を直接JSON文字列で指定
+  --input-format <fmt>   入力データの形式を指定（auto, tsv, csv, json, ndjson。デフォルト: auto）
+                         autoの場合は内容から判定（区切り文字はタブ・カンマ・セミコロンを自動検出）
+  --annotations <file>   注釈（基準線・目標帯・イベントのマーカー・期間の網掛け）のファイルを指定
+                         dateChart・groupDateChartのみ。列: type, value, from, to, date, start, end, label, color, style, axis など
+  --format <svg|png>     出力形式を指定（デフォルト: svg）
+  --scale <number>       PNG出力時の拡大率を指定（デフォルト: 1）
   -h, --help             ヘルプを表示
   -v, --version          バージョンを表示
 
@@ -63,11 +121,22 @@ ChartCanvas CLI Tool v${VERSION}
   3. 引数として直接指定:
      cat data.tsv | node cli.js '{"chart":{"title":"売上推移"}}' > output.svg
 
+  4. PNGで出力（2倍の解像度）:
+     cat data.tsv | node cli.js -c config.json --format png --scale 2 > output.png
+
+  5. CSVファイルを入力:
+     cat data.csv | node cli.js -c config.json --input-format csv > output.svg
+
+  6. 注釈（イベントのマーカーなど）をファイルから読み込む:
+     cat data.tsv | node cli.js -c config.json --annotations events.tsv > output.svg
+
 入力:
-  TSVデータは標準入力から読み込まれます
+  データは標準入力から読み込まれます
+  TSV/CSV（RFC 4180形式の引用符、CRLF、BOMに対応）、JSON（オブジェクトの配列）、NDJSONに対応
 
 出力:
-  SVGは標準出力に出力されます
+  SVG（--format png の場合はPNG）は標準出力に出力されます
+  PNGは組み込みのフォントで描画されるため、日本語などの全角文字は四角形で表示されます
 
 エラー:
   エラーメッセージは標準エラー出力に出力されます
@@ -82,6 +151,10 @@ function parseArgs() {
     const options = {
         configFile: null,
         jsonConfig: null,
+        inputFormat: 'auto',
+        annotationsFile: null,
+        format: 'svg',
+        scale: 1,
         help: false,
         version: false
     };
@@ -105,6 +178,39 @@ function parseArgs() {
             } else {
                 throw new Error('Error: -j/--json requires a JSON string');
             }
+        } else if (arg === '--input-format') {
+            if (i + 1 < args.length) {
+                options.inputFormat = args[++i];
+            } else {
+                throw new Error('Error: --input-format requires a format (auto, tsv, csv, json or ndjson)');
+            }
+            if (!INPUT_FORMATS.includes(options.inputFormat)) {
+                throw new Error(`Error: Invalid input format: ${options.inputFormat}. Must be one of: ${INPUT_FORMATS.join(', ')}`);
+            }
+        } else if (arg === '--annotations') {
+            if (i + 1 < args.length) {
+                options.annotationsFile = args[++i];
+            } else {
+                throw new Error('Error: --annotations requires a file path');
+            }
+        } else if (arg === '--format') {
+            if (i + 1 < args.length) {
+                options.format = args[++i];
+            } else {
+                throw new Error('Error: --format requires a format (svg or png)');
+            }
+            if (!['svg', 'png'].includes(options.format)) {
+                throw new Error(`Error: Invalid format: ${options.format}. Must be one of: svg, png`);
+            }
+        } else if (arg === '--scale') {
+            if (i + 1 < args.length) {
+                options.scale = Number(args[++i]);
+            } else {
+                throw new Error('Error: --scale requires a number');
+            }
+            if (!isFinite(options.scale) || options.scale <= 0) {
+                throw new Error(`Error: Invalid scale: ${args[i]}. Must be a positive number`);
+            }
         } else if (!arg.startsWith('-')) {
             // 位置引数として設定JSONを指定
             if (!options.jsonConfig && !options.configFile) {
@@ -143,58 +249,234 @@ function loadConfig(options) {
     }
 }
 
+/**
+ * 入力（設定・データ）のエラーを作成
+ * エラーの原因となった項目のパスをfieldに保持する（Webサービスのエラー応答で使用）
+ * @param {string} field - 項目のパス（例: 'tsv.dateTitle'、入力データの場合は'data'）
+ * @param {string} message - エラーメッセージ
+ * @returns {Error} fieldを持つエラー
+ */
+function createInputError(field, message) {
+    const error = new Error(message);
+    error.field = field;
+    return error;
+}
+
 /**
  * 設定を検証
+ * @throws {Error} 設定が不正な場合（fieldに項目のパスを持つ）
  */
 function validateConfig(config) {
     if (!config.chartType) {
-        throw new Error('Error: Required field missing: chartType');
+        throw createInputError('chartType', 'Error: Required field missing: chartType');
     }
 
     const chartType = config.chartType;
     
-    if (!['dateChart', 'groupDateChart', 'histogram', 'pieChart'].includes(chartType)) {
-        throw new Error(`Error: Invalid chartType: ${chartType}. Must be one of: dateChart, groupDateChart, histogram, pieChart`);
+    if (!['dateChart', 'groupDateChart', 'histogram', 'pieChart', 'scatter', 'boxPlot'].includes(chartType)) {
+        throw createInputError('chartType', `Error: Invalid chartType: ${chartType}. Must be one of: dateChart, groupDateChart, histogram, pieChart, scatter, boxPlot`);
     }
 
     if (!config.tsv) {
-        throw new Error('Error: Required field missing: tsv');
+        throw createInputError('tsv', 'Error: Required field missing: tsv');
+    }
+
+    // 項目の型をチェック（例: 数値フォーマットに数値を指定した場合）
+    for (const [sectionName, optionTypes] of Object.entries(OPTION_TYPES)) {
+        const section = config[sectionName];
+        if (section === undefined) {
+            continue;
+        }
+        if (section === null || typeof section !== 'object' || Array.isArray(section)) {
+            throw createInputError(sectionName, `Error: Invalid ${sectionName}: must be an object`);
+        }
+        for (const [key, type] of Object.entries(optionTypes)) {
+            const value = section[key];
+            if (value !== undefined && value !== null && typeof value !== type) {
+                throw createInputError(`${sectionName}.${key}`, `Error: Invalid ${sectionName}.${key}: ${JSON.stringify(value)}. Must be a ${type}`);
+            }
+        }
     }
 
     // チャートタイプごとの必須項目をチェック
     if (chartType === 'dateChart' || chartType === 'groupDateChart') {
         if (!config.tsv.dateTitle) {
-            throw new Error('Error: Required field missing: tsv.dateTitle');
+            throw createInputError('tsv.dateTitle', 'Error: Required field missing: tsv.dateTitle');
+        }
+        const barModes = ['overlay', 'grouped', 'stacked', 'percentStacked'];
+        if (config.dateChart?.barMode && !barModes.includes(config.dateChart.barMode)) {
+            throw createInputError('dateChart.barMode', `Error: Invalid dateChart.barMode: ${config.dateChart.barMode}. Must be one of: ${barModes.join(', ')}`);
+        }
+        const yAxisTypes = ['linear', 'log', 'symlog'];
+        for (const key of ['yAxisType', 'secondAxisType']) {
+            const axisType = config.dateChart?.[key];
+            if (axisType !== undefined && !yAxisTypes.includes(axisType)) {
+                throw createInputError(`dateChart.${key}`, `Error: Invalid dateChart.${key}: ${axisType}. Must be one of: ${yAxisTypes.join(', ')}`);
+            }
+        }
+        for (const [typeKey, optionsKey] of [['yAxisType', 'yAxisOptions'], ['secondAxisType', 'secondAxisOptions']]) {
+            const axisMin = config.dateChart?.[optionsKey]?.min;
+            if (config.dateChart?.[typeKey] === 'log' && typeof axisMin === 'number' && axisMin <= 0) {
+                throw createInputError(`dateChart.${optionsKey}.min`, `Error: Invalid dateChart.${optionsKey}.min: ${axisMin}. Must be greater than 0 for a 'log' axis`);
+            }
+        }
+        if (config.annotations !== undefined) {
+            if (!Array.isArray(config.annotations)) {
+                throw createInputError('annotations', 'Error: Invalid annotations: must be an array');
+            }
+            const annotationTypes = ['horizontalLine', 'band', 'verticalMarker', 'dateRangeShade'];
+            config.annotations.forEach((annotation, index) => {
+                if (!annotationTypes.includes(annotation?.type)) {
+                    throw createInputError(`annotations[${index}].type`, `Error: Invalid annotations[${index}].type: ${annotation?.type}. Must be one of: ${annotationTypes.join(', ')}`);
+                }
+            });
+        }
+        const aggregate = config.tsv.aggregate;
+        if (aggregate) {
+            const intervals = ['week', 'month', 'quarter', 'year'];
+            const functions = ['sum', 'avg', 'min', 'max', 'last', 'count'];
+            if (!intervals.includes(aggregate.interval)) {
+                throw createInputError('tsv.aggregate.interval', `Error: Invalid tsv.aggregate.interval: ${aggregate.interval}. Must be one of: ${intervals.join(', ')}`);
+            }
+            if (aggregate.func !== undefined && !functions.includes(aggregate.func)) {
+                throw createInputError('tsv.aggregate.func', `Error: Invalid tsv.aggregate.func: ${aggregate.func}. Must be one of: ${functions.join(', ')}`);
+            }
+        }
+        const missingDataModes = ['gap', 'zero', 'previous', 'linear', 'none'];
+        const missingDataFields = [['tsv.missingData', config.tsv.missingData]];
+        if (Array.isArray(config.tsv.series)) {
+            config.tsv.series.forEach((seriesConfig, index) => {
+                missingDataFields.push([`tsv.series[${index}].missingData`, seriesConfig?.missingData]);
+            });
+        }
+        missingDataFields.push(['tsv.seriesOptions.missingData', config.tsv.seriesOptions?.missingData]);
+        for (const [field, mode] of missingDataFields) {
+            if (mode !== undefined && !missingDataModes.includes(mode)) {
+                throw createInputError(field, `Error: Invalid ${field}: ${mode}. Must be one of: ${missingDataModes.join(', ')}`);
+            }
+        }
+
+        // 面グラフの塗りつぶしの不透明度
+        const fillOpacityFields = [['tsv.seriesOptions.fillOpacity', config.tsv.seriesOptions?.fillOpacity]];
+        if (Array.isArray(config.tsv.series)) {
+            config.tsv.series.forEach((seriesConfig, index) => {
+                fillOpacityFields.push([`tsv.series[${index}].fillOpacity`, seriesConfig?.fillOpacity]);
+            });
+        }
+        for (const [field, opacity] of fillOpacityFields) {
+            if (opacity !== undefined && (typeof opacity !== 'number' || !(opacity >= 0 && opacity <= 1))) {
+                throw createInputError(field, `Error: Invalid ${field}: ${opacity}. Must be a number from 0 to 1`);
+            }
         }
     }
 
     if (chartType === 'dateChart') {
         if (!config.tsv.series || !Array.isArray(config.tsv.series) || config.tsv.series.length === 0) {
-            throw new Error('Error: Required field missing: tsv.series (must be a non-empty array)');
+            throw createInputError('tsv.series', 'Error: Required field missing: tsv.series (must be a non-empty array)');
         }
+        const derivedKinds = ['movingAverage', 'trendLine'];
+        config.tsv.series.forEach((seriesConfig, index) => {
+            if (!['line', 'bar', 'band', 'area'].includes(seriesConfig?.type)) {
+                throw createInputError(`tsv.series[${index}].type`, `Error: Invalid tsv.series[${index}].type: ${seriesConfig?.type}. Must be one of: line, bar, band, area`);
+            }
+            for (const key of ['title', 'column', 'color']) {
+                if (seriesConfig[key] !== undefined && typeof seriesConfig[key] !== 'string') {
+                    throw createInputError(`tsv.series[${index}].${key}`, `Error: Invalid tsv.series[${index}].${key}: ${JSON.stringify(seriesConfig[key])}. Must be a string`);
+                }
+            }
+            // bandタイプ以外は値の列が必須（bandタイプは中央の線を省略可）
+            if (seriesConfig.type !== 'band' && !seriesConfig.column) {
+                throw createInputError(`tsv.series[${index}].column`, `Error: Required field missing: tsv.series[${index}].column`);
+            }
+            if (seriesConfig.type === 'band') {
+                for (const key of ['lowerColumn', 'upperColumn']) {
+                    if (typeof seriesConfig[key] !== 'string' || seriesConfig[key] === '') {
+                        throw createInputError(`tsv.series[${index}].${key}`, `Error: Required field missing: tsv.series[${index}].${key} (band series)`);
+                    }
+                }
+            }
+            const derived = seriesConfig.derived;
+            if (derived === undefined) {
+                return;
+            }
+            if (!Array.isArray(derived)) {
+                throw createInputError(`tsv.series[${index}].derived`, `Error: Invalid tsv.series[${index}].derived: must be an array`);
+            }
+            derived.forEach((derivedConfig, derivedIndex) => {
+                if (!derivedKinds.includes(derivedConfig?.kind)) {
+                    const field = `tsv.series[${index}].derived[${derivedIndex}].kind`;
+                    throw createInputError(field, `Error: Invalid ${field}: ${derivedConfig?.kind}. Must be one of: ${derivedKinds.join(', ')}`);
+                }
+            });
+        });
+        config.tsv.series.forEach((seriesConfig, index) => {
+            const comparison = seriesConfig.comparison;
+            if (comparison === undefined) {
+                return;
+            }
+            const field = `tsv.series[${index}].comparison`;
+            if (comparison === null || typeof comparison !== 'object' || Array.isArray(comparison)) {
+                throw createInputError(field, `Error: Invalid ${field}: must be an object`);
+            }
+            if (seriesConfig.type === 'area') {
+                throw createInputError(field, `Error: Invalid ${field}: comparison is not supported for area series`);
+            }
+            if (comparison.column !== undefined && (typeof comparison.column !== 'string' || comparison.column === '')) {
+                throw createInputError(`${field}.column`, `Error: Invalid ${field}.column: ${comparison.column}. Must be a column name`);
+            }
+        });
     }
 
     if (chartType === 'groupDateChart') {
         if (!config.tsv.valueTitle) {
-            throw new Error('Error: Required field missing: tsv.valueTitle');
+            throw createInputError('tsv.valueTitle', 'Error: Required field missing: tsv.valueTitle');
         }
         if (!config.tsv.groupTitle) {
-            throw new Error('Error: Required field missing: tsv.groupTitle');
+            throw createInputError('tsv.groupTitle', 'Error: Required field missing: tsv.groupTitle');
+        }
+        if (config.tsv.seriesType !== undefined && !['line', 'bar', 'area'].includes(config.tsv.seriesType)) {
+            throw createInputError('tsv.seriesType', `Error: Invalid tsv.seriesType: ${config.tsv.seriesType}. Must be one of: line, bar, area`);
         }
     }
 
     if (chartType === 'histogram') {
         if (!config.tsv.valueTitle) {
-            throw new Error('Error: Required field missing: tsv.valueTitle');
+            throw createInputError('tsv.valueTitle', 'Error: Required field missing: tsv.valueTitle');
         }
     }
 
     if (chartType === 'pieChart') {
-        if (!config.tsv.categoryTitle) {
-            throw new Error('Error: Required field missing: tsv.categoryTitle');
+        const categoryTitles = config.tsv.categoryTitles;
+        if (categoryTitles !== undefined && (!Array.isArray(categoryTitles) || categoryTitles.length === 0 || categoryTitles.some(title => !title || typeof title !== 'string'))) {
+            throw createInputError('tsv.categoryTitles', 'Error: Invalid tsv.categoryTitles: must be a non-empty array of column names');
+        }
+        if (!config.tsv.categoryTitle && !categoryTitles) {
+            throw createInputError('tsv.categoryTitle', 'Error: Required field missing: tsv.categoryTitle');
         }
         if (!config.tsv.valueTitle) {
-            throw new Error('Error: Required field missing: tsv.valueTitle');
+            throw createInputError('tsv.valueTitle', 'Error: Required field missing: tsv.valueTitle');
+        }
+    }
+
+    if (chartType === 'scatter') {
+        for (const key of ['xTitle', 'yTitle']) {
+            if (!config.tsv[key]) {
+                throw createInputError(`tsv.${key}`, `Error: Required field missing: tsv.${key}`);
+            }
+        }
+        const regressionLineStyles = ['solid', 'dashed', 'dotted'];
+        if (config.scatter?.regressionLineStyle !== undefined && !regressionLineStyles.includes(config.scatter.regressionLineStyle)) {
+            throw createInputError('scatter.regressionLineStyle', `Error: Invalid scatter.regressionLineStyle: ${config.scatter.regressionLineStyle}. Must be one of: ${regressionLineStyles.join(', ')}`);
+        }
+    }
+
+    if (chartType === 'boxPlot') {
+        if (!config.tsv.valueTitle) {
+            throw createInputError('tsv.valueTitle', 'Error: Required field missing: tsv.valueTitle');
+        }
+        const whiskerModes = ['tukey', 'minmax'];
+        if (config.boxPlot?.whiskerMode !== undefined && !whiskerModes.includes(config.boxPlot.whiskerMode)) {
+            throw createInputError('boxPlot.whiskerMode', `Error: Invalid boxPlot.whiskerMode: ${config.boxPlot.whiskerMode}. Must be one of: ${whiskerModes.join(', ')}`);
         }
     }
 }
@@ -234,47 +516,283 @@ function readTSVFromStdin() {
 }
 
 /**
- * TSVデータをパースする
- * @param {string} tsvData - TSVデータの文字列
+ * 入力データ（TSV/CSV/JSON/NDJSON）をパースする
+ * ローダーと同じDataParserを使用する
+ * @param {DataParser} DataParser - ChartCanvasのDataParserクラス
+ * @param {string} tsvData - 入力データの文字列
+ * @param {string} inputFormat - 入力データの形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
  * @returns {Object} {headers: string[], rows: Object[]}
  */
-function parseTSV(tsvData) {
-    const lines = tsvData.split('\n').filter(line => line.trim() !== '');
+function parseTSV(DataParser, tsvData, inputFormat = 'auto') {
+    let table;
+    try {
+        table = DataParser.parse(tsvData, inputFormat);
+    } catch (error) {
+        throw createInputError('data', `Error: Failed to parse input data: ${error.message}`);
+    }
     
-    if (lines.length === 0) {
-        throw new Error('Error: TSV data is empty');
+    if (table.headers.length === 0) {
+        throw createInputError('data', 'Error: TSV data is empty');
     }
     
-    const headers = lines[0].split('\t');
-    const rows = lines.slice(1).map(line => {
-        const values = line.split('\t');
-        const row = {};
-        headers.forEach((header, index) => {
-            row[header] = values[index] || '';
+    return { headers: table.headers, rows: DataParser.toObjects(table) };
+}
+
+/**
+ * 対数軸（'log'）の系列に0以下の値がないかを検証する
+ * @param {ChartCanvas} chart - ChartCanvasインスタンス（日付のフォーマット用）
+ * @param {DateChart} dateChart - データを追加したDateChart
+ * @throws {Error} 0以下の値がある場合（fieldに軸の種類の項目のパスを持つ）
+ */
+function validateLogAxisValues(chart, dateChart) {
+    for (const isSecondAxis of [false, true]) {
+        const nonPositiveValues = dateChart.getNonPositiveValues(isSecondAxis);
+        if (nonPositiveValues.length === 0) {
+            continue;
+        }
+        const field = isSecondAxis ? 'dateChart.secondAxisType' : 'dateChart.yAxisType';
+        const first = nonPositiveValues[0];
+        const location = `${first.series.title || 'series'} on ${chart.formatDateLabel(first.date, dateChart)} = ${first.value}`;
+        throw createInputError(field, `Error: ${field} 'log' requires positive values, but found ${nonPositiveValues.length} non-positive value(s) (first: ${location}). Use 'symlog' for data with zero or negative values`);
+    }
+}
+
+/**
+ * 軸の範囲と目盛りの指定（{min, max, tickInterval, tickCount, includeZero}）を適用する
+ * @param {Object} section - 設定のセクション（config.dateChart・config.histogram・config.scatter・config.boxPlot）
+ * @param {string} sectionName - セクションの名前（エラーの項目のパス用）
+ * @param {Object} setters - 項目名と適用する関数の対応 { yAxisOptions: options => ..., ... }
+ * @throws {Error} 指定が不正な場合（fieldに項目のパスを持つ）
+ */
+function applyAxisOptions(section, sectionName, setters) {
+    for (const [key, setter] of Object.entries(setters)) {
+        if (section?.[key] === undefined) {
+            continue;
+        }
+        try {
+            setter(section[key]);
+        } catch (error) {
+            throw createInputError(`${sectionName}.${key}`, `Error: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * 系列に派生系列（移動平均・トレンド線）を追加する
+ * @param {LineSeries|BarSeries} series - 元の系列
+ * @param {Array<Object>|undefined} derivedConfigs - 派生系列の設定の配列 [{kind, ...}]
+ * @param {string} field - 設定の項目のパス（例: 'tsv.series[0].derived'）
+ * @throws {Error} 設定が不正な場合（fieldに項目のパスを持つ）
+ */
+function applyDerivedSeries(series, derivedConfigs, field) {
+    (derivedConfigs || []).forEach((derivedConfig, index) => {
+        const { kind, ...options } = derivedConfig;
+        try {
+            if (kind === 'movingAverage') {
+                series.addMovingAverage(options);
+            } else {
+                series.addTrendLine(options);
+            }
+        } catch (error) {
+            throw createInputError(`${field}[${index}]`, `Error: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * 設定で指定した列が入力データにあるかを検証
+ * @param {Object} config - 設定（validateConfigで検証済み）
+ * @param {string[]} headers - 入力データの列名
+ * @throws {Error} 列がない場合（fieldに項目のパスを持つ）
+ */
+function validateColumns(config, headers) {
+    const tsv = config.tsv;
+    const columns = []; // [項目のパス, 列名]
+    const addColumn = (field, column) => {
+        if (column !== undefined && column !== null && column !== '') {
+            columns.push([field, column]);
+        }
+    };
+
+    if (config.chartType === 'dateChart') {
+        addColumn('tsv.dateTitle', tsv.dateTitle);
+        addColumn('tsv.commentTitle', tsv.commentTitle);
+        tsv.series.forEach((seriesConfig, index) => {
+            for (const key of ['column', 'lowerColumn', 'upperColumn']) {
+                addColumn(`tsv.series[${index}].${key}`, seriesConfig[key]);
+            }
+            addColumn(`tsv.series[${index}].comparison.column`, seriesConfig.comparison?.column);
         });
-        return row;
+    } else if (config.chartType === 'groupDateChart') {
+        for (const key of ['dateTitle', 'valueTitle', 'groupTitle', 'commentTitle']) {
+            addColumn(`tsv.${key}`, tsv[key]);
+        }
+    } else if (config.chartType === 'pieChart') {
+        if (tsv.categoryTitles) {
+            tsv.categoryTitles.forEach((title, index) => addColumn(`tsv.categoryTitles[${index}]`, title));
+        } else {
+            addColumn('tsv.categoryTitle', tsv.categoryTitle);
+        }
+        addColumn('tsv.valueTitle', tsv.valueTitle);
+        addColumn('tsv.groupTitle', tsv.groupTitle);
+    } else if (config.chartType === 'scatter') {
+        for (const key of ['xTitle', 'yTitle', 'sizeTitle', 'labelTitle', 'groupTitle']) {
+            addColumn(`tsv.${key}`, tsv[key]);
+        }
+    } else {
+        // histogram・boxPlot
+        addColumn('tsv.valueTitle', tsv.valueTitle);
+        addColumn('tsv.groupTitle', tsv.groupTitle);
+    }
+
+    for (const [field, column] of columns) {
+        if (!headers.includes(column)) {
+            throw createInputError(field, `Error: Column not found: ${column} (${field}). Available columns: ${headers.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * 数値フォーマットの書式を検証
+ * @param {ChartCanvas} chart - ChartCanvasインスタンス（formatNumberで書式を解析する）
+ * @param {Object} config - 設定
+ * @throws {Error} 書式が不正な場合（fieldに項目のパスを持つ）
+ */
+function validateNumberFormats(chart, config) {
+    for (const [sectionName, key] of NUMBER_FORMAT_OPTIONS) {
+        const format = config[sectionName]?.[key];
+        if (typeof format !== 'string' || format === '') {
+            continue;
+        }
+        try {
+            chart.formatNumber(0, format);
+        } catch (error) {
+            throw createInputError(`${sectionName}.${key}`, `Error: Invalid ${sectionName}.${key}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * 列の値を数値に変換する
+ * @param {string|undefined} valueStr - 列の値
+ * @returns {number|null} 数値（空・数値でない場合はnull）
+ */
+function parseNumberColumn(valueStr) {
+    if (!valueStr) {
+        return null;
+    }
+    const value = parseFloat(valueStr);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * 系列に前期比較の系列を追加する
+ * columnを指定した場合は、その列のデータを前期の系列（描画しない）として使用する
+ * @param {DateChart} dateChart - DateChartインスタンス
+ * @param {LineSeries|BarSeries} series - 元の系列
+ * @param {Object} seriesConfig - 系列の設定（typeとmissingDataを前期の系列にも使用）
+ * @param {Object|undefined} comparisonConfig - 前期比較の設定 {shift, align, title, color, opacity, column}
+ * @param {string} field - 設定の項目のパス（例: 'tsv.series[0].comparison'）
+ * @returns {Array|null} 前期の系列の列名と系列 [column, priorSeries]（columnを指定しない場合はnull）
+ * @throws {Error} 設定が不正な場合（fieldに項目のパスを持つ）
+ */
+function applyComparison(dateChart, series, seriesConfig, comparisonConfig, field) {
+    if (!comparisonConfig) {
+        return null;
+    }
+    const { column, ...options } = comparisonConfig;
+    let priorSeries = null;
+    if (column) {
+        const priorOptions = { missingData: series.missingData };
+        priorSeries = seriesConfig.type === 'bar' ? dateChart.addBar(priorOptions) : dateChart.addLine(priorOptions);
+    }
+    try {
+        series.addComparison({ ...options, priorSeries });
+    } catch (error) {
+        throw createInputError(field, `Error: ${error.message}`);
+    }
+    return priorSeries ? [column, priorSeries] : null;
+}
+
+/**
+ * 注釈のファイル（TSV/CSV/JSON/NDJSON）をパースして注釈の配列に変換する
+ * value・from・to・opacity・lineWidthの列は数値に変換し、空の列は省略する
+ * @param {DataParser} DataParser - ChartCanvasのDataParserクラス
+ * @param {string} annotationsData - 注釈のファイルの内容
+ * @returns {Array<Object>} 注釈の配列 [{type, ...}]
+ * @throws {Error} パースできない場合・数値の列が数値でない場合（fieldは'annotations'）
+ */
+function parseAnnotations(DataParser, annotationsData) {
+    let table;
+    try {
+        table = DataParser.parse(annotationsData, 'auto');
+    } catch (error) {
+        throw createInputError('annotations', `Error: Failed to parse annotations: ${error.message}`);
+    }
+    if (!table.headers.includes('type')) {
+        throw createInputError('annotations', 'Error: Annotations file must have a type column');
+    }
+
+    const numberColumns = ['value', 'from', 'to', 'opacity', 'lineWidth'];
+    return DataParser.toObjects(table).map((row, index) => {
+        const annotation = {};
+        for (const [column, cell] of Object.entries(row)) {
+            if (cell === null || cell === undefined || cell === '') continue;
+            if (numberColumns.includes(column)) {
+                const value = Number(cell);
+                if (!isFinite(value)) {
+                    throw createInputError('annotations', `Error: Invalid annotations row ${index + 1}: ${column} must be a number: ${cell}`);
+                }
+                annotation[column] = value;
+            } else {
+                annotation[column] = String(cell);
+            }
+        }
+        return annotation;
+    });
+}
+
+/**
+ * 注釈を追加する
+ * @param {DateChart} dateChart - 注釈を追加するDateChart
+ * @param {Array<Object>} annotations - 注釈の配列 [{type, ...}]
+ * @param {boolean} isFromFile - 注釈のファイルから読み込んだ注釈かどうか（エラーメッセージ用）
+ * @throws {Error} 注釈が不正な場合（fieldに項目のパスを持つ）
+ */
+function applyAnnotations(dateChart, annotations, isFromFile = false) {
+    annotations.forEach((annotation, index) => {
+        try {
+            dateChart.addAnnotation(annotation);
+        } catch (error) {
+            if (isFromFile) {
+                throw createInputError('annotations', `Error: Invalid annotations row ${index + 1}: ${error.message}`);
+            }
+            throw createInputError(`annotations[${index}]`, `Error: ${error.message}`);
+        }
     });
-    
-    return { headers, rows };
 }
 
 /**
- * Node.jsの標準機能を使ってChartCanvasを実行し、SVGを生成する
+ * Node.jsの標準機能を使ってChartCanvasを実行し、チャートを描画する
  * @param {Object} config - 設定オブジェクト
- * @param {string} tsvData - TSVデータの文字列
- * @returns {Promise<string>} SVG文字列
+ * @param {string} tsvData - 入力データの文字列
+ * @param {string} inputFormat - 入力データの形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+ * @param {string|null} annotationsData - 注釈のファイルの内容（dateChart・groupDateChartのみ、config.annotationsの後に追加する）
+ * @returns {Promise<ChartCanvas>} 描画済みのChartCanvas
  */
-async function generateSVG(config, tsvData) {
+async function generateChart(config, tsvData, inputFormat = 'auto', annotationsData = null) {
     try {
-        // TSVデータをパース
-        const parsedTSV = parseTSV(tsvData);
-        
         // ChartCanvasのコードを読み込む
         const chartCanvasCode = fs.readFileSync(CHART_CANVAS_PATH, 'utf-8');
 
         // VMコンテキストを作成（グローバルオブジェクトを模擬）
+        // 標準出力はSVG/PNGの出力に使用するため、チャート内のログは標準エラー出力に出力する
+        const sandboxConsole = Object.assign({}, console, {
+            log: console.error,
+            info: console.error
+        });
         const sandbox = {
-            console: console,
+            console: sandboxConsole,
             setTimeout: setTimeout,
             clearTimeout: clearTimeout,
             setInterval: setInterval,
@@ -291,9 +809,16 @@ async function generateSVG(config, tsvData) {
         vm.createContext(sandbox);
         vm.runInContext(chartCanvasCode, sandbox);
 
+        // 入力データをパース
+        const parsedTSV = parseTSV(sandbox.window.DataParser, tsvData, inputFormat);
+        validateColumns(config, parsedTSV.headers);
+        const fileAnnotations = annotationsData ? parseAnnotations(sandbox.window.DataParser, annotationsData) : [];
+
         // ChartCanvasを作成（DOMなしモード）
         // ChartCanvasはwindowオブジェクトに公開されている
         const ChartCanvas = sandbox.window.ChartCanvas || sandbox.ChartCanvas;
+        const normalizeDate = sandbox.window.normalizeDate || sandbox.normalizeDate;
+        const LineSeries = sandbox.window.LineSeries || sandbox.LineSeries;
         const chart = new ChartCanvas(null);
         
         // グラフのサイズを設定
@@ -301,12 +826,36 @@ async function generateSVG(config, tsvData) {
         const height = config.chart?.height || 600;
         chart.size(width, height);
         
+        // テーマを設定（パレットは系列の作成時に適用されるため、グラフを追加する前に設定する）
+        if (config.theme !== undefined) {
+            try {
+                chart.setTheme(config.theme);
+            } catch (error) {
+                throw createInputError('theme', `Error: ${error.message}`);
+            }
+        }
+        const palette = chart.theme.palette;
+        
         if (config.chart?.title) {
             chart.title = config.chart.title;
         }
         if (config.chart?.subtitle) {
             chart.subtitle = config.chart.subtitle;
         }
+        if (config.chart?.locale) {
+            chart.locale = config.chart.locale;
+        }
+        if (config.chart?.description) {
+            chart.description = config.chart.description;
+        }
+        if (config.chart?.textMeasurer !== undefined) {
+            try {
+                chart.setTextMeasurer(config.chart.textMeasurer);
+            } catch (error) {
+                throw createInputError('chart.textMeasurer', `Error: ${error.message}`);
+            }
+        }
+        validateNumberFormats(chart, config);
         
         // チャートタイプに応じて処理
         if (config.chartType === 'dateChart') {
@@ -319,38 +868,99 @@ async function generateSVG(config, tsvData) {
                 if (config.dateChart.yAxisTitle) dateChart.yAxisTitle = config.dateChart.yAxisTitle;
                 if (config.dateChart.yAxisScale) dateChart.yAxisScale = config.dateChart.yAxisScale;
                 if (config.dateChart.yAxisFormat) dateChart.yAxisFormat = config.dateChart.yAxisFormat;
+                if (config.dateChart.yAxisType) dateChart.setYAxisType(config.dateChart.yAxisType);
                 if (config.dateChart.secondAxis !== undefined) dateChart.secondAxis = config.dateChart.secondAxis;
                 if (config.dateChart.secondAxisTitle) dateChart.secondAxisTitle = config.dateChart.secondAxisTitle;
                 if (config.dateChart.secondAxisScale) dateChart.secondAxisScale = config.dateChart.secondAxisScale;
                 if (config.dateChart.secondAxisFormat) dateChart.secondAxisFormat = config.dateChart.secondAxisFormat;
+                if (config.dateChart.secondAxisType) dateChart.setYAxisType(config.dateChart.secondAxisType, true);
+                if (config.dateChart.barMode) dateChart.setBarMode(config.dateChart.barMode);
                 if (config.dateChart.dateFormat) dateChart.dateFormat = config.dateChart.dateFormat;
+                if (config.dateChart.timeZone !== undefined) {
+                    try {
+                        dateChart.setTimeZone(config.dateChart.timeZone);
+                    } catch (error) {
+                        throw createInputError('dateChart.timeZone', `Error: ${error.message}`);
+                    }
+                }
                 if (config.dateChart.xGrid !== undefined) dateChart.xGrid = config.dateChart.xGrid;
                 if (config.dateChart.yGrid !== undefined) dateChart.yGrid = config.dateChart.yGrid;
             }
+            applyAxisOptions(config.dateChart, 'dateChart', {
+                yAxisOptions: options => dateChart.setYAxisOptions(options),
+                secondAxisOptions: options => dateChart.setYAxisOptions(options, true)
+            });
+            
+            // 注釈を追加
+            applyAnnotations(dateChart, config.annotations || []);
+            applyAnnotations(dateChart, fileAnnotations, true);
             
             // 系列を作成
-            const seriesMap = new Map();
-            for (const seriesConfig of config.tsv.series) {
+            // 色が指定されていない系列には、テーマにパレットがある場合はパレットの色を使用
+            // 列名と系列の組（前期比較の前期の系列は元の系列と同じ列を使用できるため配列にする）
+            const seriesColumns = [];
+            for (const [seriesIndex, seriesConfig] of config.tsv.series.entries()) {
+                const paletteColor = palette ? palette[seriesIndex % palette.length] : null;
                 let series;
-                if (seriesConfig.type === 'line') {
+                if (seriesConfig.type === 'line' || seriesConfig.type === 'band') {
+                    // bandタイプは範囲（下限〜上限）の帯を持つ線グラフ
+                    // 予測の開始日は先に検証し、その検証のエラーのみforecastStartの項目のエラーにする
+                    if (seriesConfig.forecastStart) {
+                        try {
+                            LineSeries.validateForecastStart(seriesConfig.forecastStart);
+                        } catch (error) {
+                            throw createInputError(`tsv.series[${seriesIndex}].forecastStart`, `Error: ${error.message}`);
+                        }
+                    }
                     series = dateChart.addLine({
                         title: seriesConfig.title,
-                        color: seriesConfig.color || 'black',
+                        color: seriesConfig.color || paletteColor || 'black',
                         lineWidth: seriesConfig.lineWidth || 2,
                         lineType: seriesConfig.lineType || 'solid',
                         secondAxis: seriesConfig.secondAxis || false,
-                        showMarkers: seriesConfig.showMarkers || false
+                        showMarkers: seriesConfig.showMarkers || false,
+                        missingData: seriesConfig.missingData || config.tsv.missingData || null,
+                        showFilledMarkers: seriesConfig.showFilledMarkers || false,
+                        forecastStart: seriesConfig.forecastStart || null,
+                        bandColor: seriesConfig.bandColor || null,
+                        bandOpacity: seriesConfig.bandOpacity
                     });
                 } else if (seriesConfig.type === 'bar') {
                     series = dateChart.addBar({
                         title: seriesConfig.title,
-                        color: seriesConfig.color || 'blue',
-                        secondAxis: seriesConfig.secondAxis || false
+                        color: seriesConfig.color || paletteColor || 'blue',
+                        secondAxis: seriesConfig.secondAxis || false,
+                        missingData: seriesConfig.missingData || config.tsv.missingData || null,
+                        showFilledMarkers: seriesConfig.showFilledMarkers || false
+                    });
+                } else if (seriesConfig.type === 'area') {
+                    series = dateChart.addArea({
+                        title: seriesConfig.title,
+                        color: seriesConfig.color || paletteColor || 'green',
+                        fillOpacity: seriesConfig.fillOpacity,
+                        lineWidth: seriesConfig.lineWidth,
+                        stack: seriesConfig.stack,
+                        secondAxis: seriesConfig.secondAxis || false,
+                        missingData: seriesConfig.missingData || config.tsv.missingData || null
                     });
                 } else {
                     throw new Error('Error: Invalid series type: ' + seriesConfig.type);
                 }
-                seriesMap.set(seriesConfig.column, series);
+                seriesColumns.push([seriesConfig.column, series, seriesConfig.type === 'band' ? seriesConfig : null]);
+                
+                // 派生系列（移動平均・トレンド線）を追加（データは描画時に元の系列から計算される）
+                applyDerivedSeries(series, seriesConfig.derived, `tsv.series[${seriesIndex}].derived`);
+                
+                // 前期比較の系列を追加（前期の列を指定した場合は前期の系列にもデータを追加する）
+                const priorColumn = applyComparison(dateChart, series, seriesConfig, seriesConfig.comparison, `tsv.series[${seriesIndex}].comparison`);
+                if (priorColumn) {
+                    seriesColumns.push(priorColumn);
+                }
+            }
+            
+            // 集計の設定を適用
+            if (config.tsv.aggregate) {
+                dateChart.setAggregate(config.tsv.aggregate.interval, config.tsv.aggregate.func || 'sum');
             }
             
             // TSVデータを系列に追加
@@ -361,29 +971,37 @@ async function generateSVG(config, tsvData) {
                 const date = row[dateTitle];
                 if (!date) continue;
                 
-                // 日付を正規化
+                // 日付を正規化（日時の場合はYYYYMMDDHHmmss形式）
                 const dateFormat = config.dateChart?.dateFormat || 'auto';
-                let normalizedDate = date;
-                if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                    normalizedDate = date.replace(/-/g, '');
-                } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-                    normalizedDate = date.replace(/\//g, '');
-                }
+                const normalizedDate = normalizeDate(date, dateFormat, dateChart.timeZone);
                 
                 // 各系列にデータを追加
-                for (const [column, series] of seriesMap.entries()) {
+                for (const [column, series, band] of seriesColumns) {
+                    const comment = commentTitle ? (row[commentTitle] || '') : '';
+                    
+                    // bandタイプは値（中央の線、省略可）と下限・上限の列を追加（下限・上限のみの行は帯のみ描画する）
+                    if (band) {
+                        const value = column ? parseNumberColumn(row[column]) : null;
+                        const lower = parseNumberColumn(row[band.lowerColumn]);
+                        const upper = parseNumberColumn(row[band.upperColumn]);
+                        if (value !== null || (lower !== null && upper !== null)) {
+                            series.addRangeData(normalizedDate, value, lower, upper, comment);
+                        }
+                        continue;
+                    }
+                    
                     const valueStr = row[column];
                     if (!valueStr) continue;
                     
                     const value = parseFloat(valueStr);
                     if (isNaN(value)) continue;
                     
-                    const comment = commentTitle ? (row[commentTitle] || '') : '';
                     series.addData(normalizedDate, value, comment);
                 }
             }
             
-            // レンダリング
+            // 対数軸の値を検証してレンダリング
+            validateLogAxisValues(chart, dateChart);
             chart.render();
             
         } else if (config.chartType === 'groupDateChart') {
@@ -396,10 +1014,31 @@ async function generateSVG(config, tsvData) {
                 if (config.dateChart.yAxisTitle) dateChart.yAxisTitle = config.dateChart.yAxisTitle;
                 if (config.dateChart.yAxisScale) dateChart.yAxisScale = config.dateChart.yAxisScale;
                 if (config.dateChart.yAxisFormat) dateChart.yAxisFormat = config.dateChart.yAxisFormat;
+                if (config.dateChart.yAxisType) dateChart.setYAxisType(config.dateChart.yAxisType);
+                if (config.dateChart.barMode) dateChart.setBarMode(config.dateChart.barMode);
                 if (config.dateChart.dateFormat) dateChart.dateFormat = config.dateChart.dateFormat;
+                if (config.dateChart.timeZone !== undefined) {
+                    try {
+                        dateChart.setTimeZone(config.dateChart.timeZone);
+                    } catch (error) {
+                        throw createInputError('dateChart.timeZone', `Error: ${error.message}`);
+                    }
+                }
                 if (config.dateChart.xGrid !== undefined) dateChart.xGrid = config.dateChart.xGrid;
                 if (config.dateChart.yGrid !== undefined) dateChart.yGrid = config.dateChart.yGrid;
             }
+            applyAxisOptions(config.dateChart, 'dateChart', {
+                yAxisOptions: options => dateChart.setYAxisOptions(options)
+            });
+            
+            // 注釈を追加
+            applyAnnotations(dateChart, config.annotations || []);
+            applyAnnotations(dateChart, fileAnnotations, true);
+            
+            // 集計の設定を適用
+            if (config.tsv.aggregate) {
+                dateChart.setAggregate(config.tsv.aggregate.interval, config.tsv.aggregate.func || 'sum');
+            }
             
             // グループごとのデータを収集
             const dateTitle = config.tsv.dateTitle;
@@ -408,7 +1047,7 @@ async function generateSVG(config, tsvData) {
             const commentTitle = config.tsv.commentTitle || '';
             const seriesType = config.tsv.seriesType || 'line';
             const seriesOptions = config.tsv.seriesOptions || {};
-            const seriesColors = config.tsv.seriesColors || ['red', 'blue', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+            const seriesColors = config.tsv.seriesColors || palette || ['red', 'blue', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
             
             const dataByGroup = new Map();
             
@@ -422,18 +1061,9 @@ async function generateSVG(config, tsvData) {
                 const value = parseFloat(valueStr);
                 if (isNaN(value)) continue;
                 
-                // 日付を正規化
+                // 日付を正規化（日時の場合はYYYYMMDDHHmmss形式）
                 const dateFormat = config.dateChart?.dateFormat || 'auto';
-                let normalizedDate = date;
-                if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                    normalizedDate = date.replace(/-/g, '');
-                } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-                    normalizedDate = date.replace(/\//g, '');
-                }
-                
-                // normalizeDate関数を使用（ChartCanvasの関数）
-                const normalizeDate = sandbox.window.normalizeDate || sandbox.normalizeDate;
-                normalizedDate = normalizeDate(normalizedDate, dateFormat);
+                const normalizedDate = normalizeDate(date, dateFormat, dateChart.timeZone);
                 
                 const comment = commentTitle ? (row[commentTitle] || '') : '';
                 
@@ -458,6 +1088,7 @@ async function generateSVG(config, tsvData) {
                 const seriesConfig = {
                     title: groupName,
                     color: seriesColors[colorIndex % seriesColors.length],
+                    missingData: config.tsv.missingData || null,
                     ...seriesOptions
                 };
                 
@@ -466,6 +1097,8 @@ async function generateSVG(config, tsvData) {
                     series = dateChart.addLine(seriesConfig);
                 } else if (seriesType === 'bar') {
                     series = dateChart.addBar(seriesConfig);
+                } else if (seriesType === 'area') {
+                    series = dateChart.addArea(seriesConfig);
                 } else {
                     throw new Error('Error: Invalid seriesType: ' + seriesType);
                 }
@@ -481,7 +1114,8 @@ async function generateSVG(config, tsvData) {
                 colorIndex++;
             }
             
-            // レンダリング
+            // 対数軸の値を検証してレンダリング
+            validateLogAxisValues(chart, dateChart);
             chart.render();
             
         } else if (config.chartType === 'histogram') {
@@ -510,10 +1144,14 @@ async function generateSVG(config, tsvData) {
                 if (config.histogram.meanLineWidth !== undefined) histogram.meanLineWidth = config.histogram.meanLineWidth;
                 if (config.histogram.medianLineWidth !== undefined) histogram.medianLineWidth = config.histogram.medianLineWidth;
             }
+            applyAxisOptions(config.histogram, 'histogram', {
+                xAxisOptions: options => histogram.setXAxisOptions(options),
+                yAxisOptions: options => histogram.setYAxisOptions(options)
+            });
             
             const valueTitle = config.tsv.valueTitle;
             const groupTitle = config.tsv.groupTitle;
-            const seriesColors = config.tsv.seriesColors || ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+            const seriesColors = config.tsv.seriesColors || palette || ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
             
             if (groupTitle) {
                 // グループ別ヒストグラム
@@ -581,6 +1219,141 @@ async function generateSVG(config, tsvData) {
             // レンダリング
             chart.render();
             
+        } else if (config.chartType === 'scatter') {
+            // scatterタイプの実装
+            const scatterChart = chart.addScatterChart();
+            
+            // scatterの設定を適用
+            if (config.scatter) {
+                if (config.scatter.xAxisTitle) scatterChart.xAxisTitle = config.scatter.xAxisTitle;
+                if (config.scatter.yAxisTitle) scatterChart.yAxisTitle = config.scatter.yAxisTitle;
+                if (config.scatter.xAxisFormat) scatterChart.xAxisFormat = config.scatter.xAxisFormat;
+                if (config.scatter.yAxisFormat) scatterChart.yAxisFormat = config.scatter.yAxisFormat;
+                if (config.scatter.sizeFormat) scatterChart.sizeFormat = config.scatter.sizeFormat;
+                if (config.scatter.xGrid !== undefined) scatterChart.xGrid = config.scatter.xGrid;
+                if (config.scatter.yGrid !== undefined) scatterChart.yGrid = config.scatter.yGrid;
+                if (config.scatter.pointRadius !== undefined) scatterChart.pointRadius = config.scatter.pointRadius;
+                if (config.scatter.minBubbleRadius !== undefined) scatterChart.minBubbleRadius = config.scatter.minBubbleRadius;
+                if (config.scatter.maxBubbleRadius !== undefined) scatterChart.maxBubbleRadius = config.scatter.maxBubbleRadius;
+                // 回帰直線の設定
+                if (config.scatter.showRegressionLine !== undefined) scatterChart.showRegressionLine = config.scatter.showRegressionLine;
+                if (config.scatter.regressionLineStyle) scatterChart.regressionLineStyle = config.scatter.regressionLineStyle;
+                if (config.scatter.regressionLineWidth !== undefined) scatterChart.regressionLineWidth = config.scatter.regressionLineWidth;
+            }
+            applyAxisOptions(config.scatter, 'scatter', {
+                xAxisOptions: options => scatterChart.setXAxisOptions(options),
+                yAxisOptions: options => scatterChart.setYAxisOptions(options)
+            });
+            
+            const { xTitle, yTitle, sizeTitle, labelTitle, groupTitle } = config.tsv;
+            const seriesColors = config.tsv.seriesColors || palette || ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+            
+            // グループごとに点を収集（groupTitleがない場合は1つのグループ）
+            const pointsByGroup = new Map();
+            
+            for (const row of parsedTSV.rows) {
+                const x = parseNumberColumn(row[xTitle]);
+                const y = parseNumberColumn(row[yTitle]);
+                const groupName = groupTitle ? row[groupTitle] : '';
+                
+                if (x === null || y === null) continue;
+                if (groupTitle && !groupName) continue;
+                
+                if (!pointsByGroup.has(groupName)) {
+                    pointsByGroup.set(groupName, []);
+                }
+                pointsByGroup.get(groupName).push({
+                    x,
+                    y,
+                    size: sizeTitle ? parseNumberColumn(row[sizeTitle]) : null,
+                    label: labelTitle ? (row[labelTitle] || '') : '',
+                    group: groupName
+                });
+            }
+            
+            if (!groupTitle) {
+                // 単一の系列
+                const series = scatterChart.addSeries({
+                    title: config.chart?.title || 'データ',
+                    color: seriesColors[0]
+                });
+                series.addDataArray(pointsByGroup.get('') || []);
+            } else {
+                // グループごとに系列を作成
+                const sortedGroupNames = Array.from(pointsByGroup.keys()).sort();
+                sortedGroupNames.forEach((groupName, index) => {
+                    const series = scatterChart.addSeries({
+                        title: groupName,
+                        color: seriesColors[index % seriesColors.length]
+                    });
+                    series.addDataArray(pointsByGroup.get(groupName));
+                });
+            }
+            
+            // レンダリング
+            chart.render();
+            
+        } else if (config.chartType === 'boxPlot') {
+            // boxPlotタイプの実装
+            const boxPlot = chart.addBoxPlot();
+            
+            // boxPlotの設定を適用
+            if (config.boxPlot) {
+                if (config.boxPlot.xAxisTitle) boxPlot.xAxisTitle = config.boxPlot.xAxisTitle;
+                if (config.boxPlot.yAxisTitle) boxPlot.yAxisTitle = config.boxPlot.yAxisTitle;
+                if (config.boxPlot.yAxisFormat) boxPlot.yAxisFormat = config.boxPlot.yAxisFormat;
+                if (config.boxPlot.whiskerMode) boxPlot.setWhiskerMode(config.boxPlot.whiskerMode);
+                if (config.boxPlot.showOutliers !== undefined) boxPlot.showOutliers = config.boxPlot.showOutliers;
+                if (config.boxPlot.showMean !== undefined) boxPlot.showMean = config.boxPlot.showMean;
+                if (config.boxPlot.boxWidthRatio !== undefined) boxPlot.boxWidthRatio = config.boxPlot.boxWidthRatio;
+                if (config.boxPlot.yGrid !== undefined) boxPlot.yGrid = config.boxPlot.yGrid;
+            }
+            applyAxisOptions(config.boxPlot, 'boxPlot', {
+                yAxisOptions: options => boxPlot.setYAxisOptions(options)
+            });
+            
+            const valueTitle = config.tsv.valueTitle;
+            const groupTitle = config.tsv.groupTitle;
+            const seriesColors = config.tsv.seriesColors || palette || ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+            
+            // グループごとに値を収集（groupTitleがない場合は1つのグループ、histogramと同じ形式）
+            const dataByGroup = new Map();
+            
+            for (const row of parsedTSV.rows) {
+                const value = parseNumberColumn(row[valueTitle]);
+                const groupName = groupTitle ? row[groupTitle] : '';
+                
+                if (value === null) continue;
+                if (groupTitle && !groupName) continue;
+                
+                if (!dataByGroup.has(groupName)) {
+                    dataByGroup.set(groupName, []);
+                }
+                dataByGroup.get(groupName).push(value);
+            }
+            
+            if (!groupTitle) {
+                // 単一の箱
+                const series = boxPlot.addSeries({
+                    title: config.chart?.title || 'データ',
+                    color: seriesColors[0]
+                });
+                series.addDataArray(dataByGroup.get('') || []);
+            } else {
+                // グループごとに箱を作成
+                const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
+                sortedGroupNames.forEach((groupName, index) => {
+                    const series = boxPlot.addSeries({
+                        title: groupName,
+                        color: seriesColors[index % seriesColors.length]
+                    });
+                    series.addDataArray(dataByGroup.get(groupName));
+                });
+            }
+            
+            // レンダリング
+            chart.render();
+            
         } else if (config.chartType === 'pieChart') {
             // pieChartタイプの実装
             const PieChart = sandbox.window.PieChart || sandbox.PieChart;
@@ -592,34 +1365,82 @@ async function generateSVG(config, tsvData) {
             if (config.pieChart) {
                 if (config.pieChart.title) pieChart.title = config.pieChart.title;
                 if (config.pieChart.subtitle) pieChart.subtitle = config.pieChart.subtitle;
-                if (config.pieChart.labelFormat) pieChart.setLabelFormat(config.pieChart.labelFormat);
-                if (config.pieChart.labelPosition) pieChart.setLabelPosition(config.pieChart.labelPosition);
-                if (config.pieChart.labelThreshold !== undefined) pieChart.setLabelThreshold(config.pieChart.labelThreshold);
+                try {
+                    if (config.pieChart.labelFormat) pieChart.setLabelFormat(config.pieChart.labelFormat);
+                } catch (error) {
+                    throw createInputError('pieChart.labelFormat', `Error: ${error.message}`);
+                }
+                try {
+                    if (config.pieChart.labelPosition) pieChart.setLabelPosition(config.pieChart.labelPosition);
+                } catch (error) {
+                    throw createInputError('pieChart.labelPosition', `Error: ${error.message}`);
+                }
+                try {
+                    if (config.pieChart.labelThreshold !== undefined) pieChart.setLabelThreshold(config.pieChart.labelThreshold);
+                } catch (error) {
+                    throw createInputError('pieChart.labelThreshold', `Error: ${error.message}`);
+                }
+                if (config.pieChart.valueFormat) pieChart.setValueFormat(config.pieChart.valueFormat);
+                if (config.pieChart.percentageFormat) pieChart.setPercentageFormat(config.pieChart.percentageFormat);
                 if (config.pieChart.legendVisible !== undefined) pieChart.setLegendVisible(config.pieChart.legendVisible);
+                if (config.pieChart.innerRadius !== undefined) pieChart.innerRadius = config.pieChart.innerRadius;
+                if (config.pieChart.othersCategory) {
+                    try {
+                        pieChart.setOthersCategory(true, config.pieChart.othersCategory.threshold, config.pieChart.othersCategory.label);
+                    } catch (error) {
+                        throw createInputError('pieChart.othersCategory', `Error: ${error.message}`);
+                    }
+                }
             }
             
             // TSVデータを読み込む
-            const categoryTitle = config.tsv.categoryTitle;
+            // categoryTitlesを指定した場合は階層データ（サンバースト）として読み込む
+            const categoryTitles = config.tsv.categoryTitles || [config.tsv.categoryTitle];
+            const isHierarchical = !!config.tsv.categoryTitles;
             const valueTitle = config.tsv.valueTitle;
+            const groupTitle = config.tsv.groupTitle || '';
             
-            const data = [];
-            const labels = [];
+            // グループごとにデータを収集（groupTitleがない場合は1つのグループ）
+            const dataByGroup = new Map();
             
             for (const row of parsedTSV.rows) {
-                const category = row[categoryTitle];
+                const path = categoryTitles.map(title => row[title] || '');
                 const valueStr = row[valueTitle];
+                const groupName = groupTitle ? row[groupTitle] : '';
                 
-                if (!category || !valueStr) continue;
+                if (!path[0] || !valueStr) continue;
+                if (groupTitle && !groupName) continue;
                 
                 const value = parseFloat(valueStr);
                 if (isNaN(value) || value < 0) continue;
                 
-                data.push(value);
-                labels.push(category);
+                if (!dataByGroup.has(groupName)) {
+                    dataByGroup.set(groupName, []);
+                }
+                dataByGroup.get(groupName).push({ path, value });
             }
             
             // データを設定（setData内でソートされる）
-            pieChart.setData(data, labels);
+            const setPieChartData = (targetPieChart, rows) => {
+                if (isHierarchical) {
+                    targetPieChart.setHierarchicalData(rows);
+                } else {
+                    targetPieChart.setData(rows.map(row => row.value), rows.map(row => row.path[0]));
+                }
+            };
+            
+            if (!groupTitle) {
+                setPieChartData(pieChart, dataByGroup.get('') || []);
+            } else {
+                // グループごとに円グラフを並べる（2つ目以降のグループは最初の円グラフと同じ設定で追加）
+                // 各円グラフのタイトルにはグループ名を使用する
+                const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
+                sortedGroupNames.forEach((groupName, index) => {
+                    const groupPieChart = index === 0 ? pieChart : chart.addPieChart().copySettingsFrom(pieChart);
+                    groupPieChart.setTitle(groupName);
+                    setPieChartData(groupPieChart, dataByGroup.get(groupName));
+                });
+            }
             
             // レンダリング
             chart.render();
@@ -629,12 +1450,13 @@ async function generateSVG(config, tsvData) {
             throw new Error('Error: Chart type not yet implemented: ' + config.chartType);
         }
         
-        // SVG文字列を取得
-        const svgString = chart.getSVGString();
-        
-        return svgString;
+        return chart;
         
     } catch (error) {
+        // 入力（設定・データ）のエラーはスタックトレースを付けずにそのまま投げる
+        if (error.field) {
+            throw error;
+        }
         throw new Error(error.message + (error.stack ? '\n' + error.stack : ''));
     }
 }
@@ -664,14 +1486,31 @@ async function main() {
         // 設定を検証
         validateConfig(config);
 
+        // 注釈のファイルを読み込む
+        let annotationsData = null;
+        if (options.annotationsFile) {
+            if (!['dateChart', 'groupDateChart'].includes(config.chartType)) {
+                throw new Error(`Error: --annotations is only supported for dateChart and groupDateChart (chartType: ${config.chartType})`);
+            }
+            if (!fs.existsSync(options.annotationsFile)) {
+                throw new Error(`Error: Annotations file not found: ${options.annotationsFile}`);
+            }
+            annotationsData = fs.readFileSync(options.annotationsFile, 'utf-8');
+        }
+
         // 標準入力からTSVデータを読み込む
         const tsvData = await readTSVFromStdin();
 
-        // 設定に基づいてChartCanvasを使用してSVGを生成
-        const svgString = await generateSVG(config, tsvData);
+        // 設定に基づいてChartCanvasを使用してチャートを描画
+        const chart = await generateChart(config, tsvData, options.inputFormat, annotationsData);
 
-        // 標準出力にSVGを出力
-        process.stdout.write(svgString);
+        if (options.format === 'png') {
+            // SVG要素をラスタライズして標準出力にPNGを出力
+            process.stdout.write(svgToPNG(chart.getSVGElement(), { scale: options.scale }));
+        } else {
+            // 標準出力にSVGを出力
+            process.stdout.write(chart.getSVGString());
+        }
 
     } catch (error) {
         console.error(error.message);
@@ -684,5 +1523,5 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { main, parseArgs, loadConfig, validateConfig };
+module.exports = { main, parseArgs, loadConfig, validateConfig, generateChart, INPUT_FORMATS };
 
@@ -0,0 +1,301 @@
+/**
+ * AxisScale - 軸の範囲と目盛りの計算クラス
+ * DateChartのY軸（主軸・副軸）とHistogramChartのX軸・Y軸で共通の軸の指定
+ * {min, max, tickInterval, tickCount, includeZero} の検証と、線形の軸のスケールの計算、
+ * 値から軸上の位置（比率）への変換（線形・対数・symlog）を提供する。
+ */
+class AxisScale {
+    // 軸の指定の項目
+    static OPTION_KEYS = ['min', 'max', 'tickInterval', 'tickCount', 'includeZero'];
+
+    // symlog軸の定数（-C〜Cの範囲はほぼ線形、それより外側は対数になる）
+    static SYMLOG_CONSTANT = 1;
+
+    // 目盛りの数の上限（tickIntervalが範囲に対して小さすぎる場合のエラー）
+    static MAX_TICK_COUNT = 1000;
+
+    /**
+     * 軸の指定を検証して正規化
+     * @param {Object|null} options - 軸の指定
+     * @param {number} options.min - 軸の最小値（省略時はデータから自動計算）
+     * @param {number} options.max - 軸の最大値（省略時はデータから自動計算）
+     * @param {number} options.tickInterval - 目盛りの間隔（0より大きい値）
+     * @param {number} options.tickCount - 目盛りの数の目安（2以上の整数、tickIntervalが優先）
+     * @param {boolean} options.includeZero - 自動計算の範囲に0を含めるかどうか（省略時は軸ごとの既定値）
+     * @param {string} name - エラーメッセージに使用する名前
+     * @returns {Object} 正規化した指定 {min, max, tickInterval, tickCount, includeZero}（省略した項目はnull）
+     */
+    static normalizeOptions(options, name = 'axisOptions') {
+        const normalized = { min: null, max: null, tickInterval: null, tickCount: null, includeZero: null };
+        if (options === null || options === undefined) {
+            return normalized;
+        }
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error(`Invalid ${name}: must be an object`);
+        }
+
+        for (const key of Object.keys(options)) {
+            if (!AxisScale.OPTION_KEYS.includes(key)) {
+                throw new Error(`Unknown ${name} option: ${key}. Valid options: ${AxisScale.OPTION_KEYS.join(', ')}`);
+            }
+        }
+
+        for (const key of ['min', 'max', 'tickInterval', 'tickCount']) {
+            const value = options[key];
+            if (value === null || value === undefined) continue;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Invalid ${name}.${key}: ${value}. Must be a finite number`);
+            }
+            normalized[key] = value;
+        }
+        if (normalized.min !== null && normalized.max !== null && normalized.min >= normalized.max) {
+            throw new Error(`Invalid ${name}: min (${normalized.min}) must be less than max (${normalized.max})`);
+        }
+        if (normalized.tickInterval !== null && normalized.tickInterval <= 0) {
+            throw new Error(`Invalid ${name}.tickInterval: ${normalized.tickInterval}. Must be greater than 0`);
+        }
+        if (normalized.tickCount !== null && (!Number.isInteger(normalized.tickCount) || normalized.tickCount < 2)) {
+            throw new Error(`Invalid ${name}.tickCount: ${normalized.tickCount}. Must be an integer of 2 or more`);
+        }
+
+        if (options.includeZero !== null && options.includeZero !== undefined) {
+            if (typeof options.includeZero !== 'boolean') {
+                throw new Error(`Invalid ${name}.includeZero: ${options.includeZero}. Must be a boolean`);
+            }
+            normalized.includeZero = options.includeZero;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * 軸の範囲・目盛りの指定があるかどうか
+     * @param {Object} options - 正規化した軸の指定（normalizeOptionsの戻り値）
+     * @returns {boolean} いずれかの項目が指定されている場合はtrue
+     */
+    static hasOptions(options) {
+        return !!options && AxisScale.OPTION_KEYS.some(key => options[key] !== null && options[key] !== undefined);
+    }
+
+    /**
+     * 目盛りの間隔を1・2・5×10のべき乗に丸める
+     * @param {number} idealInterval - 理想的な間隔
+     * @param {boolean} roundUp - 理想的な間隔以上に切り上げるかどうか（デフォルト: false、10のべき乗で切り下げてから調整）
+     * @returns {number} 丸めた間隔
+     */
+    static calculateNiceInterval(idealInterval, roundUp = false) {
+        // 10のべき乗で丸める
+        const magnitude = Math.pow(10, Math.floor(Math.log10(idealInterval)));
+        if (roundUp) {
+            const multiplier = [1, 2, 5, 10].find(value => magnitude * value >= idealInterval);
+            return magnitude * multiplier;
+        }
+        let tickInterval = magnitude;
+
+        // 間隔が小さすぎる場合は次のレベルに上げる
+        if (idealInterval / magnitude > 5) {
+            tickInterval = magnitude * 5;
+        } else if (idealInterval / magnitude > 2) {
+            tickInterval = magnitude * 2;
+        }
+        return tickInterval;
+    }
+
+    /**
+     * 自動の目盛りの間隔を計算（範囲が30以下の場合は1刻み、30超の場合は目盛りが10個程度になる間隔）
+     * @param {number} range - 軸の範囲
+     * @returns {number} 目盛りの間隔
+     */
+    static calculateAutoInterval(range) {
+        if (range <= 30) {
+            return 1;
+        }
+        const idealTickCount = 10; // 理想的な目盛りの数
+        return AxisScale.calculateNiceInterval(range / idealTickCount);
+    }
+
+    /**
+     * 小数のデータ向けの自動の目盛りの間隔を計算
+     * 範囲が30以下の場合も1刻みにせず、目盛りが10個程度以下になる1・2・5×10のべき乗の間隔にする（例: 0.3〜0.5 → 0.02刻み）
+     * 範囲が30超の場合はcalculateAutoIntervalと同じ
+     * @param {number} range - 軸の範囲
+     * @returns {number} 目盛りの間隔
+     */
+    static calculateFractionalInterval(range) {
+        if (range <= 0 || range > 30) {
+            return AxisScale.calculateAutoInterval(range);
+        }
+        const idealTickCount = 10; // 理想的な目盛りの数
+        return AxisScale.calculateNiceInterval(range / idealTickCount, true);
+    }
+
+    /**
+     * 目盛りの数を上限以下に減らす（描画エリアの高さに対して目盛りが多すぎる場合）
+     * 上限を超える場合は、目盛りが上限以下になるまで間隔を次の1・2・5×10のべき乗に広げて再計算する
+     * @param {Object} scale - 線形の軸のスケール情報（calculateLinearScaleの戻り値）
+     * @param {number|null} maxTickCount - 目盛りの数の上限（nullの場合は制限しない）
+     * @param {Function} recalculate - 間隔を指定してスケールを再計算する関数 (tickInterval) => scale
+     * @returns {Object} スケール情報
+     */
+    static limitTickCount(scale, maxTickCount, recalculate) {
+        if (!maxTickCount || scale.labels.length <= maxTickCount || !(scale.tickInterval > 0)) {
+            return scale;
+        }
+
+        let tickInterval = AxisScale.calculateNiceInterval((scale.max - scale.min) / Math.max(1, maxTickCount - 1), true);
+        let limited = recalculate(tickInterval);
+        while (limited.labels.length > Math.max(2, maxTickCount)) {
+            tickInterval = AxisScale.calculateNiceInterval(tickInterval * 1.01, true);
+            limited = recalculate(tickInterval);
+        }
+        return limited;
+    }
+
+    /**
+     * 開始値から終了値まで間隔ごとの目盛りの値を生成
+     * @param {number} start - 開始値
+     * @param {number} end - 終了値
+     * @param {number} interval - 間隔
+     * @returns {Array<number>} 目盛りの値の配列
+     */
+    static generateLabels(start, end, interval) {
+        if ((end - start) / interval > AxisScale.MAX_TICK_COUNT) {
+            throw new Error(`Too many ticks: tickInterval ${interval} for the range ${start} to ${end} (max ${AxisScale.MAX_TICK_COUNT} ticks)`);
+        }
+
+        // 浮動小数点の誤差（0.1 * 3 = 0.30000000000000004など）を15桁で丸め、終了値をわずかに超えた目盛りも含める
+        const tolerance = interval * 1e-9;
+        const labels = [];
+        for (let i = 0; start + i * interval <= end + tolerance; i++) {
+            labels.push(parseFloat((start + i * interval).toPrecision(15)));
+        }
+        return labels;
+    }
+
+    /**
+     * 線形の軸のスケールを計算
+     * - 範囲: min・maxの指定、またはデータの最小値・最大値（includeZeroの場合は0を含める）を目盛りの間隔の倍数に広げた範囲
+     * - 間隔: tickInterval、tickCount（min・maxの両方を指定した場合はちょうどtickCount個、それ以外は目盛りがtickCount個以下になる1・2・5×10のべき乗）、
+     *   どちらもない場合はgetDefaultInterval(range, upper)
+     * @param {number} minValue - データの最小値
+     * @param {number} maxValue - データの最大値
+     * @param {Object} options - 正規化した軸の指定（normalizeOptionsの戻り値）
+     * @param {boolean} defaultIncludeZero - includeZeroを省略した場合の値
+     * @param {Function} getDefaultInterval - 自動の目盛りの間隔を返す関数 (range, upper) => interval（デフォルト: calculateAutoInterval）
+     * @returns {Object} スケール情報 {min, max, tickInterval, tickCount, labels}
+     */
+    static calculateLinearScale(minValue, maxValue, options, defaultIncludeZero = true, getDefaultInterval = null) {
+        const includeZero = options.includeZero !== null ? options.includeZero : defaultIncludeZero;
+        let lower = options.min !== null ? options.min : (includeZero ? Math.min(0, minValue) : minValue);
+        let upper = options.max !== null ? options.max : (includeZero ? Math.max(0, maxValue) : maxValue);
+
+        // 指定した最小値がデータより大きい（または最大値がデータより小さい）場合は指定した側に合わせる
+        if (upper < lower) {
+            if (options.min !== null) {
+                upper = lower;
+            } else {
+                lower = upper;
+            }
+        }
+        const range = upper - lower;
+
+        let tickInterval;
+        if (options.tickInterval !== null) {
+            tickInterval = options.tickInterval;
+        } else if (options.tickCount !== null && range > 0) {
+            tickInterval = options.min !== null && options.max !== null ?
+                range / (options.tickCount - 1) :
+                AxisScale.calculateNiceInterval(range / (options.tickCount - 1), true);
+        } else {
+            tickInterval = getDefaultInterval ? getDefaultInterval(range, upper) : AxisScale.calculateAutoInterval(range);
+        }
+
+        // 指定がない端は間隔の倍数に広げる（値が1つだけの場合も1間隔分の範囲を確保する）
+        let minTickValue = options.min !== null ? options.min : Math.floor(lower / tickInterval) * tickInterval;
+        let maxTickValue = options.max !== null ? options.max : Math.ceil(upper / tickInterval) * tickInterval;
+        if (maxTickValue <= minTickValue) {
+            if (options.max !== null) {
+                minTickValue = maxTickValue - tickInterval;
+            } else {
+                maxTickValue = minTickValue + tickInterval;
+            }
+        }
+
+        const labels = AxisScale.generateLabels(minTickValue, maxTickValue, tickInterval);
+
+        // 最大値が目盛りの間隔の倍数でない場合は最大値を追加
+        if (labels[labels.length - 1] < maxTickValue - tickInterval * 1e-9) {
+            labels.push(maxTickValue);
+        }
+
+        return {
+            min: minTickValue,
+            max: maxTickValue,
+            tickInterval,
+            tickCount: labels.length,
+            labels
+        };
+    }
+
+    /**
+     * 対数・symlogのスケールを指定した範囲に絞る（範囲外の目盛りを除き、両端を目盛りに追加する）
+     * @param {Object} scale - スケール情報 {type, min, max, tickCount, labels, minorTicks}
+     * @param {Object} options - 正規化した軸の指定（min・maxのみ使用）
+     * @returns {Object} スケール情報
+     */
+    static applyRange(scale, options) {
+        const min = options.min !== null ? options.min : scale.min;
+        const max = options.max !== null ? options.max : scale.max;
+        const labels = scale.labels.filter(label => label >= min && label <= max);
+        if (labels[0] !== min) labels.unshift(min);
+        if (labels[labels.length - 1] !== max) labels.push(max);
+
+        return {
+            ...scale,
+            min,
+            max,
+            tickCount: labels.length,
+            labels,
+            minorTicks: scale.minorTicks.filter(tick => tick > min && tick < max)
+        };
+    }
+
+    /**
+     * 値を軸の下端から上端までの比率（0.0〜1.0）に変換
+     * 軸の範囲外の値は端（0.0または1.0）に寄せる
+     * @param {number} value - 値
+     * @param {Object} scale - スケール情報 {type, min, max, ...}（typeを省略した場合は線形）
+     * @returns {number} 比率（対数軸で0以下の値の場合は0）
+     */
+    static getValueRatio(value, scale) {
+        let ratio;
+        if (scale.type === 'log') {
+            if (value <= 0) {
+                return 0;
+            }
+            const logMin = Math.log10(scale.min);
+            const logMax = Math.log10(scale.max);
+            ratio = logMax > logMin ? (Math.log10(value) - logMin) / (logMax - logMin) : 0;
+        } else if (scale.type === 'symlog') {
+            const symlogMin = AxisScale.symlog(scale.min);
+            const symlogMax = AxisScale.symlog(scale.max);
+            ratio = symlogMax > symlogMin ? (AxisScale.symlog(value) - symlogMin) / (symlogMax - symlogMin) : 0;
+        } else {
+            const min = scale.min || 0;
+            ratio = scale.max > min ? (value - min) / (scale.max - min) : 0;
+        }
+        return Math.min(1, Math.max(0, ratio));
+    }
+
+    /**
+     * 対称対数の変換 sign(x) * log10(1 + |x| / C)
+     * @param {number} value - 値
+     * @returns {number} 変換後の値
+     */
+    static symlog(value) {
+        return Math.sign(value) * Math.log10(1 + Math.abs(value) / AxisScale.SYMLOG_CONSTANT);
+    }
+}
+
+// グローバルスコープに公開
+window.AxisScale = AxisScale;
@@ -0,0 +1,313 @@
+/**
+ * BoxPlotChart - 箱ひげ図チャートクラス
+ * グループ（系列）ごとのデータの分布を四分位数・ひげ・外れ値で並べて比較する箱ひげ図を管理するクラス
+ */
+class BoxPlotChart {
+    // ひげの範囲の種類（'tukey': 箱の端から1.5×IQR以内の最も外側の値、'minmax': 最小値・最大値）
+    static WHISKER_MODES = ['tukey', 'minmax'];
+
+    // Tukeyのひげの範囲（四分位範囲に対する倍率）
+    static TUKEY_FACTOR = 1.5;
+
+    /**
+     * コンストラクタ
+     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     */
+    constructor(chartCanvas) {
+        this.chartCanvas = chartCanvas;
+
+        // X軸（グループ）の設定
+        this.xAxisTitle = '';
+
+        // Y軸（値）の設定
+        this.yAxisTitle = '';
+        this.yAxisFormat = '#,##0';
+        this.yAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定 {min, max, tickInterval, tickCount, includeZero}
+
+        // タイトルとサブタイトル
+        this.title = '';
+        this.subtitle = '';
+
+        // 箱ひげ図の設定
+        this.whiskerMode = 'tukey'; // ひげの範囲（'tukey', 'minmax'）
+        this.showOutliers = true; // 外れ値の点を表示するか（'tukey'の場合のみ、デフォルト: true）
+        this.showMean = false; // 平均値のマーカーを表示するか（デフォルト: false）
+        this.boxWidthRatio = 0.5; // グループの幅に対する箱の幅の比率（0.0-1.0）
+
+        // グリッド線の設定
+        this.yGrid = false; // Y軸のグリッド線を表示するか（デフォルト: false）
+
+        // データ系列を保持（1つの系列が1つの箱）
+        this.series = [];
+    }
+
+    /**
+     * 箱ひげ図の系列（グループ）を追加
+     * @param {Object} options - 系列のオプション
+     * @param {string} options.title - 系列のタイトル（X軸のラベル）
+     * @param {string} options.color - 箱の色
+     * @param {number} options.opacity - 箱の塗りの透明度（0.0-1.0、デフォルト: 0.5）
+     * @returns {BoxPlotSeries} BoxPlotSeriesインスタンス
+     */
+    addSeries(options = {}) {
+        const series = new BoxPlotSeries(this, options);
+        this.series.push(series);
+        return series;
+    }
+
+    /**
+     * TSVローダーを作成（HistogramTSVLoaderと同じ値列・グループ列の形式）
+     * @param {string} url - TSVファイルのURL
+     * @returns {BoxPlotTSVLoader} BoxPlotTSVLoaderインスタンス
+     */
+    tsvLoader(url) {
+        return new BoxPlotTSVLoader(this, url);
+    }
+
+    /**
+     * ひげの範囲を設定
+     * @param {string} mode - 'tukey'（箱の端から1.5×IQR以内、範囲外は外れ値）または'minmax'（最小値・最大値）
+     * @returns {BoxPlotChart} メソッドチェーン用にthisを返す
+     */
+    setWhiskerMode(mode) {
+        if (!BoxPlotChart.WHISKER_MODES.includes(mode)) {
+            throw new Error(`Invalid whisker mode: ${mode}. Valid modes: ${BoxPlotChart.WHISKER_MODES.join(', ')}`);
+        }
+        this.whiskerMode = mode;
+        return this;
+    }
+
+    /**
+     * Y軸の範囲と目盛りを設定（指定しなかった項目は自動計算、HistogramChart.setXAxisOptionsと同じ形式）
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはfalse（ひげ・外れ値の最小値から最大値まで）
+     * @returns {BoxPlotChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisOptions(options) {
+        this.yAxisOptions = AxisScale.normalizeOptions(options, 'yAxisOptions');
+        return this;
+    }
+
+    /**
+     * ソート済みの値の分位数を計算（線形補間、ExcelのQUARTILE.INCと同じ）
+     * @param {Array<number>} sorted - 昇順にソートした値の配列（1件以上）
+     * @param {number} p - 分位（0.0-1.0）
+     * @returns {number} 分位数
+     */
+    static calculateQuantile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * 値の統計量を計算
+     * @param {Array<number>} values - 値の配列
+     * @returns {Object|null} {count, min, q1, median, q3, max, mean, lowerWhisker, upperWhisker, outliers}（値がない場合はnull）
+     *   'minmax'の場合、ひげは最小値・最大値で外れ値は空
+     */
+    calculateStatistics(values) {
+        if (values.length === 0) {
+            return null;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const q1 = BoxPlotChart.calculateQuantile(sorted, 0.25);
+        const median = BoxPlotChart.calculateQuantile(sorted, 0.5);
+        const q3 = BoxPlotChart.calculateQuantile(sorted, 0.75);
+        const mean = sorted.reduce((acc, val) => acc + val, 0) / sorted.length;
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+
+        let lowerWhisker = min;
+        let upperWhisker = max;
+        let outliers = [];
+        if (this.whiskerMode === 'tukey') {
+            // 箱の端から1.5×IQR以内の最も外側の値までをひげとし、範囲外の値を外れ値とする
+            const iqr = q3 - q1;
+            const lowerFence = q1 - iqr * BoxPlotChart.TUKEY_FACTOR;
+            const upperFence = q3 + iqr * BoxPlotChart.TUKEY_FACTOR;
+            const inner = sorted.filter(value => value >= lowerFence && value <= upperFence);
+            lowerWhisker = inner[0];
+            upperWhisker = inner[inner.length - 1];
+            outliers = sorted.filter(value => value < lowerFence || value > upperFence);
+        }
+
+        return { count: sorted.length, min, q1, median, q3, max, mean, lowerWhisker, upperWhisker, outliers };
+    }
+
+    /**
+     * 描画する値の範囲を取得（ひげの端、表示する外れ値、平均値のマーカーを含む）
+     * @returns {Object} {min, max}（データがない場合は0〜100）
+     */
+    getValueRange() {
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (const series of this.series) {
+            const stats = series.getStatistics();
+            if (!stats) continue;
+            const values = [stats.lowerWhisker, stats.upperWhisker];
+            if (this.showOutliers) values.push(...stats.outliers);
+            if (this.showMean) values.push(stats.mean);
+            for (const value of values) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+
+        if (min === Infinity) {
+            return { min: 0, max: 100 };
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * Y軸のスケールを計算（ScatterChart.calculateYAxisScaleと同じロジック、yAxisOptionsの指定を使用）
+     * @param {number} min - 値の最小値
+     * @param {number} max - 値の最大値
+     * @returns {Object} {min, max, tickInterval, tickCount, labels} スケール情報
+     */
+    calculateYAxisScale(min, max) {
+        return AxisScale.calculateLinearScale(min, max, this.yAxisOptions, false, AxisScale.calculateFractionalInterval);
+    }
+}
+
+/**
+ * BoxPlotSeries - 箱ひげ図の系列（グループ）クラス
+ */
+class BoxPlotSeries {
+    constructor(boxPlotChart, options = {}) {
+        this.boxPlotChart = boxPlotChart;
+        this.title = options.title || '';
+        this.color = options.color || 'blue';
+        this.opacity = options.opacity !== undefined ? options.opacity : 0.5;
+        this.data = []; // 生データの配列
+    }
+
+    /**
+     * データを追加
+     * @param {number} value - 値
+     */
+    addData(value) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            return; // 数値でない場合はスキップ
+        }
+        this.data.push(value);
+    }
+
+    /**
+     * 複数のデータを一度に追加
+     * @param {Array<number>} values - 値の配列
+     */
+    addDataArray(values) {
+        for (const value of values) {
+            this.addData(value);
+        }
+    }
+
+    /**
+     * 系列の統計量を取得（BoxPlotChart.calculateStatisticsを参照）
+     * @returns {Object|null} 統計量（データがない場合はnull）
+     */
+    getStatistics() {
+        return this.boxPlotChart.calculateStatistics(this.data);
+    }
+}
+
+/**
+ * BoxPlotTSVLoader - 箱ひげ図用TSVローダークラス（HistogramTSVLoaderと同じ生データ形式）
+ */
+class BoxPlotTSVLoader {
+    constructor(boxPlotChart, url) {
+        this.boxPlotChart = boxPlotChart;
+        this.url = url;
+        this.valueTitle = ''; // 値列の列名
+        this.groupTitle = ''; // グループ列の列名（省略時は1つの箱）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+
+        const palette = boxPlotChart?.chartCanvas?.theme?.palette;
+        this.seriesColors = palette ? [...palette] : ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+    }
+
+    /**
+     * TSVファイルを読み込んでデータを追加
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.valueTitle) {
+            throw new Error('valueTitle must be set before calling load()');
+        }
+
+        // TSVファイルを読み込む
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+        }
+
+        const text = await response.text();
+
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
+            throw new Error('TSV file is empty');
+        }
+
+        const valueIndex = headers.indexOf(this.valueTitle);
+        if (valueIndex === -1) {
+            throw new Error(`Column "${this.valueTitle}" not found in TSV file`);
+        }
+
+        const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
+        if (this.groupTitle && groupIndex === -1) {
+            throw new Error(`Column "${this.groupTitle}" not found in TSV file`);
+        }
+
+        // グループごとに値を収集（グループ列がない場合は1つのグループ）
+        const dataByGroup = new Map();
+        for (const columns of rows) {
+            const value = parseFloat(columns[valueIndex]?.trim());
+            if (isNaN(value)) {
+                continue; // 数値でない場合はスキップ
+            }
+
+            const groupName = groupIndex !== -1 ? (columns[groupIndex]?.trim() || '') : '';
+            if (groupIndex !== -1 && !groupName) {
+                continue; // グループ名がない場合はスキップ
+            }
+
+            if (!dataByGroup.has(groupName)) {
+                dataByGroup.set(groupName, []);
+            }
+            dataByGroup.get(groupName).push(value);
+        }
+
+        if (groupIndex === -1) {
+            // 単一の箱を作成
+            const series = this.boxPlotChart.addSeries({
+                title: this.boxPlotChart.title || 'データ',
+                color: this.seriesColors[0]
+            });
+            series.addDataArray(dataByGroup.get('') || []);
+            return;
+        }
+
+        // グループごとに箱を作成（グループ名の昇順、HistogramTSVLoaderと同じ）
+        const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
+        sortedGroupNames.forEach((groupName, index) => {
+            const series = this.boxPlotChart.addSeries({
+                title: groupName,
+                color: this.seriesColors[index % this.seriesColors.length]
+            });
+            series.addDataArray(dataByGroup.get(groupName));
+        });
+    }
+}
+
+// グローバルスコープに公開
+window.BoxPlotChart = BoxPlotChart;
+window.BoxPlotSeries = BoxPlotSeries;
+window.BoxPlotTSVLoader = BoxPlotTSVLoader;
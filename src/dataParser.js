@@ -0,0 +1,298 @@
+/**
+ * DataParser - 入力データの解析クラス
+ * 区切り文字形式（TSV/CSV、RFC 4180準拠）、JSON（オブジェクトの配列）、NDJSONを
+ * 共通の表形式 {headers, rows} に変換する。
+ * TSVLoader、HistogramTSVLoader、PieTsvLoader、CLIで共通して使用する。
+ */
+class DataParser {
+    // 対応しているデータ形式
+    static FORMATS = ['auto', 'tsv', 'csv', 'json', 'ndjson'];
+
+    // 自動検出の対象とする区切り文字（同数の場合は先頭を優先）
+    static DELIMITERS = ['\t', ',', ';'];
+
+    /**
+     * テキストを解析して表形式のデータに変換
+     * @param {string} text - 入力テキスト
+     * @param {string} format - データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと、各行の列の値（文字列）の配列
+     */
+    static parse(text, format = 'auto') {
+        if (!DataParser.FORMATS.includes(format)) {
+            throw new Error(`Invalid format: ${format}. Must be one of: ${DataParser.FORMATS.join(', ')}`);
+        }
+
+        // BOMを取り除く
+        let source = String(text ?? '');
+        if (source.charCodeAt(0) === 0xFEFF) {
+            source = source.slice(1);
+        }
+
+        const actualFormat = format === 'auto' ? DataParser.detectFormat(source) : format;
+        switch (actualFormat) {
+            case 'json':
+                return DataParser.parseJSON(source);
+            case 'ndjson':
+                return DataParser.parseNDJSON(source);
+            case 'csv':
+                return DataParser.parseDelimited(source, ',');
+            case 'tsv':
+                return DataParser.parseDelimited(source, '\t');
+            default:
+                return DataParser.parseDelimited(source, DataParser.detectDelimiter(source));
+        }
+    }
+
+    /**
+     * テキストの内容からデータ形式を検出
+     * '['で始まる場合はJSON、'{'で始まる場合はNDJSON、それ以外は区切り文字形式とする
+     * @param {string} text - 入力テキスト
+     * @returns {string} データ形式（'json', 'ndjson', 'delimited'）
+     */
+    static detectFormat(text) {
+        const firstChar = String(text).trimStart().charAt(0);
+        if (firstChar === '[') {
+            return 'json';
+        }
+        if (firstChar === '{') {
+            return 'ndjson';
+        }
+        return 'delimited';
+    }
+
+    /**
+     * ヘッダー行の内容から区切り文字を検出
+     * 引用符の外にある区切り文字の候補を数え、最も多いものを選ぶ（見つからない場合はタブ）
+     * @param {string} text - 入力テキスト
+     * @returns {string} 区切り文字
+     */
+    static detectDelimiter(text) {
+        const counts = new Map(DataParser.DELIMITERS.map(delimiter => [delimiter, 0]));
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+
+        let bestDelimiter = DataParser.DELIMITERS[0];
+        for (const delimiter of DataParser.DELIMITERS) {
+            if (counts.get(delimiter) > counts.get(bestDelimiter)) {
+                bestDelimiter = delimiter;
+            }
+        }
+        return bestDelimiter;
+    }
+
+    /**
+     * 区切り文字形式のテキストを解析（RFC 4180準拠）
+     * - 引用符（"）で囲まれたフィールドには区切り文字や改行を含められる
+     * - 引用符内の "" は " として扱う
+     * - 改行はCRLF、LF、CRのいずれにも対応
+     * - 空行（すべての列が空白の行）は無視する
+     * @param {string} text - 入力テキスト
+     * @param {string} delimiter - 区切り文字
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと各行の列の値
+     */
+    static parseDelimited(text, delimiter = '\t') {
+        const records = [];
+        let record = [];
+        let i = 0;
+        const length = text.length;
+
+        while (i < length) {
+            let field = '';
+            if (text[i] === '"') {
+                // 引用符で囲まれたフィールド
+                i++;
+                while (i < length) {
+                    const quoteIndex = text.indexOf('"', i);
+                    if (quoteIndex === -1) {
+                        // 閉じる引用符がない場合は末尾までをフィールドとする
+                        field += text.slice(i);
+                        i = length;
+                        break;
+                    }
+                    field += text.slice(i, quoteIndex);
+                    i = quoteIndex + 1;
+                    if (text[i] === '"') {
+                        // エスケープされた引用符
+                        field += '"';
+                        i++;
+                    } else {
+                        break;
+                    }
+                }
+                // 閉じる引用符の後、区切り文字か改行までの文字はフィールドに含める
+                while (i < length && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') {
+                    field += text[i];
+                    i++;
+                }
+            } else {
+                // 引用符で囲まれていないフィールド
+                const start = i;
+                while (i < length && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') {
+                    i++;
+                }
+                field = text.slice(start, i);
+            }
+            record.push(field);
+
+            if (i >= length) {
+                break;
+            }
+            if (text[i] === delimiter) {
+                i++;
+                if (i >= length) {
+                    // 末尾の区切り文字の後の空フィールド
+                    record.push('');
+                }
+                continue;
+            }
+
+            // 改行（CRLF、LF、CR）でレコードを確定
+            if (text[i] === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            i++;
+            records.push(record);
+            record = [];
+        }
+        if (record.length > 0) {
+            records.push(record);
+        }
+
+        const nonEmptyRecords = records.filter(fields => fields.some(field => field.trim() !== ''));
+        if (nonEmptyRecords.length === 0) {
+            return { headers: [], rows: [] };
+        }
+        return {
+            headers: nonEmptyRecords[0],
+            rows: nonEmptyRecords.slice(1)
+        };
+    }
+
+    /**
+     * JSON（オブジェクトの配列）を解析
+     * @param {string} text - 入力テキスト
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと各行の列の値
+     */
+    static parseJSON(text) {
+        if (!text.trim()) {
+            return { headers: [], rows: [] };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON data: ${error.message}`);
+        }
+        if (!Array.isArray(data)) {
+            throw new Error('JSON data must be an array of objects');
+        }
+        data.forEach((item, index) => {
+            if (!DataParser.isPlainObject(item)) {
+                throw new Error(`JSON data must be an array of objects (invalid item at index ${index})`);
+            }
+        });
+
+        return DataParser.objectsToTable(data);
+    }
+
+    /**
+     * NDJSON（1行に1つのJSONオブジェクト）を解析
+     * @param {string} text - 入力テキスト
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと各行の列の値
+     */
+    static parseNDJSON(text) {
+        const objects = [];
+        const lines = text.split(/\r\n|\n|\r/);
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid NDJSON at line ${index + 1}: ${error.message}`);
+            }
+            if (!DataParser.isPlainObject(item)) {
+                throw new Error(`NDJSON line ${index + 1} must be an object`);
+            }
+            objects.push(item);
+        });
+
+        return DataParser.objectsToTable(objects);
+    }
+
+    /**
+     * オブジェクトの配列を表形式に変換
+     * ヘッダーは各オブジェクトのキーを出現順に集めたもの
+     * @param {Array<Object>} objects - オブジェクトの配列
+     * @returns {{headers: string[], rows: string[][]}} ヘッダーと各行の列の値
+     */
+    static objectsToTable(objects) {
+        const headers = [];
+        const headerSet = new Set();
+        for (const item of objects) {
+            for (const key of Object.keys(item)) {
+                if (!headerSet.has(key)) {
+                    headerSet.add(key);
+                    headers.push(key);
+                }
+            }
+        }
+
+        const rows = objects.map(item => headers.map(header => DataParser.valueToString(item[header])));
+        return { headers, rows };
+    }
+
+    /**
+     * JSONの値を列の値（文字列）に変換
+     * @param {*} value - JSONの値
+     * @returns {string} 文字列（null・undefinedの場合は空文字列）
+     */
+    static valueToString(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * プレーンなオブジェクト（配列やnullでないオブジェクト）かどうか
+     * @param {*} value - 値
+     * @returns {boolean} プレーンなオブジェクトの場合はtrue
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * 表形式のデータを、ヘッダーをキーとするオブジェクトの配列に変換
+     * @param {{headers: string[], rows: string[][]}} table - 表形式のデータ
+     * @returns {Array<Object>} 各行のオブジェクトの配列
+     */
+    static toObjects(table) {
+        return table.rows.map(columns => {
+            const row = {};
+            table.headers.forEach((header, index) => {
+                row[header] = columns[index] || '';
+            });
+            return row;
+        });
+    }
+}
+
+// グローバルスコープに公開
+window.DataParser = DataParser;
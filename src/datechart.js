@@ -1,10 +1,17 @@
-function normalizeDate(dateStr, dateFormat = 'auto') {
+function normalizeDate(dateStr, dateFormat = 'auto', timeZone = 'UTC') {
+    // 数値はエポック秒（13桁以上の場合はエポックミリ秒）として変換
+    if (typeof dateStr === 'number' && isFinite(dateStr)) {
+        const epochFormat = dateFormat === 'epoch' || dateFormat === 'epochMs' ? dateFormat :
+            (Math.abs(dateStr) >= 1e12 ? 'epochMs' : 'epoch');
+        return normalizeDate(String(dateStr), epochFormat, timeZone);
+    }
+
     if (!dateStr || typeof dateStr !== 'string') {
         return dateStr;
     }
     
-    // 既にYYYYMMDD形式の場合
-    if (dateStr.match(/^\d{8}$/)) {
+    // 既にYYYYMMDD形式またはYYYYMMDDHHmmss形式の場合
+    if (dateStr.match(/^(\d{8}|\d{14})$/)) {
         return dateStr;
     }
     
@@ -17,6 +24,16 @@ function normalizeDate(dateStr, dateFormat = 'auto') {
             detectedFormat = 'YYYY/MM/DD';
         } else if (dateStr.match(/^\d{8}$/)) {
             detectedFormat = 'YYYYMMDD';
+        } else if (dateStr.match(/^\d{4}[-/]\d{2}[-/]\d{2}[T ]\d{2}:\d{2}/)) {
+            detectedFormat = 'ISO8601';
+        } else if (dateStr.match(/^\d{12}$/)) {
+            detectedFormat = 'YYYYMMDDHHmm';
+        } else if (dateStr.match(/^\d{10}$/)) {
+            // 10桁は、年（1970〜2100年）・月・日・時として正しい場合はYYYYMMDDHH、それ以外はエポック秒
+            // （2032年6月以降のエポック秒はYYYYMMDDHHと区別できない場合があるため、dateFormatに'epoch'を指定する）
+            detectedFormat = isDateHourDigits(dateStr) ? 'YYYYMMDDHH' : 'epoch';
+        } else if (dateStr.match(/^\d{13}$/)) {
+            detectedFormat = 'epochMs';
         } else {
             // 形式が不明な場合はそのまま返す
             return dateStr;
@@ -30,17 +47,133 @@ function normalizeDate(dateStr, dateFormat = 'auto') {
         return dateStr.replace(/\//g, '');
     } else if (detectedFormat === 'YYYYMMDD') {
         return dateStr;
+    } else if (detectedFormat === 'YYYYMMDDHH') {
+        return `${dateStr}0000`;
+    } else if (detectedFormat === 'YYYYMMDDHHmm') {
+        return `${dateStr}00`;
+    } else if (detectedFormat === 'ISO8601') {
+        return normalizeISODateTime(dateStr, timeZone);
+    } else if (detectedFormat === 'epoch' || detectedFormat === 'epochMs') {
+        // エポック秒・エポックミリ秒は指定したタイムゾーンの時刻に変換（実行環境のタイムゾーンに依存しない）
+        const time = Number(dateStr) * (detectedFormat === 'epoch' ? 1000 : 1);
+        return isNaN(time) ? dateStr : formatDateTimeKey(new Date(time), timeZone);
     }
     
     // フォールバック: ハイフンとスラッシュを削除
     return dateStr.replace(/[-/]/g, '');
 }
 
+/**
+ * 10桁の数字がYYYYMMDDHH形式の日時として正しいかどうか（年は1970〜2100年）
+ * @param {string} digits - 10桁の数字
+ * @returns {boolean} 正しい日時の場合はtrue
+ */
+function isDateHourDigits(digits) {
+    const year = parseInt(digits.substring(0, 4), 10);
+    const month = parseInt(digits.substring(4, 6), 10);
+    const day = parseInt(digits.substring(6, 8), 10);
+    const hour = parseInt(digits.substring(8, 10), 10);
+    if (year < 1970 || year > 2100 || month < 1 || month > 12 || day < 1 || hour > 23) {
+        return false;
+    }
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * ISO 8601形式の日時文字列をYYYYMMDDHHmmss形式に変換
+ * 日付のみの場合はYYYYMMDD形式を返す。タイムゾーン（Zまたは±HH:mm）が指定されている場合は、指定したタイムゾーンの時刻に変換する
+ * @param {string} dateStr - 日時文字列（例: '2025-01-01T09:30', '2025-01-01 09:30:15', '2025-01-01T00:30:00Z'）
+ * @param {string} timeZone - 変換先のタイムゾーン（formatDateTimeKeyを参照、デフォルト: 'UTC'）
+ * @returns {string} 'YYYYMMDDHHmmss'形式の文字列（解析できない場合は元の文字列）
+ */
+function normalizeISODateTime(dateStr, timeZone = 'UTC') {
+    const match = dateStr.match(/^(\d{4})[-/](\d{2})[-/](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (!match) {
+        return dateStr;
+    }
+    const [, year, month, day, hour, minute, second = '00', offset] = match;
+    if (hour === undefined) {
+        return `${year}${month}${day}`;
+    }
+    if (offset) {
+        const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset === 'Z' ? 'Z' : offset.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2')}`);
+        return isNaN(date.getTime()) ? dateStr : formatDateTimeKey(date, timeZone);
+    }
+    return `${year}${month}${day}${hour}${minute}${second}`;
+}
+
+/**
+ * DateオブジェクトをYYYYMMDDHHmmss形式の文字列に変換（指定したタイムゾーンの時刻）
+ * @param {Date} date - Dateオブジェクト
+ * @param {string} timeZone - タイムゾーン（デフォルト: 'UTC'）
+ *   - 'UTC': 協定世界時
+ *   - '+09:00'・'-0500'など: UTCからのオフセット
+ *   - 'Asia/Tokyo'など: IANAのタイムゾーン名（夏時間を含む）
+ *   - 'local': 実行環境のタイムゾーン
+ * @returns {string} 'YYYYMMDDHHmmss'形式の文字列
+ * @throws {Error} タイムゾーンが不正な場合
+ */
+function formatDateTimeKey(date, timeZone = 'UTC') {
+    const pad = value => String(value).padStart(2, '0');
+    let parts;
+    if (timeZone === 'local') {
+        parts = [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()];
+    } else if (timeZone === 'UTC' || /^[+-]\d{2}:?\d{2}$/.test(timeZone)) {
+        // オフセットの分だけずらしたUTCの時刻
+        const match = timeZone.match(/^([+-])(\d{2}):?(\d{2})$/);
+        const offsetMinutes = match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+        const shifted = new Date(date.getTime() + offsetMinutes * 60000);
+        parts = [shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate(),
+            shifted.getUTCHours(), shifted.getUTCMinutes(), shifted.getUTCSeconds()];
+    } else {
+        let formatted;
+        try {
+            formatted = new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            }).formatToParts(date);
+        } catch (error) {
+            throw new Error(`Invalid time zone: ${timeZone}. Must be 'UTC', 'local', an offset (e.g. '+09:00') or an IANA time zone name (e.g. 'Asia/Tokyo')`);
+        }
+        const part = type => Number(formatted.find(item => item.type === type).value);
+        parts = [part('year'), part('month'), part('day'), part('hour'), part('minute'), part('second')];
+    }
+    const [year, ...rest] = parts;
+    return String(year) + rest.map(pad).join('');
+}
+
 /**
  * DateChart - 日付チャートクラス
  * 時系列データ（X軸が日付）のチャートを管理するクラス
  */
 class DateChart {
+    // 棒グラフの表示モードの一覧
+    static BAR_MODES = ['overlay', 'grouped', 'stacked', 'percentStacked'];
+
+    // 集計の区間の一覧
+    static AGGREGATE_INTERVALS = ['week', 'month', 'quarter', 'year'];
+
+    // 集計関数の一覧
+    static AGGREGATE_FUNCTIONS = ['sum', 'avg', 'min', 'max', 'last', 'count'];
+
+    // 欠損データの扱いの一覧
+    static MISSING_DATA_MODES = ['gap', 'zero', 'previous', 'linear', 'none'];
+
+    // Y軸の種類の一覧
+    static Y_AXIS_TYPES = ['linear', 'log', 'symlog'];
+
+    // 注釈の種類の一覧
+    static ANNOTATION_TYPES = ['horizontalLine', 'band', 'verticalMarker', 'dateRangeShade'];
+
+    // 注釈の線のスタイルの一覧
+    static ANNOTATION_LINE_STYLES = ['solid', 'dashed', 'dotted'];
+
+    // 注釈の軸の一覧
+    static ANNOTATION_AXES = ['primary', 'secondary'];
+
+    // 前期比較の日付の合わせ方の一覧（'weekday': 曜日を合わせる、'date': 日付を合わせる）
+    static COMPARISON_ALIGNS = ['weekday', 'date'];
+
     /**
      * コンストラクタ
      * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
@@ -48,6 +181,9 @@ class DateChart {
     constructor(chartCanvas) {
         this.chartCanvas = chartCanvas;
         
+        // タイトル（複数のDateChartを並べる場合にパネルの上に表示）
+        this.title = '';
+        
         // X軸の設定
         this.xAxisTitle = '';
         
@@ -55,46 +191,1124 @@ class DateChart {
         this.yAxisTitle = '';
         this.yAxisScale = '';
         this.yAxisFormat = '#,##0';
+        this.yAxisType = 'linear'; // 'linear', 'log', 'symlog'
+        this.yAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定 {min, max, tickInterval, tickCount, includeZero}
+        
+        // エポック秒・タイムゾーン付きの日時を変換するタイムゾーン（setTimeZoneを参照）
+        this.timeZone = 'UTC';
         
         // 2軸の設定
         this.secondAxis = false;
         this.secondAxisTitle = '';
         this.secondAxisScale = '';
         this.secondAxisFormat = '#,##0';
+        this.secondAxisType = 'linear'; // 'linear', 'log', 'symlog'
+        this.secondAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定（yAxisOptionsと同じ）
+        
+        // 棒グラフの表示モード（'overlay', 'grouped', 'stacked', 'percentStacked'）
+        this.barMode = 'overlay';
+        
+        // 集計の設定（{interval, func}、nullの場合は集計しない）
+        this.aggregate = null;
+        
+        // 集計・補完後のデータのキャッシュ: Map<series, {key, source, data}>
+        this.aggregatedDataCache = new Map();
+        
+        // 派生系列（移動平均・トレンド線・前期比較）のデータのキャッシュ: Map<series, {key, source, prior, data}>
+        this.derivedDataCache = new Map();
+        
+        // 前期比較の元の系列の今期のデータのキャッシュ: Map<series, {key, source, data}>
+        this.currentPeriodDataCache = new Map();
         
         // データ系列を保持
         this.lines = [];
         this.bars = [];
+        this.areas = [];
+        
+        // 注釈（基準線・目標帯・イベントのマーカー・期間の網掛け）を保持
+        this.annotations = [];
+    }
+
+    /**
+     * 棒グラフの表示モードを設定
+     * @param {string} mode - 表示モード
+     *   - 'overlay'（デフォルト）: すべての系列を同じ位置に重ねて描画
+     *   - 'grouped': 系列ごとに棒を横に並べて描画
+     *   - 'stacked': 系列を積み上げて描画
+     *   - 'percentStacked': 日付ごとの合計を100%として積み上げて描画
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setBarMode(mode) {
+        if (!DateChart.BAR_MODES.includes(mode)) {
+            throw new Error(`Invalid barMode: ${mode}. Valid modes: ${DateChart.BAR_MODES.join(', ')}`);
+        }
+        this.barMode = mode;
+        return this;
+    }
+
+    /**
+     * エポック秒・エポックミリ秒・タイムゾーン付きの日時（例: '2025-01-01T00:30:00Z'）を変換するタイムゾーンを設定
+     * X軸・ツールチップはこのタイムゾーンの時刻で表示する（タイムゾーンのない日時はそのまま）。
+     * 同じデータが実行環境のタイムゾーンによって異なるチャートにならないように、デフォルトは'UTC'
+     * 系列のaddData・TSVLoaderで追加するデータに適用するため、データを追加する前に設定する
+     * @param {string} timeZone - 'UTC', 'local'（実行環境のタイムゾーン）, オフセット（例: '+09:00'）, IANAのタイムゾーン名（例: 'Asia/Tokyo'）
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setTimeZone(timeZone) {
+        // 不正なタイムゾーンの場合はformatDateTimeKeyがエラーをスローする
+        formatDateTimeKey(new Date(0), String(timeZone));
+        this.timeZone = String(timeZone);
+        return this;
+    }
+
+    /**
+     * Y軸の種類を設定
+     * @param {string} type - Y軸の種類
+     *   - 'linear'（デフォルト）: 線形
+     *   - 'log': 対数（10のべき乗の目盛りと、その間の2〜9倍の補助目盛り）。0以下の値は描画しない
+     *   - 'symlog': 対称対数（0付近は線形、0や負の値も描画できる）
+     * @param {boolean} isSecondAxis - 副軸に設定するかどうか（デフォルト: false）
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisType(type, isSecondAxis = false) {
+        if (!DateChart.Y_AXIS_TYPES.includes(type)) {
+            throw new Error(`Invalid yAxisType: ${type}. Valid types: ${DateChart.Y_AXIS_TYPES.join(', ')}`);
+        }
+        if (isSecondAxis) {
+            this.secondAxisType = type;
+        } else {
+            this.yAxisType = type;
+        }
+        return this;
+    }
+
+    /**
+     * Y軸の種類を取得
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {string} Y軸の種類（'linear', 'log', 'symlog'）
+     */
+    getAxisType(isSecondAxis = false) {
+        const type = isSecondAxis ? this.secondAxisType : this.yAxisType;
+        return DateChart.Y_AXIS_TYPES.includes(type) ? type : 'linear';
+    }
+
+    /**
+     * Y軸の範囲と目盛りを設定（指定しなかった項目は自動計算）
+     * 複数のグラフで同じ指定をすると、同じ範囲・目盛りで比較できる
+     * @param {Object|null} options - 軸の指定（nullの場合は自動計算に戻す）
+     * @param {number} options.min - 軸の最小値
+     * @param {number} options.max - 軸の最大値
+     * @param {number} options.tickInterval - 目盛りの間隔
+     * @param {number} options.tickCount - 目盛りの数の目安（min・maxの両方を指定した場合はちょうどこの数、tickIntervalが優先）
+     * @param {boolean} options.includeZero - 自動計算の範囲に0を含めるかどうか（デフォルト: true）
+     * @param {boolean} isSecondAxis - 副軸に設定するかどうか（デフォルト: false）
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisOptions(options, isSecondAxis = false) {
+        const normalized = AxisScale.normalizeOptions(options, isSecondAxis ? 'secondAxisOptions' : 'yAxisOptions');
+        if (isSecondAxis) {
+            this.secondAxisOptions = normalized;
+        } else {
+            this.yAxisOptions = normalized;
+        }
+        return this;
+    }
+
+    /**
+     * Y軸の範囲と目盛りの指定を取得
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Object} 正規化した軸の指定 {min, max, tickInterval, tickCount, includeZero}
+     */
+    getAxisOptions(isSecondAxis = false) {
+        return (isSecondAxis ? this.secondAxisOptions : this.yAxisOptions) || AxisScale.normalizeOptions(null);
+    }
+
+    /**
+     * 対数軸で描画できない0以下の値を取得
+     * 派生系列（トレンド線など）は元のデータではないため対象としない（0以下の部分は描画しない）。前期比較の系列は元のデータのため対象とする
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Array<Object>} 0以下の値の配列 [{series, date, value}, ...]（対数軸でない場合は空の配列）
+     */
+    getNonPositiveValues(isSecondAxis = false) {
+        const result = [];
+        if (this.getAxisType(isSecondAxis) !== 'log') {
+            return result;
+        }
+        for (const series of [...this.lines, ...this.bars, ...this.areas]) {
+            if (series.secondAxis !== isSecondAxis || (series.source && series.derivation.kind !== 'comparison')) {
+                continue;
+            }
+            for (const item of series.getData()) {
+                if (item.value !== null && item.value <= 0) {
+                    result.push({ series, date: item.date, value: item.value });
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * データの集計（リサンプリング）を設定
+     * 系列ごとに、区間内のデータを集計関数で1つの値にまとめてから描画する
+     * X軸には区間の開始日の位置に区間のラベル（例: 'W03'、'1月'、'Q1'）を表示する
+     * @param {string|null} interval - 集計の区間（nullの場合は集計しない）
+     *   - 'week': ISO 8601の週（月曜日始まり）
+     *   - 'month': 月
+     *   - 'quarter': 四半期（1〜3月、4〜6月、7〜9月、10〜12月）
+     *   - 'year': 年
+     * @param {string} func - 集計関数
+     *   - 'sum'（デフォルト）: 合計
+     *   - 'avg': 平均
+     *   - 'min': 最小値
+     *   - 'max': 最大値
+     *   - 'last': 区間内の最後の日付の値
+     *   - 'count': データの件数
+     * @returns {DateChart} メソッドチェーン用にthisを返す
+     */
+    setAggregate(interval, func = 'sum') {
+        if (interval === null || interval === undefined) {
+            this.aggregate = null;
+            return this;
+        }
+        if (!DateChart.AGGREGATE_INTERVALS.includes(interval)) {
+            throw new Error(`Invalid aggregate interval: ${interval}. Valid intervals: ${DateChart.AGGREGATE_INTERVALS.join(', ')}`);
+        }
+        if (!DateChart.AGGREGATE_FUNCTIONS.includes(func)) {
+            throw new Error(`Invalid aggregate function: ${func}. Valid functions: ${DateChart.AGGREGATE_FUNCTIONS.join(', ')}`);
+        }
+        this.aggregate = { interval, func };
+        return this;
+    }
+
+    /**
+     * 日付が属する集計の区間を取得
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式、または日時）
+     * @returns {Object} {date, year, shortLabel, label}
+     *   - date: 区間の開始日（'YYYYMMDD'形式、週の場合は月曜日）
+     *   - year: 区間の年（週の場合はISO 8601の週番号の年）
+     *   - shortLabel: X軸の1段目に表示する短いラベル（例: 'W03'、'1月'、'Q1'、'2025年'）
+     *   - label: ツールチップなどに表示するラベル（例: '2025-W03'、'2025年1月'、'2025年Q1'、'2025年'）
+     */
+    getAggregateBucket(dateStr) {
+        const normalizedDate = normalizeDate(dateStr);
+        const year = parseInt(normalizedDate.substring(0, 4), 10);
+        const month = parseInt(normalizedDate.substring(4, 6), 10);
+        const day = parseInt(normalizedDate.substring(6, 8), 10);
+        const pad = value => String(value).padStart(2, '0');
+        const interval = this.aggregate ? this.aggregate.interval : 'month';
+
+        if (interval === 'week') {
+            // ISO 8601の週: 月曜日始まりで、木曜日を含む年をその週の年とする
+            const millisecondsPerDay = 24 * 60 * 60 * 1000;
+            const date = new Date(Date.UTC(year, month - 1, day));
+            const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * millisecondsPerDay);
+            const thursday = new Date(monday.getTime() + 3 * millisecondsPerDay);
+            const weekYear = thursday.getUTCFullYear();
+            const week = Math.floor((thursday.getTime() - Date.UTC(weekYear, 0, 1)) / millisecondsPerDay / 7) + 1;
+            return {
+                date: `${monday.getUTCFullYear()}${pad(monday.getUTCMonth() + 1)}${pad(monday.getUTCDate())}`,
+                year: String(weekYear),
+                shortLabel: `W${pad(week)}`,
+                label: `${weekYear}-W${pad(week)}`
+            };
+        }
+        if (interval === 'quarter') {
+            const quarter = Math.floor((month - 1) / 3) + 1;
+            return {
+                date: `${year}${pad((quarter - 1) * 3 + 1)}01`,
+                year: String(year),
+                shortLabel: `Q${quarter}`,
+                label: `${year}年Q${quarter}`
+            };
+        }
+        if (interval === 'year') {
+            return { date: `${year}0101`, year: String(year), shortLabel: `${year}年`, label: `${year}年` };
+        }
+        return {
+            date: `${year}${pad(month)}01`,
+            year: String(year),
+            shortLabel: `${month}月`,
+            label: `${year}年${month}月`
+        };
+    }
+
+    /**
+     * データを集計の設定に従って区間ごとに集計
+     * 区間内のコメントは' / 'で連結する
+     * @param {Array<{date, value, tooltip}>} data - 系列のデータ
+     * @returns {Array<{date, value, tooltip}>} 区間の開始日をdateとした集計後のデータ（集計しない場合は元のデータ）
+     */
+    aggregateData(data) {
+        if (!this.aggregate) {
+            return data;
+        }
+
+        // 区間ごとにデータをまとめる（日付順に処理するので区間も日付順になる）
+        const buckets = new Map();
+        const sortedData = [...data].sort((a, b) => a.date.localeCompare(b.date));
+        for (const item of sortedData) {
+            const bucketDate = this.getAggregateBucket(item.date).date;
+            if (!buckets.has(bucketDate)) {
+                buckets.set(bucketDate, []);
+            }
+            buckets.get(bucketDate).push(item);
+        }
+
+        const aggregated = [];
+        for (const [date, items] of buckets.entries()) {
+            // 値がnull（欠損）のデータは集計に含めない
+            const values = items.map(item => item.value).filter(value => value !== null && value !== undefined);
+            if (values.length === 0) {
+                continue;
+            }
+            const value = this.aggregateValues(values);
+            const tooltip = items
+                .map(item => (item.tooltip || '').trim())
+                .filter(comment => comment)
+                .join(' / ');
+            const aggregatedItem = { date, value, tooltip };
+
+            // 範囲（下限・上限）がある場合は下限・上限もそれぞれ同じ集計関数で集計する
+            const lowers = items.map(item => item.lower).filter(lower => lower !== null && lower !== undefined);
+            const uppers = items.map(item => item.upper).filter(upper => upper !== null && upper !== undefined);
+            if (lowers.length > 0 && uppers.length > 0) {
+                aggregatedItem.lower = this.aggregateValues(lowers);
+                aggregatedItem.upper = this.aggregateValues(uppers);
+            }
+            aggregated.push(aggregatedItem);
+        }
+        return aggregated;
+    }
+
+    /**
+     * 区間内の値を集計関数で集計
+     * @param {Array<number>} values - 区間内の値（欠損を除く、日付順）
+     * @returns {number} 集計した値
+     */
+    aggregateValues(values) {
+        switch (this.aggregate.func) {
+            case 'avg':
+                return values.reduce((total, current) => total + current, 0) / values.length;
+            case 'min':
+                return Math.min(...values);
+            case 'max':
+                return Math.max(...values);
+            case 'last':
+                return values[values.length - 1];
+            case 'count':
+                return values.length;
+            default:
+                return values.reduce((total, current) => total + current, 0);
+        }
+    }
+
+    /**
+     * 欠損データの扱いを検証（nullは未指定として許可する）
+     * @param {string|null} mode - 欠損データの扱い
+     */
+    static validateMissingData(mode) {
+        if (mode !== null && mode !== undefined && !DateChart.MISSING_DATA_MODES.includes(mode)) {
+            throw new Error(`Invalid missingData: ${mode}. Valid modes: ${DateChart.MISSING_DATA_MODES.join(', ')}`);
+        }
+    }
+
+    /**
+     * 日付の欠損を補完する（最初の日付から最後の日付までのすべての日付に対してデータを作成）
+     * 値がnullのデータも欠損として同じ方法で補完する
+     * 補完したデータには filled: true を付ける。日時のデータは間隔が一定とは限らないため補完しない
+     * @param {Array<{date, value, tooltip}>} data - 系列のデータ
+     * @param {string} mode - 欠損データの扱い
+     *   - 'gap': 値をnullとして補完（線を途切れさせ、棒は描画しない）
+     *   - 'zero': 0で補完
+     *   - 'previous': 前の値で補完
+     *   - 'linear': 前後の値から線形補間
+     *   - 'none': 補完しない
+     * @returns {Array<{date, value, tooltip, filled}>} 補完されたデータ（日付順）
+     */
+    fillMissingData(data, mode) {
+        DateChart.validateMissingData(mode);
+        if (mode === 'none' || data.length === 0 || data.some(item => normalizeDate(item.date).length > 8)) {
+            return data;
+        }
+
+        const sortedData = [...data].sort((a, b) => a.date.localeCompare(b.date));
+        const filledData = [];
+
+        // 欠けている日付をnullのデータとして追加（日付が連続するため、インデックスの差が日数の差になる）
+        for (let i = 0; i < sortedData.length; i++) {
+            const item = sortedData[i];
+            filledData.push(item);
+
+            const next = sortedData[i + 1];
+            if (!next) {
+                break;
+            }
+
+            // 隣り合うデータの間の日付を補完
+            const end = this.parseDateToDate(next.date);
+            const currentDate = this.parseDateToDate(item.date);
+            currentDate.setDate(currentDate.getDate() + 1);
+
+            while (currentDate < end) {
+                filledData.push({ date: this.formatDateToString(currentDate), value: null, tooltip: '', filled: true });
+
+                // 次の日へ
+                currentDate.setDate(currentDate.getDate() + 1);
+            }
+        }
+
+        if (mode === 'gap') {
+            return filledData;
+        }
+
+        // 値がnullのデータ（追加した日付と、addData()でnullを指定したデータ）をモードに従って補完
+        let previousIndex = -1;
+        for (let i = 0; i < filledData.length; i++) {
+            if (filledData[i].value !== null) {
+                previousIndex = i;
+                continue;
+            }
+
+            let value = null;
+            if (mode === 'zero') {
+                value = 0;
+            } else if (mode === 'previous') {
+                value = previousIndex >= 0 ? filledData[previousIndex].value : null;
+            } else {
+                let nextIndex = i + 1;
+                while (nextIndex < filledData.length && filledData[nextIndex].value === null) {
+                    nextIndex++;
+                }
+                if (previousIndex >= 0 && nextIndex < filledData.length) {
+                    const previousValue = filledData[previousIndex].value;
+                    const nextValue = filledData[nextIndex].value;
+                    value = previousValue + (nextValue - previousValue) * (i - previousIndex) / (nextIndex - previousIndex);
+                }
+            }
+            filledData[i] = { ...filledData[i], value, filled: true };
+        }
+
+        return filledData;
+    }
+
+    /**
+     * 系列の描画に使用するデータを取得
+     * 集計が設定されている場合は集計後のデータ、それ以外は系列のmissingDataに従って欠損を補完したデータ
+     * （集計する場合は、補完した値が合計や件数に含まれないように補完しない）
+     * 積み上げ位置などをデータ項目をキーにして計算するため、集計・補完後のデータはキャッシュして同じ配列を返す
+     * 系列のデータに前期のデータも含む前期比較の元の系列（addComparisonを参照）の場合は、今期のデータのみを返す
+     * @param {LineSeries|BarSeries} series - 系列
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getSeriesData(series) {
+        const data = this.getAllSeriesData(series);
+        if (!series.currentPeriod) {
+            return data;
+        }
+        const key = `${series.currentPeriod.shift}:${series.currentPeriod.align}:${data.length}`;
+        const cached = this.currentPeriodDataCache.get(series);
+        if (cached && cached.key === key && cached.source === data) {
+            return cached.data;
+        }
+        const boundary = this.getCurrentPeriodBoundary(data, series.currentPeriod);
+        const currentData = data.filter(item => item.date > boundary);
+        this.currentPeriodDataCache.set(series, { key, source: data, data: currentData });
+        return currentData;
+    }
+
+    /**
+     * 系列の描画に使用するすべての期間のデータを取得（集計・欠損データの補完をした後のデータ）
+     * @param {LineSeries|BarSeries} series - 系列
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getAllSeriesData(series) {
+        const missingData = series.missingData || 'none';
+        if (!this.aggregate && missingData === 'none') {
+            return series.data;
+        }
+        const key = this.aggregate ?
+            `${this.aggregate.interval}:${this.aggregate.func}:${series.data.length}` :
+            `${missingData}:${series.data.length}`;
+        const cached = this.aggregatedDataCache.get(series);
+        if (cached && cached.key === key && cached.source === series.data) {
+            return cached.data;
+        }
+        const data = this.aggregate ?
+            this.aggregateData(series.data) : this.fillMissingData(series.data, missingData);
+        this.aggregatedDataCache.set(series, { key, source: series.data, data });
+        return data;
+    }
+
+    /**
+     * 派生系列（移動平均・トレンド線・前期比較）の描画に使用するデータを取得
+     * 元の系列の描画用のデータ（集計・欠損データの補完をした後のデータ）から計算し、元のデータが変わるまでキャッシュする
+     * @param {LineSeries|BarSeries} series - 派生系列
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getDerivedSeriesData(series) {
+        const sourceData = series.source.getData();
+        const priorData = series.derivation.kind === 'comparison' ?
+            (series.priorSeries ? series.priorSeries.getData() : this.getAllSeriesData(series.source)) : null;
+        const key = `${JSON.stringify(series.derivation)}:${sourceData.length}:${priorData ? priorData.length : ''}`;
+        const cached = this.derivedDataCache.get(series);
+        if (cached && cached.key === key && cached.source === sourceData && cached.prior === priorData) {
+            return cached.data;
+        }
+        const data = priorData ?
+            this.calculateComparisonData(sourceData, priorData, series.derivation) :
+            DerivedSeries.calculate(sourceData, series.derivation, this.aggregate ? this.aggregate.interval : null);
+        this.derivedDataCache.set(series, { key, source: sourceData, prior: priorData, data });
+        return data;
+    }
+
+    /**
+     * 前期比較のデータを計算
+     * 前期のデータの日付を期間の分だけ後ろにずらし、今期の範囲（今期の最初の日付から最後の日付まで）に入るデータを返す
+     * @param {Array<{date, value}>} currentData - 今期のデータ
+     * @param {Array<{date, value}>} priorData - 前期のデータ（今期のデータを含んでもよい）
+     * @param {Object} derivation - 前期比較の指定 {kind: 'comparison', shift, align}
+     * @returns {Array<{date, value, tooltip, priorDate, currentValue, change}>} 今期の日付に合わせた前期のデータ
+     *   （priorDateは前期の日付、currentValueは同じ日付の今期の値、changeは前期からの増減率。今期の値がない場合・前期の値が0の場合はnull）
+     */
+    calculateComparisonData(currentData, priorData, derivation) {
+        const currentDates = currentData.map(item => item.date).sort();
+        if (currentDates.length === 0) {
+            return [];
+        }
+        const firstDate = currentDates[0];
+        const lastDate = currentDates[currentDates.length - 1];
+        const currentValues = new Map(currentData.map(item => [item.date, item.value]));
+
+        const result = [];
+        for (const item of priorData) {
+            const date = DateChart.shiftDate(item.date, derivation.shift, derivation.align);
+            if (date < firstDate || date > lastDate) {
+                continue;
+            }
+            const currentValue = currentValues.has(date) ? currentValues.get(date) : null;
+            const change = currentValue !== null && item.value !== null && item.value !== 0 ?
+                (currentValue - item.value) / Math.abs(item.value) : null;
+            result.push({ date, value: item.value, tooltip: '', priorDate: item.date, currentValue, change });
+        }
+        return result.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * 前期比較の元の系列の今期と前期の境界の日付を取得（最後の日付から期間の分だけ前の日付）
+     * @param {Array<{date}>} data - 元の系列のすべての期間のデータ
+     * @param {Object} currentPeriod - 前期比較の指定 {shift, align}
+     * @returns {string} 境界の日付（この日付より後が今期）
+     */
+    getCurrentPeriodBoundary(data, currentPeriod) {
+        let lastDate = '';
+        for (const item of data) {
+            if (item.date > lastDate) {
+                lastDate = item.date;
+            }
+        }
+        return lastDate ? DateChart.shiftDate(lastDate, currentPeriod.shift, currentPeriod.align, -1) : '';
+    }
+
+    /**
+     * 前期比較の期間を解析
+     * @param {string} shift - 期間（数値と単位 'y'（年）・'m'（月）・'w'（週）・'d'（日）、例: '1y'）
+     * @returns {Object} {count, unit}
+     */
+    static parseShift(shift) {
+        const match = typeof shift === 'string' ? shift.match(/^([1-9]\d*)([ymwd])$/) : null;
+        if (!match) {
+            throw new Error(`Invalid comparison shift: ${shift}. Must be a number followed by y, m, w or d (e.g. '1y')`);
+        }
+        return { count: parseInt(match[1], 10), unit: match[2] };
+    }
+
+    /**
+     * 日付を前期比較の期間の分だけずらす
+     * - 'weekday': 曜日が同じになるように、期間に最も近い7日の倍数の日数でずらす（'1y'は364日、'1m'は28日）
+     * - 'date': 年・月は同じ日付（月末を超える場合は月末）、週・日は日数でずらす
+     * @param {string} dateStr - 'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式の日付（時刻はそのまま）
+     * @param {string} shift - 期間（例: '1y'）
+     * @param {string} align - 日付の合わせ方（'weekday', 'date'）
+     * @param {number} direction - ずらす方向（1: 後ろ、-1: 前）
+     * @returns {string} ずらした日付（元の日付と同じ形式）
+     */
+    static shiftDate(dateStr, shift, align, direction = 1) {
+        const { count, unit } = DateChart.parseShift(shift);
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1;
+        const day = parseInt(dateStr.substring(6, 8), 10);
+
+        // 夏時間の影響を受けないようにUTCで計算する
+        let date;
+        if ((unit === 'y' || unit === 'm') && align === 'date') {
+            const targetMonth = month + (unit === 'y' ? count * 12 : count) * direction;
+            const lastDay = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+            date = new Date(Date.UTC(year, targetMonth, Math.min(day, lastDay)));
+        } else {
+            const daysPerUnit = { y: 365.2425, m: 30.436875, w: 7, d: 1 };
+            const days = unit === 'd' || align === 'date' ?
+                Math.round(count * daysPerUnit[unit]) : Math.round(count * daysPerUnit[unit] / 7) * 7;
+            date = new Date(Date.UTC(year, month, day + days * direction));
+        }
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${dateStr.substring(8)}`;
+    }
+
+    /**
+     * 前期比較の期間の名前を取得（例: '1y'は'前年'、'2w'は'2週前'）
+     * @param {string} shift - 期間
+     * @returns {string} 期間の名前
+     */
+    static getComparisonLabel(shift) {
+        const { count, unit } = DateChart.parseShift(shift);
+        if (count === 1) {
+            return { y: '前年', m: '前月', w: '前週', d: '前日' }[unit];
+        }
+        return `${count}${{ y: '年', m: 'か月', w: '週', d: '日' }[unit]}前`;
+    }
+
+    /**
+     * 日付文字列（YYYYMMDD形式）をDateオブジェクトに変換
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
+     * @returns {Date} Dateオブジェクト
+     */
+    parseDateToDate(dateStr) {
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // 月は0始まり
+        const day = parseInt(dateStr.substring(6, 8), 10);
+        return new Date(year, month, day);
+    }
+
+    /**
+     * Dateオブジェクトを日付文字列（YYYYMMDD形式）に変換
+     * @param {Date} date - Dateオブジェクト
+     * @returns {string} 日付文字列（'YYYYMMDD'形式）
+     */
+    formatDateToString(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}${month}${day}`;
+    }
+
+    /**
+     * 棒グラフを積み上げるかどうか
+     * @returns {boolean} 'stacked'または'percentStacked'の場合はtrue
+     */
+    isStackedBarMode() {
+        return this.barMode === 'stacked' || this.barMode === 'percentStacked';
+    }
+
+    /**
+     * 指定した軸が100%積み上げ棒グラフの軸かどうか
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {boolean} 100%積み上げの棒グラフが存在する軸の場合はtrue
+     */
+    isPercentStackedAxis(isSecondAxis = false) {
+        if (this.barMode !== 'percentStacked') {
+            return false;
+        }
+        return this.bars.some(bar => bar.secondAxis === isSecondAxis && bar.getData().length > 0);
+    }
+
+    /**
+     * 軸ラベルのフォーマットを取得（100%積み上げの軸は'0%'）
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {string} フォーマット文字列
+     */
+    getAxisFormat(isSecondAxis = false) {
+        if (this.isPercentStackedAxis(isSecondAxis)) {
+            return '0%';
+        }
+        return (isSecondAxis ? this.secondAxisFormat : this.yAxisFormat) || '#,##0';
+    }
+
+    /**
+     * 日付ごとの棒グラフの積み上げ合計を計算
+     * 正の値と負の値はそれぞれ別に積み上げる
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Map<string, Object>} 日付をキーとした合計 {positive, negative, total}
+     */
+    calculateBarStackTotals(isSecondAxis = false) {
+        const totals = new Map();
+        for (const bar of this.bars) {
+            if (bar.secondAxis !== isSecondAxis) {
+                continue;
+            }
+            for (const item of bar.getData()) {
+                if (item.value === null) {
+                    continue; // 欠損データは積み上げない
+                }
+                if (!totals.has(item.date)) {
+                    totals.set(item.date, { positive: 0, negative: 0, total: 0 });
+                }
+                const entry = totals.get(item.date);
+                if (item.value >= 0) {
+                    entry.positive += item.value;
+                } else {
+                    entry.negative += item.value;
+                }
+                entry.total += item.value;
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * 棒グラフの各データの積み上げ位置を計算
+     * 系列の追加順に下から積み上げる（負の値は0から下に積み上げる）
+     * 'percentStacked'の場合は、日付ごとの絶対値の合計に対する比率（0.0〜1.0）で計算する
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Map<Object, Object>} データ項目をキーとした積み上げ位置 {start, end, total, ratio}
+     */
+    calculateBarStackPositions(isSecondAxis = false) {
+        const totals = this.calculateBarStackTotals(isSecondAxis);
+        const isPercent = this.barMode === 'percentStacked';
+        const offsets = new Map();
+        const positions = new Map();
+
+        for (const bar of this.bars) {
+            if (bar.secondAxis !== isSecondAxis) {
+                continue;
+            }
+            for (const item of bar.getData()) {
+                if (item.value === null) {
+                    continue; // 欠損データは積み上げない
+                }
+                const entry = totals.get(item.date);
+                const absoluteTotal = entry.positive - entry.negative;
+                const ratio = absoluteTotal !== 0 ? item.value / absoluteTotal : 0;
+                const value = isPercent ? ratio : item.value;
+
+                if (!offsets.has(item.date)) {
+                    offsets.set(item.date, { positive: 0, negative: 0 });
+                }
+                const offset = offsets.get(item.date);
+                const key = value >= 0 ? 'positive' : 'negative';
+                const start = offset[key];
+                offset[key] += value;
+
+                positions.set(item, { start, end: offset[key], total: entry.total, ratio });
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * 面グラフの各データの積み上げ位置を計算
+     * 同じ軸で積み上げグループ（stack）が同じ系列を、系列の追加順に下から積み上げる（負の値は0から下に積み上げる）
+     * 積み上げグループがない系列は0から値までの位置を返す
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Map<Object, Object>} データ項目をキーとした積み上げ位置 {start, end, total, stacked}（totalは積み上げグループの日付ごとの合計）
+     */
+    calculateAreaStackPositions(isSecondAxis = false) {
+        const offsets = new Map(); // Map<stack, Map<date, {positive, negative, total}>>
+        const positions = new Map();
+        const stackedItems = [];
+
+        for (const area of this.areas) {
+            if (area.secondAxis !== isSecondAxis) {
+                continue;
+            }
+            for (const item of area.getData()) {
+                if (item.value === null) {
+                    continue; // 欠損データは積み上げない
+                }
+                if (area.stack === null) {
+                    positions.set(item, { start: 0, end: item.value, total: item.value, stacked: false });
+                    continue;
+                }
+                if (!offsets.has(area.stack)) {
+                    offsets.set(area.stack, new Map());
+                }
+                const stackOffsets = offsets.get(area.stack);
+                if (!stackOffsets.has(item.date)) {
+                    stackOffsets.set(item.date, { positive: 0, negative: 0, total: 0 });
+                }
+                const offset = stackOffsets.get(item.date);
+                const key = item.value >= 0 ? 'positive' : 'negative';
+                const start = offset[key];
+                offset[key] += item.value;
+                offset.total += item.value;
+                positions.set(item, { start, end: offset[key], total: 0, stacked: true });
+                stackedItems.push({ item, offset });
+            }
+        }
+
+        // 積み上げグループの合計は、すべての系列を積み上げた後に設定する
+        for (const { item, offset } of stackedItems) {
+            positions.get(item).total = offset.total;
+        }
+        return positions;
+    }
+
+    /**
+     * 線グラフを追加
+     * @param {Object} options - 線グラフのオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 線の色
+     * @param {number} options.lineWidth - 線の太さ
+     * @param {string} options.lineType - 線の種類（'solid', 'dashed', 'dotted'など）
+     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
+     * @returns {LineSeries} LineSeriesインスタンス
+     */
+    addLine(options = {}) {
+        const line = new LineSeries(this, options);
+        this.lines.push(line);
+        return line;
+    }
+
+    /**
+     * 棒グラフを追加
+     * @param {Object} options - 棒グラフのオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 棒の色
+     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
+     * @returns {BarSeries} BarSeriesインスタンス
+     */
+    addBar(options = {}) {
+        const bar = new BarSeries(this, options);
+        this.bars.push(bar);
+        return bar;
+    }
+
+    /**
+     * 面グラフを追加
+     * 面は0（積み上げの場合は下の系列の上端）から値までを塗りつぶし、上端に線を描画する
+     * @param {Object} options - 面グラフのオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 面と線の色
+     * @param {number} options.fillOpacity - 塗りつぶしの不透明度（0〜1、デフォルト: 0.3）
+     * @param {number} options.lineWidth - 上端の線の太さ（デフォルト: 2、0の場合は線を描画しない）
+     * @param {string} options.stack - 積み上げグループの名前（同じ軸・同じグループの系列を追加順に積み上げる、省略時は積み上げない）
+     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
+     * @returns {AreaSeries} AreaSeriesインスタンス
+     */
+    addArea(options = {}) {
+        const area = new AreaSeries(this, options);
+        this.areas.push(area);
+        return area;
+    }
+
+    /**
+     * 系列の移動平均の線グラフを追加
+     * 移動平均は元の系列の描画用のデータ（集計・欠損データの補完をした後のデータ）から計算するため、データは後から追加してもよい
+     * @param {LineSeries|BarSeries} series - 元の系列
+     * @param {Object} options - 移動平均のオプション
+     * @param {number} options.window - 期間（日数、集計している場合は区間の数。2以上の整数）
+     * @param {string} options.type - 移動平均の種類（'sma', 'ema', 'wma'、デフォルト: 'sma'）
+     * @param {string} options.title - 系列のタイトル（デフォルト: 元の系列のタイトル + ' 移動平均（7）'など）
+     * @param {string} options.color - 線の色（デフォルト: 元の系列の色）
+     * @param {number} options.lineWidth - 線の太さ（デフォルト: 2）
+     * @param {string} options.lineType - 線の種類（デフォルト: 'dashed'）
+     * @param {boolean} options.showMarkers - マーカーを表示するかどうか（デフォルト: false）
+     * @returns {LineSeries} 移動平均のLineSeriesインスタンス
+     */
+    addMovingAverage(series, options = {}) {
+        return this.addDerivedLine(series, DerivedSeries.normalizeMovingAverage(options), options);
+    }
+
+    /**
+     * 系列のトレンド線（最小二乗法）の線グラフを追加
+     * @param {LineSeries|BarSeries} series - 元の系列
+     * @param {Object} options - トレンド線のオプション
+     * @param {string} options.method - 計算方法（'linear', 'polynomial'、デフォルト: 'linear'）
+     * @param {number} options.degree - 多項式の次数（2〜6の整数、デフォルト: 2、'polynomial'のみ）
+     * @param {string} options.title - 系列のタイトル（デフォルト: 元の系列のタイトル + ' トレンド（線形）'など）
+     * @param {string} options.color - 線の色（デフォルト: 元の系列の色）
+     * @param {number} options.lineWidth - 線の太さ（デフォルト: 2）
+     * @param {string} options.lineType - 線の種類（デフォルト: 'dashed'）
+     * @returns {LineSeries} トレンド線のLineSeriesインスタンス
+     */
+    addTrendLine(series, options = {}) {
+        return this.addDerivedLine(series, DerivedSeries.normalizeTrendLine(options), options);
+    }
+
+    /**
+     * 派生系列の線グラフを追加（内部用）
+     * 派生系列は元の系列と同じ軸を使用し、凡例・ツールチップ・Y軸の範囲では通常の線グラフとして扱う
+     * @param {LineSeries|BarSeries} series - 元の系列
+     * @param {Object} derivation - 正規化した派生系列の指定（DerivedSeries.normalizeMovingAverageなどの戻り値）
+     * @param {Object} options - 線グラフのオプション
+     * @returns {LineSeries} 派生系列のLineSeriesインスタンス
+     */
+    addDerivedLine(series, derivation, options) {
+        if (!(series instanceof LineSeries || series instanceof BarSeries || series instanceof AreaSeries) || series.dateChart !== this) {
+            throw new Error('Invalid source series: must be a LineSeries, BarSeries or AreaSeries of this DateChart');
+        }
+        const line = this.addLine({
+            title: options.title || `${series.title} ${DerivedSeries.getLabel(derivation)}`.trim(),
+            color: options.color || series.color,
+            lineWidth: options.lineWidth || 2,
+            lineType: options.lineType || 'dashed',
+            secondAxis: series.secondAxis,
+            showMarkers: options.showMarkers || false
+        });
+        line.source = series;
+        line.derivation = derivation;
+        return line;
+    }
+
+    /**
+     * 前期比較の系列（前年同期など）を追加
+     * 前期のデータの日付を期間の分だけ後ろにずらして今期のX軸に重ね、元の系列と同じ種類（線・棒）の薄い色の系列として描画する
+     * ツールチップには前期の値・前期の日付・前期からの増減率を表示する
+     * - priorSeriesを省略した場合: 元の系列のデータのうち最後の日付から期間の分より前を前期、それより後を今期とし、
+     *   元の系列は今期のデータのみを描画する（X軸は今期の日付のみになる）
+     * - priorSeriesを指定した場合: priorSeriesのデータを前期として使用し、priorSeriesは描画しない
+     * 日付は元の系列の描画用のデータ（集計・欠損データの補完をした後のデータ）でずらすため、
+     * 週・月単位で集計する場合の'weekday'は近い日付の集計単位に合わせる目安になる
+     * @param {Object} options - 前期比較のオプション
+     * @param {LineSeries|BarSeries} options.series - 元の系列（今期）
+     * @param {LineSeries|BarSeries} options.priorSeries - 前期の系列（省略時は元の系列のデータを使用）
+     * @param {string} options.shift - 期間（数値と単位 'y'（年）・'m'（月）・'w'（週）・'d'（日）、デフォルト: '1y'）
+     * @param {string} options.align - 日付の合わせ方（'weekday': 曜日を合わせる、'date': 日付を合わせる、デフォルト: 'weekday'）
+     * @param {string} options.title - 系列のタイトル（デフォルト: 元の系列のタイトル + '（前年）'など）
+     * @param {string} options.color - 色（デフォルト: 元の系列の色）
+     * @param {number} options.opacity - 不透明度（0〜1、デフォルト: 0.4）
+     * @returns {LineSeries|BarSeries} 前期比較の系列（元の系列と同じ種類）
+     */
+    addComparison(options = {}) {
+        const series = options.series;
+        if (!(series instanceof LineSeries || series instanceof BarSeries) || series.dateChart !== this || series.source) {
+            throw new Error('Invalid comparison series: must be a LineSeries or BarSeries of this DateChart');
+        }
+        const priorSeries = options.priorSeries || null;
+        if (priorSeries && (!(priorSeries instanceof LineSeries || priorSeries instanceof BarSeries) ||
+            priorSeries.dateChart !== this || priorSeries === series)) {
+            throw new Error('Invalid comparison priorSeries: must be another LineSeries or BarSeries of this DateChart');
+        }
+        const shift = options.shift || '1y';
+        DateChart.parseShift(shift);
+        const align = options.align || 'weekday';
+        if (!DateChart.COMPARISON_ALIGNS.includes(align)) {
+            throw new Error(`Invalid comparison align: ${align}. Valid aligns: ${DateChart.COMPARISON_ALIGNS.join(', ')}`);
+        }
+        const opacity = options.opacity !== undefined && options.opacity !== null ? options.opacity : 0.4;
+        if (typeof opacity !== 'number' || !(opacity >= 0 && opacity <= 1)) {
+            throw new Error(`Invalid comparison opacity: ${opacity}. Must be a number from 0 to 1`);
+        }
+
+        const seriesOptions = {
+            title: options.title || `${series.title}（${DateChart.getComparisonLabel(shift)}）`,
+            color: options.color || series.color,
+            secondAxis: series.secondAxis,
+            opacity
+        };
+        const comparison = series instanceof LineSeries ?
+            this.addLine({ ...seriesOptions, lineWidth: series.lineWidth, lineType: series.lineType, showMarkers: series.showMarkers }) :
+            this.addBar(seriesOptions);
+        comparison.source = series;
+        comparison.derivation = { kind: 'comparison', shift, align };
+        comparison.priorSeries = priorSeries;
+
+        if (priorSeries) {
+            // 前期の系列は比較の系列として描画するため、系列の一覧から外す
+            this.lines = this.lines.filter(line => line !== priorSeries);
+            this.bars = this.bars.filter(bar => bar !== priorSeries);
+        } else {
+            series.currentPeriod = { shift, align };
+        }
+        return comparison;
+    }
+
+    /**
+     * 基準線（水平線）を追加
+     * 線は棒グラフの上、線グラフの下に描画し、ラベルは線の右端の上に表示する
+     * @param {Object} options - 基準線のオプション
+     * @param {number} options.value - 基準線の値（Y軸の範囲に含める）
+     * @param {string} options.label - ラベル（省略時は表示しない）
+     * @param {string} options.color - 線の色（デフォルト: 'red'）
+     * @param {string} options.style - 線のスタイル（'solid', 'dashed', 'dotted'、デフォルト: 'dashed'）
+     * @param {number} options.lineWidth - 線の太さ（デフォルト: 1）
+     * @param {string} options.axis - 基準とするY軸（'primary', 'secondary'、デフォルト: 'primary'）
+     * @returns {Object} 追加した注釈
+     */
+    addHorizontalLine(options = {}) {
+        return this.pushAnnotation({
+            type: 'horizontalLine',
+            value: DateChart.validateAnnotationNumber(options.value, 'value'),
+            label: options.label || '',
+            color: options.color || 'red',
+            style: DateChart.validateAnnotationStyle(options.style || 'dashed'),
+            lineWidth: options.lineWidth || 1,
+            axis: DateChart.validateAnnotationAxis(options.axis || 'primary')
+        });
+    }
+
+    /**
+     * 目標帯（値の範囲の網掛け）を追加
+     * 網掛けはグリッド線の下に描画し、ラベルは帯の左上に表示する
+     * @param {Object} options - 目標帯のオプション
+     * @param {number} options.from - 範囲の下限（toと逆でもよい、Y軸の範囲に含める）
+     * @param {number} options.to - 範囲の上限
+     * @param {string} options.label - ラベル（省略時は表示しない）
+     * @param {string} options.color - 塗りつぶしの色（デフォルト: 'green'）
+     * @param {number} options.opacity - 塗りつぶしの透明度（0.0-1.0、デフォルト: 0.15）
+     * @param {string} options.axis - 基準とするY軸（'primary', 'secondary'、デフォルト: 'primary'）
+     * @returns {Object} 追加した注釈
+     */
+    addBand(options = {}) {
+        const from = DateChart.validateAnnotationNumber(options.from, 'from');
+        const to = DateChart.validateAnnotationNumber(options.to, 'to');
+        return this.pushAnnotation({
+            type: 'band',
+            from: Math.min(from, to),
+            to: Math.max(from, to),
+            label: options.label || '',
+            color: options.color || 'green',
+            opacity: options.opacity !== undefined ? options.opacity : 0.15,
+            axis: DateChart.validateAnnotationAxis(options.axis || 'primary')
+        });
+    }
+
+    /**
+     * イベントのマーカー（垂直線）を追加（キャンペーン・祝日など）
+     * 線は棒グラフの上、線グラフの下に描画し、ラベルは線の上端の右に表示する
+     * @param {Object} options - マーカーのオプション
+     * @param {string} options.date - 日付（'YYYYMMDD'形式、'YYYY-MM-DD'形式、日時など、系列のaddDataと同じ形式）
+     * @param {string} options.label - ラベル（省略時は表示しない）
+     * @param {string} options.color - 線の色（デフォルト: 'gray'）
+     * @param {string} options.style - 線のスタイル（'solid', 'dashed', 'dotted'、デフォルト: 'dashed'）
+     * @param {number} options.lineWidth - 線の太さ（デフォルト: 1）
+     * @returns {Object} 追加した注釈
+     */
+    addVerticalMarker(options = {}) {
+        return this.pushAnnotation({
+            type: 'verticalMarker',
+            date: DateChart.validateAnnotationDate(options.date, 'date'),
+            label: options.label || '',
+            color: options.color || 'gray',
+            style: DateChart.validateAnnotationStyle(options.style || 'dashed'),
+            lineWidth: options.lineWidth || 1
+        });
+    }
+
+    /**
+     * 期間の網掛けを追加（キャンペーン期間・連休など）
+     * 日付のみの場合は開始日から終了日までの各日の幅全体を網掛けする。網掛けはグリッド線の下に描画する
+     * @param {Object} options - 網掛けのオプション
+     * @param {string} options.start - 開始日（addVerticalMarkerのdateと同じ形式）
+     * @param {string} options.end - 終了日（startと逆でもよい）
+     * @param {string} options.label - ラベル（省略時は表示しない）
+     * @param {string} options.color - 塗りつぶしの色（デフォルト: 'gray'）
+     * @param {number} options.opacity - 塗りつぶしの透明度（0.0-1.0、デフォルト: 0.15）
+     * @returns {Object} 追加した注釈
+     */
+    addDateRangeShade(options = {}) {
+        const start = DateChart.validateAnnotationDate(options.start, 'start');
+        const end = DateChart.validateAnnotationDate(options.end, 'end');
+        return this.pushAnnotation({
+            type: 'dateRangeShade',
+            start: start <= end ? start : end,
+            end: start <= end ? end : start,
+            label: options.label || '',
+            color: options.color || 'gray',
+            opacity: options.opacity !== undefined ? options.opacity : 0.15
+        });
+    }
+
+    /**
+     * 種類を指定して注釈を追加（CLIの設定JSONのannotationsで使用）
+     * @param {Object} annotation - 注釈 {type, ...}（typeはANNOTATION_TYPES、その他の項目は各メソッドのオプション）
+     * @returns {Object} 追加した注釈
+     */
+    addAnnotation(annotation) {
+        if (!annotation || typeof annotation !== 'object') {
+            throw new Error('Invalid annotation: must be an object');
+        }
+        switch (annotation.type) {
+            case 'horizontalLine':
+                return this.addHorizontalLine(annotation);
+            case 'band':
+                return this.addBand(annotation);
+            case 'verticalMarker':
+                return this.addVerticalMarker(annotation);
+            case 'dateRangeShade':
+                return this.addDateRangeShade(annotation);
+            default:
+                throw new Error(`Invalid annotation type: ${annotation.type}. Valid types: ${DateChart.ANNOTATION_TYPES.join(', ')}`);
+        }
+    }
+
+    /**
+     * 注釈を追加（内部用）
+     * @param {Object} annotation - 検証済みの注釈
+     * @returns {Object} 追加した注釈
+     */
+    pushAnnotation(annotation) {
+        this.annotations.push(annotation);
+        return annotation;
+    }
+
+    /**
+     * Y軸の範囲に含める注釈の値を取得（基準線の値、目標帯の下限・上限）
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Array<number>} 値の配列
+     */
+    getAnnotationValues(isSecondAxis = false) {
+        const axis = isSecondAxis ? 'secondary' : 'primary';
+        const values = [];
+        for (const annotation of this.annotations) {
+            if (annotation.axis !== axis) continue;
+            if (annotation.type === 'horizontalLine') {
+                values.push(annotation.value);
+            } else if (annotation.type === 'band') {
+                values.push(annotation.from, annotation.to);
+            }
+        }
+        return values;
     }
 
     /**
-     * 線グラフを追加
-     * @param {Object} options - 線グラフのオプション
-     * @param {string} options.title - 系列のタイトル
-     * @param {string} options.color - 線の色
-     * @param {number} options.lineWidth - 線の太さ
-     * @param {string} options.lineType - 線の種類（'solid', 'dashed', 'dotted'など）
-     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
-     * @returns {LineSeries} LineSeriesインスタンス
+     * 注釈の数値を検証
+     * @param {*} value - 値
+     * @param {string} name - 項目名（エラーメッセージ用）
+     * @returns {number} 値
      */
-    addLine(options = {}) {
-        const line = new LineSeries(this, options);
-        this.lines.push(line);
-        return line;
+    static validateAnnotationNumber(value, name) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Invalid annotation ${name}: ${value}. Must be a finite number`);
+        }
+        return value;
     }
 
     /**
-     * 棒グラフを追加
-     * @param {Object} options - 棒グラフのオプション
-     * @param {string} options.title - 系列のタイトル
-     * @param {string} options.color - 棒の色
-     * @param {boolean} options.secondAxis - 副軸を使用するかどうか
-     * @returns {BarSeries} BarSeriesインスタンス
+     * 注釈の日付を検証して正規化
+     * @param {*} date - 日付
+     * @param {string} name - 項目名（エラーメッセージ用）
+     * @returns {string} 'YYYYMMDD'形式（日時の場合は'YYYYMMDDHHmmss'形式）の日付
      */
-    addBar(options = {}) {
-        const bar = new BarSeries(this, options);
-        this.bars.push(bar);
-        return bar;
+    static validateAnnotationDate(date, name) {
+        const normalized = date !== null && date !== undefined && date !== '' ? normalizeDate(String(date)) : '';
+        if (!/^(\d{8}|\d{14})$/.test(normalized)) {
+            throw new Error(`Invalid annotation ${name}: ${date}. Must be a date (e.g. 'YYYY-MM-DD')`);
+        }
+        return normalized;
+    }
+
+    /**
+     * 注釈の線のスタイルを検証
+     * @param {string} style - 線のスタイル
+     * @returns {string} 線のスタイル
+     */
+    static validateAnnotationStyle(style) {
+        if (!DateChart.ANNOTATION_LINE_STYLES.includes(style)) {
+            throw new Error(`Invalid annotation style: ${style}. Valid styles: ${DateChart.ANNOTATION_LINE_STYLES.join(', ')}`);
+        }
+        return style;
+    }
+
+    /**
+     * 注釈の軸を検証
+     * @param {string} axis - 軸
+     * @returns {string} 軸
+     */
+    static validateAnnotationAxis(axis) {
+        if (!DateChart.ANNOTATION_AXES.includes(axis)) {
+            throw new Error(`Invalid annotation axis: ${axis}. Valid axes: ${DateChart.ANNOTATION_AXES.join(', ')}`);
+        }
+        return axis;
     }
 
     /**
@@ -109,35 +1323,101 @@ class DateChart {
     /**
      * Y軸のスケールを計算
      * @param {boolean} isSecondAxis - 副軸かどうか
-     * @returns {Object} スケール情報 {max, tickCount, labels}
+     * @param {Array<DateChart>} sharedCharts - スケールを共有するDateChartの配列（省略時はこのDateChartのみ）
+     * @param {number|null} maxTickCount - 自動の目盛りの数の上限（描画エリアの高さから計算、nullの場合は制限しない）
+     * @returns {Object} スケール情報 {min, max, tickInterval, tickCount, labels}（対数軸の場合は {type, min, max, tickCount, labels, minorTicks}）
      */
-    calculateYAxisScale(isSecondAxis = false) {
+    calculateYAxisScale(isSecondAxis = false, sharedCharts = null, maxTickCount = null) {
         // 対象の系列を取得
         const targetSeries = [];
         
         // 線グラフと棒グラフの両方から対象系列を収集
-        for (const line of this.lines) {
-            if (line.secondAxis === isSecondAxis && line.data.length > 0) {
-                targetSeries.push(line);
+        for (const chart of (sharedCharts || [this])) {
+            for (const line of chart.lines) {
+                if (line.secondAxis === isSecondAxis && line.getData().length > 0) {
+                    targetSeries.push(line);
+                }
             }
-        }
-        for (const bar of this.bars) {
-            if (bar.secondAxis === isSecondAxis && bar.data.length > 0) {
-                targetSeries.push(bar);
+            for (const bar of chart.bars) {
+                if (bar.secondAxis === isSecondAxis && bar.getData().length > 0) {
+                    targetSeries.push(bar);
+                }
+            }
+            for (const area of chart.areas) {
+                if (area.secondAxis === isSecondAxis && area.getData().length > 0) {
+                    targetSeries.push(area);
+                }
             }
         }
 
         if (targetSeries.length === 0) {
-            return { max: 0, tickCount: 0, labels: [] };
+            return { min: 0, max: 0, tickCount: 0, labels: [] };
+        }
+
+        // 100%積み上げの軸: 0%〜100%（負の値がある場合は-100%から）の10%刻み
+        if (this.isPercentStackedAxis(isSecondAxis)) {
+            return this.calculatePercentStackedScale(isSecondAxis, sharedCharts);
         }
 
-        // データから最小値と最大値を取得
+        // データから最小値と最大値を取得（対数軸の場合は0以下の値を除く）
+        const axisType = this.getAxisType(isSecondAxis);
+        const isLogAxis = axisType === 'log';
         let minValue = Infinity;
         let maxValue = -Infinity;
 
         for (const series of targetSeries) {
-            for (const item of series.data) {
-                const value = item.value;
+            // 積み上げの棒グラフ・面グラフは個々の値ではなく積み上げ合計で判定する
+            if ((series instanceof BarSeries && series.dateChart.isStackedBarMode()) ||
+                (series instanceof AreaSeries && series.stack !== null)) {
+                continue;
+            }
+            for (const item of series.getData()) {
+                // 線グラフの範囲（下限・上限）も含める
+                const values = item.lower !== undefined || item.upper !== undefined ?
+                    [item.value, item.lower, item.upper] : [item.value];
+                for (const value of values) {
+                    if (value === null || value === undefined) continue; // 欠損データは除く
+                    if (isLogAxis && value <= 0) continue;
+                    if (value < minValue) minValue = value;
+                    if (value > maxValue) maxValue = value;
+                }
+            }
+        }
+
+        for (const chart of (sharedCharts || [this])) {
+            if (!chart.isStackedBarMode()) {
+                continue;
+            }
+            for (const entry of chart.calculateBarStackTotals(isSecondAxis).values()) {
+                if (isLogAxis) {
+                    // 対数軸では正の値の積み上げのみを描画する
+                    if (entry.positive <= 0) continue;
+                    if (entry.positive < minValue) minValue = entry.positive;
+                    if (entry.positive > maxValue) maxValue = entry.positive;
+                    continue;
+                }
+                if (entry.negative < minValue) minValue = entry.negative;
+                if (entry.positive > maxValue) maxValue = entry.positive;
+            }
+        }
+
+        for (const chart of (sharedCharts || [this])) {
+            for (const position of chart.calculateAreaStackPositions(isSecondAxis).values()) {
+                if (!position.stacked) {
+                    continue; // 積み上げない系列は個々の値で判定済み
+                }
+                for (const value of [position.start, position.end]) {
+                    if (isLogAxis && value <= 0) continue;
+                    if (value < minValue) minValue = value;
+                    if (value > maxValue) maxValue = value;
+                }
+            }
+        }
+
+        // 基準線・目標帯の値も範囲に含める
+        for (const chart of (sharedCharts || [this])) {
+            for (const value of chart.getAnnotationValues(isSecondAxis)) {
+                if (isLogAxis && value <= 0) continue;
                 if (value < minValue) minValue = value;
                 if (value > maxValue) maxValue = value;
             }
@@ -145,75 +1425,149 @@ class DateChart {
 
         // データがない場合
         if (minValue === Infinity || maxValue === -Infinity) {
-            return { max: 0, tickCount: 0, labels: [] };
+            return { min: 0, max: 0, tickCount: 0, labels: [] };
+        }
+
+        // 対数・symlogの軸では範囲（min・max）の指定のみを使用する
+        const options = this.getAxisOptions(isSecondAxis);
+        if (isLogAxis) {
+            if (options.min !== null && options.min <= 0) {
+                throw new Error(`Invalid ${isSecondAxis ? 'secondAxisOptions' : 'yAxisOptions'}.min for log axis: ${options.min}. Must be greater than 0`);
+            }
+            const scale = this.calculateLogScale(options.min !== null ? options.min : minValue, options.max !== null ? options.max : maxValue);
+            return AxisScale.hasOptions(options) ? AxisScale.applyRange(scale, options) : scale;
+        }
+        if (axisType === 'symlog') {
+            const scale = this.calculateSymlogScale(options.min !== null ? options.min : minValue, options.max !== null ? options.max : maxValue);
+            return AxisScale.hasOptions(options) ? AxisScale.applyRange(scale, options) : scale;
         }
 
         // フォーマットを取得（パーセンテージ判定用）
         const format = isSecondAxis ? this.secondAxisFormat : this.yAxisFormat;
         const isPercentage = format.includes('%');
 
-        // 最小値が0以上の場合: ゼロベース
-        const rangeMin = minValue >= 0 ? 0 : minValue;
-        const range = maxValue - rangeMin;
+        // パーセンテージの場合: 間隔・目盛りの数・最大値の指定がなければ10%刻みで100%まで
+        if (isPercentage && options.tickInterval === null && options.tickCount === null && options.max === null) {
+            const maxTickValue = Math.max(100, Math.ceil(Math.max(0, maxValue) / 10) * 10);
+            return AxisScale.calculateLinearScale(minValue, maxValue, { ...options, tickInterval: 10, max: Math.max(maxTickValue, (options.min || 0) + 10) });
+        }
 
-        // ラベル間隔を計算
-        let tickInterval;
-        let maxTickValue;
+        // 通常の数値の場合: 最小値が0以上ならゼロベース、範囲が30以下なら1刻み、30超なら目盛りが10個程度の間隔
+        const scale = AxisScale.calculateLinearScale(minValue, maxValue, options);
+        if (options.tickInterval !== null || options.tickCount !== null) {
+            return scale;
+        }
+        // 目盛りの間隔を指定していない場合は、描画エリアの高さに収まる数まで目盛りを減らす
+        return AxisScale.limitTickCount(scale, maxTickCount,
+            tickInterval => AxisScale.calculateLinearScale(minValue, maxValue, { ...options, tickInterval }));
+    }
 
-        if (isPercentage) {
-            // パーセンテージの場合: 10%刻み
-            tickInterval = 10;
-            maxTickValue = Math.ceil(maxValue / 10) * 10;
-            if (maxTickValue < 100) maxTickValue = 100;
-        } else {
-            // 通常の数値の場合
-            if (range <= 30) {
-                // 範囲が30以下の場合: 1刻み
-                tickInterval = 1;
-                maxTickValue = Math.ceil(maxValue);
-            } else {
-                // 範囲が30超の場合: 10の倍数で間隔を調整
-                // 適切な間隔を見つける（ラベル数が30個以下になるように）
-                const idealTickCount = 10; // 理想的な目盛りの数
-                const idealInterval = range / idealTickCount;
-                
-                // 10のべき乗で丸める
-                const magnitude = Math.pow(10, Math.floor(Math.log10(idealInterval)));
-                tickInterval = magnitude;
-                
-                // 間隔が小さすぎる場合は次のレベルに上げる
-                if (idealInterval / magnitude > 5) {
-                    tickInterval = magnitude * 5;
-                } else if (idealInterval / magnitude > 2) {
-                    tickInterval = magnitude * 2;
+    /**
+     * 対数軸のスケールを計算
+     * 最小値・最大値を含む10のべき乗の範囲を軸の範囲とし、10のべき乗ごとに目盛り、その間の2〜9倍に補助目盛りを置く
+     * @param {number} minValue - データの最小値（正の値）
+     * @param {number} maxValue - データの最大値（正の値）
+     * @returns {Object} スケール情報 {type, min, max, tickCount, labels, minorTicks}
+     */
+    calculateLogScale(minValue, maxValue) {
+        const minExponent = Math.floor(Math.log10(minValue));
+        let maxExponent = Math.ceil(Math.log10(maxValue));
+        if (maxExponent <= minExponent) {
+            maxExponent = minExponent + 1;
+        }
+
+        // 浮動小数点の誤差を避けるため、指数表記の文字列から値を生成する
+        const labels = [];
+        const minorTicks = [];
+        for (let exponent = minExponent; exponent <= maxExponent; exponent++) {
+            labels.push(Number(`1e${exponent}`));
+            if (exponent < maxExponent) {
+                for (let multiplier = 2; multiplier <= 9; multiplier++) {
+                    minorTicks.push(Number(`${multiplier}e${exponent}`));
                 }
-                
-                // 最大値を間隔の倍数に丸める
-                maxTickValue = Math.ceil(maxValue / tickInterval) * tickInterval;
             }
         }
 
-        // ラベルを生成
-        const labels = [];
-        let currentValue = rangeMin;
-        
-        while (currentValue <= maxTickValue) {
-            labels.push(currentValue);
-            currentValue += tickInterval;
+        return {
+            type: 'log',
+            min: labels[0],
+            max: labels[labels.length - 1],
+            tickCount: labels.length,
+            labels: labels,
+            minorTicks: minorTicks
+        };
+    }
+
+    /**
+     * 対称対数（symlog）軸のスケールを計算
+     * 0と±10のべき乗（1, 10, 100, ...）に目盛り、その間の2〜9倍に補助目盛りを置く
+     * @param {number} minValue - データの最小値
+     * @param {number} maxValue - データの最大値
+     * @returns {Object} スケール情報 {type, min, max, tickCount, labels, minorTicks}
+     */
+    calculateSymlogScale(minValue, maxValue) {
+        // 絶対値の最大値を含む10のべき乗の指数（1未満の場合は1まで）
+        const getMaxExponent = value => Math.max(0, Math.ceil(Math.log10(value)));
+        const positiveExponent = maxValue > 0 ? getMaxExponent(maxValue) : 0;
+        const negativeExponent = minValue < 0 ? getMaxExponent(-minValue) : -1;
+
+        const labels = [0];
+        const minorTicks = [];
+        for (let exponent = 0; exponent <= Math.max(positiveExponent, negativeExponent); exponent++) {
+            const value = Number(`1e${exponent}`);
+            if (exponent <= positiveExponent) {
+                labels.push(value);
+            }
+            if (exponent <= negativeExponent) {
+                labels.unshift(-value);
+            }
+            for (let multiplier = 2; multiplier <= 9; multiplier++) {
+                const minorValue = Number(`${multiplier}e${exponent}`);
+                if (exponent < positiveExponent) {
+                    minorTicks.push(minorValue);
+                }
+                if (exponent < negativeExponent) {
+                    minorTicks.push(-minorValue);
+                }
+            }
+        }
+
+        return {
+            type: 'symlog',
+            min: labels[0],
+            max: labels[labels.length - 1],
+            tickCount: labels.length,
+            labels: labels,
+            minorTicks: minorTicks
+        };
+    }
+
+    /**
+     * 100%積み上げの軸のスケールを計算
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @param {Array<DateChart>} sharedCharts - スケールを共有するDateChartの配列（省略時はこのDateChartのみ）
+     * @returns {Object} スケール情報 {min, max, tickCount, labels}（値は比率 -1.0または0.0〜1.0）
+     */
+    calculatePercentStackedScale(isSecondAxis = false, sharedCharts = null) {
+        let hasNegative = false;
+        for (const chart of (sharedCharts || [this])) {
+            for (const entry of chart.calculateBarStackTotals(isSecondAxis).values()) {
+                if (entry.negative < 0) hasNegative = true;
+            }
         }
 
-        // 最大値が含まれていない場合は追加
-        if (labels[labels.length - 1] < maxValue) {
-            labels.push(maxTickValue);
+        // 浮動小数点の誤差を避けるため、10%単位の整数から比率を生成する
+        const labels = [];
+        for (let i = hasNegative ? -10 : 0; i <= 10; i++) {
+            labels.push(i / 10);
         }
 
-        const result = {
-            max: maxTickValue,
+        return {
+            min: labels[0],
+            max: 1,
             tickCount: labels.length,
             labels: labels
         };
-
-        return result;
     }
 }
 
@@ -229,17 +1583,102 @@ class LineSeries {
         this.lineType = options.lineType || 'solid';
         this.secondAxis = options.secondAxis || false;
         this.showMarkers = options.showMarkers || false; // マーカーを表示するかどうか
+        this.missingData = options.missingData || null; // 欠損データの扱い（DateChart.MISSING_DATA_MODES、nullの場合は補完しない。TSVLoaderはローダーの設定を使用）
+        this.showFilledMarkers = options.showFilledMarkers || false; // 補完したデータ点を白抜きのマーカーで表示するかどうか
+        this.forecastStart = options.forecastStart ? LineSeries.validateForecastStart(options.forecastStart) : null; // 予測の開始日（この日付以降の線は破線で描画する）
+        this.bandColor = options.bandColor || null; // 範囲（下限〜上限）の帯の色（nullの場合は線の色）
+        this.bandOpacity = options.bandOpacity !== undefined ? options.bandOpacity : 0.2; // 範囲の帯の不透明度
+        this.opacity = options.opacity !== undefined ? options.opacity : 1; // 不透明度（前期比較の系列は薄く表示する）
+        this.source = null; // 派生系列の元の系列（移動平均・トレンド線・前期比較の場合、DateChart.addDerivedLine・addComparisonで設定）
+        this.derivation = null; // 派生系列の指定（{kind, ...}、DerivedSeries・DateChart.addComparisonを参照）
+        this.priorSeries = null; // 前期比較の前期の系列（nullの場合は元の系列のデータを使用）
+        this.currentPeriod = null; // 前期比較の元の系列の場合の期間の指定 {shift, align}（今期のデータのみ描画する）
         this.data = [];
+        DateChart.validateMissingData(this.missingData);
     }
 
     /**
      * データを追加
-     * @param {string} date - 日付（'YYYYMMDD'形式）
-     * @param {number} value - 値
+     * @param {string|number} date - 日付（'YYYYMMDD'形式）または日時（ISO 8601形式、エポック秒・エポックミリ秒の文字列または数値）
+     * @param {number|null} value - 値（nullの場合は欠損として扱い、線を途切れさせる）
      * @param {string} tooltip - ツールチップテキスト（オプション）
      */
     addData(date, value, tooltip = '') {
-        this.data.push({ date, value, tooltip });
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip });
+    }
+
+    /**
+     * 範囲（予測区間・信頼区間など）付きのデータを追加
+     * 範囲は線の下に塗りつぶした帯として描画する（下限・上限のどちらかがnullの日付で帯を途切れさせる）
+     * @param {string|number} date - 日付（'YYYYMMDD'形式）または日時（ISO 8601形式、エポック秒・エポックミリ秒の文字列または数値）
+     * @param {number|null} value - 値（nullの場合は線を途切れさせ、帯のみ描画する）
+     * @param {number|null} lower - 範囲の下限
+     * @param {number|null} upper - 範囲の上限
+     * @param {string} tooltip - ツールチップテキスト（オプション）
+     */
+    addRangeData(date, value, lower, upper, tooltip = '') {
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip, lower, upper });
+    }
+
+    /**
+     * 予測の開始日を検証して正規化
+     * @param {string} date - 日付（'YYYY-MM-DD'形式など）
+     * @returns {string} 'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式の日付
+     */
+    static validateForecastStart(date) {
+        const normalized = normalizeDate(String(date));
+        if (!/^(\d{8}|\d{14})$/.test(normalized)) {
+            throw new Error(`Invalid forecastStart: ${date}. Must be a date (e.g. 'YYYY-MM-DD')`);
+        }
+        return normalized;
+    }
+
+    /**
+     * 日付が予測の期間（予測の開始日以降）かどうか
+     * @param {string} date - 日付（'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式）
+     * @returns {boolean} 予測の開始日が設定されていて、日付がその日付以降の場合はtrue
+     */
+    isForecast(date) {
+        return !!this.forecastStart && date.localeCompare(this.forecastStart) >= 0;
+    }
+
+    /**
+     * 描画に使用するデータを取得（集計・欠損データの補完をした後のデータ、DateChart.getSeriesDataを参照）
+     * 派生系列の場合は元の系列から計算したデータ（DateChart.getDerivedSeriesDataを参照）
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getData() {
+        if (this.source && this.dateChart) {
+            return this.dateChart.getDerivedSeriesData(this);
+        }
+        return this.dateChart ? this.dateChart.getSeriesData(this) : this.data;
+    }
+
+    /**
+     * この系列の移動平均の線グラフを追加（DateChart.addMovingAverageを参照）
+     * @param {Object} options - 移動平均のオプション {window, type, title, color, lineWidth, lineType, showMarkers}
+     * @returns {LineSeries} 移動平均のLineSeriesインスタンス
+     */
+    addMovingAverage(options = {}) {
+        return this.dateChart.addMovingAverage(this, options);
+    }
+
+    /**
+     * この系列のトレンド線の線グラフを追加（DateChart.addTrendLineを参照）
+     * @param {Object} options - トレンド線のオプション {method, degree, title, color, lineWidth, lineType}
+     * @returns {LineSeries} トレンド線のLineSeriesインスタンス
+     */
+    addTrendLine(options = {}) {
+        return this.dateChart.addTrendLine(this, options);
+    }
+
+    /**
+     * この系列の前期比較の系列を追加（DateChart.addComparisonを参照）
+     * @param {Object} options - 前期比較のオプション {priorSeries, shift, align, title, color, opacity}
+     * @returns {LineSeries} 前期比較のLineSeriesインスタンス
+     */
+    addComparison(options = {}) {
+        return this.dateChart.addComparison({ ...options, series: this });
     }
 }
 
@@ -252,29 +1691,133 @@ class BarSeries {
         this.title = options.title || '';
         this.color = options.color || 'blue';
         this.secondAxis = options.secondAxis || false;
+        this.missingData = options.missingData || null; // 欠損データの扱い（DateChart.MISSING_DATA_MODES、nullの場合は補完しない。TSVLoaderはローダーの設定を使用）
+        this.showFilledMarkers = options.showFilledMarkers || false; // 補完したデータを薄い色と破線の枠で表示するかどうか
+        this.opacity = options.opacity !== undefined ? options.opacity : 1; // 不透明度（前期比較の系列は薄く表示する）
+        this.source = null; // 前期比較の元の系列（DateChart.addComparisonで設定）
+        this.derivation = null; // 前期比較の指定 {kind: 'comparison', shift, align}
+        this.priorSeries = null; // 前期比較の前期の系列（nullの場合は元の系列のデータを使用）
+        this.currentPeriod = null; // 前期比較の元の系列の場合の期間の指定 {shift, align}（今期のデータのみ描画する）
         this.data = [];
+        DateChart.validateMissingData(this.missingData);
     }
 
     /**
      * データを追加
-     * @param {string} date - 日付（'YYYYMMDD'形式）
-     * @param {number} value - 値
+     * @param {string|number} date - 日付（'YYYYMMDD'形式）または日時（ISO 8601形式、エポック秒・エポックミリ秒の文字列または数値）
+     * @param {number|null} value - 値（nullの場合は欠損として扱い、線を途切れさせる）
      * @param {string} tooltip - ツールチップテキスト（オプション）
      */
     addData(date, value, tooltip = '') {
-        this.data.push({ date, value, tooltip });
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip });
+    }
+
+    /**
+     * 描画に使用するデータを取得（集計・欠損データの補完をした後のデータ、DateChart.getSeriesDataを参照）
+     * 前期比較の系列の場合は前期のデータの日付をずらしたデータ（DateChart.getDerivedSeriesDataを参照）
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getData() {
+        if (this.source && this.dateChart) {
+            return this.dateChart.getDerivedSeriesData(this);
+        }
+        return this.dateChart ? this.dateChart.getSeriesData(this) : this.data;
     }
 
     /**
      * 比率データを追加（分子/分母で計算）
-     * @param {string} date - 日付（'YYYYMMDD'形式）
+     * @param {string} date - 日付（'YYYYMMDD'形式）または日時
      * @param {number} numerator - 分子
      * @param {number} denominator - 分母
      * @param {string} tooltip - ツールチップテキスト（オプション）
      */
     addRatioData(date, numerator, denominator, tooltip = '') {
         const value = denominator !== 0 ? numerator / denominator : 0;
-        this.data.push({ date, value, tooltip });
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip });
+    }
+
+    /**
+     * この系列の移動平均の線グラフを追加（DateChart.addMovingAverageを参照）
+     * @param {Object} options - 移動平均のオプション {window, type, title, color, lineWidth, lineType, showMarkers}
+     * @returns {LineSeries} 移動平均のLineSeriesインスタンス
+     */
+    addMovingAverage(options = {}) {
+        return this.dateChart.addMovingAverage(this, options);
+    }
+
+    /**
+     * この系列のトレンド線の線グラフを追加（DateChart.addTrendLineを参照）
+     * @param {Object} options - トレンド線のオプション {method, degree, title, color, lineWidth, lineType}
+     * @returns {LineSeries} トレンド線のLineSeriesインスタンス
+     */
+    addTrendLine(options = {}) {
+        return this.dateChart.addTrendLine(this, options);
+    }
+
+    /**
+     * この系列の前期比較の系列を追加（DateChart.addComparisonを参照）
+     * @param {Object} options - 前期比較のオプション {priorSeries, shift, align, title, color, opacity}
+     * @returns {BarSeries} 前期比較のBarSeriesインスタンス
+     */
+    addComparison(options = {}) {
+        return this.dateChart.addComparison({ ...options, series: this });
+    }
+}
+
+/**
+ * AreaSeries - 面グラフ系列クラス
+ */
+class AreaSeries {
+    constructor(dateChart, options = {}) {
+        this.dateChart = dateChart;
+        this.title = options.title || '';
+        this.color = options.color || 'green';
+        this.fillOpacity = options.fillOpacity !== undefined ? options.fillOpacity : 0.3; // 塗りつぶしの不透明度
+        this.lineWidth = options.lineWidth !== undefined ? options.lineWidth : 2; // 上端の線の太さ（0の場合は線を描画しない）
+        this.stack = options.stack !== undefined && options.stack !== null && options.stack !== '' ? String(options.stack) : null; // 積み上げグループ（nullの場合は積み上げない）
+        this.secondAxis = options.secondAxis || false;
+        this.missingData = options.missingData || null; // 欠損データの扱い（DateChart.MISSING_DATA_MODES、nullの場合は補完しない。TSVLoaderはローダーの設定を使用）
+        this.data = [];
+        DateChart.validateMissingData(this.missingData);
+        if (typeof this.fillOpacity !== 'number' || !(this.fillOpacity >= 0 && this.fillOpacity <= 1)) {
+            throw new Error(`Invalid fillOpacity: ${this.fillOpacity}. Must be a number from 0 to 1`);
+        }
+    }
+
+    /**
+     * データを追加
+     * @param {string|number} date - 日付（'YYYYMMDD'形式）または日時（ISO 8601形式、エポック秒・エポックミリ秒の文字列または数値）
+     * @param {number|null} value - 値（nullの場合は欠損として扱い、面を途切れさせる）
+     * @param {string} tooltip - ツールチップテキスト（オプション）
+     */
+    addData(date, value, tooltip = '') {
+        this.data.push({ date: normalizeDate(date, 'auto', this.dateChart?.timeZone), value, tooltip });
+    }
+
+    /**
+     * 描画に使用するデータを取得（集計・欠損データの補完をした後のデータ、DateChart.getSeriesDataを参照）
+     * @returns {Array<{date, value, tooltip}>} データの配列
+     */
+    getData() {
+        return this.dateChart ? this.dateChart.getSeriesData(this) : this.data;
+    }
+
+    /**
+     * この系列の移動平均の線グラフを追加（DateChart.addMovingAverageを参照）
+     * @param {Object} options - 移動平均のオプション {window, type, title, color, lineWidth, lineType, showMarkers}
+     * @returns {LineSeries} 移動平均のLineSeriesインスタンス
+     */
+    addMovingAverage(options = {}) {
+        return this.dateChart.addMovingAverage(this, options);
+    }
+
+    /**
+     * この系列のトレンド線の線グラフを追加（DateChart.addTrendLineを参照）
+     * @param {Object} options - トレンド線のオプション {method, degree, title, color, lineWidth, lineType}
+     * @returns {LineSeries} トレンド線のLineSeriesインスタンス
+     */
+    addTrendLine(options = {}) {
+        return this.dateChart.addTrendLine(this, options);
     }
 }
 
@@ -289,11 +1832,30 @@ class TSVLoader {
         this.valueTitle = ''; // 値列名（autoMode用）
         this.groupTitle = '';
         this.commentTitle = ''; // コメント列名
-        this.seriesType = 'line'; // 系列タイプ（'line' または 'bar'）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+        this.seriesType = 'line'; // 系列タイプ（'line', 'bar', 'area'）
         this.seriesOptions = {}; // 系列オプション（lineWidth, lineType, showMarkersなど）
+        this.aggregate = null; // 集計の設定（{interval, func}、DateChart.setAggregateを参照）
+        this.missingData = 'none'; // 欠損データの扱い（'gap', 'zero', 'previous', 'linear', 'none'）。系列で指定されていない場合に使用
         // 系列と列名のマッピング: Map<series, columnName> または Map<groupName, Map<series, columnName>>
         this.seriesMap = new Map();
         this.groupSeriesMap = new Map(); // グループ列がある場合用
+        // 線グラフの系列と範囲（下限・上限）の列名のマッピング: Map<series, {lowerColumn, upperColumn}>
+        this.bandColumnMap = new Map();
+    }
+
+    /**
+     * 線グラフの系列に範囲（下限・上限）の列を紐づける（LineSeries.addRangeDataを参照）
+     * 系列はaddSeries()で値の列とも紐づける必要がある
+     * @param {LineSeries} series - 線グラフの系列
+     * @param {string} lowerColumn - 下限の列名
+     * @param {string} upperColumn - 上限の列名
+     */
+    addBandColumns(series, lowerColumn, upperColumn) {
+        if (!(series instanceof LineSeries)) {
+            throw new Error('Band columns can only be added to a LineSeries');
+        }
+        this.bandColumnMap.set(series, { lowerColumn, upperColumn });
     }
 
     /**
@@ -335,21 +1897,26 @@ class TSVLoader {
             throw new Error('At least one series must be added using addSeries() or set valueTitle and groupTitle for auto mode');
         }
 
+        DateChart.validateMissingData(this.missingData);
+
+        // 集計の設定をDateChartに反映
+        if (this.aggregate) {
+            this.dateChart.setAggregate(this.aggregate.interval, this.aggregate.func);
+        }
+
         // TSVファイルを読み込む
         const response = await fetch(this.url);
         if (!response.ok) {
             throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
         }
         const text = await response.text();
-        const lines = text.split('\n').filter(line => line.trim() !== '');
 
-        if (lines.length === 0) {
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
             throw new Error('TSV file is empty');
         }
-
-        // ヘッダー行を解析
-        const headerLine = lines[0];
-        const headers = headerLine.split('\t');
         
         // 列のインデックスを取得
         const dateIndex = headers.indexOf(this.dateTitle);
@@ -376,10 +1943,7 @@ class TSVLoader {
             // autoModeの場合、グループごとに自動的に系列を作成
             // まず、すべてのグループ名を収集
             const groupNames = new Set();
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-                const columns = line.split('\t');
+            for (const columns of rows) {
                 if (groupIndex >= 0 && columns[groupIndex]) {
                     groupNames.add(columns[groupIndex].trim());
                 }
@@ -388,8 +1952,8 @@ class TSVLoader {
             console.log('autoMode: グループ名の収集完了', Array.from(groupNames));
             console.log('autoMode: valueIndex', valueIndex);
             
-            // 各グループに対して系列を作成
-            const colorPalette = ['red', 'blue', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+            // 各グループに対して系列を作成（テーマにパレットがある場合はパレットの色を使用）
+            const colorPalette = this.dateChart.chartCanvas?.theme?.palette || ['red', 'blue', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
             let colorIndex = 0;
             
             for (const groupName of groupNames) {
@@ -400,6 +1964,12 @@ class TSVLoader {
                         color: colorPalette[colorIndex % colorPalette.length],
                         ...this.seriesOptions
                     });
+                } else if (this.seriesType === 'area') {
+                    series = this.dateChart.addArea({
+                        title: groupName,
+                        color: colorPalette[colorIndex % colorPalette.length],
+                        ...this.seriesOptions
+                    });
                 } else {
                     series = this.dateChart.addLine({
                         title: groupName,
@@ -439,22 +2009,30 @@ class TSVLoader {
             }
         }
 
+        // 範囲（下限・上限）の列のインデックスを取得
+        const bandIndexMap = new Map(); // Map<series, {lowerIndex, upperIndex}>
+        for (const [series, { lowerColumn, upperColumn }] of this.bandColumnMap.entries()) {
+            const lowerIndex = headers.indexOf(lowerColumn);
+            const upperIndex = headers.indexOf(upperColumn);
+            if (lowerIndex === -1 || upperIndex === -1) {
+                throw new Error(`Column "${lowerIndex === -1 ? lowerColumn : upperColumn}" not found in TSV file`);
+            }
+            bandIndexMap.set(series, { lowerIndex, upperIndex });
+        }
+        const parseColumn = (columns, index) => {
+            const value = parseFloat((columns[index] || '').trim());
+            return isNaN(value) ? null : value;
+        };
+
         // データを読み込んで系列に追加
         const dataBySeries = new Map(); // Map<series, Array<{date, value}>>
 
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            const columns = line.split('\t');
+        for (const columns of rows) {
             const dateStr = columns[dateIndex]?.trim();
             if (!dateStr) continue;
 
-            // 日付形式をYYYYMMDDに変換（YYYY-MM-DD形式をサポート）
-            let dateFormatted = dateStr;
-            if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                dateFormatted = dateStr.replace(/-/g, '');
-            }
+            // 日付形式をYYYYMMDD（日時の場合はYYYYMMDDHHmmss）に変換
+            const dateFormatted = normalizeDate(dateStr, 'auto', this.dateChart.timeZone);
 
             const groupName = groupIndex >= 0 ? (columns[groupIndex] || '').trim() : null;
 
@@ -470,9 +2048,13 @@ class TSVLoader {
                 }
 
                 const valueStr = columns[columnIndex].trim();
-                const value = parseFloat(valueStr);
-                if (isNaN(value)) {
-                    continue; // 数値でない場合はスキップ
+                const parsedValue = parseFloat(valueStr);
+                const value = isNaN(parsedValue) ? null : parsedValue;
+                const band = bandIndexMap.get(series);
+                const lower = band ? parseColumn(columns, band.lowerIndex) : null;
+                const upper = band ? parseColumn(columns, band.upperIndex) : null;
+                if (value === null && (lower === null || upper === null)) {
+                    continue; // 数値でない場合はスキップ（範囲の列がある場合は範囲のみのデータも追加する）
                 }
 
                 if (!dataBySeries.has(series)) {
@@ -482,7 +2064,7 @@ class TSVLoader {
                 // コメントを取得（コメント列が指定されている場合）
                 const comment = (commentIndex >= 0 && columns[commentIndex]) ? columns[commentIndex].trim() : '';
                 
-                dataBySeries.get(series).push({ date: dateFormatted, value, comment });
+                dataBySeries.get(series).push({ date: dateFormatted, value, comment, band: band ? { lower, upper } : null });
             }
         }
 
@@ -490,103 +2072,19 @@ class TSVLoader {
         for (const [series, data] of dataBySeries.entries()) {
             data.sort((a, b) => a.date.localeCompare(b.date));
             
-            // 日付を補完する（開始日から終了日までのすべての日付に対してデータを作成）
-            if (data.length > 0) {
-                const filledData = this.fillMissingDates(data);
-                for (const item of filledData) {
-                    series.addData(item.date, item.value, item.comment || '');
-                }
-            } else {
-                // データがない場合はそのまま追加
-                for (const item of data) {
-                    series.addData(item.date, item.value, item.comment || '');
-                }
+            // 欠損データの扱いが系列で指定されていない場合はローダーの設定を使用（描画時に補完する）
+            if (!series.missingData) {
+                series.missingData = this.missingData;
             }
-        }
-    }
-
-    /**
-     * 日付の欠損を補完する（開始日から終了日までのすべての日付に対してデータを作成）
-     * @param {Array<{date, value, comment}>} data - ソート済みのデータ配列
-     * @returns {Array<{date, value, comment}>} 補完されたデータ配列
-     */
-    fillMissingDates(data) {
-        if (data.length === 0) {
-            return [];
-        }
-
-        const filledData = [];
-        const startDate = data[0].date;
-        const endDate = data[data.length - 1].date;
-
-        // 開始日と終了日をDateオブジェクトに変換
-        const start = this.parseDateToDate(startDate);
-        const end = this.parseDateToDate(endDate);
-
-        // データを日付文字列（YYYYMMDD）をキーとするMapに変換
-        const dataMap = new Map();
-        for (const item of data) {
-            dataMap.set(item.date, item);
-        }
-
-        // 開始日から終了日までのすべての日付を生成
-        const currentDate = new Date(start);
-        let lastValue = null;
-        let lastComment = '';
-
-        while (currentDate <= end) {
-            const dateStr = this.formatDateToString(currentDate);
-            const existingData = dataMap.get(dateStr);
-
-            if (existingData) {
-                // データが存在する場合はその値を使用
-                filledData.push({
-                    date: dateStr,
-                    value: existingData.value,
-                    comment: existingData.comment || ''
-                });
-                lastValue = existingData.value;
-                lastComment = existingData.comment || '';
-            } else {
-                // データが存在しない場合は前の値を使用（前の値の保持）
-                if (lastValue !== null) {
-                    filledData.push({
-                        date: dateStr,
-                        value: lastValue,
-                        comment: ''
-                    });
+            
+            for (const item of data) {
+                if (item.band) {
+                    series.addRangeData(item.date, item.value, item.band.lower, item.band.upper, item.comment || '');
+                } else {
+                    series.addData(item.date, item.value, item.comment || '');
                 }
             }
-
-            // 次の日へ
-            currentDate.setDate(currentDate.getDate() + 1);
         }
-
-        return filledData;
-    }
-
-    /**
-     * 日付文字列（YYYYMMDD形式）をDateオブジェクトに変換
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {Date} Dateオブジェクト
-     */
-    parseDateToDate(dateStr) {
-        const year = parseInt(dateStr.substring(0, 4), 10);
-        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // 月は0始まり
-        const day = parseInt(dateStr.substring(6, 8), 10);
-        return new Date(year, month, day);
-    }
-
-    /**
-     * Dateオブジェクトを日付文字列（YYYYMMDD形式）に変換
-     * @param {Date} date - Dateオブジェクト
-     * @returns {string} 日付文字列（'YYYYMMDD'形式）
-     */
-    formatDateToString(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}${month}${day}`;
     }
 }
 
@@ -594,4 +2092,5 @@ class TSVLoader {
 window.DateChart = DateChart;
 window.LineSeries = LineSeries;
 window.BarSeries = BarSeries;
+window.AreaSeries = AreaSeries;
 window.TSVLoader = TSVLoader;
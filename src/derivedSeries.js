@@ -0,0 +1,274 @@
+/**
+ * DerivedSeries - 派生系列（移動平均・トレンド線）の計算クラス
+ * 元の系列の描画用のデータ（集計・欠損データの補完をした後のデータ）から派生系列のデータを計算する。
+ * 移動平均の期間は、データの件数ではなく日付の範囲（日数、集計している場合は区間の数）で数える。
+ * DateChart.addMovingAverage()・DateChart.addTrendLine()で作成した線グラフの系列で使用する。
+ */
+class DerivedSeries {
+    // 派生系列の種類
+    static KINDS = ['movingAverage', 'trendLine'];
+
+    // 移動平均の種類（単純・指数・加重）
+    static MOVING_AVERAGE_TYPES = ['sma', 'ema', 'wma'];
+
+    // トレンド線の計算方法
+    static TREND_LINE_METHODS = ['linear', 'polynomial'];
+
+    // 多項式のトレンド線の次数の上限
+    static MAX_POLYNOMIAL_DEGREE = 6;
+
+    /**
+     * 移動平均の指定を検証して正規化
+     * @param {Object} options - 移動平均の指定
+     * @param {number} options.window - 期間（日数、集計している場合は区間の数。2以上の整数）
+     * @param {string} options.type - 移動平均の種類（'sma', 'ema', 'wma'、デフォルト: 'sma'）
+     * @returns {Object} 正規化した指定 {kind: 'movingAverage', window, type}
+     */
+    static normalizeMovingAverage(options = {}) {
+        const window = options.window;
+        if (!Number.isInteger(window) || window < 2) {
+            throw new Error(`Invalid moving average window: ${window}. Must be an integer of 2 or more`);
+        }
+        const type = options.type || 'sma';
+        if (!DerivedSeries.MOVING_AVERAGE_TYPES.includes(type)) {
+            throw new Error(`Invalid moving average type: ${type}. Valid types: ${DerivedSeries.MOVING_AVERAGE_TYPES.join(', ')}`);
+        }
+        return { kind: 'movingAverage', window, type };
+    }
+
+    /**
+     * トレンド線の指定を検証して正規化
+     * @param {Object} options - トレンド線の指定
+     * @param {string} options.method - 計算方法（'linear', 'polynomial'、デフォルト: 'linear'）
+     * @param {number} options.degree - 多項式の次数（2〜MAX_POLYNOMIAL_DEGREEの整数、デフォルト: 2、'polynomial'のみ）
+     * @returns {Object} 正規化した指定 {kind: 'trendLine', method, degree}
+     */
+    static normalizeTrendLine(options = {}) {
+        const method = options.method || 'linear';
+        if (!DerivedSeries.TREND_LINE_METHODS.includes(method)) {
+            throw new Error(`Invalid trend line method: ${method}. Valid methods: ${DerivedSeries.TREND_LINE_METHODS.join(', ')}`);
+        }
+        if (method === 'linear') {
+            return { kind: 'trendLine', method, degree: 1 };
+        }
+        const degree = options.degree !== undefined && options.degree !== null ? options.degree : 2;
+        if (!Number.isInteger(degree) || degree < 2 || degree > DerivedSeries.MAX_POLYNOMIAL_DEGREE) {
+            throw new Error(`Invalid trend line degree: ${degree}. Must be an integer from 2 to ${DerivedSeries.MAX_POLYNOMIAL_DEGREE}`);
+        }
+        return { kind: 'trendLine', method, degree };
+    }
+
+    /**
+     * 派生系列の既定のタイトルの接尾辞を取得
+     * @param {Object} derivation - 正規化した指定
+     * @returns {string} 接尾辞（例: '移動平均（7）'、'トレンド（線形）'）
+     */
+    static getLabel(derivation) {
+        if (derivation.kind === 'movingAverage') {
+            const names = { sma: '移動平均', ema: '指数移動平均', wma: '加重移動平均' };
+            return `${names[derivation.type]}（${derivation.window}）`;
+        }
+        return derivation.method === 'linear' ? 'トレンド（線形）' : `トレンド（${derivation.degree}次多項式）`;
+    }
+
+    /**
+     * 派生系列のデータを計算
+     * @param {Array<{date, value, tooltip}>} data - 元の系列の描画用のデータ
+     * @param {Object} derivation - 正規化した指定
+     * @param {string|null} interval - 元のデータの集計の区間（'week', 'month', 'quarter', 'year'、集計しない場合はnull）
+     * @returns {Array<{date, value, tooltip}>} 派生系列のデータ（日付順）
+     */
+    static calculate(data, derivation, interval = null) {
+        // 値がnull（欠損）のデータは計算に含めない
+        const points = data
+            .filter(item => item.value !== null && item.value !== undefined)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (derivation.kind === 'movingAverage') {
+            const positions = points.map(point => DerivedSeries.toPeriodNumber(point.date, interval));
+            return DerivedSeries.calculateMovingAverage(points, positions, derivation.window, derivation.type);
+        }
+        return DerivedSeries.calculateTrendLine(points, derivation.degree);
+    }
+
+    /**
+     * 移動平均を計算（期間は日付の範囲で数え、期間に満たない先頭のデータには値を作成しない）
+     * 各日付の期間は、その日付までの直近window日（集計している場合はwindow区間）で、欠損している日付は計算に含めない
+     * - 'sma': 期間内のデータの単純平均
+     * - 'ema': 1日（1区間）あたりの平滑化係数 2 / (window + 1) の指数移動平均（最初の値は最初の期間の単純平均。
+     *   日付が離れている場合は、離れている日数の分だけ前の値の重みを減らす）
+     * - 'wma': 新しいデータほど重い重み（期間の最初の日付が1、最後の日付がwindow）の加重平均
+     * @param {Array<{date, value}>} points - 日付順のデータ（欠損を除く）
+     * @param {Array<number>} positions - データの日付の位置（日数または区間の番号、toPeriodNumberを参照）
+     * @param {number} window - 期間（日数または区間の数）
+     * @param {string} type - 移動平均の種類
+     * @returns {Array<{date, value, tooltip}>} 移動平均のデータ
+     */
+    static calculateMovingAverage(points, positions, window, type) {
+        const result = [];
+        const firstIndex = positions.findIndex(position => position - positions[0] >= window - 1);
+        if (firstIndex === -1) {
+            return result;
+        }
+
+        // 各日付の期間内の最初のデータの位置
+        let windowStart = 0;
+        const windowAverage = (i, weighted) => {
+            while (positions[i] - positions[windowStart] >= window) {
+                windowStart++;
+            }
+            let total = 0;
+            let weightTotal = 0;
+            for (let j = windowStart; j <= i; j++) {
+                const weight = weighted ? window - (positions[i] - positions[j]) : 1;
+                total += points[j].value * weight;
+                weightTotal += weight;
+            }
+            return total / weightTotal;
+        };
+
+        if (type === 'ema') {
+            const alpha = 2 / (window + 1);
+            let ema = windowAverage(firstIndex, false);
+            result.push({ date: points[firstIndex].date, value: ema, tooltip: '' });
+            for (let i = firstIndex + 1; i < points.length; i++) {
+                const decay = Math.pow(1 - alpha, positions[i] - positions[i - 1]);
+                ema = decay * ema + (1 - decay) * points[i].value;
+                result.push({ date: points[i].date, value: ema, tooltip: '' });
+            }
+            return result;
+        }
+
+        for (let i = firstIndex; i < points.length; i++) {
+            result.push({ date: points[i].date, value: windowAverage(i, type === 'wma'), tooltip: '' });
+        }
+        return result;
+    }
+
+    /**
+     * 最小二乗法でトレンド線（多項式）を計算し、元のデータの各日付の値を返す
+     * X座標は日付の経過日数（日時の場合は日の端数を含む）を中央が0・両端が±1になるように変換して計算する
+     * @param {Array<{date, value}>} points - 日付順のデータ（欠損を除く）
+     * @param {number} degree - 多項式の次数（1は線形）
+     * @returns {Array<{date, value, tooltip}>} トレンド線のデータ（データの件数が次数+1未満の場合は空）
+     */
+    static calculateTrendLine(points, degree) {
+        if (points.length < degree + 1) {
+            return [];
+        }
+
+        const days = points.map(point => DerivedSeries.toDayNumber(point.date));
+        const center = (days[0] + days[days.length - 1]) / 2;
+        const halfRange = (days[days.length - 1] - days[0]) / 2 || 1;
+        const xs = days.map(day => (day - center) / halfRange);
+
+        // 正規方程式 (XᵀX)a = Xᵀy を作成して解く
+        const size = degree + 1;
+        const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+        for (let i = 0; i < points.length; i++) {
+            const powers = [1];
+            for (let k = 1; k < size * 2; k++) {
+                powers.push(powers[k - 1] * xs[i]);
+            }
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    matrix[row][col] += powers[row + col];
+                }
+                matrix[row][size] += powers[row] * points[i].value;
+            }
+        }
+        const coefficients = DerivedSeries.solveLinearSystem(matrix);
+        if (!coefficients) {
+            return [];
+        }
+
+        return points.map((point, i) => {
+            let value = 0;
+            for (let k = degree; k >= 0; k--) {
+                value = value * xs[i] + coefficients[k];
+            }
+            return { date: point.date, value, tooltip: '' };
+        });
+    }
+
+    /**
+     * 連立一次方程式を部分ピボット選択付きのガウスの消去法で解く
+     * @param {Array<Array<number>>} matrix - 拡大係数行列（n行n+1列、変更される）
+     * @returns {Array<number>|null} 解（解が一意に定まらない場合はnull）
+     */
+    static solveLinearSystem(matrix) {
+        const size = matrix.length;
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            if (Math.abs(matrix[pivot][col]) < 1e-12) {
+                return null;
+            }
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+            for (let row = col + 1; row < size; row++) {
+                const factor = matrix[row][col] / matrix[col][col];
+                for (let k = col; k <= size; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
+                }
+            }
+        }
+
+        const solution = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let total = matrix[row][size];
+            for (let k = row + 1; k < size; k++) {
+                total -= matrix[row][k] * solution[k];
+            }
+            solution[row] = total / matrix[row][row];
+        }
+        return solution;
+    }
+
+    /**
+     * 日付文字列を移動平均の期間を数える位置（隣り合う日・区間の差が1になる番号）に変換
+     * @param {string} dateStr - 'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式の日付（集計している場合は区間の開始日）
+     * @param {string|null} interval - 集計の区間（集計しない場合はnull）
+     * @returns {number} 集計しない場合は経過日数、集計している場合は区間の番号
+     */
+    static toPeriodNumber(dateStr, interval) {
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1;
+        switch (interval) {
+            case 'week':
+                return Math.round(DerivedSeries.toDayNumber(dateStr) / 7);
+            case 'month':
+                return year * 12 + month;
+            case 'quarter':
+                return year * 4 + Math.floor(month / 3);
+            case 'year':
+                return year;
+            default:
+                return DerivedSeries.toDayNumber(dateStr);
+        }
+    }
+
+    /**
+     * 日付文字列を基準日（2000-01-01）からの経過日数に変換
+     * @param {string} dateStr - 'YYYYMMDD'形式または'YYYYMMDDHHmmss'形式の日付
+     * @returns {number} 経過日数（日時の場合は時刻を日の端数として含める）
+     */
+    static toDayNumber(dateStr) {
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1;
+        const day = parseInt(dateStr.substring(6, 8), 10);
+        let days = Math.round((Date.UTC(year, month, day) - Date.UTC(2000, 0, 1)) / (24 * 60 * 60 * 1000));
+        if (dateStr.length === 14) {
+            const seconds = parseInt(dateStr.substring(8, 10), 10) * 3600 +
+                parseInt(dateStr.substring(10, 12), 10) * 60 +
+                parseInt(dateStr.substring(12, 14), 10);
+            days += seconds / 86400;
+        }
+        return days;
+    }
+}
+
+// グローバルスコープに公開
+window.DerivedSeries = DerivedSeries;
@@ -13,10 +13,12 @@ class HistogramChart {
         // X軸の設定
         this.xAxisTitle = '';
         this.xAxisFormat = '#,##0';
+        this.xAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定 {min, max, tickInterval, tickCount, includeZero}
         
         // Y軸の設定
         this.yAxisTitle = '頻度';
         this.yAxisFormat = '#,##0';
+        this.yAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定（xAxisOptionsと同じ）
         
         // タイトルとサブタイトル
         this.title = '';
@@ -42,6 +44,10 @@ class HistogramChart {
         this.meanLineWidth = 2; // 平均線の幅（デフォルト: 2）
         this.medianLineWidth = 2; // 中央値線の幅（デフォルト: 2）
         
+        // クリックイベントのコールバック関数（DOMモードのみ）
+        // function(dataArray, metadata) の形式で、ビンに含まれる元のデータ値の配列とビンの情報を受け取る
+        this.onBinClick = null;
+        
         // データ系列を保持（グループ別ヒストグラム対応）
         this.series = [];
     }
@@ -140,60 +146,43 @@ class HistogramChart {
     }
 
     /**
-     * X軸のスケールを計算（DateChartのY軸スケール計算と同様のロジック）
+     * X軸の範囲と目盛りを設定（指定しなかった項目は自動計算、DateChart.setYAxisOptionsと同じ形式）
+     * min・maxを指定した場合はその範囲でビンを設定し、範囲外のデータは集計しない
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはfalse（データの最小値から最大値まで）
+     * @returns {HistogramChart} メソッドチェーン用にthisを返す
+     */
+    setXAxisOptions(options) {
+        this.xAxisOptions = AxisScale.normalizeOptions(options, 'xAxisOptions');
+        return this;
+    }
+
+    /**
+     * Y軸（頻度）の範囲と目盛りを設定（指定しなかった項目は自動計算、DateChart.setYAxisOptionsと同じ形式）
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはtrue（0から最大頻度まで）
+     * @returns {HistogramChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisOptions(options) {
+        this.yAxisOptions = AxisScale.normalizeOptions(options, 'yAxisOptions');
+        return this;
+    }
+
+    /**
+     * X軸のスケールを計算（DateChartのY軸スケール計算と同様のロジック、xAxisOptionsの指定を使用）
      * @param {number} min - データの最小値
      * @param {number} max - データの最大値
      * @returns {Object} {minTickValue, maxTickValue, tickInterval, labels} スケール情報
      */
     calculateXAxisScale(min, max) {
-        const range = max - min;
-
-        // ラベル間隔を計算
-        let tickInterval;
-        let minTickValue;
-        let maxTickValue;
-
-        if (range <= 30) {
-            // 範囲が30以下の場合: 1刻み
-            tickInterval = 1;
-            minTickValue = Math.floor(min);
-            maxTickValue = Math.ceil(max);
-        } else {
-            // 範囲が30超の場合: 10の倍数で間隔を調整
-            // 適切な間隔を見つける（ラベル数が30個以下になるように）
-            const idealTickCount = 10; // 理想的な目盛りの数
-            const idealInterval = range / idealTickCount;
-            
-            // 10のべき乗で丸める
-            const magnitude = Math.pow(10, Math.floor(Math.log10(idealInterval)));
-            tickInterval = magnitude;
-            
-            // 間隔が小さすぎる場合は次のレベルに上げる
-            if (idealInterval / magnitude > 5) {
-                tickInterval = magnitude * 5;
-            } else if (idealInterval / magnitude > 2) {
-                tickInterval = magnitude * 2;
-            }
-            
-            // 最小値を間隔の倍数に切り下げ、最大値を間隔の倍数に切り上げ
-            minTickValue = Math.floor(min / tickInterval) * tickInterval;
-            maxTickValue = Math.ceil(max / tickInterval) * tickInterval;
-        }
-
-        // ラベルを生成
-        const labels = [];
-        let currentValue = minTickValue;
-        
-        while (currentValue <= maxTickValue) {
-            labels.push(currentValue);
-            currentValue += tickInterval;
-        }
+        // 範囲が30以下の場合は1刻み、30超の場合は10の倍数で間隔を調整し、最小値・最大値を間隔の倍数に広げる
+        const scale = AxisScale.calculateLinearScale(min, max, this.xAxisOptions || AxisScale.normalizeOptions(null), false);
 
         return {
-            minTickValue,
-            maxTickValue,
-            tickInterval,
-            labels
+            minTickValue: scale.min,
+            maxTickValue: scale.max,
+            tickInterval: scale.tickInterval,
+            labels: scale.labels
         };
     }
 
@@ -204,6 +193,11 @@ class HistogramChart {
      * @returns {Object} {binCount, binWidth, bins, xAxisScale} ビンの設定
      */
     calculateBins(min, max) {
+        // X軸の範囲が指定されている場合はその範囲でビンを設定
+        const xAxisOptions = this.xAxisOptions || AxisScale.normalizeOptions(null);
+        if (xAxisOptions.min !== null) min = xAxisOptions.min;
+        if (xAxisOptions.max !== null) max = xAxisOptions.max;
+
         // ビン幅またはビン数が指定されている場合はそれを使用
         if (this.binWidth !== null) {
             const binCount = Math.ceil((max - min) / this.binWidth);
@@ -266,16 +260,28 @@ class HistogramChart {
      * データをビンに分類
      * @param {Array<number>} data - データ配列
      * @param {Array<number>} bins - ビンの境界値配列
+     * @param {HistogramSeries} series - 系列（指定した場合は系列のbinDataMapを更新）
      * @returns {Array<number>} 各ビンの頻度
      */
-    binData(data, bins) {
+    binData(data, bins, series = null) {
         const frequencies = new Array(bins.length - 1).fill(0);
+        if (series) {
+            series.binDataMap = new Map();
+        }
 
-        for (const value of data) {
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex++) {
+            const value = data[dataIndex];
             // ビンに分類
             for (let i = 0; i < bins.length - 1; i++) {
-                if (value >= bins[i] && (i === bins.length - 2 ? value <= bins[i + 1] : value < bins[i + 1])) {
+                if (this.isValueInBin(value, bins, i)) {
                     frequencies[i]++;
+                    // 元のデータのインデックスを記録
+                    if (series) {
+                        if (!series.binDataMap.has(i)) {
+                            series.binDataMap.set(i, []);
+                        }
+                        series.binDataMap.get(i).push(dataIndex);
+                    }
                     break;
                 }
             }
@@ -284,6 +290,138 @@ class HistogramChart {
         return frequencies;
     }
 
+    /**
+     * 値が指定したビンに含まれるかどうか（最後のビンのみ上端を含む）
+     * @param {number} value - 値
+     * @param {Array<number>} bins - ビンの境界値配列
+     * @param {number} binIndex - ビンのインデックス
+     * @returns {boolean} ビンに含まれる場合はtrue
+     */
+    isValueInBin(value, bins, binIndex) {
+        const isLastBin = binIndex === bins.length - 2;
+        return value >= bins[binIndex] && (isLastBin ? value <= bins[binIndex + 1] : value < bins[binIndex + 1]);
+    }
+
+    /**
+     * ビンがクリックされたときの処理（onBinClickコールバックを呼び出す）
+     * @param {number} seriesIndex - 系列のインデックス
+     * @param {number} binIndex - ビンのインデックス
+     * @param {Array<number>} bins - ビンの境界値配列
+     * @returns {Promise<void>}
+     */
+    async handleBinClick(seriesIndex, binIndex, bins) {
+        if (typeof this.onBinClick !== 'function') {
+            return; // コールバックが指定されていない場合は何もしない
+        }
+
+        const series = this.series[seriesIndex];
+        if (!series) {
+            return;
+        }
+
+        let binData;
+        try {
+            binData = await series.getBinData(binIndex, bins);
+        } catch (error) {
+            console.error('ビンのデータの読み込みエラー:', error);
+            return;
+        }
+
+        this.onBinClick(binData.values, {
+            seriesIndex: seriesIndex,
+            seriesTitle: series.title,
+            groupName: series.groupName,
+            binIndex: binIndex,
+            binRange: { min: bins[binIndex], max: bins[binIndex + 1] },
+            rows: binData.rows,
+            lazyLoad: series.lazyLoad
+        });
+    }
+
+    /**
+     * ビンのデータをテーブルとして表示（onBinClickコールバック用のヘルパー）
+     * 値の配列の場合は「値」列のみ、オブジェクトの配列の場合は全カラムを表示し、最後に統計情報の行を追加する
+     * @param {Array<number>|Array<Object>} dataArray - 値の配列、または全カラムを含むオブジェクトの配列
+     * @param {string|HTMLElement} container - テーブルを表示する要素、またはそのID
+     * @param {string} valueColumn - 統計情報を計算する列名（オブジェクトの配列の場合、省略時は'値'を含む列）
+     */
+    displayDataTable(dataArray, container, valueColumn = '') {
+        const containerElement = typeof container === 'string' ? document.getElementById(container) : container;
+        if (!containerElement) {
+            console.error(`Container element not found: ${container}`);
+            return;
+        }
+
+        if (!dataArray || dataArray.length === 0) {
+            containerElement.innerHTML = '<p>データがありません。</p>';
+            return;
+        }
+
+        // データがオブジェクトの配列か値の配列かを判定
+        const isObjectArray = typeof dataArray[0] === 'object' && dataArray[0] !== null;
+        const headers = isObjectArray ? Object.keys(dataArray[0]) : ['値'];
+        if (!isObjectArray) {
+            valueColumn = '値';
+        } else if (!valueColumn) {
+            valueColumn = headers.find(header => header.includes('値')) || '';
+        }
+
+        // テーブルを生成
+        const table = document.createElement('table');
+        table.className = 'data-table';
+
+        // ヘッダー行
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        for (const header of headers) {
+            const headerCell = document.createElement('th');
+            headerCell.textContent = header;
+            headerRow.appendChild(headerCell);
+        }
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        // データ行
+        const tbody = document.createElement('tbody');
+        const values = [];
+        for (const item of dataArray) {
+            const row = document.createElement('tr');
+            for (const header of headers) {
+                const value = isObjectArray ? item[header] : item;
+                const cell = document.createElement('td');
+                // 数値の場合はフォーマット、文字列の場合はそのまま
+                cell.textContent = typeof value === 'number' ? value.toLocaleString() : (value || '');
+                row.appendChild(cell);
+                if (header === valueColumn) {
+                    const numericValue = typeof value === 'number' ? value : parseFloat(value);
+                    if (!isNaN(numericValue)) {
+                        values.push(numericValue);
+                    }
+                }
+            }
+            tbody.appendChild(row);
+        }
+
+        // 統計情報の行（値列がある場合のみ）
+        if (values.length > 0) {
+            const statsRow = document.createElement('tr');
+            statsRow.className = 'stats-row';
+            const statsCell = document.createElement('td');
+            statsCell.colSpan = headers.length;
+            const count = values.length;
+            const sum = values.reduce((a, b) => a + b, 0);
+            const avg = sum / count;
+            statsCell.textContent = `件数: ${count}, 合計: ${sum.toLocaleString()}, 平均: ${avg.toLocaleString()}`;
+            statsRow.appendChild(statsCell);
+            tbody.appendChild(statsRow);
+        }
+        table.appendChild(tbody);
+
+        // 既存のテーブルを削除して新しいテーブルを追加
+        containerElement.innerHTML = '';
+        containerElement.appendChild(table);
+    }
+
     /**
      * ベジェ曲線のポイントを計算
      * @param {Array<number>} frequencies - 各ビンの頻度
@@ -318,20 +456,22 @@ class HistogramChart {
      * @param {number} plotHeight - 描画エリアの高さ
      * @param {number} originX - 原点のX座標
      * @param {number} originY - 原点のY座標
-     * @param {number} maxFrequency - 最大頻度
+     * @param {number} maxFrequency - 最大頻度（Y軸の上端）
+     * @param {number} minFrequency - 最小頻度（Y軸の下端、デフォルト: 0）
      * @returns {string} SVGパス文字列
      */
-    generateBezierPath(points, dataRangeMin, dataRangeMax, plotWidth, plotHeight, originX, originY, maxFrequency) {
+    generateBezierPath(points, dataRangeMin, dataRangeMax, plotWidth, plotHeight, originX, originY, maxFrequency, minFrequency = 0) {
         if (points.length === 0) return '';
         
         const dataRange = dataRangeMax - dataRangeMin;
+        const frequencyRange = maxFrequency - minFrequency;
         let path = '';
         
         // 最初のポイントに移動
         const firstPoint = points[0];
         const firstXRatio = dataRange > 0 ? (firstPoint.x - dataRangeMin) / dataRange : 0;
         const firstX = originX + firstXRatio * plotWidth;
-        const firstYRatio = maxFrequency > 0 ? firstPoint.y / maxFrequency : 0;
+        const firstYRatio = frequencyRange > 0 ? (firstPoint.y - minFrequency) / frequencyRange : 0;
         const firstY = originY - firstYRatio * plotHeight;
         path += `M ${firstX} ${firstY}`;
         
@@ -349,13 +489,13 @@ class HistogramChart {
             // 現在のポイントの座標
             const x1Ratio = dataRange > 0 ? (p1.x - dataRangeMin) / dataRange : 0;
             const x1 = originX + x1Ratio * plotWidth;
-            const y1Ratio = maxFrequency > 0 ? p1.y / maxFrequency : 0;
+            const y1Ratio = frequencyRange > 0 ? (p1.y - minFrequency) / frequencyRange : 0;
             const y1 = originY - y1Ratio * plotHeight;
             
             // 次のポイントの座標
             const x2Ratio = dataRange > 0 ? (p2.x - dataRangeMin) / dataRange : 0;
             const x2 = originX + x2Ratio * plotWidth;
-            const y2Ratio = maxFrequency > 0 ? p2.y / maxFrequency : 0;
+            const y2Ratio = frequencyRange > 0 ? (p2.y - minFrequency) / frequencyRange : 0;
             const y2 = originY - y2Ratio * plotHeight;
             
             // 制御点を計算（Catmull-Romスプライン風のベジェ曲線）
@@ -368,13 +508,13 @@ class HistogramChart {
             // 制御点1（p1から出る方向）
             const cp1xRatio = dataRange > 0 ? (p1.x + dx1 - dataRangeMin) / dataRange : 0;
             const cp1x = originX + cp1xRatio * plotWidth;
-            const cp1yRatio = maxFrequency > 0 ? (p1.y + dy1) / maxFrequency : 0;
+            const cp1yRatio = frequencyRange > 0 ? (p1.y + dy1 - minFrequency) / frequencyRange : 0;
             const cp1y = originY - cp1yRatio * plotHeight;
             
             // 制御点2（p2に入る方向）
             const cp2xRatio = dataRange > 0 ? (p2.x - dx2 - dataRangeMin) / dataRange : 0;
             const cp2x = originX + cp2xRatio * plotWidth;
-            const cp2yRatio = maxFrequency > 0 ? (p2.y - dy2) / maxFrequency : 0;
+            const cp2yRatio = frequencyRange > 0 ? (p2.y - dy2 - minFrequency) / frequencyRange : 0;
             const cp2y = originY - cp2yRatio * plotHeight;
             
             // ベジェ曲線を追加
@@ -406,6 +546,34 @@ class HistogramSeries {
         this.groupName = ''; // グループ名（グループ別ヒストグラムの場合）
         this.totalDataCount = 0; // 全データ件数（lazyLoadモードの場合）
         this.headers = []; // TSVファイルのヘッダー行（全カラム情報）
+        
+        // ビンインデックス -> 元のデータ（data・rawData）のインデックス配列のマッピング
+        this.binDataMap = new Map();
+    }
+
+    /**
+     * ビンに含まれる元のデータを取得
+     * lazyLoadモードの場合は、TSVローダーからビンの範囲のデータのみを読み込む
+     * @param {number} binIndex - ビンのインデックス
+     * @param {Array<number>} bins - ビンの境界値配列
+     * @returns {Promise<Object>} {values, rows} 値の配列と全カラムを含むオブジェクトの配列
+     */
+    async getBinData(binIndex, bins) {
+        if (this.lazyLoad && this.tsvLoader) {
+            const valueTitle = this.headers[this.valueIndex];
+            const loadedRows = await this.tsvLoader.loadDataInRange(bins[binIndex], bins[binIndex + 1], this);
+            // loadDataInRangeは上端を含むため、最後のビン以外は上端の値を除外する
+            const rows = loadedRows.filter(row =>
+                this.histogramChart.isValueInBin(parseFloat(row[valueTitle]), bins, binIndex)
+            );
+            const values = rows.map(row => parseFloat(row[valueTitle]));
+            return { values, rows };
+        }
+
+        const indices = this.binDataMap.get(binIndex) || [];
+        const values = indices.map(index => this.data[index]);
+        const rows = indices.map(index => this.rawData[index]).filter(row => row !== undefined);
+        return { values, rows };
     }
 
     /**
@@ -439,12 +607,14 @@ class HistogramTSVLoader {
         this.url = url;
         this.valueTitle = ''; // 値列の列名
         this.groupTitle = ''; // グループ列の列名（提案3対応用、後で実装）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
         this.dataThreshold = 10000; // データ件数の閾値（この値を超えるとlazyLoadモード）
         this.headers = []; // TSVファイルのヘッダー行（全カラム情報）
         
         // 自動モード用の設定
         this.autoMode = false;
-        this.seriesColors = ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+        const palette = histogramChart?.chartCanvas?.theme?.palette;
+        this.seriesColors = palette ? [...palette] : ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
     }
 
     /**
@@ -463,14 +633,14 @@ class HistogramTSVLoader {
         }
 
         const text = await response.text();
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
 
-        if (lines.length === 0) {
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
             throw new Error('TSV file is empty');
         }
 
-        // ヘッダー行を解析
-        const headers = lines[0].split('\t');
         this.headers = headers; // ヘッダー情報を保存
         const valueIndex = headers.indexOf(this.valueTitle);
         
@@ -483,8 +653,7 @@ class HistogramTSVLoader {
 
         // データ件数をカウント（数値として有効な行のみ）
         let dataCount = 0;
-        for (let i = 1; i < lines.length; i++) {
-            const columns = lines[i].split('\t');
+        for (const columns of rows) {
             if (columns.length <= valueIndex) {
                 continue;
             }
@@ -525,9 +694,9 @@ class HistogramTSVLoader {
                 series.headers = headers; // ヘッダー情報を保存
                 // データは保持しない（ヒストグラムの描画には統計情報だけが必要）
                 // 統計情報を計算するために、サンプルデータを読み込む（最初の1000件）
-                const sampleSize = Math.min(1000, lines.length - 1);
-                for (let i = 1; i <= sampleSize; i++) {
-                    const columns = lines[i].split('\t');
+                const sampleSize = Math.min(1000, rows.length);
+                for (let i = 0; i < sampleSize; i++) {
+                    const columns = rows[i];
                     if (columns.length <= valueIndex) {
                         continue;
                     }
@@ -540,8 +709,7 @@ class HistogramTSVLoader {
             } else {
                 // 通常モード: 全データを読み込む
                 series.headers = headers; // ヘッダー情報を保存
-                for (let i = 1; i < lines.length; i++) {
-                    const columns = lines[i].split('\t');
+                for (const columns of rows) {
                     if (columns.length <= valueIndex) {
                         continue;
                     }
@@ -567,8 +735,7 @@ class HistogramTSVLoader {
         // グループごとのデータを収集
         const dataByGroup = new Map(); // Map<groupName, Array<number>>
         
-        for (let i = 1; i < lines.length; i++) {
-            const columns = lines[i].split('\t');
+        for (const columns of rows) {
             if (columns.length <= valueIndex) {
                 continue;
             }
@@ -623,8 +790,7 @@ class HistogramTSVLoader {
                 // 通常モード: 全データを読み込む
                 series.headers = headers; // ヘッダー情報を保存
                 // グループ別ヒストグラムの場合、全カラムのデータを再読み込み
-                for (let i = 1; i < lines.length; i++) {
-                    const columns = lines[i].split('\t');
+                for (const columns of rows) {
                     if (columns.length <= valueIndex) {
                         continue;
                     }
@@ -669,9 +835,9 @@ class HistogramTSVLoader {
         }
 
         const text = await response.text();
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+        const { rows } = DataParser.parse(text, this.format);
 
-        if (lines.length === 0) {
+        if (rows.length === 0) {
             return [];
         }
 
@@ -681,8 +847,7 @@ class HistogramTSVLoader {
         const headers = series.headers || this.headers;
 
         // データ行を解析
-        for (let i = 1; i < lines.length; i++) {
-            const columns = lines[i].split('\t');
+        for (const columns of rows) {
             if (columns.length <= valueIndex) {
                 continue;
             }
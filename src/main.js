@@ -38,7 +38,7 @@ class VirtualSVGElement {
     toXMLString() {
         let xml = `<${this.tagName}`;
         for (const [name, value] of Object.entries(this.attributes)) {
-            const escapedValue = String(value).replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            const escapedValue = String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
             xml += ` ${name}="${escapedValue}"`;
         }
         if (this.children.length === 0 && !this.textContent) {
@@ -76,9 +76,25 @@ const VirtualDOM = {
  * グラフを作成・管理するためのクラス
  */
 class ChartCanvas {
-    // フォントサイズの定数
+    // フォントサイズの定数（lightテーマの既定値。描画時はテーマのfontSizeを使用する）
     static FONT_SIZE_NORMAL = 14;  // 普通の大きさ
     static FONT_SIZE_SMALL = 10;    // 小さい大きさ
+
+    // 1日のミリ秒数
+    static MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    // 日時のX軸の目盛り間隔の候補（分）。これを超える場合は日単位の目盛りにする
+    static TIME_TICK_INTERVALS = [1, 2, 5, 10, 15, 30, 60, 120, 180, 360, 720];
+
+    // 日時・集計したデータのX軸の目盛りの最小間隔（px）
+    static TIME_TICK_MIN_SPACING = 40;
+
+    // インスタンスの数（SVGのtitle・desc要素のIDを一意にするため）
+    static instanceCount = 0;
+
+    // データの表を視覚的に隠すスタイル（スクリーンリーダーでは読み上げられる）
+    static VISUALLY_HIDDEN_STYLE = 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;';
+
     /**
      * コンストラクタ
      * @param {HTMLElement|null} container - グラフを表示するDOM要素（nullの場合はDOMなしモード）
@@ -92,32 +108,64 @@ class ChartCanvas {
         this.title = '';
         // サブタイトル
         this.subtitle = '';
-        // 日本語対応の等幅フォント（デフォルト）
-        this.fontFamily = "'MS Gothic', 'MS PGothic', 'Courier New', Courier, 'Lucida Console', monospace";
+        // テーマ（色・フォント・大きさ・背景）
+        this.theme = ChartTheme.resolve('light');
+        // 日本語対応の等幅フォント（デフォルト: テーマのフォント）
+        this.fontFamily = this.theme.fontFamily;
         // フォントサイズごとのメトリクスをキャッシュ
         this.fontMetrics = {};
+        // テキストの幅の測定方法（'auto', 'fixed', 'table', 'canvas' または measureText(text, fontSize, fontFamily) を持つオブジェクト）
+        this.textMeasurer = 'auto';
+        // 解決済みの測定クラスのインスタンスをキャッシュ
+        this.textMeasurerCache = null;
+        // 複数グラフのレイアウト（'auto', 'single', 'horizontal', 'vertical' または {rows, columns}）
+        this.layout = 'auto';
+        // レイアウトのオプション
+        this.layoutOptions = {
+            sharedX: false, // 全パネルでX軸（日付範囲）を共有するか
+            sharedY: false, // 全パネルでY軸スケールを共有するか
+            gap: 10         // パネル間の間隔（ピクセル）
+        };
+        // インタラクティブなツールチップとクロスヘアを表示するか（DOMモードのみ）
+        this.interactive = false;
+        // インタラクティブなツールチップのHTML要素（DOMモードのみ）
+        this.tooltipElement = null;
+        // 数値フォーマットのロケール（例: 'de-DE'、空の場合は小数点'.'・桁区切り','）
+        this.locale = '';
+        // 解析済みの数値フォーマットをキャッシュ
+        this.numberFormatCache = {};
+        // ロケールごとの区切り文字をキャッシュ
+        this.numberSeparatorsCache = {};
+        // SVGのtitle・desc要素のIDの接頭辞
+        this.accessibilityId = `chartcanvas-${++ChartCanvas.instanceCount}`;
+        // グラフの説明（SVGのdesc要素、空の場合はデータから概要を生成）
+        this.description = '';
+        // 描画したデータの表を視覚的に隠してSVGの後に配置するか（DOMモードのみ）
+        this.accessibleTable = false;
+        // データの表のHTML要素（DOMモードのみ）
+        this.dataTableElement = null;
     }
 
     /**
      * フォントメトリクスを測定（高さ、半角幅、全角幅）
-     * スタンドアロン対応のため固定値を使用
+     * 半角幅・全角幅は測定方法（textMeasurer）で数字1文字・全角1文字を測定した幅
      * @param {number} fontSize - フォントサイズ
      * @returns {Object} {height, halfWidth, fullWidth}
      */
     measureFontMetrics(fontSize) {
+        // 測定方法またはフォントが変わった場合はキャッシュをクリアする
+        const measurer = this.getTextMeasurer();
+
         // キャッシュをチェック
         if (this.fontMetrics[fontSize]) {
             return this.fontMetrics[fontSize];
         }
 
-        // 固定値を使用（等幅フォントの一般的な特性に基づく）
-        // 半角文字: fontSize * 0.6
-        // 全角文字: fontSize * 1.0
         // 高さ: fontSize * 1.2
         const metrics = {
             height: fontSize * 1.2,
-            halfWidth: fontSize * 0.6,
-            fullWidth: fontSize * 1.0
+            halfWidth: measurer.measureText('0', fontSize, this.fontFamily),
+            fullWidth: measurer.measureText('あ', fontSize, this.fontFamily)
         };
         
         // メトリクスをキャッシュ
@@ -128,7 +176,7 @@ class ChartCanvas {
 
     /**
      * テキストとフォントサイズから文字列のピクセル幅を取得
-     * スタンドアロン対応のため簡易計算を使用
+     * 測定方法はtextMeasurerに従う（TextMeasurer.resolveを参照）
      * @param {string} text - 測定するテキスト
      * @param {number} fontSize - フォントサイズ
      * @returns {number} テキストのピクセル幅
@@ -137,26 +185,36 @@ class ChartCanvas {
         if (!text || text.length === 0) {
             return 0;
         }
+        return this.getTextMeasurer().measureText(String(text), fontSize, this.fontFamily);
+    }
 
-        // 固定値を使用した簡易計算
-        // 半角文字: fontSize * 0.6
-        // 全角文字: fontSize * 1.0
-        const metrics = this.measureFontMetrics(fontSize);
-        let width = 0;
-        
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            const charCode = char.charCodeAt(0);
-            // 半角文字の判定（ASCII文字、半角カナなど）
-            if (charCode <= 0x007F || (charCode >= 0xFF61 && charCode <= 0xFF9F)) {
-                width += metrics.halfWidth;
-            } else {
-                // 全角文字
-                width += metrics.fullWidth;
-            }
+    /**
+     * テキストの幅の測定方法を設定
+     * @param {string|Object} measurer - 'auto'（デフォルト）, 'fixed', 'table', 'canvas'、
+     *   または measureText(text, fontSize, fontFamily) を持つオブジェクト
+     * @returns {ChartCanvas} メソッドチェーン用にthisを返す
+     */
+    setTextMeasurer(measurer) {
+        // 不正な測定方法は設定時にエラーにする
+        TextMeasurer.resolve(measurer, this.fontFamily, this.isHeadlessMode);
+        this.textMeasurer = measurer;
+        this.textMeasurerCache = null;
+        return this;
+    }
+
+    /**
+     * 現在の測定方法とフォントに対応する測定クラスのインスタンスを取得
+     * @returns {Object} measureText(text, fontSize, fontFamily)を持つ測定クラスのインスタンス
+     */
+    getTextMeasurer() {
+        const cache = this.textMeasurerCache;
+        if (cache && cache.measurer === this.textMeasurer && cache.fontFamily === this.fontFamily) {
+            return cache.instance;
         }
-        
-        return width;
+        const instance = TextMeasurer.resolve(this.textMeasurer, this.fontFamily, this.isHeadlessMode);
+        this.textMeasurerCache = { measurer: this.textMeasurer, fontFamily: this.fontFamily, instance };
+        this.fontMetrics = {};
+        return instance;
     }
 
     /**
@@ -198,6 +256,45 @@ class ChartCanvas {
         return pieChart;
     }
 
+    /**
+     * 散布図を追加（系列ごとの点、サイズを指定した場合はバブルチャート）
+     * @returns {ScatterChart} ScatterChartインスタンス
+     */
+    addScatterChart() {
+        const scatterChart = new ScatterChart(this);
+        if (!this.scatterCharts) {
+            this.scatterCharts = [];
+        }
+        this.scatterCharts.push(scatterChart);
+        return scatterChart;
+    }
+
+    /**
+     * 箱ひげ図を追加（系列ごとの四分位数・ひげ・外れ値）
+     * @returns {BoxPlotChart} BoxPlotChartインスタンス
+     */
+    addBoxPlot() {
+        const boxPlotChart = new BoxPlotChart(this);
+        if (!this.boxPlotCharts) {
+            this.boxPlotCharts = [];
+        }
+        this.boxPlotCharts.push(boxPlotChart);
+        return boxPlotChart;
+    }
+
+    /**
+     * テーマを設定
+     * パレットは系列・円グラフの作成時に適用されるため、グラフを追加する前に設定する
+     * @param {string|Object} theme - テーマ名（'light', 'dark', 'print'）またはテーマのオブジェクト
+     *   （baseに元のテーマ名を指定し、palette, fontFamily, fontSize, colors, legendの一部だけを指定できる）
+     * @returns {ChartCanvas} メソッドチェーン用にthisを返す
+     */
+    setTheme(theme) {
+        this.theme = ChartTheme.resolve(theme);
+        this.fontFamily = this.theme.fontFamily;
+        return this;
+    }
+
     /**
      * グラフのサイズを設定
      * @param {number} width - 幅（デフォルト: 1024）
@@ -214,6 +311,143 @@ class ChartCanvas {
         return this;
     }
 
+    /**
+     * 複数グラフのレイアウトを設定
+     * @param {string|Object} layout - レイアウトの種類
+     *   - 'auto'（デフォルト）: グラフの数に応じて自動配置
+     *   - 'single': 最初のグラフのみを描画
+     *   - 'horizontal' または 'h': 横並び（4つの場合は2x2）
+     *   - 'vertical' または 'v': 縦並び
+     *   - {rows, columns}: 行数×列数のグリッド（片方のみ指定した場合はもう片方を自動計算）
+     * @param {Object} options - レイアウトのオプション
+     * @param {boolean} options.sharedX - 全パネルでX軸（日付範囲）を共有するか（デフォルト: false）
+     * @param {boolean} options.sharedY - 全パネルでY軸スケールを共有するか（デフォルト: false）
+     * @param {number} options.gap - パネル間の間隔（ピクセル、デフォルト: 10）
+     * @returns {ChartCanvas} メソッドチェーン用にthisを返す
+     */
+    setLayout(layout, options = {}) {
+        const validLayouts = ['auto', 'single', 'horizontal', 'h', 'vertical', 'v'];
+        if (typeof layout === 'string') {
+            if (!validLayouts.includes(layout)) {
+                throw new Error(`Invalid layout: ${layout}. Valid layouts: ${validLayouts.join(', ')}`);
+            }
+        } else if (!layout || typeof layout !== 'object' || (!layout.rows && !layout.columns)) {
+            throw new Error('layout must be a string or an object with rows and/or columns');
+        }
+        this.layout = layout;
+        this.layoutOptions = { ...this.layoutOptions, ...options };
+        return this;
+    }
+
+    /**
+     * レイアウトからグリッドの行数と列数を計算
+     * @param {number} count - 配置するグラフの数
+     * @returns {Object} {rows, columns}
+     */
+    resolveLayoutGrid(count) {
+        const layout = this.layout || 'auto';
+
+        if (count <= 1 || layout === 'single') {
+            return { rows: 1, columns: 1 };
+        }
+
+        if (typeof layout === 'object') {
+            let rows = layout.rows || 0;
+            let columns = layout.columns || 0;
+            if (!columns) {
+                columns = Math.ceil(count / rows);
+            } else if (!rows) {
+                rows = Math.ceil(count / columns);
+            }
+            return { rows, columns };
+        }
+
+        if (layout === 'vertical' || layout === 'v') {
+            return { rows: count, columns: 1 };
+        }
+
+        if ((layout === 'horizontal' || layout === 'h') && count !== 4) {
+            return { rows: 1, columns: count };
+        }
+
+        // auto（4つの場合は2x2、5つ以上は正方形に近いグリッド）
+        if (count <= 3) {
+            return { rows: 1, columns: count };
+        }
+        const columns = Math.ceil(Math.sqrt(count));
+        return { rows: Math.ceil(count / columns), columns };
+    }
+
+    /**
+     * キャンバス全体を1つのパネルとして取得
+     * @returns {Object} パネルの情報 {x, y, width, height, fullCanvas}
+     */
+    getFullCanvasPanel() {
+        return { x: 0, y: 0, width: this.width, height: this.height, fullCanvas: true };
+    }
+
+    /**
+     * タイトル・サブタイトルの下の領域をグリッドに分割してパネルを計算
+     * @param {number} count - パネルの数
+     * @param {number} bottomReserved - 下端に確保する高さ（共通の凡例用、デフォルト: 0）
+     * @returns {Array<Object>} パネルの情報の配列 [{x, y, width, height, fullCanvas, index}, ...]
+     */
+    calculatePanels(count, bottomReserved = 0) {
+        const { rows, columns } = this.resolveLayoutGrid(count);
+        if (rows * columns <= 1) {
+            return [this.getFullCanvasPanel()];
+        }
+
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const topMargin = 10;
+        const gap = this.layoutOptions.gap !== undefined ? this.layoutOptions.gap : 10;
+
+        // タイトルとサブタイトルの高さ分だけ下にずらす
+        let headerHeight = 0;
+        if (this.title || this.subtitle) {
+            headerHeight += topMargin;
+            if (this.title) {
+                headerHeight += metrics.height;
+            }
+            if (this.subtitle) {
+                headerHeight += this.title ? fontSize + 5 : metrics.height;
+            }
+        }
+
+        const panelWidth = (this.width - gap * (columns - 1)) / columns;
+        const panelHeight = (this.height - headerHeight - bottomReserved - gap * (rows - 1)) / rows;
+
+        const panels = [];
+        for (let i = 0; i < Math.min(count, rows * columns); i++) {
+            const row = Math.floor(i / columns);
+            const column = i % columns;
+            panels.push({
+                x: column * (panelWidth + gap),
+                y: headerHeight + row * (panelHeight + gap),
+                width: panelWidth,
+                height: panelHeight,
+                fullCanvas: false,
+                index: i
+            });
+        }
+        return panels;
+    }
+
+    /**
+     * 描画対象のDateChartを取得（'single'レイアウトの場合は最初のDateChartのみ）
+     * @returns {Array<DateChart>} DateChartの配列
+     */
+    getVisibleDateCharts() {
+        if (!this.dateCharts || this.dateCharts.length === 0) {
+            return [];
+        }
+        if (this.layout === 'single') {
+            return [this.dateCharts[0]];
+        }
+        return this.dateCharts;
+    }
+
     /**
      * SVGを描画（現在は枠だけ）
      */
@@ -226,23 +460,63 @@ class ChartCanvas {
             }
         }
 
+        // 既存のツールチップを削除（インタラクティブモードの場合のみ）
+        if (this.tooltipElement) {
+            this.tooltipElement.remove();
+            this.tooltipElement = null;
+        }
+
+        // 既存のデータの表を削除（DOMモードの場合のみ）
+        if (this.dataTableElement) {
+            this.dataTableElement.remove();
+            this.dataTableElement = null;
+        }
+
         // SVG要素を作成
         const svg = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'svg');
         svg.setAttribute('width', this.width);
         svg.setAttribute('height', this.height);
         svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
 
-        // 日本語対応の等幅フォントを設定（style要素を追加）
+        // スクリーンリーダー向けのタイトルと説明（内容は描画後に設定）
+        const titleId = `${this.accessibilityId}-title`;
+        const descId = `${this.accessibilityId}-desc`;
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-labelledby', titleId);
+        svg.setAttribute('aria-describedby', descId);
+        const svgTitle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+        svgTitle.setAttribute('id', titleId);
+        svg.appendChild(svgTitle);
+        const svgDesc = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'desc');
+        svgDesc.setAttribute('id', descId);
+        svg.appendChild(svgDesc);
+
+        // 日本語対応の等幅フォントとテーマの文字色を設定（style要素を追加）
         const style = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'style');
         style.textContent = `
             .chart-text {
                 font-family: ${this.fontFamily};
+                fill: ${this.theme.colors.text};
+            }
+            .chart-legend-text {
+                fill: ${this.theme.legend.textColor};
             }
         `;
         svg.appendChild(style);
 
+        // テーマの背景を描画
+        if (this.theme.colors.background && this.theme.colors.background !== 'none') {
+            const background = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            background.setAttribute('x', 0);
+            background.setAttribute('y', 0);
+            background.setAttribute('width', this.width);
+            background.setAttribute('height', this.height);
+            background.setAttribute('fill', this.theme.colors.background);
+            svg.appendChild(background);
+        }
+
         // タイトルとサブタイトルを描画
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
+        const fontSize = this.theme.fontSize.normal;
         const centerX = this.width / 2;
         let yPos = fontSize + 10; // 上から少し下に配置
 
@@ -271,9 +545,6 @@ class ChartCanvas {
             svg.appendChild(subtitleText);
         }
 
-        // 凡例を描画
-        this.renderLegend(svg);
-
         // 円グラフがある場合は円グラフを描画
         if (this.pieCharts && this.pieCharts.length > 0) {
             this.renderPieCharts(svg);
@@ -281,35 +552,32 @@ class ChartCanvas {
             // ヒストグラムがある場合はヒストグラムを描画
             const plotArea = this.calculateHistogramPlotArea();
             this.renderHistogram(svg, plotArea);
+        } else if (this.scatterCharts && this.scatterCharts.length > 0) {
+            // 散布図がある場合は散布図を描画（最初の散布図のみ）
+            const scatterChart = this.scatterCharts[0];
+            this.renderScatterChart(svg, scatterChart, this.calculateScatterPlotArea(scatterChart));
+        } else if (this.boxPlotCharts && this.boxPlotCharts.length > 0) {
+            // 箱ひげ図がある場合は箱ひげ図を描画（最初の箱ひげ図のみ）
+            const boxPlotChart = this.boxPlotCharts[0];
+            this.renderBoxPlot(svg, boxPlotChart, this.calculateBoxPlotPlotArea(boxPlotChart));
         } else {
-            // 日付チャートがある場合は日付チャートを描画
-            const plotArea = this.calculatePlotArea();
-            if (plotArea) {
-                this.renderPlotAreaOrigin(svg, plotArea);
-                
-                // X軸スケールを描画
-                this.renderXAxis(svg, plotArea);
-                
-                // Y軸スケールを描画
-                this.renderYAxis(svg, plotArea);
-                
-                // 右スケール（副軸）を描画
-                this.renderRightYAxis(svg, plotArea);
-
-                // グリッド線を描画（軸の後、データ系列の前）
-                this.renderDateChartGrid(svg, plotArea);
-
-                // 棒グラフを描画（先に追加した系列が上に来るように、先に描画する）
-                this.renderBars(svg, plotArea);
-
-                // 線グラフを描画（先に追加した系列が上に来るように、後に描画する）
-                this.renderLines(svg, plotArea);
-            }
+            // 日付チャートがある場合は日付チャートを描画（複数の場合はパネルに分割）
+            this.renderDateCharts(svg);
         }
 
+        // 描画したデータからタイトルと説明を設定（円グラフは「その他」にまとめた後のデータ）
+        svgTitle.textContent = this.getAccessibleTitle();
+        svgDesc.textContent = this.description || this.getAccessibleSummary();
+
         // コンテナに追加（DOMモードの場合のみ）
         if (this.container) {
             this.container.appendChild(svg);
+
+            // 視覚的に隠したデータの表をSVGの後に追加
+            if (this.accessibleTable) {
+                this.dataTableElement = this.createAccessibleTable();
+                this.container.appendChild(this.dataTableElement);
+            }
         }
         
         // 現在のSVG要素を保存（後で取得できるように）
@@ -317,1344 +585,3785 @@ class ChartCanvas {
     }
 
     /**
-     * 現在のSVG要素を取得
-     * @returns {SVGElement|VirtualSVGElement|null} SVG要素
+     * すべてのDateChartを描画（レイアウトに応じてパネルに分割）
+     * @param {SVGElement} svg - SVG要素
      */
-    getSVGElement() {
-        if (this.container) {
-            return this.container.querySelector('svg') || this.currentSvg || null;
+    renderDateCharts(svg) {
+        const dateCharts = this.getVisibleDateCharts();
+        if (dateCharts.length === 0) {
+            return;
         }
-        return this.currentSvg || null;
-    }
 
-    /**
-     * SVGを文字列として取得
-     * @returns {string} SVGの文字列表現
-     */
-    getSVGString() {
-        const svg = this.getSVGElement();
-        if (!svg) {
-            return '';
+        if (this.layout === 'single' && this.dateCharts.length > 1) {
+            console.warn(`layoutが'single'のため、${this.dateCharts.length - 1}個のDateChartは描画されません`);
         }
-        
-        // SVG要素をクローン
-        const clonedSvg = svg.cloneNode(true);
-        
-        // XML文字列に変換
-        let svgString;
-        if (clonedSvg instanceof VirtualSVGElement) {
-            // 仮想DOM要素の場合は直接XML文字列を生成
-            svgString = clonedSvg.toXMLString();
-        } else if (typeof XMLSerializer !== 'undefined') {
-            // ブラウザ環境の場合はXMLSerializerを使用
-            const serializer = new XMLSerializer();
-            svgString = serializer.serializeToString(clonedSvg);
-        } else {
-            // フォールバック: 手動でXML文字列を構築
-            svgString = clonedSvg.outerHTML || '';
+
+        const panels = this.calculatePanels(dateCharts.length);
+        if (panels.length < dateCharts.length) {
+            console.warn(`レイアウトのパネル数（${panels.length}）が不足しているため、${dateCharts.length - panels.length}個のDateChartは描画されません`);
+        }
+
+        for (let i = 0; i < panels.length; i++) {
+            this.renderDateChartPanel(svg, dateCharts[i], panels[i]);
         }
-        
-        // XML宣言を追加
-        return '<?xml version="1.0" encoding="UTF-8"?>\n' + svgString;
     }
 
     /**
-     * SVGをファイルとしてダウンロード
-     * @param {string} filename - ファイル名（デフォルト: 'chart.svg'）
+     * 1つのDateChartをパネル内に描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}
      */
-    downloadSVG(filename = 'chart.svg') {
-        const svgString = this.getSVGString();
-        if (!svgString) {
-            console.error('SVGが生成されていません。先にrender()を呼び出してください。');
+    renderDateChartPanel(svg, dateChart, panel) {
+        // パネルのタイトルを描画（複数パネルの場合のみ）
+        if (!panel.fullCanvas && dateChart.title) {
+            const fontSize = this.theme.fontSize.normal;
+            const panelTitle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            panelTitle.setAttribute('class', 'chart-text');
+            panelTitle.setAttribute('x', panel.x + panel.width / 2);
+            panelTitle.setAttribute('y', panel.y + 10 + fontSize);
+            panelTitle.setAttribute('text-anchor', 'middle');
+            panelTitle.setAttribute('style', `font-size: ${fontSize}px;`);
+            panelTitle.textContent = dateChart.title;
+            svg.appendChild(panelTitle);
+        }
+
+        // 凡例を描画
+        this.renderLegend(svg, dateChart, panel);
+
+        const plotArea = this.calculatePlotArea(dateChart, panel);
+        if (!plotArea) {
             return;
         }
-        
-        // Blobを作成
-        const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        
-        // ダウンロードリンクを作成してクリック
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // URLを解放
-        URL.revokeObjectURL(url);
+
+        // 対数軸で描画できない0以下の値がある場合は警告
+        for (const isSecondAxis of [false, true]) {
+            const nonPositiveValues = dateChart.getNonPositiveValues(isSecondAxis);
+            if (nonPositiveValues.length > 0) {
+                const seriesTitles = [...new Set(nonPositiveValues.map(entry => entry.series.title))].join('、');
+                console.warn(`対数軸（${isSecondAxis ? '副軸' : '主軸'}）に0以下の値が${nonPositiveValues.length}件あるため描画しません（系列: ${seriesTitles}）。0や負の値を含む場合は'symlog'を使用してください`);
+            }
+        }
+
+        this.renderPlotAreaBackground(svg, plotArea);
+        this.renderPlotAreaOrigin(svg, plotArea);
+
+        // X軸スケールを描画
+        this.renderXAxis(svg, plotArea);
+
+        // Y軸スケールを描画
+        this.renderYAxis(svg, plotArea);
+
+        // 右スケール（副軸）を描画
+        this.renderRightYAxis(svg, plotArea);
+
+        // 目標帯・期間の網掛けを描画（グリッド線の下）
+        this.renderDateChartAnnotations(svg, plotArea, 'background');
+
+        // グリッド線を描画（軸の後、データ系列の前）
+        this.renderDateChartGrid(svg, plotArea);
+
+        // 面グラフを描画（棒グラフ・線グラフの下）
+        this.renderAreas(svg, plotArea);
+
+        // 棒グラフを描画（先に追加した系列が上に来るように、先に描画する）
+        this.renderBars(svg, plotArea);
+
+        // 基準線・イベントのマーカーを描画（棒グラフの上、線グラフの下）
+        this.renderDateChartAnnotations(svg, plotArea, 'foreground');
+
+        // 線グラフの範囲（予測区間など）の帯を描画（線グラフの下）
+        this.renderLineBands(svg, plotArea);
+
+        // 線グラフを描画（先に追加した系列が上に来るように、後に描画する）
+        this.renderLines(svg, plotArea);
+
+        // インタラクティブなツールチップとクロスヘアを設定（DOMモードのみ、最前面に配置）
+        if (this.container && this.interactive) {
+            this.renderInteractiveLayer(svg, plotArea);
+        }
     }
 
     /**
-     * SVGをサーバーにアップロード
-     * @param {string} filename - サーバー側のファイル名（デフォルト: 'chart.svg'）
-     * @returns {Promise<string>} アップロード結果のメッセージ
+     * Y軸のスケールを取得（共有Y軸が有効な場合は表示中のすべてのDateChartを対象とする）
+     * 目盛りの間隔を指定していない場合は、パネルの描画エリアの高さに収まる数まで目盛りを減らす
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @param {boolean} isSecondAxis - 副軸かどうか
+     * @returns {Object} スケール情報 {min, max, tickCount, labels}
      */
-    async uploadSVG(filename = 'chart.svg') {
-        const svgString = this.getSVGString();
-        if (!svgString) {
-            throw new Error('SVGが生成されていません。先にrender()を呼び出してください。');
-        }
-        
-        // FormDataを作成
-        const formData = new FormData();
-        const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-        formData.append('svg', blob, filename);
-        
-        // サーバーにアップロード
-        const response = await fetch('/upload-svg', {
-            method: 'POST',
-            body: formData
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`アップロードに失敗しました: ${response.status} ${errorText}`);
+    getYAxisScale(dateChart, isSecondAxis = false) {
+        const dateCharts = this.getVisibleDateCharts();
+        if (this.layoutOptions.sharedY && dateCharts.length > 1) {
+            // 共有Y軸は全パネルで同じ目盛りにするため、最も低いパネルの上限を使用する
+            const maxTickCount = Math.min(...dateCharts.map(chart => this.getMaxYAxisTickCount(chart)));
+            return dateChart.calculateYAxisScale(isSecondAxis, dateCharts, maxTickCount);
         }
-        
-        const result = await response.json();
-        return result.message || 'アップロード成功';
+        return dateChart.calculateYAxisScale(isSecondAxis, null, this.getMaxYAxisTickCount(dateChart));
     }
 
     /**
-     * 数値をフォーマット（カンマ区切りなど）
-     * @param {number} value - 数値
-     * @param {string} format - フォーマット文字列（例: '#,##0', '#,##0%'）
-     * @returns {string} フォーマットされた文字列
+     * DateChartのX軸（日付）の範囲を取得
+     * 共有X軸が有効な場合は表示中のすべてのDateChartの日付を対象とする
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @returns {Object|null} {sortedDates, minDateValue, maxDateValue, extendedMinDateValue, extendedDateRange, hasTime}（データがない場合はnull）
      */
-    formatNumber(value, format) {
-        if (format === undefined || format === '') {
-            return String(value);
+    getDateRange(dateChart) {
+        const dateCharts = this.getVisibleDateCharts();
+        const targetCharts = this.layoutOptions.sharedX && dateCharts.length > 1 ? dateCharts : [dateChart];
+
+        // すべての系列から日付を収集
+        const dateSet = new Set();
+        for (const chart of targetCharts) {
+            for (const line of chart.lines) {
+                for (const item of line.getData()) {
+                    dateSet.add(item.date);
+                }
+            }
+            for (const bar of chart.bars) {
+                for (const item of bar.getData()) {
+                    dateSet.add(item.date);
+                }
+            }
+            for (const area of chart.areas) {
+                for (const item of area.getData()) {
+                    dateSet.add(item.date);
+                }
+            }
         }
 
-        // パーセンテージの場合
-        if (format.includes('%')) {
-            const percentage = value * 100;
-            const numFormat = format.replace('%', '');
-            const formatted = this.formatNumber(percentage, numFormat);
-            return formatted + '%';
+        if (dateSet.size === 0) {
+            return null;
         }
 
-        // カンマ区切りの処理
-        let formatted = String(Math.round(value));
-        
-        // カンマ区切りを追加
-        if (format.includes(',')) {
-            formatted = formatted.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        // 日付をソート
+        const sortedDates = Array.from(dateSet).sort();
+        const minDateValue = this.parseDate(sortedDates[0]);
+        const maxDateValue = this.parseDate(sortedDates[sortedDates.length - 1]);
+
+        // 日付の範囲を拡張して、最初と最後の日付に余裕を持たせる
+        // 最初の日付の0.5日前から最後の日付の0.5日後までの範囲でマッピング
+        // 日時のデータや集計したデータの場合は、隣り合う日時の最小間隔の半分だけ拡張する
+        const hasTime = sortedDates.some(date => this.isDateTime(date));
+        let margin = 0.5;
+        if (hasTime || targetCharts.some(chart => chart.aggregate)) {
+            let minInterval = Infinity;
+            for (let i = 1; i < sortedDates.length; i++) {
+                const interval = this.parseDate(sortedDates[i]) - this.parseDate(sortedDates[i - 1]);
+                if (interval > 0 && interval < minInterval) {
+                    minInterval = interval;
+                }
+            }
+            if (isFinite(minInterval)) {
+                margin = minInterval / 2;
+            }
         }
+        const extendedMinDateValue = minDateValue - margin;
+        const extendedMaxDateValue = maxDateValue + margin;
 
-        return formatted;
+        return {
+            sortedDates,
+            minDateValue,
+            maxDateValue,
+            extendedMinDateValue,
+            extendedDateRange: extendedMaxDateValue - extendedMinDateValue,
+            hasTime
+        };
     }
 
     /**
-     * 描画エリアの位置を計算
-     * @returns {Object} 描画エリアの情報 {originX, originY, topRightX, topRightY, width, height}
+     * 系列のグループ要素を作成して追加
+     * 支援技術で系列ごとにまとめて読み上げられるように、role="group"とaria-labelを設定する
+     * @param {SVGElement} parent - 追加先の要素
+     * @param {string} label - 系列の概要（空の場合はaria-labelを設定しない）
+     * @returns {SVGElement} グループ要素
      */
-    calculatePlotArea() {
-        if (!this.dateCharts || this.dateCharts.length === 0) {
+    createSeriesGroup(parent, label = '') {
+        const group = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('role', 'group');
+        if (label) {
+            group.setAttribute('aria-label', label);
+        }
+        parent.appendChild(group);
+        return group;
+    }
+
+    /**
+     * 値の最小値と最大値を取得（スプレッド構文を使用しないため、大量のデータでも使用できる）
+     * @param {Array<number>} values - 値の配列
+     * @returns {Object|null} {min, max}（値がない場合はnull）
+     */
+    getValueExtent(values) {
+        if (values.length === 0) {
             return null;
         }
+        let min = values[0];
+        let max = values[0];
+        for (const value of values) {
+            if (value < min) {
+                min = value;
+            }
+            if (value > max) {
+                max = value;
+            }
+        }
+        return { min, max };
+    }
 
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const metrics = this.measureFontMetrics(fontSize);
-        const leftMargin = 20;
-        const bottomMargin = 20;
-        const topMargin = 10; // 上のマージン（タイトルの上）
-        const tickLineLength = 5;
-        const titleMargin = 20; // 描画エリアとタイトルのマージン
-        const legendMargin = 20; // 凡例の右マージン
-        const legendScaleGap = 20; // 凡例とスケールの間のマージン
-
-        const dateChart = this.dateCharts[0];
-
-        // Y軸のスケールを取得
-        const primaryScale = dateChart.calculateYAxisScale(false);
-        const secondaryScale = dateChart.secondAxis ? 
-            dateChart.calculateYAxisScale(true) : null;
-
-        // Y軸のラベルをフォーマットして最大幅を計算
-        let maxYLabelWidth = 0;
-        const yAxisFormat = dateChart.yAxisFormat || '#,##0';
-        
-        for (const label of primaryScale.labels) {
-            const formatted = this.formatNumber(label, yAxisFormat);
-            const width = this.getTextWidth(formatted, fontSize);
-            if (width > maxYLabelWidth) {
-                maxYLabelWidth = width;
-            }
+    /**
+     * SVGのタイトル（title要素）を取得
+     * @returns {string} キャンバスのタイトル（ない場合は最初のグラフのタイトル、どちらもない場合は'グラフ'）
+     */
+    getAccessibleTitle() {
+        if (this.title) {
+            return this.title;
         }
+        const charts = [...(this.pieCharts || []), ...(this.histogramCharts || []), ...(this.scatterCharts || []), ...(this.boxPlotCharts || []), ...(this.dateCharts || [])];
+        const titledChart = charts.find(chart => chart.title);
+        return titledChart ? titledChart.title : 'グラフ';
+    }
 
-        // 副軸がある場合も考慮
-        let maxRightScaleLabelWidth = 0;
-        if (secondaryScale) {
-            const secondAxisFormat = dateChart.secondAxisFormat || '#,##0';
-            for (const label of secondaryScale.labels) {
-                const formatted = this.formatNumber(label, secondAxisFormat);
-                const width = this.getTextWidth(formatted, fontSize);
-                if (width > maxRightScaleLabelWidth) {
-                    maxRightScaleLabelWidth = width;
-                }
-            }
+    /**
+     * 描画するグラフの概要（SVGのdesc要素）を生成
+     * グラフの種類、タイトル、日付の範囲、系列名と最小値・最大値（円グラフの場合はカテゴリの値と割合）をまとめる
+     * @returns {string} 概要のテキスト
+     */
+    getAccessibleSummary() {
+        if (this.pieCharts && this.pieCharts.length > 0) {
+            const pieCharts = this.layout === 'single' ? [this.pieCharts[0]] : this.pieCharts;
+            return pieCharts.map(pieChart => this.describePieChart(pieChart)).join(' ');
         }
-
-        // 凡例の左端を計算
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const legendItemHeight = 25;
-        const iconWidth = 30;
-        const iconLabelGap = 10;
-        const legendPadding = 10;
-        
-        // 凡例項目を収集して最大ラベル幅を計算
-        const legendItems = [];
-        for (const dc of this.dateCharts) {
-            for (const line of dc.lines) {
-                if (line.title) legendItems.push({ title: line.title });
-            }
-            for (const bar of dc.bars) {
-                if (bar.title) legendItems.push({ title: bar.title });
-            }
+        if (this.histogramCharts && this.histogramCharts.length > 0) {
+            return this.describeHistogram(this.histogramCharts[0]);
         }
-        
-        let maxLegendLabelWidth = 0;
-        for (const item of legendItems) {
-            const width = this.getTextWidth(item.title, legendFontSize);
-            if (width > maxLegendLabelWidth) {
-                maxLegendLabelWidth = width;
-            }
+        if (this.scatterCharts && this.scatterCharts.length > 0) {
+            return this.describeScatterChart(this.scatterCharts[0]);
         }
-        
-        const legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
-        const legendLeftX = this.width - legendAreaWidth - legendMargin;
-
-        // 原点のX座標: 左端から、左マージン + 最大ラベル幅 + 目盛り線の長さ
-        const originX = leftMargin + maxYLabelWidth + tickLineLength;
-
-        // 原点のY座標: 下端から、下マージン + 文字の高さ（1行目）+ 文字の高さ（2行目）+ ラベルと目盛り線の間隔 + 目盛り線の高さ
-        const labelMargin = 5; // ラベルと目盛り線の間隔
-        const originY = this.height - bottomMargin - metrics.height * 2 - labelMargin - tickLineLength;
-
-        // 右上(1,1)のX座標を計算
-        let topRightX;
-        if (secondaryScale) {
-            // 右スケールがある場合: 凡例の左端 - 凡例とスケールの間のマージン - 右スケールの最大ラベル幅 - 目盛り線の長さ
-            topRightX = legendLeftX - legendScaleGap - maxRightScaleLabelWidth - tickLineLength;
-        } else {
-            // 右スケールがない場合: 凡例の左端 - 凡例の左のマージン
-            topRightX = legendLeftX - legendMargin;
+        if (this.boxPlotCharts && this.boxPlotCharts.length > 0) {
+            return this.describeBoxPlot(this.boxPlotCharts[0]);
         }
+        return this.getVisibleDateCharts().map(dateChart => this.describeDateChart(dateChart)).join(' ');
+    }
 
-        // 右上(1,1)のY座標を計算
-        // 上のマージン + タイトル文字の高さ + サブタイトル文字の高さ + 描画エリアとタイトルのマージン
-        let topRightY = topMargin;
-        if (this.title) {
-            topRightY += metrics.height;
-            if (this.subtitle) {
-                topRightY += fontSize + 5; // タイトルとサブタイトルの間隔（fontSize + 5px）
-            }
-        }
-        if (this.subtitle && !this.title) {
-            topRightY += metrics.height;
+    /**
+     * DateChartの概要を生成
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @returns {string} 概要のテキスト（例: '折れ線・棒グラフ「売上」。期間: 2025/01/01〜2025/01/07（7件）。系列: 売上（線グラフ、最小 12,000、最大 23,500）。'）
+     */
+    describeDateChart(dateChart) {
+        const hasLines = dateChart.lines.some(line => line.getData().length > 0);
+        const hasBars = dateChart.bars.some(bar => bar.getData().length > 0);
+        const hasAreas = dateChart.areas.some(area => area.getData().length > 0);
+        const typeNames = [hasLines ? '折れ線' : null, hasBars ? '棒' : null, hasAreas ? '面' : null].filter(name => name);
+        const typeName = `${typeNames.length > 0 ? typeNames.join('・') : '折れ線'}グラフ`;
+        const sentences = [dateChart.title ? `${typeName}「${dateChart.title}」` : typeName];
+
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            sentences.push('データなし');
+            return sentences.join('。') + '。';
         }
-        topRightY += titleMargin;
-
-        return {
-            originX,
-            originY,
-            topRightX,
-            topRightY,
-            width: topRightX - originX,
-            height: originY - topRightY
-        };
+        const { sortedDates } = dateRangeInfo;
+        const firstDate = this.formatDateLabel(sortedDates[0], dateChart);
+        const lastDate = this.formatDateLabel(sortedDates[sortedDates.length - 1], dateChart);
+        sentences.push(`期間: ${firstDate}〜${lastDate}（${sortedDates.length}件）`);
+
+        const seriesDescriptions = [];
+        dateChart.lines.forEach((line, index) => {
+            if (line.getData().length > 0) {
+                seriesDescriptions.push(this.describeDateSeries(line, index, 'line', dateChart));
+            }
+        });
+        dateChart.bars.forEach((bar, index) => {
+            if (bar.getData().length > 0) {
+                seriesDescriptions.push(this.describeDateSeries(bar, index, 'bar', dateChart));
+            }
+        });
+        dateChart.areas.forEach((area, index) => {
+            if (area.getData().length > 0) {
+                seriesDescriptions.push(this.describeDateSeries(area, index, 'area', dateChart));
+            }
+        });
+        sentences.push(`系列: ${seriesDescriptions.join('、')}`);
+        return sentences.join('。') + '。';
     }
 
     /**
-     * 描画エリアの原点と右上を計算（バツは描画しない）
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
+     * DateChartの系列の概要を生成（系列のグループのaria-labelにも使用）
+     * @param {LineSeries|BarSeries} series - 系列
+     * @param {number} index - 系列のインデックス（タイトルがない場合の系列名に使用）
+     * @param {string} type - 系列の種類（'line', 'bar'）
+     * @param {DateChart} dateChart - DateChartインスタンス（フォーマット用）
+     * @returns {string} 概要のテキスト（例: '売上（線グラフ、最小 12,000、最大 23,500）'）
      */
-    renderPlotAreaOrigin(svg, plotArea) {
-        // バツの描画は削除
+    describeDateSeries(series, index, type, dateChart) {
+        const format = series.secondAxis ?
+            (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+        const details = [{ bar: '棒グラフ', area: '面グラフ' }[type] || '線グラフ'];
+        if (series.secondAxis) {
+            details.push('副軸');
+        }
+        const values = series.getData().map(item => item.value).filter(value => value !== null);
+        const extent = this.getValueExtent(values);
+        if (extent) {
+            details.push(`最小 ${this.formatNumber(extent.min, format)}`, `最大 ${this.formatNumber(extent.max, format)}`);
+        }
+        const name = series.title || `系列${index + 1}`;
+        return `${name}（${details.join('、')}）`;
     }
 
     /**
-     * 日付文字列（YYYYMMDD形式）をDateオブジェクトに変換
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {Date} Dateオブジェクト
+     * ヒストグラムの概要を生成
+     * @param {HistogramChart} histogramChart - HistogramChartインスタンス
+     * @returns {string} 概要のテキスト（例: 'ヒストグラム「点数の分布」。X軸: 点数。系列: 1組（30件、最小 42、最大 98）。'）
      */
-    parseDateToDate(dateStr) {
-        const year = parseInt(dateStr.substring(0, 4), 10);
-        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // 月は0始まり
-        const day = parseInt(dateStr.substring(6, 8), 10);
-        return new Date(year, month, day);
+    describeHistogram(histogramChart) {
+        const sentences = [histogramChart.title ? `ヒストグラム「${histogramChart.title}」` : 'ヒストグラム'];
+        if (histogramChart.xAxisTitle) {
+            sentences.push(`X軸: ${histogramChart.xAxisTitle}`);
+        }
+        const seriesDescriptions = [];
+        histogramChart.series.forEach((series, index) => {
+            if (series.data.length > 0) {
+                seriesDescriptions.push(this.describeHistogramSeries(series, index, histogramChart));
+            }
+        });
+        sentences.push(seriesDescriptions.length > 0 ? `系列: ${seriesDescriptions.join('、')}` : 'データなし');
+        return sentences.join('。') + '。';
     }
 
     /**
-     * 日付が日曜日かどうかを判定
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {boolean} 日曜日の場合true
+     * ヒストグラムの系列の概要を生成（系列のグループのaria-labelにも使用）
+     * @param {HistogramSeries} series - 系列
+     * @param {number} index - 系列のインデックス（タイトルがない場合の系列名に使用）
+     * @param {HistogramChart} histogramChart - HistogramChartインスタンス（フォーマット用）
+     * @returns {string} 概要のテキスト（例: '1組（30件、最小 42、最大 98）'）
      */
-    isSunday(dateStr) {
-        const date = this.parseDateToDate(dateStr);
-        return date.getDay() === 0; // 0が日曜日
+    describeHistogramSeries(series, index, histogramChart) {
+        const format = histogramChart.xAxisFormat || '#,##0';
+        const details = [`${this.formatNumber(series.data.length, '#,##0')}件`];
+        const extent = this.getValueExtent(series.data);
+        if (extent) {
+            details.push(`最小 ${this.formatNumber(extent.min, format)}`, `最大 ${this.formatNumber(extent.max, format)}`);
+        }
+        const name = series.title || `系列${index + 1}`;
+        return `${name}（${details.join('、')}）`;
     }
 
     /**
-     * 日付が月初の1日かどうかを判定
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {boolean} 月初の1日の場合true
+     * 散布図の概要を生成
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @returns {string} 概要のテキスト（例: '散布図「広告費と売上」。X軸: 広告費。Y軸: 売上。系列: 都心（8件、X 120〜480、Y 2,100〜6,300）。'）
      */
-    isFirstDayOfMonth(dateStr) {
-        const day = dateStr.substring(6, 8);
-        return day === '01';
+    describeScatterChart(scatterChart) {
+        const typeName = scatterChart.getMaxSize() !== null ? 'バブルチャート' : '散布図';
+        const sentences = [scatterChart.title ? `${typeName}「${scatterChart.title}」` : typeName];
+        if (scatterChart.xAxisTitle) {
+            sentences.push(`X軸: ${scatterChart.xAxisTitle}`);
+        }
+        if (scatterChart.yAxisTitle) {
+            sentences.push(`Y軸: ${scatterChart.yAxisTitle}`);
+        }
+        const seriesDescriptions = [];
+        scatterChart.series.forEach((series, index) => {
+            if (series.data.length > 0) {
+                seriesDescriptions.push(this.describeScatterSeries(series, index, scatterChart));
+            }
+        });
+        sentences.push(seriesDescriptions.length > 0 ? `系列: ${seriesDescriptions.join('、')}` : 'データなし');
+        return sentences.join('。') + '。';
     }
 
     /**
-     * 日付文字列（YYYYMMDD形式）をyyyy/MM/dd形式に変換
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {string} yyyy/MM/dd形式の日付文字列
+     * 散布図の系列の概要を生成（系列のグループのaria-labelにも使用）
+     * @param {ScatterSeries} series - 系列
+     * @param {number} index - 系列のインデックス（タイトルがない場合の系列名に使用）
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス（フォーマット・回帰直線の表示に使用）
+     * @returns {string} 概要のテキスト（例: '都心（8件、X 120〜480、Y 2,100〜6,300、回帰直線 y = 12.5x + 640（R² = 0.91））'）
      */
-    formatDateToYYYYMMDD(dateStr) {
-        // YYYY-MM-DD形式またはYYYY/MM/DD形式の場合は正規化
-        let normalized = dateStr;
-        if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            normalized = dateStr.replace(/-/g, '');
-        } else if (dateStr.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            normalized = dateStr.replace(/\//g, '');
+    describeScatterSeries(series, index, scatterChart) {
+        const details = [`${this.formatNumber(series.data.length, '#,##0')}件`];
+        const xExtent = this.getValueExtent(series.data.map(point => point.x));
+        const yExtent = this.getValueExtent(series.data.map(point => point.y));
+        if (xExtent) {
+            details.push(`X ${this.formatNumber(xExtent.min, scatterChart.xAxisFormat)}〜${this.formatNumber(xExtent.max, scatterChart.xAxisFormat)}`);
+            details.push(`Y ${this.formatNumber(yExtent.min, scatterChart.yAxisFormat)}〜${this.formatNumber(yExtent.max, scatterChart.yAxisFormat)}`);
         }
-        
-        // YYYYMMDD形式を期待
-        if (normalized.match(/^\d{8}$/)) {
-            const year = normalized.substring(0, 4);
-            const month = normalized.substring(4, 6);
-            const day = normalized.substring(6, 8);
-            return `${year}/${month}/${day}`;
+        const regression = scatterChart.showRegressionLine ? series.getRegression() : null;
+        if (regression) {
+            details.push(`回帰直線 ${ScatterChart.formatRegression(regression)}`);
         }
-        
-        // フォールバック: そのまま返す
-        return dateStr;
+        const name = series.title || `系列${index + 1}`;
+        return `${name}（${details.join('、')}）`;
     }
 
     /**
-     * 3ヶ月データ用に表示する日付をフィルタリング
-     * @param {string[]} sortedDates - ソート済みの日付配列
-     * @returns {string[]} フィルタリングされた日付配列
+     * 箱ひげ図の概要を生成
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
+     * @returns {string} 概要のテキスト（例: '箱ひげ図「店舗別売上の分布」。Y軸: 売上。系列: 新宿店（25件、中央値 24,100、四分位 21,300〜26,800、外れ値 1件）。'）
      */
-    filterDatesForThreeMonths(sortedDates) {
-        if (sortedDates.length === 0) {
-            return [];
+    describeBoxPlot(boxPlotChart) {
+        const sentences = [boxPlotChart.title ? `箱ひげ図「${boxPlotChart.title}」` : '箱ひげ図'];
+        if (boxPlotChart.yAxisTitle) {
+            sentences.push(`Y軸: ${boxPlotChart.yAxisTitle}`);
         }
-
-        const filteredDates = [];
-        const firstDate = sortedDates[0];
-        const lastDate = sortedDates[sortedDates.length - 1];
-
-        // 最初の日は必ず追加
-        filteredDates.push(firstDate);
-
-        // 中間の日付をフィルタリング
-        for (let i = 1; i < sortedDates.length - 1; i++) {
-            const date = sortedDates[i];
-            // 月初の1日または日曜日の場合は追加
-            if (this.isFirstDayOfMonth(date) || this.isSunday(date)) {
-                filteredDates.push(date);
+        const seriesDescriptions = [];
+        boxPlotChart.series.forEach((series, index) => {
+            const stats = series.getStatistics();
+            if (stats) {
+                seriesDescriptions.push(this.describeBoxPlotSeries(series, index, boxPlotChart, stats));
             }
-        }
+        });
+        sentences.push(seriesDescriptions.length > 0 ? `系列: ${seriesDescriptions.join('、')}` : 'データなし');
+        return sentences.join('。') + '。';
+    }
 
-        // 最後の日は必ず追加（最初の日と同じでない場合）
-        if (lastDate !== firstDate) {
-            filteredDates.push(lastDate);
+    /**
+     * 箱ひげ図の系列の概要を生成（系列のグループのaria-labelにも使用）
+     * @param {BoxPlotSeries} series - 系列
+     * @param {number} index - 系列のインデックス（タイトルがない場合の系列名に使用）
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス（フォーマット用）
+     * @param {Object} stats - 系列の統計量（BoxPlotSeries.getStatisticsの戻り値）
+     * @returns {string} 概要のテキスト（例: '新宿店（25件、中央値 24,100、四分位 21,300〜26,800、外れ値 1件）'）
+     */
+    describeBoxPlotSeries(series, index, boxPlotChart, stats) {
+        const format = boxPlotChart.yAxisFormat;
+        const details = [
+            `${this.formatNumber(stats.count, '#,##0')}件`,
+            `中央値 ${this.formatNumber(stats.median, format)}`,
+            `四分位 ${this.formatNumber(stats.q1, format)}〜${this.formatNumber(stats.q3, format)}`
+        ];
+        if (stats.outliers.length > 0) {
+            details.push(`外れ値 ${this.formatNumber(stats.outliers.length, '#,##0')}件`);
         }
-
-        return filteredDates;
+        const name = series.title || `系列${index + 1}`;
+        return `${name}（${details.join('、')}）`;
     }
 
     /**
-     * 1年データ用に表示する日付をフィルタリング
-     * @param {string[]} sortedDates - ソート済みの日付配列
-     * @returns {string[]} フィルタリングされた日付配列
+     * 円グラフの概要を生成（円グラフのグループのaria-labelにも使用）
+     * サンバーストの場合は最上位の階層のカテゴリを対象とする
+     * @param {PieChart} pieChart - PieChartインスタンス
+     * @returns {string} 概要のテキスト（例: '円グラフ「売上構成」。合計: 1,200。カテゴリ: 食品 420（35.0%）、衣料 300（25.0%）。'）
      */
-    filterDatesForOneYear(sortedDates) {
-        if (sortedDates.length === 0) {
-            return [];
+    describePieChart(pieChart) {
+        const typeName = pieChart.isSunburst() ? 'サンバースト' : '円グラフ';
+        const sentences = [pieChart.title ? `${typeName}「${pieChart.title}」` : typeName];
+        if (!pieChart.data || pieChart.data.length === 0) {
+            sentences.push('データなし');
+            return sentences.join('。') + '。';
         }
+        const percentages = pieChart.getPercentages();
+        const categories = pieChart.labels.map((label, index) =>
+            `${label} ${this.formatNumber(pieChart.data[index], pieChart.valueFormat)}（${this.formatNumber(percentages[index] / 100, pieChart.percentageFormat)}）`
+        );
+        sentences.push(`合計: ${this.formatNumber(pieChart.getTotal(), pieChart.valueFormat)}`);
+        sentences.push(`カテゴリ: ${categories.join('、')}`);
+        return sentences.join('。') + '。';
+    }
 
-        const filteredDates = [];
-        const firstDate = sortedDates[0];
-        const lastDate = sortedDates[sortedDates.length - 1];
+    /**
+     * 描画するデータを表形式で取得（視覚的に隠したデータの表に使用）
+     * - DateChart: 1列目が日付、2列目以降が各系列の値（線グラフ、棒グラフの順）
+     * - ヒストグラム: 1列目が階級（ビンの範囲）、2列目以降が各系列の頻度
+     * - 散布図: 系列、ラベル（ある場合）、X、Y、サイズ（ある場合）の点ごとの行
+     * - 箱ひげ図: 系列ごとの件数・最小値・四分位数・最大値・平均値・外れ値の件数
+     * - 円グラフ: カテゴリ、値、割合（サンバーストの場合は最上位の階層）
+     * @returns {Array<Object>} グラフごとの表の配列 [{caption, headers, rows}, ...]（値はフォーマット済みの文字列）
+     */
+    getAccessibleData() {
+        if (this.pieCharts && this.pieCharts.length > 0) {
+            const pieCharts = this.layout === 'single' ? [this.pieCharts[0]] : this.pieCharts;
+            return pieCharts.map(pieChart => {
+                const percentages = pieChart.getPercentages();
+                return {
+                    caption: pieChart.title || this.getAccessibleTitle(),
+                    headers: ['カテゴリ', '値', '割合'],
+                    rows: pieChart.labels.map((label, index) => [
+                        label,
+                        this.formatNumber(pieChart.data[index], pieChart.valueFormat),
+                        this.formatNumber(percentages[index] / 100, pieChart.percentageFormat)
+                    ])
+                };
+            });
+        }
 
-        // 最初の日は必ず追加
-        filteredDates.push(firstDate);
+        if (this.histogramCharts && this.histogramCharts.length > 0) {
+            const histogramChart = this.histogramCharts[0];
+            const seriesList = histogramChart.series.filter(series => series.data.length > 0);
+            if (seriesList.length === 0) {
+                return [];
+            }
+            const format = histogramChart.xAxisFormat || '#,##0';
+            const dataRange = histogramChart.getDataRange();
+            const bins = histogramChart.calculateBins(dataRange.min, dataRange.max).bins;
+            const frequenciesList = seriesList.map(series => histogramChart.binData(series.data, bins));
+            const rows = [];
+            for (let i = 0; i < bins.length - 1; i++) {
+                const binLabel = `${this.formatNumber(bins[i], format)}〜${this.formatNumber(bins[i + 1], format)}`;
+                rows.push([binLabel, ...frequenciesList.map(frequencies => this.formatNumber(frequencies[i], '#,##0'))]);
+            }
+            return [{
+                caption: histogramChart.title || this.getAccessibleTitle(),
+                headers: [histogramChart.xAxisTitle || '階級', ...seriesList.map(series => series.title || `系列${histogramChart.series.indexOf(series) + 1}`)],
+                rows
+            }];
+        }
 
-        // 中間の日付をフィルタリング
-        for (let i = 1; i < sortedDates.length - 1; i++) {
-            const date = sortedDates[i];
-            // 月初の1日のみを追加（月毎）
-            if (this.isFirstDayOfMonth(date)) {
-                filteredDates.push(date);
+        if (this.scatterCharts && this.scatterCharts.length > 0) {
+            const scatterChart = this.scatterCharts[0];
+            const points = scatterChart.getAllPoints();
+            if (points.length === 0) {
+                return [];
             }
+            // ラベル・サイズの列は値がある場合のみ追加する
+            const hasLabels = points.some(point => point.label);
+            const hasSizes = points.some(point => point.size !== null);
+            const rows = [];
+            scatterChart.series.forEach((series, index) => {
+                for (const point of series.data) {
+                    rows.push([
+                        series.title || `系列${index + 1}`,
+                        ...(hasLabels ? [point.label] : []),
+                        this.formatNumber(point.x, scatterChart.xAxisFormat),
+                        this.formatNumber(point.y, scatterChart.yAxisFormat),
+                        ...(hasSizes ? [point.size !== null ? this.formatNumber(point.size, scatterChart.sizeFormat) : ''] : [])
+                    ]);
+                }
+            });
+            return [{
+                caption: scatterChart.title || this.getAccessibleTitle(),
+                headers: [
+                    '系列',
+                    ...(hasLabels ? ['ラベル'] : []),
+                    scatterChart.xAxisTitle || 'X',
+                    scatterChart.yAxisTitle || 'Y',
+                    ...(hasSizes ? ['サイズ'] : [])
+                ],
+                rows
+            }];
         }
 
-        // 最後の日は必ず追加（最初の日と同じでない場合）
-        if (lastDate !== firstDate) {
-            filteredDates.push(lastDate);
+        if (this.boxPlotCharts && this.boxPlotCharts.length > 0) {
+            const boxPlotChart = this.boxPlotCharts[0];
+            const format = boxPlotChart.yAxisFormat;
+            const rows = [];
+            boxPlotChart.series.forEach((series, index) => {
+                const stats = series.getStatistics();
+                if (!stats) {
+                    return;
+                }
+                rows.push([
+                    series.title || `系列${index + 1}`,
+                    this.formatNumber(stats.count, '#,##0'),
+                    ...[stats.min, stats.q1, stats.median, stats.q3, stats.max, stats.mean].map(value => this.formatNumber(value, format)),
+                    this.formatNumber(stats.outliers.length, '#,##0')
+                ]);
+            });
+            if (rows.length === 0) {
+                return [];
+            }
+            return [{
+                caption: boxPlotChart.title || this.getAccessibleTitle(),
+                headers: [boxPlotChart.xAxisTitle || 'グループ', '件数', '最小', '第1四分位', '中央値', '第3四分位', '最大', '平均', '外れ値'],
+                rows
+            }];
         }
 
-        return filteredDates;
+        return this.getVisibleDateCharts().map(dateChart => {
+            const seriesList = [
+                ...dateChart.lines.map((line, index) => ({ series: line, name: line.title || `系列${index + 1}` })),
+                ...dateChart.bars.map((bar, index) => ({ series: bar, name: bar.title || `系列${index + 1}` })),
+                ...dateChart.areas.map((area, index) => ({ series: area, name: area.title || `系列${index + 1}` }))
+            ].filter(entry => entry.series.getData().length > 0);
+
+            const dateSet = new Set();
+            const valueMaps = seriesList.map(({ series }) => {
+                const valueMap = new Map();
+                for (const item of series.getData()) {
+                    dateSet.add(item.date);
+                    valueMap.set(item.date, item);
+                }
+                return valueMap;
+            });
+
+            const rows = Array.from(dateSet).sort().map(date => [
+                this.formatDateLabel(date, dateChart),
+                ...seriesList.map(({ series }, index) => {
+                    const item = valueMaps[index].get(date);
+                    if (!item || item.value === null) {
+                        return '';
+                    }
+                    const format = series.secondAxis ?
+                        (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+                    return this.formatNumber(item.value, format) + (item.filled ? ' (補完)' : '');
+                })
+            ]);
+
+            return {
+                caption: dateChart.title || this.getAccessibleTitle(),
+                headers: ['日付', ...seriesList.map(entry => entry.name)],
+                rows
+            };
+        });
     }
 
     /**
-     * X軸スケールを描画
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
+     * 視覚的に隠したデータの表を作成（DOMモードのみ）
+     * グラフごとにcaption付きのtable要素を作成し、1つのdiv要素（クラス名'chart-data-table'）にまとめる
+     * @returns {HTMLElement} div要素
      */
-    renderXAxis(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
-            return;
+    createAccessibleTable() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'chart-data-table';
+        wrapper.setAttribute('style', ChartCanvas.VISUALLY_HIDDEN_STYLE);
+
+        for (const tableData of this.getAccessibleData()) {
+            const table = document.createElement('table');
+            const caption = document.createElement('caption');
+            caption.textContent = tableData.caption;
+            table.appendChild(caption);
+
+            const thead = document.createElement('thead');
+            const headerRow = document.createElement('tr');
+            for (const header of tableData.headers) {
+                const th = document.createElement('th');
+                th.setAttribute('scope', 'col');
+                th.textContent = header;
+                headerRow.appendChild(th);
+            }
+            thead.appendChild(headerRow);
+            table.appendChild(thead);
+
+            const tbody = document.createElement('tbody');
+            for (const row of tableData.rows) {
+                const tr = document.createElement('tr');
+                row.forEach((value, index) => {
+                    // 1列目（日付・階級・カテゴリ）は行の見出しにする
+                    const cell = document.createElement(index === 0 ? 'th' : 'td');
+                    if (index === 0) {
+                        cell.setAttribute('scope', 'row');
+                    }
+                    cell.textContent = value;
+                    tr.appendChild(cell);
+                });
+                tbody.appendChild(tr);
+            }
+            table.appendChild(tbody);
+            wrapper.appendChild(table);
         }
 
-        const dateChart = this.dateCharts[0];
-        const tickLineLength = 5; // 目盛り線の長さ
-        const fontSize = ChartCanvas.FONT_SIZE_SMALL;
-        const labelMargin = 5; // ラベルと目盛り線の間隔
-
-        // X軸の線を描画: (0,0)から(1,0)へ
-        const xAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        xAxisLine.setAttribute('x1', plotArea.originX);
-        xAxisLine.setAttribute('y1', plotArea.originY);
-        xAxisLine.setAttribute('x2', plotArea.topRightX);
-        xAxisLine.setAttribute('y2', plotArea.originY);
-        xAxisLine.setAttribute('stroke', '#000');
-        xAxisLine.setAttribute('stroke-width', '1');
-        svg.appendChild(xAxisLine);
+        return wrapper;
+    }
 
-        // X軸のスケールラベルを計算（すべての系列から日付を収集）
-        const dateSet = new Set();
-        for (const line of dateChart.lines) {
-            for (const item of line.data) {
-                dateSet.add(item.date);
-            }
-        }
-        for (const bar of dateChart.bars) {
-            for (const item of bar.data) {
-                dateSet.add(item.date);
-            }
+    /**
+     * 現在のSVG要素を取得
+     * @returns {SVGElement|VirtualSVGElement|null} SVG要素
+     */
+    getSVGElement() {
+        if (this.container) {
+            return this.container.querySelector('svg') || this.currentSvg || null;
         }
+        return this.currentSvg || null;
+    }
 
-        if (dateSet.size === 0) {
-            return; // データがない場合は何も描画しない
+    /**
+     * SVGを文字列として取得
+     * @returns {string} SVGの文字列表現
+     */
+    getSVGString() {
+        const svg = this.getSVGElement();
+        if (!svg) {
+            return '';
+        }
+        
+        // SVG要素をクローン
+        const clonedSvg = svg.cloneNode(true);
+        
+        // XML文字列に変換
+        let svgString;
+        if (clonedSvg instanceof VirtualSVGElement) {
+            // 仮想DOM要素の場合は直接XML文字列を生成
+            svgString = clonedSvg.toXMLString();
+        } else if (typeof XMLSerializer !== 'undefined') {
+            // ブラウザ環境の場合はXMLSerializerを使用
+            const serializer = new XMLSerializer();
+            svgString = serializer.serializeToString(clonedSvg);
+        } else {
+            // フォールバック: 手動でXML文字列を構築
+            svgString = clonedSvg.outerHTML || '';
         }
+        
+        // XML宣言を追加
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + svgString;
+    }
 
-        // 日付をソート
-        const sortedDates = Array.from(dateSet).sort();
+    /**
+     * SVGをファイルとしてダウンロード
+     * @param {string} filename - ファイル名（デフォルト: 'chart.svg'）
+     */
+    downloadSVG(filename = 'chart.svg') {
+        const svgString = this.getSVGString();
+        if (!svgString) {
+            console.error('SVGが生成されていません。先にrender()を呼び出してください。');
+            return;
+        }
+        
+        // Blobを作成
+        const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        
+        // ダウンロードリンクを作成してクリック
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // URLを解放
+        URL.revokeObjectURL(url);
+    }
 
-        // 各ラベルの位置を計算して目盛り線を描画
-        const minDate = sortedDates[0];
-        const maxDate = sortedDates[sortedDates.length - 1];
-        const minDateValue = this.parseDate(minDate);
-        const maxDateValue = this.parseDate(maxDate);
-        const dateRange = maxDateValue - minDateValue;
+    /**
+     * SVGをサーバーにアップロード
+     * @param {string} filename - サーバー側のファイル名（デフォルト: 'chart.svg'）
+     * @returns {Promise<string>} アップロード結果のメッセージ
+     */
+    async uploadSVG(filename = 'chart.svg') {
+        const svgString = this.getSVGString();
+        if (!svgString) {
+            throw new Error('SVGが生成されていません。先にrender()を呼び出してください。');
+        }
         
-        // 日付の範囲を拡張して、最初と最後の日付に余裕を持たせる
-        // 最初の日付の0.5日前から最後の日付の0.5日後までの範囲でマッピング
-        const extendedMinDateValue = minDateValue - 0.5;
-        const extendedMaxDateValue = maxDateValue + 0.5;
-        const extendedDateRange = extendedMaxDateValue - extendedMinDateValue;
+        // FormDataを作成
+        const formData = new FormData();
+        const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
+        formData.append('svg', blob, filename);
+        
+        // サーバーにアップロード
+        const response = await fetch('/upload-svg', {
+            method: 'POST',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`アップロードに失敗しました: ${response.status} ${errorText}`);
+        }
+        
+        const result = await response.json();
+        return result.message || 'アップロード成功';
+    }
 
-        // データの期間に応じてフィルタリング
-        let datesToRender = sortedDates;
-        if (dateRange >= 60 && dateRange <= 120) {
-            // 3ヶ月データ（60日〜120日）の場合は月初の1日と日曜日を表示
-            datesToRender = this.filterDatesForThreeMonths(sortedDates);
-        } else if (dateRange > 120) {
-            // 1年データ（120日超）の場合は月初の1日のみを表示（月毎）
-            datesToRender = this.filterDatesForOneYear(sortedDates);
+    /**
+     * 数値をフォーマット（Excel形式の書式文字列）
+     * 対応している書式:
+     *   - 数値のプレースホルダー: '0'（必ず表示）, '#'（不要な0は表示しない）, '?'（不要な0は空白）
+     *   - 小数点: '.'（例: '0.00'）、桁区切り: 数値の間の','（例: '#,##0'）
+     *   - スケーリング: 数値の後の','ごとに1/1000（例: '#,##0,"K"', '0.0,,"M"'）
+     *   - パーセント: '%'ごとに100倍（例: '0.0%'）
+     *   - 指数表記: 'E+'・'E-'の後に指数のプレースホルダー（例: '0.00E+00', '##0.0E+0'）
+     *   - リテラル: "..."で囲んだ文字列、'\'でエスケープした文字、その他の記号（例: '¥#,##0', '0"件"'）
+     *   - セクション: ';'で区切り、正の値;負の値;ゼロ（例: '#,##0;(#,##0)'）
+     *   - [Red]などの角括弧は無視、'General'は数値をそのまま表示
+     * 小数点と桁区切りの文字は、localeプロパティに応じて置き換える
+     * @param {number} value - 数値
+     * @param {string} format - フォーマット文字列（例: '#,##0', '0.0%', '¥#,##0;-¥#,##0'）
+     * @param {number} minDecimalPlaces - 小数部の最小の桁数（書式の桁数より多い場合は'0'を追加する、デフォルト: 0）
+     * @returns {string} フォーマットされた文字列
+     */
+    formatNumber(value, format, minDecimalPlaces = 0) {
+        if (format === undefined || format === null || format === '' || typeof value !== 'number' || !isFinite(value)) {
+            return String(value);
         }
 
-        // 各日付ごとに目盛り線とラベルを描画
-        let prevYear = '';
-        let prevMonth = '';
+        const sections = this.parseNumberFormat(format);
 
-        for (let i = 0; i < datesToRender.length; i++) {
-            const date = datesToRender[i];
-            const dateValue = this.parseDate(date);
-            
-            // 日付をYYYYMMDD形式に正規化
-            let normalizedDate = date;
-            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                normalizedDate = date.replace(/-/g, '');
-            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-                normalizedDate = date.replace(/\//g, '');
-            }
-            
-            const year = normalizedDate.substring(0, 4);
-            const month = normalizedDate.substring(4, 6);
-            const day = normalizedDate.substring(6, 8);
-            
-            // 描画エリア内での位置を計算（拡張された範囲で0.0から1.0の範囲）
-            const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
-            
-            // 実際のX座標を計算
-            const x = plotArea.originX + ratio * plotArea.width;
+        // 値に応じてセクションを選択（負のセクションがある場合は絶対値を使用）
+        let section = sections[0];
+        let useAbsolute = false;
+        if (value < 0 && sections.length >= 2) {
+            section = sections[1];
+            useAbsolute = true;
+        } else if (value === 0 && sections.length >= 3) {
+            section = sections[2];
+        }
 
-            // 目盛り線を描画
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', x);
-            tickLine.setAttribute('y1', plotArea.originY);
-            tickLine.setAttribute('x2', x);
-            tickLine.setAttribute('y2', plotArea.originY + tickLineLength);
-            tickLine.setAttribute('stroke', '#000');
-            tickLine.setAttribute('stroke-width', '1');
-            svg.appendChild(tickLine);
+        if (section.general) {
+            const general = String(useAbsolute ? Math.abs(value) : value);
+            return section.prefix + general.replace('.', this.getNumberSeparators().decimal) + section.suffix;
+        }
 
-            // ラベルを描画
-            let firstLineText = day; // 1段目: 常に日付のみ
-            let secondLineText = ''; // 2段目: 最初、年・月の変わり目のみ
+        if (minDecimalPlaces > section.decimalPlaceholders.length && !section.exponent) {
+            const decimalPlaceholders = section.decimalPlaceholders.concat(
+                new Array(minDecimalPlaces - section.decimalPlaceholders.length).fill('0'));
+            section = { ...section, decimalPlaceholders };
+        }
 
-            if (i === 0) {
-                // 最初の日付: 2段目に年/月/日
-                secondLineText = `${year}/${month}/${day}`;
-            } else {
-                // 年が変わった場合: 2段目に年/月/日
-                if (year !== prevYear) {
-                    secondLineText = `${year}/${month}/${day}`;
-                }
-                // 月が変わった場合: 2段目に月/日
-                else if (month !== prevMonth) {
-                    secondLineText = `${month}/${day}`;
-                }
-                // 同じ年・月の場合: 2段目は何も書かない
-            }
+        const formatted = this.formatNumberSection(Math.abs(value), section);
 
-            // 1段目（日付のみ）を描画
-            const firstLineElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            firstLineElement.setAttribute('class', 'chart-text');
-            firstLineElement.setAttribute('x', x);
-            firstLineElement.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + fontSize);
-            firstLineElement.setAttribute('text-anchor', 'middle');
-            firstLineElement.setAttribute('style', `font-size: ${fontSize}px;`);
-            firstLineElement.textContent = firstLineText;
-            svg.appendChild(firstLineElement);
+        // 負のセクションがない場合は'-'を先頭に付ける（丸めて0になる場合は付けない）
+        const isNegative = value < 0 && !useAbsolute && /[1-9]/.test(formatted);
+        return (isNegative ? '-' : '') + formatted;
+    }
 
-            // 2段目（年/月/日または月/日）を描画（変わり目と最初のみ）
-            if (secondLineText) {
-                const secondLineElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-                secondLineElement.setAttribute('class', 'chart-text');
-                secondLineElement.setAttribute('x', x);
-                secondLineElement.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + fontSize * 2);
-                secondLineElement.setAttribute('text-anchor', 'middle');
-                secondLineElement.setAttribute('style', `font-size: ${fontSize}px;`);
-                secondLineElement.textContent = secondLineText;
-                svg.appendChild(secondLineElement);
-            }
+    /**
+     * 軸の目盛りラベルをフォーマット
+     * 書式の小数部の桁数が足りないと目盛りが同じ値（0など）になるため、目盛りを区別できる桁数まで小数部を増やす
+     *   - 対数軸: 1未満の目盛りごとに、その目盛りを表示できる桁数（例: '#,##0'で0.01 → '0.01'）
+     *   - 線形の軸: 目盛りの間隔の小数部の桁数（例: '#,##0'で0.05刻み → '0.05', '0.10', ...）
+     * @param {number} value - 目盛りの値
+     * @param {string} format - フォーマット文字列
+     * @param {Object} scale - 軸のスケール情報 {type, tickInterval, ...}
+     * @returns {string} フォーマットされた文字列
+     */
+    formatAxisLabel(value, format, scale) {
+        if (!scale || !format) {
+            return this.formatNumber(value, format);
+        }
 
-            prevYear = year;
-            prevMonth = month;
+        const section = this.parseNumberFormat(format)[0];
+        if (section.general || !section.hasDigits || section.exponent) {
+            return this.formatNumber(value, format);
+        }
+
+        // パーセントやスケーリングを適用した後の値で必要な小数部の桁数を求める
+        const multiplier = Math.pow(100, section.percentCount) / Math.pow(1000, section.scaleCount);
+        let requiredPlaces = 0;
+        if (scale.type === 'log') {
+            if (value > 0) {
+                requiredPlaces = Math.max(0, -Math.floor(Math.log10(value * multiplier) + 1e-9));
+            }
+        } else if (scale.tickInterval > 0) {
+            const interval = scale.tickInterval * multiplier;
+            while (requiredPlaces < 10 &&
+                Math.abs(Math.round(interval * Math.pow(10, requiredPlaces)) - interval * Math.pow(10, requiredPlaces)) > 1e-6) {
+                requiredPlaces++;
+            }
         }
+        return this.formatNumber(value, format, requiredPlaces);
     }
 
     /**
-     * Y軸スケールを描画
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
+     * 数値フォーマットの1つのセクションで絶対値をフォーマット
+     * @param {number} absValue - 数値の絶対値
+     * @param {Object} section - parseNumberFormatで解析したセクション
+     * @returns {string} フォーマットされた文字列
      */
-    renderYAxis(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
-            return;
+    formatNumberSection(absValue, section) {
+        // プレースホルダーがない場合はリテラルのみ
+        if (!section.hasDigits) {
+            return section.prefix + section.suffix;
         }
 
-        const dateChart = this.dateCharts[0];
-        const tickLineLength = 5; // 目盛り線の長さ
-        const fontSize = ChartCanvas.FONT_SIZE_SMALL;
-        const labelMargin = 5; // ラベルと目盛り線の間隔
+        const separators = this.getNumberSeparators();
+        const scaled = absValue * Math.pow(100, section.percentCount) / Math.pow(1000, section.scaleCount);
+        const decimalPlaces = section.decimalPlaceholders.length;
+
+        // 指数表記の場合は仮数と指数に分ける
+        let mantissa = scaled;
+        let exponentText = '';
+        if (section.exponent) {
+            const { exponent } = section;
+            // 整数部のプレースホルダーが'#'で始まる複数桁の場合は指数をその桁数の倍数にする（例: '##0.0E+0'）
+            const step = section.integerPlaceholders.length > 1 && section.integerPlaceholders[0] === '#' ?
+                section.integerPlaceholders.length : 1;
+            const integerDigits = step > 1 ? 1 : Math.max(1, section.minIntegerDigits);
+            let power = 0;
+            if (scaled !== 0) {
+                const magnitude = Math.floor(Math.log10(scaled));
+                power = step > 1 ? Math.floor(magnitude / step) * step : magnitude - (integerDigits - 1);
+                mantissa = this.roundDecimal(scaled / Math.pow(10, power), decimalPlaces);
+                // 丸めで仮数の桁が増えた場合（例: 9.996 → 10.00）は指数を繰り上げる
+                if (mantissa >= Math.pow(10, step > 1 ? step : integerDigits)) {
+                    power += step;
+                    mantissa = this.roundDecimal(scaled / Math.pow(10, power), decimalPlaces);
+                }
+            }
+            const sign = power < 0 ? '-' : (exponent.sign === '+' ? '+' : '');
+            exponentText = exponent.char + sign + String(Math.abs(power)).padStart(exponent.minDigits, '0');
+        }
 
-        // Y軸の線を描画: (0,0)から(0,1)へ
-        const yAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        yAxisLine.setAttribute('x1', plotArea.originX);
-        yAxisLine.setAttribute('y1', plotArea.originY);
-        yAxisLine.setAttribute('x2', plotArea.originX);
-        yAxisLine.setAttribute('y2', plotArea.topRightY);
-        yAxisLine.setAttribute('stroke', '#000');
-        yAxisLine.setAttribute('stroke-width', '1');
-        svg.appendChild(yAxisLine);
+        // 小数部の桁数で丸める
+        const fixed = this.roundDecimal(mantissa, decimalPlaces).toFixed(decimalPlaces);
+        let [integerPart, fractionPart = ''] = fixed.split('.');
 
-        // Y軸のスケールを取得（主軸）
-        const primaryScale = dateChart.calculateYAxisScale(false);
-        const yAxisFormat = dateChart.yAxisFormat || '#,##0';
-        const plotHeight = plotArea.height;
+        // 小数部: 末尾の'#'は0を削除、'?'は0を空白に置き換え
+        let fractionChars = fractionPart.split('');
+        for (let i = fractionChars.length - 1; i >= 0 && fractionChars[i] === '0'; i--) {
+            const placeholder = section.decimalPlaceholders[i];
+            if (placeholder === '0') {
+                break;
+            }
+            fractionChars[i] = placeholder === '?' ? ' ' : '';
+        }
+        fractionPart = fractionChars.join('');
 
-        // 各ラベルの位置を計算して目盛り線とラベルを描画
-        for (const labelValue of primaryScale.labels) {
-            // ラベルの値を0からmaxまでの範囲で正規化（0.0から1.0）
-            const ratio = primaryScale.max > 0 ? labelValue / primaryScale.max : 0;
-            
-            // 実際のY座標を計算（下から上に向かって）
-            // 原点が下なので、1.0 - ratioで反転
-            const y = plotArea.originY - ratio * plotHeight;
+        // 整数部: '0'の数まで0埋め、'?'の数まで空白埋め
+        if (integerPart === '0' && section.minIntegerDigits === 0) {
+            integerPart = '';
+        }
+        integerPart = integerPart.padStart(section.minIntegerDigits, '0');
+        if (section.grouping && !section.exponent) {
+            integerPart = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, separators.group);
+        }
+        integerPart = integerPart.padStart(section.minIntegerDigits + section.spaceIntegerDigits, ' ');
 
-            // 目盛り線を描画（Y軸の左側に短い線）
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', plotArea.originX);
-            tickLine.setAttribute('y1', y);
-            tickLine.setAttribute('x2', plotArea.originX - tickLineLength);
-            tickLine.setAttribute('y2', y);
-            tickLine.setAttribute('stroke', '#000');
-            tickLine.setAttribute('stroke-width', '1');
-            svg.appendChild(tickLine);
+        // 整数部も小数部もない場合（'#'のみで値が0の場合など）は何も表示しない
+        const number = fractionPart ? integerPart + separators.decimal + fractionPart : integerPart;
+        return section.prefix + number + exponentText + section.suffix;
+    }
 
-            // ラベルを描画（目盛り線の左側）
-            const formattedLabel = this.formatNumber(labelValue, yAxisFormat);
-            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
-            labelText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin);
-            labelText.setAttribute('y', y);
-            labelText.setAttribute('text-anchor', 'end');
-            labelText.setAttribute('dominant-baseline', 'middle');
-            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
-            labelText.textContent = formattedLabel;
-            svg.appendChild(labelText);
+    /**
+     * 数値を指定した小数の桁数で四捨五入（10進数で丸める）
+     * toFixed()は2進数の値で丸めるため、1.005が1.00になる。有効数字15桁の10進数として丸める
+     * @param {number} value - 数値（0以上）
+     * @param {number} decimalPlaces - 小数の桁数
+     * @returns {number} 丸めた数値
+     */
+    roundDecimal(value, decimalPlaces) {
+        if (!isFinite(value) || value >= 1e15) {
+            return value;
         }
+        const [digits, exponent] = value.toExponential(14).split('e');
+        const shifted = Math.round(Number(`${digits}e${Number(exponent) + decimalPlaces}`));
+        return Number(`${shifted}e-${decimalPlaces}`);
+    }
 
-        // Y軸の単位を表示（(0,1)の上の延長線上、サブタイトルと同じY座標）
-        if (dateChart.yAxisScale) {
-            // サブタイトルのY座標を計算
-            const topMargin = 10;
-            let subtitleY = fontSize + topMargin;
-            if (this.title) {
-                subtitleY += fontSize + 5;
-            }
+    /**
+     * 数値フォーマットを解析（結果はキャッシュする）
+     * @param {string} format - フォーマット文字列
+     * @returns {Array<Object>} セクションの配列
+     *   [{prefix, suffix, hasDigits, minIntegerDigits, spaceIntegerDigits, integerPlaceholders, decimalPlaceholders, grouping, scaleCount, percentCount, exponent, general}, ...]
+     */
+    parseNumberFormat(format) {
+        if (this.numberFormatCache[format]) {
+            return this.numberFormatCache[format];
+        }
 
-            const unitText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            unitText.setAttribute('class', 'chart-text');
-            unitText.setAttribute('x', plotArea.originX);
-            unitText.setAttribute('y', subtitleY);
-            unitText.setAttribute('text-anchor', 'end');
-            unitText.setAttribute('style', `font-size: ${fontSize}px;`);
-            unitText.textContent = `(${dateChart.yAxisScale})`;
-            svg.appendChild(unitText);
+        // トークンに分割（引用符とエスケープを考慮し、';'でセクションに分割）
+        const sectionTokens = [[]];
+        for (let i = 0; i < format.length; i++) {
+            const ch = format[i];
+            const tokens = sectionTokens[sectionTokens.length - 1];
+            if (ch === '"') {
+                const end = format.indexOf('"', i + 1);
+                const text = end === -1 ? format.slice(i + 1) : format.slice(i + 1, end);
+                tokens.push({ type: 'literal', text });
+                i = end === -1 ? format.length : end;
+            } else if (ch === '\\') {
+                tokens.push({ type: 'literal', text: format[i + 1] || '' });
+                i++;
+            } else if (ch === '_') {
+                // 次の文字の幅の空白
+                tokens.push({ type: 'literal', text: ' ' });
+                i++;
+            } else if (ch === '*') {
+                // 繰り返し文字は無視
+                i++;
+            } else if (ch === '[') {
+                // [Red]などの色・条件は無視
+                const end = format.indexOf(']', i + 1);
+                i = end === -1 ? format.length : end;
+            } else if (ch === ';') {
+                sectionTokens.push([]);
+            } else if (ch === '0' || ch === '#' || ch === '?') {
+                tokens.push({ type: 'digit', char: ch });
+            } else if (ch === '.') {
+                tokens.push({ type: 'point' });
+            } else if (ch === ',') {
+                tokens.push({ type: 'comma' });
+            } else if (ch === '%') {
+                tokens.push({ type: 'percent' });
+            } else if ((ch === 'E' || ch === 'e') && (format[i + 1] === '+' || format[i + 1] === '-')) {
+                tokens.push({ type: 'exponent', char: ch, sign: format[i + 1] });
+                i++;
+            } else if (/^general$/i.test(format.slice(i, i + 7))) {
+                tokens.push({ type: 'general' });
+                i += 6;
+            } else {
+                tokens.push({ type: 'literal', text: ch });
+            }
         }
+
+        const sections = sectionTokens.slice(0, 3).map(tokens => this.parseNumberFormatSection(tokens));
+        this.numberFormatCache[format] = sections;
+        return sections;
     }
 
     /**
-     * 右スケール（副軸）を描画
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
+     * 数値フォーマットの1つのセクションのトークンを解析
+     * @param {Array<Object>} tokens - トークンの配列
+     * @returns {Object} セクションの情報
      */
-    renderRightYAxis(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
-            return;
-        }
-
-        const dateChart = this.dateCharts[0];
-        
-        // 副軸が有効でない場合は何も描画しない
-        if (!dateChart.secondAxis) {
-            return;
-        }
-
-        const tickLineLength = 5; // 目盛り線の長さ
-        const fontSize = ChartCanvas.FONT_SIZE_SMALL;
-        const labelMargin = 5; // ラベルと目盛り線の間隔
-
-        // 右スケールの線を描画: (1,0)から(1,1)へ
-        const rightYAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        rightYAxisLine.setAttribute('x1', plotArea.topRightX);
-        rightYAxisLine.setAttribute('y1', plotArea.originY);
-        rightYAxisLine.setAttribute('x2', plotArea.topRightX);
-        rightYAxisLine.setAttribute('y2', plotArea.topRightY);
-        rightYAxisLine.setAttribute('stroke', '#000');
-        rightYAxisLine.setAttribute('stroke-width', '1');
-        svg.appendChild(rightYAxisLine);
-
-        // 右スケールのスケールを取得（副軸）
-        const secondaryScale = dateChart.calculateYAxisScale(true);
-        const secondAxisFormat = dateChart.secondAxisFormat || '#,##0';
-        const plotHeight = plotArea.height;
-
-        // 各ラベルの位置を計算して目盛り線とラベルを描画
-        for (const labelValue of secondaryScale.labels) {
-            // ラベルの値を0からmaxまでの範囲で正規化（0.0から1.0）
-            const ratio = secondaryScale.max > 0 ? labelValue / secondaryScale.max : 0;
-            
-            // 実際のY座標を計算（下から上に向かって）
-            // 原点が下なので、1.0 - ratioで反転
-            const y = plotArea.originY - ratio * plotHeight;
-
-            // 目盛り線を描画（右スケールの右側に短い線）
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', plotArea.topRightX);
-            tickLine.setAttribute('y1', y);
-            tickLine.setAttribute('x2', plotArea.topRightX + tickLineLength);
-            tickLine.setAttribute('y2', y);
-            tickLine.setAttribute('stroke', '#000');
-            tickLine.setAttribute('stroke-width', '1');
-            svg.appendChild(tickLine);
+    parseNumberFormatSection(tokens) {
+        const section = {
+            prefix: '',
+            suffix: '',
+            hasDigits: false,
+            minIntegerDigits: 0,
+            spaceIntegerDigits: 0,
+            integerPlaceholders: '',
+            decimalPlaceholders: [],
+            grouping: false,
+            scaleCount: 0,
+            percentCount: 0,
+            exponent: null,
+            general: false
+        };
 
-            // ラベルを描画（目盛り線の右側）
-            const formattedLabel = this.formatNumber(labelValue, secondAxisFormat);
-            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
-            labelText.setAttribute('x', plotArea.topRightX + tickLineLength + labelMargin);
-            labelText.setAttribute('y', y);
-            labelText.setAttribute('text-anchor', 'start');
-            labelText.setAttribute('dominant-baseline', 'middle');
-            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
-            labelText.textContent = formattedLabel;
-            svg.appendChild(labelText);
-        }
+        const firstDigit = tokens.findIndex(token => token.type === 'digit');
+        section.hasDigits = firstDigit !== -1;
 
-        // 右スケールの単位を表示（(1,1)の上の延長線上、サブタイトルと同じY座標）
-        if (dateChart.secondAxisScale) {
-            // サブタイトルのY座標を計算
-            const topMargin = 10;
-            let subtitleY = fontSize + topMargin;
-            if (this.title) {
-                subtitleY += fontSize + 5;
+        // 指定した位置より後ろ（小数点まで）に数値のプレースホルダーがあるか
+        const hasIntegerDigitAfter = (index) => {
+            for (let j = index + 1; j < tokens.length; j++) {
+                if (tokens[j].type === 'point' || tokens[j].type === 'exponent') return false;
+                if (tokens[j].type === 'digit') return true;
             }
+            return false;
+        };
 
-            const unitText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            unitText.setAttribute('class', 'chart-text');
-            unitText.setAttribute('x', plotArea.topRightX);
-            unitText.setAttribute('y', subtitleY);
-            unitText.setAttribute('text-anchor', 'start');
-            unitText.setAttribute('style', `font-size: ${fontSize}px;`);
-            unitText.textContent = `(${dateChart.secondAxisScale})`;
-            svg.appendChild(unitText);
-        }
-    }
-
-    /**
-     * DateChartのグリッド線を描画
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
-     */
-    renderDateChartGrid(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
-            return;
-        }
+        let inFraction = false;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const prev = tokens[i - 1];
+            const next = tokens[i + 1];
 
-        const dateChart = this.dateCharts[0];
-        const gridColor = '#e0e0e0'; // 薄いグレー
-        const gridStrokeWidth = 1;
-        const gridDashArray = '2,2'; // 破線
+            if (token.type === 'general') {
+                section.general = true;
+                continue;
+            }
 
-        // X軸のグリッド線を描画
-        if (dateChart.xGrid) {
-            // X軸のスケールラベル位置にグリッド線を描画
-            const dateSet = new Set();
-            for (const line of dateChart.lines) {
-                for (const item of line.data) {
-                    dateSet.add(item.date);
+            if (token.type === 'exponent') {
+                if (section.exponent || !section.hasDigits || i < firstDigit) {
+                    throw new Error(`Invalid number format: ${token.char}${token.sign} must follow digit placeholders`);
                 }
-            }
-            for (const bar of dateChart.bars) {
-                for (const item of bar.data) {
-                    dateSet.add(item.date);
+                // 指数の後に続くプレースホルダーは指数の最小桁数
+                section.exponent = { char: token.char, sign: token.sign, minDigits: 0 };
+                while (tokens[i + 1] && tokens[i + 1].type === 'digit') {
+                    section.exponent.minDigits += tokens[i + 1].char === '0' ? 1 : 0;
+                    i++;
+                }
+                if (tokens[i].type !== 'digit') {
+                    throw new Error(`Invalid number format: ${token.char}${token.sign} must be followed by digit placeholders`);
                 }
+                continue;
             }
 
-            if (dateSet.size > 0) {
-                const sortedDates = Array.from(dateSet).sort();
-                const minDate = sortedDates[0];
-                const maxDate = sortedDates[sortedDates.length - 1];
-                const minDateValue = this.parseDate(minDate);
-                const maxDateValue = this.parseDate(maxDate);
-                const extendedMinDateValue = minDateValue - 0.5;
-                const extendedMaxDateValue = maxDateValue + 0.5;
-                const extendedDateRange = extendedMaxDateValue - extendedMinDateValue;
-
-                // データの期間に応じてフィルタリング
-                const dateRange = maxDateValue - minDateValue;
-                let datesToRender = sortedDates;
-                if (dateRange >= 60 && dateRange <= 120) {
-                    datesToRender = this.filterDatesForThreeMonths(sortedDates);
-                } else if (dateRange > 120) {
-                    datesToRender = this.filterDatesForOneYear(sortedDates);
+            if (token.type === 'digit') {
+                if (inFraction) {
+                    section.decimalPlaceholders.push(token.char);
+                } else {
+                    section.integerPlaceholders += token.char;
+                    if (token.char === '0') {
+                        section.minIntegerDigits++;
+                    } else if (token.char === '?') {
+                        section.spaceIntegerDigits++;
+                    }
                 }
+                continue;
+            }
 
-                for (const date of datesToRender) {
-                    const dateValue = this.parseDate(date);
-                    const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
-                    const x = plotArea.originX + ratio * plotArea.width;
+            // 数値に隣接する最初の小数点
+            if (token.type === 'point' && !inFraction &&
+                ((prev && prev.type === 'digit') || (next && next.type === 'digit'))) {
+                inFraction = true;
+                continue;
+            }
 
-                    const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    gridLine.setAttribute('x1', x);
-                    gridLine.setAttribute('y1', plotArea.topRightY);
-                    gridLine.setAttribute('x2', x);
-                    gridLine.setAttribute('y2', plotArea.originY);
-                    gridLine.setAttribute('stroke', gridColor);
-                    gridLine.setAttribute('stroke-width', gridStrokeWidth);
-                    gridLine.setAttribute('stroke-dasharray', gridDashArray);
-                    svg.appendChild(gridLine);
+            // 数値の直後のカンマ
+            if (token.type === 'comma' && prev && ['digit', 'comma', 'point'].includes(prev.type) && i > firstDigit) {
+                if (!inFraction && hasIntegerDigitAfter(i)) {
+                    // 整数部の数値の間のカンマ: 桁区切り
+                    section.grouping = true;
+                } else {
+                    // 数値の後ろのカンマ: 1/1000にスケーリング
+                    section.scaleCount++;
                 }
+                continue;
             }
-        }
-
-        // Y軸のグリッド線を描画（主軸）
-        if (dateChart.yGrid) {
-            const primaryScale = dateChart.calculateYAxisScale(false);
-            const plotHeight = plotArea.height;
 
-            for (const labelValue of primaryScale.labels) {
-                const ratio = primaryScale.max > 0 ? labelValue / primaryScale.max : 0;
-                const y = plotArea.originY - ratio * plotHeight;
+            if (token.type === 'percent') {
+                section.percentCount++;
+            }
 
-                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                gridLine.setAttribute('x1', plotArea.originX);
-                gridLine.setAttribute('y1', y);
-                gridLine.setAttribute('x2', plotArea.topRightX);
-                gridLine.setAttribute('y2', y);
-                gridLine.setAttribute('stroke', gridColor);
-                gridLine.setAttribute('stroke-width', gridStrokeWidth);
-                gridLine.setAttribute('stroke-dasharray', gridDashArray);
-                svg.appendChild(gridLine);
+            // リテラル（数値の前はprefix、それ以外はsuffix）
+            const text = token.type === 'literal' ? token.text :
+                token.type === 'percent' ? '%' :
+                token.type === 'comma' ? ',' : '.';
+            if (!section.hasDigits || i < firstDigit) {
+                section.prefix += text;
+            } else {
+                section.suffix += text;
             }
         }
+
+        return section;
     }
 
     /**
-     * 日付をグループ化（連続する日付をグループ化）
-     * @param {string[]} dates - 日付の配列（'YYYYMMDD'形式）
-     * @returns {Array<Array<string>>} グループ化された日付の配列
+     * localeに応じた小数点と桁区切りの文字を取得
+     * @returns {Object} {decimal, group}
      */
-    groupDates(dates) {
-        if (dates.length === 0) {
-            return [];
-        }
-
-        // 最初の日付を正規化
-        let firstDate = dates[0];
-        if (firstDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            firstDate = firstDate.replace(/-/g, '');
-        } else if (firstDate.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            firstDate = firstDate.replace(/\//g, '');
+    getNumberSeparators() {
+        const locale = this.locale || '';
+        if (this.numberSeparatorsCache[locale]) {
+            return this.numberSeparatorsCache[locale];
         }
-        
-        const groups = [];
-        let currentGroup = [dates[0]];
-        let currentYear = firstDate.substring(0, 4);
-        let currentMonth = firstDate.substring(4, 6);
-
-        for (let i = 1; i < dates.length; i++) {
-            const date = dates[i];
-            // 日付を正規化
-            let normalizedDate = date;
-            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                normalizedDate = date.replace(/-/g, '');
-            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-                normalizedDate = date.replace(/\//g, '');
-            }
-            const year = normalizedDate.substring(0, 4);
-            const month = normalizedDate.substring(4, 6);
-            const prevDate = dates[i - 1];
-            const prevDateValue = this.parseDate(prevDate);
-            const currentDateValue = this.parseDate(date);
 
-            // 連続する日付で、同じ年・月の場合は同じグループ
-            if (currentDateValue === prevDateValue + 1 && year === currentYear && month === currentMonth) {
-                currentGroup.push(date);
-            } else {
-                // 新しいグループを開始
-                groups.push(currentGroup);
-                currentGroup = [date];
-                currentYear = year;
-                currentMonth = month;
+        let separators = { decimal: '.', group: ',' };
+        if (locale && typeof Intl !== 'undefined' && Intl.NumberFormat) {
+            try {
+                const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+                const decimalPart = parts.find(part => part.type === 'decimal');
+                const groupPart = parts.find(part => part.type === 'group');
+                separators = {
+                    decimal: decimalPart ? decimalPart.value : '.',
+                    group: groupPart ? groupPart.value : ','
+                };
+            } catch (error) {
+                console.warn(`ロケール「${locale}」が不正なため、既定の区切り文字を使用します`);
             }
         }
-        groups.push(currentGroup);
 
-        return groups;
+        this.numberSeparatorsCache[locale] = separators;
+        return separators;
     }
 
     /**
-     * 日付グループのラベルを2段でフォーマット
-     * @param {string[]} dateGroup - 日付のグループ（'YYYYMMDD'形式の配列）
-     * @returns {Object} {firstLine: string, secondLine: string} 1行目と2行目のラベル
+     * 描画エリアの上端と下端のY座標を計算（Y軸のスケールに依存しない部分）
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}
+     * @returns {Object} {originY, topRightY}
      */
-    formatDateGroupLabelTwoLines(dateGroup) {
-        if (dateGroup.length === 0) {
-            return { firstLine: '', secondLine: '' };
-        }
-
-        const firstDate = dateGroup[0];
-        // 日付を正規化
-        let normalizedFirstDate = firstDate;
-        if (firstDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            normalizedFirstDate = firstDate.replace(/-/g, '');
-        } else if (firstDate.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            normalizedFirstDate = firstDate.replace(/\//g, '');
-        }
-        const firstYear = normalizedFirstDate.substring(0, 4);
-        const firstMonth = normalizedFirstDate.substring(4, 6);
-        const firstDay = normalizedFirstDate.substring(6, 8);
-
-        // 1行目: 最初の日付の年/月/日
-        const firstLine = `${firstYear}/${firstMonth}/${firstDay}`;
-        
-        // 2行目: 2つ目以降の日付（日付のみ2桁）
-        let secondLine = '';
-        let prevYear = firstYear;
-        let prevMonth = firstMonth;
+    calculatePlotVerticalBounds(dateChart, panel) {
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const bottomMargin = 20;
+        const topMargin = 10; // 上のマージン（タイトルの上）
+        const tickLineLength = 5;
+        const titleMargin = 20; // 描画エリアとタイトルのマージン
 
-        for (let i = 1; i < dateGroup.length; i++) {
-            const date = dateGroup[i];
-            // 日付を正規化
-            let normalizedDate = date;
-            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                normalizedDate = date.replace(/-/g, '');
-            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-                normalizedDate = date.replace(/\//g, '');
-            }
-            const year = normalizedDate.substring(0, 4);
-            const month = normalizedDate.substring(4, 6);
-            const day = normalizedDate.substring(6, 8);
+        // 原点のY座標: 下端から、下マージン + 文字の高さ（1行目）+ 文字の高さ（2行目）+ ラベルと目盛り線の間隔 + 目盛り線の高さ
+        const labelMargin = 5; // ラベルと目盛り線の間隔
+        const originY = panel.y + panel.height - bottomMargin - metrics.height * 2 - labelMargin - tickLineLength;
 
-            // 年が変わった場合
-            if (year !== prevYear) {
-                secondLine += (secondLine ? ' ' : '') + `${year}/${month}/${day}`;
-                prevYear = year;
-                prevMonth = month;
+        // 右上(1,1)のY座標を計算
+        // 上のマージン + タイトル文字の高さ + サブタイトル文字の高さ + 描画エリアとタイトルのマージン
+        let topRightY = panel.y + topMargin;
+        if (!panel.fullCanvas) {
+            // 複数パネルの場合: パネルのタイトル（DateChartのタイトル）の高さのみ
+            if (dateChart.title) {
+                topRightY += metrics.height;
             }
-            // 月が変わった場合
-            else if (month !== prevMonth) {
-                secondLine += (secondLine ? ' ' : '') + `${month}/${day}`;
-                prevMonth = month;
+        } else {
+            if (this.title) {
+                topRightY += metrics.height;
+                if (this.subtitle) {
+                    topRightY += fontSize + 5; // タイトルとサブタイトルの間隔（fontSize + 5px）
+                }
             }
-            // 同じ年・月の場合: 日付だけ2桁
-            else {
-                secondLine += (secondLine ? ' ' : '') + day;
+            if (this.subtitle && !this.title) {
+                topRightY += metrics.height;
             }
         }
+        topRightY += titleMargin;
 
-        return { firstLine, secondLine };
+        return { originY, topRightY };
     }
 
     /**
-     * 日付文字列（YYYYMMDD形式）を数値に変換
-     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
-     * @returns {number} 日付の数値表現（基準日からの経過日数）
+     * Y軸の自動の目盛りの数の上限を計算（ラベルが重ならないように、描画エリアの高さをラベルの高さで割った数）
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @returns {number} 目盛りの数の上限
      */
-    parseDate(dateStr) {
-        // 日付をYYYYMMDD形式に正規化
-        let normalizedDate = dateStr;
-        if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            normalizedDate = dateStr.replace(/-/g, '');
-        } else if (dateStr.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
-            normalizedDate = dateStr.replace(/\//g, '');
-        }
-        
-        // YYYYMMDD形式を解析
-        const year = parseInt(normalizedDate.substring(0, 4), 10);
-        const month = parseInt(normalizedDate.substring(4, 6), 10) - 1; // 月は0始まり
-        const day = parseInt(normalizedDate.substring(6, 8), 10);
-        
-        // Dateオブジェクトを作成して、基準日（2000-01-01）からの経過日数に変換
-        const date = new Date(year, month, day);
-        const baseDate = new Date(2000, 0, 1); // 基準日: 2000-01-01
-        const diffTime = date.getTime() - baseDate.getTime();
-        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-        
-        return diffDays;
+    getMaxYAxisTickCount(dateChart) {
+        const dateCharts = this.getVisibleDateCharts();
+        const panels = this.calculatePanels(dateCharts.length);
+        const panel = panels[Math.max(0, dateCharts.indexOf(dateChart))] || this.getFullCanvasPanel();
+        const { originY, topRightY } = this.calculatePlotVerticalBounds(dateChart, panel);
+        const labelHeight = this.measureFontMetrics(this.theme.fontSize.normal).height;
+        return Math.max(2, Math.floor((originY - topRightY) / labelHeight) + 1);
     }
 
     /**
-     * 線グラフを描画
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
+     * 描画エリアの位置を計算
+     * @param {DateChart} dateChart - DateChartインスタンス（省略時は最初のDateChart）
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}（省略時はキャンバス全体）
+     * @returns {Object} 描画エリアの情報 {originX, originY, topRightX, topRightY, width, height, dateChart, panel}
      */
-    renderLines(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
-            return;
+    calculatePlotArea(dateChart = null, panel = null) {
+        if (!this.dateCharts || this.dateCharts.length === 0) {
+            return null;
         }
+        dateChart = dateChart || this.dateCharts[0];
+        panel = panel || this.getFullCanvasPanel();
 
-        const dateChart = this.dateCharts[0];
+        const fontSize = this.theme.fontSize.normal;
+        const leftMargin = 20;
+        const tickLineLength = 5;
+        const legendMargin = 20; // 凡例の右マージン
+        const legendScaleGap = 20; // 凡例とスケールの間のマージン
 
-        // すべての日付を収集してX軸の範囲を計算
-        const dateSet = new Set();
-        for (const line of dateChart.lines) {
-            for (const item of line.data) {
-                dateSet.add(item.date);
+        // Y軸のスケールを取得
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ? 
+            this.getYAxisScale(dateChart, true) : null;
+
+        // Y軸のラベルをフォーマットして最大幅を計算
+        let maxYLabelWidth = 0;
+        const yAxisFormat = dateChart.getAxisFormat(false);
+        
+        for (const label of primaryScale.labels) {
+            const formatted = this.formatAxisLabel(label, yAxisFormat, primaryScale);
+            const width = this.getTextWidth(formatted, fontSize);
+            if (width > maxYLabelWidth) {
+                maxYLabelWidth = width;
             }
         }
 
-        if (dateSet.size === 0) {
-            return; // データがない場合は何も描画しない
+        // 副軸がある場合も考慮
+        let maxRightScaleLabelWidth = 0;
+        if (secondaryScale) {
+            const secondAxisFormat = dateChart.getAxisFormat(true);
+            for (const label of secondaryScale.labels) {
+                const formatted = this.formatAxisLabel(label, secondAxisFormat, secondaryScale);
+                const width = this.getTextWidth(formatted, fontSize);
+                if (width > maxRightScaleLabelWidth) {
+                    maxRightScaleLabelWidth = width;
+                }
+            }
         }
 
-        // 日付をソート
-        const sortedDates = Array.from(dateSet).sort();
-        const minDate = sortedDates[0];
-        const maxDate = sortedDates[sortedDates.length - 1];
-        const minDateValue = this.parseDate(minDate);
-        const maxDateValue = this.parseDate(maxDate);
-
-        // 日付の範囲を拡張して、最初と最後の日付に余裕を持たせる
-        const extendedMinDateValue = minDateValue - 0.5;
-        const extendedMaxDateValue = maxDateValue + 0.5;
-        const extendedDateRange = extendedMaxDateValue - extendedMinDateValue;
-
-        // Y軸のスケールを取得（主軸と副軸）
-        const primaryScale = dateChart.calculateYAxisScale(false);
-        const secondaryScale = dateChart.secondAxis ? 
-            dateChart.calculateYAxisScale(true) : null;
-
-        // 線グラフを正順に描画（先に追加した系列が上に来るようにする）
-        // つまり、lines配列を正順に処理する
-        for (let i = 0; i < dateChart.lines.length; i++) {
-            const line = dateChart.lines[i];
-            
-            if (line.data.length === 0) {
-                continue; // データがない場合はスキップ
+        // 凡例の左端を計算
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendItemHeight = 25;
+        const iconWidth = 30;
+        const iconLabelGap = 10;
+        const legendPadding = 10;
+        
+        // 凡例項目を収集して最大ラベル幅を計算
+        const legendItems = [];
+        for (const line of dateChart.lines) {
+            if (line.title) legendItems.push({ title: line.title });
+        }
+        for (const bar of dateChart.bars) {
+            if (bar.title) legendItems.push({ title: bar.title });
+        }
+        for (const area of dateChart.areas) {
+            if (area.title) legendItems.push({ title: area.title });
+        }
+        
+        let maxLegendLabelWidth = 0;
+        for (const item of legendItems) {
+            const width = this.getTextWidth(item.title, legendFontSize);
+            if (width > maxLegendLabelWidth) {
+                maxLegendLabelWidth = width;
             }
+        }
+        
+        const legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
+        const legendLeftX = panel.x + panel.width - legendAreaWidth - legendMargin;
 
-            // データを日付でソート
-            const sortedData = [...line.data].sort((a, b) => 
-                a.date.localeCompare(b.date)
-            );
-
-            // データポイントの座標を計算
-            const points = [];
-            const scale = line.secondAxis ? secondaryScale : primaryScale;
-            
-            if (!scale || scale.max === 0) {
-                continue; // スケールが無効な場合はスキップ
-            }
+        // 原点のX座標: 左端から、左マージン + 最大ラベル幅 + 目盛り線の長さ
+        const originX = panel.x + leftMargin + maxYLabelWidth + tickLineLength;
 
-            for (const item of sortedData) {
-                const dateValue = this.parseDate(item.date);
-                
-                // X座標を計算（拡張された範囲で0.0から1.0の範囲）
-                const xRatio = extendedDateRange > 0 ? 
-                    (dateValue - extendedMinDateValue) / extendedDateRange : 0;
-                const x = plotArea.originX + xRatio * plotArea.width;
+        // 右上(1,1)のX座標を計算
+        let topRightX;
+        if (secondaryScale) {
+            // 右スケールがある場合: 凡例の左端 - 凡例とスケールの間のマージン - 右スケールの最大ラベル幅 - 目盛り線の長さ
+            topRightX = legendLeftX - legendScaleGap - maxRightScaleLabelWidth - tickLineLength;
+        } else {
+            // 右スケールがない場合: 凡例の左端 - 凡例の左のマージン
+            topRightX = legendLeftX - legendMargin;
+        }
 
-                // Y座標を計算（値から0.0から1.0の範囲に正規化）
-                const yRatio = scale.max > 0 ? item.value / scale.max : 0;
-                // 原点が下なので、1.0 - yRatioで反転
-                const y = plotArea.originY - yRatio * plotArea.height;
+        // 原点と右上(1,1)のY座標を計算
+        const { originY, topRightY } = this.calculatePlotVerticalBounds(dateChart, panel);
 
-                points.push({ x, y, comment: item.tooltip || '', value: item.value, date: item.date });
-            }
+        return {
+            originX,
+            originY,
+            topRightX,
+            topRightY,
+            width: topRightX - originX,
+            height: originY - topRightY,
+            dateChart,
+            panel
+        };
+    }
 
-            if (points.length === 0) {
-                continue; // ポイントがない場合はスキップ
-            }
+    /**
+     * 描画エリアの原点と右上を計算（バツは描画しない）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderPlotAreaOrigin(svg, plotArea) {
+        // バツの描画は削除
+    }
 
-            // 線を描画（path要素を使用）
-            const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
-            
-            // パスデータを生成
-            let pathData = `M ${points[0].x} ${points[0].y}`;
-            for (let j = 1; j < points.length; j++) {
-                pathData += ` L ${points[j].x} ${points[j].y}`;
-            }
-            path.setAttribute('d', pathData);
-            path.setAttribute('stroke', line.color || 'black');
-            path.setAttribute('stroke-width', line.lineWidth || 2);
-            path.setAttribute('fill', 'none');
+    /**
+     * 描画エリアの背景を描画（テーマのplotBackgroundが'none'の場合は描画しない）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderPlotAreaBackground(svg, plotArea) {
+        const plotBackground = this.theme.colors.plotBackground;
+        if (!plotBackground || plotBackground === 'none') {
+            return;
+        }
 
-            // 線の種類を設定
-            if (line.lineType === 'dashed') {
-                path.setAttribute('stroke-dasharray', '5,5');
-            } else if (line.lineType === 'dotted') {
-                path.setAttribute('stroke-dasharray', '2,2');
-            }
-            // 'solid'の場合は何も設定しない（デフォルト）
+        const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', plotArea.originX);
+        rect.setAttribute('y', plotArea.topRightY);
+        rect.setAttribute('width', Math.max(0, plotArea.topRightX - plotArea.originX));
+        rect.setAttribute('height', Math.max(0, plotArea.originY - plotArea.topRightY));
+        rect.setAttribute('fill', plotBackground);
+        svg.appendChild(rect);
+    }
 
-            svg.appendChild(path);
+    /**
+     * 日付文字列（YYYYMMDD形式）をDateオブジェクトに変換
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
+     * @returns {Date} Dateオブジェクト
+     */
+    parseDateToDate(dateStr) {
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // 月は0始まり
+        const day = parseInt(dateStr.substring(6, 8), 10);
+        return new Date(year, month, day);
+    }
 
-            // マーカーを描画（showMarkersがtrueの場合）
-            if (line.showMarkers) {
-                for (let j = 0; j < points.length; j++) {
-                    const point = points[j];
-                    this.renderMarker(svg, point.x, point.y, point.value, point.date, point.comment, line.color || 'black', dateChart);
-                }
-            }
+    /**
+     * 日付が日曜日かどうかを判定
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
+     * @returns {boolean} 日曜日の場合true
+     */
+    isSunday(dateStr) {
+        const date = this.parseDateToDate(dateStr);
+        return date.getDay() === 0; // 0が日曜日
+    }
 
-            // コメントを描画
-            for (let j = 0; j < points.length; j++) {
-                const point = points[j];
-                if (point.comment) {
-                    this.renderComment(svg, plotArea, point.x, point.y, point.comment, line.color || 'black');
-                }
-            }
-        }
+    /**
+     * 日付が月初の1日かどうかを判定
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）
+     * @returns {boolean} 月初の1日の場合true
+     */
+    isFirstDayOfMonth(dateStr) {
+        const day = dateStr.substring(6, 8);
+        return day === '01';
     }
 
     /**
-     * 棒グラフを描画
-     * @param {SVGElement} svg - SVG要素
-     * @param {Object} plotArea - 描画エリアの情報
+     * 日付文字列（YYYYMMDD形式）をyyyy/MM/dd形式に変換
+     * 日時の場合はyyyy/MM/dd HH:mm形式（秒が0でない場合はyyyy/MM/dd HH:mm:ss形式）に変換
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）または日時文字列
+     * @returns {string} yyyy/MM/dd形式の日付文字列
      */
-    renderBars(svg, plotArea) {
-        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
-            return;
+    formatDateToYYYYMMDD(dateStr) {
+        // 日時の場合は時刻を付ける
+        if (this.isDateTime(dateStr)) {
+            const normalizedDateTime = normalizeDate(dateStr);
+            const date = this.formatDateToYYYYMMDD(normalizedDateTime.substring(0, 8));
+            const seconds = normalizedDateTime.substring(12, 14);
+            return `${date} ${normalizedDateTime.substring(8, 10)}:${normalizedDateTime.substring(10, 12)}` +
+                (seconds !== '00' ? `:${seconds}` : '');
         }
 
-        const dateChart = this.dateCharts[0];
 
-        // すべての日付を収集してX軸の範囲を計算
-        const dateSet = new Set();
-        for (const bar of dateChart.bars) {
-            for (const item of bar.data) {
-                dateSet.add(item.date);
-            }
+        // YYYY-MM-DD形式またはYYYY/MM/DD形式の場合は正規化
+        let normalized = dateStr;
+        if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
+            normalized = dateStr.replace(/-/g, '');
+        } else if (dateStr.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+            normalized = dateStr.replace(/\//g, '');
         }
-        for (const line of dateChart.lines) {
-            for (const item of line.data) {
-                dateSet.add(item.date);
-            }
+        
+        // YYYYMMDD形式を期待
+        if (normalized.match(/^\d{8}$/)) {
+            const year = normalized.substring(0, 4);
+            const month = normalized.substring(4, 6);
+            const day = normalized.substring(6, 8);
+            return `${year}/${month}/${day}`;
         }
+        
+        // フォールバック: そのまま返す
+        return dateStr;
+    }
 
-        if (dateSet.size === 0) {
-            return; // データがない場合は何も描画しない
+    /**
+     * ツールチップに表示する日付のラベルを取得
+     * 集計が設定されている場合は区間のラベル（例: '2025-W03'、'2025年1月'）、それ以外はyyyy/MM/dd形式
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）または日時文字列
+     * @param {DateChart} dateChart - DateChartインスタンス（省略可）
+     * @returns {string} 日付のラベル
+     */
+    formatDateLabel(dateStr, dateChart = null) {
+        if (dateChart && dateChart.aggregate) {
+            return dateChart.getAggregateBucket(dateStr).label;
         }
+        return this.formatDateToYYYYMMDD(dateStr);
+    }
 
-        // 日付をソート
-        const sortedDates = Array.from(dateSet).sort();
-        const minDate = sortedDates[0];
-        const maxDate = sortedDates[sortedDates.length - 1];
-        const minDateValue = this.parseDate(minDate);
-        const maxDateValue = this.parseDate(maxDate);
-
-        // 日付の範囲を拡張して、最初と最後の日付に余裕を持たせる
-        const extendedMinDateValue = minDateValue - 0.5;
-        const extendedMaxDateValue = maxDateValue + 0.5;
-        const extendedDateRange = extendedMaxDateValue - extendedMinDateValue;
+    /**
+     * 3ヶ月データ用に表示する日付をフィルタリング
+     * @param {string[]} sortedDates - ソート済みの日付配列
+     * @returns {string[]} フィルタリングされた日付配列
+     */
+    filterDatesForThreeMonths(sortedDates) {
+        if (sortedDates.length === 0) {
+            return [];
+        }
 
-        // Y軸のスケールを取得（主軸と副軸）
-        const primaryScale = dateChart.calculateYAxisScale(false);
-        const secondaryScale = dateChart.secondAxis ? 
-            dateChart.calculateYAxisScale(true) : null;
+        const filteredDates = [];
+        const firstDate = sortedDates[0];
+        const lastDate = sortedDates[sortedDates.length - 1];
 
-        // 棒グラフの幅を計算（日付の間隔に基づく）
-        const barWidth = plotArea.width / sortedDates.length * 0.6; // 60%の幅を使用
+        // 最初の日は必ず追加
+        filteredDates.push(firstDate);
 
-        // 棒グラフを正順に描画（先に追加した系列が上に来るようにする）
-        // つまり、bars配列を正順に処理する
-        for (let i = 0; i < dateChart.bars.length; i++) {
-            const bar = dateChart.bars[i];
-            
-            if (bar.data.length === 0) {
-                continue; // データがない場合はスキップ
+        // 中間の日付をフィルタリング
+        for (let i = 1; i < sortedDates.length - 1; i++) {
+            const date = sortedDates[i];
+            // 月初の1日または日曜日の場合は追加
+            if (this.isFirstDayOfMonth(date) || this.isSunday(date)) {
+                filteredDates.push(date);
             }
+        }
 
-            // データを日付でソート
-            const sortedData = [...bar.data].sort((a, b) => 
-                a.date.localeCompare(b.date)
-            );
+        // 最後の日は必ず追加（最初の日と同じでない場合）
+        if (lastDate !== firstDate) {
+            filteredDates.push(lastDate);
+        }
 
-            // スケールを取得
-            const scale = bar.secondAxis ? secondaryScale : primaryScale;
-            
-            if (!scale || scale.max === 0) {
-                continue; // スケールが無効な場合はスキップ
-            }
+        return filteredDates;
+    }
 
-            // 各データポイントに対して棒を描画
-            for (const item of sortedData) {
-                const dateValue = this.parseDate(item.date);
-                
-                // X座標を計算（拡張された範囲で0.0から1.0の範囲）
-                const xRatio = extendedDateRange > 0 ? 
-                    (dateValue - extendedMinDateValue) / extendedDateRange : 0;
-                const x = plotArea.originX + xRatio * plotArea.width;
+    /**
+     * 1年データ用に表示する日付をフィルタリング
+     * @param {string[]} sortedDates - ソート済みの日付配列
+     * @returns {string[]} フィルタリングされた日付配列
+     */
+    filterDatesForOneYear(sortedDates) {
+        if (sortedDates.length === 0) {
+            return [];
+        }
 
-                // Y座標を計算（値から0.0から1.0の範囲に正規化）
-                const yRatio = scale.max > 0 ? item.value / scale.max : 0;
-                // 原点が下なので、1.0 - yRatioで反転
-                const barTop = plotArea.originY - yRatio * plotArea.height;
-                const barBottom = plotArea.originY;
+        const filteredDates = [];
+        const firstDate = sortedDates[0];
+        const lastDate = sortedDates[sortedDates.length - 1];
 
-                // 棒の幅の中心をX座標にする
-                const barLeft = x - barWidth / 2;
-                const barRight = x + barWidth / 2;
+        // 最初の日は必ず追加
+        filteredDates.push(firstDate);
 
-                // 棒を描画（rect要素を使用）
-                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                rect.setAttribute('x', barLeft);
-                rect.setAttribute('y', barTop);
-                rect.setAttribute('width', barWidth);
-                rect.setAttribute('height', barBottom - barTop);
-                rect.setAttribute('fill', bar.color || 'blue');
-                rect.setAttribute('fill-opacity', '0.7'); // 内部の透明度を70%に設定
-                rect.setAttribute('stroke', 'none');
+        // 中間の日付をフィルタリング
+        for (let i = 1; i < sortedDates.length - 1; i++) {
+            const date = sortedDates[i];
+            // 月初の1日のみを追加（月毎）
+            if (this.isFirstDayOfMonth(date)) {
+                filteredDates.push(date);
+            }
+        }
 
-                // ツールチップを追加（2行表示）
-                const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
-                const yAxisFormat = bar.secondAxis ? (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
-                const formattedValue = this.formatNumber(item.value, yAxisFormat);
-                const formattedDate = this.formatDateToYYYYMMDD(item.date);
-                
-                // 1行目: 日付、2行目: 値（コメントがある場合は値 + コメント）
-                let tooltipText = formattedDate;
-                if (item.tooltip && item.tooltip.trim()) {
-                    tooltipText += '\n' + formattedValue + ' ' + item.tooltip.trim();
-                } else {
-                    tooltipText += '\n' + formattedValue;
-                }
-                
-                title.textContent = tooltipText;
-                rect.appendChild(title);
+        // 最後の日は必ず追加（最初の日と同じでない場合）
+        if (lastDate !== firstDate) {
+            filteredDates.push(lastDate);
+        }
 
-                svg.appendChild(rect);
+        return filteredDates;
+    }
 
-                // コメントを描画
-                if (item.tooltip) {
-                    this.renderComment(svg, plotArea, x, barTop, item.tooltip, bar.color || 'blue');
+    /**
+     * X軸の目盛りを取得
+     * 日付のみのデータは、期間に応じてデータの日付をフィルタリングする（全日付・3ヶ月・1年モード）
+     * 日時のデータは、期間と描画幅に応じて分単位・時間単位の目盛りを生成する。
+     * 1目盛りの間隔が12時間を超える場合は、日単位（毎日0時）の目盛りを生成して日付のみのデータと同じようにフィルタリングする
+     * 集計が設定されている場合は、各区間の開始日に目盛りを置く（描画幅に収まらない場合は間引く）
+     * @param {Object} dateRangeInfo - getDateRangeの戻り値
+     * @param {number} plotWidth - 描画エリアの幅
+     * @param {DateChart} dateChart - DateChartインスタンス（集計の設定の確認用、省略可）
+     * @returns {Object} {mode: 'minute' | 'hour' | 'day' | 'week' | 'month' | 'quarter' | 'year', ticks: Array<{date: string, value: number}>}
+     */
+    getXAxisTicks(dateRangeInfo, plotWidth, dateChart = null) {
+        const { sortedDates, minDateValue, maxDateValue, extendedMinDateValue, extendedDateRange, hasTime } = dateRangeInfo;
+        const extendedMaxDateValue = extendedMinDateValue + extendedDateRange;
+        const minutesPerDay = 24 * 60;
+        const epsilon = 1e-6;
+
+        if (dateChart && dateChart.aggregate) {
+            const maxTickCount = Math.max(1, Math.floor(plotWidth / ChartCanvas.TIME_TICK_MIN_SPACING));
+            const step = Math.ceil(sortedDates.length / maxTickCount);
+            const ticks = sortedDates
+                .filter((date, index) => index % step === 0)
+                .map(date => ({ date, value: this.parseDate(date) }));
+            return { mode: dateChart.aggregate.interval, ticks };
+        }
+
+        let dates = sortedDates;
+        if (hasTime) {
+            // 目盛りの数が描画幅に収まる最小の間隔を選ぶ
+            const maxTickCount = Math.max(2, Math.floor(plotWidth / ChartCanvas.TIME_TICK_MIN_SPACING));
+            const rangeMinutes = extendedDateRange * minutesPerDay;
+            const interval = ChartCanvas.TIME_TICK_INTERVALS.find(minutes => rangeMinutes / minutes <= maxTickCount);
+
+            if (interval !== undefined) {
+                // 間隔の倍数（0時を基準）の時刻に目盛りを置く
+                const ticks = [];
+                const firstTick = Math.ceil(extendedMinDateValue * minutesPerDay / interval - epsilon) * interval;
+                for (let minutes = firstTick; minutes <= extendedMaxDateValue * minutesPerDay + epsilon; minutes += interval) {
+                    ticks.push({ date: this.formatMinutesToDateTime(minutes), value: minutes / minutesPerDay });
                 }
+                return { mode: interval < 60 ? 'minute' : 'hour', ticks };
+            }
+
+            // 日単位: 範囲内の各日の0時を目盛りの候補にする
+            dates = [];
+            for (let day = Math.ceil(extendedMinDateValue - epsilon); day <= extendedMaxDateValue + epsilon; day++) {
+                dates.push(this.formatMinutesToDateTime(day * minutesPerDay).substring(0, 8));
             }
         }
+
+        // データの期間に応じてフィルタリング
+        const dateRange = maxDateValue - minDateValue;
+        if (dateRange >= 60 && dateRange <= 120) {
+            // 3ヶ月データ（60日〜120日）の場合は月初の1日と日曜日を表示
+            dates = this.filterDatesForThreeMonths(dates);
+        } else if (dateRange > 120) {
+            // 1年データ（120日超）の場合は月初の1日のみを表示（月毎）
+            dates = this.filterDatesForOneYear(dates);
+        }
+
+        return { mode: 'day', ticks: dates.map(date => ({ date, value: this.parseDate(date) })) };
     }
 
     /**
-     * マーカーを描画（線グラフのデータポイントに丸を表示）
+     * X軸スケールを描画
      * @param {SVGElement} svg - SVG要素
-     * @param {number} x - X座標
-     * @param {number} y - Y座標（データポイントの位置）
-     * @param {number} value - 値
-     * @param {string} date - 日付（'YYYYMMDD'形式）
-     * @param {string} comment - コメントテキスト（オプション）
-     * @param {string} color - 系列の色
-     * @param {DateChart} dateChart - DateChartインスタンス（フォーマット用）
+     * @param {Object} plotArea - 描画エリアの情報
      */
-    renderMarker(svg, x, y, value, date, comment, color, dateChart) {
-        const markerRadius = 4; // マーカーの半径
-        
-        // マーカーの円を描画
-        const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        circle.setAttribute('cx', x);
-        circle.setAttribute('cy', y);
-        circle.setAttribute('r', markerRadius);
-        circle.setAttribute('fill', color);
-        circle.setAttribute('stroke', '#fff');
-        circle.setAttribute('stroke-width', '1');
-        
-        // マウスオーバーでツールチップを表示（2行表示）
-        const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
-        const yAxisFormat = dateChart.yAxisFormat || '#,##0';
-        const formattedValue = this.formatNumber(value, yAxisFormat);
-        const formattedDate = this.formatDateToYYYYMMDD(date);
-        
-        // 1行目: 日付、2行目: 値（コメントがある場合は値 + コメント）
-        let tooltipText = formattedDate;
-        if (comment && comment.trim()) {
-            tooltipText += '\n' + formattedValue + ' ' + comment.trim();
-        } else {
-            tooltipText += '\n' + formattedValue;
+    renderXAxis(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+
+        const tickLineLength = 5; // 目盛り線の長さ
+        const fontSize = this.theme.fontSize.small;
+        const labelMargin = 5; // ラベルと目盛り線の間隔
+
+        // X軸の線を描画: (0,0)から(1,0)へ
+        const xAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        xAxisLine.setAttribute('x1', plotArea.originX);
+        xAxisLine.setAttribute('y1', plotArea.originY);
+        xAxisLine.setAttribute('x2', plotArea.topRightX);
+        xAxisLine.setAttribute('y2', plotArea.originY);
+        xAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        xAxisLine.setAttribute('stroke-width', '1');
+        svg.appendChild(xAxisLine);
+
+        // X軸のスケールラベルを計算（すべての系列から日付を収集）
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
+        }
+
+        // 各ラベルの位置を計算して目盛り線を描画
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+
+        // データの期間に応じて目盛りを決定（日単位、日時のデータは分単位・時間単位も、集計する場合は区間ごと）
+        const { mode, ticks } = this.getXAxisTicks(dateRangeInfo, plotArea.width, dateChart);
+        const isAggregateMode = DateChart.AGGREGATE_INTERVALS.includes(mode);
+
+        // 各目盛りごとに目盛り線とラベルを描画
+        let prevYear = '';
+        let prevMonth = '';
+        let prevDay = '';
+
+        for (let i = 0; i < ticks.length; i++) {
+            const { date, value: dateValue } = ticks[i];
+            
+            // 日付をYYYYMMDD形式（日時の場合はYYYYMMDDHHmmss形式）に正規化
+            const normalizedDate = normalizeDate(date);
+            
+            const year = normalizedDate.substring(0, 4);
+            const month = normalizedDate.substring(4, 6);
+            const day = normalizedDate.substring(6, 8);
+            
+            // 描画エリア内での位置を計算（拡張された範囲で0.0から1.0の範囲）
+            const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+            
+            // 実際のX座標を計算
+            const x = plotArea.originX + ratio * plotArea.width;
+
+            // 目盛り線を描画
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', x);
+            tickLine.setAttribute('y1', plotArea.originY);
+            tickLine.setAttribute('x2', x);
+            tickLine.setAttribute('y2', plotArea.originY + tickLineLength);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', '1');
+            svg.appendChild(tickLine);
+
+            // ラベルを描画
+            let firstLineText = day; // 1段目: 常に日付のみ（分・時間単位の場合は時刻）
+            let secondLineText = ''; // 2段目: 最初、年・月の変わり目のみ（分・時間単位の場合は日の変わり目も）
+
+            if (mode !== 'day' && !isAggregateMode) {
+                firstLineText = `${normalizedDate.substring(8, 10)}:${normalizedDate.substring(10, 12)}`;
+            }
+
+            if (isAggregateMode) {
+                // 集計の区間: 1段目に区間のラベル、2段目に最初と年の変わり目のみ年（年単位の場合は2段目なし）
+                const bucket = dateChart.getAggregateBucket(date);
+                firstLineText = bucket.shortLabel;
+                if (mode !== 'year' && (i === 0 || bucket.year !== prevYear)) {
+                    secondLineText = `${bucket.year}年`;
+                }
+                prevYear = bucket.year;
+            } else if (i === 0) {
+                // 最初の日付: 2段目に年/月/日
+                secondLineText = `${year}/${month}/${day}`;
+            } else {
+                // 年が変わった場合: 2段目に年/月/日
+                if (year !== prevYear) {
+                    secondLineText = `${year}/${month}/${day}`;
+                }
+                // 月が変わった場合: 2段目に月/日
+                else if (month !== prevMonth) {
+                    secondLineText = `${month}/${day}`;
+                }
+                // 分・時間単位で日が変わった場合: 2段目に日付のみ
+                else if (mode !== 'day' && day !== prevDay) {
+                    secondLineText = day;
+                }
+                // 同じ年・月（・日）の場合: 2段目は何も書かない
+            }
+
+            // 1段目（日付のみ）を描画
+            const firstLineElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            firstLineElement.setAttribute('class', 'chart-text');
+            firstLineElement.setAttribute('x', x);
+            firstLineElement.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + fontSize);
+            firstLineElement.setAttribute('text-anchor', 'middle');
+            firstLineElement.setAttribute('style', `font-size: ${fontSize}px;`);
+            firstLineElement.textContent = firstLineText;
+            svg.appendChild(firstLineElement);
+
+            // 2段目（年/月/日または月/日）を描画（変わり目と最初のみ）
+            if (secondLineText) {
+                const secondLineElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+                secondLineElement.setAttribute('class', 'chart-text');
+                secondLineElement.setAttribute('x', x);
+                secondLineElement.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + fontSize * 2);
+                secondLineElement.setAttribute('text-anchor', 'middle');
+                secondLineElement.setAttribute('style', `font-size: ${fontSize}px;`);
+                secondLineElement.textContent = secondLineText;
+                svg.appendChild(secondLineElement);
+            }
+
+            if (!isAggregateMode) {
+                prevYear = year;
+            }
+            prevMonth = month;
+            prevDay = day;
         }
-        
-        title.textContent = tooltipText;
-        circle.appendChild(title);
-        
-        svg.appendChild(circle);
     }
 
     /**
-     * コメントを描画
+     * Y軸スケールを描画
      * @param {SVGElement} svg - SVG要素
      * @param {Object} plotArea - 描画エリアの情報
-     * @param {number} x - X座標
-     * @param {number} y - Y座標（データポイントの位置）
-     * @param {string} comment - コメントテキスト
-     * @param {string} color - 系列の色
      */
-    renderComment(svg, plotArea, x, y, comment, color) {
-        if (!comment || comment.trim() === '') {
+    renderYAxis(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
             return;
         }
 
-        const fontSize = ChartCanvas.FONT_SIZE_SMALL;
-        const metrics = this.measureFontMetrics(fontSize);
-        const commentText = comment.trim();
-        const textWidth = this.getTextWidth(commentText, fontSize);
-        
-        // コメントの位置を決定
-        // デフォルトはデータポイントの上
-        let commentX = x;
-        let commentY = y - 10; // データポイントから10px上
-        
-        // グラフの上端に近い場合は下に表示
-        const topMargin = 10;
-        if (commentY < plotArea.topRightY + topMargin) {
-            commentY = y + metrics.height + 5; // データポイントから下に表示
-        }
-        
-        // グラフの左端に近い場合は右にずらす
-        const leftMargin = 5;
-        if (commentX < plotArea.originX + leftMargin) {
-            commentX = plotArea.originX + leftMargin;
-        }
-        
-        // グラフの右端に近い場合は左にずらす
-        const rightMargin = 5;
-        if (commentX + textWidth > plotArea.topRightX - rightMargin) {
-            commentX = plotArea.topRightX - rightMargin - textWidth;
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const tickLineLength = 5; // 目盛り線の長さ
+        const fontSize = this.theme.fontSize.small;
+        const labelMargin = 5; // ラベルと目盛り線の間隔
+
+        // Y軸の線を描画: (0,0)から(0,1)へ
+        const yAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        yAxisLine.setAttribute('x1', plotArea.originX);
+        yAxisLine.setAttribute('y1', plotArea.originY);
+        yAxisLine.setAttribute('x2', plotArea.originX);
+        yAxisLine.setAttribute('y2', plotArea.topRightY);
+        yAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        yAxisLine.setAttribute('stroke-width', '1');
+        svg.appendChild(yAxisLine);
+
+        // Y軸のスケールを取得（主軸）
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const yAxisFormat = dateChart.getAxisFormat(false);
+        const plotHeight = plotArea.height;
+
+        // 各ラベルの位置を計算して目盛り線とラベルを描画
+        for (const labelValue of primaryScale.labels) {
+            // ラベルの値を軸の下端から上端までの範囲で正規化（0.0から1.0、対数軸の場合は対数で）
+            const ratio = AxisScale.getValueRatio(labelValue, primaryScale);
+            
+            // 実際のY座標を計算（下から上に向かって）
+            // 原点が下なので、1.0 - ratioで反転
+            const y = plotArea.originY - ratio * plotHeight;
+
+            // 目盛り線を描画（Y軸の左側に短い線）
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', plotArea.originX);
+            tickLine.setAttribute('y1', y);
+            tickLine.setAttribute('x2', plotArea.originX - tickLineLength);
+            tickLine.setAttribute('y2', y);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', '1');
+            svg.appendChild(tickLine);
+
+            // ラベルを描画（目盛り線の左側）
+            const formattedLabel = this.formatAxisLabel(labelValue, yAxisFormat, primaryScale);
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', 'end');
+            labelText.setAttribute('dominant-baseline', 'middle');
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = formattedLabel;
+            svg.appendChild(labelText);
+        }
+
+        // 対数軸の補助目盛りを描画（ラベルなしの短い線）
+        this.renderMinorTicks(svg, primaryScale, plotArea, plotArea.originX, -1);
+
+        // Y軸の単位を表示（(0,1)の上の延長線上、サブタイトルと同じY座標）
+        if (dateChart.yAxisScale) {
+            // サブタイトルのY座標を計算（複数パネルの場合は描画エリアの上）
+            const topMargin = 10;
+            let subtitleY = fontSize + topMargin;
+            if (this.title) {
+                subtitleY += fontSize + 5;
+            }
+            if (plotArea.panel && !plotArea.panel.fullCanvas) {
+                subtitleY = plotArea.topRightY - labelMargin * 2;
+            }
+
+            const unitText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            unitText.setAttribute('class', 'chart-text');
+            unitText.setAttribute('x', plotArea.originX);
+            unitText.setAttribute('y', subtitleY);
+            unitText.setAttribute('text-anchor', 'end');
+            unitText.setAttribute('style', `font-size: ${fontSize}px;`);
+            unitText.textContent = `(${dateChart.yAxisScale})`;
+            svg.appendChild(unitText);
+        }
+    }
+
+    /**
+     * 対数軸の補助目盛りを描画（スケールにminorTicksがある場合のみ）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} scale - スケール情報
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {number} axisX - 軸のX座標
+     * @param {number} direction - 目盛り線を伸ばす向き（-1: 左、1: 右）
+     */
+    renderMinorTicks(svg, scale, plotArea, axisX, direction) {
+        if (!scale.minorTicks) {
+            return;
+        }
+        const minorTickLength = 3; // 補助目盛り線の長さ
+        for (const tickValue of scale.minorTicks) {
+            const y = plotArea.originY - AxisScale.getValueRatio(tickValue, scale) * plotArea.height;
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', axisX);
+            tickLine.setAttribute('y1', y);
+            tickLine.setAttribute('x2', axisX + direction * minorTickLength);
+            tickLine.setAttribute('y2', y);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', '1');
+            svg.appendChild(tickLine);
+        }
+    }
+
+    /**
+     * 右スケール（副軸）を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderRightYAxis(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        
+        // 副軸が有効でない場合は何も描画しない
+        if (!dateChart.secondAxis) {
+            return;
+        }
+
+        const tickLineLength = 5; // 目盛り線の長さ
+        const fontSize = this.theme.fontSize.small;
+        const labelMargin = 5; // ラベルと目盛り線の間隔
+
+        // 右スケールの線を描画: (1,0)から(1,1)へ
+        const rightYAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        rightYAxisLine.setAttribute('x1', plotArea.topRightX);
+        rightYAxisLine.setAttribute('y1', plotArea.originY);
+        rightYAxisLine.setAttribute('x2', plotArea.topRightX);
+        rightYAxisLine.setAttribute('y2', plotArea.topRightY);
+        rightYAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        rightYAxisLine.setAttribute('stroke-width', '1');
+        svg.appendChild(rightYAxisLine);
+
+        // 右スケールのスケールを取得（副軸）
+        const secondaryScale = this.getYAxisScale(dateChart, true);
+        const secondAxisFormat = dateChart.getAxisFormat(true);
+        const plotHeight = plotArea.height;
+
+        // 各ラベルの位置を計算して目盛り線とラベルを描画
+        for (const labelValue of secondaryScale.labels) {
+            // ラベルの値を軸の下端から上端までの範囲で正規化（0.0から1.0、対数軸の場合は対数で）
+            const ratio = AxisScale.getValueRatio(labelValue, secondaryScale);
+            
+            // 実際のY座標を計算（下から上に向かって）
+            // 原点が下なので、1.0 - ratioで反転
+            const y = plotArea.originY - ratio * plotHeight;
+
+            // 目盛り線を描画（右スケールの右側に短い線）
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', plotArea.topRightX);
+            tickLine.setAttribute('y1', y);
+            tickLine.setAttribute('x2', plotArea.topRightX + tickLineLength);
+            tickLine.setAttribute('y2', y);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', '1');
+            svg.appendChild(tickLine);
+
+            // ラベルを描画（目盛り線の右側）
+            const formattedLabel = this.formatAxisLabel(labelValue, secondAxisFormat, secondaryScale);
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', plotArea.topRightX + tickLineLength + labelMargin);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', 'start');
+            labelText.setAttribute('dominant-baseline', 'middle');
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = formattedLabel;
+            svg.appendChild(labelText);
+        }
+
+        // 対数軸の補助目盛りを描画（ラベルなしの短い線）
+        this.renderMinorTicks(svg, secondaryScale, plotArea, plotArea.topRightX, 1);
+
+        // 右スケールの単位を表示（(1,1)の上の延長線上、サブタイトルと同じY座標）
+        if (dateChart.secondAxisScale) {
+            // サブタイトルのY座標を計算（複数パネルの場合は描画エリアの上）
+            const topMargin = 10;
+            let subtitleY = fontSize + topMargin;
+            if (this.title) {
+                subtitleY += fontSize + 5;
+            }
+            if (plotArea.panel && !plotArea.panel.fullCanvas) {
+                subtitleY = plotArea.topRightY - labelMargin * 2;
+            }
+
+            const unitText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            unitText.setAttribute('class', 'chart-text');
+            unitText.setAttribute('x', plotArea.topRightX);
+            unitText.setAttribute('y', subtitleY);
+            unitText.setAttribute('text-anchor', 'start');
+            unitText.setAttribute('style', `font-size: ${fontSize}px;`);
+            unitText.textContent = `(${dateChart.secondAxisScale})`;
+            svg.appendChild(unitText);
+        }
+    }
+
+    /**
+     * DateChartのグリッド線を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderDateChartGrid(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const gridColor = this.theme.colors.grid;
+        const gridStrokeWidth = 1;
+        const gridDashArray = '2,2'; // 破線
+
+        // X軸のグリッド線を描画
+        if (dateChart.xGrid) {
+            // X軸のスケールラベル位置にグリッド線を描画
+            const dateRangeInfo = this.getDateRange(dateChart);
+
+            if (dateRangeInfo) {
+                const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+
+                // データの期間に応じて目盛りを決定
+                const { ticks } = this.getXAxisTicks(dateRangeInfo, plotArea.width, dateChart);
+
+                for (const { value: dateValue } of ticks) {
+                    const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+                    const x = plotArea.originX + ratio * plotArea.width;
+
+                    const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                    gridLine.setAttribute('x1', x);
+                    gridLine.setAttribute('y1', plotArea.topRightY);
+                    gridLine.setAttribute('x2', x);
+                    gridLine.setAttribute('y2', plotArea.originY);
+                    gridLine.setAttribute('stroke', gridColor);
+                    gridLine.setAttribute('stroke-width', gridStrokeWidth);
+                    gridLine.setAttribute('stroke-dasharray', gridDashArray);
+                    svg.appendChild(gridLine);
+                }
+            }
+        }
+
+        // Y軸のグリッド線を描画（主軸）
+        if (dateChart.yGrid) {
+            const primaryScale = this.getYAxisScale(dateChart, false);
+            const plotHeight = plotArea.height;
+
+            for (const labelValue of primaryScale.labels) {
+                const ratio = AxisScale.getValueRatio(labelValue, primaryScale);
+                const y = plotArea.originY - ratio * plotHeight;
+
+                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                gridLine.setAttribute('x1', plotArea.originX);
+                gridLine.setAttribute('y1', y);
+                gridLine.setAttribute('x2', plotArea.topRightX);
+                gridLine.setAttribute('y2', y);
+                gridLine.setAttribute('stroke', gridColor);
+                gridLine.setAttribute('stroke-width', gridStrokeWidth);
+                gridLine.setAttribute('stroke-dasharray', gridDashArray);
+                svg.appendChild(gridLine);
+            }
+        }
+    }
+
+    /**
+     * DateChartの注釈を描画
+     * - 'background': 目標帯・期間の網掛け（グリッド線の下に描画する）
+     * - 'foreground': 基準線・イベントのマーカー（棒グラフの上、線グラフの下に描画する）
+     * 軸の範囲外の注釈は描画せず、一部が範囲外の網掛けは範囲内に切り詰める
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {string} layer - 描画する層（'background'または'foreground'）
+     */
+    renderDateChartAnnotations(svg, plotArea, layer) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const types = layer === 'background' ? ['band', 'dateRangeShade'] : ['horizontalLine', 'verticalMarker'];
+        const annotations = dateChart.annotations.filter(annotation => types.includes(annotation.type));
+        if (annotations.length === 0) {
+            return;
+        }
+
+        const fontSize = this.theme.fontSize.small;
+        const dashArrays = { solid: null, dashed: '5,5', dotted: '2,2' };
+
+        // 値からY座標を計算（軸の範囲外の場合はnull）
+        const getY = (value, axis) => {
+            const scale = this.getYAxisScale(dateChart, axis === 'secondary');
+            if (!scale || scale.labels.length === 0 || scale.max <= scale.min) return null;
+            if (value < scale.min || value > scale.max || (scale.type === 'log' && value <= 0)) return null;
+            return plotArea.originY - AxisScale.getValueRatio(value, scale) * plotArea.height;
+        };
+
+        // 日付の数値からX座標を計算（データがない場合はnull）
+        const dateRangeInfo = this.getDateRange(dateChart);
+        const getX = dateValue => {
+            if (!dateRangeInfo) return null;
+            const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+            const ratio = extendedDateRange > 0 ? (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+            return plotArea.originX + ratio * plotArea.width;
+        };
+
+        // ラベルを描画
+        const appendLabel = (parent, text, x, y, anchor, baseline, color) => {
+            if (!text) return;
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', x);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', anchor);
+            if (baseline) {
+                labelText.setAttribute('dominant-baseline', baseline);
+            }
+            labelText.setAttribute('style', `font-size: ${fontSize}px; fill: ${color};`);
+            labelText.textContent = text;
+            parent.appendChild(labelText);
+        };
+
+        // 線を描画
+        const appendLine = (parent, x1, y1, x2, y2, annotation) => {
+            const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', annotation.color);
+            line.setAttribute('stroke-width', annotation.lineWidth);
+            if (dashArrays[annotation.style]) {
+                line.setAttribute('stroke-dasharray', dashArrays[annotation.style]);
+            }
+            parent.appendChild(line);
+        };
+
+        // 矩形（網掛け）を描画
+        const appendRect = (parent, x, y, width, height, annotation) => {
+            const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('x', x);
+            rect.setAttribute('y', y);
+            rect.setAttribute('width', width);
+            rect.setAttribute('height', height);
+            rect.setAttribute('fill', annotation.color);
+            rect.setAttribute('fill-opacity', annotation.opacity);
+            parent.appendChild(rect);
+        };
+
+        for (const annotation of annotations) {
+            if (annotation.type === 'horizontalLine') {
+                const y = getY(annotation.value, annotation.axis);
+                if (y === null) continue;
+                const group = this.createSeriesGroup(svg, `基準線 ${annotation.label || annotation.value}`);
+                appendLine(group, plotArea.originX, y, plotArea.topRightX, y, annotation);
+                appendLabel(group, annotation.label, plotArea.topRightX - 5, y - 3, 'end', null, annotation.color);
+            } else if (annotation.type === 'band') {
+                const scale = this.getYAxisScale(dateChart, annotation.axis === 'secondary');
+                if (!scale || scale.labels.length === 0 || scale.max <= scale.min) continue;
+                const from = Math.max(annotation.from, scale.min);
+                const to = Math.min(annotation.to, scale.max);
+                if (from > to) continue;
+                const fromY = getY(from, annotation.axis);
+                const toY = getY(to, annotation.axis);
+                if (fromY === null || toY === null) continue;
+                const group = this.createSeriesGroup(svg, `目標帯 ${annotation.label || `${annotation.from}〜${annotation.to}`}`);
+                appendRect(group, plotArea.originX, toY, plotArea.width, fromY - toY, annotation);
+                appendLabel(group, annotation.label, plotArea.originX + 5, toY + 3, 'start', 'hanging', annotation.color);
+            } else if (annotation.type === 'verticalMarker') {
+                const x = getX(this.parseDate(annotation.date));
+                if (x === null || x < plotArea.originX || x > plotArea.topRightX) continue;
+                const group = this.createSeriesGroup(svg, `イベント ${annotation.label || this.formatDateToYYYYMMDD(annotation.date)}`);
+                appendLine(group, x, plotArea.topRightY, x, plotArea.originY, annotation);
+                // 右端に近い場合はラベルを線の左に表示する（期間の網掛けのラベルと重ならないように2行目に表示する）
+                const isNearRightEdge = plotArea.topRightX - x < plotArea.width * 0.2;
+                appendLabel(group, annotation.label, isNearRightEdge ? x - 3 : x + 3, plotArea.topRightY + fontSize + 6,
+                    isNearRightEdge ? 'end' : 'start', 'hanging', annotation.color);
+            } else if (annotation.type === 'dateRangeShade') {
+                // 日付のみの場合は各日の幅全体（前後0.5日）を網掛けする
+                const startValue = this.parseDate(annotation.start) - (annotation.start.length === 8 ? 0.5 : 0);
+                const endValue = this.parseDate(annotation.end) + (annotation.end.length === 8 ? 0.5 : 0);
+                const startX = getX(startValue);
+                const endX = getX(endValue);
+                if (startX === null || endX === null) continue;
+                const x1 = Math.max(startX, plotArea.originX);
+                const x2 = Math.min(endX, plotArea.topRightX);
+                if (x1 >= x2) continue;
+                const group = this.createSeriesGroup(svg, `期間 ${annotation.label || `${this.formatDateToYYYYMMDD(annotation.start)}〜${this.formatDateToYYYYMMDD(annotation.end)}`}`);
+                appendRect(group, x1, plotArea.topRightY, x2 - x1, plotArea.height, annotation);
+                appendLabel(group, annotation.label, (x1 + x2) / 2, plotArea.topRightY + 3, 'middle', 'hanging', annotation.color);
+            }
+        }
+    }
+
+    /**
+     * 日付をグループ化（連続する日付をグループ化）
+     * @param {string[]} dates - 日付の配列（'YYYYMMDD'形式）
+     * @returns {Array<Array<string>>} グループ化された日付の配列
+     */
+    groupDates(dates) {
+        if (dates.length === 0) {
+            return [];
+        }
+
+        // 最初の日付を正規化
+        let firstDate = dates[0];
+        if (firstDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
+            firstDate = firstDate.replace(/-/g, '');
+        } else if (firstDate.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+            firstDate = firstDate.replace(/\//g, '');
+        }
+        
+        const groups = [];
+        let currentGroup = [dates[0]];
+        let currentYear = firstDate.substring(0, 4);
+        let currentMonth = firstDate.substring(4, 6);
+
+        for (let i = 1; i < dates.length; i++) {
+            const date = dates[i];
+            // 日付を正規化
+            let normalizedDate = date;
+            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+                normalizedDate = date.replace(/-/g, '');
+            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+                normalizedDate = date.replace(/\//g, '');
+            }
+            const year = normalizedDate.substring(0, 4);
+            const month = normalizedDate.substring(4, 6);
+            const prevDate = dates[i - 1];
+            const prevDateValue = this.parseDate(prevDate);
+            const currentDateValue = this.parseDate(date);
+
+            // 連続する日付で、同じ年・月の場合は同じグループ
+            if (currentDateValue === prevDateValue + 1 && year === currentYear && month === currentMonth) {
+                currentGroup.push(date);
+            } else {
+                // 新しいグループを開始
+                groups.push(currentGroup);
+                currentGroup = [date];
+                currentYear = year;
+                currentMonth = month;
+            }
+        }
+        groups.push(currentGroup);
+
+        return groups;
+    }
+
+    /**
+     * 日付グループのラベルを2段でフォーマット
+     * @param {string[]} dateGroup - 日付のグループ（'YYYYMMDD'形式の配列）
+     * @returns {Object} {firstLine: string, secondLine: string} 1行目と2行目のラベル
+     */
+    formatDateGroupLabelTwoLines(dateGroup) {
+        if (dateGroup.length === 0) {
+            return { firstLine: '', secondLine: '' };
+        }
+
+        const firstDate = dateGroup[0];
+        // 日付を正規化
+        let normalizedFirstDate = firstDate;
+        if (firstDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
+            normalizedFirstDate = firstDate.replace(/-/g, '');
+        } else if (firstDate.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+            normalizedFirstDate = firstDate.replace(/\//g, '');
+        }
+        const firstYear = normalizedFirstDate.substring(0, 4);
+        const firstMonth = normalizedFirstDate.substring(4, 6);
+        const firstDay = normalizedFirstDate.substring(6, 8);
+
+        // 1行目: 最初の日付の年/月/日
+        const firstLine = `${firstYear}/${firstMonth}/${firstDay}`;
+        
+        // 2行目: 2つ目以降の日付（日付のみ2桁）
+        let secondLine = '';
+        let prevYear = firstYear;
+        let prevMonth = firstMonth;
+
+        for (let i = 1; i < dateGroup.length; i++) {
+            const date = dateGroup[i];
+            // 日付を正規化
+            let normalizedDate = date;
+            if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+                normalizedDate = date.replace(/-/g, '');
+            } else if (date.match(/^\d{4}\/\d{2}\/\d{2}$/)) {
+                normalizedDate = date.replace(/\//g, '');
+            }
+            const year = normalizedDate.substring(0, 4);
+            const month = normalizedDate.substring(4, 6);
+            const day = normalizedDate.substring(6, 8);
+
+            // 年が変わった場合
+            if (year !== prevYear) {
+                secondLine += (secondLine ? ' ' : '') + `${year}/${month}/${day}`;
+                prevYear = year;
+                prevMonth = month;
+            }
+            // 月が変わった場合
+            else if (month !== prevMonth) {
+                secondLine += (secondLine ? ' ' : '') + `${month}/${day}`;
+                prevMonth = month;
+            }
+            // 同じ年・月の場合: 日付だけ2桁
+            else {
+                secondLine += (secondLine ? ' ' : '') + day;
+            }
+        }
+
+        return { firstLine, secondLine };
+    }
+
+    /**
+     * 日付文字列（YYYYMMDD形式）を数値に変換
+     * 日時（YYYYMMDDHHmmss形式、ISO 8601形式など）の場合は時刻を日の端数として含める
+     * @param {string} dateStr - 日付文字列（'YYYYMMDD'形式）または日時文字列
+     * @returns {number} 日付の数値表現（基準日からの経過日数）
+     */
+    parseDate(dateStr) {
+        // 日付をYYYYMMDD形式（日時の場合はYYYYMMDDHHmmss形式）に正規化
+        const normalizedDate = normalizeDate(dateStr);
+        
+        // YYYYMMDD形式を解析
+        const year = parseInt(normalizedDate.substring(0, 4), 10);
+        const month = parseInt(normalizedDate.substring(4, 6), 10) - 1; // 月は0始まり
+        const day = parseInt(normalizedDate.substring(6, 8), 10);
+        
+        // 基準日（2000-01-01）からの経過日数に変換（夏時間の影響を受けないようにUTCで計算）
+        const diffTime = Date.UTC(year, month, day) - Date.UTC(2000, 0, 1);
+        const diffDays = Math.round(diffTime / ChartCanvas.MILLISECONDS_PER_DAY);
+        
+        // 日時の場合は時刻を日の端数として加える
+        if (normalizedDate.length === 14) {
+            const hours = parseInt(normalizedDate.substring(8, 10), 10);
+            const minutes = parseInt(normalizedDate.substring(10, 12), 10);
+            const seconds = parseInt(normalizedDate.substring(12, 14), 10);
+            return diffDays + (hours * 3600 + minutes * 60 + seconds) / 86400;
+        }
+        
+        return diffDays;
+    }
+
+    /**
+     * 基準日からの経過分数を日時文字列に変換（parseDateの逆変換）
+     * @param {number} minutes - 基準日（2000-01-01）からの経過分数
+     * @returns {string} 'YYYYMMDDHHmmss'形式の日時文字列
+     */
+    formatMinutesToDateTime(minutes) {
+        const date = new Date(Date.UTC(2000, 0, 1) + Math.round(minutes) * 60 * 1000);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+    }
+
+    /**
+     * 日付文字列が時刻を含むかどうかを判定
+     * @param {string} dateStr - 日付文字列
+     * @returns {boolean} 時刻を含む場合true
+     */
+    isDateTime(dateStr) {
+        return typeof dateStr === 'string' && normalizeDate(dateStr).length === 14;
+    }
+
+    /**
+     * 線グラフを描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderLines(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+
+        // すべての日付を収集してX軸の範囲を計算
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
+        }
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+
+        // Y軸のスケールを取得（主軸と副軸）
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ? 
+            this.getYAxisScale(dateChart, true) : null;
+
+        // 線グラフを正順に描画（先に追加した系列が上に来るようにする）
+        // つまり、lines配列を正順に処理する
+        for (let i = 0; i < dateChart.lines.length; i++) {
+            const line = dateChart.lines[i];
+            
+            if (line.getData().length === 0) {
+                continue; // データがない場合はスキップ
+            }
+
+            // データを日付でソート
+            const sortedData = [...line.getData()].sort((a, b) => 
+                a.date.localeCompare(b.date)
+            );
+
+            // データポイントの座標を計算
+            const points = [];
+            const scale = line.secondAxis ? secondaryScale : primaryScale;
+            
+            if (!scale || scale.max <= scale.min) {
+                continue; // スケールが無効な場合はスキップ
+            }
+
+            for (const item of sortedData) {
+                const dateValue = this.parseDate(item.date);
+                
+                // X座標を計算（拡張された範囲で0.0から1.0の範囲）
+                const xRatio = extendedDateRange > 0 ? 
+                    (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+                const x = plotArea.originX + xRatio * plotArea.width;
+
+                // 値がnull（欠損）、または対数軸で0以下の場合は線を途切れさせる
+                if (item.value === null || (scale.type === 'log' && item.value <= 0)) {
+                    points.push({ x, y: null, comment: '', value: null, date: item.date, filled: !!item.filled, item });
+                    continue;
+                }
+
+                // Y座標を計算（値から0.0から1.0の範囲に正規化、対数軸の場合は対数で）
+                const yRatio = AxisScale.getValueRatio(item.value, scale);
+                // 原点が下なので、1.0 - yRatioで反転
+                const y = plotArea.originY - yRatio * plotArea.height;
+
+                points.push({ x, y, comment: item.tooltip || '', value: item.value, date: item.date, filled: !!item.filled, item });
+            }
+
+            if (points.length === 0) {
+                continue; // ポイントがない場合はスキップ
+            }
+
+            // パスデータを生成（値がnullの点で区切り、区間ごとにMで始める）
+            const buildPathData = pathPoints => {
+                let pathData = '';
+                let isSegmentStarted = false;
+                for (const point of pathPoints) {
+                    if (point.value === null) {
+                        isSegmentStarted = false;
+                        continue;
+                    }
+                    pathData += (pathData ? ' ' : '') + `${isSegmentStarted ? 'L' : 'M'} ${point.x} ${point.y}`;
+                    isSegmentStarted = true;
+                }
+                return pathData;
+            };
+
+            // 予測の開始日がある場合は、予測の開始日の直前の点から後を別のパス（破線）にする
+            const forecastIndex = line.forecastStart ? points.findIndex(point => line.isForecast(point.date)) : -1;
+            const pathData = buildPathData(forecastIndex >= 0 ? points.slice(0, forecastIndex) : points);
+            const forecastPathData = forecastIndex >= 0 ? buildPathData(points.slice(Math.max(0, forecastIndex - 1))) : '';
+            if (!pathData && !forecastPathData) {
+                continue; // 描画できる点がない場合はスキップ
+            }
+
+            // 系列のグループ（線・マーカー・コメントをまとめ、系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeDateSeries(line, i, 'line', dateChart));
+
+            // 不透明度を設定（前期比較の系列など、1未満の場合のみ）
+            if (line.opacity !== undefined && line.opacity < 1) {
+                seriesGroup.setAttribute('opacity', line.opacity);
+            }
+
+            // 線を描画（path要素を使用、予測の部分は線の種類によらず破線）
+            for (const [d, lineType] of [[pathData, line.lineType], [forecastPathData, 'dashed']]) {
+                if (!d) {
+                    continue;
+                }
+                const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                path.setAttribute('d', d);
+                path.setAttribute('stroke', line.color || 'black');
+                path.setAttribute('stroke-width', line.lineWidth || 2);
+                path.setAttribute('fill', 'none');
+
+                // 線の種類を設定
+                if (lineType === 'dashed') {
+                    path.setAttribute('stroke-dasharray', '5,5');
+                } else if (lineType === 'dotted') {
+                    path.setAttribute('stroke-dasharray', '2,2');
+                }
+                // 'solid'の場合は何も設定しない（デフォルト）
+
+                seriesGroup.appendChild(path);
+            }
+
+            // マーカーを描画（showMarkersがtrueの場合、補完した点はshowFilledMarkersがtrueの場合も）
+            for (let j = 0; j < points.length; j++) {
+                const point = points[j];
+                if (point.value === null) {
+                    continue;
+                }
+                const isFilledMarker = point.filled && line.showFilledMarkers;
+                if (line.showMarkers || isFilledMarker) {
+                    const format = dateChart.yAxisFormat || '#,##0';
+                    const detail = this.formatRangeDetail(line, point.item, format) + this.formatComparisonDetail(line, point.item, format, dateChart);
+                    this.renderMarker(seriesGroup, point.x, point.y, point.value, point.date, point.comment, line.color || 'black', dateChart, isFilledMarker, detail);
+                }
+            }
+
+            // コメントを描画
+            for (let j = 0; j < points.length; j++) {
+                const point = points[j];
+                if (point.comment) {
+                    this.renderComment(seriesGroup, plotArea, point.x, point.y, point.comment, line.color || 'black');
+                }
+            }
+        }
+    }
+
+    /**
+     * 面グラフを描画
+     * 0（積み上げの場合は下の系列の上端）から値までを塗りつぶした多角形と、上端の線を描画する
+     * 値がnull（欠損）の点で面を区切り、区間ごとに描画する
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderAreas(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        if (dateChart.areas.length === 0) {
+            return;
+        }
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
+        }
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+
+        // Y軸のスケールと積み上げ位置を取得（主軸と副軸）
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ?
+            this.getYAxisScale(dateChart, true) : null;
+        const stackPositions = {
+            primary: dateChart.calculateAreaStackPositions(false),
+            secondary: dateChart.calculateAreaStackPositions(true)
+        };
+
+        for (let i = 0; i < dateChart.areas.length; i++) {
+            const area = dateChart.areas[i];
+            const scale = area.secondAxis ? secondaryScale : primaryScale;
+            if (area.getData().length === 0 || !scale || scale.max <= scale.min) {
+                continue; // データがない場合・スケールが無効な場合はスキップ
+            }
+            const positions = area.secondAxis ? stackPositions.secondary : stackPositions.primary;
+            const format = area.secondAxis ? (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+
+            // 値がある点を区間ごとにまとめる
+            const segments = [];
+            let segment = [];
+            const sortedData = [...area.getData()].sort((a, b) => a.date.localeCompare(b.date));
+            for (const item of sortedData) {
+                const position = positions.get(item);
+                if (!position || (scale.type === 'log' && position.end <= 0)) {
+                    if (segment.length > 0) {
+                        segments.push(segment);
+                    }
+                    segment = [];
+                    continue;
+                }
+                const xRatio = extendedDateRange > 0 ?
+                    (this.parseDate(item.date) - extendedMinDateValue) / extendedDateRange : 0;
+                segment.push({
+                    item,
+                    position,
+                    x: plotArea.originX + xRatio * plotArea.width,
+                    topY: plotArea.originY - AxisScale.getValueRatio(position.end, scale) * plotArea.height,
+                    bottomY: plotArea.originY - AxisScale.getValueRatio(position.start, scale) * plotArea.height
+                });
+            }
+            if (segment.length > 0) {
+                segments.push(segment);
+            }
+
+            // 系列のグループ（面・線をまとめ、系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeDateSeries(area, i, 'area', dateChart));
+
+            for (const points of segments) {
+                // 上端を左から右へ、下端を右から左へたどる多角形
+                const outline = [
+                    ...points.map(point => `${point.x},${point.topY}`),
+                    ...[...points].reverse().map(point => `${point.x},${point.bottomY}`)
+                ];
+                const polygon = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+                polygon.setAttribute('points', outline.join(' '));
+                polygon.setAttribute('fill', area.color || 'green');
+                polygon.setAttribute('fill-opacity', area.fillOpacity);
+                polygon.setAttribute('stroke', 'none');
+                seriesGroup.appendChild(polygon);
+
+                // 上端の線
+                if (area.lineWidth > 0) {
+                    const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                    path.setAttribute('d', points.map((point, j) => `${j === 0 ? 'M' : 'L'} ${point.x} ${point.topY}`).join(' '));
+                    path.setAttribute('stroke', area.color || 'green');
+                    path.setAttribute('stroke-width', area.lineWidth);
+                    path.setAttribute('fill', 'none');
+                    seriesGroup.appendChild(path);
+                }
+
+                // 各点のツールチップ（透明な円、積み上げの場合は合計も表示）
+                for (const point of points) {
+                    const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                    circle.setAttribute('cx', point.x);
+                    circle.setAttribute('cy', point.topY);
+                    circle.setAttribute('r', 4);
+                    circle.setAttribute('fill', 'transparent');
+                    const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+                    let tooltipText = this.formatDateLabel(point.item.date, dateChart) + '\n' +
+                        this.formatNumber(point.item.value, format) + (point.item.filled ? ' (補完)' : '');
+                    if (point.item.tooltip && point.item.tooltip.trim()) {
+                        tooltipText += ' ' + point.item.tooltip.trim();
+                    }
+                    if (point.position.stacked) {
+                        tooltipText += '\n合計: ' + this.formatNumber(point.position.total, format);
+                    }
+                    title.textContent = tooltipText;
+                    circle.appendChild(title);
+                    seriesGroup.appendChild(circle);
+                }
+            }
+
+            // コメントを描画
+            for (const points of segments) {
+                for (const point of points) {
+                    if (point.item.tooltip) {
+                        this.renderComment(seriesGroup, plotArea, point.x, point.topY, point.item.tooltip, area.color || 'green');
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 線グラフの範囲（下限〜上限）を塗りつぶした帯として描画（LineSeries.addRangeDataを参照）
+     * 下限・上限のどちらかがない日付で帯を区切り、区間ごとに多角形を描画する
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderLineBands(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
+        }
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ?
+            this.getYAxisScale(dateChart, true) : null;
+
+        for (const line of dateChart.lines) {
+            const scale = line.secondAxis ? secondaryScale : primaryScale;
+            if (!scale || scale.max <= scale.min) {
+                continue; // スケールが無効な場合はスキップ
+            }
+
+            // 下限・上限がある点を区間ごとにまとめる
+            const segments = [];
+            let segment = [];
+            const sortedData = [...line.getData()].sort((a, b) => a.date.localeCompare(b.date));
+            for (const item of sortedData) {
+                if (item.lower === null || item.lower === undefined || item.upper === null || item.upper === undefined) {
+                    if (segment.length > 0) {
+                        segments.push(segment);
+                    }
+                    segment = [];
+                    continue;
+                }
+                const xRatio = extendedDateRange > 0 ?
+                    (this.parseDate(item.date) - extendedMinDateValue) / extendedDateRange : 0;
+                segment.push({
+                    x: plotArea.originX + xRatio * plotArea.width,
+                    lowerY: plotArea.originY - AxisScale.getValueRatio(item.lower, scale) * plotArea.height,
+                    upperY: plotArea.originY - AxisScale.getValueRatio(item.upper, scale) * plotArea.height
+                });
+            }
+            if (segment.length > 0) {
+                segments.push(segment);
+            }
+
+            // 上限を左から右へ、下限を右から左へたどる多角形
+            for (const points of segments) {
+                const outline = [
+                    ...points.map(point => `${point.x},${point.upperY}`),
+                    ...[...points].reverse().map(point => `${point.x},${point.lowerY}`)
+                ];
+                const polygon = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+                polygon.setAttribute('points', outline.join(' '));
+                polygon.setAttribute('fill', line.bandColor || line.color || 'black');
+                polygon.setAttribute('fill-opacity', line.bandOpacity);
+                polygon.setAttribute('stroke', 'none');
+                svg.appendChild(polygon);
+            }
+        }
+    }
+
+    /**
+     * 棒グラフを描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderBars(svg, plotArea) {
+        if (!plotArea || !this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+
+        // すべての日付を収集してX軸の範囲を計算
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何も描画しない
+        }
+        const { sortedDates, extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+
+        // Y軸のスケールを取得（主軸と副軸）
+        const primaryScale = this.getYAxisScale(dateChart, false);
+        const secondaryScale = dateChart.secondAxis ? 
+            this.getYAxisScale(dateChart, true) : null;
+
+        // 棒グラフの幅を計算（日付の間隔に基づく）
+        const slotWidth = plotArea.width / sortedDates.length * 0.6; // 60%の幅を使用
+
+        // 表示モードに応じた棒の幅と積み上げ位置を計算
+        const barMode = DateChart.BAR_MODES.includes(dateChart.barMode) ? dateChart.barMode : 'overlay';
+        const visibleBars = dateChart.bars.filter(bar => bar.getData().length > 0);
+        const barWidth = barMode === 'grouped' && visibleBars.length > 0 ?
+            slotWidth / visibleBars.length : slotWidth;
+        const stackPositions = dateChart.isStackedBarMode() ? {
+            primary: dateChart.calculateBarStackPositions(false),
+            secondary: dateChart.calculateBarStackPositions(true)
+        } : null;
+
+        // 棒グラフを正順に描画（先に追加した系列が上に来るようにする）
+        // つまり、bars配列を正順に処理する
+        for (let i = 0; i < dateChart.bars.length; i++) {
+            const bar = dateChart.bars[i];
+            
+            if (bar.getData().length === 0) {
+                continue; // データがない場合はスキップ
+            }
+
+            // データを日付でソート
+            const sortedData = [...bar.getData()].sort((a, b) => 
+                a.date.localeCompare(b.date)
+            );
+
+            // スケールを取得
+            const scale = bar.secondAxis ? secondaryScale : primaryScale;
+            
+            if (!scale || scale.max <= scale.min) {
+                continue; // スケールが無効な場合はスキップ
+            }
+
+            // 'grouped'の場合は系列ごとに棒の位置を横にずらす
+            const groupOffset = barMode === 'grouped' ?
+                (visibleBars.indexOf(bar) - (visibleBars.length - 1) / 2) * barWidth : 0;
+
+            // 系列のグループ（棒・コメントをまとめ、系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeDateSeries(bar, i, 'bar', dateChart));
+
+            // 不透明度を設定（前期比較の系列など、1未満の場合のみ）
+            if (bar.opacity !== undefined && bar.opacity < 1) {
+                seriesGroup.setAttribute('opacity', bar.opacity);
+            }
+
+            // 各データポイントに対して棒を描画
+            for (const item of sortedData) {
+                if (item.value === null) {
+                    continue; // 欠損データは描画しない
+                }
+                if (scale.type === 'log' && item.value <= 0) {
+                    continue; // 対数軸では0以下の値は描画しない
+                }
+                const dateValue = this.parseDate(item.date);
+                
+                // X座標を計算（拡張された範囲で0.0から1.0の範囲）
+                const xRatio = extendedDateRange > 0 ? 
+                    (dateValue - extendedMinDateValue) / extendedDateRange : 0;
+                const x = plotArea.originX + xRatio * plotArea.width + groupOffset;
+
+                // 積み上げの場合は積み上げ位置、それ以外は0から値までを描画
+                const stack = stackPositions ?
+                    (bar.secondAxis ? stackPositions.secondary : stackPositions.primary).get(item) : null;
+                const startValue = stack ? stack.start : 0;
+                const endValue = stack ? stack.end : item.value;
+
+                // Y座標を計算（値から0.0から1.0の範囲に正規化、対数軸の場合は対数で）
+                // 原点が下なので、originYから引いて反転
+                const startY = plotArea.originY - AxisScale.getValueRatio(startValue, scale) * plotArea.height;
+                const endY = plotArea.originY - AxisScale.getValueRatio(endValue, scale) * plotArea.height;
+                const barTop = Math.min(startY, endY);
+                const barBottom = Math.max(startY, endY);
+
+                // 棒の幅の中心をX座標にする
+                const barLeft = x - barWidth / 2;
+
+                // 棒を描画（rect要素を使用）
+                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('x', barLeft);
+                rect.setAttribute('y', barTop);
+                rect.setAttribute('width', barWidth);
+                rect.setAttribute('height', barBottom - barTop);
+                rect.setAttribute('fill', bar.color || 'blue');
+                rect.setAttribute('fill-opacity', '0.7'); // 内部の透明度を70%に設定
+                rect.setAttribute('stroke', 'none');
+
+                // 補完したデータは薄い色と破線の枠で描画（showFilledMarkersがtrueの場合）
+                const isFilledBar = item.filled && bar.showFilledMarkers;
+                if (isFilledBar) {
+                    rect.setAttribute('fill-opacity', '0.3');
+                    rect.setAttribute('stroke', bar.color || 'blue');
+                    rect.setAttribute('stroke-dasharray', '3,2');
+                }
+
+                // ツールチップを追加（2行表示、積み上げの場合は3行目に合計）
+                const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+                const yAxisFormat = bar.secondAxis ? (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+                let formattedValue = this.formatNumber(item.value, yAxisFormat);
+                const formattedDate = this.formatDateLabel(item.date, dateChart);
+                if (isFilledBar) {
+                    formattedValue += ' (補完)';
+                }
+                formattedValue += this.formatComparisonDetail(bar, item, yAxisFormat, dateChart);
+
+                // 100%積み上げの場合は値の後に比率を表示
+                if (stack && barMode === 'percentStacked') {
+                    formattedValue += ' (' + this.formatNumber(stack.ratio, '0%') + ')';
+                }
+                
+                // 1行目: 日付、2行目: 値（コメントがある場合は値 + コメント）
+                let tooltipText = formattedDate;
+                if (item.tooltip && item.tooltip.trim()) {
+                    tooltipText += '\n' + formattedValue + ' ' + item.tooltip.trim();
+                } else {
+                    tooltipText += '\n' + formattedValue;
+                }
+
+                // 3行目: 積み上げの合計
+                if (stack) {
+                    tooltipText += '\n合計: ' + this.formatNumber(stack.total, yAxisFormat);
+                }
+                
+                title.textContent = tooltipText;
+                rect.appendChild(title);
+
+                seriesGroup.appendChild(rect);
+
+                // コメントを描画
+                if (item.tooltip) {
+                    this.renderComment(seriesGroup, plotArea, x, barTop, item.tooltip, bar.color || 'blue');
+                }
+            }
+        }
+    }
+
+    /**
+     * マーカーを描画（線グラフのデータポイントに丸を表示）
+     * @param {SVGElement} svg - SVG要素
+     * @param {number} x - X座標
+     * @param {number} y - Y座標（データポイントの位置）
+     * @param {number} value - 値
+     * @param {string} date - 日付（'YYYYMMDD'形式）
+     * @param {string} comment - コメントテキスト（オプション）
+     * @param {string} color - 系列の色
+     * @param {DateChart} dateChart - DateChartインスタンス（フォーマット用）
+     * @param {boolean} filled - 補完したデータ点かどうか（白抜きのマーカーで描画し、ツールチップに「(補完)」を付ける）
+     * @param {string} detail - 値の後に付ける補足（前期比較の系列の前期の日付・増減率など、オプション）
+     */
+    renderMarker(svg, x, y, value, date, comment, color, dateChart, filled = false, detail = '') {
+        const markerRadius = 4; // マーカーの半径
+        
+        // マーカーの円を描画（補完したデータ点は白抜き）
+        const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('cx', x);
+        circle.setAttribute('cy', y);
+        circle.setAttribute('r', markerRadius);
+        circle.setAttribute('fill', filled ? this.theme.colors.border : color);
+        circle.setAttribute('stroke', filled ? color : this.theme.colors.border);
+        circle.setAttribute('stroke-width', filled ? '1.5' : '1');
+        
+        // マウスオーバーでツールチップを表示（2行表示）
+        const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+        const yAxisFormat = dateChart.yAxisFormat || '#,##0';
+        const formattedValue = this.formatNumber(value, yAxisFormat) + (filled ? ' (補完)' : '') + detail;
+        const formattedDate = this.formatDateLabel(date, dateChart);
+        
+        // 1行目: 日付、2行目: 値（コメントがある場合は値 + コメント）
+        let tooltipText = formattedDate;
+        if (comment && comment.trim()) {
+            tooltipText += '\n' + formattedValue + ' ' + comment.trim();
+        } else {
+            tooltipText += '\n' + formattedValue;
+        }
+        
+        title.textContent = tooltipText;
+        circle.appendChild(title);
+        
+        svg.appendChild(circle);
+    }
+
+    /**
+     * コメントを描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {number} x - X座標
+     * @param {number} y - Y座標（データポイントの位置）
+     * @param {string} comment - コメントテキスト
+     * @param {string} color - 系列の色
+     */
+    renderComment(svg, plotArea, x, y, comment, color) {
+        if (!comment || comment.trim() === '') {
+            return;
+        }
+
+        const fontSize = this.theme.fontSize.small;
+        const metrics = this.measureFontMetrics(fontSize);
+        const commentText = comment.trim();
+        const textWidth = this.getTextWidth(commentText, fontSize);
+        
+        // コメントの位置を決定
+        // デフォルトはデータポイントの上
+        let commentX = x;
+        let commentY = y - 10; // データポイントから10px上
+        
+        // グラフの上端に近い場合は下に表示
+        const topMargin = 10;
+        if (commentY < plotArea.topRightY + topMargin) {
+            commentY = y + metrics.height + 5; // データポイントから下に表示
+        }
+        
+        // グラフの左端に近い場合は右にずらす
+        const leftMargin = 5;
+        if (commentX < plotArea.originX + leftMargin) {
+            commentX = plotArea.originX + leftMargin;
+        }
+        
+        // グラフの右端に近い場合は左にずらす
+        const rightMargin = 5;
+        if (commentX + textWidth > plotArea.topRightX - rightMargin) {
+            commentX = plotArea.topRightX - rightMargin - textWidth;
+        }
+        
+        // コメントテキストを描画
+        const commentElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+        commentElement.setAttribute('class', 'chart-text');
+        commentElement.setAttribute('x', commentX);
+        commentElement.setAttribute('y', commentY);
+        commentElement.setAttribute('text-anchor', 'middle');
+        commentElement.setAttribute('dominant-baseline', 'hanging');
+        commentElement.setAttribute('style', `font-size: ${fontSize}px; fill: ${color};`);
+        commentElement.textContent = commentText;
+        svg.appendChild(commentElement);
+    }
+
+    /**
+     * 日付ごとに全系列の値を収集（インタラクティブなツールチップ用）
+     * @param {DateChart} dateChart - DateChartインスタンス
+     * @returns {Map<string, Array<Object>>} 日付をキーとした値の配列 [{title, color, value, formattedValue, comment}, ...]
+     */
+    collectValuesByDate(dateChart) {
+        const valuesByDate = new Map();
+        const allSeries = [...dateChart.lines, ...dateChart.bars, ...dateChart.areas];
+
+        for (const series of allSeries) {
+            const format = series.secondAxis ?
+                (dateChart.secondAxisFormat || '#,##0') : (dateChart.yAxisFormat || '#,##0');
+            for (const item of series.getData()) {
+                if (item.value === null) {
+                    continue; // 欠損データは表示しない
+                }
+                if (!valuesByDate.has(item.date)) {
+                    valuesByDate.set(item.date, []);
+                }
+                valuesByDate.get(item.date).push({
+                    title: series.title,
+                    color: series.color,
+                    value: item.value,
+                    formattedValue: this.formatNumber(item.value, format) + this.formatRangeDetail(series, item, format) +
+                        this.formatComparisonDetail(series, item, format, dateChart),
+                    comment: item.tooltip ? item.tooltip.trim() : ''
+                });
+            }
+        }
+
+        return valuesByDate;
+    }
+
+    /**
+     * 線グラフの範囲（下限〜上限）・予測のツールチップで値の後に付ける補足を生成
+     * @param {LineSeries|BarSeries} series - 系列
+     * @param {Object} item - 系列のデータ
+     * @param {string} format - 値の数値フォーマット
+     * @returns {string} 補足（例: ' (予測)（範囲 10,000〜14,000）'、範囲・予測の開始日がない場合は空文字列）
+     */
+    formatRangeDetail(series, item, format) {
+        let detail = series.isForecast && series.isForecast(item.date) ? ' (予測)' : '';
+        if (item.lower !== null && item.lower !== undefined && item.upper !== null && item.upper !== undefined) {
+            detail += `（範囲 ${this.formatNumber(item.lower, format)}〜${this.formatNumber(item.upper, format)}）`;
+        }
+        return detail;
+    }
+
+    /**
+     * 前期比較の系列のツールチップで値の後に付ける補足を生成
+     * @param {LineSeries|BarSeries} series - 系列
+     * @param {Object} item - 系列のデータ（DateChart.calculateComparisonDataの戻り値の要素）
+     * @param {string} format - 値の数値フォーマット
+     * @param {DateChart} dateChart - DateChartインスタンス（日付のフォーマット用）
+     * @returns {string} 補足（例: '（前期 2024/01/08、今期 1,234、+5.2%）'、前期比較の系列でない場合は空文字列）
+     */
+    formatComparisonDetail(series, item, format, dateChart) {
+        if (!series.derivation || series.derivation.kind !== 'comparison') {
+            return '';
+        }
+        const details = [`前期 ${this.formatDateLabel(item.priorDate, dateChart)}`];
+        if (item.currentValue !== null) {
+            details.push(`今期 ${this.formatNumber(item.currentValue, format)}`);
+        }
+        if (item.change !== null) {
+            details.push((item.change > 0 ? '+' : '') + this.formatNumber(item.change, '0.0%'));
+        }
+        return `（${details.join('、')}）`;
+    }
+
+    /**
+     * インタラクティブなツールチップとクロスヘアを描画（DOMモードのみ）
+     * 描画エリア全体を覆う透明な矩形でマウスの位置を検出し、最も近い日付にクロスヘアを合わせて
+     * その日付の全系列の値をツールチップに表示する
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderInteractiveLayer(svg, plotArea) {
+        const dateChart = plotArea.dateChart || this.dateCharts[0];
+        const dateRangeInfo = this.getDateRange(dateChart);
+        if (!dateRangeInfo) {
+            return; // データがない場合は何もしない
+        }
+        const { extendedMinDateValue, extendedDateRange } = dateRangeInfo;
+        const valuesByDate = this.collectValuesByDate(dateChart);
+
+        // このDateChartにデータがある日付のX座標を計算（sharedXの場合も自分のデータの日付のみ）
+        const datePoints = Array.from(valuesByDate.keys()).sort().map(date => {
+            const xRatio = extendedDateRange > 0 ?
+                (this.parseDate(date) - extendedMinDateValue) / extendedDateRange : 0;
+            return { date, x: plotArea.originX + xRatio * plotArea.width };
+        });
+
+        // クロスヘア（縦線）
+        const crosshair = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        crosshair.setAttribute('y1', plotArea.topRightY);
+        crosshair.setAttribute('y2', plotArea.originY);
+        crosshair.setAttribute('stroke', this.theme.colors.crosshair);
+        crosshair.setAttribute('stroke-width', 1);
+        crosshair.setAttribute('stroke-dasharray', '4,2');
+        crosshair.setAttribute('pointer-events', 'none');
+        crosshair.setAttribute('visibility', 'hidden');
+        svg.appendChild(crosshair);
+
+        // マウスの位置を検出する透明な矩形
+        const overlay = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        overlay.setAttribute('x', plotArea.originX);
+        overlay.setAttribute('y', plotArea.topRightY);
+        overlay.setAttribute('width', plotArea.width);
+        overlay.setAttribute('height', plotArea.height);
+        overlay.setAttribute('fill', 'transparent');
+        overlay.setAttribute('pointer-events', 'all');
+        svg.appendChild(overlay);
+
+        overlay.addEventListener('mousemove', (event) => {
+            // マウスの位置をSVGの座標系に変換
+            const svgRect = svg.getBoundingClientRect();
+            const scale = svgRect.width > 0 ? this.width / svgRect.width : 1;
+            const mouseX = (event.clientX - svgRect.left) * scale;
+
+            // 最も近い日付を探す
+            let nearest = datePoints[0];
+            for (const point of datePoints) {
+                if (Math.abs(point.x - mouseX) < Math.abs(nearest.x - mouseX)) {
+                    nearest = point;
+                }
+            }
+
+            crosshair.setAttribute('x1', nearest.x);
+            crosshair.setAttribute('x2', nearest.x);
+            crosshair.setAttribute('visibility', 'visible');
+
+            this.showTooltip(nearest.date, valuesByDate.get(nearest.date), event, dateChart);
+        });
+
+        overlay.addEventListener('mouseleave', () => {
+            crosshair.setAttribute('visibility', 'hidden');
+            this.hideTooltip();
+        });
+    }
+
+    /**
+     * インタラクティブなツールチップのHTML要素を取得（なければ作成してコンテナに追加）
+     * @returns {HTMLElement} ツールチップの要素
+     */
+    getTooltipElement() {
+        if (this.tooltipElement) {
+            return this.tooltipElement;
+        }
+
+        // ツールチップをコンテナ内で絶対配置するため、コンテナを基準位置にする
+        if (!this.container.style.position) {
+            this.container.style.position = 'relative';
+        }
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'chart-tooltip';
+        tooltip.style.position = 'absolute';
+        tooltip.style.display = 'none';
+        tooltip.style.pointerEvents = 'none';
+        tooltip.style.zIndex = '10';
+        tooltip.style.padding = '6px 8px';
+        tooltip.style.background = this.theme.colors.tooltipBackground;
+        tooltip.style.border = `1px solid ${this.theme.colors.tooltipBorder}`;
+        tooltip.style.color = this.theme.colors.text;
+        tooltip.style.borderRadius = '4px';
+        tooltip.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.2)';
+        tooltip.style.fontFamily = this.fontFamily;
+        tooltip.style.fontSize = `${this.theme.fontSize.small + 2}px`;
+        tooltip.style.whiteSpace = 'nowrap';
+        this.container.appendChild(tooltip);
+
+        this.tooltipElement = tooltip;
+        return tooltip;
+    }
+
+    /**
+     * インタラクティブなツールチップを表示
+     * 1行目に日付、2行目以降に系列ごとの色・タイトル・値・コメントを表示する
+     * @param {string} date - 日付（'YYYYMMDD'形式）
+     * @param {Array<Object>} values - 系列ごとの値 [{title, color, formattedValue, comment}, ...]
+     * @param {MouseEvent} event - マウスイベント（表示位置の計算用）
+     * @param {DateChart} dateChart - DateChartインスタンス（日付のラベル用、省略可）
+     */
+    showTooltip(date, values, event, dateChart = null) {
+        const tooltip = this.getTooltipElement();
+
+        // 内容を作り直す（コメントにHTMLが含まれても安全なようにtextContentを使用）
+        tooltip.innerHTML = '';
+        const header = document.createElement('div');
+        header.style.fontWeight = 'bold';
+        header.textContent = this.formatDateLabel(date, dateChart);
+        tooltip.appendChild(header);
+
+        for (const item of values) {
+            const row = document.createElement('div');
+
+            const swatch = document.createElement('span');
+            swatch.style.display = 'inline-block';
+            swatch.style.width = '10px';
+            swatch.style.height = '10px';
+            swatch.style.marginRight = '4px';
+            swatch.style.background = item.color;
+            row.appendChild(swatch);
+
+            const text = document.createElement('span');
+            text.textContent = (item.title ? item.title + ': ' : '') + item.formattedValue +
+                (item.comment ? ' ' + item.comment : '');
+            row.appendChild(text);
+
+            tooltip.appendChild(row);
+        }
+
+        // マウスの右下に表示（コンテナの右端からはみ出す場合は左側に表示）
+        const containerRect = this.container.getBoundingClientRect();
+        const offset = 12;
+        let left = event.clientX - containerRect.left + offset;
+        const top = event.clientY - containerRect.top + offset;
+        tooltip.style.display = 'block';
+        if (left + tooltip.offsetWidth > containerRect.width) {
+            left = event.clientX - containerRect.left - offset - tooltip.offsetWidth;
+        }
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${top}px`;
+    }
+
+    /**
+     * インタラクティブなツールチップを非表示
+     */
+    hideTooltip() {
+        if (this.tooltipElement) {
+            this.tooltipElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * 凡例を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {DateChart} dateChart - DateChartインスタンス（省略時はすべてのDateChart）
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}（省略時はキャンバス全体）
+     */
+    renderLegend(svg, dateChart = null, panel = null) {
+        if (!this.dateCharts || this.dateCharts.length === 0) {
+            return;
+        }
+        panel = panel || this.getFullCanvasPanel();
+
+        // 凡例の設定
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendMargin = 20; // 右端からのマージン
+        // 上から60px（複数パネルの場合はパネルのタイトルの下）
+        let legendStartY = 60;
+        if (!panel.fullCanvas) {
+            legendStartY = panel.y + 10 + (dateChart && dateChart.title ? legendFontSize * 1.2 : 0) + 30;
+        }
+        const legendItemHeight = 25; // 各凡例項目の高さ
+        const iconWidth = 30; // アイコンの幅
+        const iconHeight = 3; // 線グラフのアイコンの高さ（線の太さ）
+        const iconBarWidth = 20; // 棒グラフのアイコンの幅
+        const iconBarHeight = 12; // 棒グラフのアイコンの高さ
+        const iconLabelGap = 10; // アイコンとラベルの間隔
+        const legendPadding = 10; // 凡例エリアのパディング
+
+        const metrics = this.measureFontMetrics(legendFontSize);
+
+        // DateChartから系列を収集
+        const legendItems = [];
+        const targetCharts = dateChart ? [dateChart] : this.dateCharts;
+        for (const targetChart of targetCharts) {
+            // 線グラフの系列
+            for (const line of targetChart.lines) {
+                if (line.title) {
+                    legendItems.push({
+                        type: 'line',
+                        title: line.title,
+                        color: line.color,
+                        lineWidth: line.lineWidth || 2,
+                        lineType: line.lineType || 'solid',
+                        opacity: line.opacity,
+                        // 範囲の帯がある場合は線のアイコンの背後に帯を表示する
+                        band: line.data.some(item => item.lower !== undefined && item.lower !== null) ?
+                            { color: line.bandColor || line.color, opacity: line.bandOpacity } : null
+                    });
+                }
+            }
+            // 棒グラフの系列
+            for (const bar of targetChart.bars) {
+                if (bar.title) {
+                    legendItems.push({
+                        type: 'bar',
+                        title: bar.title,
+                        color: bar.color,
+                        opacity: bar.opacity
+                    });
+                }
+            }
+            // 面グラフの系列
+            for (const area of targetChart.areas) {
+                if (area.title) {
+                    legendItems.push({
+                        type: 'area',
+                        title: area.title,
+                        color: area.color,
+                        fillOpacity: area.fillOpacity,
+                        lineWidth: area.lineWidth
+                    });
+                }
+            }
+        }
+
+        if (legendItems.length === 0) {
+            return; // 凡例項目がない場合は何も描画しない
+        }
+
+        // 最大のラベル幅を計算
+        let maxLabelWidth = 0;
+        for (const item of legendItems) {
+            const labelWidth = this.getTextWidth(item.title, legendFontSize);
+            if (labelWidth > maxLabelWidth) {
+                maxLabelWidth = labelWidth;
+            }
+        }
+
+        // 凡例エリアのサイズを計算
+        const legendAreaWidth = iconWidth + iconLabelGap + maxLabelWidth + legendPadding * 2;
+        const legendAreaHeight = legendItems.length * legendItemHeight + legendPadding * 2;
+        // 右寄せ: 右端からマージン分引いた位置から凡例エリアの幅を引く
+        const legendAreaX = panel.x + panel.width - legendAreaWidth - legendMargin;
+        const legendAreaY = legendStartY - legendPadding;
+        // 凡例項目の開始X位置（パディングを考慮）
+        const legendX = legendAreaX + legendPadding;
+
+        // 凡例項目を描画
+        let currentY = legendStartY;
+        for (const item of legendItems) {
+            const iconX = legendX;
+            const iconY = currentY - iconHeight / 2;
+
+            if (item.type === 'line') {
+                // 範囲の帯のアイコンを描画
+                if (item.band) {
+                    const bandRect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                    bandRect.setAttribute('x', iconX);
+                    bandRect.setAttribute('y', iconY - iconBarHeight / 2);
+                    bandRect.setAttribute('width', iconWidth);
+                    bandRect.setAttribute('height', iconBarHeight);
+                    bandRect.setAttribute('fill', item.band.color);
+                    bandRect.setAttribute('fill-opacity', item.band.opacity);
+                    bandRect.setAttribute('stroke', 'none');
+                    svg.appendChild(bandRect);
+                }
+
+                // 線グラフのアイコンを描画
+                const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                line.setAttribute('x1', iconX);
+                line.setAttribute('y1', iconY);
+                line.setAttribute('x2', iconX + iconWidth);
+                line.setAttribute('y2', iconY);
+                line.setAttribute('stroke', item.color);
+                line.setAttribute('stroke-width', item.lineWidth);
+                
+                // 線の種類を設定
+                if (item.lineType === 'dashed') {
+                    line.setAttribute('stroke-dasharray', '5,5');
+                } else if (item.lineType === 'dotted') {
+                    line.setAttribute('stroke-dasharray', '2,2');
+                }
+                if (item.opacity !== undefined && item.opacity < 1) {
+                    line.setAttribute('opacity', item.opacity);
+                }
+                
+                svg.appendChild(line);
+            } else if (item.type === 'bar') {
+                // 棒グラフのアイコンを描画
+                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('x', iconX);
+                rect.setAttribute('y', iconY - iconBarHeight / 2);
+                rect.setAttribute('width', iconBarWidth);
+                rect.setAttribute('height', iconBarHeight);
+                rect.setAttribute('fill', item.color);
+                rect.setAttribute('stroke', 'none');
+                if (item.opacity !== undefined && item.opacity < 1) {
+                    rect.setAttribute('opacity', item.opacity);
+                }
+                svg.appendChild(rect);
+            } else if (item.type === 'area') {
+                // 面グラフのアイコンを描画（塗りつぶしの矩形と上端の線）
+                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('x', iconX);
+                rect.setAttribute('y', iconY - iconBarHeight / 2);
+                rect.setAttribute('width', iconWidth);
+                rect.setAttribute('height', iconBarHeight);
+                rect.setAttribute('fill', item.color);
+                rect.setAttribute('fill-opacity', item.fillOpacity);
+                rect.setAttribute('stroke', 'none');
+                svg.appendChild(rect);
+                if (item.lineWidth > 0) {
+                    const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                    line.setAttribute('x1', iconX);
+                    line.setAttribute('y1', iconY - iconBarHeight / 2);
+                    line.setAttribute('x2', iconX + iconWidth);
+                    line.setAttribute('y2', iconY - iconBarHeight / 2);
+                    line.setAttribute('stroke', item.color);
+                    line.setAttribute('stroke-width', item.lineWidth);
+                    svg.appendChild(line);
+                }
+            }
+
+            // ラベルを描画
+            const labelX = iconX + iconWidth + iconLabelGap;
+            const labelY = currentY;
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text chart-legend-text');
+            labelText.setAttribute('x', labelX);
+            labelText.setAttribute('y', labelY);
+            labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
+            labelText.textContent = item.title;
+            svg.appendChild(labelText);
+
+            currentY += legendItemHeight;
+        }
+    }
+
+    /**
+     * ヒストグラム用の描画エリアを計算
+     * @returns {Object} 描画エリアの情報
+     */
+    calculateHistogramPlotArea() {
+        if (!this.histogramCharts || this.histogramCharts.length === 0) {
+            return null;
+        }
+
+        const histogramChart = this.histogramCharts[0];
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const leftMargin = 20;
+        const bottomMargin = 20;
+        const topMargin = 10;
+        const tickLineLength = 5;
+        const titleMargin = 20;
+        const legendMargin = 20;
+        const legendScaleGap = 20;
+
+        // データの範囲を取得
+        const rawDataRange = histogramChart.getDataRange();
+        const bins = histogramChart.calculateBins(rawDataRange.min, rawDataRange.max);
+        
+        // X軸スケールに基づいたデータ範囲を使用
+        const dataRange = {
+            min: bins.xAxisScale.minTickValue,
+            max: bins.xAxisScale.maxTickValue
+        };
+
+        // Y軸のスケールを計算（頻度の最大値を取得）
+        let maxFrequency = 0;
+        for (const series of histogramChart.series) {
+            const frequencies = histogramChart.binData(series.data, bins.bins);
+            const seriesMax = Math.max(...frequencies, 0);
+            if (seriesMax > maxFrequency) {
+                maxFrequency = seriesMax;
+            }
+        }
+
+        // Y軸のスケールを計算
+        const yAxisScale = this.calculateYAxisScaleForHistogram(maxFrequency, histogramChart.yAxisOptions);
+        const yAxisFormat = histogramChart.yAxisFormat || '#,##0';
+
+        // Y軸のラベルの最大幅を計算
+        let maxYLabelWidth = 0;
+        for (const label of yAxisScale.labels) {
+            const formatted = this.formatNumber(label, yAxisFormat);
+            const width = this.getTextWidth(formatted, fontSize);
+            if (width > maxYLabelWidth) {
+                maxYLabelWidth = width;
+            }
+        }
+
+        // 凡例の計算（ヒストグラム用）
+        const legendItems = [];
+        for (const hc of this.histogramCharts) {
+            for (const series of hc.series) {
+                if (series.title) {
+                    legendItems.push({
+                        type: 'histogram',
+                        title: series.title,
+                        color: series.color,
+                        opacity: series.opacity
+                    });
+                }
+            }
+        }
+
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendItemHeight = 25;
+        const iconWidth = 20;
+        const iconLabelGap = 10;
+        const legendPadding = 10;
+
+        let maxLegendLabelWidth = 0;
+        for (const item of legendItems) {
+            const width = this.getTextWidth(item.title, legendFontSize);
+            if (width > maxLegendLabelWidth) {
+                maxLegendLabelWidth = width;
+            }
+        }
+
+        const legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
+        const legendLeftX = this.width - legendAreaWidth - legendMargin;
+
+        // 原点のX座標
+        const originX = leftMargin + maxYLabelWidth + tickLineLength;
+
+        // 原点のY座標
+        const labelMargin = 5;
+        const originY = this.height - bottomMargin - metrics.height * 2 - labelMargin - tickLineLength;
+
+        // 右上のX座標
+        const topRightX = legendLeftX - legendMargin;
+
+        // 右上のY座標
+        let topRightY = topMargin;
+        if (this.title) {
+            topRightY += metrics.height;
+            if (this.subtitle) {
+                topRightY += fontSize + 5;
+            }
+        }
+        topRightY += titleMargin;
+
+        return {
+            originX,
+            originY,
+            topRightX,
+            topRightY,
+            dataRange,
+            bins: bins.bins,
+            binWidth: bins.binWidth,
+            xAxisScale: bins.xAxisScale,
+            yAxisScale,
+            yAxisFormat
+        };
+    }
+
+    /**
+     * ヒストグラム用のY軸スケールを計算
+     * @param {number} maxValue - 最大値
+     * @param {Object|null} options - 正規化した軸の指定（HistogramChart.yAxisOptions、省略時は自動計算）
+     * @returns {Object} {min, max, tickCount, labels}
+     */
+    calculateYAxisScaleForHistogram(maxValue, options = null) {
+        // 適切な間隔を計算（最大値の桁の1/5刻み）
+        const getTickInterval = (range, upper) => Math.pow(10, Math.floor(Math.log10(upper))) / 5;
+
+        if (AxisScale.hasOptions(options)) {
+            return AxisScale.calculateLinearScale(0, maxValue, options, true,
+                (range, upper) => upper > 0 ? getTickInterval(range, upper) : AxisScale.calculateAutoInterval(range));
+        }
+
+        if (maxValue === 0) {
+            return { min: 0, max: 10, tickCount: 6, labels: [0, 2, 4, 6, 8, 10] };
+        }
+
+        const tickInterval = getTickInterval(maxValue, maxValue);
+        const maxTickValue = Math.ceil(maxValue / tickInterval) * tickInterval;
+        const labels = [];
+        let currentValue = 0;
+        while (currentValue <= maxTickValue) {
+            labels.push(currentValue);
+            currentValue += tickInterval;
+        }
+
+        return {
+            min: 0,
+            max: maxTickValue,
+            tickCount: labels.length,
+            labels
+        };
+    }
+
+    /**
+     * ヒストグラムを描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderHistogram(svg, plotArea) {
+        if (!plotArea || !this.histogramCharts || this.histogramCharts.length === 0) {
+            return;
+        }
+
+        const histogramChart = this.histogramCharts[0];
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const tickLineLength = 5;
+        const labelMargin = 5;
+
+        // 描画エリアのサイズを計算
+        const plotWidth = plotArea.topRightX - plotArea.originX;
+        const plotHeight = plotArea.originY - plotArea.topRightY;
+
+        // 描画エリアの背景を描画
+        this.renderPlotAreaBackground(svg, plotArea);
+
+        // X軸とY軸を描画
+        this.renderHistogramAxes(svg, plotArea, plotWidth, plotHeight);
+
+        // グリッド線を描画（軸の後、データ系列の前）
+        this.renderHistogramGrid(svg, plotArea, plotWidth, plotHeight);
+
+        // ビンのクリックイベントを設定するかどうか（DOMモードでコールバックが指定されている場合のみ）
+        const clickable = !!this.container && typeof histogramChart.onBinClick === 'function';
+
+        // 各系列のヒストグラムを描画
+        for (let seriesIndex = 0; seriesIndex < histogramChart.series.length; seriesIndex++) {
+            const series = histogramChart.series[seriesIndex];
+            if (series.data.length === 0) {
+                continue;
+            }
+
+            // 系列のグループ（系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeHistogramSeries(series, seriesIndex, histogramChart));
+
+            // binDataMapを更新するために系列を渡す
+            const frequencies = histogramChart.binData(series.data, plotArea.bins, series);
+            const maxFrequency = Math.max(...plotArea.yAxisScale.labels);
+            const minFrequency = plotArea.yAxisScale.min || 0;
+            const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
+
+            if (histogramChart.curveMode) {
+                // ベジェ曲線モード
+                const points = histogramChart.calculateCurvePoints(frequencies, plotArea.bins);
+                const pathString = histogramChart.generateBezierPath(
+                    points,
+                    plotArea.dataRange.min,
+                    plotArea.dataRange.max,
+                    plotWidth,
+                    plotHeight,
+                    plotArea.originX,
+                    plotArea.originY,
+                    maxFrequency,
+                    minFrequency
+                );
+
+                if (pathString) {
+                    const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                    path.setAttribute('d', pathString);
+                    path.setAttribute('fill', 'none');
+                    path.setAttribute('stroke', series.color);
+                    path.setAttribute('stroke-width', 2);
+                    path.setAttribute('opacity', series.opacity);
+                    seriesGroup.appendChild(path);
+                }
+            } else {
+                // 棒グラフモード
+                const binWidth = plotArea.binWidth;
+                for (let i = 0; i < frequencies.length; i++) {
+                    const frequency = frequencies[i];
+                    if (frequency === 0) continue;
+
+                    const binMin = plotArea.bins[i];
+                    const binMax = plotArea.bins[i + 1];
+
+                    // X座標を計算（ビンの左端、X軸スケールに基づく）
+                    const xRatio = dataRange > 0 ? (binMin - plotArea.dataRange.min) / dataRange : 0;
+                    const x = plotArea.originX + xRatio * plotWidth;
+
+                    // ビンの幅を計算（X軸スケールに基づく）
+                    const binWidthRatio = dataRange > 0 ? (binMax - binMin) / dataRange : 0;
+                    const barWidth = binWidthRatio * plotWidth;
+
+                    // Y座標を計算（頻度から、Y軸の範囲外は端に寄せる）
+                    const yRatio = AxisScale.getValueRatio(frequency, plotArea.yAxisScale);
+                    const barHeight = (yRatio - AxisScale.getValueRatio(0, plotArea.yAxisScale)) * plotHeight;
+                    const y = plotArea.originY - yRatio * plotHeight;
+                    if (barHeight <= 0) continue;
+
+                    // 矩形を描画
+                    const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                    rect.setAttribute('x', x);
+                    rect.setAttribute('y', y);
+                    rect.setAttribute('width', barWidth);
+                    rect.setAttribute('height', barHeight);
+                    rect.setAttribute('fill', series.color);
+                    rect.setAttribute('opacity', series.opacity);
+                    rect.setAttribute('stroke', series.color);
+                    rect.setAttribute('stroke-width', 0.5);
+
+                    // クリックイベントを設定（クリックされたビンのデータをonBinClickに渡す）
+                    if (clickable) {
+                        const bins = plotArea.bins;
+                        rect.setAttribute('data-series-index', seriesIndex);
+                        rect.setAttribute('data-bin-index', i);
+                        rect.setAttribute('style', 'cursor: pointer;');
+                        rect.addEventListener('click', () => {
+                            histogramChart.handleBinClick(seriesIndex, i, bins);
+                        });
+                    }
+
+                    seriesGroup.appendChild(rect);
+                }
+            }
+        }
+    }
+
+    /**
+     * ヒストグラムの軸を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {number} plotWidth - 描画エリアの幅
+     * @param {number} plotHeight - 描画エリアの高さ
+     */
+    renderHistogramAxes(svg, plotArea, plotWidth, plotHeight) {
+        const histogramChart = this.histogramCharts[0];
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const tickLineLength = 5;
+        const labelMargin = 5;
+
+        // X軸の線を描画
+        const xAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        xAxisLine.setAttribute('x1', plotArea.originX);
+        xAxisLine.setAttribute('y1', plotArea.originY);
+        xAxisLine.setAttribute('x2', plotArea.topRightX);
+        xAxisLine.setAttribute('y2', plotArea.originY);
+        xAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        xAxisLine.setAttribute('stroke-width', 1);
+        svg.appendChild(xAxisLine);
+
+        // Y軸の線を描画
+        const yAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        yAxisLine.setAttribute('x1', plotArea.originX);
+        yAxisLine.setAttribute('y1', plotArea.originY);
+        yAxisLine.setAttribute('x2', plotArea.originX);
+        yAxisLine.setAttribute('y2', plotArea.topRightY);
+        yAxisLine.setAttribute('stroke', this.theme.colors.axis);
+        yAxisLine.setAttribute('stroke-width', 1);
+        svg.appendChild(yAxisLine);
+
+        // X軸の目盛りとラベルを描画（X軸スケールに基づく）
+        const xAxisFormat = histogramChart.xAxisFormat || '#,##0';
+        const xAxisScale = plotArea.xAxisScale;
+        const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
+
+        for (const labelValue of xAxisScale.labels) {
+            const xRatio = dataRange > 0 ? (labelValue - plotArea.dataRange.min) / dataRange : 0;
+            const x = plotArea.originX + xRatio * plotWidth;
+
+            // 目盛り線を描画
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', x);
+            tickLine.setAttribute('y1', plotArea.originY);
+            tickLine.setAttribute('x2', x);
+            tickLine.setAttribute('y2', plotArea.originY + tickLineLength);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', 1);
+            svg.appendChild(tickLine);
+
+            // ラベルを描画
+            const formatted = this.formatNumber(labelValue, xAxisFormat);
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', x);
+            labelText.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + metrics.height);
+            labelText.setAttribute('text-anchor', 'middle');
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = formatted;
+            svg.appendChild(labelText);
+        }
+
+        // Y軸の目盛りとラベルを描画
+        const yAxisFormat = plotArea.yAxisFormat;
+        for (const label of plotArea.yAxisScale.labels) {
+            const yRatio = AxisScale.getValueRatio(label, plotArea.yAxisScale);
+            const y = plotArea.originY - yRatio * plotHeight;
+
+            // 目盛り線を描画
+            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            tickLine.setAttribute('x1', plotArea.originX);
+            tickLine.setAttribute('y1', y);
+            tickLine.setAttribute('x2', plotArea.originX - tickLineLength);
+            tickLine.setAttribute('y2', y);
+            tickLine.setAttribute('stroke', this.theme.colors.tick);
+            tickLine.setAttribute('stroke-width', 1);
+            svg.appendChild(tickLine);
+
+            // ラベルを描画
+            const formatted = this.formatNumber(label, yAxisFormat);
+            const labelWidth = this.getTextWidth(formatted, fontSize);
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', 'end');
+            labelText.setAttribute('dominant-baseline', 'middle');
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = formatted;
+            svg.appendChild(labelText);
+        }
+
+        // X軸のタイトルを描画
+        if (histogramChart.xAxisTitle) {
+            const xAxisTitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            xAxisTitleText.setAttribute('class', 'chart-text');
+            xAxisTitleText.setAttribute('x', plotArea.originX + plotWidth / 2);
+            xAxisTitleText.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + metrics.height * 2 + 10);
+            xAxisTitleText.setAttribute('text-anchor', 'middle');
+            xAxisTitleText.setAttribute('style', `font-size: ${fontSize}px;`);
+            xAxisTitleText.textContent = histogramChart.xAxisTitle;
+            svg.appendChild(xAxisTitleText);
+        }
+
+        // Y軸のタイトルを描画
+        if (histogramChart.yAxisTitle) {
+            const yAxisTitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            yAxisTitleText.setAttribute('class', 'chart-text');
+            yAxisTitleText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin - 30);
+            yAxisTitleText.setAttribute('y', plotArea.topRightY + plotHeight / 2);
+            yAxisTitleText.setAttribute('text-anchor', 'middle');
+            yAxisTitleText.setAttribute('transform', `rotate(-90 ${plotArea.originX - tickLineLength - labelMargin - 30} ${plotArea.topRightY + plotHeight / 2})`);
+            yAxisTitleText.setAttribute('style', `font-size: ${fontSize}px;`);
+            yAxisTitleText.textContent = histogramChart.yAxisTitle;
+            svg.appendChild(yAxisTitleText);
+        }
+
+        // 凡例を描画
+        this.renderHistogramLegend(svg);
+    }
+
+    /**
+     * HistogramChartのグリッド線を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {number} plotWidth - 描画エリアの幅
+     * @param {number} plotHeight - 描画エリアの高さ
+     */
+    renderHistogramGrid(svg, plotArea, plotWidth, plotHeight) {
+        if (!plotArea || !this.histogramCharts || this.histogramCharts.length === 0) {
+            return;
+        }
+
+        const histogramChart = this.histogramCharts[0];
+        const gridColor = this.theme.colors.grid;
+        const gridStrokeWidth = 1;
+        const gridDashArray = '2,2'; // 破線
+
+        // X軸のグリッド線を描画
+        if (histogramChart.xGrid) {
+            const xAxisScale = plotArea.xAxisScale;
+            const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
+
+            for (const labelValue of xAxisScale.labels) {
+                const xRatio = dataRange > 0 ? (labelValue - plotArea.dataRange.min) / dataRange : 0;
+                const x = plotArea.originX + xRatio * plotWidth;
+
+                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                gridLine.setAttribute('x1', x);
+                gridLine.setAttribute('y1', plotArea.topRightY);
+                gridLine.setAttribute('x2', x);
+                gridLine.setAttribute('y2', plotArea.originY);
+                gridLine.setAttribute('stroke', gridColor);
+                gridLine.setAttribute('stroke-width', gridStrokeWidth);
+                gridLine.setAttribute('stroke-dasharray', gridDashArray);
+                svg.appendChild(gridLine);
+            }
+        }
+
+        // Y軸のグリッド線を描画
+        if (histogramChart.yGrid) {
+            for (const label of plotArea.yAxisScale.labels) {
+                const yRatio = AxisScale.getValueRatio(label, plotArea.yAxisScale);
+                const y = plotArea.originY - yRatio * plotHeight;
+
+                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+                gridLine.setAttribute('x1', plotArea.originX);
+                gridLine.setAttribute('y1', y);
+                gridLine.setAttribute('x2', plotArea.topRightX);
+                gridLine.setAttribute('y2', y);
+                gridLine.setAttribute('stroke', gridColor);
+                gridLine.setAttribute('stroke-width', gridStrokeWidth);
+                gridLine.setAttribute('stroke-dasharray', gridDashArray);
+                svg.appendChild(gridLine);
+            }
         }
-        
-        // コメントテキストを描画
-        const commentElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-        commentElement.setAttribute('class', 'chart-text');
-        commentElement.setAttribute('x', commentX);
-        commentElement.setAttribute('y', commentY);
-        commentElement.setAttribute('text-anchor', 'middle');
-        commentElement.setAttribute('dominant-baseline', 'hanging');
-        commentElement.setAttribute('style', `font-size: ${fontSize}px; fill: ${color};`);
-        commentElement.textContent = commentText;
-        svg.appendChild(commentElement);
     }
 
     /**
-     * 凡例を描画
+     * ヒストグラムの凡例を描画
      * @param {SVGElement} svg - SVG要素
      */
-    renderLegend(svg) {
-        if (!this.dateCharts || this.dateCharts.length === 0) {
+    renderHistogramLegend(svg) {
+        if (!this.histogramCharts || this.histogramCharts.length === 0) {
             return;
         }
 
-        // 凡例の設定
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const legendMargin = 20; // 右端からのマージン
-        const legendStartY = 60; // 上から60px
-        const legendItemHeight = 25; // 各凡例項目の高さ
-        const iconWidth = 30; // アイコンの幅
-        const iconHeight = 3; // 線グラフのアイコンの高さ（線の太さ）
-        const iconBarWidth = 20; // 棒グラフのアイコンの幅
-        const iconBarHeight = 12; // 棒グラフのアイコンの高さ
-        const iconLabelGap = 10; // アイコンとラベルの間隔
-        const legendPadding = 10; // 凡例エリアのパディング
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendMargin = 20;
+        const legendStartY = 60;
+        const legendItemHeight = 25;
+        const iconWidth = 20;
+        const iconHeight = 12;
+        const iconLabelGap = 10;
+        const legendPadding = 10;
 
         const metrics = this.measureFontMetrics(legendFontSize);
 
-        // すべてのDateChartから系列を収集
+        // 凡例項目を収集
         const legendItems = [];
-        for (const dateChart of this.dateCharts) {
-            // 線グラフの系列
-            for (const line of dateChart.lines) {
-                if (line.title) {
-                    legendItems.push({
-                        type: 'line',
-                        title: line.title,
-                        color: line.color,
-                        lineWidth: line.lineWidth || 2,
-                        lineType: line.lineType || 'solid'
-                    });
-                }
-            }
-            // 棒グラフの系列
-            for (const bar of dateChart.bars) {
-                if (bar.title) {
+        for (const hc of this.histogramCharts) {
+            for (const series of hc.series) {
+                if (series.title) {
                     legendItems.push({
-                        type: 'bar',
-                        title: bar.title,
-                        color: bar.color
+                        type: 'histogram',
+                        title: series.title,
+                        color: series.color,
+                        opacity: series.opacity
                     });
                 }
             }
         }
 
         if (legendItems.length === 0) {
-            return; // 凡例項目がない場合は何も描画しない
+            return;
         }
 
         // 最大のラベル幅を計算
@@ -1668,11 +4377,8 @@ class ChartCanvas {
 
         // 凡例エリアのサイズを計算
         const legendAreaWidth = iconWidth + iconLabelGap + maxLabelWidth + legendPadding * 2;
-        const legendAreaHeight = legendItems.length * legendItemHeight + legendPadding * 2;
-        // 右寄せ: 右端からマージン分引いた位置から凡例エリアの幅を引く
         const legendAreaX = this.width - legendAreaWidth - legendMargin;
         const legendAreaY = legendStartY - legendPadding;
-        // 凡例項目の開始X位置（パディングを考慮）
         const legendX = legendAreaX + legendPadding;
 
         // 凡例項目を描画
@@ -1681,41 +4387,23 @@ class ChartCanvas {
             const iconX = legendX;
             const iconY = currentY - iconHeight / 2;
 
-            if (item.type === 'line') {
-                // 線グラフのアイコンを描画
-                const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                line.setAttribute('x1', iconX);
-                line.setAttribute('y1', iconY);
-                line.setAttribute('x2', iconX + iconWidth);
-                line.setAttribute('y2', iconY);
-                line.setAttribute('stroke', item.color);
-                line.setAttribute('stroke-width', item.lineWidth);
-                
-                // 線の種類を設定
-                if (item.lineType === 'dashed') {
-                    line.setAttribute('stroke-dasharray', '5,5');
-                } else if (item.lineType === 'dotted') {
-                    line.setAttribute('stroke-dasharray', '2,2');
-                }
-                
-                svg.appendChild(line);
-            } else if (item.type === 'bar') {
-                // 棒グラフのアイコンを描画
-                const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                rect.setAttribute('x', iconX);
-                rect.setAttribute('y', iconY - iconBarHeight / 2);
-                rect.setAttribute('width', iconBarWidth);
-                rect.setAttribute('height', iconBarHeight);
-                rect.setAttribute('fill', item.color);
-                rect.setAttribute('stroke', 'none');
-                svg.appendChild(rect);
-            }
+            // ヒストグラムのアイコンを描画
+            const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('x', iconX);
+            rect.setAttribute('y', iconY);
+            rect.setAttribute('width', iconWidth);
+            rect.setAttribute('height', iconHeight);
+            rect.setAttribute('fill', item.color);
+            rect.setAttribute('opacity', item.opacity);
+            rect.setAttribute('stroke', item.color);
+            rect.setAttribute('stroke-width', 0.5);
+            svg.appendChild(rect);
 
             // ラベルを描画
             const labelX = iconX + iconWidth + iconLabelGap;
             const labelY = currentY;
             const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('class', 'chart-text chart-legend-text');
             labelText.setAttribute('x', labelX);
             labelText.setAttribute('y', labelY);
             labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
@@ -1727,102 +4415,414 @@ class ChartCanvas {
     }
 
     /**
-     * ヒストグラム用の描画エリアを計算
-     * @returns {Object} 描画エリアの情報
+     * 散布図の凡例の項目を取得（タイトルがあり、点がある系列のみ）
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @returns {Array<Object>} 凡例の項目 [{title, color, opacity}, ...]
      */
-    calculateHistogramPlotArea() {
-        if (!this.histogramCharts || this.histogramCharts.length === 0) {
-            return null;
-        }
+    getScatterLegendItems(scatterChart) {
+        return scatterChart.series
+            .filter(series => series.title && series.data.length > 0)
+            .map(series => ({ title: series.title, color: series.color, opacity: series.opacity }));
+    }
 
-        const histogramChart = this.histogramCharts[0];
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
+    /**
+     * 散布図用の描画エリアを計算
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @returns {Object} 描画エリアの情報
+     */
+    calculateScatterPlotArea(scatterChart) {
+        const fontSize = this.theme.fontSize.normal;
         const metrics = this.measureFontMetrics(fontSize);
         const leftMargin = 20;
         const bottomMargin = 20;
         const topMargin = 10;
         const tickLineLength = 5;
+        const labelMargin = 5;
+        const axisTitleMargin = 10;
         const titleMargin = 20;
         const legendMargin = 20;
-        const legendScaleGap = 20;
+        const iconWidth = 20;
+        const iconLabelGap = 10;
+        const legendPadding = 10;
 
-        // データの範囲を取得
-        const rawDataRange = histogramChart.getDataRange();
-        const bins = histogramChart.calculateBins(rawDataRange.min, rawDataRange.max);
-        
-        // X軸スケールに基づいたデータ範囲を使用
-        const dataRange = {
-            min: bins.xAxisScale.minTickValue,
-            max: bins.xAxisScale.maxTickValue
+        // X軸・Y軸のスケールを計算（どちらもHistogramChartのX軸と同じロジック）
+        const dataRange = scatterChart.getDataRange();
+        const xAxisScale = scatterChart.calculateXAxisScale(dataRange.xMin, dataRange.xMax);
+        const yAxisScale = scatterChart.calculateYAxisScale(dataRange.yMin, dataRange.yMax);
+
+        // Y軸のラベルの最大幅を計算
+        let maxYLabelWidth = 0;
+        for (const label of yAxisScale.labels) {
+            const width = this.getTextWidth(this.formatAxisLabel(label, scatterChart.yAxisFormat, yAxisScale), fontSize);
+            if (width > maxYLabelWidth) {
+                maxYLabelWidth = width;
+            }
+        }
+
+        // 凡例の幅を計算（凡例の項目がない場合は凡例の領域を確保しない）
+        const legendItems = this.getScatterLegendItems(scatterChart);
+        let legendAreaWidth = 0;
+        if (legendItems.length > 0) {
+            let maxLegendLabelWidth = 0;
+            for (const item of legendItems) {
+                const width = this.getTextWidth(item.title, this.theme.legend.fontSize);
+                if (width > maxLegendLabelWidth) {
+                    maxLegendLabelWidth = width;
+                }
+            }
+            legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
+        }
+
+        // 原点の座標（軸のタイトルがある場合はタイトルの領域を空ける）
+        const yAxisTitleWidth = scatterChart.yAxisTitle ? metrics.height + axisTitleMargin : 0;
+        const xAxisTitleHeight = scatterChart.xAxisTitle ? metrics.height + axisTitleMargin : 0;
+        const originX = leftMargin + yAxisTitleWidth + maxYLabelWidth + labelMargin + tickLineLength;
+        const originY = this.height - bottomMargin - xAxisTitleHeight - metrics.height - labelMargin - tickLineLength;
+
+        // 右上の座標
+        const topRightX = this.width - legendMargin - (legendAreaWidth > 0 ? legendAreaWidth + legendMargin : 0);
+        let topRightY = topMargin;
+        if (this.title) {
+            topRightY += metrics.height;
+            if (this.subtitle) {
+                topRightY += fontSize + 5;
+            }
+        }
+        topRightY += titleMargin;
+
+        return {
+            originX,
+            originY,
+            topRightX,
+            topRightY,
+            xAxisScale,
+            yAxisScale,
+            legendItems,
+            legendAreaWidth
         };
+    }
 
-        // Y軸のスケールを計算（頻度の最大値を取得）
-        let maxFrequency = 0;
-        for (const series of histogramChart.series) {
-            const frequencies = histogramChart.binData(series.data, bins.bins);
-            const seriesMax = Math.max(...frequencies, 0);
-            if (seriesMax > maxFrequency) {
-                maxFrequency = seriesMax;
+    /**
+     * 散布図を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @param {Object} plotArea - 描画エリアの情報
+     */
+    renderScatterChart(svg, scatterChart, plotArea) {
+        const plotWidth = plotArea.topRightX - plotArea.originX;
+        const plotHeight = plotArea.originY - plotArea.topRightY;
+        const toX = value => plotArea.originX + AxisScale.getValueRatio(value, plotArea.xAxisScale) * plotWidth;
+        const toY = value => plotArea.originY - AxisScale.getValueRatio(value, plotArea.yAxisScale) * plotHeight;
+        const isInRange = (value, scale) => value >= scale.min && value <= scale.max;
+
+        // 描画エリアの背景・グリッド線・軸を描画
+        this.renderPlotAreaBackground(svg, plotArea);
+        this.renderScatterGrid(svg, scatterChart, plotArea, toX, toY);
+        this.renderScatterAxes(svg, scatterChart, plotArea, toX, toY);
+
+        const maxSize = scatterChart.getMaxSize();
+        const xFormat = scatterChart.xAxisFormat;
+        const yFormat = scatterChart.yAxisFormat;
+        const xName = scatterChart.xAxisTitle || 'X';
+        const yName = scatterChart.yAxisTitle || 'Y';
+
+        scatterChart.series.forEach((series, seriesIndex) => {
+            if (series.data.length === 0) {
+                return;
+            }
+
+            // 系列のグループ（系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeScatterSeries(series, seriesIndex, scatterChart));
+
+            // 大きいバブルが小さいバブルを隠さないように、サイズの大きい順に描画する
+            const points = maxSize !== null ?
+                [...series.data].sort((a, b) => (b.size || 0) - (a.size || 0)) : series.data;
+            for (const point of points) {
+                // 軸の範囲外の点は描画しない
+                if (!isInRange(point.x, plotArea.xAxisScale) || !isInRange(point.y, plotArea.yAxisScale)) {
+                    continue;
+                }
+
+                const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                circle.setAttribute('cx', toX(point.x));
+                circle.setAttribute('cy', toY(point.y));
+                circle.setAttribute('r', scatterChart.getPointRadius(point, maxSize));
+                circle.setAttribute('fill', series.color);
+                circle.setAttribute('fill-opacity', series.opacity);
+                circle.setAttribute('stroke', series.color);
+                circle.setAttribute('stroke-width', 1);
+
+                // マウスオーバーでツールチップを表示（1行目: ラベルと系列名、2行目以降: X・Y・サイズ）
+                const heading = point.label && series.title ? `${point.label}（${series.title}）` : (point.label || series.title);
+                const tooltipLines = heading ? [heading] : [];
+                tooltipLines.push(`${xName}: ${this.formatNumber(point.x, xFormat)}`, `${yName}: ${this.formatNumber(point.y, yFormat)}`);
+                if (point.size !== null) {
+                    tooltipLines.push(`サイズ: ${this.formatNumber(point.size, scatterChart.sizeFormat)}`);
+                }
+                const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = tooltipLines.join('\n');
+                circle.appendChild(title);
+
+                seriesGroup.appendChild(circle);
+            }
+
+            if (scatterChart.showRegressionLine) {
+                this.renderScatterRegressionLine(seriesGroup, scatterChart, series, plotArea, toX, toY);
             }
+        });
+
+        // 凡例を描画
+        this.renderScatterLegend(svg, plotArea);
+    }
+
+    /**
+     * 散布図の系列の回帰直線を描画（描画エリアの範囲に切り詰める）
+     * @param {SVGElement} svg - 描画先の要素（系列のグループ）
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @param {ScatterSeries} series - 系列
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {Function} toX - X軸の値をX座標に変換する関数
+     * @param {Function} toY - Y軸の値をY座標に変換する関数
+     */
+    renderScatterRegressionLine(svg, scatterChart, series, plotArea, toX, toY) {
+        const regression = series.getRegression();
+        if (!regression) {
+            return;
         }
 
-        // Y軸のスケールを計算
-        const yAxisScale = this.calculateYAxisScaleForHistogram(maxFrequency);
-        const yAxisFormat = histogramChart.yAxisFormat || '#,##0';
+        // X軸の範囲のうち、直線がY軸の範囲に収まる区間を求める
+        const { xAxisScale, yAxisScale } = plotArea;
+        let startX = xAxisScale.min;
+        let endX = xAxisScale.max;
+        if (regression.slope !== 0) {
+            const xAtMin = (yAxisScale.min - regression.intercept) / regression.slope;
+            const xAtMax = (yAxisScale.max - regression.intercept) / regression.slope;
+            startX = Math.max(startX, Math.min(xAtMin, xAtMax));
+            endX = Math.min(endX, Math.max(xAtMin, xAtMax));
+        } else if (regression.intercept < yAxisScale.min || regression.intercept > yAxisScale.max) {
+            return;
+        }
+        if (startX >= endX) {
+            return;
+        }
 
-        // Y軸のラベルの最大幅を計算
+        const dashArrays = { solid: null, dashed: '5,5', dotted: '2,2' };
+        const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', toX(startX));
+        line.setAttribute('y1', toY(regression.slope * startX + regression.intercept));
+        line.setAttribute('x2', toX(endX));
+        line.setAttribute('y2', toY(regression.slope * endX + regression.intercept));
+        line.setAttribute('stroke', series.color);
+        line.setAttribute('stroke-width', scatterChart.regressionLineWidth);
+        if (dashArrays[scatterChart.regressionLineStyle]) {
+            line.setAttribute('stroke-dasharray', dashArrays[scatterChart.regressionLineStyle]);
+        }
+
+        const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = `回帰直線${series.title ? `（${series.title}）` : ''}: ${ScatterChart.formatRegression(regression)}`;
+        line.appendChild(title);
+
+        svg.appendChild(line);
+    }
+
+    /**
+     * 散布図の軸（線・目盛り・ラベル・タイトル）を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {Function} toX - X軸の値をX座標に変換する関数
+     * @param {Function} toY - Y軸の値をY座標に変換する関数
+     */
+    renderScatterAxes(svg, scatterChart, plotArea, toX, toY) {
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const tickLineLength = 5;
+        const labelMargin = 5;
+        const axisTitleMargin = 10;
+
+        const createLine = (x1, y1, x2, y2, color) => {
+            const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', color);
+            line.setAttribute('stroke-width', 1);
+            svg.appendChild(line);
+        };
+        const createText = (x, y, text, anchor, extraAttributes = {}) => {
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('x', x);
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', anchor);
+            for (const [name, value] of Object.entries(extraAttributes)) {
+                labelText.setAttribute(name, value);
+            }
+            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
+            labelText.textContent = text;
+            svg.appendChild(labelText);
+        };
+
+        // X軸とY軸の線を描画
+        createLine(plotArea.originX, plotArea.originY, plotArea.topRightX, plotArea.originY, this.theme.colors.axis);
+        createLine(plotArea.originX, plotArea.originY, plotArea.originX, plotArea.topRightY, this.theme.colors.axis);
+
+        // X軸の目盛りとラベルを描画
+        const xLabelY = plotArea.originY + tickLineLength + labelMargin + metrics.height;
+        for (const label of plotArea.xAxisScale.labels) {
+            const x = toX(label);
+            createLine(x, plotArea.originY, x, plotArea.originY + tickLineLength, this.theme.colors.tick);
+            createText(x, xLabelY, this.formatAxisLabel(label, scatterChart.xAxisFormat, plotArea.xAxisScale), 'middle');
+        }
+
+        // Y軸の目盛りとラベルを描画
         let maxYLabelWidth = 0;
-        for (const label of yAxisScale.labels) {
-            const formatted = this.formatNumber(label, yAxisFormat);
-            const width = this.getTextWidth(formatted, fontSize);
-            if (width > maxYLabelWidth) {
-                maxYLabelWidth = width;
+        for (const label of plotArea.yAxisScale.labels) {
+            const y = toY(label);
+            const formatted = this.formatAxisLabel(label, scatterChart.yAxisFormat, plotArea.yAxisScale);
+            maxYLabelWidth = Math.max(maxYLabelWidth, this.getTextWidth(formatted, fontSize));
+            createLine(plotArea.originX, y, plotArea.originX - tickLineLength, y, this.theme.colors.tick);
+            createText(plotArea.originX - tickLineLength - labelMargin, y, formatted, 'end', { 'dominant-baseline': 'middle' });
+        }
+
+        // X軸のタイトルを描画（X軸のラベルの下）
+        if (scatterChart.xAxisTitle) {
+            const plotWidth = plotArea.topRightX - plotArea.originX;
+            createText(plotArea.originX + plotWidth / 2, xLabelY + axisTitleMargin + metrics.height, scatterChart.xAxisTitle, 'middle');
+        }
+
+        // Y軸のタイトルを描画（Y軸のラベルの左、縦書き）
+        if (scatterChart.yAxisTitle) {
+            const titleX = plotArea.originX - tickLineLength - labelMargin - maxYLabelWidth - axisTitleMargin - metrics.height / 2;
+            const titleY = plotArea.topRightY + (plotArea.originY - plotArea.topRightY) / 2;
+            createText(titleX, titleY, scatterChart.yAxisTitle, 'middle', {
+                'dominant-baseline': 'middle',
+                transform: `rotate(-90 ${titleX} ${titleY})`
+            });
+        }
+    }
+
+    /**
+     * 散布図のグリッド線を描画
+     * @param {SVGElement} svg - SVG要素
+     * @param {ScatterChart} scatterChart - ScatterChartインスタンス
+     * @param {Object} plotArea - 描画エリアの情報
+     * @param {Function} toX - X軸の値をX座標に変換する関数
+     * @param {Function} toY - Y軸の値をY座標に変換する関数
+     */
+    renderScatterGrid(svg, scatterChart, plotArea, toX, toY) {
+        const gridLines = [];
+        if (scatterChart.xGrid) {
+            for (const label of plotArea.xAxisScale.labels) {
+                const x = toX(label);
+                gridLines.push([x, plotArea.topRightY, x, plotArea.originY]);
+            }
+        }
+        if (scatterChart.yGrid) {
+            for (const label of plotArea.yAxisScale.labels) {
+                const y = toY(label);
+                gridLines.push([plotArea.originX, y, plotArea.topRightX, y]);
             }
         }
 
-        // 凡例の計算（ヒストグラム用）
-        const legendItems = [];
-        for (const hc of this.histogramCharts) {
-            for (const series of hc.series) {
-                if (series.title) {
-                    legendItems.push({
-                        type: 'histogram',
-                        title: series.title,
-                        color: series.color,
-                        opacity: series.opacity
-                    });
-                }
-            }
+        for (const [x1, y1, x2, y2] of gridLines) {
+            const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            gridLine.setAttribute('x1', x1);
+            gridLine.setAttribute('y1', y1);
+            gridLine.setAttribute('x2', x2);
+            gridLine.setAttribute('y2', y2);
+            gridLine.setAttribute('stroke', this.theme.colors.grid);
+            gridLine.setAttribute('stroke-width', 1);
+            gridLine.setAttribute('stroke-dasharray', '2,2');
+            svg.appendChild(gridLine);
+        }
+    }
+
+    /**
+     * 散布図の凡例を描画（描画エリアの右側）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Object} plotArea - 描画エリアの情報（legendItemsを使用）
+     */
+    renderScatterLegend(svg, plotArea) {
+        if (plotArea.legendItems.length === 0) {
+            return;
         }
 
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendMargin = 20;
         const legendItemHeight = 25;
         const iconWidth = 20;
+        const iconRadius = 5;
         const iconLabelGap = 10;
         const legendPadding = 10;
 
-        let maxLegendLabelWidth = 0;
-        for (const item of legendItems) {
-            const width = this.getTextWidth(item.title, legendFontSize);
-            if (width > maxLegendLabelWidth) {
-                maxLegendLabelWidth = width;
-            }
-        }
+        const legendX = this.width - plotArea.legendAreaWidth - legendMargin + legendPadding;
+        let currentY = plotArea.topRightY + legendItemHeight / 2;
+        for (const item of plotArea.legendItems) {
+            // 点のアイコンを描画
+            const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', legendX + iconWidth / 2);
+            circle.setAttribute('cy', currentY);
+            circle.setAttribute('r', iconRadius);
+            circle.setAttribute('fill', item.color);
+            circle.setAttribute('fill-opacity', item.opacity);
+            circle.setAttribute('stroke', item.color);
+            circle.setAttribute('stroke-width', 1);
+            svg.appendChild(circle);
 
-        const legendAreaWidth = iconWidth + iconLabelGap + maxLegendLabelWidth + legendPadding * 2;
-        const legendLeftX = this.width - legendAreaWidth - legendMargin;
+            // ラベルを描画
+            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            labelText.setAttribute('class', 'chart-text chart-legend-text');
+            labelText.setAttribute('x', legendX + iconWidth + iconLabelGap);
+            labelText.setAttribute('y', currentY);
+            labelText.setAttribute('dominant-baseline', 'middle');
+            labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
+            labelText.textContent = item.title;
+            svg.appendChild(labelText);
 
-        // 原点のX座標
-        const originX = leftMargin + maxYLabelWidth + tickLineLength;
+            currentY += legendItemHeight;
+        }
+    }
 
-        // 原点のY座標
+    /**
+     * 箱ひげ図用の描画エリアを計算
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
+     * @returns {Object} 描画エリアの情報（seriesListは値のある系列と統計量 [{series, stats}, ...]）
+     */
+    calculateBoxPlotPlotArea(boxPlotChart) {
+        const fontSize = this.theme.fontSize.normal;
+        const metrics = this.measureFontMetrics(fontSize);
+        const leftMargin = 20;
+        const rightMargin = 20;
+        const bottomMargin = 20;
+        const topMargin = 10;
+        const tickLineLength = 5;
         const labelMargin = 5;
-        const originY = this.height - bottomMargin - metrics.height * 2 - labelMargin - tickLineLength;
+        const axisTitleMargin = 10;
+        const titleMargin = 20;
 
-        // 右上のX座標
-        const topRightX = legendLeftX - legendMargin;
+        // Y軸のスケールを計算（ひげ・外れ値・平均値を含む範囲、散布図の軸と同じロジック）
+        const valueRange = boxPlotChart.getValueRange();
+        const yAxisScale = boxPlotChart.calculateYAxisScale(valueRange.min, valueRange.max);
 
-        // 右上のY座標
+        // Y軸のラベルの最大幅を計算
+        let maxYLabelWidth = 0;
+        for (const label of yAxisScale.labels) {
+            const width = this.getTextWidth(this.formatAxisLabel(label, boxPlotChart.yAxisFormat, yAxisScale), fontSize);
+            if (width > maxYLabelWidth) {
+                maxYLabelWidth = width;
+            }
+        }
+
+        // 原点の座標（軸のタイトルがある場合はタイトルの領域を空ける）
+        const yAxisTitleWidth = boxPlotChart.yAxisTitle ? metrics.height + axisTitleMargin : 0;
+        const xAxisTitleHeight = boxPlotChart.xAxisTitle ? metrics.height + axisTitleMargin : 0;
+        const originX = leftMargin + yAxisTitleWidth + maxYLabelWidth + labelMargin + tickLineLength;
+        const originY = this.height - bottomMargin - xAxisTitleHeight - metrics.height - labelMargin - tickLineLength;
+
+        // 右上の座標
+        const topRightX = this.width - rightMargin;
         let topRightY = topMargin;
         if (this.title) {
             topRightY += metrics.height;
@@ -1832,485 +4832,474 @@ class ChartCanvas {
         }
         topRightY += titleMargin;
 
+        const seriesList = boxPlotChart.series
+            .map(series => ({ series, stats: series.getStatistics() }))
+            .filter(entry => entry.stats);
+
         return {
             originX,
             originY,
             topRightX,
             topRightY,
-            dataRange,
-            bins: bins.bins,
-            binWidth: bins.binWidth,
-            xAxisScale: bins.xAxisScale,
             yAxisScale,
-            yAxisFormat
-        };
-    }
-
-    /**
-     * ヒストグラム用のY軸スケールを計算
-     * @param {number} maxValue - 最大値
-     * @returns {Object} {max, tickCount, labels}
-     */
-    calculateYAxisScaleForHistogram(maxValue) {
-        if (maxValue === 0) {
-            return { max: 10, tickCount: 6, labels: [0, 2, 4, 6, 8, 10] };
-        }
-
-        // 適切な間隔を計算
-        const magnitude = Math.pow(10, Math.floor(Math.log10(maxValue)));
-        const normalized = maxValue / magnitude;
-
-        let tickInterval;
-        if (normalized <= 1) {
-            tickInterval = magnitude / 5;
-        } else if (normalized <= 2) {
-            tickInterval = magnitude / 5;
-        } else if (normalized <= 5) {
-            tickInterval = magnitude / 5;
-        } else {
-            tickInterval = magnitude / 5;
-        }
-
-        const maxTickValue = Math.ceil(maxValue / tickInterval) * tickInterval;
-        const labels = [];
-        let currentValue = 0;
-        while (currentValue <= maxTickValue) {
-            labels.push(currentValue);
-            currentValue += tickInterval;
-        }
-
-        return {
-            max: maxTickValue,
-            tickCount: labels.length,
-            labels
+            seriesList
         };
     }
 
     /**
-     * ヒストグラムを描画
+     * 箱ひげ図を描画（系列ごとに、X軸に等間隔に箱を並べる）
      * @param {SVGElement} svg - SVG要素
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
      * @param {Object} plotArea - 描画エリアの情報
      */
-    renderHistogram(svg, plotArea) {
-        if (!plotArea || !this.histogramCharts || this.histogramCharts.length === 0) {
-            return;
-        }
-
-        const histogramChart = this.histogramCharts[0];
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const metrics = this.measureFontMetrics(fontSize);
-        const tickLineLength = 5;
-        const labelMargin = 5;
-
-        // 描画エリアのサイズを計算
+    renderBoxPlot(svg, boxPlotChart, plotArea) {
         const plotWidth = plotArea.topRightX - plotArea.originX;
         const plotHeight = plotArea.originY - plotArea.topRightY;
+        const toY = value => plotArea.originY - AxisScale.getValueRatio(value, plotArea.yAxisScale) * plotHeight;
+        const slotWidth = plotArea.seriesList.length > 0 ? plotWidth / plotArea.seriesList.length : plotWidth;
+        const boxWidth = slotWidth * boxPlotChart.boxWidthRatio;
+        const format = boxPlotChart.yAxisFormat;
+
+        // 描画エリアの背景・グリッド線・軸を描画
+        this.renderPlotAreaBackground(svg, plotArea);
+        this.renderBoxPlotGrid(svg, boxPlotChart, plotArea, toY);
+        this.renderBoxPlotAxes(svg, boxPlotChart, plotArea, toY, slotWidth);
+
+        const createLine = (parent, x1, y1, x2, y2, color, width) => {
+            const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', color);
+            line.setAttribute('stroke-width', width);
+            parent.appendChild(line);
+            return line;
+        };
+        const appendTitle = (element, text) => {
+            const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = text;
+            element.appendChild(title);
+        };
 
-        // X軸とY軸を描画
-        this.renderHistogramAxes(svg, plotArea, plotWidth, plotHeight);
+        plotArea.seriesList.forEach(({ series, stats }, index) => {
+            const centerX = plotArea.originX + slotWidth * (index + 0.5);
+            const boxLeft = centerX - boxWidth / 2;
+            const name = series.title || `系列${boxPlotChart.series.indexOf(series) + 1}`;
 
-        // グリッド線を描画（軸の後、データ系列の前）
-        this.renderHistogramGrid(svg, plotArea, plotWidth, plotHeight);
+            // 系列のグループ（系列の概要をaria-labelに設定）
+            const seriesGroup = this.createSeriesGroup(svg, this.describeBoxPlotSeries(series, boxPlotChart.series.indexOf(series), boxPlotChart, stats));
 
-        // 各系列のヒストグラムを描画
-        let seriesIndex = 0;
-        for (const series of histogramChart.series) {
-            if (series.data.length === 0) {
-                seriesIndex++;
-                continue;
+            // ひげ（箱の端からひげの端までの線と、端の横線）を描画
+            createLine(seriesGroup, centerX, toY(stats.upperWhisker), centerX, toY(stats.q3), series.color, 1.5);
+            createLine(seriesGroup, centerX, toY(stats.q1), centerX, toY(stats.lowerWhisker), series.color, 1.5);
+            for (const whisker of [stats.upperWhisker, stats.lowerWhisker]) {
+                createLine(seriesGroup, centerX - boxWidth / 4, toY(whisker), centerX + boxWidth / 4, toY(whisker), series.color, 1.5);
             }
 
-            // binDataMapを更新するために系列を渡す
-            const frequencies = histogramChart.binData(series.data, plotArea.bins, series);
-            const maxFrequency = Math.max(...plotArea.yAxisScale.labels);
-            const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
-
-            if (histogramChart.curveMode) {
-                // ベジェ曲線モード
-                const points = histogramChart.calculateCurvePoints(frequencies, plotArea.bins);
-                const pathString = histogramChart.generateBezierPath(
-                    points,
-                    plotArea.dataRange.min,
-                    plotArea.dataRange.max,
-                    plotWidth,
-                    plotHeight,
-                    plotArea.originX,
-                    plotArea.originY,
-                    maxFrequency
-                );
-
-                if (pathString) {
-                    const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
-                    path.setAttribute('d', pathString);
-                    path.setAttribute('fill', 'none');
-                    path.setAttribute('stroke', series.color);
-                    path.setAttribute('stroke-width', 2);
-                    path.setAttribute('opacity', series.opacity);
-                    svg.appendChild(path);
+            // 箱（第1四分位〜第3四分位）を描画し、統計量をツールチップに表示
+            const isTukey = boxPlotChart.whiskerMode === 'tukey';
+            const tooltipLines = [
+                name,
+                `件数: ${this.formatNumber(stats.count, '#,##0')}`,
+                `最大: ${this.formatNumber(stats.max, format)}`,
+                ...(isTukey ? [`上ひげ: ${this.formatNumber(stats.upperWhisker, format)}`] : []),
+                `第3四分位: ${this.formatNumber(stats.q3, format)}`,
+                `中央値: ${this.formatNumber(stats.median, format)}`,
+                `第1四分位: ${this.formatNumber(stats.q1, format)}`,
+                ...(isTukey ? [`下ひげ: ${this.formatNumber(stats.lowerWhisker, format)}`] : []),
+                `最小: ${this.formatNumber(stats.min, format)}`,
+                `平均: ${this.formatNumber(stats.mean, format)}`,
+                ...(isTukey ? [`外れ値: ${this.formatNumber(stats.outliers.length, '#,##0')}件`] : [])
+            ];
+            const box = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            box.setAttribute('x', boxLeft);
+            box.setAttribute('y', toY(stats.q3));
+            box.setAttribute('width', boxWidth);
+            box.setAttribute('height', Math.max(0, toY(stats.q1) - toY(stats.q3)));
+            box.setAttribute('fill', series.color);
+            box.setAttribute('fill-opacity', series.opacity);
+            box.setAttribute('stroke', series.color);
+            box.setAttribute('stroke-width', 1.5);
+            appendTitle(box, tooltipLines.join('\n'));
+            seriesGroup.appendChild(box);
+
+            // 中央値の線を描画
+            createLine(seriesGroup, boxLeft, toY(stats.median), boxLeft + boxWidth, toY(stats.median), series.color, 3);
+
+            // 外れ値の点を描画（軸の範囲外の点は描画しない）
+            if (isTukey && boxPlotChart.showOutliers) {
+                for (const outlier of stats.outliers) {
+                    if (outlier < plotArea.yAxisScale.min || outlier > plotArea.yAxisScale.max) {
+                        continue;
+                    }
+                    const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                    circle.setAttribute('cx', centerX);
+                    circle.setAttribute('cy', toY(outlier));
+                    circle.setAttribute('r', 3);
+                    circle.setAttribute('fill', this.theme.colors.border);
+                    circle.setAttribute('stroke', series.color);
+                    circle.setAttribute('stroke-width', 1.5);
+                    appendTitle(circle, `${name}\n外れ値: ${this.formatNumber(outlier, format)}`);
+                    seriesGroup.appendChild(circle);
                 }
-            } else {
-                // 棒グラフモード
-                const binWidth = plotArea.binWidth;
-                for (let i = 0; i < frequencies.length; i++) {
-                    const frequency = frequencies[i];
-                    if (frequency === 0) continue;
-
-                    const binMin = plotArea.bins[i];
-                    const binMax = plotArea.bins[i + 1];
-
-                    // X座標を計算（ビンの左端、X軸スケールに基づく）
-                    const xRatio = dataRange > 0 ? (binMin - plotArea.dataRange.min) / dataRange : 0;
-                    const x = plotArea.originX + xRatio * plotWidth;
-
-                    // ビンの幅を計算（X軸スケールに基づく）
-                    const binWidthRatio = dataRange > 0 ? (binMax - binMin) / dataRange : 0;
-                    const barWidth = binWidthRatio * plotWidth;
-
-                    // Y座標を計算（頻度から）
-                    const yRatio = frequency / maxFrequency;
-                    const barHeight = yRatio * plotHeight;
-                    const y = plotArea.originY - barHeight;
+            }
 
-                    // 矩形を描画
-                    const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                    rect.setAttribute('x', x);
-                    rect.setAttribute('y', y);
-                    rect.setAttribute('width', barWidth);
-                    rect.setAttribute('height', barHeight);
-                    rect.setAttribute('fill', series.color);
-                    rect.setAttribute('opacity', series.opacity);
-                    rect.setAttribute('stroke', series.color);
-                    rect.setAttribute('stroke-width', 0.5);
-                    svg.appendChild(rect);
-                }
+            // 平均値のマーカー（ひし形）を描画
+            if (boxPlotChart.showMean) {
+                const meanY = toY(stats.mean);
+                const size = 5;
+                const marker = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                marker.setAttribute('d', `M ${centerX} ${meanY - size} L ${centerX + size} ${meanY} L ${centerX} ${meanY + size} L ${centerX - size} ${meanY} Z`);
+                marker.setAttribute('fill', this.theme.colors.border);
+                marker.setAttribute('stroke', series.color);
+                marker.setAttribute('stroke-width', 1.5);
+                appendTitle(marker, `${name}\n平均: ${this.formatNumber(stats.mean, format)}`);
+                seriesGroup.appendChild(marker);
             }
-        }
+        });
     }
 
     /**
-     * ヒストグラムの軸を描画
+     * 箱ひげ図の軸（線・Y軸の目盛りとラベル・X軸のグループ名・タイトル）を描画
      * @param {SVGElement} svg - SVG要素
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
      * @param {Object} plotArea - 描画エリアの情報
-     * @param {number} plotWidth - 描画エリアの幅
-     * @param {number} plotHeight - 描画エリアの高さ
+     * @param {Function} toY - 値をY座標に変換する関数
+     * @param {number} slotWidth - 1つの箱に割り当てる幅
      */
-    renderHistogramAxes(svg, plotArea, plotWidth, plotHeight) {
-        const histogramChart = this.histogramCharts[0];
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
+    renderBoxPlotAxes(svg, boxPlotChart, plotArea, toY, slotWidth) {
+        const fontSize = this.theme.fontSize.normal;
         const metrics = this.measureFontMetrics(fontSize);
         const tickLineLength = 5;
         const labelMargin = 5;
-
-        // X軸の線を描画
-        const xAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        xAxisLine.setAttribute('x1', plotArea.originX);
-        xAxisLine.setAttribute('y1', plotArea.originY);
-        xAxisLine.setAttribute('x2', plotArea.topRightX);
-        xAxisLine.setAttribute('y2', plotArea.originY);
-        xAxisLine.setAttribute('stroke', 'black');
-        xAxisLine.setAttribute('stroke-width', 1);
-        svg.appendChild(xAxisLine);
-
-        // Y軸の線を描画
-        const yAxisLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-        yAxisLine.setAttribute('x1', plotArea.originX);
-        yAxisLine.setAttribute('y1', plotArea.originY);
-        yAxisLine.setAttribute('x2', plotArea.originX);
-        yAxisLine.setAttribute('y2', plotArea.topRightY);
-        yAxisLine.setAttribute('stroke', 'black');
-        yAxisLine.setAttribute('stroke-width', 1);
-        svg.appendChild(yAxisLine);
-
-        // X軸の目盛りとラベルを描画（X軸スケールに基づく）
-        const xAxisFormat = histogramChart.xAxisFormat || '#,##0';
-        const xAxisScale = plotArea.xAxisScale;
-        const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
-
-        for (const labelValue of xAxisScale.labels) {
-            const xRatio = dataRange > 0 ? (labelValue - plotArea.dataRange.min) / dataRange : 0;
-            const x = plotArea.originX + xRatio * plotWidth;
-
-            // 目盛り線を描画
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', x);
-            tickLine.setAttribute('y1', plotArea.originY);
-            tickLine.setAttribute('x2', x);
-            tickLine.setAttribute('y2', plotArea.originY + tickLineLength);
-            tickLine.setAttribute('stroke', 'black');
-            tickLine.setAttribute('stroke-width', 1);
-            svg.appendChild(tickLine);
-
-            // ラベルを描画
-            const formatted = this.formatNumber(labelValue, xAxisFormat);
+        const axisTitleMargin = 10;
+
+        const createLine = (x1, y1, x2, y2, color) => {
+            const line = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', color);
+            line.setAttribute('stroke-width', 1);
+            svg.appendChild(line);
+        };
+        const createText = (x, y, text, anchor, extraAttributes = {}) => {
             const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
             labelText.setAttribute('class', 'chart-text');
             labelText.setAttribute('x', x);
-            labelText.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + metrics.height);
-            labelText.setAttribute('text-anchor', 'middle');
+            labelText.setAttribute('y', y);
+            labelText.setAttribute('text-anchor', anchor);
+            for (const [name, value] of Object.entries(extraAttributes)) {
+                labelText.setAttribute(name, value);
+            }
             labelText.setAttribute('style', `font-size: ${fontSize}px;`);
-            labelText.textContent = formatted;
+            labelText.textContent = text;
             svg.appendChild(labelText);
-        }
+        };
 
-        // Y軸の目盛りとラベルを描画
-        const yAxisFormat = plotArea.yAxisFormat;
-        for (const label of plotArea.yAxisScale.labels) {
-            const yRatio = label / plotArea.yAxisScale.max;
-            const y = plotArea.originY - yRatio * plotHeight;
+        // X軸とY軸の線を描画
+        createLine(plotArea.originX, plotArea.originY, plotArea.topRightX, plotArea.originY, this.theme.colors.axis);
+        createLine(plotArea.originX, plotArea.originY, plotArea.originX, plotArea.topRightY, this.theme.colors.axis);
 
-            // 目盛り線を描画
-            const tickLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-            tickLine.setAttribute('x1', plotArea.originX);
-            tickLine.setAttribute('y1', y);
-            tickLine.setAttribute('x2', plotArea.originX - tickLineLength);
-            tickLine.setAttribute('y2', y);
-            tickLine.setAttribute('stroke', 'black');
-            tickLine.setAttribute('stroke-width', 1);
-            svg.appendChild(tickLine);
+        // X軸にグループ名を描画（箱の中央）
+        const xLabelY = plotArea.originY + tickLineLength + labelMargin + metrics.height;
+        plotArea.seriesList.forEach(({ series }, index) => {
+            const centerX = plotArea.originX + slotWidth * (index + 0.5);
+            createLine(centerX, plotArea.originY, centerX, plotArea.originY + tickLineLength, this.theme.colors.tick);
+            createText(centerX, xLabelY, series.title || `系列${boxPlotChart.series.indexOf(series) + 1}`, 'middle');
+        });
 
-            // ラベルを描画
-            const formatted = this.formatNumber(label, yAxisFormat);
-            const labelWidth = this.getTextWidth(formatted, fontSize);
-            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
-            labelText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin);
-            labelText.setAttribute('y', y);
-            labelText.setAttribute('text-anchor', 'end');
-            labelText.setAttribute('dominant-baseline', 'middle');
-            labelText.setAttribute('style', `font-size: ${fontSize}px;`);
-            labelText.textContent = formatted;
-            svg.appendChild(labelText);
+        // Y軸の目盛りとラベルを描画
+        let maxYLabelWidth = 0;
+        for (const label of plotArea.yAxisScale.labels) {
+            const y = toY(label);
+            const formatted = this.formatAxisLabel(label, boxPlotChart.yAxisFormat, plotArea.yAxisScale);
+            maxYLabelWidth = Math.max(maxYLabelWidth, this.getTextWidth(formatted, fontSize));
+            createLine(plotArea.originX, y, plotArea.originX - tickLineLength, y, this.theme.colors.tick);
+            createText(plotArea.originX - tickLineLength - labelMargin, y, formatted, 'end', { 'dominant-baseline': 'middle' });
         }
 
-        // X軸のタイトルを描画
-        if (histogramChart.xAxisTitle) {
-            const xAxisTitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            xAxisTitleText.setAttribute('class', 'chart-text');
-            xAxisTitleText.setAttribute('x', plotArea.originX + plotWidth / 2);
-            xAxisTitleText.setAttribute('y', plotArea.originY + tickLineLength + labelMargin + metrics.height * 2 + 10);
-            xAxisTitleText.setAttribute('text-anchor', 'middle');
-            xAxisTitleText.setAttribute('style', `font-size: ${fontSize}px;`);
-            xAxisTitleText.textContent = histogramChart.xAxisTitle;
-            svg.appendChild(xAxisTitleText);
+        // X軸のタイトルを描画（グループ名の下）
+        if (boxPlotChart.xAxisTitle) {
+            const plotWidth = plotArea.topRightX - plotArea.originX;
+            createText(plotArea.originX + plotWidth / 2, xLabelY + axisTitleMargin + metrics.height, boxPlotChart.xAxisTitle, 'middle');
         }
 
-        // Y軸のタイトルを描画
-        if (histogramChart.yAxisTitle) {
-            const yAxisTitleText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            yAxisTitleText.setAttribute('class', 'chart-text');
-            yAxisTitleText.setAttribute('x', plotArea.originX - tickLineLength - labelMargin - 30);
-            yAxisTitleText.setAttribute('y', plotArea.topRightY + plotHeight / 2);
-            yAxisTitleText.setAttribute('text-anchor', 'middle');
-            yAxisTitleText.setAttribute('transform', `rotate(-90 ${plotArea.originX - tickLineLength - labelMargin - 30} ${plotArea.topRightY + plotHeight / 2})`);
-            yAxisTitleText.setAttribute('style', `font-size: ${fontSize}px;`);
-            yAxisTitleText.textContent = histogramChart.yAxisTitle;
-            svg.appendChild(yAxisTitleText);
+        // Y軸のタイトルを描画（Y軸のラベルの左、縦書き）
+        if (boxPlotChart.yAxisTitle) {
+            const titleX = plotArea.originX - tickLineLength - labelMargin - maxYLabelWidth - axisTitleMargin - metrics.height / 2;
+            const titleY = plotArea.topRightY + (plotArea.originY - plotArea.topRightY) / 2;
+            createText(titleX, titleY, boxPlotChart.yAxisTitle, 'middle', {
+                'dominant-baseline': 'middle',
+                transform: `rotate(-90 ${titleX} ${titleY})`
+            });
         }
-
-        // 凡例を描画
-        this.renderHistogramLegend(svg);
     }
 
     /**
-     * HistogramChartのグリッド線を描画
+     * 箱ひげ図のグリッド線（Y軸の目盛りの横線）を描画
      * @param {SVGElement} svg - SVG要素
+     * @param {BoxPlotChart} boxPlotChart - BoxPlotChartインスタンス
      * @param {Object} plotArea - 描画エリアの情報
-     * @param {number} plotWidth - 描画エリアの幅
-     * @param {number} plotHeight - 描画エリアの高さ
+     * @param {Function} toY - 値をY座標に変換する関数
      */
-    renderHistogramGrid(svg, plotArea, plotWidth, plotHeight) {
-        if (!plotArea || !this.histogramCharts || this.histogramCharts.length === 0) {
+    renderBoxPlotGrid(svg, boxPlotChart, plotArea, toY) {
+        if (!boxPlotChart.yGrid) {
             return;
         }
 
-        const histogramChart = this.histogramCharts[0];
-        const gridColor = '#e0e0e0'; // 薄いグレー
-        const gridStrokeWidth = 1;
-        const gridDashArray = '2,2'; // 破線
-
-        // X軸のグリッド線を描画
-        if (histogramChart.xGrid) {
-            const xAxisScale = plotArea.xAxisScale;
-            const dataRange = plotArea.dataRange.max - plotArea.dataRange.min;
+        for (const label of plotArea.yAxisScale.labels) {
+            const y = toY(label);
+            const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
+            gridLine.setAttribute('x1', plotArea.originX);
+            gridLine.setAttribute('y1', y);
+            gridLine.setAttribute('x2', plotArea.topRightX);
+            gridLine.setAttribute('y2', y);
+            gridLine.setAttribute('stroke', this.theme.colors.grid);
+            gridLine.setAttribute('stroke-width', 1);
+            gridLine.setAttribute('stroke-dasharray', '2,2');
+            svg.appendChild(gridLine);
+        }
+    }
 
-            for (const labelValue of xAxisScale.labels) {
-                const xRatio = dataRange > 0 ? (labelValue - plotArea.dataRange.min) / dataRange : 0;
-                const x = plotArea.originX + xRatio * plotWidth;
+    /**
+     * 円グラフを描画
+     * @param {SVGElement} svg - SVG要素
+     */
+    renderPieCharts(svg) {
+        if (!this.pieCharts || this.pieCharts.length === 0) {
+            return;
+        }
 
-                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                gridLine.setAttribute('x1', x);
-                gridLine.setAttribute('y1', plotArea.topRightY);
-                gridLine.setAttribute('x2', x);
-                gridLine.setAttribute('y2', plotArea.originY);
-                gridLine.setAttribute('stroke', gridColor);
-                gridLine.setAttribute('stroke-width', gridStrokeWidth);
-                gridLine.setAttribute('stroke-dasharray', gridDashArray);
-                svg.appendChild(gridLine);
+        // 単一の円グラフの場合（'single'レイアウトの場合は最初の円グラフのみ）
+        if (this.pieCharts.length === 1 || this.layout === 'single') {
+            if (this.pieCharts.length > 1) {
+                console.warn(`layoutが'single'のため、${this.pieCharts.length - 1}個のPieChartは描画されません`);
             }
+            const pieChart = this.pieCharts[0];
+            this.renderSinglePieChart(svg, pieChart);
+            return;
         }
 
-        // Y軸のグリッド線を描画
-        if (histogramChart.yGrid) {
-            for (const label of plotArea.yAxisScale.labels) {
-                const yRatio = label / plotArea.yAxisScale.max;
-                const y = plotArea.originY - yRatio * plotHeight;
+        // 複数の円グラフを並べる場合
+        // カテゴリごとに色を揃え、凡例は下端に共通で1つ描画する
+        const categoryColors = this.getPieCategoryColors(this.pieCharts);
+        const legendHeight = this.pieCharts[0].legendVisible ?
+            this.renderSharedPieChartLegend(svg, categoryColors) : 0;
 
-                const gridLine = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'line');
-                gridLine.setAttribute('x1', plotArea.originX);
-                gridLine.setAttribute('y1', y);
-                gridLine.setAttribute('x2', plotArea.topRightX);
-                gridLine.setAttribute('y2', y);
-                gridLine.setAttribute('stroke', gridColor);
-                gridLine.setAttribute('stroke-width', gridStrokeWidth);
-                gridLine.setAttribute('stroke-dasharray', gridDashArray);
-                svg.appendChild(gridLine);
-            }
+        const panels = this.calculatePanels(this.pieCharts.length, legendHeight);
+        if (panels.length < this.pieCharts.length) {
+            console.warn(`レイアウトのパネル数（${panels.length}）が不足しているため、${this.pieCharts.length - panels.length}個のPieChartは描画されません`);
+        }
+
+        // すべての円グラフを、パネルに収まる半径のうち最も小さい半径に揃える
+        const radii = panels
+            .filter((panel, i) => this.pieCharts[i].data && this.pieCharts[i].data.length > 0)
+            .map(panel => this.calculatePieChartRadius(this.pieCharts[panel.index], panel, categoryColors));
+        const radius = radii.length > 0 ? Math.min(...radii) : null;
+
+        for (let i = 0; i < panels.length; i++) {
+            this.renderSinglePieChart(svg, this.pieCharts[i], panels[i], categoryColors, radius);
         }
     }
 
     /**
-     * ヒストグラムの凡例を描画
-     * @param {SVGElement} svg - SVG要素
+     * 複数の円グラフで共通のカテゴリごとの色を計算
+     * カテゴリが最初に出現した順（円グラフの順、各円グラフ内は値の大きい順）に、最初の円グラフの色を割り当てる
+     * @param {Array<PieChart>} pieCharts - PieChartインスタンスの配列
+     * @returns {Map<string, string>} カテゴリ名をキーとした色
      */
-    renderHistogramLegend(svg) {
-        if (!this.histogramCharts || this.histogramCharts.length === 0) {
-            return;
+    getPieCategoryColors(pieCharts) {
+        const colors = pieCharts[0].colors;
+        const categoryColors = new Map();
+        for (const pieChart of pieCharts) {
+            for (const label of pieChart.labels) {
+                if (label === 'その他' || label === 'Others' || categoryColors.has(label)) {
+                    continue;
+                }
+                categoryColors.set(label, colors[categoryColors.size % colors.length]);
+            }
         }
+        return categoryColors;
+    }
 
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
-        const legendMargin = 20;
-        const legendStartY = 60;
+    /**
+     * 複数の円グラフで共通の凡例をキャンバスの下端に描画（横に並べ、幅を超える場合は折り返す）
+     * @param {SVGElement} svg - SVG要素
+     * @param {Map<string, string>} categoryColors - カテゴリ名をキーとした色
+     * @returns {number} 凡例の領域の高さ（凡例がない場合は0）
+     */
+    renderSharedPieChartLegend(svg, categoryColors) {
+        const legendFontSize = this.theme.legend.fontSize;
+        const legendMargin = 10;
         const legendItemHeight = 25;
-        const iconWidth = 20;
-        const iconHeight = 12;
-        const iconLabelGap = 10;
-        const legendPadding = 10;
-
-        const metrics = this.measureFontMetrics(legendFontSize);
+        const iconSize = 12;
+        const iconLabelGap = 5;
+        const itemGap = 20;
 
-        // 凡例項目を収集
-        const legendItems = [];
-        for (const hc of this.histogramCharts) {
-            for (const series of hc.series) {
-                if (series.title) {
-                    legendItems.push({
-                        type: 'histogram',
-                        title: series.title,
-                        color: series.color,
-                        opacity: series.opacity
-                    });
-                }
-            }
+        const legendItems = Array.from(categoryColors, ([title, color]) => ({ title, color }));
+        if (this.pieCharts.some(pieChart => pieChart.labels.some(label => label === 'その他' || label === 'Others'))) {
+            legendItems.push({ title: 'その他', color: '#808080' });
         }
-
         if (legendItems.length === 0) {
-            return;
+            return 0;
         }
 
-        // 最大のラベル幅を計算
-        let maxLabelWidth = 0;
+        // 項目を行に分ける（キャンバスの幅を超える場合は折り返す）
+        const maxRowWidth = this.width - legendMargin * 2;
+        const rows = [[]];
+        let rowWidth = 0;
         for (const item of legendItems) {
-            const labelWidth = this.getTextWidth(item.title, legendFontSize);
-            if (labelWidth > maxLabelWidth) {
-                maxLabelWidth = labelWidth;
+            item.width = iconSize + iconLabelGap + this.getTextWidth(item.title, legendFontSize);
+            const currentRow = rows[rows.length - 1];
+            const widthWithItem = rowWidth + (currentRow.length > 0 ? itemGap : 0) + item.width;
+            if (currentRow.length > 0 && widthWithItem > maxRowWidth) {
+                rows.push([item]);
+                rowWidth = item.width;
+            } else {
+                currentRow.push(item);
+                rowWidth = widthWithItem;
             }
         }
 
-        // 凡例エリアのサイズを計算
-        const legendAreaWidth = iconWidth + iconLabelGap + maxLabelWidth + legendPadding * 2;
-        const legendAreaX = this.width - legendAreaWidth - legendMargin;
-        const legendAreaY = legendStartY - legendPadding;
-        const legendX = legendAreaX + legendPadding;
-
-        // 凡例項目を描画
-        let currentY = legendStartY;
-        for (const item of legendItems) {
-            const iconX = legendX;
-            const iconY = currentY - iconHeight / 2;
-
-            // ヒストグラムのアイコンを描画
-            const rect = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            rect.setAttribute('x', iconX);
-            rect.setAttribute('y', iconY);
-            rect.setAttribute('width', iconWidth);
-            rect.setAttribute('height', iconHeight);
-            rect.setAttribute('fill', item.color);
-            rect.setAttribute('opacity', item.opacity);
-            rect.setAttribute('stroke', item.color);
-            rect.setAttribute('stroke-width', 0.5);
-            svg.appendChild(rect);
+        const legendHeight = rows.length * legendItemHeight + legendMargin;
+        let currentY = this.height - legendHeight + legendItemHeight / 2;
+        for (const row of rows) {
+            const totalWidth = row.reduce((sum, item) => sum + item.width, 0) + itemGap * (row.length - 1);
+            let currentX = (this.width - totalWidth) / 2; // 中央に配置
+            for (const item of row) {
+                // 円グラフのアイコンを描画（小さな円）
+                const circle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                circle.setAttribute('cx', currentX + iconSize / 2);
+                circle.setAttribute('cy', currentY);
+                circle.setAttribute('r', iconSize / 2);
+                circle.setAttribute('fill', item.color);
+                circle.setAttribute('stroke', this.theme.colors.border);
+                circle.setAttribute('stroke-width', '1');
+                svg.appendChild(circle);
 
-            // ラベルを描画
-            const labelX = iconX + iconWidth + iconLabelGap;
-            const labelY = currentY;
-            const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
-            labelText.setAttribute('x', labelX);
-            labelText.setAttribute('y', labelY);
-            labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
-            labelText.textContent = item.title;
-            svg.appendChild(labelText);
+                // ラベルを描画
+                const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+                labelText.setAttribute('class', 'chart-text chart-legend-text');
+                labelText.setAttribute('x', currentX + iconSize + iconLabelGap);
+                labelText.setAttribute('y', currentY);
+                labelText.setAttribute('dominant-baseline', 'middle');
+                labelText.setAttribute('style', `font-size: ${legendFontSize}px;`);
+                labelText.textContent = item.title;
+                svg.appendChild(labelText);
 
+                currentX += item.width + itemGap;
+            }
             currentY += legendItemHeight;
         }
+
+        return legendHeight;
     }
 
     /**
-     * 円グラフを描画
-     * @param {SVGElement} svg - SVG要素
+     * 円グラフの描画領域を計算（タイトルと余白を除いた領域）
+     * @param {PieChart} pieChart - PieChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}
+     * @returns {Object} 描画領域 {centerX, centerY, width, height}
      */
-    renderPieCharts(svg) {
-        if (!this.pieCharts || this.pieCharts.length === 0) {
-            return;
+    calculatePieChartArea(pieChart, panel) {
+        const fontSize = this.theme.fontSize.normal;
+        
+        // タイトルとサブタイトルの高さを計算（パネルの場合はパネルのタイトルのみ）
+        let titleHeight = 0;
+        if (panel.fullCanvas) {
+            if (pieChart.title) {
+                titleHeight += fontSize + 5;
+            }
+            if (pieChart.subtitle) {
+                titleHeight += fontSize + 5;
+            }
+        } else if (pieChart.title) {
+            titleHeight += 10 + fontSize + 5;
         }
+        
+        // パネルの場合は余白を小さくする
+        const margin = panel.fullCanvas ? 40 : 10;
+        const height = panel.height - titleHeight - margin * 2;
+        return {
+            centerX: panel.x + panel.width / 2,
+            centerY: panel.y + titleHeight + margin + height / 2,
+            width: panel.width - margin * 2,
+            height
+        };
+    }
 
-        // 単一の円グラフの場合
-        if (this.pieCharts.length === 1) {
-            const pieChart = this.pieCharts[0];
-            this.renderSinglePieChart(svg, pieChart);
-        } else {
-            // 複数の円グラフを並べる場合（将来の拡張）
-            // 現在は単一の円グラフのみ対応
-            const pieChart = this.pieCharts[0];
-            this.renderSinglePieChart(svg, pieChart);
+    /**
+     * 円グラフの半径を計算
+     * パネルの場合は、パネルの描画領域から各ラベルの大きさと方向に必要な余白を除いた大きさにする
+     * @param {PieChart} pieChart - PieChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（サンバーストのリングの作成に使用）
+     * @returns {number} 半径（最小: キャンバス全体の場合は50px、パネルの場合は20px）
+     */
+    calculatePieChartRadius(pieChart, panel, categoryColors = null) {
+        const area = this.calculatePieChartArea(pieChart, panel);
+        if (panel.fullCanvas) {
+            const labelPadding = 80; // ラベルのための余白
+            return Math.max(50, Math.min(area.width / 2 - labelPadding, area.height / 2 - labelPadding));
         }
+        
+        let labelRing = pieChart;
+        if (pieChart.isSunburst()) {
+            const rings = pieChart.getSunburstRings(categoryColors);
+            labelRing = rings[rings.length - 1]; // サンバーストは最も外側のリングのラベルを円の外側に描画する
+        }
+        const fontSize = this.theme.fontSize.normal;
+        return Math.max(20, labelRing.calculateMaxRadius(area.width, area.height, fontSize, this.getTextWidth.bind(this)));
     }
 
     /**
      * 単一の円グラフを描画
      * @param {SVGElement} svg - SVG要素
      * @param {PieChart} pieChart - PieChartインスタンス
+     * @param {Object} panel - パネルの情報 {x, y, width, height, fullCanvas}（デフォルト: キャンバス全体）
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（複数の円グラフで色を揃える場合）
+     * @param {number|null} radius - 円グラフの半径（nullの場合はcalculatePieChartRadiusで計算）
      */
-    renderSinglePieChart(svg, pieChart) {
+    renderSinglePieChart(svg, pieChart, panel = this.getFullCanvasPanel(), categoryColors = null, radius = null) {
         if (!pieChart.data || pieChart.data.length === 0) {
             return;
         }
 
-        const fontSize = ChartCanvas.FONT_SIZE_NORMAL;
+        const fontSize = this.theme.fontSize.normal;
         const metrics = this.measureFontMetrics(fontSize);
         
-        // タイトルとサブタイトルの高さを計算
-        let titleHeight = 0;
-        if (pieChart.title) {
-            titleHeight += fontSize + 5;
-        }
-        if (pieChart.subtitle) {
-            titleHeight += fontSize + 5;
+        // パネルのタイトルを描画（複数パネルの場合のみ）
+        if (!panel.fullCanvas && pieChart.title) {
+            const panelTitle = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+            panelTitle.setAttribute('class', 'chart-text');
+            panelTitle.setAttribute('x', panel.x + panel.width / 2);
+            panelTitle.setAttribute('y', panel.y + 10 + fontSize);
+            panelTitle.setAttribute('text-anchor', 'middle');
+            panelTitle.setAttribute('style', `font-size: ${fontSize}px;`);
+            panelTitle.textContent = pieChart.title;
+            svg.appendChild(panelTitle);
         }
         
-        // 円グラフの描画領域を計算
-        const margin = 40;
-        const centerX = this.width / 2;
-        const availableHeight = this.height - titleHeight - margin * 2;
-        const availableWidth = this.width - margin * 2;
+        // 円グラフの中心座標と半径
+        const area = this.calculatePieChartArea(pieChart, panel);
+        const centerX = area.centerX;
+        const centerY = area.centerY;
+        if (radius === null) {
+            radius = this.calculatePieChartRadius(pieChart, panel, categoryColors);
+        }
         
-        // ラベルの表示方法に応じて円グラフのサイズを調整
-        const labelPadding = 80; // ラベルのための余白
-        const maxRadius = Math.min(availableWidth / 2 - labelPadding, availableHeight / 2 - labelPadding);
-        const radius = Math.max(50, maxRadius); // 最小半径50px
+        // 円グラフのグループ（セグメント・ラベルをまとめ、カテゴリの概要をaria-labelに設定、内容は描画後に設定）
+        const chartGroup = this.createSeriesGroup(svg, '');
         
-        // 円グラフの中心座標
-        const centerY = titleHeight + margin + (availableHeight / 2);
+        // 階層データの場合はサンバーストとして描画
+        if (pieChart.isSunburst()) {
+            this.renderSunburstChart(chartGroup, pieChart, centerX, centerY, radius, fontSize, categoryColors);
+            chartGroup.setAttribute('aria-label', this.describePieChart(pieChart));
+            return;
+        }
         
         // 350度付近のラベル衝突を解決（小さいカテゴリを「その他」にまとめる）
         const collisionResult = pieChart.resolve350DegreeCollisions(
@@ -2361,17 +5350,7 @@ class ChartCanvas {
             const endAngleRad = ((endAngleDeg - 90) * Math.PI) / 180;
             
             // 色を取得（「その他」カテゴリはグレー、それ以外はモノクロームを除く色）
-            let color;
-            const label = pieChart.labels[i];
-            const isOthers = label === 'その他' || label === 'Others';
-            
-            if (isOthers) {
-                // 「その他」カテゴリはグレー
-                color = '#808080'; // グレー
-            } else {
-                // それ以外はモノクロームを除く色を使用
-                color = pieChart.colors[i % pieChart.colors.length];
-            }
+            const color = pieChart.getColor(i, categoryColors);
             
             // スライスのオフセットを取得（放射線方向にずらす）
             const sliceOffset = (pieChart.sliceOffsets && pieChart.sliceOffsets[i]) || 0;
@@ -2410,15 +5389,173 @@ class ChartCanvas {
             const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
             path.setAttribute('d', pathData);
             path.setAttribute('fill', color);
-            path.setAttribute('stroke', '#fff');
+            path.setAttribute('stroke', this.theme.colors.border);
             path.setAttribute('stroke-width', '2');
-            svg.appendChild(path);
+            chartGroup.appendChild(path);
         }
         
         // 次に、すべてのラベルを描画（円弧の上に表示されるように）
+        this.renderPieChartLabels(chartGroup, pieChart, segmentAngles, centerX, centerY, radius, fontSize);
+        chartGroup.setAttribute('aria-label', this.describePieChart(pieChart));
+        
+        // 凡例は描画しない（ラベルで情報を表示するため。複数の円グラフの場合は共通の凡例をrenderPieChartsで描画）
+    }
+
+    /**
+     * サンバースト（階層ごとの同心円のリング）を描画
+     * 内側のリングのラベルは円弧の中に収まる場合のみ表示し、最も外側のリングのラベルは通常の円グラフと同様に円の外側に表示する
+     * @param {SVGElement} svg - SVG要素
+     * @param {PieChart} pieChart - PieChartインスタンス（階層データを設定済み）
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 最も外側のリングの半径
+     * @param {number} fontSize - フォントサイズ
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（複数の円グラフで色を揃える場合）
+     */
+    renderSunburstChart(svg, pieChart, centerX, centerY, radius, fontSize, categoryColors = null) {
+        const rings = pieChart.getSunburstRings(categoryColors);
+        const innerRadius = Math.max(0, Math.min(pieChart.innerRadius, radius / 2));
+        const ringWidth = (radius - innerRadius) / rings.length;
+        
+        // 最も外側のリングの180度付近のラベル衝突を解決（右側のラベルを右にずらす）
+        const outerRing = rings[rings.length - 1];
+        outerRing.resolve180DegreeCollisions(
+            centerX,
+            centerY,
+            radius,
+            fontSize,
+            this.getTextWidth.bind(this),
+            20,  // 最大繰り返し回数
+            30,  // 180度付近の角度範囲（30度）
+            2    // 1回の調整でずらす角度（2度）
+        );
+        
+        // 350度付近のラベル衝突を解決（内側のリングと対応させるため「その他」にはまとめず、ラベルを互いに離れる方向にずらす）
+        // resolve180DegreeCollisionsはラベルの角度オフセットをリセットするため、その後に実行する
+        outerRing.resolve350DegreeCollisions(
+            centerX,
+            centerY,
+            radius,
+            fontSize,
+            this.getTextWidth.bind(this),
+            45,  // 最大繰り返し回数
+            'その他',  // 「その他」のラベル（'shift'では使用しない）
+            20,  // 350度付近の角度範囲（20度）
+            'shift',
+            2    // 1回の調整でずらす角度（2度）
+        );
+        
+        // まず、すべてのリングの円弧を描画
+        rings.forEach((ring, level) => {
+            const ringInnerRadius = innerRadius + ringWidth * level;
+            const ringOuterRadius = ringInnerRadius + ringWidth;
+            const segmentAngles = ring.getSegmentAngles();
+            
+            for (let i = 0; i < segmentAngles.length; i++) {
+                if (ring.hiddenSegments[i]) {
+                    continue;
+                }
+                const segment = segmentAngles[i];
+                const path = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'path');
+                path.setAttribute('d', this.createRingSegmentPath(centerX, centerY, ringInnerRadius, ringOuterRadius, segment.startAngle, segment.endAngle));
+                path.setAttribute('fill', ring.segmentColors[i]);
+                path.setAttribute('stroke', this.theme.colors.border);
+                path.setAttribute('stroke-width', '2');
+                
+                // マウスオーバーでラベルを表示
+                const title = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = ring.getLabelText(i);
+                path.appendChild(title);
+                svg.appendChild(path);
+            }
+        });
+        
+        // 内側のリングのラベルを描画（円弧の中に収まる場合のみ）
+        rings.slice(0, -1).forEach((ring, level) => {
+            const labelRadius = innerRadius + ringWidth * (level + 0.5);
+            if (labelRadius === 0 || ringWidth < fontSize) {
+                return;
+            }
+            const segmentAngles = ring.getSegmentAngles();
+            
+            for (let i = 0; i < segmentAngles.length; i++) {
+                if (ring.hiddenSegments[i]) {
+                    continue;
+                }
+                const segment = segmentAngles[i];
+                const labelText = ring.labels[i];
+                const arcLength = (segment.endAngle - segment.startAngle) * Math.PI / 180 * labelRadius;
+                if (this.getTextWidth(labelText, fontSize) + 4 > arcLength) {
+                    continue;
+                }
+                
+                const midAngleRad = (((segment.startAngle + segment.endAngle) / 2 - 90) * Math.PI) / 180;
+                const labelElement = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
+                labelElement.setAttribute('class', 'chart-text');
+                labelElement.setAttribute('x', centerX + labelRadius * Math.cos(midAngleRad));
+                labelElement.setAttribute('y', centerY + labelRadius * Math.sin(midAngleRad));
+                labelElement.setAttribute('text-anchor', 'middle');
+                labelElement.setAttribute('dominant-baseline', 'middle');
+                labelElement.setAttribute('style', `font-size: ${fontSize}px;`);
+                labelElement.textContent = labelText;
+                svg.appendChild(labelElement);
+            }
+        });
+        
+        // 最も外側のリングのラベルを円の外側に描画
+        this.renderPieChartLabels(svg, outerRing, outerRing.getSegmentAngles(), centerX, centerY, radius, fontSize);
+    }
+
+    /**
+     * リング（ドーナツ）状のセグメントのSVGパスを生成
+     * @param {number} centerX - 中心X座標
+     * @param {number} centerY - 中心Y座標
+     * @param {number} innerRadius - 内側の半径（0の場合は扇形）
+     * @param {number} outerRadius - 外側の半径
+     * @param {number} startAngle - 開始角度（度、真北を0度として時計回り）
+     * @param {number} endAngle - 終了角度（度）
+     * @returns {string} SVGパスデータ
+     */
+    createRingSegmentPath(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle) {
+        // 1周分のセグメントは始点と終点が重なり円弧が描画されないため、2つの半円に分ける
+        if (endAngle - startAngle >= 359.99) {
+            const midAngle = startAngle + 180;
+            return `${this.createRingSegmentPath(centerX, centerY, innerRadius, outerRadius, startAngle, midAngle)} ` +
+                this.createRingSegmentPath(centerX, centerY, innerRadius, outerRadius, midAngle, endAngle);
+        }
+        
+        const toPoint = (radius, angle) => {
+            const angleRad = ((angle - 90) * Math.PI) / 180;
+            return `${centerX + radius * Math.cos(angleRad)} ${centerY + radius * Math.sin(angleRad)}`;
+        };
+        const largeArcFlag = endAngle - startAngle > 180 ? 1 : 0;
+        
+        if (innerRadius <= 0) {
+            return `M ${centerX} ${centerY} L ${toPoint(outerRadius, startAngle)} A ${outerRadius} ${outerRadius} 0 ${largeArcFlag} 1 ${toPoint(outerRadius, endAngle)} Z`;
+        }
+        return `M ${toPoint(outerRadius, startAngle)} A ${outerRadius} ${outerRadius} 0 ${largeArcFlag} 1 ${toPoint(outerRadius, endAngle)} ` +
+            `L ${toPoint(innerRadius, endAngle)} A ${innerRadius} ${innerRadius} 0 ${largeArcFlag} 0 ${toPoint(innerRadius, startAngle)} Z`;
+    }
+
+    /**
+     * 円グラフのセグメントのラベルを円の外側に描画（外縁の円弧の中心、または引出線）
+     * @param {SVGElement} svg - SVG要素
+     * @param {PieChart} pieChart - PieChartインスタンス（サンバーストの場合は最も外側のリング）
+     * @param {Array<Object>} segmentAngles - 各セグメントの角度情報の配列（PieChart.getSegmentAnglesを参照）
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 円グラフの半径
+     * @param {number} fontSize - フォントサイズ
+     */
+    renderPieChartLabels(svg, pieChart, segmentAngles, centerX, centerY, radius, fontSize) {
         for (let i = 0; i < segmentAngles.length; i++) {
             const segment = segmentAngles[i];
             
+            // 非表示のセグメント（サンバーストの外側のリングの空き）はラベルを描画しない
+            if (pieChart.hiddenSegments && pieChart.hiddenSegments[i]) {
+                continue;
+            }
+            
             // スライスのオフセットを取得（ラベルの位置計算に使用）
             const sliceOffset = (pieChart.sliceOffsets && pieChart.sliceOffsets[i]) || 0;
             
@@ -2466,7 +5603,7 @@ class ChartCanvas {
                 line.setAttribute('y1', lineStartY);
                 line.setAttribute('x2', lineEndX);
                 line.setAttribute('y2', lineEndY);
-                line.setAttribute('stroke', '#333');
+                line.setAttribute('stroke', this.theme.colors.leaderLine);
                 line.setAttribute('stroke-width', '1');
                 svg.appendChild(line);
                 
@@ -2482,8 +5619,6 @@ class ChartCanvas {
                 svg.appendChild(labelText);
             }
         }
-        
-        // 凡例は描画しない（ラベルで情報を表示するため）
     }
 
     /**
@@ -2492,7 +5627,7 @@ class ChartCanvas {
      * @param {PieChart} pieChart - PieChartインスタンス
      */
     renderPieChartLegend(svg, pieChart) {
-        const legendFontSize = ChartCanvas.FONT_SIZE_NORMAL;
+        const legendFontSize = this.theme.legend.fontSize;
         const legendMargin = 20;
         const legendStartY = this.height - 100; // 下から100px上に配置
         const legendItemHeight = 25;
@@ -2506,7 +5641,7 @@ class ChartCanvas {
         for (let i = 0; i < pieChart.labels.length; i++) {
             legendItems.push({
                 title: pieChart.labels[i],
-                color: pieChart.colors[i % pieChart.colors.length]
+                color: pieChart.getColor(i)
             });
         }
 
@@ -2540,7 +5675,7 @@ class ChartCanvas {
             circle.setAttribute('cy', iconY + iconHeight / 2);
             circle.setAttribute('r', iconHeight / 2);
             circle.setAttribute('fill', item.color);
-            circle.setAttribute('stroke', '#fff');
+            circle.setAttribute('stroke', this.theme.colors.border);
             circle.setAttribute('stroke-width', '1');
             svg.appendChild(circle);
 
@@ -2548,7 +5683,7 @@ class ChartCanvas {
             const labelX = iconX + iconWidth + iconLabelGap;
             const labelY = currentY;
             const labelText = VirtualDOM.createElementNS('http://www.w3.org/2000/svg', 'text');
-            labelText.setAttribute('class', 'chart-text');
+            labelText.setAttribute('class', 'chart-text chart-legend-text');
             labelText.setAttribute('x', labelX);
             labelText.setAttribute('y', labelY);
             labelText.setAttribute('dominant-baseline', 'middle');
@@ -22,6 +22,8 @@ class PieChart {
         this.labelFormat = 'category-percentage'; // デフォルト: カテゴリ名とパーセンテージ
         this.labelPosition = 'auto'; // デフォルト: 自動選択
         this.labelThreshold = 5; // 小さいセグメントと判定する閾値（パーセンテージ）
+        this.valueFormat = '#,##0'; // ラベルの値の数値フォーマット
+        this.percentageFormat = '0.0%'; // ラベルのパーセンテージの数値フォーマット
         
         // 「その他」カテゴリの設定
         this.othersCategoryEnabled = false;
@@ -31,8 +33,9 @@ class PieChart {
         // 凡例の設定
         this.legendVisible = true; // デフォルト: 表示
         
-        // 色の設定（モノクロームを除く）
-        this.colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#FF6384', '#FF6B9D', '#C44569', '#F8B500', '#00D2FF', '#5E60CE'];
+        // 色の設定（モノクロームを除く、テーマにパレットがある場合はパレットを使用）
+        const palette = chartCanvas?.theme?.palette;
+        this.colors = palette ? [...palette] : ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#FF6384', '#FF6B9D', '#C44569', '#F8B500', '#00D2FF', '#5E60CE'];
         
         // 円グラフの描画設定
         this.startAngle = 0; // 開始角度（度、デフォルト: 0度 = 真北から開始）
@@ -44,6 +47,9 @@ class PieChart {
         
         // 円弧の放射線方向オフセット（強調表示用）
         this.sliceOffsets = []; // 各セグメントの放射線方向オフセット（ピクセル）
+        
+        // 階層データ（サンバースト用、setHierarchicalDataで設定）
+        this.hierarchy = null; // 最上位のノードの配列 [{label, value, children: [...]}, ...]
     }
 
     /**
@@ -99,10 +105,189 @@ class PieChart {
         this.labelAngleOffsets = new Array(this.data.length).fill(0);
         // スライスのオフセットもリセット
         this.sliceOffsets = new Array(this.data.length).fill(0);
+        // 階層データをリセット（setHierarchicalDataで再設定される）
+        this.hierarchy = null;
         
         return this;
     }
 
+    /**
+     * 階層データを設定（サンバースト）
+     * 各行のカテゴリのパス（例: ['食品', '生鮮']）ごとに値を集計し、階層ごとに同心円のリングとして描画する
+     * 最上位の階層の合計値は、通常の円グラフのデータ（data, labels）としても設定される
+     * 「その他」カテゴリにまとめる機能が有効な場合、全体に対する割合が閾値未満の兄弟ノードを「その他」にまとめる
+     * @param {Array<{path: Array<string>, value: number}>} rows - 行の配列（pathは上位から順のカテゴリ名、空のカテゴリ以降は無視）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setHierarchicalData(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('rows must be an array');
+        }
+        
+        // カテゴリのパスごとに値を集計してツリーを構築
+        const root = { value: 0, children: new Map() };
+        for (const row of rows) {
+            if (!row || !Array.isArray(row.path)) {
+                throw new Error('each row must have a path array');
+            }
+            const value = parseFloat(row.value);
+            const firstLabel = String(row.path[0] ?? '').trim();
+            if (isNaN(value) || value < 0 || !firstLabel) {
+                continue;
+            }
+            
+            root.value += value;
+            let node = root;
+            for (const pathLabel of row.path) {
+                const label = String(pathLabel ?? '').trim();
+                if (!label) {
+                    break;
+                }
+                if (!node.children.has(label)) {
+                    node.children.set(label, { label, value: 0, children: new Map() });
+                }
+                node = node.children.get(label);
+                node.value += value;
+            }
+        }
+        
+        const hierarchy = this.buildHierarchyNodes(root.children, root.value);
+        
+        // 最上位の階層を通常の円グラフのデータとして設定
+        this.setData(hierarchy.map(node => node.value), hierarchy.map(node => node.label));
+        this.hierarchy = hierarchy;
+        return this;
+    }
+
+    /**
+     * 集計したツリーの子ノードを、値の大きい順（「その他」は最後）に並べたノードの配列に変換
+     * @param {Map<string, Object>} childrenMap - カテゴリ名をキーとした子ノード
+     * @param {number} total - 全体の合計値（「その他」にまとめる閾値の判定用）
+     * @returns {Array<{label, value, children}>} ノードの配列
+     */
+    buildHierarchyNodes(childrenMap, total) {
+        // 兄弟ノードを1つの円グラフとして並べ替える（setDataのソート、mergeToOthersCategoryを再利用）
+        const siblings = new PieChart(this.chartCanvas);
+        siblings.othersCategoryLabel = this.othersCategoryLabel;
+        const nodes = Array.from(childrenMap.values());
+        siblings.setData(nodes.map(node => node.value), nodes.map(node => node.label));
+        
+        if (this.othersCategoryEnabled && total > 0) {
+            const smallIndices = [];
+            siblings.data.forEach((value, index) => {
+                if ((value / total) * 100 < this.othersCategoryThreshold) {
+                    smallIndices.push(index);
+                }
+            });
+            // 1つだけの場合はまとめない
+            if (smallIndices.length > 1) {
+                siblings.mergeToOthersCategory(smallIndices, this.othersCategoryLabel);
+                siblings.setData(siblings.data, siblings.labels);
+            }
+        }
+        
+        return siblings.labels.map((label, index) => {
+            const value = siblings.data[index];
+            const node = childrenMap.get(label);
+            // まとめた「その他」ノードは子を持たない
+            const children = node && node.value === value ? this.buildHierarchyNodes(node.children, total) : [];
+            return { label, value, children };
+        });
+    }
+
+    /**
+     * 階層の深さを取得
+     * @returns {number} 階層の深さ（階層データがない場合は0）
+     */
+    getHierarchyDepth() {
+        const getDepth = nodes => nodes.length === 0 ? 0 : 1 + Math.max(...nodes.map(node => getDepth(node.children)));
+        return this.hierarchy ? getDepth(this.hierarchy) : 0;
+    }
+
+    /**
+     * サンバースト（2階層以上の階層データ）として描画するかどうか
+     * @returns {boolean} 2階層以上の階層データがある場合はtrue
+     */
+    isSunburst() {
+        return this.getHierarchyDepth() > 1;
+    }
+
+    /**
+     * サンバーストの各リングを取得
+     * 各リングは、内側から順に階層ごとのセグメントを角度順に並べたPieChartで、ラベルの生成や衝突の解決に使用できる
+     * 子のセグメントは親の角度の範囲内に並び、親の色を明るくした色を使用する
+     * 子を持たないノードの外側のリング（および子の合計が親の値に満たない部分）には、非表示のセグメント（hiddenSegments）を配置する
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（最上位の階層の色を揃える場合）
+     * @returns {Array<PieChart>} リングの配列（segmentColors, hiddenSegmentsプロパティを持つ）
+     */
+    getSunburstRings(categoryColors = null) {
+        const depth = this.getHierarchyDepth();
+        const rings = [];
+        let entries = this.hierarchy.map((node, index) => ({
+            node,
+            value: node.value,
+            color: this.getColor(index, categoryColors)
+        }));
+        
+        for (let level = 0; level < depth; level++) {
+            const ring = new PieChart(this.chartCanvas).copySettingsFrom(this);
+            // setDataは値の大きい順に並べ替えるため、角度順を保つように直接設定する
+            ring.data = entries.map(entry => entry.value);
+            ring.labels = entries.map(entry => entry.node ? entry.node.label : '');
+            ring.segmentColors = entries.map(entry => entry.color);
+            ring.hiddenSegments = entries.map(entry => !entry.node);
+            ring.labelAngleOffsets = new Array(ring.data.length).fill(0);
+            ring.sliceOffsets = new Array(ring.data.length).fill(0);
+            rings.push(ring);
+            
+            // 次のリングのセグメントを作成
+            const nextEntries = [];
+            for (const entry of entries) {
+                if (!entry.node || entry.node.children.length === 0) {
+                    nextEntries.push({ node: null, value: entry.value, color: null });
+                    continue;
+                }
+                const children = entry.node.children;
+                children.forEach((child, index) => {
+                    const isOthers = child.label === this.othersCategoryLabel || child.label === 'その他' || child.label === 'Others';
+                    nextEntries.push({
+                        node: child,
+                        value: child.value,
+                        color: isOthers ? '#808080' : PieChart.lightenColor(entry.color, 0.2 + 0.4 * index / children.length)
+                    });
+                });
+                // 下位のカテゴリがない行の値は、親の角度の範囲を保つため非表示のセグメントにする
+                const remainder = entry.value - children.reduce((sum, child) => sum + child.value, 0);
+                if (remainder > entry.value * 1e-9) { // 浮動小数点の誤差は無視する
+                    nextEntries.push({ node: null, value: remainder, color: null });
+                }
+            }
+            entries = nextEntries;
+        }
+        
+        return rings;
+    }
+
+    /**
+     * 色を白に近づけて明るくする（サンバーストの子のセグメント用）
+     * '#RGB'・'#RRGGBB'形式以外の色はそのまま返す
+     * @param {string} color - 色
+     * @param {number} ratio - 白に近づける割合（0〜1）
+     * @returns {string} 明るくした色（'#RRGGBB'形式）
+     */
+    static lightenColor(color, ratio) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+        if (!match) {
+            return color;
+        }
+        let hex = match[1];
+        if (hex.length === 3) {
+            hex = hex.split('').map(char => char + char).join('');
+        }
+        const channels = [0, 2, 4].map(offset => parseInt(hex.substring(offset, offset + 2), 16));
+        return '#' + channels.map(channel => Math.round(channel + (255 - channel) * ratio).toString(16).padStart(2, '0')).join('');
+    }
+
     /**
      * ラベルの表示形式を設定
      * @param {string} format - ラベルの表示形式
@@ -117,6 +302,26 @@ class PieChart {
         return this;
     }
 
+    /**
+     * ラベルの値の数値フォーマットを設定
+     * @param {string} format - 数値フォーマット（例: '#,##0', '¥#,##0', '#,##0,"K"'）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setValueFormat(format) {
+        this.valueFormat = format || '#,##0';
+        return this;
+    }
+
+    /**
+     * ラベルのパーセンテージの数値フォーマットを設定
+     * @param {string} format - 数値フォーマット（例: '0.0%', '0%'）
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    setPercentageFormat(format) {
+        this.percentageFormat = format || '0.0%';
+        return this;
+    }
+
     /**
      * ラベルの配置方法を設定
      * @param {string} position - ラベルの配置方法
@@ -229,6 +434,47 @@ class PieChart {
         return this;
     }
 
+    /**
+     * 別の円グラフからデータ以外の設定（ラベル・「その他」カテゴリ・凡例・色・描画設定）をコピー
+     * グループごとに円グラフを並べる場合に、最初の円グラフの設定を揃えるために使用する
+     * @param {PieChart} source - コピー元の円グラフ
+     * @returns {PieChart} メソッドチェーン用にthisを返す
+     */
+    copySettingsFrom(source) {
+        this.labelFormat = source.labelFormat;
+        this.labelPosition = source.labelPosition;
+        this.labelThreshold = source.labelThreshold;
+        this.valueFormat = source.valueFormat;
+        this.percentageFormat = source.percentageFormat;
+        this.othersCategoryEnabled = source.othersCategoryEnabled;
+        this.othersCategoryThreshold = source.othersCategoryThreshold;
+        this.othersCategoryLabel = source.othersCategoryLabel;
+        this.legendVisible = source.legendVisible;
+        this.colors = [...source.colors];
+        this.startAngle = source.startAngle;
+        this.innerRadius = source.innerRadius;
+        this.padding = source.padding;
+        return this;
+    }
+
+    /**
+     * セグメントの色を取得
+     * 「その他」カテゴリはグレー、categoryColorsにカテゴリが含まれる場合はその色、それ以外は順番に色を割り当てる
+     * @param {number} index - セグメントのインデックス
+     * @param {Map<string, string>|null} categoryColors - カテゴリ名をキーとした色（複数の円グラフで色を揃える場合）
+     * @returns {string} 色
+     */
+    getColor(index, categoryColors = null) {
+        const label = this.labels[index];
+        if (label === 'その他' || label === 'Others') {
+            return '#808080'; // グレー
+        }
+        if (categoryColors && categoryColors.has(label)) {
+            return categoryColors.get(label);
+        }
+        return this.colors[index % this.colors.length];
+    }
+
     /**
      * TSVローダーを作成
      * @param {string} url - TSVファイルのURL
@@ -302,24 +548,24 @@ class PieChart {
         }
         
         const label = this.labels[index];
-        const value = this.data[index];
-        const percentage = this.getPercentages()[index];
+        const value = this.chartCanvas.formatNumber(this.data[index], this.valueFormat);
+        const percentage = this.chartCanvas.formatNumber(this.getPercentages()[index] / 100, this.percentageFormat);
         
         switch (this.labelFormat) {
             case 'category':
                 return label;
             case 'percentage':
-                return `${percentage.toFixed(1)}%`;
+                return percentage;
             case 'value':
-                return value.toLocaleString();
+                return value;
             case 'category-percentage':
-                return `${label} (${percentage.toFixed(1)}%)`;
+                return `${label} (${percentage})`;
             case 'category-value':
-                return `${label}: ${value.toLocaleString()}`;
+                return `${label}: ${value}`;
             case 'category-value-percentage':
-                return `${label}: ${value.toLocaleString()} (${percentage.toFixed(1)}%)`;
+                return `${label}: ${value} (${percentage})`;
             default:
-                return `${label} (${percentage.toFixed(1)}%)`;
+                return `${label} (${percentage})`;
         }
     }
 
@@ -401,6 +647,39 @@ class PieChart {
         };
     }
 
+    /**
+     * 円の外側のラベルが描画領域に収まる最大の半径を計算
+     * ラベルごとに、中心角の方向にずらしたラベルの矩形が領域の左右・上下の端に届く半径を求め、その最小値を返す
+     * @param {number} width - 描画領域の幅（円グラフの中心は領域の中央）
+     * @param {number} height - 描画領域の高さ
+     * @param {number} fontSize - フォントサイズ
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @returns {number} 半径（ラベルがない場合は領域に内接する円の半径）
+     */
+    calculateMaxRadius(width, height, fontSize, getTextWidth) {
+        let maxRadius = Math.min(width, height) / 2;
+        for (let i = 0; i < this.data.length; i++) {
+            // 非表示のセグメント（サンバーストの外側のリングの空き）はラベルを描画しない
+            if (this.hiddenSegments && this.hiddenSegments[i]) {
+                continue;
+            }
+            // 半径0で計算すると、ラベルの位置は円の外縁からの距離になる
+            const bounds = this.calculateLabelBounds(0, 0, 0, fontSize, getTextWidth, i);
+            const sliceOffset = (this.sliceOffsets && this.sliceOffsets[i]) || 0;
+            const labelDistance = Math.hypot(bounds.x, bounds.y) + sliceOffset;
+            const angleRad = ((bounds.angle - 90) * Math.PI) / 180;
+            const cos = Math.abs(Math.cos(angleRad));
+            const sin = Math.abs(Math.sin(angleRad));
+            if (cos > 1e-6) {
+                maxRadius = Math.min(maxRadius, (width - bounds.width) / 2 / cos - labelDistance);
+            }
+            if (sin > 1e-6) {
+                maxRadius = Math.min(maxRadius, (height - bounds.height) / 2 / sin - labelDistance);
+            }
+        }
+        return maxRadius;
+    }
+
     /**
      * 2つのラベルのバウンディングボックスが重なっているかチェック
      * @param {Object} label1 - ラベル1の情報 {x, y, width, height}
@@ -471,6 +750,7 @@ class PieChart {
 
     /**
      * 350度（北北西）付近のラベル衝突を解決するため、小さいカテゴリを「その他」にまとめる
+     * strategyが'shift'の場合はまとめずに、衝突しているラベルを円周に沿って互いに離れる方向にずらす（サンバーストの外側のリング用）
      * @param {number} centerX - 円グラフの中心X座標
      * @param {number} centerY - 円グラフの中心Y座標
      * @param {number} radius - 円グラフの半径
@@ -479,9 +759,19 @@ class PieChart {
      * @param {number} maxIterations - 最大繰り返し回数（デフォルト: 10）
      * @param {string} othersLabel - 「その他」カテゴリのラベル（デフォルト: "その他"）
      * @param {number} angleRange - 350度付近の角度範囲（デフォルト: 20度、つまり340度〜360度と0度〜20度）
+     * @param {string} strategy - 解決方法（'merge': 「その他」にまとめる、'shift': ラベルをずらす。デフォルト: 'merge'）
+     * @param {number} stepAngle - 'shift'の場合に1回の調整でずらす角度（度、デフォルト: 2度）
      * @returns {Object} 処理結果 {success: boolean, iterations: number, originalData: Array, originalLabels: Array}
      */
-    resolve350DegreeCollisions(centerX, centerY, radius, fontSize, getTextWidth, maxIterations = 10, othersLabel = 'その他', angleRange = 20) {
+    resolve350DegreeCollisions(centerX, centerY, radius, fontSize, getTextWidth, maxIterations = 10, othersLabel = 'その他', angleRange = 20, strategy = 'merge', stepAngle = 2) {
+        if (strategy === 'shift') {
+            return {
+                ...this.shiftLabelsNear350Degrees(centerX, centerY, radius, fontSize, getTextWidth, maxIterations, angleRange, stepAngle),
+                originalData: [...this.data],
+                originalLabels: [...this.labels]
+            };
+        }
+        
         // 元のデータを保存
         const originalData = [...this.data];
         const originalLabels = [...this.labels];
@@ -564,6 +854,65 @@ class PieChart {
         };
     }
 
+    /**
+     * 350度（北北西）付近で衝突しているラベルを、円周に沿って互いに離れる方向にずらす
+     * 時計回りの後ろ側のラベルを時計回りに、前側のラベルを反時計回りにずらす。データと他のラベルの角度オフセットは変更しない
+     * @param {number} centerX - 円グラフの中心X座標
+     * @param {number} centerY - 円グラフの中心Y座標
+     * @param {number} radius - 円グラフの半径
+     * @param {number} fontSize - フォントサイズ
+     * @param {Function} getTextWidth - テキスト幅を取得する関数
+     * @param {number} maxIterations - 最大繰り返し回数
+     * @param {number} angleRange - 350度付近の角度範囲（340度〜360度と0度〜20度の場合は20度）
+     * @param {number} stepAngle - 1回の調整でずらす角度（度）
+     * @returns {Object} 処理結果 {success: boolean, iterations: number}
+     */
+    shiftLabelsNear350Degrees(centerX, centerY, radius, fontSize, getTextWidth, maxIterations, angleRange, stepAngle) {
+        if (!this.labelAngleOffsets || this.labelAngleOffsets.length !== this.data.length) {
+            this.labelAngleOffsets = new Array(this.data.length).fill(0);
+        }
+        
+        // 角度を0〜360度の範囲に正規化
+        const normalizeAngle = (angle) => ((angle % 360) + 360) % 360;
+        const isIn350Range = (angle) => {
+            const normAngle = normalizeAngle(angle);
+            return normAngle >= 360 - angleRange || normAngle <= angleRange;
+        };
+        
+        let iterations = 0;
+        let hasCollisions = true;
+        const shiftedIndices = new Set(); // ずらしたラベル（範囲の外に押し出した先での衝突も解決する）
+        
+        while (hasCollisions && iterations < maxIterations) {
+            // すべてのラベルの衝突をチェック（オフセットを考慮）し、350度付近またはずらしたラベルの衝突を特定
+            const isTarget = (label) => isIn350Range(label.angle) || shiftedIndices.has(label.index);
+            const collisionsIn350Range = this.checkAllLabelCollisionsWithOffsets(centerX, centerY, radius, fontSize, getTextWidth)
+                .filter(collision => isTarget(collision.label1) || isTarget(collision.label2));
+            
+            // 350度付近に衝突がない場合は終了
+            if (collisionsIn350Range.length === 0) {
+                hasCollisions = false;
+                break;
+            }
+            iterations++;
+            
+            collisionsIn350Range.forEach(collision => {
+                // label2がlabel1より時計回りの後ろ側にある場合は正（-180度〜180度）
+                const diff = normalizeAngle(collision.label2.angle - collision.label1.angle + 180) - 180;
+                const [before, after] = diff >= 0 ? [collision.label1, collision.label2] : [collision.label2, collision.label1];
+                this.labelAngleOffsets[before.index] -= stepAngle;
+                this.labelAngleOffsets[after.index] += stepAngle;
+                shiftedIndices.add(before.index);
+                shiftedIndices.add(after.index);
+            });
+        }
+        
+        return {
+            success: !hasCollisions,
+            iterations: iterations
+        };
+    }
+
     /**
      * 指定されたインデックスのセグメントを「その他」カテゴリにまとめる
      * @param {Array<number>} indices - まとめるセグメントのインデックス配列
@@ -725,6 +1074,10 @@ class PieChart {
         
         // すべてのラベルの位置とサイズを計算（オフセットを考慮）
         for (let i = 0; i < this.data.length; i++) {
+            // 非表示のセグメント（サンバーストの外側のリングの空き）はラベルを描画しないため除く
+            if (this.hiddenSegments && this.hiddenSegments[i]) {
+                continue;
+            }
             const bounds = this.calculateLabelBounds(centerX, centerY, radius, fontSize, getTextWidth, i);
             if (bounds) {
                 // 角度オフセットを適用
@@ -768,8 +1121,11 @@ class PieTsvLoader {
         this.pieChart = pieChart;
         this.url = url;
         this.categoryTitle = ''; // カテゴリ名列の列名
+        this.categoryTitles = []; // 階層のカテゴリ名列の列名（上位から順、サンバーストの場合。指定した場合はcategoryTitleより優先）
         this.valueTitle = ''; // 値列の列名
         this.groupTitle = ''; // グループ列の列名（複数の円グラフを並べる場合）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+        this.groupPieCharts = []; // グループごとに追加した円グラフ（2つ目以降のグループ）
     }
 
     /**
@@ -777,7 +1133,8 @@ class PieTsvLoader {
      * @returns {Promise<void>}
      */
     async load() {
-        if (!this.categoryTitle || !this.valueTitle) {
+        const categoryTitles = this.categoryTitles.length > 0 ? this.categoryTitles : [this.categoryTitle];
+        if (!categoryTitles[0] || !this.valueTitle) {
             throw new Error('categoryTitle and valueTitle must be set before calling load()');
         }
 
@@ -788,86 +1145,89 @@ class PieTsvLoader {
         }
 
         const text = await response.text();
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
 
-        if (lines.length === 0) {
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
             throw new Error('TSV file is empty');
         }
 
-        // ヘッダー行を解析
-        const headers = lines[0].split('\t');
-        const categoryIndex = headers.indexOf(this.categoryTitle);
+        const categoryIndices = categoryTitles.map(title => headers.indexOf(title));
         const valueIndex = headers.indexOf(this.valueTitle);
         
-        if (categoryIndex === -1) {
-            throw new Error(`Column "${this.categoryTitle}" not found in TSV file`);
-        }
+        categoryIndices.forEach((categoryIndex, level) => {
+            if (categoryIndex === -1) {
+                throw new Error(`Column "${categoryTitles[level]}" not found in TSV file`);
+            }
+        });
         if (valueIndex === -1) {
             throw new Error(`Column "${this.valueTitle}" not found in TSV file`);
         }
 
         // グループ列のインデックスを取得（複数の円グラフを並べる場合）
         const groupIndex = this.groupTitle ? headers.indexOf(this.groupTitle) : -1;
+        const categoryIndex = categoryIndices[0];
 
-        // 単一の円グラフの場合
-        if (groupIndex === -1) {
-            const data = [];
-            const labels = [];
-            
-            for (let i = 1; i < lines.length; i++) {
-                const columns = lines[i].split('\t');
-                if (columns.length <= Math.max(categoryIndex, valueIndex)) {
-                    continue;
-                }
-                
-                const category = columns[categoryIndex]?.trim() || '';
-                const valueStr = columns[valueIndex].trim();
-                const value = parseFloat(valueStr);
-                
-                if (!isNaN(value) && value >= 0 && category) {
-                    data.push(value);
-                    labels.push(category);
-                }
-            }
-            
-            this.pieChart.setData(data, labels);
-            return;
-        }
-
-        // 複数の円グラフを並べる場合（グループ別）
-        // グループごとのデータを収集
-        const dataByGroup = new Map(); // Map<groupName, {data: [], labels: []}>
+        // グループごとのデータを収集（グループ列がない場合は1つのグループ）
+        const dataByGroup = new Map(); // Map<groupName, Array<{path, value}>>
         
-        for (let i = 1; i < lines.length; i++) {
-            const columns = lines[i].split('\t');
+        for (const columns of rows) {
             if (columns.length <= Math.max(categoryIndex, valueIndex, groupIndex)) {
                 continue;
             }
             
-            const category = columns[categoryIndex]?.trim() || '';
+            const path = categoryIndices.map(index => columns[index]?.trim() || '');
             const valueStr = columns[valueIndex].trim();
             const value = parseFloat(valueStr);
-            const groupName = columns[groupIndex]?.trim() || '';
+            const groupName = groupIndex === -1 ? '' : (columns[groupIndex]?.trim() || '');
             
-            if (!isNaN(value) && value >= 0 && category && groupName) {
+            if (!isNaN(value) && value >= 0 && path[0] && (groupIndex === -1 || groupName)) {
                 if (!dataByGroup.has(groupName)) {
-                    dataByGroup.set(groupName, { data: [], labels: [] });
+                    dataByGroup.set(groupName, []);
                 }
-                
-                const groupData = dataByGroup.get(groupName);
-                groupData.data.push(value);
-                groupData.labels.push(category);
+                dataByGroup.get(groupName).push({ path, value });
             }
         }
 
+        // 単一の円グラフの場合
+        if (groupIndex === -1) {
+            this.setPieChartData(this.pieChart, dataByGroup.get('') || []);
+            return;
+        }
+
+        // 前回の読み込みで追加した円グラフを取り除く
+        const chartCanvas = this.pieChart.chartCanvas;
+        if (chartCanvas.pieCharts) {
+            chartCanvas.pieCharts = chartCanvas.pieCharts.filter(pieChart => !this.groupPieCharts.includes(pieChart));
+        }
+        this.groupPieCharts = [];
+
         // グループごとに円グラフを作成
-        // 注意: この実装では、最初のグループのデータのみを現在のPieChartに設定
-        // 複数の円グラフを並べる場合は、ChartCanvas側で複数のPieChartを作成する必要がある
+        // 最初のグループは現在のPieChartに設定し、2つ目以降のグループは同じ設定の円グラフを追加する
+        // 各円グラフのタイトルにはグループ名を使用する
         const sortedGroupNames = Array.from(dataByGroup.keys()).sort();
-        if (sortedGroupNames.length > 0) {
-            const firstGroup = dataByGroup.get(sortedGroupNames[0]);
-            this.pieChart.setData(firstGroup.data, firstGroup.labels);
+        sortedGroupNames.forEach((groupName, index) => {
+            let pieChart = this.pieChart;
+            if (index > 0) {
+                pieChart = chartCanvas.addPieChart().copySettingsFrom(this.pieChart);
+                this.groupPieCharts.push(pieChart);
+            }
+            pieChart.setTitle(groupName);
+            this.setPieChartData(pieChart, dataByGroup.get(groupName));
+        });
+    }
+
+    /**
+     * 読み込んだ行を円グラフに設定（階層のカテゴリ列を指定した場合はサンバーストの階層データ）
+     * @param {PieChart} pieChart - 設定先の円グラフ
+     * @param {Array<{path: Array<string>, value: number}>} rows - カテゴリのパスと値の配列
+     */
+    setPieChartData(pieChart, rows) {
+        if (this.categoryTitles.length > 0) {
+            pieChart.setHierarchicalData(rows);
+        } else {
+            pieChart.setData(rows.map(row => row.value), rows.map(row => row.path[0]));
         }
     }
 }
-
@@ -0,0 +1,403 @@
+/**
+ * ScatterChart - 散布図チャートクラス
+ * 数値のX軸・Y軸に点を配置する散布図（点ごとにサイズを指定した場合はバブルチャート）を管理するクラス
+ */
+class ScatterChart {
+    // 回帰直線のスタイル
+    static REGRESSION_LINE_STYLES = ['solid', 'dashed', 'dotted'];
+
+    /**
+     * コンストラクタ
+     * @param {ChartCanvas} chartCanvas - 親のChartCanvasインスタンス
+     */
+    constructor(chartCanvas) {
+        this.chartCanvas = chartCanvas;
+
+        // X軸の設定
+        this.xAxisTitle = '';
+        this.xAxisFormat = '#,##0';
+        this.xAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定 {min, max, tickInterval, tickCount, includeZero}
+
+        // Y軸の設定
+        this.yAxisTitle = '';
+        this.yAxisFormat = '#,##0';
+        this.yAxisOptions = AxisScale.normalizeOptions(null); // 範囲と目盛りの指定（xAxisOptionsと同じ）
+
+        // タイトルとサブタイトル
+        this.title = '';
+        this.subtitle = '';
+
+        // 点の設定
+        this.pointRadius = 5; // サイズを指定しない点の半径
+        this.minBubbleRadius = 4; // バブルの最小の半径
+        this.maxBubbleRadius = 24; // バブルの最大の半径（サイズが最大の点）
+        this.sizeFormat = '#,##0'; // ツールチップのサイズの数値フォーマット
+
+        // グリッド線の設定
+        this.xGrid = false; // X軸のグリッド線を表示するか（デフォルト: false）
+        this.yGrid = false; // Y軸のグリッド線を表示するか（デフォルト: false）
+
+        // 回帰直線の設定（系列ごとに系列の色で描画）
+        this.showRegressionLine = false; // 回帰直線を表示するか（デフォルト: false）
+        this.regressionLineStyle = 'dashed'; // 回帰直線のスタイル（'solid', 'dashed', 'dotted'）
+        this.regressionLineWidth = 2; // 回帰直線の幅（デフォルト: 2）
+
+        // データ系列を保持（グループ別の散布図対応）
+        this.series = [];
+    }
+
+    /**
+     * 散布図の系列を追加
+     * @param {Object} options - 系列のオプション
+     * @param {string} options.title - 系列のタイトル
+     * @param {string} options.color - 点の色
+     * @param {number} options.opacity - 透明度（0.0-1.0、デフォルト: 0.7）
+     * @returns {ScatterSeries} ScatterSeriesインスタンス
+     */
+    addSeries(options = {}) {
+        const series = new ScatterSeries(this, options);
+        this.series.push(series);
+        return series;
+    }
+
+    /**
+     * TSVローダーを作成
+     * @param {string} url - TSVファイルのURL
+     * @returns {ScatterTSVLoader} ScatterTSVLoaderインスタンス
+     */
+    tsvLoader(url) {
+        return new ScatterTSVLoader(this, url);
+    }
+
+    /**
+     * X軸の範囲と目盛りを設定（指定しなかった項目は自動計算、HistogramChart.setXAxisOptionsと同じ形式）
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはfalse（データの最小値から最大値まで）
+     * @returns {ScatterChart} メソッドチェーン用にthisを返す
+     */
+    setXAxisOptions(options) {
+        this.xAxisOptions = AxisScale.normalizeOptions(options, 'xAxisOptions');
+        return this;
+    }
+
+    /**
+     * Y軸の範囲と目盛りを設定（指定しなかった項目は自動計算、setXAxisOptionsと同じ形式）
+     * @param {Object|null} options - 軸の指定 {min, max, tickInterval, tickCount, includeZero}（nullの場合は自動計算に戻す）
+     *   includeZeroのデフォルトはfalse（データの最小値から最大値まで）
+     * @returns {ScatterChart} メソッドチェーン用にthisを返す
+     */
+    setYAxisOptions(options) {
+        this.yAxisOptions = AxisScale.normalizeOptions(options, 'yAxisOptions');
+        return this;
+    }
+
+    /**
+     * すべての系列の点を取得
+     * @returns {Array<Object>} 点の配列 [{x, y, size, label, group}, ...]
+     */
+    getAllPoints() {
+        const points = [];
+        for (const series of this.series) {
+            points.push(...series.data);
+        }
+        return points;
+    }
+
+    /**
+     * データの範囲を取得
+     * @returns {Object} {xMin, xMax, yMin, yMax} X・Yの最小値と最大値（データがない場合は0〜100）
+     */
+    getDataRange() {
+        let xMin = Infinity;
+        let xMax = -Infinity;
+        let yMin = Infinity;
+        let yMax = -Infinity;
+
+        for (const series of this.series) {
+            for (const point of series.data) {
+                if (point.x < xMin) xMin = point.x;
+                if (point.x > xMax) xMax = point.x;
+                if (point.y < yMin) yMin = point.y;
+                if (point.y > yMax) yMax = point.y;
+            }
+        }
+
+        if (xMin === Infinity) {
+            return { xMin: 0, xMax: 100, yMin: 0, yMax: 100 };
+        }
+
+        return { xMin, xMax, yMin, yMax };
+    }
+
+    /**
+     * サイズの最大値を取得（バブルの半径の計算に使用）
+     * @returns {number|null} 正のサイズの最大値（サイズを指定した点がない場合はnull）
+     */
+    getMaxSize() {
+        let maxSize = null;
+        for (const point of this.getAllPoints()) {
+            if (point.size !== null && point.size > 0 && (maxSize === null || point.size > maxSize)) {
+                maxSize = point.size;
+            }
+        }
+        return maxSize;
+    }
+
+    /**
+     * 点の半径を計算
+     * サイズを指定した点は面積がサイズに比例するように maxBubbleRadius * √(size / 最大のサイズ) とし、minBubbleRadius未満の場合は切り上げる
+     * @param {Object} point - 点 {x, y, size, label, group}
+     * @param {number|null} maxSize - サイズの最大値（getMaxSizeの戻り値）
+     * @returns {number} 半径
+     */
+    getPointRadius(point, maxSize) {
+        if (point.size === null || maxSize === null) {
+            return this.pointRadius;
+        }
+        if (point.size <= 0) {
+            return this.minBubbleRadius;
+        }
+        return Math.max(this.minBubbleRadius, this.maxBubbleRadius * Math.sqrt(point.size / maxSize));
+    }
+
+    /**
+     * X軸のスケールを計算（xAxisOptionsの指定を使用）
+     * 範囲が小さいデータや小数のデータも目盛りが10個程度になるように、自動の間隔はAxisScale.calculateFractionalIntervalで計算する
+     * @param {number} min - データの最小値
+     * @param {number} max - データの最大値
+     * @returns {Object} {min, max, tickInterval, tickCount, labels} スケール情報
+     */
+    calculateXAxisScale(min, max) {
+        return AxisScale.calculateLinearScale(min, max, this.xAxisOptions, false, AxisScale.calculateFractionalInterval);
+    }
+
+    /**
+     * Y軸のスケールを計算（X軸と同じロジック、yAxisOptionsの指定を使用）
+     * @param {number} min - データの最小値
+     * @param {number} max - データの最大値
+     * @returns {Object} {min, max, tickInterval, tickCount, labels} スケール情報
+     */
+    calculateYAxisScale(min, max) {
+        return AxisScale.calculateLinearScale(min, max, this.yAxisOptions, false, AxisScale.calculateFractionalInterval);
+    }
+
+    /**
+     * 最小二乗法で回帰直線 y = slope * x + intercept を計算
+     * @param {Array<Object>} points - 点の配列 [{x, y}, ...]
+     * @returns {Object|null} {slope, intercept, rSquared}（点が2つ未満、またはXがすべて同じ値の場合はnull）
+     */
+    static calculateRegression(points) {
+        const count = points.length;
+        if (count < 2) {
+            return null;
+        }
+
+        let sumX = 0;
+        let sumY = 0;
+        for (const point of points) {
+            sumX += point.x;
+            sumY += point.y;
+        }
+        const meanX = sumX / count;
+        const meanY = sumY / count;
+
+        // 偏差の積和から傾きと決定係数を計算（平均を引いてから計算し、桁落ちを防ぐ）
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        for (const point of points) {
+            const dx = point.x - meanX;
+            const dy = point.y - meanY;
+            sxx += dx * dx;
+            sxy += dx * dy;
+            syy += dy * dy;
+        }
+        if (sxx === 0) {
+            return null;
+        }
+
+        const slope = sxy / sxx;
+        return {
+            slope,
+            intercept: meanY - slope * meanX,
+            rSquared: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1
+        };
+    }
+
+    /**
+     * 回帰直線の式を文字列に変換（係数は有効数字3桁、決定係数は小数点以下2桁）
+     * @param {Object} regression - 回帰直線 {slope, intercept, rSquared}
+     * @returns {string} 式（例: 'y = 2.5x + 120（R² = 0.87）'）
+     */
+    static formatRegression(regression) {
+        const slope = parseFloat(regression.slope.toPrecision(3));
+        const intercept = parseFloat(Math.abs(regression.intercept).toPrecision(3));
+        const sign = regression.intercept < 0 ? '-' : '+';
+        return `y = ${slope}x ${sign} ${intercept}（R² = ${regression.rSquared.toFixed(2)}）`;
+    }
+}
+
+/**
+ * ScatterSeries - 散布図の系列クラス
+ */
+class ScatterSeries {
+    constructor(scatterChart, options = {}) {
+        this.scatterChart = scatterChart;
+        this.title = options.title || '';
+        this.color = options.color || 'blue';
+        this.opacity = options.opacity !== undefined ? options.opacity : 0.7;
+        this.data = []; // 点の配列 [{x, y, size, label, group}, ...]
+    }
+
+    /**
+     * 点を追加
+     * @param {number} x - X軸の値
+     * @param {number} y - Y軸の値
+     * @param {Object} options - 点のオプション
+     * @param {number} options.size - バブルのサイズ（省略時はScatterChart.pointRadiusの大きさの点）
+     * @param {string} options.label - 点のラベル（ツールチップに表示）
+     * @param {string} options.group - 点のグループ名
+     */
+    addData(x, y, options = {}) {
+        if (typeof x !== 'number' || isNaN(x) || typeof y !== 'number' || isNaN(y)) {
+            return; // 数値でない場合はスキップ
+        }
+        const size = typeof options.size === 'number' && !isNaN(options.size) ? options.size : null;
+        this.data.push({
+            x,
+            y,
+            size,
+            label: options.label || '',
+            group: options.group || ''
+        });
+    }
+
+    /**
+     * 複数の点を一度に追加
+     * @param {Array<Object>} points - 点の配列 [{x, y, size, label, group}, ...]
+     */
+    addDataArray(points) {
+        for (const point of points) {
+            this.addData(point.x, point.y, point);
+        }
+    }
+
+    /**
+     * 系列の回帰直線を計算
+     * @returns {Object|null} {slope, intercept, rSquared}（計算できない場合はnull）
+     */
+    getRegression() {
+        return ScatterChart.calculateRegression(this.data);
+    }
+}
+
+/**
+ * ScatterTSVLoader - 散布図用TSVローダークラス
+ */
+class ScatterTSVLoader {
+    constructor(scatterChart, url) {
+        this.scatterChart = scatterChart;
+        this.url = url;
+        this.xTitle = ''; // X軸の値の列名
+        this.yTitle = ''; // Y軸の値の列名
+        this.sizeTitle = ''; // バブルのサイズの列名（省略可）
+        this.labelTitle = ''; // 点のラベルの列名（省略可）
+        this.groupTitle = ''; // グループ列の列名（省略可、グループごとに系列を作成）
+        this.format = 'auto'; // データ形式（'auto', 'tsv', 'csv', 'json', 'ndjson'）
+
+        const palette = scatterChart?.chartCanvas?.theme?.palette;
+        this.seriesColors = palette ? [...palette] : ['blue', 'red', 'green', 'orange', 'purple', 'brown', 'pink', 'gray'];
+    }
+
+    /**
+     * TSVファイルを読み込んでデータを追加
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.xTitle || !this.yTitle) {
+            throw new Error('xTitle and yTitle must be set before calling load()');
+        }
+
+        // TSVファイルを読み込む
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load TSV file: ${response.status} ${response.statusText}`);
+        }
+
+        const text = await response.text();
+
+        // データを解析（TSV/CSV/JSON/NDJSON）
+        const { headers, rows } = DataParser.parse(text, this.format);
+
+        if (headers.length === 0) {
+            throw new Error('TSV file is empty');
+        }
+
+        const findColumn = (title) => {
+            if (!title) {
+                return -1;
+            }
+            const index = headers.indexOf(title);
+            if (index === -1) {
+                throw new Error(`Column "${title}" not found in TSV file`);
+            }
+            return index;
+        };
+        const xIndex = findColumn(this.xTitle);
+        const yIndex = findColumn(this.yTitle);
+        const sizeIndex = findColumn(this.sizeTitle);
+        const labelIndex = findColumn(this.labelTitle);
+        const groupIndex = findColumn(this.groupTitle);
+
+        // グループごとに点を収集（グループ列がない場合は1つのグループ）
+        const pointsByGroup = new Map();
+        for (const columns of rows) {
+            const x = parseFloat(columns[xIndex]?.trim());
+            const y = parseFloat(columns[yIndex]?.trim());
+            if (isNaN(x) || isNaN(y)) {
+                continue; // 数値でない場合はスキップ
+            }
+
+            const groupName = groupIndex !== -1 ? (columns[groupIndex]?.trim() || '') : '';
+            if (groupIndex !== -1 && !groupName) {
+                continue; // グループ名がない場合はスキップ
+            }
+
+            if (!pointsByGroup.has(groupName)) {
+                pointsByGroup.set(groupName, []);
+            }
+            pointsByGroup.get(groupName).push({
+                x,
+                y,
+                size: sizeIndex !== -1 ? parseFloat(columns[sizeIndex]?.trim()) : null,
+                label: labelIndex !== -1 ? (columns[labelIndex]?.trim() || '') : '',
+                group: groupName
+            });
+        }
+
+        if (groupIndex === -1) {
+            // 単一の系列を作成
+            const series = this.scatterChart.addSeries({
+                title: this.scatterChart.title || 'データ',
+                color: this.seriesColors[0]
+            });
+            series.addDataArray(pointsByGroup.get('') || []);
+            return;
+        }
+
+        // グループごとに系列を作成してデータを追加
+        const sortedGroupNames = Array.from(pointsByGroup.keys()).sort();
+        sortedGroupNames.forEach((groupName, index) => {
+            const series = this.scatterChart.addSeries({
+                title: groupName,
+                color: this.seriesColors[index % this.seriesColors.length]
+            });
+            series.addDataArray(pointsByGroup.get(groupName));
+        });
+    }
+}
+
+// グローバルスコープに公開
+window.ScatterChart = ScatterChart;
+window.ScatterSeries = ScatterSeries;
+window.ScatterTSVLoader = ScatterTSVLoader;
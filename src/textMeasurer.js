@@ -0,0 +1,249 @@
+/**
+ * テキストの幅の測定クラス
+ * ChartCanvas.getTextWidth()で使用する測定方法を差し替えられるようにする。
+ * 測定クラスは measureText(text, fontSize, fontFamily) でテキストのピクセル幅を返す。
+ *
+ * - FixedWidthTextMeasurer: 半角・全角の固定幅（等幅フォント向け、従来の計算方法）
+ * - GlyphTableTextMeasurer: 組み込みの文字幅テーブル（DOMなしモードでプロポーショナルフォントを使用する場合）
+ * - CanvasTextMeasurer: CanvasRenderingContext2D.measureText（ブラウザ）
+ */
+
+/**
+ * 半角・全角の固定幅でテキストの幅を測定するクラス
+ */
+class FixedWidthTextMeasurer {
+    /**
+     * コンストラクタ
+     * @param {number} halfWidthRatio - 半角文字の幅（フォントサイズに対する比率、デフォルト: 0.6）
+     * @param {number} fullWidthRatio - 全角文字の幅（フォントサイズに対する比率、デフォルト: 1.0）
+     */
+    constructor(halfWidthRatio = 0.6, fullWidthRatio = 1.0) {
+        this.halfWidthRatio = halfWidthRatio;
+        this.fullWidthRatio = fullWidthRatio;
+    }
+
+    /**
+     * テキストの幅を測定
+     * @param {string} text - 測定するテキスト
+     * @param {number} fontSize - フォントサイズ
+     * @returns {number} テキストのピクセル幅
+     */
+    measureText(text, fontSize) {
+        let width = 0;
+        for (let i = 0; i < text.length; i++) {
+            width += TextMeasurer.isHalfWidth(text[i]) ? fontSize * this.halfWidthRatio : fontSize * this.fullWidthRatio;
+        }
+        return width;
+    }
+}
+
+/**
+ * 組み込みの文字幅テーブルでテキストの幅を測定するクラス
+ * テーブルはASCII文字（0x20〜0x7E）の送り幅（1000単位）で、それ以外の文字は半角・全角の幅を使用する
+ */
+class GlyphTableTextMeasurer {
+    // フォントごとの文字幅テーブル
+    static FONT_TABLES = {
+        // Helvetica（Arialも同じ送り幅）
+        'helvetica': {
+            ascii: [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ],
+            halfWidth: 556,
+            fullWidth: 1000
+        },
+        // Noto Sans JP（欧文はプロポーショナル、和文は全角幅。build-font-metrics.jsで生成）
+        'noto-sans-jp': {
+            ascii: [
+                224, 323, 474, 555, 555, 921, 680, 278, 338, 338, 467, 555, 278, 347, 278, 392,
+                555, 555, 555, 555, 555, 555, 555, 555, 555, 555, 278, 278, 555, 555, 555, 474,
+                946, 608, 657, 638, 688, 589, 552, 689, 728, 293, 535, 646, 543, 812, 723, 742,
+                633, 742, 635, 596, 599, 721, 575, 878, 573, 531, 603, 338, 392, 338, 555, 559,
+                606, 563, 618, 510, 620, 554, 325, 564, 607, 275, 275, 552, 284, 926, 610, 606,
+                620, 620, 388, 468, 377, 607, 521, 802, 498, 521, 475, 338, 270, 338, 555
+            ],
+            halfWidth: 500,
+            fullWidth: 1000
+        }
+    };
+
+    /**
+     * コンストラクタ
+     * @param {string} tableName - 文字幅テーブルの名前（FONT_TABLESのキー）
+     */
+    constructor(tableName) {
+        const table = GlyphTableTextMeasurer.FONT_TABLES[tableName];
+        if (!table) {
+            throw new Error(`Unknown font table: ${tableName}. Must be one of: ${Object.keys(GlyphTableTextMeasurer.FONT_TABLES).join(', ')}`);
+        }
+        this.tableName = tableName;
+        this.table = table;
+    }
+
+    /**
+     * テキストの幅を測定
+     * @param {string} text - 測定するテキスト
+     * @param {number} fontSize - フォントサイズ
+     * @returns {number} テキストのピクセル幅
+     */
+    measureText(text, fontSize) {
+        let units = 0;
+        for (let i = 0; i < text.length; i++) {
+            const charCode = text.charCodeAt(i);
+            if (charCode >= 0x20 && charCode <= 0x7E) {
+                units += this.table.ascii[charCode - 0x20];
+            } else {
+                units += TextMeasurer.isHalfWidth(text[i]) ? this.table.halfWidth : this.table.fullWidth;
+            }
+        }
+        return units * fontSize / 1000;
+    }
+}
+
+/**
+ * CanvasRenderingContext2D.measureTextでテキストの幅を測定するクラス（ブラウザのみ）
+ */
+class CanvasTextMeasurer {
+    /**
+     * コンストラクタ
+     * @param {CanvasRenderingContext2D|null} context - 測定に使用するコンテキスト（nullの場合は作成する）
+     */
+    constructor(context = null) {
+        this.context = context || CanvasTextMeasurer.createContext();
+        if (!this.context) {
+            throw new Error('CanvasRenderingContext2D is not available');
+        }
+    }
+
+    /**
+     * 測定用のコンテキストを作成
+     * @returns {CanvasRenderingContext2D|null} コンテキスト（作成できない場合はnull）
+     */
+    static createContext() {
+        if (typeof document === 'undefined' || !document || !document.createElement) {
+            return null;
+        }
+        const canvas = document.createElement('canvas');
+        return canvas.getContext ? canvas.getContext('2d') : null;
+    }
+
+    /**
+     * テキストの幅を測定
+     * @param {string} text - 測定するテキスト
+     * @param {number} fontSize - フォントサイズ
+     * @param {string} fontFamily - フォント
+     * @returns {number} テキストのピクセル幅
+     */
+    measureText(text, fontSize, fontFamily) {
+        this.context.font = `${fontSize}px ${fontFamily}`;
+        return this.context.measureText(text).width;
+    }
+}
+
+/**
+ * テキストの測定方法の解決
+ */
+class TextMeasurer {
+    // 測定方法の名前
+    static TYPES = ['auto', 'fixed', 'table', 'canvas'];
+
+    // フォント名（小文字）と測定方法の対応（'fixed'または文字幅テーブルの名前）
+    static FONT_FAMILIES = {
+        'ms gothic': 'fixed',
+        'ｍｓ ゴシック': 'fixed',
+        'osaka-mono': 'fixed',
+        'courier new': 'fixed',
+        'courier': 'fixed',
+        'lucida console': 'fixed',
+        'monospace': 'fixed',
+        'helvetica': 'helvetica',
+        'helvetica neue': 'helvetica',
+        'arial': 'helvetica',
+        'liberation sans': 'helvetica',
+        'sans-serif': 'helvetica',
+        'noto sans jp': 'noto-sans-jp',
+        'noto sans cjk jp': 'noto-sans-jp',
+        'source han sans jp': 'noto-sans-jp',
+        'source han sans': 'noto-sans-jp'
+    };
+
+    /**
+     * 半角文字かどうか（ASCII文字、半角カナ）
+     * @param {string} char - 文字
+     * @returns {boolean} 半角文字の場合はtrue
+     */
+    static isHalfWidth(char) {
+        const charCode = char.charCodeAt(0);
+        return charCode <= 0x007F || (charCode >= 0xFF61 && charCode <= 0xFF9F);
+    }
+
+    /**
+     * フォント指定から文字幅テーブルを探す
+     * 先頭から順に既知のフォントを探し、最初に見つかったフォントの測定方法を返す
+     * @param {string} fontFamily - フォント（CSSのfont-family）
+     * @returns {string} 'fixed'または文字幅テーブルの名前（既知のフォントがない場合は'fixed'）
+     */
+    static findFontTable(fontFamily) {
+        const families = String(fontFamily || '').split(',').map(family => family.trim().replace(/^['"]|['"]$/g, '').toLowerCase());
+        for (const family of families) {
+            if (TextMeasurer.FONT_FAMILIES[family]) {
+                return TextMeasurer.FONT_FAMILIES[family];
+            }
+        }
+        return 'fixed';
+    }
+
+    /**
+     * 測定方法を解決して測定クラスのインスタンスを返す
+     * - 'auto': ブラウザ（DOMモード）ではCanvas、DOMなしモードではフォントに応じた文字幅テーブル（等幅フォント・不明なフォントは固定幅）
+     * - 'fixed': 半角・全角の固定幅
+     * - 'table': フォントに応じた文字幅テーブル（既知のプロポーショナルフォントがない場合はHelvetica）
+     * - 'canvas': CanvasRenderingContext2D.measureText（使用できない場合はエラー）
+     * - オブジェクト: measureText(text, fontSize, fontFamily)を持つ独自の測定クラス
+     * @param {string|Object} measurer - 測定方法の名前、または測定クラスのインスタンス
+     * @param {string} fontFamily - フォント（CSSのfont-family）
+     * @param {boolean} isHeadlessMode - DOMなしモードかどうか
+     * @returns {Object} measureText(text, fontSize, fontFamily)を持つ測定クラスのインスタンス
+     */
+    static resolve(measurer, fontFamily, isHeadlessMode) {
+        if (measurer && typeof measurer === 'object') {
+            if (typeof measurer.measureText !== 'function') {
+                throw new Error('Invalid text measurer: object must have a measureText(text, fontSize, fontFamily) method');
+            }
+            return measurer;
+        }
+        if (!TextMeasurer.TYPES.includes(measurer)) {
+            throw new Error(`Invalid text measurer: ${measurer}. Must be one of: ${TextMeasurer.TYPES.join(', ')}`);
+        }
+
+        if (measurer === 'canvas') {
+            return new CanvasTextMeasurer();
+        }
+        if (measurer === 'auto' && !isHeadlessMode) {
+            const context = CanvasTextMeasurer.createContext();
+            if (context) {
+                return new CanvasTextMeasurer(context);
+            }
+        }
+
+        const fontTable = TextMeasurer.findFontTable(fontFamily);
+        if (measurer === 'table') {
+            return new GlyphTableTextMeasurer(fontTable === 'fixed' ? 'helvetica' : fontTable);
+        }
+        if (measurer === 'auto' && fontTable !== 'fixed') {
+            return new GlyphTableTextMeasurer(fontTable);
+        }
+        return new FixedWidthTextMeasurer();
+    }
+}
+
+// グローバルスコープに公開
+window.TextMeasurer = TextMeasurer;
+window.FixedWidthTextMeasurer = FixedWidthTextMeasurer;
+window.GlyphTableTextMeasurer = GlyphTableTextMeasurer;
+window.CanvasTextMeasurer = CanvasTextMeasurer;
@@ -0,0 +1,150 @@
+/**
+ * ChartTheme - テーマ（色・フォント・大きさ・背景）の定義クラス
+ * 組み込みのテーマ（light, dark, print）と、テーマの解決（部分的な指定を組み込みのテーマに重ねる）を提供する。
+ * ChartCanvas.setTheme()とCLIの設定JSONのthemeで使用する。
+ */
+class ChartTheme {
+    // 組み込みのテーマ
+    static THEMES = {
+        // 明るい背景（デフォルト）
+        light: {
+            name: 'light',
+            palette: null, // 系列・円グラフの色（nullの場合は各グラフの既定の色）
+            fontFamily: "'MS Gothic', 'MS PGothic', 'Courier New', Courier, 'Lucida Console', monospace",
+            fontSize: {
+                normal: 14, // タイトル・ラベルなど
+                small: 10   // 軸の目盛りなど
+            },
+            colors: {
+                text: '#000',
+                background: 'none',     // グラフ全体の背景（'none'の場合は描画しない）
+                plotBackground: 'none', // 描画エリアの背景（'none'の場合は描画しない）
+                axis: '#000',
+                tick: '#000',
+                grid: '#e0e0e0',
+                border: '#fff',         // 円グラフのセグメント・マーカーの境界線
+                leaderLine: '#333',     // 円グラフのラベルの引き出し線
+                crosshair: '#666',
+                tooltipBackground: 'rgba(255, 255, 255, 0.95)',
+                tooltipBorder: '#999'
+            },
+            legend: {
+                fontSize: 14,
+                textColor: '#000'
+            }
+        },
+        // 暗い背景
+        dark: {
+            name: 'dark',
+            palette: ['#4E9FFF', '#FF6B6B', '#51CF66', '#FFA94D', '#CC5DE8', '#FFD43B', '#22B8CF', '#F783AC'],
+            fontFamily: "'MS Gothic', 'MS PGothic', 'Courier New', Courier, 'Lucida Console', monospace",
+            fontSize: {
+                normal: 14,
+                small: 10
+            },
+            colors: {
+                text: '#E0E0E0',
+                background: '#1E1E1E',
+                plotBackground: '#252526',
+                axis: '#B0B0B0',
+                tick: '#B0B0B0',
+                grid: '#3C3C3C',
+                border: '#1E1E1E',
+                leaderLine: '#B0B0B0',
+                crosshair: '#999',
+                tooltipBackground: 'rgba(30, 30, 30, 0.95)',
+                tooltipBorder: '#666'
+            },
+            legend: {
+                fontSize: 14,
+                textColor: '#E0E0E0'
+            }
+        },
+        // 印刷用（白背景、モノクロでも区別しやすい濃淡の色）
+        print: {
+            name: 'print',
+            palette: ['#000000', '#666666', '#999999', '#333333', '#BBBBBB', '#4D4D4D', '#808080', '#1A1A1A'],
+            fontFamily: "'MS Gothic', 'MS PGothic', 'Courier New', Courier, 'Lucida Console', monospace",
+            fontSize: {
+                normal: 14,
+                small: 10
+            },
+            colors: {
+                text: '#000',
+                background: '#fff',
+                plotBackground: 'none',
+                axis: '#000',
+                tick: '#000',
+                grid: '#BDBDBD',
+                border: '#fff',
+                leaderLine: '#000',
+                crosshair: '#666',
+                tooltipBackground: 'rgba(255, 255, 255, 0.95)',
+                tooltipBorder: '#000'
+            },
+            legend: {
+                fontSize: 14,
+                textColor: '#000'
+            }
+        }
+    };
+
+    /**
+     * テーマを解決
+     * テーマ名の場合は組み込みのテーマ、オブジェクトの場合はbase（デフォルト: 'light'）のテーマに指定した項目を重ねたテーマを返す
+     * @param {string|Object|null} theme - テーマ名（'light', 'dark', 'print'）またはテーマのオブジェクト
+     * @returns {Object} 解決したテーマ（すべての項目を持つ）
+     */
+    static resolve(theme = 'light') {
+        if (theme === null || theme === undefined) {
+            return ChartTheme.resolve('light');
+        }
+        if (typeof theme === 'string') {
+            const builtIn = ChartTheme.THEMES[theme];
+            if (!builtIn) {
+                throw new Error(`Invalid theme: ${theme}. Must be one of: ${Object.keys(ChartTheme.THEMES).join(', ')}`);
+            }
+            return ChartTheme.merge(builtIn, {});
+        }
+        if (typeof theme !== 'object' || Array.isArray(theme)) {
+            throw new Error('Invalid theme: must be a theme name or an object');
+        }
+
+        const { base, ...overrides } = theme;
+        return ChartTheme.merge(ChartTheme.resolve(base || 'light'), overrides);
+    }
+
+    /**
+     * テーマに項目を重ねる（fontSize・colors・legendなどのオブジェクトは項目ごとに重ねる）
+     * @param {Object} baseTheme - 元のテーマ
+     * @param {Object} overrides - 重ねる項目
+     * @returns {Object} 新しいテーマ
+     */
+    static merge(baseTheme, overrides) {
+        const result = {};
+        for (const key of Object.keys(baseTheme)) {
+            const value = baseTheme[key];
+            if (Array.isArray(value)) {
+                result[key] = [...value];
+            } else if (value && typeof value === 'object') {
+                result[key] = { ...value };
+            } else {
+                result[key] = value;
+            }
+        }
+        for (const key of Object.keys(overrides)) {
+            const value = overrides[key];
+            if (value && typeof value === 'object' && !Array.isArray(value) && result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+                result[key] = { ...result[key], ...value };
+            } else if (Array.isArray(value)) {
+                result[key] = [...value];
+            } else {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+}
+
+// グローバルスコープに公開
+window.ChartTheme = ChartTheme;
@@ -0,0 +1,161 @@
+/**
+ * ストロークフォント（PNG出力用の組み込みフォント）
+ *
+ * ASCII文字（0x20〜0x7E）と一部の記号を、線分（ポリライン）の集合として定義したベクターフォントです。
+ * 外部のフォントファイルに依存せずにテキストを描画するために使用します。
+ *
+ * 座標系:
+ *   - x: 0〜4（文字の左端から右端）
+ *   - y: 0（大文字の上端）〜6（ベースライン）、小文字のxハイトは2、ディセンダーは8まで
+ *   - 各ポリラインは2桁の数字（xとy）の並びで表す（例: '0646' → (0,6)から(4,6)への線）
+ *   - 1点だけのポリラインは点（ドット）として描画する
+ *
+ * 定義されていない文字（日本語などの全角文字）は、呼び出し側でビットマップフォント（bitmapFont.js）で描画し、
+ * そこにもない文字は四角形（豆腐）として描画します。
+ */
+
+const GLYPHS = {
+    ' ': [],
+    '!': ['2024', '26'],
+    '"': ['1012', '3032'],
+    '#': ['1016', '3036', '0242', '0444'],
+    '$': ['413010010213334445361605', '2026'],
+    '%': ['0640', '0010110100', '3545463635'],
+    '&': ['4612112031320405162644'],
+    "'": ['2022'],
+    '(': ['30121436'],
+    ')': ['10323416'],
+    '*': ['2125', '0244', '0442'],
+    '+': ['2125', '0343'],
+    ',': ['252617'],
+    '-': ['0343'],
+    '.': ['26'],
+    '/': ['0640'],
+    '0': ['103041453616050110'],
+    '1': ['112026', '1636'],
+    '2': ['01103041420646'],
+    '3': ['01103041423313', '334445361605'],
+    '4': ['36300444'],
+    '5': ['400002324345361605'],
+    '6': ['30100105163645443303'],
+    '7': ['00404126'],
+    '8': ['13020110304142331304051636454433'],
+    '9': ['43130201103041453616'],
+    ':': ['22', '25'],
+    ';': ['22', '252617'],
+    '<': ['400346'],
+    '=': ['0242', '0444'],
+    '>': ['004306'],
+    '?': ['01103041422324', '26'],
+    '@': ['3432121434', '344441301001051646'],
+    'A': ['0602204246', '0444'],
+    'B': ['06003041423303', '3344453606'],
+    'C': ['4130100105163645'],
+    'D': ['00063645413000'],
+    'E': ['40000646', '0333'],
+    'F': ['400006', '0333'],
+    'G': ['41301001051636454323'],
+    'H': ['0006', '4046', '0343'],
+    'I': ['1030', '2026', '1636'],
+    'J': ['4045361605'],
+    'K': ['0006', '4004', '1346'],
+    'L': ['000646'],
+    'M': ['0600234046'],
+    'N': ['06004640'],
+    'O': ['103041453616050110'],
+    'P': ['06003041423303'],
+    'Q': ['103041453616050110', '2446'],
+    'R': ['06003041423303', '2346'],
+    'S': ['413010010213334445361605'],
+    'T': ['0040', '2026'],
+    'U': ['000516364540'],
+    'V': ['002640'],
+    'W': ['0016233640'],
+    'X': ['0046', '4006'],
+    'Y': ['002340', '2326'],
+    'Z': ['00400646'],
+    '[': ['30101636'],
+    '\\': ['0046'],
+    ']': ['10303616'],
+    '^': ['022042'],
+    '_': ['0747'],
+    '`': ['1021'],
+    'a': ['12324346', '441405163645'],
+    'b': ['0006', '0312324345361605'],
+    'c': ['4332120305163645'],
+    'd': ['4046', '4332120305163645'],
+    'e': ['044443321203051646'],
+    'f': ['4130201116', '0232'],
+    'g': ['42473818', '4332120304153544'],
+    'h': ['0006', '0312324346'],
+    'i': ['2226', '20'],
+    'j': ['22271807', '20'],
+    'k': ['0006', '3205', '1436'],
+    'l': ['102026', '1636'],
+    'm': ['0602', '03122326', '23324346'],
+    'n': ['0602', '0312324346'],
+    'o': ['123243453616050312'],
+    'p': ['0208', '0312324345361605'],
+    'q': ['4248', '4332120305163645'],
+    'r': ['0206', '042242'],
+    's': ['4212031434453606'],
+    't': ['10152636', '0232'],
+    'u': ['0205163645', '4246'],
+    'v': ['022642'],
+    'w': ['0216243642'],
+    'x': ['0246', '4206'],
+    'y': ['0226', '4218'],
+    'z': ['02420646'],
+    '{': ['30212213242536'],
+    '|': ['2026'],
+    '}': ['10212233242516'],
+    '~': ['03123443'],
+    '¥': ['002340', '2326', '0343', '0444']
+};
+
+// 解析済みのグリフをキャッシュ
+const parsedGlyphs = {};
+
+/**
+ * 文字のグリフ（ポリラインの配列）を取得
+ * @param {string} char - 文字
+ * @returns {Array<Array<Array<number>>>|null} ポリラインの配列 [[[x, y], ...], ...]（定義されていない場合はnull）
+ */
+function getGlyph(char) {
+    if (parsedGlyphs[char]) {
+        return parsedGlyphs[char];
+    }
+    const strokes = GLYPHS[char];
+    if (!strokes) {
+        return null;
+    }
+
+    const glyph = strokes.map(stroke => {
+        const points = [];
+        for (let i = 0; i + 1 < stroke.length; i += 2) {
+            points.push([Number(stroke[i]), Number(stroke[i + 1])]);
+        }
+        return points;
+    });
+    parsedGlyphs[char] = glyph;
+    return glyph;
+}
+
+/**
+ * 半角文字かどうか（TextMeasurer.isHalfWidthと同じ判定）
+ * @param {string} char - 文字
+ * @returns {boolean} 半角文字の場合はtrue
+ */
+function isHalfWidth(char) {
+    const charCode = char.charCodeAt(0);
+    return charCode <= 0x007F || (charCode >= 0xFF61 && charCode <= 0xFF9F);
+}
+
+module.exports = {
+    // グリフの座標系の寸法
+    GLYPH_WIDTH: 4,
+    CAP_HEIGHT: 6,
+    BASELINE: 6,
+    getGlyph,
+    isHalfWidth
+};
@@ -0,0 +1,1347 @@
+/**
+ * SVGラスタライザ（PNG出力用）
+ *
+ * ChartCanvasが生成するSVG要素のツリー（DOMなしモードのVirtualSVGElement）を、
+ * 外部ライブラリやブラウザに依存せずにPNG画像へ変換します。
+ *
+ * 対応している要素:
+ *   svg, g, rect, line, polyline, polygon, circle, ellipse, path, text
+ *   （pathはM/L/H/V/C/S/Q/T/A/Zコマンドに対応）
+ *
+ * 対応している属性:
+ *   fill, fill-opacity, fill-rule, stroke, stroke-width, stroke-opacity, stroke-dasharray,
+ *   stroke-dashoffset, opacity, visibility, display, transform,
+ *   font-size, font-weight, text-anchor, dominant-baseline（style属性での指定も可）
+ *
+ * style要素のクラスセレクタ（.name { ... }）のみのルールにも対応しています（属性より優先、style属性よりは低い優先度）。
+ *
+ * テキストは組み込みのフォントで描画します。ASCII文字はストロークフォント（strokeFont.js）、
+ * 日本語などの全角文字はJIS X 0208の16×16ドットのビットマップフォント（bitmapFont.js）を使用します。
+ * どちらのフォントにもない文字は、文字幅の四角形として描画されます。
+ */
+
+const zlib = require('zlib');
+const strokeFont = require('./strokeFont');
+const bitmapFont = require('./bitmapFont');
+
+// アンチエイリアス用のサブスキャンライン数（1ピクセルあたり）
+const SUBSAMPLES = 4;
+
+// 出力画像の最大ピクセル数
+const MAX_PIXELS = 100000000;
+
+// 親要素から継承されるプロパティ
+const INHERITED_PROPERTIES = [
+    'fill', 'fill-opacity', 'fill-rule',
+    'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-dashoffset',
+    'font-size', 'font-weight', 'text-anchor', 'visibility'
+];
+
+// 描画しない要素
+const NON_RENDERED_ELEMENTS = ['style', 'title', 'desc', 'defs', 'metadata', 'script'];
+
+// 名前付きの色
+const NAMED_COLORS = {
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    green: '#008000',
+    blue: '#0000ff',
+    yellow: '#ffff00',
+    orange: '#ffa500',
+    purple: '#800080',
+    gray: '#808080',
+    grey: '#808080',
+    silver: '#c0c0c0',
+    maroon: '#800000',
+    olive: '#808000',
+    lime: '#00ff00',
+    aqua: '#00ffff',
+    cyan: '#00ffff',
+    teal: '#008080',
+    navy: '#000080',
+    fuchsia: '#ff00ff',
+    magenta: '#ff00ff',
+    pink: '#ffc0cb',
+    brown: '#a52a2a',
+    gold: '#ffd700',
+    lightgray: '#d3d3d3',
+    lightgrey: '#d3d3d3',
+    darkgray: '#a9a9a9',
+    darkgrey: '#a9a9a9',
+    dimgray: '#696969',
+    dimgrey: '#696969',
+    lightblue: '#add8e6',
+    darkblue: '#00008b',
+    steelblue: '#4682b4',
+    skyblue: '#87ceeb',
+    darkgreen: '#006400',
+    lightgreen: '#90ee90',
+    darkred: '#8b0000',
+    coral: '#ff7f50',
+    tomato: '#ff6347',
+    salmon: '#fa8072',
+    crimson: '#dc143c',
+    indigo: '#4b0082',
+    violet: '#ee82ee',
+    whitesmoke: '#f5f5f5',
+    gainsboro: '#dcdcdc'
+};
+
+/**
+ * 色の文字列をRGBAに変換
+ * @param {string} value - 色の文字列（'#rrggbb', 'rgb(...)', 'red' など）
+ * @returns {Object|null} {r, g, b, a}（r, g, bは0〜255、aは0〜1）。'none'の場合はnull
+ */
+function parseColor(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    let color = String(value).trim().toLowerCase();
+    if (color === '' || color === 'none' || color === 'transparent') {
+        return null;
+    }
+    if (NAMED_COLORS[color]) {
+        color = NAMED_COLORS[color];
+    }
+
+    if (color[0] === '#') {
+        let hex = color.slice(1);
+        if (hex.length === 3 || hex.length === 4) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        if (/^[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) {
+            return {
+                r: parseInt(hex.slice(0, 2), 16),
+                g: parseInt(hex.slice(2, 4), 16),
+                b: parseInt(hex.slice(4, 6), 16),
+                a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+            };
+        }
+    }
+
+    const match = color.match(/^rgba?\(([^)]*)\)$/);
+    if (match) {
+        const parts = match[1].split(/[\s,/]+/).filter(part => part !== '');
+        const channel = (part) => {
+            const number = parseFloat(part);
+            return part.endsWith('%') ? number * 2.55 : number;
+        };
+        const alpha = parts.length > 3
+            ? (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]))
+            : 1;
+        return {
+            r: Math.max(0, Math.min(255, channel(parts[0]))),
+            g: Math.max(0, Math.min(255, channel(parts[1]))),
+            b: Math.max(0, Math.min(255, channel(parts[2]))),
+            a: isNaN(alpha) ? 1 : Math.max(0, Math.min(1, alpha))
+        };
+    }
+
+    // 解釈できない色は黒として扱う
+    return { r: 0, g: 0, b: 0, a: 1 };
+}
+
+/**
+ * 数値の属性値を取得
+ * @param {string} value - 属性値
+ * @param {number} defaultValue - 値がない場合のデフォルト値
+ * @returns {number} 数値
+ */
+function parseNumber(value, defaultValue = 0) {
+    const number = parseFloat(value);
+    return isNaN(number) ? defaultValue : number;
+}
+
+/**
+ * 2つのアフィン変換行列を合成（mを適用した後にparentを適用）
+ * 行列は [a, b, c, d, e, f] の形式（x' = a*x + c*y + e, y' = b*x + d*y + f）
+ * @param {Array<number>} parent - 親の変換行列
+ * @param {Array<number>} m - 子の変換行列
+ * @returns {Array<number>} 合成した変換行列
+ */
+function multiplyMatrix(parent, m) {
+    return [
+        parent[0] * m[0] + parent[2] * m[1],
+        parent[1] * m[0] + parent[3] * m[1],
+        parent[0] * m[2] + parent[2] * m[3],
+        parent[1] * m[2] + parent[3] * m[3],
+        parent[0] * m[4] + parent[2] * m[5] + parent[4],
+        parent[1] * m[4] + parent[3] * m[5] + parent[5]
+    ];
+}
+
+/**
+ * transform属性を変換行列に変換
+ * @param {string} transform - transform属性の値（例: 'rotate(-90 20 150)'）
+ * @returns {Array<number>} 変換行列
+ */
+function parseTransform(transform) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(transform)) !== null) {
+        const args = match[2].split(/[\s,]+/).filter(arg => arg !== '').map(Number);
+        let m = null;
+        switch (match[1]) {
+            case 'matrix':
+                if (args.length === 6) {
+                    m = args;
+                }
+                break;
+            case 'translate':
+                m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                break;
+            case 'scale': {
+                const sx = args.length > 0 ? args[0] : 1;
+                const sy = args.length > 1 ? args[1] : sx;
+                m = [sx, 0, 0, sy, 0, 0];
+                break;
+            }
+            case 'rotate': {
+                const angle = (args[0] || 0) * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                const cx = args[1] || 0;
+                const cy = args[2] || 0;
+                // translate(cx, cy) rotate(angle) translate(-cx, -cy)
+                m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                break;
+            }
+            case 'skewX':
+                m = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                break;
+            case 'skewY':
+                m = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                break;
+        }
+        if (m) {
+            matrix = multiplyMatrix(matrix, m);
+        }
+    }
+    return matrix;
+}
+
+/**
+ * 変換行列の拡大率（線幅の変換に使用）
+ * @param {Array<number>} matrix - 変換行列
+ * @returns {number} 拡大率
+ */
+function getMatrixScale(matrix) {
+    return Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+}
+
+/**
+ * サブパスの座標を変換行列で変換
+ * @param {Array<Object>} subpaths - サブパスの配列 [{points: [[x, y], ...], closed}]
+ * @param {Array<number>} matrix - 変換行列
+ * @returns {Array<Object>} 変換後のサブパスの配列
+ */
+function transformSubpaths(subpaths, matrix) {
+    return subpaths.map(subpath => ({
+        closed: subpath.closed,
+        points: subpath.points.map(([x, y]) => [
+            matrix[0] * x + matrix[2] * y + matrix[4],
+            matrix[1] * x + matrix[3] * y + matrix[5]
+        ])
+    }));
+}
+
+/**
+ * 曲線の分割数を計算
+ * @param {number} length - 曲線のおおよその長さ（出力画像のピクセル単位）
+ * @returns {number} 分割数
+ */
+function getSegmentCount(length) {
+    return Math.max(4, Math.min(128, Math.ceil(length / 2)));
+}
+
+/**
+ * 楕円弧（SVGのAコマンド）を折れ線に変換
+ * SVG仕様の「端点パラメータから中心パラメータへの変換」に従う
+ * @param {number} x1 - 始点のX座標
+ * @param {number} y1 - 始点のY座標
+ * @param {number} rx - X方向の半径
+ * @param {number} ry - Y方向の半径
+ * @param {number} rotation - X軸の回転角度（度）
+ * @param {boolean} largeArc - 大きい方の弧を描くかどうか
+ * @param {boolean} sweep - 正の角度方向に描くかどうか
+ * @param {number} x2 - 終点のX座標
+ * @param {number} y2 - 終点のY座標
+ * @param {number} scale - 出力画像での拡大率
+ * @returns {Array<Array<number>>} 始点を除いた点の配列
+ */
+function arcToPoints(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, scale) {
+    if (x1 === x2 && y1 === y2) {
+        return [];
+    }
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) {
+        return [[x2, y2]];
+    }
+
+    const phi = rotation * Math.PI / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cosPhi * dx + sinPhi * dy;
+    const y1p = -sinPhi * dx + cosPhi * dy;
+
+    // 半径が小さすぎる場合は拡大する
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coefficient * rx * y1p / ry;
+    const cyp = -coefficient * ry * x1p / rx;
+    const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const ux = (x1p - cxp) / rx;
+    const uy = (y1p - cyp) / ry;
+    const vx = (-x1p - cxp) / rx;
+    const vy = (-y1p - cyp) / ry;
+    const startAngle = angle(1, 0, ux, uy);
+    let deltaAngle = angle(ux, uy, vx, vy);
+    if (!sweep && deltaAngle > 0) {
+        deltaAngle -= Math.PI * 2;
+    } else if (sweep && deltaAngle < 0) {
+        deltaAngle += Math.PI * 2;
+    }
+
+    const count = getSegmentCount(Math.abs(deltaAngle) * Math.max(rx, ry) * scale);
+    const points = [];
+    for (let i = 1; i <= count; i++) {
+        const t = startAngle + deltaAngle * i / count;
+        const cosT = Math.cos(t);
+        const sinT = Math.sin(t);
+        points.push([
+            cx + rx * cosT * cosPhi - ry * sinT * sinPhi,
+            cy + rx * cosT * sinPhi + ry * sinT * cosPhi
+        ]);
+    }
+    // 終点は誤差なく一致させる
+    points[points.length - 1] = [x2, y2];
+    return points;
+}
+
+/**
+ * 3次ベジェ曲線を折れ線に変換
+ * @returns {Array<Array<number>>} 始点を除いた点の配列
+ */
+function cubicToPoints(x0, y0, x1, y1, x2, y2, x3, y3, scale) {
+    const length = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x3 - x2, y3 - y2);
+    const count = getSegmentCount(length * scale);
+    const points = [];
+    for (let i = 1; i <= count; i++) {
+        const t = i / count;
+        const mt = 1 - t;
+        points.push([
+            mt * mt * mt * x0 + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * x3,
+            mt * mt * mt * y0 + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * y3
+        ]);
+    }
+    return points;
+}
+
+/**
+ * 2次ベジェ曲線を折れ線に変換
+ * @returns {Array<Array<number>>} 始点を除いた点の配列
+ */
+function quadraticToPoints(x0, y0, x1, y1, x2, y2, scale) {
+    const length = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1);
+    const count = getSegmentCount(length * scale);
+    const points = [];
+    for (let i = 1; i <= count; i++) {
+        const t = i / count;
+        const mt = 1 - t;
+        points.push([
+            mt * mt * x0 + 2 * mt * t * x1 + t * t * x2,
+            mt * mt * y0 + 2 * mt * t * y1 + t * t * y2
+        ]);
+    }
+    return points;
+}
+
+/**
+ * pathのd属性をサブパス（折れ線）の配列に変換
+ * @param {string} d - d属性の値
+ * @param {number} scale - 出力画像での拡大率（曲線の分割数の計算に使用）
+ * @returns {Array<Object>} サブパスの配列 [{points: [[x, y], ...], closed}]
+ */
+function parsePathData(d, scale = 1) {
+    const tokens = String(d || '').match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const argumentCounts = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+    const subpaths = [];
+    let current = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    // 直前の曲線の制御点（S/Tコマンドで使用）{type: 'C'|'Q', x, y}
+    let lastControl = null;
+    let command = null;
+    let i = 0;
+
+    // 描画コマンドの前に現在位置からサブパスを開始する
+    const ensureSubpath = () => {
+        if (!current || current.closed) {
+            current = { points: [[x, y]], closed: false };
+            subpaths.push(current);
+        }
+    };
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) {
+            command = tokens[i++];
+        } else if (!command) {
+            i++;
+            continue;
+        }
+
+        const type = command.toUpperCase();
+        const relative = command !== type;
+        const count = argumentCounts[type];
+        if (i + count > tokens.length) {
+            break;
+        }
+        const args = tokens.slice(i, i + count).map(Number);
+        i += count;
+        const offsetX = relative ? x : 0;
+        const offsetY = relative ? y : 0;
+        let control = null;
+
+        switch (type) {
+            case 'M':
+                x = offsetX + args[0];
+                y = offsetY + args[1];
+                current = { points: [[x, y]], closed: false };
+                subpaths.push(current);
+                startX = x;
+                startY = y;
+                // 続く座標はLコマンドとして扱う
+                command = relative ? 'l' : 'L';
+                break;
+            case 'L':
+                ensureSubpath();
+                x = offsetX + args[0];
+                y = offsetY + args[1];
+                current.points.push([x, y]);
+                break;
+            case 'H':
+                ensureSubpath();
+                x = offsetX + args[0];
+                current.points.push([x, y]);
+                break;
+            case 'V':
+                ensureSubpath();
+                y = offsetY + args[0];
+                current.points.push([x, y]);
+                break;
+            case 'C':
+            case 'S': {
+                ensureSubpath();
+                let x1, y1;
+                let rest = args;
+                if (type === 'C') {
+                    x1 = offsetX + args[0];
+                    y1 = offsetY + args[1];
+                    rest = args.slice(2);
+                } else {
+                    // 直前の制御点を反転した点を最初の制御点とする
+                    x1 = lastControl && lastControl.type === 'C' ? 2 * x - lastControl.x : x;
+                    y1 = lastControl && lastControl.type === 'C' ? 2 * y - lastControl.y : y;
+                }
+                const x2 = offsetX + rest[0];
+                const y2 = offsetY + rest[1];
+                const endX = offsetX + rest[2];
+                const endY = offsetY + rest[3];
+                current.points.push(...cubicToPoints(x, y, x1, y1, x2, y2, endX, endY, scale));
+                control = { type: 'C', x: x2, y: y2 };
+                x = endX;
+                y = endY;
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                ensureSubpath();
+                let x1, y1;
+                let rest = args;
+                if (type === 'Q') {
+                    x1 = offsetX + args[0];
+                    y1 = offsetY + args[1];
+                    rest = args.slice(2);
+                } else {
+                    x1 = lastControl && lastControl.type === 'Q' ? 2 * x - lastControl.x : x;
+                    y1 = lastControl && lastControl.type === 'Q' ? 2 * y - lastControl.y : y;
+                }
+                const endX = offsetX + rest[0];
+                const endY = offsetY + rest[1];
+                current.points.push(...quadraticToPoints(x, y, x1, y1, endX, endY, scale));
+                control = { type: 'Q', x: x1, y: y1 };
+                x = endX;
+                y = endY;
+                break;
+            }
+            case 'A': {
+                ensureSubpath();
+                const endX = offsetX + args[5];
+                const endY = offsetY + args[6];
+                current.points.push(...arcToPoints(x, y, args[0], args[1], args[2], args[3] !== 0, args[4] !== 0, endX, endY, scale));
+                x = endX;
+                y = endY;
+                break;
+            }
+            case 'Z':
+                if (current) {
+                    current.closed = true;
+                }
+                x = startX;
+                y = startY;
+                // Zの後に座標が続くことはないため、コマンドをリセットする
+                command = null;
+                break;
+        }
+
+        lastControl = control;
+    }
+
+    return subpaths;
+}
+
+/**
+ * 円（楕円）を多角形に変換
+ * 線分の四角形（createSegmentPolygon）と同じ向きで頂点を並べる
+ * @param {number} cx - 中心のX座標
+ * @param {number} cy - 中心のY座標
+ * @param {number} rx - X方向の半径
+ * @param {number} ry - Y方向の半径
+ * @param {number} scale - 出力画像での拡大率
+ * @returns {Array<Array<number>>} 多角形の頂点の配列
+ */
+function createEllipsePolygon(cx, cy, rx, ry = rx, scale = 1) {
+    const count = Math.max(8, getSegmentCount(Math.PI * 2 * Math.max(rx, ry) * scale));
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const angle = -Math.PI * 2 * i / count;
+        points.push([cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)]);
+    }
+    return points;
+}
+
+/**
+ * 線分を太さを持つ四角形に変換
+ * @param {Array<number>} p0 - 始点
+ * @param {Array<number>} p1 - 終点
+ * @param {number} halfWidth - 線幅の半分
+ * @returns {Array<Array<number>>} 四角形の頂点の配列
+ */
+function createSegmentPolygon(p0, p1, halfWidth) {
+    const length = Math.hypot(p1[0] - p0[0], p1[1] - p0[1]);
+    const nx = -(p1[1] - p0[1]) / length * halfWidth;
+    const ny = (p1[0] - p0[0]) / length * halfWidth;
+    return [
+        [p0[0] + nx, p0[1] + ny],
+        [p1[0] + nx, p1[1] + ny],
+        [p1[0] - nx, p1[1] - ny],
+        [p0[0] - nx, p0[1] - ny]
+    ];
+}
+
+/**
+ * 折れ線に破線パターンを適用
+ * @param {Array<Array<number>>} points - 折れ線の点の配列
+ * @param {Array<number>} dashArray - 破線パターン（線の長さと間隔の繰り返し）
+ * @param {number} dashOffset - 破線パターンの開始位置
+ * @returns {Array<Array<Array<number>>>} 線の部分の折れ線の配列
+ */
+function applyDashArray(points, dashArray, dashOffset) {
+    const patternLength = dashArray.reduce((sum, value) => sum + value, 0);
+    let index = 0;
+    let remaining = dashArray[0];
+    let offset = ((dashOffset % patternLength) + patternLength) % patternLength;
+    while (offset > 0) {
+        if (offset >= remaining) {
+            offset -= remaining;
+            index = (index + 1) % dashArray.length;
+            remaining = dashArray[index];
+        } else {
+            remaining -= offset;
+            offset = 0;
+        }
+    }
+
+    const pieces = [];
+    let piece = index % 2 === 0 ? [points[0]] : null;
+    for (let i = 1; i < points.length; i++) {
+        let [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        let segmentLength = Math.hypot(x1 - x0, y1 - y0);
+        while (segmentLength > 0) {
+            const step = Math.min(remaining, segmentLength);
+            const t = step / segmentLength;
+            x0 = x0 + (x1 - x0) * t;
+            y0 = y0 + (y1 - y0) * t;
+            segmentLength -= step;
+            remaining -= step;
+            if (piece) {
+                piece.push([x0, y0]);
+            }
+            if (remaining <= 0) {
+                // 線と間隔を切り替える
+                index = (index + 1) % dashArray.length;
+                remaining = dashArray[index];
+                if (piece) {
+                    pieces.push(piece);
+                    piece = null;
+                } else {
+                    piece = [[x0, y0]];
+                }
+            }
+        }
+    }
+    if (piece && piece.length > 1) {
+        pieces.push(piece);
+    }
+    return pieces;
+}
+
+/**
+ * 線（ストローク）を塗りつぶし用の多角形の集合に変換
+ * 線分ごとの四角形と、つなぎ目の円を組み合わせる（すべて同じ向きのため、非ゼロ規則で合成できる）
+ * @param {Array<Object>} subpaths - サブパスの配列（出力画像の座標系）
+ * @param {number} width - 線幅（出力画像のピクセル単位）
+ * @param {Array<number>|null} dashArray - 破線パターン（出力画像のピクセル単位）
+ * @param {number} dashOffset - 破線パターンの開始位置
+ * @param {boolean} roundCaps - 線の端を丸めるかどうか
+ * @returns {Array<Array<Array<number>>>} 多角形の配列
+ */
+function strokeToPolygons(subpaths, width, dashArray = null, dashOffset = 0, roundCaps = false) {
+    const halfWidth = width / 2;
+    const polygons = [];
+
+    for (const subpath of subpaths) {
+        const points = subpath.closed && subpath.points.length > 1
+            ? [...subpath.points, subpath.points[0]]
+            : subpath.points;
+        const pieces = dashArray ? applyDashArray(points, dashArray, dashOffset) : [points];
+        const closedJoin = subpath.closed && !dashArray;
+
+        for (const piece of pieces) {
+            // 同じ位置の点を取り除く
+            const uniquePoints = piece.filter((point, index) =>
+                index === 0 || point[0] !== piece[index - 1][0] || point[1] !== piece[index - 1][1]);
+
+            if (uniquePoints.length === 1) {
+                // 長さ0の線は、端が丸い場合のみ点として描画する
+                if (roundCaps) {
+                    polygons.push(createEllipsePolygon(uniquePoints[0][0], uniquePoints[0][1], halfWidth));
+                }
+                continue;
+            }
+
+            for (let i = 0; i < uniquePoints.length - 1; i++) {
+                polygons.push(createSegmentPolygon(uniquePoints[i], uniquePoints[i + 1], halfWidth));
+            }
+
+            // つなぎ目（と端）を円で埋める
+            const first = roundCaps || closedJoin ? 0 : 1;
+            const last = roundCaps ? uniquePoints.length : uniquePoints.length - 1;
+            for (let i = first; i < last; i++) {
+                polygons.push(createEllipsePolygon(uniquePoints[i][0], uniquePoints[i][1], halfWidth));
+            }
+        }
+    }
+
+    return polygons;
+}
+
+/**
+ * ラスタ画像（RGBAのピクセルバッファ）
+ */
+class RasterImage {
+    /**
+     * @param {number} width - 幅（ピクセル）
+     * @param {number} height - 高さ（ピクセル）
+     * @param {Object|null} background - 背景色 {r, g, b, a}（nullの場合は透明）
+     */
+    constructor(width, height, background = null) {
+        this.width = width;
+        this.height = height;
+        this.data = new Uint8ClampedArray(width * height * 4);
+        // 1行分のカバレッジ（ピクセルが図形に覆われている割合）
+        this.coverage = new Float32Array(width + 1);
+
+        if (background) {
+            for (let i = 0; i < this.data.length; i += 4) {
+                this.data[i] = background.r;
+                this.data[i + 1] = background.g;
+                this.data[i + 2] = background.b;
+                this.data[i + 3] = Math.round(background.a * 255);
+            }
+        }
+    }
+
+    /**
+     * 多角形の集合を塗りつぶす（スキャンライン方式、サブスキャンラインによるアンチエイリアス付き）
+     * @param {Array<Array<Array<number>>>} polygons - 多角形の配列（各多角形は暗黙的に閉じる）
+     * @param {Object} color - 色 {r, g, b, a}
+     * @param {boolean} evenOdd - 偶奇規則で塗りつぶすかどうか（falseの場合は非ゼロ規則）
+     */
+    fillPolygons(polygons, color, evenOdd = false) {
+        if (!color || color.a <= 0) {
+            return;
+        }
+
+        // 辺のリストを作成（水平な辺は除外）
+        const edges = [];
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (const polygon of polygons) {
+            if (polygon.length < 3) {
+                continue;
+            }
+            for (let i = 0; i < polygon.length; i++) {
+                const [x0, y0] = polygon[i];
+                const [x1, y1] = polygon[(i + 1) % polygon.length];
+                if (y0 === y1 || !isFinite(x0) || !isFinite(y0) || !isFinite(x1) || !isFinite(y1)) {
+                    continue;
+                }
+                const direction = y1 > y0 ? 1 : -1;
+                const top = direction === 1 ? [x0, y0] : [x1, y1];
+                const bottom = direction === 1 ? [x1, y1] : [x0, y0];
+                edges.push({
+                    topY: top[1],
+                    bottomY: bottom[1],
+                    topX: top[0],
+                    slope: (bottom[0] - top[0]) / (bottom[1] - top[1]),
+                    direction
+                });
+                minY = Math.min(minY, top[1]);
+                maxY = Math.max(maxY, bottom[1]);
+            }
+        }
+        if (edges.length === 0) {
+            return;
+        }
+        edges.sort((a, b) => a.topY - b.topY);
+
+        const startRow = Math.max(0, Math.floor(minY));
+        const endRow = Math.min(this.height, Math.ceil(maxY));
+        const weight = 1 / SUBSAMPLES;
+        let nextEdge = 0;
+        let activeEdges = [];
+
+        for (let row = startRow; row < endRow; row++) {
+            let spanStart = this.width;
+            let spanEnd = -1;
+
+            for (let sample = 0; sample < SUBSAMPLES; sample++) {
+                const sampleY = row + (sample + 0.5) / SUBSAMPLES;
+                while (nextEdge < edges.length && edges[nextEdge].topY <= sampleY) {
+                    activeEdges.push(edges[nextEdge++]);
+                }
+                activeEdges = activeEdges.filter(edge => edge.bottomY > sampleY);
+                if (activeEdges.length === 0) {
+                    continue;
+                }
+
+                const crossings = activeEdges
+                    .map(edge => ({ x: edge.topX + (sampleY - edge.topY) * edge.slope, direction: edge.direction }))
+                    .sort((a, b) => a.x - b.x);
+
+                let winding = 0;
+                for (let i = 0; i < crossings.length - 1; i++) {
+                    winding += evenOdd ? 1 : crossings[i].direction;
+                    const inside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+                    if (!inside) {
+                        continue;
+                    }
+                    const left = Math.max(0, crossings[i].x);
+                    const right = Math.min(this.width, crossings[i + 1].x);
+                    if (right <= left) {
+                        continue;
+                    }
+                    const leftPixel = Math.floor(left);
+                    const rightPixel = Math.floor(right);
+                    if (leftPixel === rightPixel) {
+                        this.coverage[leftPixel] += (right - left) * weight;
+                    } else {
+                        this.coverage[leftPixel] += (leftPixel + 1 - left) * weight;
+                        for (let x = leftPixel + 1; x < rightPixel; x++) {
+                            this.coverage[x] += weight;
+                        }
+                        this.coverage[rightPixel] += (right - rightPixel) * weight;
+                    }
+                    spanStart = Math.min(spanStart, leftPixel);
+                    spanEnd = Math.max(spanEnd, rightPixel);
+                }
+            }
+
+            // カバレッジに応じて色を合成
+            for (let x = spanStart; x <= spanEnd; x++) {
+                const coverage = Math.min(1, this.coverage[x]);
+                this.coverage[x] = 0;
+                if (coverage > 0 && x < this.width) {
+                    this.blendPixel(x, row, color, coverage * color.a);
+                }
+            }
+        }
+    }
+
+    /**
+     * ピクセルに色を合成（source-over）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {Object} color - 色 {r, g, b}
+     * @param {number} alpha - 不透明度（0〜1）
+     */
+    blendPixel(x, y, color, alpha) {
+        const index = (y * this.width + x) * 4;
+        const destAlpha = this.data[index + 3] / 255;
+        const outAlpha = alpha + destAlpha * (1 - alpha);
+        if (outAlpha <= 0) {
+            return;
+        }
+        const destWeight = destAlpha * (1 - alpha);
+        this.data[index] = (color.r * alpha + this.data[index] * destWeight) / outAlpha;
+        this.data[index + 1] = (color.g * alpha + this.data[index + 1] * destWeight) / outAlpha;
+        this.data[index + 2] = (color.b * alpha + this.data[index + 2] * destWeight) / outAlpha;
+        this.data[index + 3] = outAlpha * 255;
+    }
+}
+
+/**
+ * CSSの宣言（'name: value; ...'）を解析
+ * @param {string} text - 宣言の文字列
+ * @returns {Object} プロパティ名と値のマップ
+ */
+function parseDeclarations(text) {
+    const declarations = {};
+    for (const declaration of String(text).split(';')) {
+        const colonIndex = declaration.indexOf(':');
+        if (colonIndex === -1) {
+            continue;
+        }
+        const name = declaration.slice(0, colonIndex).trim();
+        const value = declaration.slice(colonIndex + 1).trim();
+        if (name) {
+            declarations[name] = value;
+        }
+    }
+    return declarations;
+}
+
+/**
+ * style要素からクラスセレクタのルールを収集
+ * クラスセレクタ（.name、カンマ区切りの複数指定も可）のみのルールに対応し、それ以外のセレクタは無視する
+ * @param {Object} element - SVG要素（子孫のstyle要素を探す）
+ * @param {Object} rules - 収集先（クラス名とプロパティのマップ）
+ * @returns {Object} クラス名をキーとしたプロパティのマップ
+ */
+function collectClassRules(element, rules = {}) {
+    for (const child of element.children || []) {
+        if (child.tagName === 'style') {
+            const css = String(child.textContent || '').replace(/\/\*[\s\S]*?\*\//g, '');
+            const ruleRegex = /([^{}]+)\{([^{}]*)\}/g;
+            let match;
+            while ((match = ruleRegex.exec(css)) !== null) {
+                const selectors = match[1].split(',').map(selector => selector.trim());
+                const declarations = parseDeclarations(match[2]);
+                for (const selector of selectors) {
+                    if (/^\.[\w-]+$/.test(selector)) {
+                        const className = selector.slice(1);
+                        rules[className] = Object.assign(rules[className] || {}, declarations);
+                    }
+                }
+            }
+        } else {
+            collectClassRules(child, rules);
+        }
+    }
+    return rules;
+}
+
+/**
+ * 要素のプロパティ（属性、クラスのルール、style属性）を取得
+ * クラスのルールは属性より、style属性の値はクラスのルールより優先される
+ * @param {Object} element - SVG要素
+ * @param {Object} inherited - 親要素から継承したプロパティ
+ * @param {Object} classRules - クラス名をキーとしたプロパティのマップ
+ * @returns {Object} プロパティ名と値のマップ
+ */
+function getProperties(element, inherited, classRules = {}) {
+    const properties = Object.assign({}, inherited, element.attributes || {});
+    const className = element.getAttribute ? element.getAttribute('class') : null;
+    if (className) {
+        for (const name of String(className).split(/\s+/)) {
+            if (name && classRules[name]) {
+                Object.assign(properties, classRules[name]);
+            }
+        }
+    }
+    const style = element.getAttribute ? element.getAttribute('style') : null;
+    if (style) {
+        Object.assign(properties, parseDeclarations(style));
+    }
+    return properties;
+}
+
+/**
+ * stroke-dasharrayの値を解析
+ * @param {string} value - stroke-dasharrayの値
+ * @returns {Array<number>|null} 破線パターン（実線の場合はnull）
+ */
+function parseDashArray(value) {
+    if (!value || value === 'none') {
+        return null;
+    }
+    const dashes = String(value).split(/[\s,]+/).filter(part => part !== '').map(Number);
+    if (dashes.length === 0 || dashes.some(dash => isNaN(dash) || dash < 0) || dashes.every(dash => dash === 0)) {
+        return null;
+    }
+    // 奇数個の場合は繰り返して偶数個にする
+    return dashes.length % 2 === 1 ? dashes.concat(dashes) : dashes;
+}
+
+/**
+ * 不透明度を適用した色を取得
+ * @param {Object|null} color - 色 {r, g, b, a}
+ * @param {number} opacity - 不透明度
+ * @returns {Object|null} 不透明度を適用した色
+ */
+function applyOpacity(color, opacity) {
+    if (!color) {
+        return null;
+    }
+    return { r: color.r, g: color.g, b: color.b, a: color.a * Math.max(0, Math.min(1, opacity)) };
+}
+
+/**
+ * 図形の塗りと線を描画
+ * @param {RasterImage} image - 描画先の画像
+ * @param {Array<Object>} subpaths - 図形のサブパスの配列（要素の座標系）
+ * @param {Object} properties - 要素のプロパティ
+ * @param {Array<number>} matrix - 変換行列
+ * @param {number} opacity - 不透明度
+ * @param {string} defaultFill - fillが指定されていない場合の塗りの色
+ */
+function paintShape(image, subpaths, properties, matrix, opacity, defaultFill = 'black') {
+    const deviceSubpaths = transformSubpaths(subpaths, matrix);
+    const matrixScale = getMatrixScale(matrix);
+
+    const fill = applyOpacity(
+        parseColor(properties.fill !== undefined ? properties.fill : defaultFill),
+        opacity * parseNumber(properties['fill-opacity'], 1)
+    );
+    if (fill) {
+        image.fillPolygons(deviceSubpaths.map(subpath => subpath.points), fill, properties['fill-rule'] === 'evenodd');
+    }
+
+    const stroke = applyOpacity(parseColor(properties.stroke), opacity * parseNumber(properties['stroke-opacity'], 1));
+    const strokeWidth = parseNumber(properties['stroke-width'], 1) * matrixScale;
+    if (stroke && strokeWidth > 0) {
+        const dashArray = parseDashArray(properties['stroke-dasharray']);
+        const polygons = strokeToPolygons(
+            deviceSubpaths,
+            strokeWidth,
+            dashArray ? dashArray.map(dash => dash * matrixScale) : null,
+            parseNumber(properties['stroke-dashoffset'], 0) * matrixScale
+        );
+        image.fillPolygons(polygons, stroke);
+    }
+}
+
+/**
+ * テキストを描画
+ * @param {RasterImage} image - 描画先の画像
+ * @param {Object} element - text要素
+ * @param {Object} properties - 要素のプロパティ
+ * @param {Array<number>} matrix - 変換行列
+ * @param {number} opacity - 不透明度
+ */
+function paintText(image, element, properties, matrix, opacity) {
+    const text = String(element.textContent || '');
+    if (!text.trim()) {
+        return;
+    }
+
+    const fontSize = parseNumber(properties['font-size'], 16);
+    const chars = Array.from(text);
+    // 文字幅はChartCanvas.getTextWidthと同じ（半角: 0.6em、全角: 1.0em）
+    const advances = chars.map(char => (strokeFont.isHalfWidth(char) ? 0.6 : 1.0) * fontSize);
+    const textWidth = advances.reduce((sum, advance) => sum + advance, 0);
+
+    let x = parseNumber(element.getAttribute('x'), 0);
+    let baseline = parseNumber(element.getAttribute('y'), 0);
+    const anchor = properties['text-anchor'];
+    if (anchor === 'middle') {
+        x -= textWidth / 2;
+    } else if (anchor === 'end') {
+        x -= textWidth;
+    }
+
+    // 大文字の高さを0.7emとして、ベースラインの位置を調整
+    const capHeight = fontSize * 0.7;
+    const dominantBaseline = properties['dominant-baseline'];
+    if (dominantBaseline === 'middle' || dominantBaseline === 'central') {
+        baseline += capHeight / 2;
+    } else if (dominantBaseline === 'hanging' || dominantBaseline === 'text-before-edge') {
+        baseline += capHeight;
+    }
+
+    const fontWeight = properties['font-weight'];
+    const isBold = fontWeight === 'bold' || parseNumber(fontWeight, 400) >= 600;
+
+    // グリフの座標系（幅4、大文字の高さ6）から要素の座標系への変換
+    const unitX = fontSize * 0.1;
+    const unitY = capHeight / strokeFont.CAP_HEIGHT;
+    const subpaths = [];
+    const dotSubpaths = [];
+    let cursor = x;
+    chars.forEach((char, index) => {
+        const glyph = strokeFont.getGlyph(char);
+        // 半角カタカナはビットマップフォントの全角の文字を文字幅に縮めて描画する
+        const bitmap = glyph ? null : (bitmapFont.getBitmap(char) || bitmapFont.getBitmap(char.normalize('NFKC')));
+        if (glyph) {
+            for (const stroke of glyph) {
+                subpaths.push({
+                    closed: false,
+                    points: stroke.map(([gx, gy]) => [
+                        cursor + (gx + 1) * unitX,
+                        baseline + (gy - strokeFont.BASELINE) * unitY
+                    ])
+                });
+            }
+        } else if (bitmap) {
+            const dotWidth = advances[index] / bitmapFont.GLYPH_SIZE;
+            const dotHeight = fontSize / bitmapFont.GLYPH_SIZE;
+            const top = baseline - bitmapFont.BASELINE * dotHeight;
+            dotSubpaths.push(...bitmapToSubpaths(bitmap, cursor, top, dotWidth, dotHeight, isBold));
+        } else if (char.trim()) {
+            // フォントにない文字は四角形で描画する
+            const left = cursor + advances[index] * 0.15;
+            const right = cursor + advances[index] * 0.85;
+            const top = baseline - capHeight;
+            const bottom = baseline;
+            subpaths.push({
+                closed: true,
+                points: [[left, top], [right, top], [right, bottom], [left, bottom]]
+            });
+        }
+        cursor += advances[index];
+    });
+
+    const color = applyOpacity(
+        parseColor(properties.fill !== undefined ? properties.fill : 'black'),
+        opacity * parseNumber(properties['fill-opacity'], 1)
+    );
+    if (!color) {
+        return;
+    }
+    const weight = isBold ? 0.12 : 0.08;
+    const polygons = strokeToPolygons(
+        transformSubpaths(subpaths, matrix),
+        fontSize * weight * getMatrixScale(matrix),
+        null,
+        0,
+        true
+    );
+    for (const subpath of transformSubpaths(dotSubpaths, matrix)) {
+        polygons.push(subpath.points);
+    }
+    image.fillPolygons(polygons, color);
+}
+
+/**
+ * ビットマップフォントのグリフを、行ごとの連続したドットの長方形（サブパス）に変換
+ * @param {Array<number>} bitmap - 行ごとのビットの配列（bitmapFont.getBitmapを参照）
+ * @param {number} left - グリフの左端のX座標
+ * @param {number} top - グリフの上端のY座標
+ * @param {number} dotWidth - 1ドットの幅
+ * @param {number} dotHeight - 1ドットの高さ
+ * @param {boolean} isBold - 太字の場合はtrue（各行のドットを右に1ドット太らせる）
+ * @returns {Array<Object>} サブパスの配列
+ */
+function bitmapToSubpaths(bitmap, left, top, dotWidth, dotHeight, isBold) {
+    const subpaths = [];
+    const size = bitmapFont.GLYPH_SIZE;
+    bitmap.forEach((bits, row) => {
+        const rowBits = isBold ? bits | (bits >> 1) : bits;
+        const y0 = top + row * dotHeight;
+        const y1 = y0 + dotHeight;
+        let col = 0;
+        while (col < size) {
+            if (!(rowBits & (0x8000 >> col))) {
+                col++;
+                continue;
+            }
+            const start = col;
+            while (col < size && (rowBits & (0x8000 >> col))) {
+                col++;
+            }
+            const x0 = left + start * dotWidth;
+            const x1 = left + col * dotWidth;
+            subpaths.push({ closed: true, points: [[x0, y0], [x1, y0], [x1, y1], [x0, y1]] });
+        }
+    });
+    return subpaths;
+}
+
+/**
+ * 要素の図形をサブパスの配列として取得
+ * @param {Object} element - SVG要素
+ * @param {number} scale - 出力画像での拡大率
+ * @returns {Array<Object>|null} サブパスの配列（図形でない場合はnull）
+ */
+function getShapeSubpaths(element, scale) {
+    const attr = (name, defaultValue = 0) => parseNumber(element.getAttribute(name), defaultValue);
+
+    switch (element.tagName) {
+        case 'rect': {
+            const x = attr('x');
+            const y = attr('y');
+            const width = attr('width');
+            const height = attr('height');
+            if (width <= 0 || height <= 0) {
+                return [];
+            }
+            return [{ closed: true, points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]] }];
+        }
+        case 'line':
+            return [{ closed: false, points: [[attr('x1'), attr('y1')], [attr('x2'), attr('y2')]] }];
+        case 'polyline':
+        case 'polygon': {
+            const numbers = String(element.getAttribute('points') || '').split(/[\s,]+/).filter(part => part !== '').map(Number);
+            const points = [];
+            for (let i = 0; i + 1 < numbers.length; i += 2) {
+                points.push([numbers[i], numbers[i + 1]]);
+            }
+            return [{ closed: element.tagName === 'polygon', points }];
+        }
+        case 'circle': {
+            const r = attr('r');
+            if (r <= 0) {
+                return [];
+            }
+            return [{ closed: true, points: createEllipsePolygon(attr('cx'), attr('cy'), r, r, scale) }];
+        }
+        case 'ellipse': {
+            const rx = attr('rx');
+            const ry = attr('ry');
+            if (rx <= 0 || ry <= 0) {
+                return [];
+            }
+            return [{ closed: true, points: createEllipsePolygon(attr('cx'), attr('cy'), rx, ry, scale) }];
+        }
+        case 'path':
+            return parsePathData(element.getAttribute('d'), scale);
+        default:
+            return null;
+    }
+}
+
+/**
+ * 要素とその子要素を描画
+ * @param {RasterImage} image - 描画先の画像
+ * @param {Object} element - SVG要素
+ * @param {Array<number>} matrix - 親の変換行列
+ * @param {Object} inherited - 親要素から継承したプロパティ
+ * @param {number} opacity - 親の不透明度
+ * @param {Object} classRules - クラス名をキーとしたプロパティのマップ
+ */
+function renderElement(image, element, matrix, inherited, opacity, classRules = {}) {
+    if (!element || !element.tagName || NON_RENDERED_ELEMENTS.includes(element.tagName)) {
+        return;
+    }
+
+    const properties = getProperties(element, inherited, classRules);
+    if (properties.display === 'none') {
+        return;
+    }
+
+    const transform = element.getAttribute('transform');
+    const elementMatrix = transform ? multiplyMatrix(matrix, parseTransform(transform)) : matrix;
+    const elementOpacity = opacity * parseNumber(properties.opacity, 1);
+    const visible = properties.visibility !== 'hidden' && properties.visibility !== 'collapse';
+
+    if (visible) {
+        if (element.tagName === 'text') {
+            paintText(image, element, properties, elementMatrix, elementOpacity);
+        } else {
+            const subpaths = getShapeSubpaths(element, getMatrixScale(elementMatrix));
+            if (subpaths && subpaths.length > 0) {
+                // lineは塗りつぶしを持たない
+                const defaultFill = element.tagName === 'line' || element.tagName === 'polyline' ? 'none' : 'black';
+                paintShape(image, subpaths, properties, elementMatrix, elementOpacity, defaultFill);
+            }
+        }
+    }
+
+    if (element.tagName === 'svg' || element.tagName === 'g') {
+        const childInherited = {};
+        for (const name of INHERITED_PROPERTIES) {
+            if (properties[name] !== undefined) {
+                childInherited[name] = properties[name];
+            }
+        }
+        for (const child of element.children || []) {
+            renderElement(image, child, elementMatrix, childInherited, elementOpacity, classRules);
+        }
+    }
+}
+
+/**
+ * SVG要素をラスタ画像に変換
+ * @param {Object} svgElement - ルートのsvg要素（VirtualSVGElement）
+ * @param {Object} options - オプション
+ * @param {number} options.scale - 拡大率（デフォルト: 1）
+ * @param {string|null} options.background - 背景色（デフォルト: 白、nullまたは'transparent'で透明）
+ * @returns {RasterImage} ラスタ画像
+ */
+function rasterizeSVG(svgElement, options = {}) {
+    if (!svgElement || svgElement.tagName !== 'svg') {
+        throw new Error('Invalid SVG element: root element must be <svg>');
+    }
+    const scale = options.scale !== undefined ? options.scale : 1;
+    if (typeof scale !== 'number' || !isFinite(scale) || scale <= 0) {
+        throw new Error(`Invalid scale: ${scale}. Must be a positive number`);
+    }
+
+    // viewBoxがある場合は、viewBoxの座標系を画像の大きさに合わせる
+    const viewBox = String(svgElement.getAttribute('viewBox') || '').split(/[\s,]+/).filter(part => part !== '').map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+    const svgWidth = parseNumber(svgElement.getAttribute('width'), hasViewBox ? viewBox[2] : 300);
+    const svgHeight = parseNumber(svgElement.getAttribute('height'), hasViewBox ? viewBox[3] : 150);
+    const width = Math.max(1, Math.round(svgWidth * scale));
+    const height = Math.max(1, Math.round(svgHeight * scale));
+    if (width * height > MAX_PIXELS) {
+        throw new Error(`Image too large: ${width}x${height}`);
+    }
+
+    let matrix = [scale, 0, 0, scale, 0, 0];
+    if (hasViewBox) {
+        matrix = multiplyMatrix(matrix, [
+            svgWidth / viewBox[2], 0, 0, svgHeight / viewBox[3],
+            -viewBox[0] * svgWidth / viewBox[2], -viewBox[1] * svgHeight / viewBox[3]
+        ]);
+    }
+
+    const background = options.background !== undefined ? options.background : '#ffffff';
+    const image = new RasterImage(width, height, parseColor(background));
+
+    // ルートのsvg要素自体は図形を持たないため、子要素から描画する
+    const classRules = collectClassRules(svgElement);
+    const properties = getProperties(svgElement, {}, classRules);
+    const inherited = {};
+    for (const name of INHERITED_PROPERTIES) {
+        if (properties[name] !== undefined) {
+            inherited[name] = properties[name];
+        }
+    }
+    for (const child of svgElement.children || []) {
+        renderElement(image, child, matrix, inherited, parseNumber(properties.opacity, 1), classRules);
+    }
+
+    return image;
+}
+
+// CRC32のテーブル（PNGのチャンクで使用）
+let crcTable = null;
+
+/**
+ * CRC32を計算
+ * @param {Buffer} buffer - データ
+ * @returns {number} CRC32の値
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * PNGのチャンクを作成
+ * @param {string} type - チャンクの種類（'IHDR' など）
+ * @param {Buffer} data - チャンクのデータ
+ * @returns {Buffer} チャンク
+ */
+function createChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * ラスタ画像をPNG形式にエンコード
+ * @param {RasterImage} image - ラスタ画像
+ * @returns {Buffer} PNGデータ
+ */
+function encodePNG(image) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8; // ビット深度
+    header[9] = 6; // カラータイプ（RGBA）
+    header[10] = 0; // 圧縮方式
+    header[11] = 0; // フィルタ方式
+    header[12] = 0; // インターレースなし
+
+    // 各行の先頭にフィルタの種類（0: なし）を付ける
+    const stride = image.width * 4;
+    const raw = Buffer.alloc((stride + 1) * image.height);
+    for (let y = 0; y < image.height; y++) {
+        raw[y * (stride + 1)] = 0;
+        Buffer.from(image.data.buffer, y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        createChunk('IHDR', header),
+        createChunk('IDAT', zlib.deflateSync(raw)),
+        createChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * SVG要素をPNGに変換
+ * @param {Object} svgElement - ルートのsvg要素（VirtualSVGElement）
+ * @param {Object} options - オプション（rasterizeSVGと同じ）
+ * @returns {Buffer} PNGデータ
+ */
+function svgToPNG(svgElement, options = {}) {
+    return encodePNG(rasterizeSVG(svgElement, options));
+}
+
+module.exports = {
+    RasterImage,
+    parseColor,
+    parseTransform,
+    parsePathData,
+    rasterizeSVG,
+    encodePNG,
+    svgToPNG
+};
@@ -72,6 +72,38 @@ run_test() {
     fi
 }
 
+# ライブラリの関数を直接テストする（ブラウザなし）
+# 標準入力のスクリプトを、chartcanvas.jsを読み込んだVMコンテキスト（CLIと同じDOMなしモード）で実行する
+# スクリプトではassert（Node.jsのassertモジュール）を使用でき、Promiseを返した場合は完了を待つ
+run_library_test() {
+    local test_name="$1"
+    local output_file="${TEST_DIR}/${test_name}.log"
+
+    echo -e "${YELLOW}[テスト] ${test_name}${NC}"
+
+    if node -e '
+const fs = require("fs");
+const vm = require("vm");
+const sandbox = {
+    console, setTimeout, clearTimeout, Buffer, process, assert: require("assert"),
+    global: {}, window: {}, document: null, XMLSerializer: null
+};
+vm.createContext(sandbox);
+vm.runInContext(fs.readFileSync("chartcanvas.js", "utf-8"), sandbox);
+Promise.resolve(vm.runInContext(fs.readFileSync(0, "utf-8"), sandbox)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
+' > "$output_file" 2>&1; then
+        echo -e "${GREEN}  ✓ すべてのアサーションが成功しました${NC}"
+        PASSED=$((PASSED + 1))
+    else
+        echo -e "${RED}  ✗ アサーションが失敗しました${NC}"
+        tail -n 10 "$output_file" | sed 's/^/    /'
+        FAILED=$((FAILED + 1))
+    fi
+}
+
 # テストケース1: dateChart（線/棒 日付グラフ）
 echo "=== テストケース1: dateChart（線/棒 日付グラフ） ==="
 cat > "${CONFIG_DIR}/test-datechart.json" << 'EOF'
@@ -302,6 +334,1659 @@ else
     FAILED=$((FAILED + 1))
 fi
 
+# テストケース10: groupDateChart（積み上げ棒 日付グラフ）
+echo ""
+echo "=== テストケース10: groupDateChart（積み上げ棒 日付グラフ） ==="
+cat > "${CONFIG_DIR}/test-groupdatechart-stacked.json" << 'EOF'
+{
+  "chart": {
+    "width": 1024,
+    "height": 600,
+    "title": "店舗別売上推移（積み上げ）"
+  },
+  "chartType": "groupDateChart",
+  "dateChart": {
+    "xAxisTitle": "日付",
+    "yAxisTitle": "売上",
+    "yAxisScale": "円",
+    "yAxisFormat": "#,##0",
+    "barMode": "stacked",
+    "dateFormat": "auto"
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "valueTitle": "売上",
+    "groupTitle": "店舗名",
+    "seriesType": "bar"
+  }
+}
+EOF
+run_test "test-groupdatechart-stacked" "${CONFIG_DIR}/test-groupdatechart-stacked.json" "${SAMPLE_DATA_DIR}/data.tsv" 0
+
+# テストケース11: histogram（ビンへの分類とクリックしたビンのデータ）
+echo ""
+echo "=== テストケース11: histogram（ビンへの分類とクリックしたビンのデータ） ==="
+run_library_test "test-histogram-bin-data" << 'EOF'
+(async () => {
+    const chart = new window.ChartCanvas(null);
+    const histogram = chart.addHistogram();
+    const bins = [0, 10, 20, 30];
+
+    // ビンの下端は含み、上端は最後のビンのみ含む
+    assert.strictEqual(histogram.isValueInBin(0, bins, 0), true);
+    assert.strictEqual(histogram.isValueInBin(10, bins, 0), false);
+    assert.strictEqual(histogram.isValueInBin(10, bins, 1), true);
+    assert.strictEqual(histogram.isValueInBin(20, bins, 1), false);
+    assert.strictEqual(histogram.isValueInBin(30, bins, 2), true);
+    assert.strictEqual(histogram.isValueInBin(30.1, bins, 2), false);
+    assert.strictEqual(histogram.isValueInBin(-0.1, bins, 0), false);
+
+    // 頻度とbinDataMap（ビンごとの元のデータのインデックス、範囲外の値は含まない）
+    const series = histogram.addSeries({ title: '売上' });
+    series.addDataArray([5, 10, 0, 19.9, 30, 20, 31, -1]);
+    series.rawData = series.data.map((value, index) => ({ 値: value, 番号: index }));
+    assert.deepStrictEqual(histogram.binData(series.data, bins, series), [2, 2, 2]);
+    assert.deepStrictEqual([...series.binDataMap.entries()], [[0, [0, 2]], [1, [1, 3]], [2, [4, 5]]]);
+
+    // 系列を指定しない場合はbinDataMapを更新しない
+    histogram.binData([1, 2, 3], bins);
+    assert.strictEqual(series.binDataMap.get(0).length, 2);
+
+    // クリックしたビンの値と行をonBinClickに渡す
+    const clicks = [];
+    histogram.onBinClick = (values, info) => clicks.push({ values, info });
+    await histogram.handleBinClick(0, 1, bins);
+    assert.deepStrictEqual(clicks[0].values, [10, 19.9]);
+    assert.deepStrictEqual(clicks[0].info.rows, [{ 値: 10, 番号: 1 }, { 値: 19.9, 番号: 3 }]);
+    assert.deepStrictEqual(clicks[0].info.binRange, { min: 10, max: 20 });
+    assert.strictEqual(clicks[0].info.seriesTitle, '売上');
+
+    // 存在しない系列のクリックは無視する
+    await histogram.handleBinClick(5, 0, bins);
+    assert.strictEqual(clicks.length, 1);
+
+    // lazyLoadモードでは、loadDataInRangeが返す上端の値を最後のビン以外で除外する
+    const lazySeries = histogram.addSeries({ title: '遅延' });
+    lazySeries.lazyLoad = true;
+    lazySeries.headers = ['値'];
+    lazySeries.valueIndex = 0;
+    lazySeries.tsvLoader = {
+        loadDataInRange: async (min, max) => [{ 値: String(min) }, { 値: String((min + max) / 2) }, { 値: String(max) }]
+    };
+    assert.deepStrictEqual((await lazySeries.getBinData(0, bins)).values, [0, 5]);
+    assert.deepStrictEqual((await lazySeries.getBinData(2, bins)).values, [20, 25, 30]);
+})();
+EOF
+
+# テストケース12: dateChart（ツールチップに表示する日付ごとの値）
+echo ""
+echo "=== テストケース12: dateChart（ツールチップに表示する日付ごとの値） ==="
+run_library_test "test-datechart-values-by-date" << 'EOF'
+const chart = new window.ChartCanvas(null);
+const dateChart = chart.addDateChart();
+dateChart.yAxisFormat = '#,##0';
+dateChart.secondAxisFormat = '0%';
+
+const sales = dateChart.addLine({ title: '売上', color: 'red' });
+sales.addData('20240101', 12000, ' 初売り ');
+sales.addData('20240102', null);
+sales.addData('20240103', 9800);
+const rates = dateChart.addBar({ title: '達成率', color: 'blue', secondAxis: true });
+rates.addData('20240101', 0.5);
+rates.addData('20240102', 0.98);
+
+const valuesByDate = chart.collectValuesByDate(dateChart);
+
+// 日付ごとに全系列の値をまとめ、欠損データ（null）の日付は系列を含めない
+assert.deepStrictEqual([...valuesByDate.keys()].sort(), ['20240101', '20240102', '20240103']);
+assert.deepStrictEqual(valuesByDate.get('20240101').map(item => item.title), ['売上', '達成率']);
+assert.deepStrictEqual(valuesByDate.get('20240102').map(item => item.title), ['達成率']);
+
+// 系列の軸の数値フォーマットで値をフォーマットし、コメントは前後の空白を除く
+const [salesItem, ratesItem] = valuesByDate.get('20240101');
+assert.strictEqual(salesItem.formattedValue, '12,000');
+assert.strictEqual(salesItem.comment, '初売り');
+assert.strictEqual(salesItem.color, 'red');
+assert.strictEqual(ratesItem.formattedValue, '50%');
+assert.strictEqual(ratesItem.comment, '');
+assert.strictEqual(valuesByDate.get('20240102')[0].formattedValue, '98%');
+EOF
+
+# テストケース13: dateChart（Excel形式の数値フォーマット）
+echo ""
+echo "=== テストケース13: dateChart（Excel形式の数値フォーマット） ==="
+cat > "${CONFIG_DIR}/test-datechart-number-format.json" << 'EOF'
+{
+  "chart": {
+    "width": 1024,
+    "height": 600,
+    "title": "売上・客数推移（数値フォーマット）",
+    "locale": "ja-JP"
+  },
+  "chartType": "dateChart",
+  "dateChart": {
+    "xAxisTitle": "日付",
+    "yAxisTitle": "売上",
+    "yAxisFormat": "¥#,##0.0,\"K\"",
+    "secondAxis": true,
+    "secondAxisTitle": "客数",
+    "secondAxisFormat": "#,##0\"人\";(#,##0)"
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "series": [
+      {
+        "type": "line",
+        "title": "売上",
+        "column": "売上",
+        "color": "red",
+        "showMarkers": true
+      },
+      {
+        "type": "bar",
+        "title": "客数",
+        "column": "客数",
+        "color": "blue",
+        "secondAxis": true
+      }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-number-format" "${CONFIG_DIR}/test-datechart-number-format.json" "${SAMPLE_DATA_DIR}/data-7days.tsv" 0
+
+# テストケース14: CSV入力（引用符付きフィールド、CRLF改行）
+echo ""
+echo "=== テストケース14: CSV入力（引用符付きフィールド、CRLF改行） ==="
+run_test "test-datechart-csv" "${CONFIG_DIR}/test-datechart.json" "${SAMPLE_DATA_DIR}/data-7days.csv" 0
+
+# テストケース15: PNG出力
+echo ""
+echo "=== テストケース15: PNG出力 ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -c "${CONFIG_DIR}/test-datechart.json" --format png --scale 2 > "${TEST_DIR}/test-datechart-png.png" 2> "${TEST_DIR}/test-datechart-png.log"; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+# PNGのシグネチャを確認
+signature=$(head -c 8 "${TEST_DIR}/test-datechart-png.png" | od -An -tx1 | tr -d ' \n')
+if [ "$exit_code" -eq 0 ] && [ "$signature" = "89504e470d0a1a0a" ]; then
+    echo -e "${GREEN}  ✓ PNGが正常に生成されました: ${TEST_DIR}/test-datechart-png.png${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ PNGの生成に失敗しました（終了コード: ${exit_code}）${NC}"
+    cat "${TEST_DIR}/test-datechart-png.log" | head -10
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース16: 無効な出力形式
+echo ""
+echo "=== テストケース16: 無効な出力形式 ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -c "${CONFIG_DIR}/test-datechart.json" --format gif > "${TEST_DIR}/test-error-invalid-format.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ]; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない終了コード: ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース17: dateChart（時刻付きの日時データ、時間単位の目盛り）
+echo ""
+echo "=== テストケース17: dateChart（時刻付きの日時データ、時間単位の目盛り） ==="
+cat > "${CONFIG_DIR}/test-datechart-hourly.json" << 'EOF'
+{
+  "chart": {
+    "width": 1024,
+    "height": 600,
+    "title": "時間別アクセス数",
+    "subtitle": "1時間ごとのデータ"
+  },
+  "chartType": "dateChart",
+  "dateChart": {
+    "xAxisTitle": "日時",
+    "yAxisTitle": "アクセス数",
+    "yAxisScale": "件",
+    "yAxisFormat": "#,##0",
+    "secondAxis": true,
+    "secondAxisTitle": "エラー数",
+    "secondAxisScale": "件",
+    "secondAxisFormat": "#,##0",
+    "dateFormat": "auto",
+    "xGrid": true,
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日時",
+    "commentTitle": "コメント",
+    "series": [
+      {
+        "type": "line",
+        "title": "アクセス数",
+        "column": "アクセス数",
+        "color": "red",
+        "lineWidth": 2,
+        "lineType": "solid",
+        "secondAxis": false,
+        "showMarkers": true
+      },
+      {
+        "type": "bar",
+        "title": "エラー数",
+        "column": "エラー数",
+        "color": "blue",
+        "secondAxis": true
+      }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-hourly" "${CONFIG_DIR}/test-datechart-hourly.json" "${SAMPLE_DATA_DIR}/data-hourly.tsv" 0
+
+# テストケース18: dateChart（月別集計）
+echo ""
+echo "=== テストケース18: dateChart（月別集計） ==="
+cat > "${CONFIG_DIR}/test-datechart-aggregate.json" << 'EOF'
+{
+  "chart": {
+    "width": 1024,
+    "height": 600,
+    "title": "売上・客数推移",
+    "subtitle": "月別集計（1年分のデータ）"
+  },
+  "chartType": "dateChart",
+  "dateChart": {
+    "xAxisTitle": "日付",
+    "yAxisTitle": "売上",
+    "yAxisScale": "円",
+    "yAxisFormat": "#,##0",
+    "secondAxis": true,
+    "secondAxisTitle": "客数",
+    "secondAxisScale": "人",
+    "secondAxisFormat": "#,##0",
+    "dateFormat": "auto",
+    "xGrid": false,
+    "yGrid": false
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "commentTitle": "コメント",
+    "series": [
+      {
+        "type": "line",
+        "title": "売上",
+        "column": "売上",
+        "color": "red",
+        "lineWidth": 2,
+        "lineType": "solid",
+        "secondAxis": false,
+        "showMarkers": true
+      },
+      {
+        "type": "bar",
+        "title": "客数",
+        "column": "客数",
+        "color": "blue",
+        "secondAxis": true
+      }
+    ],
+    "aggregate": {
+      "interval": "month",
+      "func": "sum"
+    }
+  }
+}
+EOF
+run_test "test-datechart-aggregate" "${CONFIG_DIR}/test-datechart-aggregate.json" "${SAMPLE_DATA_DIR}/data-1year.tsv" 0
+
+# テストケース19: dateChart（欠損データの補完）
+echo ""
+echo "=== テストケース19: dateChart（欠損データの補完） ==="
+cat > "${CONFIG_DIR}/test-datechart-missing-data.json" << 'EOF'
+{
+  "chart": {
+    "width": 1024,
+    "height": 600,
+    "title": "売上・客数推移",
+    "subtitle": "欠損データの補完（売上: 線形補間、客数: 0で補完）"
+  },
+  "chartType": "dateChart",
+  "dateChart": {
+    "xAxisTitle": "日付",
+    "yAxisTitle": "売上",
+    "yAxisScale": "円",
+    "yAxisFormat": "#,##0",
+    "secondAxis": true,
+    "secondAxisTitle": "客数",
+    "secondAxisScale": "人",
+    "secondAxisFormat": "#,##0",
+    "dateFormat": "auto",
+    "xGrid": false,
+    "yGrid": false
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "commentTitle": "コメント",
+    "missingData": "gap",
+    "series": [
+      {
+        "type": "line",
+        "title": "売上",
+        "column": "売上",
+        "color": "red",
+        "lineWidth": 2,
+        "lineType": "solid",
+        "secondAxis": false,
+        "showMarkers": false,
+        "missingData": "linear",
+        "showFilledMarkers": true
+      },
+      {
+        "type": "bar",
+        "title": "客数",
+        "column": "客数",
+        "color": "blue",
+        "secondAxis": true,
+        "missingData": "zero"
+      }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-missing-data" "${CONFIG_DIR}/test-datechart-missing-data.json" "${SAMPLE_DATA_DIR}/data-missing.tsv" 0
+
+# テストケース20: pieChart（店舗別の円グラフを並べる）
+echo ""
+echo "=== テストケース20: pieChart（店舗別の円グラフを並べる） ==="
+cat > "${CONFIG_DIR}/test-piechart-group.json" << 'EOF'
+{
+  "chart": {
+    "width": 1024,
+    "height": 600,
+    "title": "店舗別売上構成比",
+    "subtitle": "2024年度"
+  },
+  "chartType": "pieChart",
+  "pieChart": {
+    "labelFormat": "category-percentage",
+    "labelPosition": "auto"
+  },
+  "tsv": {
+    "categoryTitle": "カテゴリ名",
+    "valueTitle": "値",
+    "groupTitle": "店舗"
+  }
+}
+EOF
+run_test "test-piechart-group" "${CONFIG_DIR}/test-piechart-group.json" "${SAMPLE_DATA_DIR}/data-pie-stores.tsv" 0
+
+# 2x2に並べた円グラフが、パネルからラベルの余白を除いた大きさで描画されていることを確認
+svg_file="${TEST_DIR}/test-piechart-group.svg"
+min_radius=$(grep -o 'A [0-9.]* ' "$svg_file" | awk '{ print $2 }' | sort -n | head -n 1)
+if [ -n "$min_radius" ] && awk -v r="$min_radius" 'BEGIN { exit !(r >= 70) }'; then
+    echo -e "${GREEN}  ✓ 円グラフの半径がパネルに合わせて計算されています（最小: ${min_radius}px）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 円グラフの半径が小さすぎます（最小: ${min_radius}px）${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース21: pieChart（サンバースト）
+echo ""
+echo "=== テストケース21: pieChart（サンバースト） ==="
+cat > "${CONFIG_DIR}/test-piechart-sunburst.json" << 'EOF'
+{
+  "chart": {
+    "width": 800,
+    "height": 600,
+    "title": "部門別・商品ライン別売上構成比",
+    "subtitle": "2024年度"
+  },
+  "chartType": "pieChart",
+  "pieChart": {
+    "labelFormat": "category-percentage",
+    "labelPosition": "auto",
+    "innerRadius": 40,
+    "othersCategory": {
+      "threshold": 3
+    }
+  },
+  "tsv": {
+    "categoryTitles": ["部門", "商品ライン"],
+    "valueTitle": "売上"
+  }
+}
+EOF
+run_test "test-piechart-sunburst" "${CONFIG_DIR}/test-piechart-sunburst.json" "${SAMPLE_DATA_DIR}/data-pie-sunburst.tsv" 0
+
+# テストケース22: dateChart（darkテーマ）
+echo ""
+echo "=== テストケース22: dateChart（darkテーマ） ==="
+cat > "${CONFIG_DIR}/test-datechart-theme-dark.json" << 'EOF'
+{
+  "chart": {
+    "width": 1024,
+    "height": 600,
+    "title": "売上・客数推移",
+    "subtitle": "darkテーマ"
+  },
+  "chartType": "dateChart",
+  "theme": {
+    "base": "dark",
+    "colors": {
+      "grid": "#444444"
+    }
+  },
+  "dateChart": {
+    "yAxisTitle": "売上",
+    "yAxisScale": "円",
+    "yAxisFormat": "#,##0",
+    "secondAxis": true,
+    "secondAxisTitle": "客数",
+    "secondAxisScale": "人",
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "series": [
+      {
+        "type": "line",
+        "title": "売上",
+        "column": "売上",
+        "showMarkers": true
+      },
+      {
+        "type": "bar",
+        "title": "客数",
+        "column": "客数",
+        "secondAxis": true
+      }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-theme-dark" "${CONFIG_DIR}/test-datechart-theme-dark.json" "${SAMPLE_DATA_DIR}/data-7days.tsv" 0
+
+# 背景とグリッド線にテーマの色が使われていることを確認
+if grep -q 'fill="#1E1E1E"' "${TEST_DIR}/test-datechart-theme-dark.svg" && grep -q 'stroke="#444444"' "${TEST_DIR}/test-datechart-theme-dark.svg"; then
+    echo -e "${GREEN}  ✓ テーマの色が適用されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ テーマの色が適用されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース23: 無効なテーマ名
+echo ""
+echo "=== テストケース23: 無効なテーマ名 ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -j '{"chartType":"dateChart","theme":"sepia","tsv":{"dateTitle":"日付","series":[{"type":"line","column":"売上"}]}}' > "${TEST_DIR}/test-error-invalid-theme.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Invalid theme: sepia" "${TEST_DIR}/test-error-invalid-theme.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース24: dateChart（プロポーショナルフォントの文字幅テーブル）
+echo ""
+echo "=== テストケース24: dateChart（プロポーショナルフォントの文字幅テーブル） ==="
+cat > "${CONFIG_DIR}/test-datechart-proportional-font.json" << 'EOF'
+{
+  "chart": {
+    "width": 1024,
+    "height": 600,
+    "title": "Sales and Customer Trends",
+    "subtitle": "Arial metrics",
+    "textMeasurer": "auto"
+  },
+  "chartType": "dateChart",
+  "theme": {
+    "fontFamily": "Arial, Helvetica, sans-serif"
+  },
+  "dateChart": {
+    "yAxisTitle": "Sales",
+    "yAxisScale": "USD",
+    "yAxisFormat": "#,##0",
+    "secondAxis": true,
+    "secondAxisTitle": "Customers",
+    "secondAxisScale": "people",
+    "secondAxisFormat": "#,##0"
+  },
+  "tsv": {
+    "dateTitle": "Date",
+    "commentTitle": "Comment",
+    "series": [
+      {
+        "type": "line",
+        "title": "Sales",
+        "column": "Sales",
+        "color": "red",
+        "showMarkers": true
+      },
+      {
+        "type": "bar",
+        "title": "Customers",
+        "column": "Customers",
+        "color": "blue",
+        "secondAxis": true
+      }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-proportional-font" "${CONFIG_DIR}/test-datechart-proportional-font.json" "${SAMPLE_DATA_DIR}/data-7days-en.tsv" 0
+
+# テストケース25: アクセシビリティ（role・title・desc・系列のグループ）
+echo ""
+echo "=== テストケース25: アクセシビリティ ==="
+svg_file="${TEST_DIR}/test-datechart.svg"
+if grep -q 'role="img"' "$svg_file" && grep -q '<title id="chartcanvas-1-title">売上・客数推移</title>' "$svg_file" \
+    && grep -q '<desc id="chartcanvas-1-desc">折れ線・棒グラフ。期間: 2025/01/01〜2025/01/07（7件）。' "$svg_file" \
+    && grep -q '<g role="group" aria-label="売上（線グラフ、最小 18,000、最大 23,000）">' "$svg_file"; then
+    echo -e "${GREEN}  ✓ タイトル・概要・系列のグループが出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ タイトル・概要・系列のグループが出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# 説明を指定した場合は自動生成の概要の代わりに使用する
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -j '{"chartType":"dateChart","chart":{"description":"1月第1週の売上"},"tsv":{"dateTitle":"日付","series":[{"type":"line","column":"売上"}]}}' 2>/dev/null | grep -q '<desc id="chartcanvas-1-desc">1月第1週の売上</desc>'; then
+    echo -e "${GREEN}  ✓ 指定した説明が出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 指定した説明が出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース26: dateChart（対数軸とsymlog軸）
+echo ""
+echo "=== テストケース26: dateChart（対数軸とsymlog軸） ==="
+cat > "${CONFIG_DIR}/test-datechart-log-scale.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "ページビューと問い合わせ数", "subtitle": "対数軸" },
+  "chartType": "dateChart",
+  "dateChart": {
+    "yAxisTitle": "件数",
+    "yAxisFormat": "#,##0",
+    "yAxisType": "log",
+    "secondAxis": true,
+    "secondAxisTitle": "前日比",
+    "secondAxisFormat": "#,##0",
+    "secondAxisType": "symlog",
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "series": [
+      { "type": "line", "title": "ページビュー", "column": "ページビュー", "color": "red", "showMarkers": true },
+      { "type": "line", "title": "問い合わせ", "column": "問い合わせ", "color": "green", "showMarkers": true },
+      { "type": "bar", "title": "前日比", "column": "前日比", "color": "blue", "secondAxis": true }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-log-scale" "${CONFIG_DIR}/test-datechart-log-scale.json" "${SAMPLE_DATA_DIR}/data-log-scale.tsv" 0
+
+# 主軸に10のべき乗、副軸に0と負の目盛りが出力されていることを確認
+svg_file="${TEST_DIR}/test-datechart-log-scale.svg"
+if grep -q '>1,000,000</text>' "$svg_file" && grep -q '>-10</text>' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 対数軸とsymlog軸の目盛りが出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 対数軸とsymlog軸の目盛りが出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース27: 対数軸に0以下の値
+echo ""
+echo "=== テストケース27: 対数軸に0以下の値 ==="
+if cat "${SAMPLE_DATA_DIR}/data-log-scale.tsv" | node cli.js -j '{"chartType":"dateChart","dateChart":{"yAxisType":"log"},"tsv":{"dateTitle":"日付","series":[{"type":"line","title":"前日比","column":"前日比"}]}}' > "${TEST_DIR}/test-error-log-non-positive.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "requires positive values, but found 4 non-positive value(s)" "${TEST_DIR}/test-error-log-non-positive.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース28: dateChart（軸の範囲と目盛りの指定）
+echo ""
+echo "=== テストケース28: dateChart（軸の範囲と目盛りの指定） ==="
+cat > "${CONFIG_DIR}/test-datechart-axis-range.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "売上・客数推移", "subtitle": "軸の範囲を固定" },
+  "chartType": "dateChart",
+  "dateChart": {
+    "yAxisTitle": "売上",
+    "yAxisScale": "円",
+    "yAxisFormat": "#,##0",
+    "yAxisOptions": { "min": 0, "max": 40000, "tickInterval": 10000 },
+    "secondAxis": true,
+    "secondAxisTitle": "客数",
+    "secondAxisScale": "人",
+    "secondAxisFormat": "#,##0",
+    "secondAxisOptions": { "min": 0, "max": 60, "tickCount": 5 },
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "series": [
+      { "type": "line", "title": "売上", "column": "売上", "color": "red", "showMarkers": true },
+      { "type": "bar", "title": "客数", "column": "客数", "color": "blue", "secondAxis": true }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-axis-range" "${CONFIG_DIR}/test-datechart-axis-range.json" "${SAMPLE_DATA_DIR}/data-7days.tsv" 0
+
+# 主軸は指定した間隔で最大値まで、副軸は指定した数の目盛りが出力されていることを確認
+svg_file="${TEST_DIR}/test-datechart-axis-range.svg"
+if grep -q '>40,000</text>' "$svg_file" && grep -q '>45</text>' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 指定した範囲と目盛りが出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 指定した範囲と目盛りが出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース29: histogram（X軸・Y軸の範囲と目盛りの指定）
+echo ""
+echo "=== テストケース29: histogram（X軸・Y軸の範囲と目盛りの指定） ==="
+cat > "${CONFIG_DIR}/test-histogram-axis-range.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "売上の分布", "subtitle": "軸の範囲を固定" },
+  "chartType": "histogram",
+  "histogram": {
+    "xAxisTitle": "売上",
+    "yAxisTitle": "頻度",
+    "xAxisFormat": "#,##0",
+    "yAxisFormat": "#,##0",
+    "binWidth": 2500,
+    "xAxisOptions": { "min": 10000, "max": 40000, "tickInterval": 5000 },
+    "yAxisOptions": { "max": 50, "tickInterval": 10 },
+    "yGrid": true
+  },
+  "tsv": {
+    "valueTitle": "値"
+  }
+}
+EOF
+run_test "test-histogram-axis-range" "${CONFIG_DIR}/test-histogram-axis-range.json" "${SAMPLE_DATA_DIR}/data-histogram.tsv" 0
+
+# X軸・Y軸に指定した範囲の目盛りが出力されていることを確認
+svg_file="${TEST_DIR}/test-histogram-axis-range.svg"
+if grep -q '>35,000</text>' "$svg_file" && grep -q '>50</text>' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 指定した範囲と目盛りが出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 指定した範囲と目盛りが出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース30: 無効な軸の指定
+echo ""
+echo "=== テストケース30: 無効な軸の指定 ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -j '{"chartType":"dateChart","dateChart":{"yAxisOptions":{"min":100,"max":0}},"tsv":{"dateTitle":"日付","series":[{"type":"line","title":"売上","column":"売上"}]}}' > "${TEST_DIR}/test-error-axis-options.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "min (100) must be less than max (0)" "${TEST_DIR}/test-error-axis-options.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース31: dateChart（基準線・目標帯・イベントのマーカー・期間の網掛け）
+echo ""
+echo "=== テストケース31: dateChart（基準線・目標帯・イベントのマーカー・期間の網掛け） ==="
+cat > "${CONFIG_DIR}/test-datechart-annotations.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "売上・客数推移", "subtitle": "目標と基準線" },
+  "chartType": "dateChart",
+  "dateChart": {
+    "yAxisTitle": "売上",
+    "yAxisScale": "円",
+    "yAxisFormat": "#,##0",
+    "secondAxis": true,
+    "secondAxisTitle": "客数",
+    "secondAxisScale": "人",
+    "secondAxisFormat": "#,##0",
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "series": [
+      { "type": "line", "title": "売上", "column": "売上", "color": "red", "showMarkers": true },
+      { "type": "bar", "title": "客数", "column": "客数", "color": "blue", "secondAxis": true }
+    ]
+  },
+  "annotations": [
+    { "type": "horizontalLine", "value": 25000, "label": "売上目標", "color": "red", "style": "dashed" },
+    { "type": "band", "from": 30, "to": 40, "label": "客数の目標範囲", "color": "green", "axis": "secondary" }
+  ]
+}
+EOF
+run_test "test-datechart-annotations" "${CONFIG_DIR}/test-datechart-annotations.json" "${SAMPLE_DATA_DIR}/data-7days.tsv" 0
+
+# 設定の注釈に加えて、注釈のファイル（イベントのマーカー・期間の網掛け）を読み込めることを確認
+svg_file="${TEST_DIR}/test-datechart-annotations.svg"
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -c "${CONFIG_DIR}/test-datechart-annotations.json" --annotations "${SAMPLE_DATA_DIR}/annotations-7days.tsv" > "$svg_file" 2>&1 && \
+    grep -q '>売上目標</text>' "$svg_file" && grep -q '>客数の目標範囲</text>' "$svg_file" && \
+    grep -q '>キャンペーン開始</text>' "$svg_file" && grep -q '>キャンペーン期間</text>' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 注釈が出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 注釈が出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース32: 無効な注釈の種類
+echo ""
+echo "=== テストケース32: 無効な注釈の種類 ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -j '{"chartType":"dateChart","tsv":{"dateTitle":"日付","series":[{"type":"line","title":"売上","column":"売上"}]},"annotations":[{"type":"arrow","value":20000}]}' > "${TEST_DIR}/test-error-annotations.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Invalid annotations\[0\].type: arrow" "${TEST_DIR}/test-error-annotations.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース33: dateChart（移動平均・トレンド線の派生系列）
+echo ""
+echo "=== テストケース33: dateChart（移動平均・トレンド線の派生系列） ==="
+cat > "${CONFIG_DIR}/test-datechart-derived.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "売上推移", "subtitle": "移動平均とトレンド線" },
+  "chartType": "dateChart",
+  "dateChart": {
+    "yAxisTitle": "売上",
+    "yAxisScale": "円",
+    "yAxisFormat": "#,##0",
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "series": [
+      {
+        "type": "line", "title": "売上", "column": "売上", "color": "gray", "lineWidth": 1,
+        "derived": [
+          { "kind": "movingAverage", "window": 7, "color": "blue" },
+          { "kind": "movingAverage", "window": 7, "type": "ema", "color": "green" },
+          { "kind": "trendLine", "method": "linear", "color": "red", "lineType": "dotted" }
+        ]
+      }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-derived" "${CONFIG_DIR}/test-datechart-derived.json" "${SAMPLE_DATA_DIR}/data-3months.tsv" 0
+
+# 派生系列が通常の線グラフとして凡例に出力されていることを確認
+svg_file="${TEST_DIR}/test-datechart-derived.svg"
+if grep -q '>売上 移動平均（7）</text>' "$svg_file" && grep -q '>売上 指数移動平均（7）</text>' "$svg_file" && grep -q '>売上 トレンド（線形）</text>' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 派生系列が出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 派生系列が出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース34: 無効な派生系列の指定
+echo ""
+echo "=== テストケース34: 無効な派生系列の指定 ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -j '{"chartType":"dateChart","tsv":{"dateTitle":"日付","series":[{"type":"line","title":"売上","column":"売上","derived":[{"kind":"movingAverage","window":1}]}]}}' > "${TEST_DIR}/test-error-derived.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Invalid moving average window: 1" "${TEST_DIR}/test-error-derived.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース35: dateChart（前年同期との比較）
+echo ""
+echo "=== テストケース35: dateChart（前年同期との比較） ==="
+cat > "${CONFIG_DIR}/test-datechart-comparison.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "売上の前年比較", "subtitle": "曜日を合わせた前年同期" },
+  "chartType": "dateChart",
+  "dateChart": {
+    "yAxisTitle": "売上",
+    "yAxisScale": "円",
+    "yAxisFormat": "#,##0",
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "commentTitle": "コメント",
+    "series": [
+      {
+        "type": "line", "title": "売上", "column": "売上", "color": "blue", "showMarkers": true,
+        "comparison": { "shift": "1y", "align": "weekday" }
+      }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-comparison" "${CONFIG_DIR}/test-datechart-comparison.json" "${SAMPLE_DATA_DIR}/data-yoy.tsv" 0
+
+# 前年の系列が凡例に出力され、曜日を合わせた前年の日付と増減率がツールチップに出力されていることを確認
+svg_file="${TEST_DIR}/test-datechart-comparison.svg"
+if grep -q '>売上（前年）</text>' "$svg_file" && grep -q '（前期 2024/01/01、今期 13,000、+8.3%）' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 前年比較の系列が出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 前年比較の系列が出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース36: 無効な前期比較の期間
+echo ""
+echo "=== テストケース36: 無効な前期比較の期間 ==="
+if cat "${SAMPLE_DATA_DIR}/data-yoy.tsv" | node cli.js -j '{"chartType":"dateChart","tsv":{"dateTitle":"日付","series":[{"type":"line","title":"売上","column":"売上","comparison":{"shift":"1x"}}]}}' > "${TEST_DIR}/test-error-comparison.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Invalid comparison shift: 1x" "${TEST_DIR}/test-error-comparison.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース37: dateChart（予測区間の帯と予測の開始日）
+echo ""
+echo "=== テストケース37: dateChart（予測区間の帯と予測の開始日） ==="
+cat > "${CONFIG_DIR}/test-datechart-forecast.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "需要予測", "subtitle": "予測区間（下限〜上限）付き" },
+  "chartType": "dateChart",
+  "dateChart": {
+    "yAxisTitle": "需要",
+    "yAxisScale": "個",
+    "yAxisFormat": "#,##0",
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "series": [
+      {
+        "type": "band", "title": "需要", "column": "需要", "lowerColumn": "下限", "upperColumn": "上限",
+        "color": "blue", "showMarkers": true, "forecastStart": "2025-03-01"
+      }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-forecast" "${CONFIG_DIR}/test-datechart-forecast.json" "${SAMPLE_DATA_DIR}/data-forecast.tsv" 0
+
+# 範囲の帯が多角形で出力され、予測の開始日以降のツールチップに範囲が出力されていることを確認
+svg_file="${TEST_DIR}/test-datechart-forecast.svg"
+if grep -q '<polygon' "$svg_file" && grep -q '1,224 (予測)（範囲 1,172〜1,276）' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 予測区間の帯が出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予測区間の帯が出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース38: 下限・上限の列がないbandタイプの系列
+echo ""
+echo "=== テストケース38: 下限・上限の列がないbandタイプの系列 ==="
+if cat "${SAMPLE_DATA_DIR}/data-forecast.tsv" | node cli.js -j '{"chartType":"dateChart","tsv":{"dateTitle":"日付","series":[{"type":"band","title":"需要","column":"需要","upperColumn":"上限"}]}}' > "${TEST_DIR}/test-error-band.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Required field missing: tsv.series\[0\].lowerColumn" "${TEST_DIR}/test-error-band.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース39: dateChart（積み上げ面グラフ）
+echo ""
+echo "=== テストケース39: dateChart（積み上げ面グラフ） ==="
+cat > "${CONFIG_DIR}/test-datechart-area.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "チャネル別売上", "subtitle": "積み上げ面グラフ" },
+  "chartType": "dateChart",
+  "dateChart": {
+    "yAxisTitle": "売上",
+    "yAxisScale": "千円",
+    "yAxisFormat": "#,##0",
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "月",
+    "series": [
+      { "type": "area", "title": "店舗", "column": "店舗", "color": "steelblue", "stack": "channel" },
+      { "type": "area", "title": "EC", "column": "EC", "color": "orange", "stack": "channel" },
+      { "type": "area", "title": "電話", "column": "電話", "color": "gray", "stack": "channel" }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-area" "${CONFIG_DIR}/test-datechart-area.json" "${SAMPLE_DATA_DIR}/data-channels.tsv" 0
+
+# 面が系列ごとに多角形で出力され、積み上げの合計がツールチップに出力されていることを確認
+svg_file="${TEST_DIR}/test-datechart-area.svg"
+if [ "$(grep -o '<polygon' "$svg_file" | wc -l)" -eq 3 ] && grep -q '合計: 9,990' "$svg_file" && grep -q '>EC</text>' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 積み上げ面グラフが出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 積み上げ面グラフが出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース40: groupDateChart（面グラフ）
+echo ""
+echo "=== テストケース40: groupDateChart（面グラフ） ==="
+cat > "${CONFIG_DIR}/test-groupdatechart-area.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "店舗別売上推移（積み上げ面）" },
+  "chartType": "groupDateChart",
+  "dateChart": { "yAxisTitle": "売上", "yAxisScale": "円", "yAxisFormat": "#,##0" },
+  "tsv": {
+    "dateTitle": "日付",
+    "valueTitle": "売上",
+    "groupTitle": "店舗名",
+    "seriesType": "area",
+    "seriesOptions": { "stack": "store", "fillOpacity": 0.5 }
+  }
+}
+EOF
+run_test "test-groupdatechart-area" "${CONFIG_DIR}/test-groupdatechart-area.json" "${SAMPLE_DATA_DIR}/data.tsv" 0
+
+# テストケース41: scatter（バブル・回帰直線）
+echo ""
+echo "=== テストケース41: scatter（バブル・回帰直線） ==="
+cat > "${CONFIG_DIR}/test-scatter.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "広告費と売上（店舗別）" },
+  "chartType": "scatter",
+  "scatter": {
+    "xAxisTitle": "広告費（万円）",
+    "yAxisTitle": "売上（万円）",
+    "xGrid": true,
+    "yGrid": true,
+    "showRegressionLine": true,
+    "yAxisOptions": { "tickCount": 6, "includeZero": true }
+  },
+  "tsv": {
+    "xTitle": "広告費",
+    "yTitle": "売上",
+    "sizeTitle": "来店客数",
+    "labelTitle": "店舗",
+    "groupTitle": "地域"
+  }
+}
+EOF
+run_test "test-scatter" "${CONFIG_DIR}/test-scatter.json" "${SAMPLE_DATA_DIR}/data-scatter.tsv" 0
+
+# 点がグループごとの系列に出力され、ツールチップ・回帰直線の式が出力されていることを確認
+svg_file="${TEST_DIR}/test-scatter.svg"
+if [ "$(grep -o '<circle' "$svg_file" | wc -l)" -eq 27 ] && grep -q '新宿店（都心）' "$svg_file" && grep -q '回帰直線（都心）: y = 10x + 747（R² = 0.98）' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 散布図の点と回帰直線が出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 散布図の点と回帰直線が出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース42: Y軸の列がないscatter
+echo ""
+echo "=== テストケース42: Y軸の列がないscatter ==="
+if cat "${SAMPLE_DATA_DIR}/data-scatter.tsv" | node cli.js -j '{"chartType":"scatter","tsv":{"xTitle":"広告費"}}' > "${TEST_DIR}/test-error-scatter.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Required field missing: tsv.yTitle" "${TEST_DIR}/test-error-scatter.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース43: boxPlot（店舗別の箱ひげ図）
+echo ""
+echo "=== テストケース43: boxPlot（店舗別の箱ひげ図） ==="
+cat > "${CONFIG_DIR}/test-boxplot.json" << 'EOF'
+{
+  "chart": { "width": 1024, "height": 600, "title": "店舗別売上の分布" },
+  "chartType": "boxPlot",
+  "boxPlot": {
+    "xAxisTitle": "店舗",
+    "yAxisTitle": "売上",
+    "yAxisFormat": "#,##0",
+    "showMean": true,
+    "yGrid": true
+  },
+  "tsv": {
+    "valueTitle": "値",
+    "groupTitle": "店舗名"
+  }
+}
+EOF
+run_test "test-boxplot" "${CONFIG_DIR}/test-boxplot.json" "${SAMPLE_DATA_DIR}/data-boxplot.tsv" 0
+
+# 店舗ごとの箱と外れ値（Tukeyの1.5×IQRの範囲外）が出力されていることを確認
+svg_file="${TEST_DIR}/test-boxplot.svg"
+if [ "$(grep -o '<rect[^>]*fill-opacity' "$svg_file" | wc -l)" -eq 6 ] && grep -q '外れ値: 41,000' "$svg_file" && grep -q '新宿店（25件、中央値 26,400、四分位 21,700〜28,300、外れ値 1件）' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 箱ひげ図の箱と外れ値が出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 箱ひげ図の箱と外れ値が出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース44: 不正なひげの範囲のboxPlot
+echo ""
+echo "=== テストケース44: 不正なひげの範囲のboxPlot ==="
+if cat "${SAMPLE_DATA_DIR}/data-boxplot.tsv" | node cli.js -j '{"chartType":"boxPlot","boxPlot":{"whiskerMode":"iqr"},"tsv":{"valueTitle":"値","groupTitle":"店舗名"}}' > "${TEST_DIR}/test-error-boxplot.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Invalid boxPlot.whiskerMode: iqr" "${TEST_DIR}/test-error-boxplot.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース45: 数値フォーマット（10進数の丸めと指数表記）
+echo ""
+echo "=== テストケース45: 数値フォーマット（10進数の丸めと指数表記） ==="
+run_library_test "test-number-format-rounding" << 'EOF'
+const chart = new window.ChartCanvas(null);
+
+// 2進数の誤差で切り捨てず、10進数として四捨五入する
+assert.strictEqual(chart.formatNumber(1.005, '0.00'), '1.01');
+assert.strictEqual(chart.formatNumber(2.675, '#,##0.00'), '2.68');
+assert.strictEqual(chart.formatNumber(0.125, '0.0%'), '12.5%');
+assert.strictEqual(chart.formatNumber(-0.004, '0.00'), '0.00');
+
+// 指数表記
+assert.strictEqual(chart.formatNumber(1234.5, '0.0E+00'), '1.2E+03');
+assert.strictEqual(chart.formatNumber(0.000123, '0.00E+00'), '1.23E-04');
+assert.strictEqual(chart.formatNumber(123456, '0.00E-0'), '1.23E5');
+assert.strictEqual(chart.formatNumber(9.996, '0.00E+00'), '1.00E+01');
+assert.strictEqual(chart.formatNumber(0, '0.00E+00'), '0.00E+00');
+assert.strictEqual(chart.formatNumber(-1234.5, '0.0E+00" m"'), '-1.2E+03 m');
+assert.strictEqual(chart.formatNumber(12345, '##0.0E+0'), '12.3E+3');
+assert.strictEqual(chart.formatNumber(0.00012, '##0.0E+0'), '120.0E-6');
+
+// プレースホルダーのない指数はエラー
+assert.throws(() => chart.formatNumber(1, 'E+00'), /Invalid number format/);
+assert.throws(() => chart.formatNumber(1, '0E+'), /Invalid number format/);
+EOF
+
+# テストケース46: PNG出力の組み込みフォント（全角文字のビットマップ）
+echo ""
+echo "=== テストケース46: PNG出力の組み込みフォント（全角文字のビットマップ） ==="
+if node -e '
+const fs = require("fs");
+const assert = require("assert");
+const strokeFont = require("./strokeFont");
+const bitmapFont = require("./bitmapFont");
+
+// サンプルデータとテスト用の設定に含まれる文字は、すべて組み込みのフォントで描画できる
+const files = [
+    ...fs.readdirSync("docs/sample").filter(name => /\.(tsv|csv|json)$/.test(name)).map(name => "docs/sample/" + name),
+    ...fs.readdirSync("test-cli-configs").map(name => "test-cli-configs/" + name)
+];
+for (const file of files) {
+    for (const char of fs.readFileSync(file, "utf-8")) {
+        if (/\s/.test(char) || strokeFont.getGlyph(char)) continue;
+        assert.ok(bitmapFont.getBitmap(char) || bitmapFont.getBitmap(char.normalize("NFKC")), `${file}: ${char}`);
+    }
+}
+
+// 第2水準漢字・全角記号も収録し、収録していない文字はnull
+assert.ok(bitmapFont.getBitmap("丼"));
+assert.ok(bitmapFont.getBitmap("〜"));
+assert.strictEqual(bitmapFont.getBitmap("😀"), null);
+assert.strictEqual(bitmapFont.getBitmap("売").length, bitmapFont.GLYPH_SIZE);
+' > "${TEST_DIR}/test-png-bitmap-font.log" 2>&1; then
+    echo -e "${GREEN}  ✓ 全角文字を組み込みのフォントで描画できます${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 組み込みのフォントにない全角文字があります${NC}"
+    tail -n 10 "${TEST_DIR}/test-png-bitmap-font.log" | sed 's/^/    /'
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース47: dateChart（エポック秒・タイムゾーン付きの日時の正規化）
+echo ""
+echo "=== テストケース47: dateChart（エポック秒・タイムゾーン付きの日時の正規化） ==="
+run_library_test "test-datechart-time-zone" << 'EOF'
+const originalTimeZone = process.env.TZ;
+try {
+    // 実行環境のタイムゾーンに依存せず、デフォルトではUTCの時刻に変換する
+    for (const tz of ['UTC', 'Asia/Tokyo', 'America/New_York']) {
+        process.env.TZ = tz;
+        assert.strictEqual(normalizeDate('1735689600'), '20250101000000', tz);
+        assert.strictEqual(normalizeDate('1735689600000'), '20250101000000', tz);
+        assert.strictEqual(normalizeDate('2025-01-01T09:30:00+09:00'), '20250101003000', tz);
+        assert.strictEqual(normalizeDate('2025-01-01T09:30'), '20250101093000', tz);
+    }
+} finally {
+    if (originalTimeZone === undefined) {
+        delete process.env.TZ;
+    } else {
+        process.env.TZ = originalTimeZone;
+    }
+}
+
+// オフセット・IANAタイムゾーン名を指定した場合はそのタイムゾーンの時刻に変換する
+assert.strictEqual(normalizeDate('1735689600', 'auto', '+05:30'), '20250101053000');
+assert.strictEqual(normalizeDate('1735689600', 'epoch', 'Asia/Tokyo'), '20250101090000');
+assert.strictEqual(normalizeDate('2025-07-01T00:00:00Z', 'auto', 'America/New_York'), '20250630200000');
+
+// 10桁の数値は、YYYYMMDDHHとして正しい日時であればYYYYMMDDHH、それ以外はエポック秒
+assert.strictEqual(normalizeDate('2025010112'), '20250101120000');
+assert.strictEqual(normalizeDate('2025013212'), '20340303154012');
+assert.strictEqual(normalizeDate('2025010112', 'epoch'), '20340303144832');
+
+// 系列のデータはDateChartのタイムゾーンで正規化する
+const chart = new window.ChartCanvas(null);
+const dateChart = chart.addDateChart().setTimeZone('Asia/Tokyo');
+const line = dateChart.addLine({ title: 'PV' });
+line.addData('1735689600', 100);
+assert.strictEqual(line.data[0].date, '20250101090000');
+assert.throws(() => dateChart.setTimeZone('Mars/Base'), /Invalid time zone: Mars\/Base/);
+EOF
+
+# テストケース48: タイムゾーンが不正なdateChart
+echo ""
+echo "=== テストケース48: タイムゾーンが不正なdateChart ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -j '{"chartType":"dateChart","dateChart":{"timeZone":"Mars/Base"},"tsv":{"dateTitle":"日付","series":[{"type":"line","title":"売上","column":"売上"}]}}' > "${TEST_DIR}/test-error-time-zone.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Invalid time zone: Mars/Base" "${TEST_DIR}/test-error-time-zone.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース49: pieChart（サンバーストの外側のリングのラベルが350度付近に集まる場合）
+echo ""
+echo "=== テストケース49: pieChart（サンバーストの外側のリングのラベルが350度付近に集まる場合） ==="
+run_library_test "test-piechart-sunburst-crowded-labels" << 'EOF'
+const chart = new window.ChartCanvas(null);
+chart.size(800, 600);
+const pieChart = chart.addPieChart();
+pieChart.setLabelFormat('category-percentage');
+pieChart.setHierarchicalData([
+    { path: ['食品', '生鮮'], value: 400 },
+    { path: ['食品', '加工食品'], value: 300 },
+    { path: ['飲料', '清涼飲料'], value: 250 },
+    { path: ['飲料', '酒類'], value: 200 },
+    { path: ['日用品', '洗剤'], value: 150 },
+    { path: ['日用品', '紙製品'], value: 120 },
+    { path: ['雑貨', '文具'], value: 30 },
+    { path: ['雑貨', '食器'], value: 25 },
+    { path: ['雑貨', '玩具'], value: 20 },
+    { path: ['雑貨', '園芸'], value: 15 },
+    { path: ['雑貨', '手芸'], value: 10 }
+]);
+chart.render();
+const svg = chart.getSVGString();
+
+// 外側のリングのラベル（円の外側に描画する「カテゴリ (割合)」のラベル）を取得
+const fontSize = chart.theme.fontSize.normal;
+const labels = [...svg.matchAll(/<text[^>]* x="([^"]+)" y="([^"]+)"[^>]*>([^<]+%\))<\/text>/g)].map(match => ({
+    x: parseFloat(match[1]),
+    y: parseFloat(match[2]),
+    text: match[3],
+    width: chart.getTextWidth(match[3], fontSize),
+    height: fontSize * 1.2
+}));
+
+// 小さいカテゴリを「その他」にまとめず、すべての商品ラインのラベルを描画する
+assert.deepStrictEqual(labels.map(label => label.text.split(' ')[0]).sort(),
+    ['加工食品', '園芸', '手芸', '文具', '洗剤', '清涼飲料', '玩具', '生鮮', '紙製品', '酒類', '食器'].sort());
+
+// 350度付近に集まったラベルも互いに重ならない
+for (let i = 0; i < labels.length; i++) {
+    for (let j = i + 1; j < labels.length; j++) {
+        const [a, b] = [labels[i], labels[j]];
+        const overlaps = Math.abs(a.x - b.x) < (a.width + b.width) / 2 && Math.abs(a.y - b.y) < (a.height + b.height) / 2;
+        assert.ok(!overlaps, `${a.text} と ${b.text} が重なっています`);
+    }
+}
+EOF
+
+# テストケース50: データにない列を指定したdateChart
+echo ""
+echo "=== テストケース50: データにない列を指定したdateChart ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -j '{"chartType":"dateChart","tsv":{"dateTitle":"日付","series":[{"type":"line","title":"売上","column":"売り上げ"}]}}' > "${TEST_DIR}/test-error-missing-column.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Column not found: 売り上げ (tsv.series\[0\].column)" "${TEST_DIR}/test-error-missing-column.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース51: 数値フォーマットに数値を指定したdateChart
+echo ""
+echo "=== テストケース51: 数値フォーマットに数値を指定したdateChart ==="
+if cat "${SAMPLE_DATA_DIR}/data-7days.tsv" | node cli.js -j '{"chartType":"dateChart","dateChart":{"yAxisFormat":123},"tsv":{"dateTitle":"日付","series":[{"type":"line","title":"売上","column":"売上"}]}}' > "${TEST_DIR}/test-error-option-type.log" 2>&1; then
+    exit_code=$?
+else
+    exit_code=$?
+fi
+if [ "$exit_code" -eq 1 ] && grep -q "Invalid dateChart.yAxisFormat: 123. Must be a string" "${TEST_DIR}/test-error-option-type.log"; then
+    echo -e "${GREEN}  ✓ 期待通りのエラー（終了コード: 1）${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 予期しない結果: 終了コード ${exit_code} (期待値: 1)${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース52: Webサービスの/render（設定・データが不正な場合は400）
+echo ""
+echo "=== テストケース52: Webサービスの/render（設定・データが不正な場合は400） ==="
+RENDER_PORT=39217
+output_dir_existed=false
+[ -d "docs/sample/output" ] && output_dir_existed=true
+PORT=$RENDER_PORT node webservice/server.js > "${TEST_DIR}/test-render-server.log" 2>&1 &
+server_pid=$!
+if RENDER_PORT=$RENDER_PORT timeout 60 node -e '
+const http = require("http");
+const assert = require("assert");
+
+// POST /renderを送信し、ステータスコードと本文を返す
+function render(body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port: Number(process.env.RENDER_PORT), path: "/render", method: "POST", headers: { "Content-Type": "application/json" } }, res => {
+            let data = "";
+            res.setEncoding("utf-8");
+            res.on("data", chunk => { data += chunk; });
+            res.on("end", () => resolve({ status: res.statusCode, body: data }));
+        });
+        req.on("error", reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+// サーバーの起動を待つ
+async function waitForServer(body) {
+    for (let i = 0; i < 50; i++) {
+        try {
+            return await render(body);
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    throw new Error("server did not start");
+}
+
+const data = "日付\t売上\n2025-01-01\t100\n2025-01-02\t120\n";
+const config = (overrides = {}, tsv = {}) => ({
+    chartType: "dateChart",
+    ...overrides,
+    tsv: { dateTitle: "日付", series: [{ type: "line", title: "売上", column: "売上" }], ...tsv }
+});
+const assertError = (response, field) => {
+    assert.strictEqual(response.status, 400, response.body);
+    assert.strictEqual(JSON.parse(response.body).field, field);
+};
+
+(async () => {
+    const ok = await waitForServer({ config: config(), data });
+    assert.strictEqual(ok.status, 200);
+    assert.ok(ok.body.includes("<svg"));
+
+    // データにない列
+    assertError(await render({ config: config({}, { series: [{ type: "line", title: "売上", column: "売り上げ" }] }), data }), "config.tsv.series[0].column");
+    assertError(await render({ config: config({}, { dateTitle: "Date" }), data }), "config.tsv.dateTitle");
+    assertError(await render({ config: config({}, { dateTitle: "date" }), data: [{ date: "2025-01-01", sales: 1 }] }), "config.tsv.series[0].column");
+
+    // 予測の開始日が不正な場合のみforecastStartの項目のエラーにする
+    assertError(await render({ config: config({}, { series: [{ type: "line", title: "売上", column: "売上", forecastStart: "来週" }] }), data }), "config.tsv.series[0].forecastStart");
+    assertError(await render({ config: config({}, { series: [{ type: "line", title: "売上", column: "売り上げ", forecastStart: "2025-01-02" }] }), data }), "config.tsv.series[0].column");
+    assertError(await render({ config: config({}, { series: [{ type: "line", title: "売上", column: "売上", forecastStart: "2025-01-02", missingData: "skip" }] }), data }), "config.tsv.series[0].missingData");
+
+    // 項目の型・数値フォーマットの書式
+    assertError(await render({ config: config({ dateChart: { yAxisFormat: 123 } }), data }), "config.dateChart.yAxisFormat");
+    assertError(await render({ config: config({ dateChart: { yAxisFormat: "E+0" } }), data }), "config.dateChart.yAxisFormat");
+    assertError(await render({ config: { chartType: "pieChart", pieChart: { labelPosition: "inside" }, tsv: { categoryTitle: "日付", valueTitle: "売上" } }, data }), "config.pieChart.labelPosition");
+})().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
+' > "${TEST_DIR}/test-render-errors.log" 2>&1; then
+    echo -e "${GREEN}  ✓ 不正な設定・データに400と項目のパスを返します${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ /renderが期待通りのエラーを返しません${NC}"
+    tail -n 10 "${TEST_DIR}/test-render-errors.log" | sed 's/^/    /'
+    FAILED=$((FAILED + 1))
+fi
+kill "$server_pid" 2>/dev/null || true
+wait "$server_pid" 2>/dev/null || true
+if [ "$output_dir_existed" = false ]; then
+    rmdir "docs/sample/output" 2>/dev/null || true
+fi
+
+# テストケース53: dateChart（1未満の値の対数軸）
+echo ""
+echo "=== テストケース53: dateChart（1未満の値の対数軸） ==="
+cat > "${CONFIG_DIR}/test-datechart-log-scale-small.json" << 'EOF'
+{
+  "chart": { "width": 800, "height": 500, "title": "濃度の推移", "subtitle": "1未満の値の対数軸" },
+  "chartType": "dateChart",
+  "dateChart": {
+    "yAxisTitle": "濃度",
+    "yAxisFormat": "#,##0",
+    "yAxisType": "log",
+    "yGrid": true
+  },
+  "tsv": {
+    "dateTitle": "日付",
+    "series": [
+      { "type": "line", "title": "濃度", "column": "濃度", "color": "blue", "showMarkers": true }
+    ]
+  }
+}
+EOF
+run_test "test-datechart-log-scale-small" "${CONFIG_DIR}/test-datechart-log-scale-small.json" "${SAMPLE_DATA_DIR}/data-log-scale-small.tsv" 0
+
+# 1未満の目盛りが0にならず、10のべき乗ごとに必要な桁数で出力されていることを確認
+svg_file="${TEST_DIR}/test-datechart-log-scale-small.svg"
+if grep -q '>0.001</text>' "$svg_file" && grep -q '>0.01</text>' "$svg_file" && grep -q '>0.1</text>' "$svg_file" && \
+    grep -q '>1</text>' "$svg_file" && grep -q '>10</text>' "$svg_file" && ! grep -q '>0</text>' "$svg_file"; then
+    echo -e "${GREEN}  ✓ 1未満の目盛りが桁数を増やして出力されています${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}  ✗ 1未満の目盛りが正しく出力されていません${NC}"
+    FAILED=$((FAILED + 1))
+fi
+
+# テストケース54: dateChart（数値のエポック秒・エポックミリ秒）
+echo ""
+echo "=== テストケース54: dateChart（数値のエポック秒・エポックミリ秒） ==="
+run_library_test "test-datechart-numeric-epoch" << 'EOF'
+// 数値はエポック秒（13桁以上の場合はエポックミリ秒）として正規化する
+assert.strictEqual(normalizeDate(1735689600), '20250101000000');
+assert.strictEqual(normalizeDate(1735689600000), '20250101000000');
+assert.strictEqual(normalizeDate(2025010112), '20340303144832');
+assert.strictEqual(normalizeDate(1735689600, 'auto', 'Asia/Tokyo'), '20250101090000');
+
+// 線・棒の系列に数値の日時を追加しても描画できる
+const chart = new window.ChartCanvas(null);
+chart.size(800, 400);
+const dateChart = chart.addDateChart().setTimeZone('Asia/Tokyo');
+const line = dateChart.addLine({ title: 'PV', color: 'red' });
+const bar = dateChart.addBar({ title: '注文数', color: 'blue' });
+for (let hour = 0; hour < 6; hour++) {
+    line.addData(1735689600 + hour * 3600, 100 + hour * 10);
+    bar.addData((1735689600 + hour * 3600) * 1000, 10 + hour);
+}
+assert.strictEqual(line.data[0].date, '20250101090000');
+assert.strictEqual(bar.data[5].date, '20250101140000');
+chart.render();
+const svg = chart.getSVGString();
+assert.ok(svg.includes('<svg'));
+assert.ok(svg.includes('<path') || svg.includes('<polyline'));
+EOF
+
+# テストケース55: scatter（1未満の小数のデータの軸）
+echo ""
+echo "=== テストケース55: scatter（1未満の小数のデータの軸） ==="
+run_library_test "test-scatter-fractional-axis" << 'EOF'
+// 範囲が小さい小数のデータも、目盛りが10個程度になる間隔で軸を計算する
+assert.strictEqual(AxisScale.calculateFractionalInterval(0.033), 0.005);
+assert.strictEqual(AxisScale.calculateFractionalInterval(0.2), 0.02);
+assert.strictEqual(AxisScale.calculateFractionalInterval(20), 2);
+assert.strictEqual(AxisScale.calculateFractionalInterval(500), AxisScale.calculateAutoInterval(500));
+
+const chart = new window.ChartCanvas(null);
+chart.size(800, 600);
+const scatterChart = chart.addScatterChart();
+const series = scatterChart.addSeries({ title: '測定値', color: 'blue' });
+series.addDataArray([
+    { x: 0.012, y: 0.3 }, { x: 0.02, y: 0.35 }, { x: 0.031, y: 0.41 }, { x: 0.038, y: 0.46 }, { x: 0.045, y: 0.5 }
+]);
+
+const range = scatterChart.getDataRange();
+const xAxisScale = scatterChart.calculateXAxisScale(range.xMin, range.xMax);
+const yAxisScale = scatterChart.calculateYAxisScale(range.yMin, range.yMax);
+assert.strictEqual(xAxisScale.tickInterval, 0.005);
+assert.strictEqual(xAxisScale.tickCount, 8);
+assert.deepStrictEqual([xAxisScale.min, xAxisScale.max], [0.01, 0.045]);
+assert.strictEqual(yAxisScale.tickInterval, 0.02);
+assert.strictEqual(yAxisScale.tickCount, 11);
+assert.deepStrictEqual([yAxisScale.min, yAxisScale.max], [0.3, 0.5]);
+
+// 目盛りのラベルは数値フォーマット（'#,##0'）の小数部を間隔の桁数まで増やして区別できるようにする
+chart.render();
+const svg = chart.getSVGString();
+const labels = [...svg.matchAll(/>([0-9.]+)<\/text>/g)].map(match => match[1]);
+assert.deepStrictEqual(labels.slice(0, 3), ['0.010', '0.015', '0.020']);
+assert.ok(labels.includes('0.32') && labels.includes('0.50'));
+assert.strictEqual(new Set(labels).size, labels.length);
+EOF
+
+# テストケース56: boxPlot（1未満の小数のデータのY軸）
+echo ""
+echo "=== テストケース56: boxPlot（1未満の小数のデータのY軸） ==="
+run_library_test "test-boxplot-fractional-axis" << 'EOF'
+const chart = new window.ChartCanvas(null);
+chart.size(800, 600);
+const boxPlot = chart.addBoxPlot();
+boxPlot.addSeries({ title: 'A', color: 'blue' }).addDataArray([0.2, 0.35, 0.4, 0.45, 0.5, 0.6]);
+boxPlot.addSeries({ title: 'B', color: 'red' }).addDataArray([0.3, 0.55, 0.6, 0.7, 0.75, 0.9]);
+
+// 値が0.2〜0.9の場合は0〜1の2目盛りにせず、0.1刻みの目盛りにする
+const range = boxPlot.getValueRange();
+const yAxisScale = boxPlot.calculateYAxisScale(range.min, range.max);
+assert.strictEqual(yAxisScale.tickInterval, 0.1);
+assert.strictEqual(yAxisScale.tickCount, 8);
+assert.deepStrictEqual([yAxisScale.min, yAxisScale.max], [0.2, 0.9]);
+
+// 目盛りのラベルは数値フォーマット（'#,##0'）の小数部を間隔の桁数まで増やす
+chart.render();
+const svg = chart.getSVGString();
+const labels = [...svg.matchAll(/>([0-9.]+)<\/text>/g)].map(match => match[1]);
+assert.deepStrictEqual(labels, ['0.2', '0.3', '0.4', '0.5', '0.6', '0.7', '0.8', '0.9']);
+EOF
+
+# テストケース57: 複数のdateChart（グリッドの行数・列数、パネルの位置、共有軸、パネルの高さに応じた目盛りの数）
+echo ""
+echo "=== テストケース57: 複数のdateChart（グリッドの行数・列数、パネルの位置、共有軸、パネルの高さに応じた目盛りの数） ==="
+run_library_test "test-datechart-small-multiples" << 'EOF'
+const chart = new window.ChartCanvas(null);
+chart.size(1024, 600);
+chart.title = '店舗別売上';
+
+// グリッドの行数・列数（'auto'はグラフの数に応じて自動配置）
+const grid = count => { const { rows, columns } = chart.resolveLayoutGrid(count); return `${rows}x${columns}`; };
+assert.deepStrictEqual([1, 2, 3, 4, 5, 7].map(grid), ['1x1', '1x2', '1x3', '2x2', '2x3', '3x3']);
+chart.setLayout('vertical');
+assert.strictEqual(grid(3), '3x1');
+chart.setLayout('h');
+assert.deepStrictEqual([3, 4].map(grid), ['1x3', '2x2']);
+chart.setLayout({ rows: 2 });
+assert.strictEqual(grid(5), '2x3');
+chart.setLayout({ columns: 3 });
+assert.strictEqual(grid(7), '3x3');
+chart.setLayout('single');
+assert.strictEqual(grid(4), '1x1');
+assert.throws(() => chart.setLayout('grid'), /Invalid layout: grid/);
+assert.throws(() => chart.setLayout({}), /rows and\/or columns/);
+
+// グラフがセルより多い場合は、セルの数だけパネルを作成する（残りのグラフは描画しない）
+chart.setLayout({ rows: 2, columns: 2 });
+assert.strictEqual(chart.calculatePanels(5).length, 4);
+
+// パネルの位置と大きさ（タイトルの下をパネル間の間隔を除いて等分する）
+chart.setLayout('auto', { gap: 20 });
+const headerHeight = 10 + chart.measureFontMetrics(chart.theme.fontSize.normal).height;
+const panelHeight = (600 - headerHeight - 20) / 2;
+const panels = chart.calculatePanels(4);
+assert.deepStrictEqual(panels.map(panel => [panel.x, panel.width, panel.index, panel.fullCanvas]),
+    [[0, 502, 0, false], [522, 502, 1, false], [0, 502, 2, false], [522, 502, 3, false]]);
+for (const [i, panel] of panels.entries()) {
+    assert.ok(Math.abs(panel.y - (headerHeight + Math.floor(i / 2) * (panelHeight + 20))) < 1e-9);
+    assert.ok(Math.abs(panel.height - panelHeight) < 1e-9);
+}
+assert.deepStrictEqual(chart.calculatePanels(1), [chart.getFullCanvasPanel()]);
+
+// 店舗ごとにDateChartを追加（日付と値の範囲は店舗ごとに異なる）
+const values = [[12000, 18000, 15000], [22000, 26000, 24000], [30000, 34000, 40000], [5000, 8000, 6000]];
+values.forEach((list, i) => {
+    const dateChart = chart.addDateChart();
+    dateChart.title = `店舗${i + 1}`;
+    const line = dateChart.addLine({ title: '売上', color: 'red' });
+    list.forEach((value, day) => line.addData(`2025010${day + i + 1}`, value));
+});
+
+// 共有しない場合は、パネルごとに日付の範囲とY軸のスケールを計算する
+chart.setLayout('auto', { gap: 10, sharedX: false, sharedY: false });
+const [first, , third, fourth] = chart.dateCharts;
+assert.deepStrictEqual(chart.getDateRange(first).sortedDates, ['20250101', '20250102', '20250103']);
+assert.deepStrictEqual(chart.getDateRange(fourth).sortedDates, ['20250104', '20250105', '20250106']);
+assert.notDeepStrictEqual(chart.getYAxisScale(first).labels, chart.getYAxisScale(third).labels);
+
+// sharedX・sharedYの場合は、すべてのパネルで同じ日付の範囲とY軸のスケールを使用する
+chart.setLayout('auto', { sharedX: true, sharedY: true });
+const sortedDates = chart.getDateRange(first).sortedDates;
+assert.deepStrictEqual(sortedDates, ['20250101', '20250102', '20250103', '20250104', '20250105', '20250106']);
+const sharedScale = chart.getYAxisScale(first);
+for (const dateChart of chart.dateCharts) {
+    assert.deepStrictEqual(chart.getDateRange(dateChart).sortedDates, sortedDates);
+    assert.deepStrictEqual(chart.getYAxisScale(dateChart), sharedScale);
+}
+assert.strictEqual(sharedScale.min, 0);
+assert.ok(sharedScale.max >= 40000);
+
+// パネルの高さに収まるように目盛りを減らす（制限しない場合は2,000刻みの21個）
+assert.strictEqual(first.calculateYAxisScale(false, chart.dateCharts).labels.length, 21);
+const plotArea = chart.calculatePlotArea(first, chart.calculatePanels(4)[0]);
+const labelHeight = chart.measureFontMetrics(chart.theme.fontSize.normal).height;
+assert.ok(sharedScale.labels.length <= chart.getMaxYAxisTickCount(first));
+assert.ok(plotArea.height / (sharedScale.labels.length - 1) >= labelHeight);
+assert.deepStrictEqual(sharedScale.labels, [0, 5000, 10000, 15000, 20000, 25000, 30000, 35000, 40000]);
+
+// 目盛りの間隔を指定した場合は減らさない
+first.setYAxisOptions({ tickInterval: 2000 });
+assert.strictEqual(chart.getYAxisScale(first).labels.length, 21);
+EOF
+
+# テストケース58: 欠損データの補完（addData()で値にnullを指定したデータ、デフォルトの扱い）
+echo ""
+echo "=== テストケース58: 欠損データの補完（addData()で値にnullを指定したデータ、デフォルトの扱い） ==="
+run_library_test "test-datechart-missing-data-null" << 'EOF'
+const chart = new window.ChartCanvas(null);
+const dateChart = chart.addDateChart();
+const filledValues = missingData => {
+    const line = dateChart.addLine({ title: missingData || '未指定', color: 'red', missingData });
+    // 20250102はnullを指定、20250104は日付が欠けている
+    [['20250101', 10], ['20250102', null], ['20250103', 30], ['20250105', 50], ['20250106', null]]
+        .forEach(([date, value]) => line.addData(date, value));
+    return dateChart.getSeriesData(line).map(item => [item.date, item.value, !!item.filled]);
+};
+
+// nullを指定したデータも、日付が欠けている部分と同じ方法で補完する
+assert.deepStrictEqual(filledValues('zero').map(item => item[1]), [10, 0, 30, 0, 50, 0]);
+assert.deepStrictEqual(filledValues('previous').map(item => item[1]), [10, 10, 30, 30, 50, 50]);
+assert.deepStrictEqual(filledValues('linear').map(item => item[1]), [10, 20, 30, 40, 50, null]);
+assert.deepStrictEqual(filledValues('gap').map(item => item[1]), [10, null, 30, null, 50, null]);
+assert.deepStrictEqual(filledValues('linear').map(item => item[2]), [false, true, false, true, false, true]);
+assert.deepStrictEqual(filledValues('previous').map(item => item[0]),
+    ['20250101', '20250102', '20250103', '20250104', '20250105', '20250106']);
+
+// 指定しない場合は補完しない（TSVLoaderとCLIのデフォルトも同じ）
+assert.deepStrictEqual(filledValues(undefined).map(item => item[1]), [10, null, 30, 50, null]);
+assert.strictEqual(new window.TSVLoader(dateChart, 'data.tsv').missingData, 'none');
+EOF
+
+# テストケース59: 移動平均の期間（日付の範囲で数える）
+echo ""
+echo "=== テストケース59: 移動平均の期間（日付の範囲で数える） ==="
+run_library_test "test-datechart-moving-average-window" << 'EOF'
+const chart = new window.ChartCanvas(null);
+const dateChart = chart.addDateChart();
+const sales = dateChart.addLine({ title: '売上', color: 'gray' });
+// 20250104〜20250105は休業日（データなし）
+[['20250101', 10], ['20250102', 20], ['20250103', 30], ['20250106', 60], ['20250107', 70], ['20250108', 80]]
+    .forEach(([date, value]) => sales.addData(date, value));
+const values = series => series.getData().map(item => [item.date, Math.round(item.value * 1000) / 1000]);
+
+// 直近3日のデータの平均（データのない日は計算に含めない）
+const sma = sales.addMovingAverage({ window: 3 });
+assert.deepStrictEqual(values(sma),
+    [['20250103', 20], ['20250106', 60], ['20250107', 65], ['20250108', 70]]);
+
+// 加重平均の重みは日付の新しさで決まる（20250107: 60×2 + 70×3）
+const wma = sales.addMovingAverage({ window: 3, type: 'wma' });
+assert.deepStrictEqual(values(wma),
+    [['20250103', 23.333], ['20250106', 60], ['20250107', 66], ['20250108', 73.333]]);
+
+// 指数移動平均は離れている日数の分だけ前の値の重みを減らす（3日離れている場合は 0.5^3）
+const ema = sales.addMovingAverage({ window: 3, type: 'ema' });
+assert.deepStrictEqual(values(ema),
+    [['20250103', 20], ['20250106', 55], ['20250107', 62.5], ['20250108', 71.25]]);
+
+// 期間の日数に満たない場合は値を作成しない
+assert.deepStrictEqual(values(sales.addMovingAverage({ window: 9 })), []);
+
+// 集計している場合は区間の数で数える
+const monthly = new window.ChartCanvas(null).addDateChart();
+monthly.setAggregate('month', 'sum');
+const monthlySales = monthly.addLine({ title: '売上', color: 'gray' });
+[['20250105', 10], ['20250210', 20], ['20250415', 40], ['20250520', 50]]
+    .forEach(([date, value]) => monthlySales.addData(date, value));
+const monthlyAverage = monthlySales.addMovingAverage({ window: 2 });
+assert.deepStrictEqual(monthlyAverage.getData().map(item => [item.date, item.value]),
+    [['20250201', 15], ['20250401', 40], ['20250501', 45]]);
+EOF
+
 # 結果を表示
 echo ""
 echo "=== テスト結果 ==="
@@ -2,12 +2,14 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
+const { validateConfig, generateChart, INPUT_FORMATS } = require('../cli');
 
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000; // 環境変数PORTで変更可能（テストなど）
 const SAMPLE_DIR = path.join(__dirname, '..', 'docs', 'sample');
 const SRC_DIR = path.join(__dirname, '..', 'src');
 const ENTRY_POINT = 'main.js';
 const OUTPUT_DIR = path.join(__dirname, '..', 'docs', 'sample', 'output'); // SVG出力ディレクトリ
+const MAX_RENDER_BODY_SIZE = 10 * 1024 * 1024; // /renderのリクエストボディの最大サイズ（バイト）
 
 // MIMEタイプのマッピング
 const mimeTypes = {
@@ -377,10 +379,11 @@ function generateIndexHTML() {
 /**
  * SVGをPNGに変換
  * @param {string} svgContent - SVGコンテンツ（文字列）
- * @param {string} outputPath - PNGファイルの出力パス
- * @returns {Promise<void>}
+ * @param {string|null} outputPath - PNGファイルの出力パス（nullの場合はファイルに保存しない）
+ * @param {number} scale - 拡大率（デフォルト: 1）
+ * @returns {Promise<Buffer>} PNGデータ
  */
-async function convertSVGToPNG(svgContent, outputPath) {
+async function convertSVGToPNG(svgContent, outputPath, scale = 1) {
     let browser = null;
     try {
         // Puppeteerでブラウザを起動
@@ -406,7 +409,7 @@ async function convertSVGToPNG(svgContent, outputPath) {
         }
         
         // ページサイズを設定
-        await page.setViewport({ width: width, height: height });
+        await page.setViewport({ width: width, height: height, deviceScaleFactor: scale });
         
         // SVGを含むHTMLを作成
         const html = `
@@ -433,8 +436,8 @@ ${svgContent}
         await page.setContent(html, { waitUntil: 'networkidle0' });
         
         // PNGとしてスクリーンショットを取得
-        await page.screenshot({
-            path: outputPath,
+        const png = await page.screenshot({
+            path: outputPath || undefined,
             type: 'png',
             fullPage: false,
             clip: {
@@ -444,6 +447,7 @@ ${svgContent}
                 height: height
             }
         });
+        return Buffer.from(png);
     } catch (error) {
         console.error('PNG変換エラー:', error);
         throw error;
@@ -582,6 +586,150 @@ function handleSVGUpload(req, res) {
     });
 }
 
+/**
+ * JSON形式のエラーを返す
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {number} statusCode - HTTPステータスコード
+ * @param {string} message - エラーメッセージ
+ * @param {string|null} field - エラーの原因となったリクエストの項目のパス（例: 'config.tsv.dateTitle'）
+ */
+function sendJSONError(res, statusCode, message, field = null) {
+    const body = { error: message.replace(/^Error: /, '') };
+    if (field) {
+        body.field = field;
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * /renderのリクエストボディを検証
+ * @param {*} request - リクエストボディ（JSON）
+ * @returns {{field: string, message: string}|null} エラー（問題がない場合はnull）
+ */
+function validateRenderRequest(request) {
+    if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+        return { field: null, message: 'Request body must be a JSON object' };
+    }
+    if (request.config === null || typeof request.config !== 'object' || Array.isArray(request.config)) {
+        return { field: 'config', message: 'Required field missing: config (must be an object)' };
+    }
+    const data = request.data;
+    if (typeof data === 'string') {
+        if (!data.trim()) {
+            return { field: 'data', message: 'No data provided' };
+        }
+    } else if (!Array.isArray(data)) {
+        return { field: 'data', message: 'Required field missing: data (must be a string or an array of objects)' };
+    }
+    if (request.inputFormat !== undefined && !INPUT_FORMATS.includes(request.inputFormat)) {
+        return { field: 'inputFormat', message: `Invalid inputFormat: ${request.inputFormat}. Must be one of: ${INPUT_FORMATS.join(', ')}` };
+    }
+    if (request.format !== undefined && !['svg', 'png'].includes(request.format)) {
+        return { field: 'format', message: `Invalid format: ${request.format}. Must be one of: svg, png` };
+    }
+    if (request.scale !== undefined && !(typeof request.scale === 'number' && request.scale > 0)) {
+        return { field: 'scale', message: `Invalid scale: ${request.scale}. Must be a positive number` };
+    }
+    return null;
+}
+
+/**
+ * チャートの描画を処理（POST /render）
+ * CLIと同じ設定JSONと、インラインのデータ（TSV/CSV/JSON/NDJSONの文字列、またはオブジェクトの配列）を受け取り、
+ * SVG（formatが'png'の場合はPNG）を返す
+ *
+ * リクエストボディ（JSON）:
+ *   - config: CLIと同じ設定JSON（必須）
+ *   - data: 入力データの文字列、またはオブジェクトの配列（必須）
+ *   - inputFormat: 入力データの形式（auto, tsv, csv, json, ndjson。デフォルト: auto）
+ *   - format: 出力形式（svg, png。デフォルト: svg）
+ *   - scale: PNG出力時の拡大率（デフォルト: 1）
+ *
+ * エラーの場合は {error: メッセージ, field: 項目のパス} をJSONで返す
+ */
+function handleRender(req, res) {
+    const contentType = req.headers['content-type'];
+    if (!contentType || !contentType.includes('application/json')) {
+        sendJSONError(res, 415, 'Content-Type must be application/json');
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    req.on('data', (chunk) => {
+        if (aborted) return;
+        size += chunk.length;
+        if (size > MAX_RENDER_BODY_SIZE) {
+            aborted = true;
+            sendJSONError(res, 413, `Request body too large (max ${MAX_RENDER_BODY_SIZE} bytes)`);
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', async () => {
+        if (aborted) return;
+
+        let request;
+        try {
+            request = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+        } catch (error) {
+            sendJSONError(res, 400, `Invalid JSON in request body: ${error.message}`);
+            return;
+        }
+
+        const requestError = validateRenderRequest(request);
+        if (requestError) {
+            sendJSONError(res, 400, requestError.message, requestError.field);
+            return;
+        }
+
+        // オブジェクトの配列はJSONとして渡す
+        const { config } = request;
+        const data = Array.isArray(request.data) ? JSON.stringify(request.data) : request.data;
+        const inputFormat = Array.isArray(request.data) ? 'json' : (request.inputFormat || 'auto');
+
+        let svgContent;
+        try {
+            validateConfig(config);
+            const chart = await generateChart(config, data, inputFormat);
+            svgContent = chart.getSVGString();
+        } catch (error) {
+            if (error.field) {
+                // 設定の項目はリクエストのconfig以下のパスとして返す
+                const field = error.field === 'data' ? 'data' : `config.${error.field}`;
+                sendJSONError(res, 400, error.message, field);
+            } else {
+                console.error('チャート描画エラー:', error);
+                sendJSONError(res, 500, error.message.split('\n')[0]);
+            }
+            return;
+        }
+
+        if (request.format === 'png') {
+            try {
+                const png = await convertSVGToPNG(svgContent, null, request.scale || 1);
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                res.end(png);
+            } catch (error) {
+                sendJSONError(res, 500, `PNG conversion failed: ${error.message}`);
+            }
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+        res.end(svgContent, 'utf-8');
+    });
+
+    req.on('error', (error) => {
+        console.error('リクエストエラー:', error);
+        sendJSONError(res, 500, error.message);
+    });
+}
+
 const server = http.createServer((req, res) => {
     // URLのパスを取得
     let filePath = req.url === '/' ? '/index.html' : req.url;
@@ -603,6 +751,17 @@ const server = http.createServer((req, res) => {
         return;
     }
     
+    // /renderエンドポイントで設定JSONとデータからチャートを描画
+    if (filePath === '/render') {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'POST' });
+            res.end(JSON.stringify({ error: 'Method not allowed. Use POST' }));
+            return;
+        }
+        handleRender(req, res);
+        return;
+    }
+    
     // /stopエンドポイントでサーバーを停止
     if (filePath === '/stop') {
         res.writeHead(200, { 'Content-Type': 'text/html' });
@@ -764,6 +923,7 @@ server.listen(PORT, () => {
     console.log(`  - http://localhost:${PORT}/data.tsv`);
     console.log(`  - http://localhost:${PORT}/chartcanvas.js (bundled from src/)`);
     console.log(`  - http://localhost:${PORT}/upload-svg (POST: upload SVG file)`);
+    console.log(`  - http://localhost:${PORT}/render (POST: render chart from config JSON and data)`);
     console.log(`  - http://localhost:${PORT}/output/*.svg (view uploaded SVG files)`);
     console.log(`  - http://localhost:${PORT}/stop (stop server)`);
 });